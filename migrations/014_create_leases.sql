@@ -0,0 +1,40 @@
+-- ============================================================
+-- Migración 014: tabla leases
+-- Contratos de arrendamiento: vinculan un inmueble con un inquilino.
+-- Los propietarios se obtienen de estate_owners (reparto por porcentaje).
+-- Añade lease_id a invoices_issued para trazar la factura al contrato.
+-- Depende de: estates (004), clients (002), invoices_issued (008)
+-- ============================================================
+
+USE proyecto_facturas_dev;
+
+CREATE TABLE IF NOT EXISTS leases (
+    id                   INT           AUTO_INCREMENT PRIMARY KEY,
+    estates_id           INT           NOT NULL,
+    clients_id           INT           NOT NULL,
+    start_date           DATE          NOT NULL,
+    end_date             DATE          NULL,
+    monthly_rent         DECIMAL(12,2) NOT NULL DEFAULT 0.00,
+    deposit              DECIMAL(12,2) NOT NULL DEFAULT 0.00,
+    iva                  DECIMAL(5,2)  NOT NULL DEFAULT 0.00,
+    irpf                 DECIMAL(5,2)  NOT NULL DEFAULT 0.00,
+    billing_day          TINYINT       NOT NULL DEFAULT 1,
+    due_days             INT           NOT NULL DEFAULT 30,
+    collection_method    VARCHAR(50)   NOT NULL DEFAULT 'transfer',
+    status               VARCHAR(20)   NOT NULL DEFAULT 'active',
+    notes                TEXT          NULL,
+    created_at           TIMESTAMP     DEFAULT CURRENT_TIMESTAMP,
+    updated_at           TIMESTAMP     DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    INDEX idx_estates_id (estates_id),
+    INDEX idx_clients_id (clients_id),
+    INDEX idx_status     (status),
+
+    FOREIGN KEY (estates_id) REFERENCES estates(id),
+    FOREIGN KEY (clients_id) REFERENCES clients(id)
+);
+
+ALTER TABLE invoices_issued
+    ADD COLUMN lease_id INT NULL AFTER clients_id,
+    ADD INDEX idx_lease_id (lease_id),
+    ADD CONSTRAINT fk_invoices_issued_lease FOREIGN KEY (lease_id) REFERENCES leases(id) ON DELETE SET NULL;
@@ -0,0 +1,47 @@
+-- ============================================================
+-- Migración 015: tablas billing_runs y billing_run_items
+-- Registro de las ejecuciones de facturación mensual de contratos.
+-- Cada item es una factura (contrato + propietario + mes) con su resultado:
+-- created / skipped / failed. La unicidad de facturas se comprueba contra
+-- invoices_issued (lease_id + owners_id + corresponding_month).
+-- Depende de: leases (014), owners (003), invoices_issued (008), users (001)
+-- ============================================================
+
+USE proyecto_facturas_dev;
+
+CREATE TABLE IF NOT EXISTS billing_runs (
+    id                  INT          AUTO_INCREMENT PRIMARY KEY,
+    corresponding_month VARCHAR(7)   NOT NULL,
+    triggered_by        VARCHAR(20)  NOT NULL DEFAULT 'manual',
+    created_by          INT          NULL,
+    created_count       INT          NOT NULL DEFAULT 0,
+    skipped_count       INT          NOT NULL DEFAULT 0,
+    failed_count        INT          NOT NULL DEFAULT 0,
+    started_at          TIMESTAMP    DEFAULT CURRENT_TIMESTAMP,
+    finished_at         TIMESTAMP    NULL,
+
+    INDEX idx_corresponding_month (corresponding_month),
+
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE TABLE IF NOT EXISTS billing_run_items (
+    id                  INT           AUTO_INCREMENT PRIMARY KEY,
+    billing_run_id      INT           NOT NULL,
+    lease_id            INT           NOT NULL,
+    owners_id           INT           NULL,
+    invoice_id          INT           NULL,
+    status              VARCHAR(20)   NOT NULL,
+    tax_base            DECIMAL(12,2) NOT NULL DEFAULT 0.00,
+    total               DECIMAL(12,2) NOT NULL DEFAULT 0.00,
+    message             VARCHAR(500)  NULL,
+    created_at          TIMESTAMP     DEFAULT CURRENT_TIMESTAMP,
+
+    INDEX idx_billing_run_id (billing_run_id),
+    INDEX idx_lease_owner    (lease_id, owners_id),
+
+    FOREIGN KEY (billing_run_id) REFERENCES billing_runs(id) ON DELETE CASCADE,
+    FOREIGN KEY (lease_id)       REFERENCES leases(id)       ON DELETE CASCADE,
+    FOREIGN KEY (owners_id)      REFERENCES owners(id)       ON DELETE CASCADE,
+    FOREIGN KEY (invoice_id)     REFERENCES invoices_issued(id) ON DELETE SET NULL
+);
@@ -0,0 +1,35 @@
+-- ============================================================
+-- Migración 016: tabla invoice_lines
+-- Líneas de detalle de facturas emitidas y recibidas.
+-- Cada línea lleva su propio tipo de IVA/IRPF; la cabecera de la
+-- factura (tax_base, IVA, IRPF, total) se deriva de sus líneas.
+-- Cada línea pertenece a UNA factura: invoices_issued_id o
+-- invoices_received_id (la otra columna queda a NULL).
+-- Depende de: invoices_issued (008), invoices_received (009)
+-- ============================================================
+
+USE proyecto_facturas_dev;
+
+CREATE TABLE IF NOT EXISTS invoice_lines (
+    id                   INT           AUTO_INCREMENT PRIMARY KEY,
+    invoices_issued_id   INT           NULL,
+    invoices_received_id INT           NULL,
+    line_number          SMALLINT      NOT NULL DEFAULT 1,
+    description          VARCHAR(255)  NOT NULL,
+    quantity             DECIMAL(10,3) NOT NULL DEFAULT 1.000,
+    unit_price           DECIMAL(12,2) NOT NULL DEFAULT 0.00,
+    discount             DECIMAL(5,2)  NOT NULL DEFAULT 0.00,
+    tax_base             DECIMAL(12,2) NOT NULL DEFAULT 0.00,
+    iva                  DECIMAL(5,2)  NOT NULL DEFAULT 0.00,
+    iva_amount           DECIMAL(12,2) NOT NULL DEFAULT 0.00,
+    irpf                 DECIMAL(5,2)  NOT NULL DEFAULT 0.00,
+    irpf_amount          DECIMAL(12,2) NOT NULL DEFAULT 0.00,
+    total                DECIMAL(12,2) NOT NULL DEFAULT 0.00,
+    created_at           TIMESTAMP     DEFAULT CURRENT_TIMESTAMP,
+
+    INDEX idx_invoices_issued_id   (invoices_issued_id),
+    INDEX idx_invoices_received_id (invoices_received_id),
+
+    FOREIGN KEY (invoices_issued_id)   REFERENCES invoices_issued(id)   ON DELETE CASCADE,
+    FOREIGN KEY (invoices_received_id) REFERENCES invoices_received(id) ON DELETE CASCADE
+);
@@ -0,0 +1,49 @@
+-- ============================================================
+-- Migración 017: tablas invoice_series e invoice_series_counters
+-- Series de numeración de facturas emitidas por propietario y año.
+-- pattern admite {OWNER}, {YYYY}, {YY} y {SEQ:n} (n = dígitos).
+-- Las series con owners_id NULL son las series por defecto que usan
+-- los propietarios sin serie propia; cada propietario lleva aun así
+-- su propio contador. series_type: 'invoice' o 'refund' (rectificativas).
+-- El contador se incrementa dentro de la transacción de la factura,
+-- de modo que un rollback no deja huecos en la numeración.
+-- Depende de: owners (003)
+-- ============================================================
+
+USE proyecto_facturas_dev;
+
+CREATE TABLE IF NOT EXISTS invoice_series (
+    id          INT          AUTO_INCREMENT PRIMARY KEY,
+    owners_id   INT          NULL,
+    series_type VARCHAR(20)  NOT NULL DEFAULT 'invoice',
+    pattern     VARCHAR(100) NOT NULL,
+    owner_code  VARCHAR(20)  NULL,
+    created_at  TIMESTAMP    DEFAULT CURRENT_TIMESTAMP,
+    updated_at  TIMESTAMP    DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    INDEX idx_owner_type (owners_id, series_type),
+
+    FOREIGN KEY (owners_id) REFERENCES owners(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS invoice_series_counters (
+    series_id   INT       NOT NULL,
+    owners_id   INT       NOT NULL,
+    fiscal_year SMALLINT  NOT NULL,
+    last_number INT       NOT NULL DEFAULT 0,
+    updated_at  TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    PRIMARY KEY (series_id, owners_id, fiscal_year),
+
+    FOREIGN KEY (series_id) REFERENCES invoice_series(id) ON DELETE CASCADE,
+    FOREIGN KEY (owners_id) REFERENCES owners(id)         ON DELETE CASCADE
+);
+
+-- Series por defecto
+INSERT INTO invoice_series (owners_id, series_type, pattern)
+SELECT NULL, 'invoice', '{OWNER}-{YYYY}-{SEQ:5}'
+WHERE NOT EXISTS (SELECT 1 FROM invoice_series WHERE owners_id IS NULL AND series_type = 'invoice');
+
+INSERT INTO invoice_series (owners_id, series_type, pattern)
+SELECT NULL, 'refund', 'R-{OWNER}-{YYYY}-{SEQ:5}'
+WHERE NOT EXISTS (SELECT 1 FROM invoice_series WHERE owners_id IS NULL AND series_type = 'refund');
@@ -0,0 +1,53 @@
+-- ============================================================
+-- Migración 018: tablas verifactu_chains y verifactu_records
+-- Registros de facturación VERI*FACTU de las facturas emitidas.
+-- Cada alta (creación, abono o subsanación) y cada anulación genera
+-- un registro inmutable con la huella SHA-256 de sus campos y la
+-- huella del registro anterior del mismo emisor (encadenamiento).
+-- verifactu_chains guarda la cabeza de la cadena de cada NIF emisor;
+-- se bloquea (FOR UPDATE) dentro de la transacción de la factura.
+-- Los registros solo admiten cambios en las columnas submission_*
+-- (estado del envío a la AEAT). Al borrar la factura el registro se
+-- conserva con invoices_issued_id a NULL.
+-- generated_at guarda la fecha-hora con huso tal como entra en la huella.
+-- Depende de: invoices_issued (008)
+-- ============================================================
+
+USE proyecto_facturas_dev;
+
+CREATE TABLE IF NOT EXISTS verifactu_chains (
+    issuer_nif     VARCHAR(20) NOT NULL PRIMARY KEY,
+    last_record_id INT         NULL,
+    last_hash      CHAR(64)    NULL,
+    records_count  INT         NOT NULL DEFAULT 0,
+    updated_at     TIMESTAMP   DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS verifactu_records (
+    id                   INT            AUTO_INCREMENT PRIMARY KEY,
+    issuer_nif           VARCHAR(20)    NOT NULL,
+    chain_sequence       INT            NOT NULL,
+    record_type          VARCHAR(20)    NOT NULL,
+    is_correction        BOOLEAN        NOT NULL DEFAULT FALSE,
+    invoices_issued_id   INT            NULL,
+    invoice_number       VARCHAR(60)    NOT NULL,
+    invoice_date         DATE           NOT NULL,
+    invoice_type         VARCHAR(2)     NULL,
+    tax_amount           DECIMAL(12, 2) NULL,
+    total_amount         DECIMAL(12, 2) NULL,
+    previous_hash        CHAR(64)       NULL,
+    hash                 CHAR(64)       NOT NULL,
+    generated_at         VARCHAR(30)    NOT NULL,
+    submission_status    VARCHAR(20)    NOT NULL DEFAULT 'pending',
+    submission_reference VARCHAR(100)   NULL,
+    submission_error     TEXT           NULL,
+    submitted_at         DATETIME       NULL,
+    created_at           TIMESTAMP      DEFAULT CURRENT_TIMESTAMP,
+
+    UNIQUE KEY uk_chain_sequence (issuer_nif, chain_sequence),
+    UNIQUE KEY uk_hash (hash),
+    INDEX idx_invoice (invoices_issued_id),
+    INDEX idx_submission_status (submission_status),
+
+    FOREIGN KEY (invoices_issued_id) REFERENCES invoices_issued(id) ON DELETE SET NULL
+);
@@ -0,0 +1,39 @@
+-- ============================================================
+-- Migración 019: tabla modelo_303_returns
+-- Autoliquidaciones trimestrales de IVA (modelo 303) guardadas.
+-- Una fila por declarante (NIF) y período. Se guardan las casillas
+-- calculadas (boxes) y, en columnas propias, las de compensación:
+-- pending_compensation  (110) cuotas pendientes de períodos anteriores
+-- applied_compensation  (78)  aplicadas en este período
+-- remaining_compensation (87) pendientes tras este período
+-- carry_forward = 87 + resultado a compensar del período; es el
+-- importe que toma el trimestre siguiente como casilla 110.
+-- declaration_type: I (ingreso), C (compensar), D (devolver), N (cero).
+-- Depende de: users (001)
+-- ============================================================
+
+USE proyecto_facturas_dev;
+
+CREATE TABLE IF NOT EXISTS modelo_303_returns (
+    id                     INT            AUTO_INCREMENT PRIMARY KEY,
+    nif                    VARCHAR(20)    NOT NULL,
+    fiscal_year            SMALLINT       NOT NULL,
+    quarter                TINYINT        NOT NULL,
+    declaration_type       CHAR(1)        NOT NULL,
+    total_accrued          DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    total_deductible       DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    general_result         DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    pending_compensation   DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    applied_compensation   DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    remaining_compensation DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    result                 DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    carry_forward          DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    boxes                  JSON           NOT NULL,
+    created_by             INT            NULL,
+    created_at             TIMESTAMP      DEFAULT CURRENT_TIMESTAMP,
+    updated_at             TIMESTAMP      DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    UNIQUE KEY uk_period (nif, fiscal_year, quarter),
+
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+);
@@ -0,0 +1,13 @@
+-- ============================================================
+-- Migración 020: valores catastrales en estates
+-- Valor catastral total y de la construcción del recibo del IBI.
+-- La declaración de rendimientos del capital inmobiliario de cada
+-- propietario amortiza el 3% del valor de la construcción.
+-- Depende de: estates (004)
+-- ============================================================
+
+USE proyecto_facturas_dev;
+
+ALTER TABLE estates
+    ADD COLUMN cadastral_value              DECIMAL(12,2) NULL AFTER surface,
+    ADD COLUMN cadastral_construction_value DECIMAL(12,2) NULL AFTER cadastral_value;
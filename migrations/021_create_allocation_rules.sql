@@ -0,0 +1,85 @@
+-- ============================================================
+-- Migración 021: reparto de gastos generales entre propietarios
+-- Gastos sin inmueble (facturas recibidas y gastos internos sin
+-- property_id) se reparten con una clave de reparto:
+-- allocation_keys        claves con nombre. method: equal (a partes
+--                        iguales), ownership (por la propiedad de todos
+--                        los inmuebles), surface (por m² poseídos) o
+--                        fixed (porcentajes de allocation_key_shares).
+--                        is_default: clave para los gastos sin regla.
+-- allocation_rules       asignan una clave por categoría, centro de
+--                        coste o proveedor (NIF); gana el proveedor,
+--                        luego el centro de coste y luego la categoría.
+-- expense_allocations    reparto guardado de cada gasto por propietario
+--                        (porcentaje e importes ya redondeados) para que
+--                        los informes sean reproducibles.
+-- Depende de: owners (003), invoices_received (009), internal_expenses (010)
+-- ============================================================
+
+USE proyecto_facturas_dev;
+
+CREATE TABLE IF NOT EXISTS allocation_keys (
+    id          INT          AUTO_INCREMENT PRIMARY KEY,
+    name        VARCHAR(100) NOT NULL,
+    method      VARCHAR(20)  NOT NULL DEFAULT 'equal',
+    description VARCHAR(255) NULL,
+    is_default  TINYINT(1)   NOT NULL DEFAULT 0,
+    created_at  TIMESTAMP    DEFAULT CURRENT_TIMESTAMP,
+    updated_at  TIMESTAMP    DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    UNIQUE KEY uq_name (name)
+);
+
+CREATE TABLE IF NOT EXISTS allocation_key_shares (
+    allocation_key_id INT          NOT NULL,
+    owners_id         INT          NOT NULL,
+    percentage        DECIMAL(7,4) NOT NULL,
+
+    PRIMARY KEY (allocation_key_id, owners_id),
+
+    FOREIGN KEY (allocation_key_id) REFERENCES allocation_keys(id) ON DELETE CASCADE,
+    FOREIGN KEY (owners_id)         REFERENCES owners(id)          ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS allocation_rules (
+    id                INT          AUTO_INCREMENT PRIMARY KEY,
+    allocation_key_id INT          NOT NULL,
+    scope             VARCHAR(20)  NOT NULL,
+    scope_value       VARCHAR(100) NOT NULL,
+    created_at        TIMESTAMP    DEFAULT CURRENT_TIMESTAMP,
+    updated_at        TIMESTAMP    DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    UNIQUE KEY uq_scope (scope, scope_value),
+
+    FOREIGN KEY (allocation_key_id) REFERENCES allocation_keys(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS expense_allocations (
+    id                   INT           AUTO_INCREMENT PRIMARY KEY,
+    invoice_received_id  INT           NULL,
+    internal_expense_id  INT           NULL,
+    owners_id            INT           NOT NULL,
+    allocation_key_id    INT           NULL,
+    allocation_rule_id   INT           NULL,
+    percentage           DECIMAL(7,4)  NOT NULL,
+    base                 DECIMAL(12,2) NOT NULL DEFAULT 0.00,
+    iva                  DECIMAL(12,2) NOT NULL DEFAULT 0.00,
+    irpf                 DECIMAL(12,2) NOT NULL DEFAULT 0.00,
+    total                DECIMAL(12,2) NOT NULL DEFAULT 0.00,
+    created_at           TIMESTAMP     DEFAULT CURRENT_TIMESTAMP,
+
+    UNIQUE KEY uq_received_owner (invoice_received_id, owners_id),
+    UNIQUE KEY uq_expense_owner  (internal_expense_id, owners_id),
+    INDEX idx_owners_id          (owners_id),
+
+    FOREIGN KEY (invoice_received_id) REFERENCES invoices_received(id) ON DELETE CASCADE,
+    FOREIGN KEY (internal_expense_id) REFERENCES internal_expenses(id) ON DELETE CASCADE,
+    FOREIGN KEY (owners_id)           REFERENCES owners(id),
+    FOREIGN KEY (allocation_key_id)   REFERENCES allocation_keys(id)   ON DELETE SET NULL,
+    FOREIGN KEY (allocation_rule_id)  REFERENCES allocation_rules(id)  ON DELETE SET NULL
+);
+
+-- Clave por defecto: a partes iguales entre todos los propietarios
+INSERT INTO allocation_keys (name, method, description, is_default)
+SELECT 'General', 'equal', 'Reparto a partes iguales entre todos los propietarios', 1
+WHERE NOT EXISTS (SELECT 1 FROM allocation_keys WHERE is_default = 1);
@@ -0,0 +1,65 @@
+-- ============================================================
+-- Migración 022: liquidaciones a propietarios
+-- Por propietario y período: alquileres cobrados menos gastos imputados
+-- (de sus inmuebles por el porcentaje de propiedad y los gastos generales
+-- repartidos en expense_allocations) menos la comisión de gestión.
+-- owner_settlements        cabecera con totales, comisión y estado
+--                          (draft → approved → paid).
+-- owner_settlement_items   facturas y gastos liquidados con la parte del
+--                          propietario. Un mismo documento solo se liquida
+--                          una vez por propietario, y mientras esté en una
+--                          liquidación no se puede modificar ni eliminar.
+-- Depende de: owners (003), invoices_issued (008), invoices_received (009),
+--             internal_expenses (010), expense_allocations (021)
+-- ============================================================
+
+USE proyecto_facturas_dev;
+
+CREATE TABLE IF NOT EXISTS owner_settlements (
+    id                 INT           AUTO_INCREMENT PRIMARY KEY,
+    owners_id          INT           NOT NULL,
+    period_start       DATE          NOT NULL,
+    period_end         DATE          NOT NULL,
+    income             DECIMAL(12,2) NOT NULL DEFAULT 0.00,
+    expenses           DECIMAL(12,2) NOT NULL DEFAULT 0.00,
+    commission_base    DECIMAL(12,2) NOT NULL DEFAULT 0.00,
+    commission_rate    DECIMAL(5,2)  NOT NULL DEFAULT 0.00,
+    commission         DECIMAL(12,2) NOT NULL DEFAULT 0.00,
+    commission_iva     DECIMAL(12,2) NOT NULL DEFAULT 0.00,
+    net_amount         DECIMAL(12,2) NOT NULL DEFAULT 0.00,
+    status             VARCHAR(20)   NOT NULL DEFAULT 'draft',
+    notes              TEXT          NULL,
+    approved_by        INT           NULL,
+    approved_at        DATETIME      NULL,
+    paid_date          DATE          NULL,
+    payment_reference  VARCHAR(255)  NULL,
+    created_by         INT           NULL,
+    created_at         TIMESTAMP     DEFAULT CURRENT_TIMESTAMP,
+    updated_at         TIMESTAMP     DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    INDEX idx_owner_period (owners_id, period_start),
+
+    FOREIGN KEY (owners_id) REFERENCES owners(id)
+);
+
+CREATE TABLE IF NOT EXISTS owner_settlement_items (
+    id             INT           AUTO_INCREMENT PRIMARY KEY,
+    settlement_id  INT           NOT NULL,
+    owners_id      INT           NOT NULL,
+    item_type      VARCHAR(20)   NOT NULL,
+    item_id        INT           NOT NULL,
+    item_date      DATE          NOT NULL,
+    reference      VARCHAR(100)  NULL,
+    description    VARCHAR(255)  NULL,
+    percentage     DECIMAL(7,4)  NOT NULL DEFAULT 100.0000,
+    base           DECIMAL(12,2) NOT NULL DEFAULT 0.00,
+    iva            DECIMAL(12,2) NOT NULL DEFAULT 0.00,
+    irpf           DECIMAL(12,2) NOT NULL DEFAULT 0.00,
+    total          DECIMAL(12,2) NOT NULL DEFAULT 0.00,
+
+    UNIQUE KEY uq_item_owner (item_type, item_id, owners_id),
+    INDEX idx_item (item_type, item_id),
+
+    FOREIGN KEY (settlement_id) REFERENCES owner_settlements(id) ON DELETE CASCADE,
+    FOREIGN KEY (owners_id)     REFERENCES owners(id)
+);
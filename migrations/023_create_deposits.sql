@@ -0,0 +1,58 @@
+-- ============================================================
+-- Migración 023: fianzas de arrendamiento
+-- deposits              fianza entregada por el inquilino de un inmueble
+--                       (opcionalmente de un contrato), su depósito en el
+--                       organismo autonómico (referencia y fecha) y su
+--                       devolución al terminar el arrendamiento.
+-- deposit_applications  importes de la fianza aplicados a facturas emitidas
+--                       pendientes. Al quedar cubierta, la factura se marca
+--                       como cobrada con collection_method 'deposit'.
+-- Lo retenido = amount - aplicado - returned_amount.
+-- Depende de: clients (002), estates (004), invoices_issued (008), leases (014)
+-- ============================================================
+
+USE proyecto_facturas_dev;
+
+CREATE TABLE IF NOT EXISTS deposits (
+    id                 INT           AUTO_INCREMENT PRIMARY KEY,
+    estates_id         INT           NOT NULL,
+    clients_id         INT           NOT NULL,
+    lease_id           INT           NULL,
+    amount             DECIMAL(12,2) NOT NULL,
+    received_date      DATE          NOT NULL,
+    lodging_body       VARCHAR(150)  NULL,
+    lodging_reference  VARCHAR(100)  NULL,
+    lodged_date        DATE          NULL,
+    returned_date      DATE          NULL,
+    returned_amount    DECIMAL(12,2) NOT NULL DEFAULT 0.00,
+    notes              TEXT          NULL,
+    created_by         INT           NULL,
+    created_at         TIMESTAMP     DEFAULT CURRENT_TIMESTAMP,
+    updated_at         TIMESTAMP     DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    INDEX idx_estates_id    (estates_id),
+    INDEX idx_clients_id    (clients_id),
+    INDEX idx_lease_id      (lease_id),
+    INDEX idx_returned_date (returned_date),
+
+    FOREIGN KEY (estates_id) REFERENCES estates(id),
+    FOREIGN KEY (clients_id) REFERENCES clients(id),
+    FOREIGN KEY (lease_id)   REFERENCES leases(id) ON DELETE SET NULL
+);
+
+CREATE TABLE IF NOT EXISTS deposit_applications (
+    id                 INT           AUTO_INCREMENT PRIMARY KEY,
+    deposit_id         INT           NOT NULL,
+    invoice_issued_id  INT           NOT NULL,
+    amount             DECIMAL(12,2) NOT NULL,
+    applied_date       DATE          NOT NULL,
+    notes              TEXT          NULL,
+    created_by         INT           NULL,
+    created_at         TIMESTAMP     DEFAULT CURRENT_TIMESTAMP,
+
+    INDEX idx_deposit_id        (deposit_id),
+    INDEX idx_invoice_issued_id (invoice_issued_id),
+
+    FOREIGN KEY (deposit_id)        REFERENCES deposits(id) ON DELETE CASCADE,
+    FOREIGN KEY (invoice_issued_id) REFERENCES invoices_issued(id)
+);
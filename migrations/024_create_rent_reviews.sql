@@ -0,0 +1,56 @@
+-- ============================================================
+-- Migración 024: actualización anual de rentas (IPC / IRAV)
+-- rent_indexes   valores publicados de cada índice: variación anual en %
+--                por mes de referencia (YYYY-MM).
+-- leases         índice de actualización del contrato (NULL = sin
+--                actualización), tope opcional de la variación y fecha de
+--                la última revisión.
+-- rent_reviews   revisión de cada aniversario: índice aplicado, renta
+--                anterior y nueva. pending → approved (la nueva renta pasa
+--                al contrato y se factura desde el mes del aniversario) o
+--                rejected (el aniversario queda revisado sin cambio).
+-- Depende de: leases (014)
+-- ============================================================
+
+USE proyecto_facturas_dev;
+
+CREATE TABLE IF NOT EXISTS rent_indexes (
+    id                 INT           AUTO_INCREMENT PRIMARY KEY,
+    index_type         VARCHAR(10)   NOT NULL,
+    period             CHAR(7)       NOT NULL,
+    value              DECIMAL(6,3)  NOT NULL,
+    source             VARCHAR(150)  NULL,
+    created_at         TIMESTAMP     DEFAULT CURRENT_TIMESTAMP,
+    updated_at         TIMESTAMP     DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    UNIQUE KEY uq_index_period (index_type, period)
+);
+
+ALTER TABLE leases
+    ADD COLUMN indexation_type  VARCHAR(10)  NULL AFTER deposit,
+    ADD COLUMN indexation_cap   DECIMAL(5,2) NULL AFTER indexation_type,
+    ADD COLUMN last_review_date DATE         NULL AFTER indexation_cap;
+
+CREATE TABLE IF NOT EXISTS rent_reviews (
+    id                 INT           AUTO_INCREMENT PRIMARY KEY,
+    lease_id           INT           NOT NULL,
+    review_date        DATE          NOT NULL,
+    index_type         VARCHAR(10)   NOT NULL,
+    index_period       CHAR(7)       NOT NULL,
+    index_value        DECIMAL(6,3)  NOT NULL,
+    applied_rate       DECIMAL(6,3)  NOT NULL,
+    previous_rent      DECIMAL(12,2) NOT NULL,
+    new_rent           DECIMAL(12,2) NOT NULL,
+    status             VARCHAR(20)   NOT NULL DEFAULT 'pending',
+    notes              TEXT          NULL,
+    approved_by        INT           NULL,
+    approved_at        DATETIME      NULL,
+    created_by         INT           NULL,
+    created_at         TIMESTAMP     DEFAULT CURRENT_TIMESTAMP,
+    updated_at         TIMESTAMP     DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    UNIQUE KEY uq_lease_review (lease_id, review_date),
+    INDEX idx_status (status),
+
+    FOREIGN KEY (lease_id) REFERENCES leases(id) ON DELETE CASCADE
+);
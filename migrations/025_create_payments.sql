@@ -0,0 +1,46 @@
+-- ============================================================
+-- Migración 025: cobros de clientes y su imputación a facturas
+-- payments             importe recibido de un cliente (transferencia,
+--                      efectivo...) en una fecha, con su referencia.
+-- payment_allocations  parte del cobro imputada a cada factura emitida.
+--                      Un cobro puede cubrir varias facturas y una factura
+--                      cobrarse en varios plazos.
+-- Pendiente de una factura = total - imputado - fianza aplicada.
+-- Lo no imputado de un cobro queda como saldo a favor del cliente.
+-- Depende de: clients (002), invoices_issued (008), deposits (023)
+-- ============================================================
+
+USE proyecto_facturas_dev;
+
+CREATE TABLE IF NOT EXISTS payments (
+    id            INT           AUTO_INCREMENT PRIMARY KEY,
+    clients_id    INT           NOT NULL,
+    payment_date  DATE          NOT NULL,
+    amount        DECIMAL(12,2) NOT NULL,
+    method        VARCHAR(50)   NOT NULL DEFAULT 'transfer',
+    reference     VARCHAR(255)  NULL,
+    notes         TEXT          NULL,
+    created_by    INT           NULL,
+    created_at    TIMESTAMP     DEFAULT CURRENT_TIMESTAMP,
+    updated_at    TIMESTAMP     DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    INDEX idx_clients_id   (clients_id),
+    INDEX idx_payment_date (payment_date),
+
+    FOREIGN KEY (clients_id) REFERENCES clients(id)
+);
+
+CREATE TABLE IF NOT EXISTS payment_allocations (
+    id                 INT           AUTO_INCREMENT PRIMARY KEY,
+    payment_id         INT           NOT NULL,
+    invoice_issued_id  INT           NOT NULL,
+    amount             DECIMAL(12,2) NOT NULL,
+    created_by         INT           NULL,
+    created_at         TIMESTAMP     DEFAULT CURRENT_TIMESTAMP,
+
+    INDEX idx_payment_id        (payment_id),
+    INDEX idx_invoice_issued_id (invoice_issued_id),
+
+    FOREIGN KEY (payment_id)        REFERENCES payments(id) ON DELETE CASCADE,
+    FOREIGN KEY (invoice_issued_id) REFERENCES invoices_issued(id)
+);
@@ -0,0 +1,69 @@
+-- ============================================================
+-- Migración 026: pagos a proveedores y remesas de pago
+-- payment_runs       remesa de pago: facturas recibidas que vencen hasta
+--                    due_until, agrupadas por proveedor. Se crea como
+--                    'draft', se aprueba ('approved') y se paga de una vez
+--                    ('paid'); se puede anular ('cancelled') antes de pagar.
+-- payment_run_items  factura incluida en la remesa y el importe a pagar.
+-- supplier_payments  pago (total o parcial) de una factura recibida con la
+--                    cuenta bancaria desde la que se pagó. Los de una
+--                    remesa llevan su payment_run_id.
+-- Pendiente de una factura = total_amount - pagado.
+-- Depende de: suppliers (006), invoices_received (009)
+-- ============================================================
+
+USE proyecto_facturas_dev;
+
+CREATE TABLE IF NOT EXISTS payment_runs (
+    id            INT           AUTO_INCREMENT PRIMARY KEY,
+    due_until     DATE          NOT NULL,
+    payment_date  DATE          NOT NULL,
+    bank_account  VARCHAR(34)   NOT NULL,
+    method        VARCHAR(50)   NOT NULL DEFAULT 'transfer',
+    status        VARCHAR(20)   NOT NULL DEFAULT 'draft',
+    notes         TEXT          NULL,
+    created_by    INT           NULL,
+    approved_by   INT           NULL,
+    approved_at   TIMESTAMP     NULL,
+    paid_at       TIMESTAMP     NULL,
+    created_at    TIMESTAMP     DEFAULT CURRENT_TIMESTAMP,
+    updated_at    TIMESTAMP     DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    INDEX idx_status (status)
+);
+
+CREATE TABLE IF NOT EXISTS payment_run_items (
+    id                   INT           AUTO_INCREMENT PRIMARY KEY,
+    payment_run_id       INT           NOT NULL,
+    invoice_received_id  INT           NOT NULL,
+    supplier_id          INT           NOT NULL,
+    amount               DECIMAL(12,2) NOT NULL,
+
+    UNIQUE KEY uq_run_invoice         (payment_run_id, invoice_received_id),
+    INDEX idx_invoice_received_id     (invoice_received_id),
+
+    FOREIGN KEY (payment_run_id)      REFERENCES payment_runs(id) ON DELETE CASCADE,
+    FOREIGN KEY (invoice_received_id) REFERENCES invoices_received(id),
+    FOREIGN KEY (supplier_id)         REFERENCES suppliers(id)
+);
+
+CREATE TABLE IF NOT EXISTS supplier_payments (
+    id                   INT           AUTO_INCREMENT PRIMARY KEY,
+    invoice_received_id  INT           NOT NULL,
+    payment_run_id       INT           NULL,
+    payment_date         DATE          NOT NULL,
+    amount               DECIMAL(12,2) NOT NULL,
+    method               VARCHAR(50)   NOT NULL DEFAULT 'transfer',
+    bank_account         VARCHAR(34)   NOT NULL,
+    reference            VARCHAR(255)  NULL,
+    notes                TEXT          NULL,
+    created_by           INT           NULL,
+    created_at           TIMESTAMP     DEFAULT CURRENT_TIMESTAMP,
+
+    INDEX idx_invoice_received_id (invoice_received_id),
+    INDEX idx_payment_run_id      (payment_run_id),
+    INDEX idx_payment_date        (payment_date),
+
+    FOREIGN KEY (invoice_received_id) REFERENCES invoices_received(id),
+    FOREIGN KEY (payment_run_id)      REFERENCES payment_runs(id) ON DELETE SET NULL
+);
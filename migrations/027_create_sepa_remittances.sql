@@ -0,0 +1,66 @@
+-- ============================================================
+-- Migración 027: adeudos directos SEPA (pain.008)
+-- clients                 mandato SEPA del inquilino: referencia única,
+--                         fecha de firma, IBAN y BIC de cargo y tipo de
+--                         secuencia (FRST el primer adeudo, RCUR los
+--                         siguientes; pasa a RCUR al remesar un FRST).
+-- owners                  datos de acreedor del propietario: IBAN y BIC de
+--                         abono e identificador de acreedor (si es NULL se
+--                         calcula con el NIF y el sufijo 000).
+-- sepa_remittances        fichero generado: uno por acreedor, con su
+--                         message_id (se guarda en collection_reference de
+--                         cada factura incluida) y el XML.
+-- sepa_remittance_items   factura incluida, importe, mandato y cuenta.
+-- Depende de: clients (002), owners (003), invoices_issued (008)
+-- ============================================================
+
+USE proyecto_facturas_dev;
+
+ALTER TABLE clients
+    ADD COLUMN sepa_mandate_id    VARCHAR(35) NULL AFTER relationship_type,
+    ADD COLUMN sepa_mandate_date  DATE        NULL AFTER sepa_mandate_id,
+    ADD COLUMN sepa_iban          VARCHAR(34) NULL AFTER sepa_mandate_date,
+    ADD COLUMN sepa_bic           VARCHAR(11) NULL AFTER sepa_iban,
+    ADD COLUMN sepa_sequence_type VARCHAR(4)  NULL AFTER sepa_bic,
+    ADD UNIQUE KEY uq_sepa_mandate_id (sepa_mandate_id);
+
+ALTER TABLE owners
+    ADD COLUMN sepa_iban        VARCHAR(34) NULL AFTER country,
+    ADD COLUMN sepa_bic         VARCHAR(11) NULL AFTER sepa_iban,
+    ADD COLUMN sepa_creditor_id VARCHAR(35) NULL AFTER sepa_bic;
+
+CREATE TABLE IF NOT EXISTS sepa_remittances (
+    id              INT           AUTO_INCREMENT PRIMARY KEY,
+    remittance_type VARCHAR(20)   NOT NULL DEFAULT 'direct_debit',
+    message_id      VARCHAR(35)   NOT NULL,
+    owners_id       INT           NULL,
+    requested_date  DATE          NOT NULL,
+    items_count     INT           NOT NULL DEFAULT 0,
+    total_amount    DECIMAL(12,2) NOT NULL DEFAULT 0.00,
+    xml_content     MEDIUMTEXT    NOT NULL,
+    created_by      INT           NULL,
+    created_at      TIMESTAMP     DEFAULT CURRENT_TIMESTAMP,
+
+    UNIQUE KEY uq_message_id (message_id),
+    INDEX idx_owners_id      (owners_id),
+
+    FOREIGN KEY (owners_id) REFERENCES owners(id)
+);
+
+CREATE TABLE IF NOT EXISTS sepa_remittance_items (
+    id                 INT           AUTO_INCREMENT PRIMARY KEY,
+    remittance_id      INT           NOT NULL,
+    invoice_issued_id  INT           NULL,
+    amount             DECIMAL(12,2) NOT NULL,
+    end_to_end_id      VARCHAR(35)   NOT NULL,
+    mandate_id         VARCHAR(35)   NULL,
+    sequence_type      VARCHAR(4)    NULL,
+    iban               VARCHAR(34)   NOT NULL,
+
+    INDEX idx_remittance_id     (remittance_id),
+    INDEX idx_invoice_issued_id (invoice_issued_id),
+    INDEX idx_end_to_end_id     (end_to_end_id),
+
+    FOREIGN KEY (remittance_id)     REFERENCES sepa_remittances(id) ON DELETE CASCADE,
+    FOREIGN KEY (invoice_issued_id) REFERENCES invoices_issued(id)
+);
@@ -0,0 +1,33 @@
+-- ============================================================
+-- Migración 028: transferencias SEPA a proveedores (pain.001)
+-- sepa_remittances       remittance_type 'credit_transfer': fichero de
+--                        transferencias desde la cuenta de la empresa
+--                        (bank_account). Nace 'generated' y se confirma
+--                        ('confirmed') cuando el banco la ejecuta o se
+--                        anula ('cancelled'); las de adeudo quedan en
+--                        'generated'.
+-- sepa_remittance_items  factura recibida incluida (invoice_received_id).
+-- supplier_payments      los pagos registrados al confirmar llevan el
+--                        sepa_remittance_id de la transferencia.
+-- Mientras la transferencia está sin confirmar sus facturas están en
+-- 'payment_in_progress' con el MsgId en collection_reference.
+-- Depende de: supplier_payments (026), sepa_remittances (027)
+-- ============================================================
+
+USE proyecto_facturas_dev;
+
+ALTER TABLE sepa_remittances
+    ADD COLUMN status       VARCHAR(20) NOT NULL DEFAULT 'generated' AFTER remittance_type,
+    ADD COLUMN bank_account VARCHAR(34) NULL AFTER requested_date,
+    ADD COLUMN confirmed_by INT         NULL AFTER created_by,
+    ADD COLUMN confirmed_at TIMESTAMP   NULL AFTER confirmed_by;
+
+ALTER TABLE sepa_remittance_items
+    ADD COLUMN invoice_received_id INT NULL AFTER invoice_issued_id,
+    ADD INDEX idx_invoice_received_id (invoice_received_id),
+    ADD FOREIGN KEY (invoice_received_id) REFERENCES invoices_received(id);
+
+ALTER TABLE supplier_payments
+    ADD COLUMN sepa_remittance_id INT NULL AFTER payment_run_id,
+    ADD INDEX idx_sepa_remittance_id (sepa_remittance_id),
+    ADD FOREIGN KEY (sepa_remittance_id) REFERENCES sepa_remittances(id);
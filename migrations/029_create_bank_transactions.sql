@@ -0,0 +1,91 @@
+-- ============================================================
+-- Migración 029: extractos bancarios y conciliación
+-- bank_statements            fichero importado (Norma 43 o CAMT.053) por
+--                            cuenta: período, saldos y huella SHA-256 del
+--                            fichero para no importarlo dos veces.
+-- bank_transactions          movimiento del extracto: importe con signo
+--                            (abono > 0, cargo < 0), concepto y referencia.
+--                            line_reference (EXT-{extracto}-{línea}) es la
+--                            referencia de los cobros y pagos que genera.
+--                            Estado: unmatched, partially_matched, matched
+--                            o ignored.
+-- bank_transaction_matches   factura propuesta por el motor de conciliación
+--                            (proposed), aceptada (accepted, con el cobro o
+--                            pago registrado) o descartada (rejected).
+-- Depende de: invoices_issued (008), invoices_received (009),
+--             payments (025), supplier_payments (026)
+-- ============================================================
+
+USE proyecto_facturas_dev;
+
+CREATE TABLE IF NOT EXISTS bank_statements (
+    id                 INT           AUTO_INCREMENT PRIMARY KEY,
+    format             VARCHAR(10)   NOT NULL,
+    file_name          VARCHAR(255)  NULL,
+    file_hash          CHAR(64)      NOT NULL,
+    account_iban       VARCHAR(34)   NOT NULL,
+    currency           VARCHAR(3)    NOT NULL DEFAULT 'EUR',
+    date_from          DATE          NULL,
+    date_to            DATE          NULL,
+    opening_balance    DECIMAL(12,2) NULL,
+    closing_balance    DECIMAL(12,2) NULL,
+    transactions_count INT           NOT NULL DEFAULT 0,
+    imported_by        INT           NULL,
+    created_at         TIMESTAMP     DEFAULT CURRENT_TIMESTAMP,
+
+    UNIQUE KEY uq_file_hash_account (file_hash, account_iban),
+    INDEX idx_account_iban          (account_iban)
+);
+
+CREATE TABLE IF NOT EXISTS bank_transactions (
+    id                INT           AUTO_INCREMENT PRIMARY KEY,
+    statement_id      INT           NOT NULL,
+    line_number       INT           NOT NULL,
+    line_reference    VARCHAR(40)   NOT NULL,
+    account_iban      VARCHAR(34)   NOT NULL,
+    booking_date      DATE          NOT NULL,
+    value_date        DATE          NULL,
+    amount            DECIMAL(12,2) NOT NULL,
+    concept           VARCHAR(500)  NULL,
+    counterparty_name VARCHAR(255)  NULL,
+    reference         VARCHAR(255)  NULL,
+    status            VARCHAR(20)   NOT NULL DEFAULT 'unmatched',
+    matched_amount    DECIMAL(12,2) NOT NULL DEFAULT 0.00,
+    created_at        TIMESTAMP     DEFAULT CURRENT_TIMESTAMP,
+    updated_at        TIMESTAMP     DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    UNIQUE KEY uq_line_reference (line_reference),
+    INDEX idx_statement_id       (statement_id),
+    INDEX idx_status             (status),
+    INDEX idx_booking_date       (booking_date),
+
+    FOREIGN KEY (statement_id) REFERENCES bank_statements(id) ON DELETE CASCADE
+);
+
+CREATE TABLE IF NOT EXISTS bank_transaction_matches (
+    id                  INT           AUTO_INCREMENT PRIMARY KEY,
+    bank_transaction_id INT           NOT NULL,
+    invoice_type        VARCHAR(10)   NOT NULL,
+    invoice_issued_id   INT           NULL,
+    invoice_received_id INT           NULL,
+    amount              DECIMAL(12,2) NOT NULL,
+    score               INT           NOT NULL DEFAULT 0,
+    reasons             VARCHAR(100)  NULL,
+    status              VARCHAR(20)   NOT NULL DEFAULT 'proposed',
+    payment_id          INT           NULL,
+    supplier_payment_id INT           NULL,
+    accepted_by         INT           NULL,
+    accepted_at         TIMESTAMP     NULL,
+    created_at          TIMESTAMP     DEFAULT CURRENT_TIMESTAMP,
+
+    INDEX idx_bank_transaction_id (bank_transaction_id),
+    INDEX idx_invoice_issued_id   (invoice_issued_id),
+    INDEX idx_invoice_received_id (invoice_received_id),
+    INDEX idx_status              (status),
+
+    FOREIGN KEY (bank_transaction_id) REFERENCES bank_transactions(id) ON DELETE CASCADE,
+    FOREIGN KEY (invoice_issued_id)   REFERENCES invoices_issued(id),
+    FOREIGN KEY (invoice_received_id) REFERENCES invoices_received(id),
+    FOREIGN KEY (payment_id)          REFERENCES payments(id),
+    FOREIGN KEY (supplier_payment_id) REFERENCES supplier_payments(id)
+);
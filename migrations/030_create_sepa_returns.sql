@@ -0,0 +1,69 @@
+-- ============================================================
+-- Migración 030: devoluciones de adeudos SEPA y lista de impagos
+-- sepa_returns      adeudo devuelto o rechazado por el banco (importado de
+--                   un pain.002 / CAMT o registrado a mano): factura,
+--                   adeudo de la remesa, motivo R (AM04, MD06...), gastos
+--                   bancarios y, si se repercuten al inquilino, importe y
+--                   estado del cargo (fee_status: none, pending,
+--                   collected o waived). reversed_amount es lo cobrado
+--                   que se deshizo al reabrir la factura.
+-- dunning_entries   lista de impagos: cliente y factura reclamables,
+--                   abierta hasta que se cobra o se resuelve a mano.
+-- Depende de: clients (002), invoices_issued (008),
+--             sepa_remittances (027)
+-- ============================================================
+
+USE proyecto_facturas_dev;
+
+CREATE TABLE IF NOT EXISTS sepa_returns (
+    id                      INT           AUTO_INCREMENT PRIMARY KEY,
+    source                  VARCHAR(10)   NOT NULL DEFAULT 'manual',
+    sepa_remittance_id      INT           NULL,
+    sepa_remittance_item_id INT           NULL,
+    invoice_issued_id       INT           NOT NULL,
+    clients_id              INT           NOT NULL,
+    end_to_end_id           VARCHAR(35)   NULL,
+    return_date             DATE          NOT NULL,
+    amount                  DECIMAL(12,2) NOT NULL,
+    reversed_amount         DECIMAL(12,2) NOT NULL DEFAULT 0.00,
+    reason_code             VARCHAR(4)    NOT NULL,
+    reason_description      VARCHAR(255)  NULL,
+    bank_charges            DECIMAL(12,2) NOT NULL DEFAULT 0.00,
+    fee_amount              DECIMAL(12,2) NOT NULL DEFAULT 0.00,
+    fee_status              VARCHAR(10)   NOT NULL DEFAULT 'none',
+    notes                   TEXT          NULL,
+    created_by              INT           NULL,
+    created_at              TIMESTAMP     DEFAULT CURRENT_TIMESTAMP,
+    updated_at              TIMESTAMP     DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    UNIQUE KEY uq_sepa_remittance_item_id (sepa_remittance_item_id),
+    INDEX idx_invoice_issued_id           (invoice_issued_id),
+    INDEX idx_clients_id                  (clients_id),
+    INDEX idx_return_date                 (return_date),
+    INDEX idx_fee_status                  (fee_status),
+
+    FOREIGN KEY (sepa_remittance_id)      REFERENCES sepa_remittances(id),
+    FOREIGN KEY (sepa_remittance_item_id) REFERENCES sepa_remittance_items(id),
+    FOREIGN KEY (invoice_issued_id)       REFERENCES invoices_issued(id),
+    FOREIGN KEY (clients_id)              REFERENCES clients(id)
+);
+
+CREATE TABLE IF NOT EXISTS dunning_entries (
+    id                INT          AUTO_INCREMENT PRIMARY KEY,
+    clients_id        INT          NOT NULL,
+    invoice_issued_id INT          NOT NULL,
+    sepa_return_id    INT          NULL,
+    reason            VARCHAR(255) NOT NULL,
+    status            VARCHAR(10)  NOT NULL DEFAULT 'open',
+    resolved_by       INT          NULL,
+    resolved_at       TIMESTAMP    NULL,
+    created_at        TIMESTAMP    DEFAULT CURRENT_TIMESTAMP,
+
+    INDEX idx_clients_id        (clients_id),
+    INDEX idx_invoice_issued_id (invoice_issued_id),
+    INDEX idx_status            (status),
+
+    FOREIGN KEY (clients_id)        REFERENCES clients(id),
+    FOREIGN KEY (invoice_issued_id) REFERENCES invoices_issued(id),
+    FOREIGN KEY (sepa_return_id)    REFERENCES sepa_returns(id)
+);
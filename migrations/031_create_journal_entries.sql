@@ -0,0 +1,80 @@
+-- ============================================================
+-- Migración 031: contabilidad por partida doble
+-- ledger_accounts       plan de cuentas (PGC 2007). Se cargan las cuentas
+--                       que usan los asientos automáticos; se pueden añadir
+--                       subcuentas.
+-- journal_entries       libro diario: un asiento por documento y hecho
+--                       contable (source_type + source_id), numerado por
+--                       ejercicio. total es la suma del debe (= haber).
+-- journal_entry_lines   apuntes del asiento (debe o haber por cuenta).
+-- Los asientos se generan solos al crear, modificar, abonar, cobrar o pagar
+-- facturas emitidas, recibidas y gastos internos, y al registrar cobros y
+-- pagos; al borrar el documento se borra su asiento. Los documentos que ya
+-- existían se contabilizan con POST /api/accounting/resync tras aplicarla.
+-- Depende de: payments (025), supplier_payments (026)
+-- ============================================================
+
+USE proyecto_facturas_dev;
+
+CREATE TABLE IF NOT EXISTS ledger_accounts (
+    code         VARCHAR(12)   NOT NULL PRIMARY KEY,
+    name         VARCHAR(255)  NOT NULL,
+    account_type VARCHAR(10)   NOT NULL,
+    created_at   TIMESTAMP     DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS journal_entries (
+    id           INT           AUTO_INCREMENT PRIMARY KEY,
+    fiscal_year  SMALLINT      NOT NULL,
+    entry_number INT           NOT NULL,
+    entry_date   DATE          NOT NULL,
+    description  VARCHAR(255)  NOT NULL,
+    source_type  VARCHAR(30)   NOT NULL,
+    source_id    INT           NOT NULL,
+    total        DECIMAL(12,2) NOT NULL DEFAULT 0.00,
+    created_at   TIMESTAMP     DEFAULT CURRENT_TIMESTAMP,
+    updated_at   TIMESTAMP     DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    UNIQUE KEY uq_source          (source_type, source_id),
+    UNIQUE KEY uq_entry_number    (fiscal_year, entry_number),
+    INDEX idx_entry_date          (entry_date)
+);
+
+CREATE TABLE IF NOT EXISTS journal_entry_lines (
+    id               INT           AUTO_INCREMENT PRIMARY KEY,
+    journal_entry_id INT           NOT NULL,
+    line_number      SMALLINT      NOT NULL,
+    account_code     VARCHAR(12)   NOT NULL,
+    debit            DECIMAL(12,2) NOT NULL DEFAULT 0.00,
+    credit           DECIMAL(12,2) NOT NULL DEFAULT 0.00,
+    concept          VARCHAR(255)  NULL,
+
+    INDEX idx_journal_entry_id (journal_entry_id),
+    INDEX idx_account_code     (account_code),
+
+    FOREIGN KEY (journal_entry_id) REFERENCES journal_entries(id) ON DELETE CASCADE,
+    FOREIGN KEY (account_code)     REFERENCES ledger_accounts(code)
+);
+
+-- Plan de cuentas por defecto (PGC 2007)
+INSERT IGNORE INTO ledger_accounts (code, name, account_type) VALUES
+    ('180',  'Fianzas recibidas a largo plazo',                    'liability'),
+    ('400',  'Proveedores',                                        'liability'),
+    ('410',  'Acreedores por prestaciones de servicios',           'liability'),
+    ('430',  'Clientes',                                           'asset'),
+    ('472',  'Hacienda Pública, IVA soportado',                    'asset'),
+    ('473',  'Hacienda Pública, retenciones y pagos a cuenta',     'asset'),
+    ('4751', 'Hacienda Pública, acreedora por retenciones practicadas', 'liability'),
+    ('477',  'Hacienda Pública, IVA repercutido',                  'liability'),
+    ('570',  'Caja, euros',                                        'asset'),
+    ('572',  'Bancos e instituciones de crédito c/c vista, euros', 'asset'),
+    ('621',  'Arrendamientos y cánones',                           'expense'),
+    ('622',  'Reparaciones y conservación',                        'expense'),
+    ('623',  'Servicios de profesionales independientes',          'expense'),
+    ('625',  'Primas de seguros',                                  'expense'),
+    ('626',  'Servicios bancarios y similares',                    'expense'),
+    ('627',  'Publicidad, propaganda y relaciones públicas',       'expense'),
+    ('628',  'Suministros',                                        'expense'),
+    ('629',  'Otros servicios',                                    'expense'),
+    ('631',  'Otros tributos',                                     'expense'),
+    ('752',  'Ingresos por arrendamientos',                        'income');
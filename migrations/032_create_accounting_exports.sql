@@ -0,0 +1,61 @@
+-- ============================================================
+-- Migración 032: exportación contable (ContaPlus, A3, CSV)
+-- accounting_account_mappings  subcuenta del programa del asesor para cada
+--                              cliente, proveedor o categoría de gasto
+--                              (mapping_key = id del cliente o proveedor, o
+--                              la categoría). Sin mapeo se usa la cuenta del
+--                              PGC completada con ceros y el id.
+-- accounting_exports           lote exportado: formato, periodo y ficheros
+--                              generados (diario y, si el formato lo separa,
+--                              subcuentas / terceros).
+-- accounting_export_items      asientos incluidos en cada lote; un asiento
+--                              solo puede estar en un lote (uq_journal_entry),
+--                              así no se exporta dos veces. Al borrar el lote
+--                              sus asientos vuelven a quedar pendientes.
+-- Depende de: journal_entries (031)
+-- ============================================================
+
+USE proyecto_facturas_dev;
+
+CREATE TABLE IF NOT EXISTS accounting_account_mappings (
+    id           INT           AUTO_INCREMENT PRIMARY KEY,
+    mapping_type VARCHAR(20)   NOT NULL,
+    mapping_key  VARCHAR(100)  NOT NULL,
+    account_code VARCHAR(12)   NOT NULL,
+    created_at   TIMESTAMP     DEFAULT CURRENT_TIMESTAMP,
+    updated_at   TIMESTAMP     DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    UNIQUE KEY uq_mapping (mapping_type, mapping_key)
+);
+
+CREATE TABLE IF NOT EXISTS accounting_exports (
+    id                 INT           AUTO_INCREMENT PRIMARY KEY,
+    format             VARCHAR(20)   NOT NULL,
+    date_from          DATE          NOT NULL,
+    date_to            DATE          NOT NULL,
+    entries_count      INT           NOT NULL DEFAULT 0,
+    total_amount       DECIMAL(14,2) NOT NULL DEFAULT 0.00,
+    journal_file_name  VARCHAR(100)  NOT NULL,
+    journal_content    MEDIUMTEXT    NOT NULL,
+    accounts_file_name VARCHAR(100)  NULL,
+    accounts_content   MEDIUMTEXT    NULL,
+    created_by         INT           NULL,
+    created_at         TIMESTAMP     DEFAULT CURRENT_TIMESTAMP,
+
+    INDEX idx_created_at (created_at)
+);
+
+CREATE TABLE IF NOT EXISTS accounting_export_items (
+    id               INT          AUTO_INCREMENT PRIMARY KEY,
+    export_id        INT          NOT NULL,
+    journal_entry_id INT          NOT NULL,
+    fiscal_year      SMALLINT     NOT NULL,
+    entry_number     INT          NOT NULL,
+    source_type      VARCHAR(30)  NOT NULL,
+    source_id        INT          NOT NULL,
+
+    UNIQUE KEY uq_journal_entry (journal_entry_id),
+    INDEX idx_export_id         (export_id),
+
+    FOREIGN KEY (export_id) REFERENCES accounting_exports(id) ON DELETE CASCADE
+);
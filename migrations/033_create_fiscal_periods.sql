@@ -0,0 +1,46 @@
+-- ============================================================
+-- Migración 033: periodos fiscales y bloqueo de documentos
+-- fiscal_periods        mes, trimestre o ejercicio (period = mes 1-12,
+--                       trimestre 1-4 o 0 en el ejercicio) con sus fechas y
+--                       estado. Con un periodo cerrado no se crean, modifican
+--                       ni eliminan facturas emitidas, recibidas ni gastos
+--                       internos fechados en él; las correcciones se hacen
+--                       con rectificativas en un periodo abierto.
+-- fiscal_period_events  historial de cierres y reaperturas: quién, cuándo,
+--                       desde qué IP y el motivo (obligatorio al reabrir).
+-- ============================================================
+
+USE proyecto_facturas_dev;
+
+CREATE TABLE IF NOT EXISTS fiscal_periods (
+    id           INT          AUTO_INCREMENT PRIMARY KEY,
+    period_type  VARCHAR(10)  NOT NULL,
+    year         SMALLINT     NOT NULL,
+    period       TINYINT      NOT NULL DEFAULT 0,
+    start_date   DATE         NOT NULL,
+    end_date     DATE         NOT NULL,
+    status       VARCHAR(10)  NOT NULL DEFAULT 'open',
+    closed_by    INT          NULL,
+    closed_at    DATETIME     NULL,
+    notes        TEXT         NULL,
+    created_by   INT          NULL,
+    created_at   TIMESTAMP    DEFAULT CURRENT_TIMESTAMP,
+    updated_at   TIMESTAMP    DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    UNIQUE KEY uq_fiscal_period (period_type, year, period),
+    INDEX idx_status_dates      (status, start_date, end_date)
+);
+
+CREATE TABLE IF NOT EXISTS fiscal_period_events (
+    id               INT          AUTO_INCREMENT PRIMARY KEY,
+    fiscal_period_id INT          NOT NULL,
+    action           VARCHAR(10)  NOT NULL,
+    reason           TEXT         NULL,
+    user_id          INT          NULL,
+    ip_address       VARCHAR(45)  NULL,
+    created_at       TIMESTAMP    DEFAULT CURRENT_TIMESTAMP,
+
+    INDEX idx_fiscal_period_id (fiscal_period_id),
+
+    FOREIGN KEY (fiscal_period_id) REFERENCES fiscal_periods(id) ON DELETE CASCADE
+);
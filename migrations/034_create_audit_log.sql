@@ -0,0 +1,28 @@
+-- ============================================================
+-- Migración 034: registro de auditoría de cambios
+-- audit_log  una fila por alta, modificación o baja de facturas emitidas,
+--            recibidas, gastos internos, clientes, propietarios, inmuebles,
+--            relaciones inmueble-propietario y usuarios: quién (user_id y
+--            username, que se conserva aunque se borre el usuario), cuándo,
+--            desde qué IP y los campos cambiados con su valor anterior y
+--            nuevo en changes ({"total": {"before": "121.00", "after": "242.00"}}).
+-- Sin claves foráneas: el registro sobrevive a la baja del registro auditado.
+-- ============================================================
+
+USE proyecto_facturas_dev;
+
+CREATE TABLE IF NOT EXISTS audit_log (
+    id           BIGINT       AUTO_INCREMENT PRIMARY KEY,
+    entity       VARCHAR(30)  NOT NULL,
+    entity_id    INT          NOT NULL,
+    action       VARCHAR(10)  NOT NULL,
+    user_id      INT          NULL,
+    username     VARCHAR(100) NULL,
+    ip_address   VARCHAR(45)  NULL,
+    changes      JSON         NOT NULL,
+    created_at   TIMESTAMP    DEFAULT CURRENT_TIMESTAMP,
+
+    INDEX idx_entity_record (entity, entity_id, created_at),
+    INDEX idx_user_id       (user_id, created_at),
+    INDEX idx_created_at    (created_at)
+);
@@ -0,0 +1,90 @@
+-- ============================================================
+-- Migración 035: reclamación escalonada de facturas vencidas
+-- dunning_levels  niveles configurables: días de retraso desde el
+--                 vencimiento, tipo de carta y plantilla (asunto y
+--                 texto con marcadores {{client_name}}, {{invoice_number}}...).
+--                 Por defecto: recordatorio a los 5 días, requerimiento
+--                 formal a los 30 y borrador de burofax a los 60.
+-- dunning_events  historial por factura y cliente: cartas generadas
+--                 (event_type letter, con el texto ya resuelto para
+--                 reimprimir el PDF tal como se envió), pausas y
+--                 reanudaciones. Una factura recibe cada nivel una sola vez.
+-- dunning_pauses  pausas por compromiso de pago (hasta paused_until) o
+--                 disputa, de todas las facturas del cliente o de una.
+-- Depende de: clients (002), invoices_issued (008)
+-- ============================================================
+
+USE proyecto_facturas_dev;
+
+CREATE TABLE IF NOT EXISTS dunning_levels (
+    id            INT           AUTO_INCREMENT PRIMARY KEY,
+    level         TINYINT       NOT NULL,
+    name          VARCHAR(100)  NOT NULL,
+    days_overdue  SMALLINT      NOT NULL,
+    letter_type   VARCHAR(20)   NOT NULL,
+    subject       VARCHAR(255)  NOT NULL,
+    body          TEXT          NOT NULL,
+    active        BOOLEAN       NOT NULL DEFAULT TRUE,
+    created_at    TIMESTAMP     DEFAULT CURRENT_TIMESTAMP,
+    updated_at    TIMESTAMP     DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    UNIQUE KEY uq_level (level)
+);
+
+CREATE TABLE IF NOT EXISTS dunning_pauses (
+    id                INT          AUTO_INCREMENT PRIMARY KEY,
+    clients_id        INT          NOT NULL,
+    invoice_issued_id INT          NULL,
+    reason            VARCHAR(20)  NOT NULL,
+    paused_until      DATE         NULL,
+    notes             TEXT         NULL,
+    status            VARCHAR(10)  NOT NULL DEFAULT 'active',
+    created_by        INT          NULL,
+    created_at        TIMESTAMP    DEFAULT CURRENT_TIMESTAMP,
+    lifted_by         INT          NULL,
+    lifted_at         TIMESTAMP    NULL,
+
+    INDEX idx_clients_status   (clients_id, status),
+    INDEX idx_invoice_issued_id (invoice_issued_id),
+
+    FOREIGN KEY (clients_id)        REFERENCES clients(id),
+    FOREIGN KEY (invoice_issued_id) REFERENCES invoices_issued(id)
+);
+
+CREATE TABLE IF NOT EXISTS dunning_events (
+    id                 INT           AUTO_INCREMENT PRIMARY KEY,
+    event_type         VARCHAR(10)   NOT NULL,
+    clients_id         INT           NOT NULL,
+    invoice_issued_id  INT           NULL,
+    dunning_pause_id   INT           NULL,
+    level              TINYINT       NULL,
+    letter_type        VARCHAR(20)   NULL,
+    event_date         DATE          NOT NULL,
+    days_overdue       SMALLINT      NULL,
+    outstanding_amount DECIMAL(12,2) NULL,
+    subject            VARCHAR(255)  NULL,
+    body               TEXT          NULL,
+    notes              TEXT          NULL,
+    triggered_by       VARCHAR(10)   NOT NULL DEFAULT 'manual',
+    created_by         INT           NULL,
+    created_at         TIMESTAMP     DEFAULT CURRENT_TIMESTAMP,
+
+    UNIQUE KEY uq_invoice_level (invoice_issued_id, level),
+    INDEX idx_clients_id        (clients_id),
+    INDEX idx_event_date        (event_date),
+
+    FOREIGN KEY (clients_id)        REFERENCES clients(id),
+    FOREIGN KEY (invoice_issued_id) REFERENCES invoices_issued(id),
+    FOREIGN KEY (dunning_pause_id)  REFERENCES dunning_pauses(id)
+);
+
+INSERT IGNORE INTO dunning_levels (level, name, days_overdue, letter_type, subject, body) VALUES
+    (1, 'Recordatorio amistoso', 5, 'reminder',
+     'Recordatorio de pago de la factura {{invoice_number}}',
+     'Estimado/a {{client_name}}:\n\nLe recordamos que la factura {{invoice_number}} de fecha {{invoice_date}}, correspondiente al inmueble {{estate_address}}, venció el {{due_date}} y a día de hoy figura pendiente un importe de {{outstanding_amount}}.\n\nEs posible que se trate de un descuido o que el pago se haya cruzado con esta comunicación; en tal caso, le rogamos que no tenga en cuenta este aviso. Si no es así, puede realizar el ingreso en la cuenta {{company_bank_account}} indicando el número de factura.\n\nQuedamos a su disposición para cualquier aclaración.'),
+    (2, 'Requerimiento formal de pago', 30, 'formal_notice',
+     'Requerimiento de pago de la factura {{invoice_number}}',
+     'Estimado/a {{client_name}}:\n\nPese a nuestro recordatorio anterior, la factura {{invoice_number}} de fecha {{invoice_date}}, correspondiente al inmueble {{estate_address}}, sigue pendiente de pago {{days_overdue}} días después de su vencimiento ({{due_date}}). El importe adeudado asciende a {{outstanding_amount}}.\n\nPor medio de la presente le requerimos formalmente para que abone dicha cantidad en el plazo de diez días en la cuenta {{company_bank_account}}. Transcurrido ese plazo sin recibir el pago nos veremos obligados a iniciar las acciones que correspondan para su reclamación.'),
+    (3, 'Borrador de burofax', 60, 'burofax',
+     'Reclamación de cantidad: factura {{invoice_number}}',
+     'D./Dña. {{client_name}} (NIF {{client_identification}}):\n\nEn nombre de {{company_name}}, y en relación con el arrendamiento del inmueble situado en {{estate_address}}, le comunicamos que la factura {{invoice_number}} de fecha {{invoice_date}}, vencida el {{due_date}}, permanece impagada {{days_overdue}} días después de su vencimiento, con un importe pendiente de {{outstanding_amount}}, a pesar de los requerimientos previos.\n\nLe requerimos de forma fehaciente para que en el plazo de siete días naturales desde la recepción de este burofax abone la totalidad de la deuda en la cuenta {{company_bank_account}}. En caso contrario, se iniciarán sin más aviso las acciones judiciales oportunas para el cobro de la deuda y, en su caso, la resolución del contrato de arrendamiento por falta de pago, con los gastos y costas a su cargo.');
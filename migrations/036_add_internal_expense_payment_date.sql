@@ -0,0 +1,20 @@
+-- ============================================================
+-- Migración 036: fecha de pago de los gastos internos
+-- internal_expenses  payment_date: día en que se pagó el gasto, que se
+--                    guarda al marcarlo como pagado y fecha el asiento
+--                    de pago (internal_expense_payment).
+-- Los gastos ya pagados toman la fecha de su asiento de pago o, si no
+-- lo tienen, la de su última modificación.
+-- Depende de: internal_expenses (010), journal_entries (031)
+-- ============================================================
+
+USE proyecto_facturas_dev;
+
+ALTER TABLE internal_expenses
+    ADD COLUMN payment_date DATE NULL AFTER approval_date;
+
+UPDATE internal_expenses ie
+    LEFT JOIN journal_entries je
+        ON je.source_type = 'internal_expense_payment' AND je.source_id = ie.id
+SET ie.payment_date = COALESCE(je.entry_date, DATE(ie.updated_at))
+WHERE ie.status = 'paid';
@@ -0,0 +1,22 @@
+-- ============================================================
+-- Migración 037: gastos de devolución facturados y contabilizados
+-- sepa_returns      fee_invoice_id: factura emitida al inquilino por los
+--                   gastos repercutidos (fee_status 'invoiced'); el cargo
+--                   se cobra o se anula como cualquier otra factura.
+-- ledger_accounts   759 para el ingreso de los gastos repercutidos; los
+--                   gastos bancarios de cada devolución se contabilizan en
+--                   la 626 contra bancos (source_type 'sepa_return').
+-- Los asientos de las devoluciones ya registradas se generan con
+-- POST /api/accounting/resync.
+-- Depende de: sepa_returns (030), journal_entries (031)
+-- ============================================================
+
+USE proyecto_facturas_dev;
+
+ALTER TABLE sepa_returns
+    ADD COLUMN fee_invoice_id INT NULL AFTER fee_status,
+    ADD INDEX idx_fee_invoice_id (fee_invoice_id),
+    ADD FOREIGN KEY (fee_invoice_id) REFERENCES invoices_issued(id) ON DELETE SET NULL;
+
+INSERT IGNORE INTO ledger_accounts (code, name, account_type) VALUES
+    ('759', 'Ingresos por servicios diversos', 'income');
@@ -0,0 +1,52 @@
+-- ============================================================
+-- Migración 038: reclamación escalonada y lista de impagos enlazadas
+-- dunning_events  sepa_return_id: las devoluciones de adeudo entran en el
+--                 historial de la factura y del cliente (event_type return).
+-- dunning_pauses  dunning_entry_id: resolver una entrada de la lista de
+--                 impagos pausa las cartas de esa factura (reason resolved)
+--                 hasta que se levante la pausa o el adeudo se vuelva a
+--                 devolver.
+-- Las devoluciones ya registradas pasan al historial y las entradas ya
+-- resueltas de facturas que siguen pendientes quedan pausadas.
+-- Depende de: sepa_returns (030), dunning_events (035)
+-- ============================================================
+
+USE proyecto_facturas_dev;
+
+ALTER TABLE dunning_events
+    ADD COLUMN sepa_return_id INT NULL AFTER dunning_pause_id,
+    ADD INDEX idx_sepa_return_id (sepa_return_id),
+    ADD FOREIGN KEY (sepa_return_id) REFERENCES sepa_returns(id);
+
+ALTER TABLE dunning_pauses
+    ADD COLUMN dunning_entry_id INT NULL AFTER invoice_issued_id,
+    ADD INDEX idx_dunning_entry_id (dunning_entry_id),
+    ADD FOREIGN KEY (dunning_entry_id) REFERENCES dunning_entries(id);
+
+INSERT INTO dunning_events (event_type, clients_id, invoice_issued_id, sepa_return_id, event_date,
+                            outstanding_amount, notes, triggered_by, created_by)
+SELECT 'return', sr.clients_id, sr.invoice_issued_id, sr.id, sr.return_date, sr.amount,
+       CONCAT('Adeudo devuelto (', sr.reason_code, IF(sr.reason_description IS NULL, '', CONCAT(': ', sr.reason_description)), ')'),
+       'manual', sr.created_by
+FROM sepa_returns sr
+WHERE NOT EXISTS (SELECT 1 FROM dunning_events ev WHERE ev.sepa_return_id = sr.id);
+
+-- Solo la última entrada de cada factura, y si no se ha cobrado
+INSERT INTO dunning_pauses (clients_id, invoice_issued_id, dunning_entry_id, reason, notes, created_by, created_at)
+SELECT de.clients_id, de.invoice_issued_id, de.id, 'resolved', 'Resuelta en la lista de impagos',
+       de.resolved_by, COALESCE(de.resolved_at, NOW())
+FROM dunning_entries de
+         JOIN invoices_issued ii ON de.invoice_issued_id = ii.id
+WHERE de.status = 'resolved'
+  AND ii.collection_status IN ('pending', 'partially_collected', 'overdue')
+  AND NOT EXISTS (SELECT 1 FROM dunning_entries newer
+                  WHERE newer.invoice_issued_id = de.invoice_issued_id
+                    AND newer.id > de.id)
+  AND NOT EXISTS (SELECT 1 FROM dunning_pauses dp WHERE dp.dunning_entry_id = de.id);
+
+INSERT INTO dunning_events (event_type, clients_id, invoice_issued_id, dunning_pause_id, event_date, notes,
+                            triggered_by, created_by)
+SELECT 'pause', dp.clients_id, dp.invoice_issued_id, dp.id, DATE(dp.created_at), dp.notes, 'manual', dp.created_by
+FROM dunning_pauses dp
+WHERE dp.reason = 'resolved'
+  AND NOT EXISTS (SELECT 1 FROM dunning_events ev WHERE ev.dunning_pause_id = dp.id);
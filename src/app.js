@@ -29,7 +29,26 @@ import suppliersRoutes from "./routes/suppliersRoutes.js";
 import invoicesReceivedRoutes from "./routes/invoicesReceivedRoutes.js";
 import internalExpensesRoutes from "./routes/internalExpensesRoutes.js";
 import invoicesIssuedRoutes from "./routes/invoicesIssuedRoutes.js";
+import leasesRoutes from "./routes/leasesRoutes.js";
+import depositsRoutes from "./routes/depositsRoutes.js";
+import rentReviewsRoutes from "./routes/rentReviewsRoutes.js";
+import paymentsRoutes from "./routes/paymentsRoutes.js";
+import supplierPaymentsRoutes from "./routes/supplierPaymentsRoutes.js";
+import paymentRunsRoutes from "./routes/paymentRunsRoutes.js";
+import sepaRemittancesRoutes from "./routes/sepaRemittancesRoutes.js";
+import sepaReturnsRoutes from "./routes/sepaReturnsRoutes.js";
+import accountingRoutes from "./routes/accountingRoutes.js";
+import accountingExportsRoutes from "./routes/accountingExportsRoutes.js";
+import fiscalPeriodsRoutes from "./routes/fiscalPeriodsRoutes.js";
+import auditRoutes from "./routes/auditRoutes.js";
+import dunningRoutes from "./routes/dunningRoutes.js";
+import bankTransactionsRoutes from "./routes/bankTransactionsRoutes.js";
+import billingRunsRoutes from "./routes/billingRunsRoutes.js";
+import invoiceSeriesRoutes from "./routes/invoiceSeriesRoutes.js";
+import allocationsRoutes from "./routes/allocationsRoutes.js";
+import verifactuRoutes from "./routes/verifactuRoutes.js";
 import VATBookRoutes from "./routes/VATBookRoutes.js";
+import taxReportsRoutes from "./routes/taxReportsRoutes.js";
 import dashboardRoutes from "./routes/dashboardRoutes.js";
 import settingsRoutes from "./routes/settingsRoutes.js";
 import notificationsRoutes from "./routes/notificationsRoutes.js";
@@ -105,11 +124,30 @@ app.use('/api/cadastral', cadastralRoutes);
 app.use('/api/estate-owners', estatesOwnersRoutes);
 app.use('/api/invoices-received', invoicesReceivedRoutes);
 app.use('/api/invoices-issued', invoicesIssuedRoutes);
+app.use('/api/leases', leasesRoutes);
+app.use('/api/deposits', depositsRoutes);
+app.use('/api/rent-reviews', rentReviewsRoutes);
+app.use('/api/payments', paymentsRoutes);
+app.use('/api/supplier-payments', supplierPaymentsRoutes);
+app.use('/api/payment-runs', paymentRunsRoutes);
+app.use('/api/sepa-remittances', sepaRemittancesRoutes);
+app.use('/api/sepa-returns', sepaReturnsRoutes);
+app.use('/api/bank-transactions', bankTransactionsRoutes);
+app.use('/api/billing-runs', billingRunsRoutes);
+app.use('/api/invoice-series', invoiceSeriesRoutes);
+app.use('/api/verifactu', verifactuRoutes);
 app.use('/api/internal-expenses', internalExpensesRoutes);
+app.use('/api/allocations', allocationsRoutes);
 app.use('/api/vat-book', VATBookRoutes);
+app.use('/api/tax-reports', taxReportsRoutes);
 app.use('/api/dashboard', dashboardRoutes);
 app.use('/api/settings', settingsRoutes);
 app.use('/api/notifications', notificationsRoutes);
+app.use('/api/accounting', accountingRoutes);
+app.use('/api/accounting-exports', accountingExportsRoutes);
+app.use('/api/fiscal-periods', fiscalPeriodsRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/dunning', dunningRoutes);
 
 // Health check (sin autenticación ni rate-limit)
 app.use('/api/health', healthRoutes);
@@ -15,8 +15,41 @@ import fs from 'fs';
 import ExcelGenerator from "../shared/utils/excelGenerador/ExcelGenerator.js";
 import CompanyService from "../services/CompanyService.js";
 import {generateVATBookPDFContent} from "../shared/utils/Pdf-VATBook/vatBookPdfGenerator.js";
+import {generateModelo303PDFContent} from "../shared/utils/Pdf-VATBook/modelo303PdfGenerator.js";
+import Modelo303Service from "../services/modelo303Services.js";
 import { vatBookExportDTO, vatBookPDFDTO, validateCompanyDTO } from '../dto/VATBook.dto.js';
 
+/**
+ * Error de validación de año/trimestre del modelo 303 (null si son válidos)
+ */
+const modelo303PeriodError = (year, quarter) => {
+    if (!year || isNaN(Number(year))) {
+        return {
+            success: false,
+            message: "Año requerido y debe ser válido",
+            errors: ["El año debe ser un número válido"]
+        };
+    }
+    if (!quarter || isNaN(Number(quarter)) || Number(quarter) < 1 || Number(quarter) > 4) {
+        return {
+            success: false,
+            message: "Trimestre debe ser entre 1 y 4",
+            errors: ["El trimestre debe estar entre 1 y 4"]
+        };
+    }
+    return null;
+};
+
+/**
+ * Opciones del modelo 303 desde query (GET) o body (POST)
+ */
+const modelo303Options = (source = {}) => ({
+    request_refund: source.request_refund === true || source.request_refund === 'true',
+    previous_compensation: source.previous_compensation !== undefined && source.previous_compensation !== ''
+        ? Number(source.previous_compensation)
+        : null
+});
+
 /**
  * Controlador para la gestión del Libro de IVA
  */
@@ -749,5 +782,142 @@ export default class VATBookController {
         }
     }
 
+    // ==========================================
+    // MODELO 303
+    // ==========================================
+
+    /**
+     * Casillas del modelo 303 del trimestre (sin guardar)
+     *
+     * @example
+     * // GET /api/vat-book/modelo-303/2024/1?previous_compensation=120.50
+     */
+    static async getModelo303(req, res, next) {
+        try {
+            const {year, quarter} = req.params;
+            const periodError = modelo303PeriodError(year, quarter);
+            if (periodError) return res.status(400).json(periodError);
+
+            const declaration = await Modelo303Service.getModelo303(Number(year), Number(quarter), modelo303Options(req.query));
+
+            return res.status(200).json({
+                success: true,
+                message: `Modelo 303 ${quarter}T ${year} generado correctamente`,
+                data: declaration
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Guarda el modelo 303 del trimestre (la compensación pasa al siguiente)
+     *
+     * @example
+     * // POST /api/vat-book/modelo-303/2024/1
+     * // Body: { request_refund: false }
+     */
+    static async saveModelo303(req, res, next) {
+        try {
+            const {year, quarter} = req.params;
+            const periodError = modelo303PeriodError(year, quarter);
+            if (periodError) return res.status(400).json(periodError);
+
+            const declaration = await Modelo303Service.saveModelo303(
+                Number(year),
+                Number(quarter),
+                modelo303Options(req.body),
+                req.user?.id ?? null
+            );
+
+            return res.status(201).json({
+                success: true,
+                message: `Modelo 303 ${quarter}T ${year} guardado correctamente`,
+                data: declaration
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Modelos 303 guardados (histórico de compensaciones)
+     *
+     * @example
+     * // GET /api/vat-book/modelo-303
+     */
+    static async getStoredModelo303(req, res, next) {
+        try {
+            const returns = await Modelo303Service.getStoredReturns();
 
-}
\ No newline at end of file
+            return res.status(200).json({
+                success: true,
+                data: returns
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Fichero del modelo 303 para importar en el formulario de la AEAT
+     *
+     * @example
+     * // GET /api/vat-book/modelo-303/2024/1/file
+     */
+    static async downloadModelo303File(req, res, next) {
+        try {
+            const {year, quarter} = req.params;
+            const periodError = modelo303PeriodError(year, quarter);
+            if (periodError) return res.status(400).json(periodError);
+
+            const {filename, content} = await Modelo303Service.getModelo303File(Number(year), Number(quarter), modelo303Options(req.query));
+
+            res.setHeader('Content-Type', 'text/plain; charset=ISO-8859-1');
+            res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+            return res.status(200).send(content);
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Borrador en PDF del modelo 303
+     *
+     * @example
+     * // GET /api/vat-book/modelo-303/2024/1/pdf
+     */
+    static async downloadModelo303PDF(req, res, next) {
+        try {
+            const {year, quarter} = req.params;
+            const periodError = modelo303PeriodError(year, quarter);
+            if (periodError) return res.status(400).json(periodError);
+
+            const declaration = await Modelo303Service.getModelo303(Number(year), Number(quarter), modelo303Options(req.query));
+            const companyData = CompanyService.getCompanyData();
+
+            const PDFDocument = (await import('pdfkit')).default;
+            const doc = new PDFDocument({
+                size: 'A4',
+                margins: { top: 50, bottom: 50, left: 50, right: 50 }
+            });
+
+            res.setHeader('Content-Type', 'application/pdf');
+            res.setHeader('Content-Disposition', `attachment; filename="Modelo-303-${year}-${quarter}T-borrador.pdf"`);
+            doc.pipe(res);
+
+            generateModelo303PDFContent(doc, declaration, companyData);
+
+            doc.end();
+
+        } catch (error) {
+            if (!res.headersSent) {
+                next(error);
+            }
+        }
+    }
+}
@@ -0,0 +1,102 @@
+import AccountingService from "../services/accountingServices.js";
+import { ledgerAccountDTO } from "../dto/accounting.dto.js";
+
+const dateFilters = (query) => ({
+    date_from: query.date_from || null,
+    date_to: query.date_to || null
+});
+
+export default class AccountingController {
+
+    // ==========================================
+    // PLAN DE CUENTAS
+    // ==========================================
+
+    static async getAccounts(req, res, next) {
+        try {
+            const accounts = await AccountingService.getAccounts();
+            if (!accounts.length) {
+                return res.status(404).json({ success: false, message: "El plan de cuentas está vacío" });
+            }
+            return res.status(200).json({ success: true, data: accounts });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async createAccount(req, res, next) {
+        try {
+            const created = await AccountingService.createAccount(ledgerAccountDTO(req.body));
+            return res.status(201).json({ success: true, data: created[0] });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    // ==========================================
+    // LIBRO DIARIO, MAYOR Y BALANCE
+    // ==========================================
+
+    static async getJournal(req, res, next) {
+        try {
+            const entries = await AccountingService.getJournal({
+                ...dateFilters(req.query),
+                source_type: req.query.source_type || null,
+                account_code: req.query.account_code || null
+            });
+            if (!entries.length) {
+                return res.status(404).json({ success: false, message: "No se encontraron asientos" });
+            }
+            return res.status(200).json({ success: true, data: entries });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async getEntryById(req, res, next) {
+        try {
+            const { id } = req.params;
+            if (!id || isNaN(Number(id))) {
+                return res.status(400).json({ success: false, message: "ID inválido" });
+            }
+            const entries = await AccountingService.getEntryById(Number(id));
+            if (!entries.length) {
+                return res.status(404).json({ success: false, message: "Asiento no encontrado" });
+            }
+            return res.status(200).json({ success: true, data: entries[0] });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async getLedger(req, res, next) {
+        try {
+            const ledger = await AccountingService.getLedger(req.params.code, dateFilters(req.query));
+            return res.status(200).json({ success: true, data: ledger });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async getTrialBalance(req, res, next) {
+        try {
+            const balance = await AccountingService.getTrialBalance(dateFilters(req.query));
+            return res.status(200).json({ success: true, data: balance });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    // ==========================================
+    // REGENERACIÓN
+    // ==========================================
+
+    static async resync(req, res, next) {
+        try {
+            const result = await AccountingService.syncAll();
+            return res.status(200).json({ success: true, data: result });
+        } catch (error) {
+            next(error);
+        }
+    }
+}
@@ -0,0 +1,146 @@
+import AccountingExportService from "../services/accountingExportServices.js";
+import { accountMappingDTO, accountingExportDTO } from "../dto/accounting.dto.js";
+
+const invalidId = (res) => res.status(400).json({ success: false, message: "ID inválido" });
+
+export default class AccountingExportsController {
+
+    // ==========================================
+    // MAPEO DE SUBCUENTAS
+    // ==========================================
+
+    static async getMappings(req, res, next) {
+        try {
+            const mappings = await AccountingExportService.getMappings(req.query.mapping_type || null);
+            return res.status(200).json({ success: true, data: mappings });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async createMapping(req, res, next) {
+        try {
+            const created = await AccountingExportService.createMapping(accountMappingDTO(req.body));
+            return res.status(201).json({ success: true, data: created[0] });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async updateMapping(req, res, next) {
+        try {
+            const { id } = req.params;
+            if (!id || isNaN(Number(id))) return invalidId(res);
+
+            const updated = await AccountingExportService.updateMapping(Number(id), accountMappingDTO(req.body).account_code);
+            if (!updated.length) {
+                return res.status(404).json({ success: false, message: "Mapeo no encontrado" });
+            }
+            return res.status(200).json({ success: true, data: updated[0] });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async deleteMapping(req, res, next) {
+        try {
+            const { id } = req.params;
+            if (!id || isNaN(Number(id))) return invalidId(res);
+
+            const deleted = await AccountingExportService.deleteMapping(Number(id));
+            if (!deleted.length) {
+                return res.status(404).json({ success: false, message: "Mapeo no encontrado" });
+            }
+            return res.status(200).json({ success: true, message: "Mapeo eliminado" });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    // ==========================================
+    // LOTES
+    // ==========================================
+
+    static async getExports(req, res, next) {
+        try {
+            const batches = await AccountingExportService.getExports();
+            if (!batches.length) {
+                return res.status(404).json({ success: false, message: "No hay exportaciones" });
+            }
+            return res.status(200).json({ success: true, data: batches });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async getPendingEntries(req, res, next) {
+        try {
+            const entries = await AccountingExportService.getPendingEntries({
+                date_from: req.query.date_from,
+                date_to: req.query.date_to
+            });
+            return res.status(200).json({ success: true, data: entries });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async getExportById(req, res, next) {
+        try {
+            const { id } = req.params;
+            if (!id || isNaN(Number(id))) return invalidId(res);
+
+            const batches = await AccountingExportService.getExportById(Number(id));
+            if (!batches.length) {
+                return res.status(404).json({ success: false, message: "Exportación no encontrada" });
+            }
+            return res.status(200).json({ success: true, data: batches[0] });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async downloadFile(req, res, next) {
+        try {
+            const { id } = req.params;
+            if (!id || isNaN(Number(id))) return invalidId(res);
+
+            const file = await AccountingExportService.getExportFile(Number(id), req.query.type || 'journal');
+            if (!file.length) {
+                return res.status(404).json({ success: false, message: "Exportación no encontrada" });
+            }
+            res.setHeader('Content-Type', file[0].content_type);
+            res.setHeader('Content-Disposition', `attachment; filename="${file[0].file_name}"`);
+            return res.status(200).send(file[0].content);
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async createExport(req, res, next) {
+        try {
+            const result = await AccountingExportService.createExport({
+                ...accountingExportDTO(req.body),
+                created_by: req.user?.id ?? null
+            });
+            return res.status(201).json({ success: true, data: result[0] });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async deleteExport(req, res, next) {
+        try {
+            const { id } = req.params;
+            if (!id || isNaN(Number(id))) return invalidId(res);
+
+            const deleted = await AccountingExportService.deleteExport(Number(id));
+            if (!deleted.length) {
+                return res.status(404).json({ success: false, message: "Exportación no encontrada" });
+            }
+            return res.status(200).json({ success: true, message: "Exportación anulada; sus asientos vuelven a estar pendientes" });
+        } catch (error) {
+            next(error);
+        }
+    }
+}
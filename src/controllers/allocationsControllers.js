@@ -0,0 +1,190 @@
+import AllocationService from "../services/allocationServices.js";
+import { createAllocationKeyDTO, updateAllocationKeyDTO, allocationRuleDTO } from "../dto/allocation.dto.js";
+
+export default class AllocationsController {
+
+    // ==========================================
+    // CLAVES DE REPARTO
+    // ==========================================
+
+    static async getAllKeys(req, res, next) {
+        try {
+            const keys = await AllocationService.getAllKeys();
+            if (!keys.length) {
+                return res.status(404).json({ success: false, message: "No se encontraron claves de reparto" });
+            }
+            return res.status(200).json({ success: true, data: keys });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async getKeyById(req, res, next) {
+        try {
+            const { id } = req.params;
+            if (!id || isNaN(Number(id))) {
+                return res.status(400).json({ success: false, message: "ID inválido" });
+            }
+            const result = await AllocationService.getKeyById(Number(id));
+            if (!result.length) {
+                return res.status(404).json({ success: false, message: "Clave de reparto no encontrada" });
+            }
+            return res.status(200).json({ success: true, data: result });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async previewKey(req, res, next) {
+        try {
+            const { id } = req.params;
+            if (!id || isNaN(Number(id))) {
+                return res.status(400).json({ success: false, message: "ID inválido" });
+            }
+            const amount = req.query.amount !== undefined ? Number(req.query.amount) : 100;
+            const result = await AllocationService.previewKey(Number(id), amount);
+            return res.status(200).json({ success: true, data: result });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async createKey(req, res, next) {
+        try {
+            const dto = createAllocationKeyDTO(req.body);
+            const result = await AllocationService.createKey(dto);
+            return res.status(201).json({ success: true, data: result });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async updateKey(req, res, next) {
+        try {
+            const { id } = req.params;
+            if (!id || isNaN(Number(id))) {
+                return res.status(400).json({ success: false, message: "ID inválido" });
+            }
+            const dto = updateAllocationKeyDTO(req.body);
+            const result = await AllocationService.updateKey(Number(id), dto);
+            if (!result.length) {
+                return res.status(404).json({ success: false, message: "Clave de reparto no encontrada" });
+            }
+            return res.status(200).json({ success: true, data: result });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async deleteKey(req, res, next) {
+        try {
+            const { id } = req.params;
+            if (!id || isNaN(Number(id))) {
+                return res.status(400).json({ success: false, message: "ID inválido" });
+            }
+            const result = await AllocationService.deleteKey(Number(id));
+            if (!result.length) {
+                return res.status(404).json({ success: false, message: "Clave de reparto no encontrada" });
+            }
+            return res.status(204).send();
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    // ==========================================
+    // REGLAS DE REPARTO
+    // ==========================================
+
+    static async getAllRules(req, res, next) {
+        try {
+            const rules = await AllocationService.getAllRules();
+            if (!rules.length) {
+                return res.status(404).json({ success: false, message: "No se encontraron reglas de reparto" });
+            }
+            return res.status(200).json({ success: true, data: rules });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async createRule(req, res, next) {
+        try {
+            const dto = allocationRuleDTO(req.body);
+            const result = await AllocationService.createRule(dto);
+            return res.status(201).json({ success: true, data: result });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async updateRule(req, res, next) {
+        try {
+            const { id } = req.params;
+            if (!id || isNaN(Number(id))) {
+                return res.status(400).json({ success: false, message: "ID inválido" });
+            }
+            const dto = allocationRuleDTO(req.body);
+            const result = await AllocationService.updateRule(Number(id), dto);
+            if (!result.length) {
+                return res.status(404).json({ success: false, message: "Regla de reparto no encontrada" });
+            }
+            return res.status(200).json({ success: true, data: result });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async deleteRule(req, res, next) {
+        try {
+            const { id } = req.params;
+            if (!id || isNaN(Number(id))) {
+                return res.status(400).json({ success: false, message: "ID inválido" });
+            }
+            const result = await AllocationService.deleteRule(Number(id));
+            if (!result.length) {
+                return res.status(404).json({ success: false, message: "Regla de reparto no encontrada" });
+            }
+            return res.status(204).send();
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    // ==========================================
+    // REPARTO DE GASTOS
+    // ==========================================
+
+    static async getExpenseAllocation(req, res, next) {
+        try {
+            const { type, id } = req.params;
+            const result = await AllocationService.getExpenseAllocation(type, Number(id));
+            if (!result.length) {
+                return res.status(404).json({ success: false, message: "El gasto no tiene reparto guardado" });
+            }
+            return res.status(200).json({ success: true, data: result });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async reallocateExpense(req, res, next) {
+        try {
+            const { type, id } = req.params;
+            const result = await AllocationService.allocateExpense(type, Number(id));
+            return res.status(200).json({ success: true, data: result });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async runAllocation(req, res, next) {
+        try {
+            const { year, only_missing } = req.body;
+            const result = await AllocationService.runAllocation(Number(year), only_missing !== false && only_missing !== 'false');
+            return res.status(200).json({ success: true, data: result });
+        } catch (error) {
+            next(error);
+        }
+    }
+}
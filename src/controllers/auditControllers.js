@@ -0,0 +1,42 @@
+import AuditService from "../services/auditServices.js";
+
+export default class AuditController {
+
+    static async getLog(req, res, next) {
+        try {
+            const entries = await AuditService.getLog({
+                entity: req.query.entity || null,
+                entity_id: req.query.entity_id ? Number(req.query.entity_id) : null,
+                action: req.query.action || null,
+                user_id: req.query.user_id ? Number(req.query.user_id) : null,
+                date_from: req.query.date_from || null,
+                date_to: req.query.date_to || null,
+                limit: req.query.limit ? Number(req.query.limit) : 100,
+                offset: req.query.offset ? Number(req.query.offset) : 0
+            });
+            return res.status(200).json({ success: true, data: entries });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Handler del historial de un registro para las rutas /:id/history de cada entidad
+     * @param {string} entity - clave de AUDIT_ENTITIES
+     */
+    static history(entity) {
+        return async (req, res, next) => {
+            try {
+                const { id } = req.params;
+                if (!id || isNaN(Number(id))) {
+                    return res.status(400).json({ success: false, message: "ID inválido" });
+                }
+
+                const entries = await AuditService.getHistory(entity, Number(id));
+                return res.status(200).json({ success: true, data: entries });
+            } catch (error) {
+                next(error);
+            }
+        };
+    }
+}
@@ -0,0 +1,140 @@
+import BankTransactionService from "../services/bankTransactionServices.js";
+import { acceptMatchDTO, matchTransactionsDTO, splitTransactionDTO } from "../dto/bankTransaction.dto.js";
+import { auditContext } from "../shared/helpers/auditHelpers.js";
+
+export default class BankTransactionsController {
+
+    // ==========================================
+    // EXTRACTOS
+    // ==========================================
+
+    static async importStatement(req, res, next) {
+        try {
+            if (!req.file) {
+                return res.status(400).json({ success: false, message: "Debe adjuntar el fichero del extracto (statement_file)" });
+            }
+            const result = await BankTransactionService.importStatement(req.file, req.user?.id ?? null);
+            return res.status(201).json({ success: true, data: result });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async getStatements(req, res, next) {
+        try {
+            const statements = await BankTransactionService.getStatements();
+            if (!statements.length) {
+                return res.status(404).json({ success: false, message: "No se encontraron extractos bancarios" });
+            }
+            return res.status(200).json({ success: true, data: statements });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    // ==========================================
+    // MOVIMIENTOS
+    // ==========================================
+
+    static async getTransactions(req, res, next) {
+        try {
+            const transactions = await BankTransactionService.getTransactions({
+                status: req.query.status || null,
+                statement_id: req.query.statement_id ? Number(req.query.statement_id) : null,
+                date_from: req.query.date_from || null,
+                date_to: req.query.date_to || null
+            });
+            if (!transactions.length) {
+                return res.status(404).json({ success: false, message: "No se encontraron movimientos bancarios" });
+            }
+            return res.status(200).json({ success: true, data: transactions });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async getTransactionById(req, res, next) {
+        try {
+            const { id } = req.params;
+            if (!id || isNaN(Number(id))) {
+                return res.status(400).json({ success: false, message: "ID inválido" });
+            }
+            const result = await BankTransactionService.getTransactionById(Number(id));
+            if (!result.length) {
+                return res.status(404).json({ success: false, message: "Movimiento bancario no encontrado" });
+            }
+            return res.status(200).json({ success: true, data: result[0] });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    // ==========================================
+    // CONCILIACIÓN
+    // ==========================================
+
+    static async matchTransactions(req, res, next) {
+        try {
+            const result = await BankTransactionService.matchTransactions(matchTransactionsDTO(req.body));
+            return res.status(200).json({ success: true, data: result });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async acceptMatch(req, res, next) {
+        try {
+            const { id, matchId } = req.params;
+            if (!id || isNaN(Number(id)) || !matchId || isNaN(Number(matchId))) {
+                return res.status(400).json({ success: false, message: "ID inválido" });
+            }
+            const result = await BankTransactionService.acceptMatch(Number(id), Number(matchId), {
+                ...acceptMatchDTO(req.body),
+                accepted_by: req.user?.id ?? null
+            }, auditContext(req));
+            return res.status(200).json({ success: true, data: result[0] });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async rejectMatch(req, res, next) {
+        try {
+            const { id, matchId } = req.params;
+            if (!id || isNaN(Number(id)) || !matchId || isNaN(Number(matchId))) {
+                return res.status(400).json({ success: false, message: "ID inválido" });
+            }
+            const result = await BankTransactionService.rejectMatch(Number(id), Number(matchId));
+            return res.status(200).json({ success: true, data: result[0] });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async splitTransaction(req, res, next) {
+        try {
+            const { id } = req.params;
+            if (!id || isNaN(Number(id))) {
+                return res.status(400).json({ success: false, message: "ID inválido" });
+            }
+            const { allocations } = splitTransactionDTO(req.body);
+            const result = await BankTransactionService.splitTransaction(Number(id), allocations, req.user?.id ?? null, auditContext(req));
+            return res.status(200).json({ success: true, data: result[0] });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async ignoreTransaction(req, res, next) {
+        try {
+            const { id } = req.params;
+            if (!id || isNaN(Number(id))) {
+                return res.status(400).json({ success: false, message: "ID inválido" });
+            }
+            const result = await BankTransactionService.ignoreTransaction(Number(id));
+            return res.status(200).json({ success: true, data: result[0] });
+        } catch (error) {
+            next(error);
+        }
+    }
+}
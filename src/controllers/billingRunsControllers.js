@@ -0,0 +1,49 @@
+import BillingRunsService from "../services/billingRunsServices.js";
+import { auditContext } from "../shared/helpers/auditHelpers.js";
+
+export default class BillingRunsController {
+
+    static async runMonthlyBilling(req, res, next) {
+        try {
+            const { year, month, dry_run } = req.body;
+            const result = await BillingRunsService.runMonthlyBilling({
+                year: Number(year),
+                month: Number(month),
+                dry_run: dry_run === true || dry_run === 'true',
+                triggered_by: 'manual',
+                created_by: req.user?.id ?? null
+            }, auditContext(req));
+            return res.status(result.dry_run ? 200 : 201).json({ success: true, data: result });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async getAllRuns(req, res, next) {
+        try {
+            const runs = await BillingRunsService.getAllRuns();
+            if (!runs.length) {
+                return res.status(404).json({ success: false, message: "No se encontraron ejecuciones de facturación" });
+            }
+            return res.status(200).json({ success: true, data: runs });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async getRunById(req, res, next) {
+        try {
+            const { id } = req.params;
+            if (!id || isNaN(Number(id))) {
+                return res.status(400).json({ success: false, message: "ID inválido" });
+            }
+            const result = await BillingRunsService.getRunById(Number(id));
+            if (!result.length) {
+                return res.status(404).json({ success: false, message: "Ejecución de facturación no encontrada" });
+            }
+            return res.status(200).json({ success: true, data: result[0] });
+        } catch (error) {
+            next(error);
+        }
+    }
+}
@@ -0,0 +1,123 @@
+import DepositService from "../services/depositServices.js";
+import { applyDepositDTO, createDepositDTO, returnDepositDTO, updateDepositDTO } from "../dto/deposit.dto.js";
+import { auditContext } from "../shared/helpers/auditHelpers.js";
+
+export default class DepositsController {
+
+    static async getAllDeposits(req, res, next) {
+        try {
+            const { estate_id, client_id, lease_id, status } = req.query;
+            const deposits = await DepositService.getAllDeposits({
+                estates_id: estate_id ? Number(estate_id) : null,
+                clients_id: client_id ? Number(client_id) : null,
+                lease_id: lease_id ? Number(lease_id) : null,
+                status: status || null
+            });
+            if (!deposits.length) {
+                return res.status(404).json({ success: false, message: "No se encontraron fianzas" });
+            }
+            return res.status(200).json({ success: true, data: deposits });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async getHeldByOwner(req, res, next) {
+        try {
+            const ownerId = req.query.owner_id ? Number(req.query.owner_id) : null;
+            const result = await DepositService.getHeldByOwner(ownerId);
+            return res.status(200).json({ success: true, data: result });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async getDepositById(req, res, next) {
+        try {
+            const { id } = req.params;
+            if (!id || isNaN(Number(id))) {
+                return res.status(400).json({ success: false, message: "ID inválido" });
+            }
+            const result = await DepositService.getDepositById(Number(id));
+            if (!result.length) {
+                return res.status(404).json({ success: false, message: "Fianza no encontrada" });
+            }
+            return res.status(200).json({ success: true, data: result[0] });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async createDeposit(req, res, next) {
+        try {
+            const result = await DepositService.createDeposit({
+                ...createDepositDTO(req.body),
+                created_by: req.user?.id ?? null
+            });
+            return res.status(201).json({ success: true, data: result[0] });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async updateDeposit(req, res, next) {
+        try {
+            const { id } = req.params;
+            if (!id || isNaN(Number(id))) {
+                return res.status(400).json({ success: false, message: "ID inválido" });
+            }
+            const result = await DepositService.updateDeposit(Number(id), updateDepositDTO(req.body));
+            if (!result.length) {
+                return res.status(404).json({ success: false, message: "Fianza no encontrada" });
+            }
+            return res.status(200).json({ success: true, data: result[0] });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async deleteDeposit(req, res, next) {
+        try {
+            const { id } = req.params;
+            if (!id || isNaN(Number(id))) {
+                return res.status(400).json({ success: false, message: "ID inválido" });
+            }
+            const result = await DepositService.deleteDeposit(Number(id));
+            if (!result.length) {
+                return res.status(404).json({ success: false, message: "Fianza no encontrada" });
+            }
+            return res.status(204).send();
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async applyToInvoice(req, res, next) {
+        try {
+            const { id } = req.params;
+            if (!id || isNaN(Number(id))) {
+                return res.status(400).json({ success: false, message: "ID inválido" });
+            }
+            const result = await DepositService.applyToInvoice(Number(id), {
+                ...applyDepositDTO(req.body),
+                created_by: req.user?.id ?? null
+            }, auditContext(req));
+            return res.status(201).json({ success: true, data: result[0] });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async returnDeposit(req, res, next) {
+        try {
+            const { id } = req.params;
+            if (!id || isNaN(Number(id))) {
+                return res.status(400).json({ success: false, message: "ID inválido" });
+            }
+            const result = await DepositService.returnDeposit(Number(id), returnDepositDTO(req.body));
+            return res.status(200).json({ success: true, data: result[0] });
+        } catch (error) {
+            next(error);
+        }
+    }
+}
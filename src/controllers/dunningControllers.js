@@ -0,0 +1,158 @@
+import DunningService from "../services/dunningServices.js";
+import CompanyService from "../services/CompanyService.js";
+import { dunningLevelDTO, dunningPauseDTO, dunningRunDTO } from "../dto/dunning.dto.js";
+import { generateDunningLetterPDFContent } from "../shared/utils/Pdf-Dunning/dunningLetterPdfGenerator.js";
+
+const invalidId = (res) => res.status(400).json({ success: false, message: "ID inválido" });
+
+export default class DunningController {
+
+    // ==========================================
+    // NIVELES
+    // ==========================================
+
+    static async getLevels(req, res, next) {
+        try {
+            const levels = await DunningService.getLevels();
+            return res.status(200).json({ success: true, data: levels });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async createLevel(req, res, next) {
+        try {
+            const level = await DunningService.createLevel(dunningLevelDTO(req.body));
+            return res.status(201).json({ success: true, data: level });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async updateLevel(req, res, next) {
+        try {
+            const { id } = req.params;
+            if (!id || isNaN(Number(id))) return invalidId(res);
+
+            const level = await DunningService.updateLevel(Number(id), dunningLevelDTO(req.body));
+            return res.status(200).json({ success: true, data: level });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    // ==========================================
+    // FACTURAS VENCIDAS Y EJECUCIÓN
+    // ==========================================
+
+    static async getOverdueInvoices(req, res, next) {
+        try {
+            const invoices = await DunningService.getOverdueInvoices(req.query.date || null);
+            return res.status(200).json({ success: true, data: invoices });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async runDunning(req, res, next) {
+        try {
+            const result = await DunningService.runDunning({
+                ...dunningRunDTO(req.body),
+                triggered_by: 'manual',
+                created_by: req.user?.id ?? null
+            });
+            return res.status(result.dry_run ? 200 : 201).json({ success: true, data: result });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    // ==========================================
+    // HISTORIAL
+    // ==========================================
+
+    static async getEvents(req, res, next) {
+        try {
+            const { clients_id, invoice_issued_id, level, event_type, date_from, date_to } = req.query;
+            const events = await DunningService.getEvents({
+                clients_id: clients_id ? Number(clients_id) : null,
+                invoice_issued_id: invoice_issued_id ? Number(invoice_issued_id) : null,
+                level: level ? Number(level) : null,
+                event_type: event_type || null,
+                date_from: date_from || null,
+                date_to: date_to || null
+            });
+            return res.status(200).json({ success: true, data: events });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Carta de reclamación de un evento (PDF)
+     */
+    static async downloadLetter(req, res, next) {
+        try {
+            const { id } = req.params;
+            if (!id || isNaN(Number(id))) return invalidId(res);
+
+            const event = await DunningService.getLetter(Number(id));
+
+            const PDFDocument = (await import('pdfkit')).default;
+            const doc = new PDFDocument({size: 'A4', margins: {top: 40, bottom: 40, left: 40, right: 40}});
+
+            res.setHeader('Content-Type', 'application/pdf');
+            res.setHeader('Content-Disposition', `attachment; filename="reclamacion_${event.invoice_number}_nivel_${event.level}.pdf"`);
+            doc.pipe(res);
+
+            generateDunningLetterPDFContent(doc, {company: CompanyService.getCompanyData(), event});
+
+            doc.end();
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    // ==========================================
+    // PAUSAS
+    // ==========================================
+
+    static async getPauses(req, res, next) {
+        try {
+            const pauses = await DunningService.getPauses({
+                status: req.query.status || null,
+                clients_id: req.query.clients_id ? Number(req.query.clients_id) : null
+            });
+            return res.status(200).json({ success: true, data: pauses });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async createPause(req, res, next) {
+        try {
+            const pause = await DunningService.createPause({
+                ...dunningPauseDTO(req.body),
+                created_by: req.user?.id ?? null
+            });
+            return res.status(201).json({ success: true, data: pause });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async liftPause(req, res, next) {
+        try {
+            const { id } = req.params;
+            if (!id || isNaN(Number(id))) return invalidId(res);
+
+            const pause = await DunningService.liftPause(Number(id), {
+                notes: req.body.notes?.trim() || null,
+                lifted_by: req.user?.id ?? null
+            });
+            return res.status(200).json({ success: true, data: pause });
+        } catch (error) {
+            next(error);
+        }
+    }
+}
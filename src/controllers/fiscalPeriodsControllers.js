@@ -0,0 +1,103 @@
+import FiscalPeriodService from "../services/fiscalPeriodServices.js";
+import { fiscalPeriodDTO, fiscalPeriodStatusDTO } from "../dto/fiscalPeriod.dto.js";
+
+const invalidId = (res) => res.status(400).json({ success: false, message: "ID inválido" });
+
+const notFound = (res) => res.status(404).json({ success: false, message: "Periodo fiscal no encontrado" });
+
+export default class FiscalPeriodsController {
+
+    static async getPeriods(req, res, next) {
+        try {
+            const periods = await FiscalPeriodService.getPeriods({
+                year: req.query.year ? Number(req.query.year) : null,
+                status: req.query.status || null,
+                period_type: req.query.period_type || null
+            });
+            return res.status(200).json({ success: true, data: periods });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async checkDate(req, res, next) {
+        try {
+            const result = await FiscalPeriodService.checkDate(req.query.date);
+            return res.status(200).json({ success: true, data: result });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async getPeriodById(req, res, next) {
+        try {
+            const { id } = req.params;
+            if (!id || isNaN(Number(id))) return invalidId(res);
+
+            const periods = await FiscalPeriodService.getPeriodById(Number(id));
+            if (!periods.length) return notFound(res);
+            return res.status(200).json({ success: true, data: periods[0] });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async createPeriod(req, res, next) {
+        try {
+            const created = await FiscalPeriodService.createPeriod({
+                ...fiscalPeriodDTO(req.body),
+                created_by: req.user?.id ?? null
+            });
+            return res.status(201).json({ success: true, data: created[0] });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async closePeriod(req, res, next) {
+        try {
+            const { id } = req.params;
+            if (!id || isNaN(Number(id))) return invalidId(res);
+
+            const updated = await FiscalPeriodService.closePeriod(Number(id), {
+                notes: fiscalPeriodStatusDTO(req.body ?? {}).notes,
+                user_id: req.user?.id ?? null,
+                ip_address: req.ip ?? null
+            });
+            if (!updated.length) return notFound(res);
+            return res.status(200).json({ success: true, data: updated[0] });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async reopenPeriod(req, res, next) {
+        try {
+            const { id } = req.params;
+            if (!id || isNaN(Number(id))) return invalidId(res);
+
+            const updated = await FiscalPeriodService.reopenPeriod(Number(id), {
+                reason: fiscalPeriodStatusDTO(req.body).reason,
+                user_id: req.user?.id ?? null,
+                ip_address: req.ip ?? null
+            });
+            if (!updated.length) return notFound(res);
+            return res.status(200).json({ success: true, data: updated[0] });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async deletePeriod(req, res, next) {
+        try {
+            const { id } = req.params;
+            if (!id || isNaN(Number(id))) return invalidId(res);
+
+            const deleted = await FiscalPeriodService.deletePeriod(Number(id));
+            if (!deleted.length) return notFound(res);
+            return res.status(200).json({ success: true, message: "Periodo fiscal eliminado" });
+        } catch (error) {
+            next(error);
+        }
+    }
+}
@@ -22,6 +22,7 @@ import {
     expenseDateRangeDTO,
     advancedSearchDTO,
     approvalDTO,
+    expensePaymentDTO,
     expenseStatusDTO,
     validateDateRangeDTO,
     simulationDTO,
@@ -556,6 +557,7 @@ export default class InternalExpensesController {
      *
      * @example
      * // PUT /api/internal-expenses/123/pay
+     * // Body (opcional): { payment_date: "2024-08-05" }
      * // Response: { message: "Gasto marcado como pagado", expense: {...} }
      */
     static async markExpenseAsPaid(req, res, next) {
@@ -566,7 +568,9 @@ export default class InternalExpensesController {
                 return res.status(400).json({ success: false, message: "ID de gasto inválido" });
             }
 
-            const paid = await InternalExpensesService.markExpenseAsPaid(Number(id));
+            const { payment_date } = expensePaymentDTO(req.body);
+
+            const paid = await InternalExpensesService.markExpenseAsPaid(Number(id), payment_date);
 
             if (!paid || paid.length === 0) {
                 return res.status(400).json({ success: false, message: "Error al marcar como pagado - solo se pueden pagar gastos aprobados" });
@@ -594,7 +598,7 @@ export default class InternalExpensesController {
     static async updateExpenseStatus(req, res, next) {
         try {
             const {id} = req.params;
-            const { status, approved_by } = expenseStatusDTO(req.body);
+            const { status, approved_by, payment_date } = expenseStatusDTO(req.body);
 
             if (!id || isNaN(Number(id))) {
                 return res.status(400).json({ success: false, message: "ID de gasto inválido" });
@@ -604,7 +608,7 @@ export default class InternalExpensesController {
                 return res.status(400).json({ success: false, message: "Estado requerido" });
             }
 
-            const updated = await InternalExpensesService.updateExpenseStatus(Number(id), status, approved_by);
+            const updated = await InternalExpensesService.updateExpenseStatus(Number(id), status, approved_by, payment_date);
 
             if (!updated || updated.length === 0) {
                 return res.status(400).json({ success: false, message: "Error al actualizar estado - transición no válida" });
@@ -0,0 +1,86 @@
+import InvoiceSeriesService from "../services/invoiceSeriesServices.js";
+import { createInvoiceSeriesDTO, updateInvoiceSeriesDTO, nextNumberDTO } from "../dto/invoiceSeries.dto.js";
+
+export default class InvoiceSeriesController {
+
+    static async getAllSeries(req, res, next) {
+        try {
+            const series = await InvoiceSeriesService.getAllSeries();
+            if (!series.length) {
+                return res.status(404).json({ success: false, message: "No se encontraron series de numeración" });
+            }
+            return res.status(200).json({ success: true, data: series });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async getSeriesById(req, res, next) {
+        try {
+            const { id } = req.params;
+            if (!id || isNaN(Number(id))) {
+                return res.status(400).json({ success: false, message: "ID inválido" });
+            }
+            const result = await InvoiceSeriesService.getSeriesById(Number(id));
+            if (!result.length) {
+                return res.status(404).json({ success: false, message: "Serie no encontrada" });
+            }
+            return res.status(200).json({ success: true, data: result });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async getNextNumber(req, res, next) {
+        try {
+            const dto = nextNumberDTO(req.query);
+            const result = await InvoiceSeriesService.previewNextNumber(dto);
+            return res.status(200).json({ success: true, data: result });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async createSeries(req, res, next) {
+        try {
+            const dto = createInvoiceSeriesDTO(req.body);
+            const result = await InvoiceSeriesService.createSeries(dto);
+            return res.status(201).json({ success: true, data: result });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async updateSeries(req, res, next) {
+        try {
+            const { id } = req.params;
+            if (!id || isNaN(Number(id))) {
+                return res.status(400).json({ success: false, message: "ID inválido" });
+            }
+            const dto = updateInvoiceSeriesDTO(req.body);
+            const result = await InvoiceSeriesService.updateSeries(Number(id), dto);
+            if (!result.length) {
+                return res.status(404).json({ success: false, message: "Serie no encontrada" });
+            }
+            return res.status(200).json({ success: true, data: result });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async deleteSeries(req, res, next) {
+        try {
+            const { id } = req.params;
+            if (!id || isNaN(Number(id))) {
+                return res.status(400).json({ success: false, message: "ID inválido" });
+            }
+            const result = await InvoiceSeriesService.deleteSeries(Number(id));
+            if (!result.length) {
+                return res.status(404).json({ success: false, message: "Serie no encontrada" });
+            }
+            return res.status(204).send();
+        } catch (error) {
+            next(error);
+        }
+    }
+}
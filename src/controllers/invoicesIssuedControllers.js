@@ -2,6 +2,7 @@ import path from 'path';
 import fs from 'fs';
 import { generateInvoicePdf } from "../shared/utils/Pdf-invoicesIssued/invoicePdfGenerator.js";
 import InvoicesIssuedService from '../services/invoicesIssuedServices.js';
+import FacturaeService from '../services/facturaeServices.js';
 import { validate } from '../shared/helpers/nifHelpers.js';
 import {
     createInvoiceIssuedDTO,
@@ -257,6 +258,9 @@ export default class InvoicesIssuedController {
             if (!dto.collection_status || !dto.collection_method) {
                 return res.status(400).json({ success: false, message: "Estado y método de cobro son requeridos." });
             }
+            if (dto.collection_method === 'deposit') {
+                return res.status(400).json({ success: false, message: "El cobro con fianza se registra aplicando la fianza a la factura." });
+            }
             const updated = await InvoicesIssuedService.updateCollectionStatus(Number(id), dto);
             return res.status(200).json({ success: true, data: updated });
         } catch (error) {
@@ -390,7 +394,7 @@ export default class InvoicesIssuedController {
             if (!fs.existsSync(dir)) fs.mkdirSync(dir);
             const fileName = `abono_${refund[0].invoice_number.replace(/\//g, '-')}.pdf`;
             const filePath = path.join(dir, fileName);
-            const { generateRefundInvoicePdf } = await import('../shared/utils/pdf/refundInvoicePdfGenerator.js');
+            const { generateRefundInvoicePdf } = await import('../shared/utils/Pdf-invoicesIssued/refundInvoicePdfGenerator.js');
             await generateRefundInvoicePdf(refund[0], filePath);
             res.download(filePath, fileName, (err) => {
                 if (err && !res.headersSent) next(err);
@@ -400,6 +404,36 @@ export default class InvoicesIssuedController {
         }
     }
 
+    static async downloadFacturae(req, res, next) {
+        try {
+            const { id } = req.params;
+            if (!id || isNaN(Number(id))) {
+                return res.status(400).json({ success: false, message: "ID de factura inválido" });
+            }
+            const document = await FacturaeService.getInvoiceFacturae(Number(id), { sign: req.query.sign === 'true' });
+            if (!document || document.length === 0) {
+                return res.status(404).json({ success: false, message: "Factura no encontrada" });
+            }
+            res.attachment(document[0].file_name);
+            res.type('application/xml');
+            return res.status(200).send(document[0].content);
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async downloadFacturaeBatch(req, res, next) {
+        try {
+            const { invoice_ids, sign } = req.body;
+            const document = await FacturaeService.getBatchFacturae(invoice_ids, { sign: sign === true });
+            res.attachment(document[0].file_name);
+            res.type('application/xml');
+            return res.status(200).send(document[0].content);
+        } catch (error) {
+            next(error);
+        }
+    }
+
     static async getProportionalCalculationDetails(req, res, next) {
         try {
             const { id } = req.params;
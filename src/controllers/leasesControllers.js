@@ -0,0 +1,127 @@
+import LeasesService from "../services/leasesServices.js";
+import { createLeaseDTO, updateLeaseDTO } from "../dto/lease.dto.js";
+
+export default class LeasesController {
+
+    static async getAllLeases(req, res, next) {
+        try {
+            const leases = await LeasesService.getAllLeases();
+            if (!leases.length) {
+                return res.status(404).json({ success: false, message: "No se encontraron contratos" });
+            }
+            return res.status(200).json({ success: true, data: leases });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async getLeaseById(req, res, next) {
+        try {
+            const { id } = req.params;
+            if (!id || isNaN(Number(id))) {
+                return res.status(400).json({ success: false, message: "ID inválido" });
+            }
+            const result = await LeasesService.getLeaseById(Number(id));
+            if (!result.length) {
+                return res.status(404).json({ success: false, message: "Contrato no encontrado" });
+            }
+            return res.status(200).json({ success: true, data: result });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async getLeasesByEstate(req, res, next) {
+        try {
+            const { id } = req.params;
+            if (!id || isNaN(Number(id))) {
+                return res.status(400).json({ success: false, message: "ID de inmueble inválido" });
+            }
+            const result = await LeasesService.getLeasesByEstate(Number(id));
+            if (!result.length) {
+                return res.status(404).json({ success: false, message: "No se encontraron contratos para este inmueble" });
+            }
+            return res.status(200).json({ success: true, data: result });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async getLeasesByClient(req, res, next) {
+        try {
+            const { id } = req.params;
+            if (!id || isNaN(Number(id))) {
+                return res.status(400).json({ success: false, message: "ID de cliente inválido" });
+            }
+            const result = await LeasesService.getLeasesByClient(Number(id));
+            if (!result.length) {
+                return res.status(404).json({ success: false, message: "No se encontraron contratos para este cliente" });
+            }
+            return res.status(200).json({ success: true, data: result });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async getInvoicePreview(req, res, next) {
+        try {
+            const { id, year, month } = req.params;
+            if (!id || isNaN(Number(id))) {
+                return res.status(400).json({ success: false, message: "ID inválido" });
+            }
+            if (isNaN(Number(year)) || isNaN(Number(month)) || Number(month) < 1 || Number(month) > 12) {
+                return res.status(400).json({ success: false, message: "Año o mes inválido" });
+            }
+            const result = await LeasesService.getInvoicePreview(Number(id), Number(year), Number(month));
+            if (!result.length) {
+                return res.status(404).json({ success: false, message: "Contrato no encontrado" });
+            }
+            return res.status(200).json({ success: true, data: result[0] });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async createLease(req, res, next) {
+        try {
+            const dto = createLeaseDTO(req.body);
+            const result = await LeasesService.createLease(dto);
+            return res.status(201).json({ success: true, data: result });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async updateLease(req, res, next) {
+        try {
+            const { id } = req.params;
+            if (!id || isNaN(Number(id))) {
+                return res.status(400).json({ success: false, message: "ID inválido" });
+            }
+            const dto = updateLeaseDTO(req.body);
+            const result = await LeasesService.updateLease(Number(id), dto);
+            if (!result.length) {
+                return res.status(404).json({ success: false, message: "Contrato no encontrado" });
+            }
+            return res.status(200).json({ success: true, data: result });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async deleteLease(req, res, next) {
+        try {
+            const { id } = req.params;
+            if (!id || isNaN(Number(id))) {
+                return res.status(400).json({ success: false, message: "ID inválido" });
+            }
+            const result = await LeasesService.deleteLease(Number(id));
+            if (!result.length) {
+                return res.status(404).json({ success: false, message: "Contrato no encontrado" });
+            }
+            return res.status(204).send();
+        } catch (error) {
+            next(error);
+        }
+    }
+}
@@ -0,0 +1,93 @@
+import fs from "fs";
+import path from "path";
+import OwnerSettlementService from "../services/ownerSettlementServices.js";
+import { createOwnerSettlementDTO, payOwnerSettlementDTO } from "../dto/ownerSettlement.dto.js";
+import { generateSettlementPdf } from "../shared/utils/Pdf-Settlements/ownerSettlementPdfGenerator.js";
+
+export default class OwnerSettlementsController {
+
+    static async getSettlements(req, res, next) {
+        try {
+            const settlements = await OwnerSettlementService.getSettlementsByOwner(Number(req.params.id));
+            if (!settlements.length) {
+                return res.status(404).json({ success: false, message: "El propietario no tiene liquidaciones" });
+            }
+            return res.status(200).json({ success: true, data: settlements });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async getSettlementById(req, res, next) {
+        try {
+            const { id, settlementId } = req.params;
+            const result = await OwnerSettlementService.getSettlementById(Number(id), Number(settlementId));
+            return res.status(200).json({ success: true, data: result });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async createSettlement(req, res, next) {
+        try {
+            const dto = createOwnerSettlementDTO(req.body);
+            const result = await OwnerSettlementService.createSettlement(Number(req.params.id), {
+                ...dto,
+                created_by: req.user?.id ?? null
+            });
+            return res.status(dto.dry_run ? 200 : 201).json({ success: true, data: result });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async approveSettlement(req, res, next) {
+        try {
+            const { id, settlementId } = req.params;
+            const result = await OwnerSettlementService.approveSettlement(Number(id), Number(settlementId), req.user?.id ?? null);
+            return res.status(200).json({ success: true, data: result });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async paySettlement(req, res, next) {
+        try {
+            const { id, settlementId } = req.params;
+            const result = await OwnerSettlementService.paySettlement(Number(id), Number(settlementId), payOwnerSettlementDTO(req.body));
+            return res.status(200).json({ success: true, data: result });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async deleteSettlement(req, res, next) {
+        try {
+            const { id, settlementId } = req.params;
+            const result = await OwnerSettlementService.deleteSettlement(Number(id), Number(settlementId));
+            if (!result.length) {
+                return res.status(404).json({ success: false, message: "Liquidación no encontrada" });
+            }
+            return res.status(204).send();
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async downloadPdf(req, res, next) {
+        try {
+            const { id, settlementId } = req.params;
+            const settlement = await OwnerSettlementService.getSettlementById(Number(id), Number(settlementId));
+            const dir = path.resolve('./pdfs');
+            if (!fs.existsSync(dir)) fs.mkdirSync(dir);
+            const fileName = `liquidacion_${settlement.owner.nif || settlement.owners_id}_${settlement.id}.pdf`;
+            const filePath = path.join(dir, fileName);
+            await generateSettlementPdf(settlement, filePath);
+            res.download(filePath, fileName, (err) => {
+                if (err && !res.headersSent) next(err);
+            });
+        } catch (error) {
+            next(error);
+        }
+    }
+}
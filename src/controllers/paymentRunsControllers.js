@@ -0,0 +1,101 @@
+import PaymentRunService from "../services/paymentRunServices.js";
+import { createPaymentRunDTO, payPaymentRunDTO } from "../dto/paymentRun.dto.js";
+import { auditContext } from "../shared/helpers/auditHelpers.js";
+
+export default class PaymentRunsController {
+
+    static async getRuns(req, res, next) {
+        try {
+            const runs = await PaymentRunService.getRuns({ status: req.query.status || null });
+            if (!runs.length) {
+                return res.status(404).json({ success: false, message: "No se encontraron remesas de pago" });
+            }
+            return res.status(200).json({ success: true, data: runs });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async previewRun(req, res, next) {
+        try {
+            const { due_until, supplier_id } = req.query;
+            const result = await PaymentRunService.previewRun({
+                due_until,
+                supplier_ids: supplier_id ? [Number(supplier_id)] : null
+            });
+            return res.status(200).json({ success: true, data: result });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async getRunById(req, res, next) {
+        try {
+            const { id } = req.params;
+            if (!id || isNaN(Number(id))) {
+                return res.status(400).json({ success: false, message: "ID inválido" });
+            }
+            const result = await PaymentRunService.getRunById(Number(id));
+            if (!result.length) {
+                return res.status(404).json({ success: false, message: "Remesa de pago no encontrada" });
+            }
+            return res.status(200).json({ success: true, data: result[0] });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async createRun(req, res, next) {
+        try {
+            const result = await PaymentRunService.createRun({
+                ...createPaymentRunDTO(req.body),
+                created_by: req.user?.id ?? null
+            });
+            return res.status(201).json({ success: true, data: result[0] });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async approveRun(req, res, next) {
+        try {
+            const { id } = req.params;
+            if (!id || isNaN(Number(id))) {
+                return res.status(400).json({ success: false, message: "ID inválido" });
+            }
+            const result = await PaymentRunService.approveRun(Number(id), req.user?.id ?? null);
+            return res.status(200).json({ success: true, data: result[0] });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async payRun(req, res, next) {
+        try {
+            const { id } = req.params;
+            if (!id || isNaN(Number(id))) {
+                return res.status(400).json({ success: false, message: "ID inválido" });
+            }
+            const result = await PaymentRunService.payRun(Number(id), {
+                ...payPaymentRunDTO(req.body),
+                created_by: req.user?.id ?? null
+            }, auditContext(req));
+            return res.status(200).json({ success: true, data: result[0] });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async cancelRun(req, res, next) {
+        try {
+            const { id } = req.params;
+            if (!id || isNaN(Number(id))) {
+                return res.status(400).json({ success: false, message: "ID inválido" });
+            }
+            const result = await PaymentRunService.cancelRun(Number(id));
+            return res.status(200).json({ success: true, data: result[0] });
+        } catch (error) {
+            next(error);
+        }
+    }
+}
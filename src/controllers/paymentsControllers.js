@@ -0,0 +1,126 @@
+import PaymentService from "../services/paymentServices.js";
+import { allocatePaymentDTO, createPaymentDTO } from "../dto/payment.dto.js";
+import { auditContext } from "../shared/helpers/auditHelpers.js";
+
+export default class PaymentsController {
+
+    static async getAllPayments(req, res, next) {
+        try {
+            const { client_id, date_from, date_to, with_credit } = req.query;
+            const payments = await PaymentService.getAllPayments({
+                clients_id: client_id ? Number(client_id) : null,
+                date_from: date_from || null,
+                date_to: date_to || null,
+                with_credit: with_credit === 'true'
+            });
+            if (!payments.length) {
+                return res.status(404).json({ success: false, message: "No se encontraron cobros" });
+            }
+            return res.status(200).json({ success: true, data: payments });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async getPaymentById(req, res, next) {
+        try {
+            const { id } = req.params;
+            if (!id || isNaN(Number(id))) {
+                return res.status(400).json({ success: false, message: "ID inválido" });
+            }
+            const result = await PaymentService.getPaymentById(Number(id));
+            if (!result.length) {
+                return res.status(404).json({ success: false, message: "Cobro no encontrado" });
+            }
+            return res.status(200).json({ success: true, data: result[0] });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async getInvoiceBalance(req, res, next) {
+        try {
+            const { id } = req.params;
+            if (!id || isNaN(Number(id))) {
+                return res.status(400).json({ success: false, message: "ID inválido" });
+            }
+            const result = await PaymentService.getInvoiceBalance(Number(id));
+            if (!result.length) {
+                return res.status(404).json({ success: false, message: "Factura no encontrada" });
+            }
+            return res.status(200).json({ success: true, data: result[0] });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async getClientBalance(req, res, next) {
+        try {
+            const { id } = req.params;
+            if (!id || isNaN(Number(id))) {
+                return res.status(400).json({ success: false, message: "ID inválido" });
+            }
+            const result = await PaymentService.getClientBalance(Number(id));
+            return res.status(200).json({ success: true, data: result });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async createPayment(req, res, next) {
+        try {
+            const result = await PaymentService.createPayment({
+                ...createPaymentDTO(req.body),
+                created_by: req.user?.id ?? null
+            }, auditContext(req));
+            return res.status(201).json({ success: true, data: result[0] });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async allocatePayment(req, res, next) {
+        try {
+            const { id } = req.params;
+            if (!id || isNaN(Number(id))) {
+                return res.status(400).json({ success: false, message: "ID inválido" });
+            }
+            const result = await PaymentService.allocatePayment(Number(id), {
+                ...allocatePaymentDTO(req.body),
+                created_by: req.user?.id ?? null
+            }, auditContext(req));
+            return res.status(201).json({ success: true, data: result[0] });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async deleteAllocation(req, res, next) {
+        try {
+            const { id, allocationId } = req.params;
+            if (!id || isNaN(Number(id)) || !allocationId || isNaN(Number(allocationId))) {
+                return res.status(400).json({ success: false, message: "ID inválido" });
+            }
+            await PaymentService.deleteAllocation(Number(id), Number(allocationId), auditContext(req));
+            return res.status(204).send();
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async deletePayment(req, res, next) {
+        try {
+            const { id } = req.params;
+            if (!id || isNaN(Number(id))) {
+                return res.status(400).json({ success: false, message: "ID inválido" });
+            }
+            const result = await PaymentService.deletePayment(Number(id), auditContext(req));
+            if (!result.length) {
+                return res.status(404).json({ success: false, message: "Cobro no encontrado" });
+            }
+            return res.status(204).send();
+        } catch (error) {
+            next(error);
+        }
+    }
+}
@@ -0,0 +1,170 @@
+import RentReviewService from "../services/rentReviewServices.js";
+import CompanyService from "../services/CompanyService.js";
+import { generateRentReviewsDTO, rentIndexDTO } from "../dto/rentReview.dto.js";
+import { generateRentReviewLetterPDFContent } from "../shared/utils/Pdf-RentReviews/rentReviewLetterPdfGenerator.js";
+
+export default class RentReviewsController {
+
+    // ==========================================
+    // ÍNDICES
+    // ==========================================
+
+    static async getIndexes(req, res, next) {
+        try {
+            const indexes = await RentReviewService.getIndexes(req.query.index_type || null);
+            return res.status(200).json({ success: true, data: indexes });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async saveIndex(req, res, next) {
+        try {
+            const result = await RentReviewService.saveIndex(rentIndexDTO(req.body));
+            return res.status(200).json({ success: true, data: result });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async deleteIndex(req, res, next) {
+        try {
+            const { id } = req.params;
+            if (!id || isNaN(Number(id))) {
+                return res.status(400).json({ success: false, message: "ID inválido" });
+            }
+            const result = await RentReviewService.deleteIndex(Number(id));
+            if (!result.length) {
+                return res.status(404).json({ success: false, message: "Índice no encontrado" });
+            }
+            return res.status(204).send();
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    // ==========================================
+    // REVISIONES
+    // ==========================================
+
+    static async previewReviews(req, res, next) {
+        try {
+            const result = await RentReviewService.previewReviews(req.query.until_date || null);
+            return res.status(200).json({ success: true, data: result });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async generateReviews(req, res, next) {
+        try {
+            const result = await RentReviewService.generateReviews({
+                ...generateRentReviewsDTO(req.body),
+                created_by: req.user?.id ?? null
+            });
+            return res.status(201).json({ success: true, data: result });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async getReviews(req, res, next) {
+        try {
+            const { status, lease_id } = req.query;
+            const reviews = await RentReviewService.getReviews({
+                status: status || null,
+                lease_id: lease_id ? Number(lease_id) : null
+            });
+            if (!reviews.length) {
+                return res.status(404).json({ success: false, message: "No se encontraron revisiones de renta" });
+            }
+            return res.status(200).json({ success: true, data: reviews });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async getReviewById(req, res, next) {
+        try {
+            const { id } = req.params;
+            if (!id || isNaN(Number(id))) {
+                return res.status(400).json({ success: false, message: "ID inválido" });
+            }
+            const result = await RentReviewService.getReviewById(Number(id));
+            if (!result.length) {
+                return res.status(404).json({ success: false, message: "Revisión de renta no encontrada" });
+            }
+            return res.status(200).json({ success: true, data: result[0] });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async approveReview(req, res, next) {
+        try {
+            const { id } = req.params;
+            if (!id || isNaN(Number(id))) {
+                return res.status(400).json({ success: false, message: "ID inválido" });
+            }
+            const result = await RentReviewService.approveReview(Number(id), req.user?.id ?? null);
+            return res.status(200).json({ success: true, data: result });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async rejectReview(req, res, next) {
+        try {
+            const { id } = req.params;
+            if (!id || isNaN(Number(id))) {
+                return res.status(400).json({ success: false, message: "ID inválido" });
+            }
+            const result = await RentReviewService.rejectReview(Number(id), req.body.notes?.trim() || null);
+            return res.status(200).json({ success: true, data: result });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async deleteReview(req, res, next) {
+        try {
+            const { id } = req.params;
+            if (!id || isNaN(Number(id))) {
+                return res.status(400).json({ success: false, message: "ID inválido" });
+            }
+            await RentReviewService.deleteReview(Number(id));
+            return res.status(204).send();
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * Carta de notificación de la actualización al inquilino (PDF)
+     */
+    static async downloadLetter(req, res, next) {
+        try {
+            const { id } = req.params;
+            if (!id || isNaN(Number(id))) {
+                return res.status(400).json({ success: false, message: "ID inválido" });
+            }
+            const result = await RentReviewService.getReviewById(Number(id));
+            if (!result.length) {
+                return res.status(404).json({ success: false, message: "Revisión de renta no encontrada" });
+            }
+
+            const PDFDocument = (await import('pdfkit')).default;
+            const doc = new PDFDocument({size: 'A4', margins: {top: 40, bottom: 40, left: 40, right: 40}});
+
+            res.setHeader('Content-Type', 'application/pdf');
+            res.setHeader('Content-Disposition', `attachment; filename="actualizacion_renta_${result[0].lease_id}_${result[0].review_date}.pdf"`);
+            doc.pipe(res);
+
+            generateRentReviewLetterPDFContent(doc, {company: CompanyService.getCompanyData(), review: result[0]});
+
+            doc.end();
+        } catch (error) {
+            next(error);
+        }
+    }
+}
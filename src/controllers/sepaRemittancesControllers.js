@@ -0,0 +1,181 @@
+import SepaRemittanceService from "../services/sepaRemittanceServices.js";
+import {
+    confirmCreditTransferDTO,
+    createCreditTransferDTO,
+    createDirectDebitDTO,
+    sepaCreditorDTO,
+    sepaMandateDTO
+} from "../dto/sepa.dto.js";
+import { auditContext } from "../shared/helpers/auditHelpers.js";
+
+export default class SepaRemittancesController {
+
+    // ==========================================
+    // MANDATOS Y ACREEDORES
+    // ==========================================
+
+    static async getClientMandate(req, res, next) {
+        try {
+            const { id } = req.params;
+            if (!id || isNaN(Number(id))) {
+                return res.status(400).json({ success: false, message: "ID inválido" });
+            }
+            const result = await SepaRemittanceService.getClientMandate(Number(id));
+            if (!result.length) {
+                return res.status(404).json({ success: false, message: "Cliente no encontrado" });
+            }
+            return res.status(200).json({ success: true, data: result[0] });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async saveClientMandate(req, res, next) {
+        try {
+            const { id } = req.params;
+            if (!id || isNaN(Number(id))) {
+                return res.status(400).json({ success: false, message: "ID inválido" });
+            }
+            const result = await SepaRemittanceService.saveClientMandate(Number(id), sepaMandateDTO(req.body));
+            return res.status(200).json({ success: true, data: result[0] });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async getOwnerCreditor(req, res, next) {
+        try {
+            const { id } = req.params;
+            if (!id || isNaN(Number(id))) {
+                return res.status(400).json({ success: false, message: "ID inválido" });
+            }
+            const result = await SepaRemittanceService.getOwnerCreditor(Number(id));
+            if (!result.length) {
+                return res.status(404).json({ success: false, message: "Propietario no encontrado" });
+            }
+            return res.status(200).json({ success: true, data: result[0] });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async saveOwnerCreditor(req, res, next) {
+        try {
+            const { id } = req.params;
+            if (!id || isNaN(Number(id))) {
+                return res.status(400).json({ success: false, message: "ID inválido" });
+            }
+            const result = await SepaRemittanceService.saveOwnerCreditor(Number(id), sepaCreditorDTO(req.body));
+            return res.status(200).json({ success: true, data: result[0] });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    // ==========================================
+    // REMESAS
+    // ==========================================
+
+    static async getRemittances(req, res, next) {
+        try {
+            const remittances = await SepaRemittanceService.getRemittances({
+                remittance_type: req.query.remittance_type || null,
+                status: req.query.status || null,
+                owners_id: req.query.owners_id ? Number(req.query.owners_id) : null
+            });
+            if (!remittances.length) {
+                return res.status(404).json({ success: false, message: "No se encontraron remesas SEPA" });
+            }
+            return res.status(200).json({ success: true, data: remittances });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async getRemittanceById(req, res, next) {
+        try {
+            const { id } = req.params;
+            if (!id || isNaN(Number(id))) {
+                return res.status(400).json({ success: false, message: "ID inválido" });
+            }
+            const result = await SepaRemittanceService.getRemittanceById(Number(id));
+            if (!result.length) {
+                return res.status(404).json({ success: false, message: "Remesa SEPA no encontrada" });
+            }
+            return res.status(200).json({ success: true, data: result[0] });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async downloadFile(req, res, next) {
+        try {
+            const { id } = req.params;
+            if (!id || isNaN(Number(id))) {
+                return res.status(400).json({ success: false, message: "ID inválido" });
+            }
+            const file = await SepaRemittanceService.getRemittanceFile(Number(id));
+            if (!file.length) {
+                return res.status(404).json({ success: false, message: "Remesa SEPA no encontrada" });
+            }
+            res.attachment(file[0].file_name);
+            res.type('application/xml');
+            return res.status(200).send(file[0].content);
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async createDirectDebits(req, res, next) {
+        try {
+            const result = await SepaRemittanceService.createDirectDebitRemittances({
+                ...createDirectDebitDTO(req.body),
+                created_by: req.user?.id ?? null
+            }, auditContext(req));
+            return res.status(201).json({ success: true, data: result });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async createCreditTransfer(req, res, next) {
+        try {
+            const result = await SepaRemittanceService.createCreditTransferRemittance({
+                ...createCreditTransferDTO(req.body),
+                created_by: req.user?.id ?? null
+            }, auditContext(req));
+            return res.status(201).json({ success: true, data: result[0] });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async confirmCreditTransfer(req, res, next) {
+        try {
+            const { id } = req.params;
+            if (!id || isNaN(Number(id))) {
+                return res.status(400).json({ success: false, message: "ID inválido" });
+            }
+            const result = await SepaRemittanceService.confirmCreditTransfer(Number(id), {
+                ...confirmCreditTransferDTO(req.body),
+                confirmed_by: req.user?.id ?? null
+            }, auditContext(req));
+            return res.status(200).json({ success: true, data: result[0] });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async cancelCreditTransfer(req, res, next) {
+        try {
+            const { id } = req.params;
+            if (!id || isNaN(Number(id))) {
+                return res.status(400).json({ success: false, message: "ID inválido" });
+            }
+            const result = await SepaRemittanceService.cancelCreditTransfer(Number(id), auditContext(req));
+            return res.status(200).json({ success: true, data: result[0] });
+        } catch (error) {
+            next(error);
+        }
+    }
+}
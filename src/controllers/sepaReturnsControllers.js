@@ -0,0 +1,130 @@
+import SepaReturnService from "../services/sepaReturnServices.js";
+import { registerSepaReturnDTO, sepaReturnFeeDTO } from "../dto/sepa.dto.js";
+import { auditContext } from "../shared/helpers/auditHelpers.js";
+
+export default class SepaReturnsController {
+
+    // ==========================================
+    // DEVOLUCIONES
+    // ==========================================
+
+    static async getReturns(req, res, next) {
+        try {
+            const returns = await SepaReturnService.getReturns({
+                clients_id: req.query.clients_id ? Number(req.query.clients_id) : null,
+                invoice_issued_id: req.query.invoice_issued_id ? Number(req.query.invoice_issued_id) : null,
+                fee_status: req.query.fee_status || null,
+                date_from: req.query.date_from || null,
+                date_to: req.query.date_to || null
+            });
+            if (!returns.length) {
+                return res.status(404).json({ success: false, message: "No se encontraron devoluciones" });
+            }
+            return res.status(200).json({ success: true, data: returns });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async getReturnById(req, res, next) {
+        try {
+            const { id } = req.params;
+            if (!id || isNaN(Number(id))) {
+                return res.status(400).json({ success: false, message: "ID inválido" });
+            }
+            const result = await SepaReturnService.getReturnById(Number(id));
+            if (!result.length) {
+                return res.status(404).json({ success: false, message: "Devolución no encontrada" });
+            }
+            return res.status(200).json({ success: true, data: result[0] });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async registerReturn(req, res, next) {
+        try {
+            const result = await SepaReturnService.registerReturn({
+                ...registerSepaReturnDTO(req.body),
+                created_by: req.user?.id ?? null
+            }, auditContext(req));
+            return res.status(201).json({ success: true, data: result[0] });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async importReturns(req, res, next) {
+        try {
+            if (!req.file) {
+                return res.status(400).json({ success: false, message: "Debe adjuntar el fichero de devoluciones (return_file)" });
+            }
+            const result = await SepaReturnService.importReturns(req.file, {
+                charge_fee: req.body?.charge_fee === true || req.body?.charge_fee === 'true',
+                created_by: req.user?.id ?? null
+            }, auditContext(req));
+            return res.status(201).json({ success: true, data: result });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async invoiceFee(req, res, next) {
+        try {
+            const { id } = req.params;
+            if (!id || isNaN(Number(id))) {
+                return res.status(400).json({ success: false, message: "ID inválido" });
+            }
+            const result = await SepaReturnService.invoiceFee(Number(id), auditContext(req));
+            return res.status(201).json({ success: true, data: result[0] });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async updateFeeStatus(req, res, next) {
+        try {
+            const { id } = req.params;
+            if (!id || isNaN(Number(id))) {
+                return res.status(400).json({ success: false, message: "ID inválido" });
+            }
+            const { fee_status } = sepaReturnFeeDTO(req.body);
+            const result = await SepaReturnService.updateFeeStatus(Number(id), fee_status);
+            return res.status(200).json({ success: true, data: result[0] });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    // ==========================================
+    // LISTA DE IMPAGOS
+    // ==========================================
+
+    static async getDunningList(req, res, next) {
+        try {
+            const entries = await SepaReturnService.getDunningList({
+                status: req.query.status || null,
+                clients_id: req.query.clients_id ? Number(req.query.clients_id) : null
+            });
+            if (!entries.length) {
+                return res.status(404).json({ success: false, message: "La lista de impagos está vacía" });
+            }
+            return res.status(200).json({ success: true, data: entries });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async resolveDunningEntry(req, res, next) {
+        try {
+            const { id } = req.params;
+            if (!id || isNaN(Number(id))) {
+                return res.status(400).json({ success: false, message: "ID inválido" });
+            }
+            const result = await SepaReturnService.resolveDunningEntry(Number(id), req.user?.id ?? null);
+            return res.status(200).json({ success: true, data: result[0] });
+        } catch (error) {
+            next(error);
+        }
+    }
+}
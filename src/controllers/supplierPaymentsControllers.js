@@ -0,0 +1,84 @@
+import SupplierPaymentService from "../services/supplierPaymentServices.js";
+import { createSupplierPaymentDTO } from "../dto/supplierPayment.dto.js";
+import { auditContext } from "../shared/helpers/auditHelpers.js";
+
+export default class SupplierPaymentsController {
+
+    static async getAllPayments(req, res, next) {
+        try {
+            const { supplier_id, payment_run_id, date_from, date_to } = req.query;
+            const payments = await SupplierPaymentService.getAllPayments({
+                supplier_id: supplier_id ? Number(supplier_id) : null,
+                payment_run_id: payment_run_id ? Number(payment_run_id) : null,
+                date_from: date_from || null,
+                date_to: date_to || null
+            });
+            if (!payments.length) {
+                return res.status(404).json({ success: false, message: "No se encontraron pagos a proveedores" });
+            }
+            return res.status(200).json({ success: true, data: payments });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async getPaymentById(req, res, next) {
+        try {
+            const { id } = req.params;
+            if (!id || isNaN(Number(id))) {
+                return res.status(400).json({ success: false, message: "ID inválido" });
+            }
+            const result = await SupplierPaymentService.getPaymentById(Number(id));
+            if (!result.length) {
+                return res.status(404).json({ success: false, message: "Pago no encontrado" });
+            }
+            return res.status(200).json({ success: true, data: result[0] });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async getInvoiceBalance(req, res, next) {
+        try {
+            const { id } = req.params;
+            if (!id || isNaN(Number(id))) {
+                return res.status(400).json({ success: false, message: "ID inválido" });
+            }
+            const result = await SupplierPaymentService.getInvoiceBalance(Number(id));
+            if (!result.length) {
+                return res.status(404).json({ success: false, message: "Factura no encontrada" });
+            }
+            return res.status(200).json({ success: true, data: result[0] });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async createPayment(req, res, next) {
+        try {
+            const result = await SupplierPaymentService.createPayment({
+                ...createSupplierPaymentDTO(req.body),
+                created_by: req.user?.id ?? null
+            }, auditContext(req));
+            return res.status(201).json({ success: true, data: result[0] });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async deletePayment(req, res, next) {
+        try {
+            const { id } = req.params;
+            if (!id || isNaN(Number(id))) {
+                return res.status(400).json({ success: false, message: "ID inválido" });
+            }
+            const result = await SupplierPaymentService.deletePayment(Number(id), auditContext(req));
+            if (!result.length) {
+                return res.status(404).json({ success: false, message: "Pago no encontrado" });
+            }
+            return res.status(204).send();
+        } catch (error) {
+            next(error);
+        }
+    }
+}
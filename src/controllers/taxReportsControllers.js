@@ -0,0 +1,166 @@
+import fs from "fs";
+import TaxReportsService from "../services/taxReportsServices.js";
+import { generateRentWithholdingPDFContent } from "../shared/utils/Pdf-TaxReports/rentWithholdingPdfGenerator.js";
+import { generateOwnerTaxStatementPDFContent } from "../shared/utils/Pdf-TaxReports/ownerTaxStatementPdfGenerator.js";
+
+/**
+ * Envía un informe como PDF (A4, apaisado por defecto)
+ */
+const sendReportPdf = async (res, report, filename, generateContent = generateRentWithholdingPDFContent, layout = 'landscape') => {
+    const PDFDocument = (await import('pdfkit')).default;
+    const doc = new PDFDocument({size: 'A4', layout, margins: {top: 40, bottom: 40, left: 40, right: 40}});
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    doc.pipe(res);
+
+    generateContent(doc, report);
+
+    doc.end();
+};
+
+/**
+ * Envía un fichero para la AEAT (ISO-8859-1)
+ */
+const sendAeatFile = (res, {filename, content}) => {
+    res.setHeader('Content-Type', 'text/plain; charset=ISO-8859-1');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    return res.status(200).send(content);
+};
+
+export default class TaxReportsController {
+
+    // ==========================================
+    // MODELO 115
+    // ==========================================
+
+    static async getModelo115(req, res, next) {
+        try {
+            const report = await TaxReportsService.getModelo115(Number(req.params.year), Number(req.params.quarter));
+            return res.status(200).json({ success: true, data: report });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async downloadModelo115File(req, res, next) {
+        try {
+            const file = await TaxReportsService.getModelo115File(Number(req.params.year), Number(req.params.quarter));
+            return sendAeatFile(res, file);
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async downloadModelo115PDF(req, res, next) {
+        try {
+            const { year, quarter } = req.params;
+            const report = await TaxReportsService.getModelo115(Number(year), Number(quarter));
+            await sendReportPdf(res, report, `Modelo-115-${year}-${quarter}T.pdf`);
+        } catch (error) {
+            if (!res.headersSent) {
+                next(error);
+            }
+        }
+    }
+
+    // ==========================================
+    // MODELO 180
+    // ==========================================
+
+    static async getModelo180(req, res, next) {
+        try {
+            const report = await TaxReportsService.getModelo180(Number(req.params.year));
+            return res.status(200).json({ success: true, data: report });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async downloadModelo180File(req, res, next) {
+        try {
+            const file = await TaxReportsService.getModelo180File(Number(req.params.year));
+            return sendAeatFile(res, file);
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async downloadModelo180PDF(req, res, next) {
+        try {
+            const { year } = req.params;
+            const report = await TaxReportsService.getModelo180(Number(year));
+            await sendReportPdf(res, report, `Modelo-180-${year}.pdf`);
+        } catch (error) {
+            if (!res.headersSent) {
+                next(error);
+            }
+        }
+    }
+
+    // ==========================================
+    // MODELO 347
+    // ==========================================
+
+    static async getModelo347(req, res, next) {
+        try {
+            const report = await TaxReportsService.getModelo347(Number(req.params.year));
+            return res.status(200).json({ success: true, data: report });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async downloadModelo347File(req, res, next) {
+        try {
+            const file = await TaxReportsService.getModelo347File(Number(req.params.year));
+            return sendAeatFile(res, file);
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async downloadModelo347Excel(req, res, next) {
+        try {
+            const excelResult = await TaxReportsService.getModelo347Excel(Number(req.params.year));
+
+            res.download(excelResult.filePath, excelResult.fileName, (err) => {
+                if (err && !res.headersSent) {
+                    next(err);
+                }
+
+                // Limpiar el archivo temporal una vez enviado
+                fs.unlink(excelResult.filePath, () => {});
+            });
+        } catch (error) {
+            if (!res.headersSent) {
+                next(error);
+            }
+        }
+    }
+
+    // ==========================================
+    // DECLARACIÓN DEL PROPIETARIO
+    // ==========================================
+
+    static async getOwnerTaxStatement(req, res, next) {
+        try {
+            const statement = await TaxReportsService.getOwnerTaxStatement(Number(req.params.id), Number(req.params.year));
+            return res.status(200).json({ success: true, data: statement });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async downloadOwnerTaxStatementPDF(req, res, next) {
+        try {
+            const { id, year } = req.params;
+            const statement = await TaxReportsService.getOwnerTaxStatement(Number(id), Number(year));
+            await sendReportPdf(res, statement, `Rendimientos-${statement.owner.nif}-${year}.pdf`, generateOwnerTaxStatementPDFContent, 'portrait');
+        } catch (error) {
+            if (!res.headersSent) {
+                next(error);
+            }
+        }
+    }
+}
@@ -0,0 +1,35 @@
+import VerifactuService from "../services/verifactuServices.js";
+
+export default class VerifactuController {
+
+    static async getRecords(req, res, next) {
+        try {
+            const { issuer_nif, invoice_id, submission_status } = req.query;
+            const records = await VerifactuService.getRecords({ issuer_nif, invoice_id, submission_status });
+            if (!records.length) {
+                return res.status(404).json({ success: false, message: "No se encontraron registros VERI*FACTU" });
+            }
+            return res.status(200).json({ success: true, data: records });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async verifyChain(req, res, next) {
+        try {
+            const result = await VerifactuService.verifyChain(req.query.issuer_nif || null);
+            return res.status(200).json({ success: true, data: result });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async submitPending(req, res, next) {
+        try {
+            const result = await VerifactuService.submitPendingRecords();
+            return res.status(200).json({ success: true, data: result });
+        } catch (error) {
+            next(error);
+        }
+    }
+}
@@ -0,0 +1,18 @@
+// Campos que el cliente puede enviar para el plan contable y la exportación al programa del asesor.
+export const ledgerAccountDTO = (data) => ({
+    code: String(data.code ?? '').trim(),
+    name: String(data.name ?? '').trim(),
+    account_type: data.account_type,
+});
+
+export const accountMappingDTO = (data) => ({
+    mapping_type: data.mapping_type,
+    mapping_key: String(data.mapping_key ?? '').trim(),
+    account_code: String(data.account_code ?? '').trim(),
+});
+
+export const accountingExportDTO = (data) => ({
+    format: data.format,
+    date_from: data.date_from,
+    date_to: data.date_to,
+});
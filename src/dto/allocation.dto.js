@@ -0,0 +1,25 @@
+// Campos que el cliente puede enviar al crear una clave de reparto.
+// shares solo se usa con method = 'fixed': [{owners_id, percentage}] que suman 100.
+export const createAllocationKeyDTO = (data) => ({
+    name: data.name?.trim(),
+    method: data.method,
+    description: data.description?.trim() ?? null,
+    is_default: data.is_default ?? false,
+    shares: data.shares ?? [],
+});
+
+// En la actualización solo se cambian los campos enviados.
+export const updateAllocationKeyDTO = (data) => ({
+    name: data.name?.trim(),
+    method: data.method,
+    description: data.description === null ? null : data.description?.trim(),
+    is_default: data.is_default,
+    shares: data.shares,
+});
+
+// scope: supplier (NIF del proveedor), cost_center o category
+export const allocationRuleDTO = (data) => ({
+    allocation_key_id: data.allocation_key_id,
+    scope: data.scope,
+    scope_value: data.scope_value?.trim(),
+});
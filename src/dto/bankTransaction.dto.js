@@ -0,0 +1,20 @@
+// Campos que el cliente puede enviar para conciliar movimientos bancarios.
+export const matchTransactionsDTO = (data) => ({
+    statement_id: data.statement_id ? Number(data.statement_id) : null,
+    ids: Array.isArray(data.ids) ? data.ids.map(Number) : [],
+    date_window: data.date_window !== undefined && data.date_window !== null ? Number(data.date_window) : null,
+});
+
+export const acceptMatchDTO = (data) => ({
+    amount: data.amount !== undefined && data.amount !== null && data.amount !== '' ? Number(data.amount) : null,
+});
+
+export const splitTransactionDTO = (data) => ({
+    allocations: Array.isArray(data.allocations)
+        ? data.allocations.map(allocation => ({
+            invoice_type: allocation.invoice_type,
+            invoice_id: Number(allocation.invoice_id),
+            amount: Number(allocation.amount),
+        }))
+        : [],
+});
@@ -0,0 +1,37 @@
+// Campos que el cliente puede enviar al registrar una fianza.
+// Con lease_id, el inmueble y el inquilino se toman del contrato.
+export const createDepositDTO = (data) => ({
+    estates_id: data.estates_id ?? null,
+    clients_id: data.clients_id ?? null,
+    lease_id: data.lease_id ?? null,
+    amount: data.amount,
+    received_date: data.received_date,
+    lodging_body: data.lodging_body?.trim() ?? null,
+    lodging_reference: data.lodging_reference?.trim() ?? null,
+    lodged_date: data.lodged_date ?? null,
+    notes: data.notes?.trim() ?? null,
+});
+
+export const updateDepositDTO = (data) => ({
+    estates_id: data.estates_id,
+    clients_id: data.clients_id,
+    lease_id: data.lease_id,
+    amount: data.amount,
+    received_date: data.received_date,
+    lodging_body: data.lodging_body?.trim(),
+    lodging_reference: data.lodging_reference?.trim(),
+    lodged_date: data.lodged_date,
+    notes: data.notes?.trim(),
+});
+
+export const applyDepositDTO = (data) => ({
+    invoice_issued_id: Number(data.invoice_issued_id),
+    amount: data.amount ?? null,
+    applied_date: data.applied_date ?? null,
+    notes: data.notes?.trim() ?? null,
+});
+
+export const returnDepositDTO = (data) => ({
+    returned_date: data.returned_date ?? null,
+    returned_amount: data.returned_amount ?? null,
+});
@@ -0,0 +1,25 @@
+// Nivel de reclamación: plantillas de asunto y texto con marcadores {{client_name}}, {{invoice_number}}...
+export const dunningLevelDTO = (data) => ({
+    level: data.level !== undefined ? Number(data.level) : undefined,
+    name: data.name?.trim(),
+    days_overdue: Number(data.days_overdue),
+    letter_type: data.letter_type,
+    subject: data.subject?.trim(),
+    body: data.body?.trim(),
+    active: data.active ?? null,
+});
+
+// Ejecución manual de la reclamación: date por defecto hoy; dry_run solo simula.
+export const dunningRunDTO = (data) => ({
+    today: data.date ?? null,
+    dry_run: data.dry_run === true || data.dry_run === 'true',
+});
+
+// Pausa por compromiso de pago (hasta paused_until) o disputa, del cliente o de una factura.
+export const dunningPauseDTO = (data) => ({
+    clients_id: Number(data.clients_id),
+    invoice_issued_id: data.invoice_issued_id ? Number(data.invoice_issued_id) : null,
+    reason: data.reason,
+    paused_until: data.paused_until ?? null,
+    notes: data.notes?.trim() || null,
+});
@@ -7,6 +7,8 @@ export const createEstateDTO = (data) => ({
     province: data.province?.trim(),
     country: data.country?.trim(),
     surface: data.surface,
+    cadastral_value: data.cadastral_value,
+    cadastral_construction_value: data.cadastral_construction_value,
 });
 
 export const updateEstateDTO = (data) => ({
@@ -18,4 +20,6 @@ export const updateEstateDTO = (data) => ({
     province: data.province?.trim(),
     country: data.country?.trim(),
     surface: data.surface,
+    cadastral_value: data.cadastral_value,
+    cadastral_construction_value: data.cadastral_construction_value,
 });
@@ -0,0 +1,13 @@
+// Alta de un periodo fiscal: period es el mes (1-12) o trimestre (1-4); en el ejercicio se ignora.
+export const fiscalPeriodDTO = (data) => ({
+    period_type: data.period_type,
+    year: Number(data.year),
+    period: data.period_type === 'year' ? 0 : Number(data.period),
+    notes: data.notes?.trim() || null,
+});
+
+// Cierre (notas opcionales) y reapertura (motivo obligatorio) de un periodo.
+export const fiscalPeriodStatusDTO = (data) => ({
+    notes: data.notes?.trim() || null,
+    reason: data.reason?.trim() || null,
+});
@@ -77,6 +77,11 @@ export const approvalDTO = (data) => ({
 export const expenseStatusDTO = (data) => ({
     status: data.status,
     approved_by: data.approved_by,
+    payment_date: data.payment_date,
+});
+
+export const expensePaymentDTO = (data = {}) => ({
+    payment_date: data.payment_date,
 });
 
 export const validateDateRangeDTO = (data) => ({
@@ -4,9 +4,11 @@ export const createInvoiceIssuedDTO = (data) => ({
     clients_id: data.clients_id,
     owners_id: data.owners_id,
     estates_id: data.estates_id,
+    lease_id: data.lease_id ?? null,
     invoice_date: data.invoice_date,
     due_date: data.due_date ?? null,
     tax_base: data.tax_base,
+    lines: data.lines,
     iva: data.iva ?? 21,
     irpf: data.irpf ?? 0,
     ownership_percent: data.ownership_percent ?? 100,
@@ -30,9 +32,11 @@ export const updateInvoiceIssuedDTO = (data) => ({
     clients_id: data.clients_id,
     owners_id: data.owners_id,
     estates_id: data.estates_id,
+    lease_id: data.lease_id,
     invoice_date: data.invoice_date,
     due_date: data.due_date ?? null,
     tax_base: data.tax_base,
+    lines: data.lines,
     iva: data.iva,
     irpf: data.irpf,
     ownership_percent: data.ownership_percent,
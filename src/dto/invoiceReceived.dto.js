@@ -7,6 +7,7 @@ export const createInvoiceReceivedDTO = (data) => ({
     due_date: data.due_date ?? null,
     received_date: data.received_date ?? null,
     tax_base: data.tax_base,
+    lines: data.lines,
     iva_percentage: data.iva_percentage ?? 21,
     irpf_percentage: data.irpf_percentage ?? 0,
     category: data.category,
@@ -35,6 +36,7 @@ export const updateInvoiceReceivedDTO = (data) => ({
     due_date: data.due_date ?? null,
     received_date: data.received_date ?? null,
     tax_base: data.tax_base,
+    lines: data.lines,
     iva_percentage: data.iva_percentage,
     irpf_percentage: data.irpf_percentage,
     category: data.category,
@@ -0,0 +1,20 @@
+// Campos que el cliente puede enviar al crear una serie de numeración.
+// owners_id null = serie por defecto para propietarios sin serie propia.
+export const createInvoiceSeriesDTO = (data) => ({
+    owners_id: data.owners_id ?? null,
+    series_type: data.series_type ?? 'invoice',
+    pattern: data.pattern?.trim(),
+    owner_code: data.owner_code?.trim() ?? null,
+});
+
+// El propietario y el tipo de una serie no cambian: solo el formato.
+export const updateInvoiceSeriesDTO = (data) => ({
+    pattern: data.pattern?.trim(),
+    owner_code: data.owner_code === null ? null : data.owner_code?.trim(),
+});
+
+export const nextNumberDTO = (query) => ({
+    owners_id: query.owners_id,
+    series_type: query.series_type ?? 'invoice',
+    date: query.date ?? null,
+});
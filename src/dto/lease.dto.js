@@ -0,0 +1,37 @@
+// Campos que el cliente puede enviar al crear un contrato de arrendamiento.
+// Los propietarios no se envían: se obtienen de estate_owners.
+export const createLeaseDTO = (data) => ({
+    estates_id: data.estates_id,
+    clients_id: data.clients_id,
+    start_date: data.start_date,
+    end_date: data.end_date ?? null,
+    monthly_rent: data.monthly_rent,
+    deposit: data.deposit ?? 0,
+    indexation_type: data.indexation_type ?? null,
+    indexation_cap: data.indexation_cap ?? null,
+    iva: data.iva ?? 0,
+    irpf: data.irpf ?? 0,
+    billing_day: data.billing_day ?? 1,
+    due_days: data.due_days ?? 30,
+    collection_method: data.collection_method ?? 'transfer',
+    status: data.status ?? 'active',
+    notes: data.notes?.trim() ?? null,
+});
+
+export const updateLeaseDTO = (data) => ({
+    estates_id: data.estates_id,
+    clients_id: data.clients_id,
+    start_date: data.start_date,
+    end_date: data.end_date,
+    monthly_rent: data.monthly_rent,
+    deposit: data.deposit,
+    indexation_type: data.indexation_type,
+    indexation_cap: data.indexation_cap,
+    iva: data.iva,
+    irpf: data.irpf,
+    billing_day: data.billing_day,
+    due_days: data.due_days,
+    collection_method: data.collection_method,
+    status: data.status,
+    notes: data.notes?.trim(),
+});
@@ -0,0 +1,14 @@
+// Campos que el cliente puede enviar al generar una liquidación.
+// commission_rate null = comisión por defecto (MANAGEMENT_FEE_RATE).
+export const createOwnerSettlementDTO = (data) => ({
+    period_start: data.period_start,
+    period_end: data.period_end,
+    commission_rate: data.commission_rate ?? null,
+    notes: data.notes?.trim() ?? null,
+    dry_run: data.dry_run === true || data.dry_run === 'true',
+});
+
+export const payOwnerSettlementDTO = (data) => ({
+    paid_date: data.paid_date ?? null,
+    payment_reference: data.payment_reference?.trim() ?? null,
+});
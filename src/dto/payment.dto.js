@@ -0,0 +1,22 @@
+// Campos que el cliente puede enviar al registrar un cobro.
+// Sin allocations, el cobro se imputa a las facturas pendientes más antiguas.
+const allocationsDTO = (allocations) => Array.isArray(allocations)
+    ? allocations.map(allocation => ({
+        invoice_issued_id: Number(allocation.invoice_issued_id),
+        amount: allocation.amount ?? null,
+    }))
+    : null;
+
+export const createPaymentDTO = (data) => ({
+    clients_id: Number(data.clients_id),
+    payment_date: data.payment_date ?? null,
+    amount: data.amount,
+    method: data.method ?? 'transfer',
+    reference: data.reference?.trim() ?? null,
+    notes: data.notes?.trim() ?? null,
+    allocations: allocationsDTO(data.allocations),
+});
+
+export const allocatePaymentDTO = (data) => ({
+    allocations: allocationsDTO(data.allocations),
+});
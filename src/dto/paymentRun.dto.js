@@ -0,0 +1,14 @@
+// Campos que el cliente puede enviar al crear y pagar una remesa de pago.
+export const createPaymentRunDTO = (data) => ({
+    due_until: data.due_until,
+    payment_date: data.payment_date ?? null,
+    bank_account: data.bank_account?.trim() || null,
+    method: data.method ?? 'transfer',
+    supplier_ids: Array.isArray(data.supplier_ids) ? data.supplier_ids.map(Number) : null,
+    notes: data.notes?.trim() ?? null,
+});
+
+export const payPaymentRunDTO = (data) => ({
+    payment_date: data.payment_date ?? null,
+    reference: data.reference?.trim() || null,
+});
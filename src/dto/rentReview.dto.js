@@ -0,0 +1,13 @@
+// Valor de un índice de actualización para un mes (variación anual en %).
+export const rentIndexDTO = (data) => ({
+    index_type: data.index_type?.trim().toUpperCase(),
+    period: data.period?.trim(),
+    value: data.value,
+    source: data.source?.trim() ?? null,
+});
+
+// Generación de revisiones: aniversarios hasta until_date (hoy por defecto).
+export const generateRentReviewsDTO = (data) => ({
+    until_date: data.until_date ?? null,
+    lease_ids: Array.isArray(data.lease_ids) ? data.lease_ids.map(Number) : null,
+});
@@ -0,0 +1,44 @@
+// Campos que el cliente puede enviar para mandatos, acreedores, remesas y devoluciones SEPA.
+export const sepaMandateDTO = (data) => ({
+    sepa_mandate_id: data.sepa_mandate_id?.trim() || null,
+    sepa_mandate_date: data.sepa_mandate_date ?? null,
+    sepa_iban: data.sepa_iban?.trim() || null,
+    sepa_bic: data.sepa_bic?.trim() || null,
+    sepa_sequence_type: data.sepa_sequence_type ?? null,
+});
+
+export const sepaCreditorDTO = (data) => ({
+    sepa_iban: data.sepa_iban?.trim() || null,
+    sepa_bic: data.sepa_bic?.trim() || null,
+    sepa_creditor_id: data.sepa_creditor_id?.trim() || null,
+});
+
+export const createDirectDebitDTO = (data) => ({
+    invoice_ids: Array.isArray(data.invoice_ids) ? data.invoice_ids.map(Number) : [],
+    collection_date: data.collection_date ?? null,
+});
+
+export const createCreditTransferDTO = (data) => ({
+    invoice_ids: Array.isArray(data.invoice_ids) ? data.invoice_ids.map(Number) : [],
+    execution_date: data.execution_date ?? null,
+    bank_account: data.bank_account?.trim() || null,
+});
+
+export const confirmCreditTransferDTO = (data) => ({
+    payment_date: data.payment_date ?? null,
+});
+
+export const registerSepaReturnDTO = (data) => ({
+    invoice_issued_id: Number(data.invoice_issued_id),
+    amount: data.amount !== undefined && data.amount !== null && data.amount !== '' ? Number(data.amount) : null,
+    return_date: data.return_date ?? null,
+    reason_code: data.reason_code?.trim().toUpperCase() || null,
+    bank_charges: data.bank_charges !== undefined && data.bank_charges !== null ? Number(data.bank_charges) : 0,
+    charge_fee: data.charge_fee === true || data.charge_fee === 'true',
+    fee_amount: data.fee_amount !== undefined && data.fee_amount !== null && data.fee_amount !== '' ? Number(data.fee_amount) : null,
+    notes: data.notes?.trim() || null,
+});
+
+export const sepaReturnFeeDTO = (data) => ({
+    fee_status: data.fee_status,
+});
@@ -0,0 +1,11 @@
+// Campos que el cliente puede enviar al registrar un pago a proveedor.
+// Sin amount se paga todo el pendiente; sin bank_account, desde la cuenta de la empresa.
+export const createSupplierPaymentDTO = (data) => ({
+    invoice_received_id: Number(data.invoice_received_id),
+    payment_date: data.payment_date ?? null,
+    amount: data.amount ?? null,
+    method: data.method ?? 'transfer',
+    bank_account: data.bank_account?.trim() || null,
+    reference: data.reference?.trim() ?? null,
+    notes: data.notes?.trim() ?? null,
+});
@@ -0,0 +1,82 @@
+import { Buffer } from "node:buffer";
+import AuditService from "../services/auditServices.js";
+import logger from "../config/logger.js";
+
+/**
+ * 📝 MIDDLEWARE DE AUDITORÍA
+ *
+ * ¿Qué hace este middleware?
+ * - Lee el registro ANTES de que el controller lo modifique o elimine
+ * - Cuando el controller responde con éxito (2xx), vuelve a leerlo y guarda
+ *   en audit_log los campos cambiados, el usuario (req.user) y la IP
+ * - Si la respuesta es un error no registra nada
+ *
+ * La acción sale del método HTTP: POST = create, PUT/PATCH = update,
+ * DELETE = delete. El id es req.params.id; en las altas se toma del id
+ * devuelto en data (objeto o array).
+ *
+ * Orden de ejecución:
+ * Request → auth → role → validación → audit → controller
+ *
+ * El registro se guarda antes de enviar la respuesta; si falla se anota en el
+ * log y la respuesta sale igualmente (el cambio ya está hecho).
+ *
+ * @param {string} entity - clave de AUDIT_ENTITIES (invoice_issued, client...)
+ * @returns {Function} Middleware function para Express
+ *
+ * @example
+ * router.put('/:id', auth, role(['admin']), validateClient, errorHandler, audit('client'), ClientsControllers.updateClient);
+ */
+const ACTIONS_BY_METHOD = {POST: 'create', PUT: 'update', PATCH: 'update', DELETE: 'delete'};
+
+// res.json llega a res.send con el cuerpo ya serializado
+const responseId = (body) => {
+    let parsed = body;
+    if (typeof body === 'string' || Buffer.isBuffer(body)) {
+        try {
+            parsed = JSON.parse(body.toString());
+        } catch {
+            return null;
+        }
+    }
+    const data = Array.isArray(parsed?.data) ? parsed.data[0] : parsed?.data;
+    return Number(data?.id) || null;
+};
+
+export default function audit(entity) {
+    return async (req, res, next) => {
+        const action = ACTIONS_BY_METHOD[req.method];
+        const paramId = Number(req.params.id) || null;
+
+        try {
+            const before = action !== 'create' && paramId ? await AuditService.snapshot(entity, paramId) : null;
+
+            // send cubre tanto res.json como las bajas que responden 204 sin cuerpo
+            const send = res.send.bind(res);
+            res.send = async (body) => {
+                res.send = send;
+                const entityId = action === 'create' ? responseId(body) : paramId;
+
+                if (res.statusCode >= 200 && res.statusCode < 300 && entityId) {
+                    try {
+                        await AuditService.record({
+                            entity,
+                            entity_id: entityId,
+                            action,
+                            before,
+                            user: req.user,
+                            ip_address: req.ip ?? null
+                        });
+                    } catch (error) {
+                        logger.error({entity, entityId, action, err: error}, 'No se pudo guardar el registro de auditoría');
+                    }
+                }
+                return send(body);
+            };
+
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+}
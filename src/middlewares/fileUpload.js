@@ -32,6 +32,52 @@ const upload = multer({
  */
 export const uploadInvoiceFile = upload.single('invoice_file');
 
+// Extractos bancarios: Norma 43 (texto) o CAMT.053 (XML)
+const STATEMENT_EXTENSIONS = /\.(n43|q43|aeb|txt|csb|xml)$/i;
+
+const statementUpload = multer({
+    storage: storage,
+    fileFilter: (req, file, cb) => {
+        if (STATEMENT_EXTENSIONS.test(file.originalname)) {
+            cb(null, true);
+        } else {
+            cb(new Error('Solo se permiten extractos Norma 43 o CAMT.053'), false);
+        }
+    },
+    limits: {
+        fileSize: 10 * 1024 * 1024, // 10MB máximo
+        files: 1 // Solo un archivo
+    }
+});
+
+/**
+ * Middleware para subir un extracto bancario
+ * Campo: 'statement_file'
+ */
+export const uploadStatementFile = statementUpload.single('statement_file');
+
+// Devoluciones de adeudos: pain.002 o CAMT (XML)
+const returnUpload = multer({
+    storage: storage,
+    fileFilter: (req, file, cb) => {
+        if (/\.xml$/i.test(file.originalname)) {
+            cb(null, true);
+        } else {
+            cb(new Error('Solo se permiten ficheros XML (pain.002 o CAMT)'), false);
+        }
+    },
+    limits: {
+        fileSize: 10 * 1024 * 1024, // 10MB máximo
+        files: 1 // Solo un archivo
+    }
+});
+
+/**
+ * Middleware para subir un fichero de devoluciones SEPA
+ * Campo: 'return_file'
+ */
+export const uploadReturnFile = returnUpload.single('return_file');
+
 /**
  * Middleware de manejo de errores de multer
  */
@@ -60,5 +106,11 @@ export const handleUploadErrors = (error, req, res, next) => {
         });
     }
 
+    if (['Solo se permiten extractos Norma 43 o CAMT.053', 'Solo se permiten ficheros XML (pain.002 o CAMT)'].includes(error.message)) {
+        return res.status(400).json({
+            error: error.message
+        });
+    }
+
     next(error);
 };
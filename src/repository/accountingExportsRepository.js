@@ -0,0 +1,243 @@
+import db from '../db/dbConnect.js';
+
+const MAPPING_FIELDS = `m.id, m.mapping_type, m.mapping_key, m.account_code, m.created_at, m.updated_at`;
+
+const EXPORT_FIELDS = `ae.id, ae.format, ae.date_from, ae.date_to, ae.entries_count, ae.total_amount,
+                   ae.journal_file_name, ae.accounts_file_name, ae.created_by, ae.created_at`;
+
+/**
+ * Repositorio de exportación contable: mapeo de subcuentas
+ * (accounting_account_mappings) y lotes exportados (accounting_exports con
+ * sus asientos en accounting_export_items)
+ * Un asiento solo puede estar en un lote: la clave única de
+ * accounting_export_items impide exportarlo dos veces aunque se generen dos
+ * lotes a la vez.
+ */
+export default class AccountingExportsRepository {
+
+    // ==========================================
+    // MAPEO DE SUBCUENTAS
+    // ==========================================
+
+    /**
+     * @param {string} [mappingType] - client, supplier o expense_category
+     */
+    static async getMappings(mappingType = null) {
+        const [rows] = await db.query(`
+            SELECT ${MAPPING_FIELDS}
+            FROM accounting_account_mappings m
+            ${mappingType ? 'WHERE m.mapping_type = ?' : ''}
+            ORDER BY m.mapping_type ASC, m.mapping_key ASC`, mappingType ? [mappingType] : []);
+        return rows;
+    }
+
+    static async findMappingById(id) {
+        const [rows] = await db.query(`
+            SELECT ${MAPPING_FIELDS}
+            FROM accounting_account_mappings m
+            WHERE m.id = ?`, [id]);
+        return rows;
+    }
+
+    static async findMapping(mappingType, mappingKey) {
+        const [rows] = await db.query(`
+            SELECT ${MAPPING_FIELDS}
+            FROM accounting_account_mappings m
+            WHERE m.mapping_type = ?
+              AND m.mapping_key = ?`, [mappingType, mappingKey]);
+        return rows;
+    }
+
+    static async createMapping(data) {
+        const [result] = await db.query(`
+            INSERT INTO accounting_account_mappings (mapping_type, mapping_key, account_code)
+            VALUES (?, ?, ?)`, [data.mapping_type, data.mapping_key, data.account_code]);
+        return [{id: result.insertId, created: true}];
+    }
+
+    static async updateMapping(id, accountCode) {
+        const [result] = await db.query(`
+            UPDATE accounting_account_mappings
+            SET account_code = ?,
+                updated_at   = NOW()
+            WHERE id = ?`, [accountCode, id]);
+        return result.affectedRows ? [{id: Number(id), updated: true}] : [];
+    }
+
+    static async deleteMapping(id) {
+        const [result] = await db.query(`
+            DELETE
+            FROM accounting_account_mappings
+            WHERE id = ?`, [id]);
+        return result.affectedRows ? [{id: Number(id), deleted: true}] : [];
+    }
+
+    // ==========================================
+    // ASIENTOS PENDIENTES DE EXPORTAR
+    // ==========================================
+
+    /**
+     * Asientos del periodo que no están en ningún lote, con los datos de su
+     * documento (factura emitida y cliente, factura recibida y proveedor, o
+     * gasto interno)
+     * @param {Object} filters
+     * @param {string} filters.date_from - YYYY-MM-DD
+     * @param {string} filters.date_to - YYYY-MM-DD
+     * @param {string[]} sourceTypes - Orígenes que se exportan
+     */
+    static async getEntriesToExport(filters, sourceTypes) {
+        const [rows] = await db.query(`
+            SELECT je.id, je.fiscal_year, je.entry_number, je.entry_date, je.description, je.source_type,
+                   je.source_id, je.total,
+                   ii.clients_id,
+                   ii.invoice_number   AS issued_number,
+                   ii.tax_base         AS issued_tax_base,
+                   ii.iva              AS issued_iva,
+                   c.name              AS client_name,
+                   c.lastname          AS client_lastname,
+                   c.company_name      AS client_company_name,
+                   c.identification    AS client_nif,
+                   c.address           AS client_address,
+                   c.location          AS client_city,
+                   c.province          AS client_province,
+                   c.postal_code       AS client_postal_code,
+                   ir.supplier_id,
+                   ir.invoice_number   AS received_number,
+                   ir.tax_base         AS received_tax_base,
+                   ir.iva_percentage   AS received_iva,
+                   ir.category         AS received_category,
+                   ir.is_refund        AS received_is_refund,
+                   s.name              AS supplier_name,
+                   s.company_name      AS supplier_company_name,
+                   s.tax_id            AS supplier_nif,
+                   s.address           AS supplier_address,
+                   s.city              AS supplier_city,
+                   s.province          AS supplier_province,
+                   s.postal_code       AS supplier_postal_code,
+                   ie.receipt_number,
+                   ie.amount           AS expense_tax_base,
+                   ie.iva_percentage   AS expense_iva,
+                   ie.is_deductible    AS expense_is_deductible,
+                   ie.category         AS expense_category
+            FROM journal_entries je
+                     LEFT JOIN invoices_issued ii ON je.source_type = 'invoice_issued' AND ii.id = je.source_id
+                     LEFT JOIN clients c ON ii.clients_id = c.id
+                     LEFT JOIN invoices_received ir ON je.source_type = 'invoice_received' AND ir.id = je.source_id
+                     LEFT JOIN suppliers s ON ir.supplier_id = s.id
+                     LEFT JOIN internal_expenses ie ON je.source_type = 'internal_expense' AND ie.id = je.source_id
+                     LEFT JOIN accounting_export_items aei ON aei.journal_entry_id = je.id
+            WHERE aei.id IS NULL
+              AND je.source_type IN (?)
+              AND je.entry_date BETWEEN ? AND ?
+            ORDER BY je.entry_date ASC, je.fiscal_year ASC, je.entry_number ASC`,
+            [sourceTypes, filters.date_from, filters.date_to]);
+        return rows;
+    }
+
+    // ==========================================
+    // LOTES
+    // ==========================================
+
+    static async getAll() {
+        const [rows] = await db.query(`
+            SELECT ${EXPORT_FIELDS}
+            FROM accounting_exports ae
+            ORDER BY ae.created_at DESC, ae.id DESC`);
+        return rows;
+    }
+
+    static async findById(id) {
+        const [rows] = await db.query(`
+            SELECT ${EXPORT_FIELDS}
+            FROM accounting_exports ae
+            WHERE ae.id = ?`, [id]);
+        return rows;
+    }
+
+    static async getItems(exportId) {
+        const [rows] = await db.query(`
+            SELECT id, journal_entry_id, fiscal_year, entry_number, source_type, source_id
+            FROM accounting_export_items
+            WHERE export_id = ?
+            ORDER BY fiscal_year ASC, entry_number ASC`, [exportId]);
+        return rows;
+    }
+
+    static async getFiles(id) {
+        const [rows] = await db.query(`
+            SELECT id, format, journal_file_name, journal_content, accounts_file_name, accounts_content
+            FROM accounting_exports
+            WHERE id = ?`, [id]);
+        return rows;
+    }
+
+    /**
+     * Lotes en los que se exportó el asiento de un documento
+     * @param {string} sourceType - invoice_issued, invoice_received o internal_expense
+     * @param {number} sourceId
+     */
+    static async findExportsForSource(sourceType, sourceId) {
+        const [rows] = await db.query(`
+            SELECT DISTINCT ae.id, ae.format, ae.created_at
+            FROM accounting_export_items aei
+                     JOIN accounting_exports ae ON aei.export_id = ae.id
+            WHERE aei.source_type = ?
+              AND aei.source_id = ?
+            ORDER BY ae.id ASC`, [sourceType, sourceId]);
+        return rows;
+    }
+
+    /**
+     * Guarda el lote con sus asientos en una transacción
+     * @param {Object} batch - {format, date_from, date_to, total_amount, journal_file_name, journal_content,
+     *                          accounts_file_name, accounts_content, created_by}
+     * @param {Object[]} items - [{journal_entry_id, fiscal_year, entry_number, source_type, source_id}]
+     * @returns {Promise<Array>} [] si algún asiento ya se exportó en otro lote
+     */
+    static async create(batch, items) {
+        const connection = await db.getConnection();
+        try {
+            await connection.beginTransaction();
+
+            const [result] = await connection.query(`
+                INSERT INTO accounting_exports (format, date_from, date_to, entries_count, total_amount,
+                                                journal_file_name, journal_content, accounts_file_name,
+                                                accounts_content, created_by)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [batch.format, batch.date_from, batch.date_to, items.length, batch.total_amount,
+                    batch.journal_file_name, batch.journal_content, batch.accounts_file_name,
+                    batch.accounts_content, batch.created_by]
+            );
+
+            for (const item of items) {
+                await connection.query(`
+                    INSERT INTO accounting_export_items (export_id, journal_entry_id, fiscal_year, entry_number,
+                                                         source_type, source_id)
+                    VALUES (?, ?, ?, ?, ?, ?)`,
+                    [result.insertId, item.journal_entry_id, item.fiscal_year, item.entry_number,
+                        item.source_type, item.source_id]
+                );
+            }
+
+            await connection.commit();
+            return [{id: result.insertId, created: true}];
+        } catch (error) {
+            await connection.rollback();
+            if (error.code === 'ER_DUP_ENTRY') return [];
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * Borra el lote; sus asientos vuelven a quedar pendientes (los items se borran en cascada)
+     */
+    static async delete(id) {
+        const [result] = await db.query(`
+            DELETE
+            FROM accounting_exports
+            WHERE id = ?`, [id]);
+        return result.affectedRows ? [{id: Number(id), deleted: true}] : [];
+    }
+}
@@ -0,0 +1,279 @@
+import db from '../db/dbConnect.js';
+
+const KEY_FIELDS = 'k.id, k.name, k.method, k.description, k.is_default, k.created_at, k.updated_at';
+
+const RULE_FIELDS = `r.id, r.allocation_key_id, r.scope, r.scope_value, r.created_at, r.updated_at,
+                   k.name AS allocation_key_name`;
+
+/**
+ * Repositorio del reparto de gastos generales entre propietarios
+ * Gestiona allocation_keys (claves con sus porcentajes fijos en allocation_key_shares),
+ * allocation_rules (clave por categoría, centro de coste o proveedor) y
+ * expense_allocations (reparto guardado de cada gasto por propietario).
+ */
+export default class AllocationsRepository {
+
+    // ========================================
+    // CLAVES DE REPARTO
+    // ========================================
+
+    static async getAllKeys() {
+        const [rows] = await db.query(`
+            SELECT ${KEY_FIELDS}
+            FROM allocation_keys k
+            ORDER BY k.is_default DESC, k.name ASC
+        `);
+        return rows;
+    }
+
+    static async findKeyById(id) {
+        const [rows] = await db.query(`SELECT ${KEY_FIELDS} FROM allocation_keys k WHERE k.id = ?`, [id]);
+        return rows;
+    }
+
+    static async findKeyByName(name) {
+        const [rows] = await db.query(`
+            SELECT ${KEY_FIELDS}
+            FROM allocation_keys k
+            WHERE LOWER(TRIM(k.name)) = LOWER(TRIM(?))`, [name]);
+        return rows;
+    }
+
+    static async findDefaultKey() {
+        const [rows] = await db.query(`SELECT ${KEY_FIELDS} FROM allocation_keys k WHERE k.is_default = 1 LIMIT 1`);
+        return rows;
+    }
+
+    /**
+     * Porcentajes fijos de una clave (método fixed)
+     */
+    static async getKeyShares(keyId) {
+        const [rows] = await db.query(`
+            SELECT ks.owners_id, ks.percentage, o.name AS owner_name, o.lastname AS owner_lastname
+            FROM allocation_key_shares ks
+                     JOIN owners o ON ks.owners_id = o.id
+            WHERE ks.allocation_key_id = ?
+            ORDER BY ks.owners_id ASC`, [keyId]);
+        return rows;
+    }
+
+    /**
+     * Propiedad y superficie de todos los inmuebles por propietario (métodos ownership y surface)
+     */
+    static async getOwnershipBase() {
+        const [rows] = await db.query(`
+            SELECT eo.owners_id, eo.estate_id, eo.ownership_percentage, e.surface
+            FROM estate_owners eo
+                     JOIN estates e ON eo.estate_id = e.id
+            ORDER BY eo.owners_id ASC, eo.estate_id ASC
+        `);
+        return rows;
+    }
+
+    /**
+     * Crea una clave con sus porcentajes fijos en una sola transacción
+     * Si la nueva clave es la de por defecto, las demás dejan de serlo.
+     */
+    static async createKey(key) {
+        const {name, method, description = null, is_default = false, shares = []} = key;
+        const connection = await db.getConnection();
+        try {
+            await connection.beginTransaction();
+
+            if (is_default) await connection.query('UPDATE allocation_keys SET is_default = 0');
+            const [result] = await connection.query(`
+                INSERT INTO allocation_keys (name, method, description, is_default)
+                VALUES (?, ?, ?, ?)`,
+                [name, method, description, is_default ? 1 : 0]
+            );
+            await this.insertShares(connection, result.insertId, shares);
+
+            await connection.commit();
+            return result.insertId ? [{id: result.insertId, created: true}] : [];
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * Actualiza una clave; los porcentajes fijos se sustituyen si se envían
+     */
+    static async updateKey(key) {
+        const {id, name, method, description, is_default, shares} = key;
+        const connection = await db.getConnection();
+        try {
+            await connection.beginTransaction();
+
+            if (is_default) await connection.query('UPDATE allocation_keys SET is_default = 0 WHERE id <> ?', [id]);
+            const [result] = await connection.query(`
+                UPDATE allocation_keys
+                SET name        = ?,
+                    method      = ?,
+                    description = ?,
+                    is_default  = ?
+                WHERE id = ?`,
+                [name, method, description, is_default ? 1 : 0, id]
+            );
+            if (shares) {
+                await connection.query('DELETE FROM allocation_key_shares WHERE allocation_key_id = ?', [id]);
+                await this.insertShares(connection, id, shares);
+            }
+
+            await connection.commit();
+            return result.affectedRows > 0 ? [{id: Number(id), updated: true}] : [];
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    static async insertShares(connection, keyId, shares) {
+        if (!shares.length) return;
+        await connection.query(
+            'INSERT INTO allocation_key_shares (allocation_key_id, owners_id, percentage) VALUES ?',
+            [shares.map(share => [keyId, share.owners_id, share.percentage])]
+        );
+    }
+
+    static async deleteKey(id) {
+        const [result] = await db.query('DELETE FROM allocation_keys WHERE id = ?', [id]);
+        return result.affectedRows > 0 ? [{id: Number(id), deleted: true}] : [];
+    }
+
+    // ========================================
+    // REGLAS DE REPARTO
+    // ========================================
+
+    static async getAllRules() {
+        const [rows] = await db.query(`
+            SELECT ${RULE_FIELDS}
+            FROM allocation_rules r
+                     JOIN allocation_keys k ON r.allocation_key_id = k.id
+            ORDER BY FIELD(r.scope, 'supplier', 'cost_center', 'category'), r.scope_value ASC
+        `);
+        return rows;
+    }
+
+    static async findRuleById(id) {
+        const [rows] = await db.query(`
+            SELECT ${RULE_FIELDS}
+            FROM allocation_rules r
+                     JOIN allocation_keys k ON r.allocation_key_id = k.id
+            WHERE r.id = ?`, [id]);
+        return rows;
+    }
+
+    static async findRuleByScope(scope, scopeValue) {
+        const [rows] = await db.query(`
+            SELECT id, allocation_key_id, scope, scope_value
+            FROM allocation_rules
+            WHERE scope = ?
+              AND UPPER(TRIM(scope_value)) = UPPER(TRIM(?))`, [scope, scopeValue]);
+        return rows;
+    }
+
+    static async createRule(rule) {
+        const {allocation_key_id, scope, scope_value} = rule;
+        const [result] = await db.query(`
+            INSERT INTO allocation_rules (allocation_key_id, scope, scope_value)
+            VALUES (?, ?, ?)`,
+            [allocation_key_id, scope, scope_value]
+        );
+        return result.insertId ? [{id: result.insertId, created: true}] : [];
+    }
+
+    static async updateRule(rule) {
+        const {id, allocation_key_id, scope, scope_value} = rule;
+        const [result] = await db.query(`
+            UPDATE allocation_rules
+            SET allocation_key_id = ?,
+                scope             = ?,
+                scope_value       = ?
+            WHERE id = ?`,
+            [allocation_key_id, scope, scope_value, id]
+        );
+        return result.affectedRows > 0 ? [{id: Number(id), updated: true}] : [];
+    }
+
+    static async deleteRule(id) {
+        const [result] = await db.query('DELETE FROM allocation_rules WHERE id = ?', [id]);
+        return result.affectedRows > 0 ? [{id: Number(id), deleted: true}] : [];
+    }
+
+    // ========================================
+    // REPARTOS GUARDADOS
+    // ========================================
+
+    /**
+     * Columna de expense_allocations según el tipo de gasto
+     */
+    static getSourceColumn(type) {
+        return type === 'received' ? 'invoice_received_id' : 'internal_expense_id';
+    }
+
+    static async findBySource(type, sourceId) {
+        const column = this.getSourceColumn(type);
+        const [rows] = await db.query(`
+            SELECT ea.id, ea.${column} AS source_id, ea.owners_id, ea.allocation_key_id, ea.allocation_rule_id,
+                   ea.percentage, ea.base, ea.iva, ea.irpf, ea.total, ea.created_at,
+                   o.name AS owner_name, o.lastname AS owner_lastname,
+                   k.name AS allocation_key_name
+            FROM expense_allocations ea
+                     JOIN owners o ON ea.owners_id = o.id
+                     LEFT JOIN allocation_keys k ON ea.allocation_key_id = k.id
+            WHERE ea.${column} = ?
+            ORDER BY ea.owners_id ASC`, [sourceId]);
+        return rows;
+    }
+
+    /**
+     * Todos los repartos guardados (para el libro de IVA por propietario)
+     */
+    static async getAll() {
+        const [rows] = await db.query(`
+            SELECT id, invoice_received_id, internal_expense_id, owners_id, allocation_key_id, allocation_rule_id,
+                   percentage, base, iva, irpf, total
+            FROM expense_allocations
+            ORDER BY owners_id ASC
+        `);
+        return rows;
+    }
+
+    /**
+     * Sustituye el reparto de un gasto en una sola transacción
+     * Con allocations vacío solo borra el reparto anterior (gasto asignado a un inmueble).
+     */
+    static async replaceForSource(type, sourceId, allocations) {
+        const column = this.getSourceColumn(type);
+        const connection = await db.getConnection();
+        try {
+            await connection.beginTransaction();
+
+            await connection.query(`DELETE FROM expense_allocations WHERE ${column} = ?`, [sourceId]);
+            if (allocations.length) {
+                await connection.query(`
+                    INSERT INTO expense_allocations
+                        (${column}, owners_id, allocation_key_id, allocation_rule_id, percentage, base, iva, irpf, total)
+                    VALUES ?`,
+                    [allocations.map(row => [
+                        sourceId, row.owners_id, row.allocation_key_id, row.allocation_rule_id,
+                        row.percentage, row.base, row.iva, row.irpf, row.total
+                    ])]
+                );
+            }
+
+            await connection.commit();
+            return [{source_id: Number(sourceId), allocated: allocations.length}];
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+}
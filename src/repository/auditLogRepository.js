@@ -0,0 +1,75 @@
+import db from '../db/dbConnect.js';
+
+const LOG_FIELDS = `al.id, al.entity, al.entity_id, al.action, al.user_id, al.username, al.ip_address,
+                   al.changes, al.created_at`;
+
+/**
+ * Repositorio del registro de auditoría (audit_log)
+ * Solo inserta y consulta: las filas no se modifican ni se borran desde la API.
+ */
+export default class AuditLogRepository {
+
+    /**
+     * @param {Object} filters - entity, entity_id, action, user_id, date_from, date_to, limit, offset
+     */
+    static async getAll(filters = {}) {
+        const conditions = [];
+        const params = [];
+
+        if (filters.entity) {
+            conditions.push('al.entity = ?');
+            params.push(filters.entity);
+        }
+        if (filters.entity_id) {
+            conditions.push('al.entity_id = ?');
+            params.push(filters.entity_id);
+        }
+        if (filters.action) {
+            conditions.push('al.action = ?');
+            params.push(filters.action);
+        }
+        if (filters.user_id) {
+            conditions.push('al.user_id = ?');
+            params.push(filters.user_id);
+        }
+        if (filters.date_from) {
+            conditions.push('al.created_at >= ?');
+            params.push(filters.date_from);
+        }
+        if (filters.date_to) {
+            // date_to incluye todo el día
+            conditions.push('al.created_at < DATE_ADD(?, INTERVAL 1 DAY)');
+            params.push(filters.date_to);
+        }
+
+        const [rows] = await db.query(`
+            SELECT ${LOG_FIELDS}
+            FROM audit_log al
+            ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+            ORDER BY al.created_at DESC, al.id DESC
+            LIMIT ? OFFSET ?`, [...params, filters.limit ?? 100, filters.offset ?? 0]);
+        return rows;
+    }
+
+    /**
+     * Historial de un registro, del cambio más antiguo al más reciente
+     */
+    static async getByRecord(entity, entityId) {
+        const [rows] = await db.query(`
+            SELECT ${LOG_FIELDS}
+            FROM audit_log al
+            WHERE al.entity = ?
+              AND al.entity_id = ?
+            ORDER BY al.created_at ASC, al.id ASC`, [entity, entityId]);
+        return rows;
+    }
+
+    static async create(entry) {
+        const [result] = await db.query(`
+            INSERT INTO audit_log (entity, entity_id, action, user_id, username, ip_address, changes)
+            VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [entry.entity, entry.entity_id, entry.action, entry.user_id ?? null, entry.username ?? null,
+                entry.ip_address ?? null, JSON.stringify(entry.changes)]);
+        return [{id: result.insertId, created: true}];
+    }
+}
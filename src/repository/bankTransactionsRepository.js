@@ -0,0 +1,497 @@
+import db from '../db/dbConnect.js';
+import PaymentsRepository from './paymentsRepository.js';
+import SupplierPaymentsRepository from './supplierPaymentsRepository.js';
+import { PAYABLE_STATUSES, REMITTABLE_STATUSES } from '../shared/helpers/sepaHelpers.js';
+
+// Facturas emitidas conciliables: las remesadas también, el banco puede abonarlas
+const COLLECTABLE_STATUSES = [...REMITTABLE_STATUSES, 'remitted'];
+
+// Pendiente de cada factura emitida: total - cobros imputados - fianza aplicada
+const ISSUED_OUTSTANDING = `ii.total
+                   - (SELECT COALESCE(SUM(pa.amount), 0) FROM payment_allocations pa WHERE pa.invoice_issued_id = ii.id)
+                   - (SELECT COALESCE(SUM(da.amount), 0) FROM deposit_applications da WHERE da.invoice_issued_id = ii.id)`;
+
+// Pendiente de cada factura recibida: total - pagos
+const RECEIVED_OUTSTANDING = `ir.total_amount
+                   - (SELECT COALESCE(SUM(sp.amount), 0) FROM supplier_payments sp WHERE sp.invoice_received_id = ir.id)`;
+
+const STATEMENT_FIELDS = `bs.id, bs.format, bs.file_name, bs.account_iban, bs.currency, bs.date_from, bs.date_to,
+                   bs.opening_balance, bs.closing_balance, bs.transactions_count, bs.imported_by, bs.created_at`;
+
+const TRANSACTION_FIELDS = `bt.id, bt.statement_id, bt.line_number, bt.line_reference, bt.account_iban,
+                   bt.booking_date, bt.value_date, bt.amount, bt.concept, bt.counterparty_name, bt.reference,
+                   bt.status, bt.matched_amount, bt.created_at, bt.updated_at`;
+
+const MATCH_FIELDS = `btm.id, btm.bank_transaction_id, btm.invoice_type, btm.invoice_issued_id, btm.invoice_received_id,
+                   btm.amount, btm.score, btm.reasons, btm.status, btm.payment_id, btm.supplier_payment_id,
+                   btm.accepted_by, btm.accepted_at, btm.created_at,
+                   COALESCE(ii.invoice_number, ir.invoice_number) AS invoice_number,
+                   COALESCE(ii.due_date, ir.due_date)             AS due_date,
+                   COALESCE(ii.total, ir.total_amount)            AS invoice_total,
+                   COALESCE(ii.collection_status, ir.collection_status) AS invoice_status`;
+
+const placeholders = (values) => values.map(() => '?').join(', ');
+
+/**
+ * Repositorio de conciliación bancaria
+ * Extractos importados (bank_statements), sus movimientos (bank_transactions)
+ * y las facturas propuestas o aceptadas para cada uno (bank_transaction_matches).
+ * Al aceptar una conciliación se registra el cobro (payments) o el pago
+ * (supplier_payments) con la referencia de la línea del extracto y se recalcula
+ * el estado de la factura.
+ */
+export default class BankTransactionsRepository {
+
+    static async getStatements() {
+        const [rows] = await db.query(`
+            SELECT ${STATEMENT_FIELDS}
+            FROM bank_statements bs
+            ORDER BY bs.created_at DESC, bs.id DESC`);
+        return rows;
+    }
+
+    /**
+     * Extracto ya importado de la misma cuenta con el mismo fichero
+     */
+    static async findStatementByHash(fileHash, accountIban) {
+        const [rows] = await db.query(`
+            SELECT ${STATEMENT_FIELDS}
+            FROM bank_statements bs
+            WHERE bs.file_hash = ?
+              AND bs.account_iban = ?`, [fileHash, accountIban]);
+        return rows;
+    }
+
+    /**
+     * Guarda un extracto con sus movimientos en una transacción
+     * @param {Object} statement - {format, file_name, file_hash, account_iban, currency, date_from, date_to,
+     *        opening_balance, closing_balance, imported_by}
+     * @param {Object[]} transactions - [{line_number, booking_date, value_date, amount, concept,
+     *        counterparty_name, reference}]
+     */
+    static async createStatement(statement, transactions) {
+        const connection = await db.getConnection();
+        try {
+            await connection.beginTransaction();
+
+            const [result] = await connection.query(`
+                INSERT INTO bank_statements (format, file_name, file_hash, account_iban, currency, date_from, date_to,
+                                             opening_balance, closing_balance, transactions_count, imported_by)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [statement.format, statement.file_name, statement.file_hash, statement.account_iban,
+                    statement.currency, statement.date_from, statement.date_to, statement.opening_balance,
+                    statement.closing_balance, transactions.length, statement.imported_by]
+            );
+
+            for (const transaction of transactions) {
+                await connection.query(`
+                    INSERT INTO bank_transactions (statement_id, line_number, line_reference, account_iban,
+                                                   booking_date, value_date, amount, concept, counterparty_name,
+                                                   reference)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                    [result.insertId, transaction.line_number, `EXT-${result.insertId}-${transaction.line_number}`,
+                        statement.account_iban, transaction.booking_date, transaction.value_date,
+                        transaction.amount, transaction.concept, transaction.counterparty_name,
+                        transaction.reference]
+                );
+            }
+
+            await connection.commit();
+            return [{id: result.insertId, created: true, transactions: transactions.length}];
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * Movimientos con filtros opcionales
+     * @param {Object} [filters]
+     * @param {string} [filters.status]
+     * @param {number} [filters.statement_id]
+     * @param {string} [filters.date_from] - YYYY-MM-DD
+     * @param {string} [filters.date_to] - YYYY-MM-DD
+     */
+    static async getAll(filters = {}) {
+        const conditions = [];
+        const params = [];
+
+        if (filters.status) {
+            conditions.push('bt.status = ?');
+            params.push(filters.status);
+        }
+        if (filters.statement_id) {
+            conditions.push('bt.statement_id = ?');
+            params.push(filters.statement_id);
+        }
+        if (filters.date_from) {
+            conditions.push('bt.booking_date >= ?');
+            params.push(filters.date_from);
+        }
+        if (filters.date_to) {
+            conditions.push('bt.booking_date <= ?');
+            params.push(filters.date_to);
+        }
+
+        const [rows] = await db.query(`
+            SELECT ${TRANSACTION_FIELDS}
+            FROM bank_transactions bt
+            ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+            ORDER BY bt.booking_date DESC, bt.id DESC`, params);
+        return rows;
+    }
+
+    static async findById(id) {
+        const [rows] = await db.query(`
+            SELECT ${TRANSACTION_FIELDS}
+            FROM bank_transactions bt
+            WHERE bt.id = ?`, [id]);
+        return rows;
+    }
+
+    /**
+     * Conciliaciones de un movimiento (propuestas, aceptadas y descartadas)
+     */
+    static async getMatches(transactionId) {
+        const [rows] = await db.query(`
+            SELECT ${MATCH_FIELDS}
+            FROM bank_transaction_matches btm
+                     LEFT JOIN invoices_issued ii ON btm.invoice_issued_id = ii.id
+                     LEFT JOIN invoices_received ir ON btm.invoice_received_id = ir.id
+            WHERE btm.bank_transaction_id = ?
+            ORDER BY FIELD(btm.status, 'accepted', 'proposed', 'rejected'), btm.score DESC, btm.id ASC`,
+            [transactionId]);
+        return rows;
+    }
+
+    /**
+     * Movimientos pendientes de conciliar (sin conciliar o en parte)
+     * @param {Object} [filters]
+     * @param {number} [filters.statement_id]
+     * @param {number[]} [filters.ids]
+     */
+    static async getPendingTransactions(filters = {}) {
+        const conditions = [`bt.status IN ('unmatched', 'partially_matched')`];
+        const params = [];
+
+        if (filters.statement_id) {
+            conditions.push('bt.statement_id = ?');
+            params.push(filters.statement_id);
+        }
+        if (filters.ids?.length) {
+            conditions.push(`bt.id IN (${placeholders(filters.ids)})`);
+            params.push(...filters.ids);
+        }
+
+        const [rows] = await db.query(`
+            SELECT ${TRANSACTION_FIELDS}
+            FROM bank_transactions bt
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY bt.booking_date ASC, bt.id ASC`, params);
+        return rows;
+    }
+
+    /**
+     * Facturas emitidas con cobro pendiente, candidatas para los abonos
+     * (nif = identificación del cliente)
+     */
+    static async getIssuedCandidates() {
+        const [rows] = await db.query(`
+            SELECT ii.id, ii.invoice_number, ii.clients_id, ii.invoice_date, ii.due_date, ii.total,
+                   ii.collection_status,
+                   ${ISSUED_OUTSTANDING} AS outstanding_amount,
+                   c.identification     AS nif
+            FROM invoices_issued ii
+                     JOIN clients c ON ii.clients_id = c.id
+            WHERE ii.is_refund = FALSE
+              AND ii.collection_status IN (${placeholders(COLLECTABLE_STATUSES)})
+              AND ${ISSUED_OUTSTANDING} > 0
+            ORDER BY COALESCE(ii.due_date, ii.invoice_date) ASC, ii.id ASC`, COLLECTABLE_STATUSES);
+        return rows;
+    }
+
+    /**
+     * Facturas recibidas con pago pendiente, candidatas para los cargos
+     * (nif = NIF del proveedor). Las que están en una transferencia SEPA sin
+     * confirmar se concilian al confirmarla.
+     */
+    static async getReceivedCandidates() {
+        const [rows] = await db.query(`
+            SELECT ir.id, ir.invoice_number, ir.supplier_id, ir.invoice_date, ir.due_date,
+                   ir.total_amount AS total, ir.collection_status,
+                   ${RECEIVED_OUTSTANDING} AS outstanding_amount,
+                   s.tax_id              AS nif
+            FROM invoices_received ir
+                     JOIN suppliers s ON ir.supplier_id = s.id
+            WHERE ir.is_refund = FALSE
+              AND ir.collection_status IN (${placeholders(PAYABLE_STATUSES)})
+              AND ${RECEIVED_OUTSTANDING} > 0
+            ORDER BY COALESCE(ir.due_date, ir.invoice_date) ASC, ir.id ASC`, PAYABLE_STATUSES);
+        return rows;
+    }
+
+    /**
+     * Sustituye las propuestas de un movimiento (las aceptadas y descartadas se conservan)
+     * @param {number} transactionId
+     * @param {Object[]} proposals - [{invoice_type, invoice_id, amount, score, reasons}]
+     */
+    static async replaceProposals(transactionId, proposals) {
+        const connection = await db.getConnection();
+        try {
+            await connection.beginTransaction();
+
+            await connection.query(`
+                DELETE
+                FROM bank_transaction_matches
+                WHERE bank_transaction_id = ?
+                  AND status = 'proposed'`, [transactionId]);
+
+            for (const proposal of proposals) {
+                await connection.query(`
+                    INSERT INTO bank_transaction_matches (bank_transaction_id, invoice_type, invoice_issued_id,
+                                                          invoice_received_id, amount, score, reasons, status)
+                    SELECT ?, ?, ?, ?, ?, ?, ?, 'proposed'
+                    FROM DUAL
+                    WHERE NOT EXISTS (SELECT 1
+                                      FROM bank_transaction_matches
+                                      WHERE bank_transaction_id = ?
+                                        AND status = 'rejected'
+                                        AND COALESCE(invoice_issued_id, invoice_received_id) = ?
+                                        AND invoice_type = ?)`,
+                    [transactionId, proposal.invoice_type,
+                        proposal.invoice_type === 'issued' ? proposal.invoice_id : null,
+                        proposal.invoice_type === 'received' ? proposal.invoice_id : null,
+                        proposal.amount, proposal.score, proposal.reasons.join(','),
+                        transactionId, proposal.invoice_id, proposal.invoice_type]
+                );
+            }
+
+            await connection.commit();
+            return [{id: Number(transactionId), updated: true}];
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * Acepta una o varias imputaciones del movimiento, en una transacción:
+     * registra el cobro o pago de cada factura con line_reference como
+     * referencia, recalcula su estado, marca la conciliación como aceptada
+     * (o la crea si es un reparto manual) y actualiza lo conciliado del
+     * movimiento. Si quedó conciliado del todo se descartan las demás propuestas.
+     * No se guarda nada si el movimiento está ignorado o ya conciliado, si las
+     * imputaciones superan lo que queda por conciliar o si alguna factura ya no
+     * admite el importe (estado o pendiente).
+     * @param {number} transactionId
+     * @param {Object[]} allocations - [{match_id?, invoice_type, invoice_id, amount, score?, reasons?}]
+     * @param {number|null} acceptedBy
+     */
+    static async acceptMatches(transactionId, allocations, acceptedBy = null) {
+        const connection = await db.getConnection();
+        try {
+            await connection.beginTransaction();
+
+            const [transactions] = await connection.query(`
+                SELECT bt.id, bt.line_reference, bt.account_iban, bt.booking_date, bt.amount, bt.matched_amount,
+                       bt.status
+                FROM bank_transactions bt
+                WHERE bt.id = ?
+                FOR UPDATE`, [transactionId]);
+            const transaction = transactions[0];
+            if (!transaction || !['unmatched', 'partially_matched'].includes(transaction.status)) {
+                await connection.rollback();
+                return [];
+            }
+
+            const absolute = Math.abs(parseFloat(transaction.amount));
+            const matched = Math.round((parseFloat(transaction.matched_amount)
+                + allocations.reduce((sum, allocation) => sum + allocation.amount, 0)) * 100) / 100;
+            const invoiceType = parseFloat(transaction.amount) > 0 ? 'issued' : 'received';
+            if (matched > absolute || allocations.some(allocation => allocation.invoice_type !== invoiceType)) {
+                await connection.rollback();
+                return [];
+            }
+
+            for (const allocation of allocations) {
+                const registered = invoiceType === 'issued'
+                    ? await this.#registerCollection(connection, transaction, allocation, acceptedBy)
+                    : await this.#registerSupplierPayment(connection, transaction, allocation, acceptedBy);
+                if (!registered) {
+                    await connection.rollback();
+                    return [];
+                }
+
+                const paymentColumn = invoiceType === 'issued' ? 'payment_id' : 'supplier_payment_id';
+                if (allocation.match_id) {
+                    const [updated] = await connection.query(`
+                        UPDATE bank_transaction_matches
+                        SET status         = 'accepted',
+                            amount         = ?,
+                            ${paymentColumn} = ?,
+                            accepted_by    = ?,
+                            accepted_at    = NOW()
+                        WHERE id = ?
+                          AND bank_transaction_id = ?
+                          AND status = 'proposed'`,
+                        [allocation.amount, registered, acceptedBy, allocation.match_id, transactionId]
+                    );
+                    if (!updated.affectedRows) {
+                        await connection.rollback();
+                        return [];
+                    }
+                } else {
+                    await connection.query(`
+                        INSERT INTO bank_transaction_matches (bank_transaction_id, invoice_type, invoice_issued_id,
+                                                              invoice_received_id, amount, score, reasons, status,
+                                                              ${paymentColumn}, accepted_by, accepted_at)
+                        VALUES (?, ?, ?, ?, ?, ?, ?, 'accepted', ?, ?, NOW())`,
+                        [transactionId, invoiceType,
+                            invoiceType === 'issued' ? allocation.invoice_id : null,
+                            invoiceType === 'received' ? allocation.invoice_id : null,
+                            allocation.amount, allocation.score ?? 0, allocation.reasons?.join(',') || 'manual',
+                            registered, acceptedBy]
+                    );
+                }
+            }
+
+            const status = matched >= absolute ? 'matched' : 'partially_matched';
+            await connection.query(`
+                UPDATE bank_transactions
+                SET matched_amount = ?,
+                    status         = ?
+                WHERE id = ?`, [matched, status, transactionId]);
+
+            if (status === 'matched') {
+                await connection.query(`
+                    UPDATE bank_transaction_matches
+                    SET status = 'rejected'
+                    WHERE bank_transaction_id = ?
+                      AND status = 'proposed'`, [transactionId]);
+            }
+
+            await connection.commit();
+            return [{id: Number(transactionId), updated: true, status, matched_amount: matched}];
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * Descarta una propuesta
+     */
+    static async rejectMatch(transactionId, matchId) {
+        const [result] = await db.query(`
+            UPDATE bank_transaction_matches
+            SET status = 'rejected'
+            WHERE id = ?
+              AND bank_transaction_id = ?
+              AND status = 'proposed'`, [matchId, transactionId]);
+        return result.affectedRows ? [{id: Number(matchId), updated: true}] : [];
+    }
+
+    /**
+     * Marca como ignorado un movimiento sin nada conciliado (comisiones,
+     * traspasos...) y descarta sus propuestas
+     */
+    static async ignore(id) {
+        const connection = await db.getConnection();
+        try {
+            await connection.beginTransaction();
+
+            const [result] = await connection.query(`
+                UPDATE bank_transactions
+                SET status = 'ignored'
+                WHERE id = ?
+                  AND status = 'unmatched'
+                  AND matched_amount = 0`, [id]);
+            if (!result.affectedRows) {
+                await connection.rollback();
+                return [];
+            }
+
+            await connection.query(`
+                UPDATE bank_transaction_matches
+                SET status = 'rejected'
+                WHERE bank_transaction_id = ?
+                  AND status = 'proposed'`, [id]);
+
+            await connection.commit();
+            return [{id: Number(id), updated: true}];
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * Cobro del cliente por el importe imputado a la factura emitida
+     * @returns {Promise<number|null>} id del cobro, o null si la factura ya no lo admite
+     */
+    static async #registerCollection(connection, transaction, allocation, createdBy) {
+        const [invoices] = await connection.query(`
+            SELECT ii.id, ii.clients_id, ii.collection_status, ${ISSUED_OUTSTANDING} AS outstanding_amount
+            FROM invoices_issued ii
+            WHERE ii.id = ?
+              AND ii.is_refund = FALSE
+            FOR UPDATE`, [allocation.invoice_id]);
+        const invoice = invoices[0];
+        if (!invoice || !COLLECTABLE_STATUSES.includes(invoice.collection_status)
+            || allocation.amount > parseFloat(invoice.outstanding_amount)) {
+            return null;
+        }
+
+        const [result] = await connection.query(`
+            INSERT INTO payments (clients_id, payment_date, amount, method, reference, notes, created_by)
+            VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [invoice.clients_id, transaction.booking_date, allocation.amount,
+                invoice.collection_status === 'remitted' ? 'direct_debit' : 'transfer',
+                transaction.line_reference, 'Conciliación bancaria', createdBy]
+        );
+        await connection.query(`
+            INSERT INTO payment_allocations (payment_id, invoice_issued_id, amount, created_by)
+            VALUES (?, ?, ?, ?)`, [result.insertId, invoice.id, allocation.amount, createdBy]);
+        await PaymentsRepository.refreshCollectionStatus(connection, invoice.id);
+
+        return result.insertId;
+    }
+
+    /**
+     * Pago al proveedor por el importe imputado a la factura recibida, desde la
+     * cuenta del extracto
+     * @returns {Promise<number|null>} id del pago, o null si la factura ya no lo admite
+     */
+    static async #registerSupplierPayment(connection, transaction, allocation, createdBy) {
+        const [invoices] = await connection.query(`
+            SELECT ir.id, ir.collection_status, ${RECEIVED_OUTSTANDING} AS outstanding_amount
+            FROM invoices_received ir
+            WHERE ir.id = ?
+              AND ir.is_refund = FALSE
+            FOR UPDATE`, [allocation.invoice_id]);
+        const invoice = invoices[0];
+        if (!invoice || !PAYABLE_STATUSES.includes(invoice.collection_status)
+            || allocation.amount > parseFloat(invoice.outstanding_amount)) {
+            return null;
+        }
+
+        const [result] = await connection.query(`
+            INSERT INTO supplier_payments (invoice_received_id, payment_run_id, payment_date, amount, method,
+                                           bank_account, reference, notes, created_by)
+            VALUES (?, NULL, ?, ?, 'transfer', ?, ?, ?, ?)`,
+            [invoice.id, transaction.booking_date, allocation.amount, transaction.account_iban,
+                transaction.line_reference, 'Conciliación bancaria', createdBy]
+        );
+        await SupplierPaymentsRepository.refreshPaymentStatus(connection, invoice.id);
+
+        return result.insertId;
+    }
+}
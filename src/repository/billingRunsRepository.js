@@ -0,0 +1,127 @@
+import db from '../db/dbConnect.js';
+
+/**
+ * Repositorio para las ejecuciones de facturación mensual de contratos
+ * Gestiona billing_runs (cabecera) y billing_run_items (resultado por factura)
+ */
+export default class BillingRunsRepository {
+
+    /**
+     * Obtiene el historial de ejecuciones, la más reciente primero
+     */
+    static async getAll() {
+        const [rows] = await db.query(`
+            SELECT br.id, br.corresponding_month, br.triggered_by, br.created_by,
+                   br.created_count, br.skipped_count, br.failed_count,
+                   br.started_at, br.finished_at,
+                   u.username AS created_by_username
+            FROM billing_runs br
+                     LEFT JOIN users u ON br.created_by = u.id
+            ORDER BY br.id DESC
+        `);
+        return rows;
+    }
+
+    /**
+     * Busca una ejecución por ID
+     */
+    static async findById(id) {
+        const [rows] = await db.query(`
+            SELECT id, corresponding_month, triggered_by, created_by,
+                   created_count, skipped_count, failed_count, started_at, finished_at
+            FROM billing_runs
+            WHERE id = ?`, [id]);
+        return rows;
+    }
+
+    /**
+     * Obtiene el detalle por factura de una ejecución
+     */
+    static async findItemsByRunId(runId) {
+        const [rows] = await db.query(`
+            SELECT bri.id, bri.billing_run_id, bri.lease_id, bri.owners_id, bri.invoice_id,
+                   bri.status, bri.tax_base, bri.total, bri.message, bri.created_at,
+                   o.name            AS owner_name,
+                   ii.invoice_number AS invoice_number
+            FROM billing_run_items bri
+                     LEFT JOIN owners o ON bri.owners_id = o.id
+                     LEFT JOIN invoices_issued ii ON bri.invoice_id = ii.id
+            WHERE bri.billing_run_id = ?
+            ORDER BY bri.id ASC`, [runId]);
+        return rows;
+    }
+
+    /**
+     * Crea la cabecera de una ejecución
+     */
+    static async create(run) {
+        const {corresponding_month, triggered_by = 'manual', created_by = null} = run;
+        const [result] = await db.query(`
+            INSERT INTO billing_runs (corresponding_month, triggered_by, created_by, started_at)
+            VALUES (?, ?, ?, NOW())`,
+            [corresponding_month, triggered_by, created_by]
+        );
+        return result.insertId ? [{id: result.insertId, created: true}] : [];
+    }
+
+    /**
+     * Registra el resultado de una factura dentro de una ejecución
+     */
+    static async addItem(item) {
+        const {billing_run_id, lease_id, owners_id, invoice_id = null, status, tax_base = 0, total = 0, message = null} = item;
+        const [result] = await db.query(`
+            INSERT INTO billing_run_items (billing_run_id, lease_id, owners_id, invoice_id, status, tax_base, total, message)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [billing_run_id, lease_id, owners_id, invoice_id, status, tax_base, total, message]
+        );
+        return result.insertId ? [{id: result.insertId, created: true}] : [];
+    }
+
+    /**
+     * Cierra la ejecución guardando los contadores finales
+     */
+    static async finish(id, counts) {
+        const {created = 0, skipped = 0, failed = 0} = counts;
+        const [result] = await db.query(`
+            UPDATE billing_runs
+            SET created_count = ?,
+                skipped_count = ?,
+                failed_count  = ?,
+                finished_at   = NOW()
+            WHERE id = ?`,
+            [created, skipped, failed, id]
+        );
+        return result.affectedRows > 0 ? [{id: Number(id), updated: true}] : [];
+    }
+
+    // ========================================
+    // BLOQUEO DE EJECUCIÓN
+    // ========================================
+
+    /**
+     * Adquiere un bloqueo con nombre de MySQL (GET_LOCK) para que dos
+     * ejecuciones del mismo mes no puedan solaparse.
+     * El bloqueo pertenece a la conexión: hay que liberarlo con releaseLock.
+     * @returns {Object|null} Conexión que mantiene el bloqueo o null si está ocupado
+     */
+    static async acquireLock(name) {
+        const connection = await db.getConnection();
+        try {
+            const [rows] = await connection.query('SELECT GET_LOCK(?, 0) AS acquired', [name]);
+            if (rows[0].acquired === 1) return connection;
+        } catch (error) {
+            connection.release();
+            throw error;
+        }
+        connection.release();
+        return null;
+    }
+
+    static async releaseLock(connection, name) {
+        try {
+            await connection.query('SELECT RELEASE_LOCK(?)', [name]);
+        } finally {
+            connection.release();
+        }
+    }
+}
@@ -211,6 +211,49 @@ export default class ClientsRepository {
         return result.affectedRows > 0 ? [{id: Number(id), deleted: true}] : [];
     }
 
+    // ========================================
+    // MANDATO SEPA
+    // ========================================
+
+    /**
+     * Mandato SEPA de un cliente (adeudo directo de sus facturas)
+     */
+    static async findSepaMandate(id) {
+        const [rows] = await db.query(`
+            SELECT id, name, lastname, company_name, identification,
+                   sepa_mandate_id, sepa_mandate_date, sepa_iban, sepa_bic, sepa_sequence_type
+            FROM clients
+            WHERE id = ?`, [id]);
+        return rows;
+    }
+
+    /**
+     * Cliente que tiene una referencia de mandato
+     */
+    static async findBySepaMandateId(mandateId) {
+        const [rows] = await db.query('SELECT id FROM clients WHERE sepa_mandate_id = ?', [mandateId]);
+        return rows;
+    }
+
+    /**
+     * Guarda (o borra, con todos los campos a null) el mandato SEPA de un cliente
+     */
+    static async updateSepaMandate(id, mandate) {
+        const [result] = await db.query(`
+            UPDATE clients
+            SET sepa_mandate_id    = ?,
+                sepa_mandate_date  = ?,
+                sepa_iban          = ?,
+                sepa_bic           = ?,
+                sepa_sequence_type = ?,
+                date_update        = NOW()
+            WHERE id = ?`,
+            [mandate.sepa_mandate_id, mandate.sepa_mandate_date, mandate.sepa_iban, mandate.sepa_bic,
+                mandate.sepa_sequence_type, id]
+        );
+        return result.affectedRows > 0 ? [{id: Number(id), updated: true}] : [];
+    }
+
     // ========================================
     // MÉTODOS DE CONTEO/ESTADÍSTICAS
     // ========================================
@@ -0,0 +1,264 @@
+import db from '../db/dbConnect.js';
+
+// Importe aplicado a facturas de cada fianza
+const APPLIED = `(SELECT COALESCE(SUM(da.amount), 0) FROM deposit_applications da WHERE da.deposit_id = d.id)`;
+
+// Cobrado de cada factura: cobros imputados y fianza aplicada
+const INVOICE_PAID = `(SELECT COALESCE(SUM(pa.amount), 0) FROM payment_allocations pa WHERE pa.invoice_issued_id = ii.id)`;
+const INVOICE_DEPOSIT = `(SELECT COALESCE(SUM(da.amount), 0) FROM deposit_applications da WHERE da.invoice_issued_id = ii.id)`;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const DEPOSIT_FIELDS = `d.id, d.estates_id, d.clients_id, d.lease_id, d.amount, d.received_date,
+                   d.lodging_body, d.lodging_reference, d.lodged_date, d.returned_date, d.returned_amount,
+                   d.notes, d.created_by, d.created_at, d.updated_at,
+                   ${APPLIED} AS applied_amount,
+                   e.address             AS estate_address,
+                   e.cadastral_reference AS estate_cadastral_reference,
+                   c.name                AS client_name,
+                   c.lastname            AS client_lastname,
+                   c.company_name        AS client_company_name,
+                   c.identification      AS client_identification`;
+
+/**
+ * Repositorio de fianzas (deposits)
+ * Cada fianza pertenece a un inmueble y a un inquilino; sus aplicaciones a
+ * facturas emitidas se guardan en deposit_applications.
+ */
+export default class DepositsRepository {
+
+    /**
+     * Fianzas con filtros opcionales
+     * @param {Object} [filters]
+     * @param {number} [filters.estates_id]
+     * @param {number} [filters.clients_id]
+     * @param {number} [filters.lease_id]
+     * @param {string} [filters.status] - 'held' (sin devolver) o 'returned'
+     */
+    static async getAll(filters = {}) {
+        const conditions = [];
+        const params = [];
+
+        if (filters.estates_id) {
+            conditions.push('d.estates_id = ?');
+            params.push(filters.estates_id);
+        }
+        if (filters.clients_id) {
+            conditions.push('d.clients_id = ?');
+            params.push(filters.clients_id);
+        }
+        if (filters.lease_id) {
+            conditions.push('d.lease_id = ?');
+            params.push(filters.lease_id);
+        }
+        if (filters.status === 'held') conditions.push('d.returned_date IS NULL');
+        if (filters.status === 'returned') conditions.push('d.returned_date IS NOT NULL');
+
+        const [rows] = await db.query(`
+            SELECT ${DEPOSIT_FIELDS}
+            FROM deposits d
+                     JOIN estates e ON d.estates_id = e.id
+                     JOIN clients c ON d.clients_id = c.id
+            ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+            ORDER BY d.received_date DESC, d.id DESC`, params);
+        return rows;
+    }
+
+    static async findById(id) {
+        const [rows] = await db.query(`
+            SELECT ${DEPOSIT_FIELDS}
+            FROM deposits d
+                     JOIN estates e ON d.estates_id = e.id
+                     JOIN clients c ON d.clients_id = c.id
+            WHERE d.id = ?`, [id]);
+        return rows;
+    }
+
+    /**
+     * Aplicaciones de una fianza con los datos de la factura
+     */
+    static async getApplications(depositId) {
+        const [rows] = await db.query(`
+            SELECT da.id, da.deposit_id, da.invoice_issued_id, da.amount, da.applied_date, da.notes,
+                   da.created_by, da.created_at,
+                   ii.invoice_number, ii.owners_id, ii.total AS invoice_total, ii.collection_status
+            FROM deposit_applications da
+                     JOIN invoices_issued ii ON da.invoice_issued_id = ii.id
+            WHERE da.deposit_id = ?
+            ORDER BY da.applied_date ASC, da.id ASC`, [depositId]);
+        return rows;
+    }
+
+    /**
+     * Importe de fianzas ya aplicado a una factura
+     */
+    static async getAppliedToInvoice(invoiceId) {
+        const [rows] = await db.query(`
+            SELECT COALESCE(SUM(amount), 0) AS applied
+            FROM deposit_applications
+            WHERE invoice_issued_id = ?`, [invoiceId]);
+        return parseFloat(rows[0].applied) || 0;
+    }
+
+    /**
+     * Fianzas sin devolver con la parte de cada propietario del inmueble
+     * @param {number|null} ownerId - Solo ese propietario
+     */
+    static async getHeldByOwner(ownerId = null) {
+        const [rows] = await db.query(`
+            SELECT ${DEPOSIT_FIELDS},
+                   eo.owners_id,
+                   eo.ownership_percentage,
+                   o.name           AS owner_name,
+                   o.lastname       AS owner_lastname,
+                   o.identification AS owner_identification
+            FROM deposits d
+                     JOIN estates e ON d.estates_id = e.id
+                     JOIN clients c ON d.clients_id = c.id
+                     JOIN estate_owners eo ON eo.estate_id = d.estates_id
+                     JOIN owners o ON eo.owners_id = o.id
+            WHERE d.returned_date IS NULL
+              ${ownerId ? 'AND eo.owners_id = ?' : ''}
+            ORDER BY eo.owners_id ASC, d.received_date ASC, d.id ASC`, ownerId ? [ownerId] : []);
+        return rows;
+    }
+
+    // ========================================
+    // MÉTODOS CRUD
+    // ========================================
+
+    static async create(deposit) {
+        const {
+            estates_id, clients_id, lease_id, amount, received_date,
+            lodging_body, lodging_reference, lodged_date, notes, created_by
+        } = deposit;
+
+        const [result] = await db.query(`
+            INSERT INTO deposits (estates_id, clients_id, lease_id, amount, received_date,
+                                  lodging_body, lodging_reference, lodged_date, notes, created_by)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [estates_id, clients_id, lease_id, amount, received_date,
+                lodging_body, lodging_reference, lodged_date, notes, created_by]
+        );
+        return result.insertId ? [{id: result.insertId, created: true}] : [];
+    }
+
+    static async update(deposit) {
+        const {
+            id, estates_id, clients_id, lease_id, amount, received_date,
+            lodging_body, lodging_reference, lodged_date, notes
+        } = deposit;
+
+        const [result] = await db.query(`
+            UPDATE deposits
+            SET estates_id        = ?,
+                clients_id        = ?,
+                lease_id          = ?,
+                amount            = ?,
+                received_date     = ?,
+                lodging_body      = ?,
+                lodging_reference = ?,
+                lodged_date       = ?,
+                notes             = ?
+            WHERE id = ?`,
+            [estates_id, clients_id, lease_id, amount, received_date,
+                lodging_body, lodging_reference, lodged_date, notes, id]
+        );
+        return result.affectedRows > 0 ? [{id: Number(id), updated: true}] : [];
+    }
+
+    /**
+     * Registra la devolución de lo retenido
+     */
+    static async markAsReturned(id, returnedDate, returnedAmount) {
+        const [result] = await db.query(`
+            UPDATE deposits
+            SET returned_date   = ?,
+                returned_amount = ?
+            WHERE id = ?
+              AND returned_date IS NULL`, [returnedDate, returnedAmount, id]);
+        return result.affectedRows > 0 ? [{id: Number(id), returned: true}] : [];
+    }
+
+    static async delete(id) {
+        const [result] = await db.query(`DELETE FROM deposits WHERE id = ?`, [id]);
+        return result.affectedRows > 0 ? [{id: Number(id), deleted: true}] : [];
+    }
+
+    /**
+     * Aplica la fianza a una factura en una transacción con la fianza y la
+     * factura bloqueadas: vuelve a comprobar lo retenido y lo pendiente, guarda
+     * la aplicación y actualiza el cobro de la factura (cobrada con la fianza si
+     * queda cubierta, cobrada en parte si no).
+     * @returns {Promise<Array>} [] si la fianza ya no tiene saldo, la factura ya
+     * no tiene ese pendiente o alguna de las dos ha cambiado de estado
+     */
+    static async applyToInvoice(application) {
+        const {deposit_id, invoice_issued_id, amount, applied_date, notes, created_by} = application;
+
+        const connection = await db.getConnection();
+        try {
+            await connection.beginTransaction();
+
+            const [deposits] = await connection.query(`
+                SELECT d.id, d.amount, d.returned_date, d.returned_amount, ${APPLIED} AS applied_amount
+                FROM deposits d
+                WHERE d.id = ?
+                FOR UPDATE`, [deposit_id]);
+            const deposit = deposits[0];
+
+            const [invoices] = await connection.query(`
+                SELECT ii.id, ii.total, ii.collection_status,
+                       ${INVOICE_PAID}    AS paid_amount,
+                       ${INVOICE_DEPOSIT} AS deposit_applied
+                FROM invoices_issued ii
+                WHERE ii.id = ?
+                FOR UPDATE`, [invoice_issued_id]);
+            const invoice = invoices[0];
+
+            if (!deposit || deposit.returned_date || !invoice || invoice.collection_status === 'collected') {
+                await connection.rollback();
+                return [];
+            }
+
+            const held = round(parseFloat(deposit.amount) - parseFloat(deposit.applied_amount) - parseFloat(deposit.returned_amount || 0));
+            const pending = round(parseFloat(invoice.total) - parseFloat(invoice.paid_amount) - parseFloat(invoice.deposit_applied));
+            if (amount > held || amount > pending) {
+                await connection.rollback();
+                return [];
+            }
+
+            const [result] = await connection.query(`
+                INSERT INTO deposit_applications (deposit_id, invoice_issued_id, amount, applied_date, notes, created_by)
+                VALUES (?, ?, ?, ?, ?, ?)`,
+                [deposit_id, invoice_issued_id, amount, applied_date, notes, created_by]
+            );
+
+            const collected = amount >= pending;
+            if (collected) {
+                await connection.query(`
+                    UPDATE invoices_issued
+                    SET collection_status    = 'collected',
+                        collection_method    = 'deposit',
+                        collection_date      = ?,
+                        collection_reference = ?,
+                        updated_at           = NOW()
+                    WHERE id = ?`, [applied_date, `FIANZA-${deposit_id}`, invoice_issued_id]);
+            } else if (invoice.collection_status === 'pending') {
+                await connection.query(`
+                    UPDATE invoices_issued
+                    SET collection_status = 'partially_collected',
+                        updated_at        = NOW()
+                    WHERE id = ?`, [invoice_issued_id]);
+            }
+
+            await connection.commit();
+            return [{id: result.insertId, created: true, collected}];
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+}
@@ -0,0 +1,385 @@
+import db from '../db/dbConnect.js';
+
+const LEVEL_FIELDS = `dl.id, dl.level, dl.name, dl.days_overdue, dl.letter_type, dl.subject, dl.body, dl.active,
+                   dl.created_at, dl.updated_at`;
+
+const EVENT_FIELDS = `ev.id, ev.event_type, ev.clients_id, ev.invoice_issued_id, ev.dunning_pause_id, ev.sepa_return_id, ev.level,
+                   ev.letter_type, ev.event_date, ev.days_overdue, ev.outstanding_amount, ev.subject, ev.body,
+                   ev.notes, ev.triggered_by, ev.created_by, ev.created_at`;
+
+const PAUSE_FIELDS = `dp.id, dp.clients_id, dp.invoice_issued_id, dp.dunning_entry_id, dp.reason, dp.paused_until, dp.notes, dp.status,
+                   dp.created_by, dp.created_at, dp.lifted_by, dp.lifted_at`;
+
+const CLIENT_FIELDS = `c.name           AS client_name,
+                   c.lastname       AS client_lastname,
+                   c.company_name   AS client_company_name,
+                   c.identification AS client_identification`;
+
+const INVOICE_OUTSTANDING = `ii.total
+                   - (SELECT COALESCE(SUM(pa.amount), 0) FROM payment_allocations pa WHERE pa.invoice_issued_id = ii.id)
+                   - (SELECT COALESCE(SUM(da.amount), 0) FROM deposit_applications da WHERE da.invoice_issued_id = ii.id)`;
+
+/**
+ * Repositorio de la reclamación escalonada: niveles (dunning_levels),
+ * historial de cartas, devoluciones de adeudo, pausas y reanudaciones
+ * (dunning_events) y pausas por compromiso de pago, disputa o entrada
+ * resuelta de la lista de impagos (dunning_pauses)
+ * La clave única (factura, nivel) de dunning_events impide enviar dos veces
+ * la misma carta aunque coincidan dos ejecuciones. Los métodos que reciben
+ * una conexión escriben dentro de la transacción de otro repositorio.
+ */
+export default class DunningRepository {
+
+    // ==========================================
+    // NIVELES
+    // ==========================================
+
+    static async getLevels(activeOnly = false) {
+        const [rows] = await db.query(`
+            SELECT ${LEVEL_FIELDS}
+            FROM dunning_levels dl
+            ${activeOnly ? 'WHERE dl.active = TRUE' : ''}
+            ORDER BY dl.level ASC`);
+        return rows;
+    }
+
+    static async findLevelById(id) {
+        const [rows] = await db.query(`
+            SELECT ${LEVEL_FIELDS}
+            FROM dunning_levels dl
+            WHERE dl.id = ?`, [id]);
+        return rows;
+    }
+
+    static async createLevel(data) {
+        const [result] = await db.query(`
+            INSERT INTO dunning_levels (level, name, days_overdue, letter_type, subject, body, active)
+            VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [data.level, data.name, data.days_overdue, data.letter_type, data.subject, data.body, data.active]);
+        return [{id: result.insertId, created: true}];
+    }
+
+    static async updateLevel(id, data) {
+        const [result] = await db.query(`
+            UPDATE dunning_levels
+            SET name         = ?,
+                days_overdue = ?,
+                letter_type  = ?,
+                subject      = ?,
+                body         = ?,
+                active       = ?,
+                updated_at   = NOW()
+            WHERE id = ?`,
+            [data.name, data.days_overdue, data.letter_type, data.subject, data.body, data.active, id]);
+        return result.affectedRows ? [{id: Number(id), updated: true}] : [];
+    }
+
+    // ==========================================
+    // FACTURAS VENCIDAS
+    // ==========================================
+
+    /**
+     * Facturas con importe pendiente vencidas antes de la fecha, con el
+     * nivel más alto ya enviado
+     * @param {string} date - 'YYYY-MM-DD'
+     */
+    static async getOverdueInvoices(date) {
+        const [rows] = await db.query(`
+            SELECT *
+            FROM (SELECT ii.id, ii.invoice_number, ii.clients_id, ii.invoice_date, ii.due_date, ii.total,
+                         ii.collection_status,
+                         ${INVOICE_OUTSTANDING}   AS outstanding_amount,
+                         DATEDIFF(?, ii.due_date) AS days_overdue,
+                         (SELECT MAX(ev.level)
+                          FROM dunning_events ev
+                          WHERE ev.invoice_issued_id = ii.id
+                            AND ev.event_type = 'letter') AS current_level,
+                         ${CLIENT_FIELDS},
+                         c.address        AS client_address,
+                         c.postal_code    AS client_postal_code,
+                         c.location       AS client_location,
+                         c.province       AS client_province,
+                         e.address        AS estate_address
+                  FROM invoices_issued ii
+                           JOIN clients c ON ii.clients_id = c.id
+                           JOIN estates e ON ii.estates_id = e.id
+                  WHERE ii.collection_status IN ('pending', 'partially_collected', 'overdue')
+                    AND ii.is_refund = FALSE
+                    AND ii.due_date < ?) overdue
+            WHERE overdue.outstanding_amount > 0
+            ORDER BY overdue.due_date ASC, overdue.id ASC`, [date, date]);
+        return rows;
+    }
+
+    // ==========================================
+    // EVENTOS
+    // ==========================================
+
+    /**
+     * @param {Object} filters - clients_id, invoice_issued_id, event_type, level, date_from, date_to
+     */
+    static async getEvents(filters = {}) {
+        const conditions = [];
+        const params = [];
+
+        if (filters.clients_id) {
+            conditions.push('ev.clients_id = ?');
+            params.push(filters.clients_id);
+        }
+        if (filters.invoice_issued_id) {
+            conditions.push('ev.invoice_issued_id = ?');
+            params.push(filters.invoice_issued_id);
+        }
+        if (filters.event_type) {
+            conditions.push('ev.event_type = ?');
+            params.push(filters.event_type);
+        }
+        if (filters.level) {
+            conditions.push('ev.level = ?');
+            params.push(filters.level);
+        }
+        if (filters.date_from) {
+            conditions.push('ev.event_date >= ?');
+            params.push(filters.date_from);
+        }
+        if (filters.date_to) {
+            conditions.push('ev.event_date <= ?');
+            params.push(filters.date_to);
+        }
+
+        const [rows] = await db.query(`
+            SELECT ${EVENT_FIELDS},
+                   ii.invoice_number,
+                   ${CLIENT_FIELDS}
+            FROM dunning_events ev
+                     JOIN clients c ON ev.clients_id = c.id
+                     LEFT JOIN invoices_issued ii ON ev.invoice_issued_id = ii.id
+            ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+            ORDER BY ev.event_date DESC, ev.id DESC`, params);
+        return rows;
+    }
+
+    /**
+     * Evento con los datos del destinatario para la carta
+     */
+    static async findEventById(id) {
+        const [rows] = await db.query(`
+            SELECT ${EVENT_FIELDS},
+                   ii.invoice_number,
+                   ${CLIENT_FIELDS},
+                   c.address     AS client_address,
+                   c.postal_code AS client_postal_code,
+                   c.location    AS client_location,
+                   c.province    AS client_province
+            FROM dunning_events ev
+                     JOIN clients c ON ev.clients_id = c.id
+                     LEFT JOIN invoices_issued ii ON ev.invoice_issued_id = ii.id
+            WHERE ev.id = ?`, [id]);
+        return rows;
+    }
+
+    /**
+     * Registra la carta de un nivel
+     * @returns {Promise<Array>} [] si la factura ya tenía ese nivel (otra ejecución se adelantó)
+     */
+    static async createLetterEvent(event) {
+        try {
+            const [result] = await db.query(`
+                INSERT INTO dunning_events (event_type, clients_id, invoice_issued_id, level, letter_type, event_date,
+                                            days_overdue, outstanding_amount, subject, body, triggered_by, created_by)
+                VALUES ('letter', ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [event.clients_id, event.invoice_issued_id, event.level, event.letter_type, event.event_date,
+                    event.days_overdue, event.outstanding_amount, event.subject, event.body,
+                    event.triggered_by, event.created_by ?? null]);
+            return [{id: result.insertId, created: true}];
+        } catch (error) {
+            if (error.code === 'ER_DUP_ENTRY') return [];
+            throw error;
+        }
+    }
+
+    // ==========================================
+    // PAUSAS
+    // ==========================================
+
+    /**
+     * @param {Object} filters - status, clients_id
+     */
+    static async getPauses(filters = {}) {
+        const conditions = [];
+        const params = [];
+
+        if (filters.status) {
+            conditions.push('dp.status = ?');
+            params.push(filters.status);
+        }
+        if (filters.clients_id) {
+            conditions.push('dp.clients_id = ?');
+            params.push(filters.clients_id);
+        }
+
+        const [rows] = await db.query(`
+            SELECT ${PAUSE_FIELDS},
+                   ii.invoice_number,
+                   ${CLIENT_FIELDS}
+            FROM dunning_pauses dp
+                     JOIN clients c ON dp.clients_id = c.id
+                     LEFT JOIN invoices_issued ii ON dp.invoice_issued_id = ii.id
+            ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+            ORDER BY dp.created_at DESC, dp.id DESC`, params);
+        return rows;
+    }
+
+    /**
+     * Pausas activas vigentes en la fecha (sin fecha límite o hasta una fecha no pasada)
+     * @param {string} date - 'YYYY-MM-DD'
+     */
+    static async getActivePauses(date) {
+        const [rows] = await db.query(`
+            SELECT ${PAUSE_FIELDS}
+            FROM dunning_pauses dp
+            WHERE dp.status = 'active'
+              AND (dp.paused_until IS NULL OR dp.paused_until >= ?)`, [date]);
+        return rows;
+    }
+
+    static async findPauseById(id) {
+        const [rows] = await db.query(`
+            SELECT ${PAUSE_FIELDS},
+                   ii.invoice_number,
+                   ${CLIENT_FIELDS}
+            FROM dunning_pauses dp
+                     JOIN clients c ON dp.clients_id = c.id
+                     LEFT JOIN invoices_issued ii ON dp.invoice_issued_id = ii.id
+            WHERE dp.id = ?`, [id]);
+        return rows;
+    }
+
+    /**
+     * Pausa la reclamación y deja el evento en el historial del cliente
+     * @param {Object} pause - clients_id, invoice_issued_id, reason, paused_until, notes, created_by, event_date
+     */
+    static async createPause(pause) {
+        const connection = await db.getConnection();
+        try {
+            await connection.beginTransaction();
+            const id = await this.insertPause(connection, pause);
+            await connection.commit();
+            return [{id, created: true}];
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * Inserta la pausa y su evento con la conexión de la transacción en curso
+     * @param {Object} pause - clients_id, invoice_issued_id, dunning_entry_id, reason, paused_until, notes,
+     *        created_by, event_date
+     * @returns {Promise<number>} Id de la pausa
+     */
+    static async insertPause(connection, pause) {
+        const [result] = await connection.query(`
+            INSERT INTO dunning_pauses (clients_id, invoice_issued_id, dunning_entry_id, reason, paused_until, notes,
+                                        created_by)
+            VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [pause.clients_id, pause.invoice_issued_id ?? null, pause.dunning_entry_id ?? null, pause.reason,
+                pause.paused_until ?? null, pause.notes ?? null, pause.created_by ?? null]);
+
+        await connection.query(`
+            INSERT INTO dunning_events (event_type, clients_id, invoice_issued_id, dunning_pause_id, event_date,
+                                        notes, triggered_by, created_by)
+            VALUES ('pause', ?, ?, ?, ?, ?, 'manual', ?)`,
+            [pause.clients_id, pause.invoice_issued_id ?? null, result.insertId, pause.event_date,
+                pause.notes ?? null, pause.created_by ?? null]);
+
+        return result.insertId;
+    }
+
+    /**
+     * Levanta una pausa activa y registra la reanudación
+     * @returns {Promise<Array>} [] si la pausa ya no estaba activa
+     */
+    static async liftPause(id, data) {
+        const connection = await db.getConnection();
+        try {
+            await connection.beginTransaction();
+
+            const [result] = await connection.query(`
+                UPDATE dunning_pauses
+                SET status    = 'lifted',
+                    lifted_by = ?,
+                    lifted_at = NOW()
+                WHERE id = ?
+                  AND status = 'active'`, [data.lifted_by ?? null, id]);
+
+            if (!result.affectedRows) {
+                await connection.rollback();
+                return [];
+            }
+
+            await connection.query(`
+                INSERT INTO dunning_events (event_type, clients_id, invoice_issued_id, dunning_pause_id, event_date,
+                                            notes, triggered_by, created_by)
+                SELECT 'resume', dp.clients_id, dp.invoice_issued_id, dp.id, ?, ?, 'manual', ?
+                FROM dunning_pauses dp
+                WHERE dp.id = ?`,
+                [data.event_date, data.notes ?? null, data.lifted_by ?? null, id]);
+
+            await connection.commit();
+            return [{id: Number(id), updated: true}];
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * Levanta las pausas activas de una factura que vienen de resolver su
+     * entrada de la lista de impagos, con la conexión de la transacción en curso
+     * @param {Object} data - invoice_issued_id, event_date, notes, created_by
+     */
+    static async liftResolvedPauses(connection, data) {
+        await connection.query(`
+            INSERT INTO dunning_events (event_type, clients_id, invoice_issued_id, dunning_pause_id, event_date,
+                                        notes, triggered_by, created_by)
+            SELECT 'resume', dp.clients_id, dp.invoice_issued_id, dp.id, ?, ?, 'manual', ?
+            FROM dunning_pauses dp
+            WHERE dp.invoice_issued_id = ?
+              AND dp.reason = 'resolved'
+              AND dp.status = 'active'`,
+            [data.event_date, data.notes ?? null, data.created_by ?? null, data.invoice_issued_id]);
+
+        await connection.query(`
+            UPDATE dunning_pauses
+            SET status    = 'lifted',
+                lifted_by = ?,
+                lifted_at = NOW()
+            WHERE invoice_issued_id = ?
+              AND reason = 'resolved'
+              AND status = 'active'`, [data.created_by ?? null, data.invoice_issued_id]);
+    }
+
+    // ==========================================
+    // DEVOLUCIONES
+    // ==========================================
+
+    /**
+     * Deja la devolución de un adeudo en el historial de la factura y del
+     * cliente, con la conexión de la transacción en curso
+     * @param {Object} event - clients_id, invoice_issued_id, sepa_return_id, event_date, outstanding_amount,
+     *        notes, created_by
+     */
+    static async insertReturnEvent(connection, event) {
+        await connection.query(`
+            INSERT INTO dunning_events (event_type, clients_id, invoice_issued_id, sepa_return_id, event_date,
+                                        outstanding_amount, notes, triggered_by, created_by)
+            VALUES ('return', ?, ?, ?, ?, ?, ?, 'manual', ?)`,
+            [event.clients_id, event.invoice_issued_id, event.sepa_return_id, event.event_date,
+                event.outstanding_amount, event.notes ?? null, event.created_by ?? null]);
+    }
+}
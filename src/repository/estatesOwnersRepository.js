@@ -77,6 +77,56 @@ export default class EstateOwnersRepository {
         return rows;
     }
 
+    /**
+     * Obtiene los propietarios de una propiedad con su porcentaje
+     * Usado para repartir la renta de un contrato entre copropietarios
+     * @param {number} estateId - ID de la propiedad
+     * @returns {Array} Propietarios ordenados por ID
+     */
+    static async findByEstateId(estateId) {
+        const [rows] = await db.query(
+            `SELECT eo.id,
+                    eo.estate_id,
+                    eo.owners_id,
+                    o.name           AS owner_name,
+                    o.lastname       AS owner_lastname,
+                    o.identification AS owner_identification,
+                    eo.ownership_percentage
+             FROM estate_owners eo
+                      JOIN owners o ON eo.owners_id = o.id
+             WHERE eo.estate_id = ?
+             ORDER BY eo.owners_id ASC`,
+            [estateId]
+        );
+        return rows;
+    }
+
+    /**
+     * Inmuebles de un propietario con su porcentaje y los datos catastrales
+     * Usado en la declaración anual de rendimientos del propietario
+     * @param {number} ownerId - ID del propietario
+     * @returns {Array} Inmuebles ordenados por ID
+     */
+    static async findByOwnerId(ownerId) {
+        const [rows] = await db.query(
+            `SELECT eo.estate_id,
+                    eo.ownership_percentage,
+                    e.cadastral_reference,
+                    e.address,
+                    e.postal_code,
+                    e.location,
+                    e.province,
+                    e.cadastral_value,
+                    e.cadastral_construction_value
+             FROM estate_owners eo
+                      JOIN estates e ON eo.estate_id = e.id
+             WHERE eo.owners_id = ?
+             ORDER BY eo.estate_id ASC`,
+            [ownerId]
+        );
+        return rows;
+    }
+
     /**
      * Crea una nueva relación propiedad-propietario
      * @param {number} estateId - ID de la propiedad
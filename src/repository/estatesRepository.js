@@ -9,7 +9,7 @@ export default class EstatesRepository {
      * Obtiene todas las propiedades
      */
     static async getAll() {
-        const [rows] = await db.query('SELECT id, cadastral_reference, price, address, postal_code, location, province, country, surface, date_create, date_update FROM estates');
+        const [rows] = await db.query('SELECT id, cadastral_reference, price, address, postal_code, location, province, country, surface, cadastral_value, cadastral_construction_value, date_create, date_update FROM estates');
         return rows;
     }
 
@@ -29,7 +29,7 @@ export default class EstatesRepository {
      * Busca por referencia catastral (único)
      */
     static async findByCadastralReference(cadastral_reference) {
-        const [rows] = await db.query(`SELECT id, cadastral_reference, price, address, postal_code, location, province, country, surface, date_create, date_update FROM estates WHERE LOWER(TRIM(cadastral_reference)) = LOWER(TRIM(?))`, [cadastral_reference]);
+        const [rows] = await db.query(`SELECT id, cadastral_reference, price, address, postal_code, location, province, country, surface, cadastral_value, cadastral_construction_value, date_create, date_update FROM estates WHERE LOWER(TRIM(cadastral_reference)) = LOWER(TRIM(?))`, [cadastral_reference]);
         return rows;
     }
 
@@ -37,7 +37,7 @@ export default class EstatesRepository {
      * Busca por ID único
      */
     static async findById(id) {
-        const [rows] = await db.query('SELECT id, cadastral_reference, price, address, postal_code, location, province, country, surface, date_create, date_update FROM estates WHERE id = ?', [id]);
+        const [rows] = await db.query('SELECT id, cadastral_reference, price, address, postal_code, location, province, country, surface, cadastral_value, cadastral_construction_value, date_create, date_update FROM estates WHERE id = ?', [id]);
         return rows;
     }
 
@@ -50,9 +50,9 @@ export default class EstatesRepository {
      * @returns {number} ID de la propiedad creada
      */
     static async create(estate) {
-        const {cadastral_reference, price, address, postal_code, location, province, country, surface} = estate;
-        const [result] = await db.query('INSERT INTO estates (cadastral_reference, price, address, postal_code, location, province, country, surface, date_create, date_update)' +
-            'VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())', [cadastral_reference, price, address, postal_code, location, province, country, surface]);
+        const {cadastral_reference, price, address, postal_code, location, province, country, surface, cadastral_value = null, cadastral_construction_value = null} = estate;
+        const [result] = await db.query('INSERT INTO estates (cadastral_reference, price, address, postal_code, location, province, country, surface, cadastral_value, cadastral_construction_value, date_create, date_update)' +
+            'VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())', [cadastral_reference, price, address, postal_code, location, province, country, surface, cadastral_value, cadastral_construction_value]);
         return result.insertId ? [{id: result.insertId, created: true}] : [];
     }
 
@@ -60,9 +60,9 @@ export default class EstatesRepository {
      * Actualiza propiedad existente
      */
     static async update(estate) {
-        const {id, cadastral_reference, price, address, postal_code, location, province, country, surface} = estate;
-        const [result] = await db.query('UPDATE estates SET cadastral_reference = ?, price = ?, address = ?, postal_code = ?, location = ?, province = ?, country = ?, surface = ?, date_update = NOW() WHERE id = ?',
-            [cadastral_reference, price, address, postal_code, location, province, country, surface, id]);
+        const {id, cadastral_reference, price, address, postal_code, location, province, country, surface, cadastral_value = null, cadastral_construction_value = null} = estate;
+        const [result] = await db.query('UPDATE estates SET cadastral_reference = ?, price = ?, address = ?, postal_code = ?, location = ?, province = ?, country = ?, surface = ?, cadastral_value = ?, cadastral_construction_value = ?, date_update = NOW() WHERE id = ?',
+            [cadastral_reference, price, address, postal_code, location, province, country, surface, cadastral_value, cadastral_construction_value, id]);
         return result.affectedRows > 0 ? [{id: Number(id), updated: true}] : [];
     }
 
@@ -83,5 +83,6 @@ export default class EstatesRepository {
  * - address (dirección)
  * - postal_code, location, province, country (ubicación)
  * - surface (superficie en m²)
+ * - cadastral_value, cadastral_construction_value (valores catastrales del IBI)
  * - date_create, date_update (timestamps)
  */
\ No newline at end of file
@@ -0,0 +1,149 @@
+import db from '../db/dbConnect.js';
+
+const PERIOD_FIELDS = `fp.id, fp.period_type, fp.year, fp.period, fp.start_date, fp.end_date, fp.status,
+                   fp.closed_by, fp.closed_at, fp.notes, fp.created_by, fp.created_at, fp.updated_at`;
+
+/**
+ * Repositorio de periodos fiscales (fiscal_periods) y su historial de
+ * cierres y reaperturas (fiscal_period_events)
+ * El cambio de estado y su evento se guardan en la misma transacción.
+ */
+export default class FiscalPeriodsRepository {
+
+    /**
+     * @param {Object} filters - year, status, period_type
+     */
+    static async getAll(filters = {}) {
+        const conditions = [];
+        const params = [];
+
+        if (filters.year) {
+            conditions.push('fp.year = ?');
+            params.push(filters.year);
+        }
+        if (filters.status) {
+            conditions.push('fp.status = ?');
+            params.push(filters.status);
+        }
+        if (filters.period_type) {
+            conditions.push('fp.period_type = ?');
+            params.push(filters.period_type);
+        }
+
+        const [rows] = await db.query(`
+            SELECT ${PERIOD_FIELDS}
+            FROM fiscal_periods fp
+            ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+            ORDER BY fp.start_date DESC, fp.end_date DESC`, params);
+        return rows;
+    }
+
+    static async findById(id) {
+        const [rows] = await db.query(`
+            SELECT ${PERIOD_FIELDS}
+            FROM fiscal_periods fp
+            WHERE fp.id = ?`, [id]);
+        return rows;
+    }
+
+    static async findPeriod(periodType, year, period) {
+        const [rows] = await db.query(`
+            SELECT ${PERIOD_FIELDS}
+            FROM fiscal_periods fp
+            WHERE fp.period_type = ?
+              AND fp.year = ?
+              AND fp.period = ?`, [periodType, year, period]);
+        return rows;
+    }
+
+    /**
+     * Periodos cerrados que incluyen la fecha (el más amplio primero)
+     * @param {string} date - 'YYYY-MM-DD'
+     */
+    static async findClosedForDate(date) {
+        const [rows] = await db.query(`
+            SELECT ${PERIOD_FIELDS}
+            FROM fiscal_periods fp
+            WHERE fp.status = 'closed'
+              AND fp.start_date <= ?
+              AND fp.end_date >= ?
+            ORDER BY fp.start_date ASC, fp.end_date DESC`, [date, date]);
+        return rows;
+    }
+
+    static async getEvents(periodId) {
+        const [rows] = await db.query(`
+            SELECT e.id, e.fiscal_period_id, e.action, e.reason, e.user_id, e.ip_address, e.created_at,
+                   u.username AS user_name
+            FROM fiscal_period_events e
+            LEFT JOIN users u ON u.id = e.user_id
+            WHERE e.fiscal_period_id = ?
+            ORDER BY e.created_at ASC, e.id ASC`, [periodId]);
+        return rows;
+    }
+
+    static async create(data) {
+        const [result] = await db.query(`
+            INSERT INTO fiscal_periods (period_type, year, period, start_date, end_date, status, notes, created_by)
+            VALUES (?, ?, ?, ?, ?, 'open', ?, ?)`,
+            [data.period_type, data.year, data.period, data.start_date, data.end_date, data.notes ?? null, data.created_by ?? null]);
+        return [{id: result.insertId, created: true}];
+    }
+
+    /**
+     * Cambia el estado del periodo y registra el evento
+     * Solo actualiza si el periodo sigue en el estado de partida, así dos
+     * cierres simultáneos no generan dos eventos.
+     * @param {number} id
+     * @param {'closed'|'open'} status - estado nuevo
+     * @param {Object} event - action, reason, user_id, ip_address
+     * @returns {Promise<Array>} [] si el periodo ya no estaba en el estado de partida
+     */
+    static async changeStatus(id, status, event) {
+        const connection = await db.getConnection();
+        try {
+            await connection.beginTransaction();
+
+            const fromStatus = status === 'closed' ? 'open' : 'closed';
+            const [result] = await connection.query(`
+                UPDATE fiscal_periods
+                SET status     = ?,
+                    closed_by  = ?,
+                    closed_at  = ?,
+                    updated_at = NOW()
+                WHERE id = ?
+                  AND status = ?`,
+                [status, status === 'closed' ? event.user_id : null, status === 'closed' ? new Date() : null, id, fromStatus]);
+
+            if (!result.affectedRows) {
+                await connection.rollback();
+                return [];
+            }
+
+            await connection.query(`
+                INSERT INTO fiscal_period_events (fiscal_period_id, action, reason, user_id, ip_address)
+                VALUES (?, ?, ?, ?, ?)`,
+                [id, event.action, event.reason ?? null, event.user_id ?? null, event.ip_address ?? null]);
+
+            await connection.commit();
+            return [{id: Number(id), updated: true}];
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * Solo se eliminan periodos abiertos
+     */
+    static async delete(id) {
+        const [result] = await db.query(`
+            DELETE
+            FROM fiscal_periods
+            WHERE id = ?
+              AND status = 'open'`, [id]);
+        return result.affectedRows ? [{id: Number(id), deleted: true}] : [];
+    }
+}
@@ -40,6 +40,7 @@ export default class InternalExpensesRepository {
                    ie.created_by,
                    ie.approved_by,
                    ie.approval_date,
+                   ie.payment_date,
                    ie.created_at,
                    ie.updated_at,
                    -- Datos de la propiedad
@@ -72,7 +73,7 @@ export default class InternalExpensesRepository {
                    ie.pdf_path, ie.has_attachments, ie.status,
                    ie.property_id, ie.project_code, ie.cost_center, ie.notes,
                    ie.is_recurring, ie.recurrence_period, ie.next_occurrence_date,
-                   ie.created_by, ie.approved_by, ie.approval_date,
+                   ie.created_by, ie.approved_by, ie.approval_date, ie.payment_date,
                    ie.created_at, ie.updated_at,
                    e.address AS estate_address,
                    eo.owners_id,
@@ -96,7 +97,7 @@ export default class InternalExpensesRepository {
                    ie.pdf_path, ie.has_attachments, ie.status,
                    ie.property_id, ie.project_code, ie.cost_center, ie.notes,
                    ie.is_recurring, ie.recurrence_period, ie.next_occurrence_date,
-                   ie.created_by, ie.approved_by, ie.approval_date,
+                   ie.created_by, ie.approved_by, ie.approval_date, ie.payment_date,
                    ie.created_at, ie.updated_at
             FROM internal_expenses ie
             WHERE ie.category = ?
@@ -116,7 +117,7 @@ export default class InternalExpensesRepository {
                    ie.pdf_path, ie.has_attachments, ie.status,
                    ie.property_id, ie.project_code, ie.cost_center, ie.notes,
                    ie.is_recurring, ie.recurrence_period, ie.next_occurrence_date,
-                   ie.created_by, ie.approved_by, ie.approval_date,
+                   ie.created_by, ie.approved_by, ie.approval_date, ie.payment_date,
                    ie.created_at, ie.updated_at
             FROM internal_expenses ie
             WHERE ie.subcategory LIKE ?
@@ -136,7 +137,7 @@ export default class InternalExpensesRepository {
                    ie.pdf_path, ie.has_attachments, ie.status,
                    ie.property_id, ie.project_code, ie.cost_center, ie.notes,
                    ie.is_recurring, ie.recurrence_period, ie.next_occurrence_date,
-                   ie.created_by, ie.approved_by, ie.approval_date,
+                   ie.created_by, ie.approved_by, ie.approval_date, ie.payment_date,
                    ie.created_at, ie.updated_at
             FROM internal_expenses ie
             WHERE ie.supplier_name LIKE ?
@@ -156,7 +157,7 @@ export default class InternalExpensesRepository {
                    ie.pdf_path, ie.has_attachments, ie.status,
                    ie.property_id, ie.project_code, ie.cost_center, ie.notes,
                    ie.is_recurring, ie.recurrence_period, ie.next_occurrence_date,
-                   ie.created_by, ie.approved_by, ie.approval_date,
+                   ie.created_by, ie.approved_by, ie.approval_date, ie.payment_date,
                    ie.created_at, ie.updated_at
             FROM internal_expenses ie
             WHERE ie.status = ?
@@ -176,7 +177,7 @@ export default class InternalExpensesRepository {
                    ie.pdf_path, ie.has_attachments, ie.status,
                    ie.property_id, ie.project_code, ie.cost_center, ie.notes,
                    ie.is_recurring, ie.recurrence_period, ie.next_occurrence_date,
-                   ie.created_by, ie.approved_by, ie.approval_date,
+                   ie.created_by, ie.approved_by, ie.approval_date, ie.payment_date,
                    ie.created_at, ie.updated_at
             FROM internal_expenses ie
             WHERE ie.payment_method = ?
@@ -196,7 +197,7 @@ export default class InternalExpensesRepository {
                    ie.pdf_path, ie.has_attachments, ie.status,
                    ie.property_id, ie.project_code, ie.cost_center, ie.notes,
                    ie.is_recurring, ie.recurrence_period, ie.next_occurrence_date,
-                   ie.created_by, ie.approved_by, ie.approval_date,
+                   ie.created_by, ie.approved_by, ie.approval_date, ie.payment_date,
                    ie.created_at, ie.updated_at
             FROM internal_expenses ie
             WHERE ie.is_deductible = TRUE
@@ -216,7 +217,7 @@ export default class InternalExpensesRepository {
                    ie.pdf_path, ie.has_attachments, ie.status,
                    ie.property_id, ie.project_code, ie.cost_center, ie.notes,
                    ie.is_recurring, ie.recurrence_period, ie.next_occurrence_date,
-                   ie.created_by, ie.approved_by, ie.approval_date,
+                   ie.created_by, ie.approved_by, ie.approval_date, ie.payment_date,
                    ie.created_at, ie.updated_at
             FROM internal_expenses ie
             WHERE ie.is_deductible = FALSE
@@ -236,7 +237,7 @@ export default class InternalExpensesRepository {
                    ie.pdf_path, ie.has_attachments, ie.status,
                    ie.property_id, ie.project_code, ie.cost_center, ie.notes,
                    ie.is_recurring, ie.recurrence_period, ie.next_occurrence_date,
-                   ie.created_by, ie.approved_by, ie.approval_date,
+                   ie.created_by, ie.approved_by, ie.approval_date, ie.payment_date,
                    ie.created_at, ie.updated_at
             FROM internal_expenses ie
             WHERE ie.expense_date BETWEEN ? AND ?
@@ -256,7 +257,7 @@ export default class InternalExpensesRepository {
                    ie.pdf_path, ie.has_attachments, ie.status,
                    ie.property_id, ie.project_code, ie.cost_center, ie.notes,
                    ie.is_recurring, ie.recurrence_period, ie.next_occurrence_date,
-                   ie.created_by, ie.approved_by, ie.approval_date,
+                   ie.created_by, ie.approved_by, ie.approval_date, ie.payment_date,
                    ie.created_at, ie.updated_at
             FROM internal_expenses ie
             WHERE ie.total_amount BETWEEN ? AND ?
@@ -276,7 +277,7 @@ export default class InternalExpensesRepository {
                    ie.pdf_path, ie.has_attachments, ie.status,
                    ie.property_id, ie.project_code, ie.cost_center, ie.notes,
                    ie.is_recurring, ie.recurrence_period, ie.next_occurrence_date,
-                   ie.created_by, ie.approved_by, ie.approval_date,
+                   ie.created_by, ie.approved_by, ie.approval_date, ie.payment_date,
                    ie.created_at, ie.updated_at
             FROM internal_expenses ie
             WHERE ie.property_id = ?
@@ -296,7 +297,7 @@ export default class InternalExpensesRepository {
                    ie.pdf_path, ie.has_attachments, ie.status,
                    ie.property_id, ie.project_code, ie.cost_center, ie.notes,
                    ie.is_recurring, ie.recurrence_period, ie.next_occurrence_date,
-                   ie.created_by, ie.approved_by, ie.approval_date,
+                   ie.created_by, ie.approved_by, ie.approval_date, ie.payment_date,
                    ie.created_at, ie.updated_at
             FROM internal_expenses ie
             WHERE ie.project_code = ?
@@ -316,7 +317,7 @@ export default class InternalExpensesRepository {
                    ie.pdf_path, ie.has_attachments, ie.status,
                    ie.property_id, ie.project_code, ie.cost_center, ie.notes,
                    ie.is_recurring, ie.recurrence_period, ie.next_occurrence_date,
-                   ie.created_by, ie.approved_by, ie.approval_date,
+                   ie.created_by, ie.approved_by, ie.approval_date, ie.payment_date,
                    ie.created_at, ie.updated_at
             FROM internal_expenses ie
             WHERE ie.cost_center = ?
@@ -336,7 +337,7 @@ export default class InternalExpensesRepository {
                    ie.pdf_path, ie.has_attachments, ie.status,
                    ie.property_id, ie.project_code, ie.cost_center, ie.notes,
                    ie.is_recurring, ie.recurrence_period, ie.next_occurrence_date,
-                   ie.created_by, ie.approved_by, ie.approval_date,
+                   ie.created_by, ie.approved_by, ie.approval_date, ie.payment_date,
                    ie.created_at, ie.updated_at
             FROM internal_expenses ie
             WHERE ie.is_recurring = TRUE
@@ -356,7 +357,7 @@ export default class InternalExpensesRepository {
                    ie.pdf_path, ie.has_attachments, ie.status,
                    ie.property_id, ie.project_code, ie.cost_center, ie.notes,
                    ie.is_recurring, ie.recurrence_period, ie.next_occurrence_date,
-                   ie.created_by, ie.approved_by, ie.approval_date,
+                   ie.created_by, ie.approved_by, ie.approval_date, ie.payment_date,
                    ie.created_at, ie.updated_at
             FROM internal_expenses ie
             WHERE ie.status = 'pending'
@@ -433,7 +434,7 @@ export default class InternalExpensesRepository {
                    ie.pdf_path, ie.has_attachments, ie.status,
                    ie.property_id, ie.project_code, ie.cost_center, ie.notes,
                    ie.is_recurring, ie.recurrence_period, ie.next_occurrence_date,
-                   ie.created_by, ie.approved_by, ie.approval_date,
+                   ie.created_by, ie.approved_by, ie.approval_date, ie.payment_date,
                    ie.created_at, ie.updated_at
             FROM internal_expenses ie
             ${whereClause}
@@ -593,21 +594,24 @@ export default class InternalExpensesRepository {
 
     /**
      * Marca un gasto como pagado
+     * @param {number} id
+     * @param {string} paymentDate - Fecha de pago (YYYY-MM-DD)
      */
-    static async markAsPaid(id) {
+    static async markAsPaid(id, paymentDate) {
         const [result] = await db.query(`
             UPDATE internal_expenses
-            SET status = 'paid', updated_at = NOW()
+            SET status = 'paid', payment_date = ?, updated_at = NOW()
             WHERE id = ?
-        `, [id]);
+        `, [paymentDate, id]);
 
         return result.affectedRows > 0 ? [{id: Number(id), paid: true}] : [];
     }
 
     /**
      * Actualiza solo el estado de un gasto
+     * @param {string|null} [paymentDate] - Fecha de pago, al pasar a 'paid'
      */
-    static async updateStatus(id, status, approvedBy = null) {
+    static async updateStatus(id, status, approvedBy = null, paymentDate = null) {
         let query = `UPDATE internal_expenses SET status = ?, updated_at = NOW()`;
         let params = [status];
 
@@ -616,6 +620,11 @@ export default class InternalExpensesRepository {
             params.push(approvedBy);
         }
 
+        if (status === 'paid') {
+            query += `, payment_date = ?`;
+            params.push(paymentDate);
+        }
+
         query += ` WHERE id = ?`;
         params.push(id);
 
@@ -774,6 +783,52 @@ export default class InternalExpensesRepository {
         return rows;
     }
 
+    /**
+     * Gastos del año con NIF del proveedor para el modelo 347
+     */
+    static async getForModelo347(year) {
+        const [rows] = await db.query(`
+            SELECT ie.id,
+                   ie.expense_date,
+                   ie.receipt_number,
+                   ie.supplier_name,
+                   ie.supplier_nif,
+                   ie.amount as tax_base,
+                   ie.iva_amount
+            FROM internal_expenses ie
+            WHERE YEAR(ie.expense_date) = ?
+              AND ie.status IN ("approved", "paid")
+              AND ie.supplier_nif IS NOT NULL
+              AND ie.supplier_nif <> ''
+            ORDER BY ie.expense_date ASC, ie.id ASC
+        `, [year]);
+        return rows;
+    }
+
+    /**
+     * Gastos aprobados del año imputados a unos inmuebles
+     */
+    static async getForOwnerTaxStatement(estateIds, year) {
+        if (!estateIds.length) return [];
+
+        const [rows] = await db.query(`
+            SELECT ie.id,
+                   ie.expense_date,
+                   ie.receipt_number,
+                   ie.property_id,
+                   ie.category,
+                   ie.supplier_name,
+                   ie.amount as tax_base,
+                   ie.iva_amount
+            FROM internal_expenses ie
+            WHERE ie.property_id IN (?)
+              AND YEAR(ie.expense_date) = ?
+              AND ie.status IN ("approved", "paid")
+            ORDER BY ie.expense_date ASC, ie.id ASC
+        `, [estateIds, year]);
+        return rows;
+    }
+
     /**
      * Obtiene balance de gastos (para comparar con ingresos)
      */
@@ -811,7 +866,7 @@ export default class InternalExpensesRepository {
                    ie.pdf_path, ie.has_attachments, ie.status,
                    ie.property_id, ie.project_code, ie.cost_center, ie.notes,
                    ie.is_recurring, ie.recurrence_period, ie.next_occurrence_date,
-                   ie.created_by, ie.approved_by, ie.approval_date,
+                   ie.created_by, ie.approved_by, ie.approval_date, ie.payment_date,
                    ie.created_at, ie.updated_at
             FROM internal_expenses ie
             WHERE ie.is_recurring = TRUE 
@@ -0,0 +1,85 @@
+import db from '../db/dbConnect.js';
+
+/**
+ * Columna de invoice_lines que enlaza con cada tipo de factura
+ */
+const INVOICE_COLUMNS = {
+    issued: 'invoices_issued_id',
+    received: 'invoices_received_id'
+};
+
+const LINE_FIELDS = `id, invoices_issued_id, invoices_received_id, line_number, description,
+                   quantity, unit_price, discount, tax_base, iva, iva_amount, irpf, irpf_amount, total`;
+
+/**
+ * Repositorio para las líneas de detalle de facturas emitidas y recibidas
+ * Las escrituras reciben la conexión de la transacción de la cabecera,
+ * de modo que factura y líneas se guardan (o se descartan) juntas.
+ */
+export default class InvoiceLinesRepository {
+
+    /**
+     * Obtiene las líneas de una factura
+     * @param {string} type - 'issued' o 'received'
+     * @param {number} invoiceId - ID de la factura
+     */
+    static async findByInvoice(type, invoiceId) {
+        const column = INVOICE_COLUMNS[type];
+        const [rows] = await db.query(`
+            SELECT ${LINE_FIELDS}
+            FROM invoice_lines
+            WHERE ${column} = ?
+            ORDER BY line_number ASC, id ASC`, [invoiceId]);
+        return rows;
+    }
+
+    /**
+     * Obtiene las líneas de varias facturas (libros de IVA, listados)
+     * @param {string} type - 'issued' o 'received'
+     * @param {number[]} invoiceIds - IDs de las facturas
+     */
+    static async findByInvoices(type, invoiceIds) {
+        if (!invoiceIds.length) return [];
+        const column = INVOICE_COLUMNS[type];
+        const [rows] = await db.query(`
+            SELECT ${LINE_FIELDS}
+            FROM invoice_lines
+            WHERE ${column} IN (?)
+            ORDER BY ${column} ASC, line_number ASC, id ASC`, [invoiceIds]);
+        return rows;
+    }
+
+    /**
+     * Inserta las líneas de una factura dentro de una transacción abierta
+     * @param {Object} connection - Conexión con la transacción de la cabecera
+     * @param {string} type - 'issued' o 'received'
+     * @param {number} invoiceId - ID de la factura
+     * @param {Object[]} lines - Líneas ya calculadas (CalculateHelper.calculateInvoiceLines)
+     */
+    static async insertLines(connection, type, invoiceId, lines) {
+        if (!lines || !lines.length) return [];
+        const column = INVOICE_COLUMNS[type];
+
+        const values = lines.map((line, index) => [
+            invoiceId, line.line_number || index + 1, line.description,
+            line.quantity, line.unit_price, line.discount,
+            line.tax_base, line.iva, line.iva_amount, line.irpf, line.irpf_amount, line.total
+        ]);
+
+        const [result] = await connection.query(`
+            INSERT INTO invoice_lines (${column}, line_number, description,
+                                       quantity, unit_price, discount,
+                                       tax_base, iva, iva_amount, irpf, irpf_amount, total)
+            VALUES ?`, [values]);
+        return result.affectedRows > 0 ? [{invoice_id: Number(invoiceId), created: true, count: result.affectedRows}] : [];
+    }
+
+    /**
+     * Sustituye todas las líneas de una factura dentro de una transacción abierta
+     */
+    static async replaceLines(connection, type, invoiceId, lines) {
+        const column = INVOICE_COLUMNS[type];
+        await connection.query(`DELETE FROM invoice_lines WHERE ${column} = ?`, [invoiceId]);
+        return await this.insertLines(connection, type, invoiceId, lines);
+    }
+}
@@ -0,0 +1,150 @@
+import db from '../db/dbConnect.js';
+
+const SERIES_FIELDS = `s.id, s.owners_id, s.series_type, s.pattern, s.owner_code, s.created_at, s.updated_at,
+                   o.name           AS owner_name,
+                   o.lastname       AS owner_lastname,
+                   o.identification AS owner_identification`;
+
+/**
+ * Repositorio para las series de numeración de facturas emitidas
+ * Gestiona invoice_series (patrón por propietario y tipo) e
+ * invoice_series_counters (último número por serie, propietario y año fiscal).
+ */
+export default class InvoiceSeriesRepository {
+
+    /**
+     * Obtiene todas las series (primero las series por defecto)
+     */
+    static async getAll() {
+        const [rows] = await db.query(`
+            SELECT ${SERIES_FIELDS}
+            FROM invoice_series s
+                     LEFT JOIN owners o ON s.owners_id = o.id
+            ORDER BY s.owners_id IS NOT NULL, s.owners_id ASC, s.series_type ASC
+        `);
+        return rows;
+    }
+
+    // ========================================
+    // MÉTODOS DE BÚSQUEDA
+    // ========================================
+
+    static async findById(id) {
+        const [rows] = await db.query(`
+            SELECT ${SERIES_FIELDS}
+            FROM invoice_series s
+                     LEFT JOIN owners o ON s.owners_id = o.id
+            WHERE s.id = ?`, [id]);
+        return rows;
+    }
+
+    /**
+     * Busca la serie de un propietario y tipo exactos (owners_id NULL = serie por defecto)
+     */
+    static async findByOwnerAndType(ownersId, seriesType) {
+        const [rows] = await db.query(`
+            SELECT id, owners_id, series_type, pattern, owner_code
+            FROM invoice_series
+            WHERE owners_id <=> ?
+              AND series_type = ?`, [ownersId, seriesType]);
+        return rows;
+    }
+
+    /**
+     * Serie aplicable a un propietario: la suya propia o, si no tiene, la serie por defecto
+     */
+    static async findForOwner(ownersId, seriesType) {
+        const [rows] = await db.query(`
+            SELECT ${SERIES_FIELDS}
+            FROM invoice_series s
+                     LEFT JOIN owners o ON s.owners_id = o.id
+            WHERE s.series_type = ?
+              AND (s.owners_id = ? OR s.owners_id IS NULL)
+            ORDER BY s.owners_id IS NULL ASC
+            LIMIT 1`, [seriesType, ownersId]);
+        return rows;
+    }
+
+    // ========================================
+    // CONTADORES
+    // ========================================
+
+    /**
+     * Último número emitido de una serie para un propietario y año (0 si aún no hay ninguno)
+     */
+    static async getLastNumber(seriesId, ownersId, fiscalYear) {
+        const [rows] = await db.query(`
+            SELECT last_number
+            FROM invoice_series_counters
+            WHERE series_id = ?
+              AND owners_id = ?
+              AND fiscal_year = ?`, [seriesId, ownersId, fiscalYear]);
+        return rows.length ? Number(rows[0].last_number) : 0;
+    }
+
+    /**
+     * Cantidad de números emitidos por una serie desde un año fiscal (todos si no se indica)
+     */
+    static async countIssued(seriesId, fromYear = null) {
+        const [rows] = await db.query(`
+            SELECT COALESCE(SUM(last_number), 0) AS issued
+            FROM invoice_series_counters
+            WHERE series_id = ?
+              AND (? IS NULL OR fiscal_year >= ?)`, [seriesId, fromYear, fromYear]);
+        return Number(rows[0].issued);
+    }
+
+    /**
+     * Reserva el siguiente número de la serie dentro de la transacción de la factura
+     * El upsert bloquea la fila del contador hasta el commit: dos facturas del mismo
+     * propietario y año se numeran en serie, y un rollback devuelve el número (sin huecos).
+     * @param {Object} connection - Conexión con la transacción abierta
+     * @returns {number} Número correlativo reservado
+     */
+    static async nextNumber(connection, seriesId, ownersId, fiscalYear) {
+        await connection.query(`
+            INSERT INTO invoice_series_counters (series_id, owners_id, fiscal_year, last_number)
+            VALUES (?, ?, ?, 1)
+            ON DUPLICATE KEY UPDATE last_number = last_number + 1`,
+            [seriesId, ownersId, fiscalYear]
+        );
+        const [rows] = await connection.query(`
+            SELECT last_number
+            FROM invoice_series_counters
+            WHERE series_id = ?
+              AND owners_id = ?
+              AND fiscal_year = ?`, [seriesId, ownersId, fiscalYear]);
+        return Number(rows[0].last_number);
+    }
+
+    // ========================================
+    // MÉTODOS CRUD
+    // ========================================
+
+    static async create(series) {
+        const {owners_id = null, series_type, pattern, owner_code = null} = series;
+        const [result] = await db.query(`
+            INSERT INTO invoice_series (owners_id, series_type, pattern, owner_code)
+            VALUES (?, ?, ?, ?)`,
+            [owners_id, series_type, pattern, owner_code]
+        );
+        return result.insertId ? [{id: result.insertId, created: true}] : [];
+    }
+
+    static async update(series) {
+        const {id, pattern, owner_code} = series;
+        const [result] = await db.query(`
+            UPDATE invoice_series
+            SET pattern    = ?,
+                owner_code = ?
+            WHERE id = ?`,
+            [pattern, owner_code, id]
+        );
+        return result.affectedRows > 0 ? [{id: Number(id), updated: true}] : [];
+    }
+
+    static async delete(id) {
+        const [result] = await db.query('DELETE FROM invoice_series WHERE id = ?', [id]);
+        return result.affectedRows > 0 ? [{id: Number(id), deleted: true}] : [];
+    }
+}
@@ -1,4 +1,7 @@
 import db from '../db/dbConnect.js';
+import InvoiceLinesRepository from './invoiceLinesRepository.js';
+import InvoiceSeriesRepository from './invoiceSeriesRepository.js';
+import {formatSeriesNumber, getFiscalYear} from '../shared/helpers/invoiceSeriesHelpers.js';
 
 /**
  * Repositorio para manejar facturas emitidas a clientes
@@ -16,6 +19,7 @@ export default class InvoicesIssuedRepository {
                    ii.estates_id,
                    ii.clients_id,
                    ii.owners_id,
+                   ii.lease_id,
                    ii.ownership_percent,
                    ii.invoice_date,
                    ii.due_date,
@@ -59,7 +63,7 @@ export default class InvoicesIssuedRepository {
      */
     static async findById(id) {
         const [rows] = await db.query(`
-            SELECT ii.id, ii.invoice_number, ii.estates_id, ii.clients_id, ii.owners_id,
+            SELECT ii.id, ii.invoice_number, ii.estates_id, ii.clients_id, ii.owners_id, ii.lease_id,
                    ii.ownership_percent, ii.invoice_date, ii.due_date,
                    ii.tax_base, ii.iva, ii.irpf, ii.total,
                    ii.is_refund, ii.original_invoice_id,
@@ -77,7 +81,7 @@ export default class InvoicesIssuedRepository {
      */
     static async findByInvoiceNumber(invoice_number) {
         const [rows] = await db.query(`
-            SELECT id, invoice_number, estates_id, clients_id, owners_id, ownership_percent,
+            SELECT id, invoice_number, estates_id, clients_id, owners_id, lease_id, ownership_percent,
                    invoice_date, due_date, tax_base, iva, irpf, total,
                    is_refund, original_invoice_id,
                    collection_status, collection_method, collection_date,
@@ -93,7 +97,7 @@ export default class InvoicesIssuedRepository {
      */
     static async findByOwnersId(ownersId) {
         const [rows] = await db.query(`
-            SELECT ii.id, ii.invoice_number, ii.estates_id, ii.clients_id, ii.owners_id,
+            SELECT ii.id, ii.invoice_number, ii.estates_id, ii.clients_id, ii.owners_id, ii.lease_id,
                    ii.ownership_percent, ii.invoice_date, ii.due_date,
                    ii.tax_base, ii.iva, ii.irpf, ii.total,
                    ii.is_refund, ii.original_invoice_id,
@@ -111,7 +115,7 @@ export default class InvoicesIssuedRepository {
      */
     static async findByClientId(clientId) {
         const [rows] = await db.query(`
-            SELECT ii.id, ii.invoice_number, ii.estates_id, ii.clients_id, ii.owners_id,
+            SELECT ii.id, ii.invoice_number, ii.estates_id, ii.clients_id, ii.owners_id, ii.lease_id,
                    ii.ownership_percent, ii.invoice_date, ii.due_date,
                    ii.tax_base, ii.iva, ii.irpf, ii.total,
                    ii.is_refund, ii.original_invoice_id,
@@ -129,7 +133,7 @@ export default class InvoicesIssuedRepository {
      */
     static async findByClientNif(nif) {
         const [rows] = await db.query(`
-            SELECT ii.id, ii.invoice_number, ii.estates_id, ii.clients_id, ii.owners_id,
+            SELECT ii.id, ii.invoice_number, ii.estates_id, ii.clients_id, ii.owners_id, ii.lease_id,
                    ii.ownership_percent, ii.invoice_date, ii.due_date,
                    ii.tax_base, ii.iva, ii.irpf, ii.total,
                    ii.is_refund, ii.original_invoice_id,
@@ -148,13 +152,14 @@ export default class InvoicesIssuedRepository {
      */
     static async findByOwnersAndEstate(ownersId, estateId) {
         const [rows] = await db.query(`
-            SELECT id, invoice_number, estates_id, clients_id, owners_id, ownership_percent,
+            SELECT id, invoice_number, estates_id, clients_id, owners_id, lease_id, ownership_percent,
                    invoice_date, due_date, tax_base, iva, irpf, total,
                    is_refund, original_invoice_id,
                    collection_status, collection_method, collection_date,
                    collection_reference, collection_notes,
                    start_date, end_date, corresponding_month, is_proportional,
-                   created_at, updated_at
+                   created_at, updated_at,
+                   EXISTS(SELECT 1 FROM sepa_returns sr WHERE sr.fee_invoice_id = invoices_issued.id) AS is_return_fee
             FROM invoices_issued
             WHERE owners_id = ?
               AND estates_id = ?`,
@@ -163,12 +168,29 @@ export default class InvoicesIssuedRepository {
         return rows;
     }
 
+    /**
+     * Busca la factura (no abono) de un contrato para un propietario y mes
+     * Usada por la facturación mensual para no facturar dos veces
+     */
+    static async findByLeaseOwnerAndMonth(leaseId, ownersId, correspondingMonth) {
+        const [rows] = await db.query(`
+            SELECT id, invoice_number, lease_id, owners_id, corresponding_month, total
+            FROM invoices_issued
+            WHERE lease_id = ?
+              AND owners_id = ?
+              AND corresponding_month = ?
+              AND is_refund = FALSE`,
+            [leaseId, ownersId, correspondingMonth]
+        );
+        return rows;
+    }
+
     /**
      * Busca facturas por estado de cobro
      */
     static async findByCollectionStatus(status) {
         const [rows] = await db.query(`
-            SELECT ii.id, ii.invoice_number, ii.estates_id, ii.clients_id, ii.owners_id,
+            SELECT ii.id, ii.invoice_number, ii.estates_id, ii.clients_id, ii.owners_id, ii.lease_id,
                    ii.ownership_percent, ii.invoice_date, ii.due_date,
                    ii.tax_base, ii.iva, ii.irpf, ii.total,
                    ii.is_refund, ii.original_invoice_id,
@@ -194,7 +216,7 @@ export default class InvoicesIssuedRepository {
      */
     static async findOverdueInvoices() {
         const [rows] = await db.query(`
-            SELECT ii.id, ii.invoice_number, ii.estates_id, ii.clients_id, ii.owners_id,
+            SELECT ii.id, ii.invoice_number, ii.estates_id, ii.clients_id, ii.owners_id, ii.lease_id,
                    ii.ownership_percent, ii.invoice_date, ii.due_date,
                    ii.tax_base, ii.iva, ii.irpf, ii.total,
                    ii.is_refund, ii.original_invoice_id,
@@ -210,7 +232,7 @@ export default class InvoicesIssuedRepository {
                      JOIN estates e ON ii.estates_id = e.id
                      JOIN owners o ON ii.owners_id = o.id
                      JOIN clients c ON ii.clients_id = c.id
-            WHERE ii.collection_status = 'pending'
+            WHERE ii.collection_status IN ('pending', 'partially_collected')
               AND ii.due_date < CURRENT_DATE
             ORDER BY ii.due_date ASC
         `);
@@ -222,7 +244,7 @@ export default class InvoicesIssuedRepository {
      */
     static async findDueSoon(days = 7) {
         const [rows] = await db.query(`
-            SELECT ii.id, ii.invoice_number, ii.estates_id, ii.clients_id, ii.owners_id,
+            SELECT ii.id, ii.invoice_number, ii.estates_id, ii.clients_id, ii.owners_id, ii.lease_id,
                    ii.ownership_percent, ii.invoice_date, ii.due_date,
                    ii.tax_base, ii.iva, ii.irpf, ii.total,
                    ii.is_refund, ii.original_invoice_id,
@@ -238,7 +260,7 @@ export default class InvoicesIssuedRepository {
                      JOIN estates e ON ii.estates_id = e.id
                      JOIN owners o ON ii.owners_id = o.id
                      JOIN clients c ON ii.clients_id = c.id
-            WHERE ii.collection_status = 'pending'
+            WHERE ii.collection_status IN ('pending', 'partially_collected')
               AND ii.due_date BETWEEN CURRENT_DATE AND DATE_ADD(CURRENT_DATE, INTERVAL ? DAY)
             ORDER BY ii.due_date ASC
         `, [days]);
@@ -250,7 +272,7 @@ export default class InvoicesIssuedRepository {
      */
     static async findByDateRange(startDate, endDate) {
         const [rows] = await db.query(`
-            SELECT ii.id, ii.invoice_number, ii.estates_id, ii.clients_id, ii.owners_id,
+            SELECT ii.id, ii.invoice_number, ii.estates_id, ii.clients_id, ii.owners_id, ii.lease_id,
                    ii.ownership_percent, ii.invoice_date, ii.due_date,
                    ii.tax_base, ii.iva, ii.irpf, ii.total,
                    ii.is_refund, ii.original_invoice_id,
@@ -443,16 +465,24 @@ export default class InvoicesIssuedRepository {
         }
 
         const [rows] = await db.query(`
-            SELECT ii.invoice_date,
+            SELECT ii.id,
+                   ii.invoice_date,
                    ii.invoice_number,
                    c.name                        AS client_name,
                    c.identification              AS client_nif,
                    ii.tax_base,
+                   ii.iva,
+                   ii.irpf,
                    ii.iva                        as iva_percentage,
                    (ii.tax_base * ii.iva / 100)  as iva_amount,
                    ii.irpf                       as irpf_percentage,
                    (ii.tax_base * ii.irpf / 100) as irpf_amount,
-                   ii.total
+                   ii.total,
+                   ii.due_date,
+                   ii.collection_status,
+                   ii.is_proportional,
+                   ii.start_date,
+                   ii.end_date
             FROM invoices_issued ii
                      INNER JOIN clients c ON ii.clients_id = c.id ${whereClause}
               AND ii.is_refund = FALSE
@@ -461,6 +491,102 @@ export default class InvoicesIssuedRepository {
         return rows;
     }
 
+    /**
+     * Facturas del año con arrendador (propietario), arrendatario (cliente) e inmueble
+     * para los informes de retenciones sobre alquileres (modelos 115 y 180).
+     * Mismo alcance que el libro de IVA repercutido: sin abonos.
+     */
+    static async getForRentWithholdings(year) {
+        const [rows] = await db.query(`
+            SELECT ii.id,
+                   ii.invoice_number,
+                   ii.invoice_date,
+                   ii.tax_base,
+                   ii.irpf,
+                   o.id                                                           AS owner_id,
+                   o.identification                                               AS owner_nif,
+                   CONCAT_WS(' ', o.name, o.lastname)                             AS owner_name,
+                   c.id                                                           AS client_id,
+                   c.identification                                               AS client_nif,
+                   COALESCE(NULLIF(c.company_name, ''), CONCAT_WS(' ', c.name, c.lastname)) AS client_name,
+                   e.id                                                           AS estate_id,
+                   e.cadastral_reference,
+                   e.address                                                      AS estate_address,
+                   e.postal_code                                                  AS estate_postal_code,
+                   e.location                                                     AS estate_location,
+                   e.province                                                     AS estate_province
+            FROM invoices_issued ii
+                     INNER JOIN owners o ON ii.owners_id = o.id
+                     INNER JOIN clients c ON ii.clients_id = c.id
+                     INNER JOIN estates e ON ii.estates_id = e.id
+            WHERE YEAR(ii.invoice_date) = ?
+              AND ii.is_refund = FALSE
+            ORDER BY ii.invoice_date ASC, ii.id ASC
+        `, [year]);
+        return rows;
+    }
+
+    /**
+     * Facturas emitidas del año para el modelo 347 (incluidas rectificativas)
+     * Con el cliente y el inmueble para marcar los arrendamientos
+     */
+    static async getForModelo347(year) {
+        const [rows] = await db.query(`
+            SELECT ii.id,
+                   ii.invoice_number,
+                   ii.invoice_date,
+                   ii.tax_base,
+                   ii.iva,
+                   ii.irpf,
+                   ii.is_refund,
+                   c.id                                                           AS client_id,
+                   c.identification                                               AS client_nif,
+                   COALESCE(NULLIF(c.company_name, ''), CONCAT_WS(' ', c.name, c.lastname)) AS client_name,
+                   c.postal_code                                                  AS client_postal_code,
+                   e.id                                                           AS estate_id,
+                   e.cadastral_reference,
+                   e.address                                                      AS estate_address,
+                   e.postal_code                                                  AS estate_postal_code,
+                   e.location                                                     AS estate_location,
+                   e.province                                                     AS estate_province
+            FROM invoices_issued ii
+                     INNER JOIN clients c ON ii.clients_id = c.id
+                     LEFT JOIN estates e ON ii.estates_id = e.id
+            WHERE YEAR(ii.invoice_date) = ?
+            ORDER BY ii.invoice_date ASC, ii.id ASC
+        `, [year]);
+        return rows;
+    }
+
+    /**
+     * Facturas emitidas por un propietario en el año (incluidas rectificativas)
+     * Con el período facturado para contar los días arrendados de cada inmueble
+     */
+    static async getForOwnerTaxStatement(ownerId, year) {
+        const [rows] = await db.query(`
+            SELECT ii.id,
+                   ii.invoice_number,
+                   ii.invoice_date,
+                   ii.estates_id,
+                   ii.tax_base,
+                   ii.iva,
+                   ii.irpf,
+                   ii.total,
+                   ii.is_refund,
+                   ii.start_date,
+                   ii.end_date,
+                   ii.corresponding_month,
+                   e.cadastral_reference,
+                   e.address AS estate_address
+            FROM invoices_issued ii
+                     INNER JOIN estates e ON ii.estates_id = e.id
+            WHERE ii.owners_id = ?
+              AND YEAR(ii.invoice_date) = ?
+            ORDER BY ii.invoice_date ASC, ii.id ASC
+        `, [ownerId, year]);
+        return rows;
+    }
+
     /**
      * Obtiene balance de ingresos vs gastos (requiere join con invoices_received)
      */
@@ -487,33 +613,40 @@ export default class InvoicesIssuedRepository {
 
     /**
      * Obtiene facturas pendientes de cobro con aging (antigüedad)
+     * El importe pendiente descuenta los cobros imputados y la fianza aplicada.
      */
     static async getPendingInvoicesAging() {
         const [rows] = await db.query(`
-            SELECT ii.id, ii.invoice_number, ii.estates_id, ii.clients_id, ii.owners_id,
-                   ii.ownership_percent, ii.invoice_date, ii.due_date,
-                   ii.tax_base, ii.iva, ii.irpf, ii.total,
-                   ii.is_refund, ii.original_invoice_id,
-                   ii.collection_status, ii.collection_method, ii.collection_date,
-                   ii.collection_reference, ii.collection_notes,
-                   ii.start_date, ii.end_date, ii.corresponding_month, ii.is_proportional,
-                   ii.created_at, ii.updated_at,
-                   c.name                              as client_name,
-                   e.address                           as estate_name,
-                   DATEDIFF(CURRENT_DATE, ii.due_date) as days_overdue,
-                   CASE
-                       WHEN DATEDIFF(CURRENT_DATE, ii.due_date) <= 0 THEN 'CURRENT'
-                       WHEN DATEDIFF(CURRENT_DATE, ii.due_date) <= 30 THEN '1-30_DAYS'
-                       WHEN DATEDIFF(CURRENT_DATE, ii.due_date) <= 60 THEN '31-60_DAYS'
-                       WHEN DATEDIFF(CURRENT_DATE, ii.due_date) <= 90 THEN '61-90_DAYS'
-                       ELSE 'OVER_90_DAYS'
-                       END                             as aging_bucket
-            FROM invoices_issued ii
-                     INNER JOIN clients c ON ii.clients_id = c.id
-                     INNER JOIN estates e ON ii.estates_id = e.id
-            WHERE ii.collection_status = 'pending'
-              AND ii.is_refund = FALSE
-            ORDER BY ii.due_date ASC
+            SELECT *
+            FROM (SELECT ii.id, ii.invoice_number, ii.estates_id, ii.clients_id, ii.owners_id, ii.lease_id,
+                         ii.ownership_percent, ii.invoice_date, ii.due_date,
+                         ii.tax_base, ii.iva, ii.irpf, ii.total,
+                         ii.is_refund, ii.original_invoice_id,
+                         ii.collection_status, ii.collection_method, ii.collection_date,
+                         ii.collection_reference, ii.collection_notes,
+                         ii.start_date, ii.end_date, ii.corresponding_month, ii.is_proportional,
+                         ii.created_at, ii.updated_at,
+                         c.name                              as client_name,
+                         e.address                           as estate_name,
+                         ii.total
+                             - (SELECT COALESCE(SUM(pa.amount), 0) FROM payment_allocations pa WHERE pa.invoice_issued_id = ii.id)
+                             - (SELECT COALESCE(SUM(da.amount), 0) FROM deposit_applications da WHERE da.invoice_issued_id = ii.id)
+                                                             as outstanding_amount,
+                         DATEDIFF(CURRENT_DATE, ii.due_date) as days_overdue,
+                         CASE
+                             WHEN DATEDIFF(CURRENT_DATE, ii.due_date) <= 0 THEN 'CURRENT'
+                             WHEN DATEDIFF(CURRENT_DATE, ii.due_date) <= 30 THEN '1-30_DAYS'
+                             WHEN DATEDIFF(CURRENT_DATE, ii.due_date) <= 60 THEN '31-60_DAYS'
+                             WHEN DATEDIFF(CURRENT_DATE, ii.due_date) <= 90 THEN '61-90_DAYS'
+                             ELSE 'OVER_90_DAYS'
+                             END                             as aging_bucket
+                  FROM invoices_issued ii
+                           INNER JOIN clients c ON ii.clients_id = c.id
+                           INNER JOIN estates e ON ii.estates_id = e.id
+                  WHERE ii.collection_status IN ('pending', 'partially_collected', 'overdue')
+                    AND ii.is_refund = FALSE) aging
+            WHERE aging.outstanding_amount > 0
+            ORDER BY aging.due_date ASC
         `);
         return rows;
     }
@@ -523,7 +656,7 @@ export default class InvoicesIssuedRepository {
      */
     static async findByCorrespondingMonth(correspondingMonth) {
         const [rows] = await db.query(`
-            SELECT ii.id, ii.invoice_number, ii.estates_id, ii.clients_id, ii.owners_id,
+            SELECT ii.id, ii.invoice_number, ii.estates_id, ii.clients_id, ii.owners_id, ii.lease_id,
                    ii.ownership_percent, ii.invoice_date, ii.due_date,
                    ii.tax_base, ii.iva, ii.irpf, ii.total,
                    ii.is_refund, ii.original_invoice_id,
@@ -562,13 +695,15 @@ export default class InvoicesIssuedRepository {
     /**
      * Actualiza una factura existente
      * Nota: No permite cambiar estate_id (la propiedad asociada)
+     * @param {Function} onUpdated - (connection) tras guardar, antes del commit
      */
-    static async update(invoice) {
+    static async update(invoice, onUpdated = null) {
         const {
             id,
             invoice_number,
             owners_id,
             clients_id,
+            lease_id,
             invoice_date,
             due_date,
             tax_base,
@@ -586,14 +721,20 @@ export default class InvoicesIssuedRepository {
             corresponding_month,
             is_proportional,
             pdf_path,
-            has_attachments
+            has_attachments,
+            lines
         } = invoice;
 
-        const [result] = await db.query(`
+        const connection = await db.getConnection();
+        try {
+            await connection.beginTransaction();
+
+            const [result] = await connection.query(`
                     UPDATE invoices_issued
                     SET invoice_number       = ?,
                         owners_id            = ?,
                         clients_id           = ?,
+                        lease_id             = ?,
                         invoice_date         = ?,
                         due_date             = ?,
                         tax_base             = ?,
@@ -614,24 +755,55 @@ export default class InvoicesIssuedRepository {
                         has_attachments      = ?,
                         updated_at           = NOW()
                     WHERE id = ?`,
-            [
-                invoice_number, owners_id, clients_id, invoice_date, due_date,
-                tax_base, iva, irpf, total, ownership_percent,
-                collection_status, collection_method, collection_date, collection_reference, collection_notes,
-                start_date, end_date, corresponding_month, is_proportional,
-                pdf_path, has_attachments,
-                id
-            ]
-        );
-        return result.affectedRows > 0 ? [{id: Number(invoice.id), updated: true}] : [];
+                [
+                    invoice_number, owners_id, clients_id, lease_id, invoice_date, due_date,
+                    tax_base, iva, irpf, total, ownership_percent,
+                    collection_status, collection_method, collection_date, collection_reference, collection_notes,
+                    start_date, end_date, corresponding_month, is_proportional,
+                    pdf_path, has_attachments,
+                    id
+                ]
+            );
+
+            // lines === undefined: las líneas existentes no se tocan
+            if (result.affectedRows > 0 && Array.isArray(lines)) {
+                await InvoiceLinesRepository.replaceLines(connection, 'issued', id, lines);
+            }
+
+            if (result.affectedRows > 0 && onUpdated) await onUpdated(connection);
+
+            await connection.commit();
+            return result.affectedRows > 0 ? [{id: Number(invoice.id), updated: true}] : [];
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
     }
 
     /**
      * Elimina una factura
+     * @param {Function} beforeDelete - (connection) antes del DELETE, en la misma transacción
      */
-    static async delete(id) {
-        const [result] = await db.query('DELETE FROM invoices_issued WHERE id = ?', [id]);
-        return result.affectedRows > 0 ? [{id: Number(id), deleted: true}] : [];
+    static async delete(id, beforeDelete = null) {
+        const connection = await db.getConnection();
+        try {
+            await connection.beginTransaction();
+
+            // Registro de anulación (VERI*FACTU) antes de que desaparezca la factura
+            if (beforeDelete) await beforeDelete(connection);
+
+            const [result] = await connection.query('DELETE FROM invoices_issued WHERE id = ?', [id]);
+
+            await connection.commit();
+            return result.affectedRows > 0 ? [{id: Number(id), deleted: true}] : [];
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
     }
 
 // ========================================
@@ -639,12 +811,13 @@ export default class InvoicesIssuedRepository {
 // ========================================
 
     /**
-     * Obtiene factura con TODOS los detalles para impresión/PDF
+     * Obtiene factura con TODOS los detalles para impresión/PDF y Facturae
      * Incluye información completa de cliente, propiedad y propietario
+     * y, en los abonos, el número y la fecha de la factura original
      */
     static async findByIdWithDetails(id) {
         const [rows] = await db.query(`
-            SELECT ii.id, ii.invoice_number, ii.estates_id, ii.clients_id, ii.owners_id,
+            SELECT ii.id, ii.invoice_number, ii.estates_id, ii.clients_id, ii.owners_id, ii.lease_id,
                    ii.ownership_percent, ii.invoice_date, ii.due_date,
                    ii.tax_base, ii.iva, ii.irpf, ii.total,
                    ii.is_refund, ii.original_invoice_id,
@@ -678,11 +851,16 @@ export default class InvoicesIssuedRepository {
                    o.location            as owner_location,
                    o.province            as owner_province,
                    o.country             as owner_country,
-                   o.phone               as owner_phone
+                   o.phone               as owner_phone,
+
+                   -- Datos de la factura original (abonos)
+                   oi.invoice_number     as original_invoice_number,
+                   oi.invoice_date       as original_invoice_date
             FROM invoices_issued ii
                      LEFT JOIN clients c ON ii.clients_id = c.id
                      LEFT JOIN estates e ON ii.estates_id = e.id
                      LEFT JOIN owners o ON ii.owners_id = o.id
+                     LEFT JOIN invoices_issued oi ON ii.original_invoice_id = oi.id
             WHERE ii.id = ?
         `, [id]);
         return rows;
@@ -751,7 +929,7 @@ export default class InvoicesIssuedRepository {
      */
     static async findRefundByIdWithDetails(id) {
         const [rows] = await db.query(`
-            SELECT ii.id, ii.invoice_number, ii.estates_id, ii.clients_id, ii.owners_id,
+            SELECT ii.id, ii.invoice_number, ii.estates_id, ii.clients_id, ii.owners_id, ii.lease_id,
                    ii.ownership_percent, ii.invoice_date, ii.due_date,
                    ii.tax_base, ii.iva, ii.irpf, ii.total,
                    ii.is_refund, ii.original_invoice_id,
@@ -848,54 +1026,43 @@ export default class InvoicesIssuedRepository {
         return result.insertId ? [{id: result.insertId, created: true}] : [];
     }
 
-    /**
-     * Crea un abono de forma atómica: genera el número de secuencia y realiza el INSERT
-     * en una única transacción para evitar números duplicados en concurrencia.
-     * @param {Object} refundData - Datos del abono (sin invoice_number, se genera aquí)
-     * @returns {Array} [{id, invoice_number, created: true}] o []
-     */
     /**
      * Crea una nueva factura emitida de forma atómica.
-     * Genera el número de factura dentro de una transacción con FOR UPDATE
-     * para evitar duplicados bajo concurrencia.
+     * Reserva el número en la serie del propietario dentro de la misma transacción
+     * que el INSERT: sin duplicados bajo concurrencia y sin huecos si algo falla.
      * @param {Object} invoiceData - Datos de la factura (sin invoice_number)
+     * @param {Object} numbering - Serie a usar {series_id, pattern, owner_code}
+     * @param {Function} onCreated - (connection, {id, invoice_number}) antes del commit; si lanza, se deshace todo
      * @returns {Array} [{id, invoice_number, created: true}] o []
      */
-    static async createAtomic(invoiceData) {
+    static async createAtomic(invoiceData, numbering, onCreated = null) {
         const connection = await db.getConnection();
         try {
             await connection.beginTransaction();
 
-            // Lock last row to prevent race condition on invoice numbering
-            const [lastRow] = await connection.query(
-                'SELECT invoice_number FROM invoices_issued WHERE is_refund = FALSE AND invoice_number LIKE \'FACT-%\' ORDER BY id DESC LIMIT 1 FOR UPDATE'
-            );
-
-            let newInvoiceNumber = 'FACT-0001';
-            if (lastRow.length > 0) {
-                const lastNumber = parseInt(lastRow[0].invoice_number.replace(/\D/g, ''), 10);
-                newInvoiceNumber = `FACT-${String(lastNumber + 1).padStart(4, '0')}`;
-            }
-
             const {
-                estates_id, owners_id, clients_id, invoice_date,
+                estates_id, owners_id, clients_id, lease_id = null, invoice_date,
                 due_date = null, tax_base, iva, irpf, total, ownership_percent,
                 collection_status = 'pending', collection_method = 'transfer',
                 collection_date = null, collection_reference = null, collection_notes = null,
                 start_date = null, end_date = null, corresponding_month = null,
-                is_proportional = 0, pdf_path = null, has_attachments = false, created_by = null
+                is_proportional = 0, pdf_path = null, has_attachments = false, created_by = null,
+                lines = []
             } = invoiceData;
 
+            // Número de la serie del propietario: el contador queda bloqueado hasta el commit
+            const newInvoiceNumber = await this.reserveInvoiceNumber(connection, numbering, owners_id, invoice_date);
+
             const [result] = await connection.query(`
-                INSERT INTO invoices_issued (invoice_number, estates_id, owners_id, clients_id, invoice_date, due_date,
+                INSERT INTO invoices_issued (invoice_number, estates_id, owners_id, clients_id, lease_id, invoice_date, due_date,
                                              tax_base, iva, irpf, total, ownership_percent, is_refund, original_invoice_id,
                                              collection_status, collection_method, collection_date, collection_reference,
                                              collection_notes,
                                              start_date, end_date, corresponding_month, is_proportional,
                                              pdf_path, has_attachments, created_by, created_at, updated_at)
-                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, FALSE, NULL, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, FALSE, NULL, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
                 [
-                    newInvoiceNumber, estates_id, owners_id, clients_id, invoice_date, due_date,
+                    newInvoiceNumber, estates_id, owners_id, clients_id, lease_id, invoice_date, due_date,
                     tax_base, iva, irpf, total, ownership_percent,
                     collection_status, collection_method, collection_date, collection_reference, collection_notes,
                     start_date, end_date, corresponding_month, is_proportional,
@@ -903,6 +1070,12 @@ export default class InvoicesIssuedRepository {
                 ]
             );
 
+            // Las líneas se guardan en la misma transacción que la cabecera
+            await InvoiceLinesRepository.insertLines(connection, 'issued', result.insertId, lines);
+
+            // Registros asociados a la factura (VERI*FACTU) en la misma transacción
+            if (onCreated) await onCreated(connection, {id: result.insertId, invoice_number: newInvoiceNumber});
+
             await connection.commit();
             return result.insertId ? [{id: result.insertId, invoice_number: newInvoiceNumber, created: true}] : [];
         } catch (error) {
@@ -913,49 +1086,53 @@ export default class InvoicesIssuedRepository {
         }
     }
 
-    static async createRefundAtomic(refundData) {
+    /**
+     * Crea un abono de forma atómica: reserva el número en la serie rectificativa
+     * del propietario y realiza el INSERT en una única transacción.
+     * @param {Object} refundData - Datos del abono (sin invoice_number, se genera aquí)
+     * @param {Object} numbering - Serie rectificativa {series_id, pattern, owner_code}
+     * @param {Function} onCreated - (connection, {id, invoice_number}) antes del commit
+     * @returns {Array} [{id, invoice_number, created: true}] o []
+     */
+    static async createRefundAtomic(refundData, numbering, onCreated = null) {
         const connection = await db.getConnection();
         try {
             await connection.beginTransaction();
 
-            // Bloquear la última fila para evitar race condition en la numeración
-            const [lastRow] = await connection.query(
-                'SELECT invoice_number FROM invoices_issued WHERE is_refund = TRUE ORDER BY id DESC LIMIT 1 FOR UPDATE'
-            );
-
-            let newRefundNumber = 'ABONO-0001';
-            if (lastRow.length > 0) {
-                const lastNumber = parseInt(lastRow[0].invoice_number.replace(/\D/g, ''), 10);
-                newRefundNumber = `ABONO-${String(lastNumber + 1).padStart(4, '0')}`;
-            }
-
             const {
-                estates_id, owners_id, clients_id, invoice_date,
+                estates_id, owners_id, clients_id, lease_id = null, invoice_date,
                 tax_base, iva, irpf, total, ownership_percent,
                 original_invoice_id,
                 collection_status = 'pending', collection_method = 'transfer',
                 collection_date = null, collection_reference = null, collection_notes = null,
                 start_date = null, end_date = null, corresponding_month = null,
-                is_proportional = 0, created_by = null
+                is_proportional = 0, created_by = null, lines = []
             } = refundData;
 
+            // Número de la serie rectificativa del propietario
+            const newRefundNumber = await this.reserveInvoiceNumber(connection, numbering, owners_id, invoice_date);
+
             const [result] = await connection.query(`
-                INSERT INTO invoices_issued (invoice_number, estates_id, owners_id, clients_id, invoice_date,
+                INSERT INTO invoices_issued (invoice_number, estates_id, owners_id, clients_id, lease_id, invoice_date,
                                              tax_base, iva, irpf, total, ownership_percent,
                                              is_refund, original_invoice_id,
                                              collection_status, collection_method, collection_date, collection_reference,
                                              collection_notes,
                                              start_date, end_date, corresponding_month, is_proportional,
                                              created_by, created_at, updated_at)
-                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, TRUE, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, TRUE, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
                 [
-                    newRefundNumber, estates_id, owners_id, clients_id, invoice_date,
+                    newRefundNumber, estates_id, owners_id, clients_id, lease_id, invoice_date,
                     tax_base, iva, irpf, total, ownership_percent, original_invoice_id,
                     collection_status, collection_method, collection_date, collection_reference, collection_notes,
                     start_date, end_date, corresponding_month, is_proportional, created_by
                 ]
             );
 
+            await InvoiceLinesRepository.insertLines(connection, 'issued', result.insertId, lines);
+
+            if (onCreated) await onCreated(connection, {id: result.insertId, invoice_number: newRefundNumber});
+
             await connection.commit();
             return result.insertId ? [{id: result.insertId, invoice_number: newRefundNumber, created: true}] : [];
         } catch (error) {
@@ -966,6 +1143,14 @@ export default class InvoicesIssuedRepository {
         }
     }
 
+    /**
+     * Reserva y formatea el siguiente número de una serie dentro de una transacción abierta
+     * @param {Object} connection - Conexión con la transacción de la factura
+     * @param {Object} numbering - {series_id, pattern, owner_code} (InvoiceSeriesService.resolveSeries)
+     */
+    static async reserveInvoiceNumber(connection, numbering, ownersId, invoiceDate) {
+        const fiscalYear = getFiscalYear(invoiceDate);
+        const sequence = await InvoiceSeriesRepository.nextNumber(connection, numbering.series_id, ownersId, fiscalYear);
+        return formatSeriesNumber(numbering.pattern, {ownerCode: numbering.owner_code, year: fiscalYear, sequence});
+    }
 }
-
-
@@ -1,4 +1,5 @@
 import db from '../db/dbConnect.js';
+import InvoiceLinesRepository from './invoiceLinesRepository.js';
 
 /**
  * Repositorio para manejar facturas recibidas de proveedores
@@ -221,7 +222,7 @@ export default class InvoicesReceivedRepository {
                    DATEDIFF(CURRENT_DATE, ir.due_date) AS days_overdue
             FROM invoices_received ir
             INNER JOIN suppliers s ON ir.supplier_id = s.id
-            WHERE ir.collection_status = 'pending' 
+            WHERE ir.collection_status IN ('pending', 'partially_paid') 
               AND ir.due_date < CURRENT_DATE
             ORDER BY ir.due_date ASC
         `);
@@ -247,7 +248,7 @@ export default class InvoicesReceivedRepository {
                    DATEDIFF(ir.due_date, CURRENT_DATE) AS days_until_due
             FROM invoices_received ir
             INNER JOIN suppliers s ON ir.supplier_id = s.id
-            WHERE ir.collection_status = 'pending' 
+            WHERE ir.collection_status IN ('pending', 'partially_paid') 
               AND ir.due_date BETWEEN CURRENT_DATE AND DATE_ADD(CURRENT_DATE, INTERVAL ? DAY)
             ORDER BY ir.due_date ASC
         `, [days]);
@@ -287,30 +288,45 @@ export default class InvoicesReceivedRepository {
             is_proportional = false,
             pdf_path = null,
             has_attachments = false,
-            created_by = null
+            created_by = null,
+            lines = []
         } = invoiceData;
 
-        const [result] = await db.query(`
-            INSERT INTO invoices_received 
-            (invoice_number, our_reference, supplier_id, property_id, invoice_date, due_date, received_date,
-             tax_base, iva_percentage, iva_amount, irpf_percentage, irpf_amount, total_amount,
-             category, subcategory, description, notes,
-             collection_status, collection_method, collection_date, collection_reference, collection_notes,
-             start_date, end_date, corresponding_month, is_proportional,
-             is_refund, original_invoice_id, pdf_path, has_attachments, created_by,
-             created_at, updated_at)
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 
-                    FALSE, NULL, ?, ?, ?, NOW(), NOW())
-        `, [
-            invoice_number, our_reference, supplier_id, property_id, invoice_date, due_date, received_date,
-            tax_base, iva_percentage, iva_amount, irpf_percentage, irpf_amount, total_amount,
-            category, subcategory, description, notes,
-            collection_status, collection_method, collection_date,collection_reference, collection_notes,
-            start_date, end_date, corresponding_month, is_proportional,
-            pdf_path, has_attachments, created_by
-        ]);
-
-        return result.insertId ? [{id: result.insertId, created: true}] : [];
+        const connection = await db.getConnection();
+        try {
+            await connection.beginTransaction();
+
+            const [result] = await connection.query(`
+                INSERT INTO invoices_received 
+                (invoice_number, our_reference, supplier_id, property_id, invoice_date, due_date, received_date,
+                 tax_base, iva_percentage, iva_amount, irpf_percentage, irpf_amount, total_amount,
+                 category, subcategory, description, notes,
+                 collection_status, collection_method, collection_date, collection_reference, collection_notes,
+                 start_date, end_date, corresponding_month, is_proportional,
+                 is_refund, original_invoice_id, pdf_path, has_attachments, created_by,
+                 created_at, updated_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 
+                        FALSE, NULL, ?, ?, ?, NOW(), NOW())
+            `, [
+                invoice_number, our_reference, supplier_id, property_id, invoice_date, due_date, received_date,
+                tax_base, iva_percentage, iva_amount, irpf_percentage, irpf_amount, total_amount,
+                category, subcategory, description, notes,
+                collection_status, collection_method, collection_date,collection_reference, collection_notes,
+                start_date, end_date, corresponding_month, is_proportional,
+                pdf_path, has_attachments, created_by
+            ]);
+
+            // Las líneas se guardan en la misma transacción que la cabecera
+            await InvoiceLinesRepository.insertLines(connection, 'received', result.insertId, lines);
+
+            await connection.commit();
+            return result.insertId ? [{id: result.insertId, created: true}] : [];
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
     }
 
     /**
@@ -345,52 +361,69 @@ export default class InvoicesReceivedRepository {
             corresponding_month,
             is_proportional,
             pdf_path,
-            has_attachments
+            has_attachments,
+            lines
         } = invoiceData;
 
-        const [result] = await db.query(`
-            UPDATE invoices_received
-            SET invoice_number = ?,
-                our_reference = ?,
-                supplier_id = ?,
-                property_id = ?,
-                invoice_date = ?,
-                due_date = ?,
-                received_date = ?,
-                tax_base = ?,
-                iva_percentage = ?,
-                iva_amount = ?,
-                irpf_percentage = ?,
-                irpf_amount = ?,
-                total_amount = ?,
-                category = ?,
-                subcategory = ?,
-                description = ?,
-                notes = ?,
-                collection_status = ?,
-                collection_method = ?,
-                collection_date = ?,
-                collection_reference = ?,
-                collection_notes = ?,
-                start_date = ?,
-                end_date = ?,
-                corresponding_month = ?,
-                is_proportional = ?,
-                pdf_path = ?,
-                has_attachments = ?,
-                updated_at = NOW()
-            WHERE id = ?
-        `, [
-            invoice_number, our_reference, supplier_id, property_id, invoice_date, due_date, received_date,
-            tax_base, iva_percentage, iva_amount, irpf_percentage, irpf_amount, total_amount,
-            category, subcategory, description, notes,
-            collection_status, collection_method, collection_date, collection_reference, collection_notes,
-            start_date, end_date, corresponding_month, is_proportional,
-            pdf_path, has_attachments,
-            id
-        ]);
-
-        return result.affectedRows > 0 ? [{id: Number(id), updated: true}] : [];
+        const connection = await db.getConnection();
+        try {
+            await connection.beginTransaction();
+
+            const [result] = await connection.query(`
+                UPDATE invoices_received
+                SET invoice_number = ?,
+                    our_reference = ?,
+                    supplier_id = ?,
+                    property_id = ?,
+                    invoice_date = ?,
+                    due_date = ?,
+                    received_date = ?,
+                    tax_base = ?,
+                    iva_percentage = ?,
+                    iva_amount = ?,
+                    irpf_percentage = ?,
+                    irpf_amount = ?,
+                    total_amount = ?,
+                    category = ?,
+                    subcategory = ?,
+                    description = ?,
+                    notes = ?,
+                    collection_status = ?,
+                    collection_method = ?,
+                    collection_date = ?,
+                    collection_reference = ?,
+                    collection_notes = ?,
+                    start_date = ?,
+                    end_date = ?,
+                    corresponding_month = ?,
+                    is_proportional = ?,
+                    pdf_path = ?,
+                    has_attachments = ?,
+                    updated_at = NOW()
+                WHERE id = ?
+            `, [
+                invoice_number, our_reference, supplier_id, property_id, invoice_date, due_date, received_date,
+                tax_base, iva_percentage, iva_amount, irpf_percentage, irpf_amount, total_amount,
+                category, subcategory, description, notes,
+                collection_status, collection_method, collection_date, collection_reference, collection_notes,
+                start_date, end_date, corresponding_month, is_proportional,
+                pdf_path, has_attachments,
+                id
+            ]);
+
+            // lines === undefined: las líneas existentes no se tocan
+            if (result.affectedRows > 0 && Array.isArray(lines)) {
+                await InvoiceLinesRepository.replaceLines(connection, 'received', id, lines);
+            }
+
+            await connection.commit();
+            return result.affectedRows > 0 ? [{id: Number(id), updated: true}] : [];
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
     }
 
     /**
@@ -474,28 +507,42 @@ export default class InvoicesReceivedRepository {
             end_date,
             corresponding_month,
             is_proportional,
-            created_by
+            created_by,
+            lines = []
         } = refundData;
 
-        const [result] = await db.query(`
-            INSERT INTO invoices_received 
-            (invoice_number, supplier_id, property_id, invoice_date,
-             tax_base, iva_percentage, iva_amount, irpf_percentage, irpf_amount, total_amount,
-             category, subcategory, description, notes,
-             is_refund, original_invoice_id,
-             start_date, end_date, corresponding_month, is_proportional,
-             collection_status, created_by, created_at, updated_at)
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, TRUE, ?, ?, ?, ?, ?, 'pending', ?, NOW(), NOW())
-        `, [
-            invoice_number, supplier_id, property_id, invoice_date,
-            tax_base, iva_percentage, iva_amount, irpf_percentage, irpf_amount, total_amount,
-            category, subcategory, description, notes,
-            original_invoice_id,
-            start_date, end_date, corresponding_month, is_proportional,
-            created_by
-        ]);
-
-        return result.insertId ? [{id: result.insertId, created: true}] : [];
+        const connection = await db.getConnection();
+        try {
+            await connection.beginTransaction();
+
+            const [result] = await connection.query(`
+                INSERT INTO invoices_received 
+                (invoice_number, supplier_id, property_id, invoice_date,
+                 tax_base, iva_percentage, iva_amount, irpf_percentage, irpf_amount, total_amount,
+                 category, subcategory, description, notes,
+                 is_refund, original_invoice_id,
+                 start_date, end_date, corresponding_month, is_proportional,
+                 collection_status, created_by, created_at, updated_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, TRUE, ?, ?, ?, ?, ?, 'pending', ?, NOW(), NOW())
+            `, [
+                invoice_number, supplier_id, property_id, invoice_date,
+                tax_base, iva_percentage, iva_amount, irpf_percentage, irpf_amount, total_amount,
+                category, subcategory, description, notes,
+                original_invoice_id,
+                start_date, end_date, corresponding_month, is_proportional,
+                created_by
+            ]);
+
+            await InvoiceLinesRepository.insertLines(connection, 'received', result.insertId, lines);
+
+            await connection.commit();
+            return result.insertId ? [{id: result.insertId, created: true}] : [];
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
     }
 
     /**
@@ -572,7 +619,8 @@ export default class InvoicesReceivedRepository {
         }
 
         const [rows] = await db.query(`
-            SELECT ir.invoice_date,
+            SELECT ir.id,
+                   ir.invoice_date,
                    ir.invoice_number,
                    s.name AS supplier_name,
                    s.tax_id AS supplier_tax_id,
@@ -590,4 +638,95 @@ export default class InvoicesReceivedRepository {
         `, params);
         return rows;
     }
-}
\ No newline at end of file
+
+    /**
+     * Facturas del año con retención, con arrendador (proveedor) e inmueble
+     * para los informes de retenciones sobre alquileres (modelos 115 y 180).
+     * Mismo alcance que el libro de IVA soportado: sin abonos.
+     */
+    static async getForRentWithholdings(year) {
+        const [rows] = await db.query(`
+            SELECT ir.id,
+                   ir.invoice_number,
+                   ir.invoice_date,
+                   ir.category,
+                   ir.tax_base,
+                   ir.irpf_percentage,
+                   ir.irpf_amount,
+                   s.id                                         AS supplier_id,
+                   s.tax_id                                     AS supplier_nif,
+                   COALESCE(NULLIF(s.company_name, ''), s.name) AS supplier_name,
+                   e.id                                         AS estate_id,
+                   e.cadastral_reference,
+                   e.address                                    AS estate_address,
+                   e.postal_code                                AS estate_postal_code,
+                   e.location                                   AS estate_location,
+                   e.province                                   AS estate_province
+            FROM invoices_received ir
+                     INNER JOIN suppliers s ON ir.supplier_id = s.id
+                     LEFT JOIN estates e ON ir.property_id = e.id
+            WHERE YEAR(ir.invoice_date) = ?
+              AND ir.is_refund = FALSE
+              AND ir.irpf_amount <> 0
+            ORDER BY ir.invoice_date ASC, ir.id ASC
+        `, [year]);
+        return rows;
+    }
+
+    /**
+     * Facturas recibidas del año para el modelo 347 (incluidas rectificativas)
+     */
+    static async getForModelo347(year) {
+        const [rows] = await db.query(`
+            SELECT ir.id,
+                   ir.invoice_number,
+                   ir.invoice_date,
+                   ir.category,
+                   ir.tax_base,
+                   ir.iva_amount,
+                   ir.irpf_amount,
+                   ir.is_refund,
+                   s.id                                         AS supplier_id,
+                   s.tax_id                                     AS supplier_nif,
+                   COALESCE(NULLIF(s.company_name, ''), s.name) AS supplier_name,
+                   s.postal_code                                AS supplier_postal_code,
+                   e.id                                         AS estate_id,
+                   e.cadastral_reference,
+                   e.address                                    AS estate_address,
+                   e.postal_code                                AS estate_postal_code,
+                   e.location                                   AS estate_location,
+                   e.province                                   AS estate_province
+            FROM invoices_received ir
+                     INNER JOIN suppliers s ON ir.supplier_id = s.id
+                     LEFT JOIN estates e ON ir.property_id = e.id
+            WHERE YEAR(ir.invoice_date) = ?
+            ORDER BY ir.invoice_date ASC, ir.id ASC
+        `, [year]);
+        return rows;
+    }
+
+    /**
+     * Facturas recibidas del año imputadas a unos inmuebles (incluidas rectificativas)
+     */
+    static async getForOwnerTaxStatement(estateIds, year) {
+        if (!estateIds.length) return [];
+
+        const [rows] = await db.query(`
+            SELECT ir.id,
+                   ir.invoice_number,
+                   ir.invoice_date,
+                   ir.property_id,
+                   ir.category,
+                   ir.tax_base,
+                   ir.iva_amount,
+                   ir.is_refund,
+                   COALESCE(NULLIF(s.company_name, ''), s.name) AS supplier_name
+            FROM invoices_received ir
+                     INNER JOIN suppliers s ON ir.supplier_id = s.id
+            WHERE ir.property_id IN (?)
+              AND YEAR(ir.invoice_date) = ?
+            ORDER BY ir.invoice_date ASC, ir.id ASC
+        `, [estateIds, year]);
+        return rows;
+    }
+}
@@ -0,0 +1,370 @@
+import db from '../db/dbConnect.js';
+
+const ENTRY_FIELDS = `je.id, je.fiscal_year, je.entry_number, je.entry_date, je.description, je.source_type,
+                   je.source_id, je.total, je.created_at, je.updated_at`;
+
+/**
+ * Repositorio de contabilidad: plan de cuentas (ledger_accounts) y libro
+ * diario (journal_entries con sus apuntes en journal_entry_lines)
+ * Cada documento tiene como mucho un asiento por hecho contable
+ * (source_type + source_id); al rehacerlo conserva su número si no cambia
+ * de ejercicio.
+ */
+export default class JournalEntriesRepository {
+
+    // ==========================================
+    // PLAN DE CUENTAS
+    // ==========================================
+
+    static async getAccounts() {
+        const [rows] = await db.query(`
+            SELECT code, name, account_type, created_at
+            FROM ledger_accounts
+            ORDER BY code ASC`);
+        return rows;
+    }
+
+    static async findAccount(code) {
+        const [rows] = await db.query(`
+            SELECT code, name, account_type, created_at
+            FROM ledger_accounts
+            WHERE code = ?`, [code]);
+        return rows;
+    }
+
+    static async createAccount(data) {
+        await db.query(`
+            INSERT INTO ledger_accounts (code, name, account_type)
+            VALUES (?, ?, ?)`, [data.code, data.name, data.account_type]);
+        return [{code: data.code, created: true}];
+    }
+
+    // ==========================================
+    // LIBRO DIARIO
+    // ==========================================
+
+    /**
+     * Asientos con filtros opcionales
+     * @param {Object} [filters]
+     * @param {string} [filters.date_from] - YYYY-MM-DD
+     * @param {string} [filters.date_to] - YYYY-MM-DD
+     * @param {string} [filters.source_type]
+     * @param {string} [filters.account_code] - Asientos con algún apunte en la cuenta o sus subcuentas
+     */
+    static async getEntries(filters = {}) {
+        const conditions = [];
+        const params = [];
+
+        if (filters.date_from) {
+            conditions.push('je.entry_date >= ?');
+            params.push(filters.date_from);
+        }
+        if (filters.date_to) {
+            conditions.push('je.entry_date <= ?');
+            params.push(filters.date_to);
+        }
+        if (filters.source_type) {
+            conditions.push('je.source_type = ?');
+            params.push(filters.source_type);
+        }
+        if (filters.account_code) {
+            conditions.push(`EXISTS (SELECT 1
+                                     FROM journal_entry_lines jl
+                                     WHERE jl.journal_entry_id = je.id
+                                       AND jl.account_code LIKE CONCAT(?, '%'))`);
+            params.push(filters.account_code);
+        }
+
+        const [rows] = await db.query(`
+            SELECT ${ENTRY_FIELDS}
+            FROM journal_entries je
+            ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+            ORDER BY je.entry_date ASC, je.fiscal_year ASC, je.entry_number ASC`, params);
+        return rows;
+    }
+
+    static async findById(id) {
+        const [rows] = await db.query(`
+            SELECT ${ENTRY_FIELDS}
+            FROM journal_entries je
+            WHERE je.id = ?`, [id]);
+        return rows;
+    }
+
+    static async findBySource(sourceType, sourceId) {
+        const [rows] = await db.query(`
+            SELECT ${ENTRY_FIELDS}
+            FROM journal_entries je
+            WHERE je.source_type = ?
+              AND je.source_id = ?`, [sourceType, sourceId]);
+        return rows;
+    }
+
+    /**
+     * Apuntes de varios asientos con el nombre de la cuenta
+     * @param {number[]} entryIds
+     */
+    static async getLines(entryIds) {
+        if (!entryIds.length) return [];
+        const [rows] = await db.query(`
+            SELECT jl.id, jl.journal_entry_id, jl.line_number, jl.account_code, jl.debit, jl.credit, jl.concept,
+                   la.name AS account_name
+            FROM journal_entry_lines jl
+                     JOIN ledger_accounts la ON jl.account_code = la.code
+            WHERE jl.journal_entry_id IN (?)
+            ORDER BY jl.journal_entry_id ASC, jl.line_number ASC`, [entryIds]);
+        return rows;
+    }
+
+    /**
+     * Guarda el asiento de un documento en una transacción: si ya tenía uno lo
+     * rehace (mismo número salvo cambio de ejercicio) y si no, lo numera a
+     * continuación del último del ejercicio
+     * @param {Object} entry - {source_type, source_id, entry_date, description, total, lines}
+     * @param {Object[]} entry.lines - [{line_number, account_code, debit, credit, concept}]
+     */
+    static async save(entry) {
+        const connection = await db.getConnection();
+        try {
+            await connection.beginTransaction();
+
+            const fiscalYear = Number(String(entry.entry_date).slice(0, 4));
+            const [existing] = await connection.query(`
+                SELECT id, fiscal_year, entry_number
+                FROM journal_entries
+                WHERE source_type = ?
+                  AND source_id = ?
+                FOR UPDATE`, [entry.source_type, entry.source_id]);
+
+            let entryId;
+            let entryNumber;
+            const keepsNumber = existing.length && Number(existing[0].fiscal_year) === fiscalYear;
+
+            if (keepsNumber) {
+                entryId = existing[0].id;
+                entryNumber = existing[0].entry_number;
+                await connection.query(`
+                    UPDATE journal_entries
+                    SET entry_date  = ?,
+                        description = ?,
+                        total       = ?,
+                        updated_at  = NOW()
+                    WHERE id = ?`, [entry.entry_date, entry.description, entry.total, entryId]);
+                await connection.query(`DELETE FROM journal_entry_lines WHERE journal_entry_id = ?`, [entryId]);
+            } else {
+                if (existing.length) {
+                    await connection.query(`DELETE FROM journal_entries WHERE id = ?`, [existing[0].id]);
+                }
+
+                const [last] = await connection.query(`
+                    SELECT COALESCE(MAX(entry_number), 0) AS last_number
+                    FROM journal_entries
+                    WHERE fiscal_year = ?
+                    FOR UPDATE`, [fiscalYear]);
+                entryNumber = Number(last[0].last_number) + 1;
+
+                const [result] = await connection.query(`
+                    INSERT INTO journal_entries (fiscal_year, entry_number, entry_date, description, source_type,
+                                                 source_id, total)
+                    VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                    [fiscalYear, entryNumber, entry.entry_date, entry.description, entry.source_type,
+                        entry.source_id, entry.total]
+                );
+                entryId = result.insertId;
+            }
+
+            for (const line of entry.lines) {
+                await connection.query(`
+                    INSERT INTO journal_entry_lines (journal_entry_id, line_number, account_code, debit, credit, concept)
+                    VALUES (?, ?, ?, ?, ?, ?)`,
+                    [entryId, line.line_number, line.account_code, line.debit, line.credit, line.concept]
+                );
+            }
+
+            await connection.commit();
+            return [{id: entryId, fiscal_year: fiscalYear, entry_number: entryNumber, [keepsNumber ? 'updated' : 'created']: true}];
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * Borra el asiento de un documento (los apuntes se borran en cascada)
+     */
+    static async deleteBySource(sourceType, sourceId) {
+        const [result] = await db.query(`
+            DELETE
+            FROM journal_entries
+            WHERE source_type = ?
+              AND source_id = ?`, [sourceType, sourceId]);
+        return result.affectedRows ? [{source_type: sourceType, source_id: Number(sourceId), deleted: true}] : [];
+    }
+
+    /**
+     * IDs de los documentos que tienen o deberían tener asiento: los que
+     * existen y los que ya no existen pero conservan alguno de sus asientos
+     * @returns {Promise<{issued: number[], received: number[], internal: number[], returns: number[]}>}
+     */
+    static async getDocumentIds() {
+        const [rows] = await db.query(`
+            SELECT 'issued' AS type, id FROM invoices_issued
+            UNION
+            SELECT 'received', id FROM invoices_received
+            UNION
+            SELECT 'internal', id FROM internal_expenses
+            UNION
+            SELECT 'returns', id FROM sepa_returns
+            UNION
+            SELECT CASE
+                       WHEN source_type IN ('invoice_issued', 'invoice_issued_collection') THEN 'issued'
+                       WHEN source_type IN ('invoice_received', 'invoice_received_payment') THEN 'received'
+                       WHEN source_type = 'sepa_return' THEN 'returns'
+                       ELSE 'internal'
+                       END, source_id
+            FROM journal_entries
+            WHERE source_type IN ('invoice_issued', 'invoice_issued_collection', 'invoice_received',
+                                  'invoice_received_payment', 'internal_expense', 'internal_expense_payment',
+                                  'sepa_return')
+            ORDER BY type, id`);
+
+        const ids = {issued: [], received: [], internal: [], returns: []};
+        rows.forEach(row => ids[row.type].push(Number(row.id)));
+        return ids;
+    }
+
+    // ==========================================
+    // COBROS Y PAGOS
+    // ==========================================
+
+    /**
+     * Cobros de clientes sin asiento o cuyo asiento ya no coincide en importe o fecha
+     */
+    static async getPaymentsToPost() {
+        const [rows] = await db.query(`
+            SELECT p.id, p.clients_id, p.payment_date, p.amount, p.method, p.reference,
+                   c.name         AS client_name,
+                   c.lastname     AS client_lastname,
+                   c.company_name AS client_company_name
+            FROM payments p
+                     JOIN clients c ON p.clients_id = c.id
+                     LEFT JOIN journal_entries je ON je.source_type = 'payment' AND je.source_id = p.id
+            WHERE je.id IS NULL
+               OR je.total <> p.amount
+               OR je.entry_date <> p.payment_date
+            ORDER BY p.payment_date ASC, p.id ASC`);
+        return rows;
+    }
+
+    /**
+     * Pagos a proveedores sin asiento o cuyo asiento ya no coincide en importe o fecha
+     */
+    static async getSupplierPaymentsToPost() {
+        const [rows] = await db.query(`
+            SELECT sp.id, sp.invoice_received_id, sp.payment_date, sp.amount, sp.method, sp.reference,
+                   ir.invoice_number,
+                   s.name         AS supplier_name,
+                   s.company_name AS supplier_company_name
+            FROM supplier_payments sp
+                     JOIN invoices_received ir ON sp.invoice_received_id = ir.id
+                     JOIN suppliers s ON ir.supplier_id = s.id
+                     LEFT JOIN journal_entries je ON je.source_type = 'supplier_payment' AND je.source_id = sp.id
+            WHERE je.id IS NULL
+               OR je.total <> sp.amount
+               OR je.entry_date <> sp.payment_date
+            ORDER BY sp.payment_date ASC, sp.id ASC`);
+        return rows;
+    }
+
+    /**
+     * Borra los asientos de cobros y pagos que ya no existen
+     */
+    static async deleteOrphanPaymentEntries() {
+        const [result] = await db.query(`
+            DELETE je
+            FROM journal_entries je
+                     LEFT JOIN payments p ON je.source_type = 'payment' AND je.source_id = p.id
+                     LEFT JOIN supplier_payments sp ON je.source_type = 'supplier_payment' AND je.source_id = sp.id
+            WHERE (je.source_type = 'payment' AND p.id IS NULL)
+               OR (je.source_type = 'supplier_payment' AND sp.id IS NULL)`);
+        return result.affectedRows;
+    }
+
+    // ==========================================
+    // MAYOR Y BALANCE
+    // ==========================================
+
+    /**
+     * Saldo (debe − haber) de una cuenta y sus subcuentas antes de una fecha
+     */
+    static async getBalanceBefore(accountCode, date) {
+        const [rows] = await db.query(`
+            SELECT COALESCE(SUM(jl.debit - jl.credit), 0) AS balance
+            FROM journal_entry_lines jl
+                     JOIN journal_entries je ON jl.journal_entry_id = je.id
+            WHERE jl.account_code LIKE CONCAT(?, '%')
+              AND je.entry_date < ?`, [accountCode, date]);
+        return parseFloat(rows[0].balance) || 0;
+    }
+
+    /**
+     * Apuntes de una cuenta y sus subcuentas en orden cronológico
+     * @param {string} accountCode
+     * @param {Object} [filters] - {date_from, date_to}
+     */
+    static async getLedgerLines(accountCode, filters = {}) {
+        const conditions = [`jl.account_code LIKE CONCAT(?, '%')`];
+        const params = [accountCode];
+
+        if (filters.date_from) {
+            conditions.push('je.entry_date >= ?');
+            params.push(filters.date_from);
+        }
+        if (filters.date_to) {
+            conditions.push('je.entry_date <= ?');
+            params.push(filters.date_to);
+        }
+
+        const [rows] = await db.query(`
+            SELECT je.id AS journal_entry_id, je.fiscal_year, je.entry_number, je.entry_date, je.description,
+                   je.source_type, je.source_id,
+                   jl.account_code, jl.debit, jl.credit, jl.concept
+            FROM journal_entry_lines jl
+                     JOIN journal_entries je ON jl.journal_entry_id = je.id
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY je.entry_date ASC, je.fiscal_year ASC, je.entry_number ASC, jl.line_number ASC`, params);
+        return rows;
+    }
+
+    /**
+     * Sumas del debe y del haber por cuenta (balance de sumas y saldos)
+     * @param {Object} [filters] - {date_from, date_to}
+     */
+    static async getTrialBalance(filters = {}) {
+        const conditions = [];
+        const params = [];
+
+        if (filters.date_from) {
+            conditions.push('je.entry_date >= ?');
+            params.push(filters.date_from);
+        }
+        if (filters.date_to) {
+            conditions.push('je.entry_date <= ?');
+            params.push(filters.date_to);
+        }
+
+        const [rows] = await db.query(`
+            SELECT jl.account_code, la.name AS account_name, la.account_type,
+                   SUM(jl.debit)  AS debit,
+                   SUM(jl.credit) AS credit
+            FROM journal_entry_lines jl
+                     JOIN journal_entries je ON jl.journal_entry_id = je.id
+                     JOIN ledger_accounts la ON jl.account_code = la.code
+            ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+            GROUP BY jl.account_code, la.name, la.account_type
+            ORDER BY jl.account_code ASC`, params);
+        return rows;
+    }
+}
@@ -0,0 +1,245 @@
+import db from '../db/dbConnect.js';
+
+// Renta de un mes: monthly_rent es la última renta aprobada; si una revisión
+// aprobada tiene su aniversario después del mes, el mes se factura con la renta
+// anterior a la primera de ellas.
+const RENT_FOR_MONTH = `COALESCE((SELECT rr.previous_rent
+                                     FROM rent_reviews rr
+                                     WHERE rr.lease_id = leases.id
+                                       AND rr.status = 'approved'
+                                       AND rr.review_date > ?
+                                     ORDER BY rr.review_date ASC
+                                     LIMIT 1), leases.monthly_rent)`;
+
+/**
+ * Repositorio para contratos de arrendamiento (leases)
+ * Un contrato vincula un inmueble (estates) con un inquilino (clients).
+ * Los propietarios se resuelven vía estate_owners.
+ */
+export default class LeasesRepository {
+
+    /**
+     * Obtiene todos los contratos con datos de inmueble e inquilino
+     */
+    static async getAll() {
+        const [rows] = await db.query(`
+            SELECT l.id, l.estates_id, l.clients_id, l.start_date, l.end_date,
+                   l.monthly_rent, l.deposit, l.indexation_type, l.indexation_cap, l.last_review_date,
+                   l.iva, l.irpf, l.billing_day, l.due_days,
+                   l.collection_method, l.status, l.notes, l.created_at, l.updated_at,
+                   e.address             AS estate_address,
+                   e.cadastral_reference AS estate_cadastral_reference,
+                   c.name                AS client_name,
+                   c.lastname            AS client_lastname,
+                   c.company_name        AS client_company_name,
+                   c.identification      AS client_identification
+            FROM leases l
+                     JOIN estates e ON l.estates_id = e.id
+                     JOIN clients c ON l.clients_id = c.id
+            ORDER BY l.id ASC
+        `);
+        return rows;
+    }
+
+    // ========================================
+    // MÉTODOS DE BÚSQUEDA
+    // ========================================
+
+    /**
+     * Busca contrato por ID único
+     */
+    static async findById(id) {
+        const [rows] = await db.query(`
+            SELECT l.id, l.estates_id, l.clients_id, l.start_date, l.end_date,
+                   l.monthly_rent, l.deposit, l.indexation_type, l.indexation_cap, l.last_review_date,
+                   l.iva, l.irpf, l.billing_day, l.due_days,
+                   l.collection_method, l.status, l.notes, l.created_at, l.updated_at,
+                   e.address             AS estate_address,
+                   e.cadastral_reference AS estate_cadastral_reference,
+                   c.name                AS client_name,
+                   c.lastname            AS client_lastname,
+                   c.company_name        AS client_company_name,
+                   c.identification      AS client_identification
+            FROM leases l
+                     JOIN estates e ON l.estates_id = e.id
+                     JOIN clients c ON l.clients_id = c.id
+            WHERE l.id = ?`, [id]);
+        return rows;
+    }
+
+    /**
+     * Busca los contratos de un inmueble
+     */
+    static async findByEstateId(estateId) {
+        const [rows] = await db.query(`
+            SELECT id, estates_id, clients_id, start_date, end_date,
+                   monthly_rent, deposit, indexation_type, indexation_cap, last_review_date,
+                   iva, irpf, billing_day, due_days,
+                   collection_method, status, notes, created_at, updated_at
+            FROM leases
+            WHERE estates_id = ?
+            ORDER BY start_date DESC`, [estateId]);
+        return rows;
+    }
+
+    /**
+     * Busca los contratos de un inquilino
+     */
+    static async findByClientId(clientId) {
+        const [rows] = await db.query(`
+            SELECT id, estates_id, clients_id, start_date, end_date,
+                   monthly_rent, deposit, indexation_type, indexation_cap, last_review_date,
+                   iva, irpf, billing_day, due_days,
+                   collection_method, status, notes, created_at, updated_at
+            FROM leases
+            WHERE clients_id = ?
+            ORDER BY start_date DESC`, [clientId]);
+        return rows;
+    }
+
+    /**
+     * Busca contratos activos de un inmueble que se solapen con un rango de fechas
+     * end_date NULL se trata como contrato indefinido
+     * @param {number} estateId - ID del inmueble
+     * @param {string} startDate - Inicio del rango (YYYY-MM-DD)
+     * @param {string|null} endDate - Fin del rango (null = indefinido)
+     * @param {number|null} excludeId - Contrato a excluir (en actualizaciones)
+     */
+    static async findOverlapping(estateId, startDate, endDate, excludeId = null) {
+        const [rows] = await db.query(`
+            SELECT id, estates_id, clients_id, start_date, end_date, status
+            FROM leases
+            WHERE estates_id = ?
+              AND status = 'active'
+              AND (end_date IS NULL OR end_date >= ?)
+              AND (? IS NULL OR start_date <= ?)
+              AND (? IS NULL OR id <> ?)`,
+            [estateId, startDate, endDate, endDate, excludeId, excludeId]
+        );
+        return rows;
+    }
+
+    /**
+     * Obtiene los contratos activos vigentes en algún día del mes indicado
+     * @param {string} monthStart - Primer día del mes (YYYY-MM-DD)
+     * @param {string} monthEnd - Último día del mes (YYYY-MM-DD)
+     */
+    static async findActiveInPeriod(monthStart, monthEnd) {
+        const [rows] = await db.query(`
+            SELECT id, estates_id, clients_id, start_date, end_date,
+                   ${RENT_FOR_MONTH} AS monthly_rent, deposit, iva, irpf, billing_day, due_days,
+                   collection_method, status
+            FROM leases
+            WHERE status = 'active'
+              AND start_date <= ?
+              AND (end_date IS NULL OR end_date >= ?)
+            ORDER BY id ASC`,
+            [monthEnd, monthEnd, monthStart]
+        );
+        return rows;
+    }
+
+    /**
+     * Renta del contrato aplicable a un mes
+     * @param {string} monthEnd - Último día del mes (YYYY-MM-DD)
+     */
+    static async getRentForMonth(leaseId, monthEnd) {
+        const [rows] = await db.query(`
+            SELECT ${RENT_FOR_MONTH} AS monthly_rent
+            FROM leases
+            WHERE id = ?`, [monthEnd, leaseId]);
+        return rows.length ? parseFloat(rows[0].monthly_rent) : null;
+    }
+
+    /**
+     * Cuenta las facturas emitidas asociadas a un contrato
+     */
+    static async countInvoices(leaseId) {
+        const [rows] = await db.query(
+            'SELECT COUNT(*) AS total FROM invoices_issued WHERE lease_id = ?',
+            [leaseId]
+        );
+        return rows[0].total;
+    }
+
+    // ========================================
+    // MÉTODOS CRUD
+    // ========================================
+
+    /**
+     * Crea un nuevo contrato
+     */
+    static async create(lease) {
+        const {
+            estates_id, clients_id, start_date, end_date = null,
+            monthly_rent, deposit = 0, indexation_type = null, indexation_cap = null,
+            iva = 0, irpf = 0,
+            billing_day = 1, due_days = 30, collection_method = 'transfer',
+            status = 'active', notes = null
+        } = lease;
+
+        const [result] = await db.query(`
+            INSERT INTO leases (estates_id, clients_id, start_date, end_date,
+                                monthly_rent, deposit, indexation_type, indexation_cap,
+                                iva, irpf, billing_day, due_days,
+                                collection_method, status, notes, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+            [
+                estates_id, clients_id, start_date, end_date,
+                monthly_rent, deposit, indexation_type, indexation_cap,
+                iva, irpf, billing_day, due_days,
+                collection_method, status, notes
+            ]
+        );
+        return result.insertId ? [{id: result.insertId, created: true}] : [];
+    }
+
+    /**
+     * Actualiza un contrato existente
+     */
+    static async update(lease) {
+        const {
+            id, estates_id, clients_id, start_date, end_date,
+            monthly_rent, deposit, indexation_type, indexation_cap,
+            iva, irpf, billing_day, due_days,
+            collection_method, status, notes
+        } = lease;
+
+        const [result] = await db.query(`
+            UPDATE leases
+            SET estates_id        = ?,
+                clients_id        = ?,
+                start_date        = ?,
+                end_date          = ?,
+                monthly_rent      = ?,
+                deposit           = ?,
+                indexation_type   = ?,
+                indexation_cap    = ?,
+                iva               = ?,
+                irpf              = ?,
+                billing_day       = ?,
+                due_days          = ?,
+                collection_method = ?,
+                status            = ?,
+                notes             = ?,
+                updated_at        = NOW()
+            WHERE id = ?`,
+            [
+                estates_id, clients_id, start_date, end_date,
+                monthly_rent, deposit, indexation_type, indexation_cap,
+                iva, irpf, billing_day, due_days,
+                collection_method, status, notes,
+                id
+            ]
+        );
+        return result.affectedRows > 0 ? [{id: Number(id), updated: true}] : [];
+    }
+
+    /**
+     * Elimina un contrato
+     */
+    static async delete(id) {
+        const [result] = await db.query('DELETE FROM leases WHERE id = ?', [id]);
+        return result.affectedRows > 0 ? [{id: Number(id), deleted: true}] : [];
+    }
+}
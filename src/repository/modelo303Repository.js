@@ -0,0 +1,109 @@
+import db from '../db/dbConnect.js';
+
+const RETURN_FIELDS = `m.id, m.nif, m.fiscal_year, m.quarter, m.declaration_type, m.total_accrued,
+                   m.total_deductible, m.general_result, m.pending_compensation, m.applied_compensation,
+                   m.remaining_compensation, m.result, m.carry_forward, m.boxes, m.created_by,
+                   m.created_at, m.updated_at`;
+
+/**
+ * Repositorio de las autoliquidaciones del modelo 303 guardadas
+ * Cada período guarda el importe a compensar que arrastra al siguiente (carry_forward).
+ */
+export default class Modelo303Repository {
+
+    // ========================================
+    // MÉTODOS DE BÚSQUEDA
+    // ========================================
+
+    static async findByPeriod(nif, year, quarter) {
+        const [rows] = await db.query(`
+            SELECT ${RETURN_FIELDS}
+            FROM modelo_303_returns m
+            WHERE m.nif = ? AND m.fiscal_year = ? AND m.quarter = ?`,
+            [nif, year, quarter]
+        );
+        return rows;
+    }
+
+    /**
+     * Último período guardado anterior al indicado (de él sale la casilla 110)
+     */
+    static async findPrevious(nif, year, quarter) {
+        const [rows] = await db.query(`
+            SELECT ${RETURN_FIELDS}
+            FROM modelo_303_returns m
+            WHERE m.nif = ?
+              AND (m.fiscal_year < ? OR (m.fiscal_year = ? AND m.quarter < ?))
+            ORDER BY m.fiscal_year DESC, m.quarter DESC
+            LIMIT 1`,
+            [nif, year, year, quarter]
+        );
+        return rows;
+    }
+
+    /**
+     * Períodos guardados posteriores al indicado
+     */
+    static async findLater(nif, year, quarter) {
+        const [rows] = await db.query(`
+            SELECT ${RETURN_FIELDS}
+            FROM modelo_303_returns m
+            WHERE m.nif = ?
+              AND (m.fiscal_year > ? OR (m.fiscal_year = ? AND m.quarter > ?))
+            ORDER BY m.fiscal_year ASC, m.quarter ASC`,
+            [nif, year, year, quarter]
+        );
+        return rows;
+    }
+
+    static async findAll(nif) {
+        const [rows] = await db.query(`
+            SELECT ${RETURN_FIELDS}
+            FROM modelo_303_returns m
+            WHERE m.nif = ?
+            ORDER BY m.fiscal_year DESC, m.quarter DESC`, [nif]);
+        return rows;
+    }
+
+    // ========================================
+    // MÉTODOS DE ESCRITURA
+    // ========================================
+
+    /**
+     * Guarda la autoliquidación de un período (la sustituye si ya existía)
+     */
+    static async upsert(data) {
+        const {
+            nif, fiscal_year, quarter, declaration_type, total_accrued, total_deductible,
+            general_result, pending_compensation, applied_compensation, remaining_compensation,
+            result, carry_forward, boxes, created_by = null
+        } = data;
+
+        const [res] = await db.query(`
+            INSERT INTO modelo_303_returns (nif, fiscal_year, quarter, declaration_type, total_accrued,
+                                            total_deductible, general_result, pending_compensation,
+                                            applied_compensation, remaining_compensation, result,
+                                            carry_forward, boxes, created_by)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            ON DUPLICATE KEY UPDATE declaration_type       = VALUES(declaration_type),
+                                    total_accrued          = VALUES(total_accrued),
+                                    total_deductible       = VALUES(total_deductible),
+                                    general_result         = VALUES(general_result),
+                                    pending_compensation   = VALUES(pending_compensation),
+                                    applied_compensation   = VALUES(applied_compensation),
+                                    remaining_compensation = VALUES(remaining_compensation),
+                                    result                 = VALUES(result),
+                                    carry_forward          = VALUES(carry_forward),
+                                    boxes                  = VALUES(boxes),
+                                    created_by             = VALUES(created_by)`,
+            [
+                nif, fiscal_year, quarter, declaration_type, total_accrued, total_deductible,
+                general_result, pending_compensation, applied_compensation, remaining_compensation,
+                result, carry_forward, JSON.stringify(boxes), created_by
+            ]
+        );
+
+        // affectedRows: 1 = insertado, 2 = actualizado
+        return [{id: res.insertId, created: res.affectedRows === 1}];
+    }
+}
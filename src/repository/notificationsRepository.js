@@ -8,6 +8,7 @@ export const NOTIFICATION_TYPES = Object.freeze({
     PENDING_INVOICES: 'pending_invoices',
     OVERDUE_INVOICES: 'overdue_invoices',
     NEW_CLIENTS:      'new_clients',
+    DUNNING_CLIENTS:  'dunning_clients',
 });
 
 /**
@@ -24,11 +25,19 @@ export default class NotificationsRepository {
         const [
             [pendingRows],
             [overdueRows],
-            [newClientsRows]
+            [newClientsRows],
+            [dunningRows]
         ] = await Promise.all([
             db.query(`SELECT COUNT(*) AS count FROM invoices_issued WHERE collection_status = 'pending'`),
             db.query(`SELECT COUNT(*) AS count FROM invoices_issued WHERE collection_status = 'overdue'`),
-            db.query(`SELECT COUNT(*) AS count FROM clients WHERE date_create >= DATE_SUB(NOW(), INTERVAL 7 DAY)`)
+            db.query(`SELECT COUNT(*) AS count FROM clients WHERE date_create >= DATE_SUB(NOW(), INTERVAL 7 DAY)`),
+            // Lista de impagos: clientes con adeudos devueltos cuya factura sigue sin cobrar
+            db.query(`
+                SELECT COUNT(DISTINCT de.clients_id) AS count, COUNT(*) AS invoices
+                FROM dunning_entries de
+                         JOIN invoices_issued ii ON de.invoice_issued_id = ii.id
+                WHERE de.status = 'open'
+                  AND ii.collection_status <> 'collected'`)
         ]);
 
         let readIds = new Set();
@@ -78,6 +87,17 @@ export default class NotificationsRepository {
             });
         }
 
+        if (dunningRows[0].count > 0) {
+            notifications.push({
+                id: 4,
+                type: NOTIFICATION_TYPES.DUNNING_CLIENTS,
+                message: `${dunningRows[0].count} cliente(s) en la lista de impagos por adeudos devueltos`,
+                read: readIds.has(4),
+                createdAt: now,
+                metadata: { count: dunningRows[0].count, invoices: dunningRows[0].invoices }
+            });
+        }
+
         return notifications;
     }
 
@@ -0,0 +1,214 @@
+import db from '../db/dbConnect.js';
+
+const SETTLEMENT_FIELDS = `s.id, s.owners_id, s.period_start, s.period_end, s.income, s.expenses,
+                   s.commission_base, s.commission_rate, s.commission, s.commission_iva, s.net_amount,
+                   s.status, s.notes, s.approved_by, s.approved_at, s.paid_date, s.payment_reference,
+                   s.created_by, s.created_at, s.updated_at,
+                   o.name           AS owner_name,
+                   o.lastname       AS owner_lastname,
+                   o.identification AS owner_identification`;
+
+// Documentos aún no liquidados a ese propietario
+const NOT_SETTLED = (type, column) => `NOT EXISTS (
+                SELECT 1 FROM owner_settlement_items si
+                WHERE si.item_type = '${type}' AND si.item_id = ${column} AND si.owners_id = ?)`;
+
+/**
+ * Repositorio de liquidaciones a propietarios
+ * Gestiona owner_settlements (cabecera y estado) y owner_settlement_items
+ * (documentos liquidados con la parte del propietario), y obtiene los
+ * cobros y gastos pendientes de liquidar de un período.
+ */
+export default class OwnerSettlementsRepository {
+
+    // ========================================
+    // CONSULTAS
+    // ========================================
+
+    static async findByOwner(ownerId) {
+        const [rows] = await db.query(`
+            SELECT ${SETTLEMENT_FIELDS}
+            FROM owner_settlements s
+                     JOIN owners o ON s.owners_id = o.id
+            WHERE s.owners_id = ?
+            ORDER BY s.period_start DESC, s.id DESC`, [ownerId]);
+        return rows;
+    }
+
+    static async findById(id) {
+        const [rows] = await db.query(`
+            SELECT ${SETTLEMENT_FIELDS}
+            FROM owner_settlements s
+                     JOIN owners o ON s.owners_id = o.id
+            WHERE s.id = ?`, [id]);
+        return rows;
+    }
+
+    static async getItems(settlementId) {
+        const [rows] = await db.query(`
+            SELECT id, item_type, item_id, item_date, reference, description, percentage, base, iva, irpf, total
+            FROM owner_settlement_items
+            WHERE settlement_id = ?
+            ORDER BY FIELD(item_type, 'issued', 'received', 'internal'), item_date ASC, item_id ASC`, [settlementId]);
+        return rows;
+    }
+
+    /**
+     * Liquidaciones que incluyen un documento (para bloquear su edición)
+     * @param {string} type - 'issued', 'received' o 'internal'
+     */
+    static async findSettlementsForItem(type, itemId) {
+        const [rows] = await db.query(`
+            SELECT DISTINCT s.id, s.owners_id, s.status
+            FROM owner_settlement_items si
+                     JOIN owner_settlements s ON si.settlement_id = s.id
+            WHERE si.item_type = ?
+              AND si.item_id = ?`, [type, itemId]);
+        return rows;
+    }
+
+    // ========================================
+    // DOCUMENTOS PENDIENTES DE LIQUIDAR
+    // ========================================
+
+    /**
+     * Facturas emitidas por el propietario y cobradas en el período (abonos en negativo)
+     */
+    static async getCollectedInvoices(ownerId, periodStart, periodEnd) {
+        const [rows] = await db.query(`
+            SELECT ii.id, ii.invoice_number, ii.invoice_date, ii.collection_date,
+                   ii.tax_base, ii.iva, ii.irpf, ii.total, ii.is_refund,
+                   e.address AS estate_address
+            FROM invoices_issued ii
+                     LEFT JOIN estates e ON ii.estates_id = e.id
+            WHERE ii.owners_id = ?
+              AND ii.collection_status = 'collected'
+              AND COALESCE(ii.collection_date, ii.invoice_date) BETWEEN ? AND ?
+              AND ${NOT_SETTLED('issued', 'ii.id')}
+            ORDER BY COALESCE(ii.collection_date, ii.invoice_date) ASC, ii.id ASC`,
+            [ownerId, periodStart, periodEnd, ownerId]);
+        return rows;
+    }
+
+    /**
+     * Facturas recibidas del período imputables al propietario: las de sus
+     * inmuebles (con su porcentaje de propiedad) y las generales con reparto guardado
+     */
+    static async getReceivedExpenses(ownerId, periodStart, periodEnd) {
+        const [rows] = await db.query(`
+            SELECT ir.id, ir.invoice_number AS reference, ir.invoice_date AS item_date, ir.description,
+                   ir.tax_base, ir.iva_amount, ir.irpf_amount, ir.total_amount, ir.is_refund, ir.property_id,
+                   eo.ownership_percentage,
+                   ea.percentage AS allocation_percentage, ea.base AS allocated_base, ea.iva AS allocated_iva,
+                   ea.irpf AS allocated_irpf, ea.total AS allocated_total
+            FROM invoices_received ir
+                     LEFT JOIN estate_owners eo ON eo.estate_id = ir.property_id AND eo.owners_id = ?
+                     LEFT JOIN expense_allocations ea ON ea.invoice_received_id = ir.id AND ea.owners_id = ?
+            WHERE ir.invoice_date BETWEEN ? AND ?
+              AND (eo.owners_id IS NOT NULL OR (ir.property_id IS NULL AND ea.owners_id IS NOT NULL))
+              AND ${NOT_SETTLED('received', 'ir.id')}
+            ORDER BY ir.invoice_date ASC, ir.id ASC`,
+            [ownerId, ownerId, periodStart, periodEnd, ownerId]);
+        return rows;
+    }
+
+    /**
+     * Gastos internos aprobados o pagados del período imputables al propietario
+     */
+    static async getInternalExpenses(ownerId, periodStart, periodEnd) {
+        const [rows] = await db.query(`
+            SELECT ie.id, ie.receipt_number AS reference, ie.expense_date AS item_date, ie.description,
+                   ie.amount, ie.iva_amount, ie.total_amount, ie.property_id,
+                   eo.ownership_percentage,
+                   ea.percentage AS allocation_percentage, ea.base AS allocated_base, ea.iva AS allocated_iva,
+                   ea.irpf AS allocated_irpf, ea.total AS allocated_total
+            FROM internal_expenses ie
+                     LEFT JOIN estate_owners eo ON eo.estate_id = ie.property_id AND eo.owners_id = ?
+                     LEFT JOIN expense_allocations ea ON ea.internal_expense_id = ie.id AND ea.owners_id = ?
+            WHERE ie.expense_date BETWEEN ? AND ?
+              AND ie.status IN ('approved', 'paid')
+              AND (eo.owners_id IS NOT NULL OR (ie.property_id IS NULL AND ea.owners_id IS NOT NULL))
+              AND ${NOT_SETTLED('internal', 'ie.id')}
+            ORDER BY ie.expense_date ASC, ie.id ASC`,
+            [ownerId, ownerId, periodStart, periodEnd, ownerId]);
+        return rows;
+    }
+
+    // ========================================
+    // MÉTODOS CRUD
+    // ========================================
+
+    /**
+     * Crea la liquidación con sus documentos en una sola transacción
+     * Si otro usuario ha liquidado a la vez alguno de los documentos, la clave
+     * única de owner_settlement_items hace fallar la transacción.
+     */
+    static async create(settlement, items) {
+        const connection = await db.getConnection();
+        try {
+            await connection.beginTransaction();
+
+            const [result] = await connection.query(`
+                INSERT INTO owner_settlements (owners_id, period_start, period_end, income, expenses,
+                                               commission_base, commission_rate, commission, commission_iva,
+                                               net_amount, status, notes, created_by)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'draft', ?, ?)`,
+                [settlement.owners_id, settlement.period_start, settlement.period_end, settlement.income,
+                    settlement.expenses, settlement.commission_base, settlement.commission_rate,
+                    settlement.commission, settlement.commission_iva, settlement.net_amount,
+                    settlement.notes, settlement.created_by]
+            );
+
+            if (items.length) {
+                await connection.query(`
+                    INSERT INTO owner_settlement_items
+                        (settlement_id, owners_id, item_type, item_id, item_date, reference, description,
+                         percentage, base, iva, irpf, total)
+                    VALUES ?`,
+                    [items.map(item => [
+                        result.insertId, settlement.owners_id, item.item_type, item.item_id, item.item_date,
+                        item.reference, item.description, item.percentage, item.base, item.iva, item.irpf, item.total
+                    ])]
+                );
+            }
+
+            await connection.commit();
+            return result.insertId ? [{id: result.insertId, created: true}] : [];
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    static async approve(id, approvedBy) {
+        const [result] = await db.query(`
+            UPDATE owner_settlements
+            SET status      = 'approved',
+                approved_by = ?,
+                approved_at = NOW()
+            WHERE id = ?
+              AND status = 'draft'`, [approvedBy, id]);
+        return result.affectedRows > 0 ? [{id: Number(id), approved: true}] : [];
+    }
+
+    static async markAsPaid(id, paidDate, paymentReference) {
+        const [result] = await db.query(`
+            UPDATE owner_settlements
+            SET status            = 'paid',
+                paid_date         = ?,
+                payment_reference = ?
+            WHERE id = ?
+              AND status = 'approved'`, [paidDate, paymentReference, id]);
+        return result.affectedRows > 0 ? [{id: Number(id), paid: true}] : [];
+    }
+
+    /**
+     * Elimina una liquidación en borrador; sus documentos quedan libres
+     */
+    static async delete(id) {
+        const [result] = await db.query(`DELETE FROM owner_settlements WHERE id = ? AND status = 'draft'`, [id]);
+        return result.affectedRows > 0 ? [{id: Number(id), deleted: true}] : [];
+    }
+}
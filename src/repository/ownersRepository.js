@@ -124,6 +124,30 @@ export default class OwnersRepository {
         return result.affectedRows > 0 ? [{id: Number(id), updated: true}] : [];
     }
 
+    /**
+     * Datos de acreedor SEPA del propietario (cuenta de abono de los adeudos)
+     */
+    static async findSepaCreditor(id) {
+        const [rows] = await db.query(
+            'SELECT id, name, lastname, identification, sepa_iban, sepa_bic, sepa_creditor_id FROM owners WHERE id = ?',
+            [id]
+        );
+        return rows;
+    }
+
+    static async updateSepaCreditor(id, creditor) {
+        const [result] = await db.query(
+            `UPDATE owners
+             SET sepa_iban        = ?,
+                 sepa_bic         = ?,
+                 sepa_creditor_id = ?,
+                 date_update      = NOW()
+             WHERE id = ?`,
+            [creditor.sepa_iban, creditor.sepa_bic, creditor.sepa_creditor_id, id]
+        );
+        return result.affectedRows > 0 ? [{id: Number(id), updated: true}] : [];
+    }
+
     /**
      * Elimina propietario por ID
      */
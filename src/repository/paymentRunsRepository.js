@@ -0,0 +1,181 @@
+import db from '../db/dbConnect.js';
+import SupplierPaymentsRepository from './supplierPaymentsRepository.js';
+
+const RUN_FIELDS = `pr.id, pr.due_until, pr.payment_date, pr.bank_account, pr.method, pr.status, pr.notes,
+                   pr.created_by, pr.approved_by, pr.approved_at, pr.paid_at, pr.created_at, pr.updated_at,
+                   (SELECT COUNT(*) FROM payment_run_items pri WHERE pri.payment_run_id = pr.id)                    AS items_count,
+                   (SELECT COUNT(DISTINCT pri.supplier_id) FROM payment_run_items pri WHERE pri.payment_run_id = pr.id) AS suppliers_count,
+                   (SELECT COALESCE(SUM(pri.amount), 0) FROM payment_run_items pri WHERE pri.payment_run_id = pr.id)  AS total_amount`;
+
+/**
+ * Repositorio de remesas de pago a proveedores (payment_runs)
+ * Una remesa reúne las facturas recibidas que vencen hasta una fecha; al
+ * pagarla se registran todos sus pagos en una sola transacción.
+ */
+export default class PaymentRunsRepository {
+
+    /**
+     * Remesas con filtro opcional de estado
+     * @param {Object} [filters]
+     * @param {string} [filters.status]
+     */
+    static async getAll(filters = {}) {
+        const [rows] = await db.query(`
+            SELECT ${RUN_FIELDS}
+            FROM payment_runs pr
+            ${filters.status ? 'WHERE pr.status = ?' : ''}
+            ORDER BY pr.payment_date DESC, pr.id DESC`, filters.status ? [filters.status] : []);
+        return rows;
+    }
+
+    static async findById(id) {
+        const [rows] = await db.query(`
+            SELECT ${RUN_FIELDS}
+            FROM payment_runs pr
+            WHERE pr.id = ?`, [id]);
+        return rows;
+    }
+
+    /**
+     * Facturas de una remesa con su proveedor y lo pagado hasta ahora
+     */
+    static async getItems(runId) {
+        const [rows] = await db.query(`
+            SELECT pri.id, pri.payment_run_id, pri.invoice_received_id, pri.supplier_id, pri.amount,
+                   ir.invoice_number, ir.our_reference, ir.invoice_date, ir.due_date, ir.total_amount,
+                   ir.collection_status,
+                   (SELECT COALESCE(SUM(sp.amount), 0) FROM supplier_payments sp WHERE sp.invoice_received_id = ir.id) AS paid_amount,
+                   s.name         AS supplier_name,
+                   s.company_name AS supplier_company,
+                   s.tax_id       AS supplier_tax_id,
+                   s.bank_account AS supplier_bank_account
+            FROM payment_run_items pri
+                     JOIN invoices_received ir ON pri.invoice_received_id = ir.id
+                     JOIN suppliers s ON pri.supplier_id = s.id
+            WHERE pri.payment_run_id = ?
+            ORDER BY s.company_name ASC, s.name ASC, ir.due_date ASC, ir.id ASC`, [runId]);
+        return rows;
+    }
+
+    /**
+     * Crea la remesa en borrador con sus facturas
+     * @param {Object} run
+     * @param {Object[]} items - [{invoice_received_id, supplier_id, amount}]
+     */
+    static async create(run, items) {
+        const connection = await db.getConnection();
+        try {
+            await connection.beginTransaction();
+
+            const [result] = await connection.query(`
+                INSERT INTO payment_runs (due_until, payment_date, bank_account, method, status, notes, created_by)
+                VALUES (?, ?, ?, ?, 'draft', ?, ?)`,
+                [run.due_until, run.payment_date, run.bank_account, run.method, run.notes, run.created_by]
+            );
+
+            for (const item of items) {
+                await connection.query(`
+                    INSERT INTO payment_run_items (payment_run_id, invoice_received_id, supplier_id, amount)
+                    VALUES (?, ?, ?, ?)`,
+                    [result.insertId, item.invoice_received_id, item.supplier_id, item.amount]
+                );
+            }
+
+            await connection.commit();
+            return [{id: result.insertId, created: true}];
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    static async approve(id, approvedBy) {
+        const [result] = await db.query(`
+            UPDATE payment_runs
+            SET status      = 'approved',
+                approved_by = ?,
+                approved_at = NOW()
+            WHERE id = ?
+              AND status = 'draft'`, [approvedBy, id]);
+        return result.affectedRows > 0 ? [{id: Number(id), approved: true}] : [];
+    }
+
+    static async cancel(id) {
+        const [result] = await db.query(`
+            UPDATE payment_runs
+            SET status = 'cancelled'
+            WHERE id = ?
+              AND status IN ('draft', 'approved')`, [id]);
+        return result.affectedRows > 0 ? [{id: Number(id), cancelled: true}] : [];
+    }
+
+    /**
+     * Paga una remesa aprobada: registra el pago de cada factura desde la cuenta
+     * de la remesa, recalcula su estado y marca la remesa como pagada, todo en
+     * una transacción. Si alguna factura ya no tiene pendiente su importe en la
+     * remesa, no se paga nada.
+     * @param {number} id
+     * @param {Object} data - {payment_date, reference, created_by}
+     */
+    static async pay(id, data) {
+        const connection = await db.getConnection();
+        try {
+            await connection.beginTransaction();
+
+            const [runs] = await connection.query(`
+                SELECT id, bank_account, method
+                FROM payment_runs
+                WHERE id = ?
+                  AND status = 'approved'
+                FOR UPDATE`, [id]);
+            if (!runs.length) {
+                await connection.rollback();
+                return [];
+            }
+            const run = runs[0];
+
+            const [items] = await connection.query(`
+                SELECT pri.invoice_received_id, pri.amount,
+                       ir.total_amount - (SELECT COALESCE(SUM(sp.amount), 0)
+                                          FROM supplier_payments sp
+                                          WHERE sp.invoice_received_id = ir.id) AS outstanding_amount
+                FROM payment_run_items pri
+                         JOIN invoices_received ir ON pri.invoice_received_id = ir.id
+                WHERE pri.payment_run_id = ?
+                ORDER BY pri.id ASC
+                FOR UPDATE`, [id]);
+            if (items.some(item => parseFloat(item.amount) > parseFloat(item.outstanding_amount))) {
+                await connection.rollback();
+                return [];
+            }
+
+            for (const item of items) {
+                await connection.query(`
+                    INSERT INTO supplier_payments (invoice_received_id, payment_run_id, payment_date, amount, method,
+                                                   bank_account, reference, notes, created_by)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, NULL, ?)`,
+                    [item.invoice_received_id, id, data.payment_date, item.amount, run.method,
+                        run.bank_account, data.reference, data.created_by]
+                );
+                await SupplierPaymentsRepository.refreshPaymentStatus(connection, item.invoice_received_id);
+            }
+
+            await connection.query(`
+                UPDATE payment_runs
+                SET status       = 'paid',
+                    payment_date = ?,
+                    paid_at      = NOW()
+                WHERE id = ?`, [data.payment_date, id]);
+
+            await connection.commit();
+            return [{id: Number(id), paid: true, payments: items.length}];
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+}
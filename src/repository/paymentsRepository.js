@@ -0,0 +1,384 @@
+import db from '../db/dbConnect.js';
+
+// Imputado de cada cobro a facturas
+const ALLOCATED = `(SELECT COALESCE(SUM(pa.amount), 0) FROM payment_allocations pa WHERE pa.payment_id = p.id)`;
+
+// Cobrado de cada factura: cobros imputados y fianza aplicada
+const INVOICE_PAID = `(SELECT COALESCE(SUM(pa.amount), 0) FROM payment_allocations pa WHERE pa.invoice_issued_id = ii.id)`;
+const INVOICE_DEPOSIT = `(SELECT COALESCE(SUM(da.amount), 0) FROM deposit_applications da WHERE da.invoice_issued_id = ii.id)`;
+
+const PAYMENT_FIELDS = `p.id, p.clients_id, p.payment_date, p.amount, p.method, p.reference, p.notes,
+                   p.created_by, p.created_at, p.updated_at,
+                   ${ALLOCATED} AS allocated_amount,
+                   c.name           AS client_name,
+                   c.lastname       AS client_lastname,
+                   c.company_name   AS client_company_name,
+                   c.identification AS client_identification`;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const BALANCE_FIELDS = `ii.id, ii.invoice_number, ii.clients_id, ii.owners_id, ii.estates_id, ii.invoice_date,
+                   ii.due_date, ii.total, ii.is_refund, ii.collection_status, ii.collection_method,
+                   ii.collection_date, ii.collection_reference,
+                   ${INVOICE_PAID}    AS paid_amount,
+                   ${INVOICE_DEPOSIT} AS deposit_applied`;
+
+/**
+ * Recalcula el estado de cobro de una factura con lo imputado y la fianza aplicada
+ * - Cubierta: 'collected', con la fecha, el método y la referencia del último cobro.
+ * - Cobrada en parte: 'partially_collected'.
+ * - Sin nada cobrado: vuelve a 'pending' (o conserva 'overdue'/'disputed').
+ * Se ejecuta en la transacción que modifica las imputaciones.
+ */
+const refreshCollectionStatus = async (connection, invoiceId) => {
+    const [invoices] = await connection.query(`
+        SELECT ${BALANCE_FIELDS}
+        FROM invoices_issued ii
+        WHERE ii.id = ?
+        FOR UPDATE`, [invoiceId]);
+    if (!invoices.length) return;
+    const invoice = invoices[0];
+
+    const collected = parseFloat(invoice.paid_amount) + parseFloat(invoice.deposit_applied);
+    const outstanding = Math.round((parseFloat(invoice.total) - collected) * 100) / 100;
+
+    let status = invoice.collection_status;
+    let method = invoice.collection_method === 'deposit' ? 'transfer' : invoice.collection_method;
+    let date = null;
+    let reference = null;
+
+    if (outstanding <= 0) {
+        const [lastPayments] = await connection.query(`
+            SELECT p.payment_date, p.method, p.reference
+            FROM payment_allocations pa
+                     JOIN payments p ON pa.payment_id = p.id
+            WHERE pa.invoice_issued_id = ?
+            ORDER BY p.payment_date DESC, p.id DESC
+            LIMIT 1`, [invoiceId]);
+        if (!lastPayments.length) return;
+
+        status = 'collected';
+        method = lastPayments[0].method;
+        date = lastPayments[0].payment_date;
+        reference = lastPayments[0].reference;
+    } else if (collected > 0) {
+        status = 'partially_collected';
+    } else if (['collected', 'partially_collected'].includes(status)) {
+        status = 'pending';
+    }
+
+    await connection.query(`
+        UPDATE invoices_issued
+        SET collection_status    = ?,
+            collection_method    = ?,
+            collection_date      = ?,
+            collection_reference = ?,
+            updated_at           = NOW()
+        WHERE id = ?`, [status, method, date, reference, invoiceId]);
+};
+
+/**
+ * Bloquea las facturas a imputar (por id, para no cruzar bloqueos) y comprueba
+ * que cada una sigue teniendo pendiente el importe que se le imputa. Con
+ * paymentId bloquea también el cobro y comprueba que su saldo a favor cubre
+ * el total imputado.
+ * Se ejecuta en la transacción que guarda las imputaciones, antes de insertarlas.
+ * @returns {Promise<boolean>} false si otro cobro o fianza se adelantó
+ */
+const lockAllocations = async (connection, allocations, paymentId = null) => {
+    if (paymentId) {
+        const [payments] = await connection.query(`
+            SELECT p.amount, ${ALLOCATED} AS allocated_amount
+            FROM payments p
+            WHERE p.id = ?
+            FOR UPDATE`, [paymentId]);
+        if (!payments.length) return false;
+
+        const credit = round(parseFloat(payments[0].amount) - parseFloat(payments[0].allocated_amount));
+        const total = round(allocations.reduce((sum, allocation) => sum + allocation.amount, 0));
+        if (total > credit) return false;
+    }
+
+    if (!allocations.length) return true;
+
+    const [invoices] = await connection.query(`
+        SELECT ${BALANCE_FIELDS}
+        FROM invoices_issued ii
+        WHERE ii.id IN (?)
+        ORDER BY ii.id ASC
+        FOR UPDATE`, [allocations.map(allocation => allocation.invoice_issued_id)]);
+
+    return allocations.every(allocation => {
+        const invoice = invoices.find(row => row.id === allocation.invoice_issued_id);
+        if (!invoice || invoice.is_refund) return false;
+        const outstanding = round(parseFloat(invoice.total) - parseFloat(invoice.paid_amount) - parseFloat(invoice.deposit_applied));
+        return allocation.amount <= outstanding;
+    });
+};
+
+/**
+ * Repositorio de cobros de clientes (payments)
+ * Cada cobro se imputa a una o varias facturas emitidas (payment_allocations);
+ * lo no imputado queda como saldo a favor del cliente.
+ */
+export default class PaymentsRepository {
+
+    /**
+     * Cobros con filtros opcionales
+     * @param {Object} [filters]
+     * @param {number} [filters.clients_id]
+     * @param {string} [filters.date_from] - YYYY-MM-DD
+     * @param {string} [filters.date_to] - YYYY-MM-DD
+     * @param {boolean} [filters.with_credit] - Solo los que tienen importe sin imputar
+     */
+    static async getAll(filters = {}) {
+        const conditions = [];
+        const params = [];
+
+        if (filters.clients_id) {
+            conditions.push('p.clients_id = ?');
+            params.push(filters.clients_id);
+        }
+        if (filters.date_from) {
+            conditions.push('p.payment_date >= ?');
+            params.push(filters.date_from);
+        }
+        if (filters.date_to) {
+            conditions.push('p.payment_date <= ?');
+            params.push(filters.date_to);
+        }
+        if (filters.with_credit) conditions.push(`p.amount > ${ALLOCATED}`);
+
+        const [rows] = await db.query(`
+            SELECT ${PAYMENT_FIELDS}
+            FROM payments p
+                     JOIN clients c ON p.clients_id = c.id
+            ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+            ORDER BY p.payment_date DESC, p.id DESC`, params);
+        return rows;
+    }
+
+    static async findById(id) {
+        const [rows] = await db.query(`
+            SELECT ${PAYMENT_FIELDS}
+            FROM payments p
+                     JOIN clients c ON p.clients_id = c.id
+            WHERE p.id = ?`, [id]);
+        return rows;
+    }
+
+    /**
+     * Imputaciones de un cobro con los datos de cada factura
+     */
+    static async getAllocations(paymentId) {
+        const [rows] = await db.query(`
+            SELECT pa.id, pa.payment_id, pa.invoice_issued_id, pa.amount, pa.created_by, pa.created_at,
+                   ii.invoice_number, ii.invoice_date, ii.due_date, ii.total, ii.collection_status
+            FROM payment_allocations pa
+                     JOIN invoices_issued ii ON pa.invoice_issued_id = ii.id
+            WHERE pa.payment_id = ?
+            ORDER BY pa.id ASC`, [paymentId]);
+        return rows;
+    }
+
+    /**
+     * Cobros imputados a una factura
+     */
+    static async getInvoiceAllocations(invoiceId) {
+        const [rows] = await db.query(`
+            SELECT pa.id, pa.payment_id, pa.invoice_issued_id, pa.amount, pa.created_at,
+                   p.payment_date, p.method, p.reference
+            FROM payment_allocations pa
+                     JOIN payments p ON pa.payment_id = p.id
+            WHERE pa.invoice_issued_id = ?
+            ORDER BY p.payment_date ASC, pa.id ASC`, [invoiceId]);
+        return rows;
+    }
+
+    /**
+     * Importe de cobros imputado a una factura
+     * @returns {Promise<number>}
+     */
+    static async getAllocatedToInvoice(invoiceId) {
+        const [rows] = await db.query(`
+            SELECT COALESCE(SUM(amount), 0) AS allocated
+            FROM payment_allocations
+            WHERE invoice_issued_id = ?`, [invoiceId]);
+        return parseFloat(rows[0].allocated) || 0;
+    }
+
+    /**
+     * Factura con lo cobrado (imputado y fianza aplicada)
+     */
+    static async getInvoiceBalance(invoiceId) {
+        const [rows] = await db.query(`
+            SELECT ${BALANCE_FIELDS}
+            FROM invoices_issued ii
+            WHERE ii.id = ?`, [invoiceId]);
+        return rows;
+    }
+
+    /**
+     * Facturas de un cliente con importe pendiente, de la más antigua a la más reciente
+     */
+    static async getOutstandingInvoices(clientId) {
+        const [rows] = await db.query(`
+            SELECT ${BALANCE_FIELDS}
+            FROM invoices_issued ii
+            WHERE ii.clients_id = ?
+              AND ii.is_refund = FALSE
+              AND ii.collection_status IN ('pending', 'partially_collected', 'remitted', 'overdue')
+              AND ii.total - ${INVOICE_PAID} - ${INVOICE_DEPOSIT} > 0
+            ORDER BY COALESCE(ii.due_date, ii.invoice_date) ASC, ii.id ASC`, [clientId]);
+        return rows;
+    }
+
+    /**
+     * Crea el cobro con sus imputaciones y recalcula el estado de las facturas
+     * @param {Object} payment
+     * @param {Object[]} allocations - [{invoice_issued_id, amount}]
+     * @returns {Promise<Array>} [] si alguna factura ya no tiene pendiente el importe imputado
+     */
+    static async create(payment, allocations = []) {
+        const connection = await db.getConnection();
+        try {
+            await connection.beginTransaction();
+
+            if (!await lockAllocations(connection, allocations)) {
+                await connection.rollback();
+                return [];
+            }
+
+            const [result] = await connection.query(`
+                INSERT INTO payments (clients_id, payment_date, amount, method, reference, notes, created_by)
+                VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [payment.clients_id, payment.payment_date, payment.amount, payment.method,
+                    payment.reference, payment.notes, payment.created_by]
+            );
+
+            for (const allocation of allocations) {
+                await connection.query(`
+                    INSERT INTO payment_allocations (payment_id, invoice_issued_id, amount, created_by)
+                    VALUES (?, ?, ?, ?)`,
+                    [result.insertId, allocation.invoice_issued_id, allocation.amount, payment.created_by]
+                );
+                await refreshCollectionStatus(connection, allocation.invoice_issued_id);
+            }
+
+            await connection.commit();
+            return [{id: result.insertId, created: true}];
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * Imputa a facturas lo que queda de un cobro (saldo a favor del cliente)
+     * @returns {Promise<Array>} [] si el saldo del cobro o el pendiente de alguna factura ya no alcanza
+     */
+    static async addAllocations(paymentId, allocations, createdBy = null) {
+        const connection = await db.getConnection();
+        try {
+            await connection.beginTransaction();
+
+            if (!await lockAllocations(connection, allocations, paymentId)) {
+                await connection.rollback();
+                return [];
+            }
+
+            for (const allocation of allocations) {
+                await connection.query(`
+                    INSERT INTO payment_allocations (payment_id, invoice_issued_id, amount, created_by)
+                    VALUES (?, ?, ?, ?)`,
+                    [paymentId, allocation.invoice_issued_id, allocation.amount, createdBy]
+                );
+                await refreshCollectionStatus(connection, allocation.invoice_issued_id);
+            }
+
+            await connection.commit();
+            return [{id: Number(paymentId), updated: true}];
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * Deshace una imputación: el importe vuelve al saldo a favor del cliente
+     */
+    static async deleteAllocation(paymentId, allocationId) {
+        const connection = await db.getConnection();
+        try {
+            await connection.beginTransaction();
+
+            const [allocations] = await connection.query(`
+                SELECT invoice_issued_id
+                FROM payment_allocations
+                WHERE id = ?
+                  AND payment_id = ?`, [allocationId, paymentId]);
+            if (!allocations.length) {
+                await connection.rollback();
+                return [];
+            }
+
+            await connection.query(`DELETE FROM payment_allocations WHERE id = ?`, [allocationId]);
+            await refreshCollectionStatus(connection, allocations[0].invoice_issued_id);
+
+            await connection.commit();
+            return [{id: Number(allocationId), deleted: true}];
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * Elimina el cobro con sus imputaciones y recalcula el estado de las facturas
+     */
+    static async delete(id) {
+        const connection = await db.getConnection();
+        try {
+            await connection.beginTransaction();
+
+            const [allocations] = await connection.query(`
+                SELECT DISTINCT invoice_issued_id
+                FROM payment_allocations
+                WHERE payment_id = ?`, [id]);
+
+            const [result] = await connection.query(`DELETE FROM payments WHERE id = ?`, [id]);
+            if (!result.affectedRows) {
+                await connection.rollback();
+                return [];
+            }
+
+            for (const allocation of allocations) {
+                await refreshCollectionStatus(connection, allocation.invoice_issued_id);
+            }
+
+            await connection.commit();
+            return [{id: Number(id), deleted: true}];
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * Recalcula el estado de cobro de una factura en una transacción abierta por
+     * otro repositorio (p. ej. al conciliar un movimiento bancario)
+     * @param {Object} connection - Conexión con la transacción abierta
+     * @param {number} invoiceId
+     */
+    static async refreshCollectionStatus(connection, invoiceId) {
+        await refreshCollectionStatus(connection, invoiceId);
+    }
+}
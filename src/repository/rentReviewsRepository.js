@@ -0,0 +1,259 @@
+import db from '../db/dbConnect.js';
+
+const REVIEW_FIELDS = `rr.id, rr.lease_id, rr.review_date, rr.index_type, rr.index_period, rr.index_value,
+                   rr.applied_rate, rr.previous_rent, rr.new_rent, rr.status, rr.notes,
+                   rr.approved_by, rr.approved_at, rr.created_by, rr.created_at, rr.updated_at,
+                   l.estates_id, l.clients_id, l.start_date, l.end_date, l.monthly_rent AS lease_rent,
+                   l.iva, l.irpf, l.billing_day,
+                   e.address             AS estate_address,
+                   e.cadastral_reference AS estate_cadastral_reference,
+                   c.name                AS client_name,
+                   c.lastname            AS client_lastname,
+                   c.company_name        AS client_company_name,
+                   c.identification      AS client_identification,
+                   c.address             AS client_address,
+                   c.postal_code         AS client_postal_code,
+                   c.location            AS client_location,
+                   c.province            AS client_province`;
+
+/**
+ * Repositorio de la actualización de rentas
+ * Gestiona los valores de los índices (rent_indexes) y las revisiones de
+ * cada aniversario de contrato (rent_reviews).
+ */
+export default class RentReviewsRepository {
+
+    // ========================================
+    // ÍNDICES
+    // ========================================
+
+    static async getIndexes(indexType = null) {
+        const [rows] = await db.query(`
+            SELECT id, index_type, period, value, source, created_at, updated_at
+            FROM rent_indexes
+            ${indexType ? 'WHERE index_type = ?' : ''}
+            ORDER BY index_type ASC, period DESC`, indexType ? [indexType] : []);
+        return rows;
+    }
+
+    static async findIndexById(id) {
+        const [rows] = await db.query(`
+            SELECT id, index_type, period, value, source, created_at, updated_at
+            FROM rent_indexes
+            WHERE id = ?`, [id]);
+        return rows;
+    }
+
+    /**
+     * Registra el valor de un índice para un mes o lo sustituye si ya existía
+     */
+    static async upsertIndex({index_type, period, value, source}) {
+        const [result] = await db.query(`
+            INSERT INTO rent_indexes (index_type, period, value, source)
+            VALUES (?, ?, ?, ?)
+            ON DUPLICATE KEY UPDATE value  = VALUES(value),
+                                    source = VALUES(source)`,
+            [index_type, period, value, source]
+        );
+        return result.affectedRows > 0 ? [{index_type, period, saved: true}] : [];
+    }
+
+    static async deleteIndex(id) {
+        const [result] = await db.query(`DELETE FROM rent_indexes WHERE id = ?`, [id]);
+        return result.affectedRows > 0 ? [{id: Number(id), deleted: true}] : [];
+    }
+
+    // ========================================
+    // REVISIONES
+    // ========================================
+
+    /**
+     * Contratos activos con índice de actualización y sin revisión pendiente
+     */
+    static async getIndexedLeases() {
+        const [rows] = await db.query(`
+            SELECT l.id, l.estates_id, l.clients_id, l.start_date, l.end_date, l.monthly_rent,
+                   l.indexation_type, l.indexation_cap, l.last_review_date,
+                   e.address        AS estate_address,
+                   c.name           AS client_name,
+                   c.lastname       AS client_lastname,
+                   c.company_name   AS client_company_name,
+                   c.identification AS client_identification
+            FROM leases l
+                     JOIN estates e ON l.estates_id = e.id
+                     JOIN clients c ON l.clients_id = c.id
+            WHERE l.status = 'active'
+              AND l.indexation_type IS NOT NULL
+              AND NOT EXISTS (SELECT 1 FROM rent_reviews rr WHERE rr.lease_id = l.id AND rr.status = 'pending')
+            ORDER BY l.id ASC`);
+        return rows;
+    }
+
+    /**
+     * Revisiones con filtros opcionales
+     * @param {Object} [filters]
+     * @param {string} [filters.status]
+     * @param {number} [filters.lease_id]
+     */
+    static async getAll(filters = {}) {
+        const conditions = [];
+        const params = [];
+
+        if (filters.status) {
+            conditions.push('rr.status = ?');
+            params.push(filters.status);
+        }
+        if (filters.lease_id) {
+            conditions.push('rr.lease_id = ?');
+            params.push(filters.lease_id);
+        }
+
+        const [rows] = await db.query(`
+            SELECT ${REVIEW_FIELDS}
+            FROM rent_reviews rr
+                     JOIN leases l ON rr.lease_id = l.id
+                     JOIN estates e ON l.estates_id = e.id
+                     JOIN clients c ON l.clients_id = c.id
+            ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+            ORDER BY rr.review_date DESC, rr.id DESC`, params);
+        return rows;
+    }
+
+    static async findById(id) {
+        const [rows] = await db.query(`
+            SELECT ${REVIEW_FIELDS}
+            FROM rent_reviews rr
+                     JOIN leases l ON rr.lease_id = l.id
+                     JOIN estates e ON l.estates_id = e.id
+                     JOIN clients c ON l.clients_id = c.id
+            WHERE rr.id = ?`, [id]);
+        return rows;
+    }
+
+    /**
+     * Crea las revisiones pendientes en una sola transacción
+     * La clave única (lease_id, review_date) impide revisar dos veces el mismo aniversario.
+     */
+    static async createMany(reviews) {
+        const connection = await db.getConnection();
+        try {
+            await connection.beginTransaction();
+
+            const created = [];
+            for (const review of reviews) {
+                const [result] = await connection.query(`
+                    INSERT INTO rent_reviews (lease_id, review_date, index_type, index_period, index_value,
+                                              applied_rate, previous_rent, new_rent, status, notes, created_by)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'pending', ?, ?)`,
+                    [review.lease_id, review.review_date, review.index_type, review.index_period,
+                        review.index_value, review.applied_rate, review.previous_rent, review.new_rent,
+                        review.notes, review.created_by]
+                );
+                created.push({id: result.insertId, lease_id: review.lease_id, created: true});
+            }
+
+            await connection.commit();
+            return created;
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * Aprueba una revisión pendiente y pasa la nueva renta al contrato
+     * Solo si el contrato sigue con la renta de la que partió la revisión.
+     */
+    static async approve(id, approvedBy) {
+        const connection = await db.getConnection();
+        try {
+            await connection.beginTransaction();
+
+            const [reviews] = await connection.query(`
+                SELECT id, lease_id, review_date, previous_rent, new_rent
+                FROM rent_reviews
+                WHERE id = ?
+                  AND status = 'pending'
+                FOR UPDATE`, [id]);
+            if (!reviews.length) {
+                await connection.rollback();
+                return [];
+            }
+            const review = reviews[0];
+
+            const [leaseResult] = await connection.query(`
+                UPDATE leases
+                SET monthly_rent     = ?,
+                    last_review_date = ?,
+                    updated_at       = NOW()
+                WHERE id = ?
+                  AND monthly_rent = ?`,
+                [review.new_rent, review.review_date, review.lease_id, review.previous_rent]
+            );
+            if (!leaseResult.affectedRows) {
+                await connection.rollback();
+                return [];
+            }
+
+            await connection.query(`
+                UPDATE rent_reviews
+                SET status      = 'approved',
+                    approved_by = ?,
+                    approved_at = NOW()
+                WHERE id = ?`, [approvedBy, id]);
+
+            await connection.commit();
+            return [{id: Number(id), approved: true}];
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * Rechaza una revisión pendiente: el aniversario queda revisado sin cambio de renta
+     */
+    static async reject(id, notes) {
+        const connection = await db.getConnection();
+        try {
+            await connection.beginTransaction();
+
+            const [result] = await connection.query(`
+                UPDATE rent_reviews
+                SET status = 'rejected',
+                    notes  = COALESCE(?, notes)
+                WHERE id = ?
+                  AND status = 'pending'`, [notes, id]);
+            if (!result.affectedRows) {
+                await connection.rollback();
+                return [];
+            }
+
+            await connection.query(`
+                UPDATE leases l
+                    JOIN rent_reviews rr ON rr.lease_id = l.id
+                SET l.last_review_date = rr.review_date
+                WHERE rr.id = ?`, [id]);
+
+            await connection.commit();
+            return [{id: Number(id), rejected: true}];
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * Elimina una revisión pendiente (p. ej. para regenerarla con otro índice)
+     */
+    static async delete(id) {
+        const [result] = await db.query(`DELETE FROM rent_reviews WHERE id = ? AND status = 'pending'`, [id]);
+        return result.affectedRows > 0 ? [{id: Number(id), deleted: true}] : [];
+    }
+}
@@ -0,0 +1,383 @@
+import db from '../db/dbConnect.js';
+import SupplierPaymentsRepository from './supplierPaymentsRepository.js';
+import { PAYABLE_STATUSES, REMITTABLE_STATUSES } from '../shared/helpers/sepaHelpers.js';
+
+// Pendiente de cada factura emitida: total - cobros imputados - fianza aplicada
+const INVOICE_OUTSTANDING = `ii.total
+                   - (SELECT COALESCE(SUM(pa.amount), 0) FROM payment_allocations pa WHERE pa.invoice_issued_id = ii.id)
+                   - (SELECT COALESCE(SUM(da.amount), 0) FROM deposit_applications da WHERE da.invoice_issued_id = ii.id)`;
+
+// Pagado de cada factura recibida
+const RECEIVED_PAID = `(SELECT COALESCE(SUM(sp.amount), 0) FROM supplier_payments sp WHERE sp.invoice_received_id = ir.id)`;
+
+const REMITTANCE_FIELDS = `sr.id, sr.remittance_type, sr.status, sr.message_id, sr.owners_id, sr.requested_date,
+                   sr.bank_account, sr.items_count, sr.total_amount, sr.created_by, sr.created_at,
+                   sr.confirmed_by, sr.confirmed_at,
+                   o.name           AS owner_name,
+                   o.lastname       AS owner_lastname,
+                   o.identification AS owner_identification`;
+
+/**
+ * Repositorio de remesas SEPA (sepa_remittances)
+ * Guarda cada fichero generado con sus facturas. En los adeudos (pain.008)
+ * las facturas emitidas pasan a 'remitted' y en las transferencias (pain.001)
+ * las recibidas pasan a 'payment_in_progress' hasta confirmarlas, con el
+ * message_id de la remesa en collection_reference.
+ */
+export default class SepaRemittancesRepository {
+
+    /**
+     * Remesas con filtros opcionales
+     * @param {Object} [filters]
+     * @param {string} [filters.remittance_type]
+     * @param {string} [filters.status]
+     * @param {number} [filters.owners_id]
+     */
+    static async getAll(filters = {}) {
+        const conditions = [];
+        const params = [];
+
+        if (filters.remittance_type) {
+            conditions.push('sr.remittance_type = ?');
+            params.push(filters.remittance_type);
+        }
+        if (filters.status) {
+            conditions.push('sr.status = ?');
+            params.push(filters.status);
+        }
+        if (filters.owners_id) {
+            conditions.push('sr.owners_id = ?');
+            params.push(filters.owners_id);
+        }
+
+        const [rows] = await db.query(`
+            SELECT ${REMITTANCE_FIELDS}
+            FROM sepa_remittances sr
+                     LEFT JOIN owners o ON sr.owners_id = o.id
+            ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+            ORDER BY sr.created_at DESC, sr.id DESC`, params);
+        return rows;
+    }
+
+    static async findById(id) {
+        const [rows] = await db.query(`
+            SELECT ${REMITTANCE_FIELDS}
+            FROM sepa_remittances sr
+                     LEFT JOIN owners o ON sr.owners_id = o.id
+            WHERE sr.id = ?`, [id]);
+        return rows;
+    }
+
+    /**
+     * Fichero XML de una remesa
+     */
+    static async getFile(id) {
+        const [rows] = await db.query(`
+            SELECT id, remittance_type, message_id, xml_content
+            FROM sepa_remittances
+            WHERE id = ?`, [id]);
+        return rows;
+    }
+
+    static async getItems(remittanceId) {
+        const [rows] = await db.query(`
+            SELECT sri.id, sri.remittance_id, sri.invoice_issued_id, sri.invoice_received_id, sri.amount,
+                   sri.end_to_end_id, sri.mandate_id, sri.sequence_type, sri.iban,
+                   COALESCE(ii.invoice_number, ir.invoice_number)         AS invoice_number,
+                   COALESCE(ii.collection_status, ir.collection_status)   AS collection_status,
+                   ii.clients_id, ir.supplier_id
+            FROM sepa_remittance_items sri
+                     LEFT JOIN invoices_issued ii ON sri.invoice_issued_id = ii.id
+                     LEFT JOIN invoices_received ir ON sri.invoice_received_id = ir.id
+            WHERE sri.remittance_id = ?
+            ORDER BY sri.id ASC`, [remittanceId]);
+        return rows;
+    }
+
+    /**
+     * Facturas emitidas a remesar con el mandato del cliente y los datos de
+     * acreedor del propietario
+     * @param {number[]} ids
+     */
+    static async getDirectDebitInvoices(ids) {
+        if (!ids.length) return [];
+
+        const [rows] = await db.query(`
+            SELECT ii.id, ii.invoice_number, ii.clients_id, ii.owners_id, ii.invoice_date, ii.due_date,
+                   ii.corresponding_month, ii.total, ii.is_refund, ii.collection_status,
+                   ${INVOICE_OUTSTANDING} AS outstanding_amount,
+                   c.name               AS client_name,
+                   c.lastname           AS client_lastname,
+                   c.company_name       AS client_company_name,
+                   c.sepa_mandate_id,
+                   c.sepa_mandate_date,
+                   c.sepa_iban          AS client_iban,
+                   c.sepa_bic           AS client_bic,
+                   c.sepa_sequence_type,
+                   o.name               AS owner_name,
+                   o.lastname           AS owner_lastname,
+                   o.identification     AS owner_identification,
+                   o.sepa_iban          AS owner_iban,
+                   o.sepa_bic           AS owner_bic,
+                   o.sepa_creditor_id   AS owner_creditor_id
+            FROM invoices_issued ii
+                     JOIN clients c ON ii.clients_id = c.id
+                     JOIN owners o ON ii.owners_id = o.id
+            WHERE ii.id IN (${ids.map(() => '?').join(', ')})
+            ORDER BY ii.owners_id ASC, COALESCE(ii.due_date, ii.invoice_date) ASC, ii.id ASC`, ids);
+        return rows;
+    }
+
+    /**
+     * Guarda la remesa, marca sus facturas como remesadas y pasa a RCUR los
+     * mandatos que se usaron como primer adeudo (FRST), en una transacción.
+     * Si alguna factura ya no está en un estado remesable no se guarda nada.
+     * @param {Object} remittance - {message_id, owners_id, requested_date, total_amount, xml_content, created_by}
+     * @param {Object[]} items - [{invoice_issued_id, clients_id, amount, end_to_end_id, mandate_id, sequence_type, iban}]
+     */
+    static async createDirectDebit(remittance, items) {
+        const connection = await db.getConnection();
+        try {
+            await connection.beginTransaction();
+
+            const [result] = await connection.query(`
+                INSERT INTO sepa_remittances (remittance_type, message_id, owners_id, requested_date, items_count,
+                                              total_amount, xml_content, created_by)
+                VALUES ('direct_debit', ?, ?, ?, ?, ?, ?, ?)`,
+                [remittance.message_id, remittance.owners_id, remittance.requested_date, items.length,
+                    remittance.total_amount, remittance.xml_content, remittance.created_by]
+            );
+
+            for (const item of items) {
+                const [updated] = await connection.query(`
+                    UPDATE invoices_issued
+                    SET collection_status    = 'remitted',
+                        collection_method    = 'direct_debit',
+                        collection_reference = ?,
+                        updated_at           = NOW()
+                    WHERE id = ?
+                      AND collection_status IN (${REMITTABLE_STATUSES.map(() => '?').join(', ')})`,
+                    [remittance.message_id, item.invoice_issued_id, ...REMITTABLE_STATUSES]
+                );
+                if (!updated.affectedRows) {
+                    await connection.rollback();
+                    return [];
+                }
+
+                await connection.query(`
+                    INSERT INTO sepa_remittance_items (remittance_id, invoice_issued_id, amount, end_to_end_id,
+                                                       mandate_id, sequence_type, iban)
+                    VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                    [result.insertId, item.invoice_issued_id, item.amount, item.end_to_end_id,
+                        item.mandate_id, item.sequence_type, item.iban]
+                );
+            }
+
+            const firstDebitClients = [...new Set(items
+                .filter(item => item.sequence_type === 'FRST')
+                .map(item => item.clients_id))];
+            for (const clientId of firstDebitClients) {
+                await connection.query(`
+                    UPDATE clients
+                    SET sepa_sequence_type = 'RCUR'
+                    WHERE id = ?`, [clientId]);
+            }
+
+            await connection.commit();
+            return [{id: result.insertId, created: true}];
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * Facturas recibidas a transferir con el IBAN del proveedor, su pendiente
+     * y si están en una remesa de pago abierta
+     * @param {number[]} ids
+     */
+    static async getCreditTransferInvoices(ids) {
+        if (!ids.length) return [];
+
+        const [rows] = await db.query(`
+            SELECT ir.id, ir.invoice_number, ir.supplier_id, ir.invoice_date, ir.due_date, ir.total_amount,
+                   ir.is_refund, ir.collection_status,
+                   ir.total_amount - ${RECEIVED_PAID} AS outstanding_amount,
+                   EXISTS (SELECT 1
+                           FROM payment_run_items pri
+                                    JOIN payment_runs pr ON pri.payment_run_id = pr.id
+                           WHERE pri.invoice_received_id = ir.id
+                             AND pr.status IN ('draft', 'approved')) AS in_open_run,
+                   s.name         AS supplier_name,
+                   s.company_name AS supplier_company,
+                   s.tax_id       AS supplier_tax_id,
+                   s.bank_account AS supplier_bank_account
+            FROM invoices_received ir
+                     JOIN suppliers s ON ir.supplier_id = s.id
+            WHERE ir.id IN (${ids.map(() => '?').join(', ')})
+            ORDER BY ir.supplier_id ASC, COALESCE(ir.due_date, ir.invoice_date) ASC, ir.id ASC`, ids);
+        return rows;
+    }
+
+    /**
+     * Guarda la transferencia y pasa sus facturas a 'payment_in_progress', en
+     * una transacción. Si alguna factura ya no está en un estado pagable no se
+     * guarda nada.
+     * @param {Object} remittance - {message_id, requested_date, bank_account, total_amount, xml_content, created_by}
+     * @param {Object[]} items - [{invoice_received_id, amount, end_to_end_id, iban}]
+     */
+    static async createCreditTransfer(remittance, items) {
+        const connection = await db.getConnection();
+        try {
+            await connection.beginTransaction();
+
+            const [result] = await connection.query(`
+                INSERT INTO sepa_remittances (remittance_type, message_id, requested_date, bank_account, items_count,
+                                              total_amount, xml_content, created_by)
+                VALUES ('credit_transfer', ?, ?, ?, ?, ?, ?, ?)`,
+                [remittance.message_id, remittance.requested_date, remittance.bank_account, items.length,
+                    remittance.total_amount, remittance.xml_content, remittance.created_by]
+            );
+
+            for (const item of items) {
+                const [updated] = await connection.query(`
+                    UPDATE invoices_received
+                    SET collection_status    = 'payment_in_progress',
+                        collection_method    = 'transfer',
+                        collection_reference = ?,
+                        updated_at           = NOW()
+                    WHERE id = ?
+                      AND collection_status IN (${PAYABLE_STATUSES.map(() => '?').join(', ')})`,
+                    [remittance.message_id, item.invoice_received_id, ...PAYABLE_STATUSES]
+                );
+                if (!updated.affectedRows) {
+                    await connection.rollback();
+                    return [];
+                }
+
+                await connection.query(`
+                    INSERT INTO sepa_remittance_items (remittance_id, invoice_received_id, amount, end_to_end_id, iban)
+                    VALUES (?, ?, ?, ?, ?)`,
+                    [result.insertId, item.invoice_received_id, item.amount, item.end_to_end_id, item.iban]
+                );
+            }
+
+            await connection.commit();
+            return [{id: result.insertId, created: true}];
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * Confirma una transferencia ejecutada: registra un pago por factura desde
+     * la cuenta de cargo, con el message_id como referencia, y recalcula su
+     * estado, en una transacción. Si la transferencia ya no está 'generated' o
+     * alguna factura salió de 'payment_in_progress' no se registra nada.
+     * @param {number} id
+     * @param {Object} data - {payment_date, confirmed_by}
+     */
+    static async confirmCreditTransfer(id, data) {
+        const connection = await db.getConnection();
+        try {
+            await connection.beginTransaction();
+
+            const [remittances] = await connection.query(`
+                SELECT id, message_id, bank_account
+                FROM sepa_remittances
+                WHERE id = ?
+                  AND remittance_type = 'credit_transfer'
+                  AND status = 'generated'
+                FOR UPDATE`, [id]);
+            if (!remittances.length) {
+                await connection.rollback();
+                return [];
+            }
+            const remittance = remittances[0];
+
+            const [items] = await connection.query(`
+                SELECT sri.invoice_received_id, sri.amount, ir.collection_status
+                FROM sepa_remittance_items sri
+                         JOIN invoices_received ir ON sri.invoice_received_id = ir.id
+                WHERE sri.remittance_id = ?
+                ORDER BY sri.id ASC
+                FOR UPDATE`, [id]);
+
+            for (const item of items) {
+                if (item.collection_status !== 'payment_in_progress') {
+                    await connection.rollback();
+                    return [];
+                }
+
+                await connection.query(`
+                    INSERT INTO supplier_payments (invoice_received_id, payment_run_id, sepa_remittance_id, payment_date,
+                                                   amount, method, bank_account, reference, notes, created_by)
+                    VALUES (?, NULL, ?, ?, ?, 'transfer', ?, ?, NULL, ?)`,
+                    [item.invoice_received_id, remittance.id, data.payment_date, item.amount,
+                        remittance.bank_account, remittance.message_id, data.confirmed_by]
+                );
+                await SupplierPaymentsRepository.refreshPaymentStatus(connection, item.invoice_received_id);
+            }
+
+            await connection.query(`
+                UPDATE sepa_remittances
+                SET status       = 'confirmed',
+                    confirmed_by = ?,
+                    confirmed_at = NOW()
+                WHERE id = ?`, [data.confirmed_by, id]);
+
+            await connection.commit();
+            return [{id: Number(id), confirmed: true, payments: items.length}];
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * Anula una transferencia sin confirmar: sus facturas vuelven a
+     * 'partially_paid' o 'pending' según lo que ya tuvieran pagado
+     */
+    static async cancelCreditTransfer(id) {
+        const connection = await db.getConnection();
+        try {
+            await connection.beginTransaction();
+
+            const [cancelled] = await connection.query(`
+                UPDATE sepa_remittances
+                SET status = 'cancelled'
+                WHERE id = ?
+                  AND remittance_type = 'credit_transfer'
+                  AND status = 'generated'`, [id]);
+            if (!cancelled.affectedRows) {
+                await connection.rollback();
+                return [];
+            }
+
+            await connection.query(`
+                UPDATE invoices_received ir
+                SET ir.collection_status    = IF(${RECEIVED_PAID} > 0, 'partially_paid', 'pending'),
+                    ir.collection_reference = NULL,
+                    ir.updated_at           = NOW()
+                WHERE ir.collection_status = 'payment_in_progress'
+                  AND ir.id IN (SELECT sri.invoice_received_id
+                                FROM sepa_remittance_items sri
+                                WHERE sri.remittance_id = ?)`, [id]);
+
+            await connection.commit();
+            return [{id: Number(id), cancelled: true}];
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+}
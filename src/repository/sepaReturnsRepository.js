@@ -0,0 +1,405 @@
+import db from '../db/dbConnect.js';
+import PaymentsRepository from './paymentsRepository.js';
+import DunningRepository from './dunningRepository.js';
+
+// Estados de factura emitida que admiten una devolución: remesada o cobrada por adeudo
+const RETURNABLE_STATUSES = ['remitted', 'collected', 'partially_collected'];
+
+const RETURN_FIELDS = `sr.id, sr.source, sr.sepa_remittance_id, sr.sepa_remittance_item_id, sr.invoice_issued_id,
+                   sr.clients_id, sr.end_to_end_id, sr.return_date, sr.amount, sr.reversed_amount, sr.reason_code,
+                   sr.reason_description, sr.bank_charges, sr.fee_amount, sr.fee_status, sr.fee_invoice_id, sr.notes,
+                   sr.created_by, sr.created_at,
+                   ii.invoice_number,
+                   fi.invoice_number AS fee_invoice_number,
+                   ii.collection_status,
+                   c.name         AS client_name,
+                   c.lastname     AS client_lastname,
+                   c.company_name AS client_company_name,
+                   rem.message_id AS remittance_message_id`;
+
+// Pendiente de cada factura emitida: total - cobros imputados - fianza aplicada
+const INVOICE_OUTSTANDING = `ii.total
+                   - (SELECT COALESCE(SUM(pa.amount), 0) FROM payment_allocations pa WHERE pa.invoice_issued_id = ii.id)
+                   - (SELECT COALESCE(SUM(da.amount), 0) FROM deposit_applications da WHERE da.invoice_issued_id = ii.id)`;
+
+/**
+ * Repositorio de devoluciones de adeudos SEPA (sepa_returns) y de la lista
+ * de impagos (dunning_entries)
+ * Registrar una devolución reabre la factura: se deshace lo cobrado por
+ * adeudo (imputaciones de cobros direct_debit) y vuelve a 'pending' o
+ * 'partially_collected'; el cliente entra en la lista de impagos y la
+ * devolución, en el historial de reclamación de la factura (dunning_events).
+ * Resolver una entrada de la lista pausa las cartas de esa factura; una nueva
+ * devolución levanta esa pausa.
+ */
+export default class SepaReturnsRepository {
+
+    /**
+     * Devoluciones con filtros opcionales
+     * @param {Object} [filters]
+     * @param {number} [filters.clients_id]
+     * @param {number} [filters.invoice_issued_id]
+     * @param {string} [filters.fee_status]
+     * @param {string} [filters.date_from] - YYYY-MM-DD
+     * @param {string} [filters.date_to] - YYYY-MM-DD
+     */
+    static async getAll(filters = {}) {
+        const conditions = [];
+        const params = [];
+
+        if (filters.clients_id) {
+            conditions.push('sr.clients_id = ?');
+            params.push(filters.clients_id);
+        }
+        if (filters.invoice_issued_id) {
+            conditions.push('sr.invoice_issued_id = ?');
+            params.push(filters.invoice_issued_id);
+        }
+        if (filters.fee_status) {
+            conditions.push('sr.fee_status = ?');
+            params.push(filters.fee_status);
+        }
+        if (filters.date_from) {
+            conditions.push('sr.return_date >= ?');
+            params.push(filters.date_from);
+        }
+        if (filters.date_to) {
+            conditions.push('sr.return_date <= ?');
+            params.push(filters.date_to);
+        }
+
+        const [rows] = await db.query(`
+            SELECT ${RETURN_FIELDS}
+            FROM sepa_returns sr
+                     JOIN invoices_issued ii ON sr.invoice_issued_id = ii.id
+                     JOIN clients c ON sr.clients_id = c.id
+                     LEFT JOIN invoices_issued fi ON sr.fee_invoice_id = fi.id
+                     LEFT JOIN sepa_remittances rem ON sr.sepa_remittance_id = rem.id
+            ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+            ORDER BY sr.return_date DESC, sr.id DESC`, params);
+        return rows;
+    }
+
+    static async findById(id) {
+        const [rows] = await db.query(`
+            SELECT ${RETURN_FIELDS}
+            FROM sepa_returns sr
+                     JOIN invoices_issued ii ON sr.invoice_issued_id = ii.id
+                     JOIN clients c ON sr.clients_id = c.id
+                     LEFT JOIN invoices_issued fi ON sr.fee_invoice_id = fi.id
+                     LEFT JOIN sepa_remittances rem ON sr.sepa_remittance_id = rem.id
+            WHERE sr.id = ?`, [id]);
+        return rows;
+    }
+
+    /**
+     * Adeudo remesado sin devolver con esa referencia, el más reciente (la misma
+     * factura puede remesarse de nuevo tras una devolución)
+     * @param {string} endToEndId
+     * @param {string|null} [messageId] - MsgId de la remesa original, si se conoce
+     */
+    static async findRemittanceItem(endToEndId, messageId = null) {
+        const [rows] = await db.query(`
+            SELECT sri.id, sri.remittance_id, sri.invoice_issued_id, sri.amount, sri.end_to_end_id,
+                   rem.message_id, ii.clients_id
+            FROM sepa_remittance_items sri
+                     JOIN sepa_remittances rem ON sri.remittance_id = rem.id
+                     JOIN invoices_issued ii ON sri.invoice_issued_id = ii.id
+            WHERE sri.end_to_end_id = ?
+              AND rem.remittance_type = 'direct_debit'
+              ${messageId ? 'AND rem.message_id = ?' : ''}
+              AND NOT EXISTS (SELECT 1 FROM sepa_returns sr WHERE sr.sepa_remittance_item_id = sri.id)
+            ORDER BY rem.created_at DESC, sri.id DESC
+            LIMIT 1`, messageId ? [endToEndId, messageId] : [endToEndId]);
+        return rows;
+    }
+
+    /**
+     * Último adeudo remesado sin devolver de una factura
+     */
+    static async findLatestRemittanceItemForInvoice(invoiceId) {
+        const [rows] = await db.query(`
+            SELECT sri.id, sri.remittance_id, sri.invoice_issued_id, sri.amount, sri.end_to_end_id, rem.message_id
+            FROM sepa_remittance_items sri
+                     JOIN sepa_remittances rem ON sri.remittance_id = rem.id
+            WHERE sri.invoice_issued_id = ?
+              AND rem.remittance_type = 'direct_debit'
+              AND NOT EXISTS (SELECT 1 FROM sepa_returns sr WHERE sr.sepa_remittance_item_id = sri.id)
+            ORDER BY rem.created_at DESC, sri.id DESC
+            LIMIT 1`, [invoiceId]);
+        return rows;
+    }
+
+    /**
+     * Registra la devolución en una transacción: deshace lo cobrado por adeudo
+     * hasta el importe devuelto (las imputaciones de cobros direct_debit más
+     * recientes y el importe de esos cobros), reabre la factura y añade el
+     * cliente a la lista de impagos si la factura no estaba ya.
+     * No se guarda nada si la factura no está remesada ni cobrada, o si está
+     * cobrada pero no hay cobros por adeudo que cubran el importe.
+     * @param {Object} data - {source, sepa_remittance_id, sepa_remittance_item_id, invoice_issued_id,
+     *        end_to_end_id, return_date, amount, reason_code, reason_description, bank_charges,
+     *        fee_amount, fee_status, notes, created_by}
+     */
+    static async create(data) {
+        const connection = await db.getConnection();
+        try {
+            await connection.beginTransaction();
+
+            const [invoices] = await connection.query(`
+                SELECT id, clients_id, invoice_number, collection_status
+                FROM invoices_issued
+                WHERE id = ?
+                FOR UPDATE`, [data.invoice_issued_id]);
+            const invoice = invoices[0];
+            if (!invoice || !RETURNABLE_STATUSES.includes(invoice.collection_status)) {
+                await connection.rollback();
+                return [];
+            }
+
+            let reversed = 0;
+            if (invoice.collection_status !== 'remitted') {
+                const [allocations] = await connection.query(`
+                    SELECT pa.id, pa.payment_id, pa.amount
+                    FROM payment_allocations pa
+                             JOIN payments p ON pa.payment_id = p.id
+                    WHERE pa.invoice_issued_id = ?
+                      AND p.method = 'direct_debit'
+                    ORDER BY p.payment_date DESC, p.id DESC
+                    FOR UPDATE`, [invoice.id]);
+
+                for (const allocation of allocations) {
+                    const take = Math.round(Math.min(data.amount - reversed, parseFloat(allocation.amount)) * 100) / 100;
+                    if (take <= 0) break;
+
+                    if (take >= parseFloat(allocation.amount)) {
+                        await connection.query(`DELETE FROM payment_allocations WHERE id = ?`, [allocation.id]);
+                    } else {
+                        await connection.query(`
+                            UPDATE payment_allocations
+                            SET amount = amount - ?
+                            WHERE id = ?`, [take, allocation.id]);
+                    }
+                    await connection.query(`
+                        UPDATE payments
+                        SET amount = amount - ?
+                        WHERE id = ?`, [take, allocation.payment_id]);
+                    await connection.query(`
+                        DELETE
+                        FROM payments
+                        WHERE id = ?
+                          AND amount <= 0`, [allocation.payment_id]);
+                    reversed = Math.round((reversed + take) * 100) / 100;
+                }
+
+                if (reversed < data.amount) {
+                    await connection.rollback();
+                    return [];
+                }
+            }
+
+            await connection.query(`
+                UPDATE invoices_issued
+                SET collection_status    = 'pending',
+                    collection_reference = NULL,
+                    updated_at           = NOW()
+                WHERE id = ?
+                  AND collection_status = 'remitted'`, [invoice.id]);
+            await PaymentsRepository.refreshCollectionStatus(connection, invoice.id);
+
+            const [result] = await connection.query(`
+                INSERT INTO sepa_returns (source, sepa_remittance_id, sepa_remittance_item_id, invoice_issued_id,
+                                          clients_id, end_to_end_id, return_date, amount, reversed_amount,
+                                          reason_code, reason_description, bank_charges, fee_amount, fee_status,
+                                          notes, created_by)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [data.source, data.sepa_remittance_id, data.sepa_remittance_item_id, invoice.id,
+                    invoice.clients_id, data.end_to_end_id, data.return_date, data.amount, reversed,
+                    data.reason_code, data.reason_description, data.bank_charges, data.fee_amount,
+                    data.fee_status, data.notes, data.created_by]
+            );
+
+            const reason = `Adeudo devuelto (${data.reason_code}${data.reason_description ? `: ${data.reason_description}` : ''})`;
+            await connection.query(`
+                INSERT INTO dunning_entries (clients_id, invoice_issued_id, sepa_return_id, reason)
+                SELECT ?, ?, ?, ?
+                FROM DUAL
+                WHERE NOT EXISTS (SELECT 1
+                                  FROM dunning_entries
+                                  WHERE invoice_issued_id = ?
+                                    AND status = 'open')`,
+                [invoice.clients_id, invoice.id, result.insertId, reason, invoice.id]
+            );
+            await DunningRepository.insertReturnEvent(connection, {
+                clients_id: invoice.clients_id,
+                invoice_issued_id: invoice.id,
+                sepa_return_id: result.insertId,
+                event_date: data.return_date,
+                outstanding_amount: data.amount,
+                notes: reason,
+                created_by: data.created_by
+            });
+            await DunningRepository.liftResolvedPauses(connection, {
+                invoice_issued_id: invoice.id,
+                event_date: data.return_date,
+                notes: 'Adeudo devuelto de nuevo',
+                created_by: data.created_by
+            });
+
+            await connection.commit();
+            return [{id: result.insertId, created: true, reversed_amount: reversed}];
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * Cambia el estado del cargo de gastos repercutido al inquilino (solo si está pendiente)
+     * @param {number} id
+     * @param {string} feeStatus - 'collected' o 'waived'
+     */
+    static async updateFeeStatus(id, feeStatus) {
+        const [result] = await db.query(`
+            UPDATE sepa_returns
+            SET fee_status = ?
+            WHERE id = ?
+              AND fee_status = 'pending'`, [feeStatus, id]);
+        return result.affectedRows ? [{id: Number(id), updated: true}] : [];
+    }
+
+    /**
+     * Enlaza los gastos pendientes de una devolución con la factura emitida
+     * al inquilino por ellos
+     */
+    static async setFeeInvoice(id, invoiceId) {
+        const [result] = await db.query(`
+            UPDATE sepa_returns
+            SET fee_status     = 'invoiced',
+                fee_invoice_id = ?
+            WHERE id = ?
+              AND fee_status = 'pending'`, [invoiceId, id]);
+        return result.affectedRows ? [{id: Number(id), updated: true}] : [];
+    }
+
+    /**
+     * Devoluciones cuyos gastos se facturaron en esa factura emitida
+     */
+    static async findByFeeInvoice(invoiceId) {
+        const [rows] = await db.query(`
+            SELECT id, invoice_issued_id, fee_amount
+            FROM sepa_returns
+            WHERE fee_invoice_id = ?`, [invoiceId]);
+        return rows;
+    }
+
+    /**
+     * Gastos de devolución pendientes de cobrar a un cliente
+     */
+    static async getPendingFees(clientId) {
+        const [rows] = await db.query(`
+            SELECT sr.id, sr.invoice_issued_id, sr.return_date, sr.reason_code, sr.fee_amount,
+                   ii.invoice_number
+            FROM sepa_returns sr
+                     JOIN invoices_issued ii ON sr.invoice_issued_id = ii.id
+            WHERE sr.clients_id = ?
+              AND sr.fee_status = 'pending'
+            ORDER BY sr.return_date ASC, sr.id ASC`, [clientId]);
+        return rows;
+    }
+
+    /**
+     * Lista de impagos con el pendiente de cada factura. Las entradas abiertas
+     * cuya factura ya está cobrada no se muestran (se resuelven solas).
+     * @param {Object} [filters]
+     * @param {string} [filters.status] - 'open' (por defecto) o 'resolved'
+     * @param {number} [filters.clients_id]
+     */
+    static async getDunningEntries(filters = {}) {
+        const conditions = ['de.status = ?'];
+        const params = [filters.status || 'open'];
+
+        if ((filters.status || 'open') === 'open') conditions.push(`ii.collection_status <> 'collected'`);
+        if (filters.clients_id) {
+            conditions.push('de.clients_id = ?');
+            params.push(filters.clients_id);
+        }
+
+        const [rows] = await db.query(`
+            SELECT de.id, de.clients_id, de.invoice_issued_id, de.sepa_return_id, de.reason, de.status,
+                   de.resolved_by, de.resolved_at, de.created_at,
+                   ii.invoice_number, ii.due_date, ii.total, ii.collection_status,
+                   ${INVOICE_OUTSTANDING} AS outstanding_amount,
+                   c.name           AS client_name,
+                   c.lastname       AS client_lastname,
+                   c.company_name   AS client_company_name,
+                   c.identification AS client_identification
+            FROM dunning_entries de
+                     JOIN invoices_issued ii ON de.invoice_issued_id = ii.id
+                     JOIN clients c ON de.clients_id = c.id
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY de.created_at ASC, de.id ASC`, params);
+        return rows;
+    }
+
+    /**
+     * Saca de la lista de impagos una entrada abierta y pausa las cartas de
+     * reclamación de su factura, salvo que ya haya una pausa activa que la cubra
+     * @param {number} id
+     * @param {Object} data - resolved_by, event_date
+     * @returns {Promise<Array>} [] si no existe o ya estaba resuelta
+     */
+    static async resolveDunningEntry(id, data = {}) {
+        const connection = await db.getConnection();
+        try {
+            await connection.beginTransaction();
+
+            const [result] = await connection.query(`
+                UPDATE dunning_entries
+                SET status      = 'resolved',
+                    resolved_by = ?,
+                    resolved_at = NOW()
+                WHERE id = ?
+                  AND status = 'open'`, [data.resolved_by ?? null, id]);
+
+            if (!result.affectedRows) {
+                await connection.rollback();
+                return [];
+            }
+
+            const [entries] = await connection.query(`
+                SELECT de.clients_id, de.invoice_issued_id,
+                       EXISTS(SELECT 1
+                              FROM dunning_pauses dp
+                              WHERE dp.clients_id = de.clients_id
+                                AND (dp.invoice_issued_id IS NULL OR dp.invoice_issued_id = de.invoice_issued_id)
+                                AND dp.status = 'active'
+                                AND (dp.paused_until IS NULL OR dp.paused_until >= ?)) AS paused
+                FROM dunning_entries de
+                WHERE de.id = ?`, [data.event_date, id]);
+
+            let pauseId = null;
+            if (!entries[0].paused) {
+                pauseId = await DunningRepository.insertPause(connection, {
+                    clients_id: entries[0].clients_id,
+                    invoice_issued_id: entries[0].invoice_issued_id,
+                    dunning_entry_id: Number(id),
+                    reason: 'resolved',
+                    notes: 'Resuelta en la lista de impagos',
+                    created_by: data.resolved_by,
+                    event_date: data.event_date
+                });
+            }
+
+            await connection.commit();
+            return [{id: Number(id), updated: true, dunning_pause_id: pauseId}];
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+}
@@ -0,0 +1,298 @@
+import db from '../db/dbConnect.js';
+
+// Pagado de cada factura recibida
+const PAID = `(SELECT COALESCE(SUM(sp.amount), 0) FROM supplier_payments sp WHERE sp.invoice_received_id = ir.id)`;
+
+// Factura incluida en una remesa sin pagar ni anular
+const IN_OPEN_RUN = `EXISTS (SELECT 1
+                             FROM payment_run_items pri
+                                      JOIN payment_runs pr ON pri.payment_run_id = pr.id
+                             WHERE pri.invoice_received_id = ir.id
+                               AND pr.status IN ('draft', 'approved'))`;
+
+const BALANCE_FIELDS = `ir.id, ir.invoice_number, ir.our_reference, ir.supplier_id, ir.property_id,
+                   ir.invoice_date, ir.due_date, ir.total_amount, ir.is_refund,
+                   ir.collection_status, ir.collection_method, ir.collection_date, ir.collection_reference,
+                   ${PAID}          AS paid_amount,
+                   s.name           AS supplier_name,
+                   s.company_name   AS supplier_company,
+                   s.tax_id         AS supplier_tax_id,
+                   s.bank_account   AS supplier_bank_account`;
+
+const PAYMENT_FIELDS = `sp.id, sp.invoice_received_id, sp.payment_run_id, sp.sepa_remittance_id, sp.payment_date, sp.amount, sp.method,
+                   sp.bank_account, sp.reference, sp.notes, sp.created_by, sp.created_at,
+                   ir.invoice_number, ir.supplier_id, ir.total_amount,
+                   s.name         AS supplier_name,
+                   s.company_name AS supplier_company`;
+
+/**
+ * Repositorio de pagos a proveedores (supplier_payments)
+ * Cada pago, total o parcial, se registra contra una factura recibida con la
+ * cuenta bancaria desde la que se pagó; el estado de pago de la factura se
+ * deriva de lo pagado.
+ */
+export default class SupplierPaymentsRepository {
+
+    /**
+     * Pagos con filtros opcionales
+     * @param {Object} [filters]
+     * @param {number} [filters.supplier_id]
+     * @param {number} [filters.invoice_received_id]
+     * @param {number} [filters.payment_run_id]
+     * @param {string} [filters.date_from] - YYYY-MM-DD
+     * @param {string} [filters.date_to] - YYYY-MM-DD
+     */
+    static async getAll(filters = {}) {
+        const conditions = [];
+        const params = [];
+
+        if (filters.supplier_id) {
+            conditions.push('ir.supplier_id = ?');
+            params.push(filters.supplier_id);
+        }
+        if (filters.invoice_received_id) {
+            conditions.push('sp.invoice_received_id = ?');
+            params.push(filters.invoice_received_id);
+        }
+        if (filters.payment_run_id) {
+            conditions.push('sp.payment_run_id = ?');
+            params.push(filters.payment_run_id);
+        }
+        if (filters.date_from) {
+            conditions.push('sp.payment_date >= ?');
+            params.push(filters.date_from);
+        }
+        if (filters.date_to) {
+            conditions.push('sp.payment_date <= ?');
+            params.push(filters.date_to);
+        }
+
+        const [rows] = await db.query(`
+            SELECT ${PAYMENT_FIELDS}
+            FROM supplier_payments sp
+                     JOIN invoices_received ir ON sp.invoice_received_id = ir.id
+                     JOIN suppliers s ON ir.supplier_id = s.id
+            ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+            ORDER BY sp.payment_date DESC, sp.id DESC`, params);
+        return rows;
+    }
+
+    static async findById(id) {
+        const [rows] = await db.query(`
+            SELECT ${PAYMENT_FIELDS}
+            FROM supplier_payments sp
+                     JOIN invoices_received ir ON sp.invoice_received_id = ir.id
+                     JOIN suppliers s ON ir.supplier_id = s.id
+            WHERE sp.id = ?`, [id]);
+        return rows;
+    }
+
+    /**
+     * Importe pagado de una factura recibida
+     * @returns {Promise<number>}
+     */
+    static async getPaidToInvoice(invoiceId) {
+        const [rows] = await db.query(`
+            SELECT COALESCE(SUM(amount), 0) AS paid
+            FROM supplier_payments
+            WHERE invoice_received_id = ?`, [invoiceId]);
+        return parseFloat(rows[0].paid) || 0;
+    }
+
+    /**
+     * Factura recibida con lo pagado
+     */
+    static async getInvoiceBalance(invoiceId) {
+        const [rows] = await db.query(`
+            SELECT ${BALANCE_FIELDS}
+            FROM invoices_received ir
+                     JOIN suppliers s ON ir.supplier_id = s.id
+            WHERE ir.id = ?`, [invoiceId]);
+        return rows;
+    }
+
+    /**
+     * Facturas recibidas con importe pendiente
+     * @param {Object} [filters]
+     * @param {number} [filters.supplier_id]
+     * @param {number[]} [filters.supplier_ids]
+     * @param {string} [filters.due_until] - Vencidas hasta esa fecha (YYYY-MM-DD)
+     * @param {boolean} [filters.exclude_open_runs] - Sin las incluidas en una remesa abierta
+     */
+    static async getOutstandingInvoices(filters = {}) {
+        const conditions = [
+            'ir.is_refund = FALSE',
+            "ir.collection_status IN ('pending', 'partially_paid', 'overdue')",
+            `ir.total_amount - ${PAID} > 0`
+        ];
+        const params = [];
+
+        if (filters.supplier_id) {
+            conditions.push('ir.supplier_id = ?');
+            params.push(filters.supplier_id);
+        }
+        if (filters.supplier_ids?.length) {
+            conditions.push(`ir.supplier_id IN (${filters.supplier_ids.map(() => '?').join(', ')})`);
+            params.push(...filters.supplier_ids);
+        }
+        if (filters.due_until) {
+            conditions.push('COALESCE(ir.due_date, ir.invoice_date) <= ?');
+            params.push(filters.due_until);
+        }
+        if (filters.exclude_open_runs) conditions.push(`NOT ${IN_OPEN_RUN}`);
+
+        const [rows] = await db.query(`
+            SELECT ${BALANCE_FIELDS}
+            FROM invoices_received ir
+                     JOIN suppliers s ON ir.supplier_id = s.id
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY ir.supplier_id ASC, COALESCE(ir.due_date, ir.invoice_date) ASC, ir.id ASC`, params);
+        return rows;
+    }
+
+    /**
+     * Pendiente de pago de un proveedor
+     * @returns {Promise<{outstanding_invoices: number, outstanding_amount: number}>}
+     */
+    static async getSupplierBalance(supplierId) {
+        const [rows] = await db.query(`
+            SELECT COUNT(*)                                   AS outstanding_invoices,
+                   COALESCE(SUM(balance.outstanding_amount), 0) AS outstanding_amount
+            FROM (SELECT ir.total_amount - ${PAID} AS outstanding_amount
+                  FROM invoices_received ir
+                  WHERE ir.supplier_id = ?
+                    AND ir.is_refund = FALSE
+                    AND ir.collection_status IN ('pending', 'partially_paid', 'payment_in_progress', 'overdue')) balance
+            WHERE balance.outstanding_amount > 0`, [supplierId]);
+        return {
+            outstanding_invoices: Number(rows[0].outstanding_invoices) || 0,
+            outstanding_amount: parseFloat(rows[0].outstanding_amount) || 0
+        };
+    }
+
+    /**
+     * Remesas abiertas (borrador o aprobadas) que incluyen una factura
+     */
+    static async findOpenRunsForInvoice(invoiceId) {
+        const [rows] = await db.query(`
+            SELECT pr.id, pr.status
+            FROM payment_run_items pri
+                     JOIN payment_runs pr ON pri.payment_run_id = pr.id
+            WHERE pri.invoice_received_id = ?
+              AND pr.status IN ('draft', 'approved')`, [invoiceId]);
+        return rows;
+    }
+
+    /**
+     * Registra un pago y recalcula el estado de la factura
+     */
+    static async create(payment) {
+        const connection = await db.getConnection();
+        try {
+            await connection.beginTransaction();
+
+            const [result] = await connection.query(`
+                INSERT INTO supplier_payments (invoice_received_id, payment_run_id, payment_date, amount, method,
+                                               bank_account, reference, notes, created_by)
+                VALUES (?, NULL, ?, ?, ?, ?, ?, ?, ?)`,
+                [payment.invoice_received_id, payment.payment_date, payment.amount, payment.method,
+                    payment.bank_account, payment.reference, payment.notes, payment.created_by]
+            );
+            await this.refreshPaymentStatus(connection, payment.invoice_received_id);
+
+            await connection.commit();
+            return [{id: result.insertId, created: true}];
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * Elimina un pago suelto (no de remesa ni de transferencia SEPA) y recalcula el estado de la factura
+     */
+    static async delete(id) {
+        const connection = await db.getConnection();
+        try {
+            await connection.beginTransaction();
+
+            const [payments] = await connection.query(`
+                SELECT invoice_received_id
+                FROM supplier_payments
+                WHERE id = ?
+                  AND payment_run_id IS NULL
+                  AND sepa_remittance_id IS NULL`, [id]);
+            if (!payments.length) {
+                await connection.rollback();
+                return [];
+            }
+
+            await connection.query(`DELETE FROM supplier_payments WHERE id = ?`, [id]);
+            await this.refreshPaymentStatus(connection, payments[0].invoice_received_id);
+
+            await connection.commit();
+            return [{id: Number(id), deleted: true}];
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * Recalcula el estado de pago de una factura recibida con lo pagado
+     * - Cubierta: 'paid', con la fecha, el método y la referencia del último pago.
+     * - Pagada en parte: 'partially_paid'.
+     * - Sin nada pagado: vuelve a 'pending' (o conserva 'overdue'/'disputed').
+     * Se ejecuta en la transacción que registra o elimina los pagos.
+     * @param {Object} connection - Conexión con la transacción abierta
+     * @param {number} invoiceId
+     */
+    static async refreshPaymentStatus(connection, invoiceId) {
+        const [invoices] = await connection.query(`
+            SELECT ir.total_amount, ir.collection_status, ir.collection_method, ${PAID} AS paid_amount
+            FROM invoices_received ir
+            WHERE ir.id = ?
+            FOR UPDATE`, [invoiceId]);
+        if (!invoices.length) return;
+        const invoice = invoices[0];
+
+        const paid = parseFloat(invoice.paid_amount);
+        const outstanding = Math.round((parseFloat(invoice.total_amount) - paid) * 100) / 100;
+
+        let status = invoice.collection_status;
+        let method = invoice.collection_method;
+        let date = null;
+        let reference = null;
+
+        if (outstanding <= 0 && paid > 0) {
+            const [lastPayments] = await connection.query(`
+                SELECT payment_date, method, reference
+                FROM supplier_payments
+                WHERE invoice_received_id = ?
+                ORDER BY payment_date DESC, id DESC
+                LIMIT 1`, [invoiceId]);
+
+            status = 'paid';
+            method = lastPayments[0].method;
+            date = lastPayments[0].payment_date;
+            reference = lastPayments[0].reference;
+        } else if (paid > 0) {
+            status = 'partially_paid';
+        } else if (['paid', 'partially_paid'].includes(status)) {
+            status = 'pending';
+        }
+
+        await connection.query(`
+            UPDATE invoices_received
+            SET collection_status    = ?,
+                collection_method    = ?,
+                collection_date      = ?,
+                collection_reference = ?,
+                updated_at           = NOW()
+            WHERE id = ?`, [status, method, date, reference, invoiceId]);
+    }
+}
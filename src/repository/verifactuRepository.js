@@ -0,0 +1,170 @@
+import db from '../db/dbConnect.js';
+
+const RECORD_FIELDS = `r.id, r.issuer_nif, r.chain_sequence, r.record_type, r.is_correction,
+                   r.invoices_issued_id, r.invoice_number, r.invoice_date, r.invoice_type,
+                   r.tax_amount, r.total_amount, r.previous_hash, r.hash, r.generated_at,
+                   r.submission_status, r.submission_reference, r.submission_error, r.submitted_at,
+                   r.created_at`;
+
+/**
+ * Repositorio de los registros de facturación VERI*FACTU
+ * Gestiona verifactu_records (registros inmutables encadenados por huella) y
+ * verifactu_chains (cabeza de la cadena de cada NIF emisor).
+ * Los registros nunca se modifican ni se borran: solo se actualiza el estado del envío.
+ */
+export default class VerifactuRepository {
+
+    // ========================================
+    // MÉTODOS DE BÚSQUEDA
+    // ========================================
+
+    /**
+     * Registros con filtros opcionales, en orden de cadena
+     * @param {Object} filters - {issuer_nif, invoice_id, submission_status}
+     */
+    static async findAll({issuer_nif = null, invoice_id = null, submission_status = null} = {}) {
+        const [rows] = await db.query(`
+            SELECT ${RECORD_FIELDS}
+            FROM verifactu_records r
+            WHERE (? IS NULL OR r.issuer_nif = ?)
+              AND (? IS NULL OR r.invoices_issued_id = ?)
+              AND (? IS NULL OR r.submission_status = ?)
+            ORDER BY r.issuer_nif ASC, r.chain_sequence ASC`,
+            [issuer_nif, issuer_nif, invoice_id, invoice_id, submission_status, submission_status]
+        );
+        return rows;
+    }
+
+    static async findById(id) {
+        const [rows] = await db.query(`
+            SELECT ${RECORD_FIELDS}
+            FROM verifactu_records r
+            WHERE r.id = ?`, [id]);
+        return rows;
+    }
+
+    /**
+     * Cadena completa de un emisor en orden
+     */
+    static async findByIssuer(issuerNif) {
+        const [rows] = await db.query(`
+            SELECT ${RECORD_FIELDS}
+            FROM verifactu_records r
+            WHERE r.issuer_nif = ?
+            ORDER BY r.chain_sequence ASC`, [issuerNif]);
+        return rows;
+    }
+
+    /**
+     * Último registro de una factura (el vigente: alta, subsanación o anulación)
+     * @param {Object} executor - Conexión de una transacción abierta o el pool
+     */
+    static async findLatestByInvoice(invoiceId, executor = db) {
+        const [rows] = await executor.query(`
+            SELECT ${RECORD_FIELDS}
+            FROM verifactu_records r
+            WHERE r.invoices_issued_id = ?
+            ORDER BY r.id DESC
+            LIMIT 1`, [invoiceId]);
+        return rows;
+    }
+
+    /**
+     * Registros pendientes de envío (o con error en el último intento), en orden de cadena
+     */
+    static async findPending() {
+        const [rows] = await db.query(`
+            SELECT ${RECORD_FIELDS}
+            FROM verifactu_records r
+            WHERE r.submission_status IN ('pending', 'error')
+            ORDER BY r.issuer_nif ASC, r.chain_sequence ASC`);
+        return rows;
+    }
+
+    // ========================================
+    // CADENAS
+    // ========================================
+
+    static async getChains(issuerNif = null) {
+        const [rows] = await db.query(`
+            SELECT issuer_nif, last_record_id, last_hash, records_count, updated_at
+            FROM verifactu_chains
+            WHERE (? IS NULL OR issuer_nif = ?)
+            ORDER BY issuer_nif ASC`, [issuerNif, issuerNif]);
+        return rows;
+    }
+
+    /**
+     * Bloquea la cabeza de la cadena de un emisor hasta el commit (la crea si no existe)
+     * Dos facturas del mismo emisor se registran así en serie y sin bifurcar la cadena.
+     * @param {Object} connection - Conexión con la transacción abierta
+     * @returns {Object} {issuer_nif, last_record_id, last_hash, records_count}
+     */
+    static async lockChain(connection, issuerNif) {
+        await connection.query(`
+            INSERT IGNORE INTO verifactu_chains (issuer_nif, records_count)
+            VALUES (?, 0)`, [issuerNif]);
+        const [rows] = await connection.query(`
+            SELECT issuer_nif, last_record_id, last_hash, records_count
+            FROM verifactu_chains
+            WHERE issuer_nif = ?
+            FOR UPDATE`, [issuerNif]);
+        return rows[0];
+    }
+
+    // ========================================
+    // MÉTODOS DE ESCRITURA
+    // ========================================
+
+    /**
+     * Inserta un registro y avanza la cabeza de su cadena
+     * @param {Object} connection - Conexión con la cadena bloqueada (lockChain)
+     * @returns {number} id del registro
+     */
+    static async insertRecord(connection, record) {
+        const {
+            issuer_nif, chain_sequence, record_type, is_correction = false,
+            invoices_issued_id = null, invoice_number, invoice_date, invoice_type = null,
+            tax_amount = null, total_amount = null, previous_hash = null, hash, generated_at
+        } = record;
+
+        const [result] = await connection.query(`
+            INSERT INTO verifactu_records (issuer_nif, chain_sequence, record_type, is_correction,
+                                           invoices_issued_id, invoice_number, invoice_date, invoice_type,
+                                           tax_amount, total_amount, previous_hash, hash, generated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                issuer_nif, chain_sequence, record_type, is_correction,
+                invoices_issued_id, invoice_number, invoice_date, invoice_type,
+                tax_amount, total_amount, previous_hash, hash, generated_at
+            ]
+        );
+
+        await connection.query(`
+            UPDATE verifactu_chains
+            SET last_record_id = ?,
+                last_hash      = ?,
+                records_count  = ?
+            WHERE issuer_nif = ?`,
+            [result.insertId, hash, chain_sequence, issuer_nif]
+        );
+
+        return result.insertId;
+    }
+
+    /**
+     * Guarda el resultado del envío a la AEAT (única modificación permitida en un registro)
+     */
+    static async updateSubmission(id, {submission_status, submission_reference = null, submission_error = null}) {
+        const [result] = await db.query(`
+            UPDATE verifactu_records
+            SET submission_status    = ?,
+                submission_reference = ?,
+                submission_error     = ?,
+                submitted_at         = NOW()
+            WHERE id = ?`,
+            [submission_status, submission_reference, submission_error, id]
+        );
+        return result.affectedRows > 0 ? [{id: Number(id), updated: true}] : [];
+    }
+}
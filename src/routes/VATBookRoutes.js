@@ -2,6 +2,8 @@ import express from 'express';
 import VATBookController from '../controllers/VATBookController.js';
 import auth from '../middlewares/auth.js';
 import role from '../middlewares/role.js';
+import errorHandler from '../middlewares/errorHandler.js';
+import { validateModelo303Query, validateModelo303Save } from '../validator/validatorModelo303.js';
 
 
 const router = express.Router();
@@ -31,6 +33,13 @@ router
     .get('/complete/:year', auth, role(['admin', 'employee']), VATBookController.getCompleteVATBooks)
     .get('/liquidation/:year/:quarter', auth, role(['admin', 'employee']), VATBookController.getQuarterlyVATLiquidation)
 
+    // Modelo 303
+    .get('/modelo-303', auth, role(['admin', 'employee']), VATBookController.getStoredModelo303)
+    .get('/modelo-303/:year/:quarter', auth, role(['admin', 'employee']), validateModelo303Query, errorHandler, VATBookController.getModelo303)
+    .get('/modelo-303/:year/:quarter/file', auth, role(['admin', 'employee']), validateModelo303Query, errorHandler, VATBookController.downloadModelo303File)
+    .get('/modelo-303/:year/:quarter/pdf', auth, role(['admin', 'employee']), validateModelo303Query, errorHandler, VATBookController.downloadModelo303PDF)
+    .post('/modelo-303/:year/:quarter', auth, role(['admin']), validateModelo303Save, errorHandler, VATBookController.saveModelo303)
+
     // Exportación
     .post('/export/excel', auth, role(['admin', 'employee']), VATBookController.exportVATBookToExcel)
     .post('/download/excel', auth, role(['admin', 'employee']), VATBookController.downloadVATBookExcel)
@@ -0,0 +1,288 @@
+import express from "express";
+import AccountingExportsController from "../controllers/accountingExportsControllers.js";
+import auth from "../middlewares/auth.js";
+import role from "../middlewares/role.js";
+import errorHandler from "../middlewares/errorHandler.js";
+import {
+    validateAccountMapping,
+    validateAccountMappingUpdate,
+    validateAccountingExport,
+    validateExportFile,
+    validateMappingFilters,
+    validatePendingExport
+} from "../validator/validatorAccounting.js";
+
+/**
+ * @swagger
+ * tags:
+ *   name: Exportación contable
+ *   description: >
+ *     Exporta los asientos de facturas emitidas, recibidas y gastos internos al programa
+ *     del asesor (ContaPlus SUENLACE.DAT, A3 o CSV). Cada asiento se exporta en un solo lote.
+ *     Mientras el lote exista, sus documentos no se pueden modificar ni eliminar (409 ACCOUNTING_ENTRY_EXPORTED).
+ */
+const router = express.Router()
+
+    /**
+     * @swagger
+     * /accounting-exports/mappings:
+     *   get:
+     *     summary: Subcuentas asignadas a clientes, proveedores y categorías de gasto
+     *     tags: [Exportación contable]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: query
+     *         name: mapping_type
+     *         schema:
+     *           type: string
+     *           enum: [client, supplier, expense_category]
+     *     responses:
+     *       200:
+     *         description: Mapeos
+     */
+    .get("/mappings", auth, role(['employee', 'admin']), validateMappingFilters, errorHandler, AccountingExportsController.getMappings)
+
+    /**
+     * @swagger
+     * /accounting-exports/mappings:
+     *   post:
+     *     summary: Asignar una subcuenta del asesor
+     *     description: >
+     *       mapping_key es el id del cliente o proveedor, o la categoría de la factura recibida o
+     *       del gasto interno. La subcuenta debe ser del grupo 43 (clientes), 40/41 (proveedores)
+     *       o 6 (gastos). Sin mapeo se usa la cuenta del PGC con ceros y el id (43000012).
+     *     tags: [Exportación contable]
+     *     security:
+     *       - bearerAuth: []
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             required: [mapping_type, mapping_key, account_code]
+     *             properties:
+     *               mapping_type:
+     *                 type: string
+     *                 enum: [client, supplier, expense_category]
+     *               mapping_key:
+     *                 type: string
+     *                 example: "12"
+     *               account_code:
+     *                 type: string
+     *                 example: "43000105"
+     *     responses:
+     *       201:
+     *         description: Mapeo creado
+     *       409:
+     *         description: Ya tiene mapeo
+     */
+    .post("/mappings", auth, role(['admin']), validateAccountMapping, errorHandler, AccountingExportsController.createMapping)
+
+    /**
+     * @swagger
+     * /accounting-exports/mappings/{id}:
+     *   put:
+     *     summary: Cambiar la subcuenta de un mapeo
+     *     tags: [Exportación contable]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             required: [account_code]
+     *             properties:
+     *               account_code:
+     *                 type: string
+     *     responses:
+     *       200:
+     *         description: Mapeo actualizado
+     *       404:
+     *         description: Mapeo no encontrado
+     */
+    .put("/mappings/:id", auth, role(['admin']), validateAccountMappingUpdate, errorHandler, AccountingExportsController.updateMapping)
+
+    /**
+     * @swagger
+     * /accounting-exports/mappings/{id}:
+     *   delete:
+     *     summary: Eliminar un mapeo
+     *     tags: [Exportación contable]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Mapeo eliminado
+     */
+    .delete("/mappings/:id", auth, role(['admin']), AccountingExportsController.deleteMapping)
+
+    /**
+     * @swagger
+     * /accounting-exports/pending:
+     *   get:
+     *     summary: Asientos del periodo pendientes de exportar, con la subcuenta de cada apunte
+     *     tags: [Exportación contable]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: query
+     *         name: date_from
+     *         required: true
+     *         schema:
+     *           type: string
+     *           format: date
+     *       - in: query
+     *         name: date_to
+     *         required: true
+     *         schema:
+     *           type: string
+     *           format: date
+     *     responses:
+     *       200:
+     *         description: Asientos pendientes
+     */
+    .get("/pending", auth, role(['employee', 'admin']), validatePendingExport, errorHandler, AccountingExportsController.getPendingEntries)
+
+    /**
+     * @swagger
+     * /accounting-exports:
+     *   get:
+     *     summary: Lotes exportados
+     *     tags: [Exportación contable]
+     *     security:
+     *       - bearerAuth: []
+     *     responses:
+     *       200:
+     *         description: Lotes, el más reciente primero
+     *       404:
+     *         description: No hay exportaciones
+     */
+    .get("/", auth, role(['employee', 'admin']), AccountingExportsController.getExports)
+
+    /**
+     * @swagger
+     * /accounting-exports:
+     *   post:
+     *     summary: Exportar los asientos pendientes del periodo
+     *     tags: [Exportación contable]
+     *     security:
+     *       - bearerAuth: []
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             required: [format, date_from, date_to]
+     *             properties:
+     *               format:
+     *                 type: string
+     *                 enum: [contaplus, a3, csv]
+     *               date_from:
+     *                 type: string
+     *                 format: date
+     *               date_to:
+     *                 type: string
+     *                 format: date
+     *     responses:
+     *       201:
+     *         description: Lote creado con sus asientos
+     *       404:
+     *         description: No hay asientos pendientes (NOTHING_TO_EXPORT)
+     *       409:
+     *         description: Otro lote se llevó algún asiento (ACCOUNTING_EXPORT_OUTDATED)
+     */
+    .post("/", auth, role(['admin']), validateAccountingExport, errorHandler, AccountingExportsController.createExport)
+
+    /**
+     * @swagger
+     * /accounting-exports/{id}:
+     *   get:
+     *     summary: Lote con sus asientos
+     *     tags: [Exportación contable]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Lote
+     *       404:
+     *         description: Exportación no encontrada
+     */
+    .get("/:id", auth, role(['employee', 'admin']), AccountingExportsController.getExportById)
+
+    /**
+     * @swagger
+     * /accounting-exports/{id}/file:
+     *   get:
+     *     summary: Descargar el fichero del lote
+     *     description: >
+     *       journal es el diario (SUENLACE.DAT o diario CSV); accounts las subcuentas y terceros
+     *       (SUBCTA.DAT o terceros CSV). A3 lleva las subcuentas en el propio SUENLACE.DAT.
+     *     tags: [Exportación contable]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *       - in: query
+     *         name: type
+     *         schema:
+     *           type: string
+     *           enum: [journal, accounts]
+     *           default: journal
+     *     responses:
+     *       200:
+     *         description: Fichero (ISO-8859-1 en ContaPlus y A3, UTF-8 en CSV)
+     *       404:
+     *         description: Exportación o fichero no encontrado
+     */
+    .get("/:id/file", auth, role(['employee', 'admin']), validateExportFile, errorHandler, AccountingExportsController.downloadFile)
+
+    /**
+     * @swagger
+     * /accounting-exports/{id}:
+     *   delete:
+     *     summary: Anular un lote (sus asientos vuelven a estar pendientes y sus documentos se pueden modificar)
+     *     tags: [Exportación contable]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Lote anulado
+     *       404:
+     *         description: Exportación no encontrada
+     */
+    .delete("/:id", auth, role(['admin']), AccountingExportsController.deleteExport)
+
+export default router;
@@ -0,0 +1,209 @@
+import express from "express";
+import AccountingController from "../controllers/accountingControllers.js";
+import auth from "../middlewares/auth.js";
+import role from "../middlewares/role.js";
+import errorHandler from "../middlewares/errorHandler.js";
+import {
+    validateJournalFilters,
+    validateLedger,
+    validateLedgerAccount,
+    validateTrialBalance
+} from "../validator/validatorAccounting.js";
+
+/**
+ * @swagger
+ * tags:
+ *   name: Contabilidad
+ *   description: >
+ *     Contabilidad por partida doble (PGC 2007). Los asientos se generan solos al crear,
+ *     modificar, abonar, cobrar o pagar facturas emitidas, recibidas y gastos internos, y al
+ *     registrar cobros y pagos; aquí se consultan el diario, el mayor y el balance.
+ */
+const router = express.Router()
+
+    /**
+     * @swagger
+     * /accounting/accounts:
+     *   get:
+     *     summary: Plan de cuentas
+     *     tags: [Contabilidad]
+     *     security:
+     *       - bearerAuth: []
+     *     responses:
+     *       200:
+     *         description: Cuentas ordenadas por código
+     */
+    .get("/accounts", auth, role(['employee', 'admin']), AccountingController.getAccounts)
+
+    /**
+     * @swagger
+     * /accounting/accounts:
+     *   post:
+     *     summary: Añadir una cuenta o subcuenta al plan
+     *     tags: [Contabilidad]
+     *     security:
+     *       - bearerAuth: []
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             required: [code, name, account_type]
+     *             properties:
+     *               code:
+     *                 type: string
+     *                 example: "6280001"
+     *               name:
+     *                 type: string
+     *                 example: Electricidad oficina
+     *               account_type:
+     *                 type: string
+     *                 enum: [asset, liability, equity, income, expense]
+     *     responses:
+     *       201:
+     *         description: Cuenta creada
+     *       409:
+     *         description: El código ya existe
+     */
+    .post("/accounts", auth, role(['admin']), validateLedgerAccount, errorHandler, AccountingController.createAccount)
+
+    /**
+     * @swagger
+     * /accounting/journal:
+     *   get:
+     *     summary: Libro diario
+     *     tags: [Contabilidad]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: query
+     *         name: date_from
+     *         schema:
+     *           type: string
+     *           format: date
+     *       - in: query
+     *         name: date_to
+     *         schema:
+     *           type: string
+     *           format: date
+     *       - in: query
+     *         name: source_type
+     *         schema:
+     *           type: string
+     *           enum: [invoice_issued, invoice_issued_collection, invoice_received, invoice_received_payment,
+     *                  internal_expense, internal_expense_payment, payment, supplier_payment, sepa_return]
+     *       - in: query
+     *         name: account_code
+     *         description: Asientos con algún apunte en la cuenta o sus subcuentas
+     *         schema:
+     *           type: string
+     *     responses:
+     *       200:
+     *         description: Asientos con sus apuntes
+     *       404:
+     *         description: No hay asientos
+     */
+    .get("/journal", auth, role(['employee', 'admin']), validateJournalFilters, errorHandler, AccountingController.getJournal)
+
+    /**
+     * @swagger
+     * /accounting/journal/{id}:
+     *   get:
+     *     summary: Asiento con sus apuntes
+     *     tags: [Contabilidad]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Asiento
+     *       404:
+     *         description: Asiento no encontrado
+     */
+    .get("/journal/:id", auth, role(['employee', 'admin']), AccountingController.getEntryById)
+
+    /**
+     * @swagger
+     * /accounting/ledger/{code}:
+     *   get:
+     *     summary: Mayor de una cuenta (incluye sus subcuentas)
+     *     tags: [Contabilidad]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: code
+     *         required: true
+     *         schema:
+     *           type: string
+     *           example: "430"
+     *       - in: query
+     *         name: date_from
+     *         description: Lo anterior se suma al saldo inicial
+     *         schema:
+     *           type: string
+     *           format: date
+     *       - in: query
+     *         name: date_to
+     *         schema:
+     *           type: string
+     *           format: date
+     *     responses:
+     *       200:
+     *         description: "{account, opening_balance, total_debit, total_credit, closing_balance, movements}"
+     *       404:
+     *         description: La cuenta no existe
+     */
+    .get("/ledger/:code", auth, role(['employee', 'admin']), validateLedger, errorHandler, AccountingController.getLedger)
+
+    /**
+     * @swagger
+     * /accounting/trial-balance:
+     *   get:
+     *     summary: Balance de sumas y saldos
+     *     tags: [Contabilidad]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: query
+     *         name: date_from
+     *         schema:
+     *           type: string
+     *           format: date
+     *       - in: query
+     *         name: date_to
+     *         schema:
+     *           type: string
+     *           format: date
+     *     responses:
+     *       200:
+     *         description: Sumas y saldos por cuenta con los totales (totals.balanced)
+     */
+    .get("/trial-balance", auth, role(['employee', 'admin']), validateTrialBalance, errorHandler, AccountingController.getTrialBalance)
+
+    /**
+     * @swagger
+     * /accounting/resync:
+     *   post:
+     *     summary: Regenerar los asientos de todos los documentos
+     *     description: >
+     *       Rehace los asientos de todas las facturas emitidas y recibidas, gastos internos,
+     *       devoluciones de adeudos, cobros y pagos a partir de su estado actual, y borra los de documentos eliminados.
+     *       Se ejecuta una vez tras la migración 031 para contabilizar los documentos anteriores,
+     *       y de nuevo si algún asiento falló al guardar un documento. Se puede repetir sin duplicar asientos.
+     *     tags: [Contabilidad]
+     *     security:
+     *       - bearerAuth: []
+     *     responses:
+     *       200:
+     *         description: "Documentos repasados por tipo y los que no se pudieron contabilizar: {invoices_issued, invoices_received, internal_expenses, sepa_returns, failed: [{type, id, message}]}"
+     */
+    .post("/resync", auth, role(['admin']), AccountingController.resync)
+
+export default router;
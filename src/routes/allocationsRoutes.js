@@ -0,0 +1,441 @@
+import express from "express";
+import AllocationsController from "../controllers/allocationsControllers.js";
+import auth from "../middlewares/auth.js";
+import role from "../middlewares/role.js";
+import errorHandler from "../middlewares/errorHandler.js";
+import {
+    validateCreateAllocationKey,
+    validateUpdateAllocationKey,
+    validateCreateAllocationRule,
+    validateUpdateAllocationRule,
+    validatePreviewAllocationKey,
+    validateRunAllocation,
+    validateExpenseAllocation
+} from "../validator/validatorAllocations.js";
+
+/**
+ * @swagger
+ * tags:
+ *   name: Reparto de gastos
+ *   description: Claves y reglas de reparto de los gastos generales (sin inmueble) entre propietarios
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ClaveReparto:
+ *       type: object
+ *       required:
+ *         - name
+ *         - method
+ *       properties:
+ *         id:
+ *           type: integer
+ *           readOnly: true
+ *         name:
+ *           type: string
+ *           example: Por superficie
+ *         method:
+ *           type: string
+ *           enum: [equal, ownership, surface, fixed]
+ *           description: >
+ *             equal = a partes iguales; ownership = por la propiedad de todos los inmuebles;
+ *             surface = por los m² poseídos; fixed = porcentajes de shares
+ *         description:
+ *           type: string
+ *           nullable: true
+ *         is_default:
+ *           type: boolean
+ *           description: Clave para los gastos a los que no aplica ninguna regla
+ *         shares:
+ *           type: array
+ *           description: Solo con method = fixed; deben sumar 100
+ *           items:
+ *             type: object
+ *             properties:
+ *               owners_id:
+ *                 type: integer
+ *               percentage:
+ *                 type: number
+ *                 example: 40
+ *     ReglaReparto:
+ *       type: object
+ *       required:
+ *         - allocation_key_id
+ *         - scope
+ *         - scope_value
+ *       properties:
+ *         id:
+ *           type: integer
+ *           readOnly: true
+ *         allocation_key_id:
+ *           type: integer
+ *         scope:
+ *           type: string
+ *           enum: [supplier, cost_center, category]
+ *           description: Precedencia supplier > cost_center > category
+ *         scope_value:
+ *           type: string
+ *           example: B12345678
+ *           description: NIF del proveedor, centro de coste o categoría del gasto
+ *     RepartoGasto:
+ *       type: object
+ *       properties:
+ *         owners_id:
+ *           type: integer
+ *         allocation_key_id:
+ *           type: integer
+ *           nullable: true
+ *           description: null si se repartió a partes iguales por falta de base de reparto
+ *         allocation_rule_id:
+ *           type: integer
+ *           nullable: true
+ *         percentage:
+ *           type: number
+ *         base:
+ *           type: number
+ *         iva:
+ *           type: number
+ *         irpf:
+ *           type: number
+ *         total:
+ *           type: number
+ */
+const router = express.Router()
+
+    // --- Claves de reparto ---
+
+    /**
+     * @swagger
+     * /allocations/keys:
+     *   get:
+     *     summary: Obtener todas las claves de reparto
+     *     tags: [Reparto de gastos]
+     *     security:
+     *       - bearerAuth: []
+     *     responses:
+     *       200:
+     *         description: Lista de claves (la de por defecto primero)
+     *       404:
+     *         description: No hay claves
+     */
+    .get("/keys", auth, role(['employee', 'admin']), AllocationsController.getAllKeys)
+
+    /**
+     * @swagger
+     * /allocations/keys/{id}:
+     *   get:
+     *     summary: Obtener una clave de reparto por ID
+     *     tags: [Reparto de gastos]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Clave encontrada
+     *       404:
+     *         description: No encontrada
+     */
+    .get("/keys/:id", auth, role(['employee', 'admin']), AllocationsController.getKeyById)
+
+    /**
+     * @swagger
+     * /allocations/keys/{id}/preview:
+     *   get:
+     *     summary: Porcentajes que aplica hoy una clave y reparto de un importe de ejemplo
+     *     tags: [Reparto de gastos]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *       - in: query
+     *         name: amount
+     *         description: Importe a repartir (100 por defecto)
+     *         schema:
+     *           type: number
+     *     responses:
+     *       200:
+     *         description: Porcentaje e importe por propietario
+     *       404:
+     *         description: Clave no encontrada
+     */
+    .get("/keys/:id/preview", auth, role(['employee', 'admin']), validatePreviewAllocationKey, errorHandler, AllocationsController.previewKey)
+
+    /**
+     * @swagger
+     * /allocations/keys:
+     *   post:
+     *     summary: Crear una clave de reparto
+     *     tags: [Reparto de gastos]
+     *     security:
+     *       - bearerAuth: []
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/ClaveReparto'
+     *     responses:
+     *       201:
+     *         description: Clave creada
+     *       400:
+     *         description: Datos inválidos o porcentajes que no suman 100
+     *       409:
+     *         description: Ya existe una clave con ese nombre
+     */
+    .post("/keys", auth, role(['admin']), validateCreateAllocationKey, errorHandler, AllocationsController.createKey)
+
+    /**
+     * @swagger
+     * /allocations/keys/{id}:
+     *   put:
+     *     summary: Actualizar una clave de reparto
+     *     description: Los gastos ya repartidos conservan su reparto; usar /allocations/run o /allocations/expenses/{type}/{id} para recalcularlo.
+     *     tags: [Reparto de gastos]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/ClaveReparto'
+     *     responses:
+     *       200:
+     *         description: Clave actualizada
+     *       404:
+     *         description: No encontrada
+     *       409:
+     *         description: Ya existe una clave con ese nombre
+     */
+    .put("/keys/:id", auth, role(['admin']), validateUpdateAllocationKey, errorHandler, AllocationsController.updateKey)
+
+    /**
+     * @swagger
+     * /allocations/keys/{id}:
+     *   delete:
+     *     summary: Eliminar una clave de reparto y sus reglas
+     *     tags: [Reparto de gastos]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       204:
+     *         description: Clave eliminada
+     *       404:
+     *         description: No encontrada
+     *       409:
+     *         description: La clave por defecto no se elimina
+     */
+    .delete("/keys/:id", auth, role(['admin']), AllocationsController.deleteKey)
+
+    // --- Reglas de reparto ---
+
+    /**
+     * @swagger
+     * /allocations/rules:
+     *   get:
+     *     summary: Obtener todas las reglas de reparto
+     *     tags: [Reparto de gastos]
+     *     security:
+     *       - bearerAuth: []
+     *     responses:
+     *       200:
+     *         description: Lista de reglas por orden de precedencia
+     *       404:
+     *         description: No hay reglas
+     */
+    .get("/rules", auth, role(['employee', 'admin']), AllocationsController.getAllRules)
+
+    /**
+     * @swagger
+     * /allocations/rules:
+     *   post:
+     *     summary: Asignar una clave a una categoría, centro de coste o proveedor
+     *     tags: [Reparto de gastos]
+     *     security:
+     *       - bearerAuth: []
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/ReglaReparto'
+     *     responses:
+     *       201:
+     *         description: Regla creada
+     *       404:
+     *         description: Clave no encontrada
+     *       409:
+     *         description: Ya existe una regla para ese valor
+     */
+    .post("/rules", auth, role(['admin']), validateCreateAllocationRule, errorHandler, AllocationsController.createRule)
+
+    /**
+     * @swagger
+     * /allocations/rules/{id}:
+     *   put:
+     *     summary: Actualizar una regla de reparto
+     *     tags: [Reparto de gastos]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/ReglaReparto'
+     *     responses:
+     *       200:
+     *         description: Regla actualizada
+     *       404:
+     *         description: No encontrada
+     *       409:
+     *         description: Ya existe una regla para ese valor
+     */
+    .put("/rules/:id", auth, role(['admin']), validateUpdateAllocationRule, errorHandler, AllocationsController.updateRule)
+
+    /**
+     * @swagger
+     * /allocations/rules/{id}:
+     *   delete:
+     *     summary: Eliminar una regla de reparto
+     *     tags: [Reparto de gastos]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       204:
+     *         description: Regla eliminada
+     *       404:
+     *         description: No encontrada
+     */
+    .delete("/rules/:id", auth, role(['admin']), AllocationsController.deleteRule)
+
+    // --- Reparto de gastos ---
+
+    /**
+     * @swagger
+     * /allocations/run:
+     *   post:
+     *     summary: Repartir los gastos generales de un año
+     *     description: Por defecto solo los que aún no tienen reparto guardado; con only_missing = false se recalculan todos.
+     *     tags: [Reparto de gastos]
+     *     security:
+     *       - bearerAuth: []
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             required:
+     *               - year
+     *             properties:
+     *               year:
+     *                 type: integer
+     *                 example: 2025
+     *               only_missing:
+     *                 type: boolean
+     *                 default: true
+     *     responses:
+     *       200:
+     *         description: Gastos repartidos y omitidos
+     */
+    .post("/run", auth, role(['admin']), validateRunAllocation, errorHandler, AllocationsController.runAllocation)
+
+    /**
+     * @swagger
+     * /allocations/expenses/{type}/{id}:
+     *   get:
+     *     summary: Reparto guardado de una factura recibida o un gasto interno
+     *     tags: [Reparto de gastos]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: type
+     *         required: true
+     *         schema:
+     *           type: string
+     *           enum: [received, internal]
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Importes por propietario
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: array
+     *               items:
+     *                 $ref: '#/components/schemas/RepartoGasto'
+     *       404:
+     *         description: El gasto no tiene reparto (tiene inmueble o aún no se ha repartido)
+     */
+    .get("/expenses/:type/:id", auth, role(['employee', 'admin']), validateExpenseAllocation, errorHandler, AllocationsController.getExpenseAllocation)
+
+    /**
+     * @swagger
+     * /allocations/expenses/{type}/{id}:
+     *   post:
+     *     summary: Recalcular el reparto de un gasto con las claves y reglas actuales
+     *     tags: [Reparto de gastos]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: type
+     *         required: true
+     *         schema:
+     *           type: string
+     *           enum: [received, internal]
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Reparto guardado (vacío si el gasto tiene inmueble)
+     *       404:
+     *         description: Gasto no encontrado
+     */
+    .post("/expenses/:type/:id", auth, role(['admin']), validateExpenseAllocation, errorHandler, AllocationsController.reallocateExpense)
+
+export default router;
@@ -0,0 +1,73 @@
+import express from "express";
+import AuditController from "../controllers/auditControllers.js";
+import auth from "../middlewares/auth.js";
+import role from "../middlewares/role.js";
+import errorHandler from "../middlewares/errorHandler.js";
+import { validateAuditFilters } from "../validator/validatorAudit.js";
+
+/**
+ * @swagger
+ * tags:
+ *   name: Auditoría
+ *   description: >
+ *     Registro de altas, modificaciones y bajas de facturas emitidas, recibidas, gastos internos,
+ *     clientes, propietarios, inmuebles, relaciones inmueble-propietario y usuarios, con usuario,
+ *     fecha, IP y los campos cambiados. Cada entidad tiene además su historial en /{id}/history.
+ */
+const router = express.Router()
+
+    /**
+     * @swagger
+     * /audit:
+     *   get:
+     *     summary: Registro de auditoría, el cambio más reciente primero
+     *     tags: [Auditoría]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: query
+     *         name: entity
+     *         schema:
+     *           type: string
+     *           enum: [invoice_issued, invoice_received, internal_expense, client, owner, estate, estate_owner, user]
+     *       - in: query
+     *         name: entity_id
+     *         schema:
+     *           type: integer
+     *       - in: query
+     *         name: action
+     *         schema:
+     *           type: string
+     *           enum: [create, update, delete]
+     *       - in: query
+     *         name: user_id
+     *         schema:
+     *           type: integer
+     *       - in: query
+     *         name: date_from
+     *         schema:
+     *           type: string
+     *           format: date
+     *       - in: query
+     *         name: date_to
+     *         schema:
+     *           type: string
+     *           format: date
+     *       - in: query
+     *         name: limit
+     *         schema:
+     *           type: integer
+     *           default: 100
+     *           maximum: 500
+     *       - in: query
+     *         name: offset
+     *         schema:
+     *           type: integer
+     *           default: 0
+     *     responses:
+     *       200:
+     *         description: Cambios con changes {campo {before, after}}
+     */
+    .get("/", auth, role(['admin']), validateAuditFilters, errorHandler, AuditController.getLog)
+
+export default router;
@@ -0,0 +1,315 @@
+import express from "express";
+import BankTransactionsController from "../controllers/bankTransactionsControllers.js";
+import auth from "../middlewares/auth.js";
+import role from "../middlewares/role.js";
+import errorHandler from "../middlewares/errorHandler.js";
+import { handleUploadErrors, uploadStatementFile } from "../middlewares/fileUpload.js";
+import {
+    validateAcceptMatch,
+    validateBankTransactionFilters,
+    validateMatchTransactions,
+    validateSplitTransaction
+} from "../validator/validatorBankTransactions.js";
+
+/**
+ * @swagger
+ * tags:
+ *   name: Conciliación bancaria
+ *   description: >
+ *     Importación de extractos Norma 43 (AEB) y CAMT.053 y conciliación de sus movimientos con
+ *     las facturas pendientes: los abonos con facturas emitidas y los cargos con facturas
+ *     recibidas. Al aceptar se registra el cobro o el pago con la referencia de la línea del
+ *     extracto (EXT-{extracto}-{línea}).
+ */
+const router = express.Router()
+
+    /**
+     * @swagger
+     * /bank-transactions:
+     *   get:
+     *     summary: Movimientos bancarios importados
+     *     tags: [Conciliación bancaria]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: query
+     *         name: status
+     *         schema:
+     *           type: string
+     *           enum: [unmatched, partially_matched, matched, ignored]
+     *       - in: query
+     *         name: statement_id
+     *         schema:
+     *           type: integer
+     *       - in: query
+     *         name: date_from
+     *         schema:
+     *           type: string
+     *           format: date
+     *       - in: query
+     *         name: date_to
+     *         schema:
+     *           type: string
+     *           format: date
+     *     responses:
+     *       200:
+     *         description: Movimientos con importe (abono > 0, cargo < 0), lo conciliado y lo pendiente
+     *       404:
+     *         description: No hay movimientos
+     */
+    .get("/", auth, role(['employee', 'admin']), validateBankTransactionFilters, errorHandler, BankTransactionsController.getTransactions)
+
+    /**
+     * @swagger
+     * /bank-transactions/statements:
+     *   get:
+     *     summary: Extractos importados
+     *     tags: [Conciliación bancaria]
+     *     security:
+     *       - bearerAuth: []
+     *     responses:
+     *       200:
+     *         description: Extractos con cuenta, período, saldos y número de movimientos
+     *       404:
+     *         description: No hay extractos
+     */
+    .get("/statements", auth, role(['employee', 'admin']), BankTransactionsController.getStatements)
+
+    /**
+     * @swagger
+     * /bank-transactions/import:
+     *   post:
+     *     summary: Importar un extracto bancario
+     *     description: >
+     *       Admite Norma 43 (cuaderno 43 de la AEB, con los totales del registro 33 comprobados) y
+     *       CAMT.053 (ISO 20022); el formato se detecta por el contenido. Un fichero con varias
+     *       cuentas crea un extracto por cuenta. Tras importar se proponen conciliaciones para
+     *       cada movimiento.
+     *     tags: [Conciliación bancaria]
+     *     security:
+     *       - bearerAuth: []
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         multipart/form-data:
+     *           schema:
+     *             type: object
+     *             required: [statement_file]
+     *             properties:
+     *               statement_file:
+     *                 type: string
+     *                 format: binary
+     *                 description: Fichero .n43, .q43, .aeb, .txt, .csb o .xml (máx. 10MB)
+     *     responses:
+     *       201:
+     *         description: Extractos creados con el número de movimientos y de propuestas
+     *       400:
+     *         description: Sin fichero o fichero no válido (INVALID_STATEMENT_FILE)
+     *       409:
+     *         description: El fichero ya se importó (STATEMENT_ALREADY_IMPORTED)
+     */
+    .post("/import", auth, role(['admin']), uploadStatementFile, handleUploadErrors, BankTransactionsController.importStatement)
+
+    /**
+     * @swagger
+     * /bank-transactions/match:
+     *   post:
+     *     summary: Volver a proponer conciliaciones de los movimientos pendientes
+     *     description: >
+     *       Puntúa cada factura pendiente por importe (pendiente o total), fecha dentro de la
+     *       ventana alrededor del vencimiento, número de factura en el concepto y NIF del cliente
+     *       o proveedor; propone hasta 3 por movimiento. Las propuestas descartadas no se repiten.
+     *     tags: [Conciliación bancaria]
+     *     security:
+     *       - bearerAuth: []
+     *     requestBody:
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             properties:
+     *               statement_id:
+     *                 type: integer
+     *               ids:
+     *                 type: array
+     *                 items:
+     *                   type: integer
+     *               date_window:
+     *                 type: integer
+     *                 description: Días alrededor del vencimiento (por defecto 15)
+     *     responses:
+     *       200:
+     *         description: Movimientos revisados y propuestas creadas
+     */
+    .post("/match", auth, role(['admin']), validateMatchTransactions, errorHandler, BankTransactionsController.matchTransactions)
+
+    /**
+     * @swagger
+     * /bank-transactions/{id}:
+     *   get:
+     *     summary: Movimiento bancario con sus conciliaciones
+     *     tags: [Conciliación bancaria]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Movimiento con matches (factura, importe, puntuación, motivos y estado)
+     *       404:
+     *         description: Movimiento no encontrado
+     */
+    .get("/:id", auth, role(['employee', 'admin']), BankTransactionsController.getTransactionById)
+
+    /**
+     * @swagger
+     * /bank-transactions/{id}/matches/{matchId}/accept:
+     *   put:
+     *     summary: Aceptar una propuesta de conciliación
+     *     description: >
+     *       Registra en una sola transacción el cobro (factura emitida) o el pago (factura recibida)
+     *       con la fecha del movimiento y su line_reference como referencia, y recalcula el estado
+     *       de cobro o pago de la factura.
+     *     tags: [Conciliación bancaria]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *       - in: path
+     *         name: matchId
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     requestBody:
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             properties:
+     *               amount:
+     *                 type: number
+     *                 description: Por defecto, el importe propuesto
+     *     responses:
+     *       200:
+     *         description: Movimiento actualizado
+     *       400:
+     *         description: Importe no válido o superior a lo pendiente del movimiento
+     *       404:
+     *         description: Movimiento o propuesta no encontrados
+     *       409:
+     *         description: El movimiento, la propuesta o la factura ya no están pendientes (BANK_TRANSACTION_OUTDATED)
+     */
+    .put("/:id/matches/:matchId/accept", auth, role(['admin']), validateAcceptMatch, errorHandler, BankTransactionsController.acceptMatch)
+
+    /**
+     * @swagger
+     * /bank-transactions/{id}/matches/{matchId}/reject:
+     *   put:
+     *     summary: Descartar una propuesta de conciliación
+     *     tags: [Conciliación bancaria]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *       - in: path
+     *         name: matchId
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Movimiento actualizado
+     *       404:
+     *         description: Movimiento o propuesta no encontrados
+     *       409:
+     *         description: El movimiento ya está conciliado o ignorado
+     */
+    .put("/:id/matches/:matchId/reject", auth, role(['admin']), BankTransactionsController.rejectMatch)
+
+    /**
+     * @swagger
+     * /bank-transactions/{id}/split:
+     *   post:
+     *     summary: Repartir el movimiento entre varias facturas
+     *     description: >
+     *       Los abonos se reparten entre facturas emitidas y los cargos entre recibidas. La suma no
+     *       puede superar lo pendiente del movimiento ni cada importe el pendiente de su factura.
+     *     tags: [Conciliación bancaria]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             required: [allocations]
+     *             properties:
+     *               allocations:
+     *                 type: array
+     *                 items:
+     *                   type: object
+     *                   required: [invoice_type, invoice_id, amount]
+     *                   properties:
+     *                     invoice_type:
+     *                       type: string
+     *                       enum: [issued, received]
+     *                     invoice_id:
+     *                       type: integer
+     *                     amount:
+     *                       type: number
+     *     responses:
+     *       200:
+     *         description: Movimiento actualizado
+     *       400:
+     *         description: Reparto no válido (BANK_SPLIT_INVALID, con la lista de problemas)
+     *       404:
+     *         description: Movimiento no encontrado
+     *       409:
+     *         description: El movimiento o alguna factura ya no están pendientes
+     */
+    .post("/:id/split", auth, role(['admin']), validateSplitTransaction, errorHandler, BankTransactionsController.splitTransaction)
+
+    /**
+     * @swagger
+     * /bank-transactions/{id}/ignore:
+     *   put:
+     *     summary: Ignorar un movimiento que no corresponde a ninguna factura
+     *     tags: [Conciliación bancaria]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Movimiento ignorado; sus propuestas quedan descartadas
+     *       404:
+     *         description: Movimiento no encontrado
+     *       409:
+     *         description: El movimiento ya tiene algo conciliado
+     */
+    .put("/:id/ignore", auth, role(['admin']), BankTransactionsController.ignoreTransaction)
+
+export default router;
@@ -0,0 +1,165 @@
+import express from "express";
+import BillingRunsController from "../controllers/billingRunsControllers.js";
+import auth from "../middlewares/auth.js";
+import role from "../middlewares/role.js";
+import errorHandler from "../middlewares/errorHandler.js";
+import { validateBillingRun } from "../validator/validatorBillingRuns.js";
+
+/**
+ * @swagger
+ * tags:
+ *   name: Facturación de contratos
+ *   description: Emisión mensual de facturas a partir de los contratos activos
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     EjecucionFacturacion:
+ *       type: object
+ *       properties:
+ *         run_id:
+ *           type: integer
+ *           nullable: true
+ *           description: ID de la ejecución (null en simulaciones)
+ *         corresponding_month:
+ *           type: string
+ *           example: "2025-04"
+ *         dry_run:
+ *           type: boolean
+ *         summary:
+ *           type: object
+ *           properties:
+ *             created:
+ *               type: integer
+ *             skipped:
+ *               type: integer
+ *             failed:
+ *               type: integer
+ *             to_create:
+ *               type: integer
+ *         items:
+ *           type: array
+ *           description: Resultado por factura (contrato + propietario)
+ *           items:
+ *             type: object
+ *             properties:
+ *               lease_id:
+ *                 type: integer
+ *               owners_id:
+ *                 type: integer
+ *               status:
+ *                 type: string
+ *                 enum: [created, skipped, failed, to_create]
+ *               invoice_id:
+ *                 type: integer
+ *                 nullable: true
+ *               tax_base:
+ *                 type: number
+ *               total:
+ *                 type: number
+ *               message:
+ *                 type: string
+ *                 nullable: true
+ */
+const router = express.Router()
+
+    // --- Rutas de Consulta (GET) ---
+
+    /**
+     * @swagger
+     * /billing-runs:
+     *   get:
+     *     summary: Historial de ejecuciones de facturación
+     *     tags: [Facturación de contratos]
+     *     security:
+     *       - bearerAuth: []
+     *     responses:
+     *       200:
+     *         description: Lista de ejecuciones con sus contadores
+     *       404:
+     *         description: No hay ejecuciones
+     */
+    .get("/", auth, role(['employee', 'admin']), BillingRunsController.getAllRuns)
+
+    /**
+     * @swagger
+     * /billing-runs/{id}:
+     *   get:
+     *     summary: Detalle de una ejecución con el resultado por factura
+     *     tags: [Facturación de contratos]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Ejecución encontrada
+     *       400:
+     *         description: ID inválido
+     *       404:
+     *         description: No encontrada
+     */
+    .get("/:id", auth, role(['employee', 'admin']), BillingRunsController.getRunById)
+
+    // --- Rutas de Modificación ---
+
+    /**
+     * @swagger
+     * /billing-runs:
+     *   post:
+     *     summary: Lanzar (o simular) la facturación mensual de contratos
+     *     description: >
+     *       Emite una factura por propietario para cada contrato activo del mes,
+     *       repartiendo la renta según ownership_percentage. Las facturas ya
+     *       emitidas para contrato + propietario + mes se omiten (skipped), por lo
+     *       que relanzar el mismo mes es seguro. Con dry_run=true no se crea nada.
+     *     tags: [Facturación de contratos]
+     *     security:
+     *       - bearerAuth: []
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             required:
+     *               - year
+     *               - month
+     *             properties:
+     *               year:
+     *                 type: integer
+     *                 example: 2025
+     *               month:
+     *                 type: integer
+     *                 minimum: 1
+     *                 maximum: 12
+     *               dry_run:
+     *                 type: boolean
+     *                 default: false
+     *     responses:
+     *       200:
+     *         description: Simulación (dry_run)
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/EjecucionFacturacion'
+     *       201:
+     *         description: Ejecución completada
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/EjecucionFacturacion'
+     *       400:
+     *         description: Parámetros inválidos
+     *       409:
+     *         description: Ya hay una ejecución en curso para ese mes
+     */
+    .post("/", auth, role(['admin']), validateBillingRun, errorHandler, BillingRunsController.runMonthlyBilling)
+
+export default router;
@@ -1,9 +1,13 @@
 import express from "express";
 import ClientsControllers from "../controllers/clientsControllers.js";
 import {validateClient} from "../validator/validatorClients.js";
+import SepaRemittancesController from "../controllers/sepaRemittancesControllers.js";
+import {validateSepaMandate} from "../validator/validatorSepa.js";
 import errorHandler from "../middlewares/errorHandler.js";
 import auth from "../middlewares/auth.js";
 import role from "../middlewares/role.js";
+import audit from "../middlewares/audit.js";
+import AuditController from "../controllers/auditControllers.js";
 
 /**
  * @swagger
@@ -301,6 +305,100 @@ const router = express.Router()
      */
     .get('/:id', auth, role(['admin', 'employee']), ClientsControllers.getById)
 
+    /**
+     * @swagger
+     * /clients/{id}/history:
+     *   get:
+     *     summary: Historial de cambios del cliente
+     *     description: Altas, modificaciones y bajas con usuario, fecha, IP y campos cambiados
+     *     tags: [Clientes]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Historial, del cambio más antiguo al más reciente
+     */
+    .get('/:id/history', auth, role(['admin']), AuditController.history('client'))
+
+    /**
+     * @swagger
+     * /clients/{id}/sepa-mandate:
+     *   get:
+     *     summary: Mandato SEPA de adeudo directo del cliente
+     *     tags: [Clientes]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: "{client_id, sepa_mandate_id, sepa_mandate_date, sepa_iban, sepa_bic, sepa_sequence_type}"
+     *       404:
+     *         description: Cliente no encontrado
+     */
+    .get('/:id/sepa-mandate', auth, role(['admin', 'employee']), SepaRemittancesController.getClientMandate)
+
+    /**
+     * @swagger
+     * /clients/{id}/sepa-mandate:
+     *   put:
+     *     summary: Guardar el mandato SEPA del cliente
+     *     description: >
+     *       Sin sepa_mandate_id se borra el mandato. El tipo de secuencia es FRST por defecto
+     *       y pasa a RCUR automáticamente al incluir el primer adeudo en una remesa.
+     *     tags: [Clientes]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             properties:
+     *               sepa_mandate_id:
+     *                 type: string
+     *                 maxLength: 35
+     *                 description: Referencia única del mandato
+     *               sepa_mandate_date:
+     *                 type: string
+     *                 format: date
+     *                 description: Fecha de firma
+     *               sepa_iban:
+     *                 type: string
+     *               sepa_bic:
+     *                 type: string
+     *               sepa_sequence_type:
+     *                 type: string
+     *                 enum: [FRST, RCUR]
+     *     responses:
+     *       200:
+     *         description: Mandato guardado
+     *       400:
+     *         description: IBAN, BIC o fecha de firma no válidos
+     *       404:
+     *         description: Cliente no encontrado
+     *       409:
+     *         description: Otro cliente ya tiene esa referencia de mandato
+     */
+    .put('/:id/sepa-mandate', auth, role(['admin']), validateSepaMandate, errorHandler, audit('client'), SepaRemittancesController.saveClientMandate)
+
     //Crear, actualizar y eliminar solo admin
 
     /**
@@ -329,7 +427,7 @@ const router = express.Router()
      *       403:
      *         description: No tiene permiso
      */
-    .post('/', auth, role(['admin', 'employee']), validateClient, errorHandler, ClientsControllers.createClient)
+    .post('/', auth, role(['admin', 'employee']), validateClient, errorHandler, audit('client'), ClientsControllers.createClient)
 
     /**
      * @swagger
@@ -362,7 +460,7 @@ const router = express.Router()
      *       404:
      *         description: Cliente no encontrado
      */
-    .put('/:id', auth, role(['admin']), validateClient, errorHandler, ClientsControllers.updateClient)
+    .put('/:id', auth, role(['admin']), validateClient, errorHandler, audit('client'), ClientsControllers.updateClient)
 
     /**
      * @swagger
@@ -387,6 +485,6 @@ const router = express.Router()
      *       404:
      *         description: Cliente no encontrado
      */
-    .delete('/:id', auth, role(['admin']), ClientsControllers.deleteClient)
+    .delete('/:id', auth, role(['admin']), audit('client'), ClientsControllers.deleteClient)
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,321 @@
+import express from "express";
+import DepositsController from "../controllers/depositsControllers.js";
+import auth from "../middlewares/auth.js";
+import role from "../middlewares/role.js";
+import errorHandler from "../middlewares/errorHandler.js";
+import {
+    validateApplyDeposit,
+    validateCreateDeposit,
+    validateDepositFilters,
+    validateHeldDepositsReport,
+    validateReturnDeposit,
+    validateUpdateDeposit
+} from "../validator/validatorDeposits.js";
+
+/**
+ * @swagger
+ * tags:
+ *   name: Fianzas
+ *   description: Fianzas de los inquilinos, su depósito en el organismo autonómico, aplicación a facturas y devolución
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Fianza:
+ *       type: object
+ *       required:
+ *         - amount
+ *         - received_date
+ *       properties:
+ *         id:
+ *           type: integer
+ *         estates_id:
+ *           type: integer
+ *           description: Inmueble (obligatorio si no se indica el contrato)
+ *         clients_id:
+ *           type: integer
+ *           description: Inquilino (obligatorio si no se indica el contrato)
+ *         lease_id:
+ *           type: integer
+ *           nullable: true
+ *           description: Contrato; si se indica, el inmueble y el inquilino son los del contrato
+ *         amount:
+ *           type: number
+ *           format: float
+ *         received_date:
+ *           type: string
+ *           format: date
+ *         lodging_body:
+ *           type: string
+ *           description: Organismo autonómico donde se deposita
+ *         lodging_reference:
+ *           type: string
+ *           description: Referencia del depósito en el organismo
+ *         lodged_date:
+ *           type: string
+ *           format: date
+ *         returned_date:
+ *           type: string
+ *           format: date
+ *           readOnly: true
+ *         returned_amount:
+ *           type: number
+ *           readOnly: true
+ *         applied_amount:
+ *           type: number
+ *           readOnly: true
+ *           description: Importe aplicado a facturas
+ *         held_amount:
+ *           type: number
+ *           readOnly: true
+ *           description: Retenido (importe - aplicado - devuelto; 0 si está devuelta)
+ *         status:
+ *           type: string
+ *           enum: [held, returned]
+ *           readOnly: true
+ *         notes:
+ *           type: string
+ */
+const router = express.Router()
+
+    // --- Rutas de Consulta (GET) ---
+
+    /**
+     * @swagger
+     * /deposits:
+     *   get:
+     *     summary: Obtener las fianzas
+     *     tags: [Fianzas]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: query
+     *         name: estate_id
+     *         schema:
+     *           type: integer
+     *       - in: query
+     *         name: client_id
+     *         schema:
+     *           type: integer
+     *       - in: query
+     *         name: lease_id
+     *         schema:
+     *           type: integer
+     *       - in: query
+     *         name: status
+     *         schema:
+     *           type: string
+     *           enum: [held, returned]
+     *     responses:
+     *       200:
+     *         description: Lista de fianzas
+     *       404:
+     *         description: No hay fianzas
+     */
+    .get("/", auth, role(['employee', 'admin']), validateDepositFilters, errorHandler, DepositsController.getAllDeposits)
+
+    /**
+     * @swagger
+     * /deposits/held-by-owner:
+     *   get:
+     *     summary: Fianzas retenidas por propietario
+     *     description: >
+     *       Fianzas sin devolver con lo retenido (importe - aplicado - devuelto). Cada fianza
+     *       cuenta para los propietarios del inmueble por su porcentaje de propiedad.
+     *     tags: [Fianzas]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: query
+     *         name: owner_id
+     *         schema:
+     *           type: integer
+     *         description: Solo ese propietario
+     *     responses:
+     *       200:
+     *         description: "[{owners_id, owner_name, owner_identification, deposits_count, total_held, deposits}]"
+     */
+    .get("/held-by-owner", auth, role(['employee', 'admin']), validateHeldDepositsReport, errorHandler, DepositsController.getHeldByOwner)
+
+    /**
+     * @swagger
+     * /deposits/{id}:
+     *   get:
+     *     summary: Obtener una fianza con sus aplicaciones a facturas
+     *     tags: [Fianzas]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Fianza
+     *       404:
+     *         description: Fianza no encontrada
+     */
+    .get("/:id", auth, role(['employee', 'admin']), DepositsController.getDepositById)
+
+    // --- Rutas de Modificación (solo admin) ---
+
+    /**
+     * @swagger
+     * /deposits:
+     *   post:
+     *     summary: Registrar una fianza
+     *     tags: [Fianzas]
+     *     security:
+     *       - bearerAuth: []
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/Fianza'
+     *     responses:
+     *       201:
+     *         description: Fianza registrada
+     *       404:
+     *         description: Inmueble, inquilino o contrato no encontrado
+     */
+    .post("/", auth, role(['admin']), validateCreateDeposit, errorHandler, DepositsController.createDeposit)
+
+    /**
+     * @swagger
+     * /deposits/{id}/applications:
+     *   post:
+     *     summary: Aplicar la fianza a una factura emitida pendiente
+     *     description: >
+     *       La factura debe ser del inquilino de la fianza. Cuando lo aplicado cubre su total,
+     *       se registra el cobro de la factura con collection_method 'deposit' y la referencia
+     *       FIANZA-{id}; ese cobro ya no se puede modificar desde las facturas.
+     *     tags: [Fianzas]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             required:
+     *               - invoice_issued_id
+     *             properties:
+     *               invoice_issued_id:
+     *                 type: integer
+     *               amount:
+     *                 type: number
+     *                 description: Por defecto, lo pendiente de la factura (hasta lo retenido)
+     *               applied_date:
+     *                 type: string
+     *                 format: date
+     *                 description: Hoy por defecto
+     *               notes:
+     *                 type: string
+     *     responses:
+     *       201:
+     *         description: Fianza con la aplicación registrada
+     *       409:
+     *         description: Fianza devuelta, saldo insuficiente, factura de otro inquilino o ya cobrada
+     */
+    .post("/:id/applications", auth, role(['admin']), validateApplyDeposit, errorHandler, DepositsController.applyToInvoice)
+
+    /**
+     * @swagger
+     * /deposits/{id}/return:
+     *   put:
+     *     summary: Registrar la devolución de la fianza
+     *     tags: [Fianzas]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     requestBody:
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             properties:
+     *               returned_date:
+     *                 type: string
+     *                 format: date
+     *                 description: Hoy por defecto
+     *               returned_amount:
+     *                 type: number
+     *                 description: Por defecto, todo lo retenido
+     *     responses:
+     *       200:
+     *         description: Fianza devuelta
+     *       409:
+     *         description: La fianza ya está devuelta
+     */
+    .put("/:id/return", auth, role(['admin']), validateReturnDeposit, errorHandler, DepositsController.returnDeposit)
+
+    /**
+     * @swagger
+     * /deposits/{id}:
+     *   put:
+     *     summary: Actualizar una fianza
+     *     tags: [Fianzas]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/Fianza'
+     *     responses:
+     *       200:
+     *         description: Fianza actualizada
+     *       404:
+     *         description: Fianza no encontrada
+     *       409:
+     *         description: El importe es inferior a lo ya aplicado o devuelto
+     */
+    .put("/:id", auth, role(['admin']), validateUpdateDeposit, errorHandler, DepositsController.updateDeposit)
+
+    /**
+     * @swagger
+     * /deposits/{id}:
+     *   delete:
+     *     summary: Eliminar una fianza
+     *     tags: [Fianzas]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       204:
+     *         description: Fianza eliminada
+     *       409:
+     *         description: La fianza ya se ha aplicado o devuelto
+     */
+    .delete("/:id", auth, role(['admin']), DepositsController.deleteDeposit)
+
+export default router;
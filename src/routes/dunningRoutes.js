@@ -0,0 +1,338 @@
+import express from "express";
+import DunningController from "../controllers/dunningControllers.js";
+import auth from "../middlewares/auth.js";
+import role from "../middlewares/role.js";
+import errorHandler from "../middlewares/errorHandler.js";
+import {
+    validateDunningDate,
+    validateDunningEventFilters,
+    validateDunningLevel,
+    validateDunningLevelUpdate,
+    validateDunningPause,
+    validateDunningPauseFilters,
+    validateDunningRun,
+    validateLiftDunningPause
+} from "../validator/validatorDunning.js";
+
+/**
+ * @swagger
+ * tags:
+ *   name: Reclamación de impagos
+ *   description: >
+ *     Reclamación escalonada de facturas vencidas: niveles configurables (recordatorio,
+ *     requerimiento formal, borrador de burofax), carta en PDF por nivel a partir de su
+ *     plantilla, historial por factura y cliente (con las devoluciones de adeudo), y pausas por
+ *     compromiso de pago, disputa o entrada resuelta de la lista de impagos.
+ */
+const router = express.Router()
+
+    // --- Niveles ---
+
+    /**
+     * @swagger
+     * /dunning/levels:
+     *   get:
+     *     summary: Niveles de reclamación con sus plantillas
+     *     tags: [Reclamación de impagos]
+     *     security:
+     *       - bearerAuth: []
+     *     responses:
+     *       200:
+     *         description: "[{id, level, name, days_overdue, letter_type, subject, body, active}]"
+     */
+    .get("/levels", auth, role(['employee', 'admin']), DunningController.getLevels)
+
+    /**
+     * @swagger
+     * /dunning/levels:
+     *   post:
+     *     summary: Crear un nivel de reclamación
+     *     tags: [Reclamación de impagos]
+     *     security:
+     *       - bearerAuth: []
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             required: [level, name, days_overdue, letter_type, subject, body]
+     *             properties:
+     *               level:
+     *                 type: integer
+     *                 example: 4
+     *               name:
+     *                 type: string
+     *               days_overdue:
+     *                 type: integer
+     *                 example: 90
+     *                 description: Días desde el vencimiento a partir de los que se envía la carta
+     *               letter_type:
+     *                 type: string
+     *                 enum: [reminder, formal_notice, burofax]
+     *               subject:
+     *                 type: string
+     *                 example: "Reclamación de la factura {{invoice_number}}"
+     *               body:
+     *                 type: string
+     *                 description: >
+     *                   Texto de la carta. Marcadores: {{client_name}}, {{client_identification}},
+     *                   {{client_address}}, {{invoice_number}}, {{invoice_date}}, {{due_date}},
+     *                   {{days_overdue}}, {{outstanding_amount}}, {{estate_address}}, {{company_name}},
+     *                   {{company_bank_account}}, {{today}}
+     *               active:
+     *                 type: boolean
+     *     responses:
+     *       201:
+     *         description: Nivel creado
+     *       400:
+     *         description: Marcador desconocido (DUNNING_TEMPLATE_INVALID) o días fuera de orden (DUNNING_LEVEL_ORDER)
+     *       409:
+     *         description: El nivel ya existe (DUNNING_LEVEL_EXISTS)
+     */
+    .post("/levels", auth, role(['admin']), validateDunningLevel, errorHandler, DunningController.createLevel)
+
+    /**
+     * @swagger
+     * /dunning/levels/{id}:
+     *   put:
+     *     summary: Modificar un nivel (plantilla, días, tipo de carta o desactivarlo)
+     *     tags: [Reclamación de impagos]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Nivel actualizado
+     *       400:
+     *         description: Marcador desconocido o días fuera de orden
+     *       404:
+     *         description: Nivel de reclamación no encontrado
+     */
+    .put("/levels/:id", auth, role(['admin']), validateDunningLevelUpdate, errorHandler, DunningController.updateLevel)
+
+    // --- Facturas vencidas y ejecución ---
+
+    /**
+     * @swagger
+     * /dunning/invoices:
+     *   get:
+     *     summary: Facturas vencidas con su nivel actual, el siguiente y si están pausadas
+     *     tags: [Reclamación de impagos]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: query
+     *         name: date
+     *         schema:
+     *           type: string
+     *           format: date
+     *         description: Fecha de referencia (hoy por defecto)
+     *     responses:
+     *       200:
+     *         description: "[{id, invoice_number, client_name, due_date, days_overdue, outstanding_amount, current_level, next_level, paused}]"
+     */
+    .get("/invoices", auth, role(['employee', 'admin']), validateDunningDate, errorHandler, DunningController.getOverdueInvoices)
+
+    /**
+     * @swagger
+     * /dunning/run:
+     *   post:
+     *     summary: Avanzar las facturas vencidas de nivel y generar sus cartas
+     *     description: >
+     *       Es la misma tarea que ejecuta el programador cada día con AUTO_DUNNING_ENABLED=true.
+     *       Cada factura avanza un nivel por ejecución (el siguiente al último enviado, si ya
+     *       alcanza sus días de retraso) y nunca recibe dos veces el mismo nivel.
+     *     tags: [Reclamación de impagos]
+     *     security:
+     *       - bearerAuth: []
+     *     requestBody:
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             properties:
+     *               date:
+     *                 type: string
+     *                 format: date
+     *               dry_run:
+     *                 type: boolean
+     *     responses:
+     *       200:
+     *         description: Simulación (dry_run)
+     *       201:
+     *         description: "{date, dry_run, summary: {overdue, sent, to_send, paused, up_to_date, failed}, items}"
+     */
+    .post("/run", auth, role(['admin']), validateDunningRun, errorHandler, DunningController.runDunning)
+
+    // --- Historial ---
+
+    /**
+     * @swagger
+     * /dunning/events:
+     *   get:
+     *     summary: Historial de cartas, pausas y reanudaciones
+     *     tags: [Reclamación de impagos]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: query
+     *         name: clients_id
+     *         schema:
+     *           type: integer
+     *       - in: query
+     *         name: invoice_issued_id
+     *         schema:
+     *           type: integer
+     *       - in: query
+     *         name: level
+     *         schema:
+     *           type: integer
+     *       - in: query
+     *         name: event_type
+     *         schema:
+     *           type: string
+     *           enum: [letter, return, pause, resume]
+     *       - in: query
+     *         name: date_from
+     *         schema:
+     *           type: string
+     *           format: date
+     *       - in: query
+     *         name: date_to
+     *         schema:
+     *           type: string
+     *           format: date
+     *     responses:
+     *       200:
+     *         description: Eventos, el más reciente primero
+     */
+    .get("/events", auth, role(['employee', 'admin']), validateDunningEventFilters, errorHandler, DunningController.getEvents)
+
+    /**
+     * @swagger
+     * /dunning/events/{id}/pdf:
+     *   get:
+     *     summary: Carta de reclamación en PDF, tal como se generó
+     *     tags: [Reclamación de impagos]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: PDF de la carta
+     *         content:
+     *           application/pdf:
+     *             schema:
+     *               type: string
+     *               format: binary
+     *       400:
+     *         description: El evento no tiene carta asociada
+     *       404:
+     *         description: Evento de reclamación no encontrado
+     */
+    .get("/events/:id/pdf", auth, role(['employee', 'admin']), DunningController.downloadLetter)
+
+    // --- Pausas ---
+
+    /**
+     * @swagger
+     * /dunning/pauses:
+     *   get:
+     *     summary: Pausas de la reclamación
+     *     tags: [Reclamación de impagos]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: query
+     *         name: status
+     *         schema:
+     *           type: string
+     *           enum: [active, lifted]
+     *       - in: query
+     *         name: clients_id
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: >
+     *           Pausas, la más reciente primero. reason es payment_promise, dispute o resolved
+     *           (creada al resolver la entrada dunning_entry_id de la lista de impagos)
+     */
+    .get("/pauses", auth, role(['employee', 'admin']), validateDunningPauseFilters, errorHandler, DunningController.getPauses)
+
+    /**
+     * @swagger
+     * /dunning/pauses:
+     *   post:
+     *     summary: Pausar la reclamación de un cliente o de una de sus facturas
+     *     tags: [Reclamación de impagos]
+     *     security:
+     *       - bearerAuth: []
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             required: [clients_id, reason]
+     *             properties:
+     *               clients_id:
+     *                 type: integer
+     *               invoice_issued_id:
+     *                 type: integer
+     *                 description: Solo esa factura (todas las del cliente si se omite)
+     *               reason:
+     *                 type: string
+     *                 enum: [payment_promise, dispute]
+     *               paused_until:
+     *                 type: string
+     *                 format: date
+     *                 description: Obligatoria en los compromisos de pago; la reclamación se reanuda al día siguiente
+     *               notes:
+     *                 type: string
+     *     responses:
+     *       201:
+     *         description: Pausa registrada
+     *       404:
+     *         description: Cliente o factura no encontrados
+     *       409:
+     *         description: Ya hay una pausa activa igual (DUNNING_PAUSE_EXISTS)
+     */
+    .post("/pauses", auth, role(['admin']), validateDunningPause, errorHandler, DunningController.createPause)
+
+    /**
+     * @swagger
+     * /dunning/pauses/{id}/lift:
+     *   put:
+     *     summary: Levantar una pausa (la reclamación se reanuda en la siguiente ejecución)
+     *     tags: [Reclamación de impagos]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Pausa levantada
+     *       404:
+     *         description: Pausa no encontrada
+     *       409:
+     *         description: La pausa ya está levantada
+     */
+    .put("/pauses/:id/lift", auth, role(['admin']), validateLiftDunningPause, errorHandler, DunningController.liftPause)
+
+export default router;
@@ -3,6 +3,8 @@ import EstateOwnersController from "../controllers/estatesOwnersControllers.js";
 import auth from "../middlewares/auth.js";
 import role from "../middlewares/role.js";
 import errorHandler from "../middlewares/errorHandler.js";
+import audit from "../middlewares/audit.js";
+import AuditController from "../controllers/auditControllers.js";
 import { validateCreateEstateOwner, validateUpdateEstateOwner } from "../validator/validatorEstatesOwners.js";
 
 
@@ -61,6 +63,27 @@ const router = express.Router()
     //búsqueda por ID
     .get("/:id", auth, role(['employee', 'admin']), EstateOwnersController.getEstateOwnersById)
 
+    /**
+     * @swagger
+     * /estate-owners/{id}/history:
+     *   get:
+     *     summary: Historial de cambios de la relación
+     *     description: Altas, modificaciones y bajas con usuario, fecha, IP y campos cambiados
+     *     tags: [Inmuebles-Propietarios]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Historial, del cambio más antiguo al más reciente
+     */
+    .get("/:id/history", auth, role(['admin']), AuditController.history('estate_owner'))
+
     /**
      * @swagger
      * /estates-owners:
@@ -99,7 +122,7 @@ const router = express.Router()
      *         description: No autorizado
      */
     // Crear
-    .post("/", auth, role(['admin']), validateCreateEstateOwner, errorHandler, EstateOwnersController.createEstateOwners)
+    .post("/", auth, role(['admin']), validateCreateEstateOwner, errorHandler, audit('estate_owner'), EstateOwnersController.createEstateOwners)
     /**
      * @swagger
      * /estates-owners/{id}:
@@ -135,7 +158,7 @@ const router = express.Router()
      *         description: No autorizado
      */
     // Actualizar por ID ÚNICO
-    .put("/:id", auth, role(['admin']), validateUpdateEstateOwner, errorHandler, EstateOwnersController.updateEstateOwners)
+    .put("/:id", auth, role(['admin']), validateUpdateEstateOwner, errorHandler, audit('estate_owner'), EstateOwnersController.updateEstateOwners)
 
     /**
      * @swagger
@@ -161,6 +184,6 @@ const router = express.Router()
      *         description: No autorizado
      */
     // Eliminar por ID ÚNICO
-    .delete("/:id", auth, role(['admin']), EstateOwnersController.deleteEstateOwners)
+    .delete("/:id", auth, role(['admin']), audit('estate_owner'), EstateOwnersController.deleteEstateOwners)
 
 export default router;
\ No newline at end of file
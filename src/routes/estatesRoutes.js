@@ -4,6 +4,8 @@ import {validateEstate} from "../validator/validatorEstates.js";
 import errorHandler from "../middlewares/errorHandler.js";
 import auth from "../middlewares/auth.js";
 import role from "../middlewares/role.js";
+import audit from "../middlewares/audit.js";
+import AuditController from "../controllers/auditControllers.js";
 
 /**
  * @swagger
@@ -90,6 +92,27 @@ const router = express.Router()
      */
     .get('/:id', auth, role(['admin', 'employee']), EstateController.getById)
 
+    /**
+     * @swagger
+     * /estates/{id}/history:
+     *   get:
+     *     summary: Historial de cambios del inmueble
+     *     description: Altas, modificaciones y bajas con usuario, fecha, IP y campos cambiados
+     *     tags: [Inmuebles]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Historial, del cambio más antiguo al más reciente
+     */
+    .get('/:id/history', auth, role(['admin']), AuditController.history('estate'))
+
 
     //Crear, actualizar y eliminar solo admin
 
@@ -119,6 +142,12 @@ const router = express.Router()
      *                 type: number
      *               surface:
      *                 type: number
+     *               cadastral_value:
+     *                 type: number
+     *                 description: Valor catastral total (recibo del IBI)
+     *               cadastral_construction_value:
+     *                 type: number
+     *                 description: Valor catastral de la construcción (base de la amortización del 3%)
      *             example:
      *               cadastral_reference: "1234567AB1234C0001XY"
      *               address: "Calle Mayor, 1"
@@ -130,7 +159,7 @@ const router = express.Router()
      *       400:
      *         description: Datos inválidos
      */
-    .post('/', auth, role(['admin', 'employee']), validateEstate, errorHandler, EstateController.createEstate)
+    .post('/', auth, role(['admin', 'employee']), validateEstate, errorHandler, audit('estate'), EstateController.createEstate)
 
     /**
      * @swagger
@@ -159,6 +188,12 @@ const router = express.Router()
      *                 type: number
      *               surface:
      *                 type: number
+     *               cadastral_value:
+     *                 type: number
+     *                 description: Valor catastral total (recibo del IBI)
+     *               cadastral_construction_value:
+     *                 type: number
+     *                 description: Valor catastral de la construcción (base de la amortización del 3%)
      *     responses:
      *       200:
      *         description: Inmueble actualizado
@@ -167,7 +202,7 @@ const router = express.Router()
      *       404:
      *         description: No encontrado
      */
-    .put('/:id', auth, role(['admin']), validateEstate, errorHandler, EstateController.updateEstate)
+    .put('/:id', auth, role(['admin']), validateEstate, errorHandler, audit('estate'), EstateController.updateEstate)
 
     /**
      * @swagger
@@ -189,6 +224,6 @@ const router = express.Router()
      *       404:
      *         description: No encontrado
      */
-    .delete('/:id', auth, role(['admin']), EstateController.deleteEstate)
+    .delete('/:id', auth, role(['admin']), audit('estate'), EstateController.deleteEstate)
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,224 @@
+import express from "express";
+import FiscalPeriodsController from "../controllers/fiscalPeriodsControllers.js";
+import auth from "../middlewares/auth.js";
+import role from "../middlewares/role.js";
+import errorHandler from "../middlewares/errorHandler.js";
+import {
+    validateFiscalPeriod,
+    validateFiscalPeriodCheck,
+    validateFiscalPeriodClose,
+    validateFiscalPeriodFilters,
+    validateFiscalPeriodReopen
+} from "../validator/validatorFiscalPeriods.js";
+
+/**
+ * @swagger
+ * tags:
+ *   name: Periodos fiscales
+ *   description: >
+ *     Cierre de meses, trimestres y ejercicios. Con el periodo cerrado no se crean, modifican
+ *     ni eliminan facturas emitidas, recibidas ni gastos internos fechados en él
+ *     (409 FISCAL_PERIOD_CLOSED); las correcciones se hacen con rectificativas.
+ */
+const router = express.Router()
+
+    /**
+     * @swagger
+     * /fiscal-periods:
+     *   get:
+     *     summary: Periodos fiscales
+     *     tags: [Periodos fiscales]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: query
+     *         name: year
+     *         schema:
+     *           type: integer
+     *       - in: query
+     *         name: status
+     *         schema:
+     *           type: string
+     *           enum: [open, closed]
+     *       - in: query
+     *         name: period_type
+     *         schema:
+     *           type: string
+     *           enum: [month, quarter, year]
+     *     responses:
+     *       200:
+     *         description: Periodos, el más reciente primero
+     */
+    .get("/", auth, role(['employee', 'admin']), validateFiscalPeriodFilters, errorHandler, FiscalPeriodsController.getPeriods)
+
+    /**
+     * @swagger
+     * /fiscal-periods/check:
+     *   get:
+     *     summary: Comprobar si una fecha está en un periodo cerrado
+     *     tags: [Periodos fiscales]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: query
+     *         name: date
+     *         required: true
+     *         schema:
+     *           type: string
+     *           format: date
+     *     responses:
+     *       200:
+     *         description: locked y los periodos cerrados que incluyen la fecha
+     */
+    .get("/check", auth, role(['employee', 'admin']), validateFiscalPeriodCheck, errorHandler, FiscalPeriodsController.checkDate)
+
+    /**
+     * @swagger
+     * /fiscal-periods/{id}:
+     *   get:
+     *     summary: Periodo con su historial de cierres y reaperturas
+     *     tags: [Periodos fiscales]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Periodo
+     *       404:
+     *         description: Periodo fiscal no encontrado
+     */
+    .get("/:id", auth, role(['employee', 'admin']), FiscalPeriodsController.getPeriodById)
+
+    /**
+     * @swagger
+     * /fiscal-periods:
+     *   post:
+     *     summary: Crear un periodo fiscal (abierto)
+     *     tags: [Periodos fiscales]
+     *     security:
+     *       - bearerAuth: []
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             required: [period_type, year]
+     *             properties:
+     *               period_type:
+     *                 type: string
+     *                 enum: [month, quarter, year]
+     *               year:
+     *                 type: integer
+     *                 example: 2025
+     *               period:
+     *                 type: integer
+     *                 description: Mes (1-12) o trimestre (1-4); no se usa en el ejercicio
+     *                 example: 1
+     *               notes:
+     *                 type: string
+     *     responses:
+     *       201:
+     *         description: Periodo creado
+     *       409:
+     *         description: El periodo ya existe (FISCAL_PERIOD_EXISTS)
+     */
+    .post("/", auth, role(['admin']), validateFiscalPeriod, errorHandler, FiscalPeriodsController.createPeriod)
+
+    /**
+     * @swagger
+     * /fiscal-periods/{id}/close:
+     *   put:
+     *     summary: Cerrar el periodo
+     *     tags: [Periodos fiscales]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     requestBody:
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             properties:
+     *               notes:
+     *                 type: string
+     *     responses:
+     *       200:
+     *         description: Periodo cerrado
+     *       404:
+     *         description: Periodo fiscal no encontrado
+     *       409:
+     *         description: Ya estaba cerrado (FISCAL_PERIOD_ALREADY_CLOSED)
+     */
+    .put("/:id/close", auth, role(['admin']), validateFiscalPeriodClose, errorHandler, FiscalPeriodsController.closePeriod)
+
+    /**
+     * @swagger
+     * /fiscal-periods/{id}/reopen:
+     *   put:
+     *     summary: Reabrir el periodo (queda registrado con su motivo)
+     *     tags: [Periodos fiscales]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             required: [reason]
+     *             properties:
+     *               reason:
+     *                 type: string
+     *                 example: Factura de proveedor recibida tras el cierre
+     *     responses:
+     *       200:
+     *         description: Periodo reabierto
+     *       404:
+     *         description: Periodo fiscal no encontrado
+     *       409:
+     *         description: No estaba cerrado (FISCAL_PERIOD_NOT_CLOSED)
+     */
+    .put("/:id/reopen", auth, role(['admin']), validateFiscalPeriodReopen, errorHandler, FiscalPeriodsController.reopenPeriod)
+
+    /**
+     * @swagger
+     * /fiscal-periods/{id}:
+     *   delete:
+     *     summary: Eliminar un periodo abierto
+     *     tags: [Periodos fiscales]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Periodo eliminado
+     *       404:
+     *         description: Periodo fiscal no encontrado
+     *       409:
+     *         description: El periodo está cerrado
+     */
+    .delete("/:id", auth, role(['admin']), FiscalPeriodsController.deletePeriod)
+
+export default router;
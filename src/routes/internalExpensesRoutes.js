@@ -2,6 +2,8 @@ import express from 'express';
 import InternalExpensesController from '../controllers/internalExpensesControllers.js';
 import auth from "../middlewares/auth.js";
 import role from "../middlewares/role.js";
+import audit from "../middlewares/audit.js";
+import AuditController from "../controllers/auditControllers.js";
 import {uploadInvoiceFile, handleUploadErrors} from "../middlewares/fileUpload.js";
 
 /**
@@ -130,6 +132,10 @@ import {uploadInvoiceFile, handleUploadErrors} from "../middlewares/fileUpload.j
  *           type: string
  *           format: date
  *           description: Fecha de aprobación
+ *         payment_date:
+ *           type: string
+ *           format: date
+ *           description: Fecha de pago (fecha del asiento de pago)
  *         created_at:
  *           type: string
  *           format: date-time
@@ -711,6 +717,27 @@ const router = express.Router()
      */
     .get('/:id', auth, role(['admin', 'employee']), InternalExpensesController.getExpenseById)
 
+    /**
+     * @swagger
+     * /internal-expenses/{id}/history:
+     *   get:
+     *     summary: Historial de cambios del gasto
+     *     description: Altas, modificaciones y bajas con usuario, fecha, IP y campos cambiados
+     *     tags: [Gastos Internos]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Historial, del cambio más antiguo al más reciente
+     */
+    .get('/:id/history', auth, role(['admin']), AuditController.history('internal_expense'))
+
     // ==========================================
     // OPERACIONES POST (SOLO ADMIN)
     // ==========================================
@@ -757,7 +784,7 @@ const router = express.Router()
      *       403:
      *         description: No tiene permiso
      */
-    .post('/', auth, role(['admin', 'employee']), uploadInvoiceFile, handleUploadErrors, InternalExpensesController.createExpense)
+    .post('/', auth, role(['admin', 'employee']), uploadInvoiceFile, handleUploadErrors, audit('internal_expense'), InternalExpensesController.createExpense)
 
     /**
      * @swagger
@@ -1025,7 +1052,7 @@ const router = express.Router()
      *       404:
      *         description: Gasto no encontrado
      */
-    .put('/:id', auth, role(['admin']), uploadInvoiceFile, handleUploadErrors, InternalExpensesController.updateExpense)
+    .put('/:id', auth, role(['admin']), uploadInvoiceFile, handleUploadErrors, audit('internal_expense'), InternalExpensesController.updateExpense)
 
     /**
      * @swagger
@@ -1073,7 +1100,7 @@ const router = express.Router()
      *       403:
      *         description: No tiene permiso
      */
-    .put('/:id/approve', auth, role(['admin']), InternalExpensesController.approveExpense)
+    .put('/:id/approve', auth, role(['admin']), audit('internal_expense'), InternalExpensesController.approveExpense)
 
     /**
      * @swagger
@@ -1121,7 +1148,7 @@ const router = express.Router()
      *       403:
      *         description: No tiene permiso
      */
-    .put('/:id/reject', auth, role(['admin']), InternalExpensesController.rejectExpense)
+    .put('/:id/reject', auth, role(['admin']), audit('internal_expense'), InternalExpensesController.rejectExpense)
 
     /**
      * @swagger
@@ -1138,6 +1165,19 @@ const router = express.Router()
      *         schema:
      *           type: integer
      *         description: ID del gasto interno
+     *     requestBody:
+     *       required: false
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             properties:
+     *               payment_date:
+     *                 type: string
+     *                 format: date
+     *                 description: Fecha de pago (hoy por defecto); fecha el asiento de pago
+     *           example:
+     *             payment_date: "2024-08-05"
      *     responses:
      *       200:
      *         description: Gasto marcado como pagado correctamente
@@ -1151,13 +1191,13 @@ const router = express.Router()
      *                 expense:
      *                   $ref: '#/components/schemas/GastoInterno'
      *       400:
-     *         description: Error al marcar como pagado - solo se pueden pagar gastos aprobados
+     *         description: Error al marcar como pagado - solo se pueden pagar gastos aprobados, o fecha de pago futura o anterior al gasto
      *       401:
      *         description: No autorizado
      *       403:
      *         description: No tiene permiso
      */
-    .put('/:id/pay', auth, role(['admin']), InternalExpensesController.markExpenseAsPaid)
+    .put('/:id/pay', auth, role(['admin']), audit('internal_expense'), InternalExpensesController.markExpenseAsPaid)
 
     /**
      * @swagger
@@ -1190,6 +1230,10 @@ const router = express.Router()
      *               approved_by:
      *                 type: string
      *                 description: Usuario que realiza el cambio (requerido para approved/rejected)
+     *               payment_date:
+     *                 type: string
+     *                 format: date
+     *                 description: Fecha de pago al pasar a paid (hoy por defecto)
      *           example:
      *             status: "approved"
      *             approved_by: "manager@company.com"
@@ -1212,7 +1256,7 @@ const router = express.Router()
      *       403:
      *         description: No tiene permiso
      */
-    .put('/:id/status', auth, role(['admin']), InternalExpensesController.updateExpenseStatus)
+    .put('/:id/status', auth, role(['admin']), audit('internal_expense'), InternalExpensesController.updateExpenseStatus)
 
     // ==========================================
     // OPERACIONES DELETE (SOLO ADMIN)
@@ -1243,6 +1287,6 @@ const router = express.Router()
      *       403:
      *         description: No tiene permiso
      */
-    .delete('/:id', auth, role(['admin']), InternalExpensesController.deleteExpense)
+    .delete('/:id', auth, role(['admin']), audit('internal_expense'), InternalExpensesController.deleteExpense)
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,222 @@
+import express from "express";
+import InvoiceSeriesController from "../controllers/invoiceSeriesControllers.js";
+import auth from "../middlewares/auth.js";
+import role from "../middlewares/role.js";
+import errorHandler from "../middlewares/errorHandler.js";
+import {
+    validateCreateInvoiceSeries,
+    validateUpdateInvoiceSeries,
+    validateNextNumber
+} from "../validator/validatorInvoiceSeries.js";
+
+/**
+ * @swagger
+ * tags:
+ *   name: Series de numeración
+ *   description: Numeración correlativa de facturas emitidas por propietario y año fiscal
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SerieNumeracion:
+ *       type: object
+ *       required:
+ *         - pattern
+ *       properties:
+ *         id:
+ *           type: integer
+ *           readOnly: true
+ *         owners_id:
+ *           type: integer
+ *           nullable: true
+ *           description: Propietario de la serie (null = serie por defecto para propietarios sin serie propia)
+ *         series_type:
+ *           type: string
+ *           enum: [invoice, refund]
+ *           default: invoice
+ *           description: Facturas ordinarias o rectificativas (abonos)
+ *         pattern:
+ *           type: string
+ *           example: "{OWNER}-{YYYY}-{SEQ:5}"
+ *           description: "Marcadores: {OWNER}, {YYYY}, {YY}, {SEQ:n}. Debe incluir el año y un único {SEQ}"
+ *         owner_code:
+ *           type: string
+ *           nullable: true
+ *           example: JPG
+ *           description: Valor de {OWNER} (por defecto, el NIF del propietario)
+ *         is_default:
+ *           type: boolean
+ *           readOnly: true
+ */
+const router = express.Router()
+
+    // --- Rutas de Consulta (GET) ---
+
+    /**
+     * @swagger
+     * /invoice-series:
+     *   get:
+     *     summary: Obtener todas las series de numeración
+     *     tags: [Series de numeración]
+     *     security:
+     *       - bearerAuth: []
+     *     responses:
+     *       200:
+     *         description: Lista de series
+     *       404:
+     *         description: No hay series
+     */
+    .get("/", auth, role(['employee', 'admin']), InvoiceSeriesController.getAllSeries)
+
+    /**
+     * @swagger
+     * /invoice-series/next-number:
+     *   get:
+     *     summary: Previsualizar el siguiente número de factura de un propietario
+     *     description: No reserva el número; el definitivo se asigna al crear la factura.
+     *     tags: [Series de numeración]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: query
+     *         name: owners_id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *       - in: query
+     *         name: series_type
+     *         schema:
+     *           type: string
+     *           enum: [invoice, refund]
+     *       - in: query
+     *         name: date
+     *         description: Fecha de la factura (define el año fiscal; hoy por defecto)
+     *         schema:
+     *           type: string
+     *           format: date
+     *     responses:
+     *       200:
+     *         description: Serie aplicada, año fiscal y siguiente número
+     *       400:
+     *         description: Parámetros inválidos
+     *       404:
+     *         description: Propietario no encontrado
+     */
+    .get("/next-number", auth, role(['employee', 'admin']), validateNextNumber, errorHandler, InvoiceSeriesController.getNextNumber)
+
+    /**
+     * @swagger
+     * /invoice-series/{id}:
+     *   get:
+     *     summary: Obtener una serie por ID
+     *     tags: [Series de numeración]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Serie encontrada
+     *       404:
+     *         description: No encontrada
+     */
+    .get("/:id", auth, role(['employee', 'admin']), InvoiceSeriesController.getSeriesById)
+
+    // --- Rutas de Modificación ---
+
+    /**
+     * @swagger
+     * /invoice-series:
+     *   post:
+     *     summary: Crear una serie para un propietario (o una serie por defecto)
+     *     tags: [Series de numeración]
+     *     security:
+     *       - bearerAuth: []
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/SerieNumeracion'
+     *     responses:
+     *       201:
+     *         description: Serie creada
+     *       400:
+     *         description: Patrón inválido
+     *       404:
+     *         description: Propietario no encontrado
+     *       409:
+     *         description: El propietario ya tiene una serie de ese tipo
+     */
+    .post("/", auth, role(['admin']), validateCreateInvoiceSeries, errorHandler, InvoiceSeriesController.createSeries)
+
+    /**
+     * @swagger
+     * /invoice-series/{id}:
+     *   put:
+     *     summary: Cambiar el patrón o el código de una serie
+     *     description: Solo se permite si la serie no ha numerado facturas en el año fiscal en curso.
+     *     tags: [Series de numeración]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             properties:
+     *               pattern:
+     *                 type: string
+     *               owner_code:
+     *                 type: string
+     *                 nullable: true
+     *     responses:
+     *       200:
+     *         description: Serie actualizada
+     *       404:
+     *         description: No encontrada
+     *       409:
+     *         description: La serie ya ha numerado facturas este año
+     */
+    .put("/:id", auth, role(['admin']), validateUpdateInvoiceSeries, errorHandler, InvoiceSeriesController.updateSeries)
+
+    /**
+     * @swagger
+     * /invoice-series/{id}:
+     *   delete:
+     *     summary: Eliminar una serie de propietario sin facturas numeradas
+     *     tags: [Series de numeración]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       204:
+     *         description: Serie eliminada
+     *       400:
+     *         description: Las series por defecto no se eliminan
+     *       404:
+     *         description: No encontrada
+     *       409:
+     *         description: La serie ya ha numerado facturas
+     */
+    .delete("/:id", auth, role(['admin']), InvoiceSeriesController.deleteSeries)
+
+export default router;
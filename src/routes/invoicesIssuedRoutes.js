@@ -1,9 +1,13 @@
 import express from 'express';
 import InvoicesIssuedController from '../controllers/invoicesIssuedControllers.js';
 import {validateCreateInvoiceIssued} from "../validator/validatorInvoicesIssued.js";
+import {validateInvoiceLines} from "../validator/validatorInvoiceLines.js";
+import {validateFacturaeDownload, validateFacturaeBatch} from "../validator/validatorFacturae.js";
 import auth from '../middlewares/auth.js';
 import role from '../middlewares/role.js';
 import errorHandler from '../middlewares/errorHandler.js';
+import audit from '../middlewares/audit.js';
+import AuditController from '../controllers/auditControllers.js';
 
 /**
  * @swagger
@@ -16,6 +20,51 @@ import errorHandler from '../middlewares/errorHandler.js';
  * @swagger
  * components:
  *   schemas:
+ *     LineaFactura:
+ *       type: object
+ *       required:
+ *         - description
+ *         - unit_price
+ *       properties:
+ *         line_number:
+ *           type: integer
+ *           readOnly: true
+ *         description:
+ *           type: string
+ *           example: Renta vivienda
+ *         quantity:
+ *           type: number
+ *           default: 1
+ *         unit_price:
+ *           type: number
+ *           format: float
+ *         discount:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 100
+ *           default: 0
+ *           description: Descuento en porcentaje
+ *         iva:
+ *           type: number
+ *           enum: [0, 4, 10, 21]
+ *           default: 21
+ *           description: Tipo de IVA de la línea
+ *         irpf:
+ *           type: number
+ *           default: 0
+ *           description: Tipo de retención de la línea
+ *         tax_base:
+ *           type: number
+ *           readOnly: true
+ *         iva_amount:
+ *           type: number
+ *           readOnly: true
+ *         irpf_amount:
+ *           type: number
+ *           readOnly: true
+ *         total:
+ *           type: number
+ *           readOnly: true
  *     FacturaEmitida:
  *       type: object
  *       required:
@@ -32,7 +81,7 @@ import errorHandler from '../middlewares/errorHandler.js';
  *           description: ID auto-generado de la factura
  *         invoice_number:
  *           type: string
- *           description: Número de factura (auto-generado)
+ *           description: Número de factura (auto-generado en la serie del propietario y año fiscal, ver /invoice-series)
  *         estates_id:
  *           type: integer
  *           description: ID de la propiedad
@@ -42,6 +91,10 @@ import errorHandler from '../middlewares/errorHandler.js';
  *         owners_id:
  *           type: integer
  *           description: ID del propietario
+ *         lease_id:
+ *           type: integer
+ *           nullable: true
+ *           description: ID del contrato de arrendamiento (aplica prorrateo automático en meses parciales)
  *         ownership_percent:
  *           type: number
  *           format: float
@@ -84,7 +137,7 @@ import errorHandler from '../middlewares/errorHandler.js';
  *           description: ID de la factura original (para abonos)
  *         collection_status:
  *           type: string
- *           enum: [pending, collected, overdue]
+ *           enum: [pending, partially_collected, remitted, collected, overdue]
  *           default: pending
  *           description: Estado de cobro de la factura
  *         collection_method:
@@ -153,9 +206,14 @@ import errorHandler from '../middlewares/errorHandler.js';
  *           type: string
  *           readOnly: true
  *           description: Número de factura original (para abonos)
+ *         lines:
+ *           type: array
+ *           description: Líneas de detalle (opcional). Si se envían, base, IVA, IRPF y total se calculan a partir de ellas
+ *           items:
+ *             $ref: '#/components/schemas/LineaFactura'
  *       example:
  *         id: 1
- *         invoice_number: "FACT-0001"
+ *         invoice_number: "12345678Z-2025-00001"
  *         estates_id: 5
  *         clients_id: 3
  *         owners_id: 2
@@ -441,6 +499,9 @@ const router = express.Router()
      *                   - $ref: '#/components/schemas/FacturaEmitida'
      *                   - type: object
      *                     properties:
+     *                       outstanding_amount:
+     *                         type: number
+     *                         description: Pendiente (total menos cobros imputados y fianza aplicada)
      *                       days_overdue:
      *                         type: integer
      *                         description: Días de retraso
@@ -640,7 +701,7 @@ const router = express.Router()
      *         schema:
      *           type: string
      *         description: Número de la factura
-     *         example: "FACT-0001"
+     *         example: "12345678Z-2025-00001"
      *     responses:
      *       200:
      *         description: Factura encontrada
@@ -755,7 +816,7 @@ const router = express.Router()
      *         required: true
      *         schema:
      *           type: string
-     *           enum: [pending, collected, overdue]
+     *           enum: [pending, partially_collected, remitted, collected, overdue]
      *         description: Estado de cobro
      *     responses:
      *       200:
@@ -866,6 +927,45 @@ const router = express.Router()
      */
     .get('/:id/pdf', auth, role(['admin', 'employee']), InvoicesIssuedController.downloadPdf)
 
+    /**
+     * @swagger
+     * /invoices-issued/{id}/facturae:
+     *   get:
+     *     summary: Descarga una factura o abono en formato Facturae 3.2.2 (XML)
+     *     description: |
+     *       El propietario es el emisor y el cliente el receptor. Los abonos se emiten como
+     *       facturas rectificativas que referencian la factura original. Con sign=true el
+     *       documento se firma (XAdES-EPES) con el certificado PKCS#12 configurado en el servidor.
+     *     tags: [Facturas Emitidas]
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *         description: ID de la factura o del abono
+     *       - in: query
+     *         name: sign
+     *         schema:
+     *           type: boolean
+     *           default: false
+     *         description: Firmar el documento (.xsig)
+     *     responses:
+     *       200:
+     *         description: Documento Facturae para descarga
+     *         content:
+     *           application/xml:
+     *             schema:
+     *               type: string
+     *       400:
+     *         description: Faltan datos del propietario o del cliente para generar Facturae
+     *       404:
+     *         description: Factura no encontrada
+     *       500:
+     *         description: Firma no configurada o certificado inválido
+     */
+    .get('/:id/facturae', auth, role(['admin', 'employee']), validateFacturaeDownload, errorHandler, InvoicesIssuedController.downloadFacturae)
+
     /**
      * @swagger
      * /invoices-issued/refunds/{id}/pdf:
@@ -944,6 +1044,27 @@ const router = express.Router()
      */
     .get('/:id', auth, role(['admin', 'employee']), InvoicesIssuedController.getInvoiceById)
 
+    /**
+     * @swagger
+     * /invoices-issued/{id}/history:
+     *   get:
+     *     summary: Historial de cambios de la factura
+     *     description: Altas, modificaciones y bajas con usuario, fecha, IP y campos cambiados
+     *     tags: [Facturas Emitidas]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Historial, del cambio más antiguo al más reciente
+     */
+    .get('/:id/history', auth, role(['admin']), AuditController.history('invoice_issued'))
+
     // ==========================================
     // RUTAS DE MODIFICACIÓN (POST, PUT, DELETE) - El orden entre estas suele ser menos crítico
     // ==========================================
@@ -988,7 +1109,7 @@ const router = express.Router()
      *       409:
      *         description: Ya existe una factura para este cliente en esa propiedad y mes
      */
-    .post('/', auth, role(['admin']), validateCreateInvoiceIssued, errorHandler, InvoicesIssuedController.createInvoice)
+    .post('/', auth, role(['admin']), validateCreateInvoiceIssued, errorHandler, audit('invoice_issued'), InvoicesIssuedController.createInvoice)
 
     /**
      * @swagger
@@ -1033,6 +1154,52 @@ const router = express.Router()
      */
     .post('/date-range', auth, role(['admin']), InvoicesIssuedController.getInvoicesByDateRange)
 
+    /**
+     * @swagger
+     * /invoices-issued/facturae/batch:
+     *   post:
+     *     summary: Descarga un lote Facturae 3.2.2 con varias facturas
+     *     description: |
+     *       Genera un único documento con todas las facturas (Modality L). Facturae admite un
+     *       solo emisor y un solo receptor por archivo: las facturas deben ser del mismo
+     *       propietario y del mismo cliente.
+     *     tags: [Facturas Emitidas]
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             required:
+     *               - invoice_ids
+     *             properties:
+     *               invoice_ids:
+     *                 type: array
+     *                 maxItems: 100
+     *                 items:
+     *                   type: integer
+     *               sign:
+     *                 type: boolean
+     *                 default: false
+     *           example:
+     *             invoice_ids: [12, 13, 14]
+     *             sign: false
+     *     responses:
+     *       200:
+     *         description: Lote Facturae para descarga
+     *         content:
+     *           application/xml:
+     *             schema:
+     *               type: string
+     *       400:
+     *         description: IDs inválidos, facturas de distintos propietarios o clientes, o datos incompletos
+     *       404:
+     *         description: Alguna factura no existe
+     *       500:
+     *         description: Firma no configurada o certificado inválido
+     */
+    .post('/facturae/batch', auth, role(['admin', 'employee']), validateFacturaeBatch, errorHandler, InvoicesIssuedController.downloadFacturaeBatch)
+
     /**
      * @swagger
      * /invoices-issued/refunds:
@@ -1070,7 +1237,7 @@ const router = express.Router()
      *       404:
      *         description: Factura original no encontrada
      */
-    .post('/refunds', auth, role(['admin']), InvoicesIssuedController.createRefund)
+    .post('/refunds', auth, role(['admin']), audit('invoice_issued'), InvoicesIssuedController.createRefund)
 
     /**
      * @swagger
@@ -1211,7 +1378,7 @@ const router = express.Router()
      *       409:
      *         description: El número de factura ya existe
      */
-    .put('/:id', auth, role(['admin']), InvoicesIssuedController.updateInvoice)
+    .put('/:id', auth, role(['admin']), validateInvoiceLines, errorHandler, audit('invoice_issued'), InvoicesIssuedController.updateInvoice)
 
     /**
      * @swagger
@@ -1247,7 +1414,7 @@ const router = express.Router()
      *       400:
      *         description: ID de factura inválido, estado y método de cobro son requeridos, o estado/método inválido
      */
-    .put('/:id/collection', auth, role(['admin']), InvoicesIssuedController.updateCollectionStatus)
+    .put('/:id/collection', auth, role(['admin']), audit('invoice_issued'), InvoicesIssuedController.updateCollectionStatus)
 
     /**
      * @swagger
@@ -1270,7 +1437,7 @@ const router = express.Router()
      *       404:
      *         description: Factura no encontrada
      */
-    .delete('/:id', auth, role(['admin']), InvoicesIssuedController.deleteInvoice)
+    .delete('/:id', auth, role(['admin']), audit('invoice_issued'), InvoicesIssuedController.deleteInvoice)
 
 export default router;
 
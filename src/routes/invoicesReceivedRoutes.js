@@ -3,8 +3,11 @@ import InvoicesReceivedController from '../controllers/invoicesReceivedControlle
 import {handleUploadErrors, uploadInvoiceFile} from "../middlewares/fileUpload.js";
 import errorHandler from "../middlewares/errorHandler.js";
 import {validateCreateInvoiceReceived} from "../validator/validatorInvoicesReceived.js";
+import {validateInvoiceLines} from "../validator/validatorInvoiceLines.js";
 import auth from "../middlewares/auth.js";
 import role from "../middlewares/role.js";
+import audit from "../middlewares/audit.js";
+import AuditController from "../controllers/auditControllers.js";
 
 /**
  * @swagger
@@ -84,6 +87,11 @@ import role from "../middlewares/role.js";
  *           type: number
  *           format: float
  *           description: Importe total (calculado automáticamente)
+ *         lines:
+ *           type: array
+ *           description: Líneas de detalle (opcional; en multipart, como cadena JSON). Si se envían, base, IVA, IRPF y total se calculan a partir de ellas
+ *           items:
+ *             $ref: '#/components/schemas/LineaFactura'
  *         category:
  *           type: string
  *           enum: [electricidad, gas, agua, telefono, internet, mantenimiento, limpieza, seguridad, seguros, impuestos, servicios_profesionales, suministros, otros]
@@ -100,7 +108,7 @@ import role from "../middlewares/role.js";
  *           description: Notas adicionales
  *         payment_status:
  *           type: string
- *           enum: [pending, paid, overdue, disputed]
+ *           enum: [pending, partially_paid, payment_in_progress, paid, overdue, disputed]
  *           default: pending
  *           description: Estado de pago
  *         payment_method:
@@ -607,7 +615,7 @@ const router = express.Router()
      *         required: true
      *         schema:
      *           type: string
-     *           enum: [pending, paid, overdue, disputed]
+     *           enum: [pending, partially_paid, payment_in_progress, paid, overdue, disputed]
      *         description: Estado de pago
      *     responses:
      *       200:
@@ -652,6 +660,27 @@ const router = express.Router()
      */
     .get('/:id', auth, role(['admin', 'employee']), InvoicesReceivedController.getInvoiceById)
 
+    /**
+     * @swagger
+     * /invoices-received/{id}/history:
+     *   get:
+     *     summary: Historial de cambios de la factura
+     *     description: Altas, modificaciones y bajas con usuario, fecha, IP y campos cambiados
+     *     tags: [Facturas Recibidas]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Historial, del cambio más antiguo al más reciente
+     */
+    .get('/:id/history', auth, role(['admin']), AuditController.history('invoice_received'))
+
     //=================================================
     //RUTA PARA VISUALIZAR EL PDF Y DESCARGAR EN VISUAL
     //=================================================
@@ -721,7 +750,7 @@ const router = express.Router()
      *       400:
      *         description: Error en los datos proporcionados, proveedor no existe o factura duplicada
      */
-    .post('/', auth, role(['admin', 'employee']), uploadInvoiceFile, handleUploadErrors, validateCreateInvoiceReceived, errorHandler, InvoicesReceivedController.createInvoiceReceived)
+    .post('/', auth, role(['admin', 'employee']), uploadInvoiceFile, handleUploadErrors, validateCreateInvoiceReceived, errorHandler, audit('invoice_received'), InvoicesReceivedController.createInvoiceReceived)
 
     /**
      * @swagger
@@ -805,7 +834,7 @@ const router = express.Router()
      *       400:
      *         description: ID de factura original requerido o error al crear abono
      */
-    .post('/refunds', auth, role(['admin', 'employee']), InvoicesReceivedController.createRefund)
+    .post('/refunds', auth, role(['admin', 'employee']), audit('invoice_received'), InvoicesReceivedController.createRefund)
 
     /**
      * @swagger
@@ -903,7 +932,7 @@ const router = express.Router()
      *       404:
      *         description: Factura no encontrada
      */
-    .put('/:id', auth, role(['admin', 'employee']), uploadInvoiceFile, handleUploadErrors, InvoicesReceivedController.updateInvoiceReceived)
+    .put('/:id', auth, role(['admin', 'employee']), uploadInvoiceFile, handleUploadErrors, validateInvoiceLines, errorHandler, audit('invoice_received'), InvoicesReceivedController.updateInvoiceReceived)
 
     /**
      * @swagger
@@ -939,7 +968,7 @@ const router = express.Router()
      *       400:
      *         description: ID de factura inválido, estado y método de pago son requeridos, o estado/método inválido
      */
-    .put('/:id/payment', auth, role(['admin', 'employee']), InvoicesReceivedController.updatePaymentStatus)
+    .put('/:id/payment', auth, role(['admin', 'employee']), audit('invoice_received'), InvoicesReceivedController.updatePaymentStatus)
 
     /**
      * @swagger
@@ -962,7 +991,7 @@ const router = express.Router()
      *       404:
      *         description: Factura no encontrada
      */
-    .delete('/:id', auth, role(['admin', 'employee']), InvoicesReceivedController.deleteInvoiceReceived)
+    .delete('/:id', auth, role(['admin', 'employee']), audit('invoice_received'), InvoicesReceivedController.deleteInvoiceReceived)
 
 export default router;
 
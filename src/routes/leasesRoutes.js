@@ -0,0 +1,303 @@
+import express from "express";
+import LeasesController from "../controllers/leasesControllers.js";
+import auth from "../middlewares/auth.js";
+import role from "../middlewares/role.js";
+import errorHandler from "../middlewares/errorHandler.js";
+import { validateCreateLease, validateUpdateLease } from "../validator/validatorLeases.js";
+
+/**
+ * @swagger
+ * tags:
+ *   name: Contratos
+ *   description: Contratos de arrendamiento (inmueble + inquilino + propietarios)
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Contrato:
+ *       type: object
+ *       required:
+ *         - estates_id
+ *         - clients_id
+ *         - start_date
+ *         - monthly_rent
+ *       properties:
+ *         id:
+ *           type: integer
+ *         estates_id:
+ *           type: integer
+ *           description: ID del inmueble (los propietarios se obtienen de estate_owners)
+ *         clients_id:
+ *           type: integer
+ *           description: ID del inquilino
+ *         start_date:
+ *           type: string
+ *           format: date
+ *         end_date:
+ *           type: string
+ *           format: date
+ *           nullable: true
+ *           description: Fecha de fin (null = indefinido)
+ *         monthly_rent:
+ *           type: number
+ *           format: float
+ *           description: Renta mensual (base imponible total, antes del reparto)
+ *         deposit:
+ *           type: number
+ *           format: float
+ *           description: Fianza
+ *         indexation_type:
+ *           type: string
+ *           enum: [IPC, IRAV]
+ *           nullable: true
+ *           description: Índice de la actualización anual (null = sin actualización)
+ *         indexation_cap:
+ *           type: number
+ *           nullable: true
+ *           description: Tope de la variación anual (%)
+ *         last_review_date:
+ *           type: string
+ *           format: date
+ *           readOnly: true
+ *           description: Último aniversario revisado
+ *         iva:
+ *           type: number
+ *           enum: [0, 4, 10, 21]
+ *           default: 0
+ *         irpf:
+ *           type: number
+ *           default: 0
+ *         billing_day:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 31
+ *           default: 1
+ *           description: Día del mes en que se emite la factura
+ *         due_days:
+ *           type: integer
+ *           default: 30
+ *           description: Días hasta el vencimiento de cada factura
+ *         collection_method:
+ *           type: string
+ *           enum: [transfer, direct_debit, cash, card, check]
+ *           default: transfer
+ *         status:
+ *           type: string
+ *           enum: [active, terminated]
+ *           default: active
+ *         notes:
+ *           type: string
+ */
+const router = express.Router()
+
+    // --- Rutas de Consulta (GET) ---
+
+    /**
+     * @swagger
+     * /leases:
+     *   get:
+     *     summary: Obtener todos los contratos
+     *     tags: [Contratos]
+     *     security:
+     *       - bearerAuth: []
+     *     responses:
+     *       200:
+     *         description: Lista de contratos
+     *       404:
+     *         description: No hay contratos
+     */
+    .get("/", auth, role(['employee', 'admin']), LeasesController.getAllLeases)
+
+    /**
+     * @swagger
+     * /leases/estates/{id}:
+     *   get:
+     *     summary: Obtener los contratos de un inmueble
+     *     tags: [Contratos]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Contratos del inmueble
+     *       404:
+     *         description: Sin contratos
+     */
+    .get("/estates/:id", auth, role(['employee', 'admin']), LeasesController.getLeasesByEstate)
+
+    /**
+     * @swagger
+     * /leases/clients/{id}:
+     *   get:
+     *     summary: Obtener los contratos de un inquilino
+     *     tags: [Contratos]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Contratos del inquilino
+     *       404:
+     *         description: Sin contratos
+     */
+    .get("/clients/:id", auth, role(['employee', 'admin']), LeasesController.getLeasesByClient)
+
+    /**
+     * @swagger
+     * /leases/{id}/invoice-preview/{year}/{month}:
+     *   get:
+     *     summary: Previsualizar las facturas del contrato en un mes
+     *     description: >
+     *       Devuelve un borrador por propietario con la renta repartida según
+     *       ownership_percentage. Si el contrato empieza o termina dentro del mes,
+     *       el borrador es proporcional a los días de vigencia.
+     *     tags: [Contratos]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *       - in: path
+     *         name: year
+     *         required: true
+     *         schema:
+     *           type: integer
+     *       - in: path
+     *         name: month
+     *         required: true
+     *         schema:
+     *           type: integer
+     *           minimum: 1
+     *           maximum: 12
+     *     responses:
+     *       200:
+     *         description: Período facturable y borradores por propietario
+     *       400:
+     *         description: Parámetros inválidos o inmueble sin propietarios
+     *       404:
+     *         description: Contrato no encontrado
+     */
+    .get("/:id/invoice-preview/:year/:month", auth, role(['employee', 'admin']), LeasesController.getInvoicePreview)
+
+    /**
+     * @swagger
+     * /leases/{id}:
+     *   get:
+     *     summary: Obtener un contrato por ID (incluye propietarios del inmueble)
+     *     tags: [Contratos]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Contrato encontrado
+     *       400:
+     *         description: ID inválido
+     *       404:
+     *         description: No encontrado
+     */
+    .get("/:id", auth, role(['employee', 'admin']), LeasesController.getLeaseById)
+
+    // --- Rutas de Modificación ---
+
+    /**
+     * @swagger
+     * /leases:
+     *   post:
+     *     summary: Crear un contrato
+     *     tags: [Contratos]
+     *     security:
+     *       - bearerAuth: []
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/Contrato'
+     *     responses:
+     *       201:
+     *         description: Contrato creado
+     *       400:
+     *         description: Datos inválidos
+     *       404:
+     *         description: Inmueble o cliente no encontrado
+     *       409:
+     *         description: El inmueble ya tiene un contrato activo en esas fechas
+     */
+    .post("/", auth, role(['admin']), validateCreateLease, errorHandler, LeasesController.createLease)
+
+    /**
+     * @swagger
+     * /leases/{id}:
+     *   put:
+     *     summary: Actualizar un contrato (los cambios afectan a facturas futuras)
+     *     tags: [Contratos]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/Contrato'
+     *     responses:
+     *       200:
+     *         description: Contrato actualizado
+     *       404:
+     *         description: No encontrado
+     *       409:
+     *         description: Solapamiento con otro contrato activo
+     */
+    .put("/:id", auth, role(['admin']), validateUpdateLease, errorHandler, LeasesController.updateLease)
+
+    /**
+     * @swagger
+     * /leases/{id}:
+     *   delete:
+     *     summary: Eliminar un contrato sin facturas emitidas
+     *     tags: [Contratos]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       204:
+     *         description: Contrato eliminado
+     *       404:
+     *         description: No encontrado
+     *       409:
+     *         description: El contrato tiene facturas emitidas
+     */
+    .delete("/:id", auth, role(['admin']), LeasesController.deleteLease)
+
+export default router;
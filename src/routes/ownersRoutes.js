@@ -1,9 +1,21 @@
 import express from "express";
 import OwnersControllers from "../controllers/ownersControllers.js";
+import TaxReportsController from "../controllers/taxReportsControllers.js";
 import {validateOwners} from "../validator/validatorOwners.js";
+import OwnerSettlementsController from "../controllers/ownerSettlementsControllers.js";
+import {validateOwnerTaxStatement} from "../validator/validatorTaxReports.js";
+import {
+    validateOwnerSettlementParams,
+    validateCreateOwnerSettlement,
+    validatePayOwnerSettlement
+} from "../validator/validatorOwnerSettlements.js";
+import SepaRemittancesController from "../controllers/sepaRemittancesControllers.js";
+import {validateSepaCreditor} from "../validator/validatorSepa.js";
 import errorHandler from "../middlewares/errorHandler.js";
 import auth from "../middlewares/auth.js";
 import role from "../middlewares/role.js";
+import audit from "../middlewares/audit.js";
+import AuditController from "../controllers/auditControllers.js";
 
 /**
  * @swagger
@@ -91,6 +103,370 @@ const router = express.Router()
      */
     .get('/:id', auth, role(['admin', 'employee']), OwnersControllers.getOwnerId)
 
+    /**
+     * @swagger
+     * /owners/{id}/history:
+     *   get:
+     *     summary: Historial de cambios del propietario
+     *     description: Altas, modificaciones y bajas con usuario, fecha, IP y campos cambiados
+     *     tags: [Propietarios]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Historial, del cambio más antiguo al más reciente
+     */
+    .get('/:id/history', auth, role(['admin']), AuditController.history('owner'))
+
+    /**
+     * @swagger
+     * /owners/{id}/sepa-creditor:
+     *   get:
+     *     summary: Datos de acreedor SEPA del propietario
+     *     tags: [Propietarios]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: "{owner_id, sepa_iban, sepa_bic, sepa_creditor_id, effective_creditor_id}"
+     *       404:
+     *         description: Propietario no encontrado
+     */
+    .get('/:id/sepa-creditor', auth, role(['admin', 'employee']), SepaRemittancesController.getOwnerCreditor)
+
+    /**
+     * @swagger
+     * /owners/{id}/sepa-creditor:
+     *   put:
+     *     summary: Guardar la cuenta de abono y el identificador de acreedor SEPA
+     *     description: Sin sepa_creditor_id se usa el calculado con el NIF y el sufijo 000.
+     *     tags: [Propietarios]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             properties:
+     *               sepa_iban:
+     *                 type: string
+     *               sepa_bic:
+     *                 type: string
+     *               sepa_creditor_id:
+     *                 type: string
+     *                 example: ES23ZZZ47690558N
+     *     responses:
+     *       200:
+     *         description: Datos de acreedor guardados
+     *       400:
+     *         description: IBAN, BIC o identificador de acreedor no válidos
+     *       404:
+     *         description: Propietario no encontrado
+     */
+    .put('/:id/sepa-creditor', auth, role(['admin']), validateSepaCreditor, errorHandler, audit('owner'), SepaRemittancesController.saveOwnerCreditor)
+
+    /**
+     * @swagger
+     * /owners/{id}/tax-statement/{year}:
+     *   get:
+     *     summary: Rendimientos del capital inmobiliario del propietario (IRPF)
+     *     description: >
+     *       Por inmueble: ingresos de las facturas emitidas por el propietario, gastos de las
+     *       facturas recibidas y gastos internos del inmueble por su porcentaje de propiedad
+     *       (IBI, comunidad, reparación y conservación...), amortización del 3% del valor
+     *       catastral de la construcción, retenciones soportadas y días arrendados / vacíos.
+     *     tags: [Propietarios]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *       - in: path
+     *         name: year
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: "owner, estates (income, expenses, amortization, days, net_income), totals y warnings"
+     *       404:
+     *         description: Propietario no encontrado
+     */
+    .get('/:id/tax-statement/:year', auth, role(['admin', 'employee']), validateOwnerTaxStatement, errorHandler, TaxReportsController.getOwnerTaxStatement)
+
+    /**
+     * @swagger
+     * /owners/{id}/tax-statement/{year}/pdf:
+     *   get:
+     *     summary: PDF de los rendimientos del capital inmobiliario del propietario
+     *     tags: [Propietarios]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *       - in: path
+     *         name: year
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: PDF
+     */
+    .get('/:id/tax-statement/:year/pdf', auth, role(['admin', 'employee']), validateOwnerTaxStatement, errorHandler, TaxReportsController.downloadOwnerTaxStatementPDF)
+
+    // --- Liquidaciones al propietario ---
+
+    /**
+     * @swagger
+     * /owners/{id}/settlements:
+     *   get:
+     *     summary: Liquidaciones del propietario
+     *     tags: [Propietarios]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Liquidaciones (la más reciente primero)
+     *       404:
+     *         description: Propietario no encontrado o sin liquidaciones
+     */
+    .get('/:id/settlements', auth, role(['admin', 'employee']), validateOwnerSettlementParams, errorHandler, OwnerSettlementsController.getSettlements)
+
+    /**
+     * @swagger
+     * /owners/{id}/settlements/{settlementId}:
+     *   get:
+     *     summary: Liquidación con sus cobros y gastos
+     *     tags: [Propietarios]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *       - in: path
+     *         name: settlementId
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Liquidación e items (item_type issued, received o internal con la parte del propietario)
+     *       404:
+     *         description: Liquidación no encontrada
+     */
+    .get('/:id/settlements/:settlementId', auth, role(['admin', 'employee']), validateOwnerSettlementParams, errorHandler, OwnerSettlementsController.getSettlementById)
+
+    /**
+     * @swagger
+     * /owners/{id}/settlements/{settlementId}/pdf:
+     *   get:
+     *     summary: PDF de la liquidación
+     *     tags: [Propietarios]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *       - in: path
+     *         name: settlementId
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: PDF
+     *       404:
+     *         description: Liquidación no encontrada
+     */
+    .get('/:id/settlements/:settlementId/pdf', auth, role(['admin', 'employee']), validateOwnerSettlementParams, errorHandler, OwnerSettlementsController.downloadPdf)
+
+    /**
+     * @swagger
+     * /owners/{id}/settlements:
+     *   post:
+     *     summary: Generar la liquidación de un período
+     *     description: >
+     *       Alquileres cobrados en el período (por fecha de cobro) menos los gastos imputados al
+     *       propietario (de sus inmuebles por su porcentaje de propiedad y los generales por su
+     *       reparto guardado) menos la comisión de gestión y su IVA. Solo entran documentos aún
+     *       no liquidados, que quedan bloqueados. Con dry_run se calcula sin guardar.
+     *     tags: [Propietarios]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             required:
+     *               - period_start
+     *               - period_end
+     *             properties:
+     *               period_start:
+     *                 type: string
+     *                 format: date
+     *               period_end:
+     *                 type: string
+     *                 format: date
+     *               commission_rate:
+     *                 type: number
+     *                 description: "% sobre la base de los alquileres cobrados (por defecto MANAGEMENT_FEE_RATE)"
+     *               notes:
+     *                 type: string
+     *               dry_run:
+     *                 type: boolean
+     *     responses:
+     *       201:
+     *         description: Liquidación creada en borrador
+     *       200:
+     *         description: Simulación (dry_run)
+     *       404:
+     *         description: Propietario no encontrado
+     *       409:
+     *         description: No hay documentos pendientes de liquidar en el período
+     */
+    .post('/:id/settlements', auth, role(['admin']), validateCreateOwnerSettlement, errorHandler, OwnerSettlementsController.createSettlement)
+
+    /**
+     * @swagger
+     * /owners/{id}/settlements/{settlementId}/approve:
+     *   put:
+     *     summary: Aprobar una liquidación en borrador
+     *     tags: [Propietarios]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *       - in: path
+     *         name: settlementId
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Liquidación aprobada
+     *       409:
+     *         description: La liquidación no está en borrador
+     */
+    .put('/:id/settlements/:settlementId/approve', auth, role(['admin']), validateOwnerSettlementParams, errorHandler, OwnerSettlementsController.approveSettlement)
+
+    /**
+     * @swagger
+     * /owners/{id}/settlements/{settlementId}/pay:
+     *   put:
+     *     summary: Marcar una liquidación aprobada como pagada
+     *     tags: [Propietarios]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *       - in: path
+     *         name: settlementId
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     requestBody:
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             properties:
+     *               paid_date:
+     *                 type: string
+     *                 format: date
+     *                 description: Hoy por defecto
+     *               payment_reference:
+     *                 type: string
+     *     responses:
+     *       200:
+     *         description: Liquidación pagada
+     *       409:
+     *         description: La liquidación no está aprobada
+     */
+    .put('/:id/settlements/:settlementId/pay', auth, role(['admin']), validatePayOwnerSettlement, errorHandler, OwnerSettlementsController.paySettlement)
+
+    /**
+     * @swagger
+     * /owners/{id}/settlements/{settlementId}:
+     *   delete:
+     *     summary: Eliminar una liquidación en borrador (libera sus documentos)
+     *     tags: [Propietarios]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *       - in: path
+     *         name: settlementId
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       204:
+     *         description: Liquidación eliminada
+     *       409:
+     *         description: Las liquidaciones aprobadas o pagadas no se eliminan
+     */
+    .delete('/:id/settlements/:settlementId', auth, role(['admin']), validateOwnerSettlementParams, errorHandler, OwnerSettlementsController.deleteSettlement)
+
 
     //Crear, actualizar y eliminar solo admin
 
@@ -129,7 +505,7 @@ const router = express.Router()
      *       400:
      *         description: Datos inválidos
      */
-    .post('/', auth, role(['admin']), validateOwners, errorHandler, OwnersControllers.createOwner)
+    .post('/', auth, role(['admin']), validateOwners, errorHandler, audit('owner'), OwnersControllers.createOwner)
 
     /**
      * @swagger
@@ -167,7 +543,7 @@ const router = express.Router()
      *       404:
      *         description: No encontrado
      */
-    .put('/:id', auth, role(['admin']), validateOwners, errorHandler, OwnersControllers.updateOwner)
+    .put('/:id', auth, role(['admin']), validateOwners, errorHandler, audit('owner'), OwnersControllers.updateOwner)
 
     /**
      * @swagger
@@ -190,6 +566,6 @@ const router = express.Router()
      *       404:
      *         description: No encontrado
      */
-    .delete('/:id', auth, role(['admin']), OwnersControllers.deleteOwner)
+    .delete('/:id', auth, role(['admin']), audit('owner'), OwnersControllers.deleteOwner)
 
 export default router;
\ No newline at end of file
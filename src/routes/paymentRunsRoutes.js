@@ -0,0 +1,228 @@
+import express from "express";
+import PaymentRunsController from "../controllers/paymentRunsControllers.js";
+import auth from "../middlewares/auth.js";
+import role from "../middlewares/role.js";
+import errorHandler from "../middlewares/errorHandler.js";
+import {
+    validateCreatePaymentRun,
+    validatePaymentRunFilters,
+    validatePaymentRunPreview,
+    validatePayPaymentRun
+} from "../validator/validatorSupplierPayments.js";
+
+/**
+ * @swagger
+ * tags:
+ *   name: Remesas de pago
+ *   description: >
+ *     Pago agrupado de facturas recibidas: se seleccionan las que vencen hasta una fecha,
+ *     agrupadas por proveedor, se aprueba la remesa y se pagan todas en una transacción
+ */
+const router = express.Router()
+
+    /**
+     * @swagger
+     * /payment-runs/preview:
+     *   get:
+     *     summary: Facturas recibidas que entrarían en una remesa, agrupadas por proveedor
+     *     tags: [Remesas de pago]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: query
+     *         name: due_until
+     *         required: true
+     *         schema:
+     *           type: string
+     *           format: date
+     *       - in: query
+     *         name: supplier_id
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: "{due_until, invoices_count, total_amount, suppliers}"
+     */
+    .get("/preview", auth, role(['employee', 'admin']), validatePaymentRunPreview, errorHandler, PaymentRunsController.previewRun)
+
+    /**
+     * @swagger
+     * /payment-runs:
+     *   get:
+     *     summary: Remesas de pago
+     *     tags: [Remesas de pago]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: query
+     *         name: status
+     *         schema:
+     *           type: string
+     *           enum: [draft, approved, paid, cancelled]
+     *     responses:
+     *       200:
+     *         description: Lista de remesas con número de facturas, proveedores e importe total
+     *       404:
+     *         description: No hay remesas
+     */
+    .get("/", auth, role(['employee', 'admin']), validatePaymentRunFilters, errorHandler, PaymentRunsController.getRuns)
+
+    /**
+     * @swagger
+     * /payment-runs/{id}:
+     *   get:
+     *     summary: Remesa con sus facturas agrupadas por proveedor
+     *     tags: [Remesas de pago]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Remesa
+     *       404:
+     *         description: Remesa no encontrada
+     */
+    .get("/:id", auth, role(['employee', 'admin']), PaymentRunsController.getRunById)
+
+    /**
+     * @swagger
+     * /payment-runs:
+     *   post:
+     *     summary: Crear una remesa en borrador con las facturas que vencen hasta una fecha
+     *     description: >
+     *       Incluye el pendiente de cada factura recibida que vence hasta due_until y no
+     *       está ya en otra remesa abierta.
+     *     tags: [Remesas de pago]
+     *     security:
+     *       - bearerAuth: []
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             required:
+     *               - due_until
+     *             properties:
+     *               due_until:
+     *                 type: string
+     *                 format: date
+     *               payment_date:
+     *                 type: string
+     *                 format: date
+     *                 description: Fecha prevista de pago (hoy por defecto)
+     *               bank_account:
+     *                 type: string
+     *                 description: IBAN desde el que se paga; por defecto COMPANY_BANK_ACCOUNT
+     *               method:
+     *                 type: string
+     *                 enum: [transfer, direct_debit, cash, card, check]
+     *                 default: transfer
+     *               supplier_ids:
+     *                 type: array
+     *                 items:
+     *                   type: integer
+     *               notes:
+     *                 type: string
+     *     responses:
+     *       201:
+     *         description: Remesa creada
+     *       409:
+     *         description: No hay facturas pendientes que venzan hasta esa fecha
+     */
+    .post("/", auth, role(['admin']), validateCreatePaymentRun, errorHandler, PaymentRunsController.createRun)
+
+    /**
+     * @swagger
+     * /payment-runs/{id}/approve:
+     *   put:
+     *     summary: Aprobar una remesa en borrador
+     *     tags: [Remesas de pago]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Remesa aprobada
+     *       404:
+     *         description: Remesa no encontrada
+     *       409:
+     *         description: La remesa no está en borrador
+     */
+    .put("/:id/approve", auth, role(['admin']), PaymentRunsController.approveRun)
+
+    /**
+     * @swagger
+     * /payment-runs/{id}/pay:
+     *   put:
+     *     summary: Pagar una remesa aprobada
+     *     description: >
+     *       Registra en una sola transacción el pago de todas sus facturas desde la cuenta
+     *       de la remesa; cada factura queda como paid (o partially_paid).
+     *     tags: [Remesas de pago]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     requestBody:
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             properties:
+     *               payment_date:
+     *                 type: string
+     *                 format: date
+     *                 description: Por defecto, la prevista en la remesa
+     *               reference:
+     *                 type: string
+     *                 description: Por defecto, REMESA-{id}
+     *     responses:
+     *       200:
+     *         description: Remesa pagada
+     *       404:
+     *         description: Remesa no encontrada
+     *       409:
+     *         description: La remesa no está aprobada o alguna factura ya no tiene ese pendiente
+     */
+    .put("/:id/pay", auth, role(['admin']), validatePayPaymentRun, errorHandler, PaymentRunsController.payRun)
+
+    /**
+     * @swagger
+     * /payment-runs/{id}/cancel:
+     *   put:
+     *     summary: Anular una remesa sin pagar (sus facturas quedan libres)
+     *     tags: [Remesas de pago]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Remesa anulada
+     *       404:
+     *         description: Remesa no encontrada
+     *       409:
+     *         description: La remesa ya está pagada o anulada
+     */
+    .put("/:id/cancel", auth, role(['admin']), PaymentRunsController.cancelRun)
+
+export default router;
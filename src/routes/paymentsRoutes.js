@@ -0,0 +1,283 @@
+import express from "express";
+import PaymentsController from "../controllers/paymentsControllers.js";
+import auth from "../middlewares/auth.js";
+import role from "../middlewares/role.js";
+import errorHandler from "../middlewares/errorHandler.js";
+import {
+    validateAllocatePayment,
+    validateCreatePayment,
+    validatePaymentFilters
+} from "../validator/validatorPayments.js";
+
+/**
+ * @swagger
+ * tags:
+ *   name: Cobros
+ *   description: Cobros de clientes imputados a facturas emitidas (pagos parciales, varios meses en un cobro y saldo a favor)
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Imputacion:
+ *       type: object
+ *       required:
+ *         - invoice_issued_id
+ *       properties:
+ *         invoice_issued_id:
+ *           type: integer
+ *         amount:
+ *           type: number
+ *           description: Por defecto, todo el pendiente de la factura
+ *     Cobro:
+ *       type: object
+ *       required:
+ *         - clients_id
+ *         - amount
+ *       properties:
+ *         clients_id:
+ *           type: integer
+ *         amount:
+ *           type: number
+ *           example: 1200.00
+ *         payment_date:
+ *           type: string
+ *           format: date
+ *           description: Hoy por defecto
+ *         method:
+ *           type: string
+ *           enum: [transfer, direct_debit, cash, card, check]
+ *           default: transfer
+ *         reference:
+ *           type: string
+ *         notes:
+ *           type: string
+ *         allocations:
+ *           type: array
+ *           description: >
+ *             Facturas a las que se imputa. Sin este campo, se imputa a las facturas pendientes
+ *             del cliente de la más antigua a la más reciente; con una lista vacía, todo el
+ *             importe queda como saldo a favor.
+ *           items:
+ *             $ref: '#/components/schemas/Imputacion'
+ */
+const router = express.Router()
+
+    /**
+     * @swagger
+     * /payments:
+     *   get:
+     *     summary: Cobros registrados
+     *     tags: [Cobros]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: query
+     *         name: client_id
+     *         schema:
+     *           type: integer
+     *       - in: query
+     *         name: date_from
+     *         schema:
+     *           type: string
+     *           format: date
+     *       - in: query
+     *         name: date_to
+     *         schema:
+     *           type: string
+     *           format: date
+     *       - in: query
+     *         name: with_credit
+     *         schema:
+     *           type: boolean
+     *         description: Solo los cobros con importe sin imputar
+     *     responses:
+     *       200:
+     *         description: Lista de cobros con allocated_amount y credit_amount
+     *       404:
+     *         description: No hay cobros
+     */
+    .get("/", auth, role(['employee', 'admin']), validatePaymentFilters, errorHandler, PaymentsController.getAllPayments)
+
+    /**
+     * @swagger
+     * /payments/clients/{id}/balance:
+     *   get:
+     *     summary: Facturas pendientes y saldo a favor de un cliente
+     *     tags: [Cobros]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: "{outstanding_total, credit, pending_return_fees, outstanding_invoices, credit_payments, return_fees}"
+     *       404:
+     *         description: Cliente no encontrado
+     */
+    .get("/clients/:id/balance", auth, role(['employee', 'admin']), PaymentsController.getClientBalance)
+
+    /**
+     * @swagger
+     * /payments/invoices/{id}:
+     *   get:
+     *     summary: Pendiente de una factura emitida con sus cobros imputados
+     *     tags: [Cobros]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: "{total, paid_amount, deposit_applied, outstanding_amount, collection_status, allocations}"
+     *       404:
+     *         description: Factura no encontrada
+     */
+    .get("/invoices/:id", auth, role(['employee', 'admin']), PaymentsController.getInvoiceBalance)
+
+    /**
+     * @swagger
+     * /payments/{id}:
+     *   get:
+     *     summary: Obtener un cobro con sus imputaciones
+     *     tags: [Cobros]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Cobro
+     *       404:
+     *         description: Cobro no encontrado
+     */
+    .get("/:id", auth, role(['employee', 'admin']), PaymentsController.getPaymentById)
+
+    /**
+     * @swagger
+     * /payments:
+     *   post:
+     *     summary: Registrar un cobro e imputarlo a facturas
+     *     description: >
+     *       Cada factura queda como partially_collected mientras tenga pendiente y como
+     *       collected (con la fecha, método y referencia del cobro) al cubrirse. Lo no
+     *       imputado queda como saldo a favor del cliente.
+     *     tags: [Cobros]
+     *     security:
+     *       - bearerAuth: []
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/Cobro'
+     *     responses:
+     *       201:
+     *         description: Cobro registrado
+     *       400:
+     *         description: Factura no pendiente del cliente o importe superior a su pendiente
+     *       409:
+     *         description: Las imputaciones superan el importe del cobro
+     */
+    .post("/", auth, role(['admin']), validateCreatePayment, errorHandler, PaymentsController.createPayment)
+
+    /**
+     * @swagger
+     * /payments/{id}/allocations:
+     *   post:
+     *     summary: Imputar a facturas el saldo a favor que queda de un cobro
+     *     tags: [Cobros]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     requestBody:
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             properties:
+     *               allocations:
+     *                 type: array
+     *                 description: Sin este campo, a las facturas pendientes más antiguas
+     *                 items:
+     *                   $ref: '#/components/schemas/Imputacion'
+     *     responses:
+     *       201:
+     *         description: Cobro con sus imputaciones
+     *       409:
+     *         description: Sin saldo a favor o sin facturas pendientes
+     */
+    .post("/:id/allocations", auth, role(['admin']), validateAllocatePayment, errorHandler, PaymentsController.allocatePayment)
+
+    /**
+     * @swagger
+     * /payments/{id}/allocations/{allocationId}:
+     *   delete:
+     *     summary: Deshacer una imputación (el importe vuelve al saldo a favor)
+     *     tags: [Cobros]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *       - in: path
+     *         name: allocationId
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       204:
+     *         description: Imputación eliminada
+     *       404:
+     *         description: Cobro o imputación no encontrados
+     *       409:
+     *         description: La factura está en una liquidación a propietario
+     */
+    .delete("/:id/allocations/:allocationId", auth, role(['admin']), PaymentsController.deleteAllocation)
+
+    /**
+     * @swagger
+     * /payments/{id}:
+     *   delete:
+     *     summary: Eliminar un cobro y sus imputaciones
+     *     tags: [Cobros]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       204:
+     *         description: Cobro eliminado
+     *       404:
+     *         description: Cobro no encontrado
+     *       409:
+     *         description: Alguna factura está en una liquidación a propietario
+     */
+    .delete("/:id", auth, role(['admin']), PaymentsController.deletePayment)
+
+export default router;
@@ -0,0 +1,311 @@
+import express from "express";
+import RentReviewsController from "../controllers/rentReviewsControllers.js";
+import auth from "../middlewares/auth.js";
+import role from "../middlewares/role.js";
+import errorHandler from "../middlewares/errorHandler.js";
+import {
+    validateGenerateRentReviews,
+    validateRejectRentReview,
+    validateRentIndex,
+    validateRentIndexFilters,
+    validateRentReviewFilters,
+    validateRentReviewPreview
+} from "../validator/validatorRentReviews.js";
+
+/**
+ * @swagger
+ * tags:
+ *   name: Actualización de rentas
+ *   description: Revisión anual de la renta de los contratos por IPC o IRAV
+ */
+const router = express.Router()
+
+    // --- Índices ---
+
+    /**
+     * @swagger
+     * /rent-reviews/indexes:
+     *   get:
+     *     summary: Valores guardados de los índices
+     *     tags: [Actualización de rentas]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: query
+     *         name: index_type
+     *         schema:
+     *           type: string
+     *           enum: [IPC, IRAV]
+     *     responses:
+     *       200:
+     *         description: "[{id, index_type, period, value, source}] (value = variación anual en %)"
+     */
+    .get("/indexes", auth, role(['employee', 'admin']), validateRentIndexFilters, errorHandler, RentReviewsController.getIndexes)
+
+    /**
+     * @swagger
+     * /rent-reviews/indexes:
+     *   post:
+     *     summary: Registrar o corregir el valor de un índice para un mes
+     *     tags: [Actualización de rentas]
+     *     security:
+     *       - bearerAuth: []
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             required:
+     *               - index_type
+     *               - period
+     *               - value
+     *             properties:
+     *               index_type:
+     *                 type: string
+     *                 enum: [IPC, IRAV]
+     *               period:
+     *                 type: string
+     *                 example: "2025-02"
+     *                 description: Mes de referencia (YYYY-MM)
+     *               value:
+     *                 type: number
+     *                 example: 3.0
+     *                 description: Variación anual en %
+     *               source:
+     *                 type: string
+     *     responses:
+     *       200:
+     *         description: Índice guardado
+     */
+    .post("/indexes", auth, role(['admin']), validateRentIndex, errorHandler, RentReviewsController.saveIndex)
+
+    /**
+     * @swagger
+     * /rent-reviews/indexes/{id}:
+     *   delete:
+     *     summary: Eliminar el valor de un índice
+     *     tags: [Actualización de rentas]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       204:
+     *         description: Índice eliminado
+     *       404:
+     *         description: Índice no encontrado
+     */
+    .delete("/indexes/:id", auth, role(['admin']), RentReviewsController.deleteIndex)
+
+    // --- Revisiones ---
+
+    /**
+     * @swagger
+     * /rent-reviews/preview:
+     *   get:
+     *     summary: Previsualizar las revisiones de los aniversarios hasta una fecha
+     *     description: >
+     *       Contratos activos con índice cuyo próximo aniversario llega hasta until_date.
+     *       Se aplica la variación del último índice publicado antes del mes del aniversario
+     *       (máximo 12 meses de antigüedad), limitada por el tope del contrato. Los contratos
+     *       sin índice disponible se devuelven con missing_index = true.
+     *     tags: [Actualización de rentas]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: query
+     *         name: until_date
+     *         schema:
+     *           type: string
+     *           format: date
+     *         description: Hoy por defecto
+     *     responses:
+     *       200:
+     *         description: Revisiones calculadas (sin guardar)
+     */
+    .get("/preview", auth, role(['employee', 'admin']), validateRentReviewPreview, errorHandler, RentReviewsController.previewReviews)
+
+    /**
+     * @swagger
+     * /rent-reviews:
+     *   get:
+     *     summary: Revisiones de renta
+     *     tags: [Actualización de rentas]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: query
+     *         name: status
+     *         schema:
+     *           type: string
+     *           enum: [pending, approved, rejected]
+     *       - in: query
+     *         name: lease_id
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Lista de revisiones
+     *       404:
+     *         description: No hay revisiones
+     */
+    .get("/", auth, role(['employee', 'admin']), validateRentReviewFilters, errorHandler, RentReviewsController.getReviews)
+
+    /**
+     * @swagger
+     * /rent-reviews/{id}/letter:
+     *   get:
+     *     summary: Carta de notificación de la actualización al inquilino (PDF)
+     *     tags: [Actualización de rentas]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: PDF
+     *       404:
+     *         description: Revisión no encontrada
+     */
+    .get("/:id/letter", auth, role(['employee', 'admin']), RentReviewsController.downloadLetter)
+
+    /**
+     * @swagger
+     * /rent-reviews/{id}:
+     *   get:
+     *     summary: Obtener una revisión de renta
+     *     tags: [Actualización de rentas]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Revisión
+     *       404:
+     *         description: Revisión no encontrada
+     */
+    .get("/:id", auth, role(['employee', 'admin']), RentReviewsController.getReviewById)
+
+    /**
+     * @swagger
+     * /rent-reviews:
+     *   post:
+     *     summary: Generar como pendientes las revisiones hasta una fecha
+     *     tags: [Actualización de rentas]
+     *     security:
+     *       - bearerAuth: []
+     *     requestBody:
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             properties:
+     *               until_date:
+     *                 type: string
+     *                 format: date
+     *                 description: Hoy por defecto
+     *               lease_ids:
+     *                 type: array
+     *                 items:
+     *                   type: integer
+     *                 description: Solo esos contratos
+     *     responses:
+     *       201:
+     *         description: "{created, missing_index}"
+     *       409:
+     *         description: No hay revisiones con índice disponible que generar
+     */
+    .post("/", auth, role(['admin']), validateGenerateRentReviews, errorHandler, RentReviewsController.generateReviews)
+
+    /**
+     * @swagger
+     * /rent-reviews/{id}/approve:
+     *   put:
+     *     summary: Aprobar una revisión pendiente
+     *     description: >
+     *       La nueva renta pasa al contrato y se factura desde el mes del aniversario;
+     *       los meses anteriores se siguen facturando con la renta anterior.
+     *     tags: [Actualización de rentas]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Revisión aprobada
+     *       409:
+     *         description: Ya resuelta o la renta del contrato ha cambiado
+     */
+    .put("/:id/approve", auth, role(['admin']), RentReviewsController.approveReview)
+
+    /**
+     * @swagger
+     * /rent-reviews/{id}/reject:
+     *   put:
+     *     summary: Rechazar una revisión pendiente (el aniversario queda revisado sin cambio de renta)
+     *     tags: [Actualización de rentas]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     requestBody:
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             properties:
+     *               notes:
+     *                 type: string
+     *     responses:
+     *       200:
+     *         description: Revisión rechazada
+     *       409:
+     *         description: Ya resuelta
+     */
+    .put("/:id/reject", auth, role(['admin']), validateRejectRentReview, errorHandler, RentReviewsController.rejectReview)
+
+    /**
+     * @swagger
+     * /rent-reviews/{id}:
+     *   delete:
+     *     summary: Eliminar una revisión pendiente (para regenerarla)
+     *     tags: [Actualización de rentas]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       204:
+     *         description: Revisión eliminada
+     *       409:
+     *         description: Ya resuelta
+     */
+    .delete("/:id", auth, role(['admin']), RentReviewsController.deleteReview)
+
+export default router;
@@ -0,0 +1,250 @@
+import express from "express";
+import SepaRemittancesController from "../controllers/sepaRemittancesControllers.js";
+import auth from "../middlewares/auth.js";
+import role from "../middlewares/role.js";
+import errorHandler from "../middlewares/errorHandler.js";
+import {
+    validateConfirmCreditTransfer,
+    validateCreateCreditTransfer,
+    validateCreateDirectDebit,
+    validateSepaRemittanceFilters
+} from "../validator/validatorSepa.js";
+
+/**
+ * @swagger
+ * tags:
+ *   name: Remesas SEPA
+ *   description: >
+ *     Adeudos directos SEPA (pain.008.001.02) de facturas emitidas, un fichero por propietario
+ *     acreedor con el mandato de cada cliente (las facturas quedan como remitted), y
+ *     transferencias SEPA (pain.001.001.03) a proveedores de facturas recibidas vencidas (quedan
+ *     como payment_in_progress hasta confirmar la transferencia)
+ */
+const router = express.Router()
+
+    /**
+     * @swagger
+     * /sepa-remittances:
+     *   get:
+     *     summary: Remesas SEPA generadas
+     *     tags: [Remesas SEPA]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: query
+     *         name: remittance_type
+     *         schema:
+     *           type: string
+     *           enum: [direct_debit, credit_transfer]
+     *       - in: query
+     *         name: status
+     *         schema:
+     *           type: string
+     *           enum: [generated, confirmed, cancelled]
+     *       - in: query
+     *         name: owners_id
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Lista de remesas con número de facturas e importe total
+     *       404:
+     *         description: No hay remesas
+     */
+    .get("/", auth, role(['employee', 'admin']), validateSepaRemittanceFilters, errorHandler, SepaRemittancesController.getRemittances)
+
+    /**
+     * @swagger
+     * /sepa-remittances/direct-debits:
+     *   post:
+     *     summary: Generar remesas de adeudo directo de facturas emitidas pendientes
+     *     description: >
+     *       Valida antes de generar nada que cada factura esté pendiente (pending,
+     *       partially_collected u overdue) y no sea rectificativa, que el cliente tenga mandato
+     *       con fecha de firma, IBAN y tipo de secuencia válidos y que el propietario tenga IBAN
+     *       de abono e identificador de acreedor. Genera un fichero por propietario con el
+     *       pendiente de cada factura; las facturas pasan a remitted con el identificador de la
+     *       remesa (MsgId) en collection_reference y los mandatos FRST pasan a RCUR.
+     *     tags: [Remesas SEPA]
+     *     security:
+     *       - bearerAuth: []
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             required: [invoice_ids]
+     *             properties:
+     *               invoice_ids:
+     *                 type: array
+     *                 items:
+     *                   type: integer
+     *               collection_date:
+     *                 type: string
+     *                 format: date
+     *                 description: Fecha de cargo, posterior a hoy (por defecto, mañana)
+     *     responses:
+     *       201:
+     *         description: Remesas generadas, una por propietario, con sus facturas
+     *       400:
+     *         description: Datos inválidos o alguna factura no se puede remesar (SEPA_VALIDATION_FAILED, con la lista de problemas)
+     *       409:
+     *         description: Alguna factura cambió de estado mientras se generaba la remesa
+     */
+    .post("/direct-debits", auth, role(['admin']), validateCreateDirectDebit, errorHandler, SepaRemittancesController.createDirectDebits)
+
+    /**
+     * @swagger
+     * /sepa-remittances/credit-transfers:
+     *   post:
+     *     summary: Generar el fichero de transferencias a proveedores de facturas recibidas vencidas
+     *     description: >
+     *       Valida antes de generar nada que cada factura esté pendiente (pending, partially_paid u
+     *       overdue), no sea un abono, venza hasta la fecha de ejecución y no esté en una remesa de
+     *       pago abierta, y que el IBAN de cada proveedor (suppliers.bank_account) tenga dígitos de
+     *       control correctos. Hace una transferencia por proveedor con el pendiente de sus facturas
+     *       y sus números de factura en el concepto; las facturas pasan a payment_in_progress con
+     *       el identificador del fichero (MsgId) en collection_reference hasta confirmarla.
+     *     tags: [Remesas SEPA]
+     *     security:
+     *       - bearerAuth: []
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             required: [invoice_ids]
+     *             properties:
+     *               invoice_ids:
+     *                 type: array
+     *                 items:
+     *                   type: integer
+     *               execution_date:
+     *                 type: string
+     *                 format: date
+     *                 description: Fecha de ejecución, hoy o posterior (por defecto, hoy)
+     *               bank_account:
+     *                 type: string
+     *                 description: IBAN de cargo; por defecto COMPANY_BANK_ACCOUNT
+     *     responses:
+     *       201:
+     *         description: Transferencia generada con sus facturas
+     *       400:
+     *         description: Datos inválidos o alguna factura no se puede pagar (SEPA_VALIDATION_FAILED, con la lista de problemas)
+     *       409:
+     *         description: Alguna factura cambió de estado mientras se generaba el fichero
+     */
+    .post("/credit-transfers", auth, role(['admin']), validateCreateCreditTransfer, errorHandler, SepaRemittancesController.createCreditTransfer)
+
+    /**
+     * @swagger
+     * /sepa-remittances/{id}:
+     *   get:
+     *     summary: Remesa SEPA con sus facturas
+     *     tags: [Remesas SEPA]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Remesa con items (factura, importe, mandato, IBAN y estado de cobro)
+     *       404:
+     *         description: Remesa no encontrada
+     */
+    .get("/:id", auth, role(['employee', 'admin']), SepaRemittancesController.getRemittanceById)
+
+    /**
+     * @swagger
+     * /sepa-remittances/{id}/file:
+     *   get:
+     *     summary: Descargar el fichero XML de la remesa para el banco
+     *     tags: [Remesas SEPA]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Fichero pain.008.001.02
+     *         content:
+     *           application/xml:
+     *             schema:
+     *               type: string
+     *       404:
+     *         description: Remesa no encontrada
+     */
+    .get("/:id/file", auth, role(['employee', 'admin']), SepaRemittancesController.downloadFile)
+
+    /**
+     * @swagger
+     * /sepa-remittances/{id}/confirm:
+     *   put:
+     *     summary: Confirmar que el banco ejecutó la transferencia
+     *     description: >
+     *       Registra en una sola transacción un pago por factura desde la cuenta de cargo, con el
+     *       MsgId como referencia; las facturas quedan como paid.
+     *     tags: [Remesas SEPA]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     requestBody:
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             properties:
+     *               payment_date:
+     *                 type: string
+     *                 format: date
+     *                 description: Por defecto, la fecha de ejecución
+     *     responses:
+     *       200:
+     *         description: Transferencia confirmada
+     *       404:
+     *         description: Remesa no encontrada
+     *       409:
+     *         description: No es una transferencia pendiente de confirmar
+     */
+    .put("/:id/confirm", auth, role(['admin']), validateConfirmCreditTransfer, errorHandler, SepaRemittancesController.confirmCreditTransfer)
+
+    /**
+     * @swagger
+     * /sepa-remittances/{id}/cancel:
+     *   put:
+     *     summary: Anular una transferencia sin confirmar (sus facturas vuelven a estar pendientes)
+     *     tags: [Remesas SEPA]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Transferencia anulada
+     *       404:
+     *         description: Remesa no encontrada
+     *       409:
+     *         description: No es una transferencia pendiente de confirmar
+     */
+    .put("/:id/cancel", auth, role(['admin']), SepaRemittancesController.cancelCreditTransfer)
+
+export default router;
@@ -0,0 +1,293 @@
+import express from "express";
+import SepaReturnsController from "../controllers/sepaReturnsControllers.js";
+import auth from "../middlewares/auth.js";
+import role from "../middlewares/role.js";
+import errorHandler from "../middlewares/errorHandler.js";
+import { handleUploadErrors, uploadReturnFile } from "../middlewares/fileUpload.js";
+import {
+    validateDunningFilters,
+    validateRegisterSepaReturn,
+    validateSepaReturnFee,
+    validateSepaReturnFilters
+} from "../validator/validatorSepa.js";
+
+/**
+ * @swagger
+ * tags:
+ *   name: Devoluciones SEPA
+ *   description: >
+ *     Adeudos directos devueltos o rechazados por el banco (R-transactions), importados de un
+ *     pain.002 o CAMT o registrados a mano. Cada devolución reabre la factura, guarda el motivo,
+ *     contabiliza los gastos bancarios, puede facturar los gastos al inquilino y lo añade a la
+ *     lista de impagos.
+ */
+const router = express.Router()
+
+    /**
+     * @swagger
+     * /sepa-returns:
+     *   get:
+     *     summary: Devoluciones de adeudos registradas
+     *     tags: [Devoluciones SEPA]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: query
+     *         name: clients_id
+     *         schema:
+     *           type: integer
+     *       - in: query
+     *         name: invoice_issued_id
+     *         schema:
+     *           type: integer
+     *       - in: query
+     *         name: fee_status
+     *         schema:
+     *           type: string
+     *           enum: [none, pending, invoiced, collected, waived]
+     *       - in: query
+     *         name: date_from
+     *         schema:
+     *           type: string
+     *           format: date
+     *       - in: query
+     *         name: date_to
+     *         schema:
+     *           type: string
+     *           format: date
+     *     responses:
+     *       200:
+     *         description: Devoluciones con factura, motivo, gastos y cargo repercutido
+     *       404:
+     *         description: No hay devoluciones
+     */
+    .get("/", auth, role(['employee', 'admin']), validateSepaReturnFilters, errorHandler, SepaReturnsController.getReturns)
+
+    /**
+     * @swagger
+     * /sepa-returns/dunning:
+     *   get:
+     *     summary: Lista de impagos por adeudos devueltos
+     *     description: Las entradas abiertas cuya factura ya está cobrada no se muestran.
+     *     tags: [Devoluciones SEPA]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: query
+     *         name: status
+     *         schema:
+     *           type: string
+     *           enum: [open, resolved]
+     *           default: open
+     *       - in: query
+     *         name: clients_id
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Clientes y facturas con su pendiente
+     *       404:
+     *         description: La lista está vacía
+     */
+    .get("/dunning", auth, role(['employee', 'admin']), validateDunningFilters, errorHandler, SepaReturnsController.getDunningList)
+
+    /**
+     * @swagger
+     * /sepa-returns/dunning/{id}/resolve:
+     *   put:
+     *     summary: Sacar una factura de la lista de impagos
+     *     description: >
+     *       Pausa además las cartas de reclamación de la factura (pausa con reason resolved, salvo que
+     *       ya tenga una pausa activa) hasta que se levante o el adeudo se vuelva a devolver.
+     *     tags: [Devoluciones SEPA]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Entrada resuelta ({id, updated, dunning_pause_id})
+     *       404:
+     *         description: Entrada no encontrada o ya resuelta
+     */
+    .put("/dunning/:id/resolve", auth, role(['admin']), SepaReturnsController.resolveDunningEntry)
+
+    /**
+     * @swagger
+     * /sepa-returns:
+     *   post:
+     *     summary: Registrar a mano la devolución de un adeudo
+     *     description: >
+     *       Se asocia al último adeudo remesado de la factura. Si la factura estaba remesada vuelve
+     *       a pending; si ya estaba cobrada por adeudo se deshace ese cobro hasta el importe devuelto
+     *       y vuelve a pending o partially_collected.
+     *     tags: [Devoluciones SEPA]
+     *     security:
+     *       - bearerAuth: []
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             required: [invoice_issued_id, reason_code]
+     *             properties:
+     *               invoice_issued_id:
+     *                 type: integer
+     *               reason_code:
+     *                 type: string
+     *                 example: AM04
+     *               amount:
+     *                 type: number
+     *                 description: Por defecto, el importe remesado
+     *               return_date:
+     *                 type: string
+     *                 format: date
+     *               bank_charges:
+     *                 type: number
+     *               charge_fee:
+     *                 type: boolean
+     *                 description: Repercutir los gastos al inquilino
+     *               fee_amount:
+     *                 type: number
+     *                 description: Por defecto, los gastos bancarios
+     *               notes:
+     *                 type: string
+     *     responses:
+     *       201:
+     *         description: Devolución registrada
+     *       400:
+     *         description: Datos inválidos
+     *       404:
+     *         description: Factura no encontrada
+     *       409:
+     *         description: La factura no está remesada ni cobrada por adeudo (SEPA_RETURN_NOT_ALLOWED) o está en una liquidación a propietario (SETTLED_ITEM_LOCKED)
+     */
+    .post("/", auth, role(['admin']), validateRegisterSepaReturn, errorHandler, SepaReturnsController.registerReturn)
+
+    /**
+     * @swagger
+     * /sepa-returns/import:
+     *   post:
+     *     summary: Importar un fichero de devoluciones (pain.002 o CAMT.053/054)
+     *     description: >
+     *       Cada devolución se busca por EndToEndId (y MsgId original si viene) entre los adeudos
+     *       remesados. Las que no se encuentran, ya están registradas o no se pueden aplicar se
+     *       devuelven en skipped con el motivo.
+     *     tags: [Devoluciones SEPA]
+     *     security:
+     *       - bearerAuth: []
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         multipart/form-data:
+     *           schema:
+     *             type: object
+     *             required: [return_file]
+     *             properties:
+     *               return_file:
+     *                 type: string
+     *                 format: binary
+     *               charge_fee:
+     *                 type: boolean
+     *                 description: Repercutir al inquilino los gastos de cada devolución
+     *     responses:
+     *       201:
+     *         description: "{format, registered, skipped}"
+     *       400:
+     *         description: Sin fichero o fichero no válido (INVALID_RETURN_FILE)
+     */
+    .post("/import", auth, role(['admin']), uploadReturnFile, handleUploadErrors, SepaReturnsController.importReturns)
+
+    /**
+     * @swagger
+     * /sepa-returns/{id}:
+     *   get:
+     *     summary: Devolución de un adeudo
+     *     tags: [Devoluciones SEPA]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Devolución
+     *       404:
+     *         description: Devolución no encontrada
+     */
+    .get("/:id", auth, role(['employee', 'admin']), SepaReturnsController.getReturnById)
+
+    /**
+     * @swagger
+     * /sepa-returns/{id}/fee-invoice:
+     *   post:
+     *     summary: Facturar al inquilino los gastos repercutidos de una devolución
+     *     description: >
+     *       Emite una factura sin IVA por los gastos repercutidos, del mismo inmueble y propietario
+     *       que la factura devuelta, y deja la devolución en fee_status invoiced. Al registrar la
+     *       devolución se emite sola; esta ruta la emite si entonces no se pudo.
+     *     tags: [Devoluciones SEPA]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       201:
+     *         description: Devolución con la factura de gastos (fee_invoice_id, fee_invoice_number)
+     *       404:
+     *         description: Devolución no encontrada
+     *       409:
+     *         description: La devolución no tiene gastos pendientes de facturar o el periodo fiscal está cerrado
+     */
+    .post("/:id/fee-invoice", auth, role(['admin']), SepaReturnsController.invoiceFee)
+
+    /**
+     * @swagger
+     * /sepa-returns/{id}/fee:
+     *   put:
+     *     summary: Marcar como cobrados o condonados los gastos repercutidos al inquilino
+     *     description: >
+     *       Solo para gastos que no se han facturado; los facturados se cobran o se abonan con su factura.
+     *     tags: [Devoluciones SEPA]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             type: object
+     *             required: [fee_status]
+     *             properties:
+     *               fee_status:
+     *                 type: string
+     *                 enum: [collected, waived]
+     *     responses:
+     *       200:
+     *         description: Devolución actualizada
+     *       404:
+     *         description: Devolución no encontrada
+     *       409:
+     *         description: La devolución no tiene gastos pendientes
+     */
+    .put("/:id/fee", auth, role(['admin']), validateSepaReturnFee, errorHandler, SepaReturnsController.updateFeeStatus)
+
+export default router;
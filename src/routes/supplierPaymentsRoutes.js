@@ -0,0 +1,184 @@
+import express from "express";
+import SupplierPaymentsController from "../controllers/supplierPaymentsControllers.js";
+import auth from "../middlewares/auth.js";
+import role from "../middlewares/role.js";
+import errorHandler from "../middlewares/errorHandler.js";
+import {
+    validateCreateSupplierPayment,
+    validateSupplierPaymentFilters
+} from "../validator/validatorSupplierPayments.js";
+
+/**
+ * @swagger
+ * tags:
+ *   name: Pagos a proveedores
+ *   description: Pagos (totales o parciales) de facturas recibidas con la cuenta bancaria desde la que se pagaron
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PagoProveedor:
+ *       type: object
+ *       required:
+ *         - invoice_received_id
+ *       properties:
+ *         invoice_received_id:
+ *           type: integer
+ *         amount:
+ *           type: number
+ *           example: 250.00
+ *           description: Por defecto, todo el pendiente de la factura
+ *         payment_date:
+ *           type: string
+ *           format: date
+ *           description: Hoy por defecto
+ *         method:
+ *           type: string
+ *           enum: [transfer, direct_debit, cash, card, check]
+ *           default: transfer
+ *         bank_account:
+ *           type: string
+ *           example: ES9121000418450200051332
+ *           description: IBAN desde el que se paga; por defecto COMPANY_BANK_ACCOUNT
+ *         reference:
+ *           type: string
+ *         notes:
+ *           type: string
+ */
+const router = express.Router()
+
+    /**
+     * @swagger
+     * /supplier-payments:
+     *   get:
+     *     summary: Pagos a proveedores registrados
+     *     tags: [Pagos a proveedores]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: query
+     *         name: supplier_id
+     *         schema:
+     *           type: integer
+     *       - in: query
+     *         name: payment_run_id
+     *         schema:
+     *           type: integer
+     *       - in: query
+     *         name: date_from
+     *         schema:
+     *           type: string
+     *           format: date
+     *       - in: query
+     *         name: date_to
+     *         schema:
+     *           type: string
+     *           format: date
+     *     responses:
+     *       200:
+     *         description: Lista de pagos
+     *       404:
+     *         description: No hay pagos
+     */
+    .get("/", auth, role(['employee', 'admin']), validateSupplierPaymentFilters, errorHandler, SupplierPaymentsController.getAllPayments)
+
+    /**
+     * @swagger
+     * /supplier-payments/invoices/{id}:
+     *   get:
+     *     summary: Pendiente de una factura recibida con sus pagos
+     *     tags: [Pagos a proveedores]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: "{total_amount, paid_amount, outstanding_amount, payment_status, payments}"
+     *       404:
+     *         description: Factura no encontrada
+     */
+    .get("/invoices/:id", auth, role(['employee', 'admin']), SupplierPaymentsController.getInvoiceBalance)
+
+    /**
+     * @swagger
+     * /supplier-payments/{id}:
+     *   get:
+     *     summary: Obtener un pago a proveedor
+     *     tags: [Pagos a proveedores]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Pago
+     *       404:
+     *         description: Pago no encontrado
+     */
+    .get("/:id", auth, role(['employee', 'admin']), SupplierPaymentsController.getPaymentById)
+
+    /**
+     * @swagger
+     * /supplier-payments:
+     *   post:
+     *     summary: Registrar el pago de una factura recibida
+     *     description: >
+     *       La factura queda como partially_paid mientras tenga pendiente y como paid
+     *       (con la fecha, método y referencia del pago) al cubrirse.
+     *     tags: [Pagos a proveedores]
+     *     security:
+     *       - bearerAuth: []
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/PagoProveedor'
+     *     responses:
+     *       201:
+     *         description: Pago registrado
+     *       400:
+     *         description: Importe superior al pendiente, abono o sin cuenta bancaria
+     *       404:
+     *         description: Factura no encontrada
+     *       409:
+     *         description: Factura ya pagada o incluida en una remesa abierta
+     */
+    .post("/", auth, role(['admin']), validateCreateSupplierPayment, errorHandler, SupplierPaymentsController.createPayment)
+
+    /**
+     * @swagger
+     * /supplier-payments/{id}:
+     *   delete:
+     *     summary: Eliminar un pago (la factura recupera ese pendiente)
+     *     tags: [Pagos a proveedores]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       204:
+     *         description: Pago eliminado
+     *       404:
+     *         description: Pago no encontrado
+     *       409:
+     *         description: El pago es de una remesa o la factura está en una liquidación a propietario
+     */
+    .delete("/:id", auth, role(['admin']), SupplierPaymentsController.deletePayment)
+
+export default router;
@@ -338,6 +338,7 @@ const router = express.Router()
      * /suppliers/{id}:
      *   get:
      *     summary: Obtiene un proveedor específico por ID
+     *     description: Incluye lo pendiente de pagarle (outstanding_invoices y outstanding_amount)
      *     tags: [Proveedores]
      *     parameters:
      *       - in: path
@@ -352,7 +353,16 @@ const router = express.Router()
      *         content:
      *           application/json:
      *             schema:
-     *               $ref: '#/components/schemas/Proveedor'
+     *               allOf:
+     *                 - $ref: '#/components/schemas/Proveedor'
+     *                 - type: object
+     *                   properties:
+     *                     outstanding_invoices:
+     *                       type: integer
+     *                       description: Facturas recibidas con importe pendiente de pago
+     *                     outstanding_amount:
+     *                       type: number
+     *                       description: Importe pendiente de pago al proveedor
      *       400:
      *         description: ID inválido
      *       404:
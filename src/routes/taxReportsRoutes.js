@@ -0,0 +1,271 @@
+import express from "express";
+import TaxReportsController from "../controllers/taxReportsControllers.js";
+import auth from "../middlewares/auth.js";
+import role from "../middlewares/role.js";
+import errorHandler from "../middlewares/errorHandler.js";
+import { validateTaxReportQuarter, validateTaxReportYear } from "../validator/validatorTaxReports.js";
+
+/**
+ * @swagger
+ * tags:
+ *   name: Modelos tributarios
+ *   description: Declaraciones de retenciones e informativas (JSON, PDF y fichero para la AEAT)
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     GrupoRetenciones:
+ *       type: object
+ *       description: Retenciones de un arrendador, un arrendatario y un inmueble
+ *       properties:
+ *         landlord:
+ *           type: object
+ *           properties:
+ *             nif:
+ *               type: string
+ *             name:
+ *               type: string
+ *         tenant:
+ *           type: object
+ *           properties:
+ *             nif:
+ *               type: string
+ *             name:
+ *               type: string
+ *         estate:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             cadastral_reference:
+ *               type: string
+ *             address:
+ *               type: string
+ *         base:
+ *           type: number
+ *         rate:
+ *           type: number
+ *         amount:
+ *           type: number
+ *         by_quarter:
+ *           type: object
+ *           description: Base e importe por trimestre (1-4)
+ */
+const router = express.Router()
+
+    /**
+     * @swagger
+     * /tax-reports/modelo-115/{year}/{quarter}:
+     *   get:
+     *     summary: Modelo 115 del trimestre (retenciones sobre alquileres)
+     *     description: >
+     *       Retenciones practicadas por la empresa sobre los alquileres que paga (facturas
+     *       recibidas de categoría 'alquiler') y retenciones soportadas sobre las facturas de
+     *       los propietarios, por arrendador, arrendatario e inmueble, con el cuadre contra el
+     *       IRPF de los libros de IVA del trimestre.
+     *     tags: [Modelos tributarios]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: year
+     *         required: true
+     *         schema:
+     *           type: integer
+     *       - in: path
+     *         name: quarter
+     *         required: true
+     *         schema:
+     *           type: integer
+     *           minimum: 1
+     *           maximum: 4
+     *     responses:
+     *       200:
+     *         description: "Casillas [01]-[05], withholdings_practised, withholdings_suffered (groups de GrupoRetenciones), reconciliation y warnings"
+     *       400:
+     *         description: Período no válido o datos de empresa incompletos
+     */
+    .get("/modelo-115/:year/:quarter", auth, role(['employee', 'admin']), validateTaxReportQuarter, errorHandler, TaxReportsController.getModelo115)
+
+    /**
+     * @swagger
+     * /tax-reports/modelo-115/{year}/{quarter}/file:
+     *   get:
+     *     summary: Fichero del modelo 115 para importar en el formulario de la AEAT
+     *     tags: [Modelos tributarios]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: year
+     *         required: true
+     *         schema:
+     *           type: integer
+     *       - in: path
+     *         name: quarter
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Fichero de longitud fija en ISO-8859-1
+     */
+    .get("/modelo-115/:year/:quarter/file", auth, role(['employee', 'admin']), validateTaxReportQuarter, errorHandler, TaxReportsController.downloadModelo115File)
+
+    /**
+     * @swagger
+     * /tax-reports/modelo-115/{year}/{quarter}/pdf:
+     *   get:
+     *     summary: PDF del modelo 115 con el detalle y el cuadre
+     *     tags: [Modelos tributarios]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: year
+     *         required: true
+     *         schema:
+     *           type: integer
+     *       - in: path
+     *         name: quarter
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: PDF
+     */
+    .get("/modelo-115/:year/:quarter/pdf", auth, role(['employee', 'admin']), validateTaxReportQuarter, errorHandler, TaxReportsController.downloadModelo115PDF)
+
+    /**
+     * @swagger
+     * /tax-reports/modelo-180/{year}:
+     *   get:
+     *     summary: Modelo 180 del ejercicio (resumen anual de retenciones sobre alquileres)
+     *     tags: [Modelos tributarios]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: year
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: "Totales, un grupo por perceptor e inmueble (con desglose trimestral), reconciliation y warnings"
+     */
+    .get("/modelo-180/:year", auth, role(['employee', 'admin']), validateTaxReportYear, errorHandler, TaxReportsController.getModelo180)
+
+    /**
+     * @swagger
+     * /tax-reports/modelo-180/{year}/file:
+     *   get:
+     *     summary: Fichero del modelo 180 (registros de 250 posiciones)
+     *     tags: [Modelos tributarios]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: year
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Fichero en ISO-8859-1
+     *       422:
+     *         description: Hay alquileres sin NIF del arrendador o sin referencia catastral
+     */
+    .get("/modelo-180/:year/file", auth, role(['employee', 'admin']), validateTaxReportYear, errorHandler, TaxReportsController.downloadModelo180File)
+
+    /**
+     * @swagger
+     * /tax-reports/modelo-180/{year}/pdf:
+     *   get:
+     *     summary: PDF del modelo 180 con el detalle y el cuadre
+     *     tags: [Modelos tributarios]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: year
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: PDF
+     */
+    .get("/modelo-180/:year/pdf", auth, role(['employee', 'admin']), validateTaxReportYear, errorHandler, TaxReportsController.downloadModelo180PDF)
+
+    /**
+     * @swagger
+     * /tax-reports/modelo-347/{year}:
+     *   get:
+     *     summary: Modelo 347 del ejercicio (operaciones con terceras personas)
+     *     description: >
+     *       Clientes (clave B) y proveedores (clave A, facturas recibidas y gastos internos)
+     *       cuyo total anual IVA incluido supera 3.005,06 €, por NIF y con desglose trimestral.
+     *       Los arrendamientos se marcan con la referencia catastral de cada inmueble. Las
+     *       compras con retención se excluyen (van en los modelos 180 y 190).
+     *     tags: [Modelos tributarios]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: year
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: "declared (por NIF y clave, con by_quarter y estates), below_threshold, excluded, totals y warnings"
+     *       400:
+     *         description: Año no válido o datos de empresa incompletos
+     */
+    .get("/modelo-347/:year", auth, role(['employee', 'admin']), validateTaxReportYear, errorHandler, TaxReportsController.getModelo347)
+
+    /**
+     * @swagger
+     * /tax-reports/modelo-347/{year}/file:
+     *   get:
+     *     summary: Fichero del modelo 347 (registros de 500 posiciones)
+     *     tags: [Modelos tributarios]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: year
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Fichero en ISO-8859-1
+     */
+    .get("/modelo-347/:year/file", auth, role(['employee', 'admin']), validateTaxReportYear, errorHandler, TaxReportsController.downloadModelo347File)
+
+    /**
+     * @swagger
+     * /tax-reports/modelo-347/{year}/excel:
+     *   get:
+     *     summary: Hoja Excel de revisión del modelo 347
+     *     description: Declarados, locales arrendados, terceros bajo el umbral, operaciones excluidas y avisos
+     *     tags: [Modelos tributarios]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: year
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Archivo .xls (SpreadsheetML)
+     */
+    .get("/modelo-347/:year/excel", auth, role(['employee', 'admin']), validateTaxReportYear, errorHandler, TaxReportsController.downloadModelo347Excel)
+
+export default router;
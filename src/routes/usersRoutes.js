@@ -4,6 +4,8 @@ import auth from "../middlewares/auth.js";
 import role from "../middlewares/role.js";
 import {validateUser} from "../validator/validatorUsers.js";
 import errorHandler from '../middlewares/errorHandler.js';
+import audit from '../middlewares/audit.js';
+import AuditController from '../controllers/auditControllers.js';
 
 /**
  * @swagger
@@ -123,6 +125,27 @@ const router = express.Router()
      */
     .get('/:id', auth, role(['admin', 'employee']), UsersController.getUserId)
 
+    /**
+     * @swagger
+     * /users/{id}/history:
+     *   get:
+     *     summary: Historial de cambios del usuario
+     *     description: Altas, modificaciones y bajas con usuario, fecha, IP y campos cambiados
+     *     tags: [Usuarios]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *     responses:
+     *       200:
+     *         description: Historial, del cambio más antiguo al más reciente
+     */
+    .get('/:id/history', auth, role(['admin']), AuditController.history('user'))
+
     //Crear, actualizar y eliminar usuarios solo admin
 
     /**
@@ -157,7 +180,7 @@ const router = express.Router()
      *       400:
      *         description: Datos inválidos
      */
-    .post('/', auth, role(['admin']), ...validateUser, errorHandler, UsersController.createUser)
+    .post('/', auth, role(['admin']), ...validateUser, errorHandler, audit('user'), UsersController.createUser)
 
     /**
      * @swagger
@@ -196,7 +219,7 @@ const router = express.Router()
      *       404:
      *         description: No encontrado
      */
-    .put('/:id', auth, role(['admin']), ...validateUser, errorHandler, UsersController.updateUser)
+    .put('/:id', auth, role(['admin']), ...validateUser, errorHandler, audit('user'), UsersController.updateUser)
 
     /**
      * @swagger
@@ -218,7 +241,7 @@ const router = express.Router()
      *       404:
      *         description: No encontrado
      */
-    .delete('/:id', auth, role(['admin']), UsersController.deleteUser)
+    .delete('/:id', auth, role(['admin']), audit('user'), UsersController.deleteUser)
 
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,157 @@
+import express from "express";
+import VerifactuController from "../controllers/verifactuControllers.js";
+import auth from "../middlewares/auth.js";
+import role from "../middlewares/role.js";
+import errorHandler from "../middlewares/errorHandler.js";
+import { validateVerifactuRecords, validateVerifactuVerify } from "../validator/validatorVerifactu.js";
+
+/**
+ * @swagger
+ * tags:
+ *   name: VERI*FACTU
+ *   description: Registros de facturación encadenados de las facturas emitidas y envío a la AEAT
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     RegistroVerifactu:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         issuer_nif:
+ *           type: string
+ *           description: NIF del propietario emisor (una cadena por emisor)
+ *         chain_sequence:
+ *           type: integer
+ *           description: Posición del registro en la cadena del emisor
+ *         record_type:
+ *           type: string
+ *           enum: [alta, anulacion]
+ *         is_correction:
+ *           type: boolean
+ *           description: Alta de subsanación de un registro anterior
+ *         invoices_issued_id:
+ *           type: integer
+ *           nullable: true
+ *           description: Factura registrada (null si se ha eliminado)
+ *         invoice_number:
+ *           type: string
+ *         invoice_date:
+ *           type: string
+ *           format: date
+ *         invoice_type:
+ *           type: string
+ *           enum: [F1, R4]
+ *           nullable: true
+ *         tax_amount:
+ *           type: number
+ *           nullable: true
+ *           description: Cuota total de IVA
+ *         total_amount:
+ *           type: number
+ *           nullable: true
+ *           description: Importe total (base + IVA)
+ *         previous_hash:
+ *           type: string
+ *           nullable: true
+ *           description: Huella del registro anterior de la cadena
+ *         hash:
+ *           type: string
+ *           description: Huella SHA-256 del registro (64 caracteres hexadecimales)
+ *         generated_at:
+ *           type: string
+ *           example: "2025-04-01T10:15:30+02:00"
+ *         submission_status:
+ *           type: string
+ *           enum: [pending, accepted, rejected, error]
+ *         submission_reference:
+ *           type: string
+ *           nullable: true
+ */
+const router = express.Router()
+
+    /**
+     * @swagger
+     * /verifactu/records:
+     *   get:
+     *     summary: Obtener los registros VERI*FACTU
+     *     tags: [VERI*FACTU]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: query
+     *         name: issuer_nif
+     *         schema:
+     *           type: string
+     *       - in: query
+     *         name: invoice_id
+     *         schema:
+     *           type: integer
+     *       - in: query
+     *         name: submission_status
+     *         schema:
+     *           type: string
+     *           enum: [pending, accepted, rejected, error]
+     *     responses:
+     *       200:
+     *         description: Registros en orden de cadena
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: object
+     *               properties:
+     *                 success:
+     *                   type: boolean
+     *                 data:
+     *                   type: array
+     *                   items:
+     *                     $ref: '#/components/schemas/RegistroVerifactu'
+     *       404:
+     *         description: No hay registros
+     */
+    .get("/records", auth, role(['employee', 'admin']), validateVerifactuRecords, errorHandler, VerifactuController.getRecords)
+
+    /**
+     * @swagger
+     * /verifactu/verify:
+     *   get:
+     *     summary: Verificar la integridad de las cadenas de registros
+     *     description: >
+     *       Recalcula la huella de cada registro y comprueba el enlace con el anterior,
+     *       que la secuencia no tenga huecos y que la cabeza de la cadena apunte al último registro.
+     *     tags: [VERI*FACTU]
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: query
+     *         name: issuer_nif
+     *         description: Solo la cadena de este emisor (todas por defecto)
+     *         schema:
+     *           type: string
+     *     responses:
+     *       200:
+     *         description: "Resultado por cadena: {valid, checked_at, chains: [{issuer_nif, records_count, valid, errors}]}"
+     */
+    .get("/verify", auth, role(['employee', 'admin']), validateVerifactuVerify, errorHandler, VerifactuController.verifyChain)
+
+    /**
+     * @swagger
+     * /verifactu/submit:
+     *   post:
+     *     summary: Enviar a la AEAT los registros pendientes
+     *     description: Envía cadena a cadena y en orden con el transporte configurado (VERIFACTU_TRANSPORT).
+     *     tags: [VERI*FACTU]
+     *     security:
+     *       - bearerAuth: []
+     *     responses:
+     *       200:
+     *         description: "Resumen del envío: {transport, submitted, accepted, rejected, errors}"
+     *       500:
+     *         description: Envío no configurado en el servidor
+     */
+    .post("/submit", auth, role(['admin']), VerifactuController.submitPending)
+
+export default router;
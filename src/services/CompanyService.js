@@ -1,3 +1,5 @@
+import { AppError } from "../errors/AppError.js";
+
 /**
  * Servicio básico para datos de empresa
  * Para exportación de libros de IVA AEAT
@@ -16,7 +18,8 @@ export default class CompanyService {
             postal_code: process.env.COMPANY_POSTAL_CODE,
             city: process.env.COMPANY_CITY,
             province: process.env.COMPANY_PROVINCE,
-            country: process.env.COMPANY_COUNTRY
+            country: process.env.COMPANY_COUNTRY,
+            bank_account: process.env.COMPANY_BANK_ACCOUNT
         };
     }
 
@@ -50,4 +53,19 @@ export default class CompanyService {
             message: "Datos de empresa válidos"
         };
     }
-}
\ No newline at end of file
+
+    /**
+     * Datos de la empresa como declarante de un modelo tributario
+     * Sin NIF ni razón social válidos no hay modelo que presentar.
+     * @param {string} model - Modelo para el que se piden (p. ej. '303'), solo para el mensaje
+     * @throws {AppError} 400 COMPANY_DATA_INVALID
+     */
+    static getDeclarantData(model) {
+        const companyData = this.getCompanyData();
+        const validation = this.validateCompanyData(companyData);
+        if (!validation.isValid) {
+            throw new AppError(`Datos de empresa incompletos para el modelo ${model}: ${validation.message}`, 400, 'COMPANY_DATA_INVALID');
+        }
+        return companyData;
+    }
+}
@@ -21,6 +21,7 @@ import InvoicesIssuedService from './invoicesIssuedServices.js';
 import InternalExpensesService from './internalExpensesServices.js';
 import CalculateHelper from '../shared/helpers/calculateTotal.js';
 import OwnersRepository from "../repository/ownersRepository.js";
+import AllocationsRepository from "../repository/allocationsRepository.js";
 import { AppError } from '../errors/AppError.js';
 
 export default class VATBookService {
@@ -52,14 +53,14 @@ export default class VATBookService {
         // Formatear según estándar AEAT
         const formattedEntries = CalculateHelper.formatVATSupportedEntries(invoicesReceived, internalExpenses);
 
-        // Calcular totales
-        const totals = CalculateHelper.calculateVATSupportedTotals(formattedEntries);
-
         // Filtrar por trimestre si se especifica
         const filteredEntries = quarter
             ? CalculateHelper.filterByQuarter(formattedEntries, quarter)
             : formattedEntries;
 
+        // Calcular totales del período (tras filtrar: los del año entero falsearían la liquidación trimestral)
+        const totals = CalculateHelper.calculateVATSupportedTotals(filteredEntries);
+
         return {
             bookType: 'CHARGED_VAT',
             bookCode: 'E', // R = Facturas Recibidas según AEAT
@@ -99,14 +100,14 @@ export default class VATBookService {
         // Formatear según estándar AEAT
         const formattedEntries = CalculateHelper.formatVATChargedEntries(invoicesIssued);
 
-        // Calcular totales
-        const totals = CalculateHelper.calculateVATChargedTotals(formattedEntries);
-
         // Filtrar por trimestre si se especifica
         const filteredEntries = quarter
             ? CalculateHelper.filterByQuarter(formattedEntries, quarter)
             : formattedEntries;
 
+        // Calcular totales del período (tras filtrar: los del año entero falsearían la liquidación trimestral)
+        const totals = CalculateHelper.calculateVATChargedTotals(filteredEntries);
+
         return {
             bookType: 'IVA_REPERCUTIDO',
             bookCode: 'E', // E = Facturas Expedidas según AEAT
@@ -184,22 +185,25 @@ export default class VATBookService {
         const [
             invoicesIssued,
             invoicesReceived,
-            internalExpenses
+            internalExpenses,
+            allocations
         ] = await Promise.all([
             InvoicesIssuedService.getAllInvoicesIssued(),
             InvoicesReceivedService.getAllInvoicesReceived(),
-            InternalExpensesService.getAllExpenses()
+            InternalExpensesService.getAllExpenses(),
+            AllocationsRepository.getAll()
         ]);
 
         // 4. Delegar la lógica de consolidación y cálculo al helper
-        const {summary_by_owner, overall_total} = CalculateHelper.calculateVATBookByOwner(
+        const {summary_by_owner, overall_total, unallocated_items} = CalculateHelper.calculateVATBookByOwner(
             invoicesIssued,
             invoicesReceived,
             internalExpenses,
             allOwners, // Pasar la lista completa de propietarios
             year,
             quarter,
-            month
+            month,
+            allocations // Reparto guardado de los gastos generales
         );
 
         // 5. Construir el objeto de respuesta final
@@ -211,6 +215,7 @@ export default class VATBookService {
             period: CalculateHelper.generatePeriodDescription(year, quarter, month),
             summary_by_owner,
             overall_total,
+            unallocated_items,
             generatedAt: new Date().toISOString()
         };
     }
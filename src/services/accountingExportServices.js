@@ -0,0 +1,244 @@
+import AccountingExportsRepository from "../repository/accountingExportsRepository.js";
+import JournalEntriesRepository from "../repository/journalEntriesRepository.js";
+import ClientsRepository from "../repository/clientsRepository.js";
+import SuppliersRepository from "../repository/suppliersRepository.js";
+import CalculateHelper from "../shared/helpers/calculateTotal.js";
+import {
+    EXPORTABLE_SOURCES,
+    MAPPING_ACCOUNT_PREFIXES,
+    buildExportData,
+    getSubaccountLength
+} from "../shared/helpers/accountingExportHelpers.js";
+import { generateContaplusFiles } from "../shared/utils/AccountingExport/contaplusFile.js";
+import { generateA3Files } from "../shared/utils/AccountingExport/a3File.js";
+import { generateCsvFiles } from "../shared/utils/AccountingExport/csvFile.js";
+import { encodeFile } from "../shared/utils/AEAT/aeatFileFormat.js";
+import { AppError } from "../errors/AppError.js";
+
+const round = (value) => CalculateHelper.roundCurrency(value);
+
+const GENERATORS = {
+    contaplus: generateContaplusFiles,
+    a3: generateA3Files,
+    csv: generateCsvFiles
+};
+
+/**
+ * Servicio de exportación contable al programa del asesor (ContaPlus, A3 o CSV)
+ * Cada lote recoge los asientos de facturas emitidas, recibidas y gastos
+ * internos del periodo que aún no se habían exportado y guarda los ficheros
+ * generados para poder descargarlos de nuevo.
+ */
+export default class AccountingExportService {
+
+    // ==========================================
+    // MAPEO DE SUBCUENTAS
+    // ==========================================
+
+    static async getMappings(mappingType = null) {
+        return AccountingExportsRepository.getMappings(mappingType);
+    }
+
+    /**
+     * Asigna la subcuenta del asesor a un cliente, proveedor o categoría de gasto
+     * @param {Object} data - {mapping_type, mapping_key, account_code}
+     * @throws {AppError} 404 si el cliente o proveedor no existe, 400 si la
+     *                    subcuenta no es del grupo que corresponde, 409 si ya tiene mapeo
+     */
+    static async createMapping(data) {
+        await this.assertMappingTarget(data.mapping_type, data.mapping_key);
+        this.assertAccountGroup(data.mapping_type, data.account_code);
+
+        const existing = await AccountingExportsRepository.findMapping(data.mapping_type, data.mapping_key);
+        if (existing.length) {
+            throw new AppError('Ya existe un mapeo para ese cliente, proveedor o categoría; modifíquelo', 409);
+        }
+
+        const created = await AccountingExportsRepository.createMapping(data);
+        return AccountingExportsRepository.findMappingById(created[0].id);
+    }
+
+    static async updateMapping(id, accountCode) {
+        const mappings = await AccountingExportsRepository.findMappingById(id);
+        if (!mappings.length) return [];
+
+        this.assertAccountGroup(mappings[0].mapping_type, accountCode);
+        await AccountingExportsRepository.updateMapping(id, accountCode);
+        return AccountingExportsRepository.findMappingById(id);
+    }
+
+    static async deleteMapping(id) {
+        return AccountingExportsRepository.deleteMapping(id);
+    }
+
+    // ==========================================
+    // LOTES
+    // ==========================================
+
+    static async getExports() {
+        const batches = await AccountingExportsRepository.getAll();
+        return batches.map(batch => this.formatBatch(batch));
+    }
+
+    static async getExportById(id) {
+        const batches = await AccountingExportsRepository.findById(id);
+        if (!batches.length) return [];
+
+        const items = await AccountingExportsRepository.getItems(id);
+        return [{...this.formatBatch(batches[0]), items}];
+    }
+
+    /**
+     * Asientos del periodo pendientes de exportar, con la subcuenta de cada apunte
+     * @param {Object} filters - {date_from, date_to}
+     */
+    static async getPendingEntries(filters) {
+        const {entries} = await this.buildData(filters);
+        return entries;
+    }
+
+    /**
+     * Genera un lote con los asientos pendientes del periodo
+     * @param {Object} data
+     * @param {string} data.format - contaplus, a3 o csv
+     * @param {string} data.date_from - YYYY-MM-DD
+     * @param {string} data.date_to - YYYY-MM-DD
+     * @param {number|null} [data.created_by]
+     * @throws {AppError} 404 si no hay asientos pendientes, 409 si otro lote se llevó alguno a la vez
+     */
+    static async createExport(data) {
+        const exportData = await this.buildData(data);
+        if (!exportData.entries.length) {
+            throw new AppError('No hay asientos pendientes de exportar en el periodo', 404, 'NOTHING_TO_EXPORT');
+        }
+
+        const files = GENERATORS[data.format](exportData, {date_from: data.date_from, date_to: data.date_to});
+        const created = await AccountingExportsRepository.create({
+            format: data.format,
+            date_from: data.date_from,
+            date_to: data.date_to,
+            total_amount: round(exportData.entries.reduce((sum, entry) => sum + entry.total, 0)),
+            journal_file_name: files.journal.file_name,
+            journal_content: files.journal.content,
+            accounts_file_name: files.accounts?.file_name ?? null,
+            accounts_content: files.accounts?.content ?? null,
+            created_by: data.created_by ?? null
+        }, exportData.entries.map(entry => ({
+            journal_entry_id: entry.journal_entry_id,
+            fiscal_year: entry.fiscal_year,
+            entry_number: entry.entry_number,
+            source_type: entry.source_type,
+            source_id: entry.source_id
+        })));
+        if (!created.length) {
+            throw new AppError('Algún asiento ya se exportó en otro lote; vuelva a generar la exportación', 409, 'ACCOUNTING_EXPORT_OUTDATED');
+        }
+
+        return this.getExportById(created[0].id);
+    }
+
+    /**
+     * Fichero de un lote listo para descargar
+     * @param {number} id
+     * @param {string} [type] - journal (diario) o accounts (subcuentas / terceros)
+     * @throws {AppError} 404 si el formato del lote no tiene ese fichero
+     */
+    static async getExportFile(id, type = 'journal') {
+        const files = await AccountingExportsRepository.getFiles(id);
+        if (!files.length) return [];
+
+        const file = files[0];
+        const fileName = type === 'accounts' ? file.accounts_file_name : file.journal_file_name;
+        const content = type === 'accounts' ? file.accounts_content : file.journal_content;
+        if (!fileName) throw new AppError('El formato de esta exportación no tiene fichero de subcuentas', 404);
+
+        const isCsv = file.format === 'csv';
+        return [{
+            file_name: fileName,
+            content_type: isCsv ? 'text/csv; charset=utf-8' : 'text/plain; charset=ISO-8859-1',
+            content: isCsv ? content : encodeFile(content)
+        }];
+    }
+
+    /**
+     * Anula un lote: sus asientos vuelven a quedar pendientes de exportar
+     */
+    static async deleteExport(id) {
+        return AccountingExportsRepository.delete(id);
+    }
+
+    // ==========================================
+    // BLOQUEO DE DOCUMENTOS EXPORTADOS
+    // ==========================================
+
+    /**
+     * Impide modificar o eliminar un documento cuyo asiento ya se exportó: el
+     * lote se rastrea por asiento y el cambio no llegaría al asesor. Para
+     * corregirlo hay que anular antes el lote o emitir una rectificativa.
+     * @param {string} sourceType - invoice_issued, invoice_received o internal_expense
+     * @param {number} sourceId
+     * @throws {AppError} 409 ACCOUNTING_ENTRY_EXPORTED
+     */
+    static async assertNotExported(sourceType, sourceId) {
+        const exports = await AccountingExportsRepository.findExportsForSource(sourceType, Number(sourceId));
+        if (exports.length) {
+            throw new AppError(
+                `El asiento del documento ya se exportó a contabilidad (lote nº ${exports.map(e => e.id).join(', ')}); anule el lote antes de modificarlo`,
+                409,
+                'ACCOUNTING_ENTRY_EXPORTED',
+                {sourceType, sourceId: Number(sourceId), exports}
+            );
+        }
+    }
+
+    // ==========================================
+    // MÉTODOS AUXILIARES
+    // ==========================================
+
+    static async buildData(filters) {
+        if (filters.date_from > filters.date_to) {
+            throw new AppError('La fecha desde no puede ser posterior a la fecha hasta', 400);
+        }
+
+        const rows = await AccountingExportsRepository.getEntriesToExport(filters, EXPORTABLE_SOURCES);
+        if (!rows.length) return {entries: [], accounts: []};
+
+        const lines = await JournalEntriesRepository.getLines(rows.map(row => row.id));
+        const mappings = await AccountingExportsRepository.getMappings();
+        const entries = rows.map(row => ({...row, entry_date: CalculateHelper.formatDateISO(row.entry_date)}));
+
+        return buildExportData(entries, lines, mappings, getSubaccountLength());
+    }
+
+    static async assertMappingTarget(mappingType, mappingKey) {
+        if (mappingType === 'client') {
+            const clients = await ClientsRepository.findById(mappingKey);
+            if (!clients.length) throw new AppError('Cliente no encontrado', 404);
+        } else if (mappingType === 'supplier') {
+            const suppliers = await SuppliersRepository.findById(mappingKey);
+            if (!suppliers.length) throw new AppError('Proveedor no encontrado', 404);
+        } else {
+            const categories = [
+                ...CalculateHelper.getValidInvoiceReceivedCategories(),
+                ...CalculateHelper.getValidInvoiceExpenseCategory()
+            ];
+            if (!categories.includes(mappingKey)) throw new AppError(`La categoría ${mappingKey} no existe`, 400);
+        }
+    }
+
+    static assertAccountGroup(mappingType, accountCode) {
+        const prefixes = MAPPING_ACCOUNT_PREFIXES[mappingType];
+        if (!prefixes.some(prefix => String(accountCode).startsWith(prefix))) {
+            throw new AppError(`La subcuenta ${accountCode} debe empezar por ${prefixes.join(' o ')}`, 400);
+        }
+    }
+
+    static formatBatch(batch) {
+        return {
+            ...batch,
+            date_from: CalculateHelper.formatDateISO(batch.date_from),
+            date_to: CalculateHelper.formatDateISO(batch.date_to),
+            total_amount: parseFloat(batch.total_amount)
+        };
+    }
+}
@@ -0,0 +1,417 @@
+import JournalEntriesRepository from "../repository/journalEntriesRepository.js";
+import InvoicesIssuedRepository from "../repository/invoicesIssuedRepository.js";
+import InvoicesReceivedRepository from "../repository/invoicesReceivedRepository.js";
+import InternalExpensesRepository from "../repository/internalExpensesRepository.js";
+import PaymentsRepository from "../repository/paymentsRepository.js";
+import SupplierPaymentsRepository from "../repository/supplierPaymentsRepository.js";
+import DepositsRepository from "../repository/depositsRepository.js";
+import InvoiceLinesRepository from "../repository/invoiceLinesRepository.js";
+import SepaReturnsRepository from "../repository/sepaReturnsRepository.js";
+import CalculateHelper from "../shared/helpers/calculateTotal.js";
+import {
+    ACCOUNTS,
+    SOURCE_TYPES,
+    bankChargesMovements,
+    buildEntryLines,
+    entryTotals,
+    internalExpenseMovements,
+    issuedInvoiceMovements,
+    receivedInvoiceMovements,
+    settlementMovements
+} from "../shared/helpers/accountingHelpers.js";
+import { AppError } from "../errors/AppError.js";
+import logger from "../config/logger.js";
+
+const round = (value) => CalculateHelper.roundCurrency(value);
+
+const personName = (row, prefix) =>
+    row[`${prefix}_company_name`] || [row[`${prefix}_name`], row[`${prefix}_lastname`]].filter(Boolean).join(' ');
+
+/**
+ * Servicio de contabilidad por partida doble
+ * Los servicios de facturas emitidas, recibidas, gastos internos, cobros y
+ * pagos llaman a los métodos sync* después de cada escritura: leen el estado
+ * actual del documento y generan, rehacen o borran sus asientos, así que se
+ * pueden llamar las veces que haga falta. syncAll los repasa todos: es la
+ * carga inicial tras la migración 031 y rehace los que fallaron tras guardar
+ * el documento.
+ */
+export default class AccountingService {
+
+    // ==========================================
+    // PLAN DE CUENTAS
+    // ==========================================
+
+    static async getAccounts() {
+        return JournalEntriesRepository.getAccounts();
+    }
+
+    /**
+     * Añade una cuenta o subcuenta al plan
+     * @param {Object} data - {code, name, account_type}
+     * @throws {AppError} 409 si el código ya existe
+     */
+    static async createAccount(data) {
+        const existing = await JournalEntriesRepository.findAccount(data.code);
+        if (existing.length) throw new AppError(`La cuenta ${data.code} ya existe en el plan de cuentas`, 409);
+
+        await JournalEntriesRepository.createAccount(data);
+        return JournalEntriesRepository.findAccount(data.code);
+    }
+
+    // ==========================================
+    // LIBRO DIARIO, MAYOR Y BALANCE
+    // ==========================================
+
+    /**
+     * Libro diario con los apuntes de cada asiento
+     * @param {Object} [filters] - {date_from, date_to, source_type, account_code}
+     */
+    static async getJournal(filters = {}) {
+        const entries = await JournalEntriesRepository.getEntries(filters);
+        return this.withLines(entries);
+    }
+
+    static async getEntryById(id) {
+        if (!id || isNaN(Number(id))) return [];
+
+        const entries = await JournalEntriesRepository.findById(id);
+        return this.withLines(entries);
+    }
+
+    /**
+     * Mayor de una cuenta (incluye sus subcuentas): saldo inicial, apuntes con
+     * saldo acumulado y saldo final
+     * @param {string} accountCode
+     * @param {Object} [filters] - {date_from, date_to}
+     * @throws {AppError} 404 si la cuenta no está en el plan
+     */
+    static async getLedger(accountCode, filters = {}) {
+        const accounts = await JournalEntriesRepository.findAccount(accountCode);
+        if (!accounts.length) throw new AppError(`La cuenta ${accountCode} no existe en el plan de cuentas`, 404);
+
+        const openingBalance = filters.date_from
+            ? round(await JournalEntriesRepository.getBalanceBefore(accountCode, filters.date_from))
+            : 0;
+        const lines = await JournalEntriesRepository.getLedgerLines(accountCode, filters);
+
+        let balance = openingBalance;
+        const movements = lines.map(line => {
+            const debit = parseFloat(line.debit);
+            const credit = parseFloat(line.credit);
+            balance = round(balance + debit - credit);
+            return {
+                journal_entry_id: line.journal_entry_id,
+                fiscal_year: line.fiscal_year,
+                entry_number: line.entry_number,
+                entry_date: CalculateHelper.formatDateISO(line.entry_date),
+                description: line.description,
+                source_type: line.source_type,
+                source_id: line.source_id,
+                account_code: line.account_code,
+                concept: line.concept,
+                debit,
+                credit,
+                balance
+            };
+        });
+        const totals = entryTotals(movements);
+
+        return {
+            account: {code: accounts[0].code, name: accounts[0].name, account_type: accounts[0].account_type},
+            date_from: filters.date_from || null,
+            date_to: filters.date_to || null,
+            opening_balance: openingBalance,
+            total_debit: totals.debit,
+            total_credit: totals.credit,
+            closing_balance: round(openingBalance + totals.debit - totals.credit),
+            movements
+        };
+    }
+
+    /**
+     * Balance de sumas y saldos del periodo; la suma del debe y la del haber
+     * deben coincidir
+     * @param {Object} [filters] - {date_from, date_to}
+     */
+    static async getTrialBalance(filters = {}) {
+        const rows = await JournalEntriesRepository.getTrialBalance(filters);
+        const accounts = rows.map(row => {
+            const debit = round(parseFloat(row.debit));
+            const credit = round(parseFloat(row.credit));
+            return {
+                account_code: row.account_code,
+                account_name: row.account_name,
+                account_type: row.account_type,
+                debit,
+                credit,
+                debit_balance: debit > credit ? round(debit - credit) : 0,
+                credit_balance: credit > debit ? round(credit - debit) : 0
+            };
+        });
+        const totals = entryTotals(accounts);
+
+        return {
+            date_from: filters.date_from || null,
+            date_to: filters.date_to || null,
+            accounts,
+            totals: {
+                debit: totals.debit,
+                credit: totals.credit,
+                debit_balance: round(accounts.reduce((sum, item) => sum + item.debit_balance, 0)),
+                credit_balance: round(accounts.reduce((sum, item) => sum + item.credit_balance, 0)),
+                balanced: totals.balanced
+            }
+        };
+    }
+
+    // ==========================================
+    // ASIENTOS AUTOMÁTICOS
+    // ==========================================
+
+    /**
+     * Asientos de una factura emitida o abono: la factura y, si no se cobra
+     * con cobros imputados, su cobro (marcado a mano o con la fianza)
+     */
+    static async syncIssuedInvoice(id) {
+        const invoices = await InvoicesIssuedRepository.findById(id);
+        if (!invoices.length) {
+            await JournalEntriesRepository.deleteBySource(SOURCE_TYPES.INVOICE_ISSUED, id);
+            await JournalEntriesRepository.deleteBySource(SOURCE_TYPES.INVOICE_ISSUED_COLLECTION, id);
+            return;
+        }
+        const invoice = invoices[0];
+        const label = invoice.is_refund ? 'Abono emitido' : 'Factura emitida';
+        const lines = await InvoiceLinesRepository.findByInvoice('issued', invoice.id);
+        // Los gastos de devolución repercutidos al inquilino no son renta
+        const returnFees = await SepaReturnsRepository.findByFeeInvoice(invoice.id);
+        const incomeAccount = returnFees.length ? ACCOUNTS.OTHER_INCOME : ACCOUNTS.RENTAL_INCOME;
+
+        await this.saveEntry(SOURCE_TYPES.INVOICE_ISSUED, invoice.id, {
+            entry_date: invoice.invoice_date,
+            description: `${label} ${invoice.invoice_number}`,
+            movements: issuedInvoiceMovements(invoice, lines, incomeAccount)
+        });
+
+        const depositApplied = await DepositsRepository.getAppliedToInvoice(invoice.id);
+        const allocated = await PaymentsRepository.getAllocatedToInvoice(invoice.id);
+        const settlements = [];
+        if (depositApplied > 0) settlements.push({method: 'deposit', amount: depositApplied});
+        if (invoice.collection_status === 'collected' && allocated === 0 && invoice.collection_method !== 'deposit') {
+            settlements.push({method: invoice.collection_method, amount: round(parseFloat(invoice.total) - depositApplied)});
+        }
+
+        await this.saveEntry(SOURCE_TYPES.INVOICE_ISSUED_COLLECTION, invoice.id, {
+            entry_date: invoice.collection_date || invoice.invoice_date,
+            description: `Cobro ${label.toLowerCase()} ${invoice.invoice_number}`,
+            movements: settlements.length ? settlementMovements(ACCOUNTS.CLIENTS, settlements) : []
+        });
+    }
+
+    /**
+     * Asientos de una factura recibida o abono: la factura y, si se marcó
+     * pagada sin pagos a proveedor registrados, su pago
+     */
+    static async syncReceivedInvoice(id) {
+        const invoices = await InvoicesReceivedRepository.findById(id);
+        if (!invoices.length) {
+            await JournalEntriesRepository.deleteBySource(SOURCE_TYPES.INVOICE_RECEIVED, id);
+            await JournalEntriesRepository.deleteBySource(SOURCE_TYPES.INVOICE_RECEIVED_PAYMENT, id);
+            return;
+        }
+        const invoice = invoices[0];
+        const label = invoice.is_refund ? 'Abono recibido' : 'Factura recibida';
+
+        await this.saveEntry(SOURCE_TYPES.INVOICE_RECEIVED, invoice.id, {
+            entry_date: invoice.invoice_date,
+            description: `${label} ${invoice.invoice_number}`,
+            movements: receivedInvoiceMovements(invoice)
+        });
+
+        const paidWithPayments = await SupplierPaymentsRepository.getPaidToInvoice(invoice.id);
+        const total = Math.abs(parseFloat(invoice.total_amount)) * (invoice.is_refund ? -1 : 1);
+        const paidByHand = invoice.collection_status === 'paid' && paidWithPayments === 0;
+
+        await this.saveEntry(SOURCE_TYPES.INVOICE_RECEIVED_PAYMENT, invoice.id, {
+            entry_date: invoice.collection_date || invoice.invoice_date,
+            description: `Pago ${label.toLowerCase()} ${invoice.invoice_number}`,
+            movements: paidByHand
+                ? settlementMovements(ACCOUNTS.SUPPLIERS, [{method: invoice.collection_method, amount: -total}])
+                : []
+        });
+    }
+
+    /**
+     * Asientos de un gasto interno: el gasto (salvo rechazado) y su pago, con
+     * la fecha en que se marcó pagado
+     */
+    static async syncInternalExpense(id) {
+        const expenses = await InternalExpensesRepository.findById(id);
+        if (!expenses.length || expenses[0].status === 'rejected') {
+            await JournalEntriesRepository.deleteBySource(SOURCE_TYPES.INTERNAL_EXPENSE, id);
+            await JournalEntriesRepository.deleteBySource(SOURCE_TYPES.INTERNAL_EXPENSE_PAYMENT, id);
+            return;
+        }
+        const expense = expenses[0];
+        const description = `Gasto ${expense.supplier_name}${expense.receipt_number ? ` ${expense.receipt_number}` : ''}`;
+
+        await this.saveEntry(SOURCE_TYPES.INTERNAL_EXPENSE, expense.id, {
+            entry_date: expense.expense_date,
+            description,
+            movements: internalExpenseMovements(expense)
+        });
+
+        // El pago se fecha el día guardado al pagar; sin él se conserva la fecha del asiento ya contabilizado
+        const previousPayment = expense.payment_date ? [] : await JournalEntriesRepository.findBySource(SOURCE_TYPES.INTERNAL_EXPENSE_PAYMENT, expense.id);
+        await this.saveEntry(SOURCE_TYPES.INTERNAL_EXPENSE_PAYMENT, expense.id, {
+            entry_date: expense.payment_date || previousPayment[0]?.entry_date || new Date(),
+            description: `Pago ${description.charAt(0).toLowerCase()}${description.slice(1)}`,
+            movements: expense.status === 'paid'
+                ? settlementMovements(ACCOUNTS.CREDITORS, [{method: expense.payment_method, amount: -parseFloat(expense.total_amount)}])
+                : []
+        });
+    }
+
+    /**
+     * Asiento de los gastos bancarios de una devolución de adeudo, en la fecha
+     * de la devolución
+     */
+    static async syncSepaReturn(id) {
+        const returns = await SepaReturnsRepository.findById(id);
+        if (!returns.length) {
+            await JournalEntriesRepository.deleteBySource(SOURCE_TYPES.SEPA_RETURN, id);
+            return;
+        }
+        const item = returns[0];
+
+        await this.saveEntry(SOURCE_TYPES.SEPA_RETURN, item.id, {
+            entry_date: item.return_date,
+            description: `Gastos devolución adeudo ${item.invoice_number} (${item.reason_code})`,
+            movements: bankChargesMovements(parseFloat(item.bank_charges) || 0)
+        });
+    }
+
+    /**
+     * Pone al día los asientos de cobros de clientes y pagos a proveedores:
+     * contabiliza los nuevos, rehace los que cambiaron de importe o fecha
+     * (devoluciones, conciliación) y borra los de los eliminados
+     */
+    static async syncPayments() {
+        await JournalEntriesRepository.deleteOrphanPaymentEntries();
+
+        const payments = await JournalEntriesRepository.getPaymentsToPost();
+        for (const payment of payments) {
+            await this.saveEntry(SOURCE_TYPES.PAYMENT, payment.id, {
+                entry_date: payment.payment_date,
+                description: `Cobro ${personName(payment, 'client')}${payment.reference ? ` ${payment.reference}` : ''}`,
+                movements: settlementMovements(ACCOUNTS.CLIENTS, [{method: payment.method, amount: parseFloat(payment.amount)}])
+            });
+        }
+
+        const supplierPayments = await JournalEntriesRepository.getSupplierPaymentsToPost();
+        for (const payment of supplierPayments) {
+            await this.saveEntry(SOURCE_TYPES.SUPPLIER_PAYMENT, payment.id, {
+                entry_date: payment.payment_date,
+                description: `Pago ${personName(payment, 'supplier')} factura ${payment.invoice_number}`,
+                movements: settlementMovements(ACCOUNTS.SUPPLIERS, [{method: payment.method, amount: -parseFloat(payment.amount)}])
+            });
+        }
+    }
+
+    /**
+     * Rehace los asientos de todos los documentos, devoluciones, cobros y
+     * pagos. Un documento cuyo asiento falla no detiene el resto: se registra
+     * en el log y se devuelve en failed
+     * @returns {Promise<{invoices_issued: number, invoices_received: number, internal_expenses: number, sepa_returns: number, failed: Object[]}>}
+     */
+    static async syncAll() {
+        const ids = await JournalEntriesRepository.getDocumentIds();
+        const failed = [];
+
+        const syncEach = async (type, list, sync) => {
+            for (const id of list) {
+                try {
+                    await sync.call(this, id);
+                } catch (error) {
+                    logger.error({type, id, err: error}, 'No se pudo contabilizar el documento');
+                    failed.push({type, id, message: error instanceof AppError ? error.message : 'Error interno al contabilizar'});
+                }
+            }
+        };
+
+        await syncEach('invoice_issued', ids.issued, this.syncIssuedInvoice);
+        await syncEach('invoice_received', ids.received, this.syncReceivedInvoice);
+        await syncEach('internal_expense', ids.internal, this.syncInternalExpense);
+        await syncEach('sepa_return', ids.returns, this.syncSepaReturn);
+        await this.syncPayments();
+
+        return {
+            invoices_issued: ids.issued.length,
+            invoices_received: ids.received.length,
+            internal_expenses: ids.internal.length,
+            sepa_returns: ids.returns.length,
+            failed
+        };
+    }
+
+    // ==========================================
+    // MÉTODOS AUXILIARES
+    // ==========================================
+
+    /**
+     * Guarda el asiento de un documento, o lo borra si no tiene importes
+     * @param {string} sourceType
+     * @param {number} sourceId
+     * @param {Object} entry - {entry_date, description, movements}
+     * @throws {AppError} 500 ACCOUNTING_ENTRY_UNBALANCED si el debe y el haber no cuadran
+     */
+    static async saveEntry(sourceType, sourceId, entry) {
+        const lines = buildEntryLines(entry.movements.map(movement => ({...movement, concept: entry.description})));
+        if (!lines.length) {
+            await JournalEntriesRepository.deleteBySource(sourceType, sourceId);
+            return [];
+        }
+
+        const totals = entryTotals(lines);
+        if (!totals.balanced) {
+            throw new AppError(`El asiento de ${entry.description} no cuadra (debe ${totals.debit}, haber ${totals.credit})`, 500, 'ACCOUNTING_ENTRY_UNBALANCED');
+        }
+
+        return JournalEntriesRepository.save({
+            source_type: sourceType,
+            source_id: Number(sourceId),
+            entry_date: CalculateHelper.formatDateISO(entry.entry_date),
+            description: entry.description.slice(0, 255),
+            total: totals.debit,
+            lines
+        });
+    }
+
+    static async withLines(entries) {
+        const lines = await JournalEntriesRepository.getLines(entries.map(entry => entry.id));
+
+        return entries.map(entry => {
+            const entryLines = lines
+                .filter(line => line.journal_entry_id === entry.id)
+                .map(line => ({
+                    line_number: line.line_number,
+                    account_code: line.account_code,
+                    account_name: line.account_name,
+                    debit: parseFloat(line.debit),
+                    credit: parseFloat(line.credit),
+                    concept: line.concept
+                }));
+            return {
+                id: entry.id,
+                fiscal_year: entry.fiscal_year,
+                entry_number: entry.entry_number,
+                entry_date: CalculateHelper.formatDateISO(entry.entry_date),
+                description: entry.description,
+                source_type: entry.source_type,
+                source_id: entry.source_id,
+                total: parseFloat(entry.total),
+                lines: entryLines
+            };
+        });
+    }
+}
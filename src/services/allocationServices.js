@@ -0,0 +1,419 @@
+import AllocationsRepository from "../repository/allocationsRepository.js";
+import OwnersRepository from "../repository/ownersRepository.js";
+import InvoicesReceivedRepository from "../repository/invoicesReceivedRepository.js";
+import InternalExpensesRepository from "../repository/internalExpensesRepository.js";
+import {
+    ALLOCATION_METHODS,
+    ALLOCATION_SCOPES,
+    allocateAmounts,
+    computeShares,
+    distributeAmount,
+    findRule
+} from "../shared/helpers/allocationHelpers.js";
+import {sanitizeString} from "../shared/helpers/stringHelpers.js";
+import { AppError } from "../errors/AppError.js";
+
+const EXPENSE_TYPES = ['received', 'internal'];
+
+/**
+ * Servicio de reparto de gastos generales entre propietarios
+ * Las facturas recibidas y los gastos internos sin inmueble se reparten con la
+ * clave de la regla que les aplica (proveedor, centro de coste o categoría) o
+ * con la clave por defecto. El reparto se guarda por propietario al crear o
+ * modificar el gasto, de modo que los informes no cambian aunque después
+ * cambien los propietarios, los inmuebles o las claves.
+ */
+export default class AllocationService {
+
+    static getMethods() {
+        return ALLOCATION_METHODS;
+    }
+
+    static getScopes() {
+        return ALLOCATION_SCOPES;
+    }
+
+    // ==========================================
+    // CLAVES DE REPARTO
+    // ==========================================
+
+    static async getAllKeys() {
+        const keys = await AllocationsRepository.getAllKeys();
+        return Promise.all(keys.map(key => this.formatKey(key)));
+    }
+
+    static async getKeyById(id) {
+        if (!id || isNaN(Number(id))) return [];
+        const keys = await AllocationsRepository.findKeyById(id);
+        return Promise.all(keys.map(key => this.formatKey(key)));
+    }
+
+    /**
+     * Crea una clave
+     * REGLA: nombre único; las claves de porcentajes fijos deben sumar 100
+     */
+    static async createKey(data) {
+        const keyData = await this.validateKey(data);
+
+        const existing = await AllocationsRepository.findKeyByName(keyData.name);
+        if (existing.length > 0) throw new AppError('Ya existe una clave de reparto con ese nombre', 409);
+
+        const created = await AllocationsRepository.createKey(keyData);
+        if (!created.length) throw new AppError('Error al crear la clave de reparto', 500);
+
+        return this.getKeyById(created[0].id);
+    }
+
+    static async updateKey(id, data) {
+        if (!id || isNaN(Number(id))) return [];
+
+        const existing = await AllocationsRepository.findKeyById(id);
+        if (!existing.length) return [];
+
+        const current = existing[0];
+        const method = data.method ?? current.method;
+        const keyData = await this.validateKey({
+            name: data.name ?? current.name,
+            method,
+            description: data.description !== undefined ? data.description : current.description,
+            is_default: data.is_default ?? Boolean(current.is_default),
+            // Al pasar a porcentajes fijos sin enviarlos se validan los que ya tenía
+            shares: data.shares ?? (method === 'fixed' ? await AllocationsRepository.getKeyShares(id) : [])
+        });
+
+        const duplicate = await AllocationsRepository.findKeyByName(keyData.name);
+        if (duplicate.some(key => key.id !== Number(id))) throw new AppError('Ya existe una clave de reparto con ese nombre', 409);
+
+        const updated = await AllocationsRepository.updateKey({...keyData, id: Number(id)});
+        return updated.length ? this.getKeyById(id) : [];
+    }
+
+    /**
+     * Elimina una clave
+     * REGLA: la clave por defecto no se elimina (los gastos sin regla se quedarían sin clave).
+     * Sus reglas se eliminan con ella; los repartos ya guardados se conservan.
+     */
+    static async deleteKey(id) {
+        if (!id || isNaN(Number(id))) return [];
+
+        const existing = await AllocationsRepository.findKeyById(id);
+        if (!existing.length) return [];
+        if (existing[0].is_default) throw new AppError('No se puede eliminar la clave de reparto por defecto', 409);
+
+        return AllocationsRepository.deleteKey(id);
+    }
+
+    /**
+     * Porcentajes que aplicaría hoy una clave y reparto de un importe de ejemplo
+     * @param {number} id - Clave de reparto
+     * @param {number} amount - Importe a repartir (100 por defecto)
+     */
+    static async previewKey(id, amount = 100) {
+        const keys = await AllocationsRepository.findKeyById(id);
+        if (!keys.length) throw new AppError('Clave de reparto no encontrada', 404);
+
+        const context = await this.loadContext();
+        const shares = await this.resolveShares(keys[0], context);
+        const amounts = distributeAmount(amount, shares);
+
+        return {
+            allocation_key_id: keys[0].id,
+            name: keys[0].name,
+            method: keys[0].method,
+            amount: Number(amount),
+            shares: shares.map(share => ({
+                ...share,
+                owner_name: context.ownerNames.get(share.owners_id) || null,
+                amount: amounts.get(share.owners_id)
+            }))
+        };
+    }
+
+    // ==========================================
+    // REGLAS DE REPARTO
+    // ==========================================
+
+    static async getAllRules() {
+        return AllocationsRepository.getAllRules();
+    }
+
+    static async getRuleById(id) {
+        if (!id || isNaN(Number(id))) return [];
+        return AllocationsRepository.findRuleById(id);
+    }
+
+    /**
+     * Crea una regla
+     * REGLA: una sola regla por ámbito y valor (categoría, centro de coste o NIF del proveedor)
+     */
+    static async createRule(data) {
+        const ruleData = await this.validateRule(data);
+
+        const existing = await AllocationsRepository.findRuleByScope(ruleData.scope, ruleData.scope_value);
+        if (existing.length > 0) throw new AppError('Ya existe una regla de reparto para ese valor', 409);
+
+        const created = await AllocationsRepository.createRule(ruleData);
+        if (!created.length) throw new AppError('Error al crear la regla de reparto', 500);
+
+        return this.getRuleById(created[0].id);
+    }
+
+    static async updateRule(id, data) {
+        if (!id || isNaN(Number(id))) return [];
+
+        const existing = await AllocationsRepository.findRuleById(id);
+        if (!existing.length) return [];
+
+        const ruleData = await this.validateRule({
+            allocation_key_id: data.allocation_key_id ?? existing[0].allocation_key_id,
+            scope: data.scope ?? existing[0].scope,
+            scope_value: data.scope_value ?? existing[0].scope_value
+        });
+
+        const duplicate = await AllocationsRepository.findRuleByScope(ruleData.scope, ruleData.scope_value);
+        if (duplicate.some(rule => rule.id !== Number(id))) throw new AppError('Ya existe una regla de reparto para ese valor', 409);
+
+        const updated = await AllocationsRepository.updateRule({...ruleData, id: Number(id)});
+        return updated.length ? this.getRuleById(id) : [];
+    }
+
+    static async deleteRule(id) {
+        if (!id || isNaN(Number(id))) return [];
+        return AllocationsRepository.deleteRule(id);
+    }
+
+    // ==========================================
+    // REPARTO DE GASTOS
+    // ==========================================
+
+    /**
+     * Reparto guardado de un gasto
+     * @param {string} type - 'received' (factura recibida) o 'internal' (gasto interno)
+     * @param {number} id
+     */
+    static async getExpenseAllocation(type, id) {
+        if (!EXPENSE_TYPES.includes(type)) throw new AppError('Tipo de gasto inválido', 400);
+
+        const rows = await AllocationsRepository.findBySource(type, id);
+        return rows.map(row => ({
+            ...row,
+            percentage: parseFloat(row.percentage),
+            base: parseFloat(row.base),
+            iva: parseFloat(row.iva),
+            irpf: parseFloat(row.irpf),
+            total: parseFloat(row.total)
+        }));
+    }
+
+    /**
+     * Calcula y guarda el reparto de un gasto
+     * Los gastos asignados a un inmueble no se reparten aquí (van por la propiedad
+     * del inmueble): si tenían un reparto anterior se elimina.
+     * @param {string} type - 'received' o 'internal'
+     * @param {number} id
+     * @param {Object} [context] - Datos de loadContext (para repartos masivos)
+     * @returns {Object[]} Reparto guardado por propietario
+     */
+    static async allocateExpense(type, id, context = null) {
+        if (!EXPENSE_TYPES.includes(type)) throw new AppError('Tipo de gasto inválido', 400);
+
+        const items = type === 'received'
+            ? await InvoicesReceivedRepository.findById(id)
+            : await InternalExpensesRepository.findById(id);
+        if (!items.length) throw new AppError('Gasto no encontrado', 404);
+
+        const allocations = await this.buildAllocation(type, items[0], context ?? await this.loadContext());
+        await AllocationsRepository.replaceForSource(type, Number(id), allocations);
+        return allocations;
+    }
+
+    /**
+     * Reparte los gastos generales de un año
+     * @param {number} year
+     * @param {boolean} onlyMissing - Solo los que aún no tienen reparto guardado
+     * @returns {Object} {year, allocated, skipped}
+     */
+    static async runAllocation(year, onlyMissing = true) {
+        const [received, internal, stored] = await Promise.all([
+            InvoicesReceivedRepository.getAll(),
+            InternalExpensesRepository.getAll(),
+            AllocationsRepository.getAll()
+        ]);
+        const context = await this.loadContext();
+
+        const allocatedIds = {
+            received: new Set(stored.map(row => row.invoice_received_id).filter(Boolean)),
+            internal: new Set(stored.map(row => row.internal_expense_id).filter(Boolean))
+        };
+        const inYear = (value) => value && (value instanceof Date
+            ? value.getFullYear()
+            : Number(String(value).slice(0, 4))) === Number(year);
+
+        const pending = [
+            ...received.filter(item => inYear(item.invoice_date)).map(item => ({type: 'received', item})),
+            ...internal.filter(item => inYear(item.expense_date)).map(item => ({type: 'internal', item}))
+        ].filter(({type, item}, index, list) =>
+            !item.property_id
+            && list.findIndex(other => other.type === type && other.item.id === item.id) === index);
+
+        let allocated = 0;
+        let skipped = 0;
+        for (const {type, item} of pending) {
+            if (onlyMissing && allocatedIds[type].has(item.id)) {
+                skipped += 1;
+                continue;
+            }
+            const allocations = await this.buildAllocation(type, item, context);
+            await AllocationsRepository.replaceForSource(type, item.id, allocations);
+            allocated += 1;
+        }
+
+        return {year: Number(year), allocated, skipped};
+    }
+
+    /**
+     * Reparto de un gasto con la clave que le corresponde (sin guardar)
+     * Si la clave no tiene base de reparto (p. ej. superficie sin datos) se reparte
+     * a partes iguales y el reparto queda sin clave asociada.
+     * @returns {Object[]} Filas de expense_allocations (vacío si el gasto tiene inmueble)
+     */
+    static async buildAllocation(type, item, context) {
+        if (item.property_id) return [];
+
+        const expense = this.normalizeExpense(type, item);
+        const rule = findRule(context.rules, expense);
+        const key = rule
+            ? context.keys.find(candidate => candidate.id === rule.allocation_key_id)
+            : context.keys.find(candidate => candidate.is_default);
+
+        let shares = key ? await this.resolveShares(key, context) : [];
+        let keyId = key?.id ?? null;
+        if (!shares.length) {
+            shares = computeShares('equal', {owners: context.owners});
+            keyId = null;
+        }
+
+        return allocateAmounts(expense, shares).map(row => ({
+            ...row,
+            allocation_key_id: keyId,
+            allocation_rule_id: rule?.id ?? null
+        }));
+    }
+
+    /**
+     * Datos comunes a todos los repartos: propietarios, propiedad, claves y reglas
+     */
+    static async loadContext() {
+        const [owners, estateOwners, keys, rules] = await Promise.all([
+            OwnersRepository.getAll(),
+            AllocationsRepository.getOwnershipBase(),
+            AllocationsRepository.getAllKeys(),
+            AllocationsRepository.getAllRules()
+        ]);
+
+        return {
+            owners,
+            ownerNames: new Map(owners.map(owner => [owner.id, [owner.name, owner.lastname].filter(Boolean).join(' ')])),
+            estateOwners,
+            keys,
+            rules,
+            fixedShares: new Map()
+        };
+    }
+
+    static async resolveShares(key, context) {
+        let fixedShares = [];
+        if (key.method === 'fixed') {
+            if (!context.fixedShares.has(key.id)) {
+                context.fixedShares.set(key.id, await AllocationsRepository.getKeyShares(key.id));
+            }
+            fixedShares = context.fixedShares.get(key.id);
+        }
+        return computeShares(key.method, {owners: context.owners, estateOwners: context.estateOwners, fixedShares});
+    }
+
+    /**
+     * Campos comunes de facturas recibidas y gastos internos
+     */
+    static normalizeExpense(type, item) {
+        if (type === 'received') {
+            return {
+                supplier_nif: item.supplier_tax_id,
+                cost_center: null,
+                category: item.category,
+                base: parseFloat(item.tax_base) || 0,
+                iva: parseFloat(item.iva_amount) || 0,
+                irpf: parseFloat(item.irpf_amount) || 0
+            };
+        }
+        return {
+            supplier_nif: item.supplier_nif,
+            cost_center: item.cost_center,
+            category: item.category,
+            base: parseFloat(item.amount) || 0,
+            iva: parseFloat(item.iva_amount) || 0,
+            irpf: 0
+        };
+    }
+
+    // ==========================================
+    // VALIDACIONES Y FORMATO
+    // ==========================================
+
+    static async validateKey(data) {
+        if (!data.name?.trim()) throw new AppError('El nombre de la clave es obligatorio', 400);
+        if (!ALLOCATION_METHODS.includes(data.method)) throw new AppError('Método de reparto inválido', 400);
+
+        const shares = data.method === 'fixed'
+            ? (data.shares || []).map(share => ({owners_id: Number(share.owners_id), percentage: Number(share.percentage)}))
+            : [];
+
+        if (data.method === 'fixed') {
+            if (!shares.length) throw new AppError('Una clave de porcentajes fijos necesita al menos un propietario', 400);
+
+            const ownerIds = shares.map(share => share.owners_id);
+            if (new Set(ownerIds).size !== ownerIds.length) throw new AppError('Hay propietarios repetidos en la clave', 400);
+            if (shares.some(share => !(share.percentage > 0))) throw new AppError('Los porcentajes deben ser mayores que 0', 400);
+
+            const total = shares.reduce((acc, share) => acc + share.percentage, 0);
+            if (Math.abs(total - 100) > 0.001) throw new AppError('Los porcentajes de la clave deben sumar 100', 400);
+
+            const owners = await OwnersRepository.getAll();
+            const missing = ownerIds.filter(ownerId => !owners.some(owner => owner.id === ownerId));
+            if (missing.length) throw new AppError(`Propietario no encontrado: ${missing.join(', ')}`, 404);
+        }
+
+        return {
+            name: sanitizeString(data.name),
+            method: data.method,
+            description: data.description ? sanitizeString(data.description) : null,
+            is_default: Boolean(data.is_default),
+            shares
+        };
+    }
+
+    static async validateRule(data) {
+        if (!ALLOCATION_SCOPES.includes(data.scope)) throw new AppError('Ámbito de la regla inválido', 400);
+        if (!String(data.scope_value ?? '').trim()) throw new AppError('El valor de la regla es obligatorio', 400);
+
+        const keys = await AllocationsRepository.findKeyById(data.allocation_key_id);
+        if (!keys.length) throw new AppError('Clave de reparto no encontrada', 404);
+
+        const scopeValue = String(data.scope_value).trim();
+        return {
+            allocation_key_id: Number(data.allocation_key_id),
+            scope: data.scope,
+            // El NIF del proveedor se guarda normalizado
+            scope_value: data.scope === 'supplier' ? scopeValue.replace(/[\s-]/g, '').toUpperCase() : scopeValue
+        };
+    }
+
+    static async formatKey(key) {
+        const shares = key.method === 'fixed' ? await AllocationsRepository.getKeyShares(key.id) : [];
+        return {
+            ...key,
+            is_default: Boolean(key.is_default),
+            shares: shares.map(share => ({...share, percentage: parseFloat(share.percentage)}))
+        };
+    }
+}
@@ -0,0 +1,149 @@
+import AuditLogRepository from "../repository/auditLogRepository.js";
+import InvoicesIssuedRepository from "../repository/invoicesIssuedRepository.js";
+import InvoicesReceivedRepository from "../repository/invoicesReceivedRepository.js";
+import InternalExpensesRepository from "../repository/internalExpensesRepository.js";
+import ClientsRepository from "../repository/clientsRepository.js";
+import OwnersRepository from "../repository/ownersRepository.js";
+import EstatesRepository from "../repository/estatesRepository.js";
+import EstateOwnersRepository from "../repository/estatesOwnersRepository.js";
+import UsersRepository from "../repository/usersRepository.js";
+import { AUDIT_ENTITIES, diffRecords } from "../shared/helpers/auditHelpers.js";
+import { AppError } from "../errors/AppError.js";
+import logger from "../config/logger.js";
+
+// Registro con sus datos bancarios SEPA, que findById no devuelve
+const withSepa = (find, findSepa) => async (id) => {
+    const [rows, sepaRows] = await Promise.all([find(id), findSepa(id)]);
+    return rows.length ? [{...rows[0], ...sepaRows[0]}] : [];
+};
+
+// Lectura del registro completo de cada entidad auditada
+const SNAPSHOTS = {
+    invoice_issued: (id) => InvoicesIssuedRepository.findById(id),
+    invoice_received: (id) => InvoicesReceivedRepository.findById(id),
+    internal_expense: (id) => InternalExpensesRepository.findById(id),
+    client: withSepa((id) => ClientsRepository.findById(id), (id) => ClientsRepository.findSepaMandate(id)),
+    owner: withSepa((id) => OwnersRepository.findById(id), (id) => OwnersRepository.findSepaCreditor(id)),
+    estate: (id) => EstatesRepository.findById(id),
+    estate_owner: (id) => EstateOwnersRepository.findById(id),
+    user: (id) => UsersRepository.findById(id)
+};
+
+/**
+ * Servicio del registro de auditoría
+ * El middleware audit toma el registro antes de la escritura y, si la
+ * respuesta es correcta, lo vuelve a leer y guarda los campos cambiados con
+ * el usuario y la IP de la petición. Los procesos que cambian facturas fuera
+ * de su ruta (cobros, fianzas, remesas, devoluciones, conciliación bancaria,
+ * facturación de contratos) hacen lo mismo con track y recordCreated.
+ */
+export default class AuditService {
+
+    static async getLog(filters = {}) {
+        const rows = await AuditLogRepository.getAll(filters);
+        return rows.map(row => this.formatEntry(row));
+    }
+
+    /**
+     * Historial de cambios de un registro
+     * @param {string} entity - clave de AUDIT_ENTITIES
+     * @param {number} entityId
+     */
+    static async getHistory(entity, entityId) {
+        if (!AUDIT_ENTITIES[entity]) throw new AppError('Entidad de auditoría no válida', 400);
+
+        const rows = await AuditLogRepository.getByRecord(entity, entityId);
+        return rows.map(row => this.formatEntry(row));
+    }
+
+    /**
+     * Estado actual del registro (null si no existe)
+     */
+    static async snapshot(entity, entityId) {
+        if (!SNAPSHOTS[entity]) throw new AppError('Entidad de auditoría no válida', 400);
+
+        const rows = await SNAPSHOTS[entity](entityId);
+        return rows?.length ? rows[0] : null;
+    }
+
+    /**
+     * Guarda un cambio con la diferencia de campos
+     * Una modificación que no cambia ningún campo no se registra.
+     * @param {Object} data - entity, entity_id, action, before, user, ip_address
+     * @returns {Promise<Array>} [] si no hay cambios que registrar
+     */
+    static async record(data) {
+        const after = data.action === 'delete' ? null : await this.snapshot(data.entity, data.entity_id);
+        const changes = diffRecords(data.before, after);
+        if (!Object.keys(changes).length) return [];
+
+        return AuditLogRepository.create({
+            entity: data.entity,
+            entity_id: data.entity_id,
+            action: data.action,
+            user_id: data.user?.id ?? null,
+            username: data.user?.username ?? null,
+            ip_address: data.ip_address ?? null,
+            changes
+        });
+    }
+
+    /**
+     * Registra los cambios que una escritura de un proceso hace en otros
+     * registros: los lee antes, ejecuta la escritura y guarda la diferencia de
+     * cada uno. Si la escritura falla no se registra nada; si falla el registro
+     * se anota en el log y la escritura se mantiene, como en el middleware.
+     * @param {Object} records - {entidad: [ids]} que puede cambiar la escritura
+     * @param {Object|null} context - {user, ip_address} (auditContext); null en las tareas programadas
+     * @param {Function} write - Escritura; se devuelve su resultado
+     * @example await AuditService.track({invoice_issued: [7, 9]}, context, () => PaymentsRepository.create(payment, allocations))
+     */
+    static async track(records, context, write) {
+        const targets = [];
+        for (const [entity, ids] of Object.entries(records)) {
+            for (const id of new Set(ids.map(Number).filter(Boolean))) {
+                targets.push({entity, entity_id: id, before: await this.snapshot(entity, id)});
+            }
+        }
+
+        const result = await write();
+
+        for (const target of targets.filter(item => item.before)) {
+            await this.recordSafely({...target, action: 'update'}, context);
+        }
+        return result;
+    }
+
+    /**
+     * Registra las altas que hace un proceso (facturas de la facturación de contratos)
+     * @param {string} entity
+     * @param {number[]} ids
+     * @param {Object|null} context - {user, ip_address}; null en las tareas programadas
+     */
+    static async recordCreated(entity, ids, context) {
+        for (const id of ids) {
+            await this.recordSafely({entity, entity_id: Number(id), action: 'create', before: null}, context);
+        }
+    }
+
+    static async recordSafely(data, context) {
+        try {
+            await this.record({...data, user: context?.user ?? null, ip_address: context?.ip_address ?? null});
+        } catch (error) {
+            logger.error({entity: data.entity, entityId: data.entity_id, action: data.action, err: error},
+                'No se pudo guardar el registro de auditoría');
+        }
+    }
+
+    // ==========================================
+    // FORMATO
+    // ==========================================
+
+    static formatEntry(row) {
+        return {
+            ...row,
+            entity_label: AUDIT_ENTITIES[row.entity] ?? row.entity,
+            changes: typeof row.changes === 'string' ? JSON.parse(row.changes) : row.changes
+        };
+    }
+}
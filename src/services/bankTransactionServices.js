@@ -0,0 +1,372 @@
+import crypto from 'crypto';
+import BankTransactionsRepository from "../repository/bankTransactionsRepository.js";
+import AccountingService from "./accountingServices.js";
+import AuditService from "./auditServices.js";
+import CalculateHelper from "../shared/helpers/calculateTotal.js";
+import { DEFAULT_DATE_WINDOW, proposeMatches } from "../shared/helpers/bankReconciliationHelpers.js";
+import { parseNorma43 } from "../shared/utils/BankStatements/norma43Parser.js";
+import { parseCamt053 } from "../shared/utils/BankStatements/camt053Parser.js";
+import { AppError } from "../errors/AppError.js";
+
+const round = (value) => CalculateHelper.roundCurrency(value);
+
+// Estados del movimiento en los que aún se puede conciliar
+const PENDING_STATUSES = ['unmatched', 'partially_matched'];
+
+/**
+ * Servicio de conciliación bancaria
+ * Importa extractos Norma 43 (AEB) y CAMT.053, propone para cada movimiento
+ * las facturas pendientes que encajan (importe, fechas, número de factura y
+ * NIF en el concepto) y permite aceptar, repartir o ignorar cada movimiento.
+ * Al aceptar se registra el cobro o el pago de la factura con la referencia
+ * de la línea del extracto.
+ */
+export default class BankTransactionService {
+
+    // ==========================================
+    // IMPORTACIÓN
+    // ==========================================
+
+    /**
+     * Importa un extracto (una entrada por cuenta) y propone conciliaciones
+     * para sus movimientos
+     * @param {Object} file - {buffer, originalname}
+     * @param {number|null} [importedBy]
+     * @throws {AppError} 400 INVALID_STATEMENT_FILE si el fichero no es un extracto válido
+     * @throws {AppError} 409 STATEMENT_ALREADY_IMPORTED si el fichero ya se importó
+     */
+    static async importStatement(file, importedBy = null) {
+        if (!file?.buffer?.length) throw new AppError('Debe adjuntar el fichero del extracto', 400);
+
+        const format = this.detectFormat(file.buffer);
+        const accounts = format === 'camt053'
+            ? parseCamt053(file.buffer.toString('utf8'))
+            : parseNorma43(file.buffer.toString('latin1'));
+        const fileHash = crypto.createHash('sha256').update(file.buffer).digest('hex');
+
+        for (const account of accounts) {
+            const existing = await BankTransactionsRepository.findStatementByHash(fileHash, account.account_iban);
+            if (existing.length) {
+                throw new AppError(
+                    `El extracto de la cuenta ${account.account_iban} ya se importó el ${CalculateHelper.formatDateISO(existing[0].created_at)}`,
+                    409,
+                    'STATEMENT_ALREADY_IMPORTED'
+                );
+            }
+        }
+
+        const statementIds = [];
+        let transactionsCount = 0;
+        for (const account of accounts) {
+            const created = await BankTransactionsRepository.createStatement({
+                format,
+                file_name: file.originalname || null,
+                file_hash: fileHash,
+                account_iban: account.account_iban,
+                currency: account.currency,
+                date_from: account.date_from,
+                date_to: account.date_to,
+                opening_balance: account.opening_balance,
+                closing_balance: account.closing_balance,
+                imported_by: importedBy
+            }, account.transactions);
+            statementIds.push(created[0].id);
+            transactionsCount += account.transactions.length;
+        }
+
+        let proposals = 0;
+        for (const statementId of statementIds) {
+            proposals += (await this.matchTransactions({statement_id: statementId})).proposals;
+        }
+
+        return {
+            format,
+            statement_ids: statementIds,
+            transactions: transactionsCount,
+            proposals
+        };
+    }
+
+    // ==========================================
+    // CONSULTAS
+    // ==========================================
+
+    static async getStatements() {
+        const statements = await BankTransactionsRepository.getStatements();
+        return statements.map(statement => ({
+            id: statement.id,
+            format: statement.format,
+            file_name: statement.file_name,
+            account_iban: statement.account_iban,
+            currency: statement.currency,
+            date_from: CalculateHelper.formatDateISO(statement.date_from),
+            date_to: CalculateHelper.formatDateISO(statement.date_to),
+            opening_balance: statement.opening_balance === null ? null : parseFloat(statement.opening_balance),
+            closing_balance: statement.closing_balance === null ? null : parseFloat(statement.closing_balance),
+            transactions_count: Number(statement.transactions_count) || 0,
+            imported_by: statement.imported_by,
+            created_at: statement.created_at
+        }));
+    }
+
+    static async getTransactions(filters = {}) {
+        const transactions = await BankTransactionsRepository.getAll(filters);
+        return transactions.map(transaction => this.formatTransaction(transaction));
+    }
+
+    /**
+     * Movimiento con sus conciliaciones
+     */
+    static async getTransactionById(id) {
+        if (!id || isNaN(Number(id))) return [];
+
+        const transactions = await BankTransactionsRepository.findById(id);
+        if (!transactions.length) return [];
+
+        const matches = await BankTransactionsRepository.getMatches(id);
+        return [{
+            ...this.formatTransaction(transactions[0]),
+            matches: matches.map(match => this.formatMatch(match))
+        }];
+    }
+
+    // ==========================================
+    // CONCILIACIÓN
+    // ==========================================
+
+    /**
+     * Vuelve a calcular las propuestas de los movimientos pendientes; las
+     * aceptadas y descartadas se conservan
+     * @param {Object} [options]
+     * @param {number} [options.statement_id] - Solo los de un extracto
+     * @param {number[]} [options.ids] - Solo esos movimientos
+     * @param {number} [options.date_window] - Días alrededor del vencimiento (por defecto 15)
+     * @returns {Promise<{transactions: number, proposals: number}>}
+     */
+    static async matchTransactions(options = {}) {
+        const transactions = await BankTransactionsRepository.getPendingTransactions(options);
+        if (!transactions.length) return {transactions: 0, proposals: 0};
+
+        const dateWindow = options.date_window ?? DEFAULT_DATE_WINDOW;
+        const needsIssued = transactions.some(transaction => parseFloat(transaction.amount) > 0);
+        const needsReceived = transactions.some(transaction => parseFloat(transaction.amount) < 0);
+        const candidates = {
+            issued: needsIssued ? (await BankTransactionsRepository.getIssuedCandidates()).map(this.formatCandidate) : [],
+            received: needsReceived ? (await BankTransactionsRepository.getReceivedCandidates()).map(this.formatCandidate) : []
+        };
+
+        let proposals = 0;
+        for (const row of transactions) {
+            const transaction = this.formatTransaction(row);
+            const invoiceType = transaction.amount > 0 ? 'issued' : 'received';
+            const matches = proposeMatches(transaction, candidates[invoiceType], dateWindow);
+
+            await BankTransactionsRepository.replaceProposals(transaction.id, matches.map(match => ({
+                invoice_type: invoiceType,
+                invoice_id: match.invoice.id,
+                amount: match.amount,
+                score: match.score,
+                reasons: match.reasons
+            })));
+            proposals += matches.length;
+        }
+
+        return {transactions: transactions.length, proposals};
+    }
+
+    /**
+     * Acepta una propuesta: registra el cobro o pago de la factura
+     * @param {number} id - Movimiento
+     * @param {number} matchId - Propuesta
+     * @param {Object} [data] - {amount (por defecto, el propuesto), accepted_by}
+     * @param {Object|null} [context] - {user, ip_address} para el registro de auditoría de la factura
+     * @throws {AppError} 404 si no existen, 409 si el movimiento o la propuesta ya no están pendientes
+     */
+    static async acceptMatch(id, matchId, data = {}, context = null) {
+        const transaction = await this.findPendingTransactionOrFail(id);
+        const match = transaction.matches.find(item => Number(item.id) === Number(matchId));
+        if (!match) throw new AppError('Propuesta de conciliación no encontrada', 404);
+        if (match.status !== 'proposed') {
+            throw new AppError(`La propuesta ya está ${match.status === 'accepted' ? 'aceptada' : 'descartada'}`, 409);
+        }
+
+        const amount = round(data.amount ?? Math.min(match.amount, transaction.remaining_amount));
+        if (amount <= 0 || amount > transaction.remaining_amount) {
+            throw new AppError(
+                `El importe debe ser mayor que 0 y no superar lo pendiente de conciliar del movimiento (${transaction.remaining_amount})`,
+                400
+            );
+        }
+
+        await this.saveAllocations(transaction.id, [{
+            match_id: match.id,
+            invoice_type: match.invoice_type,
+            invoice_id: match.invoice_id,
+            amount
+        }], data.accepted_by, context);
+
+        return this.getTransactionById(transaction.id);
+    }
+
+    /**
+     * Reparte el movimiento entre varias facturas (del tipo que corresponde a su
+     * signo). Las que estaban propuestas se aceptan; el resto se añaden.
+     * @param {number} id
+     * @param {Object[]} allocations - [{invoice_type, invoice_id, amount}]
+     * @param {number|null} [acceptedBy]
+     * @param {Object|null} [context] - {user, ip_address}
+     * @throws {AppError} 400 BANK_SPLIT_INVALID con la lista de problemas
+     */
+    static async splitTransaction(id, allocations, acceptedBy = null, context = null) {
+        const transaction = await this.findPendingTransactionOrFail(id);
+        const invoiceType = transaction.amount > 0 ? 'issued' : 'received';
+
+        const problems = [];
+        const seen = new Set();
+        for (const allocation of allocations) {
+            if (allocation.invoice_type !== invoiceType) {
+                problems.push(`Factura ${allocation.invoice_id}: un ${invoiceType === 'issued' ? 'abono solo se concilia con facturas emitidas' : 'cargo solo se concilia con facturas recibidas'}`);
+            }
+            if (seen.has(allocation.invoice_id)) problems.push(`Factura ${allocation.invoice_id}: repetida`);
+            seen.add(allocation.invoice_id);
+        }
+        const total = round(allocations.reduce((sum, allocation) => sum + allocation.amount, 0));
+        if (total > transaction.remaining_amount) {
+            problems.push(`El reparto (${total}) supera lo pendiente de conciliar del movimiento (${transaction.remaining_amount})`);
+        }
+        if (problems.length) {
+            throw new AppError(`No se puede repartir el movimiento: ${problems.join('; ')}`, 400, 'BANK_SPLIT_INVALID', problems);
+        }
+
+        const proposed = transaction.matches.filter(match => match.status === 'proposed');
+        await this.saveAllocations(transaction.id, allocations.map(allocation => ({
+            match_id: proposed.find(match => match.invoice_type === allocation.invoice_type
+                && Number(match.invoice_id) === Number(allocation.invoice_id))?.id,
+            invoice_type: allocation.invoice_type,
+            invoice_id: allocation.invoice_id,
+            amount: round(allocation.amount)
+        })), acceptedBy, context);
+
+        return this.getTransactionById(transaction.id);
+    }
+
+    /**
+     * Descarta una propuesta
+     */
+    static async rejectMatch(id, matchId) {
+        const transaction = await this.findPendingTransactionOrFail(id);
+
+        const rejected = await BankTransactionsRepository.rejectMatch(transaction.id, matchId);
+        if (!rejected.length) throw new AppError('Propuesta de conciliación no encontrada o ya resuelta', 404);
+
+        return this.getTransactionById(transaction.id);
+    }
+
+    /**
+     * Ignora un movimiento que no corresponde a ninguna factura (comisiones,
+     * traspasos entre cuentas...)
+     * @throws {AppError} 409 si ya tiene algo conciliado
+     */
+    static async ignoreTransaction(id) {
+        const transactions = await this.getTransactionById(id);
+        if (!transactions.length) throw new AppError('Movimiento bancario no encontrado', 404);
+        if (transactions[0].status !== 'unmatched') {
+            throw new AppError('Solo se pueden ignorar movimientos sin nada conciliado', 409);
+        }
+
+        const ignored = await BankTransactionsRepository.ignore(transactions[0].id);
+        if (!ignored.length) throw new AppError('Solo se pueden ignorar movimientos sin nada conciliado', 409);
+
+        return this.getTransactionById(transactions[0].id);
+    }
+
+    // ==========================================
+    // MÉTODOS AUXILIARES
+    // ==========================================
+
+    /**
+     * Formato del fichero por su contenido: XML (CAMT.053) o texto de registros (Norma 43)
+     */
+    static detectFormat(buffer) {
+        const start = buffer.toString('utf8', 0, 200).replace(/^\uFEFF/, '').trimStart();
+        return start.startsWith('<') ? 'camt053' : 'n43';
+    }
+
+    static async saveAllocations(transactionId, allocations, acceptedBy = null, context = null) {
+        const invoiceIds = (type) => allocations.filter(allocation => allocation.invoice_type === type).map(allocation => allocation.invoice_id);
+        const saved = await AuditService.track({invoice_issued: invoiceIds('issued'), invoice_received: invoiceIds('received')}, context, () =>
+            BankTransactionsRepository.acceptMatches(transactionId, allocations, acceptedBy ?? null));
+        if (!saved.length) {
+            throw new AppError(
+                'El movimiento o alguna factura cambió mientras se conciliaba (estado o importe pendiente); revise la conciliación',
+                409,
+                'BANK_TRANSACTION_OUTDATED'
+            );
+        }
+        await AccountingService.syncPayments();
+        return saved;
+    }
+
+    static async findPendingTransactionOrFail(id) {
+        const transactions = await this.getTransactionById(id);
+        if (!transactions.length) throw new AppError('Movimiento bancario no encontrado', 404);
+
+        const transaction = transactions[0];
+        if (!PENDING_STATUSES.includes(transaction.status)) {
+            throw new AppError(`El movimiento está ${transaction.status === 'matched' ? 'conciliado' : 'ignorado'}`, 409);
+        }
+        return transaction;
+    }
+
+    static formatCandidate(invoice) {
+        return {
+            ...invoice,
+            invoice_date: CalculateHelper.formatDateISO(invoice.invoice_date),
+            due_date: CalculateHelper.formatDateISO(invoice.due_date),
+            total: parseFloat(invoice.total),
+            outstanding_amount: round(parseFloat(invoice.outstanding_amount))
+        };
+    }
+
+    static formatTransaction(transaction) {
+        const amount = parseFloat(transaction.amount);
+        const matched = parseFloat(transaction.matched_amount) || 0;
+        return {
+            id: transaction.id,
+            statement_id: transaction.statement_id,
+            line_number: transaction.line_number,
+            line_reference: transaction.line_reference,
+            account_iban: transaction.account_iban,
+            booking_date: CalculateHelper.formatDateISO(transaction.booking_date),
+            value_date: CalculateHelper.formatDateISO(transaction.value_date),
+            amount,
+            concept: transaction.concept,
+            counterparty_name: transaction.counterparty_name,
+            reference: transaction.reference,
+            status: transaction.status,
+            matched_amount: matched,
+            remaining_amount: transaction.status === 'ignored' ? 0 : round(Math.abs(amount) - matched),
+            created_at: transaction.created_at
+        };
+    }
+
+    static formatMatch(match) {
+        return {
+            id: match.id,
+            invoice_type: match.invoice_type,
+            invoice_id: match.invoice_type === 'issued' ? match.invoice_issued_id : match.invoice_received_id,
+            invoice_number: match.invoice_number,
+            due_date: CalculateHelper.formatDateISO(match.due_date),
+            invoice_total: match.invoice_total === null ? null : parseFloat(match.invoice_total),
+            invoice_status: match.invoice_status,
+            amount: parseFloat(match.amount),
+            score: Number(match.score) || 0,
+            reasons: match.reasons ? match.reasons.split(',') : [],
+            status: match.status,
+            payment_id: match.payment_id,
+            supplier_payment_id: match.supplier_payment_id,
+            accepted_by: match.accepted_by,
+            accepted_at: match.accepted_at
+        };
+    }
+}
@@ -0,0 +1,215 @@
+import BillingRunsRepository from "../repository/billingRunsRepository.js";
+import LeasesRepository from "../repository/leasesRepository.js";
+import EstateOwnersRepository from "../repository/estatesOwnersRepository.js";
+import InvoicesIssuedRepository from "../repository/invoicesIssuedRepository.js";
+import InvoicesIssuedService from "./invoicesIssuedServices.js";
+import LeasesService from "./leasesServices.js";
+import AuditService from "./auditServices.js";
+import CalculateHelper from "../shared/helpers/calculateTotal.js";
+import { AppError } from "../errors/AppError.js";
+
+/**
+ * Servicio de facturación mensual de contratos
+ * Recorre los contratos activos del mes y emite una factura por cada
+ * propietario del inmueble (reparto por ownership_percentage).
+ *
+ * Idempotente: una factura ya emitida para contrato + propietario + mes
+ * se marca como 'skipped' y no se duplica. Dos ejecuciones del mismo mes
+ * no pueden solaparse (bloqueo GET_LOCK).
+ */
+export default class BillingRunsService {
+
+    static getItemStatuses() {
+        return ['created', 'skipped', 'failed', 'to_create'];
+    }
+
+    // ==========================================
+    // EJECUCIÓN
+    // ==========================================
+
+    /**
+     * Ejecuta (o simula) la facturación mensual de contratos
+     * @param {Object} options
+     * @param {number} options.year - Año
+     * @param {number} options.month - Mes (1-12)
+     * @param {boolean} options.dry_run - Si es true no crea facturas ni registra la ejecución
+     * @param {string} options.triggered_by - 'manual' o 'scheduler'
+     * @param {number|null} options.created_by - Usuario que lanza la ejecución
+     * @param {string|null} options.until_date - Solo factura borradores con fecha <= until_date (YYYY-MM-DD)
+     * @param {Object|null} [context] - {user, ip_address} para el registro de auditoría; null en el programador
+     * @returns {Object} {run_id, corresponding_month, dry_run, summary, items}
+     */
+    static async runMonthlyBilling({year, month, dry_run = false, triggered_by = 'manual', created_by = null, until_date = null}, context = null) {
+        const numYear = Number(year);
+        const numMonth = Number(month);
+        const validation = CalculateHelper.validateDateParams(numYear, null, numMonth);
+        if (!validation.isValid || !numMonth) {
+            throw new AppError(validation.isValid ? 'Mes debe estar entre 1 y 12' : validation.message, 400, 'INVALID_DATE_PARAMS');
+        }
+
+        const correspondingMonth = `${numYear}-${String(numMonth).padStart(2, '0')}`;
+        const lockName = `billing_run_${correspondingMonth}`;
+
+        let lock = null;
+        if (!dry_run) {
+            lock = await BillingRunsRepository.acquireLock(lockName);
+            if (!lock) throw new AppError('Ya hay una facturación en curso para ese mes', 409, 'BILLING_RUN_IN_PROGRESS');
+        }
+
+        try {
+            let runId = null;
+            if (!dry_run) {
+                const run = await BillingRunsRepository.create({corresponding_month: correspondingMonth, triggered_by, created_by});
+                if (!run.length) throw new AppError('Error al registrar la ejecución de facturación', 500);
+                runId = run[0].id;
+            }
+
+            const items = await this.processLeases(numYear, numMonth, correspondingMonth, {dry_run, until_date, runId, context});
+
+            const summary = this.summarize(items);
+            if (runId) await BillingRunsRepository.finish(runId, summary);
+
+            return {run_id: runId, corresponding_month: correspondingMonth, dry_run: Boolean(dry_run), summary, items};
+        } finally {
+            if (lock) await BillingRunsRepository.releaseLock(lock, lockName);
+        }
+    }
+
+    /**
+     * Procesa todos los contratos vigentes en el mes y devuelve el resultado por factura
+     */
+    static async processLeases(year, month, correspondingMonth, {dry_run, until_date, runId, context = null}) {
+        const monthStart = `${correspondingMonth}-01`;
+        const monthEnd = `${correspondingMonth}-${String(CalculateHelper.getDaysInMonth(year, month)).padStart(2, '0')}`;
+        const leases = await LeasesRepository.findActiveInPeriod(monthStart, monthEnd);
+
+        const items = [];
+        const record = async (item) => {
+            items.push(item);
+            if (runId) await BillingRunsRepository.addItem({...item, billing_run_id: runId});
+        };
+
+        for (const lease of leases) {
+            const owners = await EstateOwnersRepository.findByEstateId(lease.estates_id);
+            if (!owners.length) {
+                await record({
+                    lease_id: lease.id, owners_id: null, status: 'failed',
+                    message: 'El inmueble del contrato no tiene propietarios asignados'
+                });
+                continue;
+            }
+
+            const drafts = LeasesService.buildInvoiceDrafts(lease, owners, year, month);
+
+            for (const draft of drafts) {
+                // El programador solo emite facturas cuyo día de facturación ya ha llegado
+                if (until_date && draft.invoice_date > until_date) continue;
+
+                await record(await this.processDraft(draft, dry_run, context));
+            }
+        }
+
+        return items;
+    }
+
+    /**
+     * Emite (o simula) la factura de un borrador
+     * @param {Object|null} [context] - {user, ip_address}; el alta queda en el registro de auditoría
+     * @returns {Object} Resultado: created / skipped / failed / to_create
+     */
+    static async processDraft(draft, dry_run, context = null) {
+        const base = {
+            lease_id: draft.lease_id,
+            owners_id: draft.owners_id,
+            owner_name: draft.owner_name,
+            estates_id: draft.estates_id,
+            clients_id: draft.clients_id,
+            invoice_date: draft.invoice_date,
+            is_proportional: draft.is_proportional,
+            tax_base: draft.billed_base,
+            total: draft.total
+        };
+
+        const existing = await InvoicesIssuedRepository.findByLeaseOwnerAndMonth(
+            draft.lease_id, draft.owners_id, draft.corresponding_month
+        );
+        if (existing.length > 0) {
+            return {
+                ...base, status: 'skipped', invoice_id: existing[0].id, invoice_number: existing[0].invoice_number,
+                message: `Ya facturado (${existing[0].invoice_number})`
+            };
+        }
+
+        if (dry_run) return {...base, status: 'to_create', invoice_id: null, message: null};
+
+        try {
+            const created = await InvoicesIssuedService.createInvoice({
+                lease_id: draft.lease_id,
+                estates_id: draft.estates_id,
+                clients_id: draft.clients_id,
+                owners_id: draft.owners_id,
+                invoice_date: draft.invoice_date,
+                due_date: draft.due_date,
+                corresponding_month: draft.corresponding_month,
+                tax_base: draft.tax_base,
+                iva: draft.iva,
+                irpf: draft.irpf,
+                is_proportional: draft.is_proportional,
+                start_date: draft.start_date,
+                end_date: draft.end_date,
+                collection_method: draft.collection_method
+            });
+            await AuditService.recordCreated('invoice_issued', [created[0].id], context);
+            return {
+                ...base, status: 'created', invoice_id: created[0].id, invoice_number: created[0].invoice_number,
+                tax_base: created[0].tax_base, total: created[0].total, message: null
+            };
+        } catch (error) {
+            // 409: ya existe una factura del mismo mes creada fuera del contrato
+            if (error instanceof AppError && error.statusCode === 409) {
+                return {...base, status: 'skipped', invoice_id: null, message: error.message};
+            }
+            const message = error instanceof AppError ? error.message : 'Error interno al crear la factura';
+            return {...base, status: 'failed', invoice_id: null, message};
+        }
+    }
+
+    // ==========================================
+    // CONSULTAS
+    // ==========================================
+
+    static async getAllRuns() {
+        return await BillingRunsRepository.getAll();
+    }
+
+    /**
+     * Obtiene una ejecución con el detalle por factura
+     */
+    static async getRunById(id) {
+        if (!id || isNaN(Number(id))) return [];
+
+        const run = await BillingRunsRepository.findById(id);
+        if (!run.length) return [];
+
+        const items = await BillingRunsRepository.findItemsByRunId(id);
+        return [{
+            ...run[0],
+            items: items.map(item => ({
+                ...item,
+                tax_base: parseFloat(item.tax_base),
+                total: parseFloat(item.total)
+            }))
+        }];
+    }
+
+    // ==========================================
+    // MÉTODOS DE UTILIDAD
+    // ==========================================
+
+    static summarize(items) {
+        return this.getItemStatuses().reduce((summary, status) => {
+            summary[status] = items.filter(item => item.status === status).length;
+            return summary;
+        }, {});
+    }
+}
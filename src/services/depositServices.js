@@ -0,0 +1,353 @@
+import DepositsRepository from "../repository/depositsRepository.js";
+import EstatesRepository from "../repository/estatesRepository.js";
+import ClientsRepository from "../repository/clientsRepository.js";
+import LeasesRepository from "../repository/leasesRepository.js";
+import InvoicesIssuedRepository from "../repository/invoicesIssuedRepository.js";
+import PaymentsRepository from "../repository/paymentsRepository.js";
+import OwnerSettlementService from "./ownerSettlementServices.js";
+import AccountingService from "./accountingServices.js";
+import AuditService from "./auditServices.js";
+import CalculateHelper from "../shared/helpers/calculateTotal.js";
+import { AppError } from "../errors/AppError.js";
+
+const round = (value) => CalculateHelper.roundCurrency(value);
+
+/**
+ * Servicio de fianzas
+ * La fianza se recibe del inquilino, se deposita en el organismo autonómico
+ * y al terminar el arrendamiento se aplica a facturas pendientes y/o se
+ * devuelve. Aplicarla a una factura es un cobro real: cuando lo aplicado
+ * cubre la factura se registra su cobro (collection_method 'deposit').
+ */
+export default class DepositService {
+
+    // ==========================================
+    // CONSULTAS
+    // ==========================================
+
+    static async getAllDeposits(filters = {}) {
+        const deposits = await DepositsRepository.getAll(filters);
+        return deposits.map(deposit => this.formatDeposit(deposit));
+    }
+
+    /**
+     * Fianza con sus aplicaciones a facturas
+     */
+    static async getDepositById(id) {
+        if (!id || isNaN(Number(id))) return [];
+
+        const deposits = await DepositsRepository.findById(id);
+        if (!deposits.length) return [];
+
+        const applications = await DepositsRepository.getApplications(id);
+        return [{
+            ...this.formatDeposit(deposits[0]),
+            applications: applications.map(application => ({
+                ...application,
+                amount: parseFloat(application.amount),
+                invoice_total: parseFloat(application.invoice_total),
+                applied_date: CalculateHelper.formatDateISO(application.applied_date)
+            }))
+        }];
+    }
+
+    /**
+     * Fianzas retenidas (sin devolver) por propietario
+     * Cada fianza cuenta para los propietarios del inmueble por su ownership_percentage.
+     * @param {number|null} ownerId - Solo ese propietario
+     * @returns {Object[]} [{owners_id, owner_name, owner_identification, deposits_count, total_held, deposits}]
+     */
+    static async getHeldByOwner(ownerId = null) {
+        const rows = await DepositsRepository.getHeldByOwner(ownerId);
+
+        const owners = new Map();
+        rows.forEach(row => {
+            const deposit = this.formatDeposit(row);
+            if (deposit.held_amount <= 0) return;
+
+            if (!owners.has(row.owners_id)) {
+                owners.set(row.owners_id, {
+                    owners_id: row.owners_id,
+                    owner_name: [row.owner_name, row.owner_lastname].filter(Boolean).join(' '),
+                    owner_identification: row.owner_identification,
+                    deposits_count: 0,
+                    total_held: 0,
+                    deposits: []
+                });
+            }
+
+            const owner = owners.get(row.owners_id);
+            const ownershipPercentage = parseFloat(row.ownership_percentage) || 0;
+            const ownerShare = round(deposit.held_amount * ownershipPercentage / 100);
+
+            owner.deposits.push({
+                deposit_id: deposit.id,
+                estates_id: deposit.estates_id,
+                estate_address: deposit.estate_address,
+                clients_id: deposit.clients_id,
+                client_name: deposit.client_name,
+                received_date: deposit.received_date,
+                lodging_reference: deposit.lodging_reference,
+                held_amount: deposit.held_amount,
+                ownership_percentage: ownershipPercentage,
+                owner_share: ownerShare
+            });
+            owner.deposits_count++;
+            owner.total_held = round(owner.total_held + ownerShare);
+        });
+
+        return [...owners.values()];
+    }
+
+    // ==========================================
+    // CRUD CON VALIDACIONES
+    // ==========================================
+
+    static async createDeposit(data) {
+        const depositData = await this.buildDepositData(data);
+
+        const created = await DepositsRepository.create(depositData);
+        if (!created.length) throw new AppError('Error al registrar la fianza', 500);
+
+        return this.getDepositById(created[0].id);
+    }
+
+    /**
+     * REGLA: el importe no puede quedar por debajo de lo ya aplicado o devuelto
+     */
+    static async updateDeposit(id, data) {
+        if (!id || isNaN(Number(id))) return [];
+
+        const existing = await DepositsRepository.findById(id);
+        if (!existing.length) return [];
+
+        const current = existing[0];
+        const depositData = await this.buildDepositData({
+            estates_id: data.estates_id ?? current.estates_id,
+            clients_id: data.clients_id ?? current.clients_id,
+            lease_id: data.lease_id !== undefined ? data.lease_id : current.lease_id,
+            amount: data.amount ?? current.amount,
+            received_date: data.received_date ?? CalculateHelper.formatDateISO(current.received_date),
+            lodging_body: data.lodging_body !== undefined ? data.lodging_body : current.lodging_body,
+            lodging_reference: data.lodging_reference !== undefined ? data.lodging_reference : current.lodging_reference,
+            lodged_date: data.lodged_date !== undefined ? data.lodged_date : CalculateHelper.formatDateISO(current.lodged_date),
+            notes: data.notes !== undefined ? data.notes : current.notes
+        });
+
+        const used = round((parseFloat(current.applied_amount) || 0) + (parseFloat(current.returned_amount) || 0));
+        if (depositData.amount < used) {
+            throw new AppError(`El importe de la fianza no puede ser inferior a lo ya aplicado o devuelto (${used})`, 409);
+        }
+
+        const updated = await DepositsRepository.update({...depositData, id: Number(id)});
+        return updated.length ? this.getDepositById(id) : [];
+    }
+
+    /**
+     * REGLA: solo se eliminan fianzas sin aplicaciones ni devolución
+     */
+    static async deleteDeposit(id) {
+        if (!id || isNaN(Number(id))) return [];
+
+        const existing = await DepositsRepository.findById(id);
+        if (!existing.length) return [];
+
+        if (parseFloat(existing[0].applied_amount) > 0 || existing[0].returned_date) {
+            throw new AppError('La fianza ya se ha aplicado o devuelto y no se puede eliminar', 409);
+        }
+
+        return DepositsRepository.delete(id);
+    }
+
+    // ==========================================
+    // APLICACIÓN Y DEVOLUCIÓN
+    // ==========================================
+
+    /**
+     * Aplica la fianza a una factura emitida pendiente del mismo inquilino
+     * Cuando lo aplicado cubre el pendiente, la factura se marca como cobrada con
+     * collection_method 'deposit' y la referencia FIANZA-{id}; si no, como cobrada en parte.
+     * La aplicación y el cobro se guardan juntos en DepositsRepository.applyToInvoice.
+     * @param {number} id - Fianza
+     * @param {Object} data
+     * @param {number} data.invoice_issued_id
+     * @param {number} [data.amount] - Por defecto, lo pendiente de la factura (hasta lo retenido)
+     * @param {string} [data.applied_date] - Hoy por defecto
+     * @param {Object|null} [context] - {user, ip_address} para el registro de auditoría de la factura
+     */
+    static async applyToInvoice(id, data, context = null) {
+        const deposit = await this.getOpenDeposit(id);
+
+        const invoices = await InvoicesIssuedRepository.findById(data.invoice_issued_id);
+        if (!invoices.length) throw new AppError('Factura no encontrada', 404);
+        const invoice = invoices[0];
+
+        if (invoice.clients_id !== deposit.clients_id) {
+            throw new AppError('La factura no es del inquilino que entregó la fianza', 409);
+        }
+        if (invoice.is_refund || parseFloat(invoice.total) <= 0) {
+            throw new AppError('La fianza no se puede aplicar a un abono', 409);
+        }
+        if (invoice.collection_status === 'collected') {
+            throw new AppError('La factura ya está cobrada', 409);
+        }
+
+        // Pendiente: total menos la fianza ya aplicada y los cobros imputados
+        const invoiceTotal = parseFloat(invoice.total);
+        const pending = round(invoiceTotal
+            - await DepositsRepository.getAppliedToInvoice(invoice.id)
+            - await PaymentsRepository.getAllocatedToInvoice(invoice.id));
+        const amount = data.amount !== undefined && data.amount !== null
+            ? round(Number(data.amount))
+            : Math.min(pending, deposit.held_amount);
+
+        if (!(amount > 0) || amount > pending) {
+            throw new AppError(`El importe a aplicar debe estar entre 0 y lo pendiente de la factura (${pending})`, 400);
+        }
+        if (amount > deposit.held_amount) {
+            throw new AppError(`La fianza no tiene saldo suficiente (retenido: ${deposit.held_amount})`, 409);
+        }
+
+        // REGLA DE NEGOCIO: lo incluido en una liquidación a propietario no se modifica
+        await OwnerSettlementService.assertNotSettled('issued', invoice.id);
+
+        // Lo retenido y lo pendiente se vuelven a comprobar con la fianza y la factura bloqueadas
+        const applied = await AuditService.track({invoice_issued: [invoice.id]}, context, () =>
+            DepositsRepository.applyToInvoice({
+                deposit_id: deposit.id,
+                invoice_issued_id: invoice.id,
+                amount,
+                applied_date: data.applied_date || new Date().toISOString().split('T')[0],
+                notes: data.notes || null,
+                created_by: data.created_by ?? null
+            }));
+        if (!applied.length) {
+            throw new AppError('La fianza o la factura han cambiado mientras se aplicaba; vuelva a intentarlo', 409);
+        }
+
+        await AccountingService.syncIssuedInvoice(invoice.id);
+
+        return this.getDepositById(deposit.id);
+    }
+
+    /**
+     * Registra la devolución de la fianza al inquilino
+     * @param {Object} data
+     * @param {string} [data.returned_date] - Hoy por defecto
+     * @param {number} [data.returned_amount] - Por defecto, todo lo retenido
+     */
+    static async returnDeposit(id, data = {}) {
+        const deposit = await this.getOpenDeposit(id);
+
+        const returnedAmount = data.returned_amount !== undefined && data.returned_amount !== null
+            ? round(Number(data.returned_amount))
+            : deposit.held_amount;
+        if (!(returnedAmount >= 0) || returnedAmount > deposit.held_amount) {
+            throw new AppError(`El importe devuelto debe estar entre 0 y lo retenido (${deposit.held_amount})`, 400);
+        }
+
+        const updated = await DepositsRepository.markAsReturned(
+            deposit.id,
+            data.returned_date || new Date().toISOString().split('T')[0],
+            returnedAmount
+        );
+        if (!updated.length) throw new AppError('La fianza ya está devuelta', 409);
+
+        return this.getDepositById(deposit.id);
+    }
+
+    // ==========================================
+    // MÉTODOS AUXILIARES
+    // ==========================================
+
+    /**
+     * @throws {AppError} 404 si no existe, 409 si ya se devolvió
+     */
+    static async getOpenDeposit(id) {
+        const deposits = await DepositsRepository.findById(id);
+        if (!deposits.length) throw new AppError('Fianza no encontrada', 404);
+
+        const deposit = this.formatDeposit(deposits[0]);
+        if (deposit.status === 'returned') throw new AppError('La fianza ya está devuelta', 409);
+        return deposit;
+    }
+
+    /**
+     * Normaliza y valida los datos de la fianza
+     * REGLA: con contrato, el inmueble y el inquilino son los del contrato
+     */
+    static async buildDepositData(data) {
+        let estatesId = data.estates_id ? Number(data.estates_id) : null;
+        let clientsId = data.clients_id ? Number(data.clients_id) : null;
+        const leaseId = data.lease_id ? Number(data.lease_id) : null;
+
+        if (leaseId) {
+            const lease = await LeasesRepository.findById(leaseId);
+            if (!lease.length) throw new AppError('Contrato no encontrado', 404);
+            if ((estatesId && estatesId !== lease[0].estates_id) || (clientsId && clientsId !== lease[0].clients_id)) {
+                throw new AppError('El inmueble y el inquilino deben ser los del contrato', 400);
+            }
+            estatesId = lease[0].estates_id;
+            clientsId = lease[0].clients_id;
+        }
+
+        if (!estatesId || !clientsId) throw new AppError('El inmueble y el inquilino son obligatorios', 400);
+
+        const estate = await EstatesRepository.findById(estatesId);
+        if (!estate.length) throw new AppError('Inmueble no encontrado', 404);
+
+        const client = await ClientsRepository.findById(clientsId);
+        if (!client.length) throw new AppError('Cliente no encontrado', 404);
+
+        const amount = round(Number(data.amount));
+        if (!(amount > 0)) throw new AppError('El importe de la fianza debe ser mayor que 0', 400);
+
+        return {
+            estates_id: estatesId,
+            clients_id: clientsId,
+            lease_id: leaseId,
+            amount,
+            received_date: data.received_date,
+            lodging_body: data.lodging_body || null,
+            lodging_reference: data.lodging_reference || null,
+            lodged_date: data.lodged_date || null,
+            notes: data.notes || null,
+            created_by: data.created_by ?? null
+        };
+    }
+
+    /**
+     * Importes numéricos, lo retenido y el estado: held (retenida) o returned (devuelta)
+     */
+    static formatDeposit(deposit) {
+        const amount = parseFloat(deposit.amount) || 0;
+        const appliedAmount = parseFloat(deposit.applied_amount) || 0;
+        const returnedAmount = parseFloat(deposit.returned_amount) || 0;
+
+        return {
+            id: deposit.id,
+            estates_id: deposit.estates_id,
+            estate_address: deposit.estate_address,
+            estate_cadastral_reference: deposit.estate_cadastral_reference,
+            clients_id: deposit.clients_id,
+            client_name: deposit.client_company_name
+                || [deposit.client_name, deposit.client_lastname].filter(Boolean).join(' '),
+            client_identification: deposit.client_identification,
+            lease_id: deposit.lease_id,
+            amount,
+            received_date: CalculateHelper.formatDateISO(deposit.received_date),
+            lodging_body: deposit.lodging_body,
+            lodging_reference: deposit.lodging_reference,
+            lodged_date: CalculateHelper.formatDateISO(deposit.lodged_date),
+            applied_amount: appliedAmount,
+            returned_date: CalculateHelper.formatDateISO(deposit.returned_date),
+            returned_amount: returnedAmount,
+            held_amount: deposit.returned_date ? 0 : round(amount - appliedAmount - returnedAmount),
+            status: deposit.returned_date ? 'returned' : 'held',
+            notes: deposit.notes,
+            created_by: deposit.created_by,
+            created_at: deposit.created_at,
+            updated_at: deposit.updated_at
+        };
+    }
+}
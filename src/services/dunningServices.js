@@ -0,0 +1,349 @@
+import DunningRepository from "../repository/dunningRepository.js";
+import ClientsRepository from "../repository/clientsRepository.js";
+import InvoicesIssuedRepository from "../repository/invoicesIssuedRepository.js";
+import CompanyService from "./CompanyService.js";
+import CalculateHelper from "../shared/helpers/calculateTotal.js";
+import logger from "../config/logger.js";
+import {
+    LETTER_TYPES,
+    PAUSE_REASONS,
+    buildLetterValues,
+    findPause,
+    findUnknownPlaceholders,
+    nextDunningLevel,
+    renderTemplate
+} from "../shared/helpers/dunningHelpers.js";
+import { AppError } from "../errors/AppError.js";
+
+/**
+ * Servicio de reclamación escalonada de facturas vencidas
+ * Cada día (programador o ejecución manual) recorre las facturas con importe
+ * pendiente y vencidas, y a las que alcanzan un nuevo nivel les genera la
+ * carta de ese nivel a partir de su plantilla. El texto resuelto queda en el
+ * historial de la factura y del cliente para reimprimir el PDF tal como se
+ * envió. Los clientes con un compromiso de pago o una disputa se pausan (todo
+ * el cliente o una factura) y no avanzan mientras la pausa esté vigente.
+ * El historial incluye las devoluciones de adeudo, y resolver una entrada de
+ * la lista de impagos (SepaReturnService) pausa las cartas de su factura.
+ */
+export default class DunningService {
+
+    static getEventTypes() {
+        return ['letter', 'return', 'pause', 'resume'];
+    }
+
+    static getItemStatuses() {
+        return ['sent', 'to_send', 'paused', 'up_to_date', 'failed'];
+    }
+
+    // ==========================================
+    // NIVELES
+    // ==========================================
+
+    static async getLevels() {
+        const levels = await DunningRepository.getLevels();
+        return levels.map(level => this.formatLevel(level));
+    }
+
+    /**
+     * @param {Object} data - {level, name, days_overdue, letter_type, subject, body, active}
+     */
+    static async createLevel(data) {
+        const levels = await DunningRepository.getLevels();
+        if (levels.some(level => level.level === Number(data.level))) {
+            throw new AppError(`Ya existe el nivel de reclamación ${data.level}`, 409, 'DUNNING_LEVEL_EXISTS');
+        }
+
+        const level = {...data, level: Number(data.level), active: data.active ?? true};
+        this.validateLevel(level, levels);
+
+        const created = await DunningRepository.createLevel(level);
+        if (!created.length) throw new AppError('Error al crear el nivel de reclamación', 500);
+
+        return this.formatLevel((await DunningRepository.findLevelById(created[0].id))[0]);
+    }
+
+    /**
+     * El número de nivel no se modifica; para retirar un nivel se desactiva
+     */
+    static async updateLevel(id, data) {
+        const existing = await DunningRepository.findLevelById(id);
+        if (!existing.length) throw new AppError('Nivel de reclamación no encontrado', 404);
+
+        const level = {...existing[0], ...data, level: existing[0].level, active: data.active ?? Boolean(existing[0].active)};
+        this.validateLevel(level, await DunningRepository.getLevels());
+
+        const updated = await DunningRepository.updateLevel(id, level);
+        if (!updated.length) throw new AppError('Error al actualizar el nivel de reclamación', 500);
+
+        return this.formatLevel((await DunningRepository.findLevelById(id))[0]);
+    }
+
+    /**
+     * REGLAS: tipo de carta conocido, plantillas sin marcadores desconocidos y
+     * días de retraso crecientes con el nivel
+     * @throws {AppError} 400
+     */
+    static validateLevel(level, levels) {
+        if (!LETTER_TYPES.includes(level.letter_type)) throw new AppError('Tipo de carta no válido', 400);
+
+        const unknown = findUnknownPlaceholders(`${level.subject} ${level.body}`);
+        if (unknown.length) {
+            throw new AppError(`La plantilla usa marcadores desconocidos: ${unknown.join(', ')}`, 400,
+                'DUNNING_TEMPLATE_INVALID', {unknown});
+        }
+
+        const days = Number(level.days_overdue);
+        const misordered = levels.find(other => other.level !== level.level && (
+            (other.level < level.level && Number(other.days_overdue) >= days) ||
+            (other.level > level.level && Number(other.days_overdue) <= days)
+        ));
+        if (misordered) {
+            throw new AppError(`Los días de retraso deben crecer con el nivel (el nivel ${misordered.level} ` +
+                `se envía a los ${misordered.days_overdue} días)`, 400, 'DUNNING_LEVEL_ORDER');
+        }
+    }
+
+    // ==========================================
+    // FACTURAS VENCIDAS Y EJECUCIÓN
+    // ==========================================
+
+    /**
+     * Facturas vencidas en la fecha con su nivel actual, el siguiente y la pausa que las afecta
+     * @param {string} [date] - 'YYYY-MM-DD' (hoy por defecto)
+     */
+    static async getOverdueInvoices(date = null) {
+        const today = date || CalculateHelper.formatDateISO(new Date());
+
+        const [levels, invoices, pauses] = await Promise.all([
+            DunningRepository.getLevels(true),
+            DunningRepository.getOverdueInvoices(today),
+            DunningRepository.getActivePauses(today)
+        ]);
+
+        return invoices.map(row => {
+            const invoice = this.formatInvoice(row);
+            const pause = findPause(pauses, invoice);
+            const next = nextDunningLevel(levels, invoice.days_overdue, invoice.current_level);
+            return {
+                ...invoice,
+                next_level: next ? this.formatLevel(next) : null,
+                paused: Boolean(pause),
+                dunning_pause_id: pause?.id ?? null
+            };
+        });
+    }
+
+    /**
+     * Avanza (o simula) las facturas vencidas al nivel que les corresponde
+     * @param {Object} options
+     * @param {string} [options.today] - 'YYYY-MM-DD' (hoy por defecto)
+     * @param {boolean} options.dry_run - Si es true no genera cartas
+     * @param {string} options.triggered_by - 'manual' o 'scheduler'
+     * @param {number|null} options.created_by - Usuario que lanza la ejecución
+     * @returns {Object} {date, dry_run, summary, items}
+     */
+    static async runDunning({today = null, dry_run = false, triggered_by = 'manual', created_by = null} = {}) {
+        const date = today || CalculateHelper.formatDateISO(new Date());
+        const invoices = await this.getOverdueInvoices(date);
+        const company = CompanyService.getCompanyData();
+
+        const items = [];
+        for (const invoice of invoices) {
+            items.push(await this.processInvoice(invoice, {date, company, dry_run, triggered_by, created_by}));
+        }
+
+        return {date, dry_run: Boolean(dry_run), summary: this.summarize(items), items};
+    }
+
+    /**
+     * Genera (o simula) la carta del siguiente nivel de una factura
+     * @returns {Object} Resultado: sent / to_send / paused / up_to_date / failed
+     */
+    static async processInvoice(invoice, {date, company, dry_run, triggered_by, created_by}) {
+        const base = {
+            invoice_issued_id: invoice.id,
+            invoice_number: invoice.invoice_number,
+            clients_id: invoice.clients_id,
+            client_name: invoice.client_name,
+            days_overdue: invoice.days_overdue,
+            outstanding_amount: invoice.outstanding_amount,
+            level: invoice.next_level?.level ?? invoice.current_level,
+            event_id: null
+        };
+
+        if (invoice.paused) return {...base, status: 'paused', message: `Reclamación pausada (pausa ${invoice.dunning_pause_id})`};
+        if (!invoice.next_level) return {...base, status: 'up_to_date', message: null};
+        if (dry_run) return {...base, status: 'to_send', message: invoice.next_level.name};
+
+        try {
+            const values = buildLetterValues(invoice, company, date);
+            const created = await DunningRepository.createLetterEvent({
+                clients_id: invoice.clients_id,
+                invoice_issued_id: invoice.id,
+                level: invoice.next_level.level,
+                letter_type: invoice.next_level.letter_type,
+                event_date: date,
+                days_overdue: invoice.days_overdue,
+                outstanding_amount: invoice.outstanding_amount,
+                subject: renderTemplate(invoice.next_level.subject, values),
+                body: renderTemplate(invoice.next_level.body, values),
+                triggered_by,
+                created_by
+            });
+            // Otra ejecución ya generó esta carta
+            if (!created.length) return {...base, status: 'up_to_date', message: 'Carta ya generada'};
+
+            return {...base, status: 'sent', event_id: created[0].id, message: invoice.next_level.name};
+        } catch (error) {
+            if (error instanceof AppError) return {...base, status: 'failed', message: error.message};
+
+            logger.error({invoiceId: invoice.id, level: invoice.next_level.level, triggered_by, err: error},
+                'No se pudo generar la carta de reclamación');
+            return {...base, status: 'failed', message: 'Error interno al generar la carta'};
+        }
+    }
+
+    static summarize(items) {
+        const summary = {overdue: items.length};
+        this.getItemStatuses().forEach(status => {
+            summary[status] = items.filter(item => item.status === status).length;
+        });
+        return summary;
+    }
+
+    // ==========================================
+    // HISTORIAL
+    // ==========================================
+
+    static async getEvents(filters = {}) {
+        const events = await DunningRepository.getEvents(filters);
+        return events.map(event => this.formatEvent(event));
+    }
+
+    static async getEventById(id) {
+        if (!id || isNaN(Number(id))) return [];
+        const events = await DunningRepository.findEventById(id);
+        return events.map(event => this.formatEvent(event));
+    }
+
+    /**
+     * Carta de un evento para el PDF
+     * @throws {AppError} 404 si no existe, 400 si el evento no es una carta
+     */
+    static async getLetter(id) {
+        const events = await this.getEventById(id);
+        if (!events.length) throw new AppError('Evento de reclamación no encontrado', 404);
+        if (events[0].event_type !== 'letter') throw new AppError('El evento no tiene carta asociada', 400);
+        return events[0];
+    }
+
+    // ==========================================
+    // PAUSAS
+    // ==========================================
+
+    static async getPauses(filters = {}) {
+        const pauses = await DunningRepository.getPauses(filters);
+        return pauses.map(pause => this.formatPause(pause));
+    }
+
+    /**
+     * Pausa la reclamación de un cliente (o de una de sus facturas)
+     * REGLAS: el compromiso de pago lleva fecha límite; la factura debe ser del
+     * cliente; no puede haber otra pausa activa igual
+     * @param {Object} data - {clients_id, invoice_issued_id, reason, paused_until, notes, created_by}
+     */
+    static async createPause(data) {
+        const today = CalculateHelper.formatDateISO(new Date());
+
+        if (!PAUSE_REASONS.includes(data.reason)) throw new AppError('Motivo de pausa no válido', 400);
+        if (data.reason === 'payment_promise' && !data.paused_until) {
+            throw new AppError('El compromiso de pago necesita la fecha hasta la que se pausa la reclamación', 400);
+        }
+        if (data.paused_until && data.paused_until < today) {
+            throw new AppError('La fecha de fin de la pausa no puede ser anterior a hoy', 400);
+        }
+
+        const client = await ClientsRepository.findById(data.clients_id);
+        if (!client.length) throw new AppError('Cliente no encontrado', 404);
+
+        if (data.invoice_issued_id) {
+            const invoice = await InvoicesIssuedRepository.findById(data.invoice_issued_id);
+            if (!invoice.length) throw new AppError('Factura no encontrada', 404);
+            if (invoice[0].clients_id !== Number(data.clients_id)) {
+                throw new AppError('La factura no pertenece al cliente', 400);
+            }
+        }
+
+        const active = await DunningRepository.getActivePauses(today);
+        const duplicate = active.find(pause => pause.clients_id === Number(data.clients_id)
+            && (pause.invoice_issued_id ?? null) === (data.invoice_issued_id ?? null));
+        if (duplicate) {
+            throw new AppError('Ya hay una pausa activa para este cliente o factura', 409, 'DUNNING_PAUSE_EXISTS', {id: duplicate.id});
+        }
+
+        const created = await DunningRepository.createPause({...data, event_date: today});
+        if (!created.length) throw new AppError('Error al registrar la pausa', 500);
+
+        return this.formatPause((await DunningRepository.findPauseById(created[0].id))[0]);
+    }
+
+    /**
+     * Levanta una pausa: la reclamación se reanuda en la siguiente ejecución
+     */
+    static async liftPause(id, data = {}) {
+        const pauses = await DunningRepository.findPauseById(id);
+        if (!pauses.length) throw new AppError('Pausa no encontrada', 404);
+        if (pauses[0].status !== 'active') throw new AppError('La pausa ya está levantada', 409);
+
+        const lifted = await DunningRepository.liftPause(id, {
+            ...data,
+            event_date: CalculateHelper.formatDateISO(new Date())
+        });
+        if (!lifted.length) throw new AppError('La pausa ya está levantada', 409);
+
+        return this.formatPause((await DunningRepository.findPauseById(id))[0]);
+    }
+
+    // ==========================================
+    // MÉTODOS AUXILIARES
+    // ==========================================
+
+    static formatClientName(row) {
+        return row.client_company_name || [row.client_name, row.client_lastname].filter(Boolean).join(' ');
+    }
+
+    static formatLevel(level) {
+        return {...level, days_overdue: Number(level.days_overdue), active: Boolean(level.active)};
+    }
+
+    static formatInvoice(invoice) {
+        return {
+            ...invoice,
+            client_name: this.formatClientName(invoice),
+            invoice_date: CalculateHelper.formatDateISO(invoice.invoice_date),
+            due_date: CalculateHelper.formatDateISO(invoice.due_date),
+            total: parseFloat(invoice.total),
+            outstanding_amount: parseFloat(invoice.outstanding_amount),
+            days_overdue: Number(invoice.days_overdue),
+            current_level: invoice.current_level === null || invoice.current_level === undefined ? null : Number(invoice.current_level)
+        };
+    }
+
+    static formatEvent(event) {
+        return {
+            ...event,
+            client_name: this.formatClientName(event),
+            event_date: CalculateHelper.formatDateISO(event.event_date),
+            outstanding_amount: event.outstanding_amount === null ? null : parseFloat(event.outstanding_amount)
+        };
+    }
+
+    static formatPause(pause) {
+        return {
+            ...pause,
+            client_name: this.formatClientName(pause),
+            paused_until: CalculateHelper.formatDateISO(pause.paused_until)
+        };
+    }
+}
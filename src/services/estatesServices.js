@@ -56,6 +56,8 @@ export default class EstatesServices {
             province: estate.province?.toUpperCase().trim(),
             country: estate.country?.toUpperCase().trim(),
             surface: estate.surface,
+            cadastral_value: estate.cadastral_value ?? null,
+            cadastral_construction_value: estate.cadastral_construction_value ?? null,
         };
 
         // Verificar referencia catastral única
@@ -84,6 +86,8 @@ export default class EstatesServices {
             province: data.province?.toUpperCase().trim(),
             country: data.country?.toUpperCase().trim(),
             surface: data.surface,
+            cadastral_value: data.cadastral_value ?? null,
+            cadastral_construction_value: data.cadastral_construction_value ?? null,
         };
 
         // Verificar que existe
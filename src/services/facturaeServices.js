@@ -0,0 +1,143 @@
+import InvoicesIssuedService from "./invoicesIssuedServices.js";
+import { buildFacturaeXml, getMissingFacturaeFields } from "../shared/utils/Facturae/facturaeGenerator.js";
+import { loadPkcs12Certificate, signFacturaeXml } from "../shared/utils/Facturae/facturaeSigner.js";
+import { AppError } from "../errors/AppError.js";
+
+/**
+ * Servicio de facturación electrónica en formato Facturae 3.2.2
+ * Genera el XML de facturas emitidas y abonos (facturas rectificativas) a partir
+ * de getInvoiceWithDetails: el propietario es el emisor y el cliente el receptor.
+ * La firma XAdES es opcional y usa el certificado PKCS#12 configurado en
+ * FACTURAE_CERT_PATH / FACTURAE_CERT_PASSWORD.
+ */
+export default class FacturaeService {
+
+    static getMaxBatchSize() {
+        return 100;
+    }
+
+    // ==========================================
+    // GENERACIÓN DE DOCUMENTOS
+    // ==========================================
+
+    /**
+     * Facturae de una factura o abono
+     * @param {number} id - Factura emitida
+     * @param {Object} options
+     * @param {boolean} options.sign - Firmar con XAdES
+     * @returns {Object[]} [{file_name, content, signed}] o [] si la factura no existe
+     */
+    static async getInvoiceFacturae(id, {sign = false} = {}) {
+        const invoice = await InvoicesIssuedService.getInvoiceWithDetails(id);
+        if (!invoice.length) return [];
+
+        this.assertFacturaeData(invoice[0]);
+        const content = await this.renderDocument(invoice, sign);
+
+        return [{
+            file_name: `facturae_${this.getFileBaseName(invoice[0].invoice_number)}.${sign ? 'xsig' : 'xml'}`,
+            content,
+            signed: sign
+        }];
+    }
+
+    /**
+     * Facturae por lotes: un único documento con varias facturas
+     * REGLA: Facturae admite un solo emisor y un solo receptor por archivo, así que
+     * todas las facturas del lote deben ser del mismo propietario y del mismo cliente.
+     * @param {number[]} ids - Facturas emitidas (se ordenan por fecha y número)
+     * @param {Object} options
+     * @param {boolean} options.sign - Firmar el lote con XAdES
+     * @returns {Object[]} [{file_name, content, signed, invoices_count}]
+     * @throws {AppError} 404 si alguna factura no existe, 400 si mezclan emisores o receptores
+     */
+    static async getBatchFacturae(ids, {sign = false} = {}) {
+        const uniqueIds = [...new Set(ids.map(Number))];
+        if (!uniqueIds.length || uniqueIds.some(id => !Number.isInteger(id) || id <= 0)) {
+            throw new AppError('IDs de factura inválidos', 400);
+        }
+        if (uniqueIds.length > this.getMaxBatchSize()) {
+            throw new AppError(`Un lote no puede superar ${this.getMaxBatchSize()} facturas`, 400);
+        }
+
+        const invoices = [];
+        for (const id of uniqueIds) {
+            const invoice = await InvoicesIssuedService.getInvoiceWithDetails(id);
+            if (!invoice.length) throw new AppError(`Factura ${id} no encontrada`, 404);
+            invoices.push(invoice[0]);
+        }
+
+        const [first] = invoices;
+        if (invoices.some(invoice => invoice.owners_id !== first.owners_id || invoice.clients_id !== first.clients_id)) {
+            throw new AppError('Un lote Facturae solo puede incluir facturas del mismo propietario y del mismo cliente', 400, 'FACTURAE_MIXED_PARTIES');
+        }
+        invoices.forEach(invoice => this.assertFacturaeData(invoice));
+
+        invoices.sort((a, b) =>
+            new Date(a.invoice_date) - new Date(b.invoice_date) || String(a.invoice_number).localeCompare(String(b.invoice_number))
+        );
+        const content = await this.renderDocument(invoices, sign);
+
+        return [{
+            file_name: `facturae_lote_${this.getFileBaseName(invoices[0].invoice_number)}_${invoices.length}.${sign ? 'xsig' : 'xml'}`,
+            content,
+            signed: sign,
+            invoices_count: invoices.length
+        }];
+    }
+
+    // ==========================================
+    // MÉTODOS DE FIRMA
+    // ==========================================
+
+    static isSigningConfigured() {
+        return Boolean(process.env.FACTURAE_CERT_PATH);
+    }
+
+    /**
+     * Firma un documento con el certificado PKCS#12 configurado
+     * @throws {AppError} 500 si no hay certificado configurado, no se puede leer o está caducado
+     */
+    static async signDocument(xml) {
+        if (!this.isSigningConfigured()) {
+            throw new AppError('La firma de Facturae no está configurada en el servidor', 500, 'FACTURAE_SIGNING_NOT_CONFIGURED');
+        }
+
+        let credentials;
+        try {
+            credentials = await loadPkcs12Certificate(process.env.FACTURAE_CERT_PATH, process.env.FACTURAE_CERT_PASSWORD || '');
+        } catch (error) {
+            throw new AppError('No se pudo leer el certificado de firma de Facturae', 500, 'FACTURAE_CERTIFICATE_ERROR', {cause: error.message});
+        }
+
+        if (new Date(credentials.certificate.validTo) < new Date()) {
+            throw new AppError('El certificado de firma de Facturae está caducado', 500, 'FACTURAE_CERTIFICATE_EXPIRED');
+        }
+
+        return signFacturaeXml(xml, credentials);
+    }
+
+    // ==========================================
+    // MÉTODOS DE UTILIDAD
+    // ==========================================
+
+    static async renderDocument(invoices, sign) {
+        const xml = buildFacturaeXml(invoices);
+        return sign ? this.signDocument(xml) : xml;
+    }
+
+    /**
+     * REGLA: el esquema exige NIF, domicilio completo y apellidos de las personas físicas
+     * @throws {AppError} 400 con la lista de datos que faltan
+     */
+    static assertFacturaeData(invoice) {
+        const missing = getMissingFacturaeFields(invoice);
+        if (missing.length > 0) {
+            throw new AppError(`Faltan datos para generar Facturae de ${invoice.invoice_number}: ${missing.join(', ')}`, 400, 'FACTURAE_INCOMPLETE_DATA');
+        }
+    }
+
+    static getFileBaseName(invoiceNumber) {
+        return String(invoiceNumber).replace(/[^A-Za-z0-9-]/g, '-');
+    }
+}
@@ -0,0 +1,160 @@
+import FiscalPeriodsRepository from "../repository/fiscalPeriodsRepository.js";
+import CalculateHelper from "../shared/helpers/calculateTotal.js";
+import { getPeriodLabel, getPeriodRange, normalizePeriod } from "../shared/helpers/fiscalPeriodHelpers.js";
+import { AppError } from "../errors/AppError.js";
+
+/**
+ * Servicio de periodos fiscales
+ * Al cerrar un mes, trimestre o ejercicio quedan bloqueadas las facturas
+ * emitidas, recibidas y los gastos internos fechados en él: los servicios de
+ * esos documentos llaman a assertOpen antes de crear, modificar o eliminar.
+ * Las correcciones se hacen con rectificativas fechadas en un periodo
+ * abierto; reabrir exige un motivo y queda registrado.
+ */
+export default class FiscalPeriodService {
+
+    static async getPeriods(filters = {}) {
+        const periods = await FiscalPeriodsRepository.getAll(filters);
+        return periods.map(period => this.formatPeriod(period));
+    }
+
+    /**
+     * Periodo con su historial de cierres y reaperturas
+     */
+    static async getPeriodById(id) {
+        const periods = await FiscalPeriodsRepository.findById(id);
+        if (!periods.length) return [];
+
+        const events = await FiscalPeriodsRepository.getEvents(id);
+        return [{...this.formatPeriod(periods[0]), events}];
+    }
+
+    /**
+     * Periodos cerrados que incluyen la fecha
+     * @param {string} date - 'YYYY-MM-DD'
+     */
+    static async checkDate(date) {
+        const periods = await FiscalPeriodsRepository.findClosedForDate(date);
+        return {date, locked: periods.length > 0, periods: periods.map(period => this.formatPeriod(period))};
+    }
+
+    static async createPeriod(data) {
+        const period = normalizePeriod(data.period_type, data.period);
+        const range = getPeriodRange(data.period_type, data.year, period);
+        if (!range) throw new AppError('El número de periodo no es válido para su tipo', 400);
+
+        const existing = await FiscalPeriodsRepository.findPeriod(data.period_type, data.year, period);
+        if (existing.length) {
+            throw new AppError(
+                `El periodo ${getPeriodLabel({...data, period})} ya existe`,
+                409,
+                'FISCAL_PERIOD_EXISTS',
+                {id: existing[0].id}
+            );
+        }
+
+        const created = await FiscalPeriodsRepository.create({...data, period, ...range});
+        return this.getPeriodById(created[0].id);
+    }
+
+    /**
+     * Cierra el periodo: desde ese momento no se aceptan altas, cambios ni
+     * bajas de documentos fechados en él
+     * @param {number} id
+     * @param {Object} data - notes, user_id, ip_address
+     */
+    static async closePeriod(id, data) {
+        const periods = await FiscalPeriodsRepository.findById(id);
+        if (!periods.length) return [];
+        if (periods[0].status === 'closed') {
+            throw new AppError(`El periodo ${getPeriodLabel(periods[0])} ya está cerrado`, 409, 'FISCAL_PERIOD_ALREADY_CLOSED');
+        }
+
+        const updated = await FiscalPeriodsRepository.changeStatus(id, 'closed', {
+            action: 'close',
+            reason: data.notes ?? null,
+            user_id: data.user_id,
+            ip_address: data.ip_address
+        });
+        if (!updated.length) {
+            throw new AppError(`El periodo ${getPeriodLabel(periods[0])} ya está cerrado`, 409, 'FISCAL_PERIOD_ALREADY_CLOSED');
+        }
+        return this.getPeriodById(id);
+    }
+
+    /**
+     * Reabre el periodo; el motivo queda en el historial
+     * @param {number} id
+     * @param {Object} data - reason, user_id, ip_address
+     */
+    static async reopenPeriod(id, data) {
+        const periods = await FiscalPeriodsRepository.findById(id);
+        if (!periods.length) return [];
+        if (periods[0].status !== 'closed') {
+            throw new AppError(`El periodo ${getPeriodLabel(periods[0])} no está cerrado`, 409, 'FISCAL_PERIOD_NOT_CLOSED');
+        }
+
+        const updated = await FiscalPeriodsRepository.changeStatus(id, 'open', {
+            action: 'reopen',
+            reason: data.reason,
+            user_id: data.user_id,
+            ip_address: data.ip_address
+        });
+        if (!updated.length) {
+            throw new AppError(`El periodo ${getPeriodLabel(periods[0])} no está cerrado`, 409, 'FISCAL_PERIOD_NOT_CLOSED');
+        }
+        return this.getPeriodById(id);
+    }
+
+    static async deletePeriod(id) {
+        const periods = await FiscalPeriodsRepository.findById(id);
+        if (!periods.length) return [];
+        if (periods[0].status === 'closed') {
+            throw new AppError('No se puede eliminar un periodo cerrado; reábrelo antes', 409, 'FISCAL_PERIOD_CLOSED');
+        }
+        return FiscalPeriodsRepository.delete(id);
+    }
+
+    // ==========================================
+    // BLOQUEO DE DOCUMENTOS
+    // ==========================================
+
+    /**
+     * Rechaza la operación si alguna de las fechas cae en un periodo cerrado
+     * En una modificación se pasan la fecha actual y la nueva: ni se puede
+     * tocar un documento de un periodo cerrado ni moverlo a uno.
+     * @example await FiscalPeriodService.assertOpen('modificar la factura emitida', existing.invoice_date, data.invoice_date)
+     * @param {string} action - operación para el mensaje de error
+     * @param {...(string|Date)} dates - fechas del documento (se ignoran las vacías)
+     * @throws {AppError} 409 FISCAL_PERIOD_CLOSED
+     */
+    static async assertOpen(action, ...dates) {
+        const isoDates = [...new Set(dates.map(date => CalculateHelper.formatDateISO(date)).filter(Boolean))];
+
+        for (const date of isoDates) {
+            const periods = await FiscalPeriodsRepository.findClosedForDate(date);
+            if (periods.length) {
+                throw new AppError(
+                    `El periodo fiscal ${getPeriodLabel(periods[0])} está cerrado: no se puede ${action} con fecha ${date}. ` +
+                    'Las correcciones se hacen con una rectificativa en un periodo abierto',
+                    409,
+                    'FISCAL_PERIOD_CLOSED',
+                    {date, periods: periods.map(period => ({id: period.id, label: getPeriodLabel(period)}))}
+                );
+            }
+        }
+    }
+
+    // ==========================================
+    // FORMATO
+    // ==========================================
+
+    static formatPeriod(period) {
+        return {
+            ...period,
+            label: getPeriodLabel(period),
+            start_date: CalculateHelper.formatDateISO(period.start_date),
+            end_date: CalculateHelper.formatDateISO(period.end_date)
+        };
+    }
+}
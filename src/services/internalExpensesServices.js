@@ -1,6 +1,12 @@
 import InternalExpensesRepository from "../repository/internalExpensesRepository.js";
 import {sanitizeString} from "../shared/helpers/stringHelpers.js";
 import CalculateHelper from "../shared/helpers/calculateTotal.js";
+import AllocationService from "./allocationServices.js";
+import OwnerSettlementService from "./ownerSettlementServices.js";
+import AccountingService from "./accountingServices.js";
+import AccountingExportService from "./accountingExportServices.js";
+import {SOURCE_TYPES} from "../shared/helpers/accountingHelpers.js";
+import FiscalPeriodService from "./fiscalPeriodServices.js";
 import { AppError } from "../errors/AppError.js";
 
 /**
@@ -52,6 +58,7 @@ export default class InternalExpensesService {
             created_by: expense.created_by,
             approved_by: expense.approved_by,
             approval_date: expense.approval_date,
+            payment_date: expense.payment_date,
             created_at: expense.created_at,
             updated_at: expense.updated_at,
             // Nuevas propiedades añadidas para el reparto por propietario
@@ -296,6 +303,9 @@ export default class InternalExpensesService {
         });
         if (!dateValidation.isValid) return [];
 
+        // REGLA DE NEGOCIO: no se registran gastos con fecha en un periodo fiscal cerrado
+        await FiscalPeriodService.assertOpen('registrar el gasto', expense_date);
+
         // Calcular IVA
         const ivaPercentage = data.iva_percentage !== undefined ? Number(data.iva_percentage) : 21.00;
         const ivaAmount = CalculateHelper.calculateIVA(amountNum, ivaPercentage);
@@ -333,6 +343,10 @@ export default class InternalExpensesService {
         const created = await InternalExpensesRepository.create(expenseData);
         if (!created || created.length === 0) return [];
 
+        // Los gastos sin inmueble se reparten entre propietarios con su clave de reparto
+        await AllocationService.allocateExpense('internal', created[0].id);
+        await AccountingService.syncInternalExpense(created[0].id);
+
         return [{...expenseData, id: created[0].id}];
     }
 
@@ -350,6 +364,15 @@ export default class InternalExpensesService {
         const existing = await InternalExpensesRepository.findById(id);
         if (!existing || existing.length === 0) throw new AppError('Gasto no encontrado', 404);
 
+        // REGLA DE NEGOCIO: lo incluido en una liquidación a propietario no se modifica
+        await OwnerSettlementService.assertNotSettled('internal', Number(id));
+
+        // REGLA DE NEGOCIO: un documento con el asiento exportado no cambia a espaldas del asesor
+        await AccountingExportService.assertNotExported(SOURCE_TYPES.INTERNAL_EXPENSE, Number(id));
+
+        // REGLA DE NEGOCIO: ni se modifica un gasto de un periodo cerrado ni se mueve a uno
+        await FiscalPeriodService.assertOpen('modificar el gasto', existing[0].expense_date, updateData.expense_date);
+
         // Validar datos si se proporcionan
         if (updateData.category) {
             const validCategories = CalculateHelper.getValidInvoiceExpenseCategory();
@@ -407,12 +430,17 @@ export default class InternalExpensesService {
             status: updateData.status || existing[0].status
         };
 
+        let updated;
         try {
-            const updated = await InternalExpensesRepository.update(cleanExpenseData);
-            return updated;
+            updated = await InternalExpensesRepository.update(cleanExpenseData);
         } catch (error) {
             return [];
         }
+        if (updated.length) {
+            await AllocationService.allocateExpense('internal', Number(id));
+            await AccountingService.syncInternalExpense(Number(id));
+        }
+        return updated;
     }
 
     /**
@@ -424,12 +452,22 @@ export default class InternalExpensesService {
         const existing = await InternalExpensesRepository.findById(id);
         if (existing.length === 0) throw new AppError('Gasto no encontrado', 404);
 
+        // REGLA DE NEGOCIO: lo incluido en una liquidación a propietario no se modifica
+        await OwnerSettlementService.assertNotSettled('internal', Number(id));
+
+        // REGLA DE NEGOCIO: un documento con el asiento exportado no cambia a espaldas del asesor
+        await AccountingExportService.assertNotExported(SOURCE_TYPES.INTERNAL_EXPENSE, Number(id));
+
+        // REGLA DE NEGOCIO: los gastos de un periodo cerrado no se eliminan
+        await FiscalPeriodService.assertOpen('eliminar el gasto', existing[0].expense_date);
+
         // REGLA DE NEGOCIO: No se pueden eliminar gastos aprobados o pagados
         if (existing[0].status === 'approved' || existing[0].status === 'paid') {
             throw new AppError('No se puede eliminar un gasto aprobado o pagado', 409);
         }
 
         const result = await InternalExpensesRepository.delete(id);
+        if (result.length > 0) await AccountingService.syncInternalExpense(Number(id));
         return result.length > 0 ? [{deleted: true, id: Number(id)}] : [];
     }
 
@@ -449,6 +487,9 @@ export default class InternalExpensesService {
         // REGLA DE NEGOCIO: Solo se pueden aprobar gastos pendientes
         if (existing[0].status !== 'pending') return [];
 
+        // REGLA DE NEGOCIO: aprobar lo incluye en el libro de IVA del periodo
+        await FiscalPeriodService.assertOpen('aprobar el gasto', existing[0].expense_date);
+
         const result = await InternalExpensesRepository.approve(id, approvedBy);
         return result;
     }
@@ -465,14 +506,23 @@ export default class InternalExpensesService {
         // REGLA DE NEGOCIO: Solo se pueden rechazar gastos pendientes
         if (existing[0].status !== 'pending') return [];
 
+        await FiscalPeriodService.assertOpen('rechazar el gasto', existing[0].expense_date);
+
+        // REGLA DE NEGOCIO: rechazar borra el asiento del gasto
+        await AccountingExportService.assertNotExported(SOURCE_TYPES.INTERNAL_EXPENSE, Number(id));
+
         const result = await InternalExpensesRepository.reject(id, approvedBy);
+        if (result.length) await AccountingService.syncInternalExpense(Number(id));
         return result;
     }
 
     /**
      * Marca un gasto como pagado
+     * @param {number} id
+     * @param {string|null} [paymentDate] - Fecha de pago (hoy por defecto); fecha el asiento de pago
+     * @throws {AppError} 400 si la fecha de pago es futura o anterior a la del gasto
      */
-    static async markExpenseAsPaid(id) {
+    static async markExpenseAsPaid(id, paymentDate = null) {
         if (!id || isNaN(Number(id))) return [];
 
         const existing = await InternalExpensesRepository.findById(id);
@@ -481,14 +531,16 @@ export default class InternalExpensesService {
         // REGLA DE NEGOCIO: Solo se pueden marcar como pagados gastos aprobados
         if (existing[0].status !== 'approved') return [];
 
-        const result = await InternalExpensesRepository.markAsPaid(id);
+        const result = await InternalExpensesRepository.markAsPaid(id, this.resolvePaymentDate(existing[0], paymentDate));
+        if (result.length) await AccountingService.syncInternalExpense(Number(id));
         return result;
     }
 
     /**
      * Actualiza el estado de un gasto
+     * @param {string|null} [paymentDate] - Fecha de pago al pasar a 'paid' (hoy por defecto)
      */
-    static async updateExpenseStatus(id, status, approvedBy = null) {
+    static async updateExpenseStatus(id, status, approvedBy = null, paymentDate = null) {
         if (!id || isNaN(Number(id))) return [];
 
         const validStatuses = CalculateHelper.getExpensesStatus();
@@ -497,6 +549,9 @@ export default class InternalExpensesService {
         const existing = await InternalExpensesRepository.findById(id);
         if (existing.length === 0) return [];
 
+        // REGLA DE NEGOCIO: un gasto liquidado al propietario solo puede pasar a pagado
+        if (status !== 'paid') await OwnerSettlementService.assertNotSettled('internal', Number(id));
+
         // Validaciones según el estado
         switch (status) {
             case 'approved':
@@ -510,10 +565,33 @@ export default class InternalExpensesService {
                 break;
         }
 
-        const result = await InternalExpensesRepository.updateStatus(id, status, approvedBy);
+        // REGLA DE NEGOCIO: aprobar o rechazar cambia el libro de IVA; el pago no
+        if (status !== 'paid') await FiscalPeriodService.assertOpen('cambiar el estado del gasto', existing[0].expense_date);
+        if (status === 'rejected') await AccountingExportService.assertNotExported(SOURCE_TYPES.INTERNAL_EXPENSE, Number(id));
+
+        const result = await InternalExpensesRepository.updateStatus(id, status, approvedBy,
+            status === 'paid' ? this.resolvePaymentDate(existing[0], paymentDate) : null);
+        if (result.length) await AccountingService.syncInternalExpense(Number(id));
         return result;
     }
 
+    /**
+     * Fecha de pago de un gasto: la indicada o hoy
+     * REGLA DE NEGOCIO: ni futura ni anterior a la fecha del gasto
+     * @throws {AppError} 400
+     */
+    static resolvePaymentDate(expense, paymentDate = null) {
+        const date = paymentDate || CalculateHelper.formatDateISO(new Date());
+
+        const validation = CalculateHelper.validateSingleDate(date, {maxYearsInPast: 0});
+        if (!validation.isValid) throw new AppError(`Fecha de pago no válida: ${validation.message}`, 400);
+        if (date < CalculateHelper.formatDateISO(expense.expense_date)) {
+            throw new AppError('La fecha de pago no puede ser anterior a la fecha del gasto', 400);
+        }
+
+        return date;
+    }
+
     // ==========================================
     // ESTADÍSTICAS Y REPORTES
     // ==========================================
@@ -0,0 +1,90 @@
+import InvoiceLinesRepository from "../repository/invoiceLinesRepository.js";
+import CalculateHelper from "../shared/helpers/calculateTotal.js";
+import { AppError } from "../errors/AppError.js";
+
+/**
+ * Servicio de líneas de factura (emitidas y recibidas)
+ * Valida y calcula las líneas; la cabecera de la factura se deriva de ellas.
+ */
+export default class InvoiceLinesService {
+
+    /**
+     * Valida y calcula las líneas de una factura
+     * @param {Object[]} lines - Líneas de entrada
+     * @returns {Object} {lines, tax_base, iva, iva_amount, irpf, irpf_amount, total}
+     * @throws {AppError} 400 si alguna línea no es válida
+     */
+    static buildLines(lines) {
+        const validation = CalculateHelper.validateInvoiceLines(lines);
+        if (!validation.isValid) throw new AppError(validation.message, 400, 'INVALID_INVOICE_LINES');
+        return CalculateHelper.calculateInvoiceLines(lines);
+    }
+
+    /**
+     * Obtiene las líneas de una factura
+     * @param {string} type - 'issued' o 'received'
+     */
+    static async getLines(type, invoiceId) {
+        const lines = await InvoiceLinesRepository.findByInvoice(type, invoiceId);
+        return lines.map(line => this.formatLine(line));
+    }
+
+    /**
+     * Añade a cada factura su array de líneas (vacío si la factura no tiene líneas)
+     * @param {string} type - 'issued' o 'received'
+     * @param {Object[]} invoices - Facturas con id
+     */
+    static async attachLines(type, invoices) {
+        const ids = invoices.map(invoice => invoice.id).filter(Boolean);
+        const lines = await InvoiceLinesRepository.findByInvoices(type, ids);
+        const column = type === 'issued' ? 'invoices_issued_id' : 'invoices_received_id';
+
+        const byInvoice = new Map();
+        lines.forEach(line => {
+            const key = line[column];
+            if (!byInvoice.has(key)) byInvoice.set(key, []);
+            byInvoice.get(key).push(this.formatLine(line));
+        });
+
+        return invoices.map(invoice => ({...invoice, lines: byInvoice.get(invoice.id) || []}));
+    }
+
+    /**
+     * Líneas de un abono a partir de las de la factura original
+     * @param {Object[]} lines - Líneas de la factura original
+     * @param {boolean} negate - true si el abono lleva importes negativos (emitidas)
+     */
+    static buildRefundLines(lines, negate) {
+        const signed = (value) => (negate ? -1 : 1) * (parseFloat(value) || 0);
+        return lines.map(line => ({
+            line_number: line.line_number,
+            description: line.description,
+            quantity: parseFloat(line.quantity),
+            unit_price: signed(line.unit_price),
+            discount: parseFloat(line.discount),
+            tax_base: signed(line.tax_base),
+            iva: parseFloat(line.iva),
+            iva_amount: signed(line.iva_amount),
+            irpf: parseFloat(line.irpf),
+            irpf_amount: signed(line.irpf_amount),
+            total: signed(line.total)
+        }));
+    }
+
+    static formatLine(line) {
+        return {
+            id: line.id,
+            line_number: line.line_number,
+            description: line.description,
+            quantity: parseFloat(line.quantity),
+            unit_price: parseFloat(line.unit_price),
+            discount: parseFloat(line.discount),
+            tax_base: parseFloat(line.tax_base),
+            iva: parseFloat(line.iva),
+            iva_amount: parseFloat(line.iva_amount),
+            irpf: parseFloat(line.irpf),
+            irpf_amount: parseFloat(line.irpf_amount),
+            total: parseFloat(line.total)
+        };
+    }
+}
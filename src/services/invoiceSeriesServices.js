@@ -0,0 +1,191 @@
+import InvoiceSeriesRepository from "../repository/invoiceSeriesRepository.js";
+import OwnersRepository from "../repository/ownersRepository.js";
+import {formatSeriesNumber, getFiscalYear, validateSeriesPattern} from "../shared/helpers/invoiceSeriesHelpers.js";
+import { AppError } from "../errors/AppError.js";
+
+/**
+ * Servicio de series de numeración de facturas emitidas
+ * Cada propietario factura en su nombre con una serie correlativa propia que
+ * reinicia cada año fiscal. Los abonos usan una serie rectificativa separada.
+ * Si un propietario no tiene serie configurada se usa la serie por defecto
+ * (owners_id NULL), con contador independiente por propietario.
+ */
+export default class InvoiceSeriesService {
+
+    static getSeriesTypes() {
+        return ['invoice', 'refund'];
+    }
+
+    // ==========================================
+    // CONSULTAS
+    // ==========================================
+
+    static async getAllSeries() {
+        const series = await InvoiceSeriesRepository.getAll();
+        return series.map(item => this.formatSeries(item));
+    }
+
+    static async getSeriesById(id) {
+        if (!id || isNaN(Number(id))) return [];
+        const series = await InvoiceSeriesRepository.findById(id);
+        return series.map(item => this.formatSeries(item));
+    }
+
+    /**
+     * Serie que se aplicará a un propietario y los datos necesarios para numerar
+     * @param {number} ownersId - Propietario emisor
+     * @param {string} seriesType - 'invoice' o 'refund'
+     * @returns {Object} {series_id, pattern, owner_code}
+     * @throws {AppError} 404 si el propietario no existe, 500 si no hay serie configurada
+     */
+    static async resolveSeries(ownersId, seriesType = 'invoice') {
+        const owner = await OwnersRepository.findById(ownersId);
+        if (!owner.length) throw new AppError('Propietario no encontrado', 404);
+
+        const series = await InvoiceSeriesRepository.findForOwner(ownersId, seriesType);
+        if (!series.length) throw new AppError('No hay serie de numeración configurada para este propietario', 500, 'INVOICE_SERIES_MISSING');
+
+        return {
+            series_id: series[0].id,
+            pattern: series[0].pattern,
+            // {OWNER}: código de la serie o, por defecto, el NIF del propietario
+            owner_code: series[0].owner_code || owner[0].identification
+        };
+    }
+
+    /**
+     * Previsualiza el siguiente número de una serie sin reservarlo
+     * @param {Object} params
+     * @param {number} params.owners_id - Propietario emisor
+     * @param {string} params.series_type - 'invoice' o 'refund'
+     * @param {string} params.date - Fecha de la factura (define el año fiscal); hoy por defecto
+     * @returns {Object} {series_id, pattern, fiscal_year, next_sequence, next_number}
+     */
+    static async previewNextNumber({owners_id, series_type = 'invoice', date = null}) {
+        if (!this.getSeriesTypes().includes(series_type)) throw new AppError('Tipo de serie inválido', 400);
+
+        const numbering = await this.resolveSeries(Number(owners_id), series_type);
+        const fiscalYear = getFiscalYear(date || new Date().toISOString().split('T')[0]);
+        const lastNumber = await InvoiceSeriesRepository.getLastNumber(numbering.series_id, Number(owners_id), fiscalYear);
+
+        return {
+            series_id: numbering.series_id,
+            series_type,
+            pattern: numbering.pattern,
+            owners_id: Number(owners_id),
+            fiscal_year: fiscalYear,
+            next_sequence: lastNumber + 1,
+            next_number: formatSeriesNumber(numbering.pattern, {
+                ownerCode: numbering.owner_code, year: fiscalYear, sequence: lastNumber + 1
+            })
+        };
+    }
+
+    // ==========================================
+    // CRUD CON VALIDACIONES
+    // ==========================================
+
+    /**
+     * Crea una serie
+     * REGLA: una sola serie por propietario y tipo (y una sola serie por defecto por tipo)
+     */
+    static async createSeries(data) {
+        const ownersId = data.owners_id ? Number(data.owners_id) : null;
+        const seriesType = data.series_type || 'invoice';
+        if (!this.getSeriesTypes().includes(seriesType)) throw new AppError('Tipo de serie inválido', 400);
+
+        this.assertValidPattern(data.pattern, ownersId === null);
+
+        if (ownersId !== null) {
+            const owner = await OwnersRepository.findById(ownersId);
+            if (!owner.length) throw new AppError('Propietario no encontrado', 404);
+        }
+
+        const existing = await InvoiceSeriesRepository.findByOwnerAndType(ownersId, seriesType);
+        if (existing.length > 0) throw new AppError('Ya existe una serie de ese tipo para este propietario', 409);
+
+        const seriesData = {
+            owners_id: ownersId,
+            series_type: seriesType,
+            pattern: data.pattern.trim(),
+            owner_code: data.owner_code?.trim().toUpperCase() || null
+        };
+
+        const created = await InvoiceSeriesRepository.create(seriesData);
+        if (!created.length) throw new AppError('Error al crear la serie', 500);
+
+        return [{...seriesData, id: created[0].id}];
+    }
+
+    /**
+     * Actualiza el patrón o el código de una serie
+     * REGLA: si la serie ya ha numerado facturas en el año fiscal en curso, el formato
+     * no puede cambiar hasta el año siguiente (la serie del año debe ser homogénea).
+     */
+    static async updateSeries(id, data) {
+        if (!id || isNaN(Number(id))) return [];
+
+        const existing = await InvoiceSeriesRepository.findById(id);
+        if (!existing.length) return [];
+
+        const current = existing[0];
+        const pattern = data.pattern !== undefined ? data.pattern.trim() : current.pattern;
+        const ownerCode = data.owner_code !== undefined
+            ? (data.owner_code?.trim().toUpperCase() || null)
+            : current.owner_code;
+
+        this.assertValidPattern(pattern, current.owners_id === null);
+
+        if (pattern !== current.pattern || ownerCode !== current.owner_code) {
+            const issued = await InvoiceSeriesRepository.countIssued(id, new Date().getFullYear());
+            if (issued > 0) throw new AppError('La serie ya ha numerado facturas este año; el cambio solo puede aplicarse en un nuevo ejercicio', 409);
+        }
+
+        const updated = await InvoiceSeriesRepository.update({id: Number(id), pattern, owner_code: ownerCode});
+        return updated.length > 0 ? [{...this.formatSeries(current), pattern, owner_code: ownerCode}] : [];
+    }
+
+    /**
+     * Elimina una serie de propietario
+     * REGLA: las series por defecto y las que ya han numerado facturas no se eliminan
+     */
+    static async deleteSeries(id) {
+        if (!id || isNaN(Number(id))) return [];
+
+        const existing = await InvoiceSeriesRepository.findById(id);
+        if (!existing.length) return [];
+
+        if (existing[0].owners_id === null) throw new AppError('La serie por defecto no se puede eliminar', 400);
+
+        const issued = await InvoiceSeriesRepository.countIssued(id);
+        if (issued > 0) throw new AppError('La serie ya ha numerado facturas y no se puede eliminar', 409);
+
+        const result = await InvoiceSeriesRepository.delete(id);
+        return result.length > 0 ? [{deleted: true, id: Number(id)}] : [];
+    }
+
+    // ==========================================
+    // MÉTODOS DE UTILIDAD
+    // ==========================================
+
+    static assertValidPattern(pattern, shared) {
+        const validation = validateSeriesPattern(pattern?.trim(), {shared});
+        if (!validation.isValid) throw new AppError(validation.message, 400, 'INVALID_SERIES_PATTERN');
+    }
+
+    static formatSeries(series) {
+        return {
+            id: series.id,
+            owners_id: series.owners_id,
+            owner_name: series.owners_id
+                ? [series.owner_name, series.owner_lastname].filter(Boolean).join(' ')
+                : null,
+            series_type: series.series_type,
+            pattern: series.pattern,
+            owner_code: series.owner_code,
+            is_default: series.owners_id === null,
+            created_at: series.created_at,
+            updated_at: series.updated_at
+        };
+    }
+}
@@ -2,6 +2,17 @@ import InvoicesIssuedRepository from "../repository/invoicesIssuedRepository.js"
 import {sanitizeString} from "../shared/helpers/stringHelpers.js";
 import EstateOwnersRepository from "../repository/estatesOwnersRepository.js";
 import CalculateHelper from "../shared/helpers/calculateTotal.js";
+import LeasesService from "./leasesServices.js";
+import InvoiceLinesService from "./invoiceLinesServices.js";
+import InvoiceSeriesService from "./invoiceSeriesServices.js";
+import VerifactuService from "./verifactuServices.js";
+import OwnerSettlementService from "./ownerSettlementServices.js";
+import DepositsRepository from "../repository/depositsRepository.js";
+import PaymentsRepository from "../repository/paymentsRepository.js";
+import AccountingService from "./accountingServices.js";
+import AccountingExportService from "./accountingExportServices.js";
+import {SOURCE_TYPES} from "../shared/helpers/accountingHelpers.js";
+import FiscalPeriodService from "./fiscalPeriodServices.js";
 import { AppError } from "../errors/AppError.js";
 
 /**
@@ -31,6 +42,7 @@ export default class InvoicesIssuedService {
             owner_name: invoice.owner_name,
             clients_id: invoice.clients_id,
             client_name: invoice.client_name,
+            lease_id: invoice.lease_id || null,
             invoice_date: invoice.invoice_date,
             due_date: invoice.due_date,
             tax_base: parseFloat(invoice.tax_base),
@@ -93,6 +105,7 @@ export default class InvoicesIssuedService {
             owner_name: invoice.owner_name,
             clients_id: invoice.clients_id,
             client_name: invoice.client_name,
+            lease_id: invoice.lease_id || null,
             invoice_date: invoice.invoice_date,
             due_date: invoice.due_date,
             tax_base: parseFloat(invoice.tax_base),
@@ -142,6 +155,7 @@ export default class InvoicesIssuedService {
         if (!invoices || invoices.length === 0) return [];
 
         const invoice = invoices[0];
+        const lines = await InvoiceLinesService.getLines('issued', invoice.id);
         return [{
             id: invoice.id,
             invoice_number: invoice.invoice_number,
@@ -151,6 +165,7 @@ export default class InvoicesIssuedService {
             owner_name: invoice.owner_name,
             clients_id: invoice.clients_id,
             client_name: invoice.client_name,
+            lease_id: invoice.lease_id || null,
             invoice_date: invoice.invoice_date,
             due_date: invoice.due_date,
             tax_base: parseFloat(invoice.tax_base),
@@ -187,7 +202,8 @@ export default class InvoicesIssuedService {
             owner_province: invoice.owner_province || null,
             owner_country: invoice.owner_country || null,
             owner_phone: invoice.owner_phone || null,
-            estate_address: invoice.estate_name || null
+            estate_address: invoice.estate_name || null,
+            lines
         }];
     }
 
@@ -343,19 +359,30 @@ export default class InvoicesIssuedService {
     /**
      * Crea una nueva factura emitida con validaciones completas
      */
-    static async createInvoice(data) {
-        const {owners_id, estates_id, clients_id, invoice_date, tax_base, iva, irpf} = data;
+    static async createInvoice(invoiceInput) {
+        const {owners_id, estates_id, clients_id, invoice_date} = invoiceInput;
 
         // Validación de datos obligatorios
         if (!owners_id || !estates_id || !clients_id || !invoice_date) throw new AppError('Datos de factura inválidos o faltantes', 400);
 
+        // REGLA DE NEGOCIO: no se emiten facturas con fecha en un periodo fiscal cerrado
+        await FiscalPeriodService.assertOpen('crear la factura emitida', invoice_date);
+
+        // Factura vinculada a contrato: valida coherencia y aplica prorrateo en meses parciales
+        const data = invoiceInput.lease_id
+            ? await LeasesService.applyLeaseToInvoice(invoiceInput)
+            : invoiceInput;
+
         // Validar campos proporcionales
         const proportionalValidation = CalculateHelper.validateProportionalFields(data);
         if (!proportionalValidation.isValid) throw new AppError('Error en campos proporcionales de la factura', 400);
 
 
         // REGLA DE NEGOCIO: Solo una factura por mes por owner+estate+client
-        const existingInvoices = await InvoicesIssuedRepository.findByOwnersAndEstate(owners_id, estates_id);
+        // (los gastos de devolución repercutidos se facturan aparte de la renta)
+        const existingInvoices = invoiceInput.is_return_fee
+            ? []
+            : await InvoicesIssuedRepository.findByOwnersAndEstate(owners_id, estates_id);
         if (existingInvoices.length > 0) {
             const newInvoiceMonth = CalculateHelper.extractYearMonth(invoice_date);
             const sameMonthInvoice = existingInvoices.find(invoice => {
@@ -363,7 +390,8 @@ export default class InvoicesIssuedService {
                 return invoiceMonth.year === newInvoiceMonth.year &&
                     invoiceMonth.month === newInvoiceMonth.month &&
                     invoice.clients_id === Number(clients_id) &&
-                    !Boolean(invoice.is_refund);
+                    !Boolean(invoice.is_refund) &&
+                    !invoice.is_return_fee;
             });
             if (sameMonthInvoice) throw new AppError('Ya existe una factura para este cliente en esa propiedad y mes', 409);
 
@@ -372,7 +400,7 @@ export default class InvoicesIssuedService {
         // Obtener porcentaje de propiedad automáticamente
         const ownershipResult = await EstateOwnersRepository.getOwnershipPercent(estates_id, owners_id);
         const ownershipPercent = ownershipResult && ownershipResult.length > 0
-            ? parseFloat(ownershipResult[0].ownership_percent) || 0
+            ? parseFloat(ownershipResult[0].percentage) || 0
             : 0;
 
         // Calcular fecha de vencimiento si no se proporciona
@@ -383,21 +411,24 @@ export default class InvoicesIssuedService {
             dueDate = invoiceDateObj.toISOString().split('T')[0];
         }
 
-        // Calcular total (normal o proporcional) usando CalculateHelper
-        const calculationResult = CalculateHelper.calculateBillTotal(data);
+        // Importes de cabecera: desde las líneas o desde tax_base (normal o proporcional)
+        const amounts = this.calculateInvoiceAmounts(data);
 
         // Generar mes de correspondencia
         const correspondingMonth = CalculateHelper.generateCorrespondingMonth(invoice_date, data.corresponding_month);
 
-        // invoice_number se genera atómicamente dentro de createAtomic (FOR UPDATE)
+        // invoice_number se genera atómicamente dentro de createAtomic, en la serie del propietario,
+        // y el registro VERI*FACTU de alta se encadena en la misma transacción
+        const numbering = await InvoiceSeriesService.resolveSeries(owners_id, 'invoice');
         const invoiceData = {
             ...data,
             due_date: dueDate,
             ownership_percent: ownershipPercent,
-            tax_base: calculationResult.details.proportional_base !== undefined ? parseFloat(calculationResult.details.proportional_base) : parseFloat(data.tax_base),
-            iva: parseFloat(data.iva),
-            irpf: parseFloat(data.irpf),
-            total: calculationResult.total,
+            tax_base: amounts.tax_base,
+            iva: amounts.iva,
+            irpf: amounts.irpf,
+            total: amounts.total,
+            lines: amounts.lines,
             start_date: data.start_date || null,
             end_date: data.end_date || null,
             corresponding_month: correspondingMonth,
@@ -408,9 +439,13 @@ export default class InvoicesIssuedService {
             has_attachments: Boolean(data.has_attachments)
         };
 
-        const created = await InvoicesIssuedRepository.createAtomic(invoiceData);
+        const created = await this.withSeriesConflict(() => InvoicesIssuedRepository.createAtomic(invoiceData, numbering,
+            (connection, invoice) => VerifactuService.registerInvoice(connection, {...invoiceData, ...invoice})
+        ));
         if (!created || created.length === 0) throw new AppError('Error al crear factura: La operación no se completó correctamente', 500);
 
+        await AccountingService.syncIssuedInvoice(created[0].id);
+
         return [{...invoiceData, invoice_number: created[0].invoice_number, id: created[0].id}];
     }
 
@@ -427,6 +462,15 @@ export default class InvoicesIssuedService {
         const existing = await InvoicesIssuedRepository.findById(id);
         if (!existing || existing.length === 0) throw new AppError('Factura no encontrada', 404);
 
+        // REGLA DE NEGOCIO: lo incluido en una liquidación a propietario no se modifica
+        await OwnerSettlementService.assertNotSettled('issued', Number(id));
+
+        // REGLA DE NEGOCIO: un documento con el asiento exportado no cambia a espaldas del asesor
+        await AccountingExportService.assertNotExported(SOURCE_TYPES.INVOICE_ISSUED, Number(id));
+
+        // REGLA DE NEGOCIO: ni se modifica una factura de un periodo cerrado ni se mueve a uno
+        await FiscalPeriodService.assertOpen('modificar la factura emitida', existing[0].invoice_date, updateData.invoice_date);
+
         // Validar campos proporcionales
         const proportionalValidation = CalculateHelper.validateProportionalFields({
             ...existing[0],
@@ -450,13 +494,15 @@ export default class InvoicesIssuedService {
         const newEstatesId = updateData.estates_id !== undefined ? Number(updateData.estates_id) : existing[0].estates_id;
 
         if (newOwnersId !== existing[0].owners_id || newEstatesId !== existing[0].estates_id) {
-            const ownershipResult = await EstatesOwnersRepository.getOwnershipPercent(newEstatesId, newOwnersId);
+            const ownershipResult = await EstateOwnersRepository.getOwnershipPercent(newEstatesId, newOwnersId);
             updatedOwnershipPercent = ownershipResult && ownershipResult.length > 0
-                ? parseFloat(ownershipResult[0].ownership_percent) || 0
+                ? parseFloat(ownershipResult[0].percentage) || 0
                 : 0;
         }
 
-        // Recalcular total (normal o proporcional)
+        // Recalcular total: desde las líneas (nuevas o las ya guardadas) o desde tax_base (normal o proporcional)
+        const existingLines = await InvoiceLinesService.getLines('issued', id);
+        const newLines = updateData.lines?.length ? updateData.lines : null;
         const dataForCalculation = {
             tax_base: updateData.tax_base !== undefined ? parseFloat(updateData.tax_base) : parseFloat(existing[0].tax_base),
             iva: updateData.iva !== undefined ? parseFloat(updateData.iva) : parseFloat(existing[0].iva),
@@ -466,7 +512,17 @@ export default class InvoicesIssuedService {
             end_date: updateData.end_date !== undefined ? updateData.end_date : existing[0].end_date
         };
 
-        const calculationResult = CalculateHelper.calculateBillTotal(dataForCalculation);
+        const amounts = this.calculateInvoiceAmounts({...dataForCalculation, lines: newLines || existingLines});
+
+        // REGLA DE NEGOCIO: con cobros imputados, el total y el estado de cobro los deciden los cobros
+        if (await PaymentsRepository.getAllocatedToInvoice(Number(id)) > 0) {
+            if (amounts.total !== parseFloat(existing[0].total)) {
+                throw new AppError('La factura tiene cobros imputados y su total no se puede modificar; deshaga antes las imputaciones', 409, 'PAYMENTS_ALLOCATED');
+            }
+            if (updateData.collection_status && updateData.collection_status !== existing[0].collection_status) {
+                throw new AppError('La factura tiene cobros imputados; su estado se gestiona desde los cobros', 409, 'PAYMENTS_ALLOCATED');
+            }
+        }
 
         // Generar mes de correspondencia actualizado
         const correspondingMonth = CalculateHelper.generateCorrespondingMonth(
@@ -480,12 +536,13 @@ export default class InvoicesIssuedService {
             owners_id: newOwnersId,
             estates_id: newEstatesId,
             clients_id: updateData.clients_id !== undefined ? Number(updateData.clients_id) : existing[0].clients_id,
+            lease_id: updateData.lease_id !== undefined ? updateData.lease_id : existing[0].lease_id,
             invoice_date: updateData.invoice_date || existing[0].invoice_date,
             due_date: updateData.due_date !== undefined ? updateData.due_date : existing[0].due_date,
-            tax_base: calculationResult.details.proportional_base !== undefined ? parseFloat(calculationResult.details.proportional_base) : dataForCalculation.tax_base,
-            iva: dataForCalculation.iva,
-            irpf: dataForCalculation.irpf,
-            total: calculationResult.total,
+            tax_base: amounts.tax_base,
+            iva: amounts.iva,
+            irpf: amounts.irpf,
+            total: amounts.total,
             ownership_percent: updatedOwnershipPercent,
             collection_status: updateData.collection_status || existing[0].collection_status,
             collection_method: updateData.collection_method || existing[0].collection_method,
@@ -497,10 +554,15 @@ export default class InvoicesIssuedService {
             corresponding_month: correspondingMonth,
             is_proportional: dataForCalculation.is_proportional,
             pdf_path: updateData.pdf_path !== undefined ? updateData.pdf_path : existing[0].pdf_path,
-            has_attachments: updateData.has_attachments !== undefined ? Boolean(updateData.has_attachments) : Boolean(existing[0].has_attachments)
+            has_attachments: updateData.has_attachments !== undefined ? Boolean(updateData.has_attachments) : Boolean(existing[0].has_attachments),
+            lines: newLines ? amounts.lines : undefined
         };
 
-        const updated = await InvoicesIssuedRepository.update(cleanInvoiceData);
+        // Subsanación o anulación + alta VERI*FACTU si cambian los datos registrados
+        const updated = await InvoicesIssuedRepository.update(cleanInvoiceData, (connection) =>
+            VerifactuService.registerUpdate(connection, {...cleanInvoiceData, is_refund: existing[0].is_refund, lines: amounts.lines})
+        );
+        if (updated.length) await AccountingService.syncIssuedInvoice(Number(id));
         return updated;
     }
 
@@ -513,10 +575,31 @@ export default class InvoicesIssuedService {
         const existing = await InvoicesIssuedRepository.findById(id);
         if (existing.length === 0) return [];
 
+        // REGLA DE NEGOCIO: lo incluido en una liquidación a propietario no se modifica
+        await OwnerSettlementService.assertNotSettled('issued', Number(id));
+
+        // REGLA DE NEGOCIO: un documento con el asiento exportado no cambia a espaldas del asesor
+        await AccountingExportService.assertNotExported(SOURCE_TYPES.INVOICE_ISSUED, Number(id));
+
+        // REGLA DE NEGOCIO: las facturas de un periodo cerrado se anulan con rectificativa
+        await FiscalPeriodService.assertOpen('eliminar la factura emitida', existing[0].invoice_date);
+
+        // REGLA DE NEGOCIO: una factura cobrada con fianza conserva su aplicación
+        if (await DepositsRepository.getAppliedToInvoice(Number(id)) > 0) {
+            throw new AppError('La factura tiene importes de fianza aplicados y no se puede eliminar', 409);
+        }
+        if (await PaymentsRepository.getAllocatedToInvoice(Number(id)) > 0) {
+            throw new AppError('La factura tiene cobros imputados y no se puede eliminar', 409, 'PAYMENTS_ALLOCATED');
+        }
+
         // TODO: Regla de negocio: ¿Se puede eliminar si tiene abonos asociados?
         // Esto requeriría un método en el repositorio como `hasRefundsAssociated(invoiceId)`.
 
-        const result = await InvoicesIssuedRepository.delete(id);
+        // La anulación VERI*FACTU se registra en la misma transacción que el borrado
+        const result = await InvoicesIssuedRepository.delete(id, (connection) =>
+            VerifactuService.registerCancellation(connection, Number(id))
+        );
+        if (result.length > 0) await AccountingService.syncIssuedInvoice(Number(id));
         return result.length > 0 ? [{deleted: true, id: Number(id)}] : [];
     }
 
@@ -566,6 +649,7 @@ export default class InvoicesIssuedService {
         if (!invoiceDetails || invoiceDetails.length === 0) return [];
 
         const invoice = invoiceDetails[0];
+        const lines = await InvoiceLinesService.getLines('issued', invoice.id);
 
         return [{
             ...invoice,
@@ -575,7 +659,9 @@ export default class InvoicesIssuedService {
             total: parseFloat(invoice.total),
             ownership_percent: parseFloat(invoice.ownership_percent),
             is_refund: Boolean(invoice.is_refund),
-            is_proportional: Number(invoice.is_proportional || 0)
+            is_proportional: Number(invoice.is_proportional || 0),
+            lines,
+            verifactu: await VerifactuService.getInvoiceVerifactu(invoice.id)
         }];
     }
 
@@ -588,6 +674,7 @@ export default class InvoicesIssuedService {
         if (!refundDetails || refundDetails.length === 0) return [];
 
         const refund = refundDetails[0];
+        const lines = await InvoiceLinesService.getLines('issued', refund.id);
         return [{
             ...refund,
             tax_base: parseFloat(refund.tax_base),
@@ -596,7 +683,9 @@ export default class InvoicesIssuedService {
             total: parseFloat(refund.total),
             ownership_percent: parseFloat(refund.ownership_percent),
             is_refund: Boolean(refund.is_refund),
-            is_proportional: Boolean(refund.is_proportional)
+            is_proportional: Boolean(refund.is_proportional),
+            lines,
+            verifactu: await VerifactuService.getInvoiceVerifactu(refund.id)
         }];
     }
 
@@ -614,11 +703,13 @@ export default class InvoicesIssuedService {
         if (Boolean(originalInvoice[0].is_refund)) throw new AppError('No se puede crear un abono a partir de otro abono', 400);
 
         // Crear abono con valores negativos y campos proporcionales heredados.
-        // El número de secuencia (ABONO-XXXX) se genera atómicamente en el repositorio.
+        // El número se genera atómicamente en la serie rectificativa del propietario.
+        const originalLines = await InvoiceLinesService.getLines('issued', originalInvoice[0].id);
         const refundToCreate = {
             estates_id: originalInvoice[0].estates_id,
             owners_id: originalInvoice[0].owners_id,
             clients_id: originalInvoice[0].clients_id,
+            lease_id: originalInvoice[0].lease_id || null,
             invoice_date: new Date().toISOString().split('T')[0],
             tax_base: -Math.abs(parseFloat(originalInvoice[0].tax_base)),
             iva: parseFloat(originalInvoice[0].iva),
@@ -634,11 +725,20 @@ export default class InvoicesIssuedService {
             start_date: originalInvoice[0].start_date,
             end_date: originalInvoice[0].end_date,
             corresponding_month: originalInvoice[0].corresponding_month,
-            is_proportional: Number(originalInvoice[0].is_proportional || 0)
+            is_proportional: Number(originalInvoice[0].is_proportional || 0),
+            lines: InvoiceLinesService.buildRefundLines(originalLines, true)
         };
 
-        const newRefund = await InvoicesIssuedRepository.createRefundAtomic(refundToCreate);
+        // La factura original puede estar en un periodo cerrado; la rectificativa va con fecha de hoy
+        await FiscalPeriodService.assertOpen('crear la rectificativa', refundToCreate.invoice_date);
+
+        const numbering = await InvoiceSeriesService.resolveSeries(originalInvoice[0].owners_id, 'refund');
+        const newRefund = await this.withSeriesConflict(() => InvoicesIssuedRepository.createRefundAtomic(refundToCreate, numbering,
+            (connection, refund) => VerifactuService.registerInvoice(connection, {...refundToCreate, ...refund, is_refund: true})
+        ));
         if (!newRefund.length) throw new AppError('Error al crear abono: La operación no se completó correctamente', 500);
+
+        await AccountingService.syncIssuedInvoice(newRefund[0].id);
         return newRefund;
     }
 
@@ -655,12 +755,36 @@ export default class InvoicesIssuedService {
         const existing = await InvoicesIssuedRepository.findById(id);
         if (existing.length === 0) return [];
 
+        // REGLA DE NEGOCIO: lo incluido en una liquidación a propietario no se modifica
+        await OwnerSettlementService.assertNotSettled('issued', Number(id));
+
         const validStatuses = CalculateHelper.getValidInvoicesIssuedStatuses();
         if (!validStatuses.includes(collectionData.collection_status)) {
             throw new AppError('Estado o método de cobro inválido para la factura', 400);
         }
 
-        const validMethods = CalculateHelper.getValidPaymentMethods();
+        // REGLA DE NEGOCIO: el cobro con fianza se registra desde el módulo de fianzas y no se modifica
+        if (existing[0].collection_status === 'collected' && existing[0].collection_method === 'deposit') {
+            throw new AppError('La factura está cobrada con la fianza y su cobro no se puede modificar', 409);
+        }
+
+        // REGLA DE NEGOCIO: el cobro con fianza solo lo registra el módulo de fianzas (DepositsRepository.applyToInvoice)
+        if (collectionData.collection_method === 'deposit') {
+            throw new AppError('El cobro con fianza se registra aplicando la fianza a la factura', 400);
+        }
+
+        // REGLA DE NEGOCIO: el cobro parcial y el de facturas con cobros imputados se gestionan desde los cobros
+        if (collectionData.collection_status === 'partially_collected') {
+            throw new AppError('El cobro parcial se registra imputando cobros a la factura', 400);
+        }
+        if (collectionData.collection_status === 'remitted') {
+            throw new AppError('Las facturas se marcan como remesadas al generar la remesa SEPA', 400);
+        }
+        if (await PaymentsRepository.getAllocatedToInvoice(Number(id)) > 0) {
+            throw new AppError('La factura tiene cobros imputados; su estado se gestiona desde los cobros', 409, 'PAYMENTS_ALLOCATED');
+        }
+
+        const validMethods = CalculateHelper.getValidCollectionMethods();
         if (collectionData.collection_method && !validMethods.includes(collectionData.collection_method)) {
             throw new AppError('Estado o método de cobro inválido para la factura', 400);
         }
@@ -677,6 +801,8 @@ export default class InvoicesIssuedService {
         const updated = await InvoicesIssuedRepository.updateCollectionStatus(Number(id), collectionData);
         if (!updated.length) return [];
 
+        await AccountingService.syncIssuedInvoice(Number(id));
+
         const updatedInvoice = await InvoicesIssuedRepository.findById(id);
         return updatedInvoice;
     }
@@ -727,7 +853,8 @@ export default class InvoicesIssuedService {
         const validMonth = month && !isNaN(Number(month)) && Number(month) >= 1 && Number(month) <= 12
             ? Number(month) : null;
 
-        return await InvoicesIssuedRepository.getForVATBook(Number(year), validMonth);
+        const invoices = await InvoicesIssuedRepository.getForVATBook(Number(year), validMonth);
+        return await InvoiceLinesService.attachLines('issued', invoices);
     }
 
     /**
@@ -751,10 +878,58 @@ export default class InvoicesIssuedService {
     }
 
     /**
-     * Obtiene facturas pendientes con aging (antigüedad)
+     * Obtiene facturas pendientes con aging (antigüedad) sobre su importe pendiente
      */
     static async getPendingInvoicesAging() {
-        return await InvoicesIssuedRepository.getPendingInvoicesAging();
+        const invoices = await InvoicesIssuedRepository.getPendingInvoicesAging();
+        return invoices.map(invoice => ({...invoice, outstanding_amount: parseFloat(invoice.outstanding_amount)}));
+    }
+
+    // ==========================================
+    // MÉTODOS DE NUMERACIÓN
+    // ==========================================
+
+    /**
+     * Ejecuta la creación traduciendo un número de factura duplicado a 409
+     * (p. ej. una serie configurada con un patrón que colisiona con otra)
+     */
+    static async withSeriesConflict(createFn) {
+        try {
+            return await createFn();
+        } catch (error) {
+            if (error.code === 'ER_DUP_ENTRY' && /invoice_number/.test(error.message)) {
+                throw new AppError('El número generado por la serie ya existe; revise el patrón de numeración', 409, 'INVOICE_NUMBER_CONFLICT');
+            }
+            throw error;
+        }
+    }
+
+    // ==========================================
+    // MÉTODOS DE CÁLCULO
+    // ==========================================
+
+    /**
+     * Importes de cabecera de una factura
+     * Con líneas, se derivan de ellas (los importes de línea son definitivos, no se prorratean);
+     * sin líneas, cálculo normal o proporcional sobre tax_base.
+     * @returns {Object} {tax_base, iva, irpf, total, lines}
+     */
+    static calculateInvoiceAmounts(data) {
+        if (Array.isArray(data.lines) && data.lines.length > 0) {
+            const {lines, tax_base, iva, irpf, total} = InvoiceLinesService.buildLines(data.lines);
+            return {tax_base, iva, irpf, total, lines};
+        }
+
+        const calculationResult = CalculateHelper.calculateBillTotal(data);
+        return {
+            tax_base: calculationResult.details.proportional_base !== undefined
+                ? parseFloat(calculationResult.details.proportional_base)
+                : parseFloat(data.tax_base),
+            iva: parseFloat(data.iva),
+            irpf: parseFloat(data.irpf),
+            total: calculationResult.total,
+            lines: []
+        };
     }
 
     // ==========================================
@@ -2,6 +2,14 @@ import InvoicesReceivedRepository from "../repository/invoicesReceivedRepository
 import SuppliersRepository from "../repository/suppliersRepository.js";
 import {sanitizeString} from "../shared/helpers/stringHelpers.js";
 import CalculateHelper from "../shared/helpers/calculateTotal.js";
+import InvoiceLinesService from "./invoiceLinesServices.js";
+import AllocationService from "./allocationServices.js";
+import OwnerSettlementService from "./ownerSettlementServices.js";
+import SupplierPaymentsRepository from "../repository/supplierPaymentsRepository.js";
+import AccountingService from "./accountingServices.js";
+import AccountingExportService from "./accountingExportServices.js";
+import {SOURCE_TYPES} from "../shared/helpers/accountingHelpers.js";
+import FiscalPeriodService from "./fiscalPeriodServices.js";
 import { AppError } from "../errors/AppError.js";
 
 /**
@@ -73,7 +81,9 @@ export default class InvoicesReceivedService {
      */
     static async getInvoiceById(id) {
         if (!id || isNaN(Number(id))) return [];
-        return await InvoicesReceivedRepository.findById(id);
+        const invoices = await InvoicesReceivedRepository.findById(id);
+        if (!invoices.length) return [];
+        return await InvoiceLinesService.attachLines('received', invoices);
     }
 
     /**
@@ -150,10 +160,13 @@ export default class InvoicesReceivedService {
     static async createInvoiceReceived(data) {
         // Validación de datos obligatorios
         if (!data.invoice_number || !data.supplier_id || !data.invoice_date ||
-            !data.tax_base || !data.description) {
+            (!data.tax_base && !data.lines?.length) || !data.description) {
             throw new AppError('Datos de factura inválidos o faltantes', 400);
         }
 
+        // REGLA DE NEGOCIO: no se registran facturas con fecha en un periodo fiscal cerrado
+        await FiscalPeriodService.assertOpen('registrar la factura recibida', data.invoice_date);
+
         // Verificar que el proveedor existe
         const supplier = await SuppliersRepository.findById(data.supplier_id);
         if (!supplier.length) {
@@ -185,15 +198,17 @@ export default class InvoicesReceivedService {
             dueDate = invoiceDate.toISOString().split('T')[0];
         }
 
-        // Calcular importes fiscales
-        const fiscalCalculation = CalculateHelper.calculateFiscalAmounts({
-            tax_base: parseFloat(data.tax_base),
-            iva_percentage: parseFloat(data.iva_percentage) || 21.00,
-            irpf_percentage: parseFloat(data.irpf_percentage) || 0.00,
-            is_proportional: data.is_proportional || false,
-            start_date: data.start_date,
-            end_date: data.end_date
-        });
+        // Calcular importes fiscales: desde las líneas o desde tax_base
+        const fiscalCalculation = data.lines?.length
+            ? this.calculateFromLines(data.lines)
+            : CalculateHelper.calculateFiscalAmounts({
+                tax_base: parseFloat(data.tax_base),
+                iva_percentage: parseFloat(data.iva_percentage) || 21.00,
+                irpf_percentage: parseFloat(data.irpf_percentage) || 0.00,
+                is_proportional: data.is_proportional || false,
+                start_date: data.start_date,
+                end_date: data.end_date
+            });
 
         // Generar referencia interna automática
         const ourReference = await this.generateOurReference();
@@ -231,12 +246,17 @@ export default class InvoicesReceivedService {
             is_proportional: Boolean(data.is_proportional),
             pdf_path: data.pdf_path || null,
             has_attachments: Boolean(data.has_attachments),
-            created_by: data.created_by || null
+            created_by: data.created_by || null,
+            lines: fiscalCalculation.lines || []
         };
 
         const created = await InvoicesReceivedRepository.create(invoiceData);
         if (created.length === 0) return [];
 
+        // Las facturas sin inmueble se reparten entre propietarios con su clave de reparto
+        await AllocationService.allocateExpense('received', created[0].id);
+        await AccountingService.syncReceivedInvoice(created[0].id);
+
         return [{...invoiceData, id: created[0].id}];
     }
 
@@ -262,6 +282,15 @@ export default class InvoicesReceivedService {
         const existing = await InvoicesReceivedRepository.findById(id);
         if (!existing || existing.length === 0) throw new AppError('Factura no encontrada', 404);
 
+        // REGLA DE NEGOCIO: lo incluido en una liquidación a propietario no se modifica
+        await OwnerSettlementService.assertNotSettled('received', Number(id));
+
+        // REGLA DE NEGOCIO: un documento con el asiento exportado no cambia a espaldas del asesor
+        await AccountingExportService.assertNotExported(SOURCE_TYPES.INVOICE_RECEIVED, Number(id));
+
+        // REGLA DE NEGOCIO: ni se modifica una factura de un periodo cerrado ni se mueve a uno
+        await FiscalPeriodService.assertOpen('modificar la factura recibida', existing[0].invoice_date, updateData.invoice_date);
+
         // Si se actualiza el proveedor, verificar que existe
         if (updateData.supplier_id) {
             const supplier = await SuppliersRepository.findById(updateData.supplier_id);
@@ -281,9 +310,15 @@ export default class InvoicesReceivedService {
             }
         }
 
+        // Con líneas (nuevas o ya guardadas) los importes se derivan siempre de ellas
+        const newLines = updateData.lines?.length ? updateData.lines : null;
+        const existingLines = newLines ? [] : await InvoiceLinesService.getLines('received', id);
+
         // Recalcular importes fiscales si es necesario
         let fiscalCalculation = null;
-        if (updateData.tax_base !== undefined || updateData.iva_percentage !== undefined ||
+        if (newLines || existingLines.length) {
+            fiscalCalculation = this.calculateFromLines(newLines || existingLines);
+        } else if (updateData.tax_base !== undefined || updateData.iva_percentage !== undefined ||
             updateData.irpf_percentage !== undefined || updateData.is_proportional !== undefined) {
 
             fiscalCalculation = CalculateHelper.calculateFiscalAmounts({
@@ -347,10 +382,32 @@ export default class InvoicesReceivedService {
             pdf_path: updateData.pdf_path !== undefined ?
                 updateData.pdf_path : existing[0].pdf_path,
             has_attachments: updateData.has_attachments !== undefined ?
-                Boolean(updateData.has_attachments) : existing[0].has_attachments
+                Boolean(updateData.has_attachments) : existing[0].has_attachments,
+            lines: newLines ? fiscalCalculation.lines : undefined
         };
 
+        // REGLA DE NEGOCIO: una factura en una transferencia SEPA sin confirmar no cambia de total ni de estado
+        if (existing[0].collection_status === 'payment_in_progress'
+            && (parseFloat(invoiceData.total_amount) !== parseFloat(existing[0].total_amount)
+                || invoiceData.collection_status !== existing[0].collection_status)) {
+            throw new AppError('La factura está en una transferencia SEPA pendiente de confirmar', 409, 'PAYMENT_IN_PROGRESS');
+        }
+
+        // REGLA DE NEGOCIO: con pagos registrados, el total y el estado de pago los deciden los pagos
+        if (await SupplierPaymentsRepository.getPaidToInvoice(Number(id)) > 0) {
+            if (parseFloat(invoiceData.total_amount) !== parseFloat(existing[0].total_amount)) {
+                throw new AppError('La factura tiene pagos registrados y su total no se puede modificar; elimine antes los pagos', 409, 'PAYMENTS_REGISTERED');
+            }
+            if (invoiceData.collection_status !== existing[0].collection_status) {
+                throw new AppError('La factura tiene pagos registrados; su estado se gestiona desde los pagos', 409, 'PAYMENTS_REGISTERED');
+            }
+        }
+
         const updated = await InvoicesReceivedRepository.update(Number(id), invoiceData);
+        if (updated.length) {
+            await AllocationService.allocateExpense('received', Number(id));
+            await AccountingService.syncReceivedInvoice(Number(id));
+        }
         return updated;
     }
 
@@ -367,9 +424,29 @@ export default class InvoicesReceivedService {
         const existing = await InvoicesReceivedRepository.findById(id);
         if (existing.length === 0) return [];
 
+        // REGLA DE NEGOCIO: lo incluido en una liquidación a propietario no se modifica
+        await OwnerSettlementService.assertNotSettled('received', Number(id));
+
+        // REGLA DE NEGOCIO: un documento con el asiento exportado no cambia a espaldas del asesor
+        await AccountingExportService.assertNotExported(SOURCE_TYPES.INVOICE_RECEIVED, Number(id));
+
+        // REGLA DE NEGOCIO: las facturas de un periodo cerrado se anulan con rectificativa
+        await FiscalPeriodService.assertOpen('eliminar la factura recibida', existing[0].invoice_date);
+
+        if (await SupplierPaymentsRepository.getPaidToInvoice(Number(id)) > 0) {
+            throw new AppError('La factura tiene pagos registrados y no se puede eliminar', 409, 'PAYMENTS_REGISTERED');
+        }
+        if ((await SupplierPaymentsRepository.findOpenRunsForInvoice(Number(id))).length) {
+            throw new AppError('La factura está incluida en una remesa de pago pendiente y no se puede eliminar', 409, 'PAYMENT_RUN_OPEN');
+        }
+        if (existing[0].collection_status === 'payment_in_progress') {
+            throw new AppError('La factura está en una transferencia SEPA pendiente de confirmar y no se puede eliminar', 409, 'PAYMENT_IN_PROGRESS');
+        }
+
         // TODO: Verificar que no tenga abonos asociados
 
         const result = await InvoicesReceivedRepository.delete(id);
+        if (result.length > 0) await AccountingService.syncReceivedInvoice(Number(id));
         return result.length > 0 ? [{deleted: true, id: Number(id)}] : [];
     }
 
@@ -396,6 +473,20 @@ export default class InvoicesReceivedService {
             return [];
         }
 
+        // REGLA DE NEGOCIO: el pago parcial, las transferencias SEPA y las facturas con pagos se gestionan desde los pagos a proveedores
+        if (paymentData.collection_status === 'partially_paid') {
+            throw new AppError('El pago parcial se registra como pago a proveedor contra la factura', 400);
+        }
+        if (paymentData.collection_status === 'payment_in_progress') {
+            throw new AppError('Las facturas pasan a pago en curso al generar la transferencia SEPA', 400);
+        }
+        if (existing[0].collection_status === 'payment_in_progress') {
+            throw new AppError('La factura está en una transferencia SEPA pendiente de confirmar; se gestiona desde la transferencia', 409, 'PAYMENT_IN_PROGRESS');
+        }
+        if (await SupplierPaymentsRepository.getPaidToInvoice(Number(id)) > 0) {
+            throw new AppError('La factura tiene pagos registrados; su estado se gestiona desde los pagos', 409, 'PAYMENTS_REGISTERED');
+        }
+
         // REGLA DE NEGOCIO: Si se marca como pagado, debe tener fecha
         if (paymentData.collection_status === 'paid' && !paymentData.collection_date) {
             paymentData.collection_date = new Date().toISOString().split('T')[0];
@@ -410,6 +501,8 @@ export default class InvoicesReceivedService {
         const updated = await InvoicesReceivedRepository.updatePaymentStatus(Number(id), paymentData);
         if (!updated.length) return [];
 
+        await AccountingService.syncReceivedInvoice(Number(id));
+
         return await InvoicesReceivedRepository.findById(id);
     }
 
@@ -449,6 +542,7 @@ export default class InvoicesReceivedService {
         if (original[0].is_refund) return [];
 
         const refundNumber = `ABONO-${original[0].invoice_number}`;
+        const originalLines = await InvoiceLinesService.getLines('received', original[0].id);
 
         const refundData = {
             invoice_number: refundNumber,
@@ -469,12 +563,19 @@ export default class InvoicesReceivedService {
             start_date: original[0].start_date,
             end_date: original[0].end_date,
             corresponding_month: original[0].corresponding_month,
-            is_proportional: original[0].is_proportional
+            is_proportional: original[0].is_proportional,
+            lines: InvoiceLinesService.buildRefundLines(originalLines, false)
         };
 
+        // La factura original puede estar en un periodo cerrado; la rectificativa va con fecha de hoy
+        await FiscalPeriodService.assertOpen('registrar la rectificativa', refundData.invoice_date);
+
         const created = await InvoicesReceivedRepository.createRefund(refundData);
         if (created.length === 0) return [];
 
+        await AllocationService.allocateExpense('received', created[0].id);
+        await AccountingService.syncReceivedInvoice(created[0].id);
+
         return [{...refundData, id: created[0].id}];
     }
 
@@ -516,12 +617,30 @@ export default class InvoicesReceivedService {
         const validMonth = month && !isNaN(Number(month)) && Number(month) >= 1 && Number(month) <= 12
             ? Number(month) : null;
 
-        return await InvoicesReceivedRepository.getForVATBook(Number(year), validMonth);
+        const invoices = await InvoicesReceivedRepository.getForVATBook(Number(year), validMonth);
+        return await InvoiceLinesService.attachLines('received', invoices);
     }
 
     // ==========================================
     // MÉTODOS DE UTILIDAD
     // ==========================================
+    /**
+     * Importes fiscales de cabecera a partir de las líneas de la factura
+     * @returns {Object} Importes con el formato de calculateFiscalAmounts más las líneas calculadas
+     */
+    static calculateFromLines(lines) {
+        const result = InvoiceLinesService.buildLines(lines);
+        return {
+            tax_base: result.tax_base,
+            iva_percentage: result.iva,
+            iva_amount: result.iva_amount,
+            irpf_percentage: result.irpf,
+            irpf_amount: result.irpf_amount,
+            total_amount: result.total,
+            lines: result.lines
+        };
+    }
+
     /**
      * Genera referencia interna automática
      */
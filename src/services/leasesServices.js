@@ -0,0 +1,361 @@
+import LeasesRepository from "../repository/leasesRepository.js";
+import EstatesRepository from "../repository/estatesRepository.js";
+import ClientsRepository from "../repository/clientsRepository.js";
+import EstateOwnersRepository from "../repository/estatesOwnersRepository.js";
+import CalculateHelper from "../shared/helpers/calculateTotal.js";
+import {INDEX_TYPES} from "../shared/helpers/rentReviewHelpers.js";
+import { AppError } from "../errors/AppError.js";
+
+/**
+ * Servicio de contratos de arrendamiento
+ * Un contrato genera cada mes una factura por cada propietario del inmueble,
+ * repartiendo la renta según ownership_percentage de estate_owners.
+ * Los meses parciales (alta o baja a mitad de mes) se facturan proporcionalmente.
+ */
+export default class LeasesService {
+
+    // ==========================================
+    // CONSULTAS
+    // ==========================================
+
+    static async getAllLeases() {
+        const leases = await LeasesRepository.getAll();
+        return leases.map(lease => this.formatLease(lease));
+    }
+
+    /**
+     * Obtiene un contrato con los propietarios del inmueble
+     */
+    static async getLeaseById(id) {
+        if (!id || isNaN(Number(id))) return [];
+
+        const lease = await LeasesRepository.findById(id);
+        if (!lease.length) return [];
+
+        const owners = await EstateOwnersRepository.findByEstateId(lease[0].estates_id);
+        return [{
+            ...this.formatLease(lease[0]),
+            owners: owners.map(owner => ({
+                owners_id: owner.owners_id,
+                owner_name: [owner.owner_name, owner.owner_lastname].filter(Boolean).join(' '),
+                owner_identification: owner.owner_identification,
+                ownership_percentage: parseFloat(owner.ownership_percentage)
+            }))
+        }];
+    }
+
+    static async getLeasesByEstate(estateId) {
+        if (!estateId || isNaN(Number(estateId))) return [];
+        const leases = await LeasesRepository.findByEstateId(Number(estateId));
+        return leases.map(lease => this.formatLease(lease));
+    }
+
+    static async getLeasesByClient(clientId) {
+        if (!clientId || isNaN(Number(clientId))) return [];
+        const leases = await LeasesRepository.findByClientId(Number(clientId));
+        return leases.map(lease => this.formatLease(lease));
+    }
+
+    // ==========================================
+    // CRUD CON VALIDACIONES
+    // ==========================================
+
+    /**
+     * Crea un contrato
+     * REGLA: Un inmueble no puede tener dos contratos activos solapados
+     */
+    static async createLease(data) {
+        const leaseData = this.buildLeaseData(data);
+
+        await this.validateLeaseReferences(leaseData);
+
+        if (leaseData.status === 'active') {
+            const overlapping = await LeasesRepository.findOverlapping(
+                leaseData.estates_id, leaseData.start_date, leaseData.end_date
+            );
+            if (overlapping.length > 0) throw new AppError('El inmueble ya tiene un contrato activo en esas fechas', 409);
+        }
+
+        const created = await LeasesRepository.create(leaseData);
+        if (!created.length) throw new AppError('Error al crear el contrato', 500);
+
+        return [{...leaseData, id: created[0].id}];
+    }
+
+    /**
+     * Actualiza un contrato. Los cambios de renta solo afectan a facturas futuras.
+     */
+    static async updateLease(id, data) {
+        if (!id || isNaN(Number(id))) return [];
+
+        const existing = await LeasesRepository.findById(id);
+        if (!existing.length) return [];
+
+        const current = existing[0];
+        const leaseData = this.buildLeaseData({
+            estates_id: data.estates_id ?? current.estates_id,
+            clients_id: data.clients_id ?? current.clients_id,
+            start_date: data.start_date ?? current.start_date,
+            end_date: data.end_date !== undefined ? data.end_date : current.end_date,
+            monthly_rent: data.monthly_rent ?? current.monthly_rent,
+            deposit: data.deposit ?? current.deposit,
+            indexation_type: data.indexation_type !== undefined ? data.indexation_type : current.indexation_type,
+            indexation_cap: data.indexation_cap !== undefined ? data.indexation_cap : current.indexation_cap,
+            iva: data.iva ?? current.iva,
+            irpf: data.irpf ?? current.irpf,
+            billing_day: data.billing_day ?? current.billing_day,
+            due_days: data.due_days ?? current.due_days,
+            collection_method: data.collection_method ?? current.collection_method,
+            status: data.status ?? current.status,
+            notes: data.notes !== undefined ? data.notes : current.notes
+        });
+
+        await this.validateLeaseReferences(leaseData);
+
+        if (leaseData.status === 'active') {
+            const overlapping = await LeasesRepository.findOverlapping(
+                leaseData.estates_id, leaseData.start_date, leaseData.end_date, Number(id)
+            );
+            if (overlapping.length > 0) throw new AppError('El inmueble ya tiene un contrato activo en esas fechas', 409);
+        }
+
+        const updated = await LeasesRepository.update({...leaseData, id: Number(id)});
+        return updated.length > 0 ? [{...leaseData, id: Number(id)}] : [];
+    }
+
+    /**
+     * Elimina un contrato
+     * REGLA: No se puede eliminar un contrato con facturas emitidas (usar status 'terminated')
+     */
+    static async deleteLease(id) {
+        if (!id || isNaN(Number(id))) return [];
+
+        const existing = await LeasesRepository.findById(id);
+        if (!existing.length) return [];
+
+        const invoices = await LeasesRepository.countInvoices(id);
+        if (invoices > 0) throw new AppError('El contrato tiene facturas emitidas; finalícelo en lugar de eliminarlo', 409);
+
+        const result = await LeasesRepository.delete(id);
+        return result.length > 0 ? [{deleted: true, id: Number(id)}] : [];
+    }
+
+    // ==========================================
+    // FACTURACIÓN DESDE CONTRATO
+    // ==========================================
+
+    /**
+     * Previsualiza las facturas que generaría el contrato en un mes
+     * @returns {Array} [{lease_id, period, drafts}] o [] si el contrato no existe
+     */
+    static async getInvoicePreview(id, year, month) {
+        if (!id || isNaN(Number(id))) return [];
+
+        const validation = CalculateHelper.validateDateParams(Number(year), null, Number(month));
+        if (!validation.isValid) throw new AppError(validation.message, 400, 'INVALID_DATE_PARAMS');
+
+        const lease = await LeasesRepository.findById(id);
+        if (!lease.length) return [];
+
+        const owners = await EstateOwnersRepository.findByEstateId(lease[0].estates_id);
+        if (!owners.length) throw new AppError('El inmueble del contrato no tiene propietarios asignados', 400);
+
+        // La renta del mes tiene en cuenta las actualizaciones aprobadas con aniversario posterior
+        const monthEnd = `${year}-${String(month).padStart(2, '0')}-${String(CalculateHelper.getDaysInMonth(Number(year), Number(month))).padStart(2, '0')}`;
+        const monthlyRent = await LeasesRepository.getRentForMonth(lease[0].id, monthEnd);
+
+        const drafts = this.buildInvoiceDrafts({...lease[0], monthly_rent: monthlyRent ?? lease[0].monthly_rent}, owners, Number(year), Number(month));
+        const period = CalculateHelper.calculateLeasePeriod(lease[0].start_date, lease[0].end_date, Number(year), Number(month));
+
+        return [{
+            lease_id: lease[0].id,
+            corresponding_month: `${year}-${String(month).padStart(2, '0')}`,
+            period: period ? {
+                ...period,
+                description: period.is_proportional
+                    ? CalculateHelper.generatePeriodDescription(period.start_date, period.end_date)
+                    : 'Mes completo'
+            } : null,
+            drafts
+        }];
+    }
+
+    /**
+     * Construye los borradores de factura de un contrato para un mes:
+     * uno por propietario, con la renta repartida por porcentaje de propiedad.
+     * El último propietario absorbe el céntimo de redondeo para que la suma
+     * de bases cuadre con la renta.
+     * tax_base es la base mensual de la cuota; createInvoice aplica el prorrateo.
+     * @returns {Array} Borradores listos para InvoicesIssuedService.createInvoice
+     */
+    static buildInvoiceDrafts(lease, owners, year, month) {
+        const period = CalculateHelper.calculateLeasePeriod(lease.start_date, lease.end_date, year, month);
+        if (!period || !owners.length) return [];
+
+        const mm = String(month).padStart(2, '0');
+        const billingDay = Math.min(Number(lease.billing_day) || 1, CalculateHelper.getDaysInMonth(year, month));
+        const invoiceDate = `${year}-${mm}-${String(billingDay).padStart(2, '0')}`;
+        const dueDate = CalculateHelper.addDays(invoiceDate, lease.due_days);
+
+        const rent = parseFloat(lease.monthly_rent) || 0;
+        const iva = parseFloat(lease.iva) || 0;
+        const irpf = parseFloat(lease.irpf) || 0;
+        const totalPercent = owners.reduce((sum, owner) => sum + parseFloat(owner.ownership_percentage), 0);
+        const rentToSplit = CalculateHelper.roundCurrency(rent * totalPercent / 100);
+
+        let assigned = 0;
+        return owners.map((owner, index) => {
+            const percent = parseFloat(owner.ownership_percentage);
+            const shareBase = index === owners.length - 1
+                ? CalculateHelper.roundCurrency(rentToSplit - assigned)
+                : CalculateHelper.roundCurrency(rent * percent / 100);
+            assigned = CalculateHelper.roundCurrency(assigned + shareBase);
+
+            const calculation = CalculateHelper.calculateBillTotal({
+                tax_base: shareBase,
+                iva,
+                irpf,
+                is_proportional: period.is_proportional,
+                start_date: period.start_date,
+                end_date: period.end_date
+            });
+
+            return {
+                lease_id: lease.id,
+                estates_id: lease.estates_id,
+                clients_id: lease.clients_id,
+                owners_id: owner.owners_id,
+                owner_name: [owner.owner_name, owner.owner_lastname].filter(Boolean).join(' '),
+                ownership_percent: percent,
+                invoice_date: invoiceDate,
+                due_date: dueDate,
+                corresponding_month: `${year}-${mm}`,
+                tax_base: shareBase,
+                iva,
+                irpf,
+                is_proportional: period.is_proportional,
+                start_date: period.is_proportional ? period.start_date : null,
+                end_date: period.is_proportional ? period.end_date : null,
+                collection_method: lease.collection_method || 'transfer',
+                billed_base: calculation.details.proportional_base !== undefined
+                    ? calculation.details.proportional_base
+                    : shareBase,
+                total: calculation.total
+            };
+        });
+    }
+
+    /**
+     * Completa los datos de una factura emitida vinculada a un contrato:
+     * valida la coherencia con el contrato y aplica automáticamente el
+     * prorrateo si el mes facturado es el primero o el último y es parcial.
+     * @param {Object} data - Datos de la factura con lease_id
+     * @returns {Object} Datos de factura completados
+     */
+    static async applyLeaseToInvoice(data) {
+        const lease = await LeasesRepository.findById(data.lease_id);
+        if (!lease.length) throw new AppError('Contrato no encontrado', 404);
+
+        const current = lease[0];
+        // REGLA DE NEGOCIO: un contrato rescindido no se factura aunque no tenga fecha de fin
+        if (current.status !== 'active') {
+            throw new AppError('El contrato no está activo y no se puede facturar', 409);
+        }
+        if (Number(data.estates_id) !== current.estates_id || Number(data.clients_id) !== current.clients_id) {
+            throw new AppError('El inmueble o el inquilino no coinciden con el contrato', 400);
+        }
+
+        const owners = await EstateOwnersRepository.findByEstateId(current.estates_id);
+        if (!owners.some(owner => owner.owners_id === Number(data.owners_id))) {
+            throw new AppError('El propietario no figura en el inmueble del contrato', 400);
+        }
+
+        const correspondingMonth = CalculateHelper.generateCorrespondingMonth(data.invoice_date, data.corresponding_month);
+        const [year, month] = correspondingMonth.split('-').map(Number);
+        const period = CalculateHelper.calculateLeasePeriod(current.start_date, current.end_date, year, month);
+        if (!period) throw new AppError('El contrato no está vigente en el mes facturado', 400);
+
+        const invoiceData = {...data, lease_id: current.id, corresponding_month: correspondingMonth};
+
+        if (period.is_proportional && !Number(data.is_proportional)) {
+            invoiceData.is_proportional = true;
+            invoiceData.start_date = period.start_date;
+            invoiceData.end_date = period.end_date;
+        }
+
+        if (!data.due_date) {
+            invoiceData.due_date = CalculateHelper.addDays(data.invoice_date, current.due_days);
+        }
+
+        return invoiceData;
+    }
+
+    // ==========================================
+    // MÉTODOS DE UTILIDAD
+    // ==========================================
+
+    static buildLeaseData(data) {
+        const leaseData = {
+            estates_id: Number(data.estates_id),
+            clients_id: Number(data.clients_id),
+            start_date: CalculateHelper.formatDateISO(data.start_date),
+            end_date: CalculateHelper.formatDateISO(data.end_date),
+            monthly_rent: parseFloat(data.monthly_rent),
+            deposit: parseFloat(data.deposit) || 0,
+            indexation_type: data.indexation_type || null,
+            indexation_cap: data.indexation_cap !== undefined && data.indexation_cap !== null && data.indexation_cap !== ''
+                ? parseFloat(data.indexation_cap)
+                : null,
+            iva: parseFloat(data.iva) || 0,
+            irpf: parseFloat(data.irpf) || 0,
+            billing_day: Number(data.billing_day) || 1,
+            due_days: data.due_days !== undefined && data.due_days !== null ? Number(data.due_days) : 30,
+            collection_method: data.collection_method || 'transfer',
+            status: data.status || 'active',
+            notes: data.notes ? String(data.notes).trim() : null
+        };
+
+        if (!leaseData.estates_id || !leaseData.clients_id || !leaseData.start_date || isNaN(leaseData.monthly_rent)) {
+            throw new AppError('Datos de contrato inválidos o faltantes', 400);
+        }
+        if (leaseData.end_date && leaseData.end_date <= leaseData.start_date) {
+            throw new AppError('La fecha de fin del contrato debe ser posterior a la de inicio', 400);
+        }
+        if (leaseData.indexation_type && !INDEX_TYPES.includes(leaseData.indexation_type)) {
+            throw new AppError('Índice de actualización no válido', 400);
+        }
+        if (leaseData.indexation_cap !== null && isNaN(leaseData.indexation_cap)) {
+            throw new AppError('El tope de actualización no es válido', 400);
+        }
+        if (!CalculateHelper.getValidLeaseStatuses().includes(leaseData.status)) {
+            throw new AppError('Estado de contrato no válido', 400);
+        }
+        if (!CalculateHelper.getValidPaymentMethods().includes(leaseData.collection_method)) {
+            throw new AppError('Método de cobro no válido', 400);
+        }
+
+        return leaseData;
+    }
+
+    static async validateLeaseReferences(leaseData) {
+        const estate = await EstatesRepository.findById(leaseData.estates_id);
+        if (!estate.length) throw new AppError('Inmueble no encontrado', 404);
+
+        const client = await ClientsRepository.findById(leaseData.clients_id);
+        if (!client.length) throw new AppError('Cliente no encontrado', 404);
+    }
+
+    static formatLease(lease) {
+        return {
+            ...lease,
+            start_date: CalculateHelper.formatDateISO(lease.start_date),
+            end_date: CalculateHelper.formatDateISO(lease.end_date),
+            monthly_rent: parseFloat(lease.monthly_rent),
+            deposit: parseFloat(lease.deposit),
+            indexation_cap: lease.indexation_cap !== null && lease.indexation_cap !== undefined ? parseFloat(lease.indexation_cap) : null,
+            last_review_date: CalculateHelper.formatDateISO(lease.last_review_date),
+            iva: parseFloat(lease.iva),
+            irpf: parseFloat(lease.irpf)
+        };
+    }
+}
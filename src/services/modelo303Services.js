@@ -0,0 +1,146 @@
+import Modelo303Repository from "../repository/modelo303Repository.js";
+import VATBookService from "./VATBookServices.js";
+import CompanyService from "./CompanyService.js";
+import { calculateModelo303, DECLARATION_TYPES } from "../shared/helpers/modelo303Helpers.js";
+import { normalizeNif } from "../shared/helpers/verifactuHelpers.js";
+import { buildModelo303File, getModelo303FileName } from "../shared/utils/AEAT/modelo303File.js";
+import { encodeFile } from "../shared/utils/AEAT/aeatFileFormat.js";
+import CalculateHelper from "../shared/helpers/calculateTotal.js";
+import { AppError } from "../errors/AppError.js";
+
+/**
+ * Servicio del modelo 303 (autoliquidación trimestral de IVA)
+ * Convierte la liquidación trimestral del libro de IVA en las casillas del
+ * modelo. El declarante es la empresa (COMPANY_*). La casilla 110 (cuotas a
+ * compensar de períodos anteriores) sale del último período guardado; si no
+ * hay ninguno se puede indicar a mano (previous_compensation).
+ */
+export default class Modelo303Service {
+
+    /**
+     * Calcula el modelo 303 de un trimestre (sin guardarlo)
+     * @param {number} year - Ejercicio
+     * @param {number} quarter - Trimestre (1-4)
+     * @param {Object} options - {request_refund, previous_compensation}
+     */
+    static async getModelo303(year, quarter, {request_refund = false, previous_compensation = null} = {}) {
+        const companyData = CompanyService.getDeclarantData('303');
+        const nif = normalizeNif(companyData.nif);
+
+        const liquidation = await VATBookService.generateQuarterlyVATLiquidation(year, quarter);
+
+        const [previous] = await Modelo303Repository.findPrevious(nif, year, quarter);
+        const [stored] = await Modelo303Repository.findByPeriod(nif, year, quarter);
+
+        let pendingCompensation = 0;
+        let compensationSource = 'none';
+        if (previous) {
+            pendingCompensation = parseFloat(previous.carry_forward) || 0;
+            compensationSource = 'stored';
+        } else if (previous_compensation !== null && previous_compensation !== undefined) {
+            pendingCompensation = parseFloat(previous_compensation) || 0;
+            compensationSource = 'manual';
+        }
+
+        const result = calculateModelo303(liquidation.chargedBook.entries, liquidation.supportedBook.entries, {
+            quarter,
+            pendingCompensation,
+            requestRefund: Boolean(request_refund)
+        });
+
+        return {
+            year,
+            quarter,
+            period: `${quarter}T ${year}`,
+            nif,
+            name: companyData.name,
+            declaration_type: result.declaration_type,
+            declaration_type_description: DECLARATION_TYPES[result.declaration_type],
+            boxes: result.boxes,
+            compensation: {
+                ...result.compensation,
+                source: compensationSource,
+                previous_period: previous ? `${previous.quarter}T ${previous.fiscal_year}` : null
+            },
+            exempt_base: result.exempt_base,
+            liquidation: {
+                ivaRepercutido: liquidation.liquidation.ivaRepercutido,
+                ivaSoportado: liquidation.liquidation.ivaSoportado,
+                resultadoLiquidacion: liquidation.liquidation.resultadoLiquidacion
+            },
+            warnings: result.warnings,
+            stored: Boolean(stored),
+            stored_at: stored ? stored.updated_at : null,
+            generatedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Guarda el modelo 303 de un trimestre para que el siguiente tome su compensación
+     * No se puede recalcular un período si ya hay guardado otro posterior:
+     * cambiaría la casilla 110 de declaraciones ya presentadas.
+     */
+    static async saveModelo303(year, quarter, options = {}, userId = null) {
+        const declaration = await this.getModelo303(year, quarter, options);
+
+        const later = await Modelo303Repository.findLater(declaration.nif, year, quarter);
+        if (later.length) {
+            throw new AppError(
+                `Ya existe un modelo 303 guardado de un período posterior (${later[0].quarter}T ${later[0].fiscal_year})`,
+                409,
+                'MODELO_303_LATER_PERIOD_STORED'
+            );
+        }
+
+        const {boxes, compensation} = declaration;
+        await Modelo303Repository.upsert({
+            nif: declaration.nif,
+            fiscal_year: year,
+            quarter,
+            declaration_type: declaration.declaration_type,
+            total_accrued: boxes['27'],
+            total_deductible: boxes['45'],
+            general_result: boxes['46'],
+            pending_compensation: compensation.pending_previous,
+            applied_compensation: compensation.applied,
+            remaining_compensation: compensation.remaining,
+            result: boxes['71'],
+            carry_forward: compensation.carry_forward,
+            boxes,
+            created_by: userId
+        });
+
+        return {...declaration, stored: true, stored_at: new Date().toISOString()};
+    }
+
+    /**
+     * Modelos 303 guardados del declarante (histórico de compensaciones)
+     */
+    static async getStoredReturns() {
+        const nif = normalizeNif(CompanyService.getDeclarantData('303').nif);
+        const rows = await Modelo303Repository.findAll(nif);
+        return rows.map(row => ({
+            ...row,
+            boxes: typeof row.boxes === 'string' ? JSON.parse(row.boxes) : row.boxes,
+            total_accrued: CalculateHelper.roundCurrency(parseFloat(row.total_accrued)),
+            total_deductible: CalculateHelper.roundCurrency(parseFloat(row.total_deductible)),
+            result: CalculateHelper.roundCurrency(parseFloat(row.result)),
+            carry_forward: CalculateHelper.roundCurrency(parseFloat(row.carry_forward))
+        }));
+    }
+
+    /**
+     * Fichero para importar en el formulario de la AEAT
+     * @returns {{filename: string, content: Buffer, declaration: Object}}
+     */
+    static async getModelo303File(year, quarter, options = {}) {
+        const declaration = await this.getModelo303(year, quarter, options);
+        const companyData = {...CompanyService.getDeclarantData('303'), nif: declaration.nif};
+
+        return {
+            filename: getModelo303FileName(declaration, companyData),
+            content: encodeFile(buildModelo303File(declaration, companyData)),
+            declaration
+        };
+    }
+}
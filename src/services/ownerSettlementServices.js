@@ -0,0 +1,252 @@
+import OwnerSettlementsRepository from "../repository/ownerSettlementsRepository.js";
+import OwnersRepository from "../repository/ownersRepository.js";
+import {
+    DEFAULT_COMMISSION_IVA_RATE,
+    buildExpenseItem,
+    buildIssuedItem,
+    calculateSettlementTotals
+} from "../shared/helpers/ownerSettlementHelpers.js";
+import { AppError } from "../errors/AppError.js";
+
+const LOCKED_MESSAGES = {
+    issued: 'La factura está incluida',
+    received: 'La factura recibida está incluida',
+    internal: 'El gasto está incluido'
+};
+
+/**
+ * Servicio de liquidaciones a propietarios
+ * Genera la liquidación de un período (cobros menos gastos imputados menos
+ * comisión de gestión) como borrador, que se aprueba y después se marca como
+ * pagada. Los documentos incluidos en una liquidación quedan bloqueados: no se
+ * pueden modificar ni eliminar mientras la liquidación exista, y no vuelven a
+ * entrar en otra liquidación del mismo propietario.
+ */
+export default class OwnerSettlementService {
+
+    /**
+     * Comisión de gestión por defecto (% sobre la base de los alquileres cobrados)
+     * Configurable con MANAGEMENT_FEE_RATE y su IVA con MANAGEMENT_FEE_IVA_RATE.
+     */
+    static getDefaultCommission() {
+        const rate = parseFloat(process.env.MANAGEMENT_FEE_RATE);
+        const ivaRate = parseFloat(process.env.MANAGEMENT_FEE_IVA_RATE);
+        return {
+            rate: isNaN(rate) ? 0 : rate,
+            iva_rate: isNaN(ivaRate) ? DEFAULT_COMMISSION_IVA_RATE : ivaRate
+        };
+    }
+
+    // ==========================================
+    // CONSULTAS
+    // ==========================================
+
+    static async getSettlementsByOwner(ownerId) {
+        await this.getOwner(ownerId);
+        const settlements = await OwnerSettlementsRepository.findByOwner(ownerId);
+        return settlements.map(settlement => this.formatSettlement(settlement));
+    }
+
+    /**
+     * Liquidación con sus documentos
+     * @throws {AppError} 404 si no existe o es de otro propietario
+     */
+    static async getSettlementById(ownerId, settlementId) {
+        const settlements = await OwnerSettlementsRepository.findById(settlementId);
+        if (!settlements.length || settlements[0].owners_id !== Number(ownerId)) {
+            throw new AppError('Liquidación no encontrada', 404);
+        }
+
+        const items = await OwnerSettlementsRepository.getItems(settlementId);
+        return {
+            ...this.formatSettlement(settlements[0]),
+            items: items.map(item => this.formatItem(item))
+        };
+    }
+
+    // ==========================================
+    // GENERACIÓN Y ESTADOS
+    // ==========================================
+
+    /**
+     * Genera la liquidación de un período con los documentos aún no liquidados
+     * @param {number} ownerId
+     * @param {Object} data
+     * @param {string} data.period_start - YYYY-MM-DD
+     * @param {string} data.period_end - YYYY-MM-DD
+     * @param {number} [data.commission_rate] - % de comisión (por defecto MANAGEMENT_FEE_RATE)
+     * @param {boolean} [data.dry_run] - Solo calcula, no guarda
+     * @returns {Object} Liquidación con sus documentos (status 'draft', o 'preview' en simulación)
+     */
+    static async createSettlement(ownerId, data) {
+        const owner = await this.getOwner(ownerId);
+        const {period_start: periodStart, period_end: periodEnd} = data;
+        if (!periodStart || !periodEnd || periodStart > periodEnd) {
+            throw new AppError('El período de la liquidación es inválido', 400);
+        }
+
+        const defaults = this.getDefaultCommission();
+        const commissionRate = data.commission_rate !== undefined && data.commission_rate !== null
+            ? Number(data.commission_rate)
+            : defaults.rate;
+        if (isNaN(commissionRate) || commissionRate < 0 || commissionRate > 100) {
+            throw new AppError('El porcentaje de comisión debe estar entre 0 y 100', 400);
+        }
+
+        const [issued, received, internal] = await Promise.all([
+            OwnerSettlementsRepository.getCollectedInvoices(owner.id, periodStart, periodEnd),
+            OwnerSettlementsRepository.getReceivedExpenses(owner.id, periodStart, periodEnd),
+            OwnerSettlementsRepository.getInternalExpenses(owner.id, periodStart, periodEnd)
+        ]);
+
+        const items = [
+            ...issued.map(invoice => buildIssuedItem(invoice)),
+            ...received.map(row => buildExpenseItem('received', row)),
+            ...internal.map(row => buildExpenseItem('internal', row))
+        ];
+        if (!items.length) {
+            throw new AppError('No hay cobros ni gastos pendientes de liquidar en el período', 409, 'SETTLEMENT_EMPTY');
+        }
+
+        const settlement = {
+            owners_id: owner.id,
+            period_start: periodStart,
+            period_end: periodEnd,
+            ...calculateSettlementTotals(items, commissionRate, defaults.iva_rate),
+            notes: data.notes || null,
+            created_by: data.created_by ?? null
+        };
+
+        if (data.dry_run) {
+            return {...settlement, status: 'preview', owner: this.formatOwner(owner), items};
+        }
+
+        const created = await OwnerSettlementsRepository.create(settlement, items);
+        if (!created.length) throw new AppError('Error al crear la liquidación', 500);
+
+        return this.getSettlementById(owner.id, created[0].id);
+    }
+
+    /**
+     * REGLA: solo se aprueban borradores
+     */
+    static async approveSettlement(ownerId, settlementId, approvedBy = null) {
+        const settlement = await this.getSettlementById(ownerId, settlementId);
+        if (settlement.status !== 'draft') throw new AppError('Solo se pueden aprobar liquidaciones en borrador', 409);
+
+        const updated = await OwnerSettlementsRepository.approve(settlementId, approvedBy);
+        if (!updated.length) throw new AppError('La liquidación ha cambiado de estado', 409);
+
+        return this.getSettlementById(ownerId, settlementId);
+    }
+
+    /**
+     * REGLA: solo se pagan liquidaciones aprobadas
+     */
+    static async paySettlement(ownerId, settlementId, {paid_date = null, payment_reference = null} = {}) {
+        const settlement = await this.getSettlementById(ownerId, settlementId);
+        if (settlement.status !== 'approved') throw new AppError('Solo se pueden pagar liquidaciones aprobadas', 409);
+
+        const updated = await OwnerSettlementsRepository.markAsPaid(
+            settlementId,
+            paid_date || new Date().toISOString().split('T')[0],
+            payment_reference || null
+        );
+        if (!updated.length) throw new AppError('La liquidación ha cambiado de estado', 409);
+
+        return this.getSettlementById(ownerId, settlementId);
+    }
+
+    /**
+     * Elimina un borrador y libera sus documentos
+     * REGLA: las liquidaciones aprobadas o pagadas no se eliminan
+     */
+    static async deleteSettlement(ownerId, settlementId) {
+        const settlement = await this.getSettlementById(ownerId, settlementId);
+        if (settlement.status !== 'draft') throw new AppError('Solo se pueden eliminar liquidaciones en borrador', 409);
+
+        return OwnerSettlementsRepository.delete(settlementId);
+    }
+
+    // ==========================================
+    // BLOQUEO DE DOCUMENTOS LIQUIDADOS
+    // ==========================================
+
+    /**
+     * Impide modificar o eliminar un documento incluido en una liquidación
+     * @param {string} type - 'issued', 'received' o 'internal'
+     * @param {number} itemId
+     * @throws {AppError} 409 SETTLED_ITEM_LOCKED
+     */
+    static async assertNotSettled(type, itemId) {
+        const settlements = await OwnerSettlementsRepository.findSettlementsForItem(type, itemId);
+        if (settlements.length) {
+            throw new AppError(
+                `${LOCKED_MESSAGES[type]} en una liquidación a propietario (nº ${settlements.map(s => s.id).join(', ')}) y no se puede modificar`,
+                409,
+                'SETTLED_ITEM_LOCKED',
+                {type, itemId, settlements}
+            );
+        }
+    }
+
+    // ==========================================
+    // FORMATO
+    // ==========================================
+
+    static async getOwner(ownerId) {
+        const owners = await OwnersRepository.findById(ownerId);
+        if (!owners.length) throw new AppError('Propietario no encontrado', 404);
+        return owners[0];
+    }
+
+    static formatOwner(owner) {
+        return {
+            id: owner.id,
+            nif: owner.identification,
+            name: [owner.name, owner.lastname].filter(Boolean).join(' ')
+        };
+    }
+
+    static formatSettlement(settlement) {
+        const amount = (value) => parseFloat(value) || 0;
+        return {
+            id: settlement.id,
+            owners_id: settlement.owners_id,
+            owner: {
+                id: settlement.owners_id,
+                nif: settlement.owner_identification,
+                name: [settlement.owner_name, settlement.owner_lastname].filter(Boolean).join(' ')
+            },
+            period_start: settlement.period_start,
+            period_end: settlement.period_end,
+            income: amount(settlement.income),
+            expenses: amount(settlement.expenses),
+            commission_base: amount(settlement.commission_base),
+            commission_rate: amount(settlement.commission_rate),
+            commission: amount(settlement.commission),
+            commission_iva: amount(settlement.commission_iva),
+            net_amount: amount(settlement.net_amount),
+            status: settlement.status,
+            notes: settlement.notes,
+            approved_by: settlement.approved_by,
+            approved_at: settlement.approved_at,
+            paid_date: settlement.paid_date,
+            payment_reference: settlement.payment_reference,
+            created_by: settlement.created_by,
+            created_at: settlement.created_at,
+            updated_at: settlement.updated_at
+        };
+    }
+
+    static formatItem(item) {
+        return {
+            ...item,
+            percentage: parseFloat(item.percentage),
+            base: parseFloat(item.base),
+            iva: parseFloat(item.iva),
+            irpf: parseFloat(item.irpf),
+            total: parseFloat(item.total)
+        };
+    }
+}
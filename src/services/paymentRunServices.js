@@ -0,0 +1,238 @@
+import PaymentRunsRepository from "../repository/paymentRunsRepository.js";
+import SupplierPaymentsRepository from "../repository/supplierPaymentsRepository.js";
+import SupplierPaymentService from "./supplierPaymentServices.js";
+import AccountingService from "./accountingServices.js";
+import AuditService from "./auditServices.js";
+import CalculateHelper from "../shared/helpers/calculateTotal.js";
+import { AppError } from "../errors/AppError.js";
+
+const round = (value) => CalculateHelper.roundCurrency(value);
+
+/**
+ * Servicio de remesas de pago a proveedores
+ * Flujo: se seleccionan las facturas recibidas con pendiente que vencen hasta
+ * una fecha (agrupadas por proveedor) y se crea la remesa en borrador; se
+ * aprueba y, al pagarla, se registra el pago de todas sus facturas en una
+ * sola transacción. Una factura no puede estar en dos remesas abiertas.
+ */
+export default class PaymentRunService {
+
+    // ==========================================
+    // CONSULTAS
+    // ==========================================
+
+    static async getRuns(filters = {}) {
+        const runs = await PaymentRunsRepository.getAll(filters);
+        return runs.map(run => this.formatRun(run));
+    }
+
+    /**
+     * Remesa con sus facturas agrupadas por proveedor
+     */
+    static async getRunById(id) {
+        if (!id || isNaN(Number(id))) return [];
+
+        const runs = await PaymentRunsRepository.findById(id);
+        if (!runs.length) return [];
+
+        const items = await PaymentRunsRepository.getItems(id);
+        return [{
+            ...this.formatRun(runs[0]),
+            suppliers: this.groupBySupplier(items.map(item => ({
+                ...item,
+                invoice_id: item.invoice_received_id,
+                amount: parseFloat(item.amount)
+            })))
+        }];
+    }
+
+    /**
+     * Facturas que entrarían en una remesa, agrupadas por proveedor
+     * @param {Object} criteria
+     * @param {string} criteria.due_until - Vencidas hasta esa fecha (YYYY-MM-DD)
+     * @param {number[]} [criteria.supplier_ids] - Solo esos proveedores
+     */
+    static async previewRun(criteria) {
+        const invoices = await SupplierPaymentsRepository.getOutstandingInvoices({
+            due_until: criteria.due_until,
+            supplier_ids: criteria.supplier_ids,
+            exclude_open_runs: true
+        });
+
+        const suppliers = this.groupBySupplier(invoices.map(invoice => {
+            const balance = SupplierPaymentService.formatInvoiceBalance(invoice);
+            return {...invoice, ...balance, invoice_id: balance.id, amount: balance.outstanding_amount};
+        }));
+
+        return {
+            due_until: criteria.due_until,
+            invoices_count: invoices.length,
+            total_amount: round(suppliers.reduce((sum, supplier) => sum + supplier.total_amount, 0)),
+            suppliers
+        };
+    }
+
+    // ==========================================
+    // FLUJO DE LA REMESA
+    // ==========================================
+
+    /**
+     * Crea la remesa en borrador con el pendiente de cada factura seleccionada
+     * @param {Object} data
+     * @param {string} data.due_until
+     * @param {string} data.payment_date - Fecha prevista de pago
+     * @param {string|null} [data.bank_account] - Por defecto, la cuenta de la empresa
+     * @param {number[]} [data.supplier_ids]
+     * @throws {AppError} 409 PAYMENT_RUN_EMPTY si no hay facturas que pagar
+     */
+    static async createRun(data) {
+        const method = data.method || 'transfer';
+        if (!CalculateHelper.getValidPaymentMethods().includes(method)) {
+            throw new AppError('Método de pago inválido', 400);
+        }
+        const bankAccount = SupplierPaymentService.resolveBankAccount(data.bank_account);
+
+        const preview = await this.previewRun(data);
+        if (!preview.invoices_count) {
+            throw new AppError(`No hay facturas recibidas pendientes que venzan hasta ${data.due_until}`, 409, 'PAYMENT_RUN_EMPTY');
+        }
+
+        const items = preview.suppliers.flatMap(supplier => supplier.invoices.map(invoice => ({
+            invoice_received_id: invoice.invoice_id,
+            supplier_id: supplier.supplier_id,
+            amount: invoice.amount
+        })));
+
+        const created = await PaymentRunsRepository.create({
+            due_until: data.due_until,
+            payment_date: data.payment_date || new Date().toISOString().split('T')[0],
+            bank_account: bankAccount,
+            method,
+            notes: data.notes || null,
+            created_by: data.created_by ?? null
+        }, items);
+        if (!created.length) throw new AppError('Error al crear la remesa de pago', 500);
+
+        return this.getRunById(created[0].id);
+    }
+
+    static async approveRun(id, approvedBy = null) {
+        const run = await this.findRunOrFail(id);
+        if (run.status !== 'draft') {
+            throw new AppError(`Solo se aprueban remesas en borrador (estado actual: ${run.status})`, 409);
+        }
+
+        const approved = await PaymentRunsRepository.approve(run.id, approvedBy);
+        if (!approved.length) throw new AppError('La remesa ya no está en borrador', 409);
+
+        return this.getRunById(run.id);
+    }
+
+    /**
+     * Paga una remesa aprobada: todas sus facturas quedan pagadas (o pagadas en
+     * parte) en una sola transacción
+     * @param {Object} [data]
+     * @param {string} [data.payment_date] - Por defecto, la prevista en la remesa
+     * @param {string} [data.reference] - Por defecto, REMESA-{id}
+     * @param {Object|null} [context] - {user, ip_address} para el registro de auditoría de las facturas
+     * @throws {AppError} 409 si no está aprobada o alguna factura ya no tiene ese pendiente
+     */
+    static async payRun(id, data = {}, context = null) {
+        const run = await this.findRunOrFail(id);
+        if (run.status !== 'approved') {
+            throw new AppError(`Solo se pagan remesas aprobadas (estado actual: ${run.status})`, 409);
+        }
+
+        const items = await PaymentRunsRepository.getItems(run.id);
+        const paid = await AuditService.track({invoice_received: items.map(item => item.invoice_received_id)}, context, () =>
+            PaymentRunsRepository.pay(run.id, {
+                payment_date: data.payment_date || run.payment_date,
+                reference: data.reference || `REMESA-${run.id}`,
+                created_by: data.created_by ?? null
+            }));
+        if (!paid.length) {
+            throw new AppError('Alguna factura de la remesa ya no tiene pendiente el importe previsto; anule la remesa y genere otra', 409, 'PAYMENT_RUN_OUTDATED');
+        }
+
+        await AccountingService.syncPayments();
+        return this.getRunById(run.id);
+    }
+
+    static async cancelRun(id) {
+        const run = await this.findRunOrFail(id);
+        if (!['draft', 'approved'].includes(run.status)) {
+            throw new AppError(`La remesa está ${run.status === 'paid' ? 'pagada' : 'anulada'} y no se puede anular`, 409);
+        }
+
+        const cancelled = await PaymentRunsRepository.cancel(run.id);
+        if (!cancelled.length) throw new AppError('La remesa ya no se puede anular', 409);
+
+        return this.getRunById(run.id);
+    }
+
+    // ==========================================
+    // MÉTODOS AUXILIARES
+    // ==========================================
+
+    static async findRunOrFail(id) {
+        const runs = await PaymentRunsRepository.findById(id);
+        if (!runs.length) throw new AppError('Remesa de pago no encontrada', 404);
+        return this.formatRun(runs[0]);
+    }
+
+    /**
+     * Agrupa las facturas por proveedor con el total a pagarle
+     * @param {Object[]} invoices - Con invoice_id, supplier_* y amount
+     */
+    static groupBySupplier(invoices) {
+        const suppliers = new Map();
+
+        for (const invoice of invoices) {
+            if (!suppliers.has(invoice.supplier_id)) {
+                suppliers.set(invoice.supplier_id, {
+                    supplier_id: invoice.supplier_id,
+                    supplier_name: invoice.supplier_company || invoice.supplier_name,
+                    supplier_tax_id: invoice.supplier_tax_id,
+                    supplier_bank_account: invoice.supplier_bank_account,
+                    total_amount: 0,
+                    invoices: []
+                });
+            }
+
+            const supplier = suppliers.get(invoice.supplier_id);
+            supplier.total_amount = round(supplier.total_amount + invoice.amount);
+            supplier.invoices.push({
+                invoice_id: invoice.invoice_id,
+                invoice_number: invoice.invoice_number,
+                invoice_date: CalculateHelper.formatDateISO(invoice.invoice_date),
+                due_date: CalculateHelper.formatDateISO(invoice.due_date),
+                total_amount: parseFloat(invoice.total_amount) || 0,
+                amount: invoice.amount,
+                payment_status: invoice.payment_status ?? invoice.collection_status
+            });
+        }
+
+        return [...suppliers.values()];
+    }
+
+    static formatRun(run) {
+        return {
+            id: run.id,
+            due_until: CalculateHelper.formatDateISO(run.due_until),
+            payment_date: CalculateHelper.formatDateISO(run.payment_date),
+            bank_account: run.bank_account,
+            method: run.method,
+            status: run.status,
+            items_count: Number(run.items_count) || 0,
+            suppliers_count: Number(run.suppliers_count) || 0,
+            total_amount: parseFloat(run.total_amount) || 0,
+            notes: run.notes,
+            created_by: run.created_by,
+            approved_by: run.approved_by,
+            approved_at: run.approved_at,
+            paid_at: run.paid_at,
+            created_at: run.created_at,
+            updated_at: run.updated_at
+        };
+    }
+}
@@ -0,0 +1,326 @@
+import PaymentsRepository from "../repository/paymentsRepository.js";
+import ClientsRepository from "../repository/clientsRepository.js";
+import SepaReturnsRepository from "../repository/sepaReturnsRepository.js";
+import OwnerSettlementService from "./ownerSettlementServices.js";
+import AccountingService from "./accountingServices.js";
+import AuditService from "./auditServices.js";
+import CalculateHelper from "../shared/helpers/calculateTotal.js";
+import { AppError } from "../errors/AppError.js";
+
+const round = (value) => CalculateHelper.roundCurrency(value);
+
+/**
+ * Servicio de cobros de clientes
+ * Un cobro (transferencia, efectivo...) se imputa a una o varias facturas
+ * emitidas del cliente; cada factura puede cobrarse en varios plazos. El
+ * estado de cobro de la factura se deriva de su pendiente (total - imputado -
+ * fianza aplicada): 'partially_collected' mientras quede pendiente y
+ * 'collected' al cubrirse. Lo no imputado queda como saldo a favor del
+ * cliente y se puede imputar más adelante.
+ */
+export default class PaymentService {
+
+    // ==========================================
+    // CONSULTAS
+    // ==========================================
+
+    static async getAllPayments(filters = {}) {
+        const payments = await PaymentsRepository.getAll(filters);
+        return payments.map(payment => this.formatPayment(payment));
+    }
+
+    /**
+     * Cobro con sus imputaciones a facturas
+     */
+    static async getPaymentById(id) {
+        if (!id || isNaN(Number(id))) return [];
+
+        const payments = await PaymentsRepository.findById(id);
+        if (!payments.length) return [];
+
+        const allocations = await PaymentsRepository.getAllocations(id);
+        return [{
+            ...this.formatPayment(payments[0]),
+            allocations: allocations.map(allocation => ({
+                ...allocation,
+                amount: parseFloat(allocation.amount),
+                total: parseFloat(allocation.total),
+                invoice_date: CalculateHelper.formatDateISO(allocation.invoice_date),
+                due_date: CalculateHelper.formatDateISO(allocation.due_date)
+            }))
+        }];
+    }
+
+    /**
+     * Pendiente de una factura con los cobros imputados
+     */
+    static async getInvoiceBalance(invoiceId) {
+        if (!invoiceId || isNaN(Number(invoiceId))) return [];
+
+        const invoices = await PaymentsRepository.getInvoiceBalance(invoiceId);
+        if (!invoices.length) return [];
+
+        const allocations = await PaymentsRepository.getInvoiceAllocations(invoiceId);
+        return [{
+            ...this.formatInvoiceBalance(invoices[0]),
+            allocations: allocations.map(allocation => ({
+                ...allocation,
+                amount: parseFloat(allocation.amount),
+                payment_date: CalculateHelper.formatDateISO(allocation.payment_date)
+            }))
+        }];
+    }
+
+    /**
+     * Facturas pendientes y saldo a favor de un cliente
+     */
+    static async getClientBalance(clientId) {
+        const clients = await ClientsRepository.findById(clientId);
+        if (!clients.length) throw new AppError('Cliente no encontrado', 404);
+
+        const [invoices, payments, fees] = await Promise.all([
+            PaymentsRepository.getOutstandingInvoices(clientId),
+            PaymentsRepository.getAll({clients_id: clientId, with_credit: true}),
+            SepaReturnsRepository.getPendingFees(clientId)
+        ]);
+
+        const outstandingInvoices = invoices.map(invoice => this.formatInvoiceBalance(invoice));
+        const creditPayments = payments.map(payment => this.formatPayment(payment));
+
+        return {
+            clients_id: Number(clientId),
+            outstanding_total: round(outstandingInvoices.reduce((sum, invoice) => sum + invoice.outstanding_amount, 0)),
+            credit: round(creditPayments.reduce((sum, payment) => sum + payment.credit_amount, 0)),
+            // Gastos de adeudos devueltos repercutidos al cliente y sin cobrar
+            pending_return_fees: round(fees.reduce((sum, fee) => sum + parseFloat(fee.fee_amount), 0)),
+            outstanding_invoices: outstandingInvoices,
+            credit_payments: creditPayments,
+            return_fees: fees.map(fee => ({
+                sepa_return_id: fee.id,
+                invoice_issued_id: fee.invoice_issued_id,
+                invoice_number: fee.invoice_number,
+                return_date: CalculateHelper.formatDateISO(fee.return_date),
+                reason_code: fee.reason_code,
+                fee_amount: parseFloat(fee.fee_amount)
+            }))
+        };
+    }
+
+    // ==========================================
+    // REGISTRO E IMPUTACIÓN
+    // ==========================================
+
+    /**
+     * Registra un cobro del cliente y lo imputa a sus facturas
+     * Sin allocations, se imputa a las facturas pendientes de la más antigua a la
+     * más reciente; con allocations vacío, todo queda como saldo a favor.
+     * @param {Object} data
+     * @param {number} data.clients_id
+     * @param {number} data.amount
+     * @param {string} [data.payment_date] - Hoy por defecto
+     * @param {string} [data.method] - 'transfer' por defecto
+     * @param {Object[]|null} [data.allocations] - [{invoice_issued_id, amount}]
+     * @param {Object|null} [context] - {user, ip_address} para el registro de auditoría de las facturas
+     */
+    static async createPayment(data, context = null) {
+        const clients = await ClientsRepository.findById(data.clients_id);
+        if (!clients.length) throw new AppError('Cliente no encontrado', 404);
+
+        const amount = round(Number(data.amount));
+        if (!(amount > 0)) throw new AppError('El importe del cobro debe ser mayor que 0', 400);
+
+        const method = data.method || 'transfer';
+        if (!CalculateHelper.getValidPaymentMethods().includes(method)) {
+            throw new AppError('Método de cobro inválido', 400);
+        }
+
+        const allocations = await this.resolveAllocations(Number(data.clients_id), data.allocations, amount);
+
+        const created = await AuditService.track({invoice_issued: allocations.map(allocation => allocation.invoice_issued_id)}, context, () =>
+            PaymentsRepository.create({
+                clients_id: Number(data.clients_id),
+                payment_date: data.payment_date || new Date().toISOString().split('T')[0],
+                amount,
+                method,
+                reference: data.reference || null,
+                notes: data.notes || null,
+                created_by: data.created_by ?? null
+            }, allocations));
+        if (!created.length) {
+            throw new AppError('El pendiente de alguna factura ha cambiado mientras se registraba el cobro; vuelva a intentarlo',
+                409, 'PAYMENT_ALLOCATION_CONFLICT');
+        }
+
+        await AccountingService.syncPayments();
+        return this.getPaymentById(created[0].id);
+    }
+
+    /**
+     * Imputa a facturas el saldo a favor que queda de un cobro
+     * @param {Object[]|null} [data.allocations] - Sin ellas, a las pendientes más antiguas
+     * @param {Object|null} [context] - {user, ip_address}
+     */
+    static async allocatePayment(id, data = {}, context = null) {
+        const payments = await this.getPaymentById(id);
+        if (!payments.length) throw new AppError('Cobro no encontrado', 404);
+        const payment = payments[0];
+
+        if (!(payment.credit_amount > 0)) {
+            throw new AppError('El cobro no tiene importe pendiente de imputar', 409);
+        }
+
+        const allocations = await this.resolveAllocations(payment.clients_id, data.allocations, payment.credit_amount);
+        if (!allocations.length) {
+            throw new AppError('El cliente no tiene facturas pendientes a las que imputar el cobro', 409);
+        }
+
+        // El saldo del cobro y el pendiente de las facturas se vuelven a comprobar con ambos bloqueados
+        const added = await AuditService.track({invoice_issued: allocations.map(allocation => allocation.invoice_issued_id)}, context, () =>
+            PaymentsRepository.addAllocations(payment.id, allocations, data.created_by ?? null));
+        if (!added.length) {
+            throw new AppError('El saldo del cobro o el pendiente de alguna factura ha cambiado mientras se imputaba; vuelva a intentarlo',
+                409, 'PAYMENT_ALLOCATION_CONFLICT');
+        }
+        return this.getPaymentById(payment.id);
+    }
+
+    /**
+     * Deshace una imputación; el importe vuelve al saldo a favor del cliente
+     */
+    static async deleteAllocation(paymentId, allocationId, context = null) {
+        const payments = await this.getPaymentById(paymentId);
+        if (!payments.length) throw new AppError('Cobro no encontrado', 404);
+
+        const allocation = payments[0].allocations.find(item => item.id === Number(allocationId));
+        if (!allocation) throw new AppError('Imputación no encontrada', 404);
+
+        // REGLA DE NEGOCIO: lo incluido en una liquidación a propietario no se modifica
+        await OwnerSettlementService.assertNotSettled('issued', allocation.invoice_issued_id);
+
+        return AuditService.track({invoice_issued: [allocation.invoice_issued_id]}, context, () =>
+            PaymentsRepository.deleteAllocation(payments[0].id, allocation.id));
+    }
+
+    /**
+     * Elimina un cobro y sus imputaciones (las facturas vuelven a estar pendientes)
+     */
+    static async deletePayment(id, context = null) {
+        const payments = await this.getPaymentById(id);
+        if (!payments.length) return [];
+
+        for (const allocation of payments[0].allocations) {
+            await OwnerSettlementService.assertNotSettled('issued', allocation.invoice_issued_id);
+        }
+
+        const deleted = await AuditService.track({invoice_issued: payments[0].allocations.map(allocation => allocation.invoice_issued_id)}, context, () =>
+            PaymentsRepository.delete(payments[0].id));
+        if (deleted.length) await AccountingService.syncPayments();
+        return deleted;
+    }
+
+    // ==========================================
+    // MÉTODOS AUXILIARES
+    // ==========================================
+
+    /**
+     * Comprueba las imputaciones pedidas o, sin ellas, reparte el importe entre
+     * las facturas pendientes del cliente de la más antigua a la más reciente
+     * @param {number} clientId
+     * @param {Object[]|null|undefined} requested - [{invoice_issued_id, amount}]
+     * @param {number} available - Importe del cobro que se puede imputar
+     * @returns {Promise<Object[]>} [{invoice_issued_id, amount}]
+     * @throws {AppError} 400 si una factura no admite el importe, 409 si se supera el cobro
+     */
+    static async resolveAllocations(clientId, requested, available) {
+        const outstanding = (await PaymentsRepository.getOutstandingInvoices(clientId))
+            .map(invoice => this.formatInvoiceBalance(invoice));
+
+        if (!Array.isArray(requested)) {
+            const allocations = [];
+            let remaining = available;
+            for (const invoice of outstanding) {
+                if (remaining <= 0) break;
+                const amount = round(Math.min(remaining, invoice.outstanding_amount));
+                allocations.push({invoice_issued_id: invoice.id, amount});
+                remaining = round(remaining - amount);
+            }
+            return allocations;
+        }
+
+        const invoiceIds = requested.map(allocation => Number(allocation.invoice_issued_id));
+        if (new Set(invoiceIds).size !== invoiceIds.length) {
+            throw new AppError('Una factura no puede aparecer dos veces en las imputaciones', 400);
+        }
+
+        const allocations = requested.map(allocation => {
+            const invoice = outstanding.find(item => item.id === Number(allocation.invoice_issued_id));
+            if (!invoice) {
+                throw new AppError(`La factura ${allocation.invoice_issued_id} no es una factura pendiente del cliente`, 400);
+            }
+
+            const amount = allocation.amount !== undefined && allocation.amount !== null
+                ? round(Number(allocation.amount))
+                : invoice.outstanding_amount;
+            if (!(amount > 0) || amount > invoice.outstanding_amount) {
+                throw new AppError(
+                    `El importe imputado a la factura ${invoice.invoice_number} debe estar entre 0 y su pendiente (${invoice.outstanding_amount})`,
+                    400
+                );
+            }
+            return {invoice_issued_id: invoice.id, amount};
+        });
+
+        const total = round(allocations.reduce((sum, allocation) => sum + allocation.amount, 0));
+        if (total > available) {
+            throw new AppError(`Las imputaciones (${total}) superan el importe disponible del cobro (${available})`, 409);
+        }
+
+        return allocations;
+    }
+
+    static formatInvoiceBalance(invoice) {
+        const total = parseFloat(invoice.total) || 0;
+        const paidAmount = parseFloat(invoice.paid_amount) || 0;
+        const depositApplied = parseFloat(invoice.deposit_applied) || 0;
+
+        return {
+            id: invoice.id,
+            invoice_number: invoice.invoice_number,
+            clients_id: invoice.clients_id,
+            owners_id: invoice.owners_id,
+            estates_id: invoice.estates_id,
+            invoice_date: CalculateHelper.formatDateISO(invoice.invoice_date),
+            due_date: CalculateHelper.formatDateISO(invoice.due_date),
+            total,
+            paid_amount: paidAmount,
+            deposit_applied: depositApplied,
+            outstanding_amount: invoice.is_refund ? 0 : Math.max(round(total - paidAmount - depositApplied), 0),
+            collection_status: invoice.collection_status,
+            collection_date: CalculateHelper.formatDateISO(invoice.collection_date),
+            collection_reference: invoice.collection_reference
+        };
+    }
+
+    static formatPayment(payment) {
+        const amount = parseFloat(payment.amount) || 0;
+        const allocatedAmount = parseFloat(payment.allocated_amount) || 0;
+
+        return {
+            id: payment.id,
+            clients_id: payment.clients_id,
+            client_name: payment.client_company_name
+                || [payment.client_name, payment.client_lastname].filter(Boolean).join(' '),
+            client_identification: payment.client_identification,
+            payment_date: CalculateHelper.formatDateISO(payment.payment_date),
+            amount,
+            method: payment.method,
+            reference: payment.reference,
+            allocated_amount: allocatedAmount,
+            credit_amount: round(amount - allocatedAmount),
+            notes: payment.notes,
+            created_by: payment.created_by,
+            created_at: payment.created_at,
+            updated_at: payment.updated_at
+        };
+    }
+}
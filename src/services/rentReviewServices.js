@@ -0,0 +1,237 @@
+import RentReviewsRepository from "../repository/rentReviewsRepository.js";
+import CalculateHelper from "../shared/helpers/calculateTotal.js";
+import {
+    INDEX_TYPES,
+    calculateReviewedRent,
+    findIndexValue,
+    getNextAnniversary
+} from "../shared/helpers/rentReviewHelpers.js";
+import { AppError } from "../errors/AppError.js";
+
+/**
+ * Servicio de actualización anual de rentas
+ * Calcula en cada aniversario la nueva renta de los contratos con índice
+ * (IPC o IRAV) a partir de los valores guardados en rent_indexes. Las
+ * revisiones se generan como pendientes, se aprueban (la nueva renta pasa al
+ * contrato y se factura desde el mes del aniversario) o se rechazan, y de cada
+ * una se puede generar la carta de notificación al inquilino.
+ */
+export default class RentReviewService {
+
+    // ==========================================
+    // ÍNDICES
+    // ==========================================
+
+    static async getIndexes(indexType = null) {
+        const indexes = await RentReviewsRepository.getIndexes(indexType);
+        return indexes.map(index => ({...index, value: parseFloat(index.value)}));
+    }
+
+    /**
+     * Registra (o corrige) el valor de un índice para un mes
+     * @param {Object} data - {index_type, period (YYYY-MM), value (% de variación anual), source}
+     */
+    static async saveIndex(data) {
+        if (!INDEX_TYPES.includes(data.index_type)) throw new AppError('Índice no válido', 400);
+        if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(data.period || '')) throw new AppError('El período debe tener formato YYYY-MM', 400);
+
+        const value = Number(data.value);
+        if (isNaN(value)) throw new AppError('El valor del índice no es válido', 400);
+
+        const saved = await RentReviewsRepository.upsertIndex({
+            index_type: data.index_type,
+            period: data.period,
+            value,
+            source: data.source || null
+        });
+        if (!saved.length) throw new AppError('Error al guardar el índice', 500);
+
+        return {index_type: data.index_type, period: data.period, value, source: data.source || null};
+    }
+
+    static async deleteIndex(id) {
+        if (!id || isNaN(Number(id))) return [];
+        return RentReviewsRepository.deleteIndex(id);
+    }
+
+    // ==========================================
+    // PREVISUALIZACIÓN Y GENERACIÓN
+    // ==========================================
+
+    /**
+     * Revisiones de los contratos cuyo próximo aniversario llega hasta una fecha
+     * Los contratos sin índice publicado para su aniversario se devuelven con
+     * missing_index para que se cargue el valor antes de generar.
+     * @param {string} [untilDate] - YYYY-MM-DD (hoy por defecto)
+     * @returns {Object[]} Revisiones calculadas (sin guardar)
+     */
+    static async previewReviews(untilDate = null) {
+        const until = untilDate || new Date().toISOString().split('T')[0];
+
+        const [leases, indexes] = await Promise.all([
+            RentReviewsRepository.getIndexedLeases(),
+            RentReviewsRepository.getIndexes()
+        ]);
+
+        const reviews = [];
+        leases.forEach(lease => {
+            const reviewDate = getNextAnniversary(lease.start_date, lease.last_review_date);
+            const endDate = CalculateHelper.formatDateISO(lease.end_date);
+            if (reviewDate > until || (endDate && reviewDate > endDate)) return;
+
+            const rent = parseFloat(lease.monthly_rent) || 0;
+            const cap = lease.indexation_cap !== null && lease.indexation_cap !== undefined ? parseFloat(lease.indexation_cap) : null;
+            const index = findIndexValue(indexes, lease.indexation_type, reviewDate);
+
+            const review = {
+                lease_id: lease.id,
+                estates_id: lease.estates_id,
+                estate_address: lease.estate_address,
+                clients_id: lease.clients_id,
+                client_name: this.formatClientName(lease),
+                client_identification: lease.client_identification,
+                review_date: reviewDate,
+                index_type: lease.indexation_type,
+                indexation_cap: cap,
+                previous_rent: rent
+            };
+
+            if (!index) {
+                reviews.push({...review, missing_index: true, index_period: null, index_value: null, applied_rate: null, new_rent: null});
+                return;
+            }
+
+            reviews.push({
+                ...review,
+                missing_index: false,
+                index_period: index.period,
+                index_value: index.value,
+                ...calculateReviewedRent(rent, index.value, cap)
+            });
+        });
+
+        return reviews;
+    }
+
+    /**
+     * Genera como pendientes las revisiones con índice hasta una fecha
+     * @param {Object} data
+     * @param {string} [data.until_date] - YYYY-MM-DD (hoy por defecto)
+     * @param {number[]} [data.lease_ids] - Solo esos contratos
+     * @returns {{created: Object[], missing_index: Object[]}}
+     */
+    static async generateReviews(data = {}) {
+        let previews = await this.previewReviews(data.until_date);
+        if (data.lease_ids?.length) {
+            const leaseIds = data.lease_ids.map(Number);
+            previews = previews.filter(review => leaseIds.includes(review.lease_id));
+        }
+
+        const ready = previews.filter(review => !review.missing_index);
+        const missing = previews.filter(review => review.missing_index);
+        if (!ready.length) {
+            throw new AppError('No hay revisiones de renta que generar', 409, 'RENT_REVIEWS_EMPTY', {missing_index: missing});
+        }
+
+        const created = await RentReviewsRepository.createMany(ready.map(review => ({
+            lease_id: review.lease_id,
+            review_date: review.review_date,
+            index_type: review.index_type,
+            index_period: review.index_period,
+            index_value: review.index_value,
+            applied_rate: review.applied_rate,
+            previous_rent: review.previous_rent,
+            new_rent: review.new_rent,
+            notes: null,
+            created_by: data.created_by ?? null
+        })));
+
+        return {
+            created: ready.map((review, index) => ({...review, id: created[index].id, status: 'pending'})),
+            missing_index: missing
+        };
+    }
+
+    // ==========================================
+    // CONSULTAS Y ESTADOS
+    // ==========================================
+
+    static async getReviews(filters = {}) {
+        const reviews = await RentReviewsRepository.getAll(filters);
+        return reviews.map(review => this.formatReview(review));
+    }
+
+    static async getReviewById(id) {
+        if (!id || isNaN(Number(id))) return [];
+        const reviews = await RentReviewsRepository.findById(id);
+        return reviews.map(review => this.formatReview(review));
+    }
+
+    /**
+     * REGLA: solo se aprueban revisiones pendientes de contratos que siguen con la renta revisada
+     */
+    static async approveReview(id, approvedBy = null) {
+        const review = await this.getPendingReview(id);
+
+        if (review.lease_rent !== review.previous_rent) {
+            throw new AppError('La renta del contrato ha cambiado desde que se generó la revisión; elimínela y vuelva a generarla', 409);
+        }
+
+        const approved = await RentReviewsRepository.approve(review.id, approvedBy);
+        if (!approved.length) throw new AppError('La revisión o la renta del contrato han cambiado', 409);
+
+        return (await this.getReviewById(review.id))[0];
+    }
+
+    /**
+     * Rechaza una revisión: el aniversario queda revisado sin actualizar la renta
+     */
+    static async rejectReview(id, notes = null) {
+        const review = await this.getPendingReview(id);
+
+        const rejected = await RentReviewsRepository.reject(review.id, notes || null);
+        if (!rejected.length) throw new AppError('La revisión ha cambiado de estado', 409);
+
+        return (await this.getReviewById(review.id))[0];
+    }
+
+    static async deleteReview(id) {
+        const review = await this.getPendingReview(id);
+        return RentReviewsRepository.delete(review.id);
+    }
+
+    // ==========================================
+    // MÉTODOS AUXILIARES
+    // ==========================================
+
+    /**
+     * @throws {AppError} 404 si no existe, 409 si ya se aprobó o rechazó
+     */
+    static async getPendingReview(id) {
+        const reviews = await this.getReviewById(id);
+        if (!reviews.length) throw new AppError('Revisión de renta no encontrada', 404);
+        if (reviews[0].status !== 'pending') throw new AppError('La revisión de renta ya está resuelta', 409);
+        return reviews[0];
+    }
+
+    static formatClientName(row) {
+        return row.client_company_name || [row.client_name, row.client_lastname].filter(Boolean).join(' ');
+    }
+
+    static formatReview(review) {
+        return {
+            ...review,
+            client_name: this.formatClientName(review),
+            review_date: CalculateHelper.formatDateISO(review.review_date),
+            start_date: CalculateHelper.formatDateISO(review.start_date),
+            end_date: CalculateHelper.formatDateISO(review.end_date),
+            index_value: parseFloat(review.index_value),
+            applied_rate: parseFloat(review.applied_rate),
+            previous_rent: parseFloat(review.previous_rent),
+            new_rent: parseFloat(review.new_rent),
+            lease_rent: parseFloat(review.lease_rent),
+            iva: parseFloat(review.iva),
+            irpf: parseFloat(review.irpf)
+        };
+    }
+}
@@ -0,0 +1,610 @@
+import SepaRemittancesRepository from "../repository/sepaRemittancesRepository.js";
+import ClientsRepository from "../repository/clientsRepository.js";
+import OwnersRepository from "../repository/ownersRepository.js";
+import SupplierPaymentService from "./supplierPaymentServices.js";
+import AccountingService from "./accountingServices.js";
+import AuditService from "./auditServices.js";
+import CompanyService from "./CompanyService.js";
+import CalculateHelper from "../shared/helpers/calculateTotal.js";
+import {
+    buildCreditorId,
+    isValidBic,
+    isValidCreditorId,
+    isValidIban,
+    normalizeIban,
+    PAYABLE_STATUSES,
+    REMITTABLE_STATUSES,
+    SEQUENCE_TYPES
+} from "../shared/helpers/sepaHelpers.js";
+import { buildPain008Xml } from "../shared/utils/Sepa/pain008Generator.js";
+import { buildPain001Xml } from "../shared/utils/Sepa/pain001Generator.js";
+import { AppError } from "../errors/AppError.js";
+
+const round = (value) => CalculateHelper.roundCurrency(value);
+
+// Longitud máxima del concepto (Ustrd) de cada transferencia
+const REMITTANCE_INFO_LENGTH = 140;
+
+const personName = (row, prefix) =>
+    row[`${prefix}_company_name`] || [row[`${prefix}_name`], row[`${prefix}_lastname`]].filter(Boolean).join(' ');
+
+/**
+ * Servicio de remesas SEPA
+ * Mandatos de adeudo de los clientes, datos de acreedor de los propietarios,
+ * remesas de adeudos directos (pain.008.001.02, un fichero por propietario
+ * acreedor) y transferencias a proveedores (pain.001.001.03, que quedan en
+ * curso hasta confirmarlas). Antes de generar nada se validan todas las
+ * facturas, mandatos e IBAN; si algo falla no se incluye ninguna factura.
+ */
+export default class SepaRemittanceService {
+
+    // ==========================================
+    // MANDATOS Y ACREEDORES
+    // ==========================================
+
+    static async getClientMandate(clientId) {
+        const clients = await ClientsRepository.findSepaMandate(clientId);
+        if (!clients.length) return [];
+        return [this.formatMandate(clients[0])];
+    }
+
+    /**
+     * Guarda el mandato SEPA de un cliente; sin sepa_mandate_id se borra
+     * @param {number} clientId
+     * @param {Object} data - {sepa_mandate_id, sepa_mandate_date, sepa_iban, sepa_bic, sepa_sequence_type}
+     * @throws {AppError} 400 si el IBAN o el BIC no son válidos, 409 si la referencia ya la usa otro cliente
+     */
+    static async saveClientMandate(clientId, data) {
+        const clients = await ClientsRepository.findSepaMandate(clientId);
+        if (!clients.length) throw new AppError('Cliente no encontrado', 404);
+
+        const mandate = data.sepa_mandate_id
+            ? await this.normalizeMandate(clientId, data)
+            : {sepa_mandate_id: null, sepa_mandate_date: null, sepa_iban: null, sepa_bic: null, sepa_sequence_type: null};
+
+        const updated = await ClientsRepository.updateSepaMandate(clientId, mandate);
+        if (!updated.length) throw new AppError('Error al guardar el mandato SEPA', 500);
+
+        return this.getClientMandate(clientId);
+    }
+
+    static async getOwnerCreditor(ownerId) {
+        const owners = await OwnersRepository.findSepaCreditor(ownerId);
+        if (!owners.length) return [];
+        return [this.formatCreditor(owners[0])];
+    }
+
+    /**
+     * Guarda la cuenta de abono y el identificador de acreedor de un propietario
+     * @param {number} ownerId
+     * @param {Object} data - {sepa_iban, sepa_bic, sepa_creditor_id}; sin creditor_id se calcula con el NIF
+     */
+    static async saveOwnerCreditor(ownerId, data) {
+        const owners = await OwnersRepository.findSepaCreditor(ownerId);
+        if (!owners.length) throw new AppError('Propietario no encontrado', 404);
+
+        const creditor = {
+            sepa_iban: data.sepa_iban ? normalizeIban(data.sepa_iban) : null,
+            sepa_bic: data.sepa_bic ? normalizeIban(data.sepa_bic) : null,
+            sepa_creditor_id: data.sepa_creditor_id ? normalizeIban(data.sepa_creditor_id) : null
+        };
+        if (creditor.sepa_iban && !isValidIban(creditor.sepa_iban)) {
+            throw new AppError('El IBAN de abono no es válido (dígitos de control incorrectos)', 400);
+        }
+        if (creditor.sepa_bic && !isValidBic(creditor.sepa_bic)) {
+            throw new AppError('El BIC de abono no es válido', 400);
+        }
+        if (creditor.sepa_creditor_id && !isValidCreditorId(creditor.sepa_creditor_id)) {
+            throw new AppError('El identificador de acreedor SEPA no es válido', 400);
+        }
+
+        const updated = await OwnersRepository.updateSepaCreditor(ownerId, creditor);
+        if (!updated.length) throw new AppError('Error al guardar los datos de acreedor SEPA', 500);
+
+        return this.getOwnerCreditor(ownerId);
+    }
+
+    // ==========================================
+    // CONSULTAS
+    // ==========================================
+
+    static async getRemittances(filters = {}) {
+        const remittances = await SepaRemittancesRepository.getAll(filters);
+        return remittances.map(remittance => this.formatRemittance(remittance));
+    }
+
+    /**
+     * Remesa con sus facturas
+     */
+    static async getRemittanceById(id) {
+        if (!id || isNaN(Number(id))) return [];
+
+        const remittances = await SepaRemittancesRepository.findById(id);
+        if (!remittances.length) return [];
+
+        const items = await SepaRemittancesRepository.getItems(id);
+        return [{
+            ...this.formatRemittance(remittances[0]),
+            items: items.map(item => ({
+                id: item.id,
+                invoice_issued_id: item.invoice_issued_id,
+                invoice_received_id: item.invoice_received_id,
+                invoice_number: item.invoice_number,
+                clients_id: item.clients_id,
+                supplier_id: item.supplier_id,
+                amount: parseFloat(item.amount),
+                end_to_end_id: item.end_to_end_id,
+                mandate_id: item.mandate_id,
+                sequence_type: item.sequence_type,
+                iban: item.iban,
+                collection_status: item.collection_status
+            }))
+        }];
+    }
+
+    /**
+     * Fichero XML de una remesa para subir al banco
+     * @returns {Promise<Array<{file_name: string, content: string}>>}
+     */
+    static async getRemittanceFile(id) {
+        const files = await SepaRemittancesRepository.getFile(id);
+        if (!files.length) return [];
+        return [{file_name: `${files[0].message_id}.xml`, content: files[0].xml_content}];
+    }
+
+    // ==========================================
+    // ADEUDOS DIRECTOS (pain.008)
+    // ==========================================
+
+    /**
+     * Genera una remesa de adeudos por cada propietario acreedor con el
+     * pendiente de las facturas indicadas y las marca como remesadas
+     * @param {Object} data
+     * @param {number[]} data.invoice_ids
+     * @param {string} [data.collection_date] - Fecha de cargo; posterior a hoy, por defecto mañana
+     * @param {number|null} [data.created_by]
+     * @param {Object|null} [context] - {user, ip_address} para el registro de auditoría de las facturas
+     * @throws {AppError} 400 SEPA_VALIDATION_FAILED con la lista de problemas si alguna factura no se puede remesar
+     * @throws {AppError} 409 SEPA_REMITTANCE_OUTDATED si alguna factura cambió de estado mientras se generaba
+     */
+    static async createDirectDebitRemittances(data, context = null) {
+        const today = CalculateHelper.formatDateISO(new Date());
+        const collectionDate = data.collection_date || CalculateHelper.addDays(today, 1);
+        if (collectionDate <= today) {
+            throw new AppError('La fecha de cargo debe ser posterior a hoy', 400);
+        }
+
+        const ids = [...new Set(data.invoice_ids.map(Number))];
+        const invoices = await SepaRemittancesRepository.getDirectDebitInvoices(ids);
+
+        const problems = this.validateDirectDebit(ids, invoices, collectionDate);
+        if (problems.length) {
+            throw new AppError(`No se puede generar la remesa: ${problems.join('; ')}`, 400, 'SEPA_VALIDATION_FAILED', problems);
+        }
+
+        const byOwner = new Map();
+        for (const invoice of invoices) {
+            if (!byOwner.has(invoice.owners_id)) byOwner.set(invoice.owners_id, []);
+            byOwner.get(invoice.owners_id).push(invoice);
+        }
+
+        const createdAt = new Date();
+        const created = [];
+        for (const [ownerId, ownerInvoices] of byOwner) {
+            const owner = ownerInvoices[0];
+            const messageId = this.buildMessageId(ownerId, createdAt);
+            const transactions = ownerInvoices.map(invoice => ({
+                invoice_issued_id: invoice.id,
+                clients_id: invoice.clients_id,
+                end_to_end_id: invoice.invoice_number,
+                amount: round(invoice.outstanding_amount),
+                sequence_type: invoice.sepa_sequence_type,
+                mandate_id: invoice.sepa_mandate_id,
+                mandate_date: CalculateHelper.formatDateISO(invoice.sepa_mandate_date),
+                debtor_name: personName(invoice, 'client'),
+                debtor_iban: normalizeIban(invoice.client_iban),
+                debtor_bic: invoice.client_bic ? normalizeIban(invoice.client_bic) : null,
+                remittance_info: [`Factura ${invoice.invoice_number}`, invoice.corresponding_month].filter(Boolean).join(' ')
+            }));
+
+            const xml = buildPain008Xml({
+                message_id: messageId,
+                requested_date: collectionDate,
+                creditor: {
+                    name: [owner.owner_name, owner.owner_lastname].filter(Boolean).join(' '),
+                    iban: normalizeIban(owner.owner_iban),
+                    bic: owner.owner_bic ? normalizeIban(owner.owner_bic) : null,
+                    creditor_id: this.resolveCreditorId(owner)
+                },
+                transactions,
+                created_at: createdAt
+            });
+
+            const result = await AuditService.track({invoice_issued: ownerInvoices.map(invoice => invoice.id)}, context, () =>
+                SepaRemittancesRepository.createDirectDebit({
+                    message_id: messageId,
+                    owners_id: ownerId,
+                    requested_date: collectionDate,
+                    total_amount: round(transactions.reduce((sum, transaction) => sum + transaction.amount, 0)),
+                    xml_content: xml,
+                    created_by: data.created_by ?? null
+                }, transactions.map(transaction => ({...transaction, iban: transaction.debtor_iban}))));
+            if (!result.length) {
+                throw new AppError('Alguna factura ya no está pendiente de cobro; revise la selección y vuelva a generar la remesa', 409, 'SEPA_REMITTANCE_OUTDATED');
+            }
+            created.push(result[0].id);
+        }
+
+        const remittances = [];
+        for (const id of created) {
+            remittances.push(...await this.getRemittanceById(id));
+        }
+        return remittances;
+    }
+
+    // ==========================================
+    // TRANSFERENCIAS A PROVEEDORES (pain.001)
+    // ==========================================
+
+    /**
+     * Genera el fichero de transferencias con el pendiente de las facturas
+     * recibidas indicadas, agrupadas por proveedor, y las deja en pago en curso
+     * @param {Object} data
+     * @param {number[]} data.invoice_ids
+     * @param {string} [data.execution_date] - Fecha de ejecución; hoy o posterior, por defecto hoy
+     * @param {string|null} [data.bank_account] - Cuenta de cargo; por defecto, la de la empresa
+     * @param {number|null} [data.created_by]
+     * @param {Object|null} [context] - {user, ip_address}
+     * @throws {AppError} 400 SEPA_VALIDATION_FAILED con la lista de problemas si alguna factura no se puede pagar
+     * @throws {AppError} 409 SEPA_REMITTANCE_OUTDATED si alguna factura cambió de estado mientras se generaba
+     */
+    static async createCreditTransferRemittance(data, context = null) {
+        const today = CalculateHelper.formatDateISO(new Date());
+        const executionDate = data.execution_date || today;
+        if (executionDate < today) {
+            throw new AppError('La fecha de ejecución no puede ser anterior a hoy', 400);
+        }
+
+        const bankAccount = SupplierPaymentService.resolveBankAccount(data.bank_account);
+        if (!isValidIban(bankAccount)) {
+            throw new AppError('La cuenta de cargo no es un IBAN válido (dígitos de control incorrectos)', 400);
+        }
+        const company = CompanyService.getCompanyData();
+        if (!company.name) {
+            throw new AppError('Configure COMPANY_NAME para generar transferencias SEPA', 400);
+        }
+
+        const ids = [...new Set(data.invoice_ids.map(Number))];
+        const invoices = await SepaRemittancesRepository.getCreditTransferInvoices(ids);
+
+        const problems = this.validateCreditTransfer(ids, invoices, executionDate);
+        if (problems.length) {
+            throw new AppError(`No se puede generar la transferencia: ${problems.join('; ')}`, 400, 'SEPA_VALIDATION_FAILED', problems);
+        }
+
+        const createdAt = new Date();
+        const messageId = `SCT-${createdAt.toISOString().replace(/\D/g, '').slice(0, 17)}`;
+        const transactions = this.buildTransfers(invoices, messageId);
+
+        const xml = buildPain001Xml({
+            message_id: messageId,
+            requested_date: executionDate,
+            debtor: {
+                name: company.name,
+                nif: company.nif,
+                iban: bankAccount,
+                bic: null
+            },
+            transactions,
+            created_at: createdAt
+        });
+
+        const items = transactions.flatMap(transaction => transaction.invoices.map(invoice => ({
+            invoice_received_id: invoice.id,
+            amount: invoice.amount,
+            end_to_end_id: transaction.end_to_end_id,
+            iban: transaction.creditor_iban
+        })));
+
+        const result = await AuditService.track({invoice_received: items.map(item => item.invoice_received_id)}, context, () =>
+            SepaRemittancesRepository.createCreditTransfer({
+                message_id: messageId,
+                requested_date: executionDate,
+                bank_account: bankAccount,
+                total_amount: round(transactions.reduce((sum, transaction) => sum + transaction.amount, 0)),
+                xml_content: xml,
+                created_by: data.created_by ?? null
+            }, items));
+        if (!result.length) {
+            throw new AppError('Alguna factura ya no está pendiente de pago; revise la selección y vuelva a generar la transferencia', 409, 'SEPA_REMITTANCE_OUTDATED');
+        }
+
+        return this.getRemittanceById(result[0].id);
+    }
+
+    /**
+     * Confirma que el banco ejecutó la transferencia: se registra el pago de
+     * cada factura (quedan pagadas)
+     * @param {number} id
+     * @param {Object} [data] - {payment_date (por defecto, la de ejecución), confirmed_by}
+     * @param {Object|null} [context] - {user, ip_address}
+     */
+    static async confirmCreditTransfer(id, data = {}, context = null) {
+        const remittance = await this.findCreditTransferOrFail(id);
+        const items = await SepaRemittancesRepository.getItems(remittance.id);
+
+        const confirmed = await AuditService.track({invoice_received: items.map(item => item.invoice_received_id)}, context, () =>
+            SepaRemittancesRepository.confirmCreditTransfer(remittance.id, {
+                payment_date: data.payment_date || remittance.requested_date,
+                confirmed_by: data.confirmed_by ?? null
+            }));
+        if (!confirmed.length) {
+            throw new AppError('La transferencia ya no está pendiente de confirmar o alguna factura cambió de estado', 409);
+        }
+
+        await AccountingService.syncPayments();
+        return this.getRemittanceById(remittance.id);
+    }
+
+    /**
+     * Anula una transferencia sin confirmar; sus facturas vuelven a estar pendientes
+     */
+    static async cancelCreditTransfer(id, context = null) {
+        const remittance = await this.findCreditTransferOrFail(id);
+        const items = await SepaRemittancesRepository.getItems(remittance.id);
+
+        const cancelled = await AuditService.track({invoice_received: items.map(item => item.invoice_received_id)}, context, () =>
+            SepaRemittancesRepository.cancelCreditTransfer(remittance.id));
+        if (!cancelled.length) throw new AppError('La transferencia ya no está pendiente de confirmar', 409);
+
+        return this.getRemittanceById(remittance.id);
+    }
+
+    // ==========================================
+    // MÉTODOS AUXILIARES
+    // ==========================================
+
+    /**
+     * Problemas que impiden remesar las facturas (vacío si todo es correcto)
+     * @param {number[]} ids - Facturas pedidas
+     * @param {Object[]} invoices - Filas de getDirectDebitInvoices
+     * @param {string} collectionDate
+     * @returns {string[]}
+     */
+    static validateDirectDebit(ids, invoices, collectionDate) {
+        const problems = [];
+        const found = new Set(invoices.map(invoice => invoice.id));
+        for (const id of ids) {
+            if (!found.has(id)) problems.push(`factura ${id} no encontrada`);
+        }
+
+        const checkedOwners = new Set();
+        for (const invoice of invoices) {
+            const label = `factura ${invoice.invoice_number}`;
+
+            if (invoice.is_refund) {
+                problems.push(`${label} es rectificativa`);
+            } else if (!REMITTABLE_STATUSES.includes(invoice.collection_status)) {
+                problems.push(`${label} está en estado ${invoice.collection_status}`);
+            } else if (round(invoice.outstanding_amount) <= 0) {
+                problems.push(`${label} no tiene importe pendiente`);
+            }
+
+            if (!invoice.sepa_mandate_id) {
+                problems.push(`${label}: el cliente no tiene mandato SEPA`);
+            } else {
+                const mandateDate = CalculateHelper.formatDateISO(invoice.sepa_mandate_date);
+                if (!mandateDate || mandateDate > collectionDate) {
+                    problems.push(`${label}: mandato ${invoice.sepa_mandate_id} sin fecha de firma válida`);
+                }
+                if (!isValidIban(invoice.client_iban)) {
+                    problems.push(`${label}: IBAN del mandato ${invoice.sepa_mandate_id} no válido`);
+                }
+                if (invoice.client_bic && !isValidBic(invoice.client_bic)) {
+                    problems.push(`${label}: BIC del mandato ${invoice.sepa_mandate_id} no válido`);
+                }
+                if (!SEQUENCE_TYPES.includes(invoice.sepa_sequence_type)) {
+                    problems.push(`${label}: tipo de secuencia del mandato no válido`);
+                }
+            }
+
+            if (!checkedOwners.has(invoice.owners_id)) {
+                checkedOwners.add(invoice.owners_id);
+                const ownerLabel = `propietario ${[invoice.owner_name, invoice.owner_lastname].filter(Boolean).join(' ')}`;
+                if (!isValidIban(invoice.owner_iban)) {
+                    problems.push(`${ownerLabel}: IBAN de abono no informado o no válido`);
+                }
+                if (!isValidCreditorId(this.resolveCreditorId(invoice))) {
+                    problems.push(`${ownerLabel}: identificador de acreedor SEPA no válido`);
+                }
+            }
+        }
+
+        return problems;
+    }
+
+    /**
+     * Problemas que impiden transferir el pendiente de las facturas recibidas
+     * @param {number[]} ids - Facturas pedidas
+     * @param {Object[]} invoices - Filas de getCreditTransferInvoices
+     * @param {string} executionDate
+     * @returns {string[]}
+     */
+    static validateCreditTransfer(ids, invoices, executionDate) {
+        const problems = [];
+        const found = new Set(invoices.map(invoice => invoice.id));
+        for (const id of ids) {
+            if (!found.has(id)) problems.push(`factura ${id} no encontrada`);
+        }
+
+        const checkedSuppliers = new Set();
+        for (const invoice of invoices) {
+            const label = `factura ${invoice.invoice_number}`;
+            const dueDate = CalculateHelper.formatDateISO(invoice.due_date || invoice.invoice_date);
+
+            if (invoice.is_refund) {
+                problems.push(`${label} es un abono`);
+            } else if (!PAYABLE_STATUSES.includes(invoice.collection_status)) {
+                problems.push(`${label} está en estado ${invoice.collection_status}`);
+            } else if (round(invoice.outstanding_amount) <= 0) {
+                problems.push(`${label} no tiene importe pendiente`);
+            } else if (dueDate > executionDate) {
+                problems.push(`${label} no vence hasta ${dueDate}`);
+            }
+            if (Number(invoice.in_open_run)) {
+                problems.push(`${label} está en una remesa de pago abierta`);
+            }
+
+            if (!checkedSuppliers.has(invoice.supplier_id)) {
+                checkedSuppliers.add(invoice.supplier_id);
+                if (!isValidIban(invoice.supplier_bank_account)) {
+                    problems.push(`proveedor ${invoice.supplier_company || invoice.supplier_name}: IBAN no informado o no válido`);
+                }
+            }
+        }
+
+        return problems;
+    }
+
+    /**
+     * Agrupa las facturas por proveedor en transferencias: una por proveedor
+     * salvo que sus números de factura no quepan en un solo concepto
+     * @param {Object[]} invoices - Ordenadas por proveedor
+     * @param {string} messageId
+     * @returns {Object[]} [{end_to_end_id, amount, creditor_name, creditor_iban, remittance_info, invoices}]
+     */
+    static buildTransfers(invoices, messageId) {
+        const transfers = [];
+        let current = null;
+
+        for (const invoice of invoices) {
+            const amount = round(invoice.outstanding_amount);
+            const numbers = current ? [...current.invoices.map(item => item.invoice_number), invoice.invoice_number] : [];
+            const fits = current
+                && current.supplier_id === invoice.supplier_id
+                && `Facturas ${numbers.join(', ')}`.length <= REMITTANCE_INFO_LENGTH;
+
+            if (!fits) {
+                current = {
+                    supplier_id: invoice.supplier_id,
+                    end_to_end_id: `${messageId}-${transfers.length + 1}`,
+                    amount: 0,
+                    creditor_name: invoice.supplier_company || invoice.supplier_name,
+                    creditor_iban: normalizeIban(invoice.supplier_bank_account),
+                    invoices: []
+                };
+                transfers.push(current);
+            }
+
+            current.amount = round(current.amount + amount);
+            current.invoices.push({id: invoice.id, invoice_number: invoice.invoice_number, amount});
+        }
+
+        return transfers.map(transfer => ({
+            ...transfer,
+            remittance_info: transfer.invoices.length === 1
+                ? `Factura ${transfer.invoices[0].invoice_number}`
+                : `Facturas ${transfer.invoices.map(item => item.invoice_number).join(', ')}`
+        }));
+    }
+
+    static async findCreditTransferOrFail(id) {
+        const remittances = await SepaRemittancesRepository.findById(id);
+        if (!remittances.length) throw new AppError('Remesa SEPA no encontrada', 404);
+
+        const remittance = this.formatRemittance(remittances[0]);
+        if (remittance.remittance_type !== 'credit_transfer') {
+            throw new AppError('Solo se confirman o anulan transferencias; los adeudos se cobran registrando los cobros', 409);
+        }
+        if (remittance.status !== 'generated') {
+            throw new AppError(`La transferencia está ${remittance.status === 'confirmed' ? 'confirmada' : 'anulada'}`, 409);
+        }
+        return remittance;
+    }
+
+    /**
+     * Identificador de acreedor guardado o, si no hay, el calculado con el NIF
+     */
+    static resolveCreditorId(owner) {
+        if (owner.owner_creditor_id) return normalizeIban(owner.owner_creditor_id);
+        return owner.owner_identification ? buildCreditorId(owner.owner_identification) : null;
+    }
+
+    /**
+     * MsgId único por remesa: SDD-AAAAMMDDhhmmssSSS-{propietario}
+     */
+    static buildMessageId(ownerId, date = new Date()) {
+        return `SDD-${date.toISOString().replace(/\D/g, '').slice(0, 17)}-${ownerId}`;
+    }
+
+    /**
+     * Valida y normaliza un mandato antes de guardarlo
+     */
+    static async normalizeMandate(clientId, data) {
+        const mandate = {
+            sepa_mandate_id: data.sepa_mandate_id.trim(),
+            sepa_mandate_date: data.sepa_mandate_date,
+            sepa_iban: normalizeIban(data.sepa_iban),
+            sepa_bic: data.sepa_bic ? normalizeIban(data.sepa_bic) : null,
+            sepa_sequence_type: data.sepa_sequence_type || 'FRST'
+        };
+
+        if (!isValidIban(mandate.sepa_iban)) {
+            throw new AppError('El IBAN del mandato no es válido (dígitos de control incorrectos)', 400);
+        }
+        if (mandate.sepa_bic && !isValidBic(mandate.sepa_bic)) {
+            throw new AppError('El BIC del mandato no es válido', 400);
+        }
+        if (!mandate.sepa_mandate_date || mandate.sepa_mandate_date > CalculateHelper.formatDateISO(new Date())) {
+            throw new AppError('La fecha de firma del mandato no puede ser futura', 400);
+        }
+
+        const existing = await ClientsRepository.findBySepaMandateId(mandate.sepa_mandate_id);
+        if (existing.some(client => Number(client.id) !== Number(clientId))) {
+            throw new AppError('Ya existe otro cliente con esa referencia de mandato', 409);
+        }
+
+        return mandate;
+    }
+
+    static formatMandate(client) {
+        return {
+            client_id: client.id,
+            sepa_mandate_id: client.sepa_mandate_id,
+            sepa_mandate_date: CalculateHelper.formatDateISO(client.sepa_mandate_date),
+            sepa_iban: client.sepa_iban,
+            sepa_bic: client.sepa_bic,
+            sepa_sequence_type: client.sepa_sequence_type
+        };
+    }
+
+    static formatCreditor(owner) {
+        return {
+            owner_id: owner.id,
+            sepa_iban: owner.sepa_iban,
+            sepa_bic: owner.sepa_bic,
+            sepa_creditor_id: owner.sepa_creditor_id,
+            effective_creditor_id: owner.sepa_creditor_id
+                || (owner.identification ? buildCreditorId(owner.identification) : null)
+        };
+    }
+
+    static formatRemittance(remittance) {
+        return {
+            id: remittance.id,
+            remittance_type: remittance.remittance_type,
+            status: remittance.status,
+            message_id: remittance.message_id,
+            owners_id: remittance.owners_id,
+            owner_name: [remittance.owner_name, remittance.owner_lastname].filter(Boolean).join(' ') || null,
+            requested_date: CalculateHelper.formatDateISO(remittance.requested_date),
+            bank_account: remittance.bank_account,
+            items_count: Number(remittance.items_count) || 0,
+            total_amount: parseFloat(remittance.total_amount) || 0,
+            created_by: remittance.created_by,
+            created_at: remittance.created_at,
+            confirmed_by: remittance.confirmed_by,
+            confirmed_at: remittance.confirmed_at
+        };
+    }
+}
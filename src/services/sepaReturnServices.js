@@ -0,0 +1,357 @@
+import SepaReturnsRepository from "../repository/sepaReturnsRepository.js";
+import PaymentsRepository from "../repository/paymentsRepository.js";
+import InvoicesIssuedRepository from "../repository/invoicesIssuedRepository.js";
+import AccountingService from "./accountingServices.js";
+import AuditService from "./auditServices.js";
+import InvoicesIssuedService from "./invoicesIssuedServices.js";
+import OwnerSettlementService from "./ownerSettlementServices.js";
+import CalculateHelper from "../shared/helpers/calculateTotal.js";
+import logger from "../config/logger.js";
+import { RETURN_REASONS } from "../shared/helpers/sepaHelpers.js";
+import { parseSepaReturns } from "../shared/utils/Sepa/sepaReturnsParser.js";
+import { AppError } from "../errors/AppError.js";
+
+const round = (value) => CalculateHelper.roundCurrency(value);
+
+const personName = (row, prefix) =>
+    row[`${prefix}_company_name`] || [row[`${prefix}_name`], row[`${prefix}_lastname`]].filter(Boolean).join(' ');
+
+/**
+ * Servicio de devoluciones de adeudos SEPA (R-transactions)
+ * Las devoluciones llegan en el pain.002 o en el extracto CAMT días después
+ * de la remesa, o se registran a mano. Cada una reabre la factura (vuelve a
+ * pendiente deshaciendo lo cobrado por adeudo), guarda el motivo, contabiliza
+ * los gastos bancarios y añade al inquilino a la lista de impagos. Los gastos
+ * que se le repercuten se le facturan en una factura emitida aparte, que se
+ * cobra o se anula como cualquier otra.
+ */
+export default class SepaReturnService {
+
+    // ==========================================
+    // CONSULTAS
+    // ==========================================
+
+    static async getReturns(filters = {}) {
+        const returns = await SepaReturnsRepository.getAll(filters);
+        return returns.map(item => this.formatReturn(item));
+    }
+
+    static async getReturnById(id) {
+        if (!id || isNaN(Number(id))) return [];
+
+        const returns = await SepaReturnsRepository.findById(id);
+        if (!returns.length) return [];
+        return [this.formatReturn(returns[0])];
+    }
+
+    // ==========================================
+    // REGISTRO
+    // ==========================================
+
+    /**
+     * Registra a mano la devolución de una factura; se asocia al último adeudo
+     * remesado de la factura si lo hay
+     * @param {Object} data
+     * @param {number} data.invoice_issued_id
+     * @param {string} data.reason_code - Motivo R (AM04, MD06...)
+     * @param {number} [data.amount] - Por defecto, el importe remesado
+     * @param {string} [data.return_date] - Hoy por defecto
+     * @param {number} [data.bank_charges]
+     * @param {boolean} [data.charge_fee] - Repercutir los gastos al inquilino
+     * @param {number} [data.fee_amount] - Por defecto, los gastos bancarios
+     * @param {string} [data.notes]
+     * @param {number|null} [data.created_by]
+     * @param {Object|null} [context] - {user, ip_address} para el registro de auditoría de la factura
+     * @throws {AppError} 404 si la factura no existe, 400 si los importes no son válidos,
+     *         409 SEPA_RETURN_NOT_ALLOWED si la factura no está remesada ni cobrada por adeudo,
+     *         409 SETTLED_ITEM_LOCKED si la factura está en una liquidación a propietario
+     */
+    static async registerReturn(data, context = null) {
+        const invoices = await PaymentsRepository.getInvoiceBalance(data.invoice_issued_id);
+        if (!invoices.length) throw new AppError('Factura no encontrada', 404);
+
+        const items = await SepaReturnsRepository.findLatestRemittanceItemForInvoice(data.invoice_issued_id);
+        const item = items[0] || null;
+        const amount = data.amount ?? (item ? parseFloat(item.amount) : null);
+        if (amount === null) {
+            throw new AppError('La factura no tiene adeudos remesados: indique el importe devuelto', 400);
+        }
+
+        const created = await this.saveReturn(invoices[0], {
+            ...data,
+            source: 'manual',
+            amount,
+            sepa_remittance_id: item?.remittance_id ?? null,
+            sepa_remittance_item_id: item?.id ?? null,
+            end_to_end_id: item?.end_to_end_id ?? null
+        }, context);
+        return this.getReturnById(created[0].id);
+    }
+
+    /**
+     * Importa un fichero de devoluciones (pain.002 o CAMT.053/054). Cada
+     * devolución se busca por EndToEndId (y MsgId original si viene) entre los
+     * adeudos remesados; las que no se encuentran, ya están registradas o no se
+     * pueden aplicar se devuelven en skipped con el motivo.
+     * @param {Object} file - {buffer}
+     * @param {Object} [options] - {charge_fee, created_by}
+     * @param {Object|null} [context] - {user, ip_address}
+     * @returns {Promise<{format: string, registered: Object[], skipped: Object[]}>}
+     * @throws {AppError} 400 INVALID_RETURN_FILE si el fichero no es válido
+     */
+    static async importReturns(file, options = {}, context = null) {
+        if (!file?.buffer?.length) throw new AppError('Debe adjuntar el fichero de devoluciones', 400);
+
+        const { format, returns } = parseSepaReturns(file.buffer.toString('utf8'));
+        const registered = [];
+        const skipped = [];
+
+        for (const entry of returns) {
+            const items = await SepaReturnsRepository.findRemittanceItem(entry.end_to_end_id, entry.original_message_id);
+            if (!items.length) {
+                skipped.push({
+                    end_to_end_id: entry.end_to_end_id,
+                    reason: 'No hay ningún adeudo remesado sin devolver con esa referencia'
+                });
+                continue;
+            }
+
+            const item = items[0];
+            const invoices = await PaymentsRepository.getInvoiceBalance(item.invoice_issued_id);
+            try {
+                const created = await this.saveReturn(invoices[0], {
+                    source: format,
+                    sepa_remittance_id: item.remittance_id,
+                    sepa_remittance_item_id: item.id,
+                    end_to_end_id: entry.end_to_end_id,
+                    amount: entry.amount,
+                    return_date: entry.return_date,
+                    reason_code: entry.reason_code,
+                    bank_charges: entry.bank_charges,
+                    charge_fee: Boolean(options.charge_fee) && entry.bank_charges > 0,
+                    created_by: options.created_by ?? null
+                }, context);
+                registered.push((await this.getReturnById(created[0].id))[0]);
+            } catch (error) {
+                if (!(error instanceof AppError)) throw error;
+                skipped.push({end_to_end_id: entry.end_to_end_id, reason: error.message});
+            }
+        }
+
+        return {format, registered, skipped};
+    }
+
+    /**
+     * Factura al inquilino los gastos repercutidos de una devolución: una
+     * factura emitida del mismo inmueble y propietario que la devuelta, con
+     * una línea sin IVA (indemnización por el recibo devuelto, no sujeta) y
+     * fecha de hoy. Se llama al registrar la devolución y, si entonces no se
+     * pudo emitir (periodo cerrado, serie...), de nuevo desde la API.
+     * @param {number} id
+     * @param {Object|null} [context] - {user, ip_address}
+     * @throws {AppError} 404 si no existe, 409 si no tiene gastos pendientes de facturar
+     */
+    static async invoiceFee(id, context = null) {
+        const returns = await this.getReturnById(id);
+        if (!returns.length) throw new AppError('Devolución no encontrada', 404);
+        const item = returns[0];
+        if (item.fee_status !== 'pending') {
+            throw new AppError('La devolución no tiene gastos pendientes de facturar al cliente', 409);
+        }
+
+        const invoices = await InvoicesIssuedRepository.findById(item.invoice_issued_id);
+        if (!invoices.length) throw new AppError('Factura no encontrada', 404);
+        const returned = invoices[0];
+
+        const created = await InvoicesIssuedService.createInvoice({
+            estates_id: returned.estates_id,
+            owners_id: returned.owners_id,
+            clients_id: returned.clients_id,
+            invoice_date: CalculateHelper.formatDateISO(new Date()),
+            collection_method: returned.collection_method,
+            lines: [{
+                description: `Gastos de devolución del recibo ${returned.invoice_number} (${item.reason_code})`,
+                quantity: 1,
+                unit_price: item.fee_amount,
+                iva: 0,
+                irpf: 0
+            }],
+            is_return_fee: true
+        });
+        await AuditService.recordCreated('invoice_issued', [created[0].id], context);
+
+        const linked = await SepaReturnsRepository.setFeeInvoice(id, created[0].id);
+        if (!linked.length) throw new AppError('La devolución no tiene gastos pendientes de facturar al cliente', 409);
+        await AccountingService.syncIssuedInvoice(created[0].id);
+
+        return this.getReturnById(id);
+    }
+
+    /**
+     * Marca como cobrados o condonados los gastos repercutidos de una devolución
+     * que no llegaron a facturarse; los facturados se cobran o se abonan con su factura
+     * @param {number} id
+     * @param {string} feeStatus - 'collected' o 'waived'
+     */
+    static async updateFeeStatus(id, feeStatus) {
+        const returns = await this.getReturnById(id);
+        if (!returns.length) throw new AppError('Devolución no encontrada', 404);
+        if (returns[0].fee_status !== 'pending') {
+            throw new AppError('La devolución no tiene gastos pendientes de cobrar al cliente', 409);
+        }
+
+        const updated = await SepaReturnsRepository.updateFeeStatus(id, feeStatus);
+        if (!updated.length) throw new AppError('La devolución no tiene gastos pendientes de cobrar al cliente', 409);
+
+        return this.getReturnById(id);
+    }
+
+    // ==========================================
+    // LISTA DE IMPAGOS
+    // ==========================================
+
+    static async getDunningList(filters = {}) {
+        const entries = await SepaReturnsRepository.getDunningEntries(filters);
+        return entries.map(entry => ({
+            id: entry.id,
+            clients_id: entry.clients_id,
+            client_name: personName(entry, 'client'),
+            client_identification: entry.client_identification,
+            invoice_issued_id: entry.invoice_issued_id,
+            invoice_number: entry.invoice_number,
+            due_date: CalculateHelper.formatDateISO(entry.due_date),
+            total: parseFloat(entry.total),
+            outstanding_amount: round(parseFloat(entry.outstanding_amount)),
+            collection_status: entry.collection_status,
+            sepa_return_id: entry.sepa_return_id,
+            reason: entry.reason,
+            status: entry.status,
+            resolved_by: entry.resolved_by,
+            resolved_at: entry.resolved_at,
+            created_at: entry.created_at
+        }));
+    }
+
+    /**
+     * Saca a un cliente de la lista de impagos para una factura (acuerdo de
+     * pago, factura anulada...); al cobrarse la factura deja de mostrarse sola.
+     * REGLA DE NEGOCIO: resolverla pausa las cartas de reclamación de la
+     * factura (pausa 'resolved', que se levanta en /dunning/pauses o con una
+     * nueva devolución)
+     */
+    static async resolveDunningEntry(id, resolvedBy = null) {
+        const resolved = await SepaReturnsRepository.resolveDunningEntry(id, {
+            resolved_by: resolvedBy,
+            event_date: CalculateHelper.formatDateISO(new Date())
+        });
+        if (!resolved.length) throw new AppError('Entrada de la lista de impagos no encontrada o ya resuelta', 404);
+        return resolved;
+    }
+
+    // ==========================================
+    // MÉTODOS AUXILIARES
+    // ==========================================
+
+    /**
+     * Valida importes, fecha y gastos y guarda la devolución
+     * @param {Object} invoice - Fila de PaymentsRepository.getInvoiceBalance
+     * @param {Object} data
+     * @param {Object|null} [context] - {user, ip_address}
+     */
+    static async saveReturn(invoice, data, context = null) {
+        if (!['remitted', 'collected', 'partially_collected'].includes(invoice.collection_status)) {
+            throw new AppError(
+                `La factura ${invoice.invoice_number} está en estado ${invoice.collection_status}: solo se devuelven facturas remesadas o cobradas por adeudo`,
+                409,
+                'SEPA_RETURN_NOT_ALLOWED'
+            );
+        }
+
+        // REGLA DE NEGOCIO: lo incluido en una liquidación a propietario no se modifica
+        await OwnerSettlementService.assertNotSettled('issued', invoice.id);
+
+        const amount = round(Number(data.amount));
+        if (!(amount > 0) || amount > parseFloat(invoice.total)) {
+            throw new AppError(`El importe devuelto debe ser mayor que 0 y no superar el total de la factura ${invoice.invoice_number}`, 400);
+        }
+
+        const today = CalculateHelper.formatDateISO(new Date());
+        const returnDate = data.return_date || today;
+        if (returnDate > today) throw new AppError('La fecha de devolución no puede ser futura', 400);
+
+        const bankCharges = round(Number(data.bank_charges) || 0);
+        const feeAmount = data.charge_fee ? round(Number(data.fee_amount ?? bankCharges)) : 0;
+        if (data.charge_fee && !(feeAmount > 0)) {
+            throw new AppError('Para repercutir los gastos al cliente indique un importe mayor que 0', 400);
+        }
+
+        const reasonCode = String(data.reason_code).toUpperCase();
+        const created = await AuditService.track({invoice_issued: [invoice.id]}, context, () => SepaReturnsRepository.create({
+            source: data.source,
+            sepa_remittance_id: data.sepa_remittance_id,
+            sepa_remittance_item_id: data.sepa_remittance_item_id,
+            invoice_issued_id: invoice.id,
+            end_to_end_id: data.end_to_end_id,
+            return_date: returnDate,
+            amount,
+            reason_code: reasonCode,
+            reason_description: RETURN_REASONS[reasonCode] ?? null,
+            bank_charges: bankCharges,
+            fee_amount: feeAmount,
+            fee_status: feeAmount > 0 ? 'pending' : 'none',
+            notes: data.notes ?? null,
+            created_by: data.created_by ?? null
+        }));
+        if (!created.length) {
+            throw new AppError(
+                `No se puede devolver la factura ${invoice.invoice_number}: cambió de estado o no hay cobros por adeudo que cubran el importe`,
+                409,
+                'SEPA_RETURN_NOT_ALLOWED'
+            );
+        }
+
+        // Lo cobrado por adeudo que se deshizo cambia o borra el asiento de esos cobros
+        if (created[0].reversed_amount > 0) await AccountingService.syncPayments();
+        await AccountingService.syncSepaReturn(created[0].id);
+
+        // La devolución ya está registrada: si la factura de gastos no se puede emitir
+        // ahora, los gastos quedan pendientes y se facturan después con invoiceFee
+        if (feeAmount > 0) {
+            try {
+                await this.invoiceFee(created[0].id, context);
+            } catch (error) {
+                logger.error({sepaReturnId: created[0].id, err: error}, 'No se pudo facturar al inquilino los gastos de la devolución');
+            }
+        }
+        return created;
+    }
+
+    static formatReturn(item) {
+        return {
+            id: item.id,
+            source: item.source,
+            sepa_remittance_id: item.sepa_remittance_id,
+            remittance_message_id: item.remittance_message_id,
+            sepa_remittance_item_id: item.sepa_remittance_item_id,
+            invoice_issued_id: item.invoice_issued_id,
+            invoice_number: item.invoice_number,
+            collection_status: item.collection_status,
+            clients_id: item.clients_id,
+            client_name: personName(item, 'client'),
+            end_to_end_id: item.end_to_end_id,
+            return_date: CalculateHelper.formatDateISO(item.return_date),
+            amount: parseFloat(item.amount),
+            reversed_amount: parseFloat(item.reversed_amount) || 0,
+            reason_code: item.reason_code,
+            reason_description: item.reason_description,
+            bank_charges: parseFloat(item.bank_charges) || 0,
+            fee_amount: parseFloat(item.fee_amount) || 0,
+            fee_status: item.fee_status,
+            fee_invoice_id: item.fee_invoice_id ?? null,
+            fee_invoice_number: item.fee_invoice_number ?? null,
+            notes: item.notes,
+            created_by: item.created_by,
+            created_at: item.created_at
+        };
+    }
+}
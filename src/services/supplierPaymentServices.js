@@ -0,0 +1,204 @@
+import SupplierPaymentsRepository from "../repository/supplierPaymentsRepository.js";
+import OwnerSettlementService from "./ownerSettlementServices.js";
+import AccountingService from "./accountingServices.js";
+import AuditService from "./auditServices.js";
+import CompanyService from "./CompanyService.js";
+import CalculateHelper from "../shared/helpers/calculateTotal.js";
+import { AppError } from "../errors/AppError.js";
+
+const round = (value) => CalculateHelper.roundCurrency(value);
+
+/**
+ * Servicio de pagos a proveedores
+ * Cada factura recibida puede pagarse en varios plazos y cada pago guarda la
+ * cuenta bancaria desde la que se hizo. El estado de pago de la factura se
+ * deriva de su pendiente (total - pagado): 'partially_paid' mientras quede
+ * pendiente y 'paid' al cubrirse. Los pagos de una remesa se registran al
+ * pagarla (ver PaymentRunService).
+ */
+export default class SupplierPaymentService {
+
+    // ==========================================
+    // CONSULTAS
+    // ==========================================
+
+    static async getAllPayments(filters = {}) {
+        const payments = await SupplierPaymentsRepository.getAll(filters);
+        return payments.map(payment => this.formatPayment(payment));
+    }
+
+    static async getPaymentById(id) {
+        if (!id || isNaN(Number(id))) return [];
+
+        const payments = await SupplierPaymentsRepository.findById(id);
+        return payments.map(payment => this.formatPayment(payment));
+    }
+
+    /**
+     * Pendiente de una factura recibida con sus pagos
+     */
+    static async getInvoiceBalance(invoiceId) {
+        if (!invoiceId || isNaN(Number(invoiceId))) return [];
+
+        const invoices = await SupplierPaymentsRepository.getInvoiceBalance(invoiceId);
+        if (!invoices.length) return [];
+
+        const payments = await SupplierPaymentsRepository.getAll({invoice_received_id: Number(invoiceId)});
+        return [{
+            ...this.formatInvoiceBalance(invoices[0]),
+            payments: payments.map(payment => this.formatPayment(payment))
+        }];
+    }
+
+    // ==========================================
+    // REGISTRO Y ELIMINACIÓN
+    // ==========================================
+
+    /**
+     * Registra un pago (total o parcial) de una factura recibida
+     * @param {Object} data
+     * @param {number} data.invoice_received_id
+     * @param {number|null} [data.amount] - Por defecto, todo el pendiente
+     * @param {string|null} [data.bank_account] - Por defecto, la cuenta de la empresa
+     * @param {string} [data.payment_date] - Hoy por defecto
+     * @param {string} [data.method] - 'transfer' por defecto
+     * @param {Object|null} [context] - {user, ip_address} para el registro de auditoría de la factura
+     * @throws {AppError} 404 factura inexistente, 400 importe o cuenta no válidos, 409 factura ya pagada, en remesa o en transferencia
+     */
+    static async createPayment(data, context = null) {
+        const invoices = await SupplierPaymentsRepository.getInvoiceBalance(data.invoice_received_id);
+        if (!invoices.length) throw new AppError('Factura no encontrada', 404);
+        const invoice = this.formatInvoiceBalance(invoices[0]);
+
+        if (invoices[0].is_refund) throw new AppError('Los abonos no se pagan', 400);
+        if (!(invoice.outstanding_amount > 0)) {
+            throw new AppError('La factura no tiene importe pendiente de pago', 409);
+        }
+
+        // REGLA DE NEGOCIO: lo que va en una transferencia SEPA sin confirmar se paga al confirmarla
+        if (invoice.payment_status === 'payment_in_progress') {
+            throw new AppError(`La factura está en la transferencia SEPA ${invoice.payment_reference}; se paga al confirmarla`, 409, 'PAYMENT_IN_PROGRESS');
+        }
+
+        // REGLA DE NEGOCIO: lo que va en una remesa abierta se paga con la remesa
+        const openRuns = await SupplierPaymentsRepository.findOpenRunsForInvoice(invoice.id);
+        if (openRuns.length) {
+            throw new AppError(`La factura está incluida en la remesa de pago ${openRuns[0].id}; se paga con la remesa`, 409, 'PAYMENT_RUN_OPEN');
+        }
+
+        const amount = data.amount !== undefined && data.amount !== null
+            ? round(Number(data.amount))
+            : invoice.outstanding_amount;
+        if (!(amount > 0) || amount > invoice.outstanding_amount) {
+            throw new AppError(`El importe del pago debe estar entre 0 y el pendiente de la factura (${invoice.outstanding_amount})`, 400);
+        }
+
+        const method = data.method || 'transfer';
+        if (!CalculateHelper.getValidPaymentMethods().includes(method)) {
+            throw new AppError('Método de pago inválido', 400);
+        }
+
+        const bankAccount = this.resolveBankAccount(data.bank_account);
+
+        const created = await AuditService.track({invoice_received: [invoice.id]}, context, () =>
+            SupplierPaymentsRepository.create({
+                invoice_received_id: invoice.id,
+                payment_date: data.payment_date || new Date().toISOString().split('T')[0],
+                amount,
+                method,
+                bank_account: bankAccount,
+                reference: data.reference || null,
+                notes: data.notes || null,
+                created_by: data.created_by ?? null
+            }));
+        if (!created.length) throw new AppError('Error al registrar el pago', 500);
+
+        await AccountingService.syncPayments();
+        return this.getPaymentById(created[0].id);
+    }
+
+    /**
+     * Elimina un pago suelto; la factura vuelve a tener ese importe pendiente
+     * Los pagos de una remesa forman parte de ella y no se eliminan uno a uno.
+     */
+    static async deletePayment(id, context = null) {
+        const payments = await this.getPaymentById(id);
+        if (!payments.length) return [];
+        const payment = payments[0];
+
+        if (payment.payment_run_id) {
+            throw new AppError(`El pago pertenece a la remesa ${payment.payment_run_id} y no se puede eliminar por separado`, 409);
+        }
+        if (payment.sepa_remittance_id) {
+            throw new AppError(`El pago pertenece a la transferencia SEPA ${payment.sepa_remittance_id} y no se puede eliminar por separado`, 409);
+        }
+
+        // REGLA DE NEGOCIO: lo incluido en una liquidación a propietario no se modifica
+        await OwnerSettlementService.assertNotSettled('received', payment.invoice_received_id);
+
+        const deleted = await AuditService.track({invoice_received: [payment.invoice_received_id]}, context, () =>
+            SupplierPaymentsRepository.delete(payment.id));
+        if (deleted.length) await AccountingService.syncPayments();
+        return deleted;
+    }
+
+    // ==========================================
+    // MÉTODOS AUXILIARES
+    // ==========================================
+
+    /**
+     * Cuenta desde la que se paga: la indicada o, sin ella, la de la empresa
+     * @throws {AppError} 400 si no hay ninguna
+     */
+    static resolveBankAccount(bankAccount) {
+        const account = bankAccount || CompanyService.getCompanyData().bank_account;
+        if (!account) {
+            throw new AppError('Indique la cuenta bancaria del pago (o configure COMPANY_BANK_ACCOUNT)', 400);
+        }
+        return account.replace(/\s+/g, '').toUpperCase();
+    }
+
+    static formatInvoiceBalance(invoice) {
+        const total = parseFloat(invoice.total_amount) || 0;
+        const paidAmount = parseFloat(invoice.paid_amount) || 0;
+
+        return {
+            id: invoice.id,
+            invoice_number: invoice.invoice_number,
+            our_reference: invoice.our_reference,
+            supplier_id: invoice.supplier_id,
+            supplier_name: invoice.supplier_company || invoice.supplier_name,
+            supplier_tax_id: invoice.supplier_tax_id,
+            supplier_bank_account: invoice.supplier_bank_account,
+            property_id: invoice.property_id,
+            invoice_date: CalculateHelper.formatDateISO(invoice.invoice_date),
+            due_date: CalculateHelper.formatDateISO(invoice.due_date),
+            total_amount: total,
+            paid_amount: paidAmount,
+            outstanding_amount: invoice.is_refund ? 0 : Math.max(round(total - paidAmount), 0),
+            payment_status: invoice.collection_status,
+            payment_date: CalculateHelper.formatDateISO(invoice.collection_date),
+            payment_reference: invoice.collection_reference
+        };
+    }
+
+    static formatPayment(payment) {
+        return {
+            id: payment.id,
+            invoice_received_id: payment.invoice_received_id,
+            invoice_number: payment.invoice_number,
+            supplier_id: payment.supplier_id,
+            supplier_name: payment.supplier_company || payment.supplier_name,
+            payment_run_id: payment.payment_run_id,
+            sepa_remittance_id: payment.sepa_remittance_id,
+            payment_date: CalculateHelper.formatDateISO(payment.payment_date),
+            amount: parseFloat(payment.amount) || 0,
+            method: payment.method,
+            bank_account: payment.bank_account,
+            reference: payment.reference,
+            notes: payment.notes,
+            created_by: payment.created_by,
+            created_at: payment.created_at
+        };
+    }
+}
@@ -1,4 +1,5 @@
 import SuppliersRepository from "../repository/suppliersRepository.js";
+import SupplierPaymentsRepository from "../repository/supplierPaymentsRepository.js";
 import {sanitizeString} from "../shared/helpers/stringHelpers.js";
 import {validate} from "../shared/helpers/nifHelpers.js";
 import { AppError } from "../errors/AppError.js";
@@ -66,11 +67,17 @@ export default class SuppliersService {
     // ==========================================
 
     /**
-     * Busca un proveedor por ID
+     * Busca un proveedor por ID con lo pendiente de pagarle
+     * (facturas recibidas sin cubrir y su importe pendiente)
      */
     static async getSupplierById(id) {
         if (!id || isNaN(Number(id))) return [];
-        return await SuppliersRepository.findById(id);
+
+        const suppliers = await SuppliersRepository.findById(id);
+        if (!suppliers.length) return [];
+
+        const balance = await SupplierPaymentsRepository.getSupplierBalance(Number(id));
+        return [{...suppliers[0], ...balance}];
     }
 
     /**
@@ -0,0 +1,527 @@
+import InvoicesIssuedRepository from "../repository/invoicesIssuedRepository.js";
+import InvoicesReceivedRepository from "../repository/invoicesReceivedRepository.js";
+import InternalExpensesRepository from "../repository/internalExpensesRepository.js";
+import OwnersRepository from "../repository/ownersRepository.js";
+import EstateOwnersRepository from "../repository/estatesOwnersRepository.js";
+import InvoiceLinesService from "./invoiceLinesServices.js";
+import VATBookService from "./VATBookServices.js";
+import CompanyService from "./CompanyService.js";
+import {
+    RENT_CATEGORY,
+    calculateModelo115Boxes,
+    calculateWithholding,
+    groupWithholdings,
+    sumWithholdings
+} from "../shared/helpers/rentWithholdingHelpers.js";
+import {
+    MODELO_347_THRESHOLD,
+    OPERATION_KEYS,
+    aggregateModelo347,
+    sumModelo347
+} from "../shared/helpers/modelo347Helpers.js";
+import {
+    calculateAmortization,
+    countRentedDays,
+    groupExpenses
+} from "../shared/helpers/ownerTaxStatementHelpers.js";
+import { normalizeNif } from "../shared/helpers/verifactuHelpers.js";
+import { buildModelo115File, getModelo115FileName } from "../shared/utils/AEAT/modelo115File.js";
+import { buildModelo180File, getModelo180FileName } from "../shared/utils/AEAT/modelo180File.js";
+import { buildModelo347File, getModelo347FileName } from "../shared/utils/AEAT/modelo347File.js";
+import { encodeFile } from "../shared/utils/AEAT/aeatFileFormat.js";
+import CalculateHelper from "../shared/helpers/calculateTotal.js";
+import ExcelGenerator from "../shared/utils/excelGenerador/ExcelGenerator.js";
+import { AppError } from "../errors/AppError.js";
+
+const inQuarter = (date, quarter) => !quarter || Math.floor(new Date(date).getMonth() / 3) + 1 === quarter;
+
+const toEstate = (row) => (row.estate_id ? {
+    id: row.estate_id,
+    cadastral_reference: row.cadastral_reference,
+    address: row.estate_address,
+    postal_code: row.estate_postal_code,
+    location: row.estate_location,
+    province: row.estate_province
+} : null);
+
+/**
+ * Servicio de declaraciones informativas y de retenciones
+ * Modelos 115 (trimestral) y 180 (anual) de retenciones sobre alquileres
+ * y 347 (anual) de operaciones con terceras personas. Además, la declaración
+ * anual de rendimientos del capital inmobiliario de cada propietario.
+ * El declarante es la empresa (COMPANY_*), que retiene sobre los alquileres
+ * de locales que paga; las retenciones que los arrendatarios practican sobre
+ * las facturas de los propietarios se informan aparte, para cuadrar.
+ */
+export default class TaxReportsService {
+
+    // ==========================================
+    // RETENCIONES SOBRE ALQUILERES
+    // ==========================================
+
+    /**
+     * Retenciones del período agrupadas por arrendador, arrendatario e inmueble,
+     * cuadradas con el IRPF de los libros de IVA del mismo período
+     * @param {number} year - Ejercicio
+     * @param {number|null} quarter - Trimestre (1-4) o null para el año
+     */
+    static async getRentWithholdings(year, quarter = null) {
+        const validation = CalculateHelper.validateDateParams(year, quarter);
+        if (!validation.isValid) {
+            throw new AppError(validation.message, 400, 'INVALID_DATE_PARAMS');
+        }
+
+        const companyData = CompanyService.getDeclarantData(quarter ? '115' : '180');
+        const company = {nif: normalizeNif(companyData.nif), name: companyData.name};
+
+        const [issuedRows, receivedRows, chargedBook, supportedBook] = await Promise.all([
+            InvoicesIssuedRepository.getForRentWithholdings(year),
+            InvoicesReceivedRepository.getForRentWithholdings(year),
+            VATBookService.generateVATChargedBook(year, quarter),
+            VATBookService.generateVATSupportedBook(year, quarter)
+        ]);
+
+        const [issued, received] = await Promise.all([
+            InvoiceLinesService.attachLines('issued', issuedRows.filter(row => inQuarter(row.invoice_date, quarter))),
+            InvoiceLinesService.attachLines('received', receivedRows.filter(row => inQuarter(row.invoice_date, quarter)))
+        ]);
+
+        const warnings = [];
+
+        // Soportadas: las retiene el arrendatario sobre la factura del propietario
+        const suffered = issued
+            .map(invoice => {
+                const {cuotaIRPF} = CalculateHelper.mapInvoiceIssuedToVATEntry(invoice, 0);
+                return {
+                    invoice_number: invoice.invoice_number,
+                    invoice_date: invoice.invoice_date,
+                    landlord: {id: invoice.owner_id, nif: normalizeNif(invoice.owner_nif), name: invoice.owner_name},
+                    tenant: {id: invoice.client_id, nif: normalizeNif(invoice.client_nif), name: invoice.client_name},
+                    estate: toEstate(invoice),
+                    ...calculateWithholding(invoice, cuotaIRPF)
+                };
+            })
+            .filter(item => item.amount !== 0);
+
+        // Practicadas: alquileres de locales que paga la empresa
+        const rentReceived = received.filter(invoice => invoice.category === RENT_CATEGORY);
+        const otherReceived = received.filter(invoice => invoice.category !== RENT_CATEGORY);
+
+        const practised = rentReceived.map(invoice => {
+            if (!invoice.estate_id) {
+                warnings.push(`Factura recibida ${invoice.invoice_number}: alquiler sin inmueble asociado (falta la referencia catastral)`);
+            }
+            if (!invoice.supplier_nif) {
+                warnings.push(`Factura recibida ${invoice.invoice_number}: el arrendador no tiene NIF`);
+            }
+            return {
+                invoice_number: invoice.invoice_number,
+                invoice_date: invoice.invoice_date,
+                landlord: {id: invoice.supplier_id, nif: normalizeNif(invoice.supplier_nif), name: invoice.supplier_name},
+                tenant: company,
+                estate: toEstate(invoice),
+                ...calculateWithholding(invoice, parseFloat(invoice.irpf_amount) || 0)
+            };
+        });
+
+        const sufferedGroups = groupWithholdings(suffered);
+        const practisedGroups = groupWithholdings(practised);
+        const sufferedTotals = sumWithholdings(sufferedGroups);
+        const practisedTotals = sumWithholdings(practisedGroups);
+        const otherAmount = CalculateHelper.roundCurrency(
+            otherReceived.reduce((acc, invoice) => acc + (parseFloat(invoice.irpf_amount) || 0), 0)
+        );
+
+        return {
+            year,
+            quarter,
+            declarant: company,
+            withholdings_practised: {groups: practisedGroups, totals: practisedTotals},
+            withholdings_suffered: {groups: sufferedGroups, totals: sufferedTotals},
+            other_withholdings: {amount: otherAmount, invoice_count: otherReceived.length},
+            reconciliation: this.reconcileWithVATBook(
+                chargedBook.totals.totalCuotaIRPF,
+                supportedBook.totals.totalCuotaIRPF,
+                sufferedTotals.amount,
+                practisedTotals.amount,
+                otherAmount
+            ),
+            warnings
+        };
+    }
+
+    /**
+     * Cuadre con el IRPF de los libros de IVA del período
+     * - Repercutido: todas las retenciones de las facturas emitidas son sobre alquileres
+     * - Soportado: las de alquiler más las del resto de facturas recibidas (profesionales, etc.)
+     */
+    static reconcileWithVATBook(chargedIrpf, supportedIrpf, sufferedAmount, practisedAmount, otherAmount) {
+        const round = (value) => CalculateHelper.roundCurrency(value);
+        const chargedDifference = round(chargedIrpf - sufferedAmount);
+        const supportedDifference = round(supportedIrpf - practisedAmount - otherAmount);
+
+        return {
+            charged: {
+                vat_book_irpf: round(chargedIrpf),
+                report_irpf: sufferedAmount,
+                difference: chargedDifference,
+                matches: chargedDifference === 0
+            },
+            supported: {
+                vat_book_irpf: round(supportedIrpf),
+                report_irpf: practisedAmount,
+                other_irpf: otherAmount,
+                difference: supportedDifference,
+                matches: supportedDifference === 0
+            },
+            matches: chargedDifference === 0 && supportedDifference === 0
+        };
+    }
+
+    /**
+     * Modelo 115 de un trimestre
+     */
+    static async getModelo115(year, quarter) {
+        const report = await this.getRentWithholdings(year, quarter);
+        const boxes = calculateModelo115Boxes(report.withholdings_practised.totals);
+
+        return {
+            model: '115',
+            period: `${quarter}T ${year}`,
+            ...report,
+            declaration_type: boxes['05'] > 0 ? 'I' : 'N',
+            boxes,
+            generatedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Modelo 180 (resumen anual): un registro por perceptor e inmueble
+     */
+    static async getModelo180(year) {
+        const report = await this.getRentWithholdings(year);
+        const {totals, groups} = report.withholdings_practised;
+
+        return {
+            model: '180',
+            period: String(year),
+            ...report,
+            totals: {...totals, records: groups.length},
+            generatedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Fichero del modelo 115 para importar en el formulario de la AEAT
+     * @returns {{filename: string, content: Buffer, report: Object}}
+     */
+    static async getModelo115File(year, quarter) {
+        const report = await this.getModelo115(year, quarter);
+        return {
+            filename: getModelo115FileName(report, report.declarant),
+            content: encodeFile(buildModelo115File(report, report.declarant)),
+            report
+        };
+    }
+
+    /**
+     * Fichero del modelo 180; sin referencia catastral no se puede presentar
+     * @returns {{filename: string, content: Buffer, report: Object}}
+     */
+    static async getModelo180File(year) {
+        const report = await this.getModelo180(year);
+
+        const missing = report.withholdings_practised.groups.filter(group => !group.landlord.nif || !group.estate?.cadastral_reference);
+        if (missing.length) {
+            throw new AppError('Hay alquileres sin NIF del arrendador o sin referencia catastral del inmueble', 422, 'MODELO_180_INCOMPLETE', {
+                invoices: missing.flatMap(group => group.invoices)
+            });
+        }
+
+        return {
+            filename: getModelo180FileName(report, report.declarant),
+            content: encodeFile(buildModelo180File(report, report.declarant)),
+            report
+        };
+    }
+
+    // ==========================================
+    // MODELO 347
+    // ==========================================
+
+    /**
+     * Modelo 347: clientes y proveedores que superan el umbral anual
+     * Las facturas emitidas son alquileres de los inmuebles de los propietarios;
+     * los sujetos a IVA (locales de negocio) llevan un registro de inmueble.
+     * @param {number} year - Ejercicio
+     */
+    static async getModelo347(year) {
+        const validation = CalculateHelper.validateDateParams(year);
+        if (!validation.isValid) {
+            throw new AppError(validation.message, 400, 'INVALID_DATE_PARAMS');
+        }
+
+        const companyData = CompanyService.getDeclarantData('347');
+        const company = {nif: normalizeNif(companyData.nif), name: companyData.name};
+
+        const [issuedRows, receivedRows, expenses] = await Promise.all([
+            InvoicesIssuedRepository.getForModelo347(year),
+            InvoicesReceivedRepository.getForModelo347(year),
+            InternalExpensesRepository.getForModelo347(year)
+        ]);
+        const issued = await InvoiceLinesService.attachLines('issued', issuedRows);
+
+        const round = (value) => CalculateHelper.roundCurrency(value);
+        const warnings = [];
+        const excluded = [];
+        const operations = [];
+
+        const addOperation = (operation) => {
+            if (!operation.nif) {
+                warnings.push(`${operation.document}: ${operation.name || 'tercero'} sin NIF, no se puede declarar`);
+                excluded.push({document: operation.document, name: operation.name, amount: operation.amount, reason: 'SIN_NIF'});
+                return;
+            }
+            if (operation.is_rent && operation.estate && !operation.estate.cadastral_reference) {
+                warnings.push(`${operation.document}: inmueble sin referencia catastral`);
+            }
+            operations.push(operation);
+        };
+
+        // Clave B: facturas emitidas (rectificativas ya en negativo)
+        issued.forEach(invoice => {
+            const {baseImponible, cuotaIVA} = CalculateHelper.mapInvoiceIssuedToVATEntry(invoice, 0);
+            addOperation({
+                key: 'B',
+                nif: normalizeNif(invoice.client_nif),
+                name: invoice.client_name,
+                postal_code: invoice.client_postal_code,
+                date: invoice.invoice_date,
+                amount: round(baseImponible + cuotaIVA),
+                document: `Factura emitida ${invoice.invoice_number}`,
+                is_rent: true,
+                business_premises: cuotaIVA !== 0,
+                estate: toEstate(invoice)
+            });
+        });
+
+        // Clave A: facturas recibidas; las rectificativas se guardan en positivo
+        receivedRows.forEach(invoice => {
+            const sign = invoice.is_refund ? -1 : 1;
+            const amount = round(sign * ((parseFloat(invoice.tax_base) || 0) + (parseFloat(invoice.iva_amount) || 0)));
+            const document = `Factura recibida ${invoice.invoice_number}`;
+
+            // Con retención se declaran en el 180 (alquileres) o el 190 (profesionales)
+            if ((parseFloat(invoice.irpf_amount) || 0) !== 0) {
+                excluded.push({document, name: invoice.supplier_name, amount, reason: 'CON_RETENCION'});
+                return;
+            }
+
+            const isRent = invoice.category === RENT_CATEGORY;
+            addOperation({
+                key: 'A',
+                nif: normalizeNif(invoice.supplier_nif),
+                name: invoice.supplier_name,
+                postal_code: invoice.supplier_postal_code,
+                date: invoice.invoice_date,
+                amount,
+                document,
+                is_rent: isRent,
+                estate: isRent ? toEstate(invoice) : null
+            });
+        });
+
+        // Clave A: gastos internos con NIF del proveedor
+        expenses.forEach(expense => addOperation({
+            key: 'A',
+            nif: normalizeNif(expense.supplier_nif),
+            name: expense.supplier_name,
+            postal_code: null,
+            date: expense.expense_date,
+            amount: round((parseFloat(expense.tax_base) || 0) + (parseFloat(expense.iva_amount) || 0)),
+            document: `Gasto ${expense.receipt_number || expense.id}`,
+            is_rent: false
+        }));
+
+        const {declared, below_threshold: belowThreshold} = aggregateModelo347(operations);
+
+        return {
+            model: '347',
+            period: String(year),
+            year,
+            declarant: company,
+            threshold: MODELO_347_THRESHOLD,
+            operation_keys: OPERATION_KEYS,
+            declared,
+            below_threshold: belowThreshold.map(({key, nif, name, amount, operation_count}) => ({key, nif, name, amount, operation_count})),
+            excluded,
+            totals: sumModelo347(declared),
+            warnings,
+            generatedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Fichero del modelo 347; todos los declarados deben tener NIF
+     * @returns {{filename: string, content: Buffer, report: Object}}
+     */
+    static async getModelo347File(year) {
+        const report = await this.getModelo347(year);
+        return {
+            filename: getModelo347FileName(report, report.declarant),
+            content: encodeFile(buildModelo347File(report, report.declarant)),
+            report
+        };
+    }
+
+    /**
+     * Hoja Excel de revisión del modelo 347 (fichero temporal)
+     * @returns {Promise<{filePath: string, fileName: string, success: boolean}>}
+     */
+    static async getModelo347Excel(year) {
+        const report = await this.getModelo347(year);
+        return ExcelGenerator.generateModelo347Excel(report, report.declarant);
+    }
+
+    // ==========================================
+    // RENDIMIENTOS DEL CAPITAL INMOBILIARIO
+    // ==========================================
+
+    /**
+     * Declaración anual de un propietario para su IRPF, por inmueble:
+     * ingresos, gastos (IBI, comunidad...), amortización, retenciones y
+     * días arrendados / vacíos
+     * @param {number} ownerId - ID del propietario
+     * @param {number} year - Ejercicio
+     */
+    static async getOwnerTaxStatement(ownerId, year) {
+        const validation = CalculateHelper.validateDateParams(year);
+        if (!validation.isValid) {
+            throw new AppError(validation.message, 400, 'INVALID_DATE_PARAMS');
+        }
+
+        const [owner] = await OwnersRepository.findById(ownerId);
+        if (!owner) {
+            throw new AppError('Propietario no encontrado', 404);
+        }
+
+        const [ownedEstates, issuedRows] = await Promise.all([
+            EstateOwnersRepository.findByOwnerId(ownerId),
+            InvoicesIssuedRepository.getForOwnerTaxStatement(ownerId, year)
+        ]);
+
+        const warnings = [];
+        const estates = new Map(ownedEstates.map(row => [row.estate_id, {
+            id: row.estate_id,
+            cadastral_reference: row.cadastral_reference,
+            address: row.address,
+            cadastral_value: row.cadastral_value === null ? null : parseFloat(row.cadastral_value),
+            cadastral_construction_value: row.cadastral_construction_value === null ? null : parseFloat(row.cadastral_construction_value),
+            ownership_percentage: parseFloat(row.ownership_percentage) || 0
+        }]));
+
+        // Facturas de inmuebles de los que ya no consta como propietario: cuentan como ingreso
+        issuedRows.filter(invoice => !estates.has(invoice.estates_id)).forEach(invoice => {
+            warnings.push(`Factura emitida ${invoice.invoice_number}: el propietario no figura en el inmueble ${invoice.cadastral_reference}`);
+            estates.set(invoice.estates_id, {
+                id: invoice.estates_id,
+                cadastral_reference: invoice.cadastral_reference,
+                address: invoice.estate_address,
+                cadastral_value: null,
+                cadastral_construction_value: null,
+                ownership_percentage: 0
+            });
+        });
+
+        const estateIds = [...estates.keys()];
+        const [issued, receivedRows, expenseRows] = await Promise.all([
+            InvoiceLinesService.attachLines('issued', issuedRows),
+            InvoicesReceivedRepository.getForOwnerTaxStatement(estateIds, year),
+            InternalExpensesRepository.getForOwnerTaxStatement(estateIds, year)
+        ]);
+
+        const round = (value) => CalculateHelper.roundCurrency(value);
+
+        const statements = estateIds.map(estateId => {
+            const estate = estates.get(estateId);
+            const share = estate.ownership_percentage / 100;
+            const invoices = issued.filter(invoice => invoice.estates_id === estateId);
+
+            let income = 0;
+            let vat = 0;
+            let withholdings = 0;
+            invoices.forEach(invoice => {
+                const {baseImponible, cuotaIVA, cuotaIRPF} = CalculateHelper.mapInvoiceIssuedToVATEntry(invoice, 0);
+                income += baseImponible;
+                vat += cuotaIVA;
+                withholdings += cuotaIRPF;
+            });
+            income = round(income);
+
+            // Si el inmueble repercute IVA, el soportado se deduce en el 303 y no es gasto
+            const vatDeductible = vat !== 0;
+            const expenseAmount = (row) => (parseFloat(row.tax_base) || 0) + (vatDeductible ? 0 : parseFloat(row.iva_amount) || 0);
+
+            const expenseItems = [
+                // Los alquileres que paga la empresa no son gasto del propietario
+                ...receivedRows
+                    .filter(row => row.property_id === estateId && row.category !== RENT_CATEGORY)
+                    .map(row => ({category: row.category, amount: (row.is_refund ? -1 : 1) * expenseAmount(row) * share})),
+                ...expenseRows
+                    .filter(row => row.property_id === estateId)
+                    .map(row => ({category: row.category, amount: expenseAmount(row) * share}))
+            ];
+
+            const days = countRentedDays(invoices, year);
+            const expenses = groupExpenses(expenseItems, days, income);
+            const amortization = calculateAmortization(estate.cadastral_construction_value, estate.ownership_percentage, days);
+
+            if (!estate.cadastral_construction_value) {
+                warnings.push(`Inmueble ${estate.cadastral_reference}: sin valor catastral de la construcción, no se calcula la amortización`);
+            }
+            if (expenses.repairs_excess > 0) {
+                warnings.push(`Inmueble ${estate.cadastral_reference}: reparación y conservación supera los ingresos en ${expenses.repairs_excess} € (se puede aplicar en los 4 años siguientes)`);
+            }
+
+            return {
+                estate: {
+                    id: estate.id,
+                    cadastral_reference: estate.cadastral_reference,
+                    address: estate.address,
+                    cadastral_value: estate.cadastral_value,
+                    cadastral_construction_value: estate.cadastral_construction_value
+                },
+                ownership_percentage: estate.ownership_percentage,
+                days,
+                income: {amount: income, invoice_count: invoices.length},
+                withholdings: round(withholdings),
+                vat_deductible: vatDeductible,
+                expenses,
+                amortization,
+                net_income: round(income - expenses.deductible - amortization.amount)
+            };
+        });
+
+        const sum = (pick) => round(statements.reduce((acc, item) => acc + pick(item), 0));
+
+        return {
+            year,
+            owner: {
+                id: owner.id,
+                nif: normalizeNif(owner.identification),
+                name: [owner.name, owner.lastname].filter(Boolean).join(' ')
+            },
+            estates: statements,
+            totals: {
+                income: sum(item => item.income.amount),
+                expenses: sum(item => item.expenses.total),
+                deductible_expenses: sum(item => item.expenses.deductible),
+                amortization: sum(item => item.amortization.amount),
+                withholdings: sum(item => item.withholdings),
+                net_income: sum(item => item.net_income)
+            },
+            warnings,
+            generatedAt: new Date().toISOString()
+        };
+    }
+}
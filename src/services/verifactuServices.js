@@ -0,0 +1,354 @@
+import VerifactuRepository from "../repository/verifactuRepository.js";
+import OwnersRepository from "../repository/ownersRepository.js";
+import {
+    buildQrUrl,
+    calculateRecordAmounts,
+    calculateRecordHash,
+    formatRegistrationTimestamp,
+    getInvoiceType,
+    normalizeNif
+} from "../shared/helpers/verifactuHelpers.js";
+import { createStubTransport } from "../shared/utils/Verifactu/verifactuStubTransport.js";
+import CalculateHelper from "../shared/helpers/calculateTotal.js";
+import { AppError } from "../errors/AppError.js";
+
+// Transporte de envío a la AEAT; undefined = se resuelve desde VERIFACTU_TRANSPORT
+let transport;
+
+/**
+ * Servicio de registros de facturación VERI*FACTU
+ * Cada alta, abono, subsanación y anulación de una factura emitida genera un
+ * registro inmutable encadenado por huella con el anterior del mismo emisor
+ * (el propietario). Los registros se crean dentro de la transacción de la
+ * factura, de modo que no puede existir factura sin registro ni al revés.
+ * El envío a la AEAT pasa por un transporte intercambiable (setTransport).
+ */
+export default class VerifactuService {
+
+    // ==========================================
+    // CONSULTAS
+    // ==========================================
+
+    /**
+     * Registros con filtros opcionales (issuer_nif, invoice_id, submission_status)
+     */
+    static async getRecords(filters = {}) {
+        const records = await VerifactuRepository.findAll({
+            issuer_nif: filters.issuer_nif ? normalizeNif(filters.issuer_nif) : null,
+            invoice_id: filters.invoice_id ? Number(filters.invoice_id) : null,
+            submission_status: filters.submission_status || null
+        });
+        return records.map(record => this.formatRecord(record));
+    }
+
+    /**
+     * Datos VERI*FACTU vigentes de una factura para el PDF y el detalle
+     * @returns {Object|null} {record_id, hash, invoice_type, submission_status, qr_url} o null si no tiene alta
+     */
+    static async getInvoiceVerifactu(invoiceId) {
+        const latest = await VerifactuRepository.findLatestByInvoice(invoiceId);
+        if (!latest.length || latest[0].record_type !== 'alta') return null;
+
+        const record = this.formatRecord(latest[0]);
+        return {
+            record_id: record.id,
+            hash: record.hash,
+            invoice_type: record.invoice_type,
+            submission_status: record.submission_status,
+            qr_url: buildQrUrl(record, this.getEnvironment())
+        };
+    }
+
+    // ==========================================
+    // REGISTRO (DENTRO DE LA TRANSACCIÓN DE LA FACTURA)
+    // ==========================================
+
+    /**
+     * Registro de alta de una factura o abono recién creado
+     * @param {Object} connection - Conexión con la transacción de la factura
+     * @param {Object} invoice - Factura con id, invoice_number, invoice_date, owners_id,
+     *                           is_refund, tax_base, iva y lines
+     * @param {Object} options
+     * @param {boolean} options.correction - Subsanación de un alta anterior
+     */
+    static async registerInvoice(connection, invoice, {correction = false} = {}) {
+        const issuerNif = await this.getIssuerNif(invoice.owners_id);
+        return this.appendRecord(connection, {
+            ...this.buildInvoiceRecord(invoice, issuerNif),
+            is_correction: correction
+        });
+    }
+
+    /**
+     * Registros de una factura modificada, comparando con su último registro:
+     * - cambia emisor, número o fecha → anulación del registro anterior y alta nueva
+     * - cambian tipo o importes → alta de subsanación
+     * - sin cambios en los datos registrados → ningún registro
+     * @returns {Object[]} Registros creados
+     */
+    static async registerUpdate(connection, invoice) {
+        const latest = await VerifactuRepository.findLatestByInvoice(invoice.id, connection);
+        const issuerNif = await this.getIssuerNif(invoice.owners_id);
+        const next = this.buildInvoiceRecord(invoice, issuerNif);
+
+        // Factura anterior a VERI*FACTU: su primer registro es un alta normal
+        if (!latest.length || latest[0].record_type !== 'alta') {
+            return [await this.appendRecord(connection, next)];
+        }
+
+        const previous = this.formatRecord(latest[0]);
+        const sameIdentity = previous.issuer_nif === next.issuer_nif &&
+            previous.invoice_number === next.invoice_number &&
+            CalculateHelper.formatDateISO(previous.invoice_date) === next.invoice_date;
+
+        if (!sameIdentity) {
+            return [
+                await this.appendRecord(connection, this.buildCancellationRecord(previous)),
+                await this.appendRecord(connection, next)
+            ];
+        }
+
+        const sameData = previous.invoice_type === next.invoice_type &&
+            previous.tax_amount === next.tax_amount &&
+            previous.total_amount === next.total_amount;
+
+        return sameData ? [] : [await this.appendRecord(connection, {...next, is_correction: true})];
+    }
+
+    /**
+     * Registro de anulación de una factura que se va a eliminar
+     * Usa la identificación del último alta, que es la que conoce la AEAT.
+     * @returns {Object|null} Registro creado o null si la factura no tenía alta
+     */
+    static async registerCancellation(connection, invoiceId) {
+        const latest = await VerifactuRepository.findLatestByInvoice(invoiceId, connection);
+        if (!latest.length || latest[0].record_type !== 'alta') return null;
+
+        return this.appendRecord(connection, this.buildCancellationRecord(this.formatRecord(latest[0])));
+    }
+
+    /**
+     * Encadena un registro al final de la cadena de su emisor
+     * La cabeza queda bloqueada hasta el commit de la factura.
+     */
+    static async appendRecord(connection, data) {
+        const chain = await VerifactuRepository.lockChain(connection, data.issuer_nif);
+
+        const record = {
+            ...data,
+            chain_sequence: Number(chain.records_count || 0) + 1,
+            previous_hash: chain.last_hash || null,
+            generated_at: formatRegistrationTimestamp(new Date())
+        };
+        record.hash = calculateRecordHash(record);
+
+        const id = await VerifactuRepository.insertRecord(connection, record);
+        return {id, ...record};
+    }
+
+    // ==========================================
+    // VERIFICACIÓN DE LA CADENA
+    // ==========================================
+
+    /**
+     * Comprueba la integridad de las cadenas (todas o la de un emisor):
+     * huella recalculada, enlace con el registro anterior, secuencia sin
+     * huecos y cabeza de la cadena apuntando al último registro.
+     * @returns {Object} {valid, checked_at, chains: [{issuer_nif, records_count, valid, errors}]}
+     */
+    static async verifyChain(issuerNif = null) {
+        const nif = issuerNif ? normalizeNif(issuerNif) : null;
+        const [records, heads] = await Promise.all([
+            VerifactuRepository.findAll({issuer_nif: nif}),
+            VerifactuRepository.getChains(nif)
+        ]);
+
+        const byIssuer = new Map(heads.map(head => [head.issuer_nif, []]));
+        records.forEach(record => {
+            if (!byIssuer.has(record.issuer_nif)) byIssuer.set(record.issuer_nif, []);
+            byIssuer.get(record.issuer_nif).push(record);
+        });
+
+        const chains = [...byIssuer.entries()].map(([issuer, chainRecords]) =>
+            this.verifyIssuerChain(issuer, chainRecords, heads.find(head => head.issuer_nif === issuer))
+        );
+
+        return {
+            valid: chains.every(chain => chain.valid),
+            checked_at: new Date().toISOString(),
+            chains
+        };
+    }
+
+    static verifyIssuerChain(issuerNif, records, head) {
+        const errors = [];
+        const addError = (record, code, message) => errors.push({
+            record_id: record?.id ?? null,
+            chain_sequence: record?.chain_sequence ?? null,
+            code,
+            message
+        });
+
+        let previous = null;
+        records.forEach((record, index) => {
+            if (Number(record.chain_sequence) !== index + 1) {
+                addError(record, 'SEQUENCE_GAP', `Se esperaba el registro ${index + 1} de la cadena y se encontró el ${record.chain_sequence}`);
+            }
+            if ((record.previous_hash || null) !== (previous ? previous.hash : null)) {
+                addError(record, 'BROKEN_LINK', 'La huella anterior no coincide con la del registro previo');
+            }
+            if (calculateRecordHash(record) !== record.hash) {
+                addError(record, 'HASH_MISMATCH', 'La huella no corresponde a los datos del registro');
+            }
+            previous = record;
+        });
+
+        const last = records[records.length - 1];
+        if (!head) {
+            addError(last, 'HEAD_MISSING', 'La cadena no tiene cabeza registrada');
+        } else if ((head.last_hash || null) !== (last ? last.hash : null) || Number(head.records_count) !== records.length) {
+            addError(last, 'HEAD_MISMATCH', 'La cabeza de la cadena no apunta al último registro');
+        }
+
+        return {
+            issuer_nif: issuerNif,
+            records_count: records.length,
+            last_hash: last ? last.hash : null,
+            valid: errors.length === 0,
+            errors
+        };
+    }
+
+    // ==========================================
+    // ENVÍO A LA AEAT
+    // ==========================================
+
+    /**
+     * Sustituye el transporte de envío (null lo desactiva; undefined vuelve a la configuración)
+     */
+    static setTransport(newTransport) {
+        transport = newTransport;
+    }
+
+    /**
+     * Transporte activo: el fijado con setTransport o el de VERIFACTU_TRANSPORT
+     * @returns {Object|null} null si el envío no está configurado
+     */
+    static getTransport() {
+        if (transport !== undefined) return transport;
+        return process.env.VERIFACTU_TRANSPORT === 'stub' ? createStubTransport() : null;
+    }
+
+    /**
+     * Envía los registros pendientes, cadena a cadena y en orden
+     * Si el transporte falla en una cadena, sus registros quedan en 'error'
+     * y se reintentan en el siguiente envío; las demás cadenas continúan.
+     * @returns {Object} {transport, submitted, accepted, rejected, errors}
+     * @throws {AppError} 500 si no hay transporte configurado
+     */
+    static async submitPendingRecords() {
+        const activeTransport = this.getTransport();
+        if (!activeTransport) {
+            throw new AppError('El envío VERI*FACTU no está configurado en el servidor', 500, 'VERIFACTU_TRANSPORT_NOT_CONFIGURED');
+        }
+
+        const pending = (await VerifactuRepository.findPending()).map(record => this.formatRecord(record));
+        const summary = {transport: activeTransport.name, submitted: 0, accepted: 0, rejected: 0, errors: 0};
+
+        const byIssuer = new Map();
+        pending.forEach(record => {
+            if (!byIssuer.has(record.issuer_nif)) byIssuer.set(record.issuer_nif, []);
+            byIssuer.get(record.issuer_nif).push(record);
+        });
+
+        for (const records of byIssuer.values()) {
+            let results;
+            try {
+                results = await activeTransport.submit(records);
+            } catch (error) {
+                for (const record of records) {
+                    await VerifactuRepository.updateSubmission(record.id, {submission_status: 'error', submission_error: error.message});
+                }
+                summary.errors += records.length;
+                continue;
+            }
+
+            for (const record of records) {
+                const result = results.find(item => Number(item.id) === record.id);
+                const status = result && ['accepted', 'rejected'].includes(result.status) ? result.status : 'error';
+                await VerifactuRepository.updateSubmission(record.id, {
+                    submission_status: status,
+                    submission_reference: result?.reference || null,
+                    submission_error: status === 'accepted' ? null : (result?.error || 'Respuesta sin resultado para el registro')
+                });
+                summary.submitted += 1;
+                if (status === 'accepted') summary.accepted += 1;
+                else if (status === 'rejected') summary.rejected += 1;
+                else summary.errors += 1;
+            }
+        }
+
+        return summary;
+    }
+
+    // ==========================================
+    // MÉTODOS DE UTILIDAD
+    // ==========================================
+
+    /**
+     * Entorno de la AEAT para el QR: 'production' o 'test' (por defecto)
+     */
+    static getEnvironment() {
+        return process.env.VERIFACTU_ENVIRONMENT === 'production' ? 'production' : 'test';
+    }
+
+    /**
+     * NIF del propietario emisor
+     * @throws {AppError} 400 si el propietario no existe o no tiene NIF
+     */
+    static async getIssuerNif(ownersId) {
+        const owner = await OwnersRepository.findById(ownersId);
+        const nif = owner.length ? normalizeNif(owner[0].identification) : '';
+        if (!nif) throw new AppError('El propietario emisor no tiene NIF para el registro VERI*FACTU', 400, 'VERIFACTU_ISSUER_NIF_MISSING');
+        return nif;
+    }
+
+    static buildInvoiceRecord(invoice, issuerNif) {
+        const {tax_amount, total_amount} = calculateRecordAmounts(invoice);
+        return {
+            issuer_nif: issuerNif,
+            record_type: 'alta',
+            is_correction: false,
+            invoices_issued_id: Number(invoice.id),
+            invoice_number: String(invoice.invoice_number).trim(),
+            invoice_date: CalculateHelper.formatDateISO(invoice.invoice_date),
+            invoice_type: getInvoiceType(invoice),
+            tax_amount,
+            total_amount
+        };
+    }
+
+    static buildCancellationRecord(record) {
+        return {
+            issuer_nif: record.issuer_nif,
+            record_type: 'anulacion',
+            is_correction: false,
+            invoices_issued_id: record.invoices_issued_id,
+            invoice_number: record.invoice_number,
+            invoice_date: CalculateHelper.formatDateISO(record.invoice_date),
+            invoice_type: null,
+            tax_amount: null,
+            total_amount: null
+        };
+    }
+
+    static formatRecord(record) {
+        return {
+            ...record,
+            chain_sequence: Number(record.chain_sequence),
+            is_correction: Boolean(record.is_correction),
+            tax_amount: record.tax_amount === null ? null : parseFloat(record.tax_amount),
+            total_amount: record.total_amount === null ? null : parseFloat(record.total_amount)
+        };
+    }
+}
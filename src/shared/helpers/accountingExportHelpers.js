@@ -0,0 +1,192 @@
+/**
+ * @fileoverview Exportación del diario al programa de contabilidad del asesor
+ *
+ * - Se exportan los asientos de facturas emitidas, recibidas y gastos
+ *   internos; los cobros y pagos los concilia el asesor con el banco.
+ * - Las cuentas del PGC de los asientos (430, 400, 62x...) se pasan a
+ *   subcuentas del programa del asesor: el cliente, el proveedor o la
+ *   categoría de gasto usan su mapeo y, si no lo tienen, la cuenta completada
+ *   con ceros hasta la longitud de subcuenta (430 + cliente 12 → 43000012).
+ * - Los ficheros de cada formato se generan a partir de la misma estructura
+ *   {entries, accounts} que devuelve buildExportData.
+ */
+
+import { ACCOUNTS, SOURCE_TYPES } from './accountingHelpers.js';
+
+export const EXPORT_FORMATS = ['contaplus', 'a3', 'csv'];
+
+export const MAPPING_TYPES = ['client', 'supplier', 'expense_category'];
+
+// Asientos que se exportan
+export const EXPORTABLE_SOURCES = [
+    SOURCE_TYPES.INVOICE_ISSUED,
+    SOURCE_TYPES.INVOICE_RECEIVED,
+    SOURCE_TYPES.INTERNAL_EXPENSE
+];
+
+// Grupo del PGC al que debe pertenecer la subcuenta de cada mapeo
+export const MAPPING_ACCOUNT_PREFIXES = Object.freeze({
+    client: ['43'],
+    supplier: ['40', '41'],
+    expense_category: ['6']
+});
+
+export const DEFAULT_SUBACCOUNT_LENGTH = 8;
+
+const VAT_ACCOUNTS = [ACCOUNTS.VAT_INPUT, ACCOUNTS.VAT_OUTPUT];
+
+/**
+ * Longitud de las subcuentas del programa del asesor (ACCOUNTING_SUBACCOUNT_LENGTH, 8 por defecto)
+ */
+export const getSubaccountLength = () => {
+    const length = parseInt(process.env.ACCOUNTING_SUBACCOUNT_LENGTH, 10);
+    return length >= 4 && length <= 12 ? length : DEFAULT_SUBACCOUNT_LENGTH;
+};
+
+/**
+ * Subcuenta a partir de la cuenta del PGC y, si la hay, del id del tercero
+ * @example subaccountCode('430', 12, 8) // '43000012'
+ * @example subaccountCode('4751', null, 8) // '47510000'
+ */
+export const subaccountCode = (accountCode, key, length = DEFAULT_SUBACCOUNT_LENGTH) => {
+    const code = String(accountCode);
+    if (code.length >= length) return code;
+    if (!key) return code.padEnd(length, '0');
+    return `${code}${String(key).padStart(length - code.length, '0')}`;
+};
+
+const personName = (row, prefix) =>
+    row[`${prefix}_company_name`] || [row[`${prefix}_name`], row[`${prefix}_lastname`]].filter(Boolean).join(' ');
+
+/**
+ * Documento, base e IVA y tercero del asiento según su origen
+ * @param {Object} row - Asiento con los datos del documento (JournalEntriesRepository / AccountingExportsRepository)
+ */
+const sourceDetails = (row) => {
+    if (row.source_type === SOURCE_TYPES.INVOICE_ISSUED) {
+        return {
+            document: row.issued_number,
+            tax_base: parseFloat(row.issued_tax_base) || 0,
+            vat_rate: parseFloat(row.issued_iva) || 0,
+            category: null,
+            third_party: {
+                account: ACCOUNTS.CLIENTS,
+                mapping_type: 'client',
+                key: row.clients_id,
+                name: personName(row, 'client'),
+                nif: row.client_nif,
+                address: row.client_address,
+                city: row.client_city,
+                province: row.client_province,
+                postal_code: row.client_postal_code
+            }
+        };
+    }
+    if (row.source_type === SOURCE_TYPES.INVOICE_RECEIVED) {
+        const taxBase = Math.abs(parseFloat(row.received_tax_base) || 0);
+        return {
+            document: row.received_number,
+            tax_base: row.received_is_refund ? -taxBase : taxBase,
+            vat_rate: parseFloat(row.received_iva) || 0,
+            category: row.received_category,
+            third_party: {
+                account: ACCOUNTS.SUPPLIERS,
+                mapping_type: 'supplier',
+                key: row.supplier_id,
+                name: personName(row, 'supplier'),
+                nif: row.supplier_nif,
+                address: row.supplier_address,
+                city: row.supplier_city,
+                province: row.supplier_province,
+                postal_code: row.supplier_postal_code
+            }
+        };
+    }
+    // Gasto interno: el acreedor no tiene ficha, va a la 410 genérica
+    return {
+        document: row.receipt_number,
+        tax_base: parseFloat(row.expense_tax_base) || 0,
+        vat_rate: row.expense_is_deductible ? parseFloat(row.expense_iva) || 0 : 0,
+        category: row.expense_category,
+        third_party: null
+    };
+};
+
+/**
+ * Prepara los asientos para exportar: subcuenta de cada apunte y ficha de
+ * cada subcuenta usada (con los datos del tercero si lo es)
+ * @param {Object[]} rows - Asientos pendientes con los datos de su documento
+ * @param {Object[]} lines - Apuntes de esos asientos con account_name
+ * @param {Object[]} mappings - Filas de accounting_account_mappings
+ * @param {number} [length] - Longitud de subcuenta
+ * @returns {{entries: Object[], accounts: Object[]}}
+ */
+export const buildExportData = (rows, lines, mappings, length = DEFAULT_SUBACCOUNT_LENGTH) => {
+    const mapped = new Map(mappings.map(mapping => [`${mapping.mapping_type}:${mapping.mapping_key}`, mapping.account_code]));
+    const accounts = new Map();
+
+    const addAccount = (code, data) => {
+        if (!accounts.has(code)) accounts.set(code, {code, nif: null, address: null, city: null, province: null, postal_code: null, ...data});
+    };
+
+    const entries = rows.map(row => {
+        const details = sourceDetails(row);
+        const thirdParty = details.third_party;
+        const thirdPartyAccount = thirdParty
+            ? mapped.get(`${thirdParty.mapping_type}:${thirdParty.key}`) || subaccountCode(thirdParty.account, thirdParty.key, length)
+            : null;
+
+        const entryLines = lines
+            .filter(line => line.journal_entry_id === row.id)
+            .map(line => {
+                let account;
+                if (thirdParty && line.account_code === thirdParty.account) {
+                    account = thirdPartyAccount;
+                    addAccount(account, {
+                        name: thirdParty.name,
+                        nif: thirdParty.nif,
+                        address: thirdParty.address,
+                        city: thirdParty.city,
+                        province: thirdParty.province,
+                        postal_code: thirdParty.postal_code
+                    });
+                } else if (details.category && line.account_code.startsWith('6')) {
+                    account = mapped.get(`expense_category:${details.category}`) || subaccountCode(line.account_code, null, length);
+                    addAccount(account, {name: line.account_name});
+                } else {
+                    account = subaccountCode(line.account_code, null, length);
+                    addAccount(account, {name: line.account_name});
+                }
+
+                return {
+                    account,
+                    account_name: accounts.get(account).name,
+                    debit: parseFloat(line.debit) || 0,
+                    credit: parseFloat(line.credit) || 0,
+                    concept: line.concept || row.description,
+                    is_vat: VAT_ACCOUNTS.includes(line.account_code)
+                };
+            });
+
+        return {
+            journal_entry_id: row.id,
+            fiscal_year: row.fiscal_year,
+            entry_number: row.entry_number,
+            entry_date: row.entry_date,
+            description: row.description,
+            source_type: row.source_type,
+            source_id: row.source_id,
+            total: parseFloat(row.total) || 0,
+            document: details.document || '',
+            tax_base: details.tax_base,
+            vat_rate: details.vat_rate,
+            third_party_account: thirdPartyAccount,
+            lines: entryLines
+        };
+    });
+
+    return {
+        entries,
+        accounts: [...accounts.values()].sort((a, b) => a.code.localeCompare(b.code))
+    };
+};
@@ -0,0 +1,214 @@
+/**
+ * @fileoverview Asientos contables automáticos (PGC 2007, partida doble).
+ *
+ * - Cada documento se traduce a movimientos con signo (positivo al debe,
+ *   negativo al haber); buildEntryLines los convierte en apuntes. Un abono
+ *   genera los mismos movimientos con signo contrario, así que sus apuntes
+ *   quedan en el lado opuesto.
+ * - Las cuotas son las de las líneas del documento; sin líneas se calculan con
+ *   el tipo de la cabecera y la cuenta de ingreso recoge la diferencia de
+ *   redondeo para que el asiento cuadre.
+ * - Los gastos van a la cuenta 62x de su categoría; el IVA de los gastos no
+ *   deducibles es más gasto, no IVA soportado.
+ * - Las facturas emitidas van a ingresos por arrendamientos (752), salvo las de
+ *   gastos de devolución repercutidos al inquilino (759); los gastos bancarios
+ *   de la devolución son servicios bancarios (626).
+ */
+
+export const ACCOUNTS = Object.freeze({
+    DEPOSITS: '180',
+    SUPPLIERS: '400',
+    CREDITORS: '410',
+    CLIENTS: '430',
+    VAT_INPUT: '472',
+    WITHHOLDINGS_RECEIVABLE: '473',
+    WITHHOLDINGS_PAYABLE: '4751',
+    VAT_OUTPUT: '477',
+    CASH: '570',
+    BANK: '572',
+    BANK_CHARGES: '626',
+    OTHER_SERVICES: '629',
+    RENTAL_INCOME: '752',
+    OTHER_INCOME: '759'
+});
+
+// Origen de cada asiento automático (journal_entries.source_type)
+export const SOURCE_TYPES = Object.freeze({
+    INVOICE_ISSUED: 'invoice_issued',
+    INVOICE_ISSUED_COLLECTION: 'invoice_issued_collection',
+    INVOICE_RECEIVED: 'invoice_received',
+    INVOICE_RECEIVED_PAYMENT: 'invoice_received_payment',
+    INTERNAL_EXPENSE: 'internal_expense',
+    INTERNAL_EXPENSE_PAYMENT: 'internal_expense_payment',
+    PAYMENT: 'payment',
+    SUPPLIER_PAYMENT: 'supplier_payment',
+    SEPA_RETURN: 'sepa_return'
+});
+
+export const ACCOUNT_TYPES = ['asset', 'liability', 'equity', 'income', 'expense'];
+
+// Cuenta de gasto por categoría de factura recibida
+const RECEIVED_CATEGORY_ACCOUNTS = Object.freeze({
+    alquiler: '621',
+    mantenimiento: '622',
+    reparaciones: '622',
+    mobiliario: '622',
+    servicios_profesionales: '623',
+    seguros: '625',
+    electricidad: '628',
+    gas: '628',
+    agua: '628',
+    suministros: '628',
+    telefono: '628',
+    internet: '628',
+    impuestos: '631',
+    residuos: '631'
+});
+
+// Cuenta de gasto por categoría de gasto interno
+const EXPENSE_CATEGORY_ACCOUNTS = Object.freeze({
+    maintenance_repairs: '622',
+    cleaning_security: '622',
+    professional_services: '623',
+    legal_administrative: '623',
+    insurance: '625',
+    financial_costs: '626',
+    marketing_advertising: '627',
+    representation: '627',
+    utilities: '628',
+    communications: '628',
+    taxes_fees: '631'
+});
+
+const round = (value) => Math.round(value * 100) / 100;
+
+export const receivedCategoryAccount = (category) => RECEIVED_CATEGORY_ACCOUNTS[category] || ACCOUNTS.OTHER_SERVICES;
+
+export const expenseCategoryAccount = (category) => EXPENSE_CATEGORY_ACCOUNTS[category] || ACCOUNTS.OTHER_SERVICES;
+
+/**
+ * Cuenta de tesorería según el medio de cobro o pago (la fianza aplicada sale de la 180)
+ */
+export const paymentAccount = (method) => {
+    if (method === 'deposit') return ACCOUNTS.DEPOSITS;
+    if (method === 'cash' || method === 'petty_cash') return ACCOUNTS.CASH;
+    return ACCOUNTS.BANK;
+};
+
+/**
+ * Factura emitida: cliente al debe por el total; ingreso e IVA repercutido al
+ * haber; la retención que practica el inquilino, al debe como pago a cuenta.
+ * Con líneas, IVA y retención son la suma de las cuotas de cada línea (cada
+ * una con su tipo); sin líneas se calculan sobre la base con el tipo de cabecera
+ * @param {Object} invoice - {tax_base, iva, irpf, total} (iva e irpf en %; negativos en abonos)
+ * @param {Array<{iva_amount: number, irpf_amount: number}>} [lines] - Líneas de la factura
+ * @param {string} [incomeAccount] - 752 por defecto; 759 para los gastos de devolución repercutidos
+ */
+export const issuedInvoiceMovements = (invoice, lines = [], incomeAccount = ACCOUNTS.RENTAL_INCOME) => {
+    const taxBase = parseFloat(invoice.tax_base) || 0;
+    const total = parseFloat(invoice.total) || 0;
+    const sumLines = (field) => round(lines.reduce((sum, line) => sum + (parseFloat(line[field]) || 0), 0));
+    const ivaAmount = lines.length ? sumLines('iva_amount') : round(taxBase * (parseFloat(invoice.iva) || 0) / 100);
+    const irpfAmount = lines.length ? sumLines('irpf_amount') : round(taxBase * (parseFloat(invoice.irpf) || 0) / 100);
+
+    return [
+        {account_code: ACCOUNTS.CLIENTS, amount: total},
+        {account_code: ACCOUNTS.WITHHOLDINGS_RECEIVABLE, amount: irpfAmount},
+        {account_code: incomeAccount, amount: -round(total - ivaAmount + irpfAmount)},
+        {account_code: ACCOUNTS.VAT_OUTPUT, amount: -ivaAmount}
+    ];
+};
+
+/**
+ * Factura recibida: gasto e IVA soportado al debe; proveedor y retención
+ * practicada al haber
+ * @param {Object} invoice - {category, iva_amount, irpf_amount, total_amount, is_refund}
+ */
+export const receivedInvoiceMovements = (invoice) => {
+    const sign = invoice.is_refund ? -1 : 1;
+    const total = Math.abs(parseFloat(invoice.total_amount) || 0);
+    const ivaAmount = Math.abs(parseFloat(invoice.iva_amount) || 0);
+    const irpfAmount = Math.abs(parseFloat(invoice.irpf_amount) || 0);
+
+    return [
+        {account_code: receivedCategoryAccount(invoice.category), amount: sign * round(total - ivaAmount + irpfAmount)},
+        {account_code: ACCOUNTS.VAT_INPUT, amount: sign * ivaAmount},
+        {account_code: ACCOUNTS.WITHHOLDINGS_PAYABLE, amount: -sign * irpfAmount},
+        {account_code: ACCOUNTS.SUPPLIERS, amount: -sign * total}
+    ];
+};
+
+/**
+ * Gasto interno: gasto (con el IVA si no es deducible) e IVA soportado al
+ * debe; acreedor al haber
+ * @param {Object} expense - {category, iva_amount, total_amount, is_deductible}
+ */
+export const internalExpenseMovements = (expense) => {
+    const total = parseFloat(expense.total_amount) || 0;
+    const ivaAmount = expense.is_deductible ? parseFloat(expense.iva_amount) || 0 : 0;
+
+    return [
+        {account_code: expenseCategoryAccount(expense.category), amount: round(total - ivaAmount)},
+        {account_code: ACCOUNTS.VAT_INPUT, amount: ivaAmount},
+        {account_code: ACCOUNTS.CREDITORS, amount: -total}
+    ];
+};
+
+/**
+ * Cobro o pago: tesorería contra la cuenta del cliente o del acreedor
+ * @param {string} account - Cuenta que se salda (430, 400, 410)
+ * @param {Array<{method: string, amount: number}>} settlements - Cobro (+) o pago (−) por medio
+ */
+export const settlementMovements = (account, settlements) => {
+    const movements = settlements.map(item => ({account_code: paymentAccount(item.method), amount: round(item.amount)}));
+    const total = round(movements.reduce((sum, item) => sum + item.amount, 0));
+    return [...movements, {account_code: account, amount: -total}];
+};
+
+/**
+ * Gastos bancarios de una devolución de adeudo: servicios bancarios al debe
+ * contra el banco
+ * @param {number} bankCharges
+ */
+export const bankChargesMovements = (bankCharges) => [
+    {account_code: ACCOUNTS.BANK_CHARGES, amount: round(bankCharges)},
+    {account_code: ACCOUNTS.BANK, amount: -round(bankCharges)}
+];
+
+/**
+ * Convierte movimientos con signo en apuntes al debe o al haber, sin los
+ * importes a cero y agrupando los de la misma cuenta
+ * @param {Array<{account_code: string, amount: number, concept?: string}>} movements
+ * @returns {Array<{line_number: number, account_code: string, debit: number, credit: number, concept: string|null}>}
+ */
+export const buildEntryLines = (movements) => {
+    const grouped = new Map();
+    for (const movement of movements) {
+        const current = grouped.get(movement.account_code);
+        grouped.set(movement.account_code, {
+            account_code: movement.account_code,
+            amount: round((current?.amount || 0) + (Number(movement.amount) || 0)),
+            concept: current?.concept ?? movement.concept ?? null
+        });
+    }
+
+    return [...grouped.values()]
+        .filter(movement => movement.amount !== 0)
+        .map((movement, index) => ({
+            line_number: index + 1,
+            account_code: movement.account_code,
+            debit: movement.amount > 0 ? movement.amount : 0,
+            credit: movement.amount < 0 ? -movement.amount : 0,
+            concept: movement.concept
+        }));
+};
+
+/**
+ * Sumas del debe y del haber de un asiento
+ * @returns {{debit: number, credit: number, balanced: boolean}}
+ */
+export const entryTotals = (lines) => {
+    const debit = round(lines.reduce((sum, line) => sum + (parseFloat(line.debit) || 0), 0));
+    const credit = round(lines.reduce((sum, line) => sum + (parseFloat(line.credit) || 0), 0));
+    return {debit, credit, balanced: debit === credit};
+};
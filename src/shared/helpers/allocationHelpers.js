@@ -0,0 +1,147 @@
+/**
+ * @fileoverview Reparto de gastos generales entre propietarios.
+ *
+ * Las facturas recibidas y los gastos internos sin inmueble se reparten con
+ * una clave de reparto:
+ * - equal: a partes iguales entre todos los propietarios
+ * - ownership: por la suma de los porcentajes de propiedad de todos los inmuebles
+ * - surface: por los m² poseídos (superficie del inmueble × porcentaje de propiedad)
+ * - fixed: porcentajes fijos configurados en la clave (deben sumar 100)
+ *
+ * La clave se elige por reglas (proveedor, luego centro de coste, luego
+ * categoría) o, si ninguna aplica, la clave por defecto. Los importes se
+ * reparten en céntimos por el método del mayor resto: los céntimos sobrantes
+ * van a los propietarios con mayor parte decimal y, a igualdad, al de menor ID,
+ * de modo que el mismo gasto siempre se reparte igual y la suma cuadra.
+ */
+
+export const ALLOCATION_METHODS = ['equal', 'ownership', 'surface', 'fixed'];
+
+// Orden de precedencia de las reglas: la más específica primero
+export const ALLOCATION_SCOPES = ['supplier', 'cost_center', 'category'];
+
+const normalizeScopeValue = (value) => String(value ?? '').trim().toUpperCase();
+
+/**
+ * Porcentajes de reparto por propietario según el método de la clave
+ * @param {string} method - Uno de ALLOCATION_METHODS
+ * @param {Object} data
+ * @param {Object[]} data.owners - Propietarios ({id})
+ * @param {Object[]} data.estateOwners - {owners_id, ownership_percentage, surface} de todos los inmuebles
+ * @param {Object[]} data.fixedShares - {owners_id, percentage} de la clave (método fixed)
+ * @returns {Array<{owners_id: number, percentage: number}>} Ordenado por propietario; suma 100
+ *          (vacío si el método no tiene base de reparto)
+ */
+export const computeShares = (method, {owners = [], estateOwners = [], fixedShares = []} = {}) => {
+    const weights = new Map();
+    const addWeight = (ownerId, weight) => {
+        if (weight > 0) weights.set(Number(ownerId), (weights.get(Number(ownerId)) || 0) + weight);
+    };
+
+    switch (method) {
+        case 'equal':
+            owners.forEach(owner => addWeight(owner.id, 1));
+            break;
+        case 'ownership':
+            estateOwners.forEach(row => addWeight(row.owners_id, parseFloat(row.ownership_percentage) || 0));
+            break;
+        case 'surface':
+            estateOwners.forEach(row =>
+                addWeight(row.owners_id, (parseFloat(row.surface) || 0) * (parseFloat(row.ownership_percentage) || 0) / 100));
+            break;
+        case 'fixed':
+            fixedShares.forEach(row => addWeight(row.owners_id, parseFloat(row.percentage) || 0));
+            break;
+        default:
+            return [];
+    }
+
+    const total = [...weights.values()].reduce((acc, weight) => acc + weight, 0);
+    if (!total) return [];
+
+    return [...weights.entries()]
+        .sort(([a], [b]) => a - b)
+        .map(([ownerId, weight]) => ({owners_id: ownerId, percentage: Math.round(weight / total * 1000000) / 10000}));
+};
+
+/**
+ * Reparte un importe por porcentajes sin perder céntimos (método del mayor resto)
+ * @param {number} amount - Importe a repartir (puede ser negativo)
+ * @param {Array<{owners_id: number, percentage: number}>} shares
+ * @returns {Map<number, number>} Importe por propietario; la suma es exactamente el importe redondeado
+ */
+export const distributeAmount = (amount, shares) => {
+    const result = new Map();
+    if (!shares.length) return result;
+
+    const totalPercentage = shares.reduce((acc, share) => acc + share.percentage, 0);
+    const cents = Math.round((parseFloat(amount) || 0) * 100);
+    const sign = cents < 0 ? -1 : 1;
+    const absCents = Math.abs(cents);
+
+    const parts = shares.map(share => {
+        const exact = absCents * share.percentage / totalPercentage;
+        return {owners_id: share.owners_id, cents: Math.floor(exact), remainder: exact - Math.floor(exact)};
+    });
+
+    let pending = absCents - parts.reduce((acc, part) => acc + part.cents, 0);
+    [...parts]
+        .sort((a, b) => (b.remainder - a.remainder) || (a.owners_id - b.owners_id))
+        .forEach(part => {
+            if (pending > 0) {
+                part.cents += 1;
+                pending -= 1;
+            }
+        });
+
+    parts.forEach(part => result.set(part.owners_id, sign * part.cents / 100));
+    return result;
+};
+
+/**
+ * Regla aplicable a un gasto: proveedor (NIF), centro de coste y categoría, por ese orden
+ * @param {Object[]} rules - {id, allocation_key_id, scope, scope_value}
+ * @param {Object} item - {supplier_nif, cost_center, category}
+ * @returns {Object|null}
+ */
+export const findRule = (rules, item) => {
+    const values = {
+        supplier: item.supplier_nif,
+        cost_center: item.cost_center,
+        category: item.category
+    };
+
+    for (const scope of ALLOCATION_SCOPES) {
+        if (!values[scope]) continue;
+        const rule = rules.find(candidate =>
+            candidate.scope === scope && normalizeScopeValue(candidate.scope_value) === normalizeScopeValue(values[scope]));
+        if (rule) return rule;
+    }
+    return null;
+};
+
+/**
+ * Reparte base, IVA e IRPF de un gasto; cada importe cuadra por separado
+ * @param {Object} amounts - {base, iva, irpf}
+ * @param {Array<{owners_id: number, percentage: number}>} shares
+ * @returns {Object[]} {owners_id, percentage, base, iva, irpf, total} por propietario
+ */
+export const allocateAmounts = ({base = 0, iva = 0, irpf = 0}, shares) => {
+    const bases = distributeAmount(base, shares);
+    const ivas = distributeAmount(iva, shares);
+    const irpfs = distributeAmount(irpf, shares);
+
+    return shares.map(share => {
+        const ownerBase = bases.get(share.owners_id);
+        const ownerIva = ivas.get(share.owners_id);
+        const ownerIrpf = irpfs.get(share.owners_id);
+        return {
+            owners_id: share.owners_id,
+            percentage: share.percentage,
+            base: ownerBase,
+            iva: ownerIva,
+            irpf: ownerIrpf,
+            total: Math.round((ownerBase + ownerIva - ownerIrpf) * 100) / 100
+        };
+    });
+};
@@ -0,0 +1,68 @@
+/**
+ * @fileoverview Registro de auditoría: entidades auditadas y diferencia de campos
+ *
+ * Cada cambio se guarda como {campo: {before, after}} con solo los campos que
+ * cambian; en un alta before es null y en una baja after es null. Las fechas
+ * de control (date_create, updated_at...) no se registran porque cambian en
+ * cada escritura.
+ */
+
+// Entidad auditada → nombre para mensajes
+export const AUDIT_ENTITIES = {
+    invoice_issued: 'Factura emitida',
+    invoice_received: 'Factura recibida',
+    internal_expense: 'Gasto interno',
+    client: 'Cliente',
+    owner: 'Propietario',
+    estate: 'Inmueble',
+    estate_owner: 'Relación inmueble-propietario',
+    user: 'Usuario'
+};
+
+export const AUDIT_ACTIONS = ['create', 'update', 'delete'];
+
+/**
+ * Usuario e IP de la petición para los cambios que registran los servicios
+ * (AuditService.track); las tareas programadas no tienen petición y pasan null
+ */
+export const auditContext = (req) => ({user: req.user ?? null, ip_address: req.ip ?? null});
+
+const IGNORED_FIELDS = ['date_create', 'date_update', 'created_at', 'updated_at', 'password'];
+
+/**
+ * Valor comparable y serializable: las fechas sin hora quedan como 'YYYY-MM-DD'
+ */
+export const normalizeAuditValue = (value) => {
+    if (value === undefined) return null;
+    if (!(value instanceof Date)) return value;
+    if (value.getHours() || value.getMinutes() || value.getSeconds() || value.getMilliseconds()) {
+        return value.toISOString();
+    }
+    const month = String(value.getMonth() + 1).padStart(2, '0');
+    const day = String(value.getDate()).padStart(2, '0');
+    return `${value.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * Campos que cambian entre dos estados del registro
+ * @example diffRecords({total: '121.00', iva: 21}, {total: '242.00', iva: 21}) // {total: {before: '121.00', after: '242.00'}}
+ * @param {Object|null} before - registro antes del cambio (null en un alta)
+ * @param {Object|null} after - registro después del cambio (null en una baja)
+ * @returns {Object} {campo: {before, after}}
+ */
+export const diffRecords = (before, after) => {
+    const fields = new Set([...Object.keys(before ?? {}), ...Object.keys(after ?? {})]);
+    const changes = {};
+
+    for (const field of fields) {
+        if (IGNORED_FIELDS.includes(field)) continue;
+
+        const previous = before ? normalizeAuditValue(before[field]) : null;
+        const current = after ? normalizeAuditValue(after[field]) : null;
+        if (before && after && String(previous) === String(current)) continue;
+        if (previous === null && current === null) continue;
+
+        changes[field] = {before: previous, after: current};
+    }
+    return changes;
+};
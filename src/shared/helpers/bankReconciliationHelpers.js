@@ -0,0 +1,93 @@
+/**
+ * @fileoverview Motor de conciliación bancaria: propone facturas para cada
+ * movimiento del extracto.
+ *
+ * Los abonos se comparan con las facturas emitidas pendientes de cobro y los
+ * cargos con las recibidas pendientes de pago. Cada candidata suma puntos por:
+ * - importe: igual al pendiente (40) o al total de la factura (30)
+ * - fecha: el movimiento cae dentro de la ventana de días alrededor del
+ *   vencimiento (o de la fecha de factura si no tiene vencimiento) (20)
+ * - número de factura en el concepto o la referencia del movimiento (40)
+ * - NIF del cliente o proveedor en el concepto, la referencia o el nombre de
+ *   la contraparte (20)
+ * Solo se proponen candidatas con coincidencia de importe o de número de
+ * factura y al menos MIN_SCORE puntos; como máximo MAX_PROPOSALS por movimiento.
+ */
+
+import CalculateHelper from './calculateTotal.js';
+
+export const DEFAULT_DATE_WINDOW = 15;
+export const MIN_SCORE = 50;
+export const MAX_PROPOSALS = 3;
+
+const SCORES = { amount: 40, total: 30, date: 20, invoice_number: 40, nif: 20 };
+
+/**
+ * Mayúsculas y solo letras y dígitos, para buscar referencias dentro del concepto
+ */
+export const compactText = (value) => String(value ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, '');
+
+const daysBetween = (from, to) =>
+    Math.abs(new Date(`${from}T00:00:00Z`) - new Date(`${to}T00:00:00Z`)) / 86400000;
+
+/**
+ * Puntuación de una factura candidata para un movimiento
+ * @param {Object} transaction - {amount, booking_date, concept, reference, counterparty_name}
+ * @param {Object} invoice - {invoice_number, invoice_date, due_date, total, outstanding_amount, nif}
+ * @param {number} [dateWindow]
+ * @returns {{score: number, reasons: string[]}}
+ */
+export const scoreCandidate = (transaction, invoice, dateWindow = DEFAULT_DATE_WINDOW) => {
+    const amount = CalculateHelper.roundCurrency(Math.abs(transaction.amount));
+    const haystack = compactText([transaction.concept, transaction.reference, transaction.counterparty_name].filter(Boolean).join(' '));
+    const reasons = [];
+
+    if (amount === CalculateHelper.roundCurrency(invoice.outstanding_amount)) {
+        reasons.push('amount');
+    } else if (amount === CalculateHelper.roundCurrency(invoice.total)) {
+        reasons.push('total');
+    }
+
+    const reference = CalculateHelper.formatDateISO(invoice.due_date || invoice.invoice_date);
+    if (reference && transaction.booking_date && daysBetween(transaction.booking_date, reference) <= dateWindow) {
+        reasons.push('date');
+    }
+
+    const invoiceNumber = compactText(invoice.invoice_number);
+    if (invoiceNumber.length >= 3 && haystack.includes(invoiceNumber)) reasons.push('invoice_number');
+
+    const nif = compactText(invoice.nif);
+    if (nif.length >= 8 && haystack.includes(nif)) reasons.push('nif');
+
+    return {
+        score: reasons.reduce((sum, reason) => sum + SCORES[reason], 0),
+        reasons
+    };
+};
+
+/**
+ * Facturas propuestas para un movimiento, de mayor a menor puntuación
+ * @param {Object} transaction
+ * @param {Object[]} candidates - Facturas del tipo que corresponde al signo del movimiento
+ * @param {number} [dateWindow]
+ * @returns {Object[]} [{invoice, score, reasons, amount}] con amount = lo que se imputaría
+ */
+export const proposeMatches = (transaction, candidates, dateWindow = DEFAULT_DATE_WINDOW) => {
+    const available = CalculateHelper.roundCurrency(Math.abs(transaction.amount) - (transaction.matched_amount || 0));
+
+    return candidates
+        .map(invoice => ({invoice, ...scoreCandidate(transaction, invoice, dateWindow)}))
+        .filter(match => match.score >= MIN_SCORE
+            && match.reasons.some(reason => ['amount', 'total', 'invoice_number'].includes(reason)))
+        .sort((a, b) => b.score - a.score
+            || String(a.invoice.due_date || a.invoice.invoice_date).localeCompare(String(b.invoice.due_date || b.invoice.invoice_date)))
+        .slice(0, MAX_PROPOSALS)
+        .map(match => ({
+            ...match,
+            amount: CalculateHelper.roundCurrency(Math.min(available, match.invoice.outstanding_amount))
+        }));
+};
@@ -1,5 +1,6 @@
 import InvoicesIssuedService from "../../services/invoicesIssuedServices.js";
 import { AppError } from '../../errors/AppError.js';
+import { allocateAmounts, computeShares } from './allocationHelpers.js';
 
 /**
  * HELPER PARA CÁLCULOS DE FACTURAS Y VALIDACIONES
@@ -19,18 +20,31 @@ export default class CalculateHelper {
     // Agruparlos al principio facilita su consulta y modificación.
     // ===========================================
 
+    // 'partially_collected' se deriva de los cobros imputados (/api/payments) y 'remitted' de las
+    // remesas SEPA (/api/sepa-remittances); ninguno de los dos se asigna a mano
     static getValidInvoicesIssuedStatuses() {
-        return ['pending', 'collected', 'overdue', 'disputed'];
+        return ['pending', 'partially_collected', 'remitted', 'collected', 'overdue', 'disputed'];
     }
 
+    // 'partially_paid' se deriva de los pagos registrados y 'payment_in_progress' de las
+    // transferencias SEPA sin confirmar; ninguno de los dos se asigna a mano
     static getValidInvoicesReceivedStatuses() {
-        return ['pending', 'paid', 'overdue', 'disputed'];
+        return ['pending', 'partially_paid', 'payment_in_progress', 'paid', 'overdue', 'disputed'];
     }
 
     static getValidPaymentMethods() {
         return ['transfer', 'direct_debit', 'cash', 'card', 'check'];
     }
 
+    // Cobro de facturas emitidas: además, aplicación de la fianza (solo desde el módulo de fianzas)
+    static getValidCollectionMethods() {
+        return [...this.getValidPaymentMethods(), 'deposit'];
+    }
+
+    static getValidLeaseStatuses() {
+        return ['active', 'terminated'];
+    }
+
     static getValidPaymentMethodExpenses() {
         return ['cash', 'card', 'transfer', 'direct_debit', 'check', 'company_card', 'petty_cash'];
     }
@@ -65,7 +79,7 @@ export default class CalculateHelper {
             'electricidad', 'gas', 'agua', 'comunidad', 'seguros',
             'residuos', 'mantenimiento', 'reparaciones', 'mobiliario',
             'servicios_profesionales', 'suministros', 'telefono', 'internet', 'seguridad',
-            'impuestos', 'otros'
+            'impuestos', 'alquiler', 'otros'
         ];
     }
 
@@ -82,6 +96,7 @@ export default class CalculateHelper {
             {value: 'mobiliario', label: 'Mobiliario'},
             {value: 'servicios_profesionales', label: 'Servicios Profesionales'},
             {value: 'suministros', label: 'Suministros'},
+            {value: 'alquiler', label: 'Alquiler de locales'},
             {value: 'otros', label: 'Otros'}
         ];
     }
@@ -365,6 +380,77 @@ export default class CalculateHelper {
         return Math.round((baseAmount * ivaRate / 100) * 100) / 100;
     }
 
+    /**
+     * Calcula los importes de una línea de factura
+     * base = cantidad × precio unitario − descuento (%); IVA e IRPF sobre la base de la línea
+     * @param {Object} line - {description, quantity (1), unit_price, discount (0), iva (21), irpf (0)}
+     * @returns {Object} Línea con tax_base, iva_amount, irpf_amount y total redondeados
+     */
+    static calculateLineAmounts(line) {
+        const quantity = isNaN(parseFloat(line.quantity)) ? 1 : parseFloat(line.quantity);
+        const unitPrice = parseFloat(line.unit_price) || 0;
+        const discount = parseFloat(line.discount) || 0;
+        const iva = isNaN(parseFloat(line.iva)) ? 21 : parseFloat(line.iva);
+        const irpf = parseFloat(line.irpf) || 0;
+
+        const taxBase = this.roundCurrency(quantity * unitPrice * (1 - discount / 100));
+        const ivaAmount = this.roundCurrency(taxBase * iva / 100);
+        const irpfAmount = this.roundCurrency(taxBase * irpf / 100);
+
+        return {
+            description: line.description,
+            quantity,
+            unit_price: unitPrice,
+            discount,
+            tax_base: taxBase,
+            iva,
+            iva_amount: ivaAmount,
+            irpf,
+            irpf_amount: irpfAmount,
+            total: this.roundCurrency(taxBase + ivaAmount - irpfAmount)
+        };
+    }
+
+    /**
+     * Calcula todas las líneas de una factura y deriva los importes de cabecera
+     * La cabecera suma las líneas ya redondeadas, así total = base + IVA − IRPF al céntimo.
+     * Si todas las líneas comparten tipo, la cabecera lo conserva; con tipos mixtos guarda
+     * el tipo efectivo (cuota / base) y el desglose real queda en las líneas.
+     * @param {Object[]} lines - Líneas de entrada
+     * @returns {Object} {lines, tax_base, iva, iva_amount, irpf, irpf_amount, total}
+     */
+    static calculateInvoiceLines(lines) {
+        const calculated = lines.map((line, index) => ({
+            line_number: index + 1,
+            ...this.calculateLineAmounts(line)
+        }));
+
+        const sum = (field) => this.roundCurrency(calculated.reduce((acc, line) => acc + line[field], 0));
+        const taxBase = sum('tax_base');
+        const ivaAmount = sum('iva_amount');
+        const irpfAmount = sum('irpf_amount');
+
+        return {
+            lines: calculated,
+            tax_base: taxBase,
+            iva: this.getHeaderRate(calculated, 'iva', ivaAmount, taxBase),
+            iva_amount: ivaAmount,
+            irpf: this.getHeaderRate(calculated, 'irpf', irpfAmount, taxBase),
+            irpf_amount: irpfAmount,
+            total: this.roundCurrency(taxBase + ivaAmount - irpfAmount)
+        };
+    }
+
+    /**
+     * Tipo a guardar en la cabecera: el común a todas las líneas o el efectivo
+     */
+    static getHeaderRate(lines, rateField, amount, taxBase) {
+        const rates = new Set(lines.map(line => line[rateField]));
+        if (rates.size === 1) return lines[0][rateField];
+        if (!taxBase) return 0;
+        return this.roundCurrency(amount / taxBase * 100);
+    }
+
     // ===========================================
     // 3. LÓGICA DE FECHAS, PERÍODOS Y RECURRENCIA
     // Comentario: Métodos dedicados a la manipulación y cálculo de fechas.
@@ -417,6 +503,59 @@ export default class CalculateHelper {
         return {year: dateObj.getFullYear(), month: dateObj.getMonth() + 1};
     }
 
+    /**
+     * Normaliza una fecha (string o Date de mysql2) a 'YYYY-MM-DD'.
+     * Los DATE de MySQL llegan como Date a medianoche local, por eso
+     * se usan los componentes locales y no toISOString().
+     */
+    static formatDateISO(date) {
+        if (!date) return null;
+        if (typeof date === 'string') return date.slice(0, 10);
+        const d = new Date(date);
+        const month = String(d.getMonth() + 1).padStart(2, '0');
+        const day = String(d.getDate()).padStart(2, '0');
+        return `${d.getFullYear()}-${month}-${day}`;
+    }
+
+    /**
+     * Suma días a una fecha y devuelve 'YYYY-MM-DD'
+     */
+    static addDays(date, days) {
+        const [year, month, day] = this.formatDateISO(date).split('-').map(Number);
+        const result = new Date(Date.UTC(year, month - 1, day + Number(days || 0)));
+        return result.toISOString().split('T')[0];
+    }
+
+    /**
+     * Calcula el período facturable de un contrato dentro de un mes concreto.
+     * Si el contrato empieza o termina dentro del mes el período es parcial
+     * y la factura debe ser proporcional.
+     * @param {string|Date} leaseStart - Fecha de inicio del contrato
+     * @param {string|Date|null} leaseEnd - Fecha de fin (null = indefinido)
+     * @param {number} year - Año
+     * @param {number} month - Mes (1-12)
+     * @returns {Object|null} {start_date, end_date, is_proportional} o null si no está vigente
+     */
+    static calculateLeasePeriod(leaseStart, leaseEnd, year, month) {
+        const mm = String(month).padStart(2, '0');
+        const monthStart = `${year}-${mm}-01`;
+        const monthEnd = `${year}-${mm}-${String(this.getDaysInMonth(year, month)).padStart(2, '0')}`;
+
+        const start = this.formatDateISO(leaseStart);
+        const end = this.formatDateISO(leaseEnd);
+
+        const periodStart = start > monthStart ? start : monthStart;
+        const periodEnd = end && end < monthEnd ? end : monthEnd;
+
+        if (periodStart > periodEnd) return null;
+
+        return {
+            start_date: periodStart,
+            end_date: periodEnd,
+            is_proportional: periodStart !== monthStart || periodEnd !== monthEnd
+        };
+    }
+
     static calculateNextOccurrence(currentDate, period) {
         const date = new Date(currentDate);
 
@@ -632,6 +771,44 @@ export default class CalculateHelper {
         };
     }
 
+    /**
+     * Valida las líneas de una factura antes de calcularlas
+     * @param {Object[]} lines - Líneas de entrada
+     * @returns {{isValid: boolean, message?: string}}
+     */
+    static validateInvoiceLines(lines) {
+        if (!Array.isArray(lines) || lines.length === 0) {
+            return {isValid: false, message: 'La factura debe tener al menos una línea'};
+        }
+
+        const validIvaRates = [0, 4, 10, 21];
+        for (const [index, line] of lines.entries()) {
+            const position = `Línea ${index + 1}`;
+            if (!line.description || !String(line.description).trim()) {
+                return {isValid: false, message: `${position}: la descripción es obligatoria`};
+            }
+            if (line.quantity !== undefined && !(parseFloat(line.quantity) > 0)) {
+                return {isValid: false, message: `${position}: la cantidad debe ser mayor que 0`};
+            }
+            if (isNaN(parseFloat(line.unit_price))) {
+                return {isValid: false, message: `${position}: el precio unitario es obligatorio`};
+            }
+            const discount = parseFloat(line.discount || 0);
+            if (isNaN(discount) || discount < 0 || discount > 100) {
+                return {isValid: false, message: `${position}: el descuento debe estar entre 0 y 100`};
+            }
+            if (!validIvaRates.includes(parseFloat(line.iva ?? 21))) {
+                return {isValid: false, message: `${position}: el IVA debe ser 0%, 4%, 10% o 21%`};
+            }
+            const irpf = parseFloat(line.irpf || 0);
+            if (isNaN(irpf) || irpf < 0 || irpf > 47) {
+                return {isValid: false, message: `${position}: el IRPF debe estar entre 0 y 47`};
+            }
+        }
+
+        return {isValid: true};
+    }
+
     static validateDateParams(year, quarter, month) {
         if (!year || year < 2020 || year > 2030) {
             return {isValid: false, message: 'Año debe estar entre 2020 y 2030'};
@@ -727,6 +904,19 @@ export default class CalculateHelper {
     }
 
     static mapInvoiceIssuedToVATEntry(invoice, index) {
+        const taxBase = parseFloat(invoice.tax_base || 0);
+        const ivaRate = parseFloat(invoice.iva ?? invoice.iva_percentage ?? 0);
+        const irpfRate = parseFloat(invoice.irpf ?? invoice.irpf_percentage ?? 0);
+
+        // Con líneas, las cuotas salen de las líneas (cada una con su tipo)
+        const lineBreakdown = invoice.lines?.length ? this.calculateLinesBreakdown(invoice.lines) : null;
+        const cuotaIVA = lineBreakdown
+            ? this.roundCurrency(lineBreakdown.iva.reduce((sum, item) => sum + item.amount, 0))
+            : parseFloat((taxBase * ivaRate / 100) || 0);
+        const cuotaIRPF = lineBreakdown
+            ? this.roundCurrency(lineBreakdown.irpf.reduce((sum, item) => sum + item.amount, 0))
+            : parseFloat((taxBase * irpfRate / 100) || 0);
+
         return {
             // Campos obligatorios según AEAT
             numeroRegistro: index + 1,
@@ -736,12 +926,13 @@ export default class CalculateHelper {
             nifCliente: invoice.client_nif || '',
 
             // Importes fiscales
-            baseImponible: parseFloat(invoice.tax_base || 0),
-            tipoIVA: parseFloat(invoice.iva || 0),
-            cuotaIVA: parseFloat((invoice.tax_base * invoice.iva / 100) || 0),
-            tipoIRPF: parseFloat(invoice.irpf || 0),
-            cuotaIRPF: parseFloat((invoice.tax_base * invoice.irpf / 100) || 0),
+            baseImponible: taxBase,
+            tipoIVA: ivaRate,
+            cuotaIVA,
+            tipoIRPF: irpfRate,
+            cuotaIRPF,
             importeTotal: parseFloat(invoice.total || 0),
+            desgloseIVA: this.buildEntryVATBreakdown(lineBreakdown, taxBase, ivaRate, cuotaIVA),
 
             // Información adicional
             concepto: 'Servicios profesionales',
@@ -780,6 +971,12 @@ export default class CalculateHelper {
             tipoIRPF: parseFloat(invoice.irpf_percentage || 0),
             cuotaIRPF: parseFloat(invoice.irpf_amount || 0),
             importeTotal: parseFloat(invoice.total_amount || 0),
+            desgloseIVA: this.buildEntryVATBreakdown(
+                invoice.lines?.length ? this.calculateLinesBreakdown(invoice.lines) : null,
+                parseFloat(invoice.tax_base || 0),
+                parseFloat(invoice.iva_percentage || 0),
+                parseFloat(invoice.iva_amount || 0)
+            ),
 
             // Información adicional
             concepto: invoice.description || invoice.category || '',
@@ -830,6 +1027,15 @@ export default class CalculateHelper {
         };
     }
 
+    /**
+     * Desglose por tipo de IVA de un asiento del libro
+     * Con líneas, un tramo por tipo; sin líneas, un único tramo con los datos de cabecera.
+     */
+    static buildEntryVATBreakdown(lineBreakdown, taxBase, ivaRate, ivaAmount) {
+        if (!lineBreakdown) return [{tipoIVA: ivaRate, baseImponible: taxBase, cuotaIVA: ivaAmount}];
+        return lineBreakdown.iva.map(item => ({tipoIVA: item.rate, baseImponible: item.base, cuotaIVA: item.amount}));
+    }
+
     static determineOperationKey(entry) {
         if (entry.is_refund) return '02'; // Abono
         if ((entry.iva_percentage === 0 && entry.iva_percentage !== undefined) || (entry.iva === 0 && entry.iva !== undefined)) return '03'; // Exento
@@ -908,9 +1114,16 @@ export default class CalculateHelper {
         };
     }
 
-    static calculateVATBookByOwner(invoicesIssued, invoicesReceived, internalExpenses, allOwners, year, quarter = null, month = null) {
+    /**
+     * Libro de IVA consolidado por propietario
+     * Los gastos sin inmueble se imputan con el reparto guardado de cada gasto
+     * (expense_allocations); los que aún no lo tienen se reparten a partes
+     * iguales entre todos los propietarios y se cuentan en unallocated_items.
+     * @param {Object[]} [allocations] - Filas de expense_allocations
+     */
+    static calculateVATBookByOwner(invoicesIssued, invoicesReceived, internalExpenses, allOwners, year, quarter = null, month = null, allocations = []) {
         const ownerSummary = {};
-        const ownerIds = allOwners.map(o => o.id); // IDs de los propietarios para reparto general
+        const equalShares = computeShares('equal', {owners: allOwners}); // Reparto de gastos generales sin reparto guardado
         const ownerMap = new Map(allOwners.map(owner => [owner.id, owner.name]));
 
         // Función auxiliar para inicializar el resumen de un propietario
@@ -949,6 +1162,15 @@ export default class CalculateHelper {
             }
         }
 
+        // Reparto guardado por gasto: 'received:{id}' / 'internal_expenses:{id}'
+        const storedAllocations = new Map();
+        allocations.forEach(row => {
+            const key = row.invoice_received_id ? `received:${row.invoice_received_id}` : `internal_expenses:${row.internal_expense_id}`;
+            if (!storedAllocations.has(key)) storedAllocations.set(key, []);
+            storedAllocations.get(key).push(row);
+        });
+        let unallocatedItems = 0;
+
         // Procesar Facturas Recibidas y Gastos Internos
         // Estos pueden estar asociados a una propiedad con reparto o ser gastos generales de la "empresa"
         const processSharedItems = (items, type) => {
@@ -963,23 +1185,25 @@ export default class CalculateHelper {
                     ownerSummary[item.owners_id][type].total += item.total_amount * share;
                     ownerSummary[item.owners_id][type].count += 1;
                 } else if (!item.property_id) {
-                    // Caso: Gasto/Factura no asociado a ninguna propiedad, se asume general de la empresa
-                    // y se reparte equitativamente entre los 3 propietarios.
-                    // Esto aplica la lógica de "el 100% se dividen entre los tres".
-                    const totalAmount = item.total_amount;
-                    const ivaAmount = item.iva_amount || 0;
-                    const taxBase = item.tax_base || item.amount;
-                    const irpfAmount = item.irpf_amount || 0;
-
-                    const shares = [0.3333, 0.3333, 0.3334]; // Reparto 100% entre 3, ajustando para sumar 100%
-                    ownerIds.forEach((ownerId, index) => {
-                        initializeOwnerSummary(ownerId);
-                        const share = shares[index];
-                        ownerSummary[ownerId][type].base += taxBase * share;
-                        ownerSummary[ownerId][type].iva += ivaAmount * share;
-                        ownerSummary[ownerId][type].irpf += irpfAmount * share;
-                        ownerSummary[ownerId][type].total += totalAmount * share;
-                        ownerSummary[ownerId][type].count += 1;
+                    // Caso: Gasto/Factura no asociado a ninguna propiedad (gasto general de la empresa).
+                    // Se imputa con el reparto guardado; si no lo tiene, a partes iguales entre todos.
+                    let rows = storedAllocations.get(`${type}:${item.id}`);
+                    if (!rows) {
+                        rows = allocateAmounts({
+                            base: item.tax_base ?? item.amount,
+                            iva: item.iva_amount || 0,
+                            irpf: item.irpf_amount || 0
+                        }, equalShares);
+                        unallocatedItems += 1;
+                    }
+
+                    rows.forEach(row => {
+                        initializeOwnerSummary(row.owners_id);
+                        ownerSummary[row.owners_id][type].base += parseFloat(row.base);
+                        ownerSummary[row.owners_id][type].iva += parseFloat(row.iva);
+                        if (type === 'received') ownerSummary[row.owners_id][type].irpf += parseFloat(row.irpf);
+                        ownerSummary[row.owners_id][type].total += parseFloat(row.total);
+                        ownerSummary[row.owners_id][type].count += 1;
                     });
                 }
                 // Si tiene property_id pero owners_id/ownership_percent son null/0, significa que la propiedad
@@ -1040,7 +1264,8 @@ export default class CalculateHelper {
 
         return {
             summary_by_owner: summaryByOwner,
-            overall_total: overallTotal
+            overall_total: overallTotal,
+            unallocated_items: unallocatedItems
         };
     }
 
@@ -1097,19 +1322,24 @@ export default class CalculateHelper {
         const breakdown = {};
 
         entries.forEach(entry => {
-            const rate = entry.tipoIVA;
-            if (!breakdown[rate]) {
-                breakdown[rate] = {
-                    tipoIVA: rate,
-                    baseImponible: 0,
-                    cuotaIVA: 0,
-                    numeroFacturas: 0
-                };
-            }
+            // Facturas con líneas aportan un tramo por cada tipo de IVA que contienen
+            const parts = entry.desgloseIVA || [entry];
+
+            parts.forEach(part => {
+                const rate = part.tipoIVA;
+                if (!breakdown[rate]) {
+                    breakdown[rate] = {
+                        tipoIVA: rate,
+                        baseImponible: 0,
+                        cuotaIVA: 0,
+                        numeroFacturas: 0
+                    };
+                }
 
-            breakdown[rate].baseImponible += entry.baseImponible;
-            breakdown[rate].cuotaIVA += entry.cuotaIVA;
-            breakdown[rate].numeroFacturas += 1;
+                breakdown[rate].baseImponible += part.baseImponible;
+                breakdown[rate].cuotaIVA += part.cuotaIVA;
+                breakdown[rate].numeroFacturas += 1;
+            });
         });
 
         // Redondear y ordenar
@@ -1122,6 +1352,31 @@ export default class CalculateHelper {
             .sort((a, b) => b.tipoIVA - a.tipoIVA);
     }
 
+    /**
+     * Agrupa las líneas de una factura por tipo de IVA y por tipo de IRPF
+     * @param {Object[]} lines - Líneas con tax_base, iva, iva_amount, irpf, irpf_amount
+     * @returns {{iva: Array<{rate, base, amount}>, irpf: Array<{rate, base, amount}>}}
+     */
+    static calculateLinesBreakdown(lines) {
+        const group = (rateField, amountField) => {
+            const groups = {};
+            lines.forEach(line => {
+                const rate = parseFloat(line[rateField]) || 0;
+                if (!groups[rate]) groups[rate] = {rate, base: 0, amount: 0};
+                groups[rate].base += parseFloat(line.tax_base) || 0;
+                groups[rate].amount += parseFloat(line[amountField]) || 0;
+            });
+            return Object.values(groups)
+                .map(item => ({rate: item.rate, base: this.roundCurrency(item.base), amount: this.roundCurrency(item.amount)}))
+                .sort((a, b) => b.rate - a.rate);
+        };
+
+        return {
+            iva: group('iva', 'iva_amount'),
+            irpf: group('irpf', 'irpf_amount')
+        };
+    }
+
     static groupByField(entries, field) {
         return entries.reduce((groups, entry) => {
             const key = entry[field] || 'Sin especificar';
@@ -0,0 +1,95 @@
+/**
+ * @fileoverview Reclamación escalonada de facturas vencidas
+ *
+ * Cada nivel fija los días de retraso a partir de los que se envía su carta.
+ * Una factura avanza de uno en uno: recibe el nivel siguiente al último
+ * enviado cuando alcanza sus días (una factura con 65 días de retraso sin
+ * cartas recibe primero el recordatorio, no el borrador de burofax) y nunca
+ * recibe dos veces el mismo nivel.
+ */
+
+export const LETTER_TYPES = ['reminder', 'formal_notice', 'burofax'];
+
+// reason de dunning_pauses: compromiso de pago (con fecha) o factura discutida.
+// Las pausas 'resolved' no se crean a mano: las crea resolver una entrada de la
+// lista de impagos (SepaReturnsRepository.resolveDunningEntry)
+export const PAUSE_REASONS = ['payment_promise', 'dispute'];
+
+export const TEMPLATE_PLACEHOLDERS = [
+    'client_name', 'client_identification', 'client_address',
+    'invoice_number', 'invoice_date', 'due_date', 'days_overdue', 'outstanding_amount',
+    'estate_address', 'company_name', 'company_bank_account', 'today'
+];
+
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+/**
+ * Marcadores de la plantilla que no existen
+ * @example findUnknownPlaceholders('Hola {{client_name}}, {{foo}}') // ['foo']
+ */
+export const findUnknownPlaceholders = (template) => {
+    const unknown = [...String(template ?? '').matchAll(PLACEHOLDER_PATTERN)]
+        .map(match => match[1])
+        .filter(name => !TEMPLATE_PLACEHOLDERS.includes(name));
+    return [...new Set(unknown)];
+};
+
+/**
+ * Sustituye los marcadores {{nombre}} por sus valores
+ */
+export const renderTemplate = (template, values) =>
+    String(template ?? '').replace(PLACEHOLDER_PATTERN, (match, name) => values[name] ?? '');
+
+/**
+ * Siguiente nivel activo tras el último enviado, o null si no hay más niveles
+ * o la factura aún no alcanza sus días de retraso
+ * @param {Array} levels - niveles activos
+ * @param {number} daysOverdue - días desde el vencimiento
+ * @param {number|null} currentLevel - nivel más alto ya enviado
+ */
+export const nextDunningLevel = (levels, daysOverdue, currentLevel = null) => {
+    const next = levels
+        .filter(level => level.level > Number(currentLevel ?? 0))
+        .sort((a, b) => a.level - b.level)[0];
+
+    if (!next || Number(next.days_overdue) > daysOverdue) return null;
+    return next;
+};
+
+/**
+ * Pausa activa que afecta a la factura (la de la propia factura o la de todo el cliente)
+ * @param {Array} pauses - pausas activas y vigentes
+ */
+export const findPause = (pauses, invoice) =>
+    pauses.find(pause => pause.clients_id === invoice.clients_id
+        && (!pause.invoice_issued_id || pause.invoice_issued_id === invoice.id)) ?? null;
+
+const formatLetterDate = (value) => {
+    if (!value) return '';
+    const [year, month, day] = String(value).slice(0, 10).split('-');
+    return `${day}/${month}/${year}`;
+};
+
+const formatLetterAmount = (amount) => `${Number(amount || 0).toFixed(2).replace('.', ',')} €`;
+
+/**
+ * Valores de los marcadores para la carta de una factura
+ * @param {Object} invoice - factura vencida (DunningService.getOverdueInvoices)
+ * @param {Object} company - CompanyService.getCompanyData()
+ * @param {string} today - 'YYYY-MM-DD'
+ */
+export const buildLetterValues = (invoice, company, today) => ({
+    client_name: invoice.client_name,
+    client_identification: invoice.client_identification,
+    client_address: [invoice.client_address, invoice.client_postal_code, invoice.client_location, invoice.client_province]
+        .filter(Boolean).join(', '),
+    invoice_number: invoice.invoice_number,
+    invoice_date: formatLetterDate(invoice.invoice_date),
+    due_date: formatLetterDate(invoice.due_date),
+    days_overdue: String(invoice.days_overdue),
+    outstanding_amount: formatLetterAmount(invoice.outstanding_amount),
+    estate_address: invoice.estate_address,
+    company_name: company.name,
+    company_bank_account: company.bank_account,
+    today: formatLetterDate(today)
+});
@@ -0,0 +1,53 @@
+/**
+ * @fileoverview Periodos fiscales: mes, trimestre o ejercicio
+ *
+ * Un periodo se identifica por tipo, año y número (mes 1-12, trimestre 1-4
+ * o 0 en el ejercicio). Los periodos pueden solaparse (un ejercicio cerrado
+ * incluye sus trimestres): una fecha está bloqueada si cae en cualquier
+ * periodo cerrado.
+ */
+
+export const PERIOD_TYPES = ['month', 'quarter', 'year'];
+
+export const PERIOD_STATUSES = ['open', 'closed'];
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const lastDayOfMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+/**
+ * Número de periodo válido para su tipo (0 en el ejercicio)
+ */
+export const normalizePeriod = (periodType, period) => (periodType === 'year' ? 0 : Number(period));
+
+/**
+ * Fechas de inicio y fin del periodo
+ * @example getPeriodRange('quarter', 2025, 1) // {start_date: '2025-01-01', end_date: '2025-03-31'}
+ * @returns {{start_date: string, end_date: string}|null} null si el número no es válido para el tipo
+ */
+export const getPeriodRange = (periodType, year, period) => {
+    const number = normalizePeriod(periodType, period);
+
+    if (periodType === 'year') return {start_date: `${year}-01-01`, end_date: `${year}-12-31`};
+    if (periodType === 'quarter' && number >= 1 && number <= 4) {
+        const lastMonth = number * 3;
+        return {
+            start_date: `${year}-${pad(lastMonth - 2)}-01`,
+            end_date: `${year}-${pad(lastMonth)}-${lastDayOfMonth(year, lastMonth)}`
+        };
+    }
+    if (periodType === 'month' && number >= 1 && number <= 12) {
+        return {start_date: `${year}-${pad(number)}-01`, end_date: `${year}-${pad(number)}-${lastDayOfMonth(year, number)}`};
+    }
+    return null;
+};
+
+/**
+ * Nombre del periodo para mensajes
+ * @example getPeriodLabel({period_type: 'quarter', year: 2025, period: 1}) // '1T 2025'
+ */
+export const getPeriodLabel = ({period_type, year, period}) => {
+    if (period_type === 'quarter') return `${period}T ${year}`;
+    if (period_type === 'month') return `${pad(period)}/${year}`;
+    return `ejercicio ${year}`;
+};
@@ -0,0 +1,103 @@
+/**
+ * @fileoverview Utilidades para las series de numeración de facturas.
+ *
+ * Un patrón combina texto fijo con los marcadores:
+ * - {OWNER}  Código del propietario (owner_code de la serie o su NIF)
+ * - {YYYY}   Año fiscal con 4 dígitos
+ * - {YY}     Año fiscal con 2 dígitos
+ * - {SEQ:n}  Número correlativo con n dígitos (relleno con ceros; {SEQ} = 4)
+ *
+ * @example
+ * formatSeriesNumber('{OWNER}-{YYYY}-{SEQ:5}', {ownerCode: 'JPG', year: 2025, sequence: 7});
+ * // 'JPG-2025-00007'
+ */
+
+const TOKEN_REGEX = /\{([A-Z]+)(?::(\d+))?\}/g;
+const DEFAULT_SEQ_DIGITS = 4;
+const MAX_NUMBER_LENGTH = 50; // invoices_issued.invoice_number VARCHAR(50)
+
+/**
+ * Valida un patrón de numeración
+ * @param {string} pattern - Patrón a validar
+ * @param {Object} options
+ * @param {boolean} options.shared - true para series por defecto (compartidas): exigen {OWNER}
+ * @returns {{isValid: boolean, message?: string}}
+ */
+export const validateSeriesPattern = (pattern, {shared = false} = {}) => {
+    if (!pattern || typeof pattern !== 'string') {
+        return {isValid: false, message: 'El patrón de numeración es obligatorio'};
+    }
+
+    const tokens = [...pattern.matchAll(TOKEN_REGEX)];
+    const unknown = tokens.find(([, name]) => !['OWNER', 'YYYY', 'YY', 'SEQ'].includes(name));
+    if (unknown) {
+        return {isValid: false, message: `Marcador desconocido en el patrón: ${unknown[0]}`};
+    }
+
+    const seqTokens = tokens.filter(([, name]) => name === 'SEQ');
+    if (seqTokens.length !== 1) {
+        return {isValid: false, message: 'El patrón debe contener exactamente un marcador {SEQ:n}'};
+    }
+    const digits = seqTokens[0][2] ? Number(seqTokens[0][2]) : DEFAULT_SEQ_DIGITS;
+    if (digits < 1 || digits > 10) {
+        return {isValid: false, message: 'El número de dígitos de {SEQ:n} debe estar entre 1 y 10'};
+    }
+
+    // El número reinicia cada año: sin año en el patrón se repetirían números
+    if (!tokens.some(([, name]) => name === 'YYYY' || name === 'YY')) {
+        return {isValid: false, message: 'El patrón debe contener el año ({YYYY} o {YY})'};
+    }
+
+    if (shared && !tokens.some(([, name]) => name === 'OWNER')) {
+        return {isValid: false, message: 'Las series por defecto deben contener {OWNER} para distinguir a cada propietario'};
+    }
+
+    const literal = pattern.replace(TOKEN_REGEX, '');
+    if (!/^[A-Z0-9\-/]*$/i.test(literal)) {
+        return {isValid: false, message: 'El patrón solo puede contener letras, números, guiones y barras'};
+    }
+
+    return {isValid: true};
+};
+
+/**
+ * Genera el número de factura a partir del patrón
+ * @param {string} pattern - Patrón validado
+ * @param {Object} values
+ * @param {string} values.ownerCode - Valor de {OWNER}
+ * @param {number} values.year - Año fiscal
+ * @param {number} values.sequence - Número correlativo
+ * @returns {string} Número de factura
+ * @throws {Error} Si el número generado supera la longitud máxima
+ */
+export const formatSeriesNumber = (pattern, {ownerCode, year, sequence}) => {
+    const number = pattern.replace(TOKEN_REGEX, (match, name, digits) => {
+        switch (name) {
+            case 'OWNER':
+                return String(ownerCode || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+            case 'YYYY':
+                return String(year);
+            case 'YY':
+                return String(year).slice(-2);
+            case 'SEQ':
+                return String(sequence).padStart(digits ? Number(digits) : DEFAULT_SEQ_DIGITS, '0');
+            default:
+                return match;
+        }
+    });
+
+    if (number.length > MAX_NUMBER_LENGTH) {
+        throw new Error(`El número de factura generado supera ${MAX_NUMBER_LENGTH} caracteres`);
+    }
+    return number;
+};
+
+/**
+ * Año fiscal de una fecha de factura (YYYY-MM-DD o Date)
+ * @param {string|Date} date - Fecha de la factura
+ * @returns {number} Año
+ */
+export const getFiscalYear = (date) => {
+    if (typeof date === 'string' && /^\d{4}-/.test(date)) return Number(date.slice(0, 4));
+    return new Date(date || Date.now()).getFullYear();
+};
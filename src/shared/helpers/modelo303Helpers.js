@@ -0,0 +1,175 @@
+/**
+ * @fileoverview Cálculo de las casillas del modelo 303 (autoliquidación trimestral de IVA).
+ *
+ * Parte de los asientos de los libros de IVA del trimestre (VATBookService):
+ * - IVA devengado: bases y cuotas por tipo (casillas 01-09 y 153-155); los abonos
+ *   van a modificación de bases y cuotas (14-15). Las operaciones al 0% (alquiler
+ *   de vivienda exento) no se declaran en el régimen general.
+ * - IVA deducible: operaciones interiores corrientes (28-29) y rectificación de
+ *   deducciones por abonos recibidos (40-41). Solo asientos deducibles.
+ * - Resultado: compensación de cuotas de períodos anteriores (110, 78, 87).
+ *
+ * Las casillas se devuelven como objeto {'01': base, '02': tipo, ...}.
+ */
+
+import CalculateHelper from './calculateTotal.js';
+
+// Base, tipo y cuota de cada tipo de IVA devengado
+export const ACCRUED_RATE_BOXES = {
+    4: ['01', '02', '03'],
+    5: ['153', '154', '155'],
+    10: ['04', '05', '06'],
+    21: ['07', '08', '09']
+};
+
+export const DECLARATION_TYPES = {
+    I: 'Resultado a ingresar',
+    C: 'Resultado a compensar',
+    D: 'Resultado a devolver',
+    N: 'Sin actividad / resultado cero'
+};
+
+/**
+ * Descripción de las casillas que calcula la aplicación (para el PDF y la API)
+ */
+export const MODELO_303_BOX_LABELS = {
+    '01': 'Régimen general 4% - Base imponible',
+    '03': 'Régimen general 4% - Cuota',
+    '153': 'Régimen general 5% - Base imponible',
+    '155': 'Régimen general 5% - Cuota',
+    '04': 'Régimen general 10% - Base imponible',
+    '06': 'Régimen general 10% - Cuota',
+    '07': 'Régimen general 21% - Base imponible',
+    '09': 'Régimen general 21% - Cuota',
+    '14': 'Modificación de bases y cuotas - Base imponible',
+    '15': 'Modificación de bases y cuotas - Cuota',
+    '27': 'Total cuota devengada',
+    '28': 'Operaciones interiores corrientes - Base',
+    '29': 'Operaciones interiores corrientes - Cuota deducible',
+    '40': 'Rectificación de deducciones - Base',
+    '41': 'Rectificación de deducciones - Cuota',
+    '45': 'Total a deducir',
+    '46': 'Resultado régimen general',
+    '64': 'Suma de resultados',
+    '65': '% atribuible a la Administración del Estado',
+    '66': 'Atribuible a la Administración del Estado',
+    '110': 'Cuotas a compensar pendientes de períodos anteriores',
+    '78': 'Cuotas a compensar de períodos anteriores aplicadas en este período',
+    '87': 'Cuotas a compensar pendientes de aplicar en períodos posteriores',
+    '69': 'Resultado',
+    '71': 'Resultado de la liquidación'
+};
+
+const round = (value) => CalculateHelper.roundCurrency(value);
+
+const sumBoxes = (boxes, keys) => round(keys.reduce((acc, key) => acc + (boxes[key] || 0), 0));
+
+const isRefundEntry = (entry) => entry.claveOperacion === '02';
+
+/**
+ * Casillas vacías: todas las importes a 0 y los tipos de IVA fijos
+ */
+const emptyBoxes = () => {
+    const boxes = {};
+    Object.entries(ACCRUED_RATE_BOXES).forEach(([rate, [base, type, quota]]) => {
+        boxes[base] = 0;
+        boxes[type] = Number(rate);
+        boxes[quota] = 0;
+    });
+    ['14', '15', '27', '28', '29', '40', '41', '45', '46', '64', '66', '110', '78', '87', '69', '71'].forEach(key => {
+        boxes[key] = 0;
+    });
+    boxes['65'] = 100;
+    return boxes;
+};
+
+/**
+ * Calcula la autoliquidación del trimestre
+ * @param {Object[]} chargedEntries - Asientos del libro de IVA repercutido del trimestre
+ * @param {Object[]} supportedEntries - Asientos del libro de IVA soportado del trimestre
+ * @param {Object} options
+ * @param {number} options.quarter - Trimestre (1-4)
+ * @param {number} options.pendingCompensation - Cuotas a compensar de períodos anteriores (casilla 110)
+ * @param {boolean} options.requestRefund - Solicitar devolución si sale a devolver (solo 4T)
+ * @returns {Object} {boxes, declaration_type, compensation, exempt_base, warnings}
+ */
+export const calculateModelo303 = (chargedEntries, supportedEntries, {quarter, pendingCompensation = 0, requestRefund = false}) => {
+    const boxes = emptyBoxes();
+    const warnings = [];
+    let exemptBase = 0;
+
+    // IVA devengado
+    chargedEntries.forEach(entry => {
+        const parts = entry.desgloseIVA || [{tipoIVA: entry.tipoIVA, baseImponible: entry.baseImponible, cuotaIVA: entry.cuotaIVA}];
+
+        if (isRefundEntry(entry)) {
+            parts.forEach(part => {
+                boxes['14'] += part.baseImponible;
+                boxes['15'] += part.cuotaIVA;
+            });
+            return;
+        }
+
+        parts.forEach(part => {
+            const rate = parseFloat(part.tipoIVA) || 0;
+            if (rate === 0) {
+                exemptBase += part.baseImponible;
+                return;
+            }
+            const rateBoxes = ACCRUED_RATE_BOXES[rate];
+            if (!rateBoxes) {
+                warnings.push(`Factura ${entry.numeroFactura}: tipo de IVA ${rate}% sin casilla en el modelo 303`);
+                return;
+            }
+            boxes[rateBoxes[0]] += part.baseImponible;
+            boxes[rateBoxes[2]] += part.cuotaIVA;
+        });
+    });
+
+    // IVA deducible (solo cuotas efectivamente soportadas)
+    supportedEntries
+        .filter(entry => entry.deducible && entry.cuotaIVA !== 0)
+        .forEach(entry => {
+            const [baseBox, quotaBox] = isRefundEntry(entry) ? ['40', '41'] : ['28', '29'];
+            boxes[baseBox] += entry.baseImponible;
+            boxes[quotaBox] += entry.cuotaIVA;
+        });
+
+    Object.keys(boxes).forEach(key => {
+        boxes[key] = round(boxes[key]);
+    });
+
+    boxes['27'] = sumBoxes(boxes, ['03', '155', '06', '09', '15']);
+    boxes['45'] = sumBoxes(boxes, ['29', '41']);
+    boxes['46'] = round(boxes['27'] - boxes['45']);
+    boxes['64'] = boxes['46'];
+    boxes['66'] = round(boxes['64'] * boxes['65'] / 100);
+
+    // Compensación: solo se aplica lo necesario para dejar a cero un resultado positivo
+    boxes['110'] = round(Math.max(0, pendingCompensation));
+    boxes['78'] = round(Math.min(boxes['110'], Math.max(0, boxes['66'])));
+    boxes['87'] = round(boxes['110'] - boxes['78']);
+    boxes['69'] = round(boxes['66'] - boxes['78']);
+    boxes['71'] = boxes['69'];
+
+    let declarationType = 'N';
+    if (boxes['71'] > 0) declarationType = 'I';
+    if (boxes['71'] < 0) declarationType = quarter === 4 && requestRefund ? 'D' : 'C';
+
+    // Lo que queda para los trimestres siguientes: lo no aplicado más el nuevo saldo a compensar
+    const generated = declarationType === 'C' ? Math.abs(boxes['71']) : 0;
+
+    return {
+        boxes,
+        declaration_type: declarationType,
+        compensation: {
+            pending_previous: boxes['110'],
+            applied: boxes['78'],
+            remaining: boxes['87'],
+            generated: round(generated),
+            carry_forward: round(boxes['87'] + generated)
+        },
+        exempt_base: round(exemptBase),
+        warnings
+    };
+};
@@ -0,0 +1,111 @@
+/**
+ * @fileoverview Declaración anual de operaciones con terceras personas (modelo 347).
+ *
+ * Se declaran los clientes y proveedores con los que el total anual de
+ * operaciones (IVA incluido, sin descontar retenciones) supera 3.005,06 €,
+ * agrupados por NIF y clave de operación y desglosados por trimestre:
+ * - Clave 'A' (adquisiciones): facturas recibidas y gastos internos con NIF del proveedor
+ * - Clave 'B' (entregas): facturas emitidas a clientes
+ *
+ * Las rectificativas restan en el trimestre en que se emiten. No se declaran
+ * las compras sometidas a retención (alquileres y profesionales, que van en
+ * los modelos 180 y 190). Los alquileres de locales que cobran los
+ * propietarios sí se declaran aunque el arrendatario retenga, marcados como
+ * arrendamiento y con la referencia catastral de cada inmueble.
+ */
+
+import CalculateHelper from './calculateTotal.js';
+import { getProvinceCode } from './rentWithholdingHelpers.js';
+
+export const MODELO_347_THRESHOLD = 3005.06;
+
+export const OPERATION_KEYS = {
+    A: 'Adquisiciones de bienes y servicios',
+    B: 'Entregas de bienes y prestaciones de servicios'
+};
+
+const round = (value) => CalculateHelper.roundCurrency(value);
+
+const quarterOf = (date) => Math.floor(new Date(date).getMonth() / 3) + 1;
+
+/**
+ * Agrupa las operaciones por NIF y clave y aplica el umbral
+ * @param {Object[]} operations - {key, nif, name, postal_code, date, amount, document,
+ *                                 is_rent, business_premises, estate}
+ * @param {number} [threshold]
+ * @returns {{declared: Object[], below_threshold: Object[]}}
+ */
+export const aggregateModelo347 = (operations, threshold = MODELO_347_THRESHOLD) => {
+    const groups = new Map();
+
+    operations.forEach(operation => {
+        const key = `${operation.nif}|${operation.key}`;
+        if (!groups.has(key)) {
+            groups.set(key, {
+                key: operation.key,
+                nif: operation.nif,
+                name: operation.name,
+                province_code: getProvinceCode(operation.postal_code),
+                amount: 0,
+                by_quarter: {1: 0, 2: 0, 3: 0, 4: 0},
+                is_rent: false,
+                business_premises: false,
+                estates: [],
+                operation_count: 0,
+                documents: []
+            });
+        }
+
+        const group = groups.get(key);
+        group.amount += operation.amount;
+        group.by_quarter[quarterOf(operation.date)] += operation.amount;
+        group.operation_count += 1;
+        group.documents.push(operation.document);
+
+        if (operation.is_rent) {
+            group.is_rent = true;
+            group.business_premises = group.business_premises || Boolean(operation.business_premises);
+
+            if (operation.estate) {
+                let estate = group.estates.find(item => item.id === operation.estate.id);
+                if (!estate) {
+                    estate = {...operation.estate, business_premises: false, amount: 0};
+                    group.estates.push(estate);
+                }
+                estate.amount += operation.amount;
+                estate.business_premises = estate.business_premises || Boolean(operation.business_premises);
+            }
+        }
+    });
+
+    const declared = [];
+    const belowThreshold = [];
+
+    [...groups.values()]
+        .map(group => ({
+            ...group,
+            amount: round(group.amount),
+            by_quarter: Object.fromEntries(Object.entries(group.by_quarter).map(([quarter, amount]) => [quarter, round(amount)])),
+            estates: group.estates.map(estate => ({...estate, amount: round(estate.amount)}))
+        }))
+        .sort((a, b) => a.key.localeCompare(b.key) || b.amount - a.amount)
+        .forEach(group => (Math.abs(group.amount) > threshold ? declared : belowThreshold).push(group));
+
+    return {declared, below_threshold: belowThreshold};
+};
+
+/**
+ * Totales de la declaración (registro del declarante)
+ * @param {Object[]} declared - Grupos declarados
+ * @returns {{records: number, amount: number, estates: number, rent_amount: number}}
+ */
+export const sumModelo347 = (declared) => {
+    const rentEstates = declared.flatMap(group => group.estates.filter(estate => estate.business_premises));
+
+    return {
+        records: declared.length,
+        amount: round(declared.reduce((acc, group) => acc + group.amount, 0)),
+        estates: rentEstates.length,
+        rent_amount: round(rentEstates.reduce((acc, estate) => acc + estate.amount, 0))
+    };
+};
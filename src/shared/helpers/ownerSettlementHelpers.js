@@ -0,0 +1,109 @@
+/**
+ * @fileoverview Liquidación a propietarios.
+ *
+ * Lo que se paga a cada propietario en un período:
+ * - Cobros: facturas emitidas por el propietario y cobradas (ya van por su
+ *   cuota, el reparto se hace al facturar). Se liquida lo cobrado (total con
+ *   IVA y neto de la retención, que ingresa el inquilino).
+ * - Gastos: facturas recibidas y gastos internos de sus inmuebles por el
+ *   porcentaje de propiedad, y los gastos generales por el reparto guardado
+ *   en expense_allocations. Las facturas recibidas rectificativas restan.
+ * - Comisión de gestión: porcentaje sobre la base de los alquileres cobrados,
+ *   más su IVA.
+ */
+
+import CalculateHelper from './calculateTotal.js';
+
+export const SETTLEMENT_STATUSES = ['draft', 'approved', 'paid'];
+
+export const DEFAULT_COMMISSION_IVA_RATE = 21;
+
+const round = (value) => CalculateHelper.roundCurrency(value);
+
+/**
+ * Documento de una factura emitida cobrada
+ */
+export const buildIssuedItem = (invoice) => {
+    const base = parseFloat(invoice.tax_base) || 0;
+    return {
+        item_type: 'issued',
+        item_id: invoice.id,
+        item_date: invoice.collection_date || invoice.invoice_date,
+        reference: invoice.invoice_number,
+        description: invoice.estate_address ? `Alquiler ${invoice.estate_address}` : 'Alquiler',
+        percentage: 100,
+        base: round(base),
+        iva: round(base * (parseFloat(invoice.iva) || 0) / 100),
+        irpf: round(base * (parseFloat(invoice.irpf) || 0) / 100),
+        total: round(parseFloat(invoice.total) || 0)
+    };
+};
+
+/**
+ * Documento de un gasto con la parte del propietario
+ * Con reparto guardado se usan sus importes; si no, el porcentaje de propiedad del inmueble.
+ * @param {string} type - 'received' o 'internal'
+ * @param {Object} row - Fila de getReceivedExpenses / getInternalExpenses
+ */
+export const buildExpenseItem = (type, row) => {
+    const sign = row.is_refund ? -1 : 1;
+    const allocated = !row.property_id && row.allocated_total !== null && row.allocated_total !== undefined;
+
+    let percentage;
+    let base;
+    let iva;
+    let irpf;
+    if (allocated) {
+        percentage = parseFloat(row.allocation_percentage);
+        base = parseFloat(row.allocated_base) || 0;
+        iva = parseFloat(row.allocated_iva) || 0;
+        irpf = parseFloat(row.allocated_irpf) || 0;
+    } else {
+        percentage = parseFloat(row.ownership_percentage) || 0;
+        const share = percentage / 100;
+        base = round((parseFloat(type === 'received' ? row.tax_base : row.amount) || 0) * share);
+        iva = round((parseFloat(row.iva_amount) || 0) * share);
+        irpf = round((parseFloat(row.irpf_amount) || 0) * share);
+    }
+
+    return {
+        item_type: type,
+        item_id: row.id,
+        item_date: row.item_date,
+        reference: row.reference || null,
+        description: row.description ? String(row.description).slice(0, 255) : null,
+        percentage,
+        base: round(sign * base),
+        iva: round(sign * iva),
+        irpf: round(sign * irpf),
+        total: round(sign * (base + iva - irpf))
+    };
+};
+
+/**
+ * Totales de la liquidación
+ * @param {Object[]} items - Documentos de buildIssuedItem / buildExpenseItem
+ * @param {number} commissionRate - % de comisión de gestión
+ * @param {number} commissionIvaRate - % de IVA de la comisión
+ * @returns {{income, expenses, commission_base, commission_rate, commission, commission_iva, net_amount}}
+ */
+export const calculateSettlementTotals = (items, commissionRate, commissionIvaRate = DEFAULT_COMMISSION_IVA_RATE) => {
+    const issued = items.filter(item => item.item_type === 'issued');
+    const expenses = items.filter(item => item.item_type !== 'issued');
+
+    const income = round(issued.reduce((acc, item) => acc + item.total, 0));
+    const expensesTotal = round(expenses.reduce((acc, item) => acc + item.total, 0));
+    const commissionBase = round(issued.reduce((acc, item) => acc + item.base, 0));
+    const commission = round(commissionBase * commissionRate / 100);
+    const commissionIva = round(commission * commissionIvaRate / 100);
+
+    return {
+        income,
+        expenses: expensesTotal,
+        commission_base: commissionBase,
+        commission_rate: commissionRate,
+        commission,
+        commission_iva: commissionIva,
+        net_amount: round(income - expensesTotal - commission - commissionIva)
+    };
+};
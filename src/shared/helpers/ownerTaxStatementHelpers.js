@@ -0,0 +1,142 @@
+/**
+ * @fileoverview Rendimientos del capital inmobiliario de cada propietario (IRPF).
+ *
+ * Por inmueble y ejercicio:
+ * - Ingresos: facturas emitidas por el propietario (ya van por su cuota de
+ *   propiedad, el reparto se hace al facturar) y retenciones soportadas.
+ * - Gastos: facturas recibidas y gastos internos del inmueble por el
+ *   porcentaje de propiedad, agrupados como en la declaración (IBI y tributos,
+ *   comunidad, reparación y conservación, seguros, suministros...). El IVA
+ *   soportado solo es gasto si el inmueble no repercute IVA.
+ * - Amortización: 3% del valor catastral de la construcción por el porcentaje
+ *   de propiedad.
+ * - Días arrendados y vacíos según los períodos facturados. La amortización,
+ *   el IBI y la comunidad (gastos anuales) se deducen en proporción a los
+ *   días arrendados; reparación y conservación no pueden superar los ingresos.
+ */
+
+import CalculateHelper from './calculateTotal.js';
+
+export const AMORTIZATION_RATE = 3;
+
+const round = (value) => CalculateHelper.roundCurrency(value);
+
+/**
+ * Grupos de gasto; las categorías vienen de facturas recibidas y gastos internos
+ * prorated: gasto anual que se deduce en proporción a los días arrendados
+ */
+export const EXPENSE_GROUPS = [
+    {key: 'ibi', label: 'IBI y otros tributos', prorated: true, categories: ['impuestos', 'taxes_fees']},
+    {key: 'community', label: 'Comunidad de propietarios', prorated: true, categories: ['comunidad']},
+    {key: 'repairs', label: 'Reparación y conservación', categories: ['mantenimiento', 'reparaciones', 'maintenance_repairs']},
+    {key: 'insurance', label: 'Seguros', categories: ['seguros', 'seguro', 'insurance']},
+    {key: 'supplies', label: 'Suministros', categories: ['electricidad', 'gas', 'agua', 'suministros', 'telefono', 'internet', 'utilities', 'communications']},
+    {key: 'services', label: 'Servicios de terceros', categories: ['servicios_profesionales', 'seguridad', 'residuos', 'professional_services', 'cleaning_security', 'legal_administrative']},
+    {key: 'other', label: 'Otros gastos', categories: []}
+];
+
+export const getExpenseGroup = (category) =>
+    EXPENSE_GROUPS.find(group => group.categories.includes(category)) || EXPENSE_GROUPS[EXPENSE_GROUPS.length - 1];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Día (UTC) de una fecha 'YYYY-MM-DD' o Date de mysql2
+ */
+const toDay = (value) => {
+    if (value instanceof Date) return Date.UTC(value.getFullYear(), value.getMonth(), value.getDate());
+    const [year, month, day] = String(value).slice(0, 10).split('-').map(Number);
+    return Date.UTC(year, month - 1, day);
+};
+
+export const getDaysInYear = (year) => ((year % 4 === 0 && year % 100 !== 0) || year % 400 === 0 ? 366 : 365);
+
+/**
+ * Período que cubre una factura: start_date/end_date, si no el mes
+ * facturado (corresponding_month) y en último caso el mes de la factura
+ * @returns {{from: number, to: number}} Días UTC inclusive
+ */
+export const getInvoicePeriod = (invoice) => {
+    if (invoice.start_date && invoice.end_date) {
+        return {from: toDay(invoice.start_date), to: toDay(invoice.end_date)};
+    }
+    const month = invoice.corresponding_month || (invoice.invoice_date instanceof Date
+        ? `${invoice.invoice_date.getFullYear()}-${String(invoice.invoice_date.getMonth() + 1).padStart(2, '0')}`
+        : String(invoice.invoice_date).slice(0, 7));
+    const [year, monthNumber] = month.split('-').map(Number);
+    return {from: Date.UTC(year, monthNumber - 1, 1), to: Date.UTC(year, monthNumber, 0)};
+};
+
+/**
+ * Días del año cubiertos por las facturas (sin contar dos veces los solapes)
+ * Las rectificativas no restan días: si anulan una factura, se refleja en el importe.
+ * @param {Object[]} invoices - Facturas del inmueble
+ * @param {number} year
+ * @returns {{days_in_year: number, rented: number, vacant: number}}
+ */
+export const countRentedDays = (invoices, year) => {
+    const yearStart = Date.UTC(year, 0, 1);
+    const yearEnd = Date.UTC(year, 11, 31);
+    const days = new Set();
+
+    invoices.filter(invoice => !invoice.is_refund).forEach(invoice => {
+        const {from, to} = getInvoicePeriod(invoice);
+        for (let day = Math.max(from, yearStart); day <= Math.min(to, yearEnd); day += DAY) {
+            days.add(day);
+        }
+    });
+
+    const daysInYear = getDaysInYear(year);
+    return {days_in_year: daysInYear, rented: days.size, vacant: daysInYear - days.size};
+};
+
+/**
+ * Amortización del año: 3% del valor de la construcción por la cuota de
+ * propiedad, en proporción a los días arrendados
+ * @returns {{base: number|null, rate: number, ownership_percentage: number, amount: number}}
+ */
+export const calculateAmortization = (constructionValue, ownershipPercentage, days) => {
+    const base = constructionValue === null || constructionValue === undefined ? null : parseFloat(constructionValue);
+    const amount = base
+        ? base * AMORTIZATION_RATE / 100 * ownershipPercentage / 100 * days.rented / days.days_in_year
+        : 0;
+
+    return {base, rate: AMORTIZATION_RATE, ownership_percentage: ownershipPercentage, amount: round(amount)};
+};
+
+/**
+ * Gastos del inmueble por grupo con la parte deducible
+ * @param {Object[]} items - {category, amount} ya por la cuota del propietario
+ * @param {Object} days - Resultado de countRentedDays
+ * @param {number} income - Ingresos del inmueble (límite de reparación y conservación)
+ * @returns {{lines: Object[], total: number, deductible: number, repairs_excess: number}}
+ */
+export const groupExpenses = (items, days, income) => {
+    const ratio = days.days_in_year ? days.rented / days.days_in_year : 0;
+
+    const lines = EXPENSE_GROUPS.map(group => {
+        const groupItems = items.filter(item => getExpenseGroup(item.category).key === group.key);
+        const amount = round(groupItems.reduce((acc, item) => acc + item.amount, 0));
+        return {
+            key: group.key,
+            label: group.label,
+            amount,
+            deductible: round(group.prorated ? amount * ratio : amount),
+            count: groupItems.length
+        };
+    }).filter(line => line.count > 0);
+
+    let repairsExcess = 0;
+    const repairs = lines.find(line => line.key === 'repairs');
+    if (repairs && repairs.deductible > Math.max(income, 0)) {
+        repairsExcess = round(repairs.deductible - Math.max(income, 0));
+        repairs.deductible = round(Math.max(income, 0));
+    }
+
+    return {
+        lines,
+        total: round(lines.reduce((acc, line) => acc + line.amount, 0)),
+        deductible: round(lines.reduce((acc, line) => acc + line.deductible, 0)),
+        repairs_excess: repairsExcess
+    };
+};
@@ -0,0 +1,93 @@
+/**
+ * @fileoverview Actualización anual de la renta por índice (IPC / IRAV).
+ *
+ * - Cada contrato con índice se revisa en cada aniversario de su fecha de
+ *   inicio (un 29 de febrero se revisa el 28 en años no bisiestos).
+ * - Se aplica la variación anual del último índice publicado antes del mes
+ *   del aniversario, con un máximo de 12 meses de antigüedad.
+ * - Si el contrato tiene tope (indexation_cap), la variación no lo supera.
+ * - La nueva renta se factura desde el mes del aniversario.
+ */
+
+import CalculateHelper from './calculateTotal.js';
+
+export const INDEX_TYPES = ['IPC', 'IRAV'];
+
+export const REVIEW_STATUSES = ['pending', 'approved', 'rejected'];
+
+const toISO = (date) => CalculateHelper.formatDateISO(date);
+
+/**
+ * Suma meses a un período 'YYYY-MM'
+ */
+export const addMonthsToPeriod = (period, months) => {
+    const [year, month] = period.split('-').map(Number);
+    const index = year * 12 + (month - 1) + months;
+    return `${Math.floor(index / 12)}-${String(index % 12 + 1).padStart(2, '0')}`;
+};
+
+/**
+ * Aniversario de una fecha en un año, ajustando el 29 de febrero
+ * @returns {string} YYYY-MM-DD
+ */
+export const anniversaryInYear = (startDate, year) => {
+    const [, month, day] = toISO(startDate).split('-').map(Number);
+    const lastDay = CalculateHelper.getDaysInMonth(year, month);
+    return `${year}-${String(month).padStart(2, '0')}-${String(Math.min(day, lastDay)).padStart(2, '0')}`;
+};
+
+/**
+ * Próximo aniversario a revisar: el primero posterior a la última revisión
+ * (o al inicio del contrato si nunca se ha revisado)
+ * @returns {string} YYYY-MM-DD
+ */
+export const getNextAnniversary = (startDate, lastReviewDate = null) => {
+    const start = toISO(startDate);
+    const from = toISO(lastReviewDate) || start;
+
+    let year = Math.max(Number(start.slice(0, 4)) + 1, Number(from.slice(0, 4)));
+    let anniversary = anniversaryInYear(start, year);
+    while (anniversary <= from) {
+        year++;
+        anniversary = anniversaryInYear(start, year);
+    }
+    return anniversary;
+};
+
+/**
+ * Índice aplicable a una revisión: el último publicado antes del mes del aniversario
+ * @param {Object[]} indexes - Filas de rent_indexes
+ * @param {string} indexType - 'IPC' o 'IRAV'
+ * @param {string} reviewDate - YYYY-MM-DD
+ * @returns {{period: string, value: number}|null}
+ */
+export const findIndexValue = (indexes, indexType, reviewDate) => {
+    const reviewPeriod = reviewDate.slice(0, 7);
+    const oldestPeriod = addMonthsToPeriod(reviewPeriod, -12);
+
+    const candidates = indexes
+        .filter(index => index.index_type === indexType && index.period < reviewPeriod && index.period >= oldestPeriod)
+        .sort((a, b) => b.period.localeCompare(a.period));
+
+    return candidates.length
+        ? {period: candidates[0].period, value: parseFloat(candidates[0].value)}
+        : null;
+};
+
+/**
+ * Nueva renta con la variación del índice, limitada por el tope del contrato
+ * @param {number} rent - Renta actual
+ * @param {number} indexValue - Variación anual del índice (%)
+ * @param {number|null} cap - Tope de la variación (%)
+ * @returns {{applied_rate: number, new_rent: number}}
+ */
+export const calculateReviewedRent = (rent, indexValue, cap = null) => {
+    const appliedRate = cap !== null && cap !== undefined && indexValue > Number(cap)
+        ? Number(cap)
+        : indexValue;
+
+    return {
+        applied_rate: appliedRate,
+        new_rent: CalculateHelper.roundCurrency(rent * (1 + appliedRate / 100))
+    };
+};
@@ -0,0 +1,123 @@
+/**
+ * @fileoverview Retenciones de IRPF sobre alquileres de inmuebles urbanos (modelos 115 y 180).
+ *
+ * Hay dos lados:
+ * - Retenciones practicadas: alquileres de locales que paga la empresa
+ *   (facturas recibidas de categoría 'alquiler'). La empresa es la retenedora
+ *   y las declara en los modelos 115 (trimestral) y 180 (resumen anual).
+ * - Retenciones soportadas: los arrendatarios que son empresas retienen sobre
+ *   las facturas emitidas de los propietarios. Las declara el arrendatario;
+ *   aquí sirven para cuadrar con él y con el libro de IVA.
+ *
+ * Las retenciones se agrupan por arrendador, arrendatario e inmueble, que es
+ * el detalle que pide el modelo 180 (un registro por perceptor e inmueble).
+ */
+
+import CalculateHelper from './calculateTotal.js';
+
+export const RENT_CATEGORY = 'alquiler';
+
+const round = (value) => CalculateHelper.roundCurrency(value);
+
+const quarterOf = (date) => Math.floor(new Date(date).getMonth() / 3) + 1;
+
+/**
+ * Base, tipo e importe de la retención de una factura
+ * Con líneas, la base es la de las líneas con retención; sin líneas, la de la cabecera.
+ * @param {Object} invoice - Factura con tax_base, lines y el tipo (irpf o irpf_percentage)
+ * @param {number} amount - Importe de la retención ya calculado
+ * @returns {{base: number, rate: number, amount: number}}
+ */
+export const calculateWithholding = (invoice, amount) => {
+    const withheldLines = (invoice.lines || []).filter(line => (parseFloat(line.irpf) || 0) !== 0);
+    const base = withheldLines.length
+        ? withheldLines.reduce((acc, line) => acc + (parseFloat(line.tax_base) || 0), 0)
+        : parseFloat(invoice.tax_base) || 0;
+    const headerRate = parseFloat(invoice.irpf ?? invoice.irpf_percentage) || 0;
+    const rates = [...new Set(withheldLines.map(line => parseFloat(line.irpf)))];
+
+    let rate = headerRate;
+    if (rates.length === 1) rate = rates[0];
+    else if (rates.length > 1 && base) rate = round(amount / base * 100);
+
+    return {base: round(base), rate, amount: round(amount)};
+};
+
+/**
+ * Código de provincia a partir del código postal (dos primeras cifras)
+ */
+export const getProvinceCode = (postalCode) => {
+    const code = String(postalCode || '').trim().slice(0, 2);
+    return /^\d{2}$/.test(code) ? code : '';
+};
+
+/**
+ * Agrupa las retenciones por arrendador, arrendatario e inmueble
+ * @param {Object[]} items - {invoice_number, invoice_date, landlord, tenant, estate, base, rate, amount}
+ * @returns {Object[]} Grupos con totales y desglose por trimestre
+ */
+export const groupWithholdings = (items) => {
+    const groups = new Map();
+
+    items.forEach(item => {
+        const key = [item.landlord.nif, item.tenant.nif, item.estate?.id ?? ''].join('|');
+        if (!groups.has(key)) {
+            groups.set(key, {
+                landlord: item.landlord,
+                tenant: item.tenant,
+                estate: item.estate,
+                rate: item.rate,
+                base: 0,
+                amount: 0,
+                invoice_count: 0,
+                by_quarter: {1: {base: 0, amount: 0}, 2: {base: 0, amount: 0}, 3: {base: 0, amount: 0}, 4: {base: 0, amount: 0}},
+                invoices: []
+            });
+        }
+
+        const group = groups.get(key);
+        const quarter = group.by_quarter[quarterOf(item.invoice_date)];
+        group.base += item.base;
+        group.amount += item.amount;
+        quarter.base += item.base;
+        quarter.amount += item.amount;
+        group.invoice_count += 1;
+        if (group.rate !== item.rate) group.rate = null;
+        group.invoices.push(item.invoice_number);
+    });
+
+    return [...groups.values()].map(group => ({
+        ...group,
+        base: round(group.base),
+        amount: round(group.amount),
+        // Tipo único del grupo, o el efectivo si se mezclan tipos
+        rate: group.rate ?? (group.base ? round(group.amount / group.base * 100) : 0),
+        by_quarter: Object.fromEntries(Object.entries(group.by_quarter)
+            .map(([quarter, totals]) => [quarter, {base: round(totals.base), amount: round(totals.amount)}]))
+    }));
+};
+
+/**
+ * Totales de un conjunto de grupos
+ */
+export const sumWithholdings = (groups) => ({
+    recipients: new Set(groups.map(group => group.landlord.nif)).size,
+    base: round(groups.reduce((acc, group) => acc + group.base, 0)),
+    amount: round(groups.reduce((acc, group) => acc + group.amount, 0)),
+    invoice_count: groups.reduce((acc, group) => acc + group.invoice_count, 0)
+});
+
+/**
+ * Casillas del modelo 115 a partir de las retenciones practicadas del trimestre
+ * [01] perceptores, [02] base, [03] retenciones, [04] a deducir (complementarias), [05] resultado
+ */
+export const calculateModelo115Boxes = (totals) => {
+    const boxes = {
+        '01': totals.recipients,
+        '02': totals.base,
+        '03': totals.amount,
+        '04': 0
+    };
+    boxes['05'] = round(boxes['03'] - boxes['04']);
+    return boxes;
+};
@@ -0,0 +1,141 @@
+/**
+ * @fileoverview Utilidades SEPA: IBAN, BIC, identificador de acreedor y texto.
+ *
+ * - IBAN: formato por país y dígitos de control ISO 13616 (módulo 97 = 1);
+ *   el español se puede calcular desde el CCC (entidad, oficina y cuenta).
+ * - Identificador de acreedor (AT-02): 'ES' + 2 dígitos de control + sufijo
+ *   de 3 caracteres + NIF; el control se calcula sobre el NIF, sin el sufijo.
+ * - Devoluciones: descripción de los motivos R (AM04, MD06...) más habituales.
+ * - Los textos de los ficheros solo admiten el juego de caracteres básico
+ *   SEPA; se quitan tildes y se sustituye el resto por espacios.
+ */
+
+export const SEQUENCE_TYPES = ['FRST', 'RCUR'];
+
+// Estados de factura emitida desde los que se puede remesar su pendiente
+export const REMITTABLE_STATUSES = ['pending', 'partially_collected', 'overdue'];
+
+// Estados de factura recibida desde los que se puede transferir su pendiente
+export const PAYABLE_STATUSES = ['pending', 'partially_paid', 'overdue'];
+
+// Motivos de devolución o rechazo de adeudos (ISO 20022 ExternalReturnReason)
+export const RETURN_REASONS = Object.freeze({
+    AC01: 'Número de cuenta incorrecto',
+    AC04: 'Cuenta cancelada',
+    AC06: 'Cuenta bloqueada',
+    AC13: 'Cuenta del deudor de consumidor',
+    AG01: 'Operación no permitida en la cuenta',
+    AG02: 'Código de operación no válido',
+    AM04: 'Saldo insuficiente',
+    AM05: 'Operación duplicada',
+    BE05: 'Acreedor no identificado',
+    CNOR: 'Entidad del acreedor no registrada',
+    DNOR: 'Entidad del deudor no registrada',
+    FF01: 'Formato de fichero no válido',
+    MD01: 'Sin mandato',
+    MD02: 'Datos del mandato incompletos o incorrectos',
+    MD06: 'Devolución solicitada por el deudor',
+    MD07: 'Deudor fallecido',
+    MS02: 'Motivo no especificado por el deudor',
+    MS03: 'Motivo no especificado por la entidad',
+    RC01: 'BIC incorrecto',
+    RR01: 'Falta la identificación del deudor',
+    RR04: 'Motivo regulatorio',
+    SL01: 'Servicio específico de la entidad'
+});
+
+// Longitud del IBAN de los países SEPA más habituales (el resto, 15-34)
+const IBAN_LENGTHS = {
+    AD: 24, AT: 20, BE: 16, CH: 21, DE: 22, DK: 18, ES: 24, FI: 18, FR: 27, GB: 22, GI: 23,
+    IE: 22, IT: 27, LU: 20, MC: 27, NL: 18, NO: 15, PL: 28, PT: 25, SE: 24
+};
+
+/**
+ * Quita espacios y pasa a mayúsculas
+ */
+export const normalizeIban = (value) => String(value ?? '').replace(/\s+/g, '').toUpperCase();
+
+/**
+ * Resto módulo 97 de una cadena alfanumérica (A=10 ... Z=35)
+ */
+const mod97 = (value) => {
+    const digits = value.replace(/[A-Z]/g, letter => String(letter.charCodeAt(0) - 55));
+    let remainder = 0;
+    for (let i = 0; i < digits.length; i += 7) {
+        remainder = Number(`${remainder}${digits.slice(i, i + 7)}`) % 97;
+    }
+    return remainder;
+};
+
+/**
+ * Valida formato y dígitos de control de un IBAN
+ * @param {string} iban - Con o sin espacios
+ * @returns {boolean}
+ */
+export const isValidIban = (iban) => {
+    const value = normalizeIban(iban);
+    if (!/^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(value)) return false;
+
+    const expectedLength = IBAN_LENGTHS[value.slice(0, 2)];
+    if (expectedLength && value.length !== expectedLength) return false;
+
+    return mod97(`${value.slice(4)}${value.slice(0, 4)}`) === 1;
+};
+
+/**
+ * IBAN español a partir de entidad, oficina y número de cuenta (CCC sin los
+ * dígitos de control, como viene en los extractos Norma 43)
+ * @param {string} entity - 4 dígitos
+ * @param {string} office - 4 dígitos
+ * @param {string} account - 10 dígitos
+ * @returns {string} p. ej. 'ES9121000418450200051332'
+ */
+export const buildSpanishIban = (entity, office, account) => {
+    const weights = [1, 2, 4, 8, 5, 10, 9, 7, 3, 6];
+    const controlDigit = (digits) => {
+        const sum = [...digits].reduce((acc, digit, i) => acc + Number(digit) * weights[i], 0);
+        const digit = 11 - (sum % 11);
+        return digit === 11 ? 0 : digit === 10 ? 1 : digit;
+    };
+    const bban = `${entity}${office}${controlDigit(`00${entity}${office}`)}${controlDigit(account)}${account}`;
+    const check = String(98 - mod97(`${bban}ES00`)).padStart(2, '0');
+    return `ES${check}${bban}`;
+};
+
+/**
+ * Valida el formato de un BIC (8 u 11 caracteres)
+ */
+export const isValidBic = (bic) => /^[A-Z]{6}[A-Z2-9][A-NP-Z0-9]([A-Z0-9]{3})?$/.test(normalizeIban(bic));
+
+/**
+ * Identificador de acreedor SEPA a partir del NIF
+ * @param {string} nif
+ * @param {string} [suffix='000'] - Sufijo comercial asignado por la entidad
+ * @param {string} [country='ES']
+ * @returns {string} p. ej. 'ES72000B12345678'
+ */
+export const buildCreditorId = (nif, suffix = '000', country = 'ES') => {
+    const id = normalizeIban(nif).replace(/[^A-Z0-9]/g, '');
+    const check = String(98 - mod97(`${id}${country}00`)).padStart(2, '0');
+    return `${country}${check}${suffix}${id}`;
+};
+
+/**
+ * Valida un identificador de acreedor (control sobre el NIF, sin el sufijo)
+ */
+export const isValidCreditorId = (creditorId) => {
+    const value = normalizeIban(creditorId);
+    if (!/^[A-Z]{2}\d{2}[A-Z0-9]{3}[A-Z0-9]{1,28}$/.test(value)) return false;
+    return mod97(`${value.slice(7)}${value.slice(0, 4)}`) === 1;
+};
+
+/**
+ * Texto con el juego de caracteres SEPA, recortado a maxLength
+ */
+export const sepaText = (value, maxLength) => String(value ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^A-Za-z0-9/\-?:().,'+ ]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, maxLength);
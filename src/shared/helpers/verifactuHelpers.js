@@ -0,0 +1,154 @@
+/**
+ * @fileoverview Utilidades de los registros de facturación VERI*FACTU.
+ *
+ * La huella de cada registro es el SHA-256 (hexadecimal en mayúsculas) de
+ * una cadena "campo=valor" unida con '&', en el orden fijado por la AEAT:
+ * - Alta:      IDEmisorFactura, NumSerieFactura, FechaExpedicionFactura,
+ *              TipoFactura, CuotaTotal, ImporteTotal, Huella, FechaHoraHusoGenRegistro
+ * - Anulación: IDEmisorFacturaAnulada, NumSerieFacturaAnulada,
+ *              FechaExpedicionFacturaAnulada, Huella, FechaHoraHusoGenRegistro
+ * Huella es la del registro anterior del mismo emisor (vacía en el primero).
+ *
+ * @example
+ * // Ejemplo de la documentación de la AEAT (primer registro de la cadena)
+ * calculateRecordHash({
+ *     record_type: 'alta', issuer_nif: '89890001K', invoice_number: '12345678/G33',
+ *     invoice_date: '2024-01-01', invoice_type: 'F1', tax_amount: 12.35, total_amount: 123.45,
+ *     previous_hash: null, generated_at: '2024-01-01T19:20:30+01:00'
+ * });
+ * // '3C464DAF61ACB827C65FDA19F352A4E3BDC2C640E9E9FC4CC058073F38F12F60'
+ */
+
+import { createHash } from 'node:crypto';
+import { URLSearchParams } from 'node:url';
+import CalculateHelper from './calculateTotal.js';
+
+export const RECORD_TYPES = ['alta', 'anulacion'];
+
+export const SUBMISSION_STATUSES = ['pending', 'accepted', 'rejected', 'error'];
+
+const TIME_ZONE = 'Europe/Madrid';
+
+const QR_BASE_URLS = {
+    production: 'https://www2.agenciatributaria.gob.es/wlpl/TIKE-CONT/ValidarQR',
+    test: 'https://prewww2.aeat.es/wlpl/TIKE-CONT/ValidarQR'
+};
+
+/**
+ * NIF normalizado: sin espacios ni guiones y en mayúsculas
+ */
+export const normalizeNif = (nif) => String(nif || '').replace(/[\s-]/g, '').toUpperCase();
+
+/**
+ * Fecha de expedición en el formato de VERI*FACTU (dd-mm-yyyy)
+ * @param {string|Date} date - Fecha de la factura (YYYY-MM-DD o Date)
+ */
+export const formatRecordDate = (date) => {
+    const [year, month, day] = CalculateHelper.formatDateISO(date).split('-');
+    return `${day}-${month}-${year}`;
+};
+
+/**
+ * Importe con dos decimales y punto decimal, tal como entra en la huella y en el QR
+ */
+export const formatRecordAmount = (value) => CalculateHelper.roundCurrency(parseFloat(value) || 0).toFixed(2);
+
+/**
+ * Fecha y hora de generación del registro con el huso horario peninsular
+ * @param {Date} date - Momento de generación
+ * @returns {string} p. ej. '2025-04-01T10:15:30+02:00'
+ */
+export const formatRegistrationTimestamp = (date = new Date()) => {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-GB', {
+        timeZone: TIME_ZONE,
+        year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', second: '2-digit',
+        hourCycle: 'h23',
+        timeZoneName: 'longOffset'
+    }).formatToParts(date).map(({type, value}) => [type, value]));
+
+    // longOffset devuelve 'GMT+02:00' (o 'GMT' con desfase cero)
+    const offset = parts.timeZoneName.replace('GMT', '') || '+00:00';
+    return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}:${parts.second}${offset}`;
+};
+
+/**
+ * Importes del registro de alta de una factura
+ * CuotaTotal es la suma de las cuotas de IVA; ImporteTotal = base + IVA
+ * (la retención de IRPF no minora el importe total de la factura).
+ * @param {Object} invoice - Factura con tax_base, iva y, opcionalmente, lines
+ * @returns {{tax_amount: number, total_amount: number}}
+ */
+export const calculateRecordAmounts = (invoice) => {
+    const lines = Array.isArray(invoice.lines) ? invoice.lines : [];
+    const taxBase = parseFloat(invoice.tax_base) || 0;
+
+    const taxAmount = lines.length
+        ? CalculateHelper.roundCurrency(lines.reduce((acc, line) => acc + (line.iva_amount !== undefined
+            ? parseFloat(line.iva_amount) || 0
+            : CalculateHelper.calculateLineAmounts(line).iva_amount), 0))
+        : CalculateHelper.roundCurrency(taxBase * (parseFloat(invoice.iva) || 0) / 100);
+
+    return {
+        tax_amount: taxAmount,
+        total_amount: CalculateHelper.roundCurrency(taxBase + taxAmount)
+    };
+};
+
+/**
+ * Tipo de factura: F1 (completa) o R4 (rectificativa, resto de supuestos)
+ */
+export const getInvoiceType = (invoice) => (invoice.is_refund ? 'R4' : 'F1');
+
+/**
+ * Cadena sobre la que se calcula la huella de un registro
+ * @param {Object} record - Registro con issuer_nif, invoice_number, invoice_date,
+ *                          previous_hash, generated_at y, en las altas, invoice_type,
+ *                          tax_amount y total_amount
+ */
+export const buildHashInput = (record) => {
+    const common = [
+        ['Huella', record.previous_hash || ''],
+        ['FechaHoraHusoGenRegistro', record.generated_at]
+    ];
+
+    const fields = record.record_type === 'anulacion'
+        ? [
+            ['IDEmisorFacturaAnulada', normalizeNif(record.issuer_nif)],
+            ['NumSerieFacturaAnulada', String(record.invoice_number).trim()],
+            ['FechaExpedicionFacturaAnulada', formatRecordDate(record.invoice_date)],
+            ...common
+        ]
+        : [
+            ['IDEmisorFactura', normalizeNif(record.issuer_nif)],
+            ['NumSerieFactura', String(record.invoice_number).trim()],
+            ['FechaExpedicionFactura', formatRecordDate(record.invoice_date)],
+            ['TipoFactura', record.invoice_type],
+            ['CuotaTotal', formatRecordAmount(record.tax_amount)],
+            ['ImporteTotal', formatRecordAmount(record.total_amount)],
+            ...common
+        ];
+
+    return fields.map(([name, value]) => `${name}=${value}`).join('&');
+};
+
+/**
+ * Huella SHA-256 de un registro (64 caracteres hexadecimales en mayúsculas)
+ */
+export const calculateRecordHash = (record) =>
+    createHash('sha256').update(buildHashInput(record), 'utf8').digest('hex').toUpperCase();
+
+/**
+ * URL del código QR tributario de una factura
+ * @param {Object} record - Registro de alta (issuer_nif, invoice_number, invoice_date, total_amount)
+ * @param {string} environment - 'production' o 'test' (entorno de pruebas de la AEAT)
+ */
+export const buildQrUrl = (record, environment = 'test') => {
+    const params = new URLSearchParams({
+        nif: normalizeNif(record.issuer_nif),
+        numserie: String(record.invoice_number).trim(),
+        fecha: formatRecordDate(record.invoice_date),
+        importe: formatRecordAmount(record.total_amount)
+    });
+    return `${QR_BASE_URLS[environment] || QR_BASE_URLS.test}?${params.toString()}`;
+};
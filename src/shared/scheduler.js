@@ -3,13 +3,56 @@
  *
  * Actualmente gestiona:
  *  - Limpieza diaria de refresh_tokens expirados o revocados.
+ *  - Facturación mensual automática de contratos (solo si AUTO_BILLING_ENABLED=true).
+ *  - Reclamación diaria de facturas vencidas (solo si AUTO_DUNNING_ENABLED=true).
+ *  - Envío horario de registros VERI*FACTU pendientes (solo si hay VERIFACTU_TRANSPORT).
  *
  * Llamar a startScheduler() una sola vez al arrancar el servidor.
  */
 
+import { setInterval } from 'node:timers';
 import RefreshTokenRepository from '../repository/refreshTokenRepository.js';
+import BillingRunsService from '../services/billingRunsServices.js';
+import DunningService from '../services/dunningServices.js';
+import VerifactuService from '../services/verifactuServices.js';
+import CalculateHelper from './helpers/calculateTotal.js';
 
 const CLEANUP_INTERVAL_MS = 24 * 60 * 60 * 1000; // 24 horas
+const BILLING_INTERVAL_MS = 24 * 60 * 60 * 1000; // 24 horas
+const DUNNING_INTERVAL_MS = 24 * 60 * 60 * 1000; // 24 horas
+const VERIFACTU_INTERVAL_MS = 60 * 60 * 1000; // 1 hora
+
+/**
+ * Factura los contratos del mes en curso cuyo día de facturación ya ha llegado.
+ * Primero simula (dry run) y solo lanza la ejecución real si hay facturas
+ * pendientes, para no registrar ejecuciones vacías cada día.
+ */
+export async function runScheduledBilling(today = new Date()) {
+    const year = today.getFullYear();
+    const month = today.getMonth() + 1;
+    const until_date = CalculateHelper.formatDateISO(today);
+
+    const preview = await BillingRunsService.runMonthlyBilling({year, month, dry_run: true, until_date});
+    if (!preview.summary.to_create) return null;
+
+    const result = await BillingRunsService.runMonthlyBilling({year, month, triggered_by: 'scheduler', until_date});
+    console.log(`[scheduler] Facturación ${result.corresponding_month}: ` +
+        `${result.summary.created} creadas, ${result.summary.skipped} omitidas, ${result.summary.failed} fallidas`);
+    return result;
+}
+
+/**
+ * Avanza las facturas vencidas al nivel de reclamación que les corresponde y
+ * genera sus cartas. Solo deja traza en el log si ha generado alguna.
+ */
+export async function runScheduledDunning(today = new Date()) {
+    const result = await DunningService.runDunning({today: CalculateHelper.formatDateISO(today), triggered_by: 'scheduler'});
+    if (result.summary.sent || result.summary.failed) {
+        console.log(`[scheduler] Reclamación ${result.date}: ` +
+            `${result.summary.sent} cartas generadas, ${result.summary.paused} pausadas, ${result.summary.failed} fallidas`);
+    }
+    return result;
+}
 
 export function startScheduler() {
     // Limpieza inicial al arrancar (elimina tokens acumulados de ejecuciones previas)
@@ -26,4 +69,31 @@ export function startScheduler() {
             console.error('[scheduler] Error en limpieza periódica:', err.message);
         }
     }, CLEANUP_INTERVAL_MS);
+
+    // Facturación automática de contratos: al arrancar y cada 24 horas
+    if (process.env.AUTO_BILLING_ENABLED === 'true') {
+        const billingJob = () => runScheduledBilling()
+            .catch(err => console.error('[scheduler] Error en facturación automática:', err.message));
+
+        billingJob();
+        setInterval(billingJob, BILLING_INTERVAL_MS);
+    }
+
+    // Reclamación de facturas vencidas: al arrancar y cada 24 horas
+    if (process.env.AUTO_DUNNING_ENABLED === 'true') {
+        const dunningJob = () => runScheduledDunning()
+            .catch(err => console.error('[scheduler] Error en reclamación de impagos:', err.message));
+
+        dunningJob();
+        setInterval(dunningJob, DUNNING_INTERVAL_MS);
+    }
+
+    // Envío de registros VERI*FACTU pendientes (los fallidos se reintentan en la siguiente pasada)
+    if (VerifactuService.getTransport()) {
+        setInterval(() => VerifactuService.submitPendingRecords()
+            .then(result => {
+                if (result.submitted || result.errors) console.log(`[scheduler] VERI*FACTU: ${result.accepted} aceptados, ${result.rejected} rechazados, ${result.errors} con error`);
+            })
+            .catch(err => console.error('[scheduler] Error en envío VERI*FACTU:', err.message)), VERIFACTU_INTERVAL_MS);
+    }
 }
@@ -0,0 +1,74 @@
+/**
+ * @fileoverview Formato de los campos de los ficheros de presentación de la AEAT
+ *
+ * Los modelos tributarios se importan en los programas de ayuda / formularios
+ * de la AEAT como registros de longitud fija. Cada registro se describe como
+ * una lista de campos {type, length, value}:
+ * - 'A'  alfanumérico: alineado a la izquierda, relleno con espacios, mayúsculas
+ * - 'N'  numérico: alineado a la derecha, relleno con ceros
+ * - 'I'  importe con signo: 'N' en la primera posición si es negativo y el
+ *        resto en céntimos con ceros a la izquierda (p. ej. 17 posiciones)
+ * - 'S'  importe con posición de signo propia: blanco o 'N' y el importe en
+ *        céntimos en el resto (declaraciones informativas como el 347)
+ * - 'L'  literal fijo (etiquetas <T...>), se escribe tal cual
+ *
+ * Los ficheros se codifican en ISO-8859-1.
+ */
+
+import { Buffer } from 'node:buffer';
+import CalculateHelper from '../../helpers/calculateTotal.js';
+
+/**
+ * Texto en mayúsculas sin caracteres fuera de ISO-8859-1
+ */
+export const normalizeText = (value) => String(value ?? '')
+    .toUpperCase()
+    .replace(/[^\x20-\x7E\xA0-\xFF]/g, ' ');
+
+export const formatAlphanumeric = (value, length) => normalizeText(value).slice(0, length).padEnd(length, ' ');
+
+export const formatNumeric = (value, length) => String(Math.abs(parseInt(value, 10) || 0)).slice(-length).padStart(length, '0');
+
+/**
+ * Importe en céntimos con signo
+ * @example formatAmount(-1234.5, 17) // 'N0000000000123450'
+ */
+export const formatAmount = (value, length = 17) => {
+    const cents = Math.round(CalculateHelper.roundCurrency(parseFloat(value) || 0) * 100);
+    const digits = String(Math.abs(cents)).padStart(length, '0');
+    return cents < 0 ? `N${digits.slice(-(length - 1))}` : digits.slice(-length);
+};
+
+/**
+ * Importe en céntimos con la primera posición reservada al signo
+ * @example formatSignedAmount(-1234.5, 16) // 'N000000000123450'
+ */
+export const formatSignedAmount = (value, length = 16) => {
+    const cents = Math.round(CalculateHelper.roundCurrency(parseFloat(value) || 0) * 100);
+    return `${cents < 0 ? 'N' : ' '}${String(Math.abs(cents)).padStart(length - 1, '0').slice(-(length - 1))}`;
+};
+
+/**
+ * Escribe un registro a partir de su descripción de campos
+ * @param {Array<{type: string, length?: number, value: *}>} fields
+ * @returns {string}
+ */
+export const buildRecord = (fields) => fields.map(({type, length, value}) => {
+    switch (type) {
+        case 'L':
+            return String(value);
+        case 'N':
+            return formatNumeric(value, length);
+        case 'I':
+            return formatAmount(value, length);
+        case 'S':
+            return formatSignedAmount(value, length);
+        default:
+            return formatAlphanumeric(value, length);
+    }
+}).join('');
+
+/**
+ * Contenido del fichero listo para enviar (ISO-8859-1)
+ */
+export const encodeFile = (content) => Buffer.from(content, 'latin1');
@@ -0,0 +1,72 @@
+/**
+ * @fileoverview Fichero del modelo 115 para importar en el formulario de la AEAT
+ *
+ * Retenciones e ingresos a cuenta sobre rendimientos del arrendamiento de
+ * inmuebles urbanos (trimestral). Diseño de registro DR115, un único bloque:
+ *
+ *   <T1150{ejercicio}{período}0000>      cabecera (período '1T'..'4T')
+ *   <AUX> ... </AUX>                      datos del programa que genera el fichero
+ *   <T11501000> ... </T11501000>          página 1: identificación y liquidación
+ *   </T1150{ejercicio}{período}0000>     cierre
+ *
+ * Casillas: [01] perceptores (15 posiciones), [02] base, [03] retenciones,
+ * [04] a deducir y [05] resultado (17 posiciones, céntimos con 'N' si negativo).
+ */
+
+import { buildRecord, normalizeText } from './aeatFileFormat.js';
+
+const MODEL = '115';
+const PROGRAM_VERSION = '0100';
+
+const amount = (value) => ({type: 'I', length: 17, value});
+const text = (value, length) => ({type: 'A', length, value});
+const flag = (value) => ({type: 'A', length: 1, value});
+const tag = (value) => ({type: 'L', value});
+
+/**
+ * Construye el contenido del fichero
+ * @param {Object} report - Resultado de TaxReportsService.getModelo115
+ * @param {Object} companyData - Declarante ({nif, name})
+ * @returns {string} Contenido (codificar en ISO-8859-1 con encodeFile)
+ */
+export const buildModelo115File = (report, companyData) => {
+    const {year, quarter, declaration_type: declarationType, boxes} = report;
+    const period = `${quarter}T`;
+    const header = `${MODEL}0${year}${period}0000`;
+
+    const aux = buildRecord([
+        tag('<AUX>'),
+        text('', 70),                              // Reservado AEAT
+        text(PROGRAM_VERSION, 4),                  // Versión del programa
+        text('', 4),                               // Reservado AEAT
+        text(companyData.nif, 9),                  // NIF de la empresa de desarrollo
+        text('', 213),                             // Reservado AEAT
+        tag('</AUX>')
+    ]);
+
+    const page1 = buildRecord([
+        tag(`<T${MODEL}01000>`),
+        flag(''),                                  // Indicador de página complementaria
+        flag(declarationType),                     // Tipo de declaración (I ingreso, N negativa)
+        text(companyData.nif, 9),                  // NIF del retenedor
+        text(companyData.name, 60),                // Apellidos o razón social
+        text('', 20),                              // Nombre (personas físicas)
+        {type: 'N', length: 4, value: year},       // Ejercicio
+        text(period, 2),                           // Período
+        {type: 'N', length: 15, value: boxes['01']}, // [01] Número de perceptores
+        amount(boxes['02']),                       // [02] Base de las retenciones
+        amount(boxes['03']),                       // [03] Retenciones e ingresos a cuenta
+        amount(boxes['04']),                       // [04] A deducir (declaración complementaria)
+        amount(boxes['05']),                       // [05] Resultado a ingresar
+        flag(''),                                  // Declaración complementaria
+        text('', 13),                              // Número de justificante de la declaración anterior
+        text('', 34),                              // IBAN de domiciliación
+        text('', 389),                             // Reservado AEAT
+        tag(`</T${MODEL}01000>`)
+    ]);
+
+    return `<T${header}>${aux}${page1}</T${header}>`;
+};
+
+export const getModelo115FileName = (report, companyData) =>
+    `${normalizeText(companyData.nif).replace(/\s/g, '')}_${MODEL}_${report.year}_${report.quarter}T.115`;
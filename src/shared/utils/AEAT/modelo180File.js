@@ -0,0 +1,104 @@
+/**
+ * @fileoverview Fichero del modelo 180 (resumen anual de retenciones sobre alquileres)
+ *
+ * Formato de presentación por fichero de la AEAT: registros de 250 posiciones
+ * separados por CRLF. Un registro de tipo 1 (declarante) y uno de tipo 2 por
+ * cada perceptor e inmueble.
+ *
+ * Tipo 1 — declarante
+ *   1     '1'                      2-4   modelo '180'          5-8    ejercicio
+ *   9-17  NIF declarante           18-57 razón social          58     soporte 'T'
+ *   59-67 teléfono                 68-107 persona de contacto  108-120 nº justificante
+ *   121   complementaria           122   sustitutiva           123-135 justificante anterior
+ *   136-144 nº de perceptores      145-159 base total          160-174 retenciones totales
+ *   175-250 blancos
+ *
+ * Tipo 2 — perceptor
+ *   1     '2'                      2-4   modelo '180'          5-8    ejercicio
+ *   9-17  NIF declarante           18-26 NIF perceptor         27-35  NIF representante
+ *   36-75 nombre o razón social    76-77 provincia             78     modalidad ('1' dineraria)
+ *   79-91 base                     92-95 % retención           96-108 retenciones
+ *   109-112 ejercicio de devengo   113   situación del inmueble
+ *   114-133 referencia catastral   134-138 tipo de vía         139-188 domicilio
+ *   189-218 municipio              219-223 código municipio    224-225 código provincia
+ *   226-230 código postal          231-250 blancos
+ *
+ * Importes en céntimos con ceros a la izquierda ('N' en la primera posición si son negativos).
+ */
+
+import { buildRecord, normalizeText } from './aeatFileFormat.js';
+import { getProvinceCode } from '../../helpers/rentWithholdingHelpers.js';
+
+const MODEL = '180';
+export const RECORD_LENGTH = 250;
+
+const text = (value, length) => ({type: 'A', length, value});
+const number = (value, length) => ({type: 'N', length, value});
+const amount = (value, length) => ({type: 'I', length, value});
+const nif = (value) => text(String(value || '').replace(/[\s-]/g, ''), 9);
+
+// Situación del inmueble: 1 = con referencia catastral en territorio común, 4 = sin referencia
+const getEstateSituation = (estate) => (estate?.cadastral_reference ? '1' : '4');
+
+const buildDeclarantRecord = (report, companyData) => buildRecord([
+    text('1', 1),
+    text(MODEL, 3),
+    number(report.year, 4),
+    nif(companyData.nif),
+    text(companyData.name, 40),
+    text('T', 1),                                  // Presentación telemática
+    text('', 9),                                   // Teléfono de contacto
+    text(companyData.name, 40),                    // Persona de contacto
+    text('', 13),                                  // Nº justificante (lo asigna el formulario)
+    text('', 1),                                   // Declaración complementaria
+    text('', 1),                                   // Declaración sustitutiva
+    text('', 13),                                  // Justificante de la declaración anterior
+    number(report.totals.records, 9),
+    amount(report.totals.base, 15),
+    amount(report.totals.amount, 15),
+    text('', 76)
+]);
+
+const buildRecipientRecord = (report, companyData, group) => {
+    const estate = group.estate || {};
+    const provinceCode = getProvinceCode(estate.postal_code);
+
+    return buildRecord([
+        text('2', 1),
+        text(MODEL, 3),
+        number(report.year, 4),
+        nif(companyData.nif),
+        nif(group.landlord.nif),
+        text('', 9),                               // NIF del representante legal
+        text(group.landlord.name, 40),
+        text(provinceCode, 2),
+        text('1', 1),                              // Percepción dineraria
+        amount(group.base, 13),
+        number(Math.round(group.rate * 100), 4),   // % con dos decimales (19,00 → 1900)
+        amount(group.amount, 13),
+        number(report.year, 4),                    // Ejercicio de devengo
+        text(getEstateSituation(estate), 1),
+        text(estate.cadastral_reference, 20),
+        text('', 5),                               // Tipo de vía (incluido en el domicilio)
+        text(estate.address, 50),
+        text(estate.location, 30),
+        text('', 5),                               // Código de municipio INE
+        text(provinceCode, 2),
+        text(estate.postal_code, 5),
+        text('', 20)
+    ]);
+};
+
+/**
+ * Construye el contenido del fichero
+ * @param {Object} report - Resultado de TaxReportsService.getModelo180
+ * @param {Object} companyData - Declarante ({nif, name})
+ * @returns {string} Registros separados por CRLF (codificar en ISO-8859-1 con encodeFile)
+ */
+export const buildModelo180File = (report, companyData) => [
+    buildDeclarantRecord(report, companyData),
+    ...report.withholdings_practised.groups.map(group => buildRecipientRecord(report, companyData, group))
+].join('\r\n');
+
+export const getModelo180FileName = (report, companyData) =>
+    `${normalizeText(companyData.nif).replace(/\s/g, '')}_${MODEL}_${report.year}.180`;
@@ -0,0 +1,130 @@
+/**
+ * @fileoverview Fichero del modelo 303 para importar en el formulario de la AEAT (Pre303)
+ *
+ * Sigue el diseño de registro DR303: un único bloque sin saltos de línea
+ *
+ *   <T3030{ejercicio}{período}0000>      cabecera (período '1T'..'4T')
+ *   <AUX> ... </AUX>                      datos del programa que genera el fichero
+ *   <T30301000> ... </T30301000>          página 1: identificación y liquidación
+ *   <T30303000> ... </T30303000>          página 3: resultado y compensación
+ *   </T3030{ejercicio}{período}0000>     cierre
+ *
+ * Solo se rellenan las casillas que calcula la aplicación (régimen general,
+ * sin recargo de equivalencia, adquisiciones intracomunitarias ni prorrata);
+ * el resto se envían a cero. Los importes van en céntimos con 'N' delante si
+ * son negativos (17 posiciones) y los tipos con dos decimales (5 posiciones).
+ */
+
+import { buildRecord, normalizeText } from './aeatFileFormat.js';
+
+const MODEL = '303';
+const PROGRAM_VERSION = '0100';
+
+const amount = (value) => ({type: 'I', length: 17, value});
+const rate = (value) => ({type: 'I', length: 5, value});
+const text = (value, length) => ({type: 'A', length, value});
+const flag = (value) => ({type: 'A', length: 1, value});
+const tag = (value) => ({type: 'L', value});
+
+/**
+ * Casillas de la página 1 en el orden del diseño de registro
+ * (150-152 régimen general al 0% y recargo de equivalencia no aplican: a cero)
+ */
+const PAGE_1_BOXES = [
+    ['150', amount], ['151', rate], ['152', amount],
+    ['01', amount], ['02', rate], ['03', amount],
+    ['153', amount], ['154', rate], ['155', amount],
+    ['04', amount], ['05', rate], ['06', amount],
+    ['07', amount], ['08', rate], ['09', amount],
+    ['10', amount], ['11', amount], ['12', amount], ['13', amount],
+    ['14', amount], ['15', amount],
+    ['156', amount], ['157', rate], ['158', amount],
+    ['16', amount], ['17', rate], ['18', amount],
+    ['19', amount], ['20', rate], ['21', amount],
+    ['22', amount], ['23', rate], ['24', amount],
+    ['25', amount], ['26', amount],
+    ['27', amount],
+    ['28', amount], ['29', amount], ['30', amount], ['31', amount],
+    ['32', amount], ['33', amount], ['34', amount], ['35', amount],
+    ['36', amount], ['37', amount], ['38', amount], ['39', amount],
+    ['40', amount], ['41', amount], ['42', amount], ['43', amount], ['44', amount],
+    ['45', amount], ['46', amount]
+];
+
+const PAGE_3_BOXES = [
+    ['59', amount], ['60', amount], ['120', amount], ['122', amount], ['123', amount], ['124', amount],
+    ['62', amount], ['63', amount], ['74', amount], ['75', amount], ['76', amount],
+    ['64', amount], ['65', rate], ['66', amount], ['77', amount],
+    ['110', amount], ['78', amount], ['87', amount],
+    ['68', amount], ['108', amount], ['69', amount], ['70', amount], ['109', amount], ['71', amount]
+];
+
+const boxFields = (layout, boxes) => layout.map(([box, field]) => field(boxes[box] || 0));
+
+/**
+ * Construye el contenido del fichero
+ * @param {Object} declaration - Resultado de Modelo303Service.getModelo303
+ * @param {Object} companyData - Declarante ({nif, name})
+ * @returns {string} Contenido (codificar en ISO-8859-1 con encodeFile)
+ */
+export const buildModelo303File = (declaration, companyData) => {
+    const {year, quarter, declaration_type: declarationType, boxes} = declaration;
+    const period = `${quarter}T`;
+    const header = `${MODEL}0${year}${period}0000`;
+
+    const aux = buildRecord([
+        tag('<AUX>'),
+        text('', 70),                              // Reservado AEAT
+        text(PROGRAM_VERSION, 4),                  // Versión del programa
+        text('', 4),                               // Reservado AEAT
+        text(companyData.nif, 9),                  // NIF de la empresa de desarrollo
+        text('', 213),                             // Reservado AEAT
+        tag('</AUX>')
+    ]);
+
+    const page1 = buildRecord([
+        tag(`<T${MODEL}01000>`),
+        flag(''),                                  // Indicador de página complementaria
+        flag(declarationType),                     // Tipo de declaración (I, C, D, N)
+        text(companyData.nif, 9),                  // NIF del declarante
+        text(companyData.name, 80),                // Apellidos o razón social
+        text('', 15),                              // Nombre (personas físicas)
+        {type: 'N', length: 4, value: year},       // Ejercicio
+        text(period, 2),                           // Período
+        flag('2'),                                 // Tributación exclusivamente foral (2 = no)
+        flag('2'),                                 // Inscrito en el REDEME (2 = no)
+        flag('2'),                                 // Autoliquidación conjunta (2 = no)
+        flag('2'),                                 // Régimen especial del criterio de caja (2 = no)
+        flag('2'),                                 // Destinatario de operaciones en criterio de caja (2 = no)
+        flag('0'),                                 // Opción por la prorrata especial
+        flag('0'),                                 // Revocación de la prorrata especial
+        flag('2'),                                 // Declarado en concurso (2 = no)
+        text('', 8),                               // Fecha del auto de concurso
+        flag(''),                                  // Auto de concurso
+        flag('2'),                                 // Acogido voluntariamente al SII (2 = no)
+        flag('0'),                                 // Exonerado del modelo 390
+        flag('0'),                                 // Volumen anual de operaciones distinto de cero
+        ...boxFields(PAGE_1_BOXES, boxes),
+        text('', 600),                             // Reservado AEAT
+        tag(`</T${MODEL}01000>`)
+    ]);
+
+    const page3 = buildRecord([
+        tag(`<T${MODEL}03000>`),
+        ...boxFields(PAGE_3_BOXES, boxes),
+        flag(declarationType === 'N' ? 'X' : ''), // Sin actividad / resultado cero
+        flag(''),                                  // Declaración complementaria
+        text('', 13),                              // Número de justificante de la declaración anterior
+        text('', 34),                              // IBAN de domiciliación / devolución
+        text('', 600),                             // Reservado AEAT
+        tag(`</T${MODEL}03000>`)
+    ]);
+
+    return `<T${header}>${aux}${page1}${page3}</T${header}>`;
+};
+
+/**
+ * Nombre del fichero: NIF + ejercicio + período
+ */
+export const getModelo303FileName = (declaration, companyData) =>
+    `${normalizeText(companyData.nif).replace(/\s/g, '')}_${MODEL}_${declaration.year}_${declaration.quarter}T.303`;
@@ -0,0 +1,141 @@
+/**
+ * @fileoverview Fichero del modelo 347 (operaciones con terceras personas)
+ *
+ * Formato de presentación por fichero de la AEAT: registros de 500 posiciones
+ * separados por CRLF. Un registro de tipo 1 (declarante), uno de tipo 2 'D'
+ * por cada declarado (NIF y clave) y uno de tipo 2 'I' por cada local de
+ * negocio arrendado.
+ *
+ * Tipo 1 — declarante
+ *   1     '1'                      2-4   modelo '347'          5-8    ejercicio
+ *   9-17  NIF declarante           18-57 razón social          58     soporte 'T'
+ *   59-67 teléfono                 68-107 persona de contacto  108-120 nº justificante
+ *   121   complementaria           122   sustitutiva           123-135 justificante anterior
+ *   136-144 nº de declarados       145-160 importe total       161-169 nº de inmuebles
+ *   170-185 importe arrendamientos 186-390 blancos             391-399 NIF representante
+ *   400-500 blancos
+ *
+ * Tipo 2 'D' — declarado
+ *   1-8   como el tipo 1 ('2')     9-17  NIF declarante        18-26  NIF declarado
+ *   27-35 NIF representante        36-75 nombre o razón social 76     tipo de hoja 'D'
+ *   77-78 provincia                79-80 país                  82     clave de operación
+ *   83-98 importe anual            99    operación de seguro   100    arrendamiento de local
+ *   101-115 importe en metálico    116-131 transmisiones de inmuebles sujetas a IVA
+ *   132-135 ejercicio del metálico 136-263 importe y transmisiones por trimestre (16 + 16)
+ *   264-280 NIF comunitario        281-283 caja / inversión del sujeto pasivo / depósito
+ *   284-299 importe criterio de caja 300-500 blancos
+ *
+ * Tipo 2 'I' — inmueble arrendado
+ *   1-75  como el tipo 2 'D' (arrendatario)                    76     tipo de hoja 'I'
+ *   77-98 blancos                  99-114 importe              115    situación del inmueble
+ *   116-140 referencia catastral   141-145 tipo de vía         146-195 nombre de la vía
+ *   196-261 numeración y complemento                           262-291 localidad
+ *   292-321 municipio              322-326 código municipio    327-328 código provincia
+ *   329-333 código postal          334-500 blancos
+ *
+ * Importes en céntimos con la primera posición de signo (blanco o 'N').
+ */
+
+import { buildRecord, normalizeText } from './aeatFileFormat.js';
+import { getProvinceCode } from '../../helpers/rentWithholdingHelpers.js';
+
+const MODEL = '347';
+export const RECORD_LENGTH = 500;
+
+const text = (value, length) => ({type: 'A', length, value});
+const number = (value, length) => ({type: 'N', length, value});
+const amount = (value, length = 16) => ({type: 'S', length, value});
+const nif = (value) => text(String(value || '').replace(/[\s-]/g, ''), 9);
+
+// Situación del inmueble: 1 = con referencia catastral en territorio común, 3 = sin referencia
+const getEstateSituation = (estate) => (estate.cadastral_reference ? '1' : '3');
+
+const recordHeader = (report, companyData) => [
+    text('2', 1),
+    text(MODEL, 3),
+    number(report.year, 4),
+    nif(companyData.nif)
+];
+
+const buildDeclarantRecord = (report, companyData) => buildRecord([
+    text('1', 1),
+    text(MODEL, 3),
+    number(report.year, 4),
+    nif(companyData.nif),
+    text(companyData.name, 40),
+    text('T', 1),                                  // Presentación telemática
+    text('', 9),                                   // Teléfono de contacto
+    text(companyData.name, 40),                    // Persona de contacto
+    text('', 13),                                  // Nº justificante (lo asigna el formulario)
+    text('', 1),                                   // Declaración complementaria
+    text('', 1),                                   // Declaración sustitutiva
+    text('', 13),                                  // Justificante de la declaración anterior
+    number(report.totals.records, 9),
+    amount(report.totals.amount),
+    number(report.totals.estates, 9),
+    amount(report.totals.rent_amount),
+    text('', 205),
+    text('', 9),                                   // NIF del representante legal
+    text('', 101)
+]);
+
+const buildCounterpartRecord = (report, companyData, group) => buildRecord([
+    ...recordHeader(report, companyData),
+    nif(group.nif),
+    text('', 9),                                   // NIF del representante legal
+    text(group.name, 40),
+    text('D', 1),
+    text(group.province_code, 2),
+    text('', 2),                                   // País (solo no residentes)
+    text('', 1),
+    text(group.key, 1),
+    amount(group.amount),
+    text('', 1),                                   // Operación de seguro
+    text(group.business_premises ? 'X' : '', 1),   // Arrendamiento de local de negocio
+    number(0, 15),                                 // Importe percibido en metálico
+    amount(0),                                     // Transmisiones de inmuebles sujetas a IVA
+    number(0, 4),                                  // Ejercicio del metálico
+    ...[1, 2, 3, 4].flatMap(quarter => [amount(group.by_quarter[quarter]), amount(0)]),
+    text('', 17),                                  // NIF de operador comunitario
+    text('', 3),                                   // Caja, inversión del sujeto pasivo, depósito
+    amount(0),                                     // Importe anual con criterio de caja
+    text('', 201)
+]);
+
+const buildEstateRecord = (report, companyData, group, estate) => buildRecord([
+    ...recordHeader(report, companyData),
+    nif(group.nif),
+    text('', 9),
+    text(group.name, 40),
+    text('I', 1),
+    text('', 22),
+    amount(estate.amount),
+    text(getEstateSituation(estate), 1),
+    text(estate.cadastral_reference, 25),
+    text('', 5),                                   // Tipo de vía (incluido en el domicilio)
+    text(estate.address, 50),
+    text('', 66),                                  // Numeración, bloque, planta... y complemento
+    text(estate.location, 30),
+    text(estate.location, 30),
+    text('', 5),                                   // Código de municipio INE
+    text(getProvinceCode(estate.postal_code), 2),
+    text(estate.postal_code, 5),
+    text('', 167)
+]);
+
+/**
+ * Construye el contenido del fichero
+ * @param {Object} report - Resultado de TaxReportsService.getModelo347
+ * @param {Object} companyData - Declarante ({nif, name})
+ * @returns {string} Registros separados por CRLF (codificar en ISO-8859-1 con encodeFile)
+ */
+export const buildModelo347File = (report, companyData) => [
+    buildDeclarantRecord(report, companyData),
+    ...report.declared.map(group => buildCounterpartRecord(report, companyData, group)),
+    ...report.declared.flatMap(group => group.estates
+        .filter(estate => estate.business_premises)
+        .map(estate => buildEstateRecord(report, companyData, group, estate)))
+].join('\r\n');
+
+export const getModelo347FileName = (report, companyData) =>
+    `${normalizeText(companyData.nif).replace(/\s/g, '')}_${MODEL}_${report.year}.347`;
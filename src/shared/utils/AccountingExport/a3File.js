@@ -0,0 +1,91 @@
+/**
+ * @fileoverview Fichero de importación ASCII de A3 (SUENLACE.DAT)
+ *
+ * Un solo fichero con registros de 254 posiciones separados por CRLF, en
+ * ISO-8859-1: primero las altas de subcuenta (tipo 'C', con los datos del
+ * tercero) y después un registro de apunte (tipo '0') por cada línea de
+ * asiento, marcando la primera 'I', las intermedias 'M' y la última 'U'.
+ *
+ * Cabecera común
+ *   1       '5' formato               2-6     código de empresa (A3_COMPANY_CODE)
+ *   7-14    fecha AAAAMMDD            15      tipo de registro
+ *
+ * Tipo 'C' — alta de subcuenta
+ *   16-27   subcuenta                 28-57   descripción          58-71   NIF
+ *   72-101  domicilio                 102-121 población            122-126 código postal
+ *   127-251 blancos
+ *
+ * Tipo '0' — apunte
+ *   16-27   subcuenta                 28-57   descripción cuenta   58      'D' debe / 'H' haber
+ *   59-68   documento                 69      línea 'I' / 'M' / 'U'
+ *   70-99   concepto                  100-113 importe (+0000001234.56)
+ *   114-251 blancos
+ *
+ * Final común
+ *   252     'N' sin analítica         253     'E' moneda euro      254     'N' no generado
+ */
+
+import { formatAlphanumeric, formatNumeric } from '../AEAT/aeatFileFormat.js';
+
+export const RECORD_LENGTH = 254;
+
+const text = (value, length) => formatAlphanumeric(value, length);
+
+const amount = (value) => {
+    const number = parseFloat(value) || 0;
+    return `${number < 0 ? '-' : '+'}${Math.abs(number).toFixed(2).padStart(13, '0').slice(-13)}`;
+};
+
+const getCompanyCode = () => formatNumeric(process.env.A3_COMPANY_CODE || 1, 5);
+
+const recordHeader = (date, type) => `5${getCompanyCode()}${date.replace(/-/g, '')}${type}`;
+
+const RECORD_END = 'NEN';
+
+const accountRecord = (account, date) => [
+    recordHeader(date, 'C'),
+    text(account.code, 12),
+    text(account.name, 30),
+    text(account.nif, 14),
+    text(account.address, 30),
+    text(account.city, 20),
+    text(account.postal_code, 5),
+    text('', 125),
+    RECORD_END
+].join('');
+
+const lineIndicator = (index, count) => {
+    if (index === 0) return 'I';
+    return index === count - 1 ? 'U' : 'M';
+};
+
+const journalRecord = (entry, line, index) => [
+    recordHeader(entry.entry_date, '0'),
+    text(line.account, 12),
+    text(line.account_name, 30),
+    line.debit ? 'D' : 'H',
+    text(entry.document, 10),
+    lineIndicator(index, entry.lines.length),
+    text(line.concept, 30),
+    amount(line.debit || line.credit),
+    text('', 138),
+    RECORD_END
+].join('');
+
+/**
+ * Genera el SUENLACE.DAT de A3 con subcuentas y apuntes
+ * @param {{entries: Object[], accounts: Object[]}} data - Resultado de buildExportData
+ * @param {Object} options
+ * @param {string} options.date_from - Fecha de las altas de subcuenta
+ * @returns {{journal: {file_name: string, content: string}, accounts: null}}
+ */
+export const generateA3Files = ({entries, accounts}, {date_from}) => ({
+    journal: {
+        file_name: 'SUENLACE.DAT',
+        content: [
+            ...accounts.map(account => accountRecord(account, date_from)),
+            ...entries.flatMap(entry => entry.lines.map((line, index) => journalRecord(entry, line, index)))
+        ].join('\r\n') + '\r\n'
+    },
+    accounts: null
+});
@@ -0,0 +1,103 @@
+/**
+ * @fileoverview Ficheros de enlace de ContaPlus (SUENLACE.DAT y SUBCTA.DAT)
+ *
+ * Registros de longitud fija separados por CRLF, en ISO-8859-1. Un registro
+ * de SUENLACE.DAT por apunte, en euros (MONEDAUSO '2', importes en EURODEBE /
+ * EUROHABER). Los apuntes de IVA llevan la base, el tipo, el número de
+ * factura y la subcuenta del tercero como contrapartida para que ContaPlus
+ * los pase al registro de IVA.
+ *
+ * SUENLACE.DAT (297 posiciones)
+ *   1-6     ASIEN nº de asiento       7-14    FECHA AAAAMMDD       15-26   SUBCTA
+ *   27-38   CONTRA contrapartida      39-54   PTADEBE (0)          55-79   CONCEPTO
+ *   80-95   PTAHABER (0)              96-103  FACTURA nº           104-119 BASEIMPO
+ *   120-124 IVA %                     125-129 RECEQUIV             130-139 DOCUMENTO
+ *   140-142 DEPARTA                   143-148 CLAVE                149     ESTADO
+ *   150-155 NCASADO                   156     TCASADO              157-162 TRANS
+ *   163-178 CAMBIO                    179-194 DEBEME               195-210 HABERME
+ *   211     AUXILIAR                  212     SERIE                213-216 SUCURSAL
+ *   217-221 CODDIVISA                 222-237 IMPAUXME             238     MONEDAUSO '2'
+ *   239-254 EURODEBE                  255-270 EUROHABER            271-286 BASEEURO
+ *   287     NOCONV 'F'                288-297 NUMEROINV
+ *
+ * SUBCTA.DAT (152 posiciones)
+ *   1-12    COD subcuenta             13-52   TITULO               53-67   NIF
+ *   68-102  DOMICILIO                 103-127 POBLACION            128-147 PROVINCIA
+ *   148-152 CODPOSTAL
+ *
+ * Numéricos alineados a la derecha con blancos y punto decimal; texto a la izquierda.
+ */
+
+import { formatAlphanumeric } from '../AEAT/aeatFileFormat.js';
+
+export const JOURNAL_RECORD_LENGTH = 297;
+export const ACCOUNTS_RECORD_LENGTH = 152;
+
+const text = (value, length) => formatAlphanumeric(value, length);
+
+const number = (value, length, decimals = 0) =>
+    (parseFloat(value) || 0).toFixed(decimals).slice(-length).padStart(length, ' ');
+
+// Parte numérica del número de factura (FACTURA es N(8))
+const invoiceNumber = (document) => String(document || '').replace(/\D/g, '').slice(-8);
+
+const journalRecord = (entry, line) => [
+    number(entry.entry_number, 6),
+    entry.entry_date.replace(/-/g, ''),
+    text(line.account, 12),
+    text(line.is_vat ? entry.third_party_account : '', 12),
+    number(0, 16, 2),
+    text(line.concept, 25),
+    number(0, 16, 2),
+    number(line.is_vat ? invoiceNumber(entry.document) : 0, 8),
+    number(line.is_vat ? entry.tax_base : 0, 16, 2),
+    number(line.is_vat ? entry.vat_rate : 0, 5, 2),
+    number(0, 5, 2),
+    text(entry.document, 10),
+    text('', 3),
+    text('', 6),
+    text('', 1),
+    number(0, 6),
+    number(0, 1),
+    number(0, 6),
+    number(0, 16, 6),
+    number(0, 16, 2),
+    number(0, 16, 2),
+    text('', 1),
+    text('', 1),
+    text('', 4),
+    text('', 5),
+    number(0, 16, 2),
+    '2',
+    number(line.debit, 16, 2),
+    number(line.credit, 16, 2),
+    number(line.is_vat ? entry.tax_base : 0, 16, 2),
+    'F',
+    text('', 10)
+].join('');
+
+const accountRecord = (account) => [
+    text(account.code, 12),
+    text(account.name, 40),
+    text(account.nif, 15),
+    text(account.address, 35),
+    text(account.city, 25),
+    text(account.province, 20),
+    text(account.postal_code, 5)
+].join('');
+
+/**
+ * Genera SUENLACE.DAT (diario) y SUBCTA.DAT (subcuentas y terceros)
+ * @param {{entries: Object[], accounts: Object[]}} data - Resultado de buildExportData
+ * @returns {{journal: {file_name: string, content: string}, accounts: {file_name: string, content: string}}}
+ */
+export const generateContaplusFiles = ({entries, accounts}) => ({
+    journal: {
+        file_name: 'SUENLACE.DAT',
+        content: entries.flatMap(entry => entry.lines.map(line => journalRecord(entry, line))).join('\r\n') + '\r\n'
+    },
+    accounts: {
+        file_name: 'SUBCTA.DAT',
+        content: accounts.map(accountRecord).join('\r\n') + '\r\n'
+    }
+});
@@ -0,0 +1,66 @@
+/**
+ * @fileoverview Exportación contable genérica en CSV
+ *
+ * Dos ficheros en UTF-8 con BOM, separados por ';' y con coma decimal para
+ * que Excel y la mayoría de programas los abran sin configurar nada:
+ * - diario: una fila por apunte (asiento, fecha, subcuenta, concepto, debe, haber...)
+ * - terceros: las subcuentas usadas con el NIF y la dirección del cliente o proveedor
+ */
+
+const BOM = '\uFEFF';
+
+const cell = (value) => {
+    const content = String(value ?? '');
+    return /[;"\r\n]/.test(content) ? `"${content.replace(/"/g, '""')}"` : content;
+};
+
+const decimal = (value) => (parseFloat(value) || 0).toFixed(2).replace('.', ',');
+
+const spanishDate = (isoDate) => isoDate.split('-').reverse().join('/');
+
+const toCsv = (header, rows) => BOM + [header, ...rows].map(row => row.map(cell).join(';')).join('\r\n') + '\r\n';
+
+/**
+ * Genera el diario y los terceros en CSV
+ * @param {{entries: Object[], accounts: Object[]}} data - Resultado de buildExportData
+ * @param {Object} options
+ * @param {string} options.date_from
+ * @param {string} options.date_to
+ * @returns {{journal: {file_name: string, content: string}, accounts: {file_name: string, content: string}}}
+ */
+export const generateCsvFiles = ({entries, accounts}, {date_from, date_to}) => ({
+    journal: {
+        file_name: `diario_${date_from}_${date_to}.csv`,
+        content: toCsv(
+            ['ejercicio', 'asiento', 'fecha', 'subcuenta', 'nombre_subcuenta', 'concepto', 'documento', 'debe', 'haber', 'base_imponible', 'tipo_iva'],
+            entries.flatMap(entry => entry.lines.map(line => [
+                entry.fiscal_year,
+                entry.entry_number,
+                spanishDate(entry.entry_date),
+                line.account,
+                line.account_name,
+                line.concept,
+                entry.document,
+                decimal(line.debit),
+                decimal(line.credit),
+                line.is_vat ? decimal(entry.tax_base) : '',
+                line.is_vat ? decimal(entry.vat_rate) : ''
+            ]))
+        )
+    },
+    accounts: {
+        file_name: `terceros_${date_from}_${date_to}.csv`,
+        content: toCsv(
+            ['subcuenta', 'nombre', 'nif', 'domicilio', 'poblacion', 'provincia', 'codigo_postal'],
+            accounts.map(account => [
+                account.code,
+                account.name,
+                account.nif,
+                account.address,
+                account.city,
+                account.province,
+                account.postal_code
+            ])
+        )
+    }
+});
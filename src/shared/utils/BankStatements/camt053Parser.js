@@ -0,0 +1,78 @@
+/**
+ * @fileoverview Lectura de extractos ISO 20022 CAMT.053 (BkToCstmrStmt)
+ *
+ * De cada Stmt se toman la cuenta (Acct/Id/IBAN), los saldos de apertura y
+ * cierre (Bal con Cd OPBD/PRCD y CLBD) y los apuntes contabilizados (Ntry):
+ * importe con su indicador CRDT/DBIT, fechas de contabilización y valor,
+ * referencia (EndToEndId o AcctSvcrRef), contraparte (Dbtr en los abonos,
+ * Cdtr en los cargos) y concepto (RmtInf/Ustrd y AddtlNtryInf).
+ */
+
+import { AppError } from '../../../errors/AppError.js';
+import { blocks, tagPattern, text, unescapeXml } from './xmlReader.js';
+
+const invalid = (message) => new AppError(`Fichero CAMT.053 no válido: ${message}`, 400, 'INVALID_STATEMENT_FILE');
+
+const signedAmount = (xml) => {
+    const amount = parseFloat(text(xml, 'Amt'));
+    if (isNaN(amount)) throw invalid('apunte o saldo sin importe');
+    return text(xml, 'CdtDbtInd') === 'DBIT' ? -amount : amount;
+};
+
+const balance = (balances, codes) => {
+    const found = balances.find(item => codes.includes(text(item, 'Tp', 'CdOrPrtry', 'Cd')));
+    return found ? signedAmount(found) : null;
+};
+
+const entryDate = (xml, tag) => (text(xml, tag, 'Dt') || text(xml, tag, 'DtTm') || '').slice(0, 10) || null;
+
+/**
+ * Lee un extracto CAMT.053 (uno o varios Stmt)
+ * @param {string} content - XML del fichero
+ * @returns {Object[]} Una entrada por cuenta, con la misma forma que parseNorma43
+ * @throws {AppError} 400 INVALID_STATEMENT_FILE si no es un BkToCstmrStmt válido
+ */
+export const parseCamt053 = (content) => {
+    if (!tagPattern('BkToCstmrStmt').test(content)) throw invalid('no contiene BkToCstmrStmt');
+
+    const statements = blocks(content, 'Stmt');
+    if (!statements.length) throw invalid('no contiene ningún extracto (Stmt)');
+
+    return statements.map(statement => {
+        const accountIban = text(statement, 'Acct', 'Id', 'IBAN');
+        if (!accountIban) throw invalid('extracto sin IBAN de cuenta');
+
+        const balances = blocks(statement, 'Bal');
+        const entries = blocks(statement, 'Ntry')
+            .filter(entry => (text(entry, 'Sts', 'Cd') || text(entry, 'Sts')) !== 'PDNG');
+
+        const transactions = entries.map((entry, index) => {
+            const amount = signedAmount(entry);
+            const details = blocks(entry, 'TxDtls')[0] || '';
+            const party = amount < 0 ? 'Cdtr' : 'Dbtr';
+            const endToEndId = text(details, 'Refs', 'EndToEndId');
+
+            return {
+                line_number: index + 1,
+                booking_date: entryDate(entry, 'BookgDt'),
+                value_date: entryDate(entry, 'ValDt'),
+                amount,
+                concept: [...blocks(details, 'Ustrd').map(unescapeXml), text(entry, 'AddtlNtryInf')]
+                    .filter(Boolean).join(' ').replace(/\s+/g, ' ').trim(),
+                counterparty_name: text(details, 'RltdPties', party, 'Nm') || text(details, 'RltdPties', party, 'Pty', 'Nm'),
+                reference: endToEndId && endToEndId !== 'NOTPROVIDED' ? endToEndId : text(entry, 'AcctSvcrRef')
+            };
+        });
+
+        const dates = transactions.map(item => item.booking_date).filter(Boolean).sort();
+        return {
+            account_iban: accountIban.replace(/\s+/g, '').toUpperCase(),
+            currency: content.match(/<(?:[\w-]+:)?Amt\s+Ccy="([A-Z]{3})"/)?.[1] || 'EUR',
+            date_from: (text(statement, 'FrToDt', 'FrDtTm') || '').slice(0, 10) || dates[0] || null,
+            date_to: (text(statement, 'FrToDt', 'ToDtTm') || '').slice(0, 10) || dates[dates.length - 1] || null,
+            opening_balance: balance(balances, ['OPBD', 'PRCD']),
+            closing_balance: balance(balances, ['CLBD']),
+            transactions
+        };
+    });
+};
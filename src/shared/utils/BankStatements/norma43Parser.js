@@ -0,0 +1,103 @@
+/**
+ * @fileoverview Lectura de extractos AEB Norma 43 (Cuaderno 43)
+ *
+ * Registros de 80 posiciones:
+ * - 11  cabecera de cuenta: entidad, oficina, cuenta, fechas y saldo inicial
+ * - 22  movimiento: fechas de operación y valor, concepto común, debe/haber,
+ *       importe, número de documento y referencias
+ * - 23  conceptos complementarios del movimiento anterior (hasta 5)
+ * - 24  equivalencia de divisa (se ignora)
+ * - 33  final de cuenta: número y total de apuntes al debe y al haber y saldo final
+ * - 88  fin de fichero
+ * Debe/haber: 1 = cargo (importe negativo), 2 = abono (positivo). Los importes
+ * llevan 2 decimales implícitos y las fechas son AAMMDD.
+ */
+
+import { AppError } from '../../../errors/AppError.js';
+import { buildSpanishIban } from '../../helpers/sepaHelpers.js';
+import CalculateHelper from '../../helpers/calculateTotal.js';
+
+const invalid = (message) => new AppError(`Fichero Norma 43 no válido: ${message}`, 400, 'INVALID_STATEMENT_FILE');
+
+const parseDate = (value, lineNumber) => {
+    if (!/^\d{6}$/.test(value)) throw invalid(`fecha ${value} en la línea ${lineNumber}`);
+    return `20${value.slice(0, 2)}-${value.slice(2, 4)}-${value.slice(4, 6)}`;
+};
+
+const parseAmount = (sign, value, lineNumber) => {
+    if (!/^\d{14}$/.test(value)) throw invalid(`importe ${value} en la línea ${lineNumber}`);
+    return (sign === '1' ? -1 : 1) * Number(value) / 100;
+};
+
+/**
+ * Lee un extracto Norma 43 (una o varias cuentas)
+ * @param {string} content - Contenido del fichero (ISO-8859-1 ya decodificado)
+ * @returns {Object[]} Una entrada por cuenta: {account_iban, currency, date_from, date_to,
+ *          opening_balance, closing_balance, transactions: [{line_number, booking_date, value_date,
+ *          amount, concept, counterparty_name, reference}]}
+ * @throws {AppError} 400 INVALID_STATEMENT_FILE si un registro no es válido o los totales no cuadran
+ */
+export const parseNorma43 = (content) => {
+    const accounts = [];
+    let account = null;
+    let transaction = null;
+
+    content.split(/\r?\n/).forEach((line, index) => {
+        const lineNumber = index + 1;
+        const code = line.slice(0, 2);
+        if (!line.trim()) return;
+
+        if (code === '11') {
+            account = {
+                account_iban: buildSpanishIban(line.slice(2, 6), line.slice(6, 10), line.slice(10, 20)),
+                date_from: parseDate(line.slice(20, 26), lineNumber),
+                date_to: parseDate(line.slice(26, 32), lineNumber),
+                opening_balance: parseAmount(line[32], line.slice(33, 47), lineNumber),
+                currency: line.slice(47, 50) === '978' ? 'EUR' : line.slice(47, 50),
+                closing_balance: null,
+                transactions: []
+            };
+            accounts.push(account);
+            transaction = null;
+            return;
+        }
+        if (!account) throw invalid(`registro ${code} antes de la cabecera de cuenta (línea ${lineNumber})`);
+
+        if (code === '22') {
+            const documentNumber = line.slice(42, 52).trim();
+            const references = [line.slice(52, 64).trim(), line.slice(64, 80).trim()].filter(Boolean);
+            transaction = {
+                line_number: lineNumber,
+                booking_date: parseDate(line.slice(10, 16), lineNumber),
+                value_date: parseDate(line.slice(16, 22), lineNumber),
+                amount: parseAmount(line[27], line.slice(28, 42), lineNumber),
+                concept: references.join(' '),
+                counterparty_name: null,
+                reference: documentNumber && !/^0+$/.test(documentNumber) ? documentNumber : null
+            };
+            account.transactions.push(transaction);
+        } else if (code === '23') {
+            if (!transaction) throw invalid(`concepto sin movimiento (línea ${lineNumber})`);
+            const text = `${line.slice(4, 42).trim()} ${line.slice(42, 80).trim()}`.trim();
+            transaction.concept = [transaction.concept, text].filter(Boolean).join(' ');
+        } else if (code === '33') {
+            const debitTotal = Number(line.slice(25, 39)) / 100;
+            const creditTotal = Number(line.slice(44, 58)) / 100;
+            const debits = account.transactions.filter(item => item.amount < 0);
+            const credits = account.transactions.filter(item => item.amount > 0);
+            const sum = (items) => CalculateHelper.roundCurrency(items.reduce((acc, item) => acc + Math.abs(item.amount), 0));
+
+            if (Number(line.slice(20, 25)) !== debits.length || Number(line.slice(39, 44)) !== credits.length
+                || sum(debits) !== debitTotal || sum(credits) !== creditTotal) {
+                throw invalid(`los totales del final de cuenta (línea ${lineNumber}) no cuadran con los movimientos`);
+            }
+            account.closing_balance = parseAmount(line[58], line.slice(59, 73), lineNumber);
+            transaction = null;
+        } else if (!['24', '88'].includes(code)) {
+            throw invalid(`registro desconocido ${code} (línea ${lineNumber})`);
+        }
+    });
+
+    if (!accounts.length) throw invalid('no tiene cabecera de cuenta (registro 11)');
+    return accounts;
+};
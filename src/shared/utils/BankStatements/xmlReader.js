@@ -0,0 +1,34 @@
+/**
+ * @fileoverview Lectura de ficheros XML ISO 20022 sin dependencias: se buscan
+ * las etiquetas con expresiones sobre el texto, admitiendo prefijos de espacio
+ * de nombres. Suficiente para los extractos y ficheros de devoluciones, que no
+ * anidan la misma etiqueta dentro de sí misma.
+ */
+
+export const unescapeXml = (value) => value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+
+export const tagPattern = (tag, flags = '') =>
+    new RegExp(`<(?:[\\w-]+:)?${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:[\\w-]+:)?${tag}>`, flags);
+
+/**
+ * Contenido de todos los elementos <tag> de un fragmento
+ */
+export const blocks = (xml, tag) => [...xml.matchAll(tagPattern(tag, 'g'))].map(match => match[1]);
+
+/**
+ * Texto del primer elemento que sigue la ruta de etiquetas (null si no existe)
+ */
+export const text = (xml, ...path) => {
+    let fragment = xml;
+    for (const tag of path) {
+        const match = fragment?.match(tagPattern(tag));
+        if (!match) return null;
+        fragment = match[1];
+    }
+    return unescapeXml(fragment.trim());
+};
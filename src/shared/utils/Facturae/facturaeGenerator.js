@@ -0,0 +1,426 @@
+/**
+ * @fileoverview Generador de facturas electrónicas en formato Facturae 3.2.2
+ *
+ * Construye el XML de una factura o de un lote de facturas emitidas (mismo
+ * emisor y mismo receptor) a partir de los datos de getInvoiceWithDetails:
+ * el propietario es el emisor (SellerParty) y el cliente el receptor (BuyerParty).
+ * Los abonos se emiten como facturas rectificativas (InvoiceClass OR) con el
+ * bloque Corrective apuntando a la factura original.
+ *
+ * El XML se escribe ya en forma canónica (C14N): sin elementos vacíos
+ * autocerrados y con el mismo escapado, para poder firmarlo sin reserializar.
+ *
+ * @see https://www.facturae.gob.es/formato/Paginas/version-3-2.aspx
+ */
+
+import CalculateHelper from '../../helpers/calculateTotal.js';
+
+export const FACTURAE_NAMESPACE = 'http://www.facturae.gob.es/formato/Versiones/Facturaev3_2_2.xml';
+
+const SCHEMA_VERSION = '3.2.2';
+const CURRENCY = 'EUR';
+const TAX_TYPE_IVA = '01';
+const TAX_TYPE_IRPF = '04';
+const MAX_NUMBER_LENGTH = 20; // InvoiceNumber e InvoiceSeriesCode: 20 caracteres
+
+// Abono por el importe completo de la factura original
+const CORRECTIVE = {
+    reasonCode: '16',
+    reasonDescription: 'Base imponible',
+    correctionMethod: '01',
+    correctionMethodDescription: 'Rectificación íntegra'
+};
+
+const SPAIN_NAMES = ['', 'es', 'esp', 'espana', 'spain'];
+const EU_COUNTRIES = ['AUT', 'BEL', 'BGR', 'CYP', 'CZE', 'DEU', 'DNK', 'EST', 'FIN', 'FRA', 'GRC', 'HRV', 'HUN',
+    'IRL', 'ITA', 'LTU', 'LUX', 'LVA', 'MLT', 'NLD', 'POL', 'PRT', 'ROU', 'SVK', 'SVN', 'SWE'];
+
+// ==========================================
+// UTILIDADES DE FORMATO
+// ==========================================
+
+/**
+ * Escapa texto para el contenido de un elemento (mismo escapado que C14N)
+ */
+export const escapeXml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/\r/g, '&#xD;');
+
+const text = (value, maxLength) => escapeXml(String(value ?? '').trim().slice(0, maxLength));
+
+const amount = (value) => CalculateHelper.roundCurrency(value).toFixed(2);
+
+/**
+ * Importes de hasta 8 decimales (precio unitario, coste total de línea)
+ */
+const preciseAmount = (value) => {
+    const fixed = (parseFloat(value) || 0).toFixed(8).replace(/0+$/, '');
+    const [integer, decimals = ''] = fixed.split('.');
+    return `${integer}.${decimals.padEnd(2, '0')}`;
+};
+
+const element = (name, content) => `<${name}>${content}</${name}>`;
+
+const indentBlock = (lines, depth) => lines
+    .flat(Infinity)
+    .filter(Boolean)
+    .map(line => `${'  '.repeat(depth)}${line}`);
+
+const block = (name, children) => [
+    `<${name}>`,
+    ...indentBlock(children, 1),
+    `</${name}>`
+];
+
+/**
+ * Separa el número de factura en serie y número (Facturae limita ambos a 20 caracteres)
+ * El último segmento tras '-' o '/' es el número; el resto, la serie.
+ * @param {string} invoiceNumber - Número completo, p. ej. 'R-12345678Z-2025-00001'
+ * @returns {{seriesCode: string|null, number: string}}
+ */
+export const splitInvoiceNumber = (invoiceNumber) => {
+    const value = String(invoiceNumber || '').trim();
+    const separator = Math.max(value.lastIndexOf('-'), value.lastIndexOf('/'));
+    if (separator <= 0 || separator === value.length - 1) return {seriesCode: null, number: value};
+    return {seriesCode: value.slice(0, separator), number: value.slice(separator + 1)};
+};
+
+const isValidNumberPart = (part) => !part || part.length <= MAX_NUMBER_LENGTH;
+
+/**
+ * Tipo de persona según el documento: CIF → jurídica (J), DNI/NIE → física (F)
+ */
+export const getPersonTypeCode = (identification) => {
+    const id = String(identification || '').trim().toUpperCase();
+    return /^[ABCDEFGHJKLMNPQRSUVW]\d{7}[0-9A-J]$/.test(id) ? 'J' : 'F';
+};
+
+/**
+ * El cliente factura como persona jurídica (empresa o CIF)
+ */
+const isLegalEntityClient = (invoice) =>
+    invoice.client_type === 'empresa' || getPersonTypeCode(invoice.client_identification) === 'J';
+
+/**
+ * Código de país ISO 3166-1 alfa-3 (null si no se reconoce)
+ */
+export const getCountryCode = (country) => {
+    const normalized = String(country || '').trim().normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    if (SPAIN_NAMES.includes(normalized)) return 'ESP';
+    return /^[a-z]{3}$/.test(normalized) ? normalized.toUpperCase() : null;
+};
+
+// ==========================================
+// VALIDACIÓN DE DATOS
+// ==========================================
+
+/**
+ * Datos que faltan en una factura para que el XML cumpla el esquema
+ * @param {Object} invoice - Factura de getInvoiceWithDetails
+ * @returns {string[]} Campos ausentes o inválidos (vacío si está completa)
+ */
+export const getMissingFacturaeFields = (invoice) => {
+    const missing = [];
+
+    ['owner', 'client'].forEach(prefix => {
+        const label = prefix === 'owner' ? 'propietario' : 'cliente';
+        if (!invoice[`${prefix}_identification`]) missing.push(`NIF del ${label}`);
+        if (!invoice[`${prefix}_address`]) missing.push(`dirección del ${label}`);
+        if (!invoice[`${prefix}_location`]) missing.push(`población del ${label}`);
+        if (!invoice[`${prefix}_province`]) missing.push(`provincia del ${label}`);
+
+        const countryCode = getCountryCode(invoice[`${prefix}_country`]);
+        if (!countryCode) missing.push(`país del ${label} (nombre de España o código ISO de 3 letras)`);
+        if (countryCode === 'ESP' && !/^\d{5}$/.test(String(invoice[`${prefix}_postal_code`] || '').trim())) {
+            missing.push(`código postal del ${label}`);
+        }
+        if (countryCode && countryCode !== 'ESP' && !invoice[`${prefix}_postal_code`]) {
+            missing.push(`código postal del ${label}`);
+        }
+    });
+
+    if (getPersonTypeCode(invoice.owner_identification) === 'F' && !invoice.owner_lastname) {
+        missing.push('apellidos del propietario');
+    }
+    if (!isLegalEntityClient(invoice) && !invoice.client_lastname) {
+        missing.push('apellidos del cliente');
+    }
+
+    const numbers = [splitInvoiceNumber(invoice.invoice_number)];
+    if (invoice.is_refund) {
+        if (!invoice.original_invoice_number) missing.push('factura original del abono');
+        else numbers.push(splitInvoiceNumber(invoice.original_invoice_number));
+    }
+    if (!numbers.every(({seriesCode, number}) => isValidNumberPart(seriesCode) && isValidNumberPart(number))) {
+        missing.push(`número de factura con serie y número de hasta ${MAX_NUMBER_LENGTH} caracteres`);
+    }
+
+    return missing;
+};
+
+// ==========================================
+// CÁLCULO DE LÍNEAS E IMPORTES
+// ==========================================
+
+/**
+ * Líneas de la factura; sin líneas de detalle se genera una única línea
+ * con el concepto del alquiler (inmueble y mes)
+ */
+const getItems = (invoice) => {
+    if (invoice.lines?.length) return invoice.lines;
+
+    let description = invoice.estate_address ? `Alquiler ${invoice.estate_address}` : 'Alquiler';
+    if (invoice.corresponding_month) description += ` (${invoice.corresponding_month})`;
+
+    return [{
+        line_number: 1,
+        ...CalculateHelper.calculateLineAmounts({
+            description,
+            quantity: 1,
+            unit_price: invoice.tax_base,
+            discount: 0,
+            iva: invoice.iva,
+            irpf: invoice.irpf
+        })
+    }];
+};
+
+/**
+ * Totales de la factura a partir de sus líneas (impuestos agrupados por tipo)
+ */
+export const calculateFacturaeTotals = (items) => {
+    const breakdown = CalculateHelper.calculateLinesBreakdown(items);
+    const withheld = breakdown.irpf.filter(tax => tax.rate > 0);
+    const sum = (values) => CalculateHelper.roundCurrency(values.reduce((acc, value) => acc + value, 0));
+
+    const grossAmount = sum(items.map(item => parseFloat(item.tax_base) || 0));
+    const taxOutputs = sum(breakdown.iva.map(tax => tax.amount));
+    const taxesWithheld = sum(withheld.map(tax => tax.amount));
+
+    return {
+        taxesOutputs: breakdown.iva,
+        taxesWithheld: withheld,
+        grossAmount,
+        taxOutputs,
+        taxesWithheldAmount: taxesWithheld,
+        invoiceTotal: CalculateHelper.roundCurrency(grossAmount + taxOutputs - taxesWithheld)
+    };
+};
+
+// ==========================================
+// BLOQUES XML
+// ==========================================
+
+const taxBlock = (typeCode, tax) => block('Tax', [
+    element('TaxTypeCode', typeCode),
+    element('TaxRate', amount(tax.rate)),
+    block('TaxableBase', [element('TotalAmount', amount(tax.base))]),
+    block('TaxAmount', [element('TotalAmount', amount(tax.amount))])
+]);
+
+const addressBlock = (invoice, prefix) => {
+    const countryCode = getCountryCode(invoice[`${prefix}_country`]);
+    if (countryCode === 'ESP') {
+        return block('AddressInSpain', [
+            element('Address', text(invoice[`${prefix}_address`], 80)),
+            element('PostCode', text(invoice[`${prefix}_postal_code`], 5)),
+            element('Town', text(invoice[`${prefix}_location`], 50)),
+            element('Province', text(invoice[`${prefix}_province`], 20)),
+            element('CountryCode', 'ESP')
+        ]);
+    }
+    return block('OverseasAddress', [
+        element('Address', text(invoice[`${prefix}_address`], 80)),
+        element('PostCodeAndTown', text(`${invoice[`${prefix}_postal_code`]} ${invoice[`${prefix}_location`]}`, 50)),
+        element('Province', text(invoice[`${prefix}_province`], 20)),
+        element('CountryCode', countryCode)
+    ]);
+};
+
+const getResidenceTypeCode = (countryCode) => {
+    if (countryCode === 'ESP') return 'R';
+    return EU_COUNTRIES.includes(countryCode) ? 'U' : 'E';
+};
+
+/**
+ * Parte emisora o receptora (BusinessType)
+ * @param {Object} invoice - Factura con datos owner_* y client_*
+ * @param {string} prefix - 'owner' o 'client'
+ */
+const partyBlock = (invoice, prefix) => {
+    const identification = String(invoice[`${prefix}_identification`]).replace(/[\s-]/g, '').toUpperCase();
+    const personType = getPersonTypeCode(identification);
+    const legalEntity = prefix === 'client' ? isLegalEntityClient(invoice) : personType === 'J';
+    const name = invoice[`${prefix}_name`] || '';
+    const lastname = String(invoice[`${prefix}_lastname`] || '').trim();
+
+    let entity;
+    if (legalEntity) {
+        const corporateName = (prefix === 'client' && invoice.client_company_name) || [name, lastname].filter(Boolean).join(' ');
+        entity = block('LegalEntity', [
+            element('CorporateName', text(corporateName, 80)),
+            addressBlock(invoice, prefix)
+        ]);
+    } else {
+        const [firstSurname, ...secondSurname] = lastname.split(/\s+/);
+        entity = block('Individual', [
+            element('Name', text(name, 40)),
+            element('FirstSurname', text(firstSurname, 40)),
+            secondSurname.length ? element('SecondSurname', text(secondSurname.join(' '), 40)) : null,
+            addressBlock(invoice, prefix)
+        ]);
+    }
+
+    return [
+        block('TaxIdentification', [
+            element('PersonTypeCode', personType),
+            element('ResidenceTypeCode', getResidenceTypeCode(getCountryCode(invoice[`${prefix}_country`]))),
+            element('TaxIdentificationNumber', text(identification, 30))
+        ]),
+        entity
+    ];
+};
+
+const itemBlock = (item) => {
+    const quantity = isNaN(parseFloat(item.quantity)) ? 1 : parseFloat(item.quantity);
+    const unitPrice = parseFloat(item.unit_price) || 0;
+    const totalCost = quantity * unitPrice;
+    const grossAmount = parseFloat(item.tax_base) || 0;
+    const discount = parseFloat(item.discount) || 0;
+    const irpf = parseFloat(item.irpf) || 0;
+
+    return block('InvoiceLine', [
+        element('ItemDescription', text(item.description, 2500)),
+        element('Quantity', String(quantity)),
+        element('UnitOfMeasure', '01'),
+        element('UnitPriceWithoutTax', preciseAmount(unitPrice)),
+        element('TotalCost', preciseAmount(totalCost)),
+        discount > 0 ? block('DiscountsAndRebates', [
+            block('Discount', [
+                element('DiscountReason', 'Descuento'),
+                element('DiscountRate', discount.toFixed(4)),
+                element('DiscountAmount', preciseAmount(totalCost - grossAmount))
+            ])
+        ]) : null,
+        element('GrossAmount', preciseAmount(grossAmount)),
+        irpf > 0 ? block('TaxesWithheld', [
+            taxBlock(TAX_TYPE_IRPF, {rate: irpf, base: grossAmount, amount: item.irpf_amount})
+        ]) : null,
+        block('TaxesOutputs', [
+            taxBlock(TAX_TYPE_IVA, {rate: parseFloat(item.iva) || 0, base: grossAmount, amount: item.iva_amount})
+        ])
+    ]);
+};
+
+const correctiveBlock = (invoice) => {
+    const original = splitInvoiceNumber(invoice.original_invoice_number);
+    const originalDate = CalculateHelper.formatDateISO(invoice.original_invoice_date || invoice.invoice_date);
+
+    return block('Corrective', [
+        element('InvoiceNumber', text(original.number)),
+        original.seriesCode ? element('InvoiceSeriesCode', text(original.seriesCode)) : null,
+        element('ReasonCode', CORRECTIVE.reasonCode),
+        element('ReasonDescription', CORRECTIVE.reasonDescription),
+        block('TaxPeriod', [
+            element('StartDate', CalculateHelper.formatDateISO(invoice.start_date) || originalDate),
+            element('EndDate', CalculateHelper.formatDateISO(invoice.end_date) || originalDate)
+        ]),
+        element('CorrectionMethod', CORRECTIVE.correctionMethod),
+        element('CorrectionMethodDescription', CORRECTIVE.correctionMethodDescription),
+        element('AdditionalReasonDescription', text(`Abono de la factura ${invoice.original_invoice_number}`, 2500))
+    ]);
+};
+
+const invoiceBlock = (invoice, items, totals) => {
+    const {seriesCode, number} = splitInvoiceNumber(invoice.invoice_number);
+    const startDate = CalculateHelper.formatDateISO(invoice.start_date);
+    const endDate = CalculateHelper.formatDateISO(invoice.end_date);
+
+    return block('Invoice', [
+        block('InvoiceHeader', [
+            element('InvoiceNumber', text(number)),
+            seriesCode ? element('InvoiceSeriesCode', text(seriesCode)) : null,
+            element('InvoiceDocumentType', 'FC'),
+            element('InvoiceClass', invoice.is_refund ? 'OR' : 'OO'),
+            invoice.is_refund ? correctiveBlock(invoice) : null
+        ]),
+        block('InvoiceIssueData', [
+            element('IssueDate', CalculateHelper.formatDateISO(invoice.invoice_date)),
+            startDate && endDate ? block('InvoicingPeriod', [
+                element('StartDate', startDate),
+                element('EndDate', endDate)
+            ]) : null,
+            element('InvoiceCurrencyCode', CURRENCY),
+            element('TaxCurrencyCode', CURRENCY),
+            element('LanguageName', 'es')
+        ]),
+        block('TaxesOutputs', totals.taxesOutputs.map(tax => taxBlock(TAX_TYPE_IVA, tax))),
+        totals.taxesWithheld.length
+            ? block('TaxesWithheld', totals.taxesWithheld.map(tax => taxBlock(TAX_TYPE_IRPF, tax)))
+            : null,
+        block('InvoiceTotals', [
+            element('TotalGrossAmount', amount(totals.grossAmount)),
+            element('TotalGrossAmountBeforeTaxes', amount(totals.grossAmount)),
+            element('TotalTaxOutputs', amount(totals.taxOutputs)),
+            element('TotalTaxesWithheld', amount(totals.taxesWithheldAmount)),
+            element('InvoiceTotal', amount(totals.invoiceTotal)),
+            element('TotalOutstandingAmount', amount(totals.invoiceTotal)),
+            element('TotalExecutableAmount', amount(totals.invoiceTotal))
+        ]),
+        block('Items', items.map(itemBlock))
+    ]);
+};
+
+// ==========================================
+// DOCUMENTO
+// ==========================================
+
+/**
+ * Genera el documento Facturae 3.2.2 de una o varias facturas
+ * Con varias facturas se genera un lote (Modality L): todas deben tener
+ * el mismo emisor y el mismo receptor, que se toman de la primera.
+ *
+ * @param {Object[]} invoices - Facturas de getInvoiceWithDetails (con lines)
+ * @returns {string} XML sin firmar
+ */
+export const buildFacturaeXml = (invoices) => {
+    const documents = invoices.map(invoice => {
+        const items = getItems(invoice);
+        return {invoice, items, totals: calculateFacturaeTotals(items)};
+    });
+    const [first] = invoices;
+    const batchTotal = CalculateHelper.roundCurrency(
+        documents.reduce((acc, document) => acc + document.totals.invoiceTotal, 0)
+    );
+    const sellerId = String(first.owner_identification).replace(/[\s-]/g, '').toUpperCase();
+
+    const facturae = [
+        block('FileHeader', [
+            element('SchemaVersion', SCHEMA_VERSION),
+            element('Modality', invoices.length > 1 ? 'L' : 'I'),
+            element('InvoiceIssuerType', 'EM'),
+            block('Batch', [
+                element('BatchIdentifier', text(`${sellerId}${first.invoice_number}`, 70)),
+                element('InvoicesCount', String(invoices.length)),
+                block('TotalInvoicesAmount', [element('TotalAmount', amount(batchTotal))]),
+                block('TotalOutstandingAmount', [element('TotalAmount', amount(batchTotal))]),
+                block('TotalExecutableAmount', [element('TotalAmount', amount(batchTotal))]),
+                element('InvoiceCurrencyCode', CURRENCY)
+            ])
+        ]),
+        block('Parties', [
+            block('SellerParty', partyBlock(first, 'owner')),
+            block('BuyerParty', partyBlock(first, 'client'))
+        ]),
+        block('Invoices', documents.map(({invoice, items, totals}) => invoiceBlock(invoice, items, totals)))
+    ];
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<fe:Facturae xmlns:fe="${FACTURAE_NAMESPACE}">`,
+        ...indentBlock(facturae, 1),
+        '</fe:Facturae>'
+    ].join('\n');
+};
@@ -0,0 +1,195 @@
+/**
+ * @fileoverview Firma XAdES-EPES de documentos Facturae
+ *
+ * Firma enveloped según la política de firma de Facturae v3.1 con un
+ * certificado PKCS#12 (.p12/.pfx) configurado localmente. La clave y el
+ * certificado se extraen con el binario `openssl` (Node no lee PKCS#12);
+ * la contraseña se pasa por variable de entorno, nunca como argumento.
+ *
+ * El XML de entrada debe estar en forma canónica (ver facturaeGenerator.js):
+ * los digests se calculan sobre el texto tal cual, añadiendo a cada nodo
+ * firmado los espacios de nombres heredados como exige C14N inclusivo.
+ */
+
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+import { Buffer } from 'node:buffer';
+import { createHash, createPrivateKey, randomInt, sign, X509Certificate } from 'node:crypto';
+import { escapeXml, FACTURAE_NAMESPACE } from './facturaeGenerator.js';
+
+const execFileAsync = promisify(execFile);
+
+const DS_NAMESPACE = 'http://www.w3.org/2000/09/xmldsig#';
+const XADES_NAMESPACE = 'http://uri.etsi.org/01903/v1.3.2#';
+
+const ALGORITHMS = {
+    c14n: 'http://www.w3.org/TR/2001/REC-xml-c14n-20010315',
+    rsaSha256: 'http://www.w3.org/2001/04/xmldsig-more#rsa-sha256',
+    sha256: 'http://www.w3.org/2001/04/xmlenc#sha256',
+    sha1: 'http://www.w3.org/2000/09/xmldsig#sha1',
+    envelopedSignature: 'http://www.w3.org/2000/09/xmldsig#enveloped-signature'
+};
+
+const SIGNATURE_POLICY = {
+    identifier: 'http://www.facturae.es/politica_de_firma_formato_facturae/politica_de_firma_formato_facturae_v3_1.pdf',
+    description: 'Política de Firma FacturaE v3.1',
+    sha1Digest: 'Ohixl6upD6av8N7pEvDABhEL6hM='
+};
+
+// Espacios de nombres en el ámbito de los nodos firmados, en el orden de C14N
+const IN_SCOPE_NAMESPACES = `xmlns:ds="${DS_NAMESPACE}" xmlns:fe="${FACTURAE_NAMESPACE}" xmlns:xades="${XADES_NAMESPACE}"`;
+
+const OPENSSL_TIMEOUT_MS = 15000;
+
+const sha256 = (data) => createHash('sha256').update(data).digest('base64');
+
+const base64UrlToBase64 = (value) => Buffer.from(value, 'base64url').toString('base64');
+
+/**
+ * Lee la clave privada y el certificado de un archivo PKCS#12
+ * @param {string} certificatePath - Ruta al .p12/.pfx
+ * @param {string} password - Contraseña del archivo
+ * @returns {Promise<{privateKey: KeyObject, certificate: X509Certificate}>}
+ * @throws {Error} Si el archivo no se puede leer o no contiene una clave RSA con su certificado
+ */
+export const loadPkcs12Certificate = async (certificatePath, password = '') => {
+    const extract = (extraArgs) => execFileAsync(
+        'openssl',
+        ['pkcs12', '-in', certificatePath, '-nodes', '-passin', 'env:FACTURAE_P12_PASSWORD', ...extraArgs],
+        {env: {...process.env, FACTURAE_P12_PASSWORD: password}, timeout: OPENSSL_TIMEOUT_MS}
+    );
+
+    let output;
+    try {
+        ({stdout: output} = await extract([]));
+    } catch {
+        // Certificados antiguos (RC2/3DES) requieren el proveedor legacy en OpenSSL 3
+        ({stdout: output} = await extract(['-legacy']));
+    }
+
+    const keyPem = output.match(/-----BEGIN (?:RSA )?PRIVATE KEY-----[\s\S]+?-----END (?:RSA )?PRIVATE KEY-----/)?.[0];
+    const certificatePems = output.match(/-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g) || [];
+    if (!keyPem || !certificatePems.length) throw new Error('El archivo PKCS#12 no contiene clave privada y certificado');
+
+    const privateKey = createPrivateKey(keyPem);
+    if (privateKey.asymmetricKeyType !== 'rsa') throw new Error('La firma Facturae requiere una clave RSA');
+
+    const certificate = certificatePems
+        .map(pem => new X509Certificate(pem))
+        .find(candidate => candidate.checkPrivateKey(privateKey));
+    if (!certificate) throw new Error('Ningún certificado del archivo corresponde a la clave privada');
+
+    return {privateKey, certificate};
+};
+
+/**
+ * Nombre del emisor del certificado en formato RFC 2253 (orden inverso, separado por comas)
+ * Node ya devuelve cada RDN con los caracteres especiales escapados.
+ */
+const getIssuerName = (certificate) => certificate.issuer
+    .split('\n')
+    .filter(Boolean)
+    .reverse()
+    .join(',');
+
+/**
+ * Etiqueta de apertura de un nodo firmado: en el documento lleva solo sus
+ * atributos; para el digest (C14N) lleva además los espacios de nombres heredados
+ */
+const openTag = (name, attributes, canonical) =>
+    `<${name}${canonical ? ` ${IN_SCOPE_NAMESPACES}` : ''} ${attributes}>`;
+
+/**
+ * Firma un documento Facturae (XAdES-EPES enveloped, RSA-SHA256)
+ * @param {string} xml - Documento generado por buildFacturaeXml
+ * @param {Object} credentials - {privateKey, certificate} de loadPkcs12Certificate
+ * @param {Object} options
+ * @param {Date} options.signingTime - Fecha de firma (ahora por defecto)
+ * @returns {string} Documento con la firma como último hijo de fe:Facturae
+ */
+export const signFacturaeXml = (xml, {privateKey, certificate}, {signingTime = new Date()} = {}) => {
+    const id = randomInt(100000, 1000000);
+    const ids = {
+        signature: `Signature${id}`,
+        signedInfo: `Signature${id}-SignedInfo`,
+        signedProperties: `Signature${id}-SignedProperties`,
+        signatureValue: `Signature${id}-SignatureValue`,
+        keyInfo: `Certificate${id}`,
+        object: `Signature${id}-Object`,
+        documentReference: `Reference-${id}`
+    };
+
+    // Documento sin firma: el elemento raíz tal cual (la declaración XML no forma parte de C14N)
+    const rootStart = xml.indexOf('<fe:Facturae');
+    const rootEnd = xml.lastIndexOf('</fe:Facturae>');
+    const documentDigest = sha256(xml.slice(rootStart, rootEnd + '</fe:Facturae>'.length));
+
+    const jwk = certificate.publicKey.export({format: 'jwk'});
+    const keyInfoContent =
+        `<ds:X509Data><ds:X509Certificate>${certificate.raw.toString('base64')}</ds:X509Certificate></ds:X509Data>` +
+        `<ds:KeyValue><ds:RSAKeyValue><ds:Modulus>${base64UrlToBase64(jwk.n)}</ds:Modulus>` +
+        `<ds:Exponent>${base64UrlToBase64(jwk.e)}</ds:Exponent></ds:RSAKeyValue></ds:KeyValue>`;
+    const keyInfo = (canonical) =>
+        `${openTag('ds:KeyInfo', `Id="${ids.keyInfo}"`, canonical)}${keyInfoContent}</ds:KeyInfo>`;
+
+    const signedPropertiesContent =
+        '<xades:SignedSignatureProperties>' +
+        `<xades:SigningTime>${signingTime.toISOString().replace(/\.\d{3}Z$/, 'Z')}</xades:SigningTime>` +
+        '<xades:SigningCertificate><xades:Cert><xades:CertDigest>' +
+        `<ds:DigestMethod Algorithm="${ALGORITHMS.sha256}"></ds:DigestMethod>` +
+        `<ds:DigestValue>${sha256(certificate.raw)}</ds:DigestValue>` +
+        '</xades:CertDigest><xades:IssuerSerial>' +
+        `<ds:X509IssuerName>${escapeXml(getIssuerName(certificate))}</ds:X509IssuerName>` +
+        `<ds:X509SerialNumber>${BigInt(`0x${certificate.serialNumber}`).toString()}</ds:X509SerialNumber>` +
+        '</xades:IssuerSerial></xades:Cert></xades:SigningCertificate>' +
+        '<xades:SignaturePolicyIdentifier><xades:SignaturePolicyId><xades:SigPolicyId>' +
+        `<xades:Identifier>${SIGNATURE_POLICY.identifier}</xades:Identifier>` +
+        `<xades:Description>${SIGNATURE_POLICY.description}</xades:Description>` +
+        '</xades:SigPolicyId><xades:SigPolicyHash>' +
+        `<ds:DigestMethod Algorithm="${ALGORITHMS.sha1}"></ds:DigestMethod>` +
+        `<ds:DigestValue>${SIGNATURE_POLICY.sha1Digest}</ds:DigestValue>` +
+        '</xades:SigPolicyHash></xades:SignaturePolicyId></xades:SignaturePolicyIdentifier>' +
+        '<xades:SignerRole><xades:ClaimedRoles><xades:ClaimedRole>emisor</xades:ClaimedRole></xades:ClaimedRoles></xades:SignerRole>' +
+        '</xades:SignedSignatureProperties>' +
+        '<xades:SignedDataObjectProperties>' +
+        `<xades:DataObjectFormat ObjectReference="#${ids.documentReference}">` +
+        '<xades:Description>Factura electrónica</xades:Description><xades:MimeType>text/xml</xades:MimeType>' +
+        '</xades:DataObjectFormat></xades:SignedDataObjectProperties>';
+    const signedProperties = (canonical) =>
+        `${openTag('xades:SignedProperties', `Id="${ids.signedProperties}"`, canonical)}${signedPropertiesContent}</xades:SignedProperties>`;
+
+    const reference = (attributes, digest, transforms = '') =>
+        `<ds:Reference ${attributes}>${transforms}` +
+        `<ds:DigestMethod Algorithm="${ALGORITHMS.sha256}"></ds:DigestMethod>` +
+        `<ds:DigestValue>${digest}</ds:DigestValue></ds:Reference>`;
+
+    const signedInfoContent =
+        `<ds:CanonicalizationMethod Algorithm="${ALGORITHMS.c14n}"></ds:CanonicalizationMethod>` +
+        `<ds:SignatureMethod Algorithm="${ALGORITHMS.rsaSha256}"></ds:SignatureMethod>` +
+        reference(
+            `Id="${ids.documentReference}" Type="${DS_NAMESPACE}Object" URI=""`,
+            documentDigest,
+            `<ds:Transforms><ds:Transform Algorithm="${ALGORITHMS.envelopedSignature}"></ds:Transform></ds:Transforms>`
+        ) +
+        reference(
+            `Id="${ids.signedProperties}-Reference" Type="http://uri.etsi.org/01903#SignedProperties" URI="#${ids.signedProperties}"`,
+            sha256(signedProperties(true))
+        ) +
+        reference(`URI="#${ids.keyInfo}"`, sha256(keyInfo(true)));
+    const signedInfo = (canonical) =>
+        `${openTag('ds:SignedInfo', `Id="${ids.signedInfo}"`, canonical)}${signedInfoContent}</ds:SignedInfo>`;
+
+    const signatureValue = sign('sha256', Buffer.from(signedInfo(true)), privateKey).toString('base64');
+
+    const signature =
+        `<ds:Signature xmlns:ds="${DS_NAMESPACE}" xmlns:xades="${XADES_NAMESPACE}" Id="${ids.signature}">` +
+        signedInfo(false) +
+        `<ds:SignatureValue Id="${ids.signatureValue}">${signatureValue}</ds:SignatureValue>` +
+        keyInfo(false) +
+        `<ds:Object Id="${ids.object}"><xades:QualifyingProperties Target="#${ids.signature}">` +
+        signedProperties(false) +
+        '</xades:QualifyingProperties></ds:Object>' +
+        '</ds:Signature>';
+
+    return `${xml.slice(0, rootEnd)}${signature}${xml.slice(rootEnd)}`;
+};
@@ -0,0 +1,65 @@
+/**
+ * Generador de las cartas de reclamación de facturas vencidas
+ * El asunto y el texto llegan ya resueltos desde la plantilla del nivel
+ * (dunning_events), de modo que el PDF se reimprime tal como se envió.
+ */
+
+const LETTER_TITLES = {
+    reminder: 'RECORDATORIO DE PAGO',
+    formal_notice: 'REQUERIMIENTO DE PAGO',
+    burofax: 'BORRADOR DE BUROFAX'
+};
+
+function formatDate(value) {
+    if (!value) return '-';
+    const [year, month, day] = String(value).slice(0, 10).split('-');
+    return `${day}/${month}/${year}`;
+}
+
+/**
+ * Genera el contenido PDF de la carta
+ * @param {PDFDocument} doc - Instancia del documento PDFKit (A4 vertical)
+ * @param {Object} letter - {company: CompanyService.getCompanyData(), event: DunningService.getLetter()}
+ */
+export function generateDunningLetterPDFContent(doc, {company, event}) {
+    const width = doc.page.width - 80;
+
+    // Remitente
+    doc.font('Helvetica-Bold').fontSize(11).text(company.name || '', 40, 40);
+    doc.font('Helvetica').fontSize(9)
+        .text(company.nif ? `NIF: ${company.nif}` : '')
+        .text(company.address || '')
+        .text([company.postal_code, company.city, company.province].filter(Boolean).join(' '));
+
+    // Destinatario
+    doc.font('Helvetica-Bold').fontSize(10).text(event.client_name || '', 320, 120, {width: 235});
+    doc.font('Helvetica').fontSize(9)
+        .text(event.client_identification ? `NIF: ${event.client_identification}` : '', {width: 235})
+        .text(event.client_address || '', {width: 235})
+        .text([event.client_postal_code, event.client_location, event.client_province].filter(Boolean).join(' '), {width: 235});
+
+    doc.font('Helvetica').fontSize(9)
+        .text(`${company.city || ''}${company.city ? ', ' : ''}${formatDate(event.event_date)}`, 40, 210, {width, align: 'right'});
+
+    if (event.letter_type === 'burofax') {
+        doc.font('Helvetica-Bold').fontSize(9).fillColor('#c0392b')
+            .text(LETTER_TITLES.burofax, 40, 225, {width, align: 'left'});
+        doc.fillColor('black');
+    }
+
+    doc.font('Helvetica-Bold').fontSize(11)
+        .text(`Asunto: ${event.subject || LETTER_TITLES[event.letter_type] || ''}`, 40, 240, {width});
+    doc.moveDown();
+
+    doc.font('Helvetica').fontSize(10)
+        .text(event.body || '', 40, doc.y, {width, align: 'justify'});
+
+    doc.moveDown();
+    doc.text('Atentamente,', 40, doc.y, {width});
+    doc.moveDown(3);
+    doc.font('Helvetica-Bold').fontSize(10).text(company.name || '', 40);
+
+    doc.fontSize(7).fillColor('gray').font('Helvetica')
+        .text(`Documento generado el ${new Date().toLocaleString('es-ES')}`, 40, doc.page.height - 60, {align: 'center', width});
+    doc.fillColor('black');
+}
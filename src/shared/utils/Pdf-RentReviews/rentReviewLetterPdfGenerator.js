@@ -0,0 +1,113 @@
+/**
+ * Generador de la carta de actualización de renta al inquilino
+ * Comunica la renta anterior, el índice aplicado y la nueva renta desde el aniversario del contrato
+ */
+
+const INDEX_LABELS = {
+    IPC: 'Índice de Precios de Consumo (IPC), variación anual',
+    IRAV: 'Índice de Referencia para la Actualización anual de los contratos de arrendamiento de Vivienda (IRAV)'
+};
+
+/**
+ * Formatea un importe monetario en formato español
+ * @param {number} amount
+ * @returns {string}
+ */
+function formatAmount(amount) {
+    if (amount === null || amount === undefined) return '0,00 €';
+    return `${Number(amount).toFixed(2).replace('.', ',')} €`;
+}
+
+function formatRate(rate) {
+    return `${Number(rate || 0).toFixed(3).replace('.', ',')} %`;
+}
+
+function formatDate(value) {
+    if (!value) return '-';
+    const [year, month, day] = String(value).slice(0, 10).split('-');
+    return `${day}/${month}/${year}`;
+}
+
+function formatPeriod(period) {
+    const [year, month] = period.split('-');
+    return `${month}/${year}`;
+}
+
+/**
+ * Genera el contenido PDF de la carta
+ * @param {PDFDocument} doc - Instancia del documento PDFKit (A4 vertical)
+ * @param {Object} letter - {company: CompanyService.getCompanyData(), review: RentReviewService.getReviewById()[0]}
+ */
+export function generateRentReviewLetterPDFContent(doc, {company, review}) {
+    const width = doc.page.width - 80;
+
+    // Remitente
+    doc.font('Helvetica-Bold').fontSize(11).text(company.name || '', 40, 40);
+    doc.font('Helvetica').fontSize(9)
+        .text(company.nif ? `NIF: ${company.nif}` : '')
+        .text(company.address || '')
+        .text([company.postal_code, company.city, company.province].filter(Boolean).join(' '));
+
+    // Destinatario
+    doc.font('Helvetica-Bold').fontSize(10).text(review.client_name || '', 320, 120, {width: 235});
+    doc.font('Helvetica').fontSize(9)
+        .text(review.client_identification ? `NIF: ${review.client_identification}` : '', {width: 235})
+        .text(review.client_address || '', {width: 235})
+        .text([review.client_postal_code, review.client_location, review.client_province].filter(Boolean).join(' '), {width: 235});
+
+    doc.font('Helvetica').fontSize(9)
+        .text(`${company.city || ''}${company.city ? ', ' : ''}${new Date().toLocaleDateString('es-ES')}`, 40, 210, {width, align: 'right'});
+
+    doc.font('Helvetica-Bold').fontSize(11)
+        .text('Asunto: actualización anual de la renta', 40, 240);
+    doc.moveDown();
+
+    doc.font('Helvetica').fontSize(10).text(
+        `Muy señor/a nuestro/a:\n\n` +
+        `Conforme a lo pactado en el contrato de arrendamiento del inmueble situado en ${review.estate_address || '-'}` +
+        `${review.estate_cadastral_reference ? ` (referencia catastral ${review.estate_cadastral_reference})` : ''}, ` +
+        `de fecha ${formatDate(review.start_date)}, le comunicamos la actualización de la renta correspondiente ` +
+        `a su aniversario del ${formatDate(review.review_date)}:`,
+        40, doc.y, {width, align: 'justify'}
+    );
+    doc.moveDown();
+
+    // Detalle de la actualización
+    const rows = [
+        ['Renta mensual anterior', formatAmount(review.previous_rent)],
+        ['Índice aplicado', INDEX_LABELS[review.index_type] || review.index_type],
+        ['Mes de referencia del índice', formatPeriod(review.index_period)],
+        ['Variación publicada', formatRate(review.index_value)],
+        ['Variación aplicada', formatRate(review.applied_rate)],
+        ['Nueva renta mensual', formatAmount(review.new_rent)]
+    ];
+
+    let y = doc.y;
+    rows.forEach(([label, value], index) => {
+        const isTotal = index === rows.length - 1;
+        doc.rect(40, y, width, 20).fillAndStroke(index % 2 === 0 ? '#f8f9fa' : '#ffffff', '#dee2e6');
+        doc.fillColor('#2c3e50').font(isTotal ? 'Helvetica-Bold' : 'Helvetica').fontSize(9)
+            .text(label, 48, y + 6, {width: 200})
+            .text(value, 250, y + 6, {width: width - 218, align: 'right'});
+        y += 20;
+    });
+    doc.fillColor('black');
+
+    doc.font('Helvetica').fontSize(10).text(
+        `La nueva renta, más los impuestos que correspondan, se aplicará a partir del recibo del mes de ` +
+        `${formatPeriod(review.review_date.slice(0, 7))}. ` +
+        (review.applied_rate < review.index_value
+            ? 'La variación aplicada se ha limitado al tope establecido para el contrato. '
+            : '') +
+        `El resto de condiciones del contrato no se modifica.\n\n` +
+        `Quedamos a su disposición para cualquier aclaración.\n\nAtentamente,`,
+        40, y + 20, {width, align: 'justify'}
+    );
+
+    doc.moveDown(3);
+    doc.font('Helvetica-Bold').fontSize(10).text(company.name || '', 40);
+
+    doc.fontSize(7).fillColor('gray').font('Helvetica')
+        .text(`Documento generado el ${new Date().toLocaleString('es-ES')}`, 40, doc.page.height - 60, {align: 'center', width});
+    doc.fillColor('black');
+}
@@ -0,0 +1,243 @@
+import PDFDocument from 'pdfkit';
+import fs from 'fs';
+
+const STATUS_LABELS = {
+    draft: 'Borrador',
+    approved: 'Aprobada',
+    paid: 'Pagada'
+};
+
+const ITEM_TYPE_LABELS = {
+    issued: 'Cobro',
+    received: 'Factura recibida',
+    internal: 'Gasto'
+};
+
+/**
+ * Genera el PDF de una liquidación a propietario
+ * Mismo diseño que el comprobante de gasto (rentalExpensePdfGenerator):
+ * banda de cabecera, bloques de información y tablas con filas alternas.
+ * @param {Object} settlement - Resultado de OwnerSettlementService.getSettlementById
+ * @param {string} filePath - Ruta donde guardar el PDF
+ */
+export const generateSettlementPdf = (settlement, filePath) => {
+    return new Promise((resolve, reject) => {
+        try {
+            /**
+             * Formatea números como moneda
+             */
+            const formatCurrency = (amount) => {
+                const num = parseFloat(amount) || 0;
+                return new Intl.NumberFormat('es-ES', {
+                    style: 'currency',
+                    currency: 'EUR',
+                    minimumFractionDigits: 2
+                }).format(num);
+            };
+
+            const formatDate = (value) => (value ? new Date(value).toLocaleDateString('es-ES') : 'N/A');
+
+            // ==========================================
+            // CONFIGURACIÓN DEL DOCUMENTO
+            // ==========================================
+            const doc = new PDFDocument({ margin: 50, size: 'A4' });
+            const stream = fs.createWriteStream(filePath);
+            doc.pipe(stream);
+
+            const primaryColor = '#27ae60'; // Verde para liquidaciones
+            const secondaryColor = '#1e8449';
+
+            // ==========================================
+            // ENCABEZADO PRINCIPAL
+            // ==========================================
+            doc.fillColor(primaryColor).rect(50, 50, 500, 40).fill();
+            doc.fillColor('white').font('Helvetica-Bold').fontSize(22)
+                .text('LIQUIDACIÓN A PROPIETARIO', 60, 60);
+
+            // ==========================================
+            // INFORMACIÓN GENERAL
+            // ==========================================
+            let yPosition = 120;
+
+            doc.fontSize(14)
+                .fillColor('#2c3e50')
+                .text(`Número: ${settlement.id}`, 50, yPosition);
+            yPosition += 30;
+
+            doc.fontSize(12)
+                .fillColor('#2c3e50')
+                .text('INFORMACIÓN GENERAL', 50, yPosition, { underline: true });
+            yPosition += 25;
+
+            const basicInfo = [
+                ['Propietario:', settlement.owner.name || 'N/A'],
+                ['NIF:', settlement.owner.nif || 'N/A'],
+                ['Período:', `Del ${formatDate(settlement.period_start)} al ${formatDate(settlement.period_end)}`],
+                ['Estado:', STATUS_LABELS[settlement.status] || settlement.status]
+            ];
+
+            basicInfo.forEach(([label, value]) => {
+                doc.font('Helvetica').fontSize(10)
+                    .fillColor('#7f8c8d')
+                    .text(label, 50, yPosition)
+                    .fillColor('#2c3e50')
+                    .text(value, 200, yPosition);
+                yPosition += 20;
+            });
+
+            // ========================================
+            // DETALLE DE DOCUMENTOS - TABLA
+            // ========================================
+            yPosition += 20;
+
+            doc.fontSize(12)
+                .fillColor('#2c3e50')
+                .text('DETALLE', 50, yPosition, { underline: true });
+            yPosition += 25;
+
+            const drawTableHeader = () => {
+                doc.fontSize(9)
+                    .rect(50, yPosition, 500, 22)
+                    .fillAndStroke(primaryColor, secondaryColor)
+                    .fillColor('#ffffff')
+                    .text('Fecha', 58, yPosition + 7)
+                    .text('Concepto', 120, yPosition + 7)
+                    .text('%', 390, yPosition + 7, { width: 40, align: 'right' })
+                    .text('Importe (€)', 440, yPosition + 7, { width: 100, align: 'right' });
+                yPosition += 22;
+            };
+            drawTableHeader();
+
+            settlement.items.forEach((item, index) => {
+                if (yPosition > 720) {
+                    doc.addPage();
+                    yPosition = 50;
+                    drawTableHeader();
+                }
+
+                const bgColor = index % 2 === 0 ? '#f8f9fa' : '#ffffff';
+                const concept = [ITEM_TYPE_LABELS[item.item_type], item.reference, item.description]
+                    .filter(Boolean).join(' · ');
+                // Los cobros suman y los gastos restan al propietario
+                const amount = item.item_type === 'issued' ? item.total : -item.total;
+
+                doc.rect(50, yPosition, 500, 20)
+                    .fillAndStroke(bgColor, '#dee2e6')
+                    .fillColor('#2c3e50')
+                    .fontSize(8)
+                    .text(formatDate(item.item_date), 58, yPosition + 6)
+                    .text(concept, 120, yPosition + 6, { width: 265, height: 10, ellipsis: true })
+                    .text(`${item.percentage}`, 390, yPosition + 6, { width: 40, align: 'right' })
+                    .text(formatCurrency(amount), 440, yPosition + 6, { width: 100, align: 'right' });
+
+                yPosition += 20;
+            });
+
+            // ========================================
+            // RESUMEN
+            // ========================================
+            if (yPosition > 600) {
+                doc.addPage();
+                yPosition = 50;
+            }
+            yPosition += 20;
+
+            doc.fontSize(12)
+                .fillColor('#2c3e50')
+                .text('RESUMEN', 50, yPosition, { underline: true });
+            yPosition += 25;
+
+            const summary = [
+                ['Alquileres cobrados', settlement.income],
+                ['Gastos imputados', -settlement.expenses],
+                [`Comisión de gestión (${settlement.commission_rate}% de ${formatCurrency(settlement.commission_base)})`, -settlement.commission],
+                ['IVA de la comisión', -settlement.commission_iva]
+            ];
+
+            summary.forEach(([concept, amount], index) => {
+                const bgColor = index % 2 === 0 ? '#f8f9fa' : '#ffffff';
+                doc.rect(50, yPosition, 500, 20)
+                    .fillAndStroke(bgColor, '#dee2e6')
+                    .fillColor('#2c3e50')
+                    .fontSize(10)
+                    .text(concept, 60, yPosition + 5)
+                    .text(formatCurrency(amount), 440, yPosition + 5, { width: 100, align: 'right' });
+                yPosition += 20;
+            });
+
+            // ========================================
+            // TOTAL
+            // ========================================
+            yPosition += 10;
+
+            doc.fontSize(14)
+                .fillColor('#ffffff')
+                .rect(300, yPosition, 250, 30)
+                .fillAndStroke(secondaryColor, primaryColor)
+                .fillColor('#ffffff')
+                .text('A PAGAR:', 310, yPosition + 8)
+                .text(formatCurrency(settlement.net_amount), 400, yPosition + 8, { width: 140, align: 'right' });
+
+            // ========================================
+            // INFORMACIÓN DE PAGO
+            // ========================================
+            yPosition += 60;
+
+            if (settlement.status === 'paid') {
+                doc.fontSize(12)
+                    .fillColor('#2c3e50')
+                    .text('INFORMACIÓN DE PAGO', 50, yPosition, { underline: true });
+                yPosition += 25;
+
+                const paymentInfo = [
+                    ['Fecha de pago:', formatDate(settlement.paid_date)],
+                    ['Referencia:', settlement.payment_reference || 'Sin referencia']
+                ];
+
+                paymentInfo.forEach(([label, value]) => {
+                    doc.fontSize(10)
+                        .fillColor('#7f8c8d')
+                        .text(label, 50, yPosition)
+                        .fillColor('#2c3e50')
+                        .text(value, 150, yPosition);
+                    yPosition += 18;
+                });
+            }
+
+            // ========================================
+            // NOTAS ADICIONALES
+            // ========================================
+            if (settlement.notes) {
+                yPosition += 20;
+
+                doc.fontSize(12)
+                    .fillColor('#2c3e50')
+                    .text('NOTAS', 50, yPosition, { underline: true });
+                yPosition += 20;
+
+                doc.fontSize(10)
+                    .fillColor('#7f8c8d')
+                    .text(settlement.notes, 50, yPosition, { width: 500 });
+            }
+
+            // ========================================
+            // PIE DE PÁGINA
+            // ========================================
+            doc.fontSize(8)
+                .fillColor('#95a5a6')
+                .text(`Documento generado el ${new Date().toLocaleDateString('es-ES')} a las ${new Date().toLocaleTimeString('es-ES')}`,
+                    50, 750, { align: 'center', width: 500 });
+
+            // ==========================================
+            // FINALIZACIÓN DEL DOCUMENTO
+            // ==========================================
+            doc.end();
+
+            stream.on('finish', () => resolve(filePath));
+            stream.on('error', (error) => reject(error));
+
+        } catch (error) {
+            reject(error);
+        }
+    });
+};
@@ -0,0 +1,111 @@
+/**
+ * Generador de PDF de la declaración anual de rendimientos del capital inmobiliario
+ * Un bloque por inmueble (ingresos, gastos, amortización, días) y el total del propietario
+ */
+
+/**
+ * Formatea un importe monetario en formato español
+ * @param {number} amount
+ * @returns {string}
+ */
+function formatAmount(amount) {
+    if (amount === null || amount === undefined) return '0,00 €';
+    return `${Number(amount).toFixed(2).replace('.', ',')} €`;
+}
+
+/**
+ * Fila concepto / importe / deducible
+ * @returns {number} Posición Y siguiente
+ */
+function drawRow(doc, y, label, amount, deductible, bold = false) {
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+    doc.text(label, 50, y, {width: 280});
+    doc.text(amount === null ? '' : formatAmount(amount), 330, y, {width: 100, align: 'right'});
+    doc.text(deductible === null ? '' : formatAmount(deductible), 440, y, {width: 100, align: 'right'});
+    return y + 14;
+}
+
+/**
+ * Bloque de un inmueble
+ * @returns {number} Posición Y final
+ */
+function drawEstate(doc, statement, startY) {
+    let y = startY;
+    if (y > doc.page.height - 260) {
+        doc.addPage();
+        y = 40;
+    }
+
+    const {estate, days} = statement;
+    doc.font('Helvetica-Bold').fontSize(11)
+        .text(`${estate.cadastral_reference || 'SIN REF. CATASTRAL'} · ${estate.address || ''}`, 40, y, {width: doc.page.width - 80});
+    y = doc.y + 2;
+    doc.font('Helvetica').fontSize(8)
+        .text(`Propiedad: ${statement.ownership_percentage}%  ·  Días arrendado: ${days.rented}  ·  Días vacío: ${days.vacant} de ${days.days_in_year}`, 40, y);
+    y = doc.y + 6;
+
+    doc.font('Helvetica-Bold').fontSize(8);
+    doc.text('Importe', 330, y, {width: 100, align: 'right'});
+    doc.text('Deducible', 440, y, {width: 100, align: 'right'});
+    y += 12;
+    doc.moveTo(40, y).lineTo(doc.page.width - 40, y).stroke();
+    y += 4;
+
+    y = drawRow(doc, y, `Ingresos íntegros (${statement.income.invoice_count} facturas)`, statement.income.amount, null);
+    y = drawRow(doc, y, 'Retenciones soportadas', statement.withholdings, null);
+    statement.expenses.lines.forEach(line => {
+        y = drawRow(doc, y, line.label, line.amount, line.deductible);
+    });
+    const {amortization} = statement;
+    y = drawRow(doc, y,
+        amortization.base
+            ? `Amortización (${amortization.rate}% de ${formatAmount(amortization.base)} × ${amortization.ownership_percentage}%)`
+            : 'Amortización (sin valor catastral de la construcción)',
+        null, amortization.amount);
+    y = drawRow(doc, y + 2, 'Rendimiento neto', statement.net_income, null, true);
+
+    return y + 12;
+}
+
+/**
+ * Genera el contenido PDF de la declaración del propietario
+ * @param {PDFDocument} doc - Instancia del documento PDFKit (A4 vertical)
+ * @param {Object} statement - Resultado de TaxReportsService.getOwnerTaxStatement
+ */
+export function generateOwnerTaxStatementPDFContent(doc, statement) {
+    doc.font('Helvetica-Bold').fontSize(16)
+        .text(`Rendimientos del capital inmobiliario ${statement.year}`, 40, 40, {align: 'center'});
+    doc.font('Helvetica').fontSize(10)
+        .text(`Propietario: ${statement.owner.name}  ·  NIF: ${statement.owner.nif}`, {align: 'center'});
+    doc.moveDown();
+
+    let y = doc.y + 6;
+    if (!statement.estates.length) {
+        doc.font('Helvetica').fontSize(9).text('Sin inmuebles en el ejercicio', 40, y);
+        y = doc.y + 12;
+    }
+    statement.estates.forEach(item => {
+        y = drawEstate(doc, item, y);
+    });
+
+    if (y > doc.page.height - 160) {
+        doc.addPage();
+        y = 40;
+    }
+    const {totals} = statement;
+    doc.font('Helvetica-Bold').fontSize(12).text('Total del propietario', 40, y);
+    y = doc.y + 4;
+    y = drawRow(doc, y, 'Ingresos íntegros', totals.income, null);
+    y = drawRow(doc, y, 'Gastos', totals.expenses, totals.deductible_expenses);
+    y = drawRow(doc, y, 'Amortización', null, totals.amortization);
+    y = drawRow(doc, y, 'Retenciones soportadas', totals.withholdings, null);
+    drawRow(doc, y + 2, 'Rendimiento neto', totals.net_income, null, true);
+
+    doc.moveDown();
+    statement.warnings.forEach(warning => doc.fillColor('#b00020').fontSize(8).text(`Aviso: ${warning}`, 40).fillColor('black'));
+
+    doc.moveDown(2);
+    doc.fontSize(7).fillColor('gray')
+        .text(`Documento generado el ${new Date().toLocaleString('es-ES')}`, 40, doc.y, {align: 'center', width: doc.page.width - 80});
+    doc.fillColor('black');
+}
@@ -0,0 +1,142 @@
+/**
+ * Generador de PDF de los modelos 115 y 180 (retenciones sobre alquileres)
+ * Detalle por arrendador, arrendatario e inmueble y cuadre con el libro de IVA
+ */
+
+const COLUMNS = [
+    {header: 'Arrendador', width: 150, value: (group) => `${group.landlord.name || '-'}\n${group.landlord.nif || 'SIN NIF'}`},
+    {header: 'Arrendatario', width: 150, value: (group) => `${group.tenant.name || '-'}\n${group.tenant.nif || 'SIN NIF'}`},
+    {header: 'Inmueble', width: 200, value: (group) => group.estate
+        ? `${group.estate.cadastral_reference || 'SIN REF. CATASTRAL'}\n${group.estate.address || ''}`
+        : 'Sin inmueble'},
+    {header: 'Base', width: 85, align: 'right', value: (group) => formatAmount(group.base)},
+    {header: '%', width: 40, align: 'right', value: (group) => formatRate(group.rate)},
+    {header: 'Retención', width: 85, align: 'right', value: (group) => formatAmount(group.amount)}
+];
+
+/**
+ * Formatea un importe monetario en formato español
+ * @param {number} amount
+ * @returns {string}
+ */
+function formatAmount(amount) {
+    if (amount === null || amount === undefined) return '0,00 €';
+    return `${Number(amount).toFixed(2).replace('.', ',')} €`;
+}
+
+function formatRate(rate) {
+    return `${Number(rate || 0).toFixed(2).replace('.', ',')}`;
+}
+
+/**
+ * Tabla de grupos de retenciones
+ * @returns {number} Posición Y final
+ */
+function drawGroupsTable(doc, groups, startY) {
+    const left = 40;
+    const rowHeight = 26;
+    let y = startY;
+
+    const drawHeader = () => {
+        let x = left;
+        doc.font('Helvetica-Bold').fontSize(8);
+        COLUMNS.forEach(col => {
+            doc.text(col.header, x, y, {width: col.width, align: col.align || 'left'});
+            x += col.width;
+        });
+        y += 14;
+        doc.moveTo(left, y).lineTo(doc.page.width - left, y).stroke();
+        y += 4;
+    };
+
+    drawHeader();
+    if (!groups.length) {
+        doc.font('Helvetica').fontSize(8).text('Sin retenciones en el período', left, y);
+        return y + 16;
+    }
+
+    groups.forEach(group => {
+        if (y > doc.page.height - 80) {
+            doc.addPage();
+            y = 40;
+            drawHeader();
+        }
+        let x = left;
+        doc.font('Helvetica').fontSize(7);
+        COLUMNS.forEach(col => {
+            doc.text(col.value(group), x, y, {width: col.width - 5, align: col.align || 'left', height: rowHeight, ellipsis: true});
+            x += col.width;
+        });
+        y += rowHeight;
+    });
+
+    return y;
+}
+
+/**
+ * Bloque de totales bajo una tabla
+ * @returns {number} Posición Y final
+ */
+function drawTotals(doc, totals, y) {
+    doc.font('Helvetica-Bold').fontSize(9)
+        .text(`Perceptores: ${totals.recipients}   Base: ${formatAmount(totals.base)}   Retenciones: ${formatAmount(totals.amount)}`,
+            40, y + 4, {align: 'right', width: doc.page.width - 80});
+    return doc.y + 14;
+}
+
+/**
+ * Genera el contenido PDF del modelo 115 o 180
+ * @param {PDFDocument} doc - Instancia del documento PDFKit (A4 apaisado)
+ * @param {Object} report - Resultado de TaxReportsService.getModelo115 / getModelo180
+ */
+export function generateRentWithholdingPDFContent(doc, report) {
+    const title = report.model === '115'
+        ? `Modelo 115 - Retenciones sobre alquileres ${report.period}`
+        : `Modelo 180 - Resumen anual de retenciones sobre alquileres ${report.period}`;
+
+    doc.font('Helvetica-Bold').fontSize(16).text(title, 40, 40, {align: 'center'});
+    doc.font('Helvetica').fontSize(10)
+        .text(`Declarante: ${report.declarant.name}  ·  NIF: ${report.declarant.nif}`, {align: 'center'});
+    doc.moveDown();
+
+    if (report.boxes) {
+        doc.font('Helvetica').fontSize(9).text(
+            `[01] Perceptores: ${report.boxes['01']}   [02] Base: ${formatAmount(report.boxes['02'])}   ` +
+            `[03] Retenciones: ${formatAmount(report.boxes['03'])}   [05] Resultado: ${formatAmount(report.boxes['05'])}`,
+            40, doc.y, {align: 'center', width: doc.page.width - 80}
+        );
+        doc.moveDown();
+    }
+
+    doc.font('Helvetica-Bold').fontSize(12).text('Retenciones practicadas (alquileres pagados por la empresa)', 40);
+    let y = drawGroupsTable(doc, report.withholdings_practised.groups, doc.y + 6);
+    y = drawTotals(doc, report.withholdings_practised.totals, y);
+
+    if (y > doc.page.height - 120) {
+        doc.addPage();
+        y = 40;
+    }
+    doc.font('Helvetica-Bold').fontSize(12).text('Retenciones soportadas (practicadas por los arrendatarios)', 40, y);
+    y = drawGroupsTable(doc, report.withholdings_suffered.groups, doc.y + 6);
+    y = drawTotals(doc, report.withholdings_suffered.totals, y);
+
+    if (y > doc.page.height - 120) {
+        doc.addPage();
+        y = 40;
+    }
+    const {charged, supported, matches} = report.reconciliation;
+    doc.font('Helvetica-Bold').fontSize(12).text('Cuadre con el libro de IVA', 40, y);
+    doc.font('Helvetica').fontSize(9)
+        .text(`IRPF libro repercutido: ${formatAmount(charged.vat_book_irpf)}  ·  Retenciones soportadas: ${formatAmount(charged.report_irpf)}  ·  Diferencia: ${formatAmount(charged.difference)}`)
+        .text(`IRPF libro soportado: ${formatAmount(supported.vat_book_irpf)}  ·  Alquileres: ${formatAmount(supported.report_irpf)}  ·  Otras retenciones: ${formatAmount(supported.other_irpf)}  ·  Diferencia: ${formatAmount(supported.difference)}`)
+        .fillColor(matches ? 'green' : '#b00020')
+        .text(matches ? 'Cuadra con el libro de IVA' : 'NO cuadra con el libro de IVA')
+        .fillColor('black');
+
+    report.warnings.forEach(warning => doc.fillColor('#b00020').text(`Aviso: ${warning}`).fillColor('black'));
+
+    doc.moveDown(2);
+    doc.fontSize(7).fillColor('gray')
+        .text(`Documento generado el ${new Date().toLocaleString('es-ES')}`, 40, doc.y, {align: 'center', width: doc.page.width - 80});
+    doc.fillColor('black');
+}
@@ -0,0 +1,108 @@
+/**
+ * Generador de PDF del borrador del modelo 303
+ * Resumen de casillas para revisar antes de presentar (no sustituye al formulario de la AEAT)
+ */
+
+import { MODELO_303_BOX_LABELS } from '../../helpers/modelo303Helpers.js';
+
+const SECTIONS = [
+    {title: 'IVA devengado', boxes: ['01', '03', '153', '155', '04', '06', '07', '09', '14', '15', '27']},
+    {title: 'IVA deducible', boxes: ['28', '29', '40', '41', '45']},
+    {title: 'Resultado', boxes: ['46', '64', '65', '66', '110', '78', '87', '69', '71']}
+];
+
+/**
+ * Formatea un importe monetario en formato español
+ * @param {number} amount
+ * @returns {string}
+ */
+function formatAmount(amount) {
+    if (amount === null || amount === undefined) return '0,00 €';
+    return `${Number(amount).toFixed(2).replace('.', ',')} €`;
+}
+
+/**
+ * Marca de agua "BORRADOR" en la página actual
+ * @param {PDFDocument} doc
+ */
+function drawDraftMark(doc) {
+    doc.save();
+    doc.rotate(-35, {origin: [doc.page.width / 2, doc.page.height / 2]});
+    doc.font('Helvetica-Bold').fontSize(90).fillColor('#e6e6e6')
+        .text('BORRADOR', 0, doc.page.height / 2 - 45, {width: doc.page.width, align: 'center', lineBreak: false});
+    doc.restore();
+    doc.fillColor('black');
+}
+
+/**
+ * Fila de una casilla: número, descripción e importe
+ * @returns {number} Posición Y siguiente
+ */
+function drawBoxRow(doc, box, value, y) {
+    const left = 50;
+    const right = doc.page.width - 50;
+    const isRate = box === '65';
+
+    doc.font('Helvetica-Bold').fontSize(8).text(`[${box}]`, left, y, {width: 35});
+    doc.font('Helvetica').fontSize(8).text(MODELO_303_BOX_LABELS[box], left + 40, y, {width: 330});
+    doc.text(isRate ? `${Number(value).toFixed(2).replace('.', ',')} %` : formatAmount(value),
+        right - 110, y, {width: 110, align: 'right'});
+
+    return y + 15;
+}
+
+/**
+ * Genera el contenido PDF del borrador del modelo 303
+ * @param {PDFDocument} doc - Instancia del documento PDFKit
+ * @param {Object} declaration - Resultado de Modelo303Service.getModelo303
+ * @param {Object} companyData - Datos del declarante
+ */
+export function generateModelo303PDFContent(doc, declaration, companyData) {
+    drawDraftMark(doc);
+
+    doc.font('Helvetica-Bold').fontSize(18).text('Modelo 303 - Borrador', 50, 50, {align: 'center'});
+    doc.font('Helvetica').fontSize(11)
+        .text(`IVA. Autoliquidación - Período ${declaration.period}`, {align: 'center'});
+    doc.moveDown();
+
+    doc.fontSize(10)
+        .text(`Declarante: ${companyData.name || 'N/A'}`)
+        .text(`NIF: ${declaration.nif || 'N/A'}`)
+        .text(`Tipo de declaración: ${declaration.declaration_type} - ${declaration.declaration_type_description}`)
+        .moveDown();
+
+    let y = doc.y;
+    SECTIONS.forEach(section => {
+        doc.font('Helvetica-Bold').fontSize(11).text(section.title, 50, y);
+        y = doc.y + 3;
+        doc.moveTo(50, y).lineTo(doc.page.width - 50, y).stroke();
+        y += 5;
+
+        section.boxes.forEach(box => {
+            y = drawBoxRow(doc, box, declaration.boxes[box], y);
+        });
+        y += 10;
+    });
+
+    // Resultado destacado
+    doc.font('Helvetica-Bold').fontSize(12)
+        .text(`Resultado de la liquidación [71]: ${formatAmount(declaration.boxes['71'])}`, 50, y, {align: 'right'});
+    y = doc.y + 10;
+
+    const {compensation} = declaration;
+    doc.font('Helvetica').fontSize(9)
+        .text(`Cuotas a compensar en períodos posteriores: ${formatAmount(compensation.carry_forward)}`, 50, y);
+    if (compensation.previous_period) {
+        doc.text(`Compensación tomada del período ${compensation.previous_period}`);
+    }
+    if (declaration.exempt_base) {
+        doc.text(`Base de operaciones exentas (no declarada en el régimen general): ${formatAmount(declaration.exempt_base)}`);
+    }
+    declaration.warnings.forEach(warning => doc.fillColor('#b00020').text(`Aviso: ${warning}`).fillColor('black'));
+
+    doc.moveDown(2);
+    doc.fontSize(7).fillColor('gray')
+        .text(`Documento generado el ${new Date().toLocaleString('es-ES')}. Borrador informativo: la presentación se realiza en la sede electrónica de la AEAT importando el fichero del modelo.`,
+            50, doc.y, {align: 'center'});
+    doc.fillColor('black');
+}
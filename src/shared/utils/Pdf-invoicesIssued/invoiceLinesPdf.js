@@ -0,0 +1,97 @@
+/**
+ * @fileoverview Bloques comunes para facturas y abonos con líneas de detalle
+ *
+ * Tabla de líneas (descripción, cantidad, precio, descuento, IVA, importe)
+ * y filas del resumen fiscal desglosadas por tipo de IVA e IRPF.
+ * Las facturas sin líneas mantienen el formato de una sola fila.
+ */
+
+import CalculateHelper from '../../helpers/calculateTotal.js';
+
+/**
+ * Dibuja la tabla de líneas de la factura a partir de doc.y
+ * Añade página nueva si una fila no cabe; deja doc.y bajo la última fila.
+ *
+ * @param {PDFDocument} doc - Documento PDF
+ * @param {Object[]} lines - Líneas de la factura
+ * @param {string} primaryColor - Color del encabezado de la tabla
+ * @param {Function} formatNumber - Formateador de importes (2 decimales)
+ */
+export const drawInvoiceLinesTable = (doc, lines, primaryColor, formatNumber) => {
+    const tableLeft = 50;
+    const rowHeight = 22;
+    const columns = [
+        {title: 'Descripción', width: 200, align: 'left', value: line => line.description || ''},
+        {title: 'Cant.', width: 50, align: 'right', value: line => String(parseFloat(line.quantity) || 0)},
+        {title: 'Precio', width: 70, align: 'right', value: line => `${formatNumber(line.unit_price)} €`},
+        {title: 'Dto.%', width: 50, align: 'right', value: line => formatNumber(line.discount)},
+        {title: 'IVA%', width: 50, align: 'right', value: line => String(parseFloat(line.iva) || 0)},
+        {title: 'Importe', width: 80, align: 'right', value: line => `${formatNumber(line.tax_base)} €`}
+    ];
+
+    const drawHeader = () => {
+        const headerY = doc.y;
+        doc.fillColor(primaryColor).rect(tableLeft, headerY, 500, 25).fill();
+        doc.fillColor('white').font('Helvetica-Bold').fontSize(10);
+        let x = tableLeft;
+        columns.forEach(column => {
+            doc.text(column.title, x + 5, headerY + 8, {width: column.width - 10, align: column.align});
+            x += column.width;
+        });
+        doc.y = headerY + 25;
+    };
+
+    drawHeader();
+
+    lines.forEach(line => {
+        if (doc.y + rowHeight > doc.page.height - doc.page.margins.bottom) {
+            doc.addPage();
+            drawHeader();
+        }
+
+        const rowY = doc.y;
+        let x = tableLeft;
+        doc.strokeColor('#cccccc').lineWidth(0.5);
+        doc.fillColor('black').font('Helvetica').fontSize(9);
+        columns.forEach(column => {
+            doc.rect(x, rowY, column.width, rowHeight).stroke();
+            doc.text(column.value(line), x + 5, rowY + 7, {
+                width: column.width - 10,
+                height: rowHeight - 8,
+                align: column.align,
+                ellipsis: true
+            });
+            x += column.width;
+        });
+        doc.y = rowY + rowHeight;
+    });
+
+    doc.fontSize(10);
+};
+
+/**
+ * Filas de IVA e IRPF para el resumen económico
+ * Con líneas: una fila por tipo (las retenciones al 0% se omiten si hay otras);
+ * sin líneas: una sola fila calculada sobre la base de la cabecera.
+ *
+ * @param {Object} invoice - Factura (con lines opcional)
+ * @param {number} taxBase - Base imponible de la cabecera
+ * @returns {{iva: Array<{rate, amount}>, irpf: Array<{rate, amount}>}}
+ */
+export const getTaxSummaryRows = (invoice, taxBase) => {
+    if (invoice.lines?.length) {
+        const breakdown = CalculateHelper.calculateLinesBreakdown(invoice.lines);
+        const irpfRows = breakdown.irpf.filter(row => row.rate > 0);
+        return {
+            iva: breakdown.iva,
+            irpf: irpfRows.length ? irpfRows : [{rate: 0, amount: 0}]
+        };
+    }
+
+    const iva = parseFloat(invoice.iva) || 0;
+    const irpf = parseFloat(invoice.irpf) || 0;
+    return {
+        iva: [{rate: iva, amount: taxBase * iva / 100}],
+        irpf: [{rate: irpf, amount: taxBase * irpf / 100}]
+    };
+};
@@ -15,6 +15,8 @@
 import PDFDocument from 'pdfkit';
 import fs from 'fs';
 import path from 'path';
+import { drawInvoiceLinesTable, getTaxSummaryRows } from './invoiceLinesPdf.js';
+import { drawVerifactuQr, VERIFACTU_QR_SIZE } from './verifactuQrPdf.js';
 
 /**
  * Genera un PDF de factura de alquiler con formato profesional
@@ -44,6 +46,7 @@ import path from 'path';
  * @param {number} invoice.iva - Porcentaje de IVA
  * @param {number} invoice.irpf - Porcentaje de IRPF
  * @param {number} invoice.total - Total calculado
+ * @param {Object|null} invoice.verifactu - Registro VERI*FACTU ({qr_url}); si existe se imprime el QR tributario
  * @param {string} outputPath - Ruta donde guardar el archivo PDF
  * @returns {Promise<string>} Promesa que resuelve con la ruta del archivo generado
  *
@@ -116,10 +119,18 @@ export const generateInvoicePdf = (invoice, outputPath) => { // CAMBIO: Nombre d
             // ==========================================
 
             // Barra de título con fondo azul
-            doc.fillColor(primaryColor).rect(50, 50, 500, 40).fill();
+            /** @type {number} Posición X del QR tributario (esquina superior derecha) */
+            const qrX = 550 - VERIFACTU_QR_SIZE;
+
+            // Con registro VERI*FACTU la barra se acorta para dejar sitio al QR
+            doc.fillColor(primaryColor).rect(50, 50, invoice.verifactu ? qrX - 65 : 500, 40).fill();
             doc.fillColor('white').font('Helvetica-Bold').fontSize(22).text('FACTURA', 60, 60);
             doc.moveDown(1);
 
+            // QR tributario y leyenda VERI*FACTU
+            const headerBottom = doc.y;
+            const qrBottom = invoice.verifactu ? drawVerifactuQr(doc, invoice.verifactu, qrX, 50) : 0;
+
             // ==========================================
             // SECCIÓN DEL ARRENDADOR (COLUMNA IZQUIERDA)
             // ==========================================
@@ -130,8 +141,8 @@ export const generateInvoicePdf = (invoice, outputPath) => { // CAMBIO: Nombre d
             /** @type {number} Posición X de la columna derecha */
             const rightColumnX = 350;
 
-            /** @type {number} Posición Y inicial para ambas columnas */
-            const startY = doc.y + 10;
+            /** @type {number} Posición Y inicial para ambas columnas (bajo el QR si lo hay) */
+            const startY = Math.max(headerBottom, qrBottom) + 10;
 
             // Título de la sección arrendador
             doc.font('Helvetica-Bold').fillColor('black').fontSize(11).text('ARRENDADOR', leftColumnX, startY);
@@ -193,17 +204,8 @@ export const generateInvoicePdf = (invoice, outputPath) => { // CAMBIO: Nombre d
             /** @type {number} Base imponible de la factura */
             const taxBase = safeNumber(invoice.tax_base);
 
-            /** @type {number} Porcentaje de IVA */
-            const iva = safeNumber(invoice.iva);
-
-            /** @type {number} Porcentaje de IRPF */
-            const irpf = safeNumber(invoice.irpf);
-
-            /** @type {number} Importe del IVA calculado */
-            const ivaAmount = taxBase * iva / 100;
-
-            /** @type {number} Importe del IRPF calculado */
-            const irpfAmount = taxBase * irpf / 100;
+            /** @type {Object} Filas de IVA e IRPF (una por tipo si la factura tiene líneas) */
+            const taxRows = getTaxSummaryRows(invoice, taxBase);
 
             /** @type {number} Total final de la factura */
             const total = safeNumber(invoice.total);
@@ -335,6 +337,12 @@ export const generateInvoicePdf = (invoice, outputPath) => { // CAMBIO: Nombre d
             // Actualizar posición Y
             doc.y = rowY + rowHeight;
 
+            // Detalle por líneas (facturas con varios conceptos o tipos de IVA)
+            if (invoice.lines?.length) {
+                doc.moveDown(1);
+                drawInvoiceLinesTable(doc, invoice.lines, primaryColor, formatNumber);
+            }
+
             // ==========================================
             // RESUMEN ECONÓMICO
             // ==========================================
@@ -354,26 +362,33 @@ export const generateInvoicePdf = (invoice, outputPath) => { // CAMBIO: Nombre d
                 align: 'right'
             });
 
-            // IVA
-            doc.font('Helvetica-Bold').text(`I.V.A. ${iva}%`, summaryX, summaryY + 20);
-            doc.font('Helvetica').text(`${formatNumber(ivaAmount)} €`, summaryX + 430, summaryY + 20, {
-                width: 70,
-                align: 'right'
+            // IVA: una fila por tipo
+            let summaryRowY = summaryY + 20;
+            taxRows.iva.forEach(row => {
+                doc.font('Helvetica-Bold').text(`I.V.A. ${row.rate}%`, summaryX, summaryRowY);
+                doc.font('Helvetica').text(`${formatNumber(row.amount)} €`, summaryX + 430, summaryRowY, {
+                    width: 70,
+                    align: 'right'
+                });
+                summaryRowY += 20;
             });
 
             // IRPF (retención)
-            doc.font('Helvetica-Bold').text(`I.R.P.F. ${irpf}%`, summaryX, summaryY + 40);
-            doc.font('Helvetica').text(`-${formatNumber(irpfAmount)} €`, summaryX + 430, summaryY + 40, {
-                width: 70,
-                align: 'right'
+            taxRows.irpf.forEach(row => {
+                doc.font('Helvetica-Bold').text(`I.R.P.F. ${row.rate}%`, summaryX, summaryRowY);
+                doc.font('Helvetica').text(`-${formatNumber(row.amount)} €`, summaryX + 430, summaryRowY, {
+                    width: 70,
+                    align: 'right'
+                });
+                summaryRowY += 20;
             });
 
             // Línea separadora
-            doc.strokeColor('#cccccc').lineWidth(1).moveTo(summaryX, summaryY + 60).lineTo(summaryX + 500, summaryY + 60).stroke();
+            doc.strokeColor('#cccccc').lineWidth(1).moveTo(summaryX, summaryRowY).lineTo(summaryX + 500, summaryRowY).stroke();
 
             // Total final
-            doc.font('Helvetica-Bold').text('Total de la factura', summaryX, summaryY + 70);
-            doc.font('Helvetica-Bold').text(`${formatNumber(total)} €`, summaryX + 430, summaryY + 70, {
+            doc.font('Helvetica-Bold').text('Total de la factura', summaryX, summaryRowY + 10);
+            doc.font('Helvetica-Bold').text(`${formatNumber(total)} €`, summaryX + 430, summaryRowY + 10, {
                 width: 70,
                 align: 'right'
             });
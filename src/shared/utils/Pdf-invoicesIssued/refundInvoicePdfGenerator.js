@@ -15,6 +15,8 @@
 import PDFDocument from 'pdfkit';
 import fs from 'fs';
 import path from 'path';
+import { drawInvoiceLinesTable, getTaxSummaryRows } from './invoiceLinesPdf.js';
+import { drawVerifactuQr, VERIFACTU_QR_SIZE } from './verifactuQrPdf.js';
 
 /**
  * Genera un PDF de abono (factura rectificativa) con formato profesional
@@ -46,6 +48,7 @@ import path from 'path';
  * @param {number} invoice.iva - Porcentaje de IVA
  * @param {number} invoice.irpf - Porcentaje de IRPF
  * @param {number} invoice.total - Total calculado (negativo)
+ * @param {Object|null} invoice.verifactu - Registro VERI*FACTU ({qr_url}); si existe se imprime el QR tributario
  * @param {string} outputPath - Ruta donde guardar el archivo PDF
  * @returns {Promise<string>} Promesa que resuelve con la ruta del archivo generado
  *
@@ -119,16 +122,24 @@ export const generateRefundInvoicePdf = (invoice, outputPath) => { // CAMBIO: No
             // ==========================================
 
             // Barra de título con fondo rojo para distinguir del original
-            doc.fillColor(primaryColor).rect(50, 50, 500, 40).fill();
+            /** @type {number} Posición X del QR tributario (esquina superior derecha) */
+            const qrX = 550 - VERIFACTU_QR_SIZE;
+
+            // Con registro VERI*FACTU la barra se acorta para dejar sitio al QR
+            doc.fillColor(primaryColor).rect(50, 50, invoice.verifactu ? qrX - 65 : 500, 40).fill();
             doc.fillColor('white').font('Helvetica-Bold').fontSize(22).text('FACTURA DE ABONO', 60, 60);
             doc.moveDown(1);
 
             // Referencia a la factura original
             doc.fillColor('black').font('Helvetica-Bold').fontSize(11)
-                .text(`Referencia a factura: ${invoice.original_invoice_number || 'N/A'}`, 50, doc.y);
+                .text(`Referencia a factura: ${invoice.original_invoice_number || 'N/A'}`, 50, doc.y, {width: 350});
 
             doc.moveDown(1);
 
+            // QR tributario y leyenda VERI*FACTU
+            const headerBottom = doc.y;
+            const qrBottom = invoice.verifactu ? drawVerifactuQr(doc, invoice.verifactu, qrX, 50) : 0;
+
             // ==========================================
             // SECCIÓN DEL ARRENDADOR (COLUMNA IZQUIERDA)
             // ==========================================
@@ -139,8 +150,8 @@ export const generateRefundInvoicePdf = (invoice, outputPath) => { // CAMBIO: No
             /** @type {number} Posición X de la columna derecha */
             const rightColumnX = 350;
 
-            /** @type {number} Posición Y inicial para ambas columnas */
-            const startY = doc.y + 10;
+            /** @type {number} Posición Y inicial para ambas columnas (bajo el QR si lo hay) */
+            const startY = Math.max(headerBottom, qrBottom) + 10;
 
             // Título de la sección arrendador
             doc.font('Helvetica-Bold').fillColor('black').fontSize(11).text('ARRENDADOR', leftColumnX, startY);
@@ -202,17 +213,8 @@ export const generateRefundInvoicePdf = (invoice, outputPath) => { // CAMBIO: No
             /** @type {number} Base imponible del abono (negativa) */
             const taxBase = safeNumber(invoice.tax_base);
 
-            /** @type {number} Porcentaje de IVA */
-            const iva = safeNumber(invoice.iva);
-
-            /** @type {number} Porcentaje de IRPF */
-            const irpf = safeNumber(invoice.irpf);
-
-            /** @type {number} Importe del IVA calculado (negativo) */
-            const ivaAmount = taxBase * iva / 100;
-
-            /** @type {number} Importe del IRPF calculado (negativo) */
-            const irpfAmount = taxBase * irpf / 100;
+            /** @type {Object} Filas de IVA e IRPF (una por tipo si la factura tiene líneas) */
+            const taxRows = getTaxSummaryRows(invoice, taxBase);
 
             /** @type {number} Total final del abono (negativo) */
             const total = safeNumber(invoice.total);
@@ -344,6 +346,12 @@ export const generateRefundInvoicePdf = (invoice, outputPath) => { // CAMBIO: No
             // Actualizar posición Y
             doc.y = rowY + rowHeight;
 
+            // Detalle por líneas (facturas con varios conceptos o tipos de IVA)
+            if (invoice.lines?.length) {
+                doc.moveDown(1);
+                drawInvoiceLinesTable(doc, invoice.lines, primaryColor, formatNumber);
+            }
+
             // ==========================================
             // RESUMEN ECONÓMICO (VALORES NEGATIVOS)
             // ==========================================
@@ -363,26 +371,33 @@ export const generateRefundInvoicePdf = (invoice, outputPath) => { // CAMBIO: No
                 align: 'right'
             });
 
-            // IVA (negativo)
-            doc.font('Helvetica-Bold').text(`I.V.A. ${iva}%`, summaryX, summaryY + 20);
-            doc.font('Helvetica').text(`${formatNumber(ivaAmount)} €`, summaryX + 430, summaryY + 20, {
-                width: 70,
-                align: 'right'
+            // IVA (negativo): una fila por tipo
+            let summaryRowY = summaryY + 20;
+            taxRows.iva.forEach(row => {
+                doc.font('Helvetica-Bold').text(`I.V.A. ${row.rate}%`, summaryX, summaryRowY);
+                doc.font('Helvetica').text(`${formatNumber(row.amount)} €`, summaryX + 430, summaryRowY, {
+                    width: 70,
+                    align: 'right'
+                });
+                summaryRowY += 20;
             });
 
             // IRPF (la retención se invierte en abonos)
-            doc.font('Helvetica-Bold').text(`I.R.P.F. ${irpf}%`, summaryX, summaryY + 40);
-            doc.font('Helvetica').text(`-${formatNumber(irpfAmount)} €`, summaryX + 430, summaryY + 40, {
-                width: 70,
-                align: 'right'
+            taxRows.irpf.forEach(row => {
+                doc.font('Helvetica-Bold').text(`I.R.P.F. ${row.rate}%`, summaryX, summaryRowY);
+                doc.font('Helvetica').text(`-${formatNumber(row.amount)} €`, summaryX + 430, summaryRowY, {
+                    width: 70,
+                    align: 'right'
+                });
+                summaryRowY += 20;
             });
 
             // Línea separadora
-            doc.strokeColor('#cccccc').lineWidth(1).moveTo(summaryX, summaryY + 60).lineTo(summaryX + 500, summaryY + 60).stroke();
+            doc.strokeColor('#cccccc').lineWidth(1).moveTo(summaryX, summaryRowY).lineTo(summaryX + 500, summaryRowY).stroke();
 
             // Total del abono (negativo)
-            doc.font('Helvetica-Bold').text('Total del abono', summaryX, summaryY + 70);
-            doc.font('Helvetica-Bold').text(`${formatNumber(total)} €`, summaryX + 430, summaryY + 70, {
+            doc.font('Helvetica-Bold').text('Total del abono', summaryX, summaryRowY + 10);
+            doc.font('Helvetica-Bold').text(`${formatNumber(total)} €`, summaryX + 430, summaryRowY + 10, {
                 width: 70,
                 align: 'right'
             });
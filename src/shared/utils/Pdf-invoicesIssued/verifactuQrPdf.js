@@ -0,0 +1,45 @@
+/**
+ * @fileoverview Código QR tributario VERI*FACTU para facturas y abonos
+ *
+ * Dibuja el QR con la URL de cotejo de la AEAT como vectores (rectángulos
+ * de pdfkit, sin imágenes intermedias), con el texto "QR tributario:" encima
+ * y la leyenda VERI*FACTU debajo. Se coloca al inicio de la factura.
+ */
+
+import QRCode from 'qrcode';
+
+/** @type {number} Lado del QR en puntos (30 mm, dentro del rango 30-40 mm de la norma) */
+export const VERIFACTU_QR_SIZE = 85;
+
+/**
+ * Dibuja el bloque QR + leyenda
+ * @param {PDFDocument} doc - Documento PDF
+ * @param {Object} verifactu - Datos de getInvoiceVerifactu ({qr_url})
+ * @param {number} x - Esquina superior izquierda del bloque
+ * @param {number} y - Esquina superior izquierda del bloque
+ * @returns {number} Posición Y bajo el bloque
+ */
+export const drawVerifactuQr = (doc, verifactu, x, y) => {
+    const size = VERIFACTU_QR_SIZE;
+
+    doc.font('Helvetica').fontSize(7).fillColor('black')
+        .text('QR tributario:', x, y, {width: size, align: 'center'});
+    const qrY = y + 10;
+
+    // El margen en blanco alrededor del QR (zona de silencio) es el propio fondo de la página
+    const {modules} = QRCode.create(verifactu.qr_url, {errorCorrectionLevel: 'M'});
+    const moduleSize = size / modules.size;
+    for (let row = 0; row < modules.size; row++) {
+        for (let col = 0; col < modules.size; col++) {
+            if (modules.get(row, col)) doc.rect(x + col * moduleSize, qrY + row * moduleSize, moduleSize, moduleSize);
+        }
+    }
+    doc.fill('black');
+
+    doc.font('Helvetica-Bold').fontSize(8)
+        .text('VERI*FACTU', x, qrY + size + 4, {width: size, align: 'center'});
+    doc.font('Helvetica').fontSize(6)
+        .text('Factura verificable en la sede electrónica de la AEAT', x, doc.y + 1, {width: size, align: 'center'});
+
+    return doc.y;
+};
@@ -0,0 +1,79 @@
+/**
+ * @fileoverview Fichero de transferencias SEPA (pain.001.001.03)
+ *
+ * Un único bloque PmtInf con la cuenta de cargo de la empresa y la fecha de
+ * ejecución, y un CdtTrfTxInf por transferencia al proveedor con su IBAN y
+ * los números de sus facturas en el concepto (Ustrd).
+ *
+ * @see https://www.iso20022.org/catalogue-messages/iso-20022-messages-archive
+ */
+
+import { sepaText } from '../../helpers/sepaHelpers.js';
+import {
+    accountBlock,
+    agentBlock,
+    amount,
+    block,
+    creationDateTime,
+    CURRENCY,
+    element,
+    sepaDocument,
+    sumAmounts
+} from './sepaXml.js';
+
+export const PAIN_001_NAMESPACE = 'urn:iso:std:iso:20022:tech:xsd:pain.001.001.03';
+
+const transactionBlock = (transaction) => block('CdtTrfTxInf', [
+    block('PmtId', [element('EndToEndId', sepaText(transaction.end_to_end_id, 35))]),
+    block('Amt', [element('InstdAmt', amount(transaction.amount), `Ccy="${CURRENCY}"`)]),
+    // El agente del beneficiario es opcional en pain.001.001.03: basta el IBAN
+    transaction.creditor_bic ? agentBlock('CdtrAgt', transaction.creditor_bic) : null,
+    block('Cdtr', [element('Nm', sepaText(transaction.creditor_name, 70))]),
+    accountBlock('CdtrAcct', transaction.creditor_iban),
+    block('RmtInf', [element('Ustrd', sepaText(transaction.remittance_info, 140))])
+]);
+
+/**
+ * XML pain.001.001.03 de una remesa de transferencias
+ * @param {Object} remittance
+ * @param {string} remittance.message_id - Identificador único del mensaje (máx. 35)
+ * @param {string} remittance.requested_date - Fecha de ejecución (YYYY-MM-DD)
+ * @param {Object} remittance.debtor - {name, nif, iban, bic}
+ * @param {Object[]} remittance.transactions - [{end_to_end_id, amount, creditor_name, creditor_iban,
+ *        creditor_bic, remittance_info}]
+ * @param {Date} [remittance.created_at]
+ * @returns {string}
+ */
+export const buildPain001Xml = (remittance) => {
+    const controlSum = amount(sumAmounts(remittance.transactions));
+    const transactionsCount = String(remittance.transactions.length);
+
+    return sepaDocument(PAIN_001_NAMESPACE, 'CstmrCdtTrfInitn', [
+        block('GrpHdr', [
+            element('MsgId', sepaText(remittance.message_id, 35)),
+            element('CreDtTm', creationDateTime(remittance.created_at)),
+            element('NbOfTxs', transactionsCount),
+            element('CtrlSum', controlSum),
+            block('InitgPty', [
+                element('Nm', sepaText(remittance.debtor.name, 70)),
+                remittance.debtor.nif
+                    ? block('Id', [block('OrgId', [block('Othr', [element('Id', remittance.debtor.nif)])])])
+                    : null
+            ])
+        ]),
+        block('PmtInf', [
+            element('PmtInfId', sepaText(`${remittance.message_id}-TRF`, 35)),
+            element('PmtMtd', 'TRF'),
+            element('BtchBookg', 'true'),
+            element('NbOfTxs', transactionsCount),
+            element('CtrlSum', controlSum),
+            block('PmtTpInf', [block('SvcLvl', [element('Cd', 'SEPA')])]),
+            element('ReqdExctnDt', remittance.requested_date),
+            block('Dbtr', [element('Nm', sepaText(remittance.debtor.name, 70))]),
+            accountBlock('DbtrAcct', remittance.debtor.iban),
+            agentBlock('DbtrAgt', remittance.debtor.bic),
+            element('ChrgBr', 'SLEV'),
+            remittance.transactions.map(transactionBlock)
+        ])
+    ]);
+};
@@ -0,0 +1,101 @@
+/**
+ * @fileoverview Remesa de adeudos directos SEPA CORE (pain.008.001.02)
+ *
+ * Un fichero por acreedor (propietario): un bloque PmtInf por tipo de
+ * secuencia (FRST / RCUR), ya que cada bloque lleva un único SeqTp, y un
+ * DrctDbtTxInf por factura con el mandato del deudor (cliente).
+ *
+ * @see https://www.iso20022.org/catalogue-messages/iso-20022-messages-archive
+ */
+
+import { sepaText } from '../../helpers/sepaHelpers.js';
+import {
+    accountBlock,
+    agentBlock,
+    amount,
+    block,
+    creationDateTime,
+    CURRENCY,
+    element,
+    sepaDocument,
+    sumAmounts
+} from './sepaXml.js';
+
+export const PAIN_008_NAMESPACE = 'urn:iso:std:iso:20022:tech:xsd:pain.008.001.02';
+
+const transactionBlock = (transaction) => block('DrctDbtTxInf', [
+    block('PmtId', [element('EndToEndId', sepaText(transaction.end_to_end_id, 35))]),
+    element('InstdAmt', amount(transaction.amount), `Ccy="${CURRENCY}"`),
+    block('DrctDbtTx', [
+        block('MndtRltdInf', [
+            element('MndtId', sepaText(transaction.mandate_id, 35)),
+            element('DtOfSgntr', transaction.mandate_date)
+        ])
+    ]),
+    agentBlock('DbtrAgt', transaction.debtor_bic),
+    block('Dbtr', [element('Nm', sepaText(transaction.debtor_name, 70))]),
+    accountBlock('DbtrAcct', transaction.debtor_iban),
+    block('RmtInf', [element('Ustrd', sepaText(transaction.remittance_info, 140))])
+]);
+
+const paymentInfoBlock = (remittance, sequenceType, transactions) => block('PmtInf', [
+    element('PmtInfId', sepaText(`${remittance.message_id}-${sequenceType}`, 35)),
+    element('PmtMtd', 'DD'),
+    element('BtchBookg', 'true'),
+    element('NbOfTxs', String(transactions.length)),
+    element('CtrlSum', amount(sumAmounts(transactions))),
+    block('PmtTpInf', [
+        block('SvcLvl', [element('Cd', 'SEPA')]),
+        block('LclInstrm', [element('Cd', 'CORE')]),
+        element('SeqTp', sequenceType)
+    ]),
+    element('ReqdColltnDt', remittance.requested_date),
+    block('Cdtr', [element('Nm', sepaText(remittance.creditor.name, 70))]),
+    accountBlock('CdtrAcct', remittance.creditor.iban),
+    agentBlock('CdtrAgt', remittance.creditor.bic),
+    element('ChrgBr', 'SLEV'),
+    block('CdtrSchmeId', [
+        block('Id', [
+            block('PrvtId', [
+                block('Othr', [
+                    element('Id', remittance.creditor.creditor_id),
+                    block('SchmeNm', [element('Prtry', 'SEPA')])
+                ])
+            ])
+        ])
+    ]),
+    transactions.map(transactionBlock)
+]);
+
+/**
+ * XML pain.008.001.02 de una remesa
+ * @param {Object} remittance
+ * @param {string} remittance.message_id - Identificador único del mensaje (máx. 35)
+ * @param {string} remittance.requested_date - Fecha de cargo (YYYY-MM-DD)
+ * @param {Object} remittance.creditor - {name, iban, bic, creditor_id}
+ * @param {Object[]} remittance.transactions - [{end_to_end_id, amount, sequence_type, mandate_id,
+ *        mandate_date, debtor_name, debtor_iban, debtor_bic, remittance_info}]
+ * @param {Date} [remittance.created_at]
+ * @returns {string}
+ */
+export const buildPain008Xml = (remittance) => {
+    const groups = new Map();
+    for (const transaction of remittance.transactions) {
+        if (!groups.has(transaction.sequence_type)) groups.set(transaction.sequence_type, []);
+        groups.get(transaction.sequence_type).push(transaction);
+    }
+
+    return sepaDocument(PAIN_008_NAMESPACE, 'CstmrDrctDbtInitn', [
+        block('GrpHdr', [
+            element('MsgId', sepaText(remittance.message_id, 35)),
+            element('CreDtTm', creationDateTime(remittance.created_at)),
+            element('NbOfTxs', String(remittance.transactions.length)),
+            element('CtrlSum', amount(sumAmounts(remittance.transactions))),
+            block('InitgPty', [
+                element('Nm', sepaText(remittance.creditor.name, 70)),
+                block('Id', [block('OrgId', [block('Othr', [element('Id', remittance.creditor.creditor_id)])])])
+            ])
+        ]),
+        [...groups.entries()].map(([sequenceType, transactions]) => paymentInfoBlock(remittance, sequenceType, transactions))
+    ]);
+};
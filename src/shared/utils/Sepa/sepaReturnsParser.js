@@ -0,0 +1,90 @@
+/**
+ * @fileoverview Lectura de devoluciones y rechazos de adeudos SEPA (R-transactions)
+ *
+ * - pain.002 (CstmrPmtStsRpt): cada TxInfAndSts con TxSts RJCT (o todas si el
+ *   grupo está rechazado): OrgnlEndToEndId, motivo (StsRsnInf/Rsn/Cd), importe
+ *   original y gastos (ChrgsInf).
+ * - CAMT.053 / CAMT.054: cada apunte con información de devolución (RtrInf):
+ *   EndToEndId, motivo (RtrInf/Rsn/Cd), importe, gastos (Chrgs) y fecha de
+ *   contabilización.
+ * El MsgId original, si viene, permite distinguir la remesa cuando la misma
+ * factura se ha presentado más de una vez.
+ */
+
+import { AppError } from '../../../errors/AppError.js';
+import { blocks, tagPattern, text } from '../BankStatements/xmlReader.js';
+
+const invalid = (message) => new AppError(`Fichero de devoluciones no válido: ${message}`, 400, 'INVALID_RETURN_FILE');
+
+const number = (value) => {
+    const parsed = parseFloat(value);
+    return isNaN(parsed) ? null : parsed;
+};
+
+const charges = (xml, tag) => blocks(xml, tag)
+    .map(item => number(text(item, 'Amt')))
+    .filter(amount => amount !== null)
+    .reduce((sum, amount) => sum + amount, 0);
+
+const date = (value) => (value || '').slice(0, 10) || null;
+
+const parsePain002 = (content) => {
+    const group = blocks(content, 'OrgnlGrpInfAndSts')[0] || '';
+    const groupRejected = text(group, 'GrpSts') === 'RJCT';
+    const originalMessageId = text(group, 'OrgnlMsgId');
+    const reportDate = date(text(content, 'GrpHdr', 'CreDtTm'));
+
+    return blocks(content, 'TxInfAndSts')
+        .filter(item => groupRejected || text(item, 'TxSts') === 'RJCT')
+        .map(item => ({
+            end_to_end_id: text(item, 'OrgnlEndToEndId'),
+            original_message_id: originalMessageId,
+            amount: number(text(item, 'OrgnlTxRef', 'Amt', 'InstdAmt')),
+            reason_code: text(item, 'StsRsnInf', 'Rsn', 'Cd') || text(group, 'StsRsnInf', 'Rsn', 'Cd'),
+            return_date: reportDate,
+            bank_charges: charges(item, 'ChrgsInf')
+        }));
+};
+
+const parseCamtReturns = (content) => blocks(content, 'Ntry').flatMap(entry =>
+    blocks(entry, 'TxDtls')
+        .filter(details => tagPattern('RtrInf').test(details))
+        .map(details => ({
+            end_to_end_id: text(details, 'Refs', 'EndToEndId'),
+            original_message_id: text(details, 'Refs', 'MsgId'),
+            amount: number(text(details, 'AmtDtls', 'TxAmt', 'Amt')) ?? number(text(entry, 'Amt')),
+            reason_code: text(details, 'RtrInf', 'Rsn', 'Cd'),
+            return_date: date(text(entry, 'BookgDt', 'Dt') || text(entry, 'BookgDt', 'DtTm')),
+            bank_charges: charges(details, 'Chrgs') || charges(entry, 'Chrgs')
+        }))
+);
+
+/**
+ * Lee un fichero de devoluciones pain.002 o CAMT.053/054
+ * @param {string} content - XML del fichero
+ * @returns {{format: string, returns: Object[]}} format 'pain002' o 'camt'; returns:
+ *          [{end_to_end_id, original_message_id, amount, reason_code, return_date, bank_charges}]
+ * @throws {AppError} 400 INVALID_RETURN_FILE si no es un fichero admitido o no tiene devoluciones
+ */
+export const parseSepaReturns = (content) => {
+    let format;
+    let returns;
+    if (tagPattern('CstmrPmtStsRpt').test(content)) {
+        format = 'pain002';
+        returns = parsePain002(content);
+    } else if (tagPattern('BkToCstmrStmt').test(content) || tagPattern('BkToCstmrDbtCdtNtfctn').test(content)) {
+        format = 'camt';
+        returns = parseCamtReturns(content);
+    } else {
+        throw invalid('no es un pain.002 ni un CAMT.053/054');
+    }
+
+    if (!returns.length) throw invalid('no contiene operaciones rechazadas ni devueltas');
+    const incomplete = returns.find(item => !item.end_to_end_id || !item.reason_code || item.amount === null);
+    if (incomplete) throw invalid('hay devoluciones sin referencia (EndToEndId), motivo o importe');
+
+    return {
+        format,
+        returns: returns.map(item => ({...item, amount: Math.abs(item.amount)}))
+    };
+};
@@ -0,0 +1,66 @@
+/**
+ * @fileoverview Piezas comunes de los ficheros SEPA (ISO 20022)
+ *
+ * Elementos, bloques indentados, importes y escapado para construir los XML
+ * de adeudos (pain.008) y transferencias (pain.001).
+ */
+
+import CalculateHelper from '../../helpers/calculateTotal.js';
+
+export const CURRENCY = 'EUR';
+
+// Entidad sin BIC informado: desde 2016 el IBAN basta en la zona SEPA
+export const NOT_PROVIDED = 'NOTPROVIDED';
+
+export const escapeXml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+export const element = (name, content, attributes = '') =>
+    `<${name}${attributes ? ` ${attributes}` : ''}>${escapeXml(content)}</${name}>`;
+
+export const indentBlock = (lines, depth) => lines
+    .flat(Infinity)
+    .filter(Boolean)
+    .map(line => `${'  '.repeat(depth)}${line}`);
+
+export const block = (name, children) => [
+    `<${name}>`,
+    ...indentBlock(children, 1),
+    `</${name}>`
+];
+
+export const amount = (value) => CalculateHelper.roundCurrency(value).toFixed(2);
+
+export const sumAmounts = (items) => CalculateHelper.roundCurrency(
+    items.reduce((acc, item) => acc + Number(item.amount), 0)
+);
+
+/**
+ * Entidad financiera por BIC (o NOTPROVIDED)
+ */
+export const agentBlock = (name, bic) => block(name, [
+    block('FinInstnId', [
+        bic ? element('BIC', bic) : block('Othr', [element('Id', NOT_PROVIDED)])
+    ])
+]);
+
+export const accountBlock = (name, iban) => block(name, [block('Id', [element('IBAN', iban)])]);
+
+/**
+ * Fecha y hora ISO sin milisegundos (CreDtTm)
+ */
+export const creationDateTime = (date = new Date()) => date.toISOString().slice(0, 19);
+
+/**
+ * Documento completo con su espacio de nombres
+ */
+export const sepaDocument = (namespace, root, children) => [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<Document xmlns="${namespace}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">`,
+    ...indentBlock(block(root, children), 1),
+    '</Document>'
+].join('\n');
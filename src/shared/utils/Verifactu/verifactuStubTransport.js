@@ -0,0 +1,30 @@
+/**
+ * @fileoverview Transporte local de registros VERI*FACTU
+ *
+ * Sustituye al envío real a la AEAT en desarrollo y en los tests
+ * (VERIFACTU_TRANSPORT=stub): acepta todos los registros sin salir del
+ * servidor y devuelve un código de referencia ficticio por registro.
+ *
+ * Un transporte es cualquier objeto con:
+ * - name: identificador del transporte
+ * - submit(records): Promise<Array<{id, status, reference?, error?}>>
+ *   con status 'accepted' o 'rejected' para cada registro recibido.
+ *   Si lanza una excepción el envío se considera fallido (estado 'error').
+ */
+
+export const createStubTransport = ({reject = () => null} = {}) => ({
+    name: 'stub',
+
+    /**
+     * @param {Object[]} records - Registros de una misma cadena, en orden
+     * @returns {Promise<Object[]>} Resultado por registro
+     */
+    async submit(records) {
+        return records.map(record => {
+            const error = reject(record);
+            return error
+                ? {id: record.id, status: 'rejected', error}
+                : {id: record.id, status: 'accepted', reference: `STUB-${record.hash.slice(0, 16)}`};
+        });
+    }
+});
@@ -59,66 +59,7 @@ export default class ExcelGenerator {
   <Created>${new Date().toISOString()}</Created>
 </DocumentProperties>
 
-<Styles>
-  <Style ss:ID="HeaderStyle">
-    <Font ss:Bold="1" ss:Color="#FFFFFF"/>
-    <Interior ss:Color="#366092" ss:Pattern="Solid"/>
-    <Alignment ss:Horizontal="Center"/>
-    <Borders>
-      <Border ss:Position="Bottom" ss:LineStyle="Continuous" ss:Weight="1"/>
-      <Border ss:Position="Left" ss:LineStyle="Continuous" ss:Weight="1"/>
-      <Border ss:Position="Right" ss:LineStyle="Continuous" ss:Weight="1"/>
-      <Border ss:Position="Top" ss:LineStyle="Continuous" ss:Weight="1"/>
-    </Borders>
-  </Style>
-  
-  <Style ss:ID="TitleStyle">
-    <Font ss:Bold="1" ss:Size="14" ss:Color="#FFFFFF"/>
-    <Interior ss:Color="#366092" ss:Pattern="Solid"/>
-    <Alignment ss:Horizontal="Center"/>
-  </Style>
-  
-  <Style ss:ID="CurrencyStyle">
-    <NumberFormat ss:Format="&quot;€&quot;#,##0.00"/>
-    <Borders>
-      <Border ss:Position="Bottom" ss:LineStyle="Continuous" ss:Weight="1"/>
-      <Border ss:Position="Left" ss:LineStyle="Continuous" ss:Weight="1"/>
-      <Border ss:Position="Right" ss:LineStyle="Continuous" ss:Weight="1"/>
-      <Border ss:Position="Top" ss:LineStyle="Continuous" ss:Weight="1"/>
-    </Borders>
-  </Style>
-  
-  <Style ss:ID="PercentStyle">
-    <NumberFormat ss:Format="0.00&quot;%&quot;"/>
-    <Borders>
-      <Border ss:Position="Bottom" ss:LineStyle="Continuous" ss:Weight="1"/>
-      <Border ss:Position="Left" ss:LineStyle="Continuous" ss:Weight="1"/>
-      <Border ss:Position="Right" ss:LineStyle="Continuous" ss:Weight="1"/>
-      <Border ss:Position="Top" ss:LineStyle="Continuous" ss:Weight="1"/>
-    </Borders>
-  </Style>
-  
-  <Style ss:ID="DataStyle">
-    <Borders>
-      <Border ss:Position="Bottom" ss:LineStyle="Continuous" ss:Weight="1"/>
-      <Border ss:Position="Left" ss:LineStyle="Continuous" ss:Weight="1"/>
-      <Border ss:Position="Right" ss:LineStyle="Continuous" ss:Weight="1"/>
-      <Border ss:Position="Top" ss:LineStyle="Continuous" ss:Weight="1"/>
-    </Borders>
-  </Style>
-  
-  <Style ss:ID="TotalStyle">
-    <Font ss:Bold="1"/>
-    <Interior ss:Color="#FFFFCC" ss:Pattern="Solid"/>
-    <NumberFormat ss:Format="&quot;€&quot;#,##0.00"/>
-    <Borders>
-      <Border ss:Position="Bottom" ss:LineStyle="Continuous" ss:Weight="2"/>
-      <Border ss:Position="Left" ss:LineStyle="Continuous" ss:Weight="1"/>
-      <Border ss:Position="Right" ss:LineStyle="Continuous" ss:Weight="1"/>
-      <Border ss:Position="Top" ss:LineStyle="Continuous" ss:Weight="2"/>
-    </Borders>
-  </Style>
-</Styles>
+${this.getStyles()}
 
 <Worksheet ss:Name="${sheetName}">
 <Table>`;
@@ -338,6 +279,255 @@ export default class ExcelGenerator {
         }
     }
 
+    /**
+     * Estilos comunes de las hojas (SpreadsheetML)
+     */
+    static getStyles() {
+        return `<Styles>
+  <Style ss:ID="HeaderStyle">
+    <Font ss:Bold="1" ss:Color="#FFFFFF"/>
+    <Interior ss:Color="#366092" ss:Pattern="Solid"/>
+    <Alignment ss:Horizontal="Center"/>
+    <Borders>
+      <Border ss:Position="Bottom" ss:LineStyle="Continuous" ss:Weight="1"/>
+      <Border ss:Position="Left" ss:LineStyle="Continuous" ss:Weight="1"/>
+      <Border ss:Position="Right" ss:LineStyle="Continuous" ss:Weight="1"/>
+      <Border ss:Position="Top" ss:LineStyle="Continuous" ss:Weight="1"/>
+    </Borders>
+  </Style>
+  
+  <Style ss:ID="TitleStyle">
+    <Font ss:Bold="1" ss:Size="14" ss:Color="#FFFFFF"/>
+    <Interior ss:Color="#366092" ss:Pattern="Solid"/>
+    <Alignment ss:Horizontal="Center"/>
+  </Style>
+  
+  <Style ss:ID="CurrencyStyle">
+    <NumberFormat ss:Format="&quot;€&quot;#,##0.00"/>
+    <Borders>
+      <Border ss:Position="Bottom" ss:LineStyle="Continuous" ss:Weight="1"/>
+      <Border ss:Position="Left" ss:LineStyle="Continuous" ss:Weight="1"/>
+      <Border ss:Position="Right" ss:LineStyle="Continuous" ss:Weight="1"/>
+      <Border ss:Position="Top" ss:LineStyle="Continuous" ss:Weight="1"/>
+    </Borders>
+  </Style>
+  
+  <Style ss:ID="PercentStyle">
+    <NumberFormat ss:Format="0.00&quot;%&quot;"/>
+    <Borders>
+      <Border ss:Position="Bottom" ss:LineStyle="Continuous" ss:Weight="1"/>
+      <Border ss:Position="Left" ss:LineStyle="Continuous" ss:Weight="1"/>
+      <Border ss:Position="Right" ss:LineStyle="Continuous" ss:Weight="1"/>
+      <Border ss:Position="Top" ss:LineStyle="Continuous" ss:Weight="1"/>
+    </Borders>
+  </Style>
+  
+  <Style ss:ID="DataStyle">
+    <Borders>
+      <Border ss:Position="Bottom" ss:LineStyle="Continuous" ss:Weight="1"/>
+      <Border ss:Position="Left" ss:LineStyle="Continuous" ss:Weight="1"/>
+      <Border ss:Position="Right" ss:LineStyle="Continuous" ss:Weight="1"/>
+      <Border ss:Position="Top" ss:LineStyle="Continuous" ss:Weight="1"/>
+    </Borders>
+  </Style>
+  
+  <Style ss:ID="TotalStyle">
+    <Font ss:Bold="1"/>
+    <Interior ss:Color="#FFFFCC" ss:Pattern="Solid"/>
+    <NumberFormat ss:Format="&quot;€&quot;#,##0.00"/>
+    <Borders>
+      <Border ss:Position="Bottom" ss:LineStyle="Continuous" ss:Weight="2"/>
+      <Border ss:Position="Left" ss:LineStyle="Continuous" ss:Weight="1"/>
+      <Border ss:Position="Right" ss:LineStyle="Continuous" ss:Weight="1"/>
+      <Border ss:Position="Top" ss:LineStyle="Continuous" ss:Weight="2"/>
+    </Borders>
+  </Style>
+</Styles>`;
+    }
+
+    // ==========================================
+    // MODELO 347
+    // ==========================================
+
+    /**
+     * Genera la hoja de revisión del modelo 347
+     * @param {Object} report - Resultado de TaxReportsService.getModelo347
+     * @param {Object} companyData - Datos de la empresa
+     * @returns {Object} Información del archivo generado
+     */
+    static async generateModelo347Excel(report, companyData) {
+        try {
+            const tempDir = path.resolve('./temp/excel');
+            if (!fs.existsSync(tempDir)) {
+                fs.mkdirSync(tempDir, { recursive: true });
+            }
+
+            const fileName = `${report.year}_${companyData.nif}_347_revision.xls`;
+            const filePath = path.join(tempDir, fileName);
+
+            fs.writeFileSync(filePath, this.generateModelo347XML(report, companyData), 'utf8');
+
+            return {
+                filePath,
+                fileName,
+                success: true
+            };
+        } catch (error) {
+            console.error('Error generando Excel:', error);
+            throw new AppError('Error al generar el archivo Excel', 500, 'EXCEL_GENERATION_ERROR');
+        }
+    }
+
+    /**
+     * Contenido XML del modelo 347: declarados, inmuebles arrendados y revisión
+     * (terceros bajo el umbral, operaciones excluidas y avisos)
+     */
+    static generateModelo347XML(report, companyData) {
+        const string = (value, style = 'DataStyle') =>
+            `<Cell ss:StyleID="${style}"><Data ss:Type="String">${this.escapeXML(value ?? '')}</Data></Cell>`;
+        const number = (value, style = 'CurrencyStyle') =>
+            `<Cell ss:StyleID="${style}"><Data ss:Type="Number">${Number(value) || 0}</Data></Cell>`;
+        const headerRow = (headers) => `
+  <Row>${headers.map(header => string(header, 'HeaderStyle')).join('')}</Row>`;
+        const titleRow = (title, columns) => `
+  <Row ss:Height="25">
+    <Cell ss:MergeAcross="${columns - 1}" ss:StyleID="TitleStyle"><Data ss:Type="String">${this.escapeXML(title)}</Data></Cell>
+  </Row>`;
+        const emptyRow = (message, columns) => `
+  <Row><Cell ss:MergeAcross="${columns - 1}" ss:StyleID="DataStyle"><Data ss:Type="String">${message}</Data></Cell></Row>`;
+
+        const declaredHeaders = ['CLAVE', 'NIF', 'NOMBRE/RAZÓN SOCIAL', 'PROVINCIA', '1T', '2T', '3T', '4T',
+            'IMPORTE ANUAL', 'ARRENDAMIENTO', 'LOCAL DE NEGOCIO', 'REFERENCIAS CATASTRALES', 'Nº OPERACIONES'];
+        const estateHeaders = ['NIF ARRENDATARIO', 'NOMBRE/RAZÓN SOCIAL', 'REFERENCIA CATASTRAL', 'DIRECCIÓN', 'LOCALIDAD', 'CÓDIGO POSTAL', 'IMPORTE'];
+        const estates = report.declared.flatMap(group => group.estates
+            .filter(estate => estate.business_premises)
+            .map(estate => ({...estate, nif: group.nif, name: group.name})));
+
+        let xml = `<?xml version="1.0" encoding="UTF-8"?>
+<?mso-application progid="Excel.Sheet"?>
+<Workbook xmlns="urn:schemas-microsoft-com:office:spreadsheet"
+ xmlns:o="urn:schemas-microsoft-com:office:office"
+ xmlns:x="urn:schemas-microsoft-com:office:excel"
+ xmlns:ss="urn:schemas-microsoft-com:office:spreadsheet"
+ xmlns:html="http://www.w3.org/TR/REC-html40">
+
+<DocumentProperties xmlns="urn:schemas-microsoft-com:office:office">
+  <Title>Modelo 347 ${report.year}</Title>
+  <Author>Sistema de Gestión</Author>
+  <Created>${new Date().toISOString()}</Created>
+</DocumentProperties>
+
+${this.getStyles()}
+
+<Worksheet ss:Name="DECLARADOS">
+<Table>`;
+        [50, 100, 220, 70, 90, 90, 90, 90, 100, 90, 100, 220, 80].forEach(width => {
+            xml += `<Column ss:Width="${width}"/>`;
+        });
+        xml += titleRow(`MODELO 347 - OPERACIONES CON TERCERAS PERSONAS ${report.year}`, declaredHeaders.length);
+        xml += `
+  <Row>${string(`Declarante: ${companyData.name} - NIF: ${companyData.nif}`)}</Row>
+  <Row>${string(`Umbral: ${report.threshold} € (IVA incluido)`)}</Row>
+  <Row></Row>`;
+        xml += headerRow(declaredHeaders);
+
+        if (report.declared.length) {
+            report.declared.forEach(group => {
+                xml += `
+  <Row>${[
+                    string(group.key),
+                    string(group.nif),
+                    string(group.name),
+                    string(group.province_code),
+                    ...[1, 2, 3, 4].map(quarter => number(group.by_quarter[quarter])),
+                    number(group.amount),
+                    string(group.is_rent ? 'SÍ' : 'NO'),
+                    string(group.business_premises ? 'SÍ' : 'NO'),
+                    string(group.estates.map(estate => estate.cadastral_reference || 'SIN REF. CATASTRAL').join(', ')),
+                    number(group.operation_count, 'DataStyle')
+                ].join('')}</Row>`;
+            });
+            xml += `
+  <Row></Row>
+  <Row>${string('TOTAL', 'TotalStyle')}${string(`${report.totals.records} declarados`)}${'<Cell ss:StyleID="DataStyle"></Cell>'.repeat(6)}${number(report.totals.amount, 'TotalStyle')}</Row>`;
+        } else {
+            xml += emptyRow('NINGÚN TERCERO SUPERA EL UMBRAL EN EL EJERCICIO', declaredHeaders.length);
+        }
+
+        xml += `
+</Table>
+</Worksheet>
+
+<Worksheet ss:Name="INMUEBLES">
+<Table>`;
+        [100, 220, 160, 250, 120, 90, 100].forEach(width => {
+            xml += `<Column ss:Width="${width}"/>`;
+        });
+        xml += titleRow('ARRENDAMIENTOS DE LOCALES DE NEGOCIO', estateHeaders.length);
+        xml += headerRow(estateHeaders);
+        if (estates.length) {
+            estates.forEach(estate => {
+                xml += `
+  <Row>${[
+                    string(estate.nif),
+                    string(estate.name),
+                    string(estate.cadastral_reference || 'SIN REF. CATASTRAL'),
+                    string(estate.address),
+                    string(estate.location),
+                    string(estate.postal_code),
+                    number(estate.amount)
+                ].join('')}</Row>`;
+            });
+        } else {
+            xml += emptyRow('SIN ARRENDAMIENTOS DE LOCALES DE NEGOCIO DECLARADOS', estateHeaders.length);
+        }
+
+        xml += `
+</Table>
+</Worksheet>
+
+<Worksheet ss:Name="REVISION">
+<Table>
+<Column ss:Width="60"/>
+<Column ss:Width="220"/>
+<Column ss:Width="220"/>
+<Column ss:Width="100"/>
+<Column ss:Width="120"/>`;
+        xml += titleRow('BAJO EL UMBRAL', 5);
+        xml += headerRow(['CLAVE', 'NIF', 'NOMBRE/RAZÓN SOCIAL', 'IMPORTE ANUAL', 'Nº OPERACIONES']);
+        report.below_threshold.forEach(group => {
+            xml += `
+  <Row>${string(group.key)}${string(group.nif)}${string(group.name)}${number(group.amount)}${number(group.operation_count, 'DataStyle')}</Row>`;
+        });
+
+        xml += `
+  <Row></Row>`;
+        xml += titleRow('OPERACIONES NO DECLARADAS', 5);
+        xml += headerRow(['MOTIVO', 'DOCUMENTO', 'NOMBRE/RAZÓN SOCIAL', 'IMPORTE', '']);
+        report.excluded.forEach(item => {
+            xml += `
+  <Row>${string(item.reason)}${string(item.document)}${string(item.name)}${number(item.amount)}</Row>`;
+        });
+
+        if (report.warnings.length) {
+            xml += `
+  <Row></Row>`;
+            xml += titleRow('AVISOS', 5);
+            report.warnings.forEach(warning => {
+                xml += `
+  <Row><Cell ss:MergeAcross="4" ss:StyleID="DataStyle"><Data ss:Type="String">${this.escapeXML(warning)}</Data></Cell></Row>`;
+            });
+        }
+
+        xml += `
+</Table>
+</Worksheet>
+
+</Workbook>`;
+
+        return xml;
+    }
+
     // Utilidades
     static escapeXML(str) {
         if (!str) return '';
@@ -0,0 +1,122 @@
+import { body, param, query } from 'express-validator';
+import { ACCOUNT_TYPES, SOURCE_TYPES } from '../shared/helpers/accountingHelpers.js';
+import { EXPORT_FORMATS, MAPPING_TYPES } from '../shared/helpers/accountingExportHelpers.js';
+
+/**
+ * Validador de contabilidad: plan de cuentas, diario, mayor, balance y
+ * exportación al programa del asesor
+ * Los códigos de cuenta son numéricos (grupo PGC + subcuenta). Que el cliente
+ * o proveedor exista y que la subcuenta sea de su grupo se valida en el servicio.
+ */
+
+const dateFilters = [
+    query('date_from')
+        .optional()
+        .isISO8601()
+        .withMessage('La fecha desde debe tener formato válido (YYYY-MM-DD).'),
+    query('date_to')
+        .optional()
+        .isISO8601()
+        .withMessage('La fecha hasta debe tener formato válido (YYYY-MM-DD).'),
+];
+
+export const validateLedgerAccount = [
+    body('code')
+        .trim()
+        .matches(/^\d{3,12}$/)
+        .withMessage('El código de cuenta debe tener de 3 a 12 dígitos.'),
+
+    body('name')
+        .trim()
+        .isLength({ min: 2, max: 255 })
+        .withMessage('El nombre de la cuenta debe tener entre 2 y 255 caracteres.'),
+
+    body('account_type')
+        .isIn(ACCOUNT_TYPES)
+        .withMessage(`El tipo de cuenta debe ser: ${ACCOUNT_TYPES.join(', ')}.`),
+];
+
+export const validateJournalFilters = [
+    ...dateFilters,
+    query('source_type')
+        .optional()
+        .isIn(Object.values(SOURCE_TYPES))
+        .withMessage('El origen del asiento no es válido.'),
+    query('account_code')
+        .optional()
+        .matches(/^\d{1,12}$/)
+        .withMessage('El código de cuenta debe ser numérico.'),
+];
+
+export const validateLedger = [
+    param('code')
+        .matches(/^\d{3,12}$/)
+        .withMessage('El código de cuenta debe tener de 3 a 12 dígitos.'),
+    ...dateFilters,
+];
+
+export const validateTrialBalance = [...dateFilters];
+
+// ==========================================
+// EXPORTACIÓN
+// ==========================================
+const subaccountField = body('account_code')
+    .trim()
+    .matches(/^\d{4,12}$/)
+    .withMessage('La subcuenta debe tener de 4 a 12 dígitos.');
+
+export const validateAccountMapping = [
+    body('mapping_type')
+        .isIn(MAPPING_TYPES)
+        .withMessage(`El tipo de mapeo debe ser: ${MAPPING_TYPES.join(', ')}.`),
+
+    body('mapping_key')
+        .if(body('mapping_type').isIn(['client', 'supplier']))
+        .isInt({ min: 1 })
+        .withMessage('El cliente o proveedor debe ser un ID válido.'),
+
+    body('mapping_key')
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('La clave del mapeo es obligatoria.'),
+
+    subaccountField,
+];
+
+export const validateAccountMappingUpdate = [subaccountField];
+
+export const validateMappingFilters = [
+    query('mapping_type')
+        .optional()
+        .isIn(MAPPING_TYPES)
+        .withMessage(`El tipo de mapeo debe ser: ${MAPPING_TYPES.join(', ')}.`),
+];
+
+const exportPeriod = (location) => [
+    location('date_from')
+        .notEmpty()
+        .withMessage('La fecha desde es obligatoria.')
+        .isISO8601()
+        .withMessage('La fecha desde debe tener formato válido (YYYY-MM-DD).'),
+    location('date_to')
+        .notEmpty()
+        .withMessage('La fecha hasta es obligatoria.')
+        .isISO8601()
+        .withMessage('La fecha hasta debe tener formato válido (YYYY-MM-DD).'),
+];
+
+export const validateAccountingExport = [
+    body('format')
+        .isIn(EXPORT_FORMATS)
+        .withMessage(`El formato debe ser: ${EXPORT_FORMATS.join(', ')}.`),
+    ...exportPeriod(body),
+];
+
+export const validatePendingExport = [...exportPeriod(query)];
+
+export const validateExportFile = [
+    query('type')
+        .optional()
+        .isIn(['journal', 'accounts'])
+        .withMessage('El fichero debe ser: journal o accounts.'),
+];
@@ -0,0 +1,94 @@
+import { body, param, query } from 'express-validator';
+
+/**
+ * Validador del reparto de gastos generales entre propietarios
+ * Que los porcentajes fijos sumen 100 y que la clave exista se valida en el servicio.
+ */
+const keyFields = (optional) => [
+    (optional ? body('name').optional() : body('name'))
+        .trim()
+        .notEmpty()
+        .withMessage('El nombre de la clave es obligatorio.')
+        .isLength({ max: 100 })
+        .withMessage('El nombre no puede superar los 100 caracteres.'),
+
+    (optional ? body('method').optional() : body('method'))
+        .isIn(['equal', 'ownership', 'surface', 'fixed'])
+        .withMessage('El método debe ser equal, ownership, surface o fixed.'),
+
+    body('description')
+        .optional({ nullable: true })
+        .isLength({ max: 255 })
+        .withMessage('La descripción no puede superar los 255 caracteres.'),
+
+    body('is_default')
+        .optional()
+        .isBoolean()
+        .withMessage('is_default debe ser verdadero o falso.'),
+
+    body('shares')
+        .optional()
+        .isArray()
+        .withMessage('Los porcentajes deben enviarse como lista.'),
+
+    body('shares.*.owners_id')
+        .isInt({ min: 1 })
+        .withMessage('El ID del propietario debe ser un número entero positivo.'),
+
+    body('shares.*.percentage')
+        .isFloat({ gt: 0, max: 100 })
+        .withMessage('El porcentaje debe ser mayor que 0 y no superar 100.'),
+];
+
+export const validateCreateAllocationKey = keyFields(false);
+
+export const validateUpdateAllocationKey = keyFields(true);
+
+const ruleFields = (optional) => [
+    (optional ? body('allocation_key_id').optional() : body('allocation_key_id'))
+        .isInt({ min: 1 })
+        .withMessage('La clave de reparto debe ser un número entero positivo.'),
+
+    (optional ? body('scope').optional() : body('scope'))
+        .isIn(['supplier', 'cost_center', 'category'])
+        .withMessage('El ámbito debe ser supplier, cost_center o category.'),
+
+    (optional ? body('scope_value').optional() : body('scope_value'))
+        .trim()
+        .notEmpty()
+        .withMessage('El valor de la regla es obligatorio.')
+        .isLength({ max: 100 })
+        .withMessage('El valor no puede superar los 100 caracteres.'),
+];
+
+export const validateCreateAllocationRule = ruleFields(false);
+
+export const validateUpdateAllocationRule = ruleFields(true);
+
+export const validatePreviewAllocationKey = [
+    query('amount')
+        .optional()
+        .isFloat()
+        .withMessage('El importe debe ser numérico.'),
+];
+
+export const validateRunAllocation = [
+    body('year')
+        .isInt({ min: 2000, max: 2100 })
+        .withMessage('El año debe estar entre 2000 y 2100.'),
+
+    body('only_missing')
+        .optional()
+        .isBoolean()
+        .withMessage('only_missing debe ser verdadero o falso.'),
+];
+
+export const validateExpenseAllocation = [
+    param('type')
+        .isIn(['received', 'internal'])
+        .withMessage('El tipo debe ser received o internal.'),
+
+    param('id')
+        .isInt({ min: 1 })
+        .withMessage('El ID debe ser un número entero positivo.'),
+];
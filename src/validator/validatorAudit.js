@@ -0,0 +1,47 @@
+import { query } from 'express-validator';
+import { AUDIT_ACTIONS, AUDIT_ENTITIES } from '../shared/helpers/auditHelpers.js';
+
+/**
+ * Validador de consultas del registro de auditoría
+ */
+export const validateAuditFilters = [
+    query('entity')
+        .optional()
+        .isIn(Object.keys(AUDIT_ENTITIES))
+        .withMessage(`La entidad debe ser: ${Object.keys(AUDIT_ENTITIES).join(', ')}.`),
+
+    query('entity_id')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('El registro debe ser un ID válido.'),
+
+    query('action')
+        .optional()
+        .isIn(AUDIT_ACTIONS)
+        .withMessage(`La acción debe ser: ${AUDIT_ACTIONS.join(', ')}.`),
+
+    query('user_id')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('El usuario debe ser un ID válido.'),
+
+    query('date_from')
+        .optional()
+        .isISO8601()
+        .withMessage('La fecha desde debe tener formato válido (YYYY-MM-DD).'),
+
+    query('date_to')
+        .optional()
+        .isISO8601()
+        .withMessage('La fecha hasta debe tener formato válido (YYYY-MM-DD).'),
+
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 500 })
+        .withMessage('El límite debe ser entre 1 y 500.'),
+
+    query('offset')
+        .optional()
+        .isInt({ min: 0 })
+        .withMessage('El offset debe ser mayor o igual a 0.'),
+];
@@ -0,0 +1,69 @@
+import { body, query } from 'express-validator';
+
+/**
+ * Validador de la conciliación bancaria
+ * El fichero del extracto, lo pendiente de cada movimiento y de cada factura
+ * se validan en el servicio.
+ */
+
+export const validateBankTransactionFilters = [
+    query('status')
+        .optional()
+        .isIn(['unmatched', 'partially_matched', 'matched', 'ignored'])
+        .withMessage('El estado debe ser: unmatched, partially_matched, matched o ignored.'),
+    query('statement_id').optional().isInt({ min: 1 }).withMessage('El extracto debe ser un ID válido.'),
+    query('date_from')
+        .optional()
+        .isISO8601()
+        .withMessage('La fecha desde debe tener formato válido (YYYY-MM-DD).'),
+    query('date_to')
+        .optional()
+        .isISO8601()
+        .withMessage('La fecha hasta debe tener formato válido (YYYY-MM-DD).'),
+];
+
+export const validateMatchTransactions = [
+    body('statement_id')
+        .optional({nullable: true})
+        .isInt({ min: 1 })
+        .withMessage('El extracto debe ser un ID válido.'),
+
+    body('ids')
+        .optional({nullable: true})
+        .isArray({ max: 1000 })
+        .withMessage('Los movimientos deben ser una lista de hasta 1000 IDs.'),
+
+    body('ids.*')
+        .isInt({ min: 1 })
+        .withMessage('Cada movimiento debe ser un ID válido.'),
+
+    body('date_window')
+        .optional({nullable: true})
+        .isInt({ min: 0, max: 120 })
+        .withMessage('La ventana de fechas debe ser de 0 a 120 días.'),
+];
+
+export const validateAcceptMatch = [
+    body('amount')
+        .optional({nullable: true})
+        .isFloat({ gt: 0 })
+        .withMessage('El importe debe ser mayor que 0.'),
+];
+
+export const validateSplitTransaction = [
+    body('allocations')
+        .isArray({ min: 1, max: 50 })
+        .withMessage('El reparto debe ser una lista de 1 a 50 facturas.'),
+
+    body('allocations.*.invoice_type')
+        .isIn(['issued', 'received'])
+        .withMessage('El tipo de factura debe ser: issued o received.'),
+
+    body('allocations.*.invoice_id')
+        .isInt({ min: 1 })
+        .withMessage('Cada factura debe ser un ID válido.'),
+
+    body('allocations.*.amount')
+        .isFloat({ gt: 0 })
+        .withMessage('El importe de cada factura debe ser mayor que 0.'),
+];
@@ -0,0 +1,23 @@
+import { body } from 'express-validator';
+
+/**
+ * Validador para lanzar la facturación mensual de contratos
+ */
+export const validateBillingRun = [
+    body('year')
+        .notEmpty()
+        .withMessage('El año es obligatorio.')
+        .isInt({ min: 2020, max: 2030 })
+        .withMessage('El año debe estar entre 2020 y 2030.'),
+
+    body('month')
+        .notEmpty()
+        .withMessage('El mes es obligatorio.')
+        .isInt({ min: 1, max: 12 })
+        .withMessage('El mes debe estar entre 1 y 12.'),
+
+    body('dry_run')
+        .optional()
+        .isBoolean()
+        .withMessage('El campo dry_run debe ser verdadero o falso.'),
+];
@@ -0,0 +1,138 @@
+import { body, query } from 'express-validator';
+
+/**
+ * Validador de fianzas
+ * Lo retenido, el inquilino de la factura y el estado de la fianza se validan en el servicio.
+ */
+
+// Campos comunes opcionales en crear y actualizar
+const optionalDepositFields = [
+    body('lease_id')
+        .optional({nullable: true})
+        .isInt({ min: 1 })
+        .withMessage('El contrato debe ser un ID válido.'),
+
+    body('lodging_body')
+        .optional({nullable: true})
+        .trim()
+        .isLength({ max: 150 })
+        .withMessage('El organismo de depósito no puede exceder 150 caracteres.'),
+
+    body('lodging_reference')
+        .optional({nullable: true})
+        .trim()
+        .isLength({ max: 100 })
+        .withMessage('La referencia de depósito no puede exceder 100 caracteres.'),
+
+    body('lodged_date')
+        .optional({nullable: true})
+        .isISO8601()
+        .withMessage('La fecha de depósito debe tener formato válido (YYYY-MM-DD).'),
+
+    body('notes')
+        .optional({nullable: true})
+        .trim()
+        .isLength({ max: 1000 })
+        .withMessage('Las notas no pueden exceder 1000 caracteres.'),
+];
+
+// ==========================================
+// VALIDACIONES PARA REGISTRAR FIANZA
+// ==========================================
+export const validateCreateDeposit = [
+    // Sin contrato, el inmueble y el inquilino son obligatorios
+    body('estates_id')
+        .if((value, { req }) => !req.body.lease_id)
+        .notEmpty()
+        .withMessage('El inmueble es obligatorio si no se indica el contrato.')
+        .bail()
+        .isInt({ min: 1 })
+        .withMessage('El inmueble debe ser un ID válido.'),
+
+    body('clients_id')
+        .if((value, { req }) => !req.body.lease_id)
+        .notEmpty()
+        .withMessage('El inquilino es obligatorio si no se indica el contrato.')
+        .bail()
+        .isInt({ min: 1 })
+        .withMessage('El inquilino debe ser un ID válido.'),
+
+    body('amount')
+        .notEmpty()
+        .withMessage('El importe de la fianza es obligatorio.')
+        .isFloat({ min: 0.01, max: 999999.99 })
+        .withMessage('El importe de la fianza debe estar entre 0.01 y 999,999.99.'),
+
+    body('received_date')
+        .notEmpty()
+        .withMessage('La fecha de recepción es obligatoria.')
+        .isISO8601()
+        .withMessage('La fecha de recepción debe tener formato válido (YYYY-MM-DD).'),
+
+    ...optionalDepositFields
+];
+
+// ==========================================
+// VALIDACIONES PARA ACTUALIZAR FIANZA
+// ==========================================
+export const validateUpdateDeposit = [
+    body('estates_id').optional().isInt({ min: 1 }).withMessage('El inmueble debe ser un ID válido.'),
+    body('clients_id').optional().isInt({ min: 1 }).withMessage('El inquilino debe ser un ID válido.'),
+    body('amount').optional().isFloat({ min: 0.01, max: 999999.99 }).withMessage('El importe de la fianza debe estar entre 0.01 y 999,999.99.'),
+    body('received_date').optional().isISO8601().withMessage('La fecha de recepción debe tener formato válido (YYYY-MM-DD).'),
+
+    ...optionalDepositFields
+];
+
+// ==========================================
+// APLICACIÓN A FACTURA Y DEVOLUCIÓN
+// ==========================================
+export const validateApplyDeposit = [
+    body('invoice_issued_id')
+        .notEmpty()
+        .withMessage('La factura es obligatoria.')
+        .isInt({ min: 1 })
+        .withMessage('La factura debe ser un ID válido.'),
+
+    body('amount')
+        .optional({nullable: true})
+        .isFloat({ min: 0.01, max: 999999.99 })
+        .withMessage('El importe a aplicar debe estar entre 0.01 y 999,999.99.'),
+
+    body('applied_date')
+        .optional({nullable: true})
+        .isISO8601()
+        .withMessage('La fecha de aplicación debe tener formato válido (YYYY-MM-DD).'),
+
+    body('notes')
+        .optional({nullable: true})
+        .trim()
+        .isLength({ max: 1000 })
+        .withMessage('Las notas no pueden exceder 1000 caracteres.'),
+];
+
+export const validateReturnDeposit = [
+    body('returned_date')
+        .optional({nullable: true})
+        .isISO8601()
+        .withMessage('La fecha de devolución debe tener formato válido (YYYY-MM-DD).'),
+
+    body('returned_amount')
+        .optional({nullable: true})
+        .isFloat({ min: 0, max: 999999.99 })
+        .withMessage('El importe devuelto debe estar entre 0 y 999,999.99.'),
+];
+
+// ==========================================
+// FILTROS
+// ==========================================
+export const validateDepositFilters = [
+    query('estate_id').optional().isInt({ min: 1 }).withMessage('El inmueble debe ser un ID válido.'),
+    query('client_id').optional().isInt({ min: 1 }).withMessage('El inquilino debe ser un ID válido.'),
+    query('lease_id').optional().isInt({ min: 1 }).withMessage('El contrato debe ser un ID válido.'),
+    query('status').optional().isIn(['held', 'returned']).withMessage('El estado debe ser: held o returned.'),
+];
+
+export const validateHeldDepositsReport = [
+    query('owner_id').optional().isInt({ min: 1 }).withMessage('El propietario debe ser un ID válido.'),
+];
@@ -0,0 +1,120 @@
+import { body, query } from 'express-validator';
+import { LETTER_TYPES, PAUSE_REASONS } from '../shared/helpers/dunningHelpers.js';
+
+/**
+ * Validador de la reclamación escalonada
+ * Los marcadores de las plantillas, el orden de los niveles y las pausas
+ * duplicadas se validan en el servicio.
+ */
+const levelRules = [
+    body('name')
+        .trim()
+        .notEmpty()
+        .withMessage('El nombre del nivel es obligatorio.')
+        .isLength({ max: 100 })
+        .withMessage('El nombre no puede exceder 100 caracteres.'),
+
+    body('days_overdue')
+        .isInt({ min: 1, max: 3650 })
+        .withMessage('Los días de retraso deben ser un número entero positivo.'),
+
+    body('letter_type')
+        .isIn(LETTER_TYPES)
+        .withMessage(`El tipo de carta debe ser: ${LETTER_TYPES.join(', ')}.`),
+
+    body('subject')
+        .trim()
+        .notEmpty()
+        .withMessage('El asunto de la carta es obligatorio.')
+        .isLength({ max: 255 })
+        .withMessage('El asunto no puede exceder 255 caracteres.'),
+
+    body('body')
+        .trim()
+        .notEmpty()
+        .withMessage('El texto de la carta es obligatorio.')
+        .isLength({ max: 10000 })
+        .withMessage('El texto no puede exceder 10000 caracteres.'),
+
+    body('active')
+        .optional({ nullable: true })
+        .isBoolean()
+        .withMessage('active debe ser true o false.'),
+];
+
+export const validateDunningLevel = [
+    body('level')
+        .isInt({ min: 1, max: 20 })
+        .withMessage('El nivel debe ser un número entre 1 y 20.'),
+    ...levelRules,
+];
+
+export const validateDunningLevelUpdate = levelRules;
+
+export const validateDunningDate = [
+    query('date').optional().isISO8601().withMessage('La fecha debe tener formato válido (YYYY-MM-DD).'),
+];
+
+export const validateDunningRun = [
+    body('date')
+        .optional({ nullable: true })
+        .isISO8601()
+        .withMessage('La fecha debe tener formato válido (YYYY-MM-DD).'),
+    body('dry_run')
+        .optional({ nullable: true })
+        .isBoolean()
+        .withMessage('dry_run debe ser true o false.'),
+];
+
+export const validateDunningEventFilters = [
+    query('clients_id').optional().isInt({ min: 1 }).withMessage('El cliente debe ser un ID válido.'),
+    query('invoice_issued_id').optional().isInt({ min: 1 }).withMessage('La factura debe ser un ID válido.'),
+    query('level').optional().isInt({ min: 1 }).withMessage('El nivel debe ser un número válido.'),
+    query('event_type').optional().isIn(['letter', 'return', 'pause', 'resume']).withMessage('El tipo de evento debe ser: letter, return, pause o resume.'),
+    query('date_from').optional().isISO8601().withMessage('La fecha desde debe tener formato válido (YYYY-MM-DD).'),
+    query('date_to').optional().isISO8601().withMessage('La fecha hasta debe tener formato válido (YYYY-MM-DD).'),
+];
+
+export const validateDunningPause = [
+    body('clients_id')
+        .isInt({ min: 1 })
+        .withMessage('El cliente es obligatorio.'),
+
+    body('invoice_issued_id')
+        .optional({ nullable: true })
+        .isInt({ min: 1 })
+        .withMessage('La factura debe ser un ID válido.'),
+
+    body('reason')
+        .isIn(PAUSE_REASONS)
+        .withMessage(`El motivo debe ser: ${PAUSE_REASONS.join(', ')}.`),
+
+    body('paused_until')
+        .if(body('reason').equals('payment_promise'))
+        .notEmpty()
+        .withMessage('El compromiso de pago necesita la fecha prometida.'),
+
+    body('paused_until')
+        .optional({ nullable: true })
+        .isISO8601()
+        .withMessage('La fecha de fin de la pausa debe tener formato válido (YYYY-MM-DD).'),
+
+    body('notes')
+        .optional({ nullable: true })
+        .isString()
+        .isLength({ max: 1000 })
+        .withMessage('Las notas no pueden superar 1000 caracteres.'),
+];
+
+export const validateDunningPauseFilters = [
+    query('status').optional().isIn(['active', 'lifted']).withMessage('El estado debe ser: active o lifted.'),
+    query('clients_id').optional().isInt({ min: 1 }).withMessage('El cliente debe ser un ID válido.'),
+];
+
+export const validateLiftDunningPause = [
+    body('notes')
+        .optional({ nullable: true })
+        .isString()
+        .isLength({ max: 1000 })
+        .withMessage('Las notas no pueden superar 1000 caracteres.'),
+];
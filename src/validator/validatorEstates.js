@@ -76,5 +76,35 @@ export const validateEstate = [
                 throw new Error('La superficie debe ser mayor que 0');
             }
             return true;
+        }),
+
+    /**
+     * Valores catastrales del recibo del IBI (opcionales)
+     * La construcción no puede superar el valor catastral total
+     */
+    body('cadastral_value')
+        .optional({nullable: true})
+        .isDecimal({ decimal_digits: '0,2' })
+        .withMessage('El valor catastral debe ser un número decimal válido.')
+        .custom((value) => {
+            if (parseFloat(value) < 0) {
+                throw new Error('El valor catastral no puede ser negativo');
+            }
+            return true;
+        }),
+
+    body('cadastral_construction_value')
+        .optional({nullable: true})
+        .isDecimal({ decimal_digits: '0,2' })
+        .withMessage('El valor catastral de la construcción debe ser un número decimal válido.')
+        .custom((value, { req }) => {
+            if (parseFloat(value) < 0) {
+                throw new Error('El valor catastral de la construcción no puede ser negativo');
+            }
+            const total = req.body.cadastral_value;
+            if (total !== undefined && total !== null && parseFloat(value) > parseFloat(total)) {
+                throw new Error('El valor de la construcción no puede superar el valor catastral total');
+            }
+            return true;
         })
-];
\ No newline at end of file
+];
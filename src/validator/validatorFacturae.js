@@ -0,0 +1,28 @@
+import { body, query } from 'express-validator';
+
+/**
+ * Validador para la exportación de facturas emitidas en formato Facturae
+ */
+export const validateFacturaeDownload = [
+    query('sign')
+        .optional()
+        .isIn(['true', 'false'])
+        .withMessage('El parámetro sign debe ser true o false.'),
+];
+
+export const validateFacturaeBatch = [
+    body('invoice_ids')
+        .isArray({ min: 1, max: 100 })
+        .withMessage('invoice_ids debe ser una lista de entre 1 y 100 facturas.'),
+
+    body('invoice_ids.*')
+        .isInt({ min: 1 })
+        .withMessage('Cada ID de factura debe ser un número entero positivo.')
+        .toInt(),
+
+    body('sign')
+        .optional()
+        .isBoolean()
+        .withMessage('El campo sign debe ser booleano.')
+        .toBoolean(),
+];
@@ -0,0 +1,70 @@
+import { body, query } from 'express-validator';
+import { PERIOD_STATUSES, PERIOD_TYPES } from '../shared/helpers/fiscalPeriodHelpers.js';
+
+/**
+ * Validador de periodos fiscales
+ * Que el periodo no exista ya y las transiciones de estado se validan en el servicio.
+ */
+export const validateFiscalPeriod = [
+    body('period_type')
+        .isIn(PERIOD_TYPES)
+        .withMessage(`El tipo de periodo debe ser: ${PERIOD_TYPES.join(', ')}.`),
+
+    body('year')
+        .isInt({ min: 2000, max: 2100 })
+        .withMessage('El año debe estar entre 2000 y 2100.'),
+
+    body('period')
+        .if(body('period_type').equals('month'))
+        .isInt({ min: 1, max: 12 })
+        .withMessage('El mes debe estar entre 1 y 12.'),
+
+    body('period')
+        .if(body('period_type').equals('quarter'))
+        .isInt({ min: 1, max: 4 })
+        .withMessage('El trimestre debe estar entre 1 y 4.'),
+
+    body('notes')
+        .optional({ nullable: true })
+        .isString()
+        .isLength({ max: 1000 })
+        .withMessage('Las notas no pueden superar 1000 caracteres.'),
+];
+
+export const validateFiscalPeriodFilters = [
+    query('year')
+        .optional()
+        .isInt({ min: 2000, max: 2100 })
+        .withMessage('El año debe estar entre 2000 y 2100.'),
+    query('status')
+        .optional()
+        .isIn(PERIOD_STATUSES)
+        .withMessage(`El estado debe ser: ${PERIOD_STATUSES.join(', ')}.`),
+    query('period_type')
+        .optional()
+        .isIn(PERIOD_TYPES)
+        .withMessage(`El tipo de periodo debe ser: ${PERIOD_TYPES.join(', ')}.`),
+];
+
+export const validateFiscalPeriodCheck = [
+    query('date')
+        .notEmpty()
+        .withMessage('La fecha es obligatoria.')
+        .isISO8601()
+        .withMessage('La fecha debe tener formato válido (YYYY-MM-DD).'),
+];
+
+export const validateFiscalPeriodClose = [
+    body('notes')
+        .optional({ nullable: true })
+        .isString()
+        .isLength({ max: 1000 })
+        .withMessage('Las notas no pueden superar 1000 caracteres.'),
+];
+
+export const validateFiscalPeriodReopen = [
+    body('reason')
+        .trim()
+        .isLength({ min: 5, max: 1000 })
+        .withMessage('El motivo de la reapertura es obligatorio (entre 5 y 1000 caracteres).'),
+];
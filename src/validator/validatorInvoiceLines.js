@@ -0,0 +1,54 @@
+import { body } from 'express-validator';
+
+/**
+ * Validador para las líneas de detalle de facturas emitidas y recibidas
+ * Las líneas son opcionales: si se envían, la cabecera (base, IVA, IRPF, total) se deriva de ellas.
+ * En peticiones multipart (facturas recibidas con PDF) las líneas llegan como cadena JSON.
+ */
+export const validateInvoiceLines = [
+    body('lines')
+        .optional({ nullable: true })
+        .customSanitizer(value => {
+            if (typeof value !== 'string') return value;
+            try {
+                return JSON.parse(value);
+            } catch {
+                return value;
+            }
+        })
+        .isArray({ min: 1, max: 100 })
+        .withMessage('Las líneas deben ser una lista de entre 1 y 100 elementos.'),
+
+    body('lines.*.description')
+        .trim()
+        .notEmpty()
+        .withMessage('Cada línea debe tener una descripción.')
+        .isLength({ max: 255 })
+        .withMessage('La descripción de la línea no puede superar los 255 caracteres.'),
+
+    body('lines.*.quantity')
+        .optional()
+        .isFloat({ gt: 0, max: 9999999 })
+        .withMessage('La cantidad de la línea debe ser mayor que 0.'),
+
+    body('lines.*.unit_price')
+        .notEmpty()
+        .withMessage('Cada línea debe tener un precio unitario.')
+        .isFloat({ min: -999999.99, max: 999999.99 })
+        .withMessage('El precio unitario debe ser un número entre -999,999.99 y 999,999.99.'),
+
+    body('lines.*.discount')
+        .optional()
+        .isFloat({ min: 0, max: 100 })
+        .withMessage('El descuento de la línea debe estar entre 0 y 100.'),
+
+    body('lines.*.iva')
+        .optional()
+        .isIn([0, 4, 10, 21])
+        .withMessage('El IVA de la línea debe ser uno de los tipos válidos: 0%, 4%, 10%, 21%.'),
+
+    body('lines.*.irpf')
+        .optional()
+        .isFloat({ min: 0, max: 47 })
+        .withMessage('El IRPF de la línea debe estar entre 0 y 47.'),
+];
@@ -0,0 +1,64 @@
+import { body, query } from 'express-validator';
+
+/**
+ * Validador para las series de numeración de facturas emitidas
+ * El patrón se valida en detalle en el servicio (marcadores {OWNER}, {YYYY}, {YY}, {SEQ:n}).
+ */
+export const validateCreateInvoiceSeries = [
+    body('owners_id')
+        .optional({ nullable: true })
+        .isInt({ min: 1 })
+        .withMessage('El ID del propietario debe ser un número entero positivo.'),
+
+    body('series_type')
+        .optional()
+        .isIn(['invoice', 'refund'])
+        .withMessage('El tipo de serie debe ser invoice o refund.'),
+
+    body('pattern')
+        .trim()
+        .notEmpty()
+        .withMessage('El patrón de numeración es obligatorio.')
+        .isLength({ max: 100 })
+        .withMessage('El patrón no puede superar los 100 caracteres.'),
+
+    body('owner_code')
+        .optional({ nullable: true })
+        .trim()
+        .matches(/^[A-Z0-9]{1,20}$/i)
+        .withMessage('El código del propietario debe tener entre 1 y 20 letras o números.'),
+];
+
+export const validateUpdateInvoiceSeries = [
+    body('pattern')
+        .optional()
+        .trim()
+        .notEmpty()
+        .withMessage('El patrón de numeración no puede estar vacío.')
+        .isLength({ max: 100 })
+        .withMessage('El patrón no puede superar los 100 caracteres.'),
+
+    body('owner_code')
+        .optional({ nullable: true })
+        .trim()
+        .matches(/^[A-Z0-9]{1,20}$/i)
+        .withMessage('El código del propietario debe tener entre 1 y 20 letras o números.'),
+];
+
+export const validateNextNumber = [
+    query('owners_id')
+        .notEmpty()
+        .withMessage('El propietario es obligatorio.')
+        .isInt({ min: 1 })
+        .withMessage('El ID del propietario debe ser un número entero positivo.'),
+
+    query('series_type')
+        .optional()
+        .isIn(['invoice', 'refund'])
+        .withMessage('El tipo de serie debe ser invoice o refund.'),
+
+    query('date')
+        .optional()
+        .isISO8601()
+        .withMessage('La fecha debe tener formato válido (YYYY-MM-DD).'),
+];
@@ -1,4 +1,5 @@
 import { body } from 'express-validator';
+import { validateInvoiceLines } from './validatorInvoiceLines.js';
 
 /**
  * Validador para facturas emitidas a clientes
@@ -36,6 +37,11 @@ export const validateCreateInvoiceIssued = [
         .isInt({ min: 1 })
         .withMessage('La propiedad debe ser un ID válido.'),
 
+    body('lease_id')
+        .optional({nullable: true})
+        .isInt({ min: 1 })
+        .withMessage('El contrato debe ser un ID válido.'),
+
     body('invoice_date')
         .notEmpty()
         .withMessage('La fecha de factura es obligatoria.')
@@ -76,7 +82,11 @@ export const validateCreateInvoiceIssued = [
     // IMPORTES FISCALES
     // ==========================================
 
+    // Con líneas, la base imponible se calcula a partir de ellas
+    ...validateInvoiceLines,
+
     body('tax_base')
+        .if((value, { req }) => !req.body.lines?.length)
         .notEmpty()
         .withMessage('La base imponible es obligatoria.')
         .isFloat({ min: 0.01, max: 999999.99 })
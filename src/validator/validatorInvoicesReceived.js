@@ -1,4 +1,5 @@
 import { body } from 'express-validator';
+import { validateInvoiceLines } from './validatorInvoiceLines.js';
 
 /**
  * Validador para facturas recibidas de proveedores
@@ -69,7 +70,11 @@ export const validateCreateInvoiceReceived = [
     // IMPORTES FISCALES
     // ==========================================
 
+    // Con líneas, la base imponible se calcula a partir de ellas
+    ...validateInvoiceLines,
+
     body('tax_base')
+        .if((value, { req }) => !req.body.lines?.length)
         .notEmpty()
         .withMessage('La base imponible es obligatoria.')
         .isFloat({ min: 0.01, max: 999999.99 })
@@ -126,7 +131,7 @@ export const validateCreateInvoiceReceived = [
             'electricidad', 'gas', 'agua', 'comunidad', 'seguros',
             'residuos', 'mantenimiento', 'reparaciones', 'mobiliario',
             'servicios_profesionales', 'suministros', 'telefono', 'internet', 'seguridad',
-            'impuestos', 'otros', 'limpieza'
+            'impuestos', 'otros', 'limpieza', 'alquiler'
         ])
         .withMessage('La categoría debe ser una de las opciones válidas.'),
 
@@ -0,0 +1,115 @@
+import { body } from 'express-validator';
+
+/**
+ * Validador para contratos de arrendamiento
+ * La renta e impuestos del contrato son la base de la facturación mensual
+ */
+
+// Campos comunes opcionales en crear y actualizar
+const optionalLeaseFields = [
+    body('end_date')
+        .optional({nullable: true})
+        .isISO8601()
+        .withMessage('La fecha de fin debe tener formato válido (YYYY-MM-DD).')
+        .custom((value, { req }) => {
+            if (value && req.body.start_date && new Date(value) <= new Date(req.body.start_date)) {
+                throw new Error('La fecha de fin debe ser posterior a la fecha de inicio.');
+            }
+            return true;
+        }),
+
+    body('deposit')
+        .optional()
+        .isFloat({ min: 0, max: 999999.99 })
+        .withMessage('La fianza debe estar entre 0 y 999,999.99.'),
+
+    body('indexation_type')
+        .optional({nullable: true})
+        .isIn(['IPC', 'IRAV'])
+        .withMessage('El índice de actualización debe ser: IPC o IRAV.'),
+
+    body('indexation_cap')
+        .optional({nullable: true})
+        .isFloat({ min: 0, max: 100 })
+        .withMessage('El tope de actualización debe estar entre 0 y 100.'),
+
+    body('iva')
+        .optional()
+        .isIn(['0', '4', '10', '21'])
+        .withMessage('El IVA debe ser uno de los tipos válidos: 0%, 4%, 10%, 21%.'),
+
+    body('irpf')
+        .optional()
+        .isFloat({ min: 0, max: 47 })
+        .withMessage('El porcentaje de IRPF debe estar entre 0 y 47.'),
+
+    body('billing_day')
+        .optional()
+        .isInt({ min: 1, max: 31 })
+        .withMessage('El día de facturación debe estar entre 1 y 31.'),
+
+    body('due_days')
+        .optional()
+        .isInt({ min: 0, max: 365 })
+        .withMessage('Los días de vencimiento deben estar entre 0 y 365.'),
+
+    body('collection_method')
+        .optional()
+        .isIn(['direct_debit', 'cash', 'card', 'transfer', 'check'])
+        .withMessage('El método de cobro debe ser: direct_debit, cash, card, transfer o check.'),
+
+    body('status')
+        .optional()
+        .isIn(['active', 'terminated'])
+        .withMessage('El estado debe ser: active o terminated.'),
+
+    body('notes')
+        .optional({nullable: true})
+        .trim()
+        .isLength({ max: 1000 })
+        .withMessage('Las notas no pueden exceder 1000 caracteres.'),
+];
+
+// ==========================================
+// VALIDACIONES PARA CREAR CONTRATO
+// ==========================================
+export const validateCreateLease = [
+    body('estates_id')
+        .notEmpty()
+        .withMessage('El inmueble es obligatorio.')
+        .isInt({ min: 1 })
+        .withMessage('El inmueble debe ser un ID válido.'),
+
+    body('clients_id')
+        .notEmpty()
+        .withMessage('El inquilino es obligatorio.')
+        .isInt({ min: 1 })
+        .withMessage('El inquilino debe ser un ID válido.'),
+
+    body('start_date')
+        .notEmpty()
+        .withMessage('La fecha de inicio es obligatoria.')
+        .isISO8601()
+        .withMessage('La fecha de inicio debe tener formato válido (YYYY-MM-DD).'),
+
+    body('monthly_rent')
+        .notEmpty()
+        .withMessage('La renta mensual es obligatoria.')
+        .isFloat({ min: 0.01, max: 999999.99 })
+        .withMessage('La renta mensual debe estar entre 0.01 y 999,999.99.'),
+
+    ...optionalLeaseFields
+];
+
+// ==========================================
+// VALIDACIONES PARA ACTUALIZAR CONTRATO
+// ==========================================
+export const validateUpdateLease = [
+    // Mismas validaciones que crear, pero todos los campos son opcionales
+    body('estates_id').optional().isInt({ min: 1 }).withMessage('El inmueble debe ser un ID válido.'),
+    body('clients_id').optional().isInt({ min: 1 }).withMessage('El inquilino debe ser un ID válido.'),
+    body('start_date').optional().isISO8601().withMessage('La fecha de inicio debe tener formato válido (YYYY-MM-DD).'),
+    body('monthly_rent').optional().isFloat({ min: 0.01, max: 999999.99 }).withMessage('La renta mensual debe estar entre 0.01 y 999,999.99.'),
+
+    ...optionalLeaseFields
+];
@@ -0,0 +1,30 @@
+import { body, query } from 'express-validator';
+
+/**
+ * Validador de las opciones del modelo 303
+ * request_refund: solicitar devolución si el 4T sale negativo
+ * previous_compensation: casilla 110 cuando no hay un período anterior guardado
+ */
+export const validateModelo303Query = [
+    query('request_refund')
+        .optional()
+        .isBoolean()
+        .withMessage('request_refund debe ser true o false.'),
+
+    query('previous_compensation')
+        .optional()
+        .isFloat({ min: 0 })
+        .withMessage('La compensación de períodos anteriores debe ser un importe positivo.'),
+];
+
+export const validateModelo303Save = [
+    body('request_refund')
+        .optional()
+        .isBoolean()
+        .withMessage('request_refund debe ser true o false.'),
+
+    body('previous_compensation')
+        .optional()
+        .isFloat({ min: 0 })
+        .withMessage('La compensación de períodos anteriores debe ser un importe positivo.'),
+];
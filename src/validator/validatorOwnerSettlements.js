@@ -0,0 +1,65 @@
+import { body, param } from 'express-validator';
+
+/**
+ * Validador de las liquidaciones a propietarios
+ * Que el período tenga documentos pendientes y las transiciones de estado se validan en el servicio.
+ */
+const validateIds = [
+    param('id')
+        .isInt({ min: 1 })
+        .withMessage('El ID del propietario debe ser un número entero positivo.'),
+
+    param('settlementId')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('El ID de la liquidación debe ser un número entero positivo.'),
+];
+
+export const validateOwnerSettlementParams = validateIds;
+
+export const validateCreateOwnerSettlement = [
+    ...validateIds,
+
+    body('period_start')
+        .notEmpty()
+        .withMessage('La fecha de inicio es obligatoria.')
+        .isISO8601()
+        .withMessage('La fecha de inicio debe tener formato válido (YYYY-MM-DD).'),
+
+    body('period_end')
+        .notEmpty()
+        .withMessage('La fecha de fin es obligatoria.')
+        .isISO8601()
+        .withMessage('La fecha de fin debe tener formato válido (YYYY-MM-DD).')
+        .custom((value, { req }) => value >= req.body.period_start)
+        .withMessage('La fecha de fin no puede ser anterior a la de inicio.'),
+
+    body('commission_rate')
+        .optional({ nullable: true })
+        .isFloat({ min: 0, max: 100 })
+        .withMessage('El porcentaje de comisión debe estar entre 0 y 100.'),
+
+    body('notes')
+        .optional({ nullable: true })
+        .isLength({ max: 2000 })
+        .withMessage('Las notas no pueden superar los 2000 caracteres.'),
+
+    body('dry_run')
+        .optional()
+        .isBoolean()
+        .withMessage('El campo dry_run debe ser verdadero o falso.'),
+];
+
+export const validatePayOwnerSettlement = [
+    ...validateIds,
+
+    body('paid_date')
+        .optional({ nullable: true })
+        .isISO8601()
+        .withMessage('La fecha de pago debe tener formato válido (YYYY-MM-DD).'),
+
+    body('payment_reference')
+        .optional({ nullable: true })
+        .isLength({ max: 255 })
+        .withMessage('La referencia no puede superar los 255 caracteres.'),
+];
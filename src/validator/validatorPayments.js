@@ -0,0 +1,80 @@
+import { body, query } from 'express-validator';
+
+/**
+ * Validador de cobros de clientes
+ * El pendiente de cada factura y el importe disponible del cobro se validan en el servicio.
+ */
+
+const allocationFields = [
+    body('allocations')
+        .optional({nullable: true})
+        .isArray()
+        .withMessage('Las imputaciones deben ser una lista.'),
+
+    body('allocations.*.invoice_issued_id')
+        .notEmpty()
+        .withMessage('La factura de cada imputación es obligatoria.')
+        .isInt({ min: 1 })
+        .withMessage('La factura de cada imputación debe ser un ID válido.'),
+
+    body('allocations.*.amount')
+        .optional({nullable: true})
+        .isFloat({ min: 0.01, max: 999999.99 })
+        .withMessage('El importe imputado debe estar entre 0.01 y 999,999.99.'),
+];
+
+// ==========================================
+// VALIDACIONES PARA REGISTRAR COBRO
+// ==========================================
+export const validateCreatePayment = [
+    body('clients_id')
+        .notEmpty()
+        .withMessage('El cliente es obligatorio.')
+        .isInt({ min: 1 })
+        .withMessage('El cliente debe ser un ID válido.'),
+
+    body('amount')
+        .notEmpty()
+        .withMessage('El importe del cobro es obligatorio.')
+        .isFloat({ min: 0.01, max: 999999.99 })
+        .withMessage('El importe del cobro debe estar entre 0.01 y 999,999.99.'),
+
+    body('payment_date')
+        .optional({nullable: true})
+        .isISO8601()
+        .withMessage('La fecha de cobro debe tener formato válido (YYYY-MM-DD).'),
+
+    body('method')
+        .optional({nullable: true})
+        .isIn(['transfer', 'direct_debit', 'cash', 'card', 'check'])
+        .withMessage('El método de cobro debe ser: transfer, direct_debit, cash, card o check.'),
+
+    body('reference')
+        .optional({nullable: true})
+        .trim()
+        .isLength({ max: 255 })
+        .withMessage('La referencia no puede exceder 255 caracteres.'),
+
+    body('notes')
+        .optional({nullable: true})
+        .trim()
+        .isLength({ max: 1000 })
+        .withMessage('Las notas no pueden exceder 1000 caracteres.'),
+
+    ...allocationFields
+];
+
+// ==========================================
+// IMPUTACIÓN DEL SALDO A FAVOR
+// ==========================================
+export const validateAllocatePayment = [...allocationFields];
+
+// ==========================================
+// FILTROS
+// ==========================================
+export const validatePaymentFilters = [
+    query('client_id').optional().isInt({ min: 1 }).withMessage('El cliente debe ser un ID válido.'),
+    query('date_from').optional().isISO8601().withMessage('La fecha inicial debe tener formato válido (YYYY-MM-DD).'),
+    query('date_to').optional().isISO8601().withMessage('La fecha final debe tener formato válido (YYYY-MM-DD).'),
+    query('with_credit').optional().isBoolean().withMessage('with_credit debe ser true o false.'),
+];
@@ -0,0 +1,68 @@
+import { body, query } from 'express-validator';
+
+/**
+ * Validador de la actualización de rentas
+ * El índice aplicable y el estado de cada revisión se validan en el servicio.
+ */
+export const validateRentIndex = [
+    body('index_type')
+        .notEmpty()
+        .withMessage('El índice es obligatorio.')
+        .isIn(['IPC', 'IRAV'])
+        .withMessage('El índice debe ser: IPC o IRAV.'),
+
+    body('period')
+        .notEmpty()
+        .withMessage('El mes de referencia es obligatorio.')
+        .matches(/^\d{4}-(0[1-9]|1[0-2])$/)
+        .withMessage('El mes de referencia debe tener formato YYYY-MM.'),
+
+    body('value')
+        .notEmpty()
+        .withMessage('El valor del índice es obligatorio.')
+        .isFloat({ min: -100, max: 100 })
+        .withMessage('El valor del índice (variación anual en %) debe estar entre -100 y 100.'),
+
+    body('source')
+        .optional({nullable: true})
+        .trim()
+        .isLength({ max: 150 })
+        .withMessage('La fuente no puede exceder 150 caracteres.'),
+];
+
+export const validateRentIndexFilters = [
+    query('index_type').optional().isIn(['IPC', 'IRAV']).withMessage('El índice debe ser: IPC o IRAV.'),
+];
+
+export const validateRentReviewPreview = [
+    query('until_date').optional().isISO8601().withMessage('La fecha debe tener formato válido (YYYY-MM-DD).'),
+];
+
+export const validateGenerateRentReviews = [
+    body('until_date')
+        .optional({nullable: true})
+        .isISO8601()
+        .withMessage('La fecha debe tener formato válido (YYYY-MM-DD).'),
+
+    body('lease_ids')
+        .optional({nullable: true})
+        .isArray({ min: 1 })
+        .withMessage('lease_ids debe ser una lista de contratos.'),
+
+    body('lease_ids.*')
+        .isInt({ min: 1 })
+        .withMessage('Cada contrato debe ser un ID válido.'),
+];
+
+export const validateRentReviewFilters = [
+    query('status').optional().isIn(['pending', 'approved', 'rejected']).withMessage('El estado debe ser: pending, approved o rejected.'),
+    query('lease_id').optional().isInt({ min: 1 }).withMessage('El contrato debe ser un ID válido.'),
+];
+
+export const validateRejectRentReview = [
+    body('notes')
+        .optional({nullable: true})
+        .trim()
+        .isLength({ max: 1000 })
+        .withMessage('Las notas no pueden exceder 1000 caracteres.'),
+];
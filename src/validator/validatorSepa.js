@@ -0,0 +1,194 @@
+import { body, query } from 'express-validator';
+
+/**
+ * Validador de mandatos, acreedores, remesas y devoluciones SEPA
+ * Los dígitos de control del IBAN, el identificador de acreedor y el estado de
+ * cada factura se validan en el servicio.
+ */
+
+const compact = value => typeof value === 'string' ? value.replace(/\s+/g, '').toUpperCase() : value;
+
+const bicField = body('sepa_bic')
+    .optional({nullable: true})
+    .customSanitizer(compact)
+    .isBIC()
+    .withMessage('El BIC debe tener 8 u 11 caracteres válidos.');
+
+// ==========================================
+// MANDATO DEL CLIENTE
+// ==========================================
+export const validateSepaMandate = [
+    body('sepa_mandate_id')
+        .optional({nullable: true})
+        .trim()
+        .isLength({ min: 1, max: 35 })
+        .withMessage('La referencia del mandato debe tener entre 1 y 35 caracteres.')
+        .matches(/^[A-Za-z0-9/\-?:().,'+ ]+$/)
+        .withMessage('La referencia del mandato contiene caracteres no admitidos en SEPA.'),
+
+    body('sepa_mandate_date')
+        .if(body('sepa_mandate_id').notEmpty())
+        .notEmpty()
+        .withMessage('La fecha de firma del mandato es obligatoria.')
+        .isISO8601()
+        .withMessage('La fecha de firma debe tener formato válido (YYYY-MM-DD).'),
+
+    body('sepa_iban')
+        .if(body('sepa_mandate_id').notEmpty())
+        .customSanitizer(compact)
+        .isIBAN()
+        .withMessage('El IBAN del mandato debe ser un IBAN válido.'),
+
+    bicField,
+
+    body('sepa_sequence_type')
+        .optional({nullable: true})
+        .isIn(['FRST', 'RCUR'])
+        .withMessage('El tipo de secuencia debe ser: FRST o RCUR.'),
+];
+
+// ==========================================
+// ACREEDOR (PROPIETARIO)
+// ==========================================
+export const validateSepaCreditor = [
+    body('sepa_iban')
+        .optional({nullable: true})
+        .customSanitizer(compact)
+        .isIBAN()
+        .withMessage('El IBAN de abono debe ser un IBAN válido.'),
+
+    bicField,
+
+    body('sepa_creditor_id')
+        .optional({nullable: true})
+        .trim()
+        .isLength({ min: 8, max: 35 })
+        .withMessage('El identificador de acreedor debe tener entre 8 y 35 caracteres.'),
+];
+
+// ==========================================
+// REMESAS
+// ==========================================
+export const validateCreateDirectDebit = [
+    body('invoice_ids')
+        .isArray({ min: 1, max: 500 })
+        .withMessage('Las facturas a remesar deben ser una lista de 1 a 500 IDs.'),
+
+    body('invoice_ids.*')
+        .isInt({ min: 1 })
+        .withMessage('Cada factura debe ser un ID válido.'),
+
+    body('collection_date')
+        .optional({nullable: true})
+        .isISO8601()
+        .withMessage('La fecha de cargo debe tener formato válido (YYYY-MM-DD).'),
+];
+
+export const validateCreateCreditTransfer = [
+    body('invoice_ids')
+        .isArray({ min: 1, max: 500 })
+        .withMessage('Las facturas a pagar deben ser una lista de 1 a 500 IDs.'),
+
+    body('invoice_ids.*')
+        .isInt({ min: 1 })
+        .withMessage('Cada factura debe ser un ID válido.'),
+
+    body('execution_date')
+        .optional({nullable: true})
+        .isISO8601()
+        .withMessage('La fecha de ejecución debe tener formato válido (YYYY-MM-DD).'),
+
+    body('bank_account')
+        .optional({nullable: true})
+        .customSanitizer(compact)
+        .isIBAN()
+        .withMessage('La cuenta de cargo debe ser un IBAN válido.'),
+];
+
+export const validateConfirmCreditTransfer = [
+    body('payment_date')
+        .optional({nullable: true})
+        .isISO8601()
+        .withMessage('La fecha de pago debe tener formato válido (YYYY-MM-DD).'),
+];
+
+export const validateSepaRemittanceFilters = [
+    query('remittance_type')
+        .optional()
+        .isIn(['direct_debit', 'credit_transfer'])
+        .withMessage('El tipo de remesa debe ser: direct_debit o credit_transfer.'),
+    query('status')
+        .optional()
+        .isIn(['generated', 'confirmed', 'cancelled'])
+        .withMessage('El estado debe ser: generated, confirmed o cancelled.'),
+    query('owners_id').optional().isInt({ min: 1 }).withMessage('El propietario debe ser un ID válido.'),
+];
+
+// ==========================================
+// DEVOLUCIONES
+// ==========================================
+export const validateRegisterSepaReturn = [
+    body('invoice_issued_id')
+        .isInt({ min: 1 })
+        .withMessage('La factura debe ser un ID válido.'),
+
+    body('reason_code')
+        .trim()
+        .matches(/^[A-Za-z0-9]{4}$/)
+        .withMessage('El motivo de devolución debe ser un código SEPA de 4 caracteres (p. ej. AM04).'),
+
+    body('amount')
+        .optional({nullable: true})
+        .isFloat({ gt: 0 })
+        .withMessage('El importe devuelto debe ser mayor que 0.'),
+
+    body('return_date')
+        .optional({nullable: true})
+        .isISO8601()
+        .withMessage('La fecha de devolución debe tener formato válido (YYYY-MM-DD).'),
+
+    body('bank_charges')
+        .optional({nullable: true})
+        .isFloat({ min: 0 })
+        .withMessage('Los gastos bancarios no pueden ser negativos.'),
+
+    body('charge_fee')
+        .optional({nullable: true})
+        .isBoolean()
+        .withMessage('charge_fee debe ser verdadero o falso.'),
+
+    body('fee_amount')
+        .optional({nullable: true})
+        .isFloat({ gt: 0 })
+        .withMessage('Los gastos a repercutir deben ser mayores que 0.'),
+
+    body('notes')
+        .optional({nullable: true})
+        .isLength({ max: 1000 })
+        .withMessage('Las notas no pueden superar 1000 caracteres.'),
+];
+
+export const validateSepaReturnFee = [
+    body('fee_status')
+        .isIn(['collected', 'waived'])
+        .withMessage('El estado de los gastos debe ser: collected o waived.'),
+];
+
+export const validateSepaReturnFilters = [
+    query('clients_id').optional().isInt({ min: 1 }).withMessage('El cliente debe ser un ID válido.'),
+    query('invoice_issued_id').optional().isInt({ min: 1 }).withMessage('La factura debe ser un ID válido.'),
+    query('fee_status')
+        .optional()
+        .isIn(['none', 'pending', 'invoiced', 'collected', 'waived'])
+        .withMessage('El estado de los gastos debe ser: none, pending, invoiced, collected o waived.'),
+    query('date_from').optional().isISO8601().withMessage('La fecha desde debe tener formato válido (YYYY-MM-DD).'),
+    query('date_to').optional().isISO8601().withMessage('La fecha hasta debe tener formato válido (YYYY-MM-DD).'),
+];
+
+export const validateDunningFilters = [
+    query('status')
+        .optional()
+        .isIn(['open', 'resolved'])
+        .withMessage('El estado debe ser: open o resolved.'),
+    query('clients_id').optional().isInt({ min: 1 }).withMessage('El cliente debe ser un ID válido.'),
+];
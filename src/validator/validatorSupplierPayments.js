@@ -0,0 +1,123 @@
+import { body, query } from 'express-validator';
+
+/**
+ * Validador de pagos a proveedores y remesas de pago
+ * El pendiente de cada factura y si está en una remesa abierta se validan en el servicio.
+ */
+
+const bankAccountField = body('bank_account')
+    .optional({nullable: true})
+    .customSanitizer(value => typeof value === 'string' ? value.replace(/\s+/g, '').toUpperCase() : value)
+    .isIBAN()
+    .withMessage('La cuenta bancaria debe ser un IBAN válido.');
+
+const methodField = body('method')
+    .optional({nullable: true})
+    .isIn(['transfer', 'direct_debit', 'cash', 'card', 'check'])
+    .withMessage('El método de pago debe ser: transfer, direct_debit, cash, card o check.');
+
+const notesField = body('notes')
+    .optional({nullable: true})
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Las notas no pueden exceder 1000 caracteres.');
+
+// ==========================================
+// VALIDACIONES PARA REGISTRAR PAGO
+// ==========================================
+export const validateCreateSupplierPayment = [
+    body('invoice_received_id')
+        .notEmpty()
+        .withMessage('La factura recibida es obligatoria.')
+        .isInt({ min: 1 })
+        .withMessage('La factura recibida debe ser un ID válido.'),
+
+    body('amount')
+        .optional({nullable: true})
+        .isFloat({ min: 0.01, max: 999999.99 })
+        .withMessage('El importe del pago debe estar entre 0.01 y 999,999.99.'),
+
+    body('payment_date')
+        .optional({nullable: true})
+        .isISO8601()
+        .withMessage('La fecha de pago debe tener formato válido (YYYY-MM-DD).'),
+
+    methodField,
+    bankAccountField,
+
+    body('reference')
+        .optional({nullable: true})
+        .trim()
+        .isLength({ max: 255 })
+        .withMessage('La referencia no puede exceder 255 caracteres.'),
+
+    notesField
+];
+
+// ==========================================
+// REMESAS DE PAGO
+// ==========================================
+export const validateCreatePaymentRun = [
+    body('due_until')
+        .notEmpty()
+        .withMessage('La fecha de vencimiento hasta la que se pagan facturas es obligatoria.')
+        .isISO8601()
+        .withMessage('La fecha de vencimiento debe tener formato válido (YYYY-MM-DD).'),
+
+    body('payment_date')
+        .optional({nullable: true})
+        .isISO8601()
+        .withMessage('La fecha de pago debe tener formato válido (YYYY-MM-DD).'),
+
+    body('supplier_ids')
+        .optional({nullable: true})
+        .isArray({ min: 1 })
+        .withMessage('Los proveedores deben ser una lista no vacía.'),
+
+    body('supplier_ids.*')
+        .isInt({ min: 1 })
+        .withMessage('Cada proveedor debe ser un ID válido.'),
+
+    methodField,
+    bankAccountField,
+    notesField
+];
+
+export const validatePayPaymentRun = [
+    body('payment_date')
+        .optional({nullable: true})
+        .isISO8601()
+        .withMessage('La fecha de pago debe tener formato válido (YYYY-MM-DD).'),
+
+    body('reference')
+        .optional({nullable: true})
+        .trim()
+        .isLength({ max: 255 })
+        .withMessage('La referencia no puede exceder 255 caracteres.'),
+];
+
+// ==========================================
+// FILTROS
+// ==========================================
+export const validateSupplierPaymentFilters = [
+    query('supplier_id').optional().isInt({ min: 1 }).withMessage('El proveedor debe ser un ID válido.'),
+    query('payment_run_id').optional().isInt({ min: 1 }).withMessage('La remesa debe ser un ID válido.'),
+    query('date_from').optional().isISO8601().withMessage('La fecha inicial debe tener formato válido (YYYY-MM-DD).'),
+    query('date_to').optional().isISO8601().withMessage('La fecha final debe tener formato válido (YYYY-MM-DD).'),
+];
+
+export const validatePaymentRunPreview = [
+    query('due_until')
+        .notEmpty()
+        .withMessage('La fecha de vencimiento es obligatoria.')
+        .isISO8601()
+        .withMessage('La fecha de vencimiento debe tener formato válido (YYYY-MM-DD).'),
+    query('supplier_id').optional().isInt({ min: 1 }).withMessage('El proveedor debe ser un ID válido.'),
+];
+
+export const validatePaymentRunFilters = [
+    query('status')
+        .optional()
+        .isIn(['draft', 'approved', 'paid', 'cancelled'])
+        .withMessage('El estado debe ser: draft, approved, paid o cancelled.'),
+];
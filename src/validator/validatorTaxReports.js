@@ -0,0 +1,28 @@
+import { param } from 'express-validator';
+
+/**
+ * Validador de los períodos de los modelos tributarios
+ */
+const yearParam = param('year')
+    .isInt({ min: 2020, max: 2030 })
+    .withMessage('El año debe estar entre 2020 y 2030.');
+
+export const validateTaxReportYear = [
+    yearParam,
+];
+
+export const validateTaxReportQuarter = [
+    yearParam,
+
+    param('quarter')
+        .isInt({ min: 1, max: 4 })
+        .withMessage('El trimestre debe estar entre 1 y 4.'),
+];
+
+export const validateOwnerTaxStatement = [
+    param('id')
+        .isInt({ min: 1 })
+        .withMessage('El ID del propietario debe ser un número entero positivo.'),
+
+    yearParam,
+];
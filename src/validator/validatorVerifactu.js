@@ -0,0 +1,30 @@
+import { query } from 'express-validator';
+
+/**
+ * Validador para la consulta y verificación de registros VERI*FACTU
+ */
+export const validateVerifactuRecords = [
+    query('issuer_nif')
+        .optional()
+        .trim()
+        .matches(/^[A-Z0-9-]{5,20}$/i)
+        .withMessage('El NIF del emisor no es válido.'),
+
+    query('invoice_id')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('El ID de la factura debe ser un número entero positivo.'),
+
+    query('submission_status')
+        .optional()
+        .isIn(['pending', 'accepted', 'rejected', 'error'])
+        .withMessage('El estado de envío debe ser pending, accepted, rejected o error.'),
+];
+
+export const validateVerifactuVerify = [
+    query('issuer_nif')
+        .optional()
+        .trim()
+        .matches(/^[A-Z0-9-]{5,20}$/i)
+        .withMessage('El NIF del emisor no es válido.'),
+];
@@ -0,0 +1,341 @@
+/**
+ * Accounting export tests.
+ *
+ * Regression guard: the advisor retyped every invoice into ContaPlus / A3.
+ * The journal entries of issued and received invoices and internal expenses
+ * are now exported in batches as ContaPlus SUENLACE.DAT + SUBCTA.DAT, A3
+ * SUENLACE.DAT or generic CSV, with the advisor's subaccount for each client,
+ * supplier and expense category; an entry already in a batch is never
+ * exported again.
+ *
+ * Covered:
+ * - buildExportData: client / category mappings, default subaccounts, third-party data, VAT lines
+ * - generateContaplusFiles: record lengths and field positions
+ * - generateA3Files: record length, first / middle / last line, debit / credit and amount
+ * - generateCsvFiles: BOM, decimal comma and quoting
+ * - AccountingExportService.createExport: nothing pending, batch with its entries, concurrent batch
+ * - AccountingExportsRepository.create: duplicated entry rolls the batch back
+ * - AccountingExportService.createMapping: account group and duplicates
+ * - Exported documents: editing, deleting or rejecting them is refused (409) so the advisor's copy never diverges
+ * - /api/accounting-exports: validation
+ */
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+
+jest.unstable_mockModule('../../src/db/dbConnect.js', () => ({
+    default: {
+        query: jest.fn(),
+        getConnection: jest.fn().mockResolvedValue({ release: jest.fn() }),
+    },
+}));
+
+const { default: app } = await import('../../src/app.js');
+const { default: db } = await import('../../src/db/dbConnect.js');
+const { default: AccountingExportService } = await import('../../src/services/accountingExportServices.js');
+const { default: AccountingExportsRepository } = await import('../../src/repository/accountingExportsRepository.js');
+const { default: JournalEntriesRepository } = await import('../../src/repository/journalEntriesRepository.js');
+const { default: ClientsRepository } = await import('../../src/repository/clientsRepository.js');
+const { default: InvoicesIssuedService } = await import('../../src/services/invoicesIssuedServices.js');
+const { default: InvoicesIssuedRepository } = await import('../../src/repository/invoicesIssuedRepository.js');
+const { default: InternalExpensesService } = await import('../../src/services/internalExpensesServices.js');
+const { default: InternalExpensesRepository } = await import('../../src/repository/internalExpensesRepository.js');
+const { default: OwnerSettlementService } = await import('../../src/services/ownerSettlementServices.js');
+const { default: FiscalPeriodService } = await import('../../src/services/fiscalPeriodServices.js');
+const { buildExportData, subaccountCode } = await import('../../src/shared/helpers/accountingExportHelpers.js');
+const { generateContaplusFiles, JOURNAL_RECORD_LENGTH, ACCOUNTS_RECORD_LENGTH } = await import('../../src/shared/utils/AccountingExport/contaplusFile.js');
+const { generateA3Files, RECORD_LENGTH: A3_RECORD_LENGTH } = await import('../../src/shared/utils/AccountingExport/a3File.js');
+const { generateCsvFiles } = await import('../../src/shared/utils/AccountingExport/csvFile.js');
+
+const adminToken = jwt.sign(
+    { id: 1, username: 'testadmin', role: 'admin' },
+    'test-jwt-secret-only-not-for-production',
+    { expiresIn: '1h' }
+);
+
+const issuedRow = {
+    id: 1, fiscal_year: 2025, entry_number: 7, entry_date: '2025-03-01', description: 'Factura emitida FACT-0007',
+    source_type: 'invoice_issued', source_id: 7, total: '1210.00',
+    clients_id: 12, issued_number: 'FACT-0007', issued_tax_base: '1000.00', issued_iva: '21.00',
+    client_name: 'Ana', client_lastname: 'Ruiz', client_nif: '12345678Z', client_address: 'Calle Mayor 1',
+    client_city: 'Madrid', client_province: 'Madrid', client_postal_code: '28001'
+};
+
+const receivedRow = {
+    id: 2, fiscal_year: 2025, entry_number: 8, entry_date: '2025-03-02', description: 'Factura recibida R-77',
+    source_type: 'invoice_received', source_id: 77, total: '121.00',
+    supplier_id: 5, received_number: 'R-77', received_tax_base: '100.00', received_iva: '21.00',
+    received_category: 'electricidad', received_is_refund: 0,
+    supplier_name: 'Luz', supplier_company_name: 'Eléctrica del Sur SA', supplier_nif: 'A11111111'
+};
+
+const expenseRow = {
+    id: 3, fiscal_year: 2025, entry_number: 9, entry_date: '2025-03-03', description: 'Gasto Papelería T-1',
+    source_type: 'internal_expense', source_id: 3, total: '60.50',
+    receipt_number: 'T-1', expense_tax_base: '50.00', expense_iva: '21.00', expense_is_deductible: 1,
+    expense_category: 'office_supplies'
+};
+
+const line = (entryId, lineNumber, accountCode, accountName, debit, credit) => ({
+    journal_entry_id: entryId, line_number: lineNumber, account_code: accountCode, account_name: accountName,
+    debit: debit.toFixed(2), credit: credit.toFixed(2), concept: null
+});
+
+const journalLines = [
+    line(1, 1, '430', 'Clientes', 1210, 0),
+    line(1, 2, '752', 'Ingresos por arrendamientos', 0, 1000),
+    line(1, 3, '477', 'Hacienda Pública, IVA repercutido', 0, 210),
+    line(2, 1, '628', 'Suministros', 100, 0),
+    line(2, 2, '472', 'Hacienda Pública, IVA soportado', 21, 0),
+    line(2, 3, '400', 'Proveedores', 0, 121),
+    line(3, 1, '629', 'Otros servicios', 50, 0),
+    line(3, 2, '472', 'Hacienda Pública, IVA soportado', 10.5, 0),
+    line(3, 3, '410', 'Acreedores por prestaciones de servicios', 0, 60.5)
+];
+
+const mappings = [
+    { mapping_type: 'client', mapping_key: '12', account_code: '43000105' },
+    { mapping_type: 'expense_category', mapping_key: 'office_supplies', account_code: '62900001' }
+];
+
+const exportData = () => buildExportData([issuedRow, receivedRow, expenseRow], journalLines, mappings, 8);
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    db.query.mockReset();
+});
+
+describe('buildExportData', () => {
+    test('pasa las cuentas del PGC a subcuentas del asesor', () => {
+        const { entries } = exportData();
+
+        expect(entries[0].lines.map(item => item.account)).toEqual(['43000105', '75200000', '47700000']);
+        expect(entries[1].lines.map(item => item.account)).toEqual(['62800000', '47200000', '40000005']);
+        expect(entries[2].lines.map(item => item.account)).toEqual(['62900001', '47200000', '41000000']);
+        expect(entries[0]).toMatchObject({ document: 'FACT-0007', tax_base: 1000, vat_rate: 21, third_party_account: '43000105' });
+        expect(entries[1].lines[1].is_vat).toBe(true);
+        expect(subaccountCode('4751', null, 8)).toBe('47510000');
+    });
+
+    test('las subcuentas de terceros llevan su NIF y dirección', () => {
+        const { accounts } = exportData();
+
+        expect(accounts.find(account => account.code === '43000105')).toMatchObject({
+            name: 'Ana Ruiz', nif: '12345678Z', city: 'Madrid', postal_code: '28001'
+        });
+        expect(accounts.find(account => account.code === '40000005')).toMatchObject({ name: 'Eléctrica del Sur SA', nif: 'A11111111' });
+        expect(accounts.find(account => account.code === '75200000')).toMatchObject({ name: 'Ingresos por arrendamientos', nif: null });
+    });
+});
+
+describe('Ficheros', () => {
+    test('ContaPlus: SUENLACE.DAT de 297 posiciones y SUBCTA.DAT de 152', () => {
+        const files = generateContaplusFiles(exportData());
+        const records = files.journal.content.split('\r\n').filter(Boolean);
+
+        expect(files.journal.file_name).toBe('SUENLACE.DAT');
+        expect(records).toHaveLength(9);
+        expect(records.every(record => record.length === JOURNAL_RECORD_LENGTH)).toBe(true);
+
+        const vatLine = records[2];
+        expect(vatLine.slice(0, 6)).toBe('     7');
+        expect(vatLine.slice(6, 14)).toBe('20250301');
+        expect(vatLine.slice(14, 26).trim()).toBe('47700000');
+        expect(vatLine.slice(26, 38).trim()).toBe('43000105');
+        expect(vatLine.slice(95, 103).trim()).toBe('7');
+        expect(vatLine.slice(103, 119).trim()).toBe('1000.00');
+        expect(vatLine.slice(119, 124).trim()).toBe('21.00');
+        expect(vatLine.slice(237, 238)).toBe('2');
+        expect(vatLine.slice(238, 254).trim()).toBe('0.00');
+        expect(vatLine.slice(254, 270).trim()).toBe('210.00');
+        expect(records[0].slice(26, 38).trim()).toBe('');
+
+        const accounts = files.accounts.content.split('\r\n').filter(Boolean);
+        expect(files.accounts.file_name).toBe('SUBCTA.DAT');
+        expect(accounts.every(record => record.length === ACCOUNTS_RECORD_LENGTH)).toBe(true);
+        expect(accounts.find(record => record.startsWith('43000105')).slice(12, 52).trim()).toBe('ANA RUIZ');
+    });
+
+    test('A3: registros de 254 posiciones con subcuentas y apuntes I/M/U', () => {
+        const files = generateA3Files(exportData(), { date_from: '2025-03-01' });
+        const records = files.journal.content.split('\r\n').filter(Boolean);
+        const entryLines = records.filter(record => record[14] === '0');
+
+        expect(files.accounts).toBeNull();
+        expect(records.every(record => record.length === A3_RECORD_LENGTH)).toBe(true);
+        expect(records.filter(record => record[14] === 'C')).toHaveLength(8);
+        expect(entryLines).toHaveLength(9);
+        expect(entryLines[0].slice(0, 15)).toBe('50000120250301' + '0');
+        expect(entryLines.slice(0, 3).map(record => record[68])).toEqual(['I', 'M', 'U']);
+        expect(entryLines[0][57]).toBe('D');
+        expect(entryLines[1][57]).toBe('H');
+        expect(entryLines[1].slice(99, 113)).toBe('+0000001000.00');
+    });
+
+    test('CSV: BOM, punto y coma, coma decimal y comillas', () => {
+        const data = exportData();
+        data.entries[0].lines[0].concept = 'Alquiler; marzo';
+        const files = generateCsvFiles(data, { date_from: '2025-03-01', date_to: '2025-03-31' });
+        const rows = files.journal.content.split('\r\n');
+
+        expect(files.journal.file_name).toBe('diario_2025-03-01_2025-03-31.csv');
+        expect(rows[0].startsWith('\uFEFFejercicio;asiento;fecha')).toBe(true);
+        expect(rows[1]).toBe('2025;7;01/03/2025;43000105;Ana Ruiz;"Alquiler; marzo";FACT-0007;1210,00;0,00;;');
+        expect(rows[3]).toContain(';0,00;210,00;1000,00;21,00');
+        expect(files.accounts.content).toContain('43000105;Ana Ruiz;12345678Z;Calle Mayor 1;Madrid;Madrid;28001');
+    });
+});
+
+describe('AccountingExportService.createExport', () => {
+    const mockPending = (rows) => {
+        jest.spyOn(AccountingExportsRepository, 'getEntriesToExport').mockResolvedValue(rows);
+        jest.spyOn(AccountingExportsRepository, 'getMappings').mockResolvedValue(mappings);
+        jest.spyOn(JournalEntriesRepository, 'getLines').mockResolvedValue(journalLines);
+    };
+
+    test('sin asientos pendientes: 404 NOTHING_TO_EXPORT', async () => {
+        mockPending([]);
+        const create = jest.spyOn(AccountingExportsRepository, 'create');
+
+        await expect(AccountingExportService.createExport({ format: 'csv', date_from: '2025-03-01', date_to: '2025-03-31' }))
+            .rejects.toMatchObject({ statusCode: 404, errorCode: 'NOTHING_TO_EXPORT' });
+        expect(create).not.toHaveBeenCalled();
+    });
+
+    test('guarda el lote con los ficheros y sus asientos', async () => {
+        mockPending([issuedRow, receivedRow, expenseRow]);
+        const create = jest.spyOn(AccountingExportsRepository, 'create').mockResolvedValue([{ id: 4, created: true }]);
+        jest.spyOn(AccountingExportsRepository, 'findById').mockResolvedValue([{ id: 4, format: 'contaplus', date_from: '2025-03-01', date_to: '2025-03-31', total_amount: '1391.50' }]);
+        jest.spyOn(AccountingExportsRepository, 'getItems').mockResolvedValue([]);
+
+        const result = await AccountingExportService.createExport({ format: 'contaplus', date_from: '2025-03-01', date_to: '2025-03-31', created_by: 1 });
+
+        const [batch, items] = create.mock.calls[0];
+        expect(batch).toMatchObject({
+            format: 'contaplus', total_amount: 1391.5, journal_file_name: 'SUENLACE.DAT', accounts_file_name: 'SUBCTA.DAT', created_by: 1
+        });
+        expect(items).toEqual([
+            { journal_entry_id: 1, fiscal_year: 2025, entry_number: 7, source_type: 'invoice_issued', source_id: 7 },
+            { journal_entry_id: 2, fiscal_year: 2025, entry_number: 8, source_type: 'invoice_received', source_id: 77 },
+            { journal_entry_id: 3, fiscal_year: 2025, entry_number: 9, source_type: 'internal_expense', source_id: 3 }
+        ]);
+        expect(result[0]).toMatchObject({ id: 4, total_amount: 1391.5 });
+    });
+
+    test('otro lote se llevó algún asiento: 409', async () => {
+        mockPending([issuedRow]);
+        jest.spyOn(AccountingExportsRepository, 'create').mockResolvedValue([]);
+
+        await expect(AccountingExportService.createExport({ format: 'a3', date_from: '2025-03-01', date_to: '2025-03-31' }))
+            .rejects.toMatchObject({ statusCode: 409, errorCode: 'ACCOUNTING_EXPORT_OUTDATED' });
+    });
+
+    test('el repositorio deshace el lote si un asiento ya estaba exportado', async () => {
+        const connection = {
+            beginTransaction: jest.fn(),
+            commit: jest.fn(),
+            rollback: jest.fn(),
+            release: jest.fn(),
+            query: jest.fn(async (sql) => {
+                if (sql.includes('INSERT INTO accounting_exports')) return [{ insertId: 4 }];
+                throw Object.assign(new Error('Duplicate entry'), { code: 'ER_DUP_ENTRY' });
+            }),
+        };
+        db.getConnection.mockResolvedValue(connection);
+
+        const result = await AccountingExportsRepository.create({ format: 'csv' }, [{ journal_entry_id: 1 }]);
+
+        expect(result).toEqual([]);
+        expect(connection.rollback).toHaveBeenCalled();
+        expect(connection.commit).not.toHaveBeenCalled();
+    });
+});
+
+describe('AccountingExportService.createMapping', () => {
+    test('la subcuenta debe ser del grupo del cliente y no repetir mapeo', async () => {
+        jest.spyOn(ClientsRepository, 'findById').mockResolvedValue([{ id: 12 }]);
+        const findMapping = jest.spyOn(AccountingExportsRepository, 'findMapping').mockResolvedValue([]);
+
+        await expect(AccountingExportService.createMapping({ mapping_type: 'client', mapping_key: '12', account_code: '40000012' }))
+            .rejects.toMatchObject({ statusCode: 400 });
+
+        findMapping.mockResolvedValue([{ id: 1 }]);
+        await expect(AccountingExportService.createMapping({ mapping_type: 'client', mapping_key: '12', account_code: '43000012' }))
+            .rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    test('categoría de gasto desconocida: 400', async () => {
+        await expect(AccountingExportService.createMapping({ mapping_type: 'expense_category', mapping_key: 'viajes', account_code: '62900001' }))
+            .rejects.toMatchObject({ statusCode: 400 });
+    });
+});
+
+describe('Documentos con el asiento exportado', () => {
+    const exportedIn = [{ id: 7, format: 'contaplus', created_at: '2025-04-02 10:00:00' }];
+
+    beforeEach(() => {
+        jest.spyOn(OwnerSettlementService, 'assertNotSettled').mockResolvedValue();
+        jest.spyOn(FiscalPeriodService, 'assertOpen').mockResolvedValue();
+    });
+
+    test('no se modifica ni elimina una factura emitida exportada', async () => {
+        jest.spyOn(InvoicesIssuedRepository, 'findById').mockResolvedValue([{ id: 9, invoice_date: '2025-03-10' }]);
+        const findExports = jest.spyOn(AccountingExportsRepository, 'findExportsForSource').mockResolvedValue(exportedIn);
+        const update = jest.spyOn(InvoicesIssuedRepository, 'update');
+        const remove = jest.spyOn(InvoicesIssuedRepository, 'delete');
+
+        await expect(InvoicesIssuedService.updateInvoice(9, { invoice_date: '2026-01-05' }))
+            .rejects.toMatchObject({ statusCode: 409, errorCode: 'ACCOUNTING_ENTRY_EXPORTED' });
+        await expect(InvoicesIssuedService.deleteInvoice(9))
+            .rejects.toMatchObject({ statusCode: 409, errorCode: 'ACCOUNTING_ENTRY_EXPORTED' });
+
+        expect(findExports).toHaveBeenCalledWith('invoice_issued', 9);
+        expect(update).not.toHaveBeenCalled();
+        expect(remove).not.toHaveBeenCalled();
+    });
+
+    test('rechazar un gasto exportado borraría su asiento: 409', async () => {
+        jest.spyOn(InternalExpensesRepository, 'findById').mockResolvedValue([{ id: 3, status: 'pending', expense_date: '2025-03-20' }]);
+        jest.spyOn(AccountingExportsRepository, 'findExportsForSource').mockResolvedValue(exportedIn);
+        const reject = jest.spyOn(InternalExpensesRepository, 'reject');
+
+        await expect(InternalExpensesService.rejectExpense(3, 1))
+            .rejects.toMatchObject({ statusCode: 409, errorCode: 'ACCOUNTING_ENTRY_EXPORTED' });
+        await expect(InternalExpensesService.updateExpenseStatus(3, 'rejected', 1))
+            .rejects.toMatchObject({ statusCode: 409 });
+        expect(reject).not.toHaveBeenCalled();
+    });
+
+    test('al anular el lote el documento vuelve a poder modificarse', async () => {
+        jest.spyOn(AccountingExportsRepository, 'findExportsForSource').mockResolvedValue([]);
+
+        await expect(AccountingExportService.assertNotExported('invoice_received', 4)).resolves.toBeUndefined();
+    });
+});
+
+describe('/api/accounting-exports', () => {
+    test('valida formato, periodo y mapeo', async () => {
+        const batch = await request(app)
+            .post('/api/accounting-exports')
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ format: 'sage', date_from: '2025-03-01' });
+        expect(batch.status).toBe(400);
+
+        const mapping = await request(app)
+            .post('/api/accounting-exports/mappings')
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ mapping_type: 'client', mapping_key: 'abc', account_code: '43' });
+        expect(mapping.status).toBe(400);
+    });
+
+    test('fichero de subcuentas de un lote A3: 404', async () => {
+        jest.spyOn(AccountingExportsRepository, 'getFiles').mockResolvedValue([{
+            id: 4, format: 'a3', journal_file_name: 'SUENLACE.DAT', journal_content: 'x', accounts_file_name: null, accounts_content: null
+        }]);
+
+        const res = await request(app)
+            .get('/api/accounting-exports/4/file?type=accounts')
+            .set('Authorization', `Bearer ${adminToken}`);
+        expect(res.status).toBe(404);
+    });
+});
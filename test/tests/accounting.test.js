@@ -0,0 +1,473 @@
+/**
+ * Double-entry accounting tests.
+ *
+ * Regression guard: invoices, expenses, collections and payments lived only in
+ * their own tables and the accountant rebuilt the journal by hand. Every write
+ * now posts a balanced journal entry against the PGC 2007 chart of accounts
+ * (430 clients, 400 suppliers, 477/472 VAT, 4751 IRPF, 752 rental income,
+ * 62x expenses); the journal, the ledger and the trial balance are read from
+ * those entries. The bank charges of a returned direct debit go to 626 and the
+ * fee invoiced to the tenant for them to 759.
+ *
+ * Covered:
+ * - issuedInvoiceMovements / receivedInvoiceMovements / internalExpenseMovements: balanced, refunds on the opposite side
+ * - issuedInvoiceMovements with lines: VAT and IRPF are the sum of the line amounts, not base × blended header rate
+ * - buildEntryLines: grouping by account and zero amounts dropped
+ * - AccountingService.syncIssuedInvoice: invoice + manual collection, deleted with the invoice, return fee invoices to 759
+ * - AccountingService.syncSepaReturn: bank charges against the bank on the return date, no entry without charges
+ * - AccountingService.saveEntry: unbalanced entries rejected
+ * - AccountingService.syncInternalExpense: payment entry dated on the stored payment date
+ * - InternalExpensesService.markExpenseAsPaid: stores the payment date (today by default), rejects future dates
+ * - JournalEntriesRepository.save: keeps the number on repost, numbers new entries per fiscal year
+ * - AccountingService.syncPayments: client and supplier payments against the bank
+ * - AccountingService.syncAll: every document and SEPA return re-posted (backfill after migration 031), failures logged and reported
+ * - AccountingService.getLedger / getTrialBalance: running balance and totals
+ * - /api/accounting: validation, unknown account, admin resync
+ */
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+
+jest.unstable_mockModule('../../src/db/dbConnect.js', () => ({
+    default: {
+        query: jest.fn(),
+        getConnection: jest.fn().mockResolvedValue({ release: jest.fn() }),
+    },
+}));
+
+const { default: app } = await import('../../src/app.js');
+const { default: db } = await import('../../src/db/dbConnect.js');
+const { default: AccountingService } = await import('../../src/services/accountingServices.js');
+const { default: JournalEntriesRepository } = await import('../../src/repository/journalEntriesRepository.js');
+const { default: InvoicesIssuedRepository } = await import('../../src/repository/invoicesIssuedRepository.js');
+const { default: PaymentsRepository } = await import('../../src/repository/paymentsRepository.js');
+const { default: DepositsRepository } = await import('../../src/repository/depositsRepository.js');
+const { default: InvoiceLinesRepository } = await import('../../src/repository/invoiceLinesRepository.js');
+const { default: SepaReturnsRepository } = await import('../../src/repository/sepaReturnsRepository.js');
+const { default: InternalExpensesRepository } = await import('../../src/repository/internalExpensesRepository.js');
+const { default: InternalExpensesService } = await import('../../src/services/internalExpensesServices.js');
+const { default: logger } = await import('../../src/config/logger.js');
+const {
+    buildEntryLines,
+    entryTotals,
+    internalExpenseMovements,
+    issuedInvoiceMovements,
+    receivedInvoiceMovements
+} = await import('../../src/shared/helpers/accountingHelpers.js');
+
+const adminToken = jwt.sign(
+    { id: 1, username: 'testadmin', role: 'admin' },
+    'test-jwt-secret-only-not-for-production',
+    { expiresIn: '1h' }
+);
+
+const mockConnection = (handler) => {
+    const connection = {
+        beginTransaction: jest.fn(),
+        commit: jest.fn(),
+        rollback: jest.fn(),
+        release: jest.fn(),
+        query: jest.fn(async (sql, params) => handler(sql, params)),
+    };
+    db.getConnection.mockResolvedValue(connection);
+    return connection;
+};
+
+const linesByAccount = (lines) => Object.fromEntries(lines.map(line => [line.account_code, [line.debit, line.credit]]));
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    db.query.mockReset();
+});
+
+describe('Movimientos contables', () => {
+    test('factura emitida con IVA y retención: cuadra y va a 430/473/752/477', () => {
+        const lines = buildEntryLines(issuedInvoiceMovements({ tax_base: 1000, iva: 21, irpf: 19, total: 1020 }));
+
+        expect(linesByAccount(lines)).toEqual({
+            '430': [1020, 0],
+            '473': [190, 0],
+            '752': [0, 1000],
+            '477': [0, 210]
+        });
+        expect(entryTotals(lines).balanced).toBe(true);
+    });
+
+    test('abono emitido: mismos apuntes en el lado contrario', () => {
+        const lines = buildEntryLines(issuedInvoiceMovements({ tax_base: -1000, iva: 21, irpf: 19, total: -1020 }));
+
+        expect(linesByAccount(lines)).toEqual({
+            '430': [0, 1020],
+            '473': [0, 190],
+            '752': [1000, 0],
+            '477': [210, 0]
+        });
+    });
+
+    test('factura emitida con líneas a distintos tipos: IVA de las cuotas de línea', () => {
+        // Cabecera con el tipo efectivo (287,78 / 1777,77 = 16,19 %): base × tipo daría 287,82
+        const invoice = { tax_base: 1777.77, iva: 16.19, irpf: 0, total: 2065.55 };
+        const lines = [
+            { tax_base: 1000, iva: 21, iva_amount: 210, irpf_amount: 0 },
+            { tax_base: 777.77, iva: 10, iva_amount: 77.78, irpf_amount: 0 }
+        ];
+
+        const entryLines = buildEntryLines(issuedInvoiceMovements(invoice, lines));
+
+        expect(linesByAccount(entryLines)).toEqual({
+            '430': [2065.55, 0],
+            '752': [0, 1777.77],
+            '477': [0, 287.78]
+        });
+        expect(entryTotals(entryLines).balanced).toBe(true);
+    });
+
+    test('factura recibida y abono: gasto por categoría, 472, 4751 y 400', () => {
+        const invoice = { category: 'servicios_profesionales', iva_amount: 42, irpf_amount: 30, total_amount: 212 };
+
+        expect(linesByAccount(buildEntryLines(receivedInvoiceMovements(invoice)))).toEqual({
+            '623': [200, 0],
+            '472': [42, 0],
+            '4751': [0, 30],
+            '400': [0, 212]
+        });
+        expect(linesByAccount(buildEntryLines(receivedInvoiceMovements({ ...invoice, is_refund: 1 })))).toEqual({
+            '623': [0, 200],
+            '472': [0, 42],
+            '4751': [30, 0],
+            '400': [212, 0]
+        });
+    });
+
+    test('gasto interno no deducible: el IVA es más gasto', () => {
+        const expense = { category: 'representation', iva_amount: 21, total_amount: 121 };
+
+        expect(linesByAccount(buildEntryLines(internalExpenseMovements({ ...expense, is_deductible: 0 })))).toEqual({
+            '627': [121, 0],
+            '410': [0, 121]
+        });
+        expect(linesByAccount(buildEntryLines(internalExpenseMovements({ ...expense, is_deductible: 1 })))).toEqual({
+            '627': [100, 0],
+            '472': [21, 0],
+            '410': [0, 121]
+        });
+    });
+
+    test('buildEntryLines agrupa por cuenta y quita los importes a cero', () => {
+        const lines = buildEntryLines([
+            { account_code: '572', amount: 300.1 },
+            { account_code: '572', amount: 200.2 },
+            { account_code: '473', amount: 0 },
+            { account_code: '430', amount: -500.3 }
+        ]);
+
+        expect(lines).toEqual([
+            { line_number: 1, account_code: '572', debit: 500.3, credit: 0, concept: null },
+            { line_number: 2, account_code: '430', debit: 0, credit: 500.3, concept: null }
+        ]);
+    });
+});
+
+describe('AccountingService.syncIssuedInvoice', () => {
+    beforeEach(() => {
+        jest.spyOn(InvoiceLinesRepository, 'findByInvoice').mockResolvedValue([]);
+        jest.spyOn(SepaReturnsRepository, 'findByFeeInvoice').mockResolvedValue([]);
+    });
+
+    test('contabiliza la factura y el cobro marcado a mano', async () => {
+        jest.spyOn(InvoicesIssuedRepository, 'findById').mockResolvedValue([{
+            id: 7, invoice_number: 'FACT-0007', invoice_date: '2025-03-01', is_refund: 0,
+            tax_base: 1000, iva: 21, irpf: 0, total: 1210,
+            collection_status: 'collected', collection_method: 'transfer', collection_date: '2025-03-10'
+        }]);
+        jest.spyOn(DepositsRepository, 'getAppliedToInvoice').mockResolvedValue(0);
+        jest.spyOn(PaymentsRepository, 'getAllocatedToInvoice').mockResolvedValue(0);
+        const save = jest.spyOn(JournalEntriesRepository, 'save').mockResolvedValue([{ id: 1, created: true }]);
+
+        await AccountingService.syncIssuedInvoice(7);
+
+        expect(save).toHaveBeenCalledTimes(2);
+        const [invoiceEntry] = save.mock.calls[0];
+        expect(invoiceEntry).toMatchObject({ source_type: 'invoice_issued', source_id: 7, entry_date: '2025-03-01', total: 1210 });
+        const [collectionEntry] = save.mock.calls[1];
+        expect(collectionEntry).toMatchObject({ source_type: 'invoice_issued_collection', entry_date: '2025-03-10', total: 1210 });
+        expect(linesByAccount(collectionEntry.lines)).toEqual({ '572': [1210, 0], '430': [0, 1210] });
+    });
+
+    test('cobrada con cobros imputados: no duplica el cobro; sin factura borra sus asientos', async () => {
+        jest.spyOn(InvoicesIssuedRepository, 'findById')
+            .mockResolvedValueOnce([{
+                id: 7, invoice_number: 'FACT-0007', invoice_date: '2025-03-01', is_refund: 0,
+                tax_base: 1000, iva: 21, irpf: 0, total: 1210,
+                collection_status: 'collected', collection_method: 'transfer'
+            }])
+            .mockResolvedValueOnce([]);
+        jest.spyOn(DepositsRepository, 'getAppliedToInvoice').mockResolvedValue(0);
+        jest.spyOn(PaymentsRepository, 'getAllocatedToInvoice').mockResolvedValue(1210);
+        const save = jest.spyOn(JournalEntriesRepository, 'save').mockResolvedValue([{ id: 1, created: true }]);
+        const remove = jest.spyOn(JournalEntriesRepository, 'deleteBySource').mockResolvedValue([]);
+
+        await AccountingService.syncIssuedInvoice(7);
+        expect(save).toHaveBeenCalledTimes(1);
+        expect(remove).toHaveBeenCalledWith('invoice_issued_collection', 7);
+
+        remove.mockClear();
+        await AccountingService.syncIssuedInvoice(7);
+        expect(remove.mock.calls).toEqual([['invoice_issued', 7], ['invoice_issued_collection', 7]]);
+    });
+
+    test('la factura de gastos de una devolución va a ingresos por servicios diversos (759)', async () => {
+        jest.spyOn(InvoicesIssuedRepository, 'findById').mockResolvedValue([{
+            id: 88, invoice_number: 'FACT-0088', invoice_date: '2025-03-09', is_refund: 0,
+            tax_base: 3.5, iva: 0, irpf: 0, total: 3.5, collection_status: 'pending'
+        }]);
+        SepaReturnsRepository.findByFeeInvoice.mockResolvedValue([{ id: 5 }]);
+        jest.spyOn(DepositsRepository, 'getAppliedToInvoice').mockResolvedValue(0);
+        jest.spyOn(PaymentsRepository, 'getAllocatedToInvoice').mockResolvedValue(0);
+        jest.spyOn(JournalEntriesRepository, 'deleteBySource').mockResolvedValue();
+        const save = jest.spyOn(JournalEntriesRepository, 'save').mockResolvedValue([{ id: 1, created: true }]);
+
+        await AccountingService.syncIssuedInvoice(88);
+
+        expect(linesByAccount(save.mock.calls[0][0].lines)).toEqual({ '430': [3.5, 0], '759': [0, 3.5] });
+    });
+
+    test('saveEntry rechaza un asiento descuadrado', async () => {
+        const save = jest.spyOn(JournalEntriesRepository, 'save');
+
+        await expect(AccountingService.saveEntry('payment', 1, {
+            entry_date: '2025-03-01',
+            description: 'Cobro',
+            movements: [{ account_code: '572', amount: 100 }, { account_code: '430', amount: -99.99 }]
+        })).rejects.toMatchObject({ statusCode: 500, errorCode: 'ACCOUNTING_ENTRY_UNBALANCED' });
+        expect(save).not.toHaveBeenCalled();
+    });
+});
+
+describe('Pago de gastos internos', () => {
+    const expense = (overrides = {}) => ({
+        id: 12, expense_date: '2025-04-02', category: 'utilities', supplier_name: 'Iberdrola', receipt_number: 'R-1',
+        iva_amount: 21, total_amount: 121, is_deductible: 1, payment_method: 'transfer', status: 'paid',
+        payment_date: '2025-04-20', ...overrides
+    });
+
+    test('el asiento de pago lleva la fecha de pago guardada, no la de la sincronización', async () => {
+        jest.spyOn(InternalExpensesRepository, 'findById').mockResolvedValue([expense()]);
+        const previous = jest.spyOn(JournalEntriesRepository, 'findBySource').mockResolvedValue([{ entry_date: '2025-05-01' }]);
+        const save = jest.spyOn(JournalEntriesRepository, 'save').mockResolvedValue([{ id: 1, created: true }]);
+
+        await AccountingService.syncInternalExpense(12);
+
+        expect(previous).not.toHaveBeenCalled();
+        const [paymentEntry] = save.mock.calls[1];
+        expect(paymentEntry).toMatchObject({ source_type: 'internal_expense_payment', entry_date: '2025-04-20', total: 121 });
+        expect(linesByAccount(paymentEntry.lines)).toEqual({ '410': [121, 0], '572': [0, 121] });
+    });
+
+    test('sin fecha de pago conserva la del asiento ya contabilizado', async () => {
+        jest.spyOn(InternalExpensesRepository, 'findById').mockResolvedValue([expense({ payment_date: null })]);
+        jest.spyOn(JournalEntriesRepository, 'findBySource').mockResolvedValue([{ entry_date: '2025-05-01' }]);
+        const save = jest.spyOn(JournalEntriesRepository, 'save').mockResolvedValue([{ id: 1, created: true }]);
+
+        await AccountingService.syncInternalExpense(12);
+
+        expect(save.mock.calls[1][0]).toMatchObject({ entry_date: '2025-05-01' });
+    });
+
+    test('marcar como pagado guarda la fecha de pago, hoy por defecto, y no la admite futura', async () => {
+        jest.spyOn(InternalExpensesRepository, 'findById').mockResolvedValue([expense({ status: 'approved', payment_date: null })]);
+        const markAsPaid = jest.spyOn(InternalExpensesRepository, 'markAsPaid').mockResolvedValue([{ id: 12, paid: true }]);
+        jest.spyOn(AccountingService, 'syncInternalExpense').mockResolvedValue();
+
+        await InternalExpensesService.markExpenseAsPaid(12, '2025-04-20');
+        expect(markAsPaid).toHaveBeenCalledWith(12, '2025-04-20');
+
+        await InternalExpensesService.markExpenseAsPaid(12);
+        expect(markAsPaid).toHaveBeenLastCalledWith(12, expect.stringMatching(/^\d{4}-\d{2}-\d{2}$/));
+
+        markAsPaid.mockClear();
+        await expect(InternalExpensesService.markExpenseAsPaid(12, '2999-01-01')).rejects.toMatchObject({ statusCode: 400 });
+        await expect(InternalExpensesService.markExpenseAsPaid(12, '2025-03-01')).rejects.toMatchObject({ statusCode: 400 });
+        expect(markAsPaid).not.toHaveBeenCalled();
+    });
+});
+
+describe('AccountingService.syncSepaReturn', () => {
+    test('gastos bancarios de la devolución a la 626 contra bancos, en la fecha de la devolución', async () => {
+        const findById = jest.spyOn(SepaReturnsRepository, 'findById').mockResolvedValue([{
+            id: 5, invoice_number: 'FACT-0007', reason_code: 'AM04', return_date: '2025-03-08', bank_charges: '3.50'
+        }]);
+        const save = jest.spyOn(JournalEntriesRepository, 'save').mockResolvedValue([{ id: 1, created: true }]);
+        const remove = jest.spyOn(JournalEntriesRepository, 'deleteBySource').mockResolvedValue();
+
+        await AccountingService.syncSepaReturn(5);
+
+        const [entry] = save.mock.calls[0];
+        expect(entry).toMatchObject({ source_type: 'sepa_return', source_id: 5, entry_date: '2025-03-08', total: 3.5 });
+        expect(linesByAccount(entry.lines)).toEqual({ '626': [3.5, 0], '572': [0, 3.5] });
+
+        findById.mockResolvedValue([{ id: 6, invoice_number: 'FACT-0008', reason_code: 'MD06', return_date: '2025-03-08', bank_charges: '0.00' }]);
+        await AccountingService.syncSepaReturn(6);
+        expect(save).toHaveBeenCalledTimes(1);
+        expect(remove).toHaveBeenCalledWith('sepa_return', 6);
+    });
+});
+
+describe('JournalEntriesRepository.save', () => {
+    const entry = {
+        source_type: 'payment', source_id: 3, entry_date: '2025-05-02', description: 'Cobro', total: 100,
+        lines: [
+            { line_number: 1, account_code: '572', debit: 100, credit: 0, concept: 'Cobro' },
+            { line_number: 2, account_code: '430', debit: 0, credit: 100, concept: 'Cobro' }
+        ]
+    };
+
+    test('rehace el asiento conservando el número en el mismo ejercicio', async () => {
+        const connection = mockConnection((sql) => {
+            if (sql.includes('WHERE source_type = ?')) return [[{ id: 12, fiscal_year: 2025, entry_number: 4 }]];
+            return [{ affectedRows: 1 }];
+        });
+
+        const result = await JournalEntriesRepository.save(entry);
+
+        expect(result).toEqual([{ id: 12, fiscal_year: 2025, entry_number: 4, updated: true }]);
+        const sqls = connection.query.mock.calls.map(([sql]) => sql);
+        expect(sqls.some(sql => sql.includes('UPDATE journal_entries'))).toBe(true);
+        expect(sqls.some(sql => sql.includes('MAX(entry_number)'))).toBe(false);
+        expect(sqls.filter(sql => sql.includes('INSERT INTO journal_entry_lines'))).toHaveLength(2);
+        expect(connection.commit).toHaveBeenCalled();
+    });
+
+    test('numera a continuación del último del ejercicio si cambia de año', async () => {
+        const connection = mockConnection((sql) => {
+            if (sql.includes('WHERE source_type = ?')) return [[{ id: 12, fiscal_year: 2024, entry_number: 90 }]];
+            if (sql.includes('MAX(entry_number)')) return [[{ last_number: 41 }]];
+            if (sql.includes('INSERT INTO journal_entries')) return [{ insertId: 55 }];
+            return [{ affectedRows: 1 }];
+        });
+
+        const result = await JournalEntriesRepository.save(entry);
+
+        expect(result).toEqual([{ id: 55, fiscal_year: 2025, entry_number: 42, created: true }]);
+        const deleteCall = connection.query.mock.calls.find(([sql]) => sql.includes('DELETE FROM journal_entries WHERE id = ?'));
+        expect(deleteCall[1]).toEqual([12]);
+    });
+});
+
+describe('AccountingService.syncPayments', () => {
+    test('cobros al debe de bancos y pagos a proveedor al haber', async () => {
+        jest.spyOn(JournalEntriesRepository, 'deleteOrphanPaymentEntries').mockResolvedValue(0);
+        jest.spyOn(JournalEntriesRepository, 'getPaymentsToPost').mockResolvedValue([
+            { id: 5, payment_date: '2025-04-02', amount: '650.00', method: 'transfer', client_name: 'Ana', client_lastname: 'Ruiz' }
+        ]);
+        jest.spyOn(JournalEntriesRepository, 'getSupplierPaymentsToPost').mockResolvedValue([
+            { id: 9, payment_date: '2025-04-03', amount: '121.00', method: 'cash', invoice_number: 'R-77', supplier_company_name: 'Fontanería SL' }
+        ]);
+        const save = jest.spyOn(JournalEntriesRepository, 'save').mockResolvedValue([{ id: 1, created: true }]);
+
+        await AccountingService.syncPayments();
+
+        const [payment] = save.mock.calls[0];
+        expect(payment).toMatchObject({ source_type: 'payment', source_id: 5, description: 'Cobro Ana Ruiz' });
+        expect(linesByAccount(payment.lines)).toEqual({ '572': [650, 0], '430': [0, 650] });
+        const [supplierPayment] = save.mock.calls[1];
+        expect(supplierPayment).toMatchObject({ source_type: 'supplier_payment', description: 'Pago Fontanería SL factura R-77' });
+        expect(linesByAccount(supplierPayment.lines)).toEqual({ '570': [0, 121], '400': [121, 0] });
+    });
+});
+
+describe('AccountingService.syncAll', () => {
+    test('rehace los asientos de todos los documentos y sigue aunque uno falle', async () => {
+        jest.spyOn(JournalEntriesRepository, 'getDocumentIds').mockResolvedValue({ issued: [7, 8], received: [3], internal: [12], returns: [5] });
+        const error = new Error('Lock wait timeout exceeded');
+        const issued = jest.spyOn(AccountingService, 'syncIssuedInvoice')
+            .mockRejectedValueOnce(error)
+            .mockResolvedValueOnce();
+        const received = jest.spyOn(AccountingService, 'syncReceivedInvoice').mockResolvedValue();
+        const internal = jest.spyOn(AccountingService, 'syncInternalExpense').mockResolvedValue();
+        const returns = jest.spyOn(AccountingService, 'syncSepaReturn').mockResolvedValue();
+        const payments = jest.spyOn(AccountingService, 'syncPayments').mockResolvedValue();
+        const logError = jest.spyOn(logger, 'error').mockImplementation(() => {});
+
+        const result = await AccountingService.syncAll();
+
+        expect(issued.mock.calls).toEqual([[7], [8]]);
+        expect(received).toHaveBeenCalledWith(3);
+        expect(internal).toHaveBeenCalledWith(12);
+        expect(returns).toHaveBeenCalledWith(5);
+        expect(payments).toHaveBeenCalled();
+        expect(logError).toHaveBeenCalledWith(expect.objectContaining({ type: 'invoice_issued', id: 7, err: error }), expect.any(String));
+        expect(result).toEqual({
+            invoices_issued: 2, invoices_received: 1, internal_expenses: 1, sepa_returns: 1,
+            failed: [{ type: 'invoice_issued', id: 7, message: 'Error interno al contabilizar' }]
+        });
+    });
+});
+
+describe('Mayor y balance', () => {
+    test('getLedger arrastra el saldo anterior y acumula', async () => {
+        jest.spyOn(JournalEntriesRepository, 'findAccount').mockResolvedValue([{ code: '430', name: 'Clientes', account_type: 'asset' }]);
+        jest.spyOn(JournalEntriesRepository, 'getBalanceBefore').mockResolvedValue(200);
+        jest.spyOn(JournalEntriesRepository, 'getLedgerLines').mockResolvedValue([
+            { journal_entry_id: 1, entry_date: '2025-03-01', account_code: '430', debit: '1210.00', credit: '0.00' },
+            { journal_entry_id: 2, entry_date: '2025-03-10', account_code: '430', debit: '0.00', credit: '1000.00' }
+        ]);
+
+        const ledger = await AccountingService.getLedger('430', { date_from: '2025-03-01' });
+
+        expect(ledger.opening_balance).toBe(200);
+        expect(ledger.movements.map(item => item.balance)).toEqual([1410, 410]);
+        expect(ledger).toMatchObject({ total_debit: 1210, total_credit: 1000, closing_balance: 410 });
+    });
+
+    test('getTrialBalance: saldos deudores y acreedores y totales cuadrados', async () => {
+        jest.spyOn(JournalEntriesRepository, 'getTrialBalance').mockResolvedValue([
+            { account_code: '430', account_name: 'Clientes', account_type: 'asset', debit: '1210.00', credit: '1000.00' },
+            { account_code: '477', account_name: 'IVA repercutido', account_type: 'liability', debit: '0.00', credit: '210.00' },
+            { account_code: '572', account_name: 'Bancos', account_type: 'asset', debit: '1000.00', credit: '0.00' },
+            { account_code: '752', account_name: 'Ingresos por arrendamientos', account_type: 'income', debit: '0.00', credit: '1000.00' }
+        ]);
+
+        const balance = await AccountingService.getTrialBalance({});
+
+        expect(balance.accounts[0]).toMatchObject({ debit_balance: 210, credit_balance: 0 });
+        expect(balance.totals).toEqual({ debit: 2210, credit: 2210, debit_balance: 1210, credit_balance: 1210, balanced: true });
+    });
+});
+
+describe('/api/accounting', () => {
+    test('un administrador regenera los asientos', async () => {
+        const syncAll = jest.spyOn(AccountingService, 'syncAll')
+            .mockResolvedValue({ invoices_issued: 2, invoices_received: 1, internal_expenses: 0, failed: [] });
+
+        const res = await request(app)
+            .post('/api/accounting/resync')
+            .set('Authorization', `Bearer ${adminToken}`);
+
+        expect(res.status).toBe(200);
+        expect(res.body.data).toMatchObject({ invoices_issued: 2, failed: [] });
+        expect(syncAll).toHaveBeenCalled();
+    });
+
+    test('valida el código de cuenta y los filtros', async () => {
+        const account = await request(app)
+            .post('/api/accounting/accounts')
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ code: '43A', name: 'X', account_type: 'other' });
+        expect(account.status).toBe(400);
+
+        const journal = await request(app)
+            .get('/api/accounting/journal?source_type=unknown&date_from=2025-13-01')
+            .set('Authorization', `Bearer ${adminToken}`);
+        expect(journal.status).toBe(400);
+    });
+
+    test('mayor de una cuenta que no existe: 404', async () => {
+        jest.spyOn(JournalEntriesRepository, 'findAccount').mockResolvedValue([]);
+
+        const res = await request(app)
+            .get('/api/accounting/ledger/999')
+            .set('Authorization', `Bearer ${adminToken}`);
+        expect(res.status).toBe(404);
+    });
+});
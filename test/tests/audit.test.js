@@ -0,0 +1,382 @@
+/**
+ * Audit log tests.
+ *
+ * Regression guard: nobody could tell who changed an invoice total and when;
+ * the tables only kept created_by and an updated_at overwritten on every
+ * write. Every create, update and delete of invoices, internal expenses,
+ * clients, owners, estates, estate-owner links and users now stores the
+ * actor, IP and the changed fields with their before / after values.
+ *
+ * Covered:
+ * - diffRecords: only changed fields, dates, ignored control fields, create and delete
+ * - AuditService.record: unchanged update is not logged, delete does not re-read the record
+ * - audit middleware: update diff with user and IP, create id taken from the response,
+ *   204 delete, error responses not logged, log failure does not break the response
+ * - SEPA mandate and creditor bank data (IBAN, BIC, mandate) are part of the client / owner record
+ * - AuditService.track / recordCreated: invoice changes made by payments, deposits, remittances,
+ *   returns, bank reconciliation, supplier payments and billing runs, with the request user
+ * - /api/audit: filters, admin only, validation
+ * - /api/invoices-issued/:id/history
+ */
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+
+jest.unstable_mockModule('../../src/db/dbConnect.js', () => ({
+    default: {
+        query: jest.fn(),
+        getConnection: jest.fn().mockResolvedValue({ release: jest.fn() }),
+    },
+}));
+
+const { default: app } = await import('../../src/app.js');
+const { default: db } = await import('../../src/db/dbConnect.js');
+const { default: AuditService } = await import('../../src/services/auditServices.js');
+const { default: AuditLogRepository } = await import('../../src/repository/auditLogRepository.js');
+const { default: InvoicesIssuedService } = await import('../../src/services/invoicesIssuedServices.js');
+const { default: InvoicesIssuedRepository } = await import('../../src/repository/invoicesIssuedRepository.js');
+const { default: ClientsServices } = await import('../../src/services/clientsServices.js');
+const { default: ClientsRepository } = await import('../../src/repository/clientsRepository.js');
+const { default: OwnersRepository } = await import('../../src/repository/ownersRepository.js');
+const { default: SepaRemittanceService } = await import('../../src/services/sepaRemittanceServices.js');
+const { default: PaymentService } = await import('../../src/services/paymentServices.js');
+const { default: PaymentsRepository } = await import('../../src/repository/paymentsRepository.js');
+const { default: AccountingService } = await import('../../src/services/accountingServices.js');
+const { default: logger } = await import('../../src/config/logger.js');
+const { diffRecords } = await import('../../src/shared/helpers/auditHelpers.js');
+
+const adminToken = jwt.sign(
+    { id: 1, username: 'testadmin', role: 'admin' },
+    'test-jwt-secret-only-not-for-production',
+    { expiresIn: '1h' }
+);
+
+const employeeToken = jwt.sign(
+    { id: 2, username: 'tester', role: 'employee' },
+    'test-jwt-secret-only-not-for-production',
+    { expiresIn: '1h' }
+);
+
+const invoice = {
+    id: 7, invoice_number: 'FACT-0007', total: '121.00', collection_status: 'pending',
+    collection_date: null, invoice_date: new Date(2025, 2, 1), date_update: new Date(2025, 2, 1, 10, 0)
+};
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    db.query.mockReset();
+});
+
+describe('diffRecords', () => {
+    test('solo registra los campos que cambian', () => {
+        const changes = diffRecords(invoice, {
+            ...invoice, total: '242.00', collection_date: new Date(2025, 2, 15), date_update: new Date()
+        });
+
+        expect(changes).toEqual({
+            total: { before: '121.00', after: '242.00' },
+            collection_date: { before: null, after: '2025-03-15' }
+        });
+    });
+
+    test('en un alta y en una baja registra los campos con valor', () => {
+        expect(diffRecords(null, { id: 3, name: 'Ana', lastname: null })).toEqual({
+            id: { before: null, after: 3 },
+            name: { before: null, after: 'Ana' }
+        });
+        expect(diffRecords({ id: 3, name: 'Ana', password: 'hash' }, null)).toEqual({
+            id: { before: 3, after: null },
+            name: { before: 'Ana', after: null }
+        });
+    });
+});
+
+describe('AuditService.record', () => {
+    test('no registra una modificación sin cambios', async () => {
+        jest.spyOn(InvoicesIssuedRepository, 'findById').mockResolvedValue([invoice]);
+        const create = jest.spyOn(AuditLogRepository, 'create');
+
+        const result = await AuditService.record({ entity: 'invoice_issued', entity_id: 7, action: 'update', before: invoice });
+
+        expect(result).toEqual([]);
+        expect(create).not.toHaveBeenCalled();
+    });
+
+    test('una baja guarda el registro anterior sin volver a leerlo', async () => {
+        const findById = jest.spyOn(InvoicesIssuedRepository, 'findById');
+        const create = jest.spyOn(AuditLogRepository, 'create').mockResolvedValue([{ id: 1, created: true }]);
+
+        await AuditService.record({
+            entity: 'invoice_issued', entity_id: 7, action: 'delete', before: invoice,
+            user: { id: 1, username: 'testadmin' }, ip_address: '10.0.0.1'
+        });
+
+        expect(findById).not.toHaveBeenCalled();
+        expect(create).toHaveBeenCalledWith(expect.objectContaining({
+            entity: 'invoice_issued', entity_id: 7, action: 'delete', user_id: 1, username: 'testadmin',
+            ip_address: '10.0.0.1',
+            changes: expect.objectContaining({ total: { before: '121.00', after: null } })
+        }));
+    });
+});
+
+describe('Middleware audit', () => {
+    test('registra la modificación con el usuario, la IP y los campos cambiados', async () => {
+        jest.spyOn(InvoicesIssuedRepository, 'findById')
+            .mockResolvedValueOnce([invoice])
+            .mockResolvedValueOnce([{ ...invoice, collection_status: 'collected' }]);
+        jest.spyOn(InvoicesIssuedService, 'updateCollectionStatus').mockResolvedValue([{ id: 7, updated: true }]);
+        const create = jest.spyOn(AuditLogRepository, 'create').mockResolvedValue([{ id: 1, created: true }]);
+
+        const res = await request(app)
+            .put('/api/invoices-issued/7/collection')
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ collection_status: 'collected', collection_method: 'transfer' });
+
+        expect(res.status).toBe(200);
+        expect(create).toHaveBeenCalledWith({
+            entity: 'invoice_issued',
+            entity_id: 7,
+            action: 'update',
+            user_id: 1,
+            username: 'testadmin',
+            ip_address: expect.any(String),
+            changes: { collection_status: { before: 'pending', after: 'collected' } }
+        });
+    });
+
+    test('en un alta toma el id de la respuesta', async () => {
+        jest.spyOn(InvoicesIssuedService, 'createRefund').mockResolvedValue([{ id: 12, invoice_number: 'R-0001' }]);
+        const findById = jest.spyOn(InvoicesIssuedRepository, 'findById')
+            .mockResolvedValue([{ id: 12, invoice_number: 'R-0001', total: '-121.00' }]);
+        const create = jest.spyOn(AuditLogRepository, 'create').mockResolvedValue([{ id: 2, created: true }]);
+
+        const res = await request(app)
+            .post('/api/invoices-issued/refunds')
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ originalInvoiceId: 7 });
+
+        expect(res.status).toBe(201);
+        expect(findById).toHaveBeenCalledWith(12);
+        expect(create).toHaveBeenCalledWith(expect.objectContaining({
+            entity_id: 12, action: 'create',
+            changes: expect.objectContaining({ total: { before: null, after: '-121.00' } })
+        }));
+    });
+
+    test('registra las bajas que responden 204 sin cuerpo', async () => {
+        jest.spyOn(ClientsRepository, 'findById').mockResolvedValue([{ id: 5, name: 'Ana', identification: '12345678Z' }]);
+        jest.spyOn(ClientsRepository, 'findSepaMandate').mockResolvedValue([]);
+        jest.spyOn(ClientsServices, 'deleteClient').mockResolvedValue([{ deleted: true, id: 5 }]);
+        const create = jest.spyOn(AuditLogRepository, 'create').mockResolvedValue([{ id: 3, created: true }]);
+
+        const res = await request(app)
+            .delete('/api/clients/5')
+            .set('Authorization', `Bearer ${adminToken}`);
+
+        expect(res.status).toBe(204);
+        expect(res.text).toBe('');
+        expect(create).toHaveBeenCalledWith(expect.objectContaining({
+            entity: 'client', entity_id: 5, action: 'delete',
+            changes: expect.objectContaining({ name: { before: 'Ana', after: null } })
+        }));
+    });
+
+    test('no registra las respuestas de error', async () => {
+        jest.spyOn(ClientsRepository, 'findById').mockResolvedValue([]);
+        jest.spyOn(ClientsRepository, 'findSepaMandate').mockResolvedValue([]);
+        jest.spyOn(ClientsServices, 'deleteClient').mockResolvedValue([]);
+        const create = jest.spyOn(AuditLogRepository, 'create');
+
+        const res = await request(app)
+            .delete('/api/clients/5')
+            .set('Authorization', `Bearer ${adminToken}`);
+
+        expect(res.status).toBe(404);
+        expect(create).not.toHaveBeenCalled();
+    });
+
+    test('si falla el registro la respuesta sale igualmente', async () => {
+        jest.spyOn(ClientsRepository, 'findById').mockResolvedValue([{ id: 5, name: 'Ana' }]);
+        jest.spyOn(ClientsRepository, 'findSepaMandate').mockResolvedValue([]);
+        jest.spyOn(ClientsServices, 'deleteClient').mockResolvedValue([{ deleted: true, id: 5 }]);
+        jest.spyOn(AuditLogRepository, 'create').mockRejectedValue(new Error('ER_LOCK_WAIT_TIMEOUT'));
+
+        const res = await request(app)
+            .delete('/api/clients/5')
+            .set('Authorization', `Bearer ${adminToken}`);
+
+        expect(res.status).toBe(204);
+    });
+});
+
+describe('Datos bancarios SEPA', () => {
+    test('registra el cambio de IBAN del mandato de un cliente', async () => {
+        jest.spyOn(ClientsRepository, 'findById').mockResolvedValue([{ id: 5, name: 'Ana', identification: '12345678Z' }]);
+        jest.spyOn(ClientsRepository, 'findSepaMandate')
+            .mockResolvedValueOnce([{ id: 5, sepa_mandate_id: 'MAND-5', sepa_iban: 'ES7921000813610123456789', sepa_bic: null }])
+            .mockResolvedValueOnce([{ id: 5, sepa_mandate_id: 'MAND-5', sepa_iban: 'ES9121000418450200051332', sepa_bic: 'CAIXESBBXXX' }]);
+        jest.spyOn(SepaRemittanceService, 'saveClientMandate').mockResolvedValue([{ id: 5 }]);
+        const create = jest.spyOn(AuditLogRepository, 'create').mockResolvedValue([{ id: 4, created: true }]);
+
+        const res = await request(app)
+            .put('/api/clients/5/sepa-mandate')
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ sepa_mandate_id: 'MAND-5', sepa_mandate_date: '2025-01-10', sepa_iban: 'ES9121000418450200051332', sepa_bic: 'CAIXESBBXXX' });
+
+        expect(res.status).toBe(200);
+        expect(create).toHaveBeenCalledWith(expect.objectContaining({
+            entity: 'client', entity_id: 5, action: 'update', user_id: 1,
+            changes: {
+                sepa_iban: { before: 'ES7921000813610123456789', after: 'ES9121000418450200051332' },
+                sepa_bic: { before: null, after: 'CAIXESBBXXX' }
+            }
+        }));
+    });
+
+    test('registra el cambio de cuenta de acreedor de un propietario', async () => {
+        jest.spyOn(OwnersRepository, 'findById').mockResolvedValue([{ id: 3, name: 'Luis' }]);
+        jest.spyOn(OwnersRepository, 'findSepaCreditor')
+            .mockResolvedValueOnce([{ id: 3, sepa_iban: null, sepa_creditor_id: null }])
+            .mockResolvedValueOnce([{ id: 3, sepa_iban: 'ES9121000418450200051332', sepa_creditor_id: 'ES23ZZZ47690558N' }]);
+        jest.spyOn(SepaRemittanceService, 'saveOwnerCreditor').mockResolvedValue([{ id: 3 }]);
+        const create = jest.spyOn(AuditLogRepository, 'create').mockResolvedValue([{ id: 5, created: true }]);
+
+        const res = await request(app)
+            .put('/api/owners/3/sepa-creditor')
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ sepa_iban: 'ES9121000418450200051332', sepa_creditor_id: 'ES23ZZZ47690558N' });
+
+        expect(res.status).toBe(200);
+        expect(create).toHaveBeenCalledWith(expect.objectContaining({
+            entity: 'owner', entity_id: 3,
+            changes: {
+                sepa_iban: { before: null, after: 'ES9121000418450200051332' },
+                sepa_creditor_id: { before: null, after: 'ES23ZZZ47690558N' }
+            }
+        }));
+    });
+});
+
+describe('Cambios de facturas hechos por procesos', () => {
+    test('track guarda la diferencia de cada factura con el usuario de la petición', async () => {
+        jest.spyOn(InvoicesIssuedRepository, 'findById')
+            .mockResolvedValueOnce([invoice])
+            .mockResolvedValueOnce([{ ...invoice, collection_status: 'remitted', collection_reference: 'SDD-1' }]);
+        const create = jest.spyOn(AuditLogRepository, 'create').mockResolvedValue([{ id: 6, created: true }]);
+        const write = jest.fn().mockResolvedValue([{ id: 3, created: true }]);
+
+        const result = await AuditService.track({ invoice_issued: [7, 7] }, { user: { id: 2, username: 'tester' }, ip_address: '10.0.0.1' }, write);
+
+        expect(result).toEqual([{ id: 3, created: true }]);
+        expect(create).toHaveBeenCalledTimes(1);
+        expect(create).toHaveBeenCalledWith({
+            entity: 'invoice_issued', entity_id: 7, action: 'update',
+            user_id: 2, username: 'tester', ip_address: '10.0.0.1',
+            changes: {
+                collection_status: { before: 'pending', after: 'remitted' },
+                collection_reference: { before: null, after: 'SDD-1' }
+            }
+        });
+    });
+
+    test('si la escritura falla no registra nada; si falla el registro, la escritura se mantiene', async () => {
+        jest.spyOn(InvoicesIssuedRepository, 'findById').mockResolvedValue([invoice]);
+        const create = jest.spyOn(AuditLogRepository, 'create');
+
+        await expect(AuditService.track({ invoice_issued: [7] }, null, () => Promise.reject(new Error('ER_LOCK_DEADLOCK'))))
+            .rejects.toThrow('ER_LOCK_DEADLOCK');
+        expect(create).not.toHaveBeenCalled();
+
+        jest.spyOn(AuditService, 'record').mockRejectedValue(new Error('ER_LOCK_WAIT_TIMEOUT'));
+        const logError = jest.spyOn(logger, 'error').mockImplementation(() => {});
+        await expect(AuditService.track({ invoice_issued: [7] }, null, async () => [{ id: 1 }])).resolves.toEqual([{ id: 1 }]);
+        expect(logError).toHaveBeenCalled();
+    });
+
+    test('un cobro registrado por la API deja el cambio de estado de la factura a nombre del usuario', async () => {
+        jest.spyOn(ClientsRepository, 'findById').mockResolvedValue([{ id: 5, name: 'Ana' }]);
+        jest.spyOn(PaymentService, 'resolveAllocations').mockResolvedValue([{ invoice_issued_id: 7, amount: 121 }]);
+        jest.spyOn(InvoicesIssuedRepository, 'findById')
+            .mockResolvedValueOnce([invoice])
+            .mockResolvedValueOnce([{ ...invoice, collection_status: 'collected', collection_date: new Date(2025, 2, 20) }]);
+        jest.spyOn(PaymentsRepository, 'create').mockResolvedValue([{ id: 3, created: true }]);
+        jest.spyOn(PaymentService, 'getPaymentById').mockResolvedValue([{ id: 3 }]);
+        jest.spyOn(AccountingService, 'syncPayments').mockResolvedValue();
+        const create = jest.spyOn(AuditLogRepository, 'create').mockResolvedValue([{ id: 7, created: true }]);
+
+        const res = await request(app)
+            .post('/api/payments')
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ clients_id: 5, amount: 121, payment_date: '2025-03-20' });
+
+        expect(res.status).toBe(201);
+        expect(create).toHaveBeenCalledWith(expect.objectContaining({
+            entity: 'invoice_issued', entity_id: 7, action: 'update', user_id: 1, username: 'testadmin',
+            changes: {
+                collection_status: { before: 'pending', after: 'collected' },
+                collection_date: { before: null, after: '2025-03-20' }
+            }
+        }));
+    });
+
+    test('recordCreated deja el alta de las facturas de la facturación sin usuario si la lanza el programador', async () => {
+        jest.spyOn(InvoicesIssuedRepository, 'findById').mockResolvedValue([{ id: 12, invoice_number: 'FACT-0012', total: '121.00' }]);
+        const create = jest.spyOn(AuditLogRepository, 'create').mockResolvedValue([{ id: 8, created: true }]);
+
+        await AuditService.recordCreated('invoice_issued', [12], null);
+
+        expect(create).toHaveBeenCalledWith(expect.objectContaining({
+            entity: 'invoice_issued', entity_id: 12, action: 'create', user_id: null, username: null
+        }));
+    });
+});
+
+describe('/api/audit', () => {
+    test('filtra por entidad, usuario y fechas', async () => {
+        const getAll = jest.spyOn(AuditLogRepository, 'getAll').mockResolvedValue([{
+            id: 1, entity: 'invoice_issued', entity_id: 7, action: 'update', user_id: 1, username: 'testadmin',
+            ip_address: '10.0.0.1', changes: '{"total":{"before":"121.00","after":"242.00"}}', created_at: '2025-03-02 10:00:00'
+        }]);
+
+        const res = await request(app)
+            .get('/api/audit?entity=invoice_issued&user_id=1&date_from=2025-03-01&date_to=2025-03-31')
+            .set('Authorization', `Bearer ${adminToken}`);
+
+        expect(res.status).toBe(200);
+        expect(getAll).toHaveBeenCalledWith(expect.objectContaining({
+            entity: 'invoice_issued', user_id: 1, date_from: '2025-03-01', date_to: '2025-03-31', limit: 100, offset: 0
+        }));
+        expect(res.body.data[0]).toMatchObject({
+            entity_label: 'Factura emitida',
+            changes: { total: { before: '121.00', after: '242.00' } }
+        });
+    });
+
+    test('solo lo consulta un administrador', async () => {
+        const res = await request(app)
+            .get('/api/audit')
+            .set('Authorization', `Bearer ${employeeToken}`);
+
+        expect(res.status).toBe(403);
+    });
+
+    test('valida la entidad', async () => {
+        const res = await request(app)
+            .get('/api/audit?entity=payments')
+            .set('Authorization', `Bearer ${adminToken}`);
+
+        expect(res.status).toBe(400);
+    });
+
+    test('historial de una factura emitida', async () => {
+        const getByRecord = jest.spyOn(AuditLogRepository, 'getByRecord').mockResolvedValue([]);
+
+        const res = await request(app)
+            .get('/api/invoices-issued/7/history')
+            .set('Authorization', `Bearer ${adminToken}`);
+
+        expect(res.status).toBe(200);
+        expect(getByRecord).toHaveBeenCalledWith('invoice_issued', 7);
+    });
+});
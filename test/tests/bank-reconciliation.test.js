@@ -0,0 +1,327 @@
+/**
+ * Bank reconciliation tests.
+ *
+ * Regression guard: bank movements were reconciled against invoices by eye.
+ * Norma 43 and CAMT.053 statements are now imported into bank_transactions,
+ * each movement gets invoice proposals (amount, due date window, invoice
+ * number and NIF in the concept) and accepting one records the collection or
+ * supplier payment with the statement line as its reference.
+ *
+ * Covered:
+ * - parseNorma43: account IBAN from the CCC, signed amounts, complementary concepts, record 33 totals
+ * - parseCamt053: booked entries only, counterparty and reference
+ * - proposeMatches: ranking, minimum evidence and amount capped to the invoice outstanding
+ * - BankTransactionService.importStatement: duplicate files rejected, matching after import
+ * - BankTransactionsRepository.acceptMatches: issued and received invoices, rollback when outdated
+ * - BankTransactionService.splitTransaction / ignoreTransaction: guards
+ * - /api/bank-transactions: validation
+ */
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+
+jest.unstable_mockModule('../../src/db/dbConnect.js', () => ({
+    default: {
+        query: jest.fn(),
+        getConnection: jest.fn().mockResolvedValue({ release: jest.fn() }),
+    },
+}));
+
+const { default: app } = await import('../../src/app.js');
+const { default: db } = await import('../../src/db/dbConnect.js');
+const { default: BankTransactionService } = await import('../../src/services/bankTransactionServices.js');
+const { default: BankTransactionsRepository } = await import('../../src/repository/bankTransactionsRepository.js');
+const { parseNorma43 } = await import('../../src/shared/utils/BankStatements/norma43Parser.js');
+const { parseCamt053 } = await import('../../src/shared/utils/BankStatements/camt053Parser.js');
+const { proposeMatches } = await import('../../src/shared/helpers/bankReconciliationHelpers.js');
+
+const adminToken = jwt.sign(
+    { id: 1, username: 'testadmin', role: 'admin' },
+    'test-jwt-secret-only-not-for-production',
+    { expiresIn: '1h' }
+);
+
+const cents = (value) => String(Math.round(value * 100)).padStart(14, '0');
+const record = (text) => text.padEnd(80, ' ');
+
+// Cuenta 2100 0418 0200051332 → ES9121000418450200051332
+const ACCOUNT = '21000418' + '0200051332';
+const movement = ({ date, sign, amount, document, reference }) =>
+    record(`2200000418${date}${date}02000${sign}${cents(amount)}${document.padEnd(10)}${''.padEnd(12)}${reference}`);
+
+const norma43 = ({ creditTotal = 1210 } = {}) => [
+    record(`11${ACCOUNT}2503012503312${cents(1000)}978GESTION ALQUILERES SL`),
+    movement({ date: '250305', sign: '2', amount: 1210, document: 'B12345678', reference: 'FRA-2025-0007' }),
+    record('2301TRANSFERENCIA DE INMOBILIARIA ROCA SL'),
+    movement({ date: '250310', sign: '1', amount: 95.5, document: '0000004471', reference: 'LUZ MARZO' }),
+    record(`33${ACCOUNT}00001${cents(95.5)}00001${cents(creditTotal)}2${cents(2114.5)}978`),
+    record('88999999999999999999000005'),
+].join('\r\n');
+
+const camt053 = `<?xml version="1.0" encoding="UTF-8"?>
+<Document xmlns="urn:iso:std:iso:20022:tech:xsd:camt.053.001.02">
+  <BkToCstmrStmt>
+    <Stmt>
+      <Acct><Id><IBAN>ES79 2100 0813 6101 2345 6789</IBAN></Id></Acct>
+      <Bal><Tp><CdOrPrtry><Cd>OPBD</Cd></CdOrPrtry></Tp><Amt Ccy="EUR">500.00</Amt><CdtDbtInd>CRDT</CdtDbtInd></Bal>
+      <Bal><Tp><CdOrPrtry><Cd>CLBD</Cd></CdOrPrtry></Tp><Amt Ccy="EUR">1150.00</Amt><CdtDbtInd>CRDT</CdtDbtInd></Bal>
+      <Ntry>
+        <Amt Ccy="EUR">650.00</Amt><CdtDbtInd>CRDT</CdtDbtInd><Sts>BOOK</Sts>
+        <BookgDt><Dt>2025-04-02</Dt></BookgDt><ValDt><Dt>2025-04-02</Dt></ValDt>
+        <NtryDtls><TxDtls>
+          <Refs><EndToEndId>ALQ-ABRIL</EndToEndId></Refs>
+          <RltdPties><Dbtr><Nm>Ana P&amp;rez</Nm></Dbtr><Cdtr><Nm>Gestion Alquileres SL</Nm></Cdtr></RltdPties>
+          <RmtInf><Ustrd>Factura FRA-2025-0012</Ustrd></RmtInf>
+        </TxDtls></NtryDtls>
+      </Ntry>
+      <Ntry>
+        <Amt Ccy="EUR">40.00</Amt><CdtDbtInd>DBIT</CdtDbtInd><Sts>PDNG</Sts>
+        <BookgDt><Dt>2025-04-03</Dt></BookgDt>
+      </Ntry>
+    </Stmt>
+  </BkToCstmrStmt>
+</Document>`;
+
+const mockConnection = (handler) => {
+    const connection = {
+        beginTransaction: jest.fn(),
+        commit: jest.fn(),
+        rollback: jest.fn(),
+        release: jest.fn(),
+        query: jest.fn(async (sql) => handler(sql) ?? [{ affectedRows: 1 }]),
+    };
+    db.getConnection.mockResolvedValueOnce(connection);
+    return connection;
+};
+
+const transactionRow = (overrides = {}) => ({
+    id: 7, statement_id: 2, line_number: 2, line_reference: 'EXT-2-2', account_iban: 'ES9121000418450200051332',
+    booking_date: '2025-03-05', value_date: '2025-03-05', amount: '1210.00', concept: 'FRA-2025-0007',
+    counterparty_name: null, reference: 'B12345678', status: 'unmatched', matched_amount: '0.00',
+    ...overrides,
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('statement parsers', () => {
+    test('parseNorma43 reads the account, signed movements and their concepts', () => {
+        const [account] = parseNorma43(norma43());
+
+        expect(account).toMatchObject({
+            account_iban: 'ES9121000418450200051332', currency: 'EUR',
+            date_from: '2025-03-01', date_to: '2025-03-31', opening_balance: 1000, closing_balance: 2114.5,
+        });
+        expect(account.transactions).toEqual([
+            expect.objectContaining({
+                line_number: 2, booking_date: '2025-03-05', amount: 1210, reference: 'B12345678',
+                concept: 'FRA-2025-0007 TRANSFERENCIA DE INMOBILIARIA ROCA SL',
+            }),
+            expect.objectContaining({ line_number: 4, amount: -95.5, reference: '0000004471', concept: 'LUZ MARZO' }),
+        ]);
+    });
+
+    test('parseNorma43 rejects a file whose record 33 totals do not match', () => {
+        expect(() => parseNorma43(norma43({ creditTotal: 1200 })))
+            .toThrow(expect.objectContaining({ statusCode: 400, errorCode: 'INVALID_STATEMENT_FILE' }));
+    });
+
+    test('parseCamt053 keeps booked entries with counterparty and reference', () => {
+        const [account] = parseCamt053(camt053);
+
+        expect(account).toMatchObject({
+            account_iban: 'ES7921000813610123456789', opening_balance: 500, closing_balance: 1150,
+            date_from: '2025-04-02', date_to: '2025-04-02',
+        });
+        expect(account.transactions).toEqual([{
+            line_number: 1, booking_date: '2025-04-02', value_date: '2025-04-02', amount: 650,
+            concept: 'Factura FRA-2025-0012', counterparty_name: 'Ana P&rez', reference: 'ALQ-ABRIL',
+        }]);
+    });
+});
+
+describe('proposeMatches', () => {
+    const invoice = (overrides = {}) => ({
+        id: 1, invoice_number: 'FRA-2025-0007', invoice_date: '2025-03-01', due_date: '2025-03-01',
+        total: 1210, outstanding_amount: 1210, nif: 'B12345678', ...overrides,
+    });
+
+    test('ranks by evidence, needs an amount or invoice number and caps the amount', () => {
+        const transaction = { amount: 1210, booking_date: '2025-03-05', concept: 'REC FRA-2025-0007 FRA-2025-0008 B12345678', matched_amount: 0 };
+
+        const matches = proposeMatches(transaction, [
+            invoice({ id: 2, invoice_number: 'FRA-2025-0099', nif: 'X1234567L' }),
+            invoice(),
+            invoice({ id: 3, invoice_number: 'FRA-2025-0050', total: 900, outstanding_amount: 900 }),
+            invoice({ id: 4, invoice_number: 'FRA-2025-0008', total: 1500, outstanding_amount: 500, nif: 'X1234567L' }),
+        ]);
+
+        expect(matches.map(match => [match.invoice.id, match.score, match.reasons, match.amount])).toEqual([
+            [1, 120, ['amount', 'date', 'invoice_number', 'nif'], 1210],
+            [2, 60, ['amount', 'date'], 1210],
+            [4, 60, ['date', 'invoice_number'], 500],
+        ]);
+    });
+});
+
+describe('BankTransactionService.importStatement', () => {
+    const file = { buffer: Buffer.from(norma43(), 'latin1'), originalname: 'marzo.n43' };
+
+    test('rejects a statement file that was already imported', async () => {
+        jest.spyOn(BankTransactionsRepository, 'findStatementByHash').mockResolvedValue([{ id: 2, created_at: '2025-04-01' }]);
+        const create = jest.spyOn(BankTransactionsRepository, 'createStatement');
+
+        await expect(BankTransactionService.importStatement(file, 1))
+            .rejects.toMatchObject({ statusCode: 409, errorCode: 'STATEMENT_ALREADY_IMPORTED' });
+        expect(create).not.toHaveBeenCalled();
+    });
+
+    test('stores the statement and proposes the pending invoices', async () => {
+        jest.spyOn(BankTransactionsRepository, 'findStatementByHash').mockResolvedValue([]);
+        const create = jest.spyOn(BankTransactionsRepository, 'createStatement').mockResolvedValue([{ id: 2, created: true }]);
+        jest.spyOn(BankTransactionsRepository, 'getPendingTransactions').mockResolvedValue([
+            transactionRow(),
+            transactionRow({ id: 8, line_number: 4, amount: '-95.50', concept: 'LUZ MARZO', reference: '0000004471' }),
+        ]);
+        jest.spyOn(BankTransactionsRepository, 'getIssuedCandidates').mockResolvedValue([{
+            id: 70, invoice_number: 'FRA-2025-0007', invoice_date: '2025-03-01', due_date: '2025-03-01',
+            total: '1210.00', outstanding_amount: '1210.00', nif: 'B12345678',
+        }]);
+        jest.spyOn(BankTransactionsRepository, 'getReceivedCandidates').mockResolvedValue([]);
+        const replace = jest.spyOn(BankTransactionsRepository, 'replaceProposals').mockResolvedValue([{ id: 7, updated: true }]);
+
+        const result = await BankTransactionService.importStatement(file, 1);
+
+        expect(result).toEqual({ format: 'n43', statement_ids: [2], transactions: 2, proposals: 1 });
+        expect(create.mock.calls[0][0]).toMatchObject({
+            format: 'n43', file_name: 'marzo.n43', account_iban: 'ES9121000418450200051332', imported_by: 1,
+        });
+        expect(create.mock.calls[0][0].file_hash).toMatch(/^[0-9a-f]{64}$/);
+        expect(replace).toHaveBeenCalledWith(7, [{
+            invoice_type: 'issued', invoice_id: 70, amount: 1210, score: 120, reasons: ['amount', 'date', 'invoice_number', 'nif'],
+        }]);
+        expect(replace).toHaveBeenCalledWith(8, []);
+    });
+});
+
+describe('BankTransactionsRepository.acceptMatches', () => {
+    test('records the collection with the statement line reference and closes the movement', async () => {
+        const connection = mockConnection((sql) => {
+            if (sql.includes('FROM bank_transactions bt')) return [[transactionRow()]];
+            if (sql.includes('FROM invoices_issued ii') && sql.includes('outstanding_amount')) {
+                return [[{ id: 70, clients_id: 3, collection_status: 'remitted', outstanding_amount: '1210.00' }]];
+            }
+            if (sql.includes('INSERT INTO payments')) return [{ insertId: 55 }];
+            if (sql.includes('SELECT ii.id, ii.invoice_number')) {
+                return [[{ id: 70, total: '1210.00', paid_amount: '1210.00', deposit_applied: '0.00', collection_status: 'remitted' }]];
+            }
+            if (sql.includes('JOIN payments p')) return [[{ payment_date: '2025-03-05', method: 'direct_debit', reference: 'EXT-2-2' }]];
+            return null;
+        });
+
+        const result = await BankTransactionsRepository.acceptMatches(7, [
+            { match_id: 12, invoice_type: 'issued', invoice_id: 70, amount: 1210 },
+        ], 1);
+
+        expect(result).toEqual([{ id: 7, updated: true, status: 'matched', matched_amount: 1210 }]);
+        const calls = connection.query.mock.calls;
+        const payment = calls.find(([sql]) => sql.includes('INSERT INTO payments'));
+        expect(payment[1]).toEqual([3, '2025-03-05', 1210, 'direct_debit', 'EXT-2-2', 'Conciliación bancaria', 1]);
+        expect(calls.some(([sql, params]) => sql.includes('INSERT INTO payment_allocations') && params[0] === 55)).toBe(true);
+        expect(calls.find(([sql]) => sql.includes('UPDATE invoices_issued'))[1]).toEqual(['collected', 'direct_debit', '2025-03-05', 'EXT-2-2', 70]);
+        expect(calls.find(([sql]) => sql.includes("SET status         = 'accepted'"))[1]).toEqual([1210, 55, 1, 12, 7]);
+        expect(calls.find(([sql]) => sql.includes('SET matched_amount'))[1]).toEqual([1210, 'matched', 7]);
+        expect(calls.some(([sql]) => sql.includes("SET status = 'rejected'"))).toBe(true);
+        expect(connection.commit).toHaveBeenCalled();
+    });
+
+    test('records a supplier payment from the statement account for a debit', async () => {
+        const connection = mockConnection((sql) => {
+            if (sql.includes('FROM bank_transactions bt')) {
+                return [[transactionRow({ id: 8, line_reference: 'EXT-2-4', amount: '-95.50' })]];
+            }
+            if (sql.includes('FROM invoices_received ir') && sql.includes('outstanding_amount')) {
+                return [[{ id: 90, collection_status: 'pending', outstanding_amount: '95.50' }]];
+            }
+            if (sql.includes('INSERT INTO supplier_payments')) return [{ insertId: 31 }];
+            if (sql.includes('SELECT ir.total_amount')) return [[]];
+            return null;
+        });
+
+        const result = await BankTransactionsRepository.acceptMatches(8, [
+            { invoice_type: 'received', invoice_id: 90, amount: 95.5 },
+        ], 1);
+
+        expect(result[0]).toMatchObject({ status: 'matched', matched_amount: 95.5 });
+        const payment = connection.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO supplier_payments'));
+        expect(payment[1]).toEqual([90, '2025-03-05', 95.5, 'ES9121000418450200051332', 'EXT-2-4', 'Conciliación bancaria', 1]);
+        const match = connection.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO bank_transaction_matches'));
+        expect(match[1]).toEqual([8, 'received', null, 90, 95.5, 0, 'manual', 31, 1]);
+    });
+
+    test('rolls back when the invoice no longer has that amount outstanding', async () => {
+        const connection = mockConnection((sql) => {
+            if (sql.includes('FROM bank_transactions bt')) return [[transactionRow()]];
+            if (sql.includes('FROM invoices_issued ii')) {
+                return [[{ id: 70, clients_id: 3, collection_status: 'partially_collected', outstanding_amount: '200.00' }]];
+            }
+            return null;
+        });
+
+        const result = await BankTransactionsRepository.acceptMatches(7, [
+            { invoice_type: 'issued', invoice_id: 70, amount: 1210 },
+        ], 1);
+
+        expect(result).toEqual([]);
+        expect(connection.rollback).toHaveBeenCalled();
+        expect(connection.commit).not.toHaveBeenCalled();
+        expect(connection.query.mock.calls.some(([sql]) => sql.includes('INSERT INTO payments'))).toBe(false);
+    });
+});
+
+describe('BankTransactionService guards', () => {
+    test('splitTransaction lists every problem before saving anything', async () => {
+        jest.spyOn(BankTransactionsRepository, 'findById').mockResolvedValue([transactionRow({ status: 'partially_matched', matched_amount: '1000.00' })]);
+        jest.spyOn(BankTransactionsRepository, 'getMatches').mockResolvedValue([]);
+        const accept = jest.spyOn(BankTransactionsRepository, 'acceptMatches');
+
+        const error = await BankTransactionService.splitTransaction(7, [
+            { invoice_type: 'issued', invoice_id: 70, amount: 150 },
+            { invoice_type: 'received', invoice_id: 90, amount: 100 },
+        ]).catch(err => err);
+
+        expect(error).toMatchObject({ statusCode: 400, errorCode: 'BANK_SPLIT_INVALID' });
+        expect(error.message).toContain('un abono solo se concilia con facturas emitidas');
+        expect(error.message).toContain('El reparto (250) supera lo pendiente de conciliar del movimiento (210)');
+        expect(accept).not.toHaveBeenCalled();
+    });
+
+    test('ignoreTransaction refuses a movement with something already reconciled', async () => {
+        jest.spyOn(BankTransactionsRepository, 'findById').mockResolvedValue([transactionRow({ status: 'partially_matched', matched_amount: '1000.00' })]);
+        jest.spyOn(BankTransactionsRepository, 'getMatches').mockResolvedValue([]);
+        const ignore = jest.spyOn(BankTransactionsRepository, 'ignore');
+
+        await expect(BankTransactionService.ignoreTransaction(7)).rejects.toMatchObject({ statusCode: 409 });
+        expect(ignore).not.toHaveBeenCalled();
+    });
+});
+
+describe('/api/bank-transactions', () => {
+    test('rejects a split without valid allocations', async () => {
+        const res = await request(app)
+            .post('/api/bank-transactions/7/split')
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ allocations: [{ invoice_type: 'other', invoice_id: 70, amount: 0 }] });
+
+        expect(res.status).toBe(400);
+    });
+
+    test('rejects an import without a statement file', async () => {
+        const res = await request(app)
+            .post('/api/bank-transactions/import')
+            .set('Authorization', `Bearer ${adminToken}`);
+
+        expect(res.status).toBe(400);
+    });
+});
@@ -0,0 +1,151 @@
+/**
+ * Monthly lease billing run tests.
+ *
+ * Regression guard: the billing run must emit one invoice per owner share,
+ * never bill the same lease + owner + month twice, and report each invoice
+ * as created / skipped / failed (to_create on dry runs).
+ *
+ * Covered:
+ * - dry run: reports to_create without creating invoices or a run record
+ * - already billed drafts → skipped; createInvoice 409 → skipped; other errors → failed
+ * - until_date: drafts whose billing day has not arrived are left out
+ * - POST /api/billing-runs: employee → 403, invalid month → 400
+ */
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+
+jest.unstable_mockModule('../../src/db/dbConnect.js', () => ({
+    default: {
+        query: jest.fn(),
+        getConnection: jest.fn().mockResolvedValue({ release: jest.fn() }),
+    },
+}));
+
+const { default: app } = await import('../../src/app.js');
+const { default: BillingRunsService } = await import('../../src/services/billingRunsServices.js');
+const { default: BillingRunsRepository } = await import('../../src/repository/billingRunsRepository.js');
+const { default: LeasesRepository } = await import('../../src/repository/leasesRepository.js');
+const { default: EstateOwnersRepository } = await import('../../src/repository/estatesOwnersRepository.js');
+const { default: InvoicesIssuedRepository } = await import('../../src/repository/invoicesIssuedRepository.js');
+const { default: InvoicesIssuedService } = await import('../../src/services/invoicesIssuedServices.js');
+const { AppError } = await import('../../src/errors/AppError.js');
+
+const sign = (role) => jwt.sign(
+    { id: 1, username: `test${role}`, role },
+    'test-jwt-secret-only-not-for-production',
+    { expiresIn: '1h' }
+);
+const adminToken = sign('admin');
+const employeeToken = sign('employee');
+
+const LEASE = {
+    id: 7,
+    estates_id: 3,
+    clients_id: 5,
+    start_date: '2025-01-01',
+    end_date: null,
+    monthly_rent: '1000.00',
+    iva: '21.00',
+    irpf: '19.00',
+    billing_day: 5,
+    due_days: 10,
+    collection_method: 'transfer',
+};
+
+const OWNERS = [
+    { owners_id: 1, owner_name: 'Ana', ownership_percentage: '50.00' },
+    { owners_id: 2, owner_name: 'Luis', ownership_percentage: '50.00' },
+];
+
+describe('BillingRunsService.runMonthlyBilling', () => {
+    let createInvoice;
+
+    beforeEach(() => {
+        jest.restoreAllMocks();
+        jest.spyOn(LeasesRepository, 'findActiveInPeriod').mockResolvedValue([LEASE]);
+        jest.spyOn(EstateOwnersRepository, 'findByEstateId').mockResolvedValue(OWNERS);
+        jest.spyOn(InvoicesIssuedRepository, 'findByLeaseOwnerAndMonth').mockResolvedValue([]);
+        jest.spyOn(BillingRunsRepository, 'acquireLock').mockResolvedValue({});
+        jest.spyOn(BillingRunsRepository, 'releaseLock').mockResolvedValue();
+        jest.spyOn(BillingRunsRepository, 'create').mockResolvedValue([{ id: 42, created: true }]);
+        jest.spyOn(BillingRunsRepository, 'addItem').mockResolvedValue([{ id: 1, created: true }]);
+        jest.spyOn(BillingRunsRepository, 'finish').mockResolvedValue([{ id: 42, updated: true }]);
+        createInvoice = jest.spyOn(InvoicesIssuedService, 'createInvoice');
+    });
+
+    it('reports invoices to create on a dry run without writing anything', async () => {
+        const result = await BillingRunsService.runMonthlyBilling({ year: 2025, month: 4, dry_run: true });
+
+        expect(result.run_id).toBeNull();
+        expect(result.summary).toMatchObject({ to_create: 2, created: 0 });
+        expect(result.items.map(i => i.tax_base)).toEqual([500, 500]);
+        expect(createInvoice).not.toHaveBeenCalled();
+        expect(BillingRunsRepository.create).not.toHaveBeenCalled();
+    });
+
+    it('skips already billed shares and reports failures per invoice', async () => {
+        InvoicesIssuedRepository.findByLeaseOwnerAndMonth
+            .mockResolvedValueOnce([{ id: 90, invoice_number: 'FACT-0090' }])
+            .mockResolvedValueOnce([]);
+        createInvoice.mockRejectedValueOnce(new AppError('El propietario no pertenece al inmueble', 400));
+
+        const result = await BillingRunsService.runMonthlyBilling({ year: 2025, month: 4 });
+
+        expect(result.run_id).toBe(42);
+        expect(result.items.map(i => i.status)).toEqual(['skipped', 'failed']);
+        expect(result.items[0].invoice_id).toBe(90);
+        expect(result.items[1].message).toBe('El propietario no pertenece al inmueble');
+        expect(BillingRunsRepository.addItem).toHaveBeenCalledTimes(2);
+        expect(BillingRunsRepository.finish).toHaveBeenCalledWith(42, expect.objectContaining({ skipped: 1, failed: 1 }));
+        expect(BillingRunsRepository.releaseLock).toHaveBeenCalled();
+    });
+
+    it('treats a duplicate-month conflict as skipped and creates the rest', async () => {
+        createInvoice
+            .mockRejectedValueOnce(new AppError('Ya existe una factura para ese mes', 409))
+            .mockResolvedValueOnce([{ id: 91, invoice_number: 'FACT-0091', tax_base: 500, total: 510 }]);
+
+        const result = await BillingRunsService.runMonthlyBilling({ year: 2025, month: 4 });
+
+        expect(result.summary).toMatchObject({ created: 1, skipped: 1, failed: 0 });
+        expect(createInvoice).toHaveBeenLastCalledWith(expect.objectContaining({
+            lease_id: 7, owners_id: 2, corresponding_month: '2025-04', tax_base: 500,
+        }));
+    });
+
+    it('leaves out drafts whose billing day is after until_date', async () => {
+        const result = await BillingRunsService.runMonthlyBilling({
+            year: 2025, month: 4, dry_run: true, until_date: '2025-04-04',
+        });
+
+        expect(result.items).toEqual([]);
+    });
+
+    it('rejects a concurrent run of the same month with 409', async () => {
+        BillingRunsRepository.acquireLock.mockResolvedValueOnce(null);
+
+        await expect(BillingRunsService.runMonthlyBilling({ year: 2025, month: 4 }))
+            .rejects.toMatchObject({ statusCode: 409 });
+    });
+});
+
+describe('POST /api/billing-runs', () => {
+    it('rejects employees with 403', async () => {
+        const res = await request(app)
+            .post('/api/billing-runs')
+            .set('Authorization', `Bearer ${employeeToken}`)
+            .send({ year: 2025, month: 4 });
+
+        expect(res.statusCode).toBe(403);
+    });
+
+    it('rejects an invalid month with 400', async () => {
+        const res = await request(app)
+            .post('/api/billing-runs')
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ year: 2025, month: 13 });
+
+        expect(res.statusCode).toBe(400);
+    });
+});
@@ -0,0 +1,239 @@
+/**
+ * Security deposit (fianzas) tests.
+ *
+ * Regression guard: deposits were only a number on the lease. They are now a
+ * ledger per estate and tenant; applying one to a pending invoice is recorded
+ * and, once the invoice is covered, registers its collection (method
+ * 'deposit'), which then cannot be changed from the invoice side. The
+ * application and the collection are saved in one transaction with the
+ * deposit and the invoice locked, so concurrent applications cannot spend the
+ * same balance twice.
+ *
+ * Covered:
+ * - DepositService.applyToInvoice: collection record, partial application, payments already allocated,
+ *   tenant and balance checks, balance changed by a concurrent application
+ * - DepositsRepository.applyToInvoice: balances re-checked under lock, application and collection in one transaction
+ * - DepositService.returnDeposit: returned amount bounded by what is held
+ * - DepositService.getHeldByOwner: held amount split by ownership percentage
+ * - InvoicesIssuedService.updateCollectionStatus: deposit collections are locked
+ * - /api/deposits: validation
+ */
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+
+jest.unstable_mockModule('../../src/db/dbConnect.js', () => ({
+    default: {
+        query: jest.fn(),
+        getConnection: jest.fn().mockResolvedValue({ release: jest.fn() }),
+    },
+}));
+
+const { default: app } = await import('../../src/app.js');
+const { default: db } = await import('../../src/db/dbConnect.js');
+const { default: DepositService } = await import('../../src/services/depositServices.js');
+const { default: DepositsRepository } = await import('../../src/repository/depositsRepository.js');
+const { default: InvoicesIssuedService } = await import('../../src/services/invoicesIssuedServices.js');
+const { default: InvoicesIssuedRepository } = await import('../../src/repository/invoicesIssuedRepository.js');
+const { default: OwnerSettlementsRepository } = await import('../../src/repository/ownerSettlementsRepository.js');
+const { default: PaymentsRepository } = await import('../../src/repository/paymentsRepository.js');
+const { default: AccountingService } = await import('../../src/services/accountingServices.js');
+
+const adminToken = jwt.sign(
+    { id: 1, username: 'testadmin', role: 'admin' },
+    'test-jwt-secret-only-not-for-production',
+    { expiresIn: '1h' }
+);
+
+const storedDeposit = (overrides = {}) => ({
+    id: 4, estates_id: 7, clients_id: 2, lease_id: 1, amount: '1000.00', received_date: '2024-01-01',
+    lodging_body: 'Agencia de Vivienda', lodging_reference: 'FZ-2024-001', lodged_date: '2024-01-20',
+    returned_date: null, returned_amount: '0.00', applied_amount: '0.00',
+    estate_address: 'Calle Mayor 1', client_name: 'Luis', client_lastname: 'Pérez', client_company_name: null,
+    ...overrides,
+});
+
+const pendingInvoice = (overrides = {}) => ({
+    id: 30, clients_id: 2, owners_id: 3, total: '600.00', is_refund: 0,
+    collection_status: 'pending', collection_method: 'transfer', collection_notes: null,
+    ...overrides,
+});
+
+const mockApplication = ({ deposit = storedDeposit(), invoice = pendingInvoice(), appliedToInvoice = 0, allocatedToInvoice = 0 } = {}) => {
+    jest.spyOn(DepositsRepository, 'findById').mockResolvedValue([deposit]);
+    jest.spyOn(DepositsRepository, 'getApplications').mockResolvedValue([]);
+    jest.spyOn(DepositsRepository, 'getAppliedToInvoice').mockResolvedValue(appliedToInvoice);
+    jest.spyOn(PaymentsRepository, 'getAllocatedToInvoice').mockResolvedValue(allocatedToInvoice);
+    jest.spyOn(InvoicesIssuedRepository, 'findById').mockResolvedValue([invoice]);
+    jest.spyOn(OwnerSettlementsRepository, 'findSettlementsForItem').mockResolvedValue([]);
+    const applyToInvoice = jest.spyOn(DepositsRepository, 'applyToInvoice').mockResolvedValue([{ id: 1, created: true }]);
+    return { applyToInvoice };
+};
+
+beforeEach(() => {
+    // Los asientos contables se prueban en accounting.test.js
+    jest.spyOn(AccountingService, 'syncPayments').mockResolvedValue();
+    jest.spyOn(AccountingService, 'syncIssuedInvoice').mockResolvedValue();
+    jest.spyOn(AccountingService, 'syncReceivedInvoice').mockResolvedValue();
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('DepositService.applyToInvoice', () => {
+    test('applies what the invoice has pending and syncs its collection entry', async () => {
+        const { applyToInvoice } = mockApplication({ appliedToInvoice: 100 });
+
+        await DepositService.applyToInvoice(4, { invoice_issued_id: 30, applied_date: '2025-06-30', created_by: 1 });
+
+        expect(applyToInvoice).toHaveBeenCalledWith(expect.objectContaining({
+            deposit_id: 4, invoice_issued_id: 30, amount: 500, applied_date: '2025-06-30', created_by: 1,
+        }));
+        expect(AccountingService.syncIssuedInvoice).toHaveBeenCalledWith(30);
+    });
+
+    test('applies only what is held when the deposit does not cover the invoice', async () => {
+        const { applyToInvoice } = mockApplication({ deposit: storedDeposit({ applied_amount: '800.00' }) });
+
+        await DepositService.applyToInvoice(4, { invoice_issued_id: 30 });
+
+        expect(applyToInvoice).toHaveBeenCalledWith(expect.objectContaining({ amount: 200 }));
+    });
+
+    test('only covers what the allocated payments left pending', async () => {
+        const { applyToInvoice } = mockApplication({ allocatedToInvoice: 450 });
+
+        await DepositService.applyToInvoice(4, { invoice_issued_id: 30, applied_date: '2025-06-30' });
+
+        expect(applyToInvoice).toHaveBeenCalledWith(expect.objectContaining({ amount: 150 }));
+    });
+
+    test('rejects the application when a concurrent one changed the balances', async () => {
+        const { applyToInvoice } = mockApplication();
+        applyToInvoice.mockResolvedValue([]);
+
+        await expect(DepositService.applyToInvoice(4, { invoice_issued_id: 30 })).rejects.toMatchObject({ statusCode: 409 });
+        expect(AccountingService.syncIssuedInvoice).not.toHaveBeenCalled();
+    });
+
+    test('rejects invoices of another tenant and amounts over the held balance', async () => {
+        mockApplication({ invoice: pendingInvoice({ clients_id: 9 }) });
+        await expect(DepositService.applyToInvoice(4, { invoice_issued_id: 30 })).rejects.toMatchObject({ statusCode: 409 });
+
+        jest.restoreAllMocks();
+        const { applyToInvoice } = mockApplication({ deposit: storedDeposit({ applied_amount: '800.00' }) });
+        await expect(DepositService.applyToInvoice(4, { invoice_issued_id: 30, amount: 300 })).rejects.toMatchObject({ statusCode: 409 });
+        expect(applyToInvoice).not.toHaveBeenCalled();
+    });
+
+    test('rejects returned deposits', async () => {
+        mockApplication({ deposit: storedDeposit({ returned_date: '2025-01-01', returned_amount: '1000.00' }) });
+
+        await expect(DepositService.applyToInvoice(4, { invoice_issued_id: 30 })).rejects.toMatchObject({ statusCode: 409 });
+    });
+});
+
+describe('DepositsRepository.applyToInvoice', () => {
+    const mockConnection = ({ deposit, invoice }) => {
+        const connection = {
+            beginTransaction: jest.fn(), commit: jest.fn(), rollback: jest.fn(), release: jest.fn(),
+            query: jest.fn()
+                .mockResolvedValueOnce([[deposit]])
+                .mockResolvedValueOnce([[invoice]])
+                .mockResolvedValue([{ insertId: 9, affectedRows: 1 }]),
+        };
+        db.getConnection.mockResolvedValueOnce(connection);
+        return connection;
+    };
+    const application = { deposit_id: 4, invoice_issued_id: 30, amount: 500, applied_date: '2025-06-30', notes: null, created_by: 1 };
+
+    test('saves the application and the deposit collection together', async () => {
+        const connection = mockConnection({
+            deposit: { id: 4, amount: '1000.00', returned_date: null, returned_amount: '0.00', applied_amount: '0.00' },
+            invoice: { id: 30, total: '600.00', collection_status: 'pending', paid_amount: '100.00', deposit_applied: '0.00' },
+        });
+
+        const result = await DepositsRepository.applyToInvoice(application);
+
+        expect(result).toEqual([{ id: 9, created: true, collected: true }]);
+        expect(connection.query.mock.calls[0][0]).toContain('FOR UPDATE');
+        expect(connection.query.mock.calls[1][0]).toContain('FOR UPDATE');
+        expect(connection.query.mock.calls[3][0]).toContain("collection_method    = 'deposit'");
+        expect(connection.query.mock.calls[3][1]).toEqual(['2025-06-30', 'FIANZA-4', 30]);
+        expect(connection.commit).toHaveBeenCalled();
+    });
+
+    test('rolls back when a concurrent application already spent the balance', async () => {
+        const connection = mockConnection({
+            deposit: { id: 4, amount: '1000.00', returned_date: null, returned_amount: '0.00', applied_amount: '700.00' },
+            invoice: { id: 30, total: '600.00', collection_status: 'pending', paid_amount: '0.00', deposit_applied: '0.00' },
+        });
+
+        const result = await DepositsRepository.applyToInvoice(application);
+
+        expect(result).toEqual([]);
+        expect(connection.query).toHaveBeenCalledTimes(2);
+        expect(connection.rollback).toHaveBeenCalled();
+        expect(connection.commit).not.toHaveBeenCalled();
+    });
+});
+
+describe('DepositService.returnDeposit', () => {
+    test('returns what is held by default and rejects returning more', async () => {
+        jest.spyOn(DepositsRepository, 'findById').mockResolvedValue([storedDeposit({ applied_amount: '600.00' })]);
+        jest.spyOn(DepositsRepository, 'getApplications').mockResolvedValue([]);
+        const markAsReturned = jest.spyOn(DepositsRepository, 'markAsReturned').mockResolvedValue([{ id: 4, returned: true }]);
+
+        await expect(DepositService.returnDeposit(4, { returned_amount: 500 })).rejects.toMatchObject({ statusCode: 400 });
+        await DepositService.returnDeposit(4, { returned_date: '2025-07-15' });
+
+        expect(markAsReturned).toHaveBeenCalledWith(4, '2025-07-15', 400);
+    });
+});
+
+describe('DepositService.getHeldByOwner', () => {
+    test('splits what is held among the owners of the estate', async () => {
+        jest.spyOn(DepositsRepository, 'getHeldByOwner').mockResolvedValue([
+            { ...storedDeposit({ applied_amount: '250.00' }), owners_id: 3, ownership_percentage: '60.00', owner_name: 'Ana', owner_lastname: 'García' },
+            { ...storedDeposit({ applied_amount: '250.00' }), owners_id: 5, ownership_percentage: '40.00', owner_name: 'Juan', owner_lastname: null },
+            { ...storedDeposit({ id: 6, amount: '500.00', applied_amount: '500.00' }), owners_id: 5, ownership_percentage: '100.00', owner_name: 'Juan', owner_lastname: null },
+        ]);
+
+        const result = await DepositService.getHeldByOwner();
+
+        expect(result.map(owner => [owner.owners_id, owner.deposits_count, owner.total_held])).toEqual([[3, 1, 450], [5, 1, 300]]);
+        expect(result[0].deposits[0]).toMatchObject({ deposit_id: 4, held_amount: 750, owner_share: 450, client_name: 'Luis Pérez' });
+    });
+});
+
+describe('InvoicesIssuedService.updateCollectionStatus', () => {
+    test('does not change a collection made with a deposit', async () => {
+        jest.spyOn(InvoicesIssuedRepository, 'findById').mockResolvedValue([pendingInvoice({ collection_status: 'collected', collection_method: 'deposit' })]);
+        jest.spyOn(OwnerSettlementsRepository, 'findSettlementsForItem').mockResolvedValue([]);
+        const updateCollection = jest.spyOn(InvoicesIssuedRepository, 'updateCollectionStatus');
+
+        await expect(InvoicesIssuedService.updateCollectionStatus(30, { collection_status: 'pending' }))
+            .rejects.toMatchObject({ statusCode: 409 });
+        expect(updateCollection).not.toHaveBeenCalled();
+    });
+});
+
+describe('/api/deposits', () => {
+    test('requires the estate and tenant when no lease is given', async () => {
+        const res = await request(app)
+            .post('/api/deposits')
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ amount: 1000, received_date: '2025-01-01' });
+
+        expect(res.status).toBe(400);
+    });
+
+    test('rejects an unknown status filter', async () => {
+        const res = await request(app)
+            .get('/api/deposits?status=lost')
+            .set('Authorization', `Bearer ${adminToken}`);
+
+        expect(res.status).toBe(400);
+    });
+});
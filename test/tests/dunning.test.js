@@ -0,0 +1,316 @@
+/**
+ * Dunning workflow tests.
+ *
+ * Regression guard: overdue rent was only visible in the aging report and
+ * reminders were written by hand, so some tenants got three letters and
+ * others none. Overdue invoices now advance through configurable levels
+ * (reminder, formal notice, burofax draft), each level generates its letter
+ * once from a template, every event is kept against the invoice and the
+ * client, and payment promises or disputes pause the escalation.
+ *
+ * Covered:
+ * - nextDunningLevel: one level at a time once its days are reached, never repeat a level
+ * - renderTemplate / findUnknownPlaceholders
+ * - runDunning: letter rendered and stored, paused invoices skipped, dry run,
+ *   duplicate level from a concurrent run, unexpected errors logged and reported as failed
+ * - levels: unknown placeholders and misordered days rejected
+ * - pauses: payment promise needs a date, invoice must belong to the client, duplicates 409
+ * - /api/dunning: run as admin only, events filters (SEPA returns included), letter PDF
+ */
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+
+jest.unstable_mockModule('../../src/db/dbConnect.js', () => ({
+    default: {
+        query: jest.fn(),
+        getConnection: jest.fn().mockResolvedValue({ release: jest.fn() }),
+    },
+}));
+
+const { default: app } = await import('../../src/app.js');
+const { default: db } = await import('../../src/db/dbConnect.js');
+const { default: DunningService } = await import('../../src/services/dunningServices.js');
+const { default: DunningRepository } = await import('../../src/repository/dunningRepository.js');
+const { default: ClientsRepository } = await import('../../src/repository/clientsRepository.js');
+const { default: InvoicesIssuedRepository } = await import('../../src/repository/invoicesIssuedRepository.js');
+const { default: logger } = await import('../../src/config/logger.js');
+const { runScheduledDunning } = await import('../../src/shared/scheduler.js');
+const {
+    findUnknownPlaceholders,
+    nextDunningLevel,
+    renderTemplate
+} = await import('../../src/shared/helpers/dunningHelpers.js');
+
+const adminToken = jwt.sign(
+    { id: 1, username: 'testadmin', role: 'admin' },
+    'test-jwt-secret-only-not-for-production',
+    { expiresIn: '1h' }
+);
+
+const employeeToken = jwt.sign(
+    { id: 2, username: 'tester', role: 'employee' },
+    'test-jwt-secret-only-not-for-production',
+    { expiresIn: '1h' }
+);
+
+const levels = [
+    { id: 1, level: 1, name: 'Recordatorio amistoso', days_overdue: 5, letter_type: 'reminder',
+        subject: 'Recordatorio de la factura {{invoice_number}}', body: 'Estimado/a {{client_name}}: debe {{outstanding_amount}} desde el {{due_date}}.', active: 1 },
+    { id: 2, level: 2, name: 'Requerimiento formal de pago', days_overdue: 30, letter_type: 'formal_notice',
+        subject: 'Requerimiento de la factura {{invoice_number}}', body: '{{days_overdue}} días de retraso.', active: 1 },
+    { id: 3, level: 3, name: 'Borrador de burofax', days_overdue: 60, letter_type: 'burofax',
+        subject: 'Burofax {{invoice_number}}', body: 'Burofax a {{client_name}}.', active: 1 }
+];
+
+const overdueInvoice = (overrides = {}) => ({
+    id: 7, invoice_number: 'FACT-0007', clients_id: 3, invoice_date: '2025-01-01', due_date: '2025-01-05',
+    total: '605.00', collection_status: 'pending', outstanding_amount: '605.00', days_overdue: 10, current_level: null,
+    client_name: 'Ana', client_lastname: 'García', client_company_name: null, client_identification: '12345678Z',
+    client_address: 'Calle Mayor 1', estate_address: 'Calle Sol 2, 3ºB',
+    ...overrides
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    db.query.mockReset();
+});
+
+describe('dunningHelpers', () => {
+    test('avanza un nivel cada vez, cuando alcanza sus días, y no repite niveles', () => {
+        expect(nextDunningLevel(levels, 3, null)).toBeNull();
+        expect(nextDunningLevel(levels, 10, null).level).toBe(1);
+        expect(nextDunningLevel(levels, 65, null).level).toBe(1);
+        expect(nextDunningLevel(levels, 65, 1).level).toBe(2);
+        expect(nextDunningLevel(levels, 40, 1).level).toBe(2);
+        expect(nextDunningLevel(levels, 20, 1)).toBeNull();
+        expect(nextDunningLevel(levels, 40, 2)).toBeNull();
+        expect(nextDunningLevel(levels, 65, 3)).toBeNull();
+        // Un nivel desactivado no está en la lista: se pasa al siguiente activo
+        expect(nextDunningLevel([levels[0], levels[2]], 65, 1).level).toBe(3);
+    });
+
+    test('resuelve los marcadores y detecta los desconocidos', () => {
+        expect(renderTemplate('Factura {{ invoice_number }} de {{client_name}}', { invoice_number: 'F-1', client_name: 'Ana' }))
+            .toBe('Factura F-1 de Ana');
+        expect(findUnknownPlaceholders('{{client_name}} {{importe}} {{importe}}')).toEqual(['importe']);
+    });
+});
+
+describe('DunningService.runDunning', () => {
+    test('genera la carta del nivel alcanzado con la plantilla resuelta', async () => {
+        jest.spyOn(DunningRepository, 'getLevels').mockResolvedValue(levels);
+        jest.spyOn(DunningRepository, 'getOverdueInvoices').mockResolvedValue([overdueInvoice()]);
+        jest.spyOn(DunningRepository, 'getActivePauses').mockResolvedValue([]);
+        const create = jest.spyOn(DunningRepository, 'createLetterEvent').mockResolvedValue([{ id: 50, created: true }]);
+
+        const result = await DunningService.runDunning({ today: '2025-01-15', triggered_by: 'scheduler' });
+
+        expect(create).toHaveBeenCalledWith(expect.objectContaining({
+            clients_id: 3, invoice_issued_id: 7, level: 1, letter_type: 'reminder', event_date: '2025-01-15',
+            days_overdue: 10, outstanding_amount: 605, triggered_by: 'scheduler',
+            subject: 'Recordatorio de la factura FACT-0007',
+            body: 'Estimado/a Ana García: debe 605,00 € desde el 05/01/2025.'
+        }));
+        expect(result.summary).toMatchObject({ overdue: 1, sent: 1, paused: 0, failed: 0 });
+        expect(result.items[0]).toMatchObject({ status: 'sent', event_id: 50, level: 1 });
+    });
+
+    test('no avanza las facturas pausadas ni las que ya tienen su nivel', async () => {
+        jest.spyOn(DunningRepository, 'getLevels').mockResolvedValue(levels);
+        jest.spyOn(DunningRepository, 'getOverdueInvoices').mockResolvedValue([
+            overdueInvoice(),
+            overdueInvoice({ id: 8, invoice_number: 'FACT-0008', clients_id: 4, days_overdue: 40, current_level: 2 })
+        ]);
+        jest.spyOn(DunningRepository, 'getActivePauses').mockResolvedValue([
+            { id: 9, clients_id: 3, invoice_issued_id: null, reason: 'payment_promise', paused_until: '2025-01-31' }
+        ]);
+        const create = jest.spyOn(DunningRepository, 'createLetterEvent');
+
+        const result = await DunningService.runDunning({ today: '2025-01-15' });
+
+        expect(create).not.toHaveBeenCalled();
+        expect(result.items.map(item => item.status)).toEqual(['paused', 'up_to_date']);
+    });
+
+    test('en simulación no genera cartas', async () => {
+        jest.spyOn(DunningRepository, 'getLevels').mockResolvedValue(levels);
+        jest.spyOn(DunningRepository, 'getOverdueInvoices').mockResolvedValue([overdueInvoice({ days_overdue: 70, current_level: 2 })]);
+        jest.spyOn(DunningRepository, 'getActivePauses').mockResolvedValue([]);
+        const create = jest.spyOn(DunningRepository, 'createLetterEvent');
+
+        const result = await DunningService.runDunning({ today: '2025-03-16', dry_run: true });
+
+        expect(create).not.toHaveBeenCalled();
+        expect(result.items[0]).toMatchObject({ status: 'to_send', level: 3 });
+    });
+
+    test('el programador usa la fecha del día y no repite una carta ya generada', async () => {
+        jest.spyOn(DunningRepository, 'getLevels').mockResolvedValue(levels);
+        const overdue = jest.spyOn(DunningRepository, 'getOverdueInvoices').mockResolvedValue([overdueInvoice()]);
+        jest.spyOn(DunningRepository, 'getActivePauses').mockResolvedValue([]);
+        jest.spyOn(DunningRepository, 'createLetterEvent').mockResolvedValue([]);
+
+        const result = await runScheduledDunning(new Date(2025, 0, 15));
+
+        expect(overdue).toHaveBeenCalledWith('2025-01-15');
+        expect(result.items[0].status).toBe('up_to_date');
+        expect(result.summary.sent).toBe(0);
+    });
+
+    test('registra en el log los errores inesperados y marca la factura como fallida', async () => {
+        jest.spyOn(DunningRepository, 'getLevels').mockResolvedValue(levels);
+        jest.spyOn(DunningRepository, 'getOverdueInvoices').mockResolvedValue([overdueInvoice()]);
+        jest.spyOn(DunningRepository, 'getActivePauses').mockResolvedValue([]);
+        const error = new Error('Deadlock found when trying to get lock');
+        jest.spyOn(DunningRepository, 'createLetterEvent').mockRejectedValue(error);
+        const logError = jest.spyOn(logger, 'error').mockImplementation(() => {});
+
+        const result = await DunningService.runDunning({ today: '2025-01-15' });
+
+        expect(result.items[0]).toMatchObject({ status: 'failed', message: 'Error interno al generar la carta' });
+        expect(logError).toHaveBeenCalledWith(expect.objectContaining({ invoiceId: 7, level: 1, err: error }), expect.any(String));
+    });
+});
+
+describe('Niveles de reclamación', () => {
+    const newLevel = {
+        level: 4, name: 'Aviso final', days_overdue: 90, letter_type: 'burofax',
+        subject: 'Aviso final {{invoice_number}}', body: 'Importe {{outstanding_amount}}'
+    };
+
+    test('rechaza marcadores desconocidos', async () => {
+        jest.spyOn(DunningRepository, 'getLevels').mockResolvedValue(levels);
+        const create = jest.spyOn(DunningRepository, 'createLevel');
+
+        const res = await request(app)
+            .post('/api/dunning/levels')
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ ...newLevel, body: 'Debe {{importe}}' });
+
+        expect(res.status).toBe(400);
+        expect(create).not.toHaveBeenCalled();
+    });
+
+    test('los días de retraso deben crecer con el nivel', async () => {
+        jest.spyOn(DunningRepository, 'getLevels').mockResolvedValue(levels);
+
+        await expect(DunningService.createLevel({ ...newLevel, days_overdue: 45 }))
+            .rejects.toMatchObject({ statusCode: 400, errorCode: 'DUNNING_LEVEL_ORDER' });
+    });
+});
+
+describe('Pausas', () => {
+    test('el compromiso de pago necesita fecha', async () => {
+        const res = await request(app)
+            .post('/api/dunning/pauses')
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ clients_id: 3, reason: 'payment_promise' });
+
+        expect(res.status).toBe(400);
+    });
+
+    test('la factura debe ser del cliente', async () => {
+        jest.spyOn(ClientsRepository, 'findById').mockResolvedValue([{ id: 3 }]);
+        jest.spyOn(InvoicesIssuedRepository, 'findById').mockResolvedValue([{ id: 7, clients_id: 4 }]);
+
+        await expect(DunningService.createPause({ clients_id: 3, invoice_issued_id: 7, reason: 'dispute' }))
+            .rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    test('no duplica una pausa activa', async () => {
+        jest.spyOn(ClientsRepository, 'findById').mockResolvedValue([{ id: 3 }]);
+        jest.spyOn(DunningRepository, 'getActivePauses').mockResolvedValue([
+            { id: 9, clients_id: 3, invoice_issued_id: null, reason: 'dispute', paused_until: null }
+        ]);
+        const create = jest.spyOn(DunningRepository, 'createPause');
+
+        await expect(DunningService.createPause({ clients_id: 3, invoice_issued_id: null, reason: 'dispute' }))
+            .rejects.toMatchObject({ statusCode: 409, errorCode: 'DUNNING_PAUSE_EXISTS' });
+        expect(create).not.toHaveBeenCalled();
+    });
+
+    test('registra la pausa con el usuario', async () => {
+        jest.spyOn(ClientsRepository, 'findById').mockResolvedValue([{ id: 3 }]);
+        jest.spyOn(DunningRepository, 'getActivePauses').mockResolvedValue([]);
+        const create = jest.spyOn(DunningRepository, 'createPause').mockResolvedValue([{ id: 10, created: true }]);
+        jest.spyOn(DunningRepository, 'findPauseById').mockResolvedValue([{
+            id: 10, clients_id: 3, invoice_issued_id: null, reason: 'dispute', paused_until: null, status: 'active',
+            client_name: 'Ana', client_lastname: 'García', client_company_name: null
+        }]);
+
+        const res = await request(app)
+            .post('/api/dunning/pauses')
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ clients_id: 3, reason: 'dispute', notes: 'Discute la regularización de gastos' });
+
+        expect(res.status).toBe(201);
+        expect(create).toHaveBeenCalledWith(expect.objectContaining({
+            clients_id: 3, reason: 'dispute', created_by: 1, notes: 'Discute la regularización de gastos'
+        }));
+        expect(res.body.data.client_name).toBe('Ana García');
+    });
+});
+
+describe('/api/dunning', () => {
+    test('solo un administrador lanza la reclamación', async () => {
+        const res = await request(app)
+            .post('/api/dunning/run')
+            .set('Authorization', `Bearer ${employeeToken}`)
+            .send({});
+
+        expect(res.status).toBe(403);
+    });
+
+    test('filtra el historial por cliente y tipo de evento', async () => {
+        const getEvents = jest.spyOn(DunningRepository, 'getEvents').mockResolvedValue([]);
+
+        const res = await request(app)
+            .get('/api/dunning/events?clients_id=3&event_type=letter')
+            .set('Authorization', `Bearer ${employeeToken}`);
+
+        expect(res.status).toBe(200);
+        expect(getEvents).toHaveBeenCalledWith(expect.objectContaining({ clients_id: 3, event_type: 'letter', invoice_issued_id: null }));
+    });
+
+    test('el historial incluye las devoluciones de adeudo', async () => {
+        const getEvents = jest.spyOn(DunningRepository, 'getEvents').mockResolvedValue([]);
+
+        const res = await request(app)
+            .get('/api/dunning/events?invoice_issued_id=7&event_type=return')
+            .set('Authorization', `Bearer ${employeeToken}`);
+
+        expect(res.status).toBe(200);
+        expect(getEvents).toHaveBeenCalledWith(expect.objectContaining({ invoice_issued_id: 7, event_type: 'return' }));
+    });
+
+    test('descarga la carta de un evento en PDF', async () => {
+        jest.spyOn(DunningRepository, 'findEventById').mockResolvedValue([{
+            id: 50, event_type: 'letter', clients_id: 3, invoice_issued_id: 7, invoice_number: 'FACT-0007', level: 3,
+            letter_type: 'burofax', event_date: '2025-03-16', outstanding_amount: '605.00',
+            subject: 'Burofax FACT-0007', body: 'Burofax a Ana García.',
+            client_name: 'Ana', client_lastname: 'García', client_company_name: null
+        }]);
+
+        const res = await request(app)
+            .get('/api/dunning/events/50/pdf')
+            .set('Authorization', `Bearer ${adminToken}`);
+
+        expect(res.status).toBe(200);
+        expect(res.headers['content-type']).toBe('application/pdf');
+        expect(res.headers['content-disposition']).toContain('reclamacion_FACT-0007_nivel_3.pdf');
+    });
+
+    test('un evento de pausa no tiene carta', async () => {
+        jest.spyOn(DunningRepository, 'findEventById').mockResolvedValue([{
+            id: 51, event_type: 'pause', clients_id: 3, event_date: '2025-03-16', outstanding_amount: null,
+            client_name: 'Ana', client_lastname: 'García', client_company_name: null
+        }]);
+
+        const res = await request(app)
+            .get('/api/dunning/events/51/pdf')
+            .set('Authorization', `Bearer ${adminToken}`);
+
+        expect(res.status).toBe(400);
+    });
+});
@@ -0,0 +1,205 @@
+/**
+ * Expense allocation (reparto de gastos generales) tests.
+ *
+ * Regression guard: general expenses (no property) used to be split with a
+ * fixed [0.3333, 0.3333, 0.3334] array that only worked with three owners.
+ * They are now split with a named key chosen by supplier, cost center or
+ * category rules, the result is stored per owner, and the cents always add up
+ * with leftovers assigned deterministically.
+ *
+ * Covered:
+ * - distributeAmount: largest remainder, ties to the lowest owner id, negatives
+ * - computeShares: equal, ownership, surface and fixed methods
+ * - findRule: supplier > cost center > category precedence
+ * - AllocationService.allocateExpense: rule key, default key, items with a property
+ * - AllocationService.createKey: fixed shares must add up to 100
+ * - calculateVATBookByOwner: stored allocations and equal fallback for any number of owners
+ * - /api/allocations: validation, preview
+ */
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+
+jest.unstable_mockModule('../../src/db/dbConnect.js', () => ({
+    default: {
+        query: jest.fn(),
+        getConnection: jest.fn().mockResolvedValue({ release: jest.fn() }),
+    },
+}));
+
+const { default: app } = await import('../../src/app.js');
+const { default: AllocationService } = await import('../../src/services/allocationServices.js');
+const { default: AllocationsRepository } = await import('../../src/repository/allocationsRepository.js');
+const { default: OwnersRepository } = await import('../../src/repository/ownersRepository.js');
+const { default: InvoicesReceivedRepository } = await import('../../src/repository/invoicesReceivedRepository.js');
+const { default: InternalExpensesRepository } = await import('../../src/repository/internalExpensesRepository.js');
+const { default: CalculateHelper } = await import('../../src/shared/helpers/calculateTotal.js');
+const { computeShares, distributeAmount, findRule } = await import('../../src/shared/helpers/allocationHelpers.js');
+
+const token = jwt.sign(
+    { id: 1, username: 'testemployee', role: 'employee' },
+    'test-jwt-secret-only-not-for-production',
+    { expiresIn: '1h' }
+);
+
+const owners = [1, 2, 3, 4].map(id => ({ id, name: `Propietario ${id}`, lastname: null }));
+
+const keys = [
+    { id: 1, name: 'General', method: 'equal', is_default: 1 },
+    { id: 2, name: 'Fijo', method: 'fixed', is_default: 0 },
+    { id: 3, name: 'Superficie', method: 'surface', is_default: 0 },
+];
+
+const mockContext = ({ rules = [], estateOwners = [] } = {}) => {
+    jest.spyOn(OwnersRepository, 'getAll').mockResolvedValue(owners);
+    jest.spyOn(AllocationsRepository, 'getOwnershipBase').mockResolvedValue(estateOwners);
+    jest.spyOn(AllocationsRepository, 'getAllKeys').mockResolvedValue(keys);
+    jest.spyOn(AllocationsRepository, 'getAllRules').mockResolvedValue(rules);
+    jest.spyOn(AllocationsRepository, 'getKeyShares').mockResolvedValue([
+        { owners_id: 1, percentage: '70.0000' },
+        { owners_id: 3, percentage: '30.0000' },
+    ]);
+    return jest.spyOn(AllocationsRepository, 'replaceForSource').mockImplementation(async (type, id, rows) => [{ source_id: id, allocated: rows.length }]);
+};
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('allocation helpers', () => {
+    test('distributes cents by largest remainder and breaks ties by owner id', () => {
+        const shares = computeShares('equal', { owners: owners.slice(0, 3) });
+
+        expect(shares.map(share => share.percentage)).toEqual([33.3333, 33.3333, 33.3333]);
+        expect([...distributeAmount(100, shares)]).toEqual([[1, 33.34], [2, 33.33], [3, 33.33]]);
+        expect([...distributeAmount(-0.05, shares)]).toEqual([[1, -0.02], [2, -0.02], [3, -0.01]]);
+        expect([...distributeAmount(10, computeShares('equal', { owners }))].map(([, amount]) => amount)).toEqual([2.5, 2.5, 2.5, 2.5]);
+    });
+
+    test('computes shares by ownership, surface and fixed percentages', () => {
+        const estateOwners = [
+            { owners_id: 2, ownership_percentage: '50.00', surface: '100' },
+            { owners_id: 1, ownership_percentage: '50.00', surface: '100' },
+            { owners_id: 1, ownership_percentage: '100.00', surface: '50' },
+        ];
+
+        expect(computeShares('ownership', { estateOwners })).toEqual([
+            { owners_id: 1, percentage: 75 }, { owners_id: 2, percentage: 25 },
+        ]);
+        expect(computeShares('surface', { estateOwners })).toEqual([
+            { owners_id: 1, percentage: 66.6667 }, { owners_id: 2, percentage: 33.3333 },
+        ]);
+        expect(computeShares('fixed', { fixedShares: [{ owners_id: 3, percentage: '40' }, { owners_id: 1, percentage: '60' }] })).toEqual([
+            { owners_id: 1, percentage: 60 }, { owners_id: 3, percentage: 40 },
+        ]);
+        expect(computeShares('surface', { estateOwners: [{ owners_id: 1, ownership_percentage: '100', surface: null }] })).toEqual([]);
+    });
+
+    test('supplier rules win over cost center and category rules', () => {
+        const rules = [
+            { id: 1, scope: 'category', scope_value: 'utilities', allocation_key_id: 1 },
+            { id: 2, scope: 'cost_center', scope_value: 'OFICINA', allocation_key_id: 2 },
+            { id: 3, scope: 'supplier', scope_value: 'B11111111', allocation_key_id: 3 },
+        ];
+
+        expect(findRule(rules, { supplier_nif: 'b11111111', cost_center: 'oficina', category: 'utilities' }).id).toBe(3);
+        expect(findRule(rules, { supplier_nif: 'A22222222', cost_center: 'Oficina', category: 'utilities' }).id).toBe(2);
+        expect(findRule(rules, { supplier_nif: null, cost_center: null, category: 'utilities' }).id).toBe(1);
+        expect(findRule(rules, { category: 'insurance' })).toBeNull();
+    });
+});
+
+describe('AllocationService.allocateExpense', () => {
+    test('stores the split of a received invoice with the supplier rule key', async () => {
+        const replace = mockContext({ rules: [{ id: 9, scope: 'supplier', scope_value: 'B11111111', allocation_key_id: 2 }] });
+        jest.spyOn(InvoicesReceivedRepository, 'findById').mockResolvedValue([{
+            id: 5, property_id: null, supplier_tax_id: 'B11111111', category: 'mantenimiento',
+            tax_base: '100.01', iva_amount: '21.00', irpf_amount: '0.00',
+        }]);
+
+        const rows = await AllocationService.allocateExpense('received', 5);
+
+        expect(rows).toEqual([
+            { owners_id: 1, percentage: 70, base: 70.01, iva: 14.7, irpf: 0, total: 84.71, allocation_key_id: 2, allocation_rule_id: 9 },
+            { owners_id: 3, percentage: 30, base: 30, iva: 6.3, irpf: 0, total: 36.3, allocation_key_id: 2, allocation_rule_id: 9 },
+        ]);
+        expect(replace).toHaveBeenCalledWith('received', 5, rows);
+    });
+
+    test('uses the default key and falls back to equal when the key has no base', async () => {
+        const replace = mockContext({ rules: [{ id: 4, scope: 'cost_center', scope_value: 'OFICINA', allocation_key_id: 3 }] });
+        jest.spyOn(InternalExpensesRepository, 'findById').mockResolvedValue([{
+            id: 7, property_id: null, supplier_nif: null, cost_center: 'OFICINA', category: 'utilities', amount: '10.00', iva_amount: '2.10',
+        }]);
+
+        const rows = await AllocationService.allocateExpense('internal', 7);
+
+        expect(rows).toHaveLength(4);
+        expect(rows.map(row => row.base)).toEqual([2.5, 2.5, 2.5, 2.5]);
+        expect(rows.map(row => row.iva)).toEqual([0.53, 0.53, 0.52, 0.52]);
+        expect(rows[0]).toMatchObject({ allocation_key_id: null, allocation_rule_id: 4 });
+        expect(replace).toHaveBeenCalledTimes(1);
+    });
+
+    test('clears the split of an expense assigned to a property', async () => {
+        const replace = mockContext();
+        jest.spyOn(InternalExpensesRepository, 'findById').mockResolvedValue([{ id: 8, property_id: 10, amount: '50.00', iva_amount: '0' }]);
+
+        expect(await AllocationService.allocateExpense('internal', 8)).toEqual([]);
+        expect(replace).toHaveBeenCalledWith('internal', 8, []);
+    });
+
+    test('rejects fixed keys whose percentages do not add up to 100', async () => {
+        jest.spyOn(OwnersRepository, 'getAll').mockResolvedValue(owners);
+
+        await expect(AllocationService.createKey({
+            name: 'Mal', method: 'fixed', shares: [{ owners_id: 1, percentage: 60 }, { owners_id: 2, percentage: 30 }],
+        })).rejects.toMatchObject({ statusCode: 400 });
+    });
+});
+
+describe('CalculateHelper.calculateVATBookByOwner', () => {
+    test('uses the stored split and splits unallocated items equally among all owners', () => {
+        const received = [
+            { id: 1, invoice_date: '2025-02-10', property_id: null, tax_base: 90, iva_amount: 18.9, irpf_amount: 0, total_amount: 108.9 },
+            { id: 2, invoice_date: '2025-02-11', property_id: null, tax_base: 100, iva_amount: 21, irpf_amount: 0, total_amount: 121 },
+        ];
+        const allocations = [
+            { invoice_received_id: 1, owners_id: 1, base: '60.00', iva: '12.60', irpf: '0.00', total: '72.60' },
+            { invoice_received_id: 1, owners_id: 2, base: '30.00', iva: '6.30', irpf: '0.00', total: '36.30' },
+        ];
+
+        const result = CalculateHelper.calculateVATBookByOwner([], received, [], owners, 2025, null, null, allocations);
+        const byOwner = Object.fromEntries(result.summary_by_owner.map(owner => [owner.owner_id, owner.received]));
+
+        expect(result.unallocated_items).toBe(1);
+        expect(byOwner[1]).toMatchObject({ base: 85, iva: 17.85, count: 2 });
+        expect(byOwner[2]).toMatchObject({ base: 55, iva: 11.55, count: 2 });
+        expect(byOwner[4]).toMatchObject({ base: 25, iva: 5.25, count: 1 });
+        expect(result.overall_total.total_expenses).toBe(229.9);
+    });
+});
+
+describe('/api/allocations', () => {
+    test('rejects an unknown expense type', async () => {
+        const res = await request(app)
+            .get('/api/allocations/expenses/issued/1')
+            .set('Authorization', `Bearer ${token}`);
+        expect(res.status).toBe(400);
+    });
+
+    test('previews a key over an amount', async () => {
+        mockContext();
+        jest.spyOn(AllocationsRepository, 'findKeyById').mockResolvedValue([keys[1]]);
+
+        const res = await request(app)
+            .get('/api/allocations/keys/2/preview?amount=10.01')
+            .set('Authorization', `Bearer ${token}`);
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.shares).toEqual([
+            { owners_id: 1, percentage: 70, owner_name: 'Propietario 1', amount: 7.01 },
+            { owners_id: 3, percentage: 30, owner_name: 'Propietario 3', amount: 3 },
+        ]);
+    });
+});
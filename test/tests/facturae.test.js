@@ -0,0 +1,285 @@
+/**
+ * Facturae 3.2.2 export tests.
+ *
+ * Regression guard: issued invoices and refunds are exported as Facturae XML with
+ * the owner as seller and the client as buyer, taxes grouped by rate, refunds as
+ * corrective invoices, and an optional XAdES signature over the canonical document.
+ *
+ * Covered:
+ * - buildFacturaeXml: single-line fallback, per-rate taxes, IRPF withholding, totals
+ * - refunds: InvoiceClass OR with Corrective pointing to the original invoice
+ * - getMissingFacturaeFields: incomplete party address is reported
+ * - signFacturaeXml: document, signed properties and SignedInfo verify with the certificate
+ * - FacturaeService batch: mixed sellers/buyers rejected, unconfigured signing → 500
+ * - /api/invoices-issued/:id/facturae and /facturae/batch: download, 400 on bad input
+ */
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { execFileSync } from 'node:child_process';
+import { createHash, verify } from 'node:crypto';
+
+jest.unstable_mockModule('../../src/db/dbConnect.js', () => ({
+    default: {
+        query: jest.fn(),
+        getConnection: jest.fn().mockResolvedValue({ release: jest.fn() }),
+    },
+}));
+
+const { default: app } = await import('../../src/app.js');
+const { default: InvoicesIssuedService } = await import('../../src/services/invoicesIssuedServices.js');
+const { default: FacturaeService } = await import('../../src/services/facturaeServices.js');
+const { buildFacturaeXml, getMissingFacturaeFields } = await import('../../src/shared/utils/Facturae/facturaeGenerator.js');
+const { loadPkcs12Certificate, signFacturaeXml } = await import('../../src/shared/utils/Facturae/facturaeSigner.js');
+
+const employeeToken = jwt.sign(
+    { id: 1, username: 'testemployee', role: 'employee' },
+    'test-jwt-secret-only-not-for-production',
+    { expiresIn: '1h' }
+);
+
+const INVOICE = {
+    id: 10,
+    invoice_number: '12345678Z-2025-00007',
+    owners_id: 2,
+    clients_id: 5,
+    invoice_date: '2025-04-01',
+    tax_base: 1000,
+    iva: 21,
+    irpf: 19,
+    total: 1020,
+    is_refund: false,
+    original_invoice_id: null,
+    start_date: '2025-04-01',
+    end_date: '2025-04-30',
+    corresponding_month: '2025-04',
+    estate_address: 'Calle Luna 3',
+    owner_name: 'Juan',
+    owner_lastname: 'Pérez García',
+    owner_identification: '12345678Z',
+    owner_address: 'Calle Mayor 1',
+    owner_postal_code: '28001',
+    owner_location: 'Madrid',
+    owner_province: 'Madrid',
+    owner_country: 'España',
+    client_type: 'empresa',
+    client_company_name: 'Obras & Servicios SL',
+    client_identification: 'B12345674',
+    client_address: 'Plaza Sol 2',
+    client_postal_code: '28013',
+    client_location: 'Madrid',
+    client_province: 'Madrid',
+    client_country: 'España',
+    lines: []
+};
+
+const REFUND = {
+    ...INVOICE,
+    id: 11,
+    invoice_number: 'R-12345678Z-2025-00001',
+    invoice_date: '2025-05-02',
+    tax_base: -1000,
+    total: -1020,
+    is_refund: true,
+    original_invoice_id: 10,
+    original_invoice_number: '12345678Z-2025-00007',
+    original_invoice_date: '2025-04-01'
+};
+
+const tag = (xml, name) => xml.match(new RegExp(`<${name}>([^<]*)</${name}>`))?.[1];
+
+describe('buildFacturaeXml', () => {
+    it('renders an invoice without lines as a single rent line', () => {
+        const xml = buildFacturaeXml([INVOICE]);
+
+        expect(xml).toContain('<fe:Facturae xmlns:fe="http://www.facturae.gob.es/formato/Versiones/Facturaev3_2_2.xml">');
+        expect(tag(xml, 'Modality')).toBe('I');
+        expect(tag(xml, 'InvoiceNumber')).toBe('00007');
+        expect(tag(xml, 'InvoiceSeriesCode')).toBe('12345678Z-2025');
+        expect(tag(xml, 'InvoiceClass')).toBe('OO');
+        expect(tag(xml, 'ItemDescription')).toBe('Alquiler Calle Luna 3 (2025-04)');
+        expect(tag(xml, 'TotalTaxOutputs')).toBe('210.00');
+        expect(tag(xml, 'TotalTaxesWithheld')).toBe('190.00');
+        expect(tag(xml, 'InvoiceTotal')).toBe('1020.00');
+        expect(xml).toContain('<FirstSurname>Pérez</FirstSurname>');
+        expect(xml).toContain('<CorporateName>Obras &amp; Servicios SL</CorporateName>');
+        expect(xml).not.toContain('<Corrective>');
+    });
+
+    it('groups output taxes by rate from the invoice lines', () => {
+        const xml = buildFacturaeXml([{
+            ...INVOICE,
+            irpf: 0,
+            lines: [
+                { line_number: 1, description: 'Renta', quantity: 1, unit_price: 900, discount: 0, tax_base: 900, iva: 21, iva_amount: 189, irpf: 0, irpf_amount: 0, total: 1089 },
+                { line_number: 2, description: 'Suministros', quantity: 2, unit_price: 55, discount: 10, tax_base: 99, iva: 10, iva_amount: 9.9, irpf: 0, irpf_amount: 0, total: 108.9 }
+            ]
+        }]);
+
+        const outputs = xml.match(/<TaxesOutputs>[\s\S]*?<\/TaxesOutputs>/)[0];
+        expect(outputs.match(/<TaxRate>[^<]+/g)).toEqual(['<TaxRate>21.00', '<TaxRate>10.00']);
+        expect(xml).not.toMatch(/<\/TaxesOutputs>\s*<TaxesWithheld>/);
+        expect(tag(xml, 'DiscountAmount')).toBe('11.00');
+        expect(tag(xml, 'InvoiceTotal')).toBe('1197.90');
+    });
+
+    it('renders refunds as corrective invoices of the original', () => {
+        const xml = buildFacturaeXml([REFUND]);
+        const corrective = xml.match(/<Corrective>[\s\S]*<\/Corrective>/)[0];
+
+        expect(tag(xml, 'InvoiceClass')).toBe('OR');
+        expect(tag(corrective, 'InvoiceNumber')).toBe('00007');
+        expect(tag(corrective, 'InvoiceSeriesCode')).toBe('12345678Z-2025');
+        expect(tag(corrective, 'CorrectionMethod')).toBe('01');
+        expect(tag(xml, 'InvoiceTotal')).toBe('-1020.00');
+    });
+
+    it('reports missing party data required by the schema', () => {
+        const missing = getMissingFacturaeFields({ ...INVOICE, client_postal_code: null, owner_lastname: '' });
+        expect(missing).toEqual(['código postal del cliente', 'apellidos del propietario']);
+        expect(getMissingFacturaeFields(INVOICE)).toEqual([]);
+    });
+});
+
+const hasOpenssl = (() => {
+    try {
+        execFileSync('openssl', ['version'], { stdio: 'ignore' });
+        return true;
+    } catch {
+        return false;
+    }
+})();
+
+(hasOpenssl ? describe : describe.skip)('signFacturaeXml', () => {
+    let dir;
+
+    beforeAll(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'facturae-'));
+        execFileSync('openssl', ['req', '-x509', '-newkey', 'rsa:2048', '-nodes', '-subj', '/C=ES/O=Pruebas/CN=Firma Facturae',
+            '-keyout', path.join(dir, 'key.pem'), '-out', path.join(dir, 'cert.pem'), '-days', '1'], { stdio: 'ignore', timeout: 30000 });
+        execFileSync('openssl', ['pkcs12', '-export', '-inkey', path.join(dir, 'key.pem'), '-in', path.join(dir, 'cert.pem'),
+            '-out', path.join(dir, 'cert.p12'), '-passout', 'pass:secreto'], { stdio: 'ignore', timeout: 30000 });
+    });
+
+    afterAll(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('signs the canonical document with the PKCS#12 certificate', async () => {
+        const credentials = await loadPkcs12Certificate(path.join(dir, 'cert.p12'), 'secreto');
+        const xml = buildFacturaeXml([INVOICE]);
+        const signed = signFacturaeXml(xml, credentials);
+
+        const namespaces = 'xmlns:ds="http://www.w3.org/2000/09/xmldsig#" ' +
+            'xmlns:fe="http://www.facturae.gob.es/formato/Versiones/Facturaev3_2_2.xml" ' +
+            'xmlns:xades="http://uri.etsi.org/01903/v1.3.2#"';
+        const canonical = (pattern, name) => signed.match(pattern)[0].replace(`<${name} `, `<${name} ${namespaces} `);
+        const sha256 = (data) => createHash('sha256').update(data).digest('base64');
+        const digests = [...signed.matchAll(/<ds:DigestValue>([^<]+)<\/ds:DigestValue><\/ds:Reference>/g)].map(match => match[1]);
+
+        // Enveloped: quitando la firma queda exactamente el documento original
+        expect(signed.replace(/<ds:Signature[\s\S]*<\/ds:Signature>/, '')).toBe(xml);
+        expect(digests[0]).toBe(sha256(xml.slice(xml.indexOf('<fe:Facturae'))));
+        expect(digests[1]).toBe(sha256(canonical(/<xades:SignedProperties[\s\S]*<\/xades:SignedProperties>/, 'xades:SignedProperties')));
+        expect(digests[2]).toBe(sha256(canonical(/<ds:KeyInfo[\s\S]*<\/ds:KeyInfo>/, 'ds:KeyInfo')));
+
+        const signedInfo = canonical(/<ds:SignedInfo[\s\S]*<\/ds:SignedInfo>/, 'ds:SignedInfo');
+        const signatureValue = signed.match(/<ds:SignatureValue[^>]*>([^<]+)</)[1];
+        expect(verify('sha256', Buffer.from(signedInfo), credentials.certificate.publicKey, Buffer.from(signatureValue, 'base64'))).toBe(true);
+        expect(signed).toContain('<xades:Identifier>http://www.facturae.es/politica_de_firma_formato_facturae/politica_de_firma_formato_facturae_v3_1.pdf</xades:Identifier>');
+    });
+
+    it('rejects a wrong certificate password', async () => {
+        await expect(loadPkcs12Certificate(path.join(dir, 'cert.p12'), 'incorrecta')).rejects.toThrow();
+    });
+});
+
+describe('FacturaeService', () => {
+    beforeEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('builds a batch document for invoices of the same owner and client', async () => {
+        jest.spyOn(InvoicesIssuedService, 'getInvoiceWithDetails').mockImplementation(async (id) => (
+            id === 11 ? [REFUND] : [INVOICE]
+        ));
+
+        const [document] = await FacturaeService.getBatchFacturae([11, 10]);
+
+        expect(document.invoices_count).toBe(2);
+        expect(tag(document.content, 'Modality')).toBe('L');
+        expect(tag(document.content, 'InvoicesCount')).toBe('2');
+        expect(tag(document.content, 'TotalAmount')).toBe('0.00');
+        expect(document.content.indexOf('<InvoiceClass>OO')).toBeLessThan(document.content.indexOf('<InvoiceClass>OR'));
+    });
+
+    it('rejects batches mixing clients', async () => {
+        jest.spyOn(InvoicesIssuedService, 'getInvoiceWithDetails').mockImplementation(async (id) => (
+            id === 12 ? [{ ...INVOICE, id: 12, clients_id: 6 }] : [INVOICE]
+        ));
+
+        await expect(FacturaeService.getBatchFacturae([10, 12])).rejects.toMatchObject({ statusCode: 400, errorCode: 'FACTURAE_MIXED_PARTIES' });
+    });
+
+    it('fails with 500 when signing is requested without a certificate', async () => {
+        const previous = process.env.FACTURAE_CERT_PATH;
+        delete process.env.FACTURAE_CERT_PATH;
+        jest.spyOn(InvoicesIssuedService, 'getInvoiceWithDetails').mockResolvedValue([INVOICE]);
+
+        await expect(FacturaeService.getInvoiceFacturae(10, { sign: true })).rejects.toMatchObject({
+            statusCode: 500, errorCode: 'FACTURAE_SIGNING_NOT_CONFIGURED'
+        });
+        if (previous !== undefined) process.env.FACTURAE_CERT_PATH = previous;
+    });
+});
+
+describe('/api/invoices-issued facturae', () => {
+    beforeEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('downloads the Facturae XML of an invoice', async () => {
+        jest.spyOn(InvoicesIssuedService, 'getInvoiceWithDetails').mockResolvedValue([INVOICE]);
+
+        const res = await request(app)
+            .get('/api/invoices-issued/10/facturae')
+            .set('Authorization', `Bearer ${employeeToken}`);
+
+        expect(res.status).toBe(200);
+        expect(res.headers['content-type']).toMatch(/application\/xml/);
+        expect(res.headers['content-disposition']).toContain('facturae_12345678Z-2025-00007.xml');
+        expect(res.text).toContain('<SchemaVersion>3.2.2</SchemaVersion>');
+    });
+
+    it('returns 400 when party data is incomplete', async () => {
+        jest.spyOn(InvoicesIssuedService, 'getInvoiceWithDetails').mockResolvedValue([{ ...INVOICE, owner_address: null }]);
+
+        const res = await request(app)
+            .get('/api/invoices-issued/10/facturae')
+            .set('Authorization', `Bearer ${employeeToken}`);
+
+        expect(res.status).toBe(400);
+    });
+
+    it('returns 404 for an unknown invoice', async () => {
+        jest.spyOn(InvoicesIssuedService, 'getInvoiceWithDetails').mockResolvedValue([]);
+
+        const res = await request(app)
+            .get('/api/invoices-issued/99/facturae')
+            .set('Authorization', `Bearer ${employeeToken}`);
+
+        expect(res.status).toBe(404);
+    });
+
+    it('validates the batch invoice list', async () => {
+        const res = await request(app)
+            .post('/api/invoices-issued/facturae/batch')
+            .set('Authorization', `Bearer ${employeeToken}`)
+            .send({ invoice_ids: [] });
+
+        expect(res.status).toBe(400);
+    });
+});
@@ -0,0 +1,249 @@
+/**
+ * Fiscal period tests.
+ *
+ * Regression guard: invoices and expenses of a quarter already filed with
+ * the 303 could still be created, edited or deleted afterwards. Months,
+ * quarters and years can now be closed: every write dated in a closed period
+ * is rejected with 409 FISCAL_PERIOD_CLOSED, corrections go through a
+ * rectificative dated today, and reopening needs an admin and a reason that
+ * is kept in the period history.
+ *
+ * Covered:
+ * - getPeriodRange / getPeriodLabel: month, quarter, year and leap February
+ * - FiscalPeriodService.assertOpen: closed date, open date, empty dates, moving a document into a closed period
+ * - Guards: delete issued invoice, approve internal expense, received refund only checks its own date
+ * - FiscalPeriodService.createPeriod: range stored, duplicate period
+ * - FiscalPeriodService.closePeriod / reopenPeriod: state checks and audited event
+ * - FiscalPeriodsRepository.changeStatus: concurrent change rolls back without event
+ * - /api/fiscal-periods and /api/invoices-issued/:id: validation and lock response
+ */
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+
+jest.unstable_mockModule('../../src/db/dbConnect.js', () => ({
+    default: {
+        query: jest.fn(),
+        getConnection: jest.fn().mockResolvedValue({ release: jest.fn() }),
+    },
+}));
+
+const { default: app } = await import('../../src/app.js');
+const { default: db } = await import('../../src/db/dbConnect.js');
+const { default: FiscalPeriodService } = await import('../../src/services/fiscalPeriodServices.js');
+const { default: FiscalPeriodsRepository } = await import('../../src/repository/fiscalPeriodsRepository.js');
+const { default: InvoicesIssuedService } = await import('../../src/services/invoicesIssuedServices.js');
+const { default: InvoicesIssuedRepository } = await import('../../src/repository/invoicesIssuedRepository.js');
+const { default: InvoicesReceivedService } = await import('../../src/services/invoicesReceivedServices.js');
+const { default: InvoicesReceivedRepository } = await import('../../src/repository/invoicesReceivedRepository.js');
+const { default: InternalExpensesService } = await import('../../src/services/internalExpensesServices.js');
+const { default: InternalExpensesRepository } = await import('../../src/repository/internalExpensesRepository.js');
+const { default: OwnerSettlementService } = await import('../../src/services/ownerSettlementServices.js');
+const { default: AccountingExportService } = await import('../../src/services/accountingExportServices.js');
+const { default: InvoiceLinesService } = await import('../../src/services/invoiceLinesServices.js');
+const { getPeriodLabel, getPeriodRange } = await import('../../src/shared/helpers/fiscalPeriodHelpers.js');
+
+const adminToken = jwt.sign(
+    { id: 1, username: 'testadmin', role: 'admin' },
+    'test-jwt-secret-only-not-for-production',
+    { expiresIn: '1h' }
+);
+
+const closedQuarter = {
+    id: 4, period_type: 'quarter', year: 2025, period: 1,
+    start_date: '2025-01-01', end_date: '2025-03-31', status: 'closed'
+};
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    db.query.mockReset();
+});
+
+describe('getPeriodRange / getPeriodLabel', () => {
+    test('calcula el mes, el trimestre y el ejercicio', () => {
+        expect(getPeriodRange('month', 2024, 2)).toEqual({ start_date: '2024-02-01', end_date: '2024-02-29' });
+        expect(getPeriodRange('quarter', 2025, 2)).toEqual({ start_date: '2025-04-01', end_date: '2025-06-30' });
+        expect(getPeriodRange('year', 2025, 7)).toEqual({ start_date: '2025-01-01', end_date: '2025-12-31' });
+        expect(getPeriodRange('quarter', 2025, 5)).toBeNull();
+
+        expect(getPeriodLabel(closedQuarter)).toBe('1T 2025');
+        expect(getPeriodLabel({ period_type: 'month', year: 2025, period: 3 })).toBe('03/2025');
+        expect(getPeriodLabel({ period_type: 'year', year: 2025, period: 0 })).toBe('ejercicio 2025');
+    });
+});
+
+describe('FiscalPeriodService.assertOpen', () => {
+    test('rechaza una fecha de un periodo cerrado indicando el periodo', async () => {
+        jest.spyOn(FiscalPeriodsRepository, 'findClosedForDate').mockResolvedValue([closedQuarter]);
+
+        const error = await FiscalPeriodService.assertOpen('eliminar la factura emitida', new Date(2025, 1, 10))
+            .catch(e => e);
+
+        expect(error.statusCode).toBe(409);
+        expect(error.errorCode).toBe('FISCAL_PERIOD_CLOSED');
+        expect(error.message).toContain('1T 2025');
+        expect(error.message).toContain('2025-02-10');
+        expect(FiscalPeriodsRepository.findClosedForDate).toHaveBeenCalledWith('2025-02-10');
+    });
+
+    test('no consulta fechas vacías ni repetidas y acepta las de periodos abiertos', async () => {
+        jest.spyOn(FiscalPeriodsRepository, 'findClosedForDate').mockResolvedValue([]);
+
+        await expect(FiscalPeriodService.assertOpen('modificar el gasto', '2025-05-02', undefined, '2025-05-02'))
+            .resolves.toBeUndefined();
+        expect(FiscalPeriodsRepository.findClosedForDate).toHaveBeenCalledTimes(1);
+    });
+
+    test('impide mover un documento abierto a un periodo cerrado', async () => {
+        jest.spyOn(FiscalPeriodsRepository, 'findClosedForDate')
+            .mockImplementation(async (date) => (date <= '2025-03-31' ? [closedQuarter] : []));
+
+        await expect(FiscalPeriodService.assertOpen('modificar la factura emitida', '2025-04-15', '2025-03-20'))
+            .rejects.toMatchObject({ statusCode: 409, errorCode: 'FISCAL_PERIOD_CLOSED' });
+    });
+});
+
+describe('Bloqueo de documentos', () => {
+    beforeEach(() => {
+        jest.spyOn(OwnerSettlementService, 'assertNotSettled').mockResolvedValue();
+        jest.spyOn(AccountingExportService, 'assertNotExported').mockResolvedValue();
+    });
+
+    test('no elimina una factura emitida de un periodo cerrado', async () => {
+        jest.spyOn(InvoicesIssuedRepository, 'findById').mockResolvedValue([{ id: 9, invoice_date: '2025-02-10' }]);
+        jest.spyOn(FiscalPeriodsRepository, 'findClosedForDate').mockResolvedValue([closedQuarter]);
+        const remove = jest.spyOn(InvoicesIssuedRepository, 'delete');
+
+        await expect(InvoicesIssuedService.deleteInvoice(9))
+            .rejects.toMatchObject({ statusCode: 409, errorCode: 'FISCAL_PERIOD_CLOSED' });
+        expect(remove).not.toHaveBeenCalled();
+    });
+
+    test('no aprueba un gasto de un periodo cerrado', async () => {
+        jest.spyOn(InternalExpensesRepository, 'findById').mockResolvedValue([{ id: 3, status: 'pending', expense_date: '2025-01-20' }]);
+        jest.spyOn(FiscalPeriodsRepository, 'findClosedForDate').mockResolvedValue([closedQuarter]);
+        const approve = jest.spyOn(InternalExpensesRepository, 'approve');
+
+        await expect(InternalExpensesService.approveExpense(3, 1))
+            .rejects.toMatchObject({ errorCode: 'FISCAL_PERIOD_CLOSED' });
+        expect(approve).not.toHaveBeenCalled();
+    });
+
+    test('la rectificativa de una factura recibida de un periodo cerrado solo comprueba su propia fecha', async () => {
+        const today = new Date().toISOString().split('T')[0];
+        jest.spyOn(InvoicesReceivedRepository, 'findById').mockResolvedValue([{
+            id: 77, invoice_number: 'R-77', invoice_date: '2025-02-10', is_refund: 0,
+            tax_base: 100, iva_amount: 21, irpf_amount: 0, total_amount: 121
+        }]);
+        jest.spyOn(InvoiceLinesService, 'getLines').mockResolvedValue([]);
+        jest.spyOn(FiscalPeriodsRepository, 'findClosedForDate').mockResolvedValue([]);
+        jest.spyOn(InvoicesReceivedRepository, 'createRefund').mockResolvedValue([]);
+
+        await InvoicesReceivedService.createRefund(77, 'Error en el importe');
+
+        expect(FiscalPeriodsRepository.findClosedForDate).toHaveBeenCalledTimes(1);
+        expect(FiscalPeriodsRepository.findClosedForDate).toHaveBeenCalledWith(today);
+    });
+});
+
+describe('FiscalPeriodService: alta, cierre y reapertura', () => {
+    test('crea el periodo con sus fechas y rechaza duplicados', async () => {
+        jest.spyOn(FiscalPeriodsRepository, 'findPeriod').mockResolvedValueOnce([]).mockResolvedValueOnce([{ id: 4 }]);
+        const create = jest.spyOn(FiscalPeriodsRepository, 'create').mockResolvedValue([{ id: 4, created: true }]);
+        jest.spyOn(FiscalPeriodsRepository, 'findById').mockResolvedValue([{ ...closedQuarter, status: 'open' }]);
+        jest.spyOn(FiscalPeriodsRepository, 'getEvents').mockResolvedValue([]);
+
+        const created = await FiscalPeriodService.createPeriod({ period_type: 'quarter', year: 2025, period: 1, created_by: 1 });
+
+        expect(create).toHaveBeenCalledWith(expect.objectContaining({
+            period: 1, start_date: '2025-01-01', end_date: '2025-03-31', created_by: 1
+        }));
+        expect(created[0]).toMatchObject({ id: 4, label: '1T 2025', status: 'open', events: [] });
+
+        await expect(FiscalPeriodService.createPeriod({ period_type: 'quarter', year: 2025, period: 1 }))
+            .rejects.toMatchObject({ statusCode: 409, errorCode: 'FISCAL_PERIOD_EXISTS' });
+    });
+
+    test('no cierra dos veces el mismo periodo', async () => {
+        jest.spyOn(FiscalPeriodsRepository, 'findById').mockResolvedValue([closedQuarter]);
+        const change = jest.spyOn(FiscalPeriodsRepository, 'changeStatus');
+
+        await expect(FiscalPeriodService.closePeriod(4, { user_id: 1 }))
+            .rejects.toMatchObject({ statusCode: 409, errorCode: 'FISCAL_PERIOD_ALREADY_CLOSED' });
+        expect(change).not.toHaveBeenCalled();
+    });
+
+    test('la reapertura registra motivo, usuario e IP', async () => {
+        jest.spyOn(FiscalPeriodsRepository, 'findById').mockResolvedValue([closedQuarter]);
+        jest.spyOn(FiscalPeriodsRepository, 'getEvents').mockResolvedValue([]);
+        const change = jest.spyOn(FiscalPeriodsRepository, 'changeStatus').mockResolvedValue([{ id: 4, updated: true }]);
+
+        await FiscalPeriodService.reopenPeriod(4, { reason: 'Factura recibida tarde', user_id: 1, ip_address: '10.0.0.1' });
+
+        expect(change).toHaveBeenCalledWith(4, 'open', {
+            action: 'reopen', reason: 'Factura recibida tarde', user_id: 1, ip_address: '10.0.0.1'
+        });
+    });
+
+    test('no reabre un periodo abierto', async () => {
+        jest.spyOn(FiscalPeriodsRepository, 'findById').mockResolvedValue([{ ...closedQuarter, status: 'open' }]);
+
+        await expect(FiscalPeriodService.reopenPeriod(4, { reason: 'Sin motivo real' }))
+            .rejects.toMatchObject({ statusCode: 409, errorCode: 'FISCAL_PERIOD_NOT_CLOSED' });
+    });
+});
+
+describe('FiscalPeriodsRepository.changeStatus', () => {
+    test('si otro usuario ya cambió el estado deshace la transacción sin registrar evento', async () => {
+        const connection = {
+            beginTransaction: jest.fn(),
+            query: jest.fn().mockResolvedValueOnce([{ affectedRows: 0 }]),
+            commit: jest.fn(),
+            rollback: jest.fn(),
+            release: jest.fn()
+        };
+        db.getConnection.mockResolvedValueOnce(connection);
+
+        const result = await FiscalPeriodsRepository.changeStatus(4, 'closed', { action: 'close', user_id: 1 });
+
+        expect(result).toEqual([]);
+        expect(connection.query).toHaveBeenCalledTimes(1);
+        expect(connection.rollback).toHaveBeenCalled();
+        expect(connection.commit).not.toHaveBeenCalled();
+        expect(connection.release).toHaveBeenCalled();
+    });
+});
+
+describe('/api/fiscal-periods', () => {
+    test('valida el número de trimestre', async () => {
+        const res = await request(app)
+            .post('/api/fiscal-periods')
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ period_type: 'quarter', year: 2025, period: 5 });
+
+        expect(res.status).toBe(400);
+    });
+
+    test('exige el motivo de la reapertura', async () => {
+        const res = await request(app)
+            .put('/api/fiscal-periods/4/reopen')
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({});
+
+        expect(res.status).toBe(400);
+    });
+
+    test('la API responde 409 con el periodo al eliminar una factura bloqueada', async () => {
+        jest.spyOn(OwnerSettlementService, 'assertNotSettled').mockResolvedValue();
+        jest.spyOn(AccountingExportService, 'assertNotExported').mockResolvedValue();
+        jest.spyOn(InvoicesIssuedRepository, 'findById').mockResolvedValue([{ id: 9, invoice_date: '2025-02-10' }]);
+        jest.spyOn(FiscalPeriodsRepository, 'findClosedForDate').mockResolvedValue([closedQuarter]);
+
+        const res = await request(app)
+            .delete('/api/invoices-issued/9')
+            .set('Authorization', `Bearer ${adminToken}`);
+
+        expect(res.status).toBe(409);
+        expect(res.body.message).toContain('1T 2025');
+    });
+});
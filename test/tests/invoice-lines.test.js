@@ -0,0 +1,133 @@
+/**
+ * Invoice lines tests.
+ *
+ * Regression guard: invoices with several lines (rent, garage, utilities…) may mix
+ * IVA rates. Header totals must be derived from the rounded lines and the VAT
+ * breakdown must split each invoice per rate instead of using the header rate.
+ *
+ * Covered:
+ * - calculateInvoiceLines: quantity, discount, mixed rates → effective header rate
+ * - validateInvoiceLines: invalid IVA rate reported with the line number
+ * - calculateVATBreakdown: an invoice with 0% and 21% lines contributes to both rates
+ * - validateCreateInvoiceIssued: tax_base optional with lines, line errors point at the line
+ * - POST /api/invoices-issued: line without description → 400
+ */
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+import { validationResult } from 'express-validator';
+
+jest.unstable_mockModule('../../src/db/dbConnect.js', () => ({
+    default: {
+        query: jest.fn(),
+        getConnection: jest.fn().mockResolvedValue({ release: jest.fn() }),
+    },
+}));
+
+const { default: app } = await import('../../src/app.js');
+const { default: CalculateHelper } = await import('../../src/shared/helpers/calculateTotal.js');
+const { validateCreateInvoiceIssued } = await import('../../src/validator/validatorInvoicesIssued.js');
+
+const adminToken = jwt.sign(
+    { id: 1, username: 'testadmin', role: 'admin' },
+    'test-jwt-secret-only-not-for-production',
+    { expiresIn: '1h' }
+);
+
+const TODAY = new Date().toISOString().split('T')[0];
+
+const LINES = [
+    { description: 'Renta vivienda', unit_price: 800, iva: 0 },
+    { description: 'Plaza de garaje', unit_price: 100, discount: 10, iva: 21 },
+    { description: 'Suministros', quantity: 2, unit_price: 25.55, iva: 21 },
+];
+
+describe('CalculateHelper.calculateInvoiceLines', () => {
+    it('derives the header from the rounded lines', () => {
+        const result = CalculateHelper.calculateInvoiceLines(LINES);
+
+        expect(result.lines.map(line => line.tax_base)).toEqual([800, 90, 51.1]);
+        expect(result.lines.map(line => line.iva_amount)).toEqual([0, 18.9, 10.73]);
+        expect(result.lines.map(line => line.line_number)).toEqual([1, 2, 3]);
+        expect(result.tax_base).toBe(941.1);
+        expect(result.iva_amount).toBe(29.63);
+        expect(result.total).toBe(970.73);
+    });
+
+    it('keeps the common rate and stores the effective rate when rates are mixed', () => {
+        expect(CalculateHelper.calculateInvoiceLines(LINES.slice(1)).iva).toBe(21);
+        expect(CalculateHelper.calculateInvoiceLines(LINES).iva).toBe(3.15);
+    });
+});
+
+describe('CalculateHelper.validateInvoiceLines', () => {
+    it('rejects an invalid IVA rate and reports the line number', () => {
+        const result = CalculateHelper.validateInvoiceLines([
+            LINES[0],
+            { description: 'Comunidad', unit_price: 50, iva: 7 },
+        ]);
+        expect(result.isValid).toBe(false);
+        expect(result.message).toMatch(/^Línea 2:/);
+    });
+
+    it('rejects an empty list', () => {
+        expect(CalculateHelper.validateInvoiceLines([]).isValid).toBe(false);
+    });
+});
+
+describe('CalculateHelper.calculateVATBreakdown', () => {
+    it('splits an invoice with lines per IVA rate', () => {
+        const { lines, ...header } = CalculateHelper.calculateInvoiceLines(LINES);
+        const entry = CalculateHelper.mapInvoiceIssuedToVATEntry({ ...header, id: 1, lines }, 0);
+
+        expect(entry.cuotaIVA).toBe(29.63);
+
+        const breakdown = CalculateHelper.calculateVATBreakdown([entry]);
+        const byRate = Object.fromEntries(breakdown.map(item => [item.tipoIVA, item]));
+        expect(byRate[0]).toMatchObject({ baseImponible: 800, cuotaIVA: 0 });
+        expect(byRate[21]).toMatchObject({ baseImponible: 141.1, cuotaIVA: 29.63 });
+    });
+
+    it('keeps a single rate for invoices without lines', () => {
+        const entry = CalculateHelper.mapInvoiceIssuedToVATEntry({ id: 2, tax_base: 1000, iva: 21, irpf: 0, total: 1210 }, 0);
+        expect(CalculateHelper.calculateVATBreakdown([entry])).toEqual([
+            expect.objectContaining({ tipoIVA: 21, baseImponible: 1000, cuotaIVA: 210 }),
+        ]);
+    });
+});
+
+const runValidator = async (body) => {
+    const req = { body };
+    for (const chain of validateCreateInvoiceIssued) await chain.run(req);
+    return validationResult(req).array().map(error => error.path);
+};
+
+describe('validateCreateInvoiceIssued with lines', () => {
+    const HEADER = { estates_id: 1, clients_id: 1, owners_id: 1, invoice_date: TODAY };
+
+    it('does not require tax_base when lines are sent', async () => {
+        expect(await runValidator({ ...HEADER, lines: LINES })).toEqual([]);
+    });
+
+    it('still requires tax_base without lines', async () => {
+        expect(await runValidator(HEADER)).toContain('tax_base');
+    });
+
+    it('reports the invalid line field', async () => {
+        expect(await runValidator({ ...HEADER, lines: [{ unit_price: 500, iva: 21 }] }))
+            .toContain('lines[0].description');
+    });
+});
+
+describe('POST /api/invoices-issued with lines', () => {
+    it('rejects a line without description with 400', async () => {
+        const res = await request(app)
+            .post('/api/invoices-issued')
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({
+                estates_id: 1, clients_id: 1, owners_id: 1, invoice_date: TODAY,
+                lines: [{ unit_price: 500, iva: 21 }],
+            });
+        expect(res.status).toBe(400);
+    });
+});
@@ -0,0 +1,175 @@
+/**
+ * Invoice numbering series tests.
+ *
+ * Regression guard: issued invoices are numbered per owner and fiscal year from a
+ * configurable pattern, refunds use their own series, and the counter is reserved
+ * inside the invoice transaction so a failed insert leaves no gap.
+ *
+ * Covered:
+ * - formatSeriesNumber / validateSeriesPattern: tokens, padding, required markers
+ * - createAtomic: number reserved on the invoice connection, rollback on failure
+ * - previewNextNumber: default series falls back to the owner's NIF for {OWNER}
+ * - deleteSeries: default series cannot be deleted
+ * - /api/invoice-series: missing owners_id → 400, employee POST → 403
+ */
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+
+jest.unstable_mockModule('../../src/db/dbConnect.js', () => ({
+    default: {
+        query: jest.fn(),
+        getConnection: jest.fn().mockResolvedValue({ release: jest.fn() }),
+    },
+}));
+
+const { default: app } = await import('../../src/app.js');
+const { default: db } = await import('../../src/db/dbConnect.js');
+const { default: InvoicesIssuedRepository } = await import('../../src/repository/invoicesIssuedRepository.js');
+const { default: InvoiceSeriesRepository } = await import('../../src/repository/invoiceSeriesRepository.js');
+const { default: OwnersRepository } = await import('../../src/repository/ownersRepository.js');
+const { default: InvoiceSeriesService } = await import('../../src/services/invoiceSeriesServices.js');
+const { formatSeriesNumber, validateSeriesPattern } = await import('../../src/shared/helpers/invoiceSeriesHelpers.js');
+
+const sign = (role) => jwt.sign(
+    { id: 1, username: `test${role}`, role },
+    'test-jwt-secret-only-not-for-production',
+    { expiresIn: '1h' }
+);
+const adminToken = sign('admin');
+const employeeToken = sign('employee');
+
+const NUMBERING = { series_id: 3, pattern: '{OWNER}-{YYYY}-{SEQ:5}', owner_code: 'JPG' };
+
+const mockConnection = (queryImpl) => {
+    const connection = {
+        beginTransaction: jest.fn(),
+        commit: jest.fn(),
+        rollback: jest.fn(),
+        release: jest.fn(),
+        query: jest.fn(queryImpl),
+    };
+    db.getConnection.mockResolvedValueOnce(connection);
+    return connection;
+};
+
+describe('invoiceSeriesHelpers', () => {
+    it('formats owner, year and zero-padded sequence', () => {
+        expect(formatSeriesNumber('{OWNER}-{YYYY}-{SEQ:5}', { ownerCode: 'jpg', year: 2025, sequence: 7 }))
+            .toBe('JPG-2025-00007');
+        expect(formatSeriesNumber('R-{OWNER}/{YY}{SEQ}', { ownerCode: '12345678-Z', year: 2025, sequence: 12 }))
+            .toBe('R-12345678Z/250012');
+    });
+
+    it('requires a single sequence marker and the year', () => {
+        expect(validateSeriesPattern('{OWNER}-{YYYY}').isValid).toBe(false);
+        expect(validateSeriesPattern('{OWNER}-{SEQ:5}').isValid).toBe(false);
+        expect(validateSeriesPattern('{OWNER}-{YYYY}-{NUM}-{SEQ}').isValid).toBe(false);
+        expect(validateSeriesPattern('F-{YYYY}-{SEQ:5}').isValid).toBe(true);
+    });
+
+    it('requires {OWNER} in shared default series', () => {
+        expect(validateSeriesPattern('F-{YYYY}-{SEQ:5}', { shared: true }).isValid).toBe(false);
+    });
+});
+
+describe('InvoicesIssuedRepository.createAtomic numbering', () => {
+    beforeEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('reserves the owner/year counter on the invoice connection', async () => {
+        const connection = mockConnection(async (sql) => {
+            if (sql.includes('SELECT last_number')) return [[{ last_number: 7 }]];
+            if (sql.includes('INSERT INTO invoices_issued')) return [{ insertId: 55 }];
+            return [{ affectedRows: 1 }];
+        });
+
+        const result = await InvoicesIssuedRepository.createAtomic(
+            { owners_id: 2, estates_id: 1, clients_id: 1, invoice_date: '2025-04-01', tax_base: 100, iva: 21, irpf: 0, total: 121 },
+            NUMBERING
+        );
+
+        expect(result).toEqual([{ id: 55, invoice_number: 'JPG-2025-00007', created: true }]);
+        const upsert = connection.query.mock.calls.find(([sql]) => sql.includes('invoice_series_counters (series_id'));
+        expect(upsert[1]).toEqual([3, 2, 2025]);
+        expect(connection.commit).toHaveBeenCalled();
+    });
+
+    it('rolls back the reserved number when the insert fails', async () => {
+        const connection = mockConnection(async (sql) => {
+            if (sql.includes('SELECT last_number')) return [[{ last_number: 8 }]];
+            if (sql.includes('INSERT INTO invoices_issued')) throw new Error('insert failed');
+            return [{ affectedRows: 1 }];
+        });
+
+        await expect(InvoicesIssuedRepository.createAtomic(
+            { owners_id: 2, invoice_date: '2025-04-01' }, NUMBERING
+        )).rejects.toThrow('insert failed');
+        expect(connection.rollback).toHaveBeenCalled();
+        expect(connection.commit).not.toHaveBeenCalled();
+    });
+});
+
+describe('InvoiceSeriesService', () => {
+    beforeEach(() => {
+        jest.restoreAllMocks();
+        jest.spyOn(OwnersRepository, 'findById').mockResolvedValue([{ id: 2, identification: '12345678Z' }]);
+    });
+
+    it('previews the next number of the default series without reserving it', async () => {
+        jest.spyOn(InvoiceSeriesRepository, 'findForOwner').mockResolvedValue([
+            { id: 1, owners_id: null, series_type: 'invoice', pattern: '{OWNER}-{YYYY}-{SEQ:5}', owner_code: null },
+        ]);
+        jest.spyOn(InvoiceSeriesRepository, 'getLastNumber').mockResolvedValue(41);
+        const nextNumber = jest.spyOn(InvoiceSeriesRepository, 'nextNumber');
+
+        const preview = await InvoiceSeriesService.previewNextNumber({ owners_id: 2, date: '2025-11-30' });
+
+        expect(preview).toMatchObject({ series_id: 1, fiscal_year: 2025, next_sequence: 42, next_number: '12345678Z-2025-00042' });
+        expect(InvoiceSeriesRepository.getLastNumber).toHaveBeenCalledWith(1, 2, 2025);
+        expect(nextNumber).not.toHaveBeenCalled();
+    });
+
+    it('uses the refund series for rectificative invoices', async () => {
+        const findForOwner = jest.spyOn(InvoiceSeriesRepository, 'findForOwner').mockResolvedValue([
+            { id: 4, owners_id: 2, series_type: 'refund', pattern: 'R-{OWNER}-{YYYY}-{SEQ:5}', owner_code: 'JPG' },
+        ]);
+
+        const numbering = await InvoiceSeriesService.resolveSeries(2, 'refund');
+
+        expect(findForOwner).toHaveBeenCalledWith(2, 'refund');
+        expect(numbering).toEqual({ series_id: 4, pattern: 'R-{OWNER}-{YYYY}-{SEQ:5}', owner_code: 'JPG' });
+    });
+
+    it('refuses to delete the default series', async () => {
+        jest.spyOn(InvoiceSeriesRepository, 'findById').mockResolvedValue([{ id: 1, owners_id: null }]);
+        await expect(InvoiceSeriesService.deleteSeries(1)).rejects.toMatchObject({ statusCode: 400 });
+    });
+});
+
+describe('/api/invoice-series', () => {
+    it('requires owners_id to preview the next number', async () => {
+        const res = await request(app)
+            .get('/api/invoice-series/next-number')
+            .set('Authorization', `Bearer ${employeeToken}`);
+        expect(res.status).toBe(400);
+    });
+
+    it('rejects series creation by employees with 403', async () => {
+        const res = await request(app)
+            .post('/api/invoice-series')
+            .set('Authorization', `Bearer ${employeeToken}`)
+            .send({ owners_id: 2, pattern: 'JPG-{YYYY}-{SEQ:5}' });
+        expect(res.status).toBe(403);
+    });
+
+    it('rejects an invalid pattern with 400', async () => {
+        jest.spyOn(OwnersRepository, 'findById').mockResolvedValue([{ id: 2, identification: '12345678Z' }]);
+        const res = await request(app)
+            .post('/api/invoice-series')
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ owners_id: 2, pattern: 'JPG-{SEQ:5}' });
+        expect(res.status).toBe(400);
+    });
+});
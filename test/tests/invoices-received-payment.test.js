@@ -29,6 +29,14 @@ jest.unstable_mockModule('../../src/db/dbConnect.js', () => ({
 
 const { default: app } = await import('../../src/app.js');
 const { default: InvoicesReceivedService } = await import('../../src/services/invoicesReceivedServices.js');
+const { default: AuditService } = await import('../../src/services/auditServices.js');
+
+// El registro de auditoría se prueba en audit.test.js
+beforeEach(() => {
+    jest.spyOn(AuditService, 'snapshot').mockResolvedValue(null);
+    jest.spyOn(AuditService, 'record').mockResolvedValue([]);
+});
+afterEach(() => jest.restoreAllMocks());
 
 const adminToken = jwt.sign(
     { id: 1, username: 'testadmin', role: 'admin' },
@@ -0,0 +1,163 @@
+/**
+ * Lease billing tests.
+ *
+ * Regression guard: invoices generated from a lease must be split across the
+ * estate owners by ownership_percentage and prorated automatically when the
+ * lease starts or ends mid-month.
+ *
+ * Covered:
+ * - calculateLeasePeriod: full month, partial first month, partial last month, outside lease
+ * - buildInvoiceDrafts: owner split with rounding remainder, proportional totals
+ * - applyLeaseToInvoice: terminated leases are not billed
+ * - POST /api/leases: employee → 403, missing fields → 400, overlap → 409
+ */
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+
+jest.unstable_mockModule('../../src/db/dbConnect.js', () => ({
+    default: {
+        query: jest.fn(),
+        getConnection: jest.fn().mockResolvedValue({ release: jest.fn() }),
+    },
+}));
+
+const { default: app } = await import('../../src/app.js');
+const { default: db } = await import('../../src/db/dbConnect.js');
+const { default: LeasesService } = await import('../../src/services/leasesServices.js');
+const { default: CalculateHelper } = await import('../../src/shared/helpers/calculateTotal.js');
+const { default: LeasesRepository } = await import('../../src/repository/leasesRepository.js');
+
+const sign = (role) => jwt.sign(
+    { id: 1, username: `test${role}`, role },
+    'test-jwt-secret-only-not-for-production',
+    { expiresIn: '1h' }
+);
+const adminToken = sign('admin');
+const employeeToken = sign('employee');
+
+const LEASE = {
+    id: 7,
+    estates_id: 3,
+    clients_id: 5,
+    start_date: '2025-03-10',
+    end_date: '2025-06-20',
+    monthly_rent: '1000.00',
+    iva: '21.00',
+    irpf: '19.00',
+    billing_day: 1,
+    due_days: 10,
+    collection_method: 'transfer',
+};
+
+const OWNERS = [
+    { owners_id: 1, owner_name: 'Ana', ownership_percentage: '33.33' },
+    { owners_id: 2, owner_name: 'Luis', ownership_percentage: '33.33' },
+    { owners_id: 3, owner_name: 'Eva', ownership_percentage: '33.34' },
+];
+
+describe('CalculateHelper.calculateLeasePeriod', () => {
+    it('returns a full, non-proportional month inside the lease', () => {
+        expect(CalculateHelper.calculateLeasePeriod('2025-03-10', '2025-06-20', 2025, 4)).toEqual({
+            start_date: '2025-04-01',
+            end_date: '2025-04-30',
+            is_proportional: false,
+        });
+    });
+
+    it('prorates the first month when the lease starts mid-month', () => {
+        const period = CalculateHelper.calculateLeasePeriod('2025-03-10', null, 2025, 3);
+        expect(period).toEqual({ start_date: '2025-03-10', end_date: '2025-03-31', is_proportional: true });
+    });
+
+    it('prorates the last month when the lease ends mid-month', () => {
+        const period = CalculateHelper.calculateLeasePeriod('2025-03-10', '2025-06-20', 2025, 6);
+        expect(period).toEqual({ start_date: '2025-06-01', end_date: '2025-06-20', is_proportional: true });
+    });
+
+    it('returns null for a month outside the lease', () => {
+        expect(CalculateHelper.calculateLeasePeriod('2025-03-10', '2025-06-20', 2025, 7)).toBeNull();
+        expect(CalculateHelper.calculateLeasePeriod('2025-03-10', '2025-06-20', 2025, 2)).toBeNull();
+    });
+});
+
+describe('LeasesService.buildInvoiceDrafts', () => {
+    it('splits the rent by ownership and assigns the rounding remainder to the last owner', () => {
+        const drafts = LeasesService.buildInvoiceDrafts(LEASE, OWNERS, 2025, 4);
+
+        expect(drafts).toHaveLength(3);
+        expect(drafts.map(d => d.tax_base)).toEqual([333.3, 333.3, 333.4]);
+        expect(drafts.reduce((sum, d) => sum + d.tax_base, 0)).toBeCloseTo(1000, 2);
+        expect(drafts[0]).toMatchObject({
+            lease_id: 7, estates_id: 3, clients_id: 5, owners_id: 1,
+            invoice_date: '2025-04-01', due_date: '2025-04-11',
+            corresponding_month: '2025-04', is_proportional: false,
+        });
+    });
+
+    it('marks partial months as proportional and prorates the totals', () => {
+        const drafts = LeasesService.buildInvoiceDrafts(LEASE, OWNERS, 2025, 6);
+
+        expect(drafts[0]).toMatchObject({
+            is_proportional: true,
+            start_date: '2025-06-01',
+            end_date: '2025-06-20',
+        });
+        // 20 of 30 days
+        expect(drafts[0].billed_base).toBeCloseTo(222.2, 2);
+    });
+
+    it('returns no drafts outside the lease period', () => {
+        expect(LeasesService.buildInvoiceDrafts(LEASE, OWNERS, 2025, 8)).toEqual([]);
+    });
+});
+
+describe('LeasesService.applyLeaseToInvoice', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    it('rejects a terminated lease without end date with 409', async () => {
+        jest.spyOn(LeasesRepository, 'findById').mockResolvedValue([{ ...LEASE, end_date: null, status: 'terminated' }]);
+
+        await expect(LeasesService.applyLeaseToInvoice({
+            lease_id: 7, estates_id: 3, clients_id: 5, owners_id: 1, invoice_date: '2025-05-01'
+        })).rejects.toMatchObject({ statusCode: 409 });
+    });
+});
+
+describe('POST /api/leases', () => {
+    const body = { estates_id: 3, clients_id: 5, start_date: '2025-03-10', monthly_rent: 1000 };
+
+    beforeEach(() => db.query.mockReset());
+
+    it('rejects employees with 403', async () => {
+        const res = await request(app)
+            .post('/api/leases')
+            .set('Authorization', `Bearer ${employeeToken}`)
+            .send(body);
+
+        expect(res.statusCode).toBe(403);
+    });
+
+    it('rejects missing required fields with 400', async () => {
+        const res = await request(app)
+            .post('/api/leases')
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ estates_id: 3 });
+
+        expect(res.statusCode).toBe(400);
+    });
+
+    it('rejects an overlapping active lease with 409', async () => {
+        db.query
+            .mockResolvedValueOnce([[{ id: 3 }]])   // estate
+            .mockResolvedValueOnce([[{ id: 5 }]])   // client
+            .mockResolvedValueOnce([[{ id: 1 }]]);  // overlapping lease
+
+        const res = await request(app)
+            .post('/api/leases')
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send(body);
+
+        expect(res.statusCode).toBe(409);
+    });
+});
@@ -0,0 +1,276 @@
+/**
+ * Modelo 303 (quarterly VAT return) tests.
+ *
+ * Regression guard: the quarterly VAT liquidation is mapped into the Modelo 303
+ * boxes, compensation carried from the previous stored quarter feeds box 110,
+ * the AEAT import file keeps its fixed-width layout, and a quarter cannot be
+ * re-stored once a later one exists.
+ *
+ * Covered:
+ * - calculateModelo303: rate boxes, refunds, exempt base, deductible quotas
+ * - calculateModelo303: compensation applied/remaining, C vs D declaration types
+ * - formatAmount / buildModelo303File: signed cents, page tags, identification fields
+ * - getModelo303: box 110 from the previous stored carry_forward, manual fallback
+ * - saveModelo303: 409 when a later period is stored, upsert with carry_forward
+ * - /api/vat-book/modelo-303: period validation, file download, save restricted to admins
+ */
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+import { Buffer } from 'node:buffer';
+
+jest.unstable_mockModule('../../src/db/dbConnect.js', () => ({
+    default: {
+        query: jest.fn(),
+        getConnection: jest.fn().mockResolvedValue({ release: jest.fn() }),
+    },
+}));
+
+const { default: app } = await import('../../src/app.js');
+const { default: Modelo303Service } = await import('../../src/services/modelo303Services.js');
+const { default: Modelo303Repository } = await import('../../src/repository/modelo303Repository.js');
+const { default: VATBookService } = await import('../../src/services/VATBookServices.js');
+const { calculateModelo303 } = await import('../../src/shared/helpers/modelo303Helpers.js');
+const { buildModelo303File } = await import('../../src/shared/utils/AEAT/modelo303File.js');
+const { formatAmount } = await import('../../src/shared/utils/AEAT/aeatFileFormat.js');
+
+const sign = (role) => jwt.sign(
+    { id: 1, username: `test${role}`, role },
+    'test-jwt-secret-only-not-for-production',
+    { expiresIn: '1h' }
+);
+const adminToken = sign('admin');
+const employeeToken = sign('employee');
+
+const charged = (numeroFactura, tipoIVA, baseImponible, extra = {}) => ({
+    numeroFactura,
+    tipoIVA,
+    baseImponible,
+    cuotaIVA: Math.round(baseImponible * tipoIVA) / 100,
+    desgloseIVA: [{ tipoIVA, baseImponible, cuotaIVA: Math.round(baseImponible * tipoIVA) / 100 }],
+    claveOperacion: '01',
+    ...extra,
+});
+
+const supported = (baseImponible, cuotaIVA, extra = {}) => ({
+    numeroFactura: 'R-1',
+    baseImponible,
+    cuotaIVA,
+    deducible: true,
+    claveOperacion: '01',
+    ...extra,
+});
+
+const mockLiquidation = (chargedEntries, supportedEntries) =>
+    jest.spyOn(VATBookService, 'generateQuarterlyVATLiquidation').mockResolvedValue({
+        chargedBook: { entries: chargedEntries },
+        supportedBook: { entries: supportedEntries },
+        liquidation: { ivaRepercutido: 0, ivaSoportado: 0, resultadoLiquidacion: 'A_INGRESAR' },
+    });
+
+beforeEach(() => {
+    process.env.COMPANY_NIF = 'B12345678';
+    process.env.COMPANY_NAME = 'Gestión Inmobiliaria SL';
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('calculateModelo303', () => {
+    test('maps bases and quotas per rate, refunds and deductible quotas', () => {
+        const { boxes, exempt_base, warnings } = calculateModelo303(
+            [
+                charged('F-1', 21, 1000),
+                charged('F-2', 10, 500),
+                charged('F-3', 0, 800),
+                charged('A-1', 21, -200, { claveOperacion: '02' }),
+            ],
+            [
+                supported(300, 63),
+                supported(100, 21, { deducible: false }),
+                supported(-50, -10.5, { claveOperacion: '02' }),
+            ],
+            { quarter: 1 }
+        );
+
+        expect(boxes['07']).toBe(1000);
+        expect(boxes['08']).toBe(21);
+        expect(boxes['09']).toBe(210);
+        expect(boxes['04']).toBe(500);
+        expect(boxes['06']).toBe(50);
+        expect(boxes['14']).toBe(-200);
+        expect(boxes['15']).toBe(-42);
+        expect(boxes['27']).toBe(218);
+        expect(boxes['29']).toBe(63);
+        expect(boxes['41']).toBe(-10.5);
+        expect(boxes['45']).toBe(52.5);
+        expect(boxes['46']).toBe(165.5);
+        expect(boxes['71']).toBe(165.5);
+        expect(exempt_base).toBe(800);
+        expect(warnings).toEqual([]);
+    });
+
+    test('applies previous compensation only up to the positive result', () => {
+        const result = calculateModelo303([charged('F-1', 21, 1000)], [], { quarter: 2, pendingCompensation: 500 });
+
+        expect(result.boxes['110']).toBe(500);
+        expect(result.boxes['78']).toBe(210);
+        expect(result.boxes['87']).toBe(290);
+        expect(result.boxes['71']).toBe(0);
+        expect(result.declaration_type).toBe('N');
+        expect(result.compensation.carry_forward).toBe(290);
+    });
+
+    test('negative result is carried forward, or refunded in Q4 when requested', () => {
+        const compensate = calculateModelo303([], [supported(1000, 210)], { quarter: 3, pendingCompensation: 40 });
+        expect(compensate.declaration_type).toBe('C');
+        expect(compensate.boxes['78']).toBe(0);
+        expect(compensate.boxes['71']).toBe(-210);
+        expect(compensate.compensation.carry_forward).toBe(250);
+
+        const refund = calculateModelo303([], [supported(1000, 210)], { quarter: 4, requestRefund: true });
+        expect(refund.declaration_type).toBe('D');
+        expect(refund.compensation.carry_forward).toBe(0);
+    });
+
+    test('unsupported rates are reported as warnings', () => {
+        const { warnings, boxes } = calculateModelo303([charged('F-9', 7, 100)], [], { quarter: 1 });
+        expect(boxes['27']).toBe(0);
+        expect(warnings[0]).toContain('F-9');
+    });
+});
+
+describe('Modelo 303 AEAT file', () => {
+    test('amounts are signed cents with fixed width', () => {
+        expect(formatAmount(1234.5, 17)).toBe('00000000000123450');
+        expect(formatAmount(-1234.5, 17)).toBe('N0000000000123450');
+        expect(formatAmount(21, 5)).toBe('02100');
+    });
+
+    test('builds the tagged fixed-width record', () => {
+        const { boxes, declaration_type } = calculateModelo303([charged('F-1', 21, 1000)], [], { quarter: 1 });
+        const content = buildModelo303File(
+            { year: 2025, quarter: 1, declaration_type, boxes },
+            { nif: 'B12345678', name: 'Gestión Inmobiliaria SL' }
+        );
+
+        expect(content.startsWith('<T303020251T0000><AUX>')).toBe(true);
+        expect(content.endsWith('</T303020251T0000>')).toBe(true);
+        expect(content).not.toMatch(/[\r\n]/);
+
+        const page1 = content.slice(content.indexOf('<T30301000>'), content.indexOf('</T30301000>'));
+        expect(page1.slice(11, 13)).toBe(' I');
+        expect(page1.slice(13, 22)).toBe('B12345678');
+        expect(page1.slice(22, 102).trimEnd()).toBe('GESTIÓN INMOBILIARIA SL');
+        expect(page1.slice(117, 123)).toBe('20251T');
+        expect(page1).toContain('00000000000100000' + '02100' + '00000000000021000');
+        expect(content).toContain('<T30303000>');
+    });
+});
+
+describe('Modelo303Service', () => {
+    test('takes box 110 from the previous stored quarter', async () => {
+        mockLiquidation([charged('F-1', 21, 1000)], []);
+        jest.spyOn(Modelo303Repository, 'findPrevious').mockResolvedValue([{ fiscal_year: 2025, quarter: 1, carry_forward: '100.00' }]);
+        jest.spyOn(Modelo303Repository, 'findByPeriod').mockResolvedValue([]);
+
+        const declaration = await Modelo303Service.getModelo303(2025, 2, { previous_compensation: 999 });
+
+        expect(declaration.boxes['110']).toBe(100);
+        expect(declaration.boxes['71']).toBe(110);
+        expect(declaration.compensation.source).toBe('stored');
+        expect(declaration.compensation.previous_period).toBe('1T 2025');
+    });
+
+    test('uses the manual compensation when no previous quarter is stored', async () => {
+        mockLiquidation([], [supported(100, 21)]);
+        jest.spyOn(Modelo303Repository, 'findPrevious').mockResolvedValue([]);
+        jest.spyOn(Modelo303Repository, 'findByPeriod').mockResolvedValue([]);
+
+        const declaration = await Modelo303Service.getModelo303(2025, 1, { previous_compensation: 30 });
+
+        expect(declaration.compensation.source).toBe('manual');
+        expect(declaration.compensation.carry_forward).toBe(51);
+    });
+
+    test('save stores the carry forward and rejects when a later period exists', async () => {
+        mockLiquidation([], [supported(100, 21)]);
+        jest.spyOn(Modelo303Repository, 'findPrevious').mockResolvedValue([]);
+        jest.spyOn(Modelo303Repository, 'findByPeriod').mockResolvedValue([]);
+        const findLater = jest.spyOn(Modelo303Repository, 'findLater').mockResolvedValue([]);
+        const upsert = jest.spyOn(Modelo303Repository, 'upsert').mockResolvedValue([{ id: 1, created: true }]);
+
+        await Modelo303Service.saveModelo303(2025, 1, {}, 7);
+        expect(upsert).toHaveBeenCalledWith(expect.objectContaining({
+            nif: 'B12345678', fiscal_year: 2025, quarter: 1, declaration_type: 'C', carry_forward: 21, created_by: 7,
+        }));
+
+        findLater.mockResolvedValue([{ fiscal_year: 2025, quarter: 2 }]);
+        await expect(Modelo303Service.saveModelo303(2025, 1)).rejects.toMatchObject({
+            statusCode: 409, errorCode: 'MODELO_303_LATER_PERIOD_STORED',
+        });
+    });
+
+    test('missing company data is a 400', async () => {
+        delete process.env.COMPANY_NIF;
+        await expect(Modelo303Service.getModelo303(2025, 1)).rejects.toMatchObject({ statusCode: 400 });
+    });
+});
+
+describe('/api/vat-book/modelo-303', () => {
+    test('rejects an invalid quarter', async () => {
+        const res = await request(app)
+            .get('/api/vat-book/modelo-303/2025/5')
+            .set('Authorization', `Bearer ${employeeToken}`);
+        expect(res.status).toBe(400);
+    });
+
+    test('rejects a negative manual compensation', async () => {
+        const res = await request(app)
+            .get('/api/vat-book/modelo-303/2025/1?previous_compensation=-5')
+            .set('Authorization', `Bearer ${employeeToken}`);
+        expect(res.status).toBe(400);
+    });
+
+    test('downloads the AEAT file in ISO-8859-1', async () => {
+        mockLiquidation([charged('F-1', 21, 1000)], []);
+        jest.spyOn(Modelo303Repository, 'findPrevious').mockResolvedValue([]);
+        jest.spyOn(Modelo303Repository, 'findByPeriod').mockResolvedValue([]);
+
+        const res = await request(app)
+            .get('/api/vat-book/modelo-303/2025/1/file')
+            .set('Authorization', `Bearer ${employeeToken}`)
+            .buffer(true)
+            .parse((response, callback) => {
+                const chunks = [];
+                response.on('data', chunk => chunks.push(chunk));
+                response.on('end', () => callback(null, Buffer.concat(chunks)));
+            });
+
+        expect(res.status).toBe(200);
+        expect(res.headers['content-disposition']).toContain('B12345678_303_2025_1T.303');
+        expect(res.body.toString('latin1')).toContain('GESTIÓN INMOBILIARIA SL');
+    });
+
+    test('saving is restricted to admins', async () => {
+        const res = await request(app)
+            .post('/api/vat-book/modelo-303/2025/1')
+            .set('Authorization', `Bearer ${employeeToken}`)
+            .send({});
+        expect(res.status).toBe(403);
+
+        mockLiquidation([], []);
+        jest.spyOn(Modelo303Repository, 'findPrevious').mockResolvedValue([]);
+        jest.spyOn(Modelo303Repository, 'findByPeriod').mockResolvedValue([]);
+        jest.spyOn(Modelo303Repository, 'findLater').mockResolvedValue([]);
+        jest.spyOn(Modelo303Repository, 'upsert').mockResolvedValue([{ id: 1, created: true }]);
+
+        const ok = await request(app)
+            .post('/api/vat-book/modelo-303/2025/1')
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ request_refund: false });
+        expect(ok.status).toBe(201);
+        expect(ok.body.data.declaration_type).toBe('N');
+    });
+});
@@ -0,0 +1,212 @@
+/**
+ * Modelo 347 third-party operations tests.
+ *
+ * Regression guard: operations are aggregated per NIF and key with a quarterly
+ * split, only counterparts above 3,005.06 € are declared, purchases subject to
+ * withholding stay out, and rent operations carry the estate's cadastral
+ * reference into the AEAT file and the Excel review sheet.
+ *
+ * Covered:
+ * - aggregateModelo347: threshold, quarterly split, estates of rent operations
+ * - getModelo347: keys A/B, refunds, internal expenses, exclusions and warnings
+ * - buildModelo347File: 500-position records, signed amounts, estate records
+ * - ExcelGenerator.generateModelo347XML: declared, estates and review sheets
+ * - /api/tax-reports/modelo-347: year validation, AEAT file download
+ */
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+
+jest.unstable_mockModule('../../src/db/dbConnect.js', () => ({
+    default: {
+        query: jest.fn(),
+        getConnection: jest.fn().mockResolvedValue({ release: jest.fn() }),
+    },
+}));
+
+const { default: app } = await import('../../src/app.js');
+const { default: TaxReportsService } = await import('../../src/services/taxReportsServices.js');
+const { default: InvoicesIssuedRepository } = await import('../../src/repository/invoicesIssuedRepository.js');
+const { default: InvoicesReceivedRepository } = await import('../../src/repository/invoicesReceivedRepository.js');
+const { default: InternalExpensesRepository } = await import('../../src/repository/internalExpensesRepository.js');
+const { default: InvoiceLinesService } = await import('../../src/services/invoiceLinesServices.js');
+const { default: ExcelGenerator } = await import('../../src/shared/utils/excelGenerador/ExcelGenerator.js');
+const { aggregateModelo347 } = await import('../../src/shared/helpers/modelo347Helpers.js');
+const { buildModelo347File, RECORD_LENGTH } = await import('../../src/shared/utils/AEAT/modelo347File.js');
+
+const token = jwt.sign(
+    { id: 1, username: 'testemployee', role: 'employee' },
+    'test-jwt-secret-only-not-for-production',
+    { expiresIn: '1h' }
+);
+
+const issuedRow = (id, date, taxBase, iva, extra = {}) => ({
+    id, invoice_number: `FAC-${id}`, invoice_date: date, tax_base: taxBase, iva, irpf: 19, is_refund: false,
+    client_id: 2, client_nif: 'B87654321', client_name: 'Inquilina SL', client_postal_code: '28013',
+    estate_id: 10, cadastral_reference: '9872023VH5797S0001WX', estate_address: 'Calle Mayor 1, Bajo',
+    estate_postal_code: '28013', estate_location: 'Madrid', estate_province: 'Madrid',
+    ...extra,
+});
+
+const receivedRow = (id, date, taxBase, ivaAmount, extra = {}) => ({
+    id, invoice_number: `PROV-${id}`, invoice_date: date, category: 'mantenimiento', tax_base: taxBase,
+    iva_amount: ivaAmount, irpf_amount: 0, is_refund: false,
+    supplier_id: 5, supplier_nif: 'A11111111', supplier_name: 'Reformas SA', supplier_postal_code: '08001',
+    estate_id: null,
+    ...extra,
+});
+
+const mockData = ({ issued = [], received = [], expenses = [] }) => {
+    jest.spyOn(InvoicesIssuedRepository, 'getForModelo347').mockResolvedValue(issued);
+    jest.spyOn(InvoicesReceivedRepository, 'getForModelo347').mockResolvedValue(received);
+    jest.spyOn(InternalExpensesRepository, 'getForModelo347').mockResolvedValue(expenses);
+    jest.spyOn(InvoiceLinesService, 'attachLines').mockImplementation(async (type, rows) => rows.map(row => ({ ...row, lines: [] })));
+};
+
+beforeEach(() => {
+    process.env.COMPANY_NIF = 'B12345678';
+    process.env.COMPANY_NAME = 'Gestión Inmobiliaria SL';
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('aggregateModelo347', () => {
+    test('declares only counterparts above the threshold, per NIF and key', () => {
+        const operation = (nif, key, date, amount, extra = {}) => ({ key, nif, name: nif, postal_code: '28013', date, amount, document: `${nif}-${date}`, ...extra });
+        const { declared, below_threshold } = aggregateModelo347([
+            operation('B1', 'B', '2025-02-01', 2000, { is_rent: true, business_premises: true, estate: { id: 1, cadastral_reference: 'REF1' } }),
+            operation('B1', 'B', '2025-08-01', 2000, { is_rent: true, business_premises: true, estate: { id: 1, cadastral_reference: 'REF1' } }),
+            operation('B1', 'A', '2025-03-01', 500),
+            operation('B2', 'A', '2025-03-01', 3005.06),
+        ]);
+
+        expect(declared).toHaveLength(1);
+        expect(declared[0]).toMatchObject({
+            key: 'B', nif: 'B1', amount: 4000, province_code: '28', is_rent: true, business_premises: true,
+            by_quarter: { 1: 2000, 2: 0, 3: 2000, 4: 0 }, operation_count: 2,
+        });
+        expect(declared[0].estates).toEqual([{ id: 1, cadastral_reference: 'REF1', business_premises: true, amount: 4000 }]);
+        expect(below_threshold.map(group => group.nif)).toEqual(['B2', 'B1']);
+    });
+});
+
+describe('TaxReportsService.getModelo347', () => {
+    test('aggregates clients, suppliers and internal expenses with refunds and exclusions', async () => {
+        mockData({
+            issued: [
+                issuedRow(1, '2025-01-05', 1000, 21),
+                issuedRow(2, '2025-04-05', 1000, 21),
+                issuedRow(3, '2025-07-05', 1000, 21),
+                issuedRow(4, '2025-07-20', -200, 21, { is_refund: true }),
+            ],
+            received: [
+                receivedRow(1, '2025-02-10', 3000, 630),
+                receivedRow(2, '2025-05-10', 500, 105, { is_refund: true }),  // rectificativa en positivo
+                receivedRow(3, '2025-03-10', 5000, 0, { category: 'alquiler', irpf_amount: 950, supplier_nif: '11111111H' }),
+            ],
+            expenses: [
+                { id: 7, expense_date: '2025-11-02', receipt_number: 'T-7', supplier_nif: 'A11111111', supplier_name: 'Reformas SA', tax_base: 1000, iva_amount: 210 },
+                { id: 8, expense_date: '2025-11-02', receipt_number: 'T-8', supplier_nif: '', supplier_name: 'Ferretería', tax_base: 100, iva_amount: 21 },
+            ],
+        });
+
+        const report = await TaxReportsService.getModelo347(2025);
+
+        const client = report.declared.find(group => group.key === 'B');
+        expect(client).toMatchObject({ nif: 'B87654321', amount: 3388, business_premises: true });
+        expect(client.by_quarter).toEqual({ 1: 1210, 2: 1210, 3: 968, 4: 0 });
+        expect(client.estates[0]).toMatchObject({ cadastral_reference: '9872023VH5797S0001WX', amount: 3388 });
+
+        const supplier = report.declared.find(group => group.key === 'A');
+        expect(supplier).toMatchObject({ nif: 'A11111111', amount: 4235, is_rent: false, operation_count: 3 });
+        expect(supplier.by_quarter).toEqual({ 1: 3630, 2: -605, 3: 0, 4: 1210 });
+
+        expect(report.excluded.map(item => item.reason)).toEqual(['CON_RETENCION', 'SIN_NIF']);
+        expect(report.warnings[0]).toContain('Gasto T-8');
+        expect(report.totals).toEqual({ records: 2, amount: 7623, estates: 1, rent_amount: 3388 });
+    });
+
+    test('exempt housing rent is flagged as rent but not as business premises', async () => {
+        mockData({ issued: [issuedRow(1, '2025-01-05', 4000, 0)] });
+
+        const report = await TaxReportsService.getModelo347(2025);
+
+        expect(report.declared[0]).toMatchObject({ is_rent: true, business_premises: false });
+        expect(report.declared[0].estates[0].cadastral_reference).toBe('9872023VH5797S0001WX');
+        expect(report.totals.estates).toBe(0);
+    });
+});
+
+describe('modelo 347 outputs', () => {
+    test('AEAT file has a declarant, a counterpart and an estate record of 500 positions', async () => {
+        mockData({ issued: [issuedRow(1, '2025-01-05', 2000, 21), issuedRow(2, '2025-10-05', 2000, 21)] });
+
+        const { content } = await TaxReportsService.getModelo347File(2025);
+        const records = content.toString('latin1').split('\r\n');
+
+        expect(records).toHaveLength(3);
+        records.forEach(record => expect(record).toHaveLength(RECORD_LENGTH));
+        expect(records[0].slice(0, 17)).toBe('13472025B12345678');
+        expect(records[0].slice(135, 144)).toBe('000000001');
+        expect(records[0].slice(144, 160)).toBe(' 000000000484000');
+        expect(records[1].slice(0, 26)).toBe('23472025B12345678B87654321');
+        expect(records[1].slice(75, 82)).toBe('D28   B');
+        expect(records[1].slice(82, 98)).toBe(' 000000000484000');
+        expect(records[1][99]).toBe('X');
+        expect(records[1].slice(135, 151)).toBe(' 000000000242000');
+        expect(records[1].slice(231, 247)).toBe(' 000000000242000');
+        expect(records[2][75]).toBe('I');
+        expect(records[2].slice(98, 115)).toBe(' 0000000004840001');
+        expect(records[2].slice(115, 135)).toBe('9872023VH5797S0001WX');
+        expect(records[2].slice(328, 333)).toBe('28013');
+    });
+
+    test('negative amounts carry the N sign', () => {
+        const content = buildModelo347File({
+            year: 2025,
+            totals: { records: 1, amount: -4000, estates: 0, rent_amount: 0 },
+            declared: [{ key: 'A', nif: 'A11111111', name: 'Reformas SA', province_code: '08', amount: -4000,
+                by_quarter: { 1: -4000, 2: 0, 3: 0, 4: 0 }, business_premises: false, estates: [] }],
+        }, { nif: 'B12345678', name: 'Gestión Inmobiliaria SL' });
+
+        expect(content.split('\r\n')[1].slice(82, 98)).toBe('N000000000400000');
+    });
+
+    test('Excel review sheet lists declared, estates and excluded operations', async () => {
+        mockData({
+            issued: [issuedRow(1, '2025-01-05', 4000, 21)],
+            received: [receivedRow(3, '2025-03-10', 5000, 0, { irpf_amount: 950 })],
+        });
+
+        const report = await TaxReportsService.getModelo347(2025);
+        const xml = ExcelGenerator.generateModelo347XML(report, report.declarant);
+
+        expect(xml).toContain('<Worksheet ss:Name="DECLARADOS">');
+        expect(xml).toContain('<Worksheet ss:Name="INMUEBLES">');
+        expect(xml).toContain('<Data ss:Type="String">9872023VH5797S0001WX</Data>');
+        expect(xml).toContain('<Data ss:Type="Number">4840</Data>');
+        expect(xml).toContain('<Data ss:Type="String">CON_RETENCION</Data>');
+    });
+});
+
+describe('/api/tax-reports/modelo-347', () => {
+    test('rejects an invalid year', async () => {
+        const res = await request(app)
+            .get('/api/tax-reports/modelo-347/1999')
+            .set('Authorization', `Bearer ${token}`);
+        expect(res.status).toBe(400);
+    });
+
+    test('downloads the AEAT file', async () => {
+        mockData({ issued: [issuedRow(1, '2025-01-05', 4000, 21)] });
+
+        const res = await request(app)
+            .get('/api/tax-reports/modelo-347/2025/file')
+            .set('Authorization', `Bearer ${token}`);
+
+        expect(res.status).toBe(200);
+        expect(res.headers['content-disposition']).toContain('B12345678_347_2025.347');
+    });
+});
@@ -0,0 +1,192 @@
+/**
+ * Owner settlement (liquidación a propietarios) tests.
+ *
+ * Regression guard: a settlement pays the owner their collected rent minus the
+ * expenses charged to them (property ownership or stored general split) minus
+ * the management commission and its IVA. It moves draft → approved → paid, and
+ * every document it includes is locked until the settlement is deleted.
+ *
+ * Covered:
+ * - buildExpenseItem: ownership share, stored allocation, refunds subtract
+ * - calculateSettlementTotals: commission over the collected rent base plus IVA
+ * - OwnerSettlementService.createSettlement: dry run, empty period, stored draft
+ * - OwnerSettlementService.approveSettlement / paySettlement: state rules
+ * - assertNotSettled: settled documents cannot be modified
+ * - /api/owners/:id/settlements: validation, PDF download
+ */
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+
+jest.unstable_mockModule('../../src/db/dbConnect.js', () => ({
+    default: {
+        query: jest.fn(),
+        getConnection: jest.fn().mockResolvedValue({ release: jest.fn() }),
+    },
+}));
+
+const { default: app } = await import('../../src/app.js');
+const { default: OwnerSettlementService } = await import('../../src/services/ownerSettlementServices.js');
+const { default: OwnerSettlementsRepository } = await import('../../src/repository/ownerSettlementsRepository.js');
+const { default: OwnersRepository } = await import('../../src/repository/ownersRepository.js');
+const { default: InvoicesIssuedService } = await import('../../src/services/invoicesIssuedServices.js');
+const { default: InvoicesIssuedRepository } = await import('../../src/repository/invoicesIssuedRepository.js');
+const { buildExpenseItem, buildIssuedItem, calculateSettlementTotals } = await import('../../src/shared/helpers/ownerSettlementHelpers.js');
+
+const token = jwt.sign(
+    { id: 1, username: 'testemployee', role: 'employee' },
+    'test-jwt-secret-only-not-for-production',
+    { expiresIn: '1h' }
+);
+
+const owner = { id: 3, name: 'Ana', lastname: 'García', identification: '12345678Z' };
+
+const collected = [
+    { id: 10, invoice_number: 'FACT-0010', invoice_date: '2025-01-01', collection_date: '2025-01-05', tax_base: '1000.00', iva: 21, irpf: 19, total: '1020.00', estate_address: 'Calle Mayor 1' },
+];
+const received = [
+    { id: 20, reference: 'R-1', item_date: '2025-01-10', description: 'Fontanería', property_id: 7, tax_base: '200.00', iva_amount: '42.00', irpf_amount: '0.00', is_refund: 0, ownership_percentage: '50.00', allocated_total: null },
+];
+const internal = [
+    { id: 30, reference: null, item_date: '2025-01-15', description: 'Material de oficina', property_id: null, amount: '40.00', iva_amount: '8.40', ownership_percentage: null, allocation_percentage: '25.0000', allocated_base: '10.00', allocated_iva: '2.10', allocated_irpf: '0.00', allocated_total: '12.10' },
+];
+
+const storedSettlement = (overrides = {}) => ({
+    id: 5, owners_id: 3, period_start: '2025-01-01', period_end: '2025-01-31',
+    income: '1020.00', expenses: '133.10', commission_base: '1000.00', commission_rate: '8.00',
+    commission: '80.00', commission_iva: '16.80', net_amount: '790.10', status: 'draft',
+    owner_name: 'Ana', owner_lastname: 'García', owner_identification: '12345678Z',
+    ...overrides,
+});
+
+const mockPeriod = () => {
+    jest.spyOn(OwnersRepository, 'findById').mockResolvedValue([owner]);
+    jest.spyOn(OwnerSettlementsRepository, 'getCollectedInvoices').mockResolvedValue(collected);
+    jest.spyOn(OwnerSettlementsRepository, 'getReceivedExpenses').mockResolvedValue(received);
+    jest.spyOn(OwnerSettlementsRepository, 'getInternalExpenses').mockResolvedValue(internal);
+};
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('owner settlement helpers', () => {
+    test('charges the ownership share, the stored allocation and subtracts refunds', () => {
+        expect(buildExpenseItem('received', received[0])).toMatchObject({ percentage: 50, base: 100, iva: 21, irpf: 0, total: 121 });
+        expect(buildExpenseItem('internal', internal[0])).toMatchObject({ percentage: 25, base: 10, iva: 2.1, total: 12.1 });
+        expect(buildExpenseItem('received', { ...received[0], is_refund: 1 })).toMatchObject({ base: -100, iva: -21, total: -121 });
+    });
+
+    test('charges the commission over the collected rent base plus its IVA', () => {
+        const items = [
+            buildIssuedItem(collected[0]),
+            buildExpenseItem('received', received[0]),
+            buildExpenseItem('internal', internal[0]),
+        ];
+
+        expect(items[0]).toMatchObject({ item_date: '2025-01-05', base: 1000, iva: 210, irpf: 190, total: 1020, description: 'Alquiler Calle Mayor 1' });
+        expect(calculateSettlementTotals(items, 8, 21)).toEqual({
+            income: 1020, expenses: 133.1, commission_base: 1000, commission_rate: 8,
+            commission: 80, commission_iva: 16.8, net_amount: 790.1,
+        });
+    });
+});
+
+describe('OwnerSettlementService', () => {
+    test('previews a settlement without storing it', async () => {
+        mockPeriod();
+        const create = jest.spyOn(OwnerSettlementsRepository, 'create');
+
+        const result = await OwnerSettlementService.createSettlement(3, {
+            period_start: '2025-01-01', period_end: '2025-01-31', commission_rate: 8, dry_run: true,
+        });
+
+        expect(result).toMatchObject({ status: 'preview', net_amount: 790.1, owner: { nif: '12345678Z', name: 'Ana García' } });
+        expect(result.items).toHaveLength(3);
+        expect(create).not.toHaveBeenCalled();
+    });
+
+    test('stores a draft with the items and the default commission', async () => {
+        mockPeriod();
+        process.env.MANAGEMENT_FEE_RATE = '8';
+        const create = jest.spyOn(OwnerSettlementsRepository, 'create').mockResolvedValue([{ id: 5, created: true }]);
+        jest.spyOn(OwnerSettlementsRepository, 'findById').mockResolvedValue([storedSettlement()]);
+        jest.spyOn(OwnerSettlementsRepository, 'getItems').mockResolvedValue([]);
+
+        try {
+            const result = await OwnerSettlementService.createSettlement(3, { period_start: '2025-01-01', period_end: '2025-01-31', created_by: 1 });
+
+            expect(create.mock.calls[0][0]).toMatchObject({ owners_id: 3, commission_rate: 8, commission_iva: 16.8, created_by: 1 });
+            expect(create.mock.calls[0][1].map(item => `${item.item_type}:${item.item_id}`)).toEqual(['issued:10', 'received:20', 'internal:30']);
+            expect(result).toMatchObject({ id: 5, status: 'draft', net_amount: 790.1 });
+        } finally {
+            delete process.env.MANAGEMENT_FEE_RATE;
+        }
+    });
+
+    test('rejects a period with nothing left to settle', async () => {
+        jest.spyOn(OwnersRepository, 'findById').mockResolvedValue([owner]);
+        jest.spyOn(OwnerSettlementsRepository, 'getCollectedInvoices').mockResolvedValue([]);
+        jest.spyOn(OwnerSettlementsRepository, 'getReceivedExpenses').mockResolvedValue([]);
+        jest.spyOn(OwnerSettlementsRepository, 'getInternalExpenses').mockResolvedValue([]);
+
+        await expect(OwnerSettlementService.createSettlement(3, { period_start: '2025-01-01', period_end: '2025-01-31' }))
+            .rejects.toMatchObject({ statusCode: 409, errorCode: 'SETTLEMENT_EMPTY' });
+    });
+
+    test('only approves drafts and only pays approved settlements', async () => {
+        jest.spyOn(OwnerSettlementsRepository, 'findById').mockResolvedValue([storedSettlement({ status: 'approved' })]);
+        jest.spyOn(OwnerSettlementsRepository, 'getItems').mockResolvedValue([]);
+        const markAsPaid = jest.spyOn(OwnerSettlementsRepository, 'markAsPaid').mockResolvedValue([{ id: 5, paid: true }]);
+
+        await expect(OwnerSettlementService.approveSettlement(3, 5)).rejects.toMatchObject({ statusCode: 409 });
+        await expect(OwnerSettlementService.deleteSettlement(3, 5)).rejects.toMatchObject({ statusCode: 409 });
+        await OwnerSettlementService.paySettlement(3, 5, { paid_date: '2025-02-05', payment_reference: 'TRF-1' });
+
+        expect(markAsPaid).toHaveBeenCalledWith(5, '2025-02-05', 'TRF-1');
+    });
+
+    test('hides settlements of another owner', async () => {
+        jest.spyOn(OwnerSettlementsRepository, 'findById').mockResolvedValue([storedSettlement()]);
+
+        await expect(OwnerSettlementService.getSettlementById(4, 5)).rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    test('locks invoices included in a settlement', async () => {
+        jest.spyOn(InvoicesIssuedRepository, 'findById').mockResolvedValue([{ id: 10, owners_id: 3 }]);
+        jest.spyOn(OwnerSettlementsRepository, 'findSettlementsForItem').mockResolvedValue([{ id: 5, owners_id: 3, status: 'paid' }]);
+        const remove = jest.spyOn(InvoicesIssuedRepository, 'delete');
+
+        await expect(InvoicesIssuedService.deleteInvoice(10))
+            .rejects.toMatchObject({ statusCode: 409, errorCode: 'SETTLED_ITEM_LOCKED' });
+        expect(remove).not.toHaveBeenCalled();
+    });
+});
+
+describe('/api/owners/:id/settlements', () => {
+    test('rejects a period that ends before it starts', async () => {
+        const adminToken = jwt.sign({ id: 1, username: 'admin', role: 'admin' }, 'test-jwt-secret-only-not-for-production', { expiresIn: '1h' });
+
+        const res = await request(app)
+            .post('/api/owners/3/settlements')
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ period_start: '2025-02-01', period_end: '2025-01-01' });
+
+        expect(res.status).toBe(400);
+    });
+
+    test('downloads the settlement PDF', async () => {
+        jest.spyOn(OwnerSettlementsRepository, 'findById').mockResolvedValue([storedSettlement({ status: 'paid', paid_date: '2025-02-05', payment_reference: 'TRF-1' })]);
+        jest.spyOn(OwnerSettlementsRepository, 'getItems').mockResolvedValue([
+            { id: 1, item_type: 'issued', item_id: 10, item_date: '2025-01-05', reference: 'FACT-0010', description: 'Alquiler', percentage: '100.0000', base: '1000.00', iva: '210.00', irpf: '190.00', total: '1020.00' },
+        ]);
+
+        const res = await request(app)
+            .get('/api/owners/3/settlements/5/pdf')
+            .set('Authorization', `Bearer ${token}`);
+
+        expect(res.status).toBe(200);
+        expect(res.headers['content-type']).toMatch(/pdf/);
+        expect(res.headers['content-disposition']).toContain('liquidacion_12345678Z_5.pdf');
+    });
+});
@@ -0,0 +1,168 @@
+/**
+ * Owner tax statement (rendimientos del capital inmobiliario) tests.
+ *
+ * Regression guard: each owner gets a per-estate breakdown where expenses are
+ * apportioned by ownership, amortization is 3% of the cadastral construction
+ * value, and days rented come from the invoiced periods, so annual expenses
+ * and amortization only count for the rented part of the year.
+ *
+ * Covered:
+ * - countRentedDays: start/end dates, corresponding_month, overlaps, refunds
+ * - groupExpenses: category groups, proration, repairs capped by income
+ * - getOwnerTaxStatement: income, withholdings, IBI, community, amortization, net income
+ * - getOwnerTaxStatement: unknown owner (404), estate without construction value
+ * - /api/owners/:id/tax-statement: validation, PDF download
+ */
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+
+jest.unstable_mockModule('../../src/db/dbConnect.js', () => ({
+    default: {
+        query: jest.fn(),
+        getConnection: jest.fn().mockResolvedValue({ release: jest.fn() }),
+    },
+}));
+
+const { default: app } = await import('../../src/app.js');
+const { default: TaxReportsService } = await import('../../src/services/taxReportsServices.js');
+const { default: OwnersRepository } = await import('../../src/repository/ownersRepository.js');
+const { default: EstateOwnersRepository } = await import('../../src/repository/estatesOwnersRepository.js');
+const { default: InvoicesIssuedRepository } = await import('../../src/repository/invoicesIssuedRepository.js');
+const { default: InvoicesReceivedRepository } = await import('../../src/repository/invoicesReceivedRepository.js');
+const { default: InternalExpensesRepository } = await import('../../src/repository/internalExpensesRepository.js');
+const { default: InvoiceLinesService } = await import('../../src/services/invoiceLinesServices.js');
+const { countRentedDays, groupExpenses } = await import('../../src/shared/helpers/ownerTaxStatementHelpers.js');
+
+const token = jwt.sign(
+    { id: 1, username: 'testemployee', role: 'employee' },
+    'test-jwt-secret-only-not-for-production',
+    { expiresIn: '1h' }
+);
+
+const monthlyInvoice = (month) => ({
+    id: month, invoice_number: `FAC-${month}`, invoice_date: `2025-${String(month).padStart(2, '0')}-01`,
+    estates_id: 10, tax_base: 500, iva: 0, irpf: 19, total: 405, is_refund: false,
+    start_date: null, end_date: null, corresponding_month: `2025-${String(month).padStart(2, '0')}`,
+    cadastral_reference: '9872023VH5797S0001WX', estate_address: 'Calle Mayor 1',
+});
+
+const mockData = ({ owner = { id: 1, name: 'Ana', lastname: 'López', identification: '12345678Z' }, estates, issued = [], received = [], expenses = [] }) => {
+    jest.spyOn(OwnersRepository, 'findById').mockResolvedValue(owner ? [owner] : []);
+    jest.spyOn(EstateOwnersRepository, 'findByOwnerId').mockResolvedValue(estates ?? [{
+        estate_id: 10, ownership_percentage: '50.00', cadastral_reference: '9872023VH5797S0001WX', address: 'Calle Mayor 1',
+        cadastral_value: '100000.00', cadastral_construction_value: '60000.00',
+    }]);
+    jest.spyOn(InvoicesIssuedRepository, 'getForOwnerTaxStatement').mockResolvedValue(issued);
+    jest.spyOn(InvoicesReceivedRepository, 'getForOwnerTaxStatement').mockResolvedValue(received);
+    jest.spyOn(InternalExpensesRepository, 'getForOwnerTaxStatement').mockResolvedValue(expenses);
+    jest.spyOn(InvoiceLinesService, 'attachLines').mockImplementation(async (type, rows) => rows.map(row => ({ ...row, lines: [] })));
+};
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('owner tax statement helpers', () => {
+    test('counts each rented day once within the year', () => {
+        const days = countRentedDays([
+            { invoice_date: '2024-12-20', start_date: '2024-12-15', end_date: '2025-01-14' },
+            { invoice_date: '2025-01-01', corresponding_month: '2025-01' },           // solapa con la anterior
+            { invoice_date: '2025-03-01', start_date: new Date(2025, 2, 1), end_date: new Date(2025, 2, 10) },
+            { invoice_date: '2025-06-01', corresponding_month: '2025-06', is_refund: true },
+        ], 2025);
+
+        expect(days).toEqual({ days_in_year: 365, rented: 41, vacant: 324 });
+    });
+
+    test('prorates annual expenses and caps repairs at the income', () => {
+        const days = { days_in_year: 365, rented: 73, vacant: 292 };
+        const result = groupExpenses([
+            { category: 'impuestos', amount: 365 },
+            { category: 'reparaciones', amount: 800 },
+            { category: 'maintenance_repairs', amount: 400 },
+            { category: 'desconocida', amount: 10 },
+        ], days, 1000);
+
+        expect(result.lines.map(line => [line.key, line.amount, line.deductible])).toEqual([
+            ['ibi', 365, 73],
+            ['repairs', 1200, 1000],
+            ['other', 10, 10],
+        ]);
+        expect(result).toMatchObject({ total: 1575, deductible: 1083, repairs_excess: 200 });
+    });
+});
+
+describe('TaxReportsService.getOwnerTaxStatement', () => {
+    test('builds the per-estate breakdown for half a year rented', async () => {
+        mockData({
+            issued: [1, 2, 3, 4, 5, 6].map(monthlyInvoice),
+            received: [
+                { id: 1, property_id: 10, category: 'impuestos', tax_base: 400, iva_amount: 0, is_refund: false },
+                { id: 2, property_id: 10, category: 'comunidad', tax_base: 1200, iva_amount: 0, is_refund: false },
+                { id: 3, property_id: 10, category: 'reparaciones', tax_base: 1000, iva_amount: 210, is_refund: false },
+                { id: 4, property_id: 10, category: 'alquiler', tax_base: 900, iva_amount: 189, is_refund: false },
+            ],
+            expenses: [
+                { id: 7, property_id: 10, category: 'insurance', tax_base: 300, iva_amount: 0 },
+            ],
+        });
+
+        const statement = await TaxReportsService.getOwnerTaxStatement(1, 2025);
+        const [estate] = statement.estates;
+
+        expect(statement.owner).toEqual({ id: 1, nif: '12345678Z', name: 'Ana López' });
+        expect(estate.days).toEqual({ days_in_year: 365, rented: 181, vacant: 184 });
+        expect(estate.income).toEqual({ amount: 3000, invoice_count: 6 });
+        expect(estate.withholdings).toBe(570);
+        expect(estate.vat_deductible).toBe(false);
+        expect(estate.expenses.lines.map(line => [line.key, line.amount, line.deductible])).toEqual([
+            ['ibi', 200, 99.18],
+            ['community', 600, 297.53],
+            ['repairs', 605, 605],
+            ['insurance', 150, 150],
+        ]);
+        expect(estate.amortization).toEqual({ base: 60000, rate: 3, ownership_percentage: 50, amount: 446.3 });
+        expect(estate.net_income).toBe(1401.99);
+        expect(statement.totals).toMatchObject({ income: 3000, deductible_expenses: 1151.71, amortization: 446.3, withholdings: 570 });
+        expect(statement.warnings).toEqual([]);
+    });
+
+    test('warns when the construction value is missing', async () => {
+        mockData({
+            estates: [{ estate_id: 10, ownership_percentage: '100.00', cadastral_reference: 'REF', address: 'Calle', cadastral_value: null, cadastral_construction_value: null }],
+            issued: [monthlyInvoice(1)],
+        });
+
+        const statement = await TaxReportsService.getOwnerTaxStatement(1, 2025);
+
+        expect(statement.estates[0].amortization.amount).toBe(0);
+        expect(statement.warnings[0]).toContain('sin valor catastral de la construcción');
+    });
+
+    test('rejects an unknown owner', async () => {
+        mockData({ owner: null });
+
+        await expect(TaxReportsService.getOwnerTaxStatement(99, 2025)).rejects.toMatchObject({ statusCode: 404 });
+    });
+});
+
+describe('/api/owners/:id/tax-statement/:year', () => {
+    test('rejects an invalid year', async () => {
+        const res = await request(app)
+            .get('/api/owners/1/tax-statement/1999')
+            .set('Authorization', `Bearer ${token}`);
+        expect(res.status).toBe(400);
+    });
+
+    test('downloads the PDF', async () => {
+        mockData({ issued: [monthlyInvoice(1)] });
+
+        const res = await request(app)
+            .get('/api/owners/1/tax-statement/2025/pdf')
+            .set('Authorization', `Bearer ${token}`);
+
+        expect(res.status).toBe(200);
+        expect(res.headers['content-type']).toBe('application/pdf');
+    });
+});
@@ -0,0 +1,271 @@
+/**
+ * Client payments (cobros) tests.
+ *
+ * Regression guard: an issued invoice could only flip between pending and
+ * collected with a single collection date and reference. Payments are now
+ * allocated to one or several invoices; each invoice keeps an outstanding
+ * balance, is partially_collected until covered, and whatever is not
+ * allocated stays as credit for the client.
+ *
+ * Covered:
+ * - PaymentService.createPayment: oldest-first allocation, overpayment credit, explicit allocation checks
+ * - PaymentService.allocatePayment: nothing left to allocate, balances changed by a concurrent allocation
+ * - PaymentsRepository.create / addAllocations: invoice status derived from the outstanding balance,
+ *   invoice balance and payment credit re-checked under lock
+ * - InvoicesIssuedService.updateCollectionStatus: invoices with allocated payments are locked,
+ *   'deposit' is rejected so it cannot bypass that lock
+ * - InvoicesIssuedService.getPendingInvoicesAging: outstanding balances
+ * - /api/payments: validation
+ */
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+
+jest.unstable_mockModule('../../src/db/dbConnect.js', () => ({
+    default: {
+        query: jest.fn(),
+        getConnection: jest.fn().mockResolvedValue({ release: jest.fn() }),
+    },
+}));
+
+const { default: app } = await import('../../src/app.js');
+const { default: db } = await import('../../src/db/dbConnect.js');
+const { default: PaymentService } = await import('../../src/services/paymentServices.js');
+const { default: PaymentsRepository } = await import('../../src/repository/paymentsRepository.js');
+const { default: ClientsRepository } = await import('../../src/repository/clientsRepository.js');
+const { default: InvoicesIssuedService } = await import('../../src/services/invoicesIssuedServices.js');
+const { default: InvoicesIssuedRepository } = await import('../../src/repository/invoicesIssuedRepository.js');
+const { default: OwnerSettlementsRepository } = await import('../../src/repository/ownerSettlementsRepository.js');
+const { default: AccountingService } = await import('../../src/services/accountingServices.js');
+const { default: AuditService } = await import('../../src/services/auditServices.js');
+
+const adminToken = jwt.sign(
+    { id: 1, username: 'testadmin', role: 'admin' },
+    'test-jwt-secret-only-not-for-production',
+    { expiresIn: '1h' }
+);
+
+const outstandingInvoice = (overrides = {}) => ({
+    id: 30, invoice_number: 'FAC-0030', clients_id: 2, owners_id: 3, estates_id: 7,
+    invoice_date: '2025-01-01', due_date: '2025-01-10', total: '600.00', is_refund: 0,
+    collection_status: 'pending', collection_method: 'transfer', collection_date: null, collection_reference: null,
+    paid_amount: '0.00', deposit_applied: '0.00',
+    ...overrides,
+});
+
+const storedPayment = (overrides = {}) => ({
+    id: 9, clients_id: 2, payment_date: '2025-03-05', amount: '1500.00', method: 'transfer',
+    reference: 'TRF-88', notes: null, allocated_amount: '0.00',
+    client_name: 'Luis', client_lastname: 'Pérez', client_company_name: null, client_identification: '12345678Z',
+    ...overrides,
+});
+
+const mockPaymentCreation = ({ invoices, payment = storedPayment() }) => {
+    jest.spyOn(ClientsRepository, 'findById').mockResolvedValue([{ id: 2 }]);
+    jest.spyOn(PaymentsRepository, 'getOutstandingInvoices').mockResolvedValue(invoices);
+    jest.spyOn(PaymentsRepository, 'findById').mockResolvedValue([payment]);
+    jest.spyOn(PaymentsRepository, 'getAllocations').mockResolvedValue([]);
+    return jest.spyOn(PaymentsRepository, 'create').mockResolvedValue([{ id: 9, created: true }]);
+};
+
+beforeEach(() => {
+    // Los asientos contables se prueban en accounting.test.js
+    jest.spyOn(AccountingService, 'syncPayments').mockResolvedValue();
+    jest.spyOn(AccountingService, 'syncIssuedInvoice').mockResolvedValue();
+    jest.spyOn(AccountingService, 'syncReceivedInvoice').mockResolvedValue();
+    // El registro de auditoría de las facturas se prueba en audit.test.js
+    jest.spyOn(AuditService, 'snapshot').mockResolvedValue(null);
+    jest.spyOn(AuditService, 'record').mockResolvedValue([]);
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('PaymentService.createPayment', () => {
+    test('allocates to the oldest outstanding invoices and keeps the rest as credit', async () => {
+        const create = mockPaymentCreation({
+            invoices: [
+                outstandingInvoice({ paid_amount: '100.00' }),
+                outstandingInvoice({ id: 31, invoice_number: 'FAC-0031', due_date: '2025-02-10' }),
+            ],
+            payment: storedPayment({ allocated_amount: '1100.00' }),
+        });
+
+        const [payment] = await PaymentService.createPayment({ clients_id: 2, amount: 1500, reference: 'TRF-88' });
+
+        expect(create).toHaveBeenCalledWith(
+            expect.objectContaining({ clients_id: 2, amount: 1500, method: 'transfer', reference: 'TRF-88' }),
+            [{ invoice_issued_id: 30, amount: 500 }, { invoice_issued_id: 31, amount: 600 }]
+        );
+        expect(payment).toMatchObject({ allocated_amount: 1100, credit_amount: 400 });
+    });
+
+    test('splits a payment smaller than the debt, leaving the last invoice partially covered', async () => {
+        const create = mockPaymentCreation({
+            invoices: [outstandingInvoice(), outstandingInvoice({ id: 31, invoice_number: 'FAC-0031' })],
+        });
+
+        await PaymentService.createPayment({ clients_id: 2, amount: 800 });
+
+        expect(create.mock.calls[0][1]).toEqual([{ invoice_issued_id: 30, amount: 600 }, { invoice_issued_id: 31, amount: 200 }]);
+    });
+
+    test('rejects explicit allocations over the invoice balance, over the payment or to other invoices', async () => {
+        const create = mockPaymentCreation({ invoices: [outstandingInvoice({ deposit_applied: '200.00' })] });
+
+        await expect(PaymentService.createPayment({ clients_id: 2, amount: 1000, allocations: [{ invoice_issued_id: 30, amount: 450 }] }))
+            .rejects.toMatchObject({ statusCode: 400 });
+        await expect(PaymentService.createPayment({ clients_id: 2, amount: 300, allocations: [{ invoice_issued_id: 30 }] }))
+            .rejects.toMatchObject({ statusCode: 409 });
+        await expect(PaymentService.createPayment({ clients_id: 2, amount: 300, allocations: [{ invoice_issued_id: 99, amount: 100 }] }))
+            .rejects.toMatchObject({ statusCode: 400 });
+        expect(create).not.toHaveBeenCalled();
+    });
+
+    test('an empty allocation list keeps the whole payment as credit', async () => {
+        const create = mockPaymentCreation({ invoices: [outstandingInvoice()] });
+
+        await PaymentService.createPayment({ clients_id: 2, amount: 300, allocations: [] });
+
+        expect(create.mock.calls[0][1]).toEqual([]);
+    });
+});
+
+describe('PaymentService.allocatePayment', () => {
+    test('rejects payments with nothing left to allocate', async () => {
+        jest.spyOn(PaymentsRepository, 'findById').mockResolvedValue([storedPayment({ allocated_amount: '1500.00' })]);
+        jest.spyOn(PaymentsRepository, 'getAllocations').mockResolvedValue([]);
+        const addAllocations = jest.spyOn(PaymentsRepository, 'addAllocations');
+
+        await expect(PaymentService.allocatePayment(9)).rejects.toMatchObject({ statusCode: 409 });
+        expect(addAllocations).not.toHaveBeenCalled();
+    });
+
+    test('rejects the allocation when a concurrent one changed the balances', async () => {
+        jest.spyOn(PaymentsRepository, 'findById').mockResolvedValue([storedPayment({ allocated_amount: '1000.00' })]);
+        jest.spyOn(PaymentsRepository, 'getAllocations').mockResolvedValue([]);
+        jest.spyOn(PaymentsRepository, 'getOutstandingInvoices').mockResolvedValue([outstandingInvoice()]);
+        jest.spyOn(PaymentsRepository, 'addAllocations').mockResolvedValue([]);
+
+        await expect(PaymentService.allocatePayment(9)).rejects.toMatchObject({ statusCode: 409, errorCode: 'PAYMENT_ALLOCATION_CONFLICT' });
+    });
+});
+
+describe('PaymentsRepository.create / addAllocations', () => {
+    // locked: la factura al bloquearla, antes de imputar; invoice: al recalcular su estado
+    const mockConnection = (invoice, { locked = outstandingInvoice(), payment = storedPayment() } = {}) => {
+        const connection = {
+            beginTransaction: jest.fn(),
+            commit: jest.fn(),
+            rollback: jest.fn(),
+            release: jest.fn(),
+            query: jest.fn(async (sql) => {
+                if (sql.includes('ii.id IN (?)')) return [[locked]];
+                if (sql.includes('FROM payments p')) return [[payment]];
+                if (sql.includes('INSERT INTO payments')) return [{ insertId: 9 }];
+                if (sql.includes('INSERT INTO payment_allocations')) return [{ insertId: 1 }];
+                if (sql.includes('FROM invoices_issued ii')) return [[invoice]];
+                if (sql.includes('FROM payment_allocations pa')) return [[{ payment_date: '2025-03-05', method: 'cash', reference: 'REC-1' }]];
+                return [{ affectedRows: 1 }];
+            }),
+        };
+        db.getConnection.mockResolvedValueOnce(connection);
+        return connection;
+    };
+
+    const statusUpdate = (connection) => connection.query.mock.calls.find(([sql]) => sql.includes('UPDATE invoices_issued'))[1];
+
+    test('marks a partly paid invoice as partially collected', async () => {
+        const connection = mockConnection(outstandingInvoice({ paid_amount: '250.00', deposit_applied: '100.00' }));
+
+        await PaymentsRepository.create(storedPayment(), [{ invoice_issued_id: 30, amount: 250 }]);
+
+        expect(statusUpdate(connection)).toEqual(['partially_collected', 'transfer', null, null, 30]);
+        expect(connection.commit).toHaveBeenCalled();
+    });
+
+    test('marks a covered invoice as collected with the last payment data', async () => {
+        const connection = mockConnection(outstandingInvoice({ paid_amount: '600.00' }));
+
+        await PaymentsRepository.create(storedPayment(), [{ invoice_issued_id: 30, amount: 600 }]);
+
+        expect(statusUpdate(connection)).toEqual(['collected', 'cash', '2025-03-05', 'REC-1', 30]);
+    });
+
+    test('rolls back when a concurrent payment already covered the invoice', async () => {
+        const connection = mockConnection(outstandingInvoice(), { locked: outstandingInvoice({ paid_amount: '500.00' }) });
+
+        const result = await PaymentsRepository.create(storedPayment(), [{ invoice_issued_id: 30, amount: 600 }]);
+
+        expect(result).toEqual([]);
+        expect(connection.query.mock.calls.some(([sql]) => sql.includes('INSERT'))).toBe(false);
+        expect(connection.rollback).toHaveBeenCalled();
+        expect(connection.commit).not.toHaveBeenCalled();
+    });
+
+    test('does not spend the same client credit twice', async () => {
+        const connection = mockConnection(outstandingInvoice(), { payment: storedPayment({ allocated_amount: '1200.00' }) });
+
+        const result = await PaymentsRepository.addAllocations(9, [{ invoice_issued_id: 30, amount: 600 }]);
+
+        expect(result).toEqual([]);
+        expect(connection.query.mock.calls[0][0]).toContain('FOR UPDATE');
+        expect(connection.query.mock.calls.some(([sql]) => sql.includes('INSERT'))).toBe(false);
+        expect(connection.rollback).toHaveBeenCalled();
+    });
+});
+
+describe('InvoicesIssuedService', () => {
+    test('collection status of invoices with allocated payments is managed from the payments', async () => {
+        jest.spyOn(InvoicesIssuedRepository, 'findById').mockResolvedValue([outstandingInvoice({ collection_status: 'partially_collected' })]);
+        jest.spyOn(OwnerSettlementsRepository, 'findSettlementsForItem').mockResolvedValue([]);
+        jest.spyOn(PaymentsRepository, 'getAllocatedToInvoice').mockResolvedValue(200);
+        const updateCollection = jest.spyOn(InvoicesIssuedRepository, 'updateCollectionStatus');
+
+        await expect(InvoicesIssuedService.updateCollectionStatus(30, { collection_status: 'collected' }))
+            .rejects.toMatchObject({ statusCode: 409, errorCode: 'PAYMENTS_ALLOCATED' });
+        await expect(InvoicesIssuedService.updateCollectionStatus(30, { collection_status: 'partially_collected' }))
+            .rejects.toMatchObject({ statusCode: 400 });
+        expect(updateCollection).not.toHaveBeenCalled();
+    });
+
+    test('a deposit collection cannot be set by hand, so the payment guards cannot be skipped', async () => {
+        jest.spyOn(InvoicesIssuedRepository, 'findById').mockResolvedValue([outstandingInvoice()]);
+        jest.spyOn(OwnerSettlementsRepository, 'findSettlementsForItem').mockResolvedValue([]);
+        jest.spyOn(PaymentsRepository, 'getAllocatedToInvoice').mockResolvedValue(200);
+        const updateCollection = jest.spyOn(InvoicesIssuedRepository, 'updateCollectionStatus');
+
+        await expect(InvoicesIssuedService.updateCollectionStatus(30, { collection_status: 'pending', collection_method: 'deposit' }))
+            .rejects.toMatchObject({ statusCode: 400 });
+
+        const res = await request(app)
+            .put('/api/invoices-issued/30/collection')
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ collection_status: 'collected', collection_method: 'deposit' });
+
+        expect(res.status).toBe(400);
+        expect(updateCollection).not.toHaveBeenCalled();
+    });
+
+    test('aging is reported on the outstanding amount', async () => {
+        jest.spyOn(InvoicesIssuedRepository, 'getPendingInvoicesAging').mockResolvedValue([
+            { id: 30, total: '600.00', outstanding_amount: '350.00', aging_bucket: '1-30_DAYS' },
+        ]);
+
+        const [invoice] = await InvoicesIssuedService.getPendingInvoicesAging();
+
+        expect(invoice).toMatchObject({ id: 30, outstanding_amount: 350 });
+    });
+});
+
+describe('/api/payments', () => {
+    test('a payment without client or with an unknown method is rejected', async () => {
+        const res = await request(app)
+            .post('/api/payments')
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ amount: 100, method: 'bitcoin', allocations: [{ amount: 50 }] });
+
+        expect(res.status).toBe(400);
+    });
+});
@@ -0,0 +1,159 @@
+/**
+ * Rent review (actualización de rentas) tests.
+ *
+ * Regression guard: leases kept the same monthly_rent forever. Indexed leases
+ * are now reviewed on each anniversary with the stored IPC/IRAV values; an
+ * approved review moves the new rent to the lease (billed from the anniversary
+ * month) only if the lease still has the rent the review was computed from.
+ *
+ * Covered:
+ * - getNextAnniversary: first anniversary, after a review, 29 February
+ * - findIndexValue: latest value before the anniversary month, 12-month window
+ * - calculateReviewedRent: cap on the variation
+ * - RentReviewService.previewReviews / generateReviews: missing index
+ * - RentReviewService.approveReview: lease rent changed since generation
+ * - /api/rent-reviews: index validation and notification letter PDF
+ */
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+
+jest.unstable_mockModule('../../src/db/dbConnect.js', () => ({
+    default: {
+        query: jest.fn(),
+        getConnection: jest.fn().mockResolvedValue({ release: jest.fn() }),
+    },
+}));
+
+const { default: app } = await import('../../src/app.js');
+const { default: RentReviewService } = await import('../../src/services/rentReviewServices.js');
+const { default: RentReviewsRepository } = await import('../../src/repository/rentReviewsRepository.js');
+const {
+    calculateReviewedRent,
+    findIndexValue,
+    getNextAnniversary
+} = await import('../../src/shared/helpers/rentReviewHelpers.js');
+
+const adminToken = jwt.sign(
+    { id: 1, username: 'testadmin', role: 'admin' },
+    'test-jwt-secret-only-not-for-production',
+    { expiresIn: '1h' }
+);
+
+const indexes = [
+    { index_type: 'IPC', period: '2025-02', value: '3.000' },
+    { index_type: 'IPC', period: '2025-01', value: '2.900' },
+    { index_type: 'IRAV', period: '2024-12', value: '2.200' },
+];
+
+const ipcIndexes = indexes.filter(index => index.index_type === 'IPC');
+
+const indexedLease = (overrides = {}) => ({
+    id: 1, estates_id: 7, clients_id: 2, start_date: '2024-03-01', end_date: null, monthly_rent: '800.00',
+    indexation_type: 'IPC', indexation_cap: null, last_review_date: null,
+    estate_address: 'Calle Mayor 1', client_name: 'Luis', client_lastname: 'Pérez', client_company_name: null,
+    client_identification: '12345678Z',
+    ...overrides,
+});
+
+const storedReview = (overrides = {}) => ({
+    id: 5, lease_id: 1, review_date: '2025-03-01', index_type: 'IPC', index_period: '2025-02',
+    index_value: '3.000', applied_rate: '3.000', previous_rent: '800.00', new_rent: '824.00', status: 'pending',
+    notes: null, estates_id: 7, clients_id: 2, start_date: '2024-03-01', end_date: null, lease_rent: '800.00',
+    iva: '21.00', irpf: '0.00', billing_day: 1, estate_address: 'Calle Mayor 1', estate_cadastral_reference: null,
+    client_name: 'Luis', client_lastname: 'Pérez', client_company_name: null, client_identification: '12345678Z',
+    client_address: 'Calle Sol 2', client_postal_code: '28001', client_location: 'Madrid', client_province: 'Madrid',
+    ...overrides,
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('rent review helpers', () => {
+    test('the next anniversary follows the start date or the last review', () => {
+        expect(getNextAnniversary('2024-03-01')).toBe('2025-03-01');
+        expect(getNextAnniversary('2024-03-01', '2025-03-01')).toBe('2026-03-01');
+        expect(getNextAnniversary('2024-02-29')).toBe('2025-02-28');
+        expect(getNextAnniversary('2024-02-29', '2027-02-28')).toBe('2028-02-29');
+    });
+
+    test('the index is the latest published before the anniversary month, at most 12 months old', () => {
+        expect(findIndexValue(indexes, 'IPC', '2025-03-01')).toEqual({ period: '2025-02', value: 3 });
+        expect(findIndexValue(indexes, 'IPC', '2025-02-15')).toEqual({ period: '2025-01', value: 2.9 });
+        expect(findIndexValue(indexes, 'IRAV', '2026-01-01')).toBeNull();
+    });
+
+    test('the cap limits the variation applied to the rent', () => {
+        expect(calculateReviewedRent(800, 3)).toEqual({ applied_rate: 3, new_rent: 824 });
+        expect(calculateReviewedRent(800, 3, 2)).toEqual({ applied_rate: 2, new_rent: 816 });
+        expect(calculateReviewedRent(800, -1, 2)).toEqual({ applied_rate: -1, new_rent: 792 });
+    });
+});
+
+describe('RentReviewService', () => {
+    test('preview flags leases without a published index and skips future anniversaries', async () => {
+        jest.spyOn(RentReviewsRepository, 'getIndexedLeases').mockResolvedValue([
+            indexedLease(),
+            indexedLease({ id: 2, indexation_type: 'IRAV', start_date: '2023-03-10', last_review_date: '2024-03-10' }),
+            indexedLease({ id: 3, start_date: '2024-06-01' }),
+        ]);
+        jest.spyOn(RentReviewsRepository, 'getIndexes').mockResolvedValue(ipcIndexes);
+
+        const reviews = await RentReviewService.previewReviews('2025-03-31');
+
+        expect(reviews).toHaveLength(2);
+        expect(reviews[0]).toMatchObject({
+            lease_id: 1, review_date: '2025-03-01', index_period: '2025-02', new_rent: 824, missing_index: false
+        });
+        expect(reviews[1]).toMatchObject({ lease_id: 2, review_date: '2025-03-10', missing_index: true, new_rent: null });
+    });
+
+    test('generating with only missing indexes is rejected and nothing is stored', async () => {
+        jest.spyOn(RentReviewsRepository, 'getIndexedLeases').mockResolvedValue([indexedLease({ indexation_type: 'IRAV' })]);
+        jest.spyOn(RentReviewsRepository, 'getIndexes').mockResolvedValue(ipcIndexes);
+        const createSpy = jest.spyOn(RentReviewsRepository, 'createMany');
+
+        await expect(RentReviewService.generateReviews({ until_date: '2025-03-31' }))
+            .rejects.toMatchObject({ statusCode: 409, errorCode: 'RENT_REVIEWS_EMPTY' });
+        expect(createSpy).not.toHaveBeenCalled();
+    });
+
+    test('a review is not approved when the lease rent changed after it was generated', async () => {
+        jest.spyOn(RentReviewsRepository, 'findById').mockResolvedValue([storedReview({ lease_rent: '850.00' })]);
+        const approveSpy = jest.spyOn(RentReviewsRepository, 'approve');
+
+        await expect(RentReviewService.approveReview(5, 1)).rejects.toMatchObject({ statusCode: 409 });
+        expect(approveSpy).not.toHaveBeenCalled();
+    });
+});
+
+describe('/api/rent-reviews', () => {
+    test('an index with a malformed period is rejected', async () => {
+        const res = await request(app)
+            .post('/api/rent-reviews/indexes')
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ index_type: 'IPC', period: '2025-13', value: 3 });
+
+        expect(res.status).toBe(400);
+    });
+
+    test('the notification letter is returned as a PDF', async () => {
+        jest.spyOn(RentReviewsRepository, 'findById').mockResolvedValue([storedReview()]);
+
+        const res = await request(app)
+            .get('/api/rent-reviews/5/letter')
+            .set('Authorization', `Bearer ${adminToken}`)
+            .buffer(true)
+            .parse((response, callback) => {
+                const chunks = [];
+                response.on('data', chunk => chunks.push(chunk));
+                response.on('end', () => callback(null, Buffer.concat(chunks)));
+            });
+
+        expect(res.status).toBe(200);
+        expect(res.headers['content-type']).toBe('application/pdf');
+        expect(res.headers['content-disposition']).toContain('actualizacion_renta_1_2025-03-01.pdf');
+        expect(res.body.subarray(0, 4).toString()).toBe('%PDF');
+    });
+});
@@ -0,0 +1,225 @@
+/**
+ * Modelo 115 / 180 rent withholding tests.
+ *
+ * Regression guard: IRPF withheld on rent is grouped by landlord, tenant and
+ * estate, the withholdings the company practises feed the AEAT files, and both
+ * sides reconcile against the IRPF totals of the VAT books for the same period.
+ *
+ * Covered:
+ * - calculateWithholding: header vs line-based base and rate
+ * - groupWithholdings: one group per landlord/tenant/estate with quarterly split
+ * - getModelo115: boxes, practised vs suffered vs other withholdings, reconciliation
+ * - buildModelo115File / buildModelo180File: tags, 250-position records, field positions
+ * - getModelo180File: 422 when the cadastral reference is missing
+ * - /api/tax-reports: period validation, PDF download
+ */
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+
+jest.unstable_mockModule('../../src/db/dbConnect.js', () => ({
+    default: {
+        query: jest.fn(),
+        getConnection: jest.fn().mockResolvedValue({ release: jest.fn() }),
+    },
+}));
+
+const { default: app } = await import('../../src/app.js');
+const { default: TaxReportsService } = await import('../../src/services/taxReportsServices.js');
+const { default: InvoicesIssuedRepository } = await import('../../src/repository/invoicesIssuedRepository.js');
+const { default: InvoicesReceivedRepository } = await import('../../src/repository/invoicesReceivedRepository.js');
+const { default: InvoiceLinesService } = await import('../../src/services/invoiceLinesServices.js');
+const { default: VATBookService } = await import('../../src/services/VATBookServices.js');
+const { calculateWithholding, groupWithholdings } = await import('../../src/shared/helpers/rentWithholdingHelpers.js');
+const { buildModelo115File } = await import('../../src/shared/utils/AEAT/modelo115File.js');
+const { buildModelo180File, RECORD_LENGTH } = await import('../../src/shared/utils/AEAT/modelo180File.js');
+
+const token = jwt.sign(
+    { id: 1, username: 'testemployee', role: 'employee' },
+    'test-jwt-secret-only-not-for-production',
+    { expiresIn: '1h' }
+);
+
+const estate = (id, cadastral_reference = '9872023VH5797S0001WX') => ({
+    estate_id: id,
+    cadastral_reference,
+    estate_address: 'Calle Mayor 1, Bajo',
+    estate_postal_code: '28013',
+    estate_location: 'Madrid',
+    estate_province: 'Madrid',
+});
+
+const issuedRow = (id, date, taxBase, irpf) => ({
+    id, invoice_number: `FAC-${id}`, invoice_date: date, tax_base: taxBase, irpf, iva: 21,
+    owner_id: 1, owner_nif: '12345678Z', owner_name: 'Ana López',
+    client_id: 2, client_nif: 'B87654321', client_name: 'Inquilina SL',
+    ...estate(10),
+});
+
+const receivedRow = (id, date, taxBase, irpfAmount, category = 'alquiler', extra = {}) => ({
+    id, invoice_number: `PROV-${id}`, invoice_date: date, category, tax_base: taxBase,
+    irpf_percentage: 19, irpf_amount: irpfAmount,
+    supplier_id: 5, supplier_nif: '11111111H', supplier_name: 'Casero SA',
+    ...estate(20),
+    ...extra,
+});
+
+const mockData = ({ issued = [], received = [], chargedIrpf = 0, supportedIrpf = 0 }) => {
+    jest.spyOn(InvoicesIssuedRepository, 'getForRentWithholdings').mockResolvedValue(issued);
+    jest.spyOn(InvoicesReceivedRepository, 'getForRentWithholdings').mockResolvedValue(received);
+    jest.spyOn(InvoiceLinesService, 'attachLines').mockImplementation(async (type, rows) => rows.map(row => ({ ...row, lines: [] })));
+    jest.spyOn(VATBookService, 'generateVATChargedBook').mockResolvedValue({ totals: { totalCuotaIRPF: chargedIrpf } });
+    jest.spyOn(VATBookService, 'generateVATSupportedBook').mockResolvedValue({ totals: { totalCuotaIRPF: supportedIrpf } });
+};
+
+beforeEach(() => {
+    process.env.COMPANY_NIF = 'B12345678';
+    process.env.COMPANY_NAME = 'Gestión Inmobiliaria SL';
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('rent withholding helpers', () => {
+    test('base and rate come from the withheld lines when the invoice has lines', () => {
+        expect(calculateWithholding({ tax_base: '1000.00', irpf: '19.00' }, 190)).toEqual({ base: 1000, rate: 19, amount: 190 });
+
+        const withLines = calculateWithholding({
+            tax_base: 1100,
+            irpf: 0,
+            lines: [{ tax_base: 1000, irpf: 19 }, { tax_base: 100, irpf: 0 }],
+        }, 190);
+        expect(withLines).toEqual({ base: 1000, rate: 19, amount: 190 });
+    });
+
+    test('groups by landlord, tenant and estate with a quarterly split', () => {
+        const landlord = { nif: '12345678Z', name: 'Ana' };
+        const tenant = { nif: 'B87654321', name: 'Inquilina SL' };
+        const groups = groupWithholdings([
+            { invoice_number: 'A', invoice_date: '2025-01-10', landlord, tenant, estate: { id: 1 }, base: 1000, rate: 19, amount: 190 },
+            { invoice_number: 'B', invoice_date: '2025-04-10', landlord, tenant, estate: { id: 1 }, base: 1000, rate: 19, amount: 190 },
+            { invoice_number: 'C', invoice_date: '2025-04-10', landlord, tenant, estate: { id: 2 }, base: 500, rate: 19, amount: 95 },
+        ]);
+
+        expect(groups).toHaveLength(2);
+        expect(groups[0]).toMatchObject({ base: 2000, amount: 380, rate: 19, invoice_count: 2, invoices: ['A', 'B'] });
+        expect(groups[0].by_quarter['1']).toEqual({ base: 1000, amount: 190 });
+        expect(groups[0].by_quarter['2']).toEqual({ base: 1000, amount: 190 });
+    });
+});
+
+describe('TaxReportsService.getModelo115', () => {
+    test('splits practised, suffered and other withholdings and reconciles with the VAT book', async () => {
+        mockData({
+            issued: [
+                issuedRow(1, '2025-02-01', 1000, 19),
+                issuedRow(2, '2025-05-01', 1000, 19), // otro trimestre
+                issuedRow(3, '2025-03-01', 800, 0),   // sin retención
+            ],
+            received: [
+                receivedRow(1, '2025-01-15', 2000, 380),
+                receivedRow(2, '2025-02-15', 300, 45, 'servicios_profesionales', { estate_id: null }),
+            ],
+            chargedIrpf: 190,
+            supportedIrpf: 425,
+        });
+
+        const report = await TaxReportsService.getModelo115(2025, 1);
+
+        expect(report.boxes).toEqual({ '01': 1, '02': 2000, '03': 380, '04': 0, '05': 380 });
+        expect(report.declaration_type).toBe('I');
+        expect(report.withholdings_practised.groups[0]).toMatchObject({
+            landlord: { nif: '11111111H', name: 'Casero SA' },
+            tenant: { nif: 'B12345678' },
+            estate: { cadastral_reference: '9872023VH5797S0001WX', address: 'Calle Mayor 1, Bajo' },
+        });
+        expect(report.withholdings_suffered.totals).toMatchObject({ amount: 190, invoice_count: 1 });
+        expect(report.other_withholdings).toEqual({ amount: 45, invoice_count: 1 });
+        expect(report.reconciliation.matches).toBe(true);
+    });
+
+    test('reports a difference when the VAT book does not match', async () => {
+        mockData({ issued: [issuedRow(1, '2025-02-01', 1000, 19)], chargedIrpf: 200 });
+
+        const report = await TaxReportsService.getModelo115(2025, 1);
+
+        expect(report.reconciliation.charged).toMatchObject({ vat_book_irpf: 200, report_irpf: 190, difference: 10, matches: false });
+        expect(report.reconciliation.matches).toBe(false);
+    });
+});
+
+describe('AEAT files', () => {
+    test('modelo 115 is a tagged fixed-width record', () => {
+        const content = buildModelo115File(
+            { year: 2025, quarter: 2, declaration_type: 'I', boxes: { '01': 2, '02': 3000, '03': 570, '04': 0, '05': 570 } },
+            { nif: 'B12345678', name: 'Gestión Inmobiliaria SL' }
+        );
+
+        expect(content.startsWith('<T115020252T0000><AUX>')).toBe(true);
+        expect(content.endsWith('</T115020252T0000>')).toBe(true);
+        const page = content.slice(content.indexOf('<T11501000>'));
+        expect(page.slice(11, 22)).toBe(' IB12345678');
+        expect(page).toContain('000000000000002' + '00000000000300000' + '00000000000057000');
+    });
+
+    test('modelo 180 has a declarant record and one 250-position record per recipient and estate', async () => {
+        mockData({ received: [receivedRow(1, '2025-01-15', 2000, 380), receivedRow(2, '2025-07-15', 2000, 380)], supportedIrpf: 760 });
+
+        const { content, report } = await TaxReportsService.getModelo180File(2025);
+        const records = content.toString('latin1').split('\r\n');
+
+        expect(report.totals).toMatchObject({ records: 1, base: 4000, amount: 760 });
+        expect(records).toHaveLength(2);
+        records.forEach(record => expect(record).toHaveLength(RECORD_LENGTH));
+        expect(records[0].slice(0, 17)).toBe('11802025B12345678');
+        expect(records[1].slice(0, 26)).toBe('21802025B1234567811111111H');
+        expect(records[1].slice(78, 91)).toBe('0000000400000');
+        expect(records[1].slice(91, 95)).toBe('1900');
+        expect(records[1].slice(113, 133)).toBe('9872023VH5797S0001WX');
+        expect(records[1].slice(225, 230)).toBe('28013');
+    });
+
+    test('modelo 180 file requires the cadastral reference', async () => {
+        mockData({ received: [receivedRow(1, '2025-01-15', 2000, 380, 'alquiler', { estate_id: null })], supportedIrpf: 380 });
+
+        await expect(TaxReportsService.getModelo180File(2025)).rejects.toMatchObject({
+            statusCode: 422, errorCode: 'MODELO_180_INCOMPLETE',
+        });
+        const report = await TaxReportsService.getModelo180(2025);
+        expect(report.warnings[0]).toContain('PROV-1');
+    });
+
+    test('buildModelo180File works from a plain report', () => {
+        const content = buildModelo180File(
+            { year: 2025, totals: { records: 0, base: 0, amount: 0 }, withholdings_practised: { groups: [] } },
+            { nif: 'B12345678', name: 'Gestión Inmobiliaria SL' }
+        );
+        expect(content).toHaveLength(RECORD_LENGTH);
+    });
+});
+
+describe('/api/tax-reports', () => {
+    test('rejects an invalid quarter', async () => {
+        const res = await request(app)
+            .get('/api/tax-reports/modelo-115/2025/5')
+            .set('Authorization', `Bearer ${token}`);
+        expect(res.status).toBe(400);
+    });
+
+    test('requires authentication', async () => {
+        const res = await request(app).get('/api/tax-reports/modelo-180/2025');
+        expect(res.status).toBe(401);
+    });
+
+    test('downloads the modelo 180 PDF', async () => {
+        mockData({ issued: [issuedRow(1, '2025-02-01', 1000, 19)], received: [receivedRow(1, '2025-01-15', 2000, 380)], chargedIrpf: 190, supportedIrpf: 380 });
+
+        const res = await request(app)
+            .get('/api/tax-reports/modelo-180/2025/pdf')
+            .set('Authorization', `Bearer ${token}`);
+
+        expect(res.status).toBe(200);
+        expect(res.headers['content-type']).toBe('application/pdf');
+    });
+});
@@ -0,0 +1,276 @@
+/**
+ * SEPA credit transfer tests.
+ *
+ * Regression guard: supplier bank accounts were stored but every transfer was
+ * typed by hand in the bank portal. Due received invoices now produce a
+ * pain.001 file (one transfer per supplier, IBAN checksums validated, the
+ * supplier invoice numbers as remittance info) and stay in
+ * payment_in_progress until the transfer is confirmed or cancelled.
+ *
+ * Covered:
+ * - SepaRemittanceService.createCreditTransferRemittance: validation report, transfers grouped by supplier
+ * - SepaRemittanceService.buildTransfers: remittance info split when it does not fit
+ * - SepaRemittancesRepository.createCreditTransfer: invoices in progress in one transaction, rollback when outdated
+ * - SepaRemittancesRepository.confirmCreditTransfer: one payment per invoice with the remittance
+ * - SupplierPaymentService.createPayment / InvoicesReceivedService.updatePaymentStatus: in-progress invoices locked
+ * - /api/sepa-remittances/credit-transfers: validation
+ */
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+
+jest.unstable_mockModule('../../src/db/dbConnect.js', () => ({
+    default: {
+        query: jest.fn(),
+        getConnection: jest.fn().mockResolvedValue({ release: jest.fn() }),
+    },
+}));
+
+const { default: app } = await import('../../src/app.js');
+const { default: db } = await import('../../src/db/dbConnect.js');
+const { default: SepaRemittanceService } = await import('../../src/services/sepaRemittanceServices.js');
+const { default: SepaRemittancesRepository } = await import('../../src/repository/sepaRemittancesRepository.js');
+const { default: SupplierPaymentService } = await import('../../src/services/supplierPaymentServices.js');
+const { default: SupplierPaymentsRepository } = await import('../../src/repository/supplierPaymentsRepository.js');
+const { default: InvoicesReceivedService } = await import('../../src/services/invoicesReceivedServices.js');
+const { default: InvoicesReceivedRepository } = await import('../../src/repository/invoicesReceivedRepository.js');
+const { default: AuditService } = await import('../../src/services/auditServices.js');
+
+const adminToken = jwt.sign(
+    { id: 1, username: 'testadmin', role: 'admin' },
+    'test-jwt-secret-only-not-for-production',
+    { expiresIn: '1h' }
+);
+
+const EXECUTION_DATE = '2099-03-31';
+
+const transferInvoice = (overrides = {}) => ({
+    id: 40, invoice_number: 'PRV-0040', supplier_id: 5, invoice_date: '2025-02-01', due_date: '2025-03-01',
+    total_amount: '800.00', is_refund: 0, collection_status: 'pending', outstanding_amount: '800.00', in_open_run: 0,
+    supplier_name: 'Fontanería', supplier_company: 'Fontanería López SL', supplier_tax_id: 'B12345678',
+    supplier_bank_account: 'ES91 2100 0418 4502 0005 1332',
+    ...overrides,
+});
+
+const mockConnection = (handler) => {
+    const connection = {
+        beginTransaction: jest.fn(),
+        commit: jest.fn(),
+        rollback: jest.fn(),
+        release: jest.fn(),
+        query: jest.fn(async (sql) => handler(sql) ?? [{ affectedRows: 1 }]),
+    };
+    db.getConnection.mockResolvedValueOnce(connection);
+    return connection;
+};
+
+const originalEnv = { ...process.env };
+
+beforeEach(() => {
+    process.env.COMPANY_NAME = 'Gestión Alquileres SL';
+    process.env.COMPANY_NIF = 'B87654321';
+    process.env.COMPANY_BANK_ACCOUNT = 'ES79 2100 0813 6101 2345 6789';
+    // El registro de auditoría de las facturas se prueba en audit.test.js
+    jest.spyOn(AuditService, 'snapshot').mockResolvedValue(null);
+    jest.spyOn(AuditService, 'record').mockResolvedValue([]);
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    process.env = { ...originalEnv };
+});
+
+describe('SepaRemittanceService.createCreditTransferRemittance', () => {
+    const mockTransfer = (invoices) => {
+        jest.spyOn(SepaRemittancesRepository, 'getCreditTransferInvoices').mockResolvedValue(invoices);
+        jest.spyOn(SepaRemittancesRepository, 'findById').mockResolvedValue([{ id: 8, remittance_type: 'credit_transfer', status: 'generated' }]);
+        jest.spyOn(SepaRemittancesRepository, 'getItems').mockResolvedValue([]);
+        return jest.spyOn(SepaRemittancesRepository, 'createCreditTransfer').mockResolvedValue([{ id: 8, created: true }]);
+    };
+
+    test('lists every problem and generates nothing when an invoice cannot be paid', async () => {
+        const create = mockTransfer([
+            transferInvoice({ collection_status: 'paid' }),
+            transferInvoice({ id: 41, invoice_number: 'PRV-0041', due_date: '2099-06-30' }),
+            transferInvoice({ id: 42, invoice_number: 'PRV-0042', in_open_run: 1 }),
+            transferInvoice({ id: 50, invoice_number: 'LIM-9', supplier_id: 6, supplier_company: 'Limpiezas SA', supplier_bank_account: 'ES9221000418450200051332' }),
+        ]);
+
+        const error = await SepaRemittanceService.createCreditTransferRemittance({
+            invoice_ids: [40, 41, 42, 50], execution_date: EXECUTION_DATE,
+        }).catch(err => err);
+
+        expect(error).toMatchObject({ statusCode: 400, errorCode: 'SEPA_VALIDATION_FAILED' });
+        expect(error.message).toContain('factura PRV-0040 está en estado paid');
+        expect(error.message).toContain('factura PRV-0041 no vence hasta 2099-06-30');
+        expect(error.message).toContain('factura PRV-0042 está en una remesa de pago abierta');
+        expect(error.message).toContain('proveedor Limpiezas SA: IBAN no informado o no válido');
+        expect(create).not.toHaveBeenCalled();
+    });
+
+    test('builds one pain.001 transfer per supplier from the company account', async () => {
+        const create = mockTransfer([
+            transferInvoice({ collection_status: 'partially_paid', outstanding_amount: '500.00' }),
+            transferInvoice({ id: 41, invoice_number: 'PRV-0041', total_amount: '150.00', outstanding_amount: '150.00' }),
+            transferInvoice({ id: 50, invoice_number: 'LIM-9', supplier_id: 6, supplier_company: 'Limpiezas SA',
+                supplier_bank_account: 'ES7921000813610123456789', outstanding_amount: '90.00' }),
+        ]);
+
+        await SepaRemittanceService.createCreditTransferRemittance({ invoice_ids: [40, 41, 50], execution_date: EXECUTION_DATE, created_by: 1 });
+
+        const [remittance, items] = create.mock.calls[0];
+        expect(remittance).toMatchObject({
+            requested_date: EXECUTION_DATE, bank_account: 'ES7921000813610123456789', total_amount: 740, created_by: 1,
+        });
+        expect(remittance.message_id).toMatch(/^SCT-\d{17}$/);
+        expect(items).toEqual([
+            { invoice_received_id: 40, amount: 500, end_to_end_id: `${remittance.message_id}-1`, iban: 'ES9121000418450200051332' },
+            { invoice_received_id: 41, amount: 150, end_to_end_id: `${remittance.message_id}-1`, iban: 'ES9121000418450200051332' },
+            { invoice_received_id: 50, amount: 90, end_to_end_id: `${remittance.message_id}-2`, iban: 'ES7921000813610123456789' },
+        ]);
+
+        const xml = remittance.xml_content;
+        expect(xml).toContain('urn:iso:std:iso:20022:tech:xsd:pain.001.001.03');
+        expect(xml).toContain('<NbOfTxs>2</NbOfTxs>');
+        expect(xml).toContain('<CtrlSum>740.00</CtrlSum>');
+        expect(xml).toContain('<ReqdExctnDt>2099-03-31</ReqdExctnDt>');
+        expect(xml).toContain('<Nm>Gestion Alquileres SL</Nm>');
+        expect(xml).toContain('<IBAN>ES7921000813610123456789</IBAN>');
+        expect(xml).toContain('<InstdAmt Ccy="EUR">650.00</InstdAmt>');
+        expect(xml).toContain('<Ustrd>Facturas PRV-0040, PRV-0041</Ustrd>');
+        expect(xml).toContain('<Ustrd>Factura LIM-9</Ustrd>');
+        expect(xml).not.toContain('<CdtrAgt>');
+    });
+
+    test('the debit account must pass the IBAN checksum', async () => {
+        process.env.COMPANY_BANK_ACCOUNT = 'ES8021000813610123456789';
+        const getInvoices = jest.spyOn(SepaRemittancesRepository, 'getCreditTransferInvoices');
+
+        await expect(SepaRemittanceService.createCreditTransferRemittance({ invoice_ids: [40], execution_date: EXECUTION_DATE }))
+            .rejects.toMatchObject({ statusCode: 400 });
+        expect(getInvoices).not.toHaveBeenCalled();
+    });
+});
+
+describe('SepaRemittanceService.buildTransfers', () => {
+    test('splits the transfer of a supplier when the invoice numbers do not fit in the remittance info', () => {
+        const invoices = Array.from({ length: 12 }, (_, i) => transferInvoice({
+            id: 100 + i, invoice_number: `FACTURA-PROVEEDOR-${i}`, outstanding_amount: '10.00',
+        }));
+
+        const transfers = SepaRemittanceService.buildTransfers(invoices, 'SCT-1');
+
+        expect(transfers.length).toBeGreaterThan(1);
+        expect(transfers.every(transfer => transfer.remittance_info.length <= 140)).toBe(true);
+        expect(transfers.reduce((sum, transfer) => sum + transfer.invoices.length, 0)).toBe(12);
+        expect(transfers.reduce((sum, transfer) => sum + transfer.amount, 0)).toBe(120);
+    });
+});
+
+describe('SepaRemittancesRepository.createCreditTransfer', () => {
+    const remittance = { message_id: 'SCT-20990301120000000', requested_date: EXECUTION_DATE, bank_account: 'ES7921000813610123456789', total_amount: 650, xml_content: '<xml/>' };
+    const items = [
+        { invoice_received_id: 40, amount: 500, end_to_end_id: 'SCT-20990301120000000-1', iban: 'ES9121000418450200051332' },
+        { invoice_received_id: 41, amount: 150, end_to_end_id: 'SCT-20990301120000000-1', iban: 'ES9121000418450200051332' },
+    ];
+
+    test('marks the invoices as payment in progress with the remittance ID', async () => {
+        const connection = mockConnection((sql) => {
+            if (sql.includes('INSERT INTO sepa_remittances')) return [{ insertId: 8 }];
+        });
+
+        const result = await SepaRemittancesRepository.createCreditTransfer(remittance, items);
+
+        expect(result).toEqual([{ id: 8, created: true }]);
+        const updates = connection.query.mock.calls.filter(([sql]) => sql.includes('UPDATE invoices_received'));
+        expect(updates.map(([sql, params]) => [sql.includes("'payment_in_progress'"), params[0], params[1]])).toEqual([
+            [true, 'SCT-20990301120000000', 40],
+            [true, 'SCT-20990301120000000', 41],
+        ]);
+        expect(connection.commit).toHaveBeenCalledTimes(1);
+    });
+
+    test('saves nothing when an invoice is no longer payable', async () => {
+        const connection = mockConnection((sql) => {
+            if (sql.includes('INSERT INTO sepa_remittances')) return [{ insertId: 8 }];
+            if (sql.includes('UPDATE invoices_received')) return [{ affectedRows: 0 }];
+        });
+
+        expect(await SepaRemittancesRepository.createCreditTransfer(remittance, items)).toEqual([]);
+        expect(connection.rollback).toHaveBeenCalled();
+        expect(connection.commit).not.toHaveBeenCalled();
+    });
+});
+
+describe('SepaRemittancesRepository.confirmCreditTransfer', () => {
+    test('records one payment per invoice from the debit account and marks them paid', async () => {
+        const connection = mockConnection((sql) => {
+            if (sql.includes('FROM sepa_remittances')) return [[{ id: 8, message_id: 'SCT-1', bank_account: 'ES7921000813610123456789' }]];
+            if (sql.includes('FROM sepa_remittance_items sri')) return [[
+                { invoice_received_id: 40, amount: '500.00', collection_status: 'payment_in_progress' },
+                { invoice_received_id: 41, amount: '150.00', collection_status: 'payment_in_progress' },
+            ]];
+            if (sql.includes('FROM invoices_received ir')) return [[{ total_amount: '150.00', paid_amount: '150.00', collection_status: 'payment_in_progress' }]];
+            if (sql.includes('FROM supplier_payments')) return [[{ payment_date: EXECUTION_DATE, method: 'transfer', reference: 'SCT-1' }]];
+        });
+
+        const result = await SepaRemittancesRepository.confirmCreditTransfer(8, { payment_date: EXECUTION_DATE, confirmed_by: 1 });
+
+        expect(result).toEqual([{ id: 8, confirmed: true, payments: 2 }]);
+        const inserts = connection.query.mock.calls.filter(([sql]) => sql.includes('INSERT INTO supplier_payments'));
+        expect(inserts.map(([, params]) => params)).toEqual([
+            [40, 8, EXECUTION_DATE, '500.00', 'ES7921000813610123456789', 'SCT-1', 1],
+            [41, 8, EXECUTION_DATE, '150.00', 'ES7921000813610123456789', 'SCT-1', 1],
+        ]);
+        const statuses = connection.query.mock.calls
+            .filter(([sql]) => sql.includes('UPDATE invoices_received'))
+            .map(([, params]) => params[0]);
+        expect(statuses).toEqual(['paid', 'paid']);
+        expect(connection.query.mock.calls.some(([sql]) => sql.includes("SET status       = 'confirmed'"))).toBe(true);
+        expect(connection.commit).toHaveBeenCalledTimes(1);
+    });
+
+    test('records nothing when an invoice left payment in progress', async () => {
+        const connection = mockConnection((sql) => {
+            if (sql.includes('FROM sepa_remittances')) return [[{ id: 8, message_id: 'SCT-1', bank_account: 'ES7921000813610123456789' }]];
+            if (sql.includes('FROM sepa_remittance_items sri')) return [[{ invoice_received_id: 40, amount: '500.00', collection_status: 'pending' }]];
+        });
+
+        expect(await SepaRemittancesRepository.confirmCreditTransfer(8, { payment_date: EXECUTION_DATE })).toEqual([]);
+        expect(connection.rollback).toHaveBeenCalled();
+        expect(connection.query.mock.calls.some(([sql]) => sql.includes('INSERT INTO supplier_payments'))).toBe(false);
+    });
+});
+
+describe('invoices with a transfer in progress', () => {
+    test('are not paid separately nor changed by hand', async () => {
+        jest.spyOn(SupplierPaymentsRepository, 'getInvoiceBalance').mockResolvedValue([{
+            ...transferInvoice({ collection_status: 'payment_in_progress', collection_reference: 'SCT-1' }), paid_amount: '0.00',
+        }]);
+        const create = jest.spyOn(SupplierPaymentsRepository, 'create');
+
+        await expect(SupplierPaymentService.createPayment({ invoice_received_id: 40 }))
+            .rejects.toMatchObject({ statusCode: 409, errorCode: 'PAYMENT_IN_PROGRESS' });
+        expect(create).not.toHaveBeenCalled();
+
+        jest.spyOn(InvoicesReceivedRepository, 'findById').mockResolvedValue([{ id: 40, collection_status: 'payment_in_progress' }]);
+        const updatePayment = jest.spyOn(InvoicesReceivedRepository, 'updatePaymentStatus');
+
+        await expect(InvoicesReceivedService.updatePaymentStatus(40, { collection_status: 'payment_in_progress', collection_method: 'transfer' }))
+            .rejects.toMatchObject({ statusCode: 400 });
+        await expect(InvoicesReceivedService.updatePaymentStatus(40, { collection_status: 'paid', collection_method: 'transfer' }))
+            .rejects.toMatchObject({ statusCode: 409, errorCode: 'PAYMENT_IN_PROGRESS' });
+        expect(updatePayment).not.toHaveBeenCalled();
+    });
+});
+
+describe('/api/sepa-remittances/credit-transfers', () => {
+    test('a transfer with an invalid debit IBAN is rejected', async () => {
+        const res = await request(app)
+            .post('/api/sepa-remittances/credit-transfers')
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ invoice_ids: [40], bank_account: 'ES00 1234' });
+
+        expect(res.status).toBe(400);
+    });
+});
@@ -0,0 +1,254 @@
+/**
+ * SEPA direct debit remittance tests.
+ *
+ * Regression guard: tenants paying by direct debit had no mandate stored and
+ * the bank file was prepared by hand. Clients now hold their SEPA mandate,
+ * pending issued invoices are validated (IBAN checksums, mandates, creditor
+ * data) before anything is generated, one pain.008 file is built per
+ * creditor owner and the included invoices are marked as remitted.
+ *
+ * Covered:
+ * - sepaHelpers: IBAN checksum and creditor identifier
+ * - SepaRemittanceService.createDirectDebitRemittances: validation report, one file per owner, FRST/RCUR blocks
+ * - SepaRemittanceService.saveClientMandate: IBAN checksum and unique mandate reference
+ * - SepaRemittancesRepository.createDirectDebit: invoices remitted in one transaction, rollback when outdated
+ * - InvoicesIssuedService.updateCollectionStatus: remitted is not set by hand
+ * - /api/sepa-remittances: validation
+ */
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+
+jest.unstable_mockModule('../../src/db/dbConnect.js', () => ({
+    default: {
+        query: jest.fn(),
+        getConnection: jest.fn().mockResolvedValue({ release: jest.fn() }),
+    },
+}));
+
+const { default: app } = await import('../../src/app.js');
+const { default: db } = await import('../../src/db/dbConnect.js');
+const { default: SepaRemittanceService } = await import('../../src/services/sepaRemittanceServices.js');
+const { default: SepaRemittancesRepository } = await import('../../src/repository/sepaRemittancesRepository.js');
+const { default: ClientsRepository } = await import('../../src/repository/clientsRepository.js');
+const { default: InvoicesIssuedService } = await import('../../src/services/invoicesIssuedServices.js');
+const { default: InvoicesIssuedRepository } = await import('../../src/repository/invoicesIssuedRepository.js');
+const { default: OwnerSettlementService } = await import('../../src/services/ownerSettlementServices.js');
+const { default: AuditService } = await import('../../src/services/auditServices.js');
+const { buildCreditorId, isValidCreditorId, isValidIban } = await import('../../src/shared/helpers/sepaHelpers.js');
+
+const adminToken = jwt.sign(
+    { id: 1, username: 'testadmin', role: 'admin' },
+    'test-jwt-secret-only-not-for-production',
+    { expiresIn: '1h' }
+);
+
+const COLLECTION_DATE = '2099-01-15';
+
+const debitInvoice = (overrides = {}) => ({
+    id: 60, invoice_number: 'FACT-0060', clients_id: 9, owners_id: 3, invoice_date: '2025-03-01', due_date: '2025-03-05',
+    corresponding_month: '2025-03', total: '726.00', is_refund: 0, collection_status: 'pending', outstanding_amount: '726.00',
+    client_name: 'Lucía', client_lastname: 'Gómez Peña', client_company_name: null,
+    sepa_mandate_id: 'MND-0009', sepa_mandate_date: '2024-05-01', client_iban: 'ES9121000418450200051332',
+    client_bic: 'CAIXESBBXXX', sepa_sequence_type: 'RCUR',
+    owner_name: 'Antonio', owner_lastname: 'Ruiz', owner_identification: '47690558N',
+    owner_iban: 'ES7921000813610123456789', owner_bic: null, owner_creditor_id: null,
+    ...overrides,
+});
+
+const mockConnection = (handler) => {
+    const connection = {
+        beginTransaction: jest.fn(),
+        commit: jest.fn(),
+        rollback: jest.fn(),
+        release: jest.fn(),
+        query: jest.fn(async (sql) => handler(sql) ?? [{ affectedRows: 1 }]),
+    };
+    db.getConnection.mockResolvedValueOnce(connection);
+    return connection;
+};
+
+beforeEach(() => {
+    // El registro de auditoría de las facturas se prueba en audit.test.js
+    jest.spyOn(AuditService, 'snapshot').mockResolvedValue(null);
+    jest.spyOn(AuditService, 'record').mockResolvedValue([]);
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('sepaHelpers', () => {
+    test('validates IBAN check digits and builds the creditor identifier from the NIF', () => {
+        expect(isValidIban('ES91 2100 0418 4502 0005 1332')).toBe(true);
+        expect(isValidIban('ES9221000418450200051332')).toBe(false);
+        expect(isValidIban('ES91210004184502')).toBe(false);
+
+        expect(buildCreditorId('47690558N', 'ZZZ')).toBe('ES23ZZZ47690558N');
+        expect(isValidCreditorId('ES2300047690558N')).toBe(true);
+        expect(isValidCreditorId('ES2400047690558N')).toBe(false);
+    });
+});
+
+describe('SepaRemittanceService.createDirectDebitRemittances', () => {
+    const mockRemittances = (invoices) => {
+        jest.spyOn(SepaRemittancesRepository, 'getDirectDebitInvoices').mockResolvedValue(invoices);
+        jest.spyOn(SepaRemittancesRepository, 'findById').mockImplementation(async (id) => [{ id, remittance_type: 'direct_debit' }]);
+        jest.spyOn(SepaRemittancesRepository, 'getItems').mockResolvedValue([]);
+        let nextId = 1;
+        return jest.spyOn(SepaRemittancesRepository, 'createDirectDebit').mockImplementation(async () => [{ id: nextId++, created: true }]);
+    };
+
+    test('lists every problem and generates nothing when an invoice cannot be remitted', async () => {
+        const create = mockRemittances([
+            debitInvoice({ collection_status: 'collected' }),
+            debitInvoice({ id: 61, invoice_number: 'FACT-0061', sepa_mandate_id: null }),
+            debitInvoice({ id: 62, invoice_number: 'FACT-0062', client_iban: 'ES9221000418450200051332' }),
+        ]);
+
+        const error = await SepaRemittanceService.createDirectDebitRemittances({
+            invoice_ids: [60, 61, 62, 99], collection_date: COLLECTION_DATE,
+        }).catch(err => err);
+
+        expect(error).toMatchObject({ statusCode: 400, errorCode: 'SEPA_VALIDATION_FAILED' });
+        expect(error.message).toContain('factura 99 no encontrada');
+        expect(error.message).toContain('factura FACT-0060 está en estado collected');
+        expect(error.message).toContain('factura FACT-0061: el cliente no tiene mandato SEPA');
+        expect(error.message).toContain('IBAN del mandato MND-0009 no válido');
+        expect(create).not.toHaveBeenCalled();
+    });
+
+    test('owners without a valid IBAN cannot collect by direct debit', async () => {
+        const create = mockRemittances([debitInvoice({ owner_iban: null })]);
+
+        await expect(SepaRemittanceService.createDirectDebitRemittances({ invoice_ids: [60], collection_date: COLLECTION_DATE }))
+            .rejects.toMatchObject({ statusCode: 400, message: expect.stringContaining('propietario Antonio Ruiz: IBAN de abono') });
+        expect(create).not.toHaveBeenCalled();
+    });
+
+    test('builds one pain.008 file per creditor owner with the outstanding amount', async () => {
+        const create = mockRemittances([
+            debitInvoice({ outstanding_amount: '526.00' }),
+            debitInvoice({ id: 61, invoice_number: 'FACT-0061', clients_id: 10, sepa_mandate_id: 'MND-0010', sepa_sequence_type: 'FRST', client_bic: null }),
+            debitInvoice({ id: 70, invoice_number: 'FACT-0070', owners_id: 4, owner_name: 'María', owner_identification: 'B12345678',
+                owner_creditor_id: buildCreditorId('B12345678', 'ZZZ'), owner_iban: 'ES9121000418450200051332' }),
+        ]);
+
+        const result = await SepaRemittanceService.createDirectDebitRemittances({
+            invoice_ids: [60, 61, 70, 60], collection_date: COLLECTION_DATE, created_by: 1,
+        });
+
+        expect(result.map(remittance => remittance.id)).toEqual([1, 2]);
+        expect(create).toHaveBeenCalledTimes(2);
+
+        const [remittance, items] = create.mock.calls[0];
+        expect(remittance).toMatchObject({ owners_id: 3, requested_date: COLLECTION_DATE, total_amount: 1252, created_by: 1 });
+        expect(remittance.message_id).toMatch(/^SDD-\d{17}-3$/);
+        expect(items.map(item => [item.invoice_issued_id, item.amount, item.sequence_type, item.iban])).toEqual([
+            [60, 526, 'RCUR', 'ES9121000418450200051332'],
+            [61, 726, 'FRST', 'ES9121000418450200051332'],
+        ]);
+
+        const xml = remittance.xml_content;
+        expect(xml).toContain('urn:iso:std:iso:20022:tech:xsd:pain.008.001.02');
+        expect(xml).toContain(`<MsgId>${remittance.message_id}</MsgId>`);
+        expect(xml).toContain('<CtrlSum>1252.00</CtrlSum>');
+        expect(xml).toContain('<SeqTp>RCUR</SeqTp>');
+        expect(xml).toContain('<SeqTp>FRST</SeqTp>');
+        expect(xml).toContain('<ReqdColltnDt>2099-01-15</ReqdColltnDt>');
+        expect(xml).toContain(`<Id>${buildCreditorId('47690558N')}</Id>`);
+        expect(xml).toContain('<MndtId>MND-0010</MndtId>');
+        expect(xml).toContain('<DtOfSgntr>2024-05-01</DtOfSgntr>');
+        expect(xml).toContain('<Nm>Lucia Gomez Pena</Nm>');
+        expect(xml).toContain('<Ustrd>Factura FACT-0060 2025-03</Ustrd>');
+        expect(xml).toContain('<Id>NOTPROVIDED</Id>');
+
+        expect(create.mock.calls[1][0].xml_content).toContain(`<Id>${buildCreditorId('B12345678', 'ZZZ')}</Id>`);
+    });
+
+    test('the collection date must be after today', async () => {
+        const getInvoices = jest.spyOn(SepaRemittancesRepository, 'getDirectDebitInvoices');
+
+        await expect(SepaRemittanceService.createDirectDebitRemittances({ invoice_ids: [60], collection_date: '2020-01-01' }))
+            .rejects.toMatchObject({ statusCode: 400 });
+        expect(getInvoices).not.toHaveBeenCalled();
+    });
+});
+
+describe('SepaRemittanceService.saveClientMandate', () => {
+    test('rejects IBANs with wrong check digits and mandate references of another client', async () => {
+        jest.spyOn(ClientsRepository, 'findSepaMandate').mockResolvedValue([{ id: 9 }]);
+        jest.spyOn(ClientsRepository, 'findBySepaMandateId').mockResolvedValue([{ id: 12 }]);
+        const update = jest.spyOn(ClientsRepository, 'updateSepaMandate');
+        const mandate = { sepa_mandate_id: 'MND-0009', sepa_mandate_date: '2024-05-01', sepa_iban: 'ES9121000418450200051332' };
+
+        await expect(SepaRemittanceService.saveClientMandate(9, { ...mandate, sepa_iban: 'ES9221000418450200051332' }))
+            .rejects.toMatchObject({ statusCode: 400 });
+        await expect(SepaRemittanceService.saveClientMandate(9, mandate))
+            .rejects.toMatchObject({ statusCode: 409 });
+        expect(update).not.toHaveBeenCalled();
+    });
+});
+
+describe('SepaRemittancesRepository.createDirectDebit', () => {
+    const remittance = { message_id: 'SDD-20990110120000000-3', owners_id: 3, requested_date: COLLECTION_DATE, total_amount: 1452, xml_content: '<xml/>' };
+    const items = [
+        { invoice_issued_id: 60, clients_id: 9, amount: 726, end_to_end_id: 'FACT-0060', mandate_id: 'MND-0009', sequence_type: 'RCUR', iban: 'ES9121000418450200051332' },
+        { invoice_issued_id: 61, clients_id: 10, amount: 726, end_to_end_id: 'FACT-0061', mandate_id: 'MND-0010', sequence_type: 'FRST', iban: 'ES9121000418450200051332' },
+    ];
+
+    test('marks the invoices as remitted with the remittance ID and moves first debits to RCUR', async () => {
+        const connection = mockConnection((sql) => {
+            if (sql.includes('INSERT INTO sepa_remittances')) return [{ insertId: 5 }];
+        });
+
+        const result = await SepaRemittancesRepository.createDirectDebit(remittance, items);
+
+        expect(result).toEqual([{ id: 5, created: true }]);
+        const invoiceUpdates = connection.query.mock.calls.filter(([sql]) => sql.includes('UPDATE invoices_issued'));
+        expect(invoiceUpdates.map(([sql, params]) => [sql.includes("'remitted'"), params[0], params[1]])).toEqual([
+            [true, 'SDD-20990110120000000-3', 60],
+            [true, 'SDD-20990110120000000-3', 61],
+        ]);
+        const sequenceUpdates = connection.query.mock.calls.filter(([sql]) => sql.includes('UPDATE clients'));
+        expect(sequenceUpdates.map(([, params]) => params)).toEqual([[10]]);
+        expect(connection.commit).toHaveBeenCalledTimes(1);
+    });
+
+    test('saves nothing when an invoice is no longer pending', async () => {
+        const connection = mockConnection((sql) => {
+            if (sql.includes('INSERT INTO sepa_remittances')) return [{ insertId: 5 }];
+            if (sql.includes('UPDATE invoices_issued')) return [{ affectedRows: 0 }];
+        });
+
+        const result = await SepaRemittancesRepository.createDirectDebit(remittance, items);
+
+        expect(result).toEqual([]);
+        expect(connection.rollback).toHaveBeenCalled();
+        expect(connection.commit).not.toHaveBeenCalled();
+        expect(connection.query.mock.calls.some(([sql]) => sql.includes('INSERT INTO sepa_remittance_items'))).toBe(false);
+    });
+});
+
+describe('InvoicesIssuedService.updateCollectionStatus', () => {
+    test('invoices are only marked as remitted by a SEPA remittance', async () => {
+        jest.spyOn(InvoicesIssuedRepository, 'findById').mockResolvedValue([{ id: 60, collection_status: 'pending', collection_method: 'transfer' }]);
+        jest.spyOn(OwnerSettlementService, 'assertNotSettled').mockResolvedValue();
+        const update = jest.spyOn(InvoicesIssuedRepository, 'updateCollectionStatus');
+
+        await expect(InvoicesIssuedService.updateCollectionStatus(60, { collection_status: 'remitted', collection_method: 'direct_debit' }))
+            .rejects.toMatchObject({ statusCode: 400 });
+        expect(update).not.toHaveBeenCalled();
+    });
+});
+
+describe('/api/sepa-remittances', () => {
+    test('a remittance without invoices is rejected', async () => {
+        const res = await request(app)
+            .post('/api/sepa-remittances/direct-debits')
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ invoice_ids: [], collection_date: COLLECTION_DATE });
+
+        expect(res.status).toBe(400);
+    });
+});
@@ -0,0 +1,442 @@
+/**
+ * SEPA direct-debit return tests.
+ *
+ * Regression guard: a bounced direct debit left the invoice as remitted or
+ * collected and nobody chased the tenant. Returns are now imported from the
+ * bank's pain.002 / CAMT files or registered by hand: the invoice goes back to
+ * pending (undoing the direct-debit collection), the reason and bank charges
+ * are stored and posted to the ledger, the charges passed on to the tenant are
+ * invoiced to them and the tenant lands on the dunning list, which the
+ * notifications surface. The return is also part of the dunning history, and
+ * resolving its dunning list entry pauses the dunning letters for the invoice.
+ *
+ * Covered:
+ * - parseSepaReturns: pain.002 rejected transactions, CAMT entries with return info, invalid files
+ * - SepaReturnService.registerReturn: defaults from the remitted item, status and fee guards, settled invoices refused,
+ *   bank charges posted, fee invoiced (and left pending when it cannot be)
+ * - SepaReturnService.invoiceFee: 0% VAT fee invoice linked to the return, only pending fees
+ * - SepaReturnsRepository.create: remitted invoice reopened, direct-debit collection undone, rollback when not covered,
+ *   return in the dunning history, resolution pauses lifted
+ * - SepaReturnsRepository.resolveDunningEntry: dunning letters paused unless already paused
+ * - SepaReturnService.importReturns: unknown references and non-returnable invoices are skipped
+ * - SepaReturnService.updateFeeStatus: only pending fees
+ * - NotificationsRepository.getComputedNotifications: dunning list entry
+ * - /api/sepa-returns: validation
+ */
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+
+jest.unstable_mockModule('../../src/db/dbConnect.js', () => ({
+    default: {
+        query: jest.fn(),
+        getConnection: jest.fn().mockResolvedValue({ release: jest.fn() }),
+    },
+}));
+
+const { default: app } = await import('../../src/app.js');
+const { default: db } = await import('../../src/db/dbConnect.js');
+const { default: SepaReturnService } = await import('../../src/services/sepaReturnServices.js');
+const { default: SepaReturnsRepository } = await import('../../src/repository/sepaReturnsRepository.js');
+const { default: PaymentsRepository } = await import('../../src/repository/paymentsRepository.js');
+const { default: NotificationsRepository } = await import('../../src/repository/notificationsRepository.js');
+const { default: AuditService } = await import('../../src/services/auditServices.js');
+const { default: AccountingService } = await import('../../src/services/accountingServices.js');
+const { default: InvoicesIssuedService } = await import('../../src/services/invoicesIssuedServices.js');
+const { default: InvoicesIssuedRepository } = await import('../../src/repository/invoicesIssuedRepository.js');
+const { default: OwnerSettlementsRepository } = await import('../../src/repository/ownerSettlementsRepository.js');
+const { parseSepaReturns } = await import('../../src/shared/utils/Sepa/sepaReturnsParser.js');
+
+const adminToken = jwt.sign(
+    { id: 1, username: 'testadmin', role: 'admin' },
+    'test-jwt-secret-only-not-for-production',
+    { expiresIn: '1h' }
+);
+
+const pain002 = `<?xml version="1.0" encoding="UTF-8"?>
+<Document xmlns="urn:iso:std:iso:20022:tech:xsd:pain.002.001.03">
+  <CstmrPmtStsRpt>
+    <GrpHdr><MsgId>STS-0001</MsgId><CreDtTm>2025-03-08T09:15:00</CreDtTm></GrpHdr>
+    <OrgnlGrpInfAndSts><OrgnlMsgId>REM-2025-03</OrgnlMsgId><OrgnlMsgNmId>pain.008.001.02</OrgnlMsgNmId><GrpSts>PART</GrpSts></OrgnlGrpInfAndSts>
+    <OrgnlPmtInfAndSts>
+      <TxInfAndSts>
+        <OrgnlEndToEndId>FRA-2025-0007</OrgnlEndToEndId><TxSts>RJCT</TxSts>
+        <StsRsnInf><Rsn><Cd>AM04</Cd></Rsn></StsRsnInf>
+        <ChrgsInf><Amt Ccy="EUR">3.50</Amt></ChrgsInf>
+        <OrgnlTxRef><Amt><InstdAmt Ccy="EUR">1210.00</InstdAmt></Amt></OrgnlTxRef>
+      </TxInfAndSts>
+      <TxInfAndSts>
+        <OrgnlEndToEndId>FRA-2025-0008</OrgnlEndToEndId><TxSts>ACSC</TxSts>
+        <OrgnlTxRef><Amt><InstdAmt Ccy="EUR">650.00</InstdAmt></Amt></OrgnlTxRef>
+      </TxInfAndSts>
+    </OrgnlPmtInfAndSts>
+  </CstmrPmtStsRpt>
+</Document>`;
+
+const camt054 = `<?xml version="1.0" encoding="UTF-8"?>
+<Document xmlns="urn:iso:std:iso:20022:tech:xsd:camt.054.001.02">
+  <BkToCstmrDbtCdtNtfctn>
+    <Ntfctn>
+      <Ntry>
+        <Amt Ccy="EUR">650.00</Amt><CdtDbtInd>DBIT</CdtDbtInd><Sts>BOOK</Sts>
+        <BookgDt><Dt>2025-04-09</Dt></BookgDt>
+        <NtryDtls><TxDtls>
+          <Refs><MsgId>REM-2025-04</MsgId><EndToEndId>FRA-2025-0012</EndToEndId></Refs>
+          <Chrgs><Amt Ccy="EUR">2.00</Amt></Chrgs>
+          <RtrInf><Rsn><Cd>MD06</Cd></Rsn></RtrInf>
+        </TxDtls></NtryDtls>
+      </Ntry>
+      <Ntry>
+        <Amt Ccy="EUR">80.00</Amt><CdtDbtInd>CRDT</CdtDbtInd><Sts>BOOK</Sts>
+        <BookgDt><Dt>2025-04-09</Dt></BookgDt>
+        <NtryDtls><TxDtls><Refs><EndToEndId>OTRO</EndToEndId></Refs></TxDtls></NtryDtls>
+      </Ntry>
+    </Ntfctn>
+  </BkToCstmrDbtCdtNtfctn>
+</Document>`;
+
+const mockConnection = (handler) => {
+    const connection = {
+        beginTransaction: jest.fn(),
+        commit: jest.fn(),
+        rollback: jest.fn(),
+        release: jest.fn(),
+        query: jest.fn(async (sql) => handler(sql) ?? [{ affectedRows: 1 }]),
+    };
+    db.getConnection.mockResolvedValueOnce(connection);
+    return connection;
+};
+
+const invoiceBalance = (overrides = {}) => ({
+    id: 70, invoice_number: 'FRA-2025-0007', clients_id: 3, total: '1210.00',
+    collection_status: 'remitted', paid_amount: '0.00', deposit_applied: '0.00', ...overrides,
+});
+
+const returnRow = (overrides = {}) => ({
+    id: 5, source: 'manual', sepa_remittance_id: 9, sepa_remittance_item_id: 41, invoice_issued_id: 70,
+    invoice_number: 'FRA-2025-0007', collection_status: 'pending', clients_id: 3, client_name: 'Ana',
+    client_lastname: 'Pérez', end_to_end_id: 'FRA-2025-0007', return_date: '2025-03-08', amount: '1210.00',
+    reversed_amount: '0.00', reason_code: 'AM04', reason_description: 'Saldo insuficiente', bank_charges: '3.50',
+    fee_amount: '0.00', fee_status: 'none', ...overrides,
+});
+
+const returnData = (overrides = {}) => ({
+    source: 'manual', sepa_remittance_id: 9, sepa_remittance_item_id: 41, invoice_issued_id: 70,
+    end_to_end_id: 'FRA-2025-0007', return_date: '2025-03-08', amount: 1210, reason_code: 'AM04',
+    reason_description: 'Saldo insuficiente', bank_charges: 3.5, fee_amount: 3.5, fee_status: 'pending',
+    notes: null, created_by: 1, ...overrides,
+});
+
+beforeEach(() => {
+    // El registro de auditoría de las facturas se prueba en audit.test.js
+    jest.spyOn(AuditService, 'snapshot').mockResolvedValue(null);
+    jest.spyOn(AuditService, 'record').mockResolvedValue([]);
+    jest.spyOn(OwnerSettlementsRepository, 'findSettlementsForItem').mockResolvedValue([]);
+    // Los asientos se prueban en accounting.test.js
+    jest.spyOn(AccountingService, 'syncSepaReturn').mockResolvedValue(undefined);
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('parseSepaReturns', () => {
+    test('reads the rejected transactions of a pain.002', () => {
+        expect(parseSepaReturns(pain002)).toEqual({
+            format: 'pain002',
+            returns: [{
+                end_to_end_id: 'FRA-2025-0007', original_message_id: 'REM-2025-03', amount: 1210,
+                reason_code: 'AM04', return_date: '2025-03-08', bank_charges: 3.5,
+            }],
+        });
+    });
+
+    test('reads the entries with return information of a CAMT.054', () => {
+        expect(parseSepaReturns(camt054)).toEqual({
+            format: 'camt',
+            returns: [{
+                end_to_end_id: 'FRA-2025-0012', original_message_id: 'REM-2025-04', amount: 650,
+                reason_code: 'MD06', return_date: '2025-04-09', bank_charges: 2,
+            }],
+        });
+    });
+
+    test('rejects files that are not return files or have no returns', () => {
+        expect(() => parseSepaReturns('<Document><CstmrCdtTrfInitn/></Document>'))
+            .toThrow(expect.objectContaining({ statusCode: 400, errorCode: 'INVALID_RETURN_FILE' }));
+        expect(() => parseSepaReturns(pain002.replace('<TxSts>RJCT</TxSts>', '<TxSts>ACSC</TxSts>')))
+            .toThrow(expect.objectContaining({ errorCode: 'INVALID_RETURN_FILE' }));
+    });
+});
+
+describe('SepaReturnService.registerReturn', () => {
+    test('defaults the amount to the remitted item and passes the charges on to the tenant', async () => {
+        jest.spyOn(PaymentsRepository, 'getInvoiceBalance').mockResolvedValue([invoiceBalance()]);
+        jest.spyOn(SepaReturnsRepository, 'findLatestRemittanceItemForInvoice').mockResolvedValue([
+            { id: 41, remittance_id: 9, invoice_issued_id: 70, amount: '1210.00', end_to_end_id: 'FRA-2025-0007' },
+        ]);
+        const create = jest.spyOn(SepaReturnsRepository, 'create').mockResolvedValue([{ id: 5, created: true, reversed_amount: 0 }]);
+        jest.spyOn(SepaReturnsRepository, 'findById').mockResolvedValue([returnRow({ fee_amount: '3.50', fee_status: 'pending' })]);
+        const invoiceFee = jest.spyOn(SepaReturnService, 'invoiceFee').mockResolvedValue([]);
+
+        const result = await SepaReturnService.registerReturn({
+            invoice_issued_id: 70, reason_code: 'am04', return_date: '2025-03-08', bank_charges: 3.5,
+            charge_fee: true, created_by: 1,
+        });
+
+        expect(create).toHaveBeenCalledWith(returnData());
+        expect(AccountingService.syncSepaReturn).toHaveBeenCalledWith(5);
+        expect(invoiceFee).toHaveBeenCalledWith(5, null);
+        expect(result[0]).toMatchObject({ id: 5, client_name: 'Ana Pérez', amount: 1210, fee_amount: 3.5, fee_status: 'pending' });
+    });
+
+    test('keeps the return and leaves the fee pending when the fee invoice cannot be issued', async () => {
+        jest.spyOn(PaymentsRepository, 'getInvoiceBalance').mockResolvedValue([invoiceBalance()]);
+        jest.spyOn(SepaReturnsRepository, 'findLatestRemittanceItemForInvoice').mockResolvedValue([]);
+        jest.spyOn(SepaReturnsRepository, 'create').mockResolvedValue([{ id: 5, created: true, reversed_amount: 0 }]);
+        jest.spyOn(SepaReturnsRepository, 'findById').mockResolvedValue([returnRow({ fee_amount: '3.50', fee_status: 'pending' })]);
+        jest.spyOn(SepaReturnService, 'invoiceFee').mockRejectedValue(new Error('periodo cerrado'));
+
+        const result = await SepaReturnService.registerReturn({
+            invoice_issued_id: 70, amount: 1210, reason_code: 'AM04', bank_charges: 3.5, charge_fee: true,
+        });
+
+        expect(result[0]).toMatchObject({ id: 5, fee_status: 'pending' });
+    });
+
+    test('refuses invoices that were neither remitted nor collected and amounts above the total', async () => {
+        jest.spyOn(SepaReturnsRepository, 'findLatestRemittanceItemForInvoice').mockResolvedValue([]);
+        const create = jest.spyOn(SepaReturnsRepository, 'create');
+        const balance = jest.spyOn(PaymentsRepository, 'getInvoiceBalance').mockResolvedValue([invoiceBalance({ collection_status: 'pending' })]);
+
+        await expect(SepaReturnService.registerReturn({ invoice_issued_id: 70, amount: 100, reason_code: 'AM04' }))
+            .rejects.toMatchObject({ statusCode: 409, errorCode: 'SEPA_RETURN_NOT_ALLOWED' });
+
+        balance.mockResolvedValue([invoiceBalance()]);
+        await expect(SepaReturnService.registerReturn({ invoice_issued_id: 70, amount: 1500, reason_code: 'AM04' }))
+            .rejects.toMatchObject({ statusCode: 400 });
+        await expect(SepaReturnService.registerReturn({ invoice_issued_id: 70, reason_code: 'AM04' }))
+            .rejects.toMatchObject({ statusCode: 400 });
+        expect(create).not.toHaveBeenCalled();
+    });
+
+    test('refuses to reopen an invoice included in an owner settlement', async () => {
+        jest.spyOn(PaymentsRepository, 'getInvoiceBalance').mockResolvedValue([invoiceBalance({ collection_status: 'collected' })]);
+        jest.spyOn(SepaReturnsRepository, 'findLatestRemittanceItemForInvoice').mockResolvedValue([]);
+        jest.spyOn(OwnerSettlementsRepository, 'findSettlementsForItem').mockResolvedValue([{ id: 4, owners_id: 2, status: 'paid' }]);
+        const create = jest.spyOn(SepaReturnsRepository, 'create');
+
+        await expect(SepaReturnService.registerReturn({ invoice_issued_id: 70, amount: 1210, reason_code: 'AM04' }))
+            .rejects.toMatchObject({ statusCode: 409, errorCode: 'SETTLED_ITEM_LOCKED' });
+        expect(create).not.toHaveBeenCalled();
+    });
+});
+
+describe('SepaReturnsRepository.create', () => {
+    test('reopens a remitted invoice and adds the tenant to the dunning list', async () => {
+        const connection = mockConnection((sql) => {
+            if (sql.includes('SELECT id, clients_id, invoice_number, collection_status')) {
+                return [[{ id: 70, clients_id: 3, invoice_number: 'FRA-2025-0007', collection_status: 'remitted' }]];
+            }
+            if (sql.includes('SELECT ii.id, ii.invoice_number')) return [[invoiceBalance({ collection_status: 'pending' })]];
+            if (sql.includes('INSERT INTO sepa_returns')) return [{ insertId: 5 }];
+            return null;
+        });
+
+        const result = await SepaReturnsRepository.create(returnData());
+
+        expect(result).toEqual([{ id: 5, created: true, reversed_amount: 0 }]);
+        const calls = connection.query.mock.calls;
+        expect(calls.some(([sql]) => sql.includes("p.method = 'direct_debit'"))).toBe(false);
+        expect(calls.find(([sql]) => sql.includes("SET collection_status    = 'pending'"))[1]).toEqual([70]);
+        expect(calls.find(([sql]) => sql.includes('INSERT INTO dunning_entries'))[1])
+            .toEqual([3, 70, 5, 'Adeudo devuelto (AM04: Saldo insuficiente)', 70]);
+        expect(calls.find(([sql]) => sql.includes("VALUES ('return'"))[1])
+            .toEqual([3, 70, 5, '2025-03-08', 1210, 'Adeudo devuelto (AM04: Saldo insuficiente)', 1]);
+        expect(calls.find(([sql]) => sql.includes('UPDATE dunning_pauses'))[0]).toContain("reason = 'resolved'");
+        expect(connection.commit).toHaveBeenCalled();
+    });
+
+    test('undoes the direct-debit collection of a collected invoice', async () => {
+        const connection = mockConnection((sql) => {
+            if (sql.includes('SELECT id, clients_id, invoice_number, collection_status')) {
+                return [[{ id: 70, clients_id: 3, invoice_number: 'FRA-2025-0007', collection_status: 'collected' }]];
+            }
+            if (sql.includes("p.method = 'direct_debit'")) {
+                return [[{ id: 81, payment_id: 55, amount: '1000.00' }, { id: 82, payment_id: 56, amount: '210.00' }]];
+            }
+            if (sql.includes('SELECT ii.id, ii.invoice_number')) {
+                return [[invoiceBalance({ collection_status: 'collected', paid_amount: '210.00' })]];
+            }
+            if (sql.includes('JOIN payments p')) return [[{ payment_date: '2025-03-05', method: 'direct_debit', reference: 'FRA-2025-0007' }]];
+            if (sql.includes('INSERT INTO sepa_returns')) return [{ insertId: 6 }];
+            return null;
+        });
+
+        const result = await SepaReturnsRepository.create(returnData({ amount: 1000 }));
+
+        expect(result).toEqual([{ id: 6, created: true, reversed_amount: 1000 }]);
+        const calls = connection.query.mock.calls;
+        expect(calls.find(([sql]) => sql.includes('DELETE FROM payment_allocations'))[1]).toEqual([81]);
+        expect(calls.find(([sql]) => sql.includes('UPDATE payments'))[1]).toEqual([1000, 55]);
+        expect(calls.some(([sql, params]) => sql.includes('UPDATE payments') && params[1] === 56)).toBe(false);
+        expect(calls.find(([sql]) => sql.includes('collection_method    = ?'))[1][0]).toBe('partially_collected');
+        expect(connection.commit).toHaveBeenCalled();
+    });
+
+    test('rolls back when the direct-debit collections do not cover the returned amount', async () => {
+        const connection = mockConnection((sql) => {
+            if (sql.includes('SELECT id, clients_id, invoice_number, collection_status')) {
+                return [[{ id: 70, clients_id: 3, invoice_number: 'FRA-2025-0007', collection_status: 'collected' }]];
+            }
+            if (sql.includes("p.method = 'direct_debit'")) return [[{ id: 81, payment_id: 55, amount: '400.00' }]];
+            return null;
+        });
+
+        const result = await SepaReturnsRepository.create(returnData());
+
+        expect(result).toEqual([]);
+        expect(connection.rollback).toHaveBeenCalled();
+        expect(connection.commit).not.toHaveBeenCalled();
+        expect(connection.query.mock.calls.some(([sql]) => sql.includes('INSERT INTO sepa_returns'))).toBe(false);
+    });
+});
+
+describe('SepaReturnsRepository.resolveDunningEntry', () => {
+    test('pauses the dunning letters for the invoice of the resolved entry', async () => {
+        const connection = mockConnection((sql) => {
+            if (sql.includes('FROM dunning_entries de')) return [[{ clients_id: 3, invoice_issued_id: 70, paused: 0 }]];
+            if (sql.includes('INSERT INTO dunning_pauses')) return [{ insertId: 12 }];
+            return null;
+        });
+
+        const result = await SepaReturnsRepository.resolveDunningEntry(9, { resolved_by: 1, event_date: '2025-03-20' });
+
+        expect(result).toEqual([{ id: 9, updated: true, dunning_pause_id: 12 }]);
+        const calls = connection.query.mock.calls;
+        expect(calls.find(([sql]) => sql.includes('INSERT INTO dunning_pauses'))[1])
+            .toEqual([3, 70, 9, 'resolved', null, 'Resuelta en la lista de impagos', 1]);
+        expect(calls.find(([sql]) => sql.includes("VALUES ('pause'"))[1])
+            .toEqual([3, 70, 12, '2025-03-20', 'Resuelta en la lista de impagos', 1]);
+        expect(connection.commit).toHaveBeenCalled();
+    });
+
+    test('does not add a pause when one already covers the invoice, nor touch resolved entries', async () => {
+        const connection = mockConnection((sql) => {
+            if (sql.includes('FROM dunning_entries de')) return [[{ clients_id: 3, invoice_issued_id: 70, paused: 1 }]];
+            return null;
+        });
+
+        const result = await SepaReturnsRepository.resolveDunningEntry(9, { resolved_by: 1, event_date: '2025-03-20' });
+
+        expect(result).toEqual([{ id: 9, updated: true, dunning_pause_id: null }]);
+        expect(connection.query.mock.calls.some(([sql]) => sql.includes('INSERT INTO dunning_pauses'))).toBe(false);
+
+        const resolved = mockConnection((sql) => (sql.includes('UPDATE dunning_entries') ? [{ affectedRows: 0 }] : null));
+        expect(await SepaReturnsRepository.resolveDunningEntry(9, {})).toEqual([]);
+        expect(resolved.rollback).toHaveBeenCalled();
+        expect(resolved.commit).not.toHaveBeenCalled();
+    });
+});
+
+describe('SepaReturnService.importReturns', () => {
+    test('registers the matched returns and reports the rest as skipped', async () => {
+        const findItem = jest.spyOn(SepaReturnsRepository, 'findRemittanceItem')
+            .mockResolvedValueOnce([{ id: 41, remittance_id: 9, invoice_issued_id: 70, amount: '1210.00', end_to_end_id: 'FRA-2025-0007' }]);
+        jest.spyOn(PaymentsRepository, 'getInvoiceBalance').mockResolvedValue([invoiceBalance()]);
+        const create = jest.spyOn(SepaReturnsRepository, 'create').mockResolvedValue([{ id: 5, created: true, reversed_amount: 0 }]);
+        jest.spyOn(SepaReturnsRepository, 'findById').mockResolvedValue([returnRow({ source: 'pain002' })]);
+
+        const result = await SepaReturnService.importReturns({ buffer: Buffer.from(pain002) }, { created_by: 1 });
+
+        expect(findItem).toHaveBeenCalledWith('FRA-2025-0007', 'REM-2025-03');
+        expect(create.mock.calls[0][0]).toMatchObject({ source: 'pain002', amount: 1210, fee_amount: 0, fee_status: 'none' });
+        expect(result).toMatchObject({ format: 'pain002', registered: [{ id: 5, source: 'pain002' }], skipped: [] });
+
+        findItem.mockResolvedValueOnce([]);
+        const empty = await SepaReturnService.importReturns({ buffer: Buffer.from(pain002) }, {});
+        expect(empty.registered).toEqual([]);
+        expect(empty.skipped).toEqual([{ end_to_end_id: 'FRA-2025-0007', reason: expect.stringContaining('sin devolver') }]);
+    });
+});
+
+describe('SepaReturnService.invoiceFee', () => {
+    test('invoices the passed-on charges without VAT and links the invoice to the return', async () => {
+        jest.spyOn(SepaReturnsRepository, 'findById')
+            .mockResolvedValueOnce([returnRow({ fee_amount: '3.50', fee_status: 'pending' })])
+            .mockResolvedValueOnce([returnRow({ fee_amount: '3.50', fee_status: 'invoiced', fee_invoice_id: 88, fee_invoice_number: 'FRA-2025-0031' })]);
+        jest.spyOn(InvoicesIssuedRepository, 'findById').mockResolvedValue([{
+            id: 70, invoice_number: 'FRA-2025-0007', estates_id: 12, owners_id: 2, clients_id: 3, collection_method: 'direct_debit',
+        }]);
+        const createInvoice = jest.spyOn(InvoicesIssuedService, 'createInvoice').mockResolvedValue([{ id: 88, created: true }]);
+        const link = jest.spyOn(SepaReturnsRepository, 'setFeeInvoice').mockResolvedValue([{ id: 5, updated: true }]);
+        const recordCreated = jest.spyOn(AuditService, 'recordCreated').mockResolvedValue([]);
+        const sync = jest.spyOn(AccountingService, 'syncIssuedInvoice').mockResolvedValue(undefined);
+
+        const result = await SepaReturnService.invoiceFee(5, { user: { id: 1 } });
+
+        expect(createInvoice).toHaveBeenCalledWith(expect.objectContaining({
+            estates_id: 12, owners_id: 2, clients_id: 3, collection_method: 'direct_debit', is_return_fee: true,
+            lines: [{ description: 'Gastos de devolución del recibo FRA-2025-0007 (AM04)', quantity: 1, unit_price: 3.5, iva: 0, irpf: 0 }],
+        }));
+        expect(recordCreated).toHaveBeenCalledWith('invoice_issued', [88], { user: { id: 1 } });
+        expect(link).toHaveBeenCalledWith(5, 88);
+        expect(sync).toHaveBeenCalledWith(88);
+        expect(result[0]).toMatchObject({ fee_status: 'invoiced', fee_invoice_id: 88, fee_invoice_number: 'FRA-2025-0031' });
+    });
+
+    test('only invoices charges that are pending', async () => {
+        jest.spyOn(SepaReturnsRepository, 'findById').mockResolvedValue([returnRow({ fee_amount: '3.50', fee_status: 'invoiced' })]);
+        const createInvoice = jest.spyOn(InvoicesIssuedService, 'createInvoice');
+
+        await expect(SepaReturnService.invoiceFee(5)).rejects.toMatchObject({ statusCode: 409 });
+        expect(createInvoice).not.toHaveBeenCalled();
+    });
+});
+
+describe('SepaReturnService.updateFeeStatus', () => {
+    test('only settles charges that are pending', async () => {
+        jest.spyOn(SepaReturnsRepository, 'findById').mockResolvedValue([returnRow({ fee_status: 'waived' })]);
+        const update = jest.spyOn(SepaReturnsRepository, 'updateFeeStatus');
+
+        await expect(SepaReturnService.updateFeeStatus(5, 'collected')).rejects.toMatchObject({ statusCode: 409 });
+        expect(update).not.toHaveBeenCalled();
+    });
+});
+
+describe('NotificationsRepository.getComputedNotifications', () => {
+    test('surfaces the tenants on the dunning list', async () => {
+        db.query.mockImplementation(async (sql) => {
+            if (sql.includes('FROM dunning_entries')) return [[{ count: 2, invoices: 3 }]];
+            return [[{ count: 0 }]];
+        });
+
+        const notifications = await NotificationsRepository.getComputedNotifications(1);
+
+        expect(notifications).toContainEqual(expect.objectContaining({
+            type: 'dunning_clients',
+            message: '2 cliente(s) en la lista de impagos por adeudos devueltos',
+            metadata: { count: 2, invoices: 3 },
+        }));
+        db.query.mockReset();
+    });
+});
+
+describe('/api/sepa-returns', () => {
+    test('rejects a manual return without invoice or reason', async () => {
+        const res = await request(app)
+            .post('/api/sepa-returns')
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ amount: -5 });
+
+        expect(res.status).toBe(400);
+    });
+
+    test('rejects an import without a return file', async () => {
+        const res = await request(app)
+            .post('/api/sepa-returns/import')
+            .set('Authorization', `Bearer ${adminToken}`);
+
+        expect(res.status).toBe(400);
+    });
+});
@@ -0,0 +1,271 @@
+/**
+ * Supplier payments and payment runs tests.
+ *
+ * Regression guard: a received invoice could only flip between pending and
+ * paid. Payments are now recorded against the invoice (partial amounts and
+ * the bank account they were paid from), payment runs pay every invoice due
+ * by a date in one transaction, and the supplier exposes what is still owed.
+ *
+ * Covered:
+ * - SupplierPaymentService.createPayment: outstanding default, company account, amount and open-run checks
+ * - SupplierPaymentsRepository.create: invoice status derived from the paid amount
+ * - PaymentRunService.createRun: invoices grouped by supplier, empty run rejected
+ * - PaymentRunsRepository.pay: every item paid in one transaction, rollback when outdated
+ * - InvoicesReceivedService.updatePaymentStatus: invoices with payments are locked
+ * - /api/suppliers/:id: outstanding balance
+ * - /api/supplier-payments: validation
+ */
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+
+jest.unstable_mockModule('../../src/db/dbConnect.js', () => ({
+    default: {
+        query: jest.fn(),
+        getConnection: jest.fn().mockResolvedValue({ release: jest.fn() }),
+    },
+}));
+
+const { default: app } = await import('../../src/app.js');
+const { default: db } = await import('../../src/db/dbConnect.js');
+const { default: SupplierPaymentService } = await import('../../src/services/supplierPaymentServices.js');
+const { default: SupplierPaymentsRepository } = await import('../../src/repository/supplierPaymentsRepository.js');
+const { default: PaymentRunService } = await import('../../src/services/paymentRunServices.js');
+const { default: PaymentRunsRepository } = await import('../../src/repository/paymentRunsRepository.js');
+const { default: InvoicesReceivedService } = await import('../../src/services/invoicesReceivedServices.js');
+const { default: InvoicesReceivedRepository } = await import('../../src/repository/invoicesReceivedRepository.js');
+const { default: SuppliersRepository } = await import('../../src/repository/suppliersRepository.js');
+const { default: AccountingService } = await import('../../src/services/accountingServices.js');
+const { default: AuditService } = await import('../../src/services/auditServices.js');
+
+const adminToken = jwt.sign(
+    { id: 1, username: 'testadmin', role: 'admin' },
+    'test-jwt-secret-only-not-for-production',
+    { expiresIn: '1h' }
+);
+
+const receivedInvoice = (overrides = {}) => ({
+    id: 40, invoice_number: 'PRV-0040', our_reference: 'REC-40', supplier_id: 5, property_id: 7,
+    invoice_date: '2025-02-01', due_date: '2025-03-01', total_amount: '800.00', is_refund: 0,
+    collection_status: 'pending', collection_method: 'transfer', collection_date: null, collection_reference: null,
+    paid_amount: '0.00', supplier_name: 'Fontanería', supplier_company: 'Fontanería López SL',
+    supplier_tax_id: 'B12345678', supplier_bank_account: 'ES9121000418450200051332',
+    ...overrides,
+});
+
+const storedPayment = (overrides = {}) => ({
+    id: 12, invoice_received_id: 40, payment_run_id: null, payment_date: '2025-03-01', amount: '800.00',
+    method: 'transfer', bank_account: 'ES7921000813610123456789', reference: null, notes: null,
+    invoice_number: 'PRV-0040', supplier_id: 5, supplier_name: 'Fontanería', supplier_company: 'Fontanería López SL',
+    ...overrides,
+});
+
+const mockConnection = (handler) => {
+    const connection = {
+        beginTransaction: jest.fn(),
+        commit: jest.fn(),
+        rollback: jest.fn(),
+        release: jest.fn(),
+        query: jest.fn(async (sql) => handler(sql) ?? [{ affectedRows: 1 }]),
+    };
+    db.getConnection.mockResolvedValueOnce(connection);
+    return connection;
+};
+
+const statusUpdates = (connection) => connection.query.mock.calls
+    .filter(([sql]) => sql.includes('UPDATE invoices_received'))
+    .map(([, params]) => params);
+
+const originalBankAccount = process.env.COMPANY_BANK_ACCOUNT;
+
+beforeEach(() => {
+    process.env.COMPANY_BANK_ACCOUNT = 'ES79 2100 0813 6101 2345 6789';
+    // Los asientos contables se prueban en accounting.test.js
+    jest.spyOn(AccountingService, 'syncPayments').mockResolvedValue();
+    jest.spyOn(AccountingService, 'syncIssuedInvoice').mockResolvedValue();
+    jest.spyOn(AccountingService, 'syncReceivedInvoice').mockResolvedValue();
+    // El registro de auditoría de las facturas se prueba en audit.test.js
+    jest.spyOn(AuditService, 'snapshot').mockResolvedValue(null);
+    jest.spyOn(AuditService, 'record').mockResolvedValue([]);
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    process.env.COMPANY_BANK_ACCOUNT = originalBankAccount;
+});
+
+describe('SupplierPaymentService.createPayment', () => {
+    const mockInvoice = (invoice, openRuns = []) => {
+        jest.spyOn(SupplierPaymentsRepository, 'getInvoiceBalance').mockResolvedValue([invoice]);
+        jest.spyOn(SupplierPaymentsRepository, 'findOpenRunsForInvoice').mockResolvedValue(openRuns);
+        jest.spyOn(SupplierPaymentsRepository, 'findById').mockResolvedValue([storedPayment()]);
+        return jest.spyOn(SupplierPaymentsRepository, 'create').mockResolvedValue([{ id: 12, created: true }]);
+    };
+
+    test('pays the outstanding amount from the company account by default', async () => {
+        const create = mockInvoice(receivedInvoice({ paid_amount: '300.00' }));
+
+        await SupplierPaymentService.createPayment({ invoice_received_id: 40 });
+
+        expect(create).toHaveBeenCalledWith(expect.objectContaining({
+            invoice_received_id: 40, amount: 500, method: 'transfer', bank_account: 'ES7921000813610123456789',
+        }));
+    });
+
+    test('rejects amounts over the outstanding balance and payments without an account', async () => {
+        const create = mockInvoice(receivedInvoice({ paid_amount: '300.00' }));
+
+        await expect(SupplierPaymentService.createPayment({ invoice_received_id: 40, amount: 600 }))
+            .rejects.toMatchObject({ statusCode: 400 });
+
+        delete process.env.COMPANY_BANK_ACCOUNT;
+        await expect(SupplierPaymentService.createPayment({ invoice_received_id: 40, amount: 100 }))
+            .rejects.toMatchObject({ statusCode: 400 });
+        expect(create).not.toHaveBeenCalled();
+    });
+
+    test('invoices in an open payment run are paid with the run', async () => {
+        const create = mockInvoice(receivedInvoice(), [{ id: 3, status: 'approved' }]);
+
+        await expect(SupplierPaymentService.createPayment({ invoice_received_id: 40, amount: 100 }))
+            .rejects.toMatchObject({ statusCode: 409, errorCode: 'PAYMENT_RUN_OPEN' });
+        expect(create).not.toHaveBeenCalled();
+    });
+});
+
+describe('SupplierPaymentsRepository.create', () => {
+    test('marks a partly paid invoice as partially paid', async () => {
+        const connection = mockConnection((sql) => {
+            if (sql.includes('INSERT INTO supplier_payments')) return [{ insertId: 12 }];
+            if (sql.includes('FROM invoices_received ir')) return [[receivedInvoice({ paid_amount: '250.00' })]];
+        });
+
+        await SupplierPaymentsRepository.create({ invoice_received_id: 40, payment_date: '2025-03-01', amount: 250 });
+
+        expect(statusUpdates(connection)).toEqual([['partially_paid', 'transfer', null, null, 40]]);
+        expect(connection.commit).toHaveBeenCalled();
+    });
+});
+
+describe('PaymentRunService.createRun', () => {
+    test('selects the outstanding amount of the due invoices grouped by supplier', async () => {
+        const getOutstanding = jest.spyOn(SupplierPaymentsRepository, 'getOutstandingInvoices').mockResolvedValue([
+            receivedInvoice({ paid_amount: '200.00' }),
+            receivedInvoice({ id: 41, invoice_number: 'PRV-0041', total_amount: '150.00' }),
+            receivedInvoice({ id: 42, invoice_number: 'LIM-9', supplier_id: 6, supplier_company: 'Limpiezas SA', total_amount: '90.00' }),
+        ]);
+        const create = jest.spyOn(PaymentRunsRepository, 'create').mockResolvedValue([{ id: 3, created: true }]);
+        jest.spyOn(PaymentRunsRepository, 'findById').mockResolvedValue([{ id: 3, status: 'draft' }]);
+        jest.spyOn(PaymentRunsRepository, 'getItems').mockResolvedValue([]);
+
+        const preview = await PaymentRunService.previewRun({ due_until: '2025-03-31' });
+        expect(preview).toMatchObject({ invoices_count: 3, total_amount: 840 });
+        expect(preview.suppliers.map(supplier => [supplier.supplier_id, supplier.total_amount])).toEqual([[5, 750], [6, 90]]);
+
+        await PaymentRunService.createRun({ due_until: '2025-03-31', payment_date: '2025-04-01' });
+
+        expect(getOutstanding).toHaveBeenCalledWith(expect.objectContaining({ due_until: '2025-03-31', exclude_open_runs: true }));
+        expect(create).toHaveBeenCalledWith(
+            expect.objectContaining({ bank_account: 'ES7921000813610123456789', payment_date: '2025-04-01' }),
+            [
+                { invoice_received_id: 40, supplier_id: 5, amount: 600 },
+                { invoice_received_id: 41, supplier_id: 5, amount: 150 },
+                { invoice_received_id: 42, supplier_id: 6, amount: 90 },
+            ]
+        );
+    });
+
+    test('a run with nothing due is rejected', async () => {
+        jest.spyOn(SupplierPaymentsRepository, 'getOutstandingInvoices').mockResolvedValue([]);
+        const create = jest.spyOn(PaymentRunsRepository, 'create');
+
+        await expect(PaymentRunService.createRun({ due_until: '2025-03-31' }))
+            .rejects.toMatchObject({ statusCode: 409, errorCode: 'PAYMENT_RUN_EMPTY' });
+        expect(create).not.toHaveBeenCalled();
+    });
+});
+
+describe('PaymentRunsRepository.pay', () => {
+    const runConnection = (items, invoices) => mockConnection((sql) => {
+        if (sql.includes('FROM payment_runs')) return [[{ id: 3, bank_account: 'ES7921000813610123456789', method: 'transfer' }]];
+        if (sql.includes('FROM payment_run_items pri')) return [items];
+        if (sql.includes('INSERT INTO supplier_payments')) return [{ insertId: 1 }];
+        if (sql.includes('FROM invoices_received ir')) return [[invoices.shift()]];
+        if (sql.includes('FROM supplier_payments')) return [[{ payment_date: '2025-04-01', method: 'transfer', reference: 'REMESA-3' }]];
+    });
+
+    test('pays every invoice of the run in one transaction', async () => {
+        const connection = runConnection(
+            [{ invoice_received_id: 40, amount: '600.00', outstanding_amount: '600.00' },
+                { invoice_received_id: 41, amount: '150.00', outstanding_amount: '150.00' }],
+            [receivedInvoice({ paid_amount: '800.00' }), receivedInvoice({ id: 41, total_amount: '150.00', paid_amount: '150.00' })]
+        );
+
+        const result = await PaymentRunsRepository.pay(3, { payment_date: '2025-04-01', reference: 'REMESA-3', created_by: 1 });
+
+        expect(result).toEqual([{ id: 3, paid: true, payments: 2 }]);
+        const inserts = connection.query.mock.calls.filter(([sql]) => sql.includes('INSERT INTO supplier_payments'));
+        expect(inserts.map(([, params]) => params.slice(0, 6))).toEqual([
+            [40, 3, '2025-04-01', '600.00', 'transfer', 'ES7921000813610123456789'],
+            [41, 3, '2025-04-01', '150.00', 'transfer', 'ES7921000813610123456789'],
+        ]);
+        expect(statusUpdates(connection).map(params => params[0])).toEqual(['paid', 'paid']);
+        expect(connection.query.mock.calls.some(([sql]) => sql.includes("SET status       = 'paid'"))).toBe(true);
+        expect(connection.commit).toHaveBeenCalledTimes(1);
+    });
+
+    test('pays nothing when an invoice no longer has the amount outstanding', async () => {
+        const connection = runConnection(
+            [{ invoice_received_id: 40, amount: '600.00', outstanding_amount: '100.00' }],
+            []
+        );
+
+        const result = await PaymentRunsRepository.pay(3, { payment_date: '2025-04-01', reference: 'REMESA-3' });
+
+        expect(result).toEqual([]);
+        expect(connection.rollback).toHaveBeenCalled();
+        expect(connection.commit).not.toHaveBeenCalled();
+        expect(connection.query.mock.calls.some(([sql]) => sql.includes('INSERT INTO supplier_payments'))).toBe(false);
+    });
+});
+
+describe('InvoicesReceivedService.updatePaymentStatus', () => {
+    test('payment status of invoices with payments is managed from the payments', async () => {
+        jest.spyOn(InvoicesReceivedRepository, 'findById').mockResolvedValue([receivedInvoice({ collection_status: 'partially_paid' })]);
+        jest.spyOn(SupplierPaymentsRepository, 'getPaidToInvoice').mockResolvedValue(250);
+        const updatePayment = jest.spyOn(InvoicesReceivedRepository, 'updatePaymentStatus');
+
+        await expect(InvoicesReceivedService.updatePaymentStatus(40, { collection_status: 'paid', collection_method: 'transfer' }))
+            .rejects.toMatchObject({ statusCode: 409, errorCode: 'PAYMENTS_REGISTERED' });
+        await expect(InvoicesReceivedService.updatePaymentStatus(40, { collection_status: 'partially_paid', collection_method: 'transfer' }))
+            .rejects.toMatchObject({ statusCode: 400 });
+        expect(updatePayment).not.toHaveBeenCalled();
+    });
+});
+
+describe('/api/suppliers/:id', () => {
+    test('exposes the outstanding balance of the supplier', async () => {
+        jest.spyOn(SuppliersRepository, 'findById').mockResolvedValue([{ id: 5, name: 'Fontanería', company_name: 'Fontanería López SL' }]);
+        const getBalance = jest.spyOn(SupplierPaymentsRepository, 'getSupplierBalance')
+            .mockResolvedValue({ outstanding_invoices: 2, outstanding_amount: 750 });
+
+        const res = await request(app)
+            .get('/api/suppliers/5')
+            .set('Authorization', `Bearer ${adminToken}`);
+
+        expect(res.status).toBe(200);
+        expect(res.body.data).toMatchObject({ id: 5, outstanding_invoices: 2, outstanding_amount: 750 });
+        expect(getBalance).toHaveBeenCalledWith(5);
+    });
+});
+
+describe('/api/supplier-payments', () => {
+    test('a payment without invoice or with an invalid IBAN is rejected', async () => {
+        const res = await request(app)
+            .post('/api/supplier-payments')
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ amount: 100, bank_account: 'ES00 1234' });
+
+        expect(res.status).toBe(400);
+    });
+});
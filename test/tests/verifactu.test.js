@@ -0,0 +1,310 @@
+/**
+ * VERI*FACTU registration record tests.
+ *
+ * Regression guard: every creation, refund, modification and deletion of an issued
+ * invoice appends an immutable record to its issuer's hash chain inside the invoice
+ * transaction, the chain can be verified end to end, submission goes through a
+ * pluggable transport, and the invoice PDF carries the tax QR.
+ *
+ * Covered:
+ * - calculateRecordHash: AEAT reference example, cancellation field set
+ * - appendRecord: sequence and previous hash taken from the locked chain head
+ * - createAtomic: hook runs on the invoice connection, hook failure rolls back
+ * - registerUpdate: unchanged → none, amounts → correction, number → cancellation + alta
+ * - verifyChain: intact chain is valid, tampered amount and broken link are reported
+ * - submitPendingRecords: stub transport accepts, failing transport → error, none → 500
+ * - generateInvoicePdf: renders with the QR block
+ * - /api/verifactu: verify for employees, submit restricted to admins
+ */
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import jwt from 'jsonwebtoken';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+jest.unstable_mockModule('../../src/db/dbConnect.js', () => ({
+    default: {
+        query: jest.fn(),
+        getConnection: jest.fn().mockResolvedValue({ release: jest.fn() }),
+    },
+}));
+
+const { default: app } = await import('../../src/app.js');
+const { default: db } = await import('../../src/db/dbConnect.js');
+const { default: VerifactuService } = await import('../../src/services/verifactuServices.js');
+const { default: VerifactuRepository } = await import('../../src/repository/verifactuRepository.js');
+const { default: InvoicesIssuedRepository } = await import('../../src/repository/invoicesIssuedRepository.js');
+const { default: OwnersRepository } = await import('../../src/repository/ownersRepository.js');
+const { createStubTransport } = await import('../../src/shared/utils/Verifactu/verifactuStubTransport.js');
+const { generateInvoicePdf } = await import('../../src/shared/utils/Pdf-invoicesIssued/invoicePdfGenerator.js');
+const { buildHashInput, buildQrUrl, calculateRecordHash } = await import('../../src/shared/helpers/verifactuHelpers.js');
+
+const sign = (role) => jwt.sign(
+    { id: 1, username: `test${role}`, role },
+    'test-jwt-secret-only-not-for-production',
+    { expiresIn: '1h' }
+);
+const adminToken = sign('admin');
+const employeeToken = sign('employee');
+
+const mockConnection = (queryImpl) => {
+    const connection = {
+        beginTransaction: jest.fn(),
+        commit: jest.fn(),
+        rollback: jest.fn(),
+        release: jest.fn(),
+        query: jest.fn(queryImpl),
+    };
+    db.getConnection.mockResolvedValueOnce(connection);
+    return connection;
+};
+
+// Cadena válida de registros encadenados, como los devolvería la base de datos
+const buildChain = (count) => {
+    const records = [];
+    for (let i = 1; i <= count; i++) {
+        const record = {
+            id: i,
+            issuer_nif: '12345678Z',
+            chain_sequence: i,
+            record_type: 'alta',
+            invoice_number: `12345678Z-2025-0000${i}`,
+            invoice_date: '2025-04-01',
+            invoice_type: 'F1',
+            tax_amount: '210.00',
+            total_amount: '1210.00',
+            previous_hash: i > 1 ? records[i - 2].hash : null,
+            generated_at: `2025-04-01T10:0${i}:00+02:00`,
+        };
+        record.hash = calculateRecordHash(record);
+        records.push(record);
+    }
+    return records;
+};
+
+describe('verifactuHelpers', () => {
+    it('matches the AEAT reference fingerprint for a first record', () => {
+        expect(calculateRecordHash({
+            record_type: 'alta', issuer_nif: '89890001K', invoice_number: '12345678/G33',
+            invoice_date: '2024-01-01', invoice_type: 'F1', tax_amount: 12.35, total_amount: 123.45,
+            previous_hash: null, generated_at: '2024-01-01T19:20:30+01:00',
+        })).toBe('3C464DAF61ACB827C65FDA19F352A4E3BDC2C640E9E9FC4CC058073F38F12F60');
+    });
+
+    it('hashes cancellations over the cancelled invoice identifier only', () => {
+        expect(buildHashInput({
+            record_type: 'anulacion', issuer_nif: '12345678-z', invoice_number: 'F-1', invoice_date: '2025-04-01',
+            previous_hash: 'ABC', generated_at: '2025-04-02T09:00:00+02:00', total_amount: 999,
+        })).toBe('IDEmisorFacturaAnulada=12345678Z&NumSerieFacturaAnulada=F-1&FechaExpedicionFacturaAnulada=01-04-2025' +
+            '&Huella=ABC&FechaHoraHusoGenRegistro=2025-04-02T09:00:00+02:00');
+    });
+
+    it('builds the QR URL of the test environment by default', () => {
+        expect(buildQrUrl({ issuer_nif: '12345678Z', invoice_number: 'F/1', invoice_date: '2025-04-01', total_amount: 1210 }))
+            .toBe('https://prewww2.aeat.es/wlpl/TIKE-CONT/ValidarQR?nif=12345678Z&numserie=F%2F1&fecha=01-04-2025&importe=1210.00');
+    });
+});
+
+describe('VerifactuService registration', () => {
+    beforeEach(() => {
+        jest.restoreAllMocks();
+        jest.spyOn(OwnersRepository, 'findById').mockResolvedValue([{ id: 2, identification: '12345678Z' }]);
+    });
+
+    it('chains a new record to the locked head of the issuer chain', async () => {
+        const connection = { query: jest.fn() };
+        jest.spyOn(VerifactuRepository, 'lockChain').mockResolvedValue({ issuer_nif: '12345678Z', last_hash: 'F'.repeat(64), records_count: 4 });
+        const insert = jest.spyOn(VerifactuRepository, 'insertRecord').mockResolvedValue(77);
+
+        const record = await VerifactuService.registerInvoice(connection, {
+            id: 10, owners_id: 2, invoice_number: '12345678Z-2025-00005', invoice_date: '2025-04-01',
+            tax_base: 1000, iva: 21, irpf: 19, lines: [],
+        });
+
+        expect(record).toMatchObject({ id: 77, chain_sequence: 5, previous_hash: 'F'.repeat(64), invoice_type: 'F1', tax_amount: 210, total_amount: 1210 });
+        expect(record.hash).toBe(calculateRecordHash(record));
+        expect(insert.mock.calls[0][0]).toBe(connection);
+    });
+
+    it('registers refunds as rectificative invoices with their VAT from the lines', async () => {
+        jest.spyOn(VerifactuRepository, 'lockChain').mockResolvedValue({ issuer_nif: '12345678Z', last_hash: null, records_count: 0 });
+        jest.spyOn(VerifactuRepository, 'insertRecord').mockResolvedValue(1);
+
+        const record = await VerifactuService.registerInvoice({}, {
+            id: 11, owners_id: 2, invoice_number: 'R-1', invoice_date: '2025-04-01', is_refund: true,
+            tax_base: -300, iva: 21, lines: [
+                { tax_base: -200, iva: 21, iva_amount: -42 },
+                { tax_base: -100, iva: 10, iva_amount: -10 },
+            ],
+        });
+
+        expect(record).toMatchObject({ invoice_type: 'R4', tax_amount: -52, total_amount: -352, chain_sequence: 1, previous_hash: null });
+    });
+
+    it('runs the hook on the invoice connection and rolls back when it fails', async () => {
+        const connection = mockConnection(async (sql) => {
+            if (sql.includes('SELECT last_number')) return [[{ last_number: 1 }]];
+            if (sql.includes('INSERT INTO invoices_issued')) return [{ insertId: 55 }];
+            return [{ affectedRows: 1 }];
+        });
+        const hook = jest.fn().mockRejectedValue(new Error('chain locked'));
+
+        await expect(InvoicesIssuedRepository.createAtomic(
+            { owners_id: 2, invoice_date: '2025-04-01' },
+            { series_id: 1, pattern: 'F-{YYYY}-{SEQ:5}', owner_code: null },
+            hook
+        )).rejects.toThrow('chain locked');
+        expect(hook).toHaveBeenCalledWith(connection, { id: 55, invoice_number: 'F-2025-00001' });
+        expect(connection.rollback).toHaveBeenCalled();
+        expect(connection.commit).not.toHaveBeenCalled();
+    });
+
+    describe('registerUpdate', () => {
+        const INVOICE = { id: 10, owners_id: 2, invoice_number: 'F-1', invoice_date: '2025-04-01', tax_base: 1000, iva: 21, lines: [] };
+        let append;
+
+        beforeEach(() => {
+            jest.spyOn(VerifactuRepository, 'findLatestByInvoice').mockResolvedValue([{
+                id: 3, issuer_nif: '12345678Z', record_type: 'alta', invoices_issued_id: 10, invoice_number: 'F-1',
+                invoice_date: '2025-04-01', invoice_type: 'F1', tax_amount: '210.00', total_amount: '1210.00',
+            }]);
+            append = jest.spyOn(VerifactuService, 'appendRecord').mockImplementation(async (connection, data) => data);
+        });
+
+        it('creates no record when the registered data is unchanged', async () => {
+            expect(await VerifactuService.registerUpdate({}, { ...INVOICE, collection_status: 'collected' })).toEqual([]);
+            expect(append).not.toHaveBeenCalled();
+        });
+
+        it('creates a correction when the amounts change', async () => {
+            const records = await VerifactuService.registerUpdate({}, { ...INVOICE, tax_base: 1100 });
+            expect(records).toEqual([expect.objectContaining({ record_type: 'alta', is_correction: true, total_amount: 1331 })]);
+        });
+
+        it('cancels the old identifier and registers a new alta when the number changes', async () => {
+            const records = await VerifactuService.registerUpdate({}, { ...INVOICE, invoice_number: 'F-2' });
+            expect(records.map(record => [record.record_type, record.invoice_number])).toEqual([['anulacion', 'F-1'], ['alta', 'F-2']]);
+        });
+    });
+});
+
+describe('VerifactuService.verifyChain', () => {
+    beforeEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('accepts an intact chain', async () => {
+        const chain = buildChain(3);
+        jest.spyOn(VerifactuRepository, 'findAll').mockResolvedValue(chain);
+        jest.spyOn(VerifactuRepository, 'getChains').mockResolvedValue([{ issuer_nif: '12345678Z', last_hash: chain[2].hash, records_count: 3 }]);
+
+        const result = await VerifactuService.verifyChain();
+
+        expect(result.valid).toBe(true);
+        expect(result.chains).toEqual([expect.objectContaining({ issuer_nif: '12345678Z', records_count: 3, errors: [] })]);
+    });
+
+    it('reports a tampered amount and a broken link', async () => {
+        const chain = buildChain(3);
+        chain[1].total_amount = '1.00';
+        chain[2].previous_hash = '0'.repeat(64);
+        jest.spyOn(VerifactuRepository, 'findAll').mockResolvedValue(chain);
+        jest.spyOn(VerifactuRepository, 'getChains').mockResolvedValue([{ issuer_nif: '12345678Z', last_hash: chain[2].hash, records_count: 3 }]);
+
+        const result = await VerifactuService.verifyChain('12345678Z');
+
+        expect(result.valid).toBe(false);
+        expect(result.chains[0].errors.map(error => [error.record_id, error.code])).toEqual([
+            [2, 'HASH_MISMATCH'],
+            [3, 'BROKEN_LINK'],
+            [3, 'HASH_MISMATCH'],
+        ]);
+    });
+});
+
+describe('VerifactuService.submitPendingRecords', () => {
+    beforeEach(() => {
+        jest.restoreAllMocks();
+        jest.spyOn(VerifactuRepository, 'findPending').mockResolvedValue(buildChain(2));
+    });
+
+    afterEach(() => {
+        VerifactuService.setTransport(undefined);
+    });
+
+    it('marks records accepted by the stub transport', async () => {
+        const update = jest.spyOn(VerifactuRepository, 'updateSubmission').mockResolvedValue([{ updated: true }]);
+        VerifactuService.setTransport(createStubTransport());
+
+        const result = await VerifactuService.submitPendingRecords();
+
+        expect(result).toEqual({ transport: 'stub', submitted: 2, accepted: 2, rejected: 0, errors: 0 });
+        expect(update).toHaveBeenCalledWith(1, expect.objectContaining({ submission_status: 'accepted', submission_reference: expect.stringMatching(/^STUB-/) }));
+    });
+
+    it('keeps the chain for retry when the transport fails', async () => {
+        const update = jest.spyOn(VerifactuRepository, 'updateSubmission').mockResolvedValue([{ updated: true }]);
+        VerifactuService.setTransport({ name: 'down', submit: jest.fn().mockRejectedValue(new Error('timeout')) });
+
+        const result = await VerifactuService.submitPendingRecords();
+
+        expect(result.errors).toBe(2);
+        expect(update).toHaveBeenCalledWith(2, expect.objectContaining({ submission_status: 'error', submission_error: 'timeout' }));
+    });
+
+    it('fails with 500 when no transport is configured', async () => {
+        VerifactuService.setTransport(null);
+        await expect(VerifactuService.submitPendingRecords()).rejects.toMatchObject({ statusCode: 500, errorCode: 'VERIFACTU_TRANSPORT_NOT_CONFIGURED' });
+    });
+});
+
+describe('generateInvoicePdf with VERI*FACTU', () => {
+    let dir;
+
+    afterEach(() => {
+        if (dir) fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('renders the invoice with the tax QR', async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'verifactu-'));
+        const output = path.join(dir, 'factura.pdf');
+        const verifactu = { qr_url: buildQrUrl({ issuer_nif: '12345678Z', invoice_number: 'F-1', invoice_date: '2025-04-01', total_amount: 1210 }) };
+
+        await generateInvoicePdf({ invoice_number: 'F-1', tax_base: 1000, iva: 21, irpf: 0, total: 1210, lines: [], verifactu }, output);
+
+        expect(fs.statSync(output).size).toBeGreaterThan(0);
+    });
+});
+
+describe('/api/verifactu', () => {
+    beforeEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('verifies the chains for employees', async () => {
+        jest.spyOn(VerifactuRepository, 'findAll').mockResolvedValue([]);
+        jest.spyOn(VerifactuRepository, 'getChains').mockResolvedValue([]);
+
+        const res = await request(app)
+            .get('/api/verifactu/verify')
+            .set('Authorization', `Bearer ${employeeToken}`);
+
+        expect(res.status).toBe(200);
+        expect(res.body.data).toMatchObject({ valid: true, chains: [] });
+    });
+
+    it('rejects submission by employees with 403', async () => {
+        const res = await request(app)
+            .post('/api/verifactu/submit')
+            .set('Authorization', `Bearer ${employeeToken}`);
+        expect(res.status).toBe(403);
+    });
+
+    it('rejects an invalid invoice filter with 400', async () => {
+        const res = await request(app)
+            .get('/api/verifactu/records?invoice_id=abc')
+            .set('Authorization', `Bearer ${adminToken}`);
+        expect(res.status).toBe(400);
+    });
+});